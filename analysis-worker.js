@@ -0,0 +1,13 @@
+// analysis-worker.js
+// Module worker for app.js: runs analyzeGame() (analysis.js) so the best-guess search, which
+// tries every word against every possible answer, never blocks the page.
+import { analyzeGame } from './analysis.js';
+
+self.addEventListener('message', (e) => {
+  const { id, game } = e.data;
+  try {
+    self.postMessage({ id, rows: analyzeGame(game) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+});
@@ -0,0 +1,69 @@
+// analysis.js
+// Post-game analysis for app.js (run in analysis-worker.js): how each guess of a finished game
+// narrowed the possible answers, and the most informative guess there was at that point.
+// Pure functions over word lists, like engine.js, so Node tests can run them.
+// The search covers every allowed guess (words/guesses/<code>.js, which app.js loads only for the
+// analysis; the game itself checks guesses against a Bloom filter) plus the solution list and
+// the player's own guesses.
+import { evaluateGuess } from './engine.js';
+
+// evaluateGuess() as a short key, e.g. 'cpaaa'.
+function patternKey(guess, target) {
+  return evaluateGuess(guess, target).map(st => st[0]).join('');
+}
+
+// Expected information (bits) of `guess` when every candidate is equally likely.
+export function expectedBits(guess, candidates) {
+  const buckets = new Map();
+  for (const c of candidates) {
+    const key = patternKey(guess, c);
+    buckets.set(key, (buckets.get(key) || 0) + 1);
+  }
+  let bits = 0;
+  for (const n of buckets.values()) {
+    const p = n / candidates.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+// Ranks two { guess, bits }: more information first, then a word that could be the answer,
+// then alphabetical order.
+function better(a, b, possible) {
+  if (Math.abs(a.bits - b.bits) > 1e-9) return a.bits > b.bits;
+  if (possible.has(a.guess) !== possible.has(b.guess)) return possible.has(a.guess);
+  return a.guess < b.guess;
+}
+
+// The guess from `pool` with the most expected information. With one candidate left, that's it.
+export function bestGuess(candidates, pool) {
+  if (candidates.length === 1) return { guess: candidates[0], bits: 0 };
+  const possible = new Set(candidates);
+  let best = null;
+  for (const guess of pool) {
+    const option = { guess, bits: expectedBits(guess, candidates) };
+    if (!best || better(option, best, possible)) best = option;
+  }
+  return best;
+}
+
+// One row per guess: { guess, before, after, bits, expected, best }. `before`/`after` count the
+// possible answers, `bits` is what the guess actually revealed, `expected` what it would reveal
+// on average and `best` the top guess from bestGuess(). The possible answers are `words` of the
+// solution's length, plus the solution if it isn't one of them (custom and challenge words).
+// `guesses` are the allowed guesses searched on top of those (empty if they couldn't be loaded).
+// Hard mode has to reuse every hint, so its search is limited to the possible answers.
+export function analyzeGame({ solution, attempts, words, guesses = [], hardMode = false }) {
+  const len = solution.length;
+  const answers = Array.from(new Set([...words.filter(w => w.length === len), solution]));
+  const pool = Array.from(new Set([...answers, ...attempts, ...guesses.filter(w => w.length === len)]));
+  let candidates = answers;
+  return attempts.map(guess => {
+    const before = candidates.length;
+    const best = bestGuess(candidates, hardMode ? candidates : pool);
+    const expected = expectedBits(guess, candidates);
+    const key = patternKey(guess, solution);
+    candidates = candidates.filter(c => patternKey(guess, c) === key);
+    return { guess, before, after: candidates.length, bits: Math.log2(before / candidates.length), expected, best };
+  });
+}
@@ -1,40 +1,35 @@
 // app.js
-import { encodedEN, encodedUK, encodedAllowedEN, encodedAllowedUK } from './wordlist-obf.js';
+import { LANGUAGES, DEFAULT_LANG, languageFor, isLanguage, normalizeWord, fitsAlphabet, t } from './languages.js';
+import {
+  DEFAULT_ATTEMPTS, EPOCH_DAY, dayNumberNow, dailyIndex, evaluateGuess, buildShareText, gameStatus, newGame,
+  restoreGame, dailySave, ordinal, MULTI_ATTEMPTS, dailyWords, restoreMultiGame, buildMultiShareText, restoreEvilGame,
+  formatDuration, totalTime, bestSpeedRun
+} from './engine.js';
+import { analyzeGame } from './analysis.js';
+import { DEFAULT_LENGTH, dataFor, guessList, languageLengths, loadLanguage, isLanguageLoaded, wordFileUrl, officialWord } from './words.js';
+import { APP_VERSION } from './version.js';
+import { NO_CRYPTO, cryptoAvailable, encryptWord, decryptWord } from './wordcodec.js';
+import { STORE_KEYS, parseStoreKey, makeBackup, encodeBackup, decodeBackup, mergeBackupData } from './sync.js';
 
-// Build/version tag
-const APP_VERSION = 'v0.5.4-2025-09-08-02';
+// Build/version tag (stamped by scripts/build-sw.mjs, shared with service-worker.js)
 console.log('[GuessMosaic] Version', APP_VERSION);
 
-// ---------------- Decode lists ----------------
-function xorDecode(str, key) {
-  return str.split('').map((c, i) => String.fromCharCode(c.charCodeAt(0) ^ key.charCodeAt(i % key.length))).join('');
-}
-const key = 'fd@3r!@#rxc$%g';
-function decodeList(encoded) {
-  try {
-    const bin = atob(encoded);
-    const bytes = Uint8Array.from(bin, c => c.charCodeAt(0));
-    const xoredStr = new TextDecoder().decode(bytes); // XOR'ed JSON string
-    const jsonStr = xorDecode(xoredStr, key);
-    return JSON.parse(jsonStr).map(w => w.normalize('NFC').toUpperCase());
-  } catch (e) {
-    console.error('Failed to decode word list', e);
-    return [];
-  }
-}
-const WORDS_EN = decodeList(encodedEN);
-const WORDS_UK = decodeList(encodedUK);
-const ALLOWED_EN = new Set(decodeList(encodedAllowedEN || ''));
-const ALLOWED_UK = new Set(decodeList(encodedAllowedUK || ''));
-
 // --- Game state ---
-let currentLang = 'en';
-let targetWord = '';
-let attempts = [];          // completed guesses only
-let currentGuess = '';      // in-progress guess
-let maxAttempts = 6;
-let gameOver = false;
-const STORAGE_KEY = 'guessmosaic-state-v1';
+let currentLang = DEFAULT_LANG;
+let wordLength = DEFAULT_LENGTH; // length of official daily/archive/practice words
+let game = newGame({ solution: '' }); // engine.js game on the board; replaced by loadGame()
+let mode = 'daily';         // 'daily' | 'archive' | 'practice' | 'challenge' | 'multi' | 'evil'
+let archivePuzzle = null;   // puzzle number while mode === 'archive'
+let multiBoards = 0;        // 2 or 4 while mode === 'multi' (a multi-board game from engine.js)
+const STORAGE_KEY = STORE_KEYS.state;
+const SETTINGS_KEY = STORE_KEYS.settings;
+const STATS_KEY = STORE_KEYS.stats;
+const ARCHIVE_KEY = STORE_KEYS.archive;
+const PRACTICE_KEY = STORE_KEYS.practice;
+const CHALLENGE_KEY = STORE_KEYS.challenge;
+const MULTI_KEY = STORE_KEYS.multi;
+const EVIL_KEY = STORE_KEYS.evil;
+const SPEED_KEY = STORE_KEYS.speed;
 let firstLoad = true;
 
 
@@ -43,277 +38,1631 @@ const board = document.getElementById('board');
 const keyboard = document.getElementById('keyboard');
 const shareBtn = document.getElementById('shareBtn');
 const toastEl = document.getElementById('toast');
+const settingsBtn = document.getElementById('settingsBtn');
+const settingsDialog = document.getElementById('settingsDialog');
+const langSelect = document.getElementById('lang');
+const lengthSelect = document.getElementById('wordLength');
+const lengthTip = document.getElementById('lengthTip');
+const customAnswerInput = document.getElementById('customAnswer');
+const customListInput = document.getElementById('customList');
+const hardModeInput = document.getElementById('hardMode');
+const hintsPerGameSelect = document.getElementById('hintsPerGame');
+const speedRunInput = document.getElementById('speedRun');
+const highContrastInput = document.getElementById('highContrast');
+const themeSelect = document.getElementById('theme');
+const serverUrlInput = document.getElementById('serverUrl');
+const nicknameInput = document.getElementById('nickname');
+const groupInput = document.getElementById('group');
+const resetBtn = document.getElementById('resetBtn');
+const saveBtn = document.getElementById('saveBtn');
+const statsBtn = document.getElementById('statsBtn');
+const hintBtn = document.getElementById('hintBtn');
+const hintDialog = document.getElementById('hintDialog');
+const hintsLeftEl = document.getElementById('hintsLeft');
+const hintBar = document.getElementById('hintBar');
+const statsDialog = document.getElementById('statsDialog');
+const statsSummary = document.getElementById('statsSummary');
+const statsDist = document.getElementById('statsDist');
+const statsBest = document.getElementById('statsBest');
+const timerEl = document.getElementById('timer');
+const statsShareBtn = document.getElementById('statsShareBtn');
+const statsAnalysisBtn = document.getElementById('statsAnalysisBtn');
+const analysisDialog = document.getElementById('analysisDialog');
+const analysisIntro = document.getElementById('analysisIntro');
+const analysisList = document.getElementById('analysisList');
+const leaderboardSection = document.getElementById('leaderboard');
+const leaderboardTitle = document.getElementById('leaderboardTitle');
+const leaderboardList = document.getElementById('leaderboardList');
+const modeBar = document.getElementById('modeBar');
+const archiveBtn = document.getElementById('archiveBtn');
+const archiveDialog = document.getElementById('archiveDialog');
+const archiveLangSelect = document.getElementById('archiveLang');
+const archiveLengthSelect = document.getElementById('archiveLength');
+const archiveNumberInput = document.getElementById('archiveNumber');
+const archiveGoBtn = document.getElementById('archiveGoBtn');
+const practiceBtn = document.getElementById('practiceBtn');
+const multiBtns = document.querySelectorAll('[data-boards]');
+const evilBtn = document.getElementById('evilBtn');
+const archiveList = document.getElementById('archiveList');
+const puzzleNoEl = document.getElementById('puzzleNo');
+const updateToast = document.getElementById('updateToast');
+const updateReloadBtn = document.getElementById('updateReloadBtn');
+const syncOpenBtn = document.getElementById('syncOpenBtn');
+const syncDialog = document.getElementById('syncDialog');
+const syncCodeInput = document.getElementById('syncCode');
+const syncFileInput = document.getElementById('syncFile');
+const syncCopyBtn = document.getElementById('syncCopyBtn');
+const syncDownloadBtn = document.getElementById('syncDownloadBtn');
+const syncImportBtn = document.getElementById('syncImportBtn');
+const challengeBtn = document.getElementById('challengeBtn');
+const challengeDialog = document.getElementById('challengeDialog');
+const challengeWordInput = document.getElementById('challengeWord');
+const challengeLangSelect = document.getElementById('challengeLang');
+const challengeTriesSelect = document.getElementById('challengeTries');
+const challengeCopyBtn = document.getElementById('challengeCopyBtn');
 
 // --- Helpers ---
-function listFor(lang) {
-  return lang === 'uk' ? WORDS_UK : WORDS_EN;
+function listFor(lang, len = wordLength) {
+  return dataFor(lang, len).words;
+}
+function allowedSetFor(lang, len = wordLength) {
+  return dataFor(lang, len).allowed;
 }
-function allowedSetFor(lang) {
-  return lang === 'uk' ? ALLOWED_UK : ALLOWED_EN;
+// Registry lengths that actually have solution words in the language's word file
+// (known before the file is loaded).
+function lengthsFor(lang) {
+  return languageFor(lang).dictionary.lengths.filter(len => languageLengths(lang).includes(len));
+}
+// Each word length keeps its own saves; the classic length keeps the original keys.
+function lengthKey(base, len = wordLength) {
+  return len === DEFAULT_LENGTH ? base : `${base}-len${len}`;
 }
 
-// Deterministic daily selection (UTC date) so everyone gets same word per language per day.
-function dailyIndex(words, lang) {
-  // Base epoch for stability
-  const epoch = Date.UTC(2025, 0, 1) / 86400000; // days since 1970 for Jan 1 2025
-  const today = Date.now() / 86400000; // days since 1970
-  const dayNumber = Math.floor(today - epoch);
-  // Simple LCG mix with lang hash
-  let h = 0; for (let i = 0; i < lang.length; i++) h = (h * 31 + lang.charCodeAt(i)) >>> 0;
-  const mix = (dayNumber * 1103515245 + 12345 + h) >>> 0;
-  return mix % words.length;
+// Puzzle #1 is EPOCH_DAY (Jan 1 2025, UTC); see engine.js.
+function todayPuzzle() { return dayNumberNow() + 1; }
+function puzzleDate(puzzle) {
+  return new Date((EPOCH_DAY + puzzle - 1) * 86400000).toISOString().slice(0, 10);
 }
 
-let manualOverride = null; // optional future override
-function dayId() { return Math.floor(Date.now() / 86400000); }
-function pickWord() {
-  const words = listFor(currentLang);
-  if (!words.length) return '';
-  if (manualOverride && words.includes(manualOverride)) return manualOverride;
-  const idx = dailyIndex(words, currentLang);
-  return words[idx];
+// Official word for a day (words.js), in the current word length unless given. Async:
+// scheduled days are decrypted on first use.
+function dailyWord(lang, dayNumber = dayNumberNow(), len = wordLength) {
+  return officialWord(lang, dayNumber, len);
 }
-function showMessage(text, duration = 2000) {
+
+// --- Settings (custom answer / custom list) ---
+const CUSTOM_MIN_LEN = 3;
+const CUSTOM_MAX_LEN = 8;
+const THEMES = ['system', 'light', 'dark'];
+const HINT_LIMITS = [0, 1, 2, 3];
+let settings = loadSettings();
+let manualOverride = null; // custom answer from settings, if it fits the current language
+let customWords = [];      // custom word list from settings, filtered for the current language
+
+function loadSettings() {
+  const defaults = { lang: null, length: DEFAULT_LENGTH, customAnswer: '', customList: [], hardMode: false, hints: 0, speedRun: false, highContrast: false,
+    theme: 'system', serverUrl: '', nickname: '', group: '', serverToken: '' };
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY);
+    if (!raw) return defaults;
+    const parsed = JSON.parse(raw);
+    return {
+      lang: isLanguage(parsed.lang) ? parsed.lang : null,
+      length: Number.isInteger(parsed.length) ? parsed.length : DEFAULT_LENGTH,
+      customAnswer: typeof parsed.customAnswer === 'string' ? parsed.customAnswer : '',
+      customList: Array.isArray(parsed.customList) ? parsed.customList.map(String) : [],
+      hardMode: !!parsed.hardMode,
+      hints: HINT_LIMITS.includes(parsed.hints) ? parsed.hints : 0,
+      speedRun: !!parsed.speedRun,
+      highContrast: !!parsed.highContrast,
+      theme: THEMES.includes(parsed.theme) ? parsed.theme : 'system',
+      serverUrl: typeof parsed.serverUrl === 'string' ? parsed.serverUrl : '',
+      nickname: typeof parsed.nickname === 'string' ? parsed.nickname : '',
+      group: typeof parsed.group === 'string' ? parsed.group : '',
+      serverToken: typeof parsed.serverToken === 'string' ? parsed.serverToken : ''
+    };
+  } catch (_) { return defaults; }
+}
+
+function saveSettings() {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (_) { }
+}
+
+function isCustomLength(word) {
+  return word.length >= CUSTOM_MIN_LEN && word.length <= CUSTOM_MAX_LEN;
+}
+
+// Split a free-form list on commas/whitespace, keeping unique words valid for `lang`.
+function parseCustomList(text, lang) {
+  const seen = new Set();
+  String(text || '').split(/[\s,;]+/).forEach(w => {
+    const word = normalizeWord(w, lang);
+    if (word && isCustomLength(word) && fitsAlphabet(word, lang)) seen.add(word);
+  });
+  return Array.from(seen);
+}
+
+// Derive word length and manualOverride/customWords for the active language from saved settings.
+function applySettings() {
+  wordLength = lengthsFor(currentLang).includes(settings.length) ? settings.length : DEFAULT_LENGTH;
+  const answer = normalizeWord(settings.customAnswer, currentLang);
+  manualOverride = answer && isCustomLength(answer) && fitsAlphabet(answer, currentLang) ? answer : null;
+  customWords = parseCustomList(settings.customList.join(','), currentLang);
+}
+
+// Word files only open with Web Crypto, which plain http (other than localhost) doesn't have.
+function showNoWords() {
+  if (cryptoAvailable()) showMessage('No words loaded');
+  else showMessage(NO_CRYPTO, 6000);
+}
+
+// Storage day key (days since 1970). Same UTC boundary as the puzzle number.
+function dayId() { return EPOCH_DAY + dayNumberNow(); }
+async function pickWord() {
+  // Custom words don't need the official list, but guesses are still checked against it.
+  await loadLanguage(currentLang);
+  if (manualOverride) return manualOverride;
+  if (!customWords.length) return dailyWord(currentLang);
+  const idx = dailyIndex(customWords, currentLang);
+  return customWords[idx];
+}
+function puzzleWord(lang, puzzle) {
+  return dailyWord(lang, puzzle - 1);
+}
+function isCustomDaily() {
+  return mode === 'daily' && (!!manualOverride || customWords.length > 0);
+}
+
+// Dictionary validation (the engine always accepts the solution). Custom words are always
+// accepted; lengths the bundle has no allowed list for (custom 3-8 letter answers) skip the check.
+function isAllowedGuess(guess) {
+  if (mode === 'daily' && customWords.includes(guess)) return true;
+  const allowed = allowedSetFor(currentLang, guess.length);
+  if (!allowed.size) return true;
+  return allowed.has(guess);
+}
+
+// #toast doubles as the screen-reader live region; `spoken` is read out before `text`
+// without being shown.
+function showMessage(text, duration = 2000, spoken = '') {
   if (!toastEl) return;
-  toastEl.textContent = text;
+  setToast(text, spoken);
   toastEl.classList.add('show');
   setTimeout(() => toastEl.classList.remove('show'), duration);
 }
 
-// Evaluate a guess against target using duplicate handling
-// Returns array of status strings: 'correct' | 'present' | 'absent'
-function evaluateGuess(guess, target) {
-  const len = target.length;
-  const result = Array(len).fill('absent');
-  const counts = {};
-  for (let i = 0; i < len; i++) {
-    const ch = target[i];
-    counts[ch] = (counts[ch] || 0) + 1;
-  }
-  // First pass: correct positions
-  for (let i = 0; i < len; i++) {
-    if (guess[i] === target[i]) {
-      result[i] = 'correct';
-      counts[guess[i]] -= 1;
-    }
-  }
-  // Second pass: presents
-  for (let i = 0; i < len; i++) {
-    if (result[i] === 'correct') continue;
-    const g = guess[i];
-    if (counts[g] > 0) {
-      result[i] = 'present';
-      counts[g] -= 1;
-    }
+// Screen-reader only message (the toast stays hidden).
+function announce(spoken) {
+  if (!toastEl) return;
+  setToast('', spoken);
+}
+
+function setToast(text, spoken) {
+  toastEl.textContent = '';
+  if (spoken) {
+    const hidden = document.createElement('span');
+    hidden.className = 'sr-only';
+    hidden.textContent = text ? `${spoken}. ` : spoken;
+    toastEl.appendChild(hidden);
   }
-  return result;
+  toastEl.append(text);
+}
+
+// --- Accessibility ---
+function applyContrast() {
+  document.documentElement.classList.toggle('high-contrast', settings.highContrast);
+}
+
+// --- Theme ---
+// 'system' follows prefers-color-scheme; the palettes live in styles.css. The browser
+// theme-color (status bar of the installed app) follows the active background.
+const prefersLight = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : { matches: false };
+
+function applyTheme() {
+  const theme = settings.theme === 'system' ? (prefersLight.matches ? 'light' : 'dark') : settings.theme;
+  document.documentElement.dataset.theme = theme;
+  const bg = getComputedStyle(document.documentElement).getPropertyValue('--bg').trim();
+  if (bg) document.querySelectorAll('meta[name="theme-color"]').forEach(meta => meta.setAttribute('content', bg));
+}
+
+if (prefersLight.addEventListener) prefersLight.addEventListener('change', applyTheme);
+
+function tileLabel(letter, status, position) {
+  return [letter || 'Empty', status, `position ${position}`].filter(Boolean).join(', ');
 }
 
-function renderBoard() {
+// Multi-board rows name each board the guess was still scored on.
+function rowSummary(i) {
+  const describe = view => {
+    const statuses = evaluateGuess(view.attempts[i], view.solution);
+    return Array.from(view.attempts[i], (letter, j) => `${letter} ${statuses[j]}`).join(', ');
+  };
+  const views = boardViews().filter(view => i < view.attempts.length);
+  if (!game.solutions) return `Row ${i + 1}: ` + describe(views[0]);
+  return `Row ${i + 1}: ` + views.map(view => `board ${view.index + 1}, ${describe(view)}`).join('; ');
+}
+
+// --- Board rendering & animation ---
+// Tiles are built once per board shape and updated in place, so they can animate.
+// Durations mirror the keyframes in styles.css; reduced motion turns them all into 0.
+const FLIP_MS = 500;
+const FLIP_STAGGER_MS = 250;
+const BOUNCE_STAGGER_MS = 100;
+const reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : { matches: false };
+let revealTimers = [];
+let revealing = false; // input waits until a submitted row has finished flipping
+
+function motionMs(ms) {
+  return reducedMotion.matches ? 0 : ms;
+}
+
+function later(fn, ms) {
+  if (!ms) { fn(); return; }
+  revealTimers.push(setTimeout(fn, ms));
+}
+
+function cancelReveal() {
+  revealTimers.forEach(clearTimeout);
+  revealTimers = [];
+  revealing = false;
+}
+
+// Restart CSS animation `cls` on `el`, optionally after `delay` ms.
+function animate(el, cls, delay = 0) {
+  if (!el || reducedMotion.matches) return;
+  el.classList.remove(cls);
+  void el.offsetWidth; // force a reflow so the animation runs again
+  el.style.animationDelay = delay ? `${delay}ms` : '';
+  el.classList.add(cls);
+  el.addEventListener('animationend', () => {
+    el.classList.remove(cls);
+    el.style.animationDelay = '';
+  }, { once: true });
+}
+
+// A multi-board game gets one .mini-board of rows per solution inside #board.
+function ensureBoard() {
+  const solutions = game.solutions || [game.solution];
+  const cols = solutions[0].length;
+  const shape = `${solutions.length}x${game.maxAttempts}x${cols}`;
+  if (board.dataset.shape === shape) return;
   board.innerHTML = '';
-  board.style.setProperty('--cols', targetWord.length);
-  for (let i = 0; i < maxAttempts; i++) {
-    const row = document.createElement('div');
-    row.className = 'row';
-    const guess = i < attempts.length ? attempts[i] : (i === attempts.length ? currentGuess : '');
-    const finalized = i < attempts.length;
-    const evalStatuses = finalized ? evaluateGuess(guess, targetWord) : [];
-    for (let j = 0; j < targetWord.length; j++) {
-      const tile = document.createElement('div');
-      tile.className = 'tile';
-      const letter = guess[j] || '';
-      tile.textContent = letter;
-      if (finalized) {
-        tile.classList.add('revealed');
-        const st = evalStatuses[j];
-        if (st === 'correct') tile.classList.add('correct');
-        else if (st === 'present') tile.classList.add('present');
-        else tile.classList.add('absent');
-      } else if (letter) {
-        tile.classList.add('filled');
-      }
-      row.appendChild(tile);
+  board.dataset.shape = shape;
+  board.style.setProperty('--cols', cols);
+  board.classList.toggle('multi', solutions.length > 1);
+  solutions.forEach((_, b) => {
+    let grid = board;
+    if (solutions.length > 1) {
+      grid = document.createElement('div');
+      grid.className = 'mini-board';
+      grid.setAttribute('role', 'group');
+      grid.setAttribute('aria-label', `Board ${b + 1}`);
+      board.appendChild(grid);
     }
-    board.appendChild(row);
-  }
-}
-
-function computeStatuses() {
-  const status = {};
-  attempts.forEach(g => {
-    const evalSt = evaluateGuess(g, targetWord);
-    for (let i = 0; i < g.length; i++) {
-      const l = g[i];
-      const st = evalSt[i];
-      if (st === 'correct') status[l] = 'correct';
-      else if (st === 'present') {
-        if (status[l] !== 'correct') status[l] = 'present';
-      } else {
-        if (!status[l]) status[l] = 'absent';
+    for (let i = 0; i < game.maxAttempts; i++) {
+      const row = document.createElement('div');
+      row.className = 'row';
+      row.setAttribute('role', 'group');
+      row.setAttribute('aria-label', `Row ${i + 1}`);
+      for (let j = 0; j < cols; j++) {
+        const tile = document.createElement('div');
+        tile.className = 'tile';
+        tile.setAttribute('role', 'img');
+        row.appendChild(tile);
       }
+      grid.appendChild(row);
     }
   });
-  return status;
+}
+
+// One entry per board on screen: its rows element, solution and the guesses it shows
+// (a multi-board game stops a board at the guess that solved it).
+function boardViews() {
+  if (!game.solutions) return [{ index: 0, rows: board, solution: game.solution, attempts: game.attempts, solved: game.won }];
+  const solved = game.solved;
+  return game.solutions.map((solution, index) => ({
+    index, rows: board.children[index], solution, attempts: game.boardAttempts(index), solved: solved[index]
+  }));
+}
+
+// The row being typed into, on every board still open.
+function currentRows() {
+  return boardViews().filter(view => !view.solved).map(view => view.rows.children[game.attempts.length]).filter(Boolean);
+}
+
+function paintTile(tile, letter, status, position) {
+  tile.textContent = letter;
+  tile.setAttribute('aria-label', tileLabel(letter, status, position));
+  tile.classList.toggle('filled', !!letter && !status);
+  tile.classList.toggle('revealed', !!status);
+  ['correct', 'present', 'absent'].forEach(st => tile.classList.toggle(st, st === status));
+}
+
+// Paint every row from the game. `revealRow` is left as typed so revealRow() can flip it.
+function renderBoard(revealRow = -1) {
+  if (revealRow < 0) cancelReveal();
+  ensureBoard();
+  const { currentGuess } = game;
+  boardViews().forEach(({ rows, solution, attempts, solved }) => {
+    if (game.solutions) rows.classList.toggle('solved', solved);
+    Array.from(rows.children).forEach((row, i) => {
+      if (i === revealRow && i < attempts.length) return;
+      const guess = i < attempts.length ? attempts[i] : (i === attempts.length && !solved ? currentGuess : '');
+      const statuses = i < attempts.length ? evaluateGuess(guess, solution) : [];
+      Array.from(row.children).forEach((tile, j) => paintTile(tile, guess[j] || '', statuses[j], j + 1));
+    });
+  });
+}
+
+// Flip a submitted row tile by tile (on every board it was scored on), colouring each one
+// halfway through its turn.
+function revealRow(i, done) {
+  const guess = game.attempts[i];
+  revealing = true;
+  boardViews().filter(view => i < view.attempts.length).forEach(view => {
+    const statuses = evaluateGuess(guess, view.solution);
+    Array.from(view.rows.children[i].children).forEach((tile, j) => {
+      const delay = motionMs(j * FLIP_STAGGER_MS);
+      animate(tile, 'flip', delay);
+      later(() => paintTile(tile, guess[j], statuses[j], j + 1), delay + motionMs(FLIP_MS / 2));
+    });
+  });
+  later(() => {
+    revealing = false;
+    done();
+  }, motionMs((guess.length - 1) * FLIP_STAGGER_MS + FLIP_MS));
+}
+
+// Bounce row i on the boards it solved.
+function bounceRow(i) {
+  boardViews().filter(view => view.solved && view.attempts.length === i + 1).forEach(view => {
+    Array.from(view.rows.children[i].children).forEach((tile, j) => animate(tile, 'bounce', j * BOUNCE_STAGGER_MS));
+  });
+}
+
+// On-screen keys don't take focus from a mouse/touch press, so a physical Enter afterwards
+// submits instead of pressing the last key again. They stay reachable with Tab.
+function keyButton(id, text, onPress) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'key';
+  btn.dataset.key = id;
+  btn.textContent = text;
+  btn.addEventListener('mousedown', (e) => e.preventDefault());
+  btn.addEventListener('click', onPress);
+  return btn;
 }
 
 function renderKeyboard() {
+  // Rebuilding would drop keyboard focus; put it back on the same key afterwards.
+  const focused = keyboard.contains(document.activeElement) ? document.activeElement.dataset.key : null;
   keyboard.innerHTML = '';
-  const status = computeStatuses();
-  const rows = currentLang === 'uk'
-    // Standard Ukrainian layout (ЙЦУКЕН): three rows
-    ? ['ЙЦУКЕНГШЩЗХЇ', 'ФІВАПРОЛДЖЄ', 'ЯЧСМИТЬБЮҐ']
-    : ['QWERTYUIOP', 'ASDFGHJKL', 'ZXCVBNM'];
+  const status = game.statuses();
+  const rows = languageFor(currentLang).keyboard;
   rows.forEach((rowStr, idx) => {
     const rowEl = document.createElement('div');
     rowEl.className = 'krow';
     if (idx === rows.length - 1) {
-      const enter = document.createElement('button');
-      enter.textContent = 'Enter';
-      enter.className = 'key wide';
-      enter.addEventListener('click', submitGuess);
+      const enter = keyButton('Enter', t(currentLang, 'enter'), submitGuess);
+      enter.classList.add('wide');
       rowEl.appendChild(enter);
     }
-    rowStr.split('').forEach(letter => {
-      const btn = document.createElement('button');
-      btn.textContent = letter;
-      let cls = 'key';
-      if (status[letter] === 'correct') cls += ' hint-correct';
-      else if (status[letter] === 'present') cls += ' hint-present';
-      else if (status[letter] === 'absent') cls += ' hint-absent';
-      btn.className = cls;
-      btn.addEventListener('click', () => handleKey(letter));
+    Array.from(rowStr).forEach(letter => {
+      const btn = keyButton(letter, letter, () => handleKey(letter));
+      if (Array.isArray(status[letter])) {
+        splitKey(btn, letter, status[letter]);
+      } else if (status[letter]) {
+        btn.classList.add(`hint-${status[letter]}`);
+        btn.setAttribute('aria-label', `${letter}, ${status[letter]}`);
+      }
       rowEl.appendChild(btn);
     });
     if (idx === rows.length - 1) {
-      const langBtn = document.createElement('button');
-      langBtn.textContent = currentLang === 'en' ? 'UK' : 'EN';
-      langBtn.className = 'key';
-      langBtn.addEventListener('click', switchLanguageWithConfirm);
-      rowEl.appendChild(langBtn);
-      const del = document.createElement('button');
-      del.textContent = 'Del';
-      del.className = 'key wide';
-      del.addEventListener('click', deleteLetter);
+      rowEl.appendChild(buildLanguagePicker());
+      const del = keyButton('Backspace', t(currentLang, 'del'), deleteLetter);
+      del.classList.add('wide');
+      del.setAttribute('aria-label', 'Delete letter');
       rowEl.appendChild(del);
     }
     keyboard.appendChild(rowEl);
   });
+  if (focused) {
+    const again = Array.from(keyboard.querySelectorAll('[data-key]')).find(el => el.dataset.key === focused);
+    if (again) again.focus();
+  }
+}
+
+// Multi-board keys get one coloured cell per board: halves for two boards, quarters for four.
+// A solved board's cell stays blank.
+function splitKey(btn, letter, statuses) {
+  if (!statuses.some(Boolean)) return;
+  const cells = document.createElement('span');
+  cells.className = `key-split boards-${statuses.length}`;
+  cells.setAttribute('aria-hidden', 'true');
+  statuses.forEach(st => {
+    const cell = document.createElement('span');
+    if (st) cell.className = st;
+    cells.appendChild(cell);
+  });
+  btn.prepend(cells);
+  btn.classList.add('split');
+  btn.setAttribute('aria-label', `${letter}, ` +
+    statuses.map((st, i) => `board ${i + 1} ${st === null ? 'solved' : st || 'unknown'}`).join(', '));
+}
+
+function buildLanguagePicker() {
+  const picker = document.createElement('select');
+  picker.className = 'key lang-picker';
+  picker.dataset.key = 'lang';
+  picker.setAttribute('aria-label', 'Language');
+  Object.entries(LANGUAGES).forEach(([code, lang]) => {
+    const opt = document.createElement('option');
+    opt.value = code;
+    opt.textContent = code.toUpperCase();
+    opt.title = lang.name;
+    picker.appendChild(opt);
+  });
+  picker.value = currentLang;
+  picker.addEventListener('change', () => {
+    if (!switchLanguageWithConfirm(picker.value)) picker.value = currentLang;
+  });
+  return picker;
 }
 
 function handleKey(letter) {
-  if (gameOver) return;
-  if (attempts.length >= maxAttempts) return;
-  if (currentGuess.length >= targetWord.length) return;
-  currentGuess += letter;
+  if (revealing || loadingWord || !game.type(letter)) return;
+  if (game.timed) game.startClock();
+  flushClock();
   saveState();
   renderBoard();
-  renderKeyboard();
+  currentRows().forEach(row => animate(row.children[game.currentGuess.length - 1], 'pop'));
 }
 
 function deleteLetter() {
-  if (gameOver) return;
-  if (!currentGuess) return;
-  currentGuess = currentGuess.slice(0, -1);
+  if (revealing || loadingWord || !game.deleteLetter()) return;
+  flushClock();
   saveState();
   renderBoard();
-  renderKeyboard();
 }
 
 function submitGuess() {
-  if (gameOver) return;
-  if (currentGuess.length !== targetWord.length) { showMessage('Not enough letters'); return; }
-  const guess = currentGuess;
-  // Dictionary validation: guess must be in allowed list (or exactly the target solution)
-  const allowed = allowedSetFor(currentLang);
-  if (allowed.size && !allowed.has(guess) && guess !== targetWord) {
-    showMessage('Not in word list');
+  if (revealing || loadingWord) return;
+  flushClock();
+  const result = game.submit();
+  if (!result.ok) {
+    if (result.error !== 'over') {
+      showMessage(result.message || t(currentLang, result.error));
+      currentRows().forEach(row => animate(row, 'shake'));
+    }
     return;
   }
-  attempts.push(guess);
-  currentGuess = '';
-  if (guess === targetWord) {
-    showMessage('You win!');
-    gameOver = true;
-  } else if (attempts.length === maxAttempts) {
-    showMessage(`Game over! Word was ${targetWord}`);
-    gameOver = true;
-  }
+  // The result is stored straight away; only the feedback waits for the reveal.
+  flushClock();
+  renderTimer();
+  if (result.won || result.lost) finishGame(result.won);
   saveState();
-  renderBoard();
-  renderKeyboard();
+  const row = game.attempts.length - 1;
+  renderBoard(row);
+  revealRow(row, () => {
+    renderKeyboard();
+    renderModeBar();
+    renderCountdown();
+    const word = game.solutions ? game.solutions.filter((_, i) => !game.solved[i]).join(', ') : game.solution;
+    if (result.won) {
+      showMessage(t(currentLang, 'win'), 2000, rowSummary(row));
+      bounceRow(row);
+    } else if (result.lost) {
+      showMessage(t(currentLang, 'lose', { word }), 2000, rowSummary(row));
+    } else {
+      if (result.boards && result.boards.some(b => b && b.solved)) bounceRow(row);
+      announce(rowSummary(row));
+    }
+    if ((result.won || result.lost) && mode === 'daily') setTimeout(openStats, 1500);
+  });
 }
 
-function switchLanguageWithConfirm() {
-  const hasProgress = attempts.length > 0 || currentGuess.length > 0;
-  if (hasProgress && !gameOver) {
-    if (!window.confirm('Switch language and lose current progress?')) return;
+// Only daily puzzles feed stats/streaks; practice keeps its own tally.
+function finishGame(won) {
+  if (won && game.timed) recordSpeedRun();
+  if (mode === 'daily') {
+    recordResult(won);
+    // Errors show in the stats dialog, which retries.
+    postResult().catch(() => {});
+  } else if (mode === 'practice') {
+    const tally = practiceFor(currentLang);
+    savePractice(currentLang, { played: tally.played + 1, wins: tally.wins + (won ? 1 : 0) });
   }
-  currentLang = currentLang === 'en' ? 'uk' : 'en';
-  startGame(true);
-  showMessage(currentLang === 'en' ? 'Language: English' : 'Мова: Українська');
 }
 
+function switchLanguageWithConfirm(lang) {
+  if (lang === currentLang || !isLanguage(lang)) return false;
+  const hasProgress = game.attempts.length > 0 || game.currentGuess.length > 0;
+  if (hasProgress && !game.gameOver) {
+    if (!window.confirm('Switch language and lose current progress?')) return false;
+  }
+  setLanguage(lang);
+  restartMode();
+  showMessage(t(currentLang, 'switched'));
+  return true;
+}
+
+function gameSnapshot() {
+  return game.serialize();
+}
+
+// Archive and practice games never touch STORAGE_KEY; official daily games are
+// mirrored into the archive so past days keep their solved/failed status. The `daily` flag
+// marks results that count in stats, which lets a sync merge add them up (sync.js).
 function saveState() {
   try {
-    const payload = { dayId: dayId(), lang: currentLang, solution: targetWord, attempts, currentGuess, gameOver };
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
+    if (mode === 'archive') {
+      const prev = archiveGame(currentLang, archivePuzzle);
+      const keepFlag = prev && prev.daily && prev.gameOver;
+      saveArchiveGame(currentLang, archivePuzzle, keepFlag ? { ...gameSnapshot(), daily: true } : gameSnapshot());
+      return;
+    }
+    if (mode === 'practice') { savePractice(currentLang, { game: gameSnapshot() }); return; }
+    if (mode === 'challenge') { writeStore(CHALLENGE_KEY, { id: activeChallenge.id, game: gameSnapshot() }); return; }
+    if (mode === 'multi') { saveMultiGame(currentLang, multiBoards, { dayId: dayId(), ...gameSnapshot() }); return; }
+    if (mode === 'evil') { saveEvilGame(currentLang, gameSnapshot()); return; }
+    const payload = { dayId: dayId(), ...gameSnapshot() };
+    localStorage.setItem(lengthKey(STORAGE_KEY), JSON.stringify(payload));
+    if (!isCustomDaily()) saveArchiveGame(currentLang, todayPuzzle(), { ...gameSnapshot(), daily: true });
   } catch (_) { }
 }
 
 function loadState() {
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
+    const raw = localStorage.getItem(lengthKey(STORAGE_KEY));
     if (!raw) return null;
     return JSON.parse(raw);
   } catch (_) { return null; }
 }
 
-function startGame(manualSwitch = false) {
+// --- Statistics ---
+// Per-language history that outlives the single-day game in STORAGE_KEY.
+// Only daily puzzles count; custom answers/lists are practice.
+function emptyStats() {
+  const guesses = { fail: 0 };
+  for (let i = 1; i <= DEFAULT_ATTEMPTS; i++) guesses[i] = 0;
+  return { played: 0, wins: 0, currentStreak: 0, maxStreak: 0, guesses, lastDay: null, lastWinDay: null };
+}
+
+function readStore(storeKey) {
+  try {
+    const raw = localStorage.getItem(storeKey);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (_) { return {}; }
+}
+
+function writeStore(storeKey, value) {
+  try {
+    localStorage.setItem(storeKey, JSON.stringify(value));
+  } catch (_) { }
+}
+
+function loadStats() {
+  return readStore(lengthKey(STATS_KEY));
+}
+
+function statsFor(lang) {
+  const st = Object.assign(emptyStats(), loadStats()[lang]);
+  st.guesses = Object.assign(emptyStats().guesses, st.guesses);
+  return st;
+}
+
+function recordResult(won) {
+  if (isCustomDaily()) return;
   const today = dayId();
-  const restored = loadState();
-  if (!manualSwitch && firstLoad && restored && restored.dayId === today && restored.lang) {
-    currentLang = restored.lang;
+  const st = statsFor(currentLang);
+  if (st.lastDay === today) return; // already counted (e.g. replay after reset)
+  st.played += 1;
+  st.lastDay = today;
+  if (won) {
+    st.wins += 1;
+    st.currentStreak = st.lastWinDay === today - 1 ? st.currentStreak + 1 : 1;
+    st.maxStreak = Math.max(st.maxStreak, st.currentStreak);
+    st.lastWinDay = today;
+    const count = game.attempts.length;
+    st.guesses[count] = (st.guesses[count] || 0) + 1;
+  } else {
+    st.currentStreak = 0;
+    st.guesses.fail += 1;
   }
+  const all = loadStats();
+  all[currentLang] = st;
+  writeStore(lengthKey(STATS_KEY), all);
+}
 
-  const solution = pickWord();
-  if (!solution) { showMessage('No words loaded'); return; }
+// A streak whose last win is older than yesterday is already broken.
+function liveStreak(st) {
+  return st.lastWinDay !== null && dayId() - st.lastWinDay <= 1 ? st.currentStreak : 0;
+}
 
-  if (restored && restored.dayId === today && restored.lang === currentLang && restored.solution === solution) {
-    // Restore prior progress
-    targetWord = restored.solution;
-    attempts = Array.isArray(restored.attempts) ? restored.attempts.slice(0, maxAttempts) : [];
-    currentGuess = restored.currentGuess || '';
-    if (currentGuess.length > solution.length) currentGuess = currentGuess.slice(0, solution.length);
-    gameOver = !!restored.gameOver;
-  } else {
-    // Fresh daily game
-    targetWord = solution;
-    attempts = [];
-    currentGuess = '';
-    gameOver = false;
+function renderStats() {
+  const st = statsFor(currentLang);
+  const winPct = st.played ? Math.round((st.wins / st.played) * 100) : 0;
+  const items = [
+    [st.played, 'Played'],
+    [winPct, 'Win %'],
+    [liveStreak(st), 'Current streak'],
+    [st.maxStreak, 'Max streak']
+  ];
+  statsSummary.innerHTML = '';
+  items.forEach(([value, label]) => {
+    const cell = document.createElement('div');
+    cell.className = 'stat';
+    const num = document.createElement('div');
+    num.className = 'stat-value';
+    num.textContent = value;
+    const cap = document.createElement('div');
+    cap.className = 'stat-label';
+    cap.textContent = label;
+    cell.append(num, cap);
+    statsSummary.appendChild(cell);
+  });
+
+  statsDist.innerHTML = '';
+  const keys = Object.keys(st.guesses).filter(k => k !== 'fail').sort((a, b) => a - b).concat('fail');
+  const maxCount = Math.max(1, ...keys.map(k => st.guesses[k]));
+  const solvedToday = mode === 'daily' && game.won;
+  const highlight = mode === 'daily' && game.gameOver && st.lastDay === dayId() ? (solvedToday ? String(game.attempts.length) : 'fail') : null;
+  keys.forEach(k => {
+    const count = st.guesses[k];
+    const row = document.createElement('div');
+    row.className = 'dist-row';
+    const label = document.createElement('span');
+    label.className = 'dist-label';
+    label.textContent = k === 'fail' ? 'X' : k;
+    const bar = document.createElement('span');
+    bar.className = 'dist-bar' + (k === highlight ? ' current' : '');
+    bar.style.width = `${Math.max(8, (count / maxCount) * 100)}%`;
+    bar.textContent = count;
+    row.append(label, bar);
+    statsDist.appendChild(row);
+  });
+  if (statsBest) {
+    const best = speedRecordFor(currentLang);
+    statsBest.hidden = !best;
+    if (best) statsBest.textContent = `Best daily speed run: ${formatDuration(best.best)} in ${best.guesses} ${best.guesses === 1 ? 'guess' : 'guesses'}`;
+  }
+  const lengthLabel = wordLength !== DEFAULT_LENGTH ? `, ${wordLength} letters` : '';
+  statsDialog.querySelector('h2').textContent = `Statistics (${currentLang.toUpperCase()}${lengthLabel})`;
+}
+
+function openStats() {
+  if (!statsDialog || statsDialog.open) return;
+  if (settingsDialog && settingsDialog.open) return;
+  renderStats();
+  if (statsAnalysisBtn) statsAnalysisBtn.hidden = !game.gameOver || !!game.solutions || !!game.evil;
+  statsDialog.showModal();
+  refreshLeaderboard();
+}
+
+// --- Speed-run clock ---
+// A timed game (settings.speedRun when it was put on the board) starts its clock on the first
+// keystroke. Time is measured in slices from `clockFrom` and handed to the game, and so to the
+// saved state, on every keystroke and tick; hidden tabs don't run a slice, so a reload or a
+// restored tab carries on from the saved time.
+let clockFrom = null; // performance.now() when the running slice began, or null
+
+function flushClock() {
+  const now = performance.now();
+  if (clockFrom !== null && game.timed) game.addTime(now - clockFrom);
+  clockFrom = game.clockRunning && document.visibilityState !== 'hidden' ? now : null;
+}
+
+function pauseClock() {
+  if (clockFrom === null) return;
+  flushClock();
+  clockFrom = null;
+  saveState();
+}
+
+function renderTimer() {
+  if (!timerEl) return;
+  const total = totalTime(game);
+  timerEl.hidden = total === null;
+  if (total !== null) timerEl.textContent = `⏱️ ${formatDuration(total)}`;
+}
+
+function speedRecordFor(lang) {
+  const record = readStore(lengthKey(SPEED_KEY))[lang];
+  return record && typeof record.best === 'number' ? record : null;
+}
+
+// Best time per language (and length), from today's puzzle only: archive replays, practice,
+// challenges and the other modes can be replayed or picked, and custom daily answers are known.
+// Runs before recordResult, so a result already in the stats means today is a replay.
+function recordSpeedRun() {
+  if (mode !== 'daily' || isCustomDaily()) return;
+  const best = speedRecordFor(currentLang);
+  const next = bestSpeedRun(best, game, statsFor(currentLang).lastDay === dayId());
+  if (next === best) return;
+  const all = readStore(lengthKey(SPEED_KEY));
+  all[currentLang] = next;
+  writeStore(lengthKey(SPEED_KEY), all);
+}
+
+// --- Hints ---
+// The limit comes from settings when a game is put on the board; hints used are part of the
+// saved game (engine.js) and of the share text.
+function describeHint(hint) {
+  if (hint.type === 'letter') return `${ordinal(hint.position + 1)} letter is ${hint.letter}`;
+  if (hint.type === 'eliminate') return `No ${hint.letters.join(', ')}`;
+  const after = hint.guesses ? ` after ${hint.guesses} guess${hint.guesses === 1 ? '' : 'es'}` : '';
+  return `${hint.count} possible answer${hint.count === 1 ? '' : 's'}${after}`;
+}
+
+function renderHints() {
+  const hints = game.hints || [];
+  if (hintBtn) hintBtn.hidden = !game.maxHints && !hints.length;
+  if (!hintBar) return;
+  hintBar.innerHTML = '';
+  hintBar.hidden = !hints.length;
+  hints.forEach(hint => {
+    const li = document.createElement('li');
+    li.textContent = describeHint(hint);
+    hintBar.appendChild(li);
+  });
+}
+
+function openHints() {
+  if (!hintDialog) return;
+  const left = game.hintsLeft;
+  hintsLeftEl.textContent = game.gameOver
+    ? 'The game is over'
+    : `${left} of ${game.maxHints} hint${game.maxHints === 1 ? '' : 's'} left for this game`;
+  hintDialog.querySelectorAll('[data-hint]').forEach(btn => { btn.disabled = game.gameOver || !left; });
+  hintDialog.showModal();
+}
+
+function useHint(type) {
+  if (revealing || loadingWord) return;
+  const result = game.hint(type, { words: listFor(currentLang, game.solution.length) });
+  if (!result.ok) {
+    if (result.error !== 'over') showMessage(t(currentLang, result.error));
+    return;
+  }
+  saveState();
+  hintDialog.close('cancel');
+  renderKeyboard();
+  renderHints();
+  showMessage(describeHint(result.hint), 3000);
+}
+
+// --- Post-game analysis ---
+// analysis.js replays a finished game against the solution list. The best-guess search tries
+// every allowed guess (words.js guessList) against every possible answer, so it runs in
+// analysis-worker.js; only where module workers aren't available does it fall back to this thread.
+let analysisWorker = null; // false once it couldn't start
+let analysisRequest = 0; // worker message id
+let analysisShown = 0;   // latest openAnalysis() call, so a slow result can't replace a newer one
+
+function analyzeInWorker(input) {
+  if (analysisWorker === null) {
+    try {
+      analysisWorker = new Worker(new URL('./analysis-worker.js', import.meta.url), { type: 'module' });
+    } catch (_) {
+      analysisWorker = false;
+    }
+  }
+  if (!analysisWorker) return new Promise(resolve => setTimeout(() => resolve(analyzeGame(input)), 0));
+  const worker = analysisWorker;
+  const id = ++analysisRequest;
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      worker.removeEventListener('message', onMessage);
+      worker.removeEventListener('error', onError);
+    };
+    const onMessage = (e) => {
+      if (e.data.id !== id) return;
+      done();
+      if (e.data.error) reject(new Error(e.data.error));
+      else resolve(e.data.rows);
+    };
+    const onError = (e) => {
+      e.preventDefault();
+      done();
+      worker.terminate();
+      analysisWorker = false;
+      resolve(analyzeGame(input));
+    };
+    worker.addEventListener('message', onMessage);
+    worker.addEventListener('error', onError);
+    worker.postMessage({ id, game: input });
+  });
+}
+
+function bitsText(bits) {
+  return `${bits.toFixed(1)} bit${bits.toFixed(1) === '1.0' ? '' : 's'}`;
+}
+
+function renderAnalysis(rows, input) {
+  // Without the guess list (offline and never loaded) the search covers what the game has.
+  const searched = input.hardMode ? 'the answers still possible (hard mode)'
+    : input.guesses.length ? 'every allowed word' : 'the solution list and your own guesses (the full list of allowed words isn\'t available)';
+  analysisIntro.textContent = `${rows[0].before} possible answers at the start (the ${languageFor(currentLang).name} solution list). ` +
+    `Each bit of information halves the answers left. Best guesses are picked from ${searched}.`;
+  analysisList.innerHTML = '';
+  rows.forEach((row, i) => {
+    const li = document.createElement('li');
+    const line = document.createElement('div');
+    line.className = 'an-row';
+    const tiles = document.createElement('span');
+    tiles.className = 'mini-tiles';
+    const statuses = evaluateGuess(row.guess, input.solution);
+    tiles.setAttribute('aria-label', `Row ${i + 1}: ` + Array.from(row.guess, (letter, j) => `${letter} ${statuses[j]}`).join(', '));
+    Array.from(row.guess).forEach((letter, j) => {
+      const tile = document.createElement('span');
+      tile.className = `mini-tile ${statuses[j]}`;
+      tile.setAttribute('aria-hidden', 'true');
+      tile.textContent = letter;
+      tiles.appendChild(tile);
+    });
+    const counts = document.createElement('span');
+    counts.textContent = `${row.before} → ${row.after} left · ${bitsText(row.bits)}`;
+    line.append(tiles, counts);
+    const best = document.createElement('div');
+    best.className = 'an-best';
+    if (row.before === 1) best.textContent = 'Only the answer was left';
+    else if (row.best.guess === row.guess) best.textContent = `The best guess: ${bitsText(row.expected)} expected`;
+    else if (row.best.bits - row.expected < 1e-9) best.textContent = `As good as the best guess (${row.best.guess}): ${bitsText(row.expected)} expected`;
+    else best.textContent = `Best: ${row.best.guess}, ${bitsText(row.best.bits)} expected (yours ${row.expected.toFixed(1)})`;
+    li.append(line, best);
+    analysisList.appendChild(li);
+  });
+}
+
+async function openAnalysis() {
+  if (!analysisDialog || !game.gameOver || !game.attempts.length || game.solutions || game.evil) return;
+  if (statsDialog.open) statsDialog.close('cancel');
+  const input = {
+    solution: game.solution,
+    attempts: game.attempts.slice(),
+    words: listFor(currentLang, game.solution.length),
+    guesses: [],
+    hardMode: game.hardMode
+  };
+  const shown = ++analysisShown;
+  analysisList.innerHTML = '';
+  analysisIntro.textContent = 'Working out the best guesses…';
+  analysisDialog.showModal();
+  try {
+    if (!input.hardMode) input.guesses = await guessList(currentLang, input.solution.length);
+    if (shown !== analysisShown || !analysisDialog.open) return;
+    const rows = await analyzeInWorker(input);
+    if (shown !== analysisShown || !analysisDialog.open) return;
+    renderAnalysis(rows, input);
+  } catch (e) {
+    if (shown !== analysisShown) return;
+    analysisIntro.textContent = `Analysis failed: ${e.message}`;
+  }
+}
+
+// --- Group leaderboard ---
+// Optional: only used when Settings has a server URL (and a nickname). See server/server.mjs.
+const DEFAULT_GROUP = 'everyone'; // same as server/leaderboard.mjs
+let postedId = null; // today's result the server has accepted
+let posting = null;  // request in flight
+
+function leaderboardEnabled() {
+  return !!(settings.serverUrl && settings.nickname);
+}
+
+// Random secret that claims the nickname on the server the first time a result is posted.
+function serverToken() {
+  if (!settings.serverToken) {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    settings.serverToken = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    saveSettings();
+  }
+  return settings.serverToken;
+}
+
+async function serverRequest(path, body) {
+  const url = new URL(path, settings.serverUrl.replace(/\/?$/, '/'));
+  const init = body ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) } : {};
+  let res;
+  try {
+    res = await fetch(url, init);
+  } catch (_) {
+    throw new Error('Can\'t reach the server');
   }
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Server error ${res.status}`);
+  return data;
+}
+
+// Post today's finished official game once; resolves to the server's reply, or null if
+// there's nothing (new) to post.
+function postResult() {
+  if (!leaderboardEnabled() || mode !== 'daily' || isCustomDaily() || !game.gameOver) return Promise.resolve(null);
+  const id = `${currentLang}${wordLength}-${todayPuzzle()}`;
+  if (id === postedId) return Promise.resolve(null);
+  if (!posting) {
+    posting = serverRequest('api/results', {
+      nickname: settings.nickname,
+      token: serverToken(),
+      group: settings.group || DEFAULT_GROUP,
+      lang: currentLang,
+      length: wordLength,
+      puzzle: todayPuzzle(),
+      attempts: game.attempts,
+      hardMode: game.hardMode,
+      hints: game.hints
+    }).then(data => { postedId = id; return data; }).finally(() => { posting = null; });
+  }
+  return posting;
+}
+
+function renderLeaderboard(entries, note = '') {
+  leaderboardList.innerHTML = '';
+  if (!entries || !entries.length) {
+    const li = document.createElement('li');
+    li.className = 'empty';
+    li.textContent = note || 'No results yet today';
+    leaderboardList.appendChild(li);
+    return;
+  }
+  const me = settings.nickname.toLowerCase();
+  entries.forEach(entry => {
+    const li = document.createElement('li');
+    if (entry.nickname.toLowerCase() === me) li.className = 'me';
+    const rank = document.createElement('span');
+    rank.className = 'lb-rank';
+    rank.textContent = entry.rank;
+    const name = document.createElement('span');
+    name.className = 'lb-name';
+    name.textContent = entry.nickname;
+    const score = document.createElement('span');
+    score.textContent = `${entry.solved ? entry.guesses : 'X'}/${DEFAULT_ATTEMPTS}${entry.hardMode ? '*' : ''}${entry.hints ? ` 💡${entry.hints}` : ''}`;
+    li.append(rank, name, score);
+    leaderboardList.appendChild(li);
+  });
+}
+
+async function refreshLeaderboard() {
+  if (!leaderboardSection) return;
+  leaderboardSection.hidden = !leaderboardEnabled();
+  if (leaderboardSection.hidden) return;
+  const query = { lang: currentLang, length: wordLength, puzzle: todayPuzzle(), group: settings.group || DEFAULT_GROUP };
+  leaderboardTitle.textContent = `Leaderboard: ${query.group}, #${query.puzzle}`;
+  renderLeaderboard(null, 'Loading…');
+  try {
+    const posted = await postResult();
+    const data = posted || await serverRequest(`api/leaderboard?${new URLSearchParams(query)}`);
+    renderLeaderboard(data.entries);
+  } catch (e) {
+    renderLeaderboard(null, `Leaderboard unavailable: ${e.message}`);
+  }
+}
+
+// Official words and word files arrive asynchronously (dailyWord, loadLanguage); input waits
+// meanwhile, and a word that arrives after another game was put on the board is dropped.
+let wordRequest = 0;
+let loadingWord = false;
+
+// Resolves to the word, or null if another game was loaded in the meantime.
+async function awaitWord(word) {
+  const request = ++wordRequest;
+  loadingWord = true;
+  const solution = await word;
+  if (request !== wordRequest) return null;
+  loadingWord = false;
+  return solution;
+}
+
+// Put `solution` on the board, resuming `restored` progress if it was for the same word.
+function loadGame(solution, restored, tries = DEFAULT_ATTEMPTS) {
+  showGame(restoreGame(restored, {
+    solution,
+    lang: currentLang,
+    maxAttempts: tries,
+    hardMode: settings.hardMode,
+    maxHints: settings.hints,
+    timed: settings.speedRun,
+    isAllowed: isAllowedGuess
+  }));
+}
+
+// Make `next` (a single or multi-board engine.js game) the game on the board.
+function showGame(next) {
+  wordRequest++;
+  loadingWord = false;
+  flushClock();
+  game = next;
+  clockFrom = null;
+  flushClock();
   saveState();
+  renderTimer();
   renderBoard();
   renderKeyboard();
+  renderHints();
+  renderModeBar();
+  renderPuzzleNo();
+  renderCountdown();
+}
+
+async function startGame(manualSwitch = false) {
+  // A challenge only borrows its language; the daily game goes back to the chosen one.
+  if (mode === 'challenge') leaveChallenge();
+  mode = 'daily';
+  archivePuzzle = null;
+  const today = dayId();
+  if (!manualSwitch && firstLoad) {
+    // Saves from before the settings dialog only know the language through the game itself.
+    const previous = settings.lang ? null : loadState();
+    if (settings.lang) currentLang = settings.lang;
+    else if (previous && previous.dayId === today && previous.lang) currentLang = previous.lang;
+  }
+  applySettings();
+  const restored = loadState();
+
+  const solution = await awaitWord(pickWord());
+  if (solution === null) return;
+  if (!solution) { showNoWords(); return; }
+
+  // Custom answers aren't archived, so they only resume from the daily save.
+  const archived = isCustomDaily() ? null : archiveGame(currentLang, todayPuzzle());
+  loadGame(solution, dailySave(restored, archived, today, currentLang));
+  loadedDay = today;
   firstLoad = false;
 }
 
-// --- Share feature ---
-function buildShareText() {
-  // Build emoji grid from finalized (full-length) guesses
-  const lines = attempts.filter(g => g.length === targetWord.length);
-  const emojiLines = lines.map(g => {
-    const evalSt = evaluateGuess(g, targetWord);
-    return evalSt.map(st => st === 'correct' ? '🟩' : st === 'present' ? '🟨' : '⬛').join('');
+// --- Archive & practice ---
+function archiveGame(lang, puzzle) {
+  const games = readStore(lengthKey(ARCHIVE_KEY))[lang] || {};
+  return games[puzzle] || null;
+}
+
+function saveArchiveGame(lang, puzzle, snapshot) {
+  const all = readStore(lengthKey(ARCHIVE_KEY));
+  all[lang] = { ...(all[lang] || {}), [puzzle]: snapshot };
+  writeStore(lengthKey(ARCHIVE_KEY), all);
+}
+
+function dropArchiveGame(lang, puzzle) {
+  const all = readStore(lengthKey(ARCHIVE_KEY));
+  if (!all[lang] || !all[lang][puzzle]) return;
+  delete all[lang][puzzle];
+  writeStore(lengthKey(ARCHIVE_KEY), all);
+}
+
+function practiceFor(lang) {
+  const entry = readStore(lengthKey(PRACTICE_KEY))[lang] || {};
+  return { played: entry.played || 0, wins: entry.wins || 0, game: entry.game || null };
+}
+
+function savePractice(lang, patch) {
+  const all = readStore(lengthKey(PRACTICE_KEY));
+  all[lang] = { ...practiceFor(lang), ...patch };
+  writeStore(lengthKey(PRACTICE_KEY), all);
+}
+
+async function openArchivePuzzle(puzzle) {
+  const latest = todayPuzzle();
+  if (!Number.isInteger(puzzle) || puzzle < 1 || puzzle > latest) {
+    showMessage(`Pick a puzzle from #1 to #${latest}`);
+    return false;
+  }
+  if (puzzle === latest) { await startGame(true); return true; }
+  const solution = await awaitWord(puzzleWord(currentLang, puzzle));
+  if (solution === null) return false;
+  if (!solution) { showNoWords(); return false; }
+  mode = 'archive';
+  archivePuzzle = puzzle;
+  loadGame(solution, archiveGame(currentLang, puzzle));
+  return true;
+}
+
+// Resume the saved practice game for this language, or draw a new random word.
+async function startPractice(fresh = false) {
+  if (await awaitWord(loadLanguage(currentLang)) === null) return;
+  const words = listFor(currentLang);
+  if (!words.length) { showNoWords(); return; }
+  const saved = practiceFor(currentLang).game;
+  mode = 'practice';
+  archivePuzzle = null;
+  if (!fresh && saved && words.includes(saved.solution)) {
+    loadGame(saved.solution, saved);
+    return;
+  }
+  let solution = words[Math.floor(Math.random() * words.length)];
+  if (words.length > 1 && saved && solution === saved.solution) {
+    solution = words[(words.indexOf(solution) + 1) % words.length];
+  }
+  loadGame(solution, null);
+}
+
+// --- Multi-board ---
+// A daily puzzle with 2 or 4 words scored at once (engine.js). The words come from the
+// solution list by formula; scheduled answers are one per day, so they can't be used.
+const MULTI_NAMES = { 2: 'Duo', 4: 'Quad' };
+
+function multiGame(lang, boards) {
+  const games = readStore(lengthKey(MULTI_KEY))[lang] || {};
+  return games[boards] || null;
+}
+
+function saveMultiGame(lang, boards, snapshot) {
+  const all = readStore(lengthKey(MULTI_KEY));
+  all[lang] = { ...(all[lang] || {}), [boards]: snapshot };
+  writeStore(lengthKey(MULTI_KEY), all);
+}
+
+async function startMulti(boards) {
+  if (mode === 'challenge') leaveChallenge();
+  if (await awaitWord(loadLanguage(currentLang)) === null) return;
+  const words = listFor(currentLang);
+  if (new Set(words).size < boards) { showNoWords(); return; }
+  mode = 'multi';
+  multiBoards = boards;
+  archivePuzzle = null;
+  const today = dayId();
+  const saved = multiGame(currentLang, boards);
+  showGame(restoreMultiGame(saved && saved.dayId === today ? saved : null, {
+    solutions: dailyWords(words, `${currentLang}${wordLength}`, boards, dayNumberNow()),
+    lang: currentLang,
+    maxAttempts: MULTI_ATTEMPTS[boards],
+    isAllowed: isAllowedGuess
+  }));
+  loadedDay = today;
+  firstLoad = false;
+}
+
+// --- Evil mode ---
+// No fixed answer: engine.js dodges each guess within the solution list (newEvilGame), so the
+// word is only settled once one fits. One saved game per language, like practice.
+function evilGame(lang) {
+  return readStore(lengthKey(EVIL_KEY))[lang] || null;
+}
+
+function saveEvilGame(lang, snapshot) {
+  const all = readStore(lengthKey(EVIL_KEY));
+  all[lang] = snapshot;
+  writeStore(lengthKey(EVIL_KEY), all);
+}
+
+async function startEvil(fresh = false) {
+  if (mode === 'challenge') leaveChallenge();
+  if (await awaitWord(loadLanguage(currentLang)) === null) return;
+  const words = listFor(currentLang);
+  if (!words.length) { showNoWords(); return; }
+  mode = 'evil';
+  archivePuzzle = null;
+  showGame(restoreEvilGame(fresh ? null : evilGame(currentLang), {
+    words,
+    length: wordLength,
+    lang: currentLang,
+    hardMode: settings.hardMode,
+    isAllowed: isAllowedGuess
+  }));
+  firstLoad = false;
+}
+
+function nextEvilGame() {
+  const inProgress = game.attempts.length > 0 && !game.gameOver;
+  if (inProgress && !window.confirm('Give up this game?')) return;
+  startEvil(true);
+}
+
+// "2315 → 96 → 4 → 1": how many words were still possible at the start and after each guess.
+function evilSteps() {
+  return game.counts.join(' → ');
+}
+
+function nextPracticeWord() {
+  const inProgress = game.attempts.length > 0 && !game.gameOver;
+  if (inProgress && !window.confirm('Give up this practice word?')) return;
+  if (inProgress) finishGame(false);
+  startPractice(true);
+}
+
+function setLanguage(lang) {
+  currentLang = lang;
+  settings.lang = lang;
+  saveSettings();
+  applySettings();
+}
+
+// Re-enter the current mode, e.g. after the language or settings changed.
+async function restartMode() {
+  applySettings();
+  if (mode === 'archive') await openArchivePuzzle(archivePuzzle);
+  else if (mode === 'practice') await startPractice(false);
+  else if (mode === 'challenge' && activeChallenge.lang === currentLang) await startChallenge(activeChallenge);
+  else if (mode === 'multi') await startMulti(multiBoards);
+  else if (mode === 'evil') await startEvil(false);
+  else await startGame(true);
+}
+
+function renderModeBar() {
+  if (!modeBar) return;
+  modeBar.innerHTML = '';
+  modeBar.hidden = mode === 'daily';
+  if (mode === 'daily') return;
+  const label = document.createElement('span');
+  if (mode === 'archive') {
+    label.textContent = `Archive · Puzzle #${archivePuzzle} · ${puzzleDate(archivePuzzle)}`;
+  } else if (mode === 'challenge') {
+    label.textContent = `Challenge · ${game.solution.length} letters · ${game.maxAttempts} tries`;
+  } else if (mode === 'multi') {
+    label.textContent = `${MULTI_NAMES[multiBoards]} · ${multiBoards} words · ${game.maxAttempts} tries`;
+  } else if (mode === 'evil') {
+    label.textContent = game.gameOver
+      ? `Evil · ended on ${game.solution} · words left: ${evilSteps()}`
+      : `Evil · ${game.candidates} word${game.candidates === 1 ? '' : 's'} still possible`;
+  } else {
+    const tally = practiceFor(currentLang);
+    label.textContent = `Practice · solved ${tally.wins}/${tally.played}`;
+  }
+  modeBar.appendChild(label);
+  if (mode === 'practice' || mode === 'evil') {
+    const next = document.createElement('button');
+    next.type = 'button';
+    next.textContent = mode === 'evil' ? 'New game' : 'New word';
+    next.addEventListener('click', mode === 'evil' ? nextEvilGame : nextPracticeWord);
+    modeBar.appendChild(next);
+  }
+  const back = document.createElement('button');
+  back.type = 'button';
+  back.textContent = 'Today';
+  back.addEventListener('click', () => startGame(true));
+  modeBar.appendChild(back);
+}
+
+// --- Challenge links ---
+// A link carries one word, sealed with the language's key by wordcodec.js (encryptWord) behind a
+// version prefix. It only keeps the word out of sight in the URL: #challenge=v2.<code>&lang=uk&tries=6
+// Links from before the prefix are XOR'ed as JSON, UTF-8 and URL-safe base64; they are only
+// decoded, so links already shared keep working.
+const CHALLENGE_MIN_TRIES = 3;
+const CHALLENGE_MAX_TRIES = 8;
+const CHALLENGE_PREFIX = 'v2.';
+const LEGACY_CHALLENGE_XOR = 'fd@3r!@#rxc$%g';
+let activeChallenge = null; // { id, word, lang, tries } while mode === 'challenge'
+
+function decodeLegacyChallengeWord(code) {
+  try {
+    const b64 = code.replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(b64 + '='.repeat((4 - b64.length % 4) % 4)), c => c.charCodeAt(0));
+    const text = new TextDecoder().decode(bytes).split('')
+      .map((c, i) => String.fromCharCode(c.charCodeAt(0) ^ LEGACY_CHALLENGE_XOR.charCodeAt(i % LEGACY_CHALLENGE_XOR.length))).join('');
+    const [word] = JSON.parse(text);
+    return typeof word === 'string' ? word : '';
+  } catch (_) {
+    return '';
+  }
+}
+
+async function decodeChallengeWord(code, lang) {
+  const word = code.startsWith(CHALLENGE_PREFIX)
+    ? await decryptWord(code.slice(CHALLENGE_PREFIX.length), lang)
+    : decodeLegacyChallengeWord(code);
+  return word.normalize('NFC').toUpperCase();
+}
+
+async function challengeLink(word, lang, tries) {
+  const params = new URLSearchParams({ challenge: CHALLENGE_PREFIX + await encryptWord(word, lang), lang });
+  if (tries !== DEFAULT_ATTEMPTS) params.set('tries', tries);
+  return `${location.origin}${location.pathname}#${params}`;
+}
+
+// Resolves to the challenge described by the URL hash, or null if there is none / it's invalid.
+async function challengeFromHash() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  const code = params.get('challenge');
+  if (!code) return null;
+  const lang = isLanguage(params.get('lang')) ? params.get('lang') : DEFAULT_LANG;
+  const word = normalizeWord(await decodeChallengeWord(code, lang), lang);
+  const tries = Number(params.get('tries')) || DEFAULT_ATTEMPTS;
+  if (!isCustomLength(word) || !fitsAlphabet(word, lang)) return null;
+  if (!Number.isInteger(tries) || tries < CHALLENGE_MIN_TRIES || tries > CHALLENGE_MAX_TRIES) return null;
+  return { id: `${lang}:${tries}:${code}`, word, lang, tries };
+}
+
+// The word comes with the link; the language's list is only loaded to check guesses (without
+// it, as for lengths with no allowed list, any guess is accepted).
+async function startChallenge(challenge) {
+  if (await awaitWord(loadLanguage(challenge.lang)) === null) return;
+  activeChallenge = challenge;
+  mode = 'challenge';
+  archivePuzzle = null;
+  currentLang = challenge.lang;
+  applySettings();
+  const saved = readStore(CHALLENGE_KEY);
+  loadGame(challenge.word, saved.id === challenge.id ? saved.game : null, challenge.tries);
+  firstLoad = false;
+}
+
+// True if the URL has a challenge; it starts once its word is decoded. A broken link shows a
+// message, and on first load the daily game starts instead.
+function startChallengeFromHash() {
+  if (!location.hash.includes('challenge=')) return false;
+  challengeFromHash().then(challenge => {
+    if (!challenge) {
+      if (cryptoAvailable()) showMessage('This challenge link is broken');
+      else showNoWords();
+      if (firstLoad) startGame(false);
+      return;
+    }
+    if (mode === 'challenge' && activeChallenge.id === challenge.id) return;
+    startChallenge(challenge);
+    showMessage(`Challenge: ${challenge.word.length} letters, ${challenge.tries} tries`);
+  });
+  return true;
+}
+
+function leaveChallenge() {
+  activeChallenge = null;
+  if (settings.lang) currentLang = settings.lang;
+  applySettings();
+  if (location.hash) history.replaceState(null, '', location.pathname + location.search);
+}
+
+function challengeFormWord() {
+  return normalizeWord(challengeWordInput.value, challengeLangSelect.value);
+}
+
+function validateChallengeForm() {
+  const lang = challengeLangSelect.value;
+  const word = challengeFormWord();
+  challengeWordInput.setCustomValidity('');
+  if (!word) challengeWordInput.setCustomValidity('Type the word your friend should guess');
+  else if (!fitsAlphabet(word, lang)) challengeWordInput.setCustomValidity(`Use ${languageFor(lang).name} letters only`);
+  else if (!isCustomLength(word)) challengeWordInput.setCustomValidity(`Use ${CUSTOM_MIN_LEN}–${CUSTOM_MAX_LEN} letters`);
+  return challengeWordInput.reportValidity();
+}
+
+async function copyChallengeLink() {
+  if (!validateChallengeForm()) return;
+  let link;
+  try {
+    link = await challengeLink(challengeFormWord(), challengeLangSelect.value, Number(challengeTriesSelect.value));
+  } catch (e) {
+    showMessage(e.message, 6000);
+    return;
+  }
+  try {
+    if (navigator.share) {
+      await navigator.share({ text: 'Can you guess my word?', url: link });
+    } else {
+      await navigator.clipboard.writeText(link);
+      showMessage('Challenge link copied');
+    }
+    challengeDialog.close('cancel');
+  } catch (e) {
+    if (e && e.name === 'AbortError') return;
+    try {
+      await navigator.clipboard.writeText(link);
+      showMessage('Challenge link copied');
+      challengeDialog.close('cancel');
+    } catch {
+      window.prompt('Copy this link', link);
+    }
+  }
+}
+
+function openChallengeDialog() {
+  if (!challengeDialog) return;
+  challengeWordInput.value = '';
+  challengeWordInput.setCustomValidity('');
+  challengeLangSelect.value = currentLang;
+  challengeTriesSelect.value = String(DEFAULT_ATTEMPTS);
+  challengeDialog.showModal();
+}
+
+// --- Puzzle number, countdown & midnight rollover ---
+let loadedDay = null; // dayId the daily game was started on
+
+function renderPuzzleNo() {
+  if (!puzzleNoEl) return;
+  if (mode === 'practice') puzzleNoEl.textContent = 'Practice';
+  else if (mode === 'evil') puzzleNoEl.textContent = 'Evil';
+  else if (mode === 'challenge') puzzleNoEl.textContent = 'Challenge';
+  else if (mode === 'multi') puzzleNoEl.textContent = `${MULTI_NAMES[multiBoards]} #${todayPuzzle()}`;
+  else if (isCustomDaily()) puzzleNoEl.textContent = 'Custom';
+  else puzzleNoEl.textContent = `#${mode === 'archive' ? archivePuzzle : todayPuzzle()}`;
+  if (wordLength !== DEFAULT_LENGTH && !isCustomDaily()) puzzleNoEl.textContent += ` · ${wordLength}`;
+}
+
+function msUntilNextPuzzle() {
+  return (dayId() + 1) * 86400000 - Date.now();
+}
+
+function formatCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+}
+
+// Puzzles roll over at UTC midnight; the "at" time is shown in the player's own zone.
+function renderCountdown() {
+  const show = (mode === 'daily' || mode === 'multi') && game.gameOver;
+  const nextAt = new Date((dayId() + 1) * 86400000)
+    .toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  document.querySelectorAll('.countdown').forEach(el => {
+    el.hidden = !show;
+    if (show) el.textContent = `Next puzzle in ${formatCountdown(msUntilNextPuzzle())} (at ${nextAt})`;
   });
-  const solved = gameOver && lines[lines.length - 1] === targetWord;
-  const attemptsCount = solved ? lines.length : 'X';
-  return `Guess Mosaic (${currentLang.toUpperCase()}) ${attemptsCount}/${maxAttempts}\n` + emojiLines.join('\n');
+}
+
+function checkRollover() {
+  if (loadedDay === null || dayId() === loadedDay) return;
+  loadedDay = dayId();
+  if (mode === 'multi') {
+    startMulti(multiBoards);
+    showMessage(`Puzzle #${todayPuzzle()} is here`, 3500);
+    return;
+  }
+  if (mode !== 'daily') { renderPuzzleNo(); return; }
+  const unfinished = game.attempts.length > 0 && !game.gameOver && !isCustomDaily();
+  startGame(true);
+  showMessage(unfinished
+    ? `Puzzle #${todayPuzzle()} is here. Yesterday's game is in the archive`
+    : `Puzzle #${todayPuzzle()} is here`, 3500);
+}
+
+function tickClock() {
+  checkRollover();
+  renderCountdown();
+  flushClock();
+  renderTimer();
+}
+
+const STATUS_LABELS = { solved: 'Solved', failed: 'Failed', playing: 'In progress', unplayed: 'Unplayed' };
+
+function renderArchive() {
+  const lang = archiveLangSelect.value;
+  fillLengthOptions(archiveLengthSelect, lang, Number(archiveLengthSelect.value) || wordLength);
+  const latest = todayPuzzle();
+  const games = readStore(lengthKey(ARCHIVE_KEY, Number(archiveLengthSelect.value)))[lang] || {};
+  archiveNumberInput.max = latest;
+  archiveList.innerHTML = '';
+  for (let n = latest; n >= 1; n--) {
+    const saved = games[n] || null;
+    const status = gameStatus(saved);
+    const item = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = `archive-item ${status}`;
+    const score = status === 'solved' ? ` ${saved.attempts.length}/${DEFAULT_ATTEMPTS}` : '';
+    btn.textContent = `#${n} · ${n === latest ? 'Today' : puzzleDate(n)} · ${STATUS_LABELS[status]}${score}`;
+    btn.addEventListener('click', () => openFromArchive(n));
+    item.appendChild(btn);
+    archiveList.appendChild(item);
+  }
+}
+
+// Opening a puzzle from the dialog may also switch to the language/length browsed.
+function useArchiveSelection() {
+  const len = Number(archiveLengthSelect.value);
+  if (archiveLangSelect.value !== currentLang || len !== wordLength) {
+    settings.length = len;
+    setLanguage(archiveLangSelect.value);
+  }
+}
+
+async function openFromArchive(puzzle) {
+  useArchiveSelection();
+  if (await openArchivePuzzle(puzzle)) archiveDialog.close('cancel');
+}
+
+function openArchive() {
+  if (!archiveDialog) return;
+  archiveLangSelect.value = currentLang;
+  archiveLengthSelect.value = '';
+  fillLengthOptions(archiveLengthSelect, currentLang, wordLength);
+  archiveNumberInput.value = '';
+  renderArchive();
+  archiveDialog.showModal();
+}
+
+// --- Share feature ---
+function shareTitle() {
+  const len = (game.solutions || [game.solution])[0].length;
+  const lang = currentLang.toUpperCase() + (len !== DEFAULT_LENGTH ? ` · ${len}` : '');
+  if (mode === 'practice') return `Guess Mosaic Practice (${lang})`;
+  if (mode === 'evil') return `Guess Mosaic Evil (${lang})`;
+  if (mode === 'challenge') return `Guess Mosaic Challenge (${lang})`;
+  if (mode === 'multi') return `Guess Mosaic ${MULTI_NAMES[multiBoards]} #${todayPuzzle()} (${lang})`;
+  if (isCustomDaily()) return `Guess Mosaic Custom (${lang})`;
+  return `Guess Mosaic #${mode === 'archive' ? archivePuzzle : todayPuzzle()} (${lang})`;
+}
+
+// --- Backup & sync ---
+// Everything lives in localStorage, so a backup is a copy of our keys (see sync.js).
+function readAllStores() {
+  const data = {};
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const storeKey = localStorage.key(i);
+      if (!parseStoreKey(storeKey)) continue;
+      try { data[storeKey] = JSON.parse(localStorage.getItem(storeKey)); } catch (_) { }
+    }
+  } catch (_) { }
+  return data;
+}
+
+async function fillSyncCode() {
+  syncCodeInput.value = '';
+  try {
+    syncCodeInput.value = await encodeBackup(makeBackup(readAllStores()));
+  } catch (e) {
+    console.error(e);
+    showMessage('Could not create a backup code');
+  }
+}
+
+function openSync() {
+  if (!syncDialog) return;
+  saveState();
+  if (settingsDialog.open) settingsDialog.close('cancel');
+  syncFileInput.value = '';
+  fillSyncCode();
+  syncDialog.showModal();
+}
+
+async function copySyncCode() {
+  if (!syncCodeInput.value) await fillSyncCode();
+  try {
+    await navigator.clipboard.writeText(syncCodeInput.value);
+    showMessage('Backup code copied');
+  } catch (_) {
+    syncCodeInput.select();
+    showMessage('Select the code and copy it');
+  }
+}
+
+function downloadBackup() {
+  const backup = makeBackup(readAllStores());
+  const blob = new Blob([JSON.stringify(backup, null, 1)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `guess-mosaic-backup-${backup.exportedAt.slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Merge a backup (code or file contents) into this device and reload the current game.
+async function importBackup(text) {
+  let backup;
+  try {
+    backup = await decodeBackup(text);
+  } catch (e) {
+    showMessage(e.message, 3000);
+    return false;
+  }
+  saveState();
+  const local = readAllStores();
+  const { data, gamesUpdated } = mergeBackupData(local, backup.data);
+  try {
+    for (const [storeKey, value] of Object.entries(data)) {
+      if (JSON.stringify(value) !== JSON.stringify(local[storeKey])) localStorage.setItem(storeKey, JSON.stringify(value));
+    }
+  } catch (_) {
+    showMessage('Not enough storage to import this backup');
+    return false;
+  }
+  settings = loadSettings();
+  applyContrast();
+  applyTheme();
+  await restartMode();
+  if (syncDialog.open) syncDialog.close('cancel');
+  showMessage(gamesUpdated ? `Backup imported: ${gamesUpdated} game${gamesUpdated === 1 ? '' : 's'} updated` : 'Backup imported: nothing newer to add');
+  return true;
 }
 
 async function shareResult() {
-  if (!attempts.length) { showMessage('Nothing to share yet'); return; }
-  const text = buildShareText();
+  if (!game.attempts.length) { showMessage('Nothing to share yet'); return; }
+  const build = game.solutions ? buildMultiShareText : buildShareText;
+  const text = build(game, shareTitle(), { highContrast: settings.highContrast });
   try {
     if (navigator.share) {
       await navigator.share({ text });
@@ -337,16 +1686,286 @@ if (shareBtn) {
   shareBtn.addEventListener('click', shareResult);
 }
 
-startGame(false);
+if (hintDialog) {
+  hintBtn.addEventListener('click', openHints);
+  hintDialog.querySelectorAll('[data-hint]').forEach(btn => btn.addEventListener('click', () => useHint(btn.dataset.hint)));
+}
+
+if (statsDialog) {
+  statsBtn.addEventListener('click', openStats);
+  statsShareBtn.addEventListener('click', shareResult);
+  if (statsAnalysisBtn) statsAnalysisBtn.addEventListener('click', openAnalysis);
+}
+
+if (archiveDialog) {
+  fillLanguageOptions(archiveLangSelect);
+  archiveBtn.addEventListener('click', openArchive);
+  archiveLangSelect.addEventListener('change', renderArchive);
+  archiveLengthSelect.addEventListener('change', renderArchive);
+  const openByNumber = () => openFromArchive(Number(archiveNumberInput.value));
+  archiveGoBtn.addEventListener('click', openByNumber);
+  archiveNumberInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); openByNumber(); }
+  });
+  practiceBtn.addEventListener('click', () => {
+    useArchiveSelection();
+    startPractice(false);
+    archiveDialog.close('cancel');
+  });
+  evilBtn.addEventListener('click', () => {
+    useArchiveSelection();
+    startEvil(false);
+    archiveDialog.close('cancel');
+  });
+  multiBtns.forEach(btn => btn.addEventListener('click', () => {
+    useArchiveSelection();
+    startMulti(Number(btn.dataset.boards));
+    archiveDialog.close('cancel');
+  }));
+}
+
+if (challengeDialog) {
+  fillLanguageOptions(challengeLangSelect);
+  for (let n = CHALLENGE_MIN_TRIES; n <= CHALLENGE_MAX_TRIES; n++) {
+    const opt = document.createElement('option');
+    opt.value = n;
+    opt.textContent = `${n} tries`;
+    challengeTriesSelect.appendChild(opt);
+  }
+  challengeBtn.addEventListener('click', openChallengeDialog);
+  challengeCopyBtn.addEventListener('click', copyChallengeLink);
+  challengeWordInput.addEventListener('input', () => challengeWordInput.setCustomValidity(''));
+  challengeWordInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); copyChallengeLink(); }
+  });
+}
+window.addEventListener('hashchange', startChallengeFromHash);
+
+if (syncDialog) {
+  syncOpenBtn.addEventListener('click', openSync);
+  syncCopyBtn.addEventListener('click', copySyncCode);
+  syncDownloadBtn.addEventListener('click', downloadBackup);
+  syncImportBtn.addEventListener('click', () => importBackup(syncCodeInput.value));
+  syncFileInput.addEventListener('change', async () => {
+    const file = syncFileInput.files[0];
+    if (file) await importBackup(await file.text());
+    syncFileInput.value = '';
+  });
+}
+
+// --- Settings dialog ---
+function fillLanguageOptions(select) {
+  select.innerHTML = '';
+  Object.entries(LANGUAGES).forEach(([code, lang]) => {
+    const opt = document.createElement('option');
+    opt.value = code;
+    opt.textContent = lang.name;
+    select.appendChild(opt);
+  });
+}
+
+// Letters of the chosen language, upper and lower case, 3-8 of them.
+function updateAnswerPattern() {
+  const letters = languageFor(langSelect.value).alphabet;
+  customAnswerInput.pattern = `[${letters}${letters.toLowerCase()}]{${CUSTOM_MIN_LEN},${CUSTOM_MAX_LEN}}`;
+}
+
+// Offer only lengths that have words for `lang`; keep `selected` if it is one of them. With one
+// length (a word file built with a single one) the picker is hidden.
+function fillLengthOptions(select, lang, selected) {
+  const lengths = lengthsFor(lang);
+  select.innerHTML = '';
+  lengths.forEach(len => {
+    const opt = document.createElement('option');
+    opt.value = len;
+    opt.textContent = `${len} letters`;
+    select.appendChild(opt);
+  });
+  select.value = lengths.includes(selected) ? selected : DEFAULT_LENGTH;
+  (select.closest('label') || select).hidden = lengths.length < 2;
+}
+
+function fillSettingsLengths(lang, selected) {
+  fillLengthOptions(lengthSelect, lang, selected);
+  if (lengthTip) lengthTip.hidden = lengthSelect.closest('label').hidden;
+}
+
+function onSettingsLangChange() {
+  updateAnswerPattern();
+  fillSettingsLengths(langSelect.value, Number(lengthSelect.value));
+}
+
+function fillSettingsForm() {
+  langSelect.value = currentLang;
+  updateAnswerPattern();
+  fillSettingsLengths(currentLang, wordLength);
+  customAnswerInput.value = settings.customAnswer;
+  customListInput.value = settings.customList.join(', ');
+  hardModeInput.checked = settings.hardMode;
+  hintsPerGameSelect.value = String(settings.hints);
+  speedRunInput.checked = settings.speedRun;
+  highContrastInput.checked = settings.highContrast;
+  themeSelect.value = settings.theme;
+  serverUrlInput.value = settings.serverUrl;
+  nicknameInput.value = settings.nickname;
+  groupInput.value = settings.group;
+  nicknameInput.setCustomValidity('');
+  customAnswerInput.setCustomValidity('');
+  customListInput.setCustomValidity('');
+}
+
+function validateSettingsForm() {
+  const lang = langSelect.value;
+  const answer = normalizeWord(customAnswerInput.value, lang);
+  customAnswerInput.setCustomValidity('');
+  customListInput.setCustomValidity('');
+  if (answer && !customAnswerInput.validity.patternMismatch && !fitsAlphabet(answer, lang)) {
+    customAnswerInput.setCustomValidity(`Use ${languageFor(lang).name} letters only`);
+  }
+  if (customListInput.value.trim() && !parseCustomList(customListInput.value, lang).length) {
+    customListInput.setCustomValidity(`No ${CUSTOM_MIN_LEN}–${CUSTOM_MAX_LEN} letter words for this language`);
+  }
+  nicknameInput.setCustomValidity(serverUrlInput.value.trim() && !nicknameInput.value.trim() ? 'Pick a nickname for the leaderboard' : '');
+  return customAnswerInput.checkValidity() && customListInput.checkValidity() && nicknameInput.checkValidity();
+}
+
+function openSettings() {
+  if (!settingsDialog) return;
+  fillSettingsForm();
+  settingsDialog.showModal();
+}
+
+async function saveSettingsFromForm() {
+  const lang = isLanguage(langSelect.value) ? langSelect.value : DEFAULT_LANG;
+  const prevSolution = String(game.solutions || game.solution);
+  const hardModeChanged = hardModeInput.checked !== game.hardMode;
+  const prevCustom = JSON.stringify([settings.customAnswer, settings.customList]);
+  settings = {
+    ...settings,
+    lang,
+    length: Number(lengthSelect.value) || DEFAULT_LENGTH,
+    customAnswer: normalizeWord(customAnswerInput.value, lang),
+    customList: parseCustomList(customListInput.value, lang),
+    hardMode: hardModeInput.checked,
+    hints: HINT_LIMITS.includes(Number(hintsPerGameSelect.value)) ? Number(hintsPerGameSelect.value) : 0,
+    speedRun: speedRunInput.checked,
+    highContrast: highContrastInput.checked,
+    theme: THEMES.includes(themeSelect.value) ? themeSelect.value : 'system',
+    serverUrl: serverUrlInput.value.trim(),
+    nickname: nicknameInput.value.trim(),
+    group: groupInput.value.trim()
+  };
+  saveSettings();
+  applyContrast();
+  applyTheme();
+  const langChanged = lang !== currentLang;
+  currentLang = lang;
+  // A new custom answer/list is a daily-mode feature, so take the player there.
+  if (JSON.stringify([settings.customAnswer, settings.customList]) !== prevCustom) await startGame(true);
+  else await restartMode();
+  if (langChanged) showMessage(t(currentLang, 'switched'));
+  else if (String(game.solutions || game.solution) !== prevSolution) showMessage('New game started');
+  else if (hardModeChanged && game.hardMode !== settings.hardMode) showMessage('Hard mode changes apply to the next game');
+  else showMessage('Settings saved');
+}
+
+function resetToday() {
+  const hasProgress = game.attempts.length > 0 || game.currentGuess.length > 0;
+  if (hasProgress && !window.confirm('Reset today\'s game and lose current progress?')) return;
+  try { localStorage.removeItem(lengthKey(STORAGE_KEY)); } catch (_) { }
+  // startGame would resume today's archived game otherwise. Custom answers aren't archived.
+  if (!manualOverride && !customWords.length) dropArchiveGame(currentLang, todayPuzzle());
+  startGame(true);
+  if (settingsDialog) settingsDialog.close('cancel');
+  showMessage('Game reset');
+}
+
+if (settingsDialog) {
+  fillLanguageOptions(langSelect);
+  langSelect.addEventListener('change', onSettingsLangChange);
+  settingsBtn.addEventListener('click', openSettings);
+  resetBtn.addEventListener('click', resetToday);
+  saveBtn.addEventListener('click', (e) => {
+    if (!validateSettingsForm()) {
+      e.preventDefault();
+      settingsDialog.querySelector('form').reportValidity();
+    }
+  });
+  settingsDialog.addEventListener('close', () => {
+    if (settingsDialog.returnValue === 'default') saveSettingsFromForm();
+    settingsDialog.returnValue = '';
+  });
+}
+
+// --- Service worker & updates ---
+// A new version installs in the background and waits; the player decides when to reload.
+// Every move is already saved, so the game in progress picks up where it left off.
+function showUpdateToast(worker) {
+  if (!updateToast) return;
+  updateToast.hidden = false;
+  updateReloadBtn.onclick = () => {
+    saveState();
+    updateReloadBtn.disabled = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  };
+}
+
+// On the first visit the word file is imported before the worker runs; hand it the files loaded
+// so far so they work offline too. Later imports are cached by the worker's fetch handler.
+function cacheWordFiles(reg) {
+  const urls = Object.keys(LANGUAGES).filter(isLanguageLoaded).map(wordFileUrl);
+  if (reg.active && urls.length) reg.active.postMessage({ type: 'CACHE_WORDS', urls });
+}
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  // Only reload for an update the player accepted, not for the very first install.
+  const hadController = !!navigator.serviceWorker.controller;
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    location.reload();
+  });
+  navigator.serviceWorker.register('./service-worker.js').then(reg => {
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdateToast(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateToast(worker);
+      });
+    });
+    navigator.serviceWorker.ready.then(cacheWordFiles);
+    // Long-lived tabs (the PWA is often left open) check again when they come back.
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') reg.update().catch(() => {});
+    });
+  }).catch(e => console.error('Service worker registration failed', e));
+}
+
+applyContrast();
+applyTheme();
+if (!startChallengeFromHash()) startGame(false);
+setInterval(tickClock, 1000);
+// Timers are throttled in background tabs; catch up as soon as the tab is visible again.
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') tickClock();
+  else pauseClock();
+});
+window.addEventListener('pagehide', pauseClock);
+window.addEventListener('pageshow', tickClock);
+window.addEventListener('load', registerServiceWorker);
 
 // --- Physical keyboard support ---
 window.addEventListener('keydown', (e) => {
-  if (gameOver && e.key !== 'Enter') return;
+  if (document.querySelector('dialog[open]')) return;
+  if (e.ctrlKey || e.metaKey || e.altKey) return; // browser shortcuts
+  // A focused control (header button, on-screen key, picker) handles its own Enter/Space.
+  if ((e.key === 'Enter' || e.key === ' ') && e.target instanceof Element && e.target.closest('button, select, input, textarea, a')) return;
+  if (game.gameOver && e.key !== 'Enter') return;
   if (e.key === 'Enter') { submitGuess(); return; }
   if (e.key === 'Backspace' || e.key === 'Delete') { deleteLetter(); return; }
-  const letters = currentLang === 'uk'
-    ? 'АБВГҐДЕЄЖЗИІЇЙКЛМНОПРСТУФХЦЧШЩЬЮЯ'
-    : 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-  const k = e.key.toUpperCase();
-  if (letters.includes(k)) handleKey(k);
+  const k = normalizeWord(e.key, currentLang);
+  if (k.length === 1 && fitsAlphabet(k, currentLang)) handleKey(k);
 });
@@ -0,0 +1,674 @@
+// engine.js
+// Headless game rules shared by app.js, the build scripts and the Node tests (test/).
+// No DOM, storage or clock side effects: app.js renders from a game object and
+// persists game.serialize().
+import { DEFAULT_LANG, languageFor, fitsAlphabet } from './languages.js';
+
+export const DEFAULT_ATTEMPTS = 6;
+
+// --- Daily selection ---
+// Base epoch for stability: puzzle #1 is Jan 1 2025 (UTC).
+export const EPOCH_DAY = Date.UTC(2025, 0, 1) / 86400000; // days since 1970 for Jan 1 2025
+
+export function dayNumberNow(now = Date.now()) {
+  return Math.floor(now / 86400000 - EPOCH_DAY);
+}
+
+// Deterministic daily selection (UTC date) so everyone gets same word per language per day.
+// Passing an earlier dayNumber reproduces that day's puzzle for the archive.
+export function dailyIndex(words, seedId, dayNumber = dayNumberNow()) {
+  // Simple LCG mix with seed hash
+  let h = 0; for (let i = 0; i < seedId.length; i++) h = (h * 31 + seedId.charCodeAt(i)) >>> 0;
+  const mix = (dayNumber * 1103515245 + 12345 + h) >>> 0;
+  return mix % words.length;
+}
+
+// Official word for a day: the build-time schedule ({start, words}, index 0 is day `start`)
+// when it covers the day, otherwise the legacy formula over `words`.
+export function dailyWord(words, schedule, seedId, dayNumber = dayNumberNow()) {
+  const i = schedule ? dayNumber - schedule.start : -1;
+  if (i >= 0 && i < schedule.words.length) return schedule.words[i];
+  if (!words.length) return '';
+  return words[dailyIndex(words, seedId, dayNumber)];
+}
+
+// --- Scoring ---
+// Evaluate a guess against target using duplicate handling
+// Returns array of status strings: 'correct' | 'present' | 'absent'
+export function evaluateGuess(guess, target) {
+  const len = target.length;
+  const result = Array(len).fill('absent');
+  const counts = {};
+  for (let i = 0; i < len; i++) {
+    const ch = target[i];
+    counts[ch] = (counts[ch] || 0) + 1;
+  }
+  // First pass: correct positions
+  for (let i = 0; i < len; i++) {
+    if (guess[i] === target[i]) {
+      result[i] = 'correct';
+      counts[guess[i]] -= 1;
+    }
+  }
+  // Second pass: presents
+  for (let i = 0; i < len; i++) {
+    if (result[i] === 'correct') continue;
+    const g = guess[i];
+    if (counts[g] > 0) {
+      result[i] = 'present';
+      counts[g] -= 1;
+    }
+  }
+  return result;
+}
+
+// Best status seen per letter across `attempts`, for colouring the keyboard.
+export function computeStatuses(attempts, target) {
+  const status = {};
+  attempts.forEach(g => {
+    const evalSt = evaluateGuess(g, target);
+    for (let i = 0; i < g.length; i++) {
+      const l = g[i];
+      const st = evalSt[i];
+      if (st === 'correct') status[l] = 'correct';
+      else if (st === 'present') {
+        if (status[l] !== 'correct') status[l] = 'present';
+      } else {
+        if (!status[l]) status[l] = 'absent';
+      }
+    }
+  });
+  return status;
+}
+
+// --- Hard mode ---
+export function ordinal(n) {
+  const rem100 = n % 100;
+  if (rem100 >= 11 && rem100 <= 13) return `${n}th`;
+  return n + ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+}
+
+// Returns a toast message if `guess` ignores hints revealed by earlier attempts, else null.
+// Greens must stay in place; every hinted letter must appear at least as many times as it
+// was marked correct/present in a single row (mirrors duplicate handling in evaluateGuess).
+export function hardModeViolation(guess, previous, target) {
+  for (const prev of previous) {
+    const st = evaluateGuess(prev, target);
+    for (let i = 0; i < st.length; i++) {
+      if (st[i] === 'correct' && guess[i] !== prev[i]) return `${ordinal(i + 1)} letter must be ${prev[i]}`;
+    }
+  }
+  for (const prev of previous) {
+    const st = evaluateGuess(prev, target);
+    const required = {};
+    for (let i = 0; i < st.length; i++) {
+      if (st[i] !== 'absent') required[prev[i]] = (required[prev[i]] || 0) + 1;
+    }
+    for (const letter of Object.keys(required)) {
+      const have = guess.split('').filter(ch => ch === letter).length;
+      if (have < required[letter]) {
+        return required[letter] > 1
+          ? `Guess must contain ${letter} ×${required[letter]}`
+          : `Guess must contain ${letter}`;
+      }
+    }
+  }
+  return null;
+}
+
+// --- Hints ---
+// A game allows `maxHints` hints. Every hint used stays in the save and in the share text:
+//   { type: 'letter', position, letter }  a letter of the answer in its place
+//   { type: 'eliminate', letters }        up to ELIMINATE_LETTERS letters the answer doesn't have
+//   { type: 'count', count, guesses }     how many answers were possible after `guesses` guesses
+export const HINT_TYPES = ['letter', 'eliminate', 'count'];
+export const ELIMINATE_LETTERS = 3;
+
+// FNV-1a, so letters ruled out for a word are scattered over the alphabet, not A, B, C.
+function mixHash(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) h = Math.imul(h ^ str.charCodeAt(i), 16777619);
+  return h >>> 0;
+}
+
+// Words of `words` (plus the solution itself, e.g. a custom word) still consistent with every
+// attempt and hint so far.
+export function possibleAnswers(words, attempts, solution, hints = []) {
+  const patterns = attempts.map(guess => evaluateGuess(guess, solution).join());
+  const fixed = hints.filter(h => h.type === 'letter');
+  const ruledOut = new Set(hints.filter(h => h.type === 'eliminate').flatMap(h => h.letters));
+  const answers = new Set([...words.filter(w => w.length === solution.length), solution]);
+  return Array.from(answers).filter(word =>
+    attempts.every((guess, i) => evaluateGuess(guess, word).join() === patterns[i]) &&
+    fixed.every(h => word[h.position] === h.letter) &&
+    !Array.from(word).some(ch => ruledOut.has(ch)));
+}
+
+// The next hint of `type`, or { error } when there's nothing left to give (a languages.js id).
+function nextHint(type, { solution, lang, attempts, hints, words }) {
+  if (type === 'letter') {
+    const known = new Set(hints.filter(h => h.type === 'letter').map(h => h.position));
+    attempts.forEach(guess => evaluateGuess(guess, solution).forEach((st, i) => { if (st === 'correct') known.add(i); }));
+    const position = Array.from(solution).findIndex((_, i) => !known.has(i));
+    if (position < 0) return { error: 'hintNoLetter' };
+    return { type, position, letter: solution[position] };
+  }
+  if (type === 'eliminate') {
+    const seen = new Set([...attempts.join(''), ...hints.filter(h => h.type === 'eliminate').flatMap(h => h.letters)]);
+    const letters = Array.from(languageFor(lang).alphabet)
+      .filter(ch => !solution.includes(ch) && !seen.has(ch))
+      .sort((a, b) => mixHash(solution + a) - mixHash(solution + b))
+      .slice(0, ELIMINATE_LETTERS);
+    if (!letters.length) return { error: 'hintNoAbsent' };
+    return { type, letters };
+  }
+  if (!words.some(w => w.length === solution.length)) return { error: 'hintNoCount' };
+  return { type, count: possibleAnswers(words, attempts, solution, hints).length, guesses: attempts.length };
+}
+
+// Saved hints that fit the game; anything else is dropped.
+function restoreHints(saved, solution, lang) {
+  if (!Array.isArray(saved)) return [];
+  return saved.filter(h => {
+    if (!h || typeof h !== 'object') return false;
+    if (h.type === 'letter') return Number.isInteger(h.position) && solution[h.position] === h.letter;
+    if (h.type === 'eliminate') {
+      return Array.isArray(h.letters) && h.letters.length > 0 &&
+        h.letters.every(ch => typeof ch === 'string' && ch.length === 1 && fitsAlphabet(ch, lang) && !solution.includes(ch));
+    }
+    if (h.type === 'count') return Number.isInteger(h.count) && h.count > 0 && Number.isInteger(h.guesses) && h.guesses >= 0;
+    return false;
+  }).map(h => ({ ...h }));
+}
+
+// --- Speed runs ---
+// A timed game keeps the time spent on each row: { rows: [ms per submitted guess], current: ms
+// on the row being typed, started }. The clock is app.js's: it starts the game's clock on the
+// first keystroke and hands over elapsed time with addTime() while the page is visible.
+function isDuration(ms) {
+  return typeof ms === 'number' && Number.isFinite(ms) && ms >= 0;
+}
+
+// Once the clock has started, the saved times win (or the game stays untimed if they don't
+// fit its guesses); before that, the `timed` option decides.
+function restoreTimes(saved, attempts, timed) {
+  const started = !!(saved && typeof saved === 'object' && saved.started);
+  if (!started && !attempts.length) return timed ? { rows: [], current: 0, started: false } : null;
+  if (!started) return null;
+  const rows = Array.isArray(saved.rows) ? saved.rows.slice(0, attempts.length) : [];
+  if (rows.length !== attempts.length || !rows.every(isDuration) || !isDuration(saved.current)) return null;
+  return { rows, current: saved.current, started };
+}
+
+// 12.3s, or 1:02.5 from a minute on.
+export function formatDuration(ms) {
+  const tenths = Math.round(ms / 100);
+  if (tenths < 600) return `${(tenths / 10).toFixed(1)}s`;
+  return `${Math.floor(tenths / 600)}:${((tenths % 600) / 10).toFixed(1).padStart(4, '0')}`;
+}
+
+// Total time of a timed game (object or serialized), or null if it isn't timed.
+export function totalTime(game) {
+  const times = game && game.times;
+  if (!times || !Array.isArray(times.rows)) return null;
+  return times.rows.reduce((sum, ms) => sum + ms, 0) + (times.current || 0);
+}
+
+// The speed-run record ({ best, guesses }, or null) after `game` ends. Only a first, timed win
+// can set it: `replay` is true when the puzzle's result was already counted, e.g. a daily game
+// played again after a reset, whose answer the player knows.
+export function bestSpeedRun(record, game, replay = false) {
+  const time = totalTime(game);
+  if (replay || time === null || gameStatus(game) !== 'solved') return record;
+  if (record && record.best <= time) return record;
+  return { best: time, guesses: game.attempts.length };
+}
+
+// --- Sharing ---
+const SHARE_SQUARES = { correct: '🟩', present: '🟨', absent: '⬛' };
+const HIGH_CONTRAST_SQUARES = { correct: '🟧', present: '🟦', absent: '⬛' };
+
+// `game` is a game object or a serialized one with maxAttempts; `title` names the puzzle.
+// `highContrast` matches the colour-blind palette (orange/blue). Timed games add the total
+// time to the first line and each row's time to its squares.
+export function buildShareText(game, title, { highContrast = false } = {}) {
+  const squares = highContrast ? HIGH_CONTRAST_SQUARES : SHARE_SQUARES;
+  const total = totalTime(game);
+  // Build emoji grid from finalized (full-length) guesses
+  const lines = game.attempts.filter(g => g.length === game.solution.length);
+  const emojiLines = lines.map((g, i) => evaluateGuess(g, game.solution).map(st => squares[st]).join('') +
+    (total !== null && isDuration(game.times.rows[i]) ? ` ${formatDuration(game.times.rows[i])}` : ''));
+  const solved = game.gameOver && lines[lines.length - 1] === game.solution;
+  const attemptsCount = solved ? lines.length : 'X';
+  const maxAttempts = game.maxAttempts || DEFAULT_ATTEMPTS;
+  const hintsUsed = (game.hints || []).length;
+  return `${title} ${attemptsCount}/${maxAttempts}${game.hardMode ? '*' : ''}${hintsUsed ? ` 💡${hintsUsed}` : ''}` +
+    `${total !== null ? ` ⏱️${formatDuration(total)}` : ''}\n` + emojiLines.join('\n');
+}
+
+// 'unplayed' | 'playing' | 'solved' | 'failed' for a serialized game.
+export function gameStatus(game) {
+  if (!game || !Array.isArray(game.attempts) || !game.attempts.length) return 'unplayed';
+  if (!game.gameOver) return 'playing';
+  return game.attempts[game.attempts.length - 1] === game.solution ? 'solved' : 'failed';
+}
+
+// --- Game object ---
+// Options: solution, lang, maxAttempts, hardMode (used until the first guess is in),
+// maxHints (default 0), timed (a speed run; used until the clock starts) and isAllowed(guess),
+// the dictionary check. The solution itself is always allowed.
+//
+// submit() returns { ok: true, guess, statuses, won, lost } or { ok: false, error, message? }
+// where error is 'over', 'notEnough', 'notInList' (languages.js string ids) or 'hardMode'.
+// hint(type, { words }) returns { ok: true, hint } or { ok: false, error } (languages.js ids);
+// `words` is the solution list the 'count' hint counts in.
+export function newGame(options) {
+  return makeGame(options, { attempts: [], currentGuess: '', hardMode: !!options.hardMode, hints: [], times: restoreTimes(null, [], !!options.timed) });
+}
+
+// Which saved game resumes today's daily puzzle in `lang`: the daily save (`state`) holds the
+// language played last, so another language's game for the day comes from its archive entry.
+export function dailySave(state, archived, dayId, lang) {
+  if (state && state.dayId === dayId && state.lang === lang) return state;
+  return archived && archived.daily ? archived : null;
+}
+
+// Resume `saved` (usually a serialize() result from storage) if it was for the same solution.
+// Anything malformed is dropped: attempts stop at the first one that isn't a full word of the
+// language, at a win or at the attempt limit; gameOver is derived, never trusted.
+export function restoreGame(saved, options) {
+  if (!saved || typeof saved !== 'object' || saved.solution !== options.solution) return newGame(options);
+  const { solution, lang = DEFAULT_LANG, maxAttempts = DEFAULT_ATTEMPTS } = options;
+  const { attempts, currentGuess } = restoreInput(saved, solution.length, lang, maxAttempts,
+    list => list[list.length - 1] === solution);
+  // The saved flag wins once guesses exist; an untouched game follows the option.
+  const hardMode = attempts.length ? !!saved.hardMode : !!options.hardMode;
+  // Hints already used stay, even if the limit has since been lowered.
+  const hints = restoreHints(saved.hints, solution, lang);
+  const times = restoreTimes(saved.times, attempts, !!options.timed);
+  return makeGame(options, { attempts, currentGuess, hardMode, hints, times });
+}
+
+// Saved attempts up to the first bad one, the attempt limit or the end of the game (`done`),
+// and the current guess if it still fits.
+function restoreInput(saved, length, lang, maxAttempts, done) {
+  const attempts = [];
+  for (const guess of Array.isArray(saved.attempts) ? saved.attempts : []) {
+    if (attempts.length >= maxAttempts || (attempts.length && done(attempts))) break;
+    if (typeof guess !== 'string' || guess.length !== length || !fitsAlphabet(guess, lang)) break;
+    attempts.push(guess);
+  }
+  let currentGuess = typeof saved.currentGuess === 'string' ? saved.currentGuess.slice(0, length) : '';
+  if (currentGuess && !fitsAlphabet(currentGuess, lang)) currentGuess = '';
+  return { attempts, currentGuess };
+}
+
+function makeGame({ solution, lang = DEFAULT_LANG, maxAttempts = DEFAULT_ATTEMPTS, maxHints = 0, isAllowed = () => true }, state) {
+  const { attempts, hardMode, hints, times } = state;
+  let { currentGuess } = state;
+  const isWon = () => attempts.length > 0 && attempts[attempts.length - 1] === solution;
+  const isOver = () => isWon() || attempts.length >= maxAttempts;
+  if (isOver()) currentGuess = '';
+
+  return {
+    solution,
+    lang,
+    maxAttempts,
+    hardMode,
+    maxHints,
+    timed: !!times,
+    get times() { return times ? { rows: times.rows.slice(), current: times.current, started: times.started } : null; },
+    get clockRunning() { return !!times && times.started && !isOver(); },
+    get attempts() { return attempts.slice(); },
+    get hints() { return hints.map(h => ({ ...h })); },
+    get hintsLeft() { return Math.max(0, maxHints - hints.length); },
+    get currentGuess() { return currentGuess; },
+    get gameOver() { return isOver(); },
+    get won() { return isWon(); },
+
+    // Add one letter to the current guess; false if it doesn't fit.
+    type(letter) {
+      if (isOver() || currentGuess.length >= solution.length) return false;
+      if (letter.length !== 1 || !fitsAlphabet(letter, lang)) return false;
+      currentGuess += letter;
+      return true;
+    },
+
+    deleteLetter() {
+      if (isOver() || !currentGuess) return false;
+      currentGuess = currentGuess.slice(0, -1);
+      return true;
+    },
+
+    submit() {
+      if (isOver()) return { ok: false, error: 'over' };
+      const guess = currentGuess;
+      if (guess.length !== solution.length) return { ok: false, error: 'notEnough' };
+      if (guess !== solution && !isAllowed(guess)) return { ok: false, error: 'notInList' };
+      if (hardMode) {
+        const message = hardModeViolation(guess, attempts, solution);
+        if (message) return { ok: false, error: 'hardMode', message };
+      }
+      attempts.push(guess);
+      currentGuess = '';
+      if (times) {
+        times.rows.push(times.current);
+        times.current = 0;
+      }
+      const won = guess === solution;
+      return { ok: true, guess, statuses: evaluateGuess(guess, solution), won, lost: !won && isOver() };
+    },
+
+    // Speed runs: true if this started the clock.
+    startClock() {
+      if (!times || times.started || isOver()) return false;
+      times.started = true;
+      return true;
+    },
+
+    // Time spent on the current row since the last call, while the clock runs.
+    addTime(ms) {
+      if (!times || !times.started || isOver() || !isDuration(ms)) return;
+      times.current += ms;
+    },
+
+    hint(type, { words = [] } = {}) {
+      if (!HINT_TYPES.includes(type)) throw new Error(`Unknown hint type: ${type}`);
+      if (isOver()) return { ok: false, error: 'over' };
+      if (hints.length >= maxHints) return { ok: false, error: 'noHints' };
+      const hint = nextHint(type, { solution, lang, attempts, hints, words });
+      if (hint.error) return { ok: false, error: hint.error };
+      hints.push(hint);
+      return { ok: true, hint: { ...hint } };
+    },
+
+    // Key statuses for the on-screen keyboard, including letters hinted at.
+    statuses() {
+      const status = computeStatuses(attempts, solution);
+      hints.forEach(h => {
+        if (h.type === 'letter') status[h.letter] = 'correct';
+        if (h.type === 'eliminate') h.letters.forEach(ch => { status[ch] = status[ch] || 'absent'; });
+      });
+      return status;
+    },
+
+    // `hints` is only stored once one is used, so saves without them look as before.
+    serialize() {
+      const saved = { lang, solution, attempts: attempts.slice(), currentGuess, gameOver: isOver(), hardMode };
+      if (hints.length) saved.hints = hints.map(h => ({ ...h }));
+      if (times) saved.times = { rows: times.rows.slice(), current: times.current, started: times.started };
+      return saved;
+    }
+  };
+}
+
+// --- Multi-board games ---
+// Every guess is scored against 2 or 4 solutions at once, each on its own board; a board stops
+// at the guess that solves it and the game is won when all of them are. No hard mode or hints.
+export const MULTI_ATTEMPTS = { 2: 7, 4: 9 };
+
+// `count` different words of `words` for a day (fewer if the list doesn't have that many). Each
+// board takes its own day index, so the picks are spread over the list instead of being neighbours.
+export function dailyWords(words, seedId, count, dayNumber = dayNumberNow()) {
+  const picked = [];
+  const wanted = Math.min(count, new Set(words).size);
+  for (let k = 0; picked.length < wanted; k++) {
+    let i = dailyIndex(words, seedId, dayNumber * count + k);
+    while (picked.includes(words[i])) i = (i + 1) % words.length;
+    picked.push(words[i]);
+  }
+  return picked;
+}
+
+// Options: solutions, lang, maxAttempts (MULTI_ATTEMPTS for the board count) and isAllowed.
+// submit() returns { ok: true, guess, boards, won, lost } where boards has one
+// { statuses, solved } per board that was still open, or null for boards solved before.
+export function newMultiGame(options) {
+  return makeMultiGame(options, { attempts: [], currentGuess: '' });
+}
+
+// restoreGame() for a multi-board save of the same solutions.
+export function restoreMultiGame(saved, options) {
+  if (!saved || typeof saved !== 'object' || !Array.isArray(saved.solutions) ||
+    saved.solutions.join() !== options.solutions.join()) return newMultiGame(options);
+  const { solutions, lang = DEFAULT_LANG } = options;
+  const maxAttempts = options.maxAttempts || MULTI_ATTEMPTS[solutions.length] || DEFAULT_ATTEMPTS;
+  return makeMultiGame(options, restoreInput(saved, solutions[0].length, lang, maxAttempts,
+    list => solutions.every(s => list.includes(s))));
+}
+
+function makeMultiGame({ solutions, lang = DEFAULT_LANG, maxAttempts, isAllowed = () => true }, state) {
+  const { attempts } = state;
+  let { currentGuess } = state;
+  const length = solutions[0].length;
+  const limit = maxAttempts || MULTI_ATTEMPTS[solutions.length] || DEFAULT_ATTEMPTS;
+  const isSolved = i => attempts.includes(solutions[i]);
+  const isWon = () => solutions.every((_, i) => isSolved(i));
+  const isOver = () => isWon() || attempts.length >= limit;
+  // Guesses on board i: all of them, or up to the one that solved it.
+  const boardAttempts = i => (isSolved(i) ? attempts.slice(0, attempts.indexOf(solutions[i]) + 1) : attempts.slice());
+  if (isOver()) currentGuess = '';
+
+  return {
+    solutions: solutions.slice(),
+    lang,
+    maxAttempts: limit,
+    hardMode: false,
+    get attempts() { return attempts.slice(); },
+    get currentGuess() { return currentGuess; },
+    get gameOver() { return isOver(); },
+    get won() { return isWon(); },
+    get solved() { return solutions.map((_, i) => isSolved(i)); },
+    boardAttempts,
+
+    type(letter) {
+      if (isOver() || currentGuess.length >= length) return false;
+      if (letter.length !== 1 || !fitsAlphabet(letter, lang)) return false;
+      currentGuess += letter;
+      return true;
+    },
+
+    deleteLetter() {
+      if (isOver() || !currentGuess) return false;
+      currentGuess = currentGuess.slice(0, -1);
+      return true;
+    },
+
+    submit() {
+      if (isOver()) return { ok: false, error: 'over' };
+      const guess = currentGuess;
+      if (guess.length !== length) return { ok: false, error: 'notEnough' };
+      if (!solutions.includes(guess) && !isAllowed(guess)) return { ok: false, error: 'notInList' };
+      const open = solutions.map((_, i) => !isSolved(i));
+      attempts.push(guess);
+      currentGuess = '';
+      const boards = solutions.map((s, i) => (open[i] ? { statuses: evaluateGuess(guess, s), solved: guess === s } : null));
+      const won = isWon();
+      return { ok: true, guess, boards, won, lost: !won && isOver() };
+    },
+
+    // Per letter, one status per board: '' when that board gave no colour yet and null once
+    // the board is solved (its colours no longer matter).
+    statuses() {
+      const perBoard = solutions.map((s, i) => (isSolved(i) ? null : computeStatuses(boardAttempts(i), s)));
+      const status = {};
+      for (const letter of new Set(attempts.join(''))) {
+        status[letter] = perBoard.map(st => (st ? st[letter] || '' : null));
+      }
+      return status;
+    },
+
+    serialize() {
+      return { lang, solutions: solutions.slice(), attempts: attempts.slice(), currentGuess, gameOver: isOver() };
+    }
+  };
+}
+
+const KEYCAPS = ['0️⃣', '1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
+
+// Share text for a multi-board game (object or serialized): the guesses each board took
+// (🟥 if unsolved), then the grids two boards side by side, padded with ⬜ after a board stops.
+export function buildMultiShareText(game, title, { highContrast = false } = {}) {
+  const squares = highContrast ? HIGH_CONTRAST_SQUARES : SHARE_SQUARES;
+  const { solutions, attempts } = game;
+  const maxAttempts = game.maxAttempts || MULTI_ATTEMPTS[solutions.length] || DEFAULT_ATTEMPTS;
+  const boardRows = solutions.map(s => {
+    const end = attempts.indexOf(s);
+    return (end < 0 ? attempts : attempts.slice(0, end + 1))
+      .map(g => evaluateGuess(g, s).map(st => squares[st]).join(''));
+  });
+  const won = solutions.every(s => attempts.includes(s));
+  const lines = [`${title} ${won ? attempts.length : 'X'}/${maxAttempts}`];
+  const blank = '⬜'.repeat(solutions[0].length);
+  for (let b = 0; b < solutions.length; b += 2) {
+    const pair = boardRows.slice(b, b + 2);
+    lines.push(solutions.slice(b, b + 2).map(s => (attempts.includes(s) ? KEYCAPS[attempts.indexOf(s) + 1] || '✅' : '🟥')).join(' '));
+    const height = Math.max(...pair.map(rows => rows.length));
+    for (let r = 0; r < height; r++) lines.push(pair.map(rows => rows[r] || blank).join(' '));
+  }
+  return lines.join('\n');
+}
+
+// --- Evil games ---
+// No answer is fixed in advance: every guess gets the feedback that keeps the most words of
+// `words` possible, so the answer is only settled once a single word fits everything shown.
+// The game looks like a single-word one: `solution` is the first word still possible (every
+// possible word gives the earlier rows the same colours), and `counts` has how many words
+// were possible at the start and after each guess.
+
+// True if `a` comes before `b`, comparing the arrays element by element.
+function sortsBefore(a, b) {
+  const i = a.findIndex((x, j) => x !== b[j]);
+  return i >= 0 && a[i] < b[i];
+}
+
+// The feedback for `guess` that leaves the most candidates: { statuses, candidates }. Ties go to
+// the feedback with fewer greens, then fewer yellows, so the game gives away as little as it can.
+// Without candidates every letter is absent and none are left.
+export function dodgeGuess(guess, candidates) {
+  if (!candidates.length) return { statuses: Array.from(guess, () => 'absent'), candidates: [] };
+  const buckets = new Map();
+  for (const word of candidates) {
+    const statuses = evaluateGuess(guess, word);
+    const key = statuses.join();
+    if (!buckets.has(key)) buckets.set(key, { statuses, candidates: [] });
+    buckets.get(key).candidates.push(word);
+  }
+  // Compared in order; the pattern itself settles the rest so the choice never depends on the list order.
+  const rank = (key, { statuses, candidates: left }) =>
+    [-left.length, statuses.filter(st => st === 'correct').length, statuses.filter(st => st === 'present').length, key];
+  let best = null;
+  for (const [key, bucket] of buckets) {
+    const r = rank(key, bucket);
+    if (!best || sortsBefore(r, best.rank)) best = { rank: r, bucket };
+  }
+  return best.bucket;
+}
+
+// Options: words (the possible answers; only those of the first word's length count unless
+// `length` is given), length, lang, maxAttempts, hardMode and isAllowed. submit() and the rest
+// work as in newGame(); hints aren't offered.
+export function newEvilGame(options) {
+  return makeEvilGame(options, { attempts: [], currentGuess: '', hardMode: !!options.hardMode });
+}
+
+// Saved games are replayed guess by guess, so the same guesses get the same feedback. A save
+// for a list that has no words of its length any more starts over.
+export function restoreEvilGame(saved, options) {
+  if (!saved || typeof saved !== 'object' || !saved.evil) return newEvilGame(options);
+  if (!evilCandidates(options, []).length) return newEvilGame(options);
+  const { lang = DEFAULT_LANG, maxAttempts = DEFAULT_ATTEMPTS } = options;
+  const length = evilLength(options);
+  const { attempts, currentGuess } = restoreInput(saved, length, lang, maxAttempts, list => {
+    const guess = list[list.length - 1];
+    return evilCandidates(options, list).every(w => w === guess);
+  });
+  const hardMode = attempts.length ? !!saved.hardMode : !!options.hardMode;
+  return makeEvilGame(options, { attempts, currentGuess, hardMode });
+}
+
+function evilLength({ words, length }) {
+  return length || (words.length ? words[0].length : 0);
+}
+
+// Candidates left after `attempts`, and how many there were at each step.
+function evilCandidates(options, attempts, counts = []) {
+  const length = evilLength(options);
+  let candidates = Array.from(new Set(options.words.filter(w => w.length === length)));
+  counts.push(candidates.length);
+  for (const guess of attempts) {
+    candidates = dodgeGuess(guess, candidates).candidates;
+    counts.push(candidates.length);
+  }
+  return candidates;
+}
+
+function makeEvilGame(options, state) {
+  const { lang = DEFAULT_LANG, maxAttempts = DEFAULT_ATTEMPTS, isAllowed = () => true } = options;
+  const { hardMode } = state;
+  const length = evilLength(options);
+  const attempts = [];
+  const counts = [];
+  let candidates = evilCandidates(options, [], counts);
+  let { currentGuess } = state;
+  const isWon = () => attempts.length > 0 && candidates.length === 1 && attempts[attempts.length - 1] === candidates[0];
+  // Nothing to play without words.
+  const isOver = () => isWon() || attempts.length >= maxAttempts || !candidates.length;
+  const play = guess => {
+    attempts.push(guess);
+    candidates = dodgeGuess(guess, candidates).candidates;
+    counts.push(candidates.length);
+  };
+  state.attempts.forEach(play);
+  if (isOver()) currentGuess = '';
+
+  return {
+    evil: true,
+    lang,
+    maxAttempts,
+    hardMode,
+    get solution() { return candidates[0] || ''; },
+    get candidates() { return candidates.length; },
+    get counts() { return counts.slice(); },
+    get attempts() { return attempts.slice(); },
+    get currentGuess() { return currentGuess; },
+    get gameOver() { return isOver(); },
+    get won() { return isWon(); },
+
+    type(letter) {
+      if (isOver() || currentGuess.length >= length) return false;
+      if (letter.length !== 1 || !fitsAlphabet(letter, lang)) return false;
+      currentGuess += letter;
+      return true;
+    },
+
+    deleteLetter() {
+      if (isOver() || !currentGuess) return false;
+      currentGuess = currentGuess.slice(0, -1);
+      return true;
+    },
+
+    submit() {
+      if (isOver()) return { ok: false, error: 'over' };
+      const guess = currentGuess;
+      if (guess.length !== length) return { ok: false, error: 'notEnough' };
+      if (!candidates.includes(guess) && !isAllowed(guess)) return { ok: false, error: 'notInList' };
+      if (hardMode) {
+        const message = hardModeViolation(guess, attempts, candidates[0]);
+        if (message) return { ok: false, error: 'hardMode', message };
+      }
+      play(guess);
+      currentGuess = '';
+      const won = isWon();
+      return { ok: true, guess, statuses: evaluateGuess(guess, candidates[0]), won, lost: !won && isOver() };
+    },
+
+    statuses() {
+      return computeStatuses(attempts, candidates[0]);
+    },
+
+    serialize() {
+      return { lang, evil: true, solution: candidates[0] || '', attempts: attempts.slice(), currentGuess, gameOver: isOver(), hardMode };
+    }
+  };
+}
@@ -0,0 +1,98 @@
+// languages.js
+// Language registry shared by the app and the dictionary build (raw_words/fetch-build-dicts.mjs).
+// Adding a language = one entry here + raw_words/words-<code>.txt + its dictionary sources in
+// raw_words/sources.json, then `npm run build:dicts`.
+//
+// Entry fields:
+//   name       label shown in pickers
+//   alphabet   every letter a word may use (uppercase, NFC)
+//   keyboard   on-screen rows; Enter goes before the last row, the picker and Del after it
+//   charMap    applied after uppercasing, e.g. look-alike Latin letters or apostrophe variants
+//   strings    UI text; missing keys fall back to English
+//   dictionary build config: word lengths to build, optional frequency pruning (the lists
+//              themselves are in raw_words/sources.json).
+//              `dropAllCaps` skips tokens with no lowercase letter (abbreviations/proper names),
+//              `dropCapitalized` tokens that start with a capital (names in Hunspell dictionaries).
+
+export const DEFAULT_LANG = 'en';
+
+export const LANGUAGES = {
+  en: {
+    name: 'English',
+    alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    keyboard: ['QWERTYUIOP', 'ASDFGHJKL', 'ZXCVBNM'],
+    charMap: {},
+    strings: {
+      switched: 'Language: English',
+      enter: 'Enter',
+      del: 'Del',
+      notEnough: 'Not enough letters',
+      notInList: 'Not in word list',
+      win: 'You win!',
+      lose: 'Game over! Word was {word}',
+      noHints: 'No hints left',
+      hintNoLetter: 'Every letter is already known',
+      hintNoAbsent: 'No more letters to rule out',
+      hintNoCount: 'No word list to count answers in'
+    },
+    dictionary: {
+      lengths: [4, 5, 6, 7],
+      frequency: {
+        top: 50000
+      }
+    }
+  },
+  uk: {
+    name: 'Українська',
+    alphabet: 'АБВГҐДЕЄЖЗИІЇЙКЛМНОПРСТУФХЦЧШЩЬЮЯ',
+    // Standard Ukrainian layout (ЙЦУКЕН): three rows
+    keyboard: ['ЙЦУКЕНГШЩЗХЇ', 'ФІВАПРОЛДЖЄ', 'ЯЧСМИТЬБЮҐ'],
+    // Latin I is a common stand-in for І; apostrophe variants collapse to ' (not in the alphabet,
+    // so words with an apostrophe are rejected rather than silently merged).
+    charMap: { I: 'І', 'ʼ': "'", '’': "'", '`': "'" },
+    strings: {
+      switched: 'Мова: Українська',
+      enter: 'Ввід',
+      del: 'Стер',
+      notEnough: 'Замало літер',
+      notInList: 'Немає в словнику',
+      win: 'Перемога!',
+      lose: 'Гру завершено! Слово: {word}',
+      noHints: 'Підказок не залишилось',
+      hintNoLetter: 'Усі літери вже відомі',
+      hintNoAbsent: 'Більше нічого виключати',
+      hintNoCount: 'Немає словника, щоб порахувати відповіді'
+    },
+    dictionary: {
+      lengths: [4, 5, 6, 7],
+      dropAllCaps: true,
+      // No frequency pruning (raw_words/sources.json has no Ukrainian list long enough); names
+      // are left out by their capital instead
+      dropCapitalized: true
+    }
+  }
+};
+
+export function languageFor(code) {
+  return LANGUAGES[code] || LANGUAGES[DEFAULT_LANG];
+}
+
+export function isLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+export function normalizeWord(word, code) {
+  const map = languageFor(code).charMap;
+  return Array.from(String(word || '').trim().normalize('NFC').toUpperCase(), ch => map[ch] ?? ch).join('');
+}
+
+export function fitsAlphabet(word, code) {
+  const letters = languageFor(code).alphabet;
+  return word.length > 0 && Array.from(word).every(ch => letters.includes(ch));
+}
+
+// UI string for `code`, falling back to English; {name} placeholders come from `vars`.
+export function t(code, id, vars = {}) {
+  const text = languageFor(code).strings[id] ?? LANGUAGES[DEFAULT_LANG].strings[id] ?? id;
+  return text.replace(/\{(\w+)\}/g, (_, k) => (k in vars ? vars[k] : `{${k}}`));
+}
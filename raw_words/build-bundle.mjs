@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * build-bundle.mjs
+ * Writes one word file per language (words/<code>.js) from the raw lists in raw_words, so the
+ * app only downloads the languages a player picks (words.js imports them on demand). Every word
+ * length with solutions gets its own exports, suffixed with the length (words5, allowed5, answers5):
+ * - words:   the solution list in file order, less blocked words, encrypted with a key of its own (encryptWords in
+ *            ../wordcodec.js), for practice games and the legacy daily formula (days before
+ *            the schedule started, or past its end)
+ * - allowed: allowed guesses (allowed-<code>.txt plus the solutions, less blocked words) as a
+ *            Bloom filter, or null
+ * - answers: the daily schedule (schedule-<code>-<len>.json), each day encrypted with a key
+ *            derived from its date; see ../wordcodec.js
+ * The allowed guesses also go, as encryptWords() lists (guesses5, ...), into words/guesses/<code>.js:
+ * the post-game analysis searches them for the best guess, and nothing else downloads them.
+ * The XOR-scrambled lists of earlier bundles are gone: nothing in the file reads as a word list,
+ * and the day-to-answer mapping needs a slow key derivation per day.
+ * Check the output with verify-bundle.mjs (build:dicts and build:schedule run both).
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import zlib from 'zlib';
+import { makeBloom, encryptAnswers, encryptWords, guessListId } from '../wordcodec.js';
+import { LANGUAGES, isLanguage } from '../languages.js';
+import { readCuration, shippedLists } from './dictionary.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const WORDS_DIR = path.join(__dirname, '..', 'words');
+export const GUESSES_DIR = path.join(WORDS_DIR, 'guesses');
+
+export function wordFile(code) {
+  return path.join(WORDS_DIR, `${code}.js`);
+}
+
+export function guessFile(code) {
+  return path.join(GUESSES_DIR, `${code}.js`);
+}
+
+// Same normalisation the app applies to bundle words. Order and repeats are kept: the legacy
+// daily formula indexes into the list as it is (so blocking a solution moves its legacy days).
+export function readList(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(w => w.trim().normalize('NFC').toUpperCase())
+    .filter(Boolean);
+}
+
+export function byLength(words) {
+  const groups = {};
+  for (const w of words) (groups[w.length] = groups[w.length] || []).push(w);
+  return groups;
+}
+
+// Language codes with a raw_words/words-<code>.txt.
+export function rawLanguages(dir = __dirname) {
+  return fs.readdirSync(dir)
+    .map(f => /^words-([a-z]{2,3})\.txt$/.exec(f))
+    .filter(Boolean)
+    .map(m => m[1])
+    .sort();
+}
+
+// Registry languages without a raw list; their word files can't be rebuilt.
+export function missingRawLanguages(dir = __dirname) {
+  const raw = rawLanguages(dir);
+  return Object.keys(LANGUAGES).filter(code => !raw.includes(code));
+}
+
+// Words of blocklist-<code>.txt, for languages in the registry.
+export function blockedWords(code) {
+  return isLanguage(code) ? readCuration(code).blocked : new Set();
+}
+
+// Daily schedule written by build-schedule.mjs: { start, cycles: [[...], ...] } -> { start, days }
+export function readSchedule(code, len) {
+  const file = path.join(__dirname, `schedule-${code}-${len}.json`);
+  try {
+    const schedule = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { start: schedule.start, days: schedule.cycles.flat() };
+  } catch (e) {
+    console.warn(`No ${path.basename(file)}`, e.message);
+    return { start: -1, days: [] };
+  }
+}
+
+function kb(bytes) {
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+export async function writeBundle() {
+  // A missing raw list fails the build before anything is written: the word file it would
+  // replace is what the app ships.
+  const missing = missingRawLanguages();
+  if (missing.length) {
+    throw new Error(`No raw list for ${missing.join(', ')} (raw_words/words-<code>.txt); add it before rebuilding the word files`);
+  }
+  const codes = Object.keys(LANGUAGES);
+  const extra = rawLanguages().filter(code => !codes.includes(code));
+  if (extra.length) console.warn(`Raw lists of ${extra.join(', ')} skipped: not in languages.js`);
+  fs.mkdirSync(GUESSES_DIR, { recursive: true });
+  // Drop files of languages taken out of the registry, so the service worker stops listing them.
+  for (const dir of [WORDS_DIR, GUESSES_DIR]) {
+    for (const f of fs.readdirSync(dir)) {
+      if (f.endsWith('.js') && !codes.includes(f.slice(0, -3))) fs.unlinkSync(path.join(dir, f));
+    }
+  }
+  for (const code of codes) {
+    const lines = ['// Auto-generated by raw_words/build-bundle.mjs; do not edit by hand.'];
+    const guessLines = [...lines];
+    const summary = [];
+    const solutions = byLength(readList(path.join(__dirname, `words-${code}.txt`)));
+    let allowed = {};
+    try { allowed = byLength(readList(path.join(__dirname, `allowed-${code}.txt`))); } catch (e) { console.warn(`No allowed-${code}.txt`, e.message); }
+    const blocked = blockedWords(code);
+    for (const len of Object.keys(solutions).map(Number).sort((a, b) => a - b)) {
+      // Without an allowed list for a length the app doesn't check guesses at all.
+      const { pool, guessable } = shippedLists(solutions[len], allowed[len], blocked);
+      const schedule = readSchedule(code, len);
+      const answers = await encryptAnswers(schedule.days, { id: code + len, start: schedule.start });
+      lines.push(
+        `export const words${len} = ${JSON.stringify(await encryptWords(pool, { id: code + len }))};`,
+        `export const allowed${len} = ${JSON.stringify(guessable && guessable.length ? makeBloom(guessable) : null)};`,
+        `export const answers${len} = ${JSON.stringify(answers)};`
+      );
+      if (guessable && guessable.length) {
+        guessLines.push(`export const guesses${len} = ${JSON.stringify(await encryptWords(guessable, { id: guessListId(code, len) }))};`);
+      }
+      summary.push(`${len}: ${pool.length} solutions, ${guessable ? guessable.length : 0} allowed, ${answers.count} days`);
+    }
+    // The app only offers lengths its word file has (version.js), so these stay hidden.
+    const unbuilt = LANGUAGES[code].dictionary.lengths.filter(len => !solutions[len]);
+    if (unbuilt.length) console.warn(`[${code}] No ${unbuilt.join(', ')}-letter solutions in words-${code}.txt; the app won't offer those lengths`);
+    const text = lines.join('\n') + '\n';
+    fs.writeFileSync(wordFile(code), text);
+    const size = Buffer.byteLength(text);
+    console.log(`✅ words/${code}.js: ${kb(size)}, ${kb(zlib.gzipSync(text).length)} gzipped (${summary.join('; ')})`);
+    // Without allowed lists the analysis searches the solution list alone.
+    if (guessLines.length > 1) {
+      const guessText = guessLines.join('\n') + '\n';
+      fs.writeFileSync(guessFile(code), guessText);
+      console.log(`✅ words/guesses/${code}.js: ${kb(Buffer.byteLength(guessText))}`);
+    } else if (fs.existsSync(guessFile(code))) {
+      fs.unlinkSync(guessFile(code));
+    }
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  writeBundle().catch(e => { console.error(e); process.exit(1); });
+}
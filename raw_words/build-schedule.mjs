@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * build-schedule.mjs
+ * Turns each solution list (words-<lang>.txt) into fixed daily schedules, one per word length
+ * (schedule-<lang>-<length>.json).
+ * - The schedule is a list of cycles; each cycle is a seeded shuffle with no repeated word
+ * - Days up to and including today (UTC) are frozen and never change
+ * - Words added to the list are shuffled into the tail of the current cycle
+ * - Words removed from the list, or blocked (blocklist-<lang>.txt), are dropped from future days only
+ * - Cycles that start in the future are regenerated from the current list
+ * - Cycles are appended until the schedule covers HORIZON_DAYS ahead, keeping repeats across
+ *   a cycle boundary at least MIN_REPEAT_GAP days apart
+ * The schedule starts the day after it is first generated so today's puzzle never changes.
+ * If schedule-<lang>.json is missing, the previous schedule is recovered from words/<lang>.js.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { LANGUAGES, normalizeWord } from '../languages.js';
+import { dayNumberNow } from '../engine.js';
+import { decryptAnswer } from '../wordcodec.js';
+import { readCuration } from './dictionary.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SEED = 'guessmosaic-schedule';
+const HORIZON_DAYS = 365;
+const MIN_REPEAT_GAP = 30; // days between the same word across cycle boundaries (small lists get less)
+
+// Deterministic PRNG (Mulberry32-style, same mixing as fetch-build-dicts.mjs) seeded by a string
+function seededRandom(seedStr) {
+  let h = 1779033703;
+  for (let i = 0; i < seedStr.length; i++) {
+    h = Math.imul(h ^ seedStr.charCodeAt(i), 3432918353);
+    h = h << 13 | h >>> 19;
+  }
+  return function rnd() {
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    const t = (h ^= h >>> 16) >>> 0;
+    return t / 4294967296;
+  };
+}
+
+function shuffle(words, seedStr) {
+  const out = words.slice();
+  const rnd = seededRandom(seedStr);
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rnd() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * Extend/refresh a schedule for one language and word length.
+ * @param {string[]} words current solution list (uppercase, de-duplicated, one length)
+ * @param {{start:number, cycles:string[][]}|null} existing previous schedule, if any
+ * @param {{lang:string, today:number, seed?:string, horizon?:number}} opts `lang` is the seed id, e.g. "en5"
+ * @returns {{start:number, seed:string, cycles:string[][]}}
+ */
+export function buildSchedule(words, existing, { lang, today, seed = SEED, horizon = HORIZON_DAYS }) {
+  const start = existing ? existing.start : today + 1;
+  const frozenUntil = today - start; // last schedule index that may already have been played
+  const wordSet = new Set(words);
+  const cycles = [];
+  let offset = 0;
+  for (const cycle of existing ? existing.cycles : []) {
+    if (offset > frozenUntil) break; // cycle lies entirely in the future: regenerate below
+    const frozenCount = Math.min(cycle.length, frozenUntil - offset + 1);
+    const kept = cycle.slice(0, frozenCount).concat(cycle.slice(frozenCount).filter(w => wordSet.has(w)));
+    cycles.push(kept);
+    offset += kept.length;
+  }
+  // Words the current cycle hasn't used yet go at its tail, so the cycle stays repeat-free.
+  if (cycles.length) {
+    const current = cycles[cycles.length - 1];
+    const used = new Set(current);
+    const fresh = words.filter(w => !used.has(w)).sort();
+    if (fresh.length) {
+      current.push(...shuffle(fresh, `${seed}:${lang}:${cycles.length - 1}:${current.length}`));
+      offset += fresh.length;
+    }
+  }
+  const gap = Math.min(MIN_REPEAT_GAP, Math.floor(words.length / 3));
+  while (words.length && offset <= frozenUntil + horizon) {
+    let next = shuffle(words.slice().sort(), `${seed}:${lang}:${cycles.length}`);
+    const prev = cycles.length ? cycles[cycles.length - 1] : null;
+    if (prev && gap > 0) {
+      // Words from the end of the previous cycle move to the end of this one, so a
+      // word never comes back within a few days across a cycle boundary.
+      const recent = new Set(prev.slice(-gap));
+      next = next.filter(w => !recent.has(w)).concat(next.filter(w => recent.has(w)));
+    }
+    cycles.push(next);
+    offset += next.length;
+  }
+  return { start, seed, cycles };
+}
+
+export function flattenSchedule(schedule) {
+  return schedule ? schedule.cycles.flat() : [];
+}
+
+function readWords(file, lang) {
+  return Array.from(new Set(fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(w => normalizeWord(w, lang))
+    .filter(Boolean)));
+}
+
+// Recover a previously published schedule from the word file (as a single cycle). Every day has
+// to be decrypted, so this takes a while.
+async function scheduleFromBundle(lang, len) {
+  try {
+    const bundle = await import(pathToFileURL(path.join(__dirname, '..', 'words', `${lang}.js`)).href);
+    const answers = bundle['answers' + len];
+    if (!answers || !answers.count) return null;
+    const days = Array.from({ length: answers.count }, (_, i) => answers.start + i);
+    const words = await Promise.all(days.map(day => decryptAnswer(answers, lang + len, day)));
+    return { start: answers.start, cycles: [words] };
+  } catch (_) {
+    return null;
+  }
+}
+
+async function loadExisting(lang, len) {
+  const file = path.join(__dirname, `schedule-${lang}-${len}.json`);
+  if (fs.existsSync(file)) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (typeof parsed.start === 'number' && Array.isArray(parsed.cycles)) return parsed;
+    throw new Error(`${path.basename(file)} is malformed; fix or delete it`);
+  }
+  const recovered = await scheduleFromBundle(lang, len);
+  if (recovered) console.log(`[${lang}/${len}] ${path.basename(file)} missing, recovered ${recovered.cycles[0].length} days from words/${lang}.js`);
+  return recovered;
+}
+
+export async function writeSchedules({ today = dayNumberNow() } = {}) {
+  for (const lang of Object.keys(LANGUAGES)) {
+    const solFile = path.join(__dirname, `words-${lang}.txt`);
+    if (!fs.existsSync(solFile)) { console.warn(`[${lang}] No ${path.basename(solFile)}, schedule skipped`); continue; }
+    const { blocked } = readCuration(lang);
+    const all = readWords(solFile, lang).filter(w => !blocked.has(w));
+    for (const len of Array.from(new Set(all.map(w => w.length))).sort((a, b) => a - b)) {
+      const words = all.filter(w => w.length === len);
+      const schedule = buildSchedule(words, await loadExisting(lang, len), { lang: lang + len, today });
+      const outFile = path.join(__dirname, `schedule-${lang}-${len}.json`);
+      fs.writeFileSync(outFile, JSON.stringify(schedule, null, 1) + '\n');
+      const days = flattenSchedule(schedule).length;
+      console.log(`[${lang}/${len}] Schedule from day ${schedule.start}: ${days} days in ${schedule.cycles.length} cycle(s) -> ${path.basename(outFile)}`);
+    }
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  writeSchedules().catch(e => { console.error(e); process.exit(1); });
+}
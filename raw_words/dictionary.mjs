@@ -0,0 +1,130 @@
+// dictionary.mjs
+// Word-list rules shared by the dictionary build (fetch-build-dicts.mjs) and the lookup tool
+// (word-info.mjs): which source tokens count as words, and the hand-curated lists the build
+// applies on top of its sources.
+// - blocklist-<code>.txt: words left out of the allowed guesses (offensive, obscure, proper
+//   nouns), whatever the sources say. Blocked solutions are left out of future daily puzzles and
+//   of the solution pool the word files ship (practice, multi-board, evil mode and hints all use
+//   it); days already played keep their answer, which the game always accepts as a guess.
+// - allowlist-<code>.txt: words always allowed as guesses, even if no source has them.
+// One word per line in either file; text after # is a comment.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LANGUAGES, normalizeWord, fitsAlphabet } from '../languages.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const solutionFile = code => path.join(__dirname, `words-${code}.txt`);
+export const allowedFile = code => path.join(__dirname, `allowed-${code}.txt`);
+export const blocklistFile = code => path.join(__dirname, `blocklist-${code}.txt`);
+export const allowlistFile = code => path.join(__dirname, `allowlist-${code}.txt`);
+
+// --- Source tokens ---
+// Registry-driven token filter shared by every extraction path.
+// Returns the normalized uppercase word, or null when the token doesn't belong to `lang`.
+export function acceptToken(rawToken, lang, lengths) {
+  const norm = rawToken.normalize('NFC');
+  const cfg = LANGUAGES[lang].dictionary;
+  // Tokens without a lowercase letter are likely abbreviations/proper names
+  if (cfg.dropAllCaps && norm === norm.toUpperCase()) return null;
+  // Dictionaries that list names capitalize them (the common noun has its own lowercase entry)
+  if (cfg.dropCapitalized && norm[0] !== norm[0].toLowerCase()) return null;
+  const up = normalizeWord(norm, lang);
+  if (!lengths.includes(up.length)) return null;
+  if (!fitsAlphabet(up, lang)) return null;
+  return up;
+}
+
+// Candidate tokens of a source: a JSON array (or { words: [...] }) of words or of { word, ... }
+// objects (frequency lists with counts), otherwise the first token of each line (Hunspell .dic
+// lines are word/FLAGS after a count line, which normalizeList drops). Order is kept.
+export function extractWords(raw) {
+  const trimmed = raw.trimStart();
+  if (!trimmed) return [];
+  if ((trimmed.startsWith('[') && raw.trimEnd().endsWith(']')) || trimmed.startsWith('{')) {
+    const token = item => String(item && typeof item === 'object' ? item.word ?? '' : item);
+    try {
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed)) return parsed.map(token);
+      if (Array.isArray(parsed.words)) return parsed.words.map(token);
+    } catch (_) { /* fallback */ }
+  }
+  return raw.split(/\r?\n/).map(line => line.split(/[\s/]/)[0].trim());
+}
+
+export function normalizeList(words, { lang, lengths }) {
+  const set = new Set();
+  for (const w of words) {
+    if (!w) continue;
+    if (/^\d+$/.test(w)) continue; // numeric line (Hunspell count)
+    const upper = acceptToken(w.split('/')[0], lang, lengths);
+    if (upper) set.add(upper);
+  }
+  return Array.from(set).sort();
+}
+
+// Frequency list (most frequent first: "word count" lines, or a JSON list extractWords reads)
+// -> Map of word -> 1-based rank.
+export function frequencyRanks(raw, lang) {
+  const ranks = new Map();
+  extractWords(raw).forEach((tok, i) => {
+    if (!tok) return;
+    const up = normalizeWord(tok, lang);
+    if (!ranks.has(up)) ranks.set(up, i + 1);
+  });
+  return ranks;
+}
+
+// --- Curated lists ---
+// Words of a blocklist/allowlist file in file order (missing file = empty list), and the lines
+// that aren't a valid word for `lang`.
+export function readCuratedList(file, lang) {
+  const words = [];
+  const invalid = [];
+  let text = '';
+  try { text = fs.readFileSync(file, 'utf8'); } catch (e) { if (e.code !== 'ENOENT') throw e; }
+  for (const line of text.split(/\r?\n/)) {
+    const raw = line.replace(/#.*/, '').trim();
+    if (!raw) continue;
+    const word = normalizeWord(raw, lang);
+    if (word && fitsAlphabet(word, lang)) words.push(word);
+    else invalid.push(raw);
+  }
+  return { words: Array.from(new Set(words)), invalid };
+}
+
+export function readCuration(lang) {
+  const blocked = readCuratedList(blocklistFile(lang), lang);
+  const allowed = readCuratedList(allowlistFile(lang), lang);
+  return {
+    blocked: new Set(blocked.words),
+    allowed: allowed.words,
+    invalid: [...blocked.invalid.map(w => `blocklist: ${w}`), ...allowed.invalid.map(w => `allowlist: ${w}`)]
+  };
+}
+
+// Blocked words out, force-allowed words (of a built length) in; sorted, no repeats.
+export function applyCuration(words, { blocked, allowed }, lengths) {
+  const out = new Set(words.filter(w => !blocked.has(w)));
+  for (const w of allowed) if (lengths.includes(w.length) && !blocked.has(w)) out.add(w);
+  return Array.from(out).sort();
+}
+
+// What a word file ships for one length: the solution pool and the allowed guesses (null without
+// an allowed list), both without blocked words. Solutions join the guesses only after that.
+export function shippedLists(solutions, allowed, blocked) {
+  const pool = solutions.filter(w => !blocked.has(w));
+  const guessable = allowed ? Array.from(new Set([...allowed.filter(w => !blocked.has(w)), ...pool])) : null;
+  return { pool, guessable };
+}
+
+export function diffWords(before, after) {
+  const was = new Set(before);
+  const now = new Set(after);
+  return {
+    added: after.filter(w => !was.has(w)),
+    removed: before.filter(w => !now.has(w))
+  };
+}
@@ -1,245 +1,99 @@
 #!/usr/bin/env node
 /**
  * fetch-build-dicts.mjs
- * Builds large allowed guess lists from public sources defined in sources.json.
- * - Fetch remote sources
+ * Builds large allowed guess lists from the sources in sources.json, with the per-language rules
+ * of the registry (../languages.js).
+ * - Read each source from its vendored file or the download cache, or download it, and check it
+ *   against sources.lock.json (see sources.mjs); a mismatch or a source missing from the lock
+ *   fails the build
  * - Extract words (handles JSON arrays or plain text)
- * - Normalize (uppercase, NFC)
+ * - Normalize (uppercase, NFC, per-language charMap)
  * - Filter by length(s) and alphabet per language
  * - Remove non-letter characters
- * - De-duplicate and ensure all solution words are included
- * - Write allowed-en.txt / allowed-uk.txt
- * - Then run obfuscator to regenerate encoded bundles
+ * - De-duplicate, then apply blocklist-<code>.txt and allowlist-<code>.txt (dictionary.mjs)
+ * - Flag solutions that aren't in the resulting list (they aren't added behind your back)
+ * - Write allowed-<code>.txt for every registry language, and dicts-summary.json with the word
+ *   counts per language and length and the sources (with hashes) they came from
+ * - Write dicts-report.md: words added and removed since the previous build, blocked and
+ *   force-allowed words, and flagged solutions
+ * Look up a single word with word-info.mjs.
+ * - Extend the non-repeating daily schedules (build-schedule.mjs)
+ * - Then write the word bundle (build-bundle.mjs) and check it round-trips (verify-bundle.mjs)
+ * - Restamp the service worker precache (scripts/build-sw.mjs) so clients pick up the new bundle
+ * Flags: --offline (no network: vendored files and the cache only), --update-lock (download
+ * every source again, or with --offline take the files as they are, and record the new hashes;
+ * the first build of a new source needs it).
  */
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import https from 'https';
-import http from 'http';
+import { readSources, readLock, writeLock, loadSource, sourceLocation, LOCK_FILE } from './sources.mjs';
+import { writeSchedules } from './build-schedule.mjs';
+import { writeBundle } from './build-bundle.mjs';
+import { verifyBundle } from './verify-bundle.mjs';
+import { buildServiceWorker } from '../scripts/build-sw.mjs';
+import { LANGUAGES, normalizeWord, fitsAlphabet } from '../languages.js';
+import {
+  solutionFile, allowedFile, extractWords, normalizeList, readCuration, applyCuration, diffWords
+} from './dictionary.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const root = path.join(__dirname, '..');
 
-const SRC_CFG = path.join(__dirname, 'sources.json');
-const SOL_EN = path.join(__dirname, 'words-en.txt');
-const SOL_UK = path.join(__dirname, 'words-uk.txt');
-const OUT_EN = path.join(__dirname, 'allowed-en.txt');
-const OUT_UK = path.join(__dirname, 'allowed-uk.txt');
+const SUMMARY_FILE = path.join(__dirname, 'dicts-summary.json');
+const REPORT_FILE = path.join(__dirname, 'dicts-report.md');
 
-const CACHE_DIR = path.join(__dirname,'.cache');
-if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR, {recursive:true});
+const args = process.argv.slice(2);
+const OFFLINE = args.includes('--offline');
+const UPDATE_LOCK = args.includes('--update-lock');
 
-const INSECURE = process.env.INSECURE_FETCH === '1';
+const lock = readLock();
+let lockChanged = false;
 
-function fetchRemote(url, attempt=1){
-  return new Promise((resolve, reject)=>{
-    const lib = url.startsWith('http://') ? http : https;
-    const options = new URL(url);
-    if (INSECURE && lib === https) {
-      options.rejectUnauthorized = false; // allow self-signed for dev
-    }
-    const req = lib.get(options, res => {
-      if (res.statusCode && res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return resolve(fetchRemote(res.headers.location, attempt));
-      }
-      if (res.statusCode !== 200) {
-        reject(new Error('HTTP '+res.statusCode+' for '+url));
-        return;
-      }
-      let data='';
-      res.setEncoding('utf8');
-      res.on('data', c=>data+=c);
-      res.on('end', ()=>resolve(data));
-    });
-    req.on('error', err => {
-      if (attempt < 3) {
-        setTimeout(()=>{
-          fetchRemote(url, attempt+1).then(resolve, reject);
-        }, attempt*300);
-      } else reject(err);
-    });
-  });
-}
-
-async function fetchText(url){
-  if (url.startsWith('file:')) {
-    const p = url.replace('file:','');
-    return fs.readFileSync(p,'utf8');
-  }
-  if (/^\.{0,2}\//.test(url)) { // relative path
-    const p = path.resolve(root, url);
-    return fs.readFileSync(p,'utf8');
-  }
-  const hash = Buffer.from(url).toString('base64').replace(/[^A-Za-z0-9]/g,'');
-  const cacheFile = path.join(CACHE_DIR, hash+'.txt');
-  if (fs.existsSync(cacheFile)) {
-    return fs.readFileSync(cacheFile,'utf8');
-  }
-  // Stream to temp file first to avoid huge memory spikes
-  const txt = await fetchRemote(url);
-  // (Simpler approach: still full string; stack overflow likely came from JSON.parse on huge file, we no longer parse large plain text as JSON.)
-  fs.writeFileSync(cacheFile, txt);
-  return txt;
-}
-
-function streamFilterPlain(url, lang, lengths){
-  return new Promise((resolve, reject)=>{
-    const lib = url.startsWith('http://') ? http : https;
-    const options = new URL(url);
-    if (INSECURE && lib === https) options.rejectUnauthorized = false;
-    const acc = new Set();
-    // For Ukrainian we will drop tokens that are ALL CAPS in original source (likely abbreviations/names)
-    // We detect by presence of at least one lowercase letter in the original token prior to uppercasing.
-    let leftover='';
-    const req = lib.get(options, res => {
-      if (res.statusCode && res.statusCode >=300 && res.statusCode <400 && res.headers.location) {
-        res.destroy();
-        return resolve(streamFilterPlain(res.headers.location, lang, lengths));
-      }
-      if (res.statusCode !== 200) { reject(new Error('HTTP '+res.statusCode)); return; }
-      res.setEncoding('utf8');
-      res.on('data', chunk => {
-        let data = leftover + chunk;
-        let idx;
-        let start = 0;
-        while ((idx = data.indexOf('\n', start)) !== -1) {
-          const rawLine = data.slice(start, idx).replace(/\r$/,'');
-          start = idx + 1;
-          if (!rawLine) continue;
-          if (/^\d+$/.test(rawLine)) continue; // numeric count
-          const baseToken = rawLine.split(/[\s/]/)[0].trim();
-          if (!baseToken) continue;
-          const norm = baseToken.normalize('NFC');
-          const up = norm.toUpperCase();
-          if (!lengths.includes(up.length)) continue;
-          if (lang === 'uk') {
-            // Skip if original had no lowercase letters => likely abbreviation/proper name
-            if (norm === up) continue;
-            if (!/^[А-ЯЇІЄҐа-яїієґ]+$/.test(norm)) continue; // restrict alphabet
-          } else if (lang === 'en') {
-            if (!/^[A-Za-z]+$/.test(norm)) continue;
-          }
-          // final pattern check on uppercase normalized
-          if (lang === 'en') {
-            if (!/^[A-Z]+$/.test(up)) continue;
-          } else if (lang === 'uk') {
-            if (!/^[А-ЯЇІЄҐ]+$/.test(up)) continue;
-          }
-          acc.add(norm); // keep original case for downstream normalization logic
-        }
-        leftover = data.slice(start);
-      });
-      res.on('end', () => {
-        if (leftover) {
-          const tokRaw = leftover.trim();
-          if (tokRaw) {
-            const norm = tokRaw.split(/[\s/]/)[0].trim().normalize('NFC');
-            const up = norm.toUpperCase();
-            if (lengths.includes(up.length)) {
-              if (lang === 'uk') {
-                if (norm !== up && /^[А-ЯЇІЄҐа-яїієґ]+$/.test(norm) && /^[А-ЯЇІЄҐ]+$/.test(up)) acc.add(norm);
-              } else if (lang === 'en') {
-                if (/^[A-Za-z]+$/.test(norm) && /^[A-Z]+$/.test(up)) acc.add(norm);
-              }
-            }
-          }
-        }
-    resolve(acc);
-      });
-    });
-    req.on('error', reject);
-  });
-}
-
-function extractWords(raw){
-  // For huge plain lists avoid holding entire array if we can early filter later
-  const trimmed = raw.trimStart();
-  if (!trimmed) return [];
-  if (raw.length < 5_000_000 && ((trimmed.startsWith('[') && raw.trimEnd().endsWith(']')) || trimmed.startsWith('{'))) {
-    try {
-      const parsed = JSON.parse(raw);
-      if (Array.isArray(parsed)) return parsed.map(String);
-      if (Array.isArray(parsed.words)) return parsed.words.map(String);
-    } catch(_) { /* fallback */ }
+async function readSource(entry){
+  const { location, text, changed } = await loadSource(entry, { lock, offline: OFFLINE, updateLock: UPDATE_LOCK });
+  if (changed) {
+    lockChanged = true;
+    console.log(`  pinned ${location} in ${path.basename(LOCK_FILE)}`);
   }
-  // Limit to first 500k lines to avoid extreme memory usage
-  const lines = raw.split(/\r?\n/);
-  if (lines.length > 500000) lines.length = 500000;
-  return lines.map(w=>w.trim());
+  return text;
 }
 
-function isLatin(word){ return /^[A-Za-z]+$/.test(word); }
-function isCyrillic(word){ return /^[А-Яа-яЇїІіЄєҐґЁёЪъЫыЭэ]+$/.test(word); }
-
-function normalizeList(words, {lang, lengths}){
-  const set = new Set();
-  for (const w of words) {
-  if (!w) continue;
-  if (/^\d+$/.test(w)) continue; // numeric line (Hunspell count)
-  const base = w.split('/')[0];
-  // For Ukrainian drop if the ORIGINAL token (base) has no lowercase letters (abbrev / proper name)
-  if (lang === 'uk' && !/[a-zа-яїієґ]/.test(base)) continue;
-  const upper = base.normalize('NFC').toUpperCase();
-  if (lang === 'en' && !isLatin(upper)) continue;
-  if (lang === 'uk' && !isCyrillic(upper)) continue;
-  if (!lengths.includes(upper.length)) continue;
-  if (lang === 'en' && /[^A-Z]/.test(upper)) continue;
-  set.add(upper);
-  }
-  return Array.from(set).sort();
+// Word counts per length, for dicts-summary.json.
+function countByLength(words){
+  const counts = {};
+  for (const w of words) counts[w.length] = (counts[w.length] || 0) + 1;
+  return counts;
 }
 
-async function buildFor(lang, cfg){
+// Any source that can't be read fails the build: a list built from part of the sources
+// isn't reproducible.
+async function buildFor(lang, sources){
+  const cfg = LANGUAGES[lang].dictionary;
   const allWords = [];
-  for (const url of cfg.sources) {
-    try {
-      process.stdout.write(`[${lang}] fetching ${url} ... `);
-      let words;
-      // Stream very large remote .txt lists to avoid huge memory & stack usage
-  if (/^https?:/.test(url) && /\.(txt|dic)$/i.test(url)) {
-        words = await streamFilterPlain(url, lang, cfg.lengths);
-        let size = words.size;
-        if (size === 0) { // fallback: fetch whole text and regex extract
-          const raw = await fetchText(url);
-            const regex = lang === 'uk' ? /[А-Яа-яЇїІіЄєҐґ]{3,12}/g : /[A-Za-z]{3,12}/g;
-            const m = raw.match(regex) || [];
-            m.forEach(w=>words.add(w.toUpperCase()));
-            size = words.size;
-        }
-        process.stdout.write(size+" streamed words (pre-normalized)\n");
-        allWords.push(...Array.from(words));
-      } else {
-        const txt = await fetchText(url);
-        const arr = extractWords(txt);
-        process.stdout.write(arr.length+" raw words\n");
-        allWords.push(...arr);
-      }
-    } catch(e){
-      console.error(`[${lang}] Failed ${url}:`, e.message);
-    }
+  for (const entry of sources.words || []) {
+    const label = entry.path ? `${entry.file || entry.url} (${entry.path})` : (entry.file || entry.url);
+    console.log(`[${lang}] reading ${label}`);
+    const arr = extractWords(await readSource(entry));
+    console.log(`[${lang}]   ${arr.length} raw words`);
+    for (const w of arr) allWords.push(w); // no spread: sources run to hundreds of thousands of words
   }
   let normalized = normalizeList(allWords, {lang, lengths: cfg.lengths});
   const dictionarySet = new Set(normalized); // capture full dictionary-derived set before pruning
   // Frequency pruning (optional)
-  if (cfg.frequency && cfg.frequency.url && cfg.frequency.top) {
+  if (cfg.frequency && cfg.frequency.top && sources.frequency) {
+    console.log(`[${lang}] reading frequency list`);
+    const freqRaw = await readSource(sources.frequency);
     try {
-      process.stdout.write(`[${lang}] fetching frequency list ... `);
-      const freqRaw = await fetchText(cfg.frequency.url);
-      // frequency file: word<space>freq
-      const linesAll = freqRaw.split(/\r?\n/);
-      const lines = linesAll.slice(0, cfg.frequency.top);
+      // frequency file: word<space>freq lines, or a JSON list (extractWords)
+      const tokens = extractWords(freqRaw).slice(0, cfg.frequency.top);
       const freqList = [];
       const freqSet = new Set();
-      const ukPattern = /^[А-ЯЇІЄҐ]+$/; // intentionally excludes Russian-specific letters (Ы Ъ Э Ё)
-      const enPattern = /^[A-Z]+$/;
-      for (const line of lines) {
-        const rawTok = line.split(/\s+/)[0];
+      for (const rawTok of tokens) {
         if (!rawTok) continue;
-        const up = rawTok.normalize('NFC').toUpperCase();
+        const up = normalizeWord(rawTok, lang);
         if (!cfg.lengths.includes(up.length)) continue;
-        if (lang === 'uk' && !ukPattern.test(up)) continue; // drop cross-language tokens
-        if (lang === 'en' && !enPattern.test(up)) continue;
+        if (!fitsAlphabet(up, lang)) continue; // drop cross-language tokens (e.g. Ы Ъ Э Ё for uk)
         // Only consider frequency words that also appear in dictionary (to avoid adding foreign or inflected outside set)
         if (!dictionarySet.has(up)) continue;
         if (!freqSet.has(up)) {
@@ -247,7 +101,7 @@ async function buildFor(lang, cfg){
           freqList.push(up);
         }
       }
-      process.stdout.write(`${freqSet.size} freq words\n`);
+      console.log(`[${lang}]   ${freqSet.size} freq words`);
   if (cfg.frequency.strategy === 'rank-union') {
         // Start with intersection
     let base = normalized.filter(w => freqSet.has(w)); // intersection already ensures dictionary membership
@@ -296,24 +150,101 @@ async function buildFor(lang, cfg){
       console.warn(`[${lang}] frequency pruning skipped:`, e.message);
     }
   }
-  // Ensure solution words present
-  const solFile = lang === 'en' ? SOL_EN : SOL_UK;
+  // Blocklist and allowlist (dictionary.mjs) have the last word
+  const curation = readCuration(lang);
+  curation.invalid.forEach(line => console.warn(`[${lang}] Not a valid ${lang} word, ignored in ${line}`));
+  const fromSources = new Set(normalized);
+  normalized = applyCuration(normalized, curation, cfg.lengths);
+  const blocked = Array.from(fromSources).filter(w => curation.blocked.has(w));
+  const forced = normalized.filter(w => !fromSources.has(w));
+  // Solutions are flagged, not added: the allowed list only has what the sources (or the
+  // allowlist) vouch for. The game still accepts every solution as a guess (build-bundle.mjs).
+  let solutions = [];
   try {
-    const sol = fs.readFileSync(solFile,'utf8').split(/\r?\n/).map(w=>w.trim()).filter(Boolean);
-    for (const w of sol) normalized.push(w.toUpperCase());
+    const sol = fs.readFileSync(solutionFile(lang),'utf8').split(/\r?\n/).map(w=>w.trim()).filter(Boolean);
+    solutions = Array.from(new Set(sol.map(w => normalizeWord(w, lang))));
   } catch(e) { console.warn(`[${lang}] Could not read solution list:`, e.message); }
-  normalized = Array.from(new Set(normalized)).sort();
-  const outFile = lang === 'en' ? OUT_EN : OUT_UK;
+  const allowedSet = new Set(normalized);
+  const blockedSolutions = solutions.filter(w => curation.blocked.has(w));
+  const missingSolutions = solutions.filter(w => !allowedSet.has(w) && !curation.blocked.has(w));
+  if (missingSolutions.length) console.warn(`[${lang}] ${missingSolutions.length} solutions aren't in the allowed list (add them to allowlist-${lang}.txt if they belong): ${missingSolutions.join(', ')}`);
+  if (blockedSolutions.length) console.warn(`[${lang}] ${blockedSolutions.length} solutions are blocked and left out of future puzzles (remove them from words-${lang}.txt): ${blockedSolutions.join(', ')}`);
+
+  const outFile = allowedFile(lang);
+  let previous = [];
+  try { previous = fs.readFileSync(outFile, 'utf8').split(/\r?\n/).filter(Boolean); } catch(_) { }
+  const changes = diffWords(previous, normalized);
   fs.writeFileSync(outFile, normalized.join('\n')+'\n');
-  console.log(`[${lang}] Wrote ${normalized.length} words to ${path.basename(outFile)}`);
+  console.log(`[${lang}] Wrote ${normalized.length} words to ${path.basename(outFile)} (+${changes.added.length}, -${changes.removed.length})`);
+  const lengths = {};
+  const dictionary = countByLength(dictionarySet), allowed = countByLength(normalized), solved = countByLength(solutions);
+  for (const len of Object.keys(allowed).map(Number).sort((a, b) => a - b)) {
+    lengths[len] = { dictionary: dictionary[len] || 0, allowed: allowed[len], solutions: solved[len] || 0 };
+  }
+  const used = [...(sources.words || []), ...(sources.frequency ? [sources.frequency] : [])];
+  return {
+    summary: {
+      sources: used.map(entry => ({ ...entry, sha256: lock[entry.file || entry.url].sha256 })),
+      lengths,
+      blocked: blocked.length,
+      forceAllowed: forced.length,
+      missingSolutions: missingSolutions.length,
+      blockedSolutions: blockedSolutions.length
+    },
+    report: { ...changes, blocked, forced, missingSolutions, blockedSolutions, invalid: curation.invalid }
+  };
+}
+
+// What changed since the last build, for review before the lists are published.
+function writeReport(reports){
+  const section = (title, words) => (words.length ? [`### ${title} (${words.length})`, '', words.join(' '), ''] : []);
+  const lines = ['# Dictionary build report', ''];
+  for (const [lang, r] of Object.entries(reports)) {
+    lines.push(`## ${lang}`, '',
+      `${r.added.length} added and ${r.removed.length} removed since the previous allowed-${lang}.txt.`, '',
+      ...section('Solutions missing from the allowed list', r.missingSolutions),
+      ...section('Blocked solutions', r.blockedSolutions),
+      ...section('Added', r.added),
+      ...section('Removed', r.removed),
+      ...section('Blocked (in the sources, left out)', r.blocked),
+      ...section('Force-allowed (not in the sources)', r.forced),
+      ...section('Ignored blocklist/allowlist lines', r.invalid));
+  }
+  fs.writeFileSync(REPORT_FILE, lines.join('\n'));
+}
+
+function printSummary(summary){
+  console.log('Language  Length  Dictionary  Allowed  Solutions');
+  for (const [lang, { lengths }] of Object.entries(summary)) {
+    for (const [len, c] of Object.entries(lengths)) {
+      console.log(`${lang.padEnd(8)}  ${len.padStart(6)}  ${String(c.dictionary).padStart(10)}  ${String(c.allowed).padStart(7)}  ${String(c.solutions).padStart(9)}`);
+    }
+  }
 }
 
 async function main(){
-  const cfg = JSON.parse(fs.readFileSync(SRC_CFG,'utf8'));
-  await buildFor('en', cfg.en);
-  await buildFor('uk', cfg.uk);
-  // regenerate obfuscated bundle
-  await import(path.join(__dirname,'obfuscateWords.cjs'));
+  const sources = readSources();
+  const summary = {};
+  const reports = {};
+  for (const lang of Object.keys(LANGUAGES)) {
+    if (!fs.existsSync(solutionFile(lang))) { console.warn(`[${lang}] No words-${lang}.txt, skipped`); continue; }
+    if (!sources[lang]) { console.warn(`[${lang}] No sources in sources.json, skipped`); continue; }
+    ({ summary: summary[lang], report: reports[lang] } = await buildFor(lang, sources[lang]));
+  }
+  // Sources removed from sources.json leave the lock too.
+  const listed = new Set(Object.values(sources).flatMap(s => [...(s.words || []), ...(s.frequency ? [s.frequency] : [])]).map(sourceLocation));
+  for (const location of Object.keys(lock)) {
+    if (!listed.has(location)) { delete lock[location]; lockChanged = true; }
+  }
+  if (lockChanged) writeLock(lock);
+  fs.writeFileSync(SUMMARY_FILE, JSON.stringify(summary, null, 2) + '\n');
+  printSummary(summary);
+  writeReport(reports);
+  console.log(`Summary written to ${path.basename(SUMMARY_FILE)}, changes to ${path.basename(REPORT_FILE)}`);
+  await writeSchedules();
+  await writeBundle();
+  await verifyBundle();
+  buildServiceWorker();
 }
 
 main().catch(e=>{ console.error(e); process.exit(1); });
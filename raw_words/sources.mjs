@@ -0,0 +1,202 @@
+// sources.mjs
+// Where the dictionary build (fetch-build-dicts.mjs) gets its word lists, and how it pins them.
+// - sources.json lists, per language, the word sources and the optional frequency list. Each
+//   entry is { "url": "https://..." } (downloaded into .cache) or { "file": "vendor/..." }
+//   (relative to raw_words, committed with the repo). Add "path" to read one file out of a
+//   .zip, .tar, .tar.gz or .tgz archive; a plain .gz is unpacked as is. "origin" is only a note
+//   of where a vendored file came from.
+// - raw_words/vendor holds npm package tarballs as published (`npm pack <name>@<version>`), so
+//   `npm view <name>@<version> dist.integrity` checks them: an-array-of-english-words (English
+//   words, MIT), subtlex-word-frequencies (English frequency ranks, ISC) and dictionary-uk
+//   (Ukrainian Hunspell dictionary, GPL-3.0). To update one, pack the new version there, point
+//   sources.json at it and rebuild with --update-lock.
+// - sources.lock.json records the SHA-256 and size of every source as downloaded or read
+//   (the archive, not the file inside it). A source that doesn't match its lock entry, or has
+//   none, fails the build: nothing is trusted on first use. `--update-lock` downloads everything
+//   again (or, offline, takes the cache as it is) and records whatever it gets, so check
+//   dicts-report.md before committing the new lock.
+// - Offline builds only read local files and the cache, and the cache is checked against the
+//   lock like any download.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import https from 'https';
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const SOURCES_FILE = path.join(__dirname, 'sources.json');
+export const LOCK_FILE = path.join(__dirname, 'sources.lock.json');
+export const CACHE_DIR = path.join(__dirname, '.cache');
+
+export function readSources(file = SOURCES_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Can't read ${path.basename(file)}: ${e.message}`);
+  }
+}
+
+export function readLock(file = LOCK_FILE) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`${path.basename(file)} is malformed (${e.message}); fix it or rebuild with --update-lock`);
+  }
+}
+
+// Sorted keys so the lock diffs cleanly.
+export function writeLock(lock, file = LOCK_FILE) {
+  const sorted = Object.fromEntries(Object.keys(lock).sort().map(k => [k, lock[k]]));
+  fs.writeFileSync(file, JSON.stringify(sorted, null, 2) + '\n');
+}
+
+export function sha256(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+export function sourceLocation(entry) {
+  const location = entry && (entry.file || entry.url);
+  if (typeof location !== 'string' || !location) throw new Error(`A source needs "file" or "url": ${JSON.stringify(entry)}`);
+  return location;
+}
+
+// Check `buf` against the lock entry for `location`; with `updateLock`, record it instead.
+// Returns true if the lock changed.
+export function pinSource(lock, location, buf, { updateLock = false } = {}) {
+  const actual = { sha256: sha256(buf), bytes: buf.length };
+  const pinned = lock[location];
+  if (pinned && pinned.sha256 === actual.sha256) return false;
+  if (!pinned && !updateLock) {
+    throw new Error(`${location} isn't in sources.lock.json (sha256 ${actual.sha256}); check it and pin it with --update-lock`);
+  }
+  if (pinned && !updateLock) {
+    throw new Error(`${location} doesn't match sources.lock.json (sha256 ${actual.sha256}, locked ${pinned.sha256}); ` +
+      'if the change is expected, rebuild with --update-lock');
+  }
+  lock[location] = actual;
+  return true;
+}
+
+// --- Archives ---
+function tarMember(buf, member) {
+  for (let off = 0; off + 512 <= buf.length;) {
+    const header = buf.subarray(off, off + 512);
+    if (header.every(b => b === 0)) break;
+    const field = (start, len) => header.subarray(start, start + len).toString('utf8').replace(/\0.*$/s, '');
+    const prefix = field(345, 155);
+    const name = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+    const size = parseInt(field(124, 12).trim() || '0', 8);
+    const type = field(156, 1);
+    if (name === member && (type === '0' || type === '')) return buf.subarray(off + 512, off + 512 + size);
+    off += 512 + Math.ceil(size / 512) * 512;
+  }
+  return null;
+}
+
+function zipMember(buf, member) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('not a zip archive');
+  const count = buf.readUInt16LE(eocd + 10);
+  let off = buf.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(off) !== 0x02014b50) throw new Error('damaged zip directory');
+    const method = buf.readUInt16LE(off + 10);
+    const compressed = buf.readUInt32LE(off + 20);
+    const nameLen = buf.readUInt16LE(off + 28);
+    const skip = nameLen + buf.readUInt16LE(off + 30) + buf.readUInt16LE(off + 32);
+    const local = buf.readUInt32LE(off + 42);
+    const name = buf.subarray(off + 46, off + 46 + nameLen).toString('utf8');
+    if (name === member) {
+      const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+      const data = buf.subarray(start, start + compressed);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data);
+      throw new Error(`${member} uses an unsupported zip compression (${method})`);
+    }
+    off += 46 + skip;
+  }
+  return null;
+}
+
+// The contents of `buf` (read from `location`), or of its `member` when it is an archive.
+export function unpackSource(buf, location, member) {
+  const name = location.toLowerCase().replace(/[?#].*$/, '');
+  let data = buf;
+  if (/\.(gz|tgz)$/.test(name)) data = zlib.gunzipSync(buf);
+  if (!member) return data;
+  let found;
+  if (name.endsWith('.zip')) found = zipMember(data, member);
+  else if (/\.(tar|tar\.gz|tgz)$/.test(name)) found = tarMember(data, member);
+  else throw new Error(`${location} isn't a .zip, .tar, .tar.gz or .tgz archive, so it has no "${member}"`);
+  if (!found) throw new Error(`${location} has no ${member}`);
+  return found;
+}
+
+// --- Downloads ---
+function download(url, { attempt = 1, redirects = 0 } = {}) {
+  return new Promise((resolve, reject) => {
+    const lib = url.startsWith('http://') ? http : https;
+    const req = lib.get(new URL(url), res => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirects >= 5) return reject(new Error(`Too many redirects for ${url}`));
+        return resolve(download(new URL(res.headers.location, url).href, { redirects: redirects + 1 }));
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`HTTP ${res.statusCode} for ${url}`));
+      }
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => resolve(Buffer.concat(chunks)));
+      res.on('error', reject);
+    });
+    req.on('error', err => {
+      if (attempt < 3) setTimeout(() => download(url, { attempt: attempt + 1, redirects }).then(resolve, reject), attempt * 300);
+      else reject(err);
+    });
+  });
+}
+
+// One cache file per URL; the readable tail is only there to make the directory browsable.
+function cacheFile(url, cacheDir) {
+  const tail = path.basename(new URL(url).pathname).replace(/[^\w.-]/g, '_').slice(-60);
+  return path.join(cacheDir, `${sha256(url).slice(0, 16)}-${tail}`);
+}
+
+// Read one sources.json entry as text, checked against (and recorded in) `lock`.
+// Options: offline (no downloads), updateLock (download again unless offline, and pin what it
+// gets), dir (base of "file" entries) and cacheDir.
+// Resolves to { location, text, changed } where `changed` says whether `lock` was updated.
+export async function loadSource(entry, { lock, offline = false, updateLock = false, dir = __dirname, cacheDir = CACHE_DIR } = {}) {
+  const location = sourceLocation(entry);
+  let buf = null;
+  if (entry.file) {
+    const file = path.resolve(dir, entry.file);
+    if (!fs.existsSync(file)) throw new Error(`${entry.file} not found`);
+    buf = fs.readFileSync(file);
+  } else {
+    const cached = cacheFile(entry.url, cacheDir);
+    if ((offline || !updateLock) && fs.existsSync(cached)) {
+      buf = fs.readFileSync(cached);
+      // A stale or damaged cache entry is downloaded again (online) or fails below (offline).
+      if (!offline && lock[location] && lock[location].sha256 !== sha256(buf)) buf = null;
+    }
+    if (!buf) {
+      if (offline) throw new Error(`${location} isn't cached; run once without --offline, or vendor it as a "file" source`);
+      buf = await download(entry.url);
+      fs.mkdirSync(cacheDir, { recursive: true });
+      fs.writeFileSync(`${cached}.tmp`, buf);
+      fs.renameSync(`${cached}.tmp`, cached);
+    }
+  }
+  const changed = pinSource(lock, location, buf, { updateLock });
+  return { location, text: unpackSource(buf, location, entry.path).toString('utf8'), changed };
+}
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/**
+ * verify-bundle.mjs
+ * Round-trip check of the word files (words/<code>.js, words/guesses/<code>.js) against the raw lists they were built
+ * from (build-bundle.mjs).
+ * Every language in languages.js needs a word file with at least one non-empty word length. A
+ * language without a raw list only gets the checks that need no raw list.
+ * For every language and word length:
+ * - the solution list decrypts to words-<code>.txt less blocked words, otherwise unchanged (order
+ *   matters for the legacy daily formula)
+ * - no blocked word (blocklist-<code>.txt) is in the solution list, passes the Bloom filter or is
+ *   scheduled after today
+ * - every allowed word and solution passes the Bloom filter, and random non-words pass
+ *   no more often than the filter was sized for
+ * - the analysis's guess list decrypts to the same allowed words, less blocked words
+ * - every scheduled day decrypts to its word, and a record doesn't open with another day's key
+ * Exits with status 1 and lists the problems if anything differs.
+ * Run: `npm run verify:bundle` (build:dicts and build:schedule run it after writing the word files).
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { LANGUAGES, languageFor, isLanguage } from '../languages.js';
+import { bloomFilter, decryptAnswer, decryptWords, guessListId } from '../wordcodec.js';
+import { dayNumberNow } from '../engine.js';
+import { shippedLists } from './dictionary.mjs';
+import { wordFile, guessFile, readList, byLength, rawLanguages, readSchedule, blockedWords } from './build-bundle.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const RANDOM_PROBES = 20000;
+const MAX_FALSE_POSITIVES = 1e-3; // 10x the rate the filter is built for, so noise doesn't fail the build
+
+// Deterministic probe words from the language's alphabet (same PRNG family as build-schedule.mjs).
+function randomWords(alphabet, len, count, seedStr) {
+  let h = 1779033703;
+  for (let i = 0; i < seedStr.length; i++) h = Math.imul(h ^ seedStr.charCodeAt(i), 3432918353);
+  const rnd = () => {
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return ((h ^= h >>> 16) >>> 0) / 4294967296;
+  };
+  const letters = Array.from(alphabet);
+  const out = [];
+  for (let n = 0; n < count; n++) {
+    let w = '';
+    for (let i = 0; i < len; i++) w += letters[Math.floor(rnd() * letters.length)];
+    out.push(w);
+  }
+  return out;
+}
+
+async function opens(answers, id, day) {
+  try { return await decryptAnswer(answers, id, day); } catch (_) { return null; }
+}
+
+// The exported word lengths of a word file (words5, words6, ...).
+function bundleLengths(bundle) {
+  return Object.keys(bundle)
+    .map(name => /^words(\d+)$/.exec(name))
+    .filter(Boolean)
+    .map(m => Number(m[1]))
+    .sort((a, b) => a - b);
+}
+
+// A query string so a file written earlier in the same process is read fresh.
+function importFresh(file) {
+  return import(`${pathToFileURL(file).href}?${Date.now()}`);
+}
+
+// Checks one word length. `guesses` is the language's guess file (null if it has none). `raw` is
+// { solutions, allowed, schedule } from the raw lists, or null when the language has none: the
+// word files are then only checked against themselves.
+async function verifyLength(bundle, guesses, code, len, raw, blocked, problems) {
+  const where = `${code}/${len}`;
+  const id = code + len;
+  const expected = raw ? shippedLists(raw.solutions, raw.allowed, blocked) : null;
+  const blockedHere = Array.from(blocked).filter(w => w.length === len);
+
+  const pool = await decryptWords(bundle['words' + len], id).catch(() => null);
+  if (!pool) problems.push(`${where}: solution list doesn't decrypt`);
+  else if (!pool.length) problems.push(`${where}: solution list is empty`);
+  else if (expected && JSON.stringify(pool) !== JSON.stringify(expected.pool)) problems.push(`${where}: solution list differs from words-${code}.txt`);
+  const blockedInPool = (pool || []).filter(w => blocked.has(w));
+  if (blockedInPool.length) problems.push(`${where}: blocked words in the solution list: ${blockedInPool.join(', ')}`);
+
+  const filter = bloomFilter(bundle['allowed' + len]);
+  const blockedAllowed = blockedHere.filter(w => filter.has(w));
+  if (blockedAllowed.length) problems.push(`${where}: blocked words accepted as guesses: ${blockedAllowed.join(', ')}`);
+  let falsePositives = 0;
+  // Without raw lists the solutions are the only words known to be guessable.
+  const guessable = expected ? expected.guessable : filter.size ? pool : null;
+  if (guessable) {
+    const known = new Set(guessable);
+    const missing = Array.from(known).filter(w => !filter.has(w));
+    if (missing.length) problems.push(`${where}: ${missing.length} allowed words rejected, e.g. ${missing.slice(0, 3).join(', ')}`);
+    const alphabet = isLanguage(code) ? languageFor(code).alphabet : 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    const probes = randomWords(alphabet, len, RANDOM_PROBES, id).filter(w => !known.has(w));
+    falsePositives = probes.filter(w => filter.has(w)).length / Math.max(1, probes.length);
+    if (falsePositives > MAX_FALSE_POSITIVES) problems.push(`${where}: ${(falsePositives * 100).toFixed(3)}% of non-words accepted`);
+  } else if (filter.size) {
+    problems.push(`${where}: word file has an allowed filter but there is no allowed list`);
+  }
+
+  const spec = guesses && guesses['guesses' + len];
+  const guessList = await decryptWords(spec, guessListId(code, len)).catch(() => null);
+  if (!guessList) problems.push(`${where}: guess list doesn't decrypt`);
+  else if (expected && JSON.stringify(guessList) !== JSON.stringify(expected.guessable || [])) problems.push(`${where}: guess list differs from the allowed words`);
+  else if (!expected && guessList.length !== filter.size) problems.push(`${where}: guess list has ${guessList.length} words, the allowed filter ${filter.size}`);
+  else if (!expected && guessList.some(w => !filter.has(w))) problems.push(`${where}: guess list has words the allowed filter rejects`);
+  const blockedGuesses = (guessList || []).filter(w => blocked.has(w));
+  if (blockedGuesses.length) problems.push(`${where}: blocked words in the guess list: ${blockedGuesses.join(', ')}`);
+
+  const answers = bundle['answers' + len];
+  const schedule = raw ? raw.schedule : null;
+  if (!answers || !answers.count) {
+    problems.push(`${where}: no daily answers`);
+  } else if (schedule && (answers.start !== schedule.start || answers.count !== schedule.days.length)) {
+    problems.push(`${where}: answers cover ${answers.count} days from ${answers.start}, schedule has ${schedule.days.length} from ${schedule.start}`);
+  } else {
+    const decoded = await Promise.all(Array.from({ length: answers.count }, (_, i) => opens(answers, id, answers.start + i)));
+    const wrong = decoded
+      .map((w, i) => (schedule ? w === schedule.days[i] : typeof w === 'string' && Array.from(w).length === len) ? -1 : answers.start + i)
+      .filter(d => d >= 0);
+    if (wrong.length) problems.push(`${where}: ${wrong.length} days don't decrypt to ${schedule ? 'the schedule' : `a ${len}-letter word`}, e.g. day ${wrong[0]}`);
+    // Days up to today were played and keep their answer (build-schedule.mjs).
+    const today = dayNumberNow();
+    const blockedDays = decoded.map((w, i) => (answers.start + i > today && blocked.has(w) ? answers.start + i : -1)).filter(d => d >= 0);
+    if (blockedDays.length) problems.push(`${where}: ${blockedDays.length} future days have a blocked answer, e.g. day ${blockedDays[0]}`);
+    // Another day's key must not open a record (each record only opens on its own date).
+    if (answers.count > 1 && await opens({ ...answers, start: answers.start + 1 }, id, answers.start + 1)) {
+      problems.push(`${where}: a record opens with the wrong day's key`);
+    }
+  }
+  return `${where}: ${pool ? pool.length : 0} solutions, ${filter.size} allowed (${(falsePositives * 100).toFixed(3)}% false positives), ${guessList ? guessList.length : 0} in the guess list, ${answers ? answers.count : 0} days`;
+}
+
+// Every language in languages.js must have a word file with at least one word length; languages
+// without a raw list (not every checkout has them) are checked against the word file alone.
+export async function verifyBundle() {
+  const problems = [];
+  const summary = [];
+  const rawCodes = rawLanguages();
+  for (const code of Object.keys(LANGUAGES)) {
+    let bundle;
+    try {
+      bundle = await importFresh(wordFile(code));
+    } catch (e) {
+      problems.push(`${code}: can't load words/${code}.js (${e.message})`);
+      continue;
+    }
+    // Languages without allowed lists have no guess file.
+    const guesses = fs.existsSync(guessFile(code)) ? await importFresh(guessFile(code)).catch(e => {
+      problems.push(`${code}: can't load words/guesses/${code}.js (${e.message})`);
+      return null;
+    }) : null;
+    const blocked = blockedWords(code);
+    const built = bundleLengths(bundle);
+    if (!rawCodes.includes(code)) {
+      if (!built.length) problems.push(`${code}: words/${code}.js has no word lists`);
+      summary.push(`${code}: no raw_words/words-${code}.txt, word file checked on its own`);
+      for (const len of built) summary.push(await verifyLength(bundle, guesses, code, len, null, blocked, problems));
+      continue;
+    }
+    const solutions = byLength(readList(path.join(__dirname, `words-${code}.txt`)));
+    let allowed = {};
+    try { allowed = byLength(readList(path.join(__dirname, `allowed-${code}.txt`))); } catch (_) { }
+    const lengths = Object.keys(solutions).map(Number).sort((a, b) => a - b);
+    if (!lengths.length) problems.push(`${code}: words-${code}.txt has no words`);
+    const stray = built.filter(len => !solutions[len]);
+    if (stray.length) problems.push(`${code}: words/${code}.js has ${stray.join(', ')}-letter lists that words-${code}.txt doesn't`);
+    for (const len of lengths) {
+      const raw = { solutions: solutions[len], allowed: allowed[len], schedule: readSchedule(code, len) };
+      summary.push(await verifyLength(bundle, guesses, code, len, raw, blocked, problems));
+    }
+  }
+  summary.forEach(line => console.log(line));
+  if (problems.length) throw new Error(`Word file check failed:\n- ${problems.join('\n- ')}`);
+  const unchecked = Object.keys(LANGUAGES).filter(code => !rawCodes.includes(code));
+  console.log(unchecked.length ? `✅ Word files check out (${unchecked.join(', ')} without a raw list to compare with)` : '✅ Word files match the raw lists');
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  verifyBundle().catch(e => { console.error(e.message); process.exit(1); });
+}
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * word-info.mjs
+ * Looks up words in the dictionary build: whether each one is a solution, an allowed guess,
+ * blocked or force-allowed, which sources have it and its frequency rank, and whether the
+ * shipped word file (words/<code>.js) accepts it.
+ * Sources are read the way `build:dicts --offline` reads them (vendored files and the download
+ * cache, checked against sources.lock.json), so run a build once online first.
+ * Run: `npm run word:info -- <lang> <word> [word...]`
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { LANGUAGES, isLanguage, normalizeWord } from '../languages.js';
+import { bloomFilter } from '../wordcodec.js';
+import { readSources, readLock, loadSource, sourceLocation } from './sources.mjs';
+import { wordFile } from './build-bundle.mjs';
+import {
+  solutionFile, allowedFile, blocklistFile, allowlistFile, extractWords, normalizeList, frequencyRanks, readCuratedList
+} from './dictionary.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+
+function readLines(file) {
+  try { return fs.readFileSync(file, 'utf8').split(/\r?\n/); } catch (_) { return null; }
+}
+
+// Each source's words (as the build reads them), or the reason it can't be read.
+async function sourceWords(lang, entries, lock) {
+  const lengths = LANGUAGES[lang].dictionary.lengths;
+  return Promise.all(entries.map(async entry => {
+    const location = sourceLocation(entry) + (entry.path ? ` (${entry.path})` : '');
+    try {
+      const { text } = await loadSource(entry, { lock: { ...lock }, offline: true });
+      return { location, words: new Set(normalizeList(extractWords(text), { lang, lengths })) };
+    } catch (e) {
+      return { location, error: e.message };
+    }
+  }));
+}
+
+export async function wordInfo(lang, words) {
+  if (!isLanguage(lang)) throw new Error(`Unknown language "${lang}" (${Object.keys(LANGUAGES).join(', ')})`);
+  const lock = readLock();
+  const entries = readSources()[lang] || {};
+  const sources = await sourceWords(lang, entries.words || [], lock);
+  let ranks = null;
+  let freqError = '';
+  if (entries.frequency) {
+    try {
+      ranks = frequencyRanks((await loadSource(entries.frequency, { lock: { ...lock }, offline: true })).text, lang);
+    } catch (e) { freqError = e.message; }
+  }
+  const top = LANGUAGES[lang].dictionary.frequency && LANGUAGES[lang].dictionary.frequency.top;
+  const solutions = (readLines(solutionFile(lang)) || []).map(w => normalizeWord(w.trim(), lang));
+  const allowed = readLines(allowedFile(lang));
+  const blocked = readCuratedList(blocklistFile(lang), lang).words;
+  const forced = readCuratedList(allowlistFile(lang), lang).words;
+  let bundle = null;
+  try { bundle = await import(pathToFileURL(wordFile(lang)).href); } catch (_) { }
+
+  const lines = [];
+  for (const raw of words) {
+    const word = normalizeWord(raw, lang);
+    const line = solutions.indexOf(word);
+    lines.push(`${word} (${lang})`);
+    lines.push(`  solution:     ${line >= 0 ? `yes, words-${lang}.txt line ${line + 1}` : 'no'}`);
+    lines.push(`  allowed:      ${allowed ? (allowed.includes(word) ? 'yes' : 'no') : `no allowed-${lang}.txt yet`}`);
+    if (blocked.includes(word)) lines.push('  blocklist:    yes, left out of the allowed list');
+    if (forced.includes(word)) lines.push('  allowlist:    yes, always allowed');
+    for (const s of sources) {
+      lines.push(`  source:       ${s.error ? `? ${s.error}` : `${s.words.has(word) ? 'has it' : 'missing'}, ${s.location}`}`);
+    }
+    if (ranks) {
+      const rank = ranks.get(word);
+      lines.push(`  frequency:    ${rank ? `rank ${rank}${top && rank > top ? ` (outside the top ${top} the build keeps)` : ''}` : 'not in the frequency list'}`);
+    } else if (freqError) {
+      lines.push(`  frequency:    ? ${freqError}`);
+    }
+    if (bundle) {
+      const filter = bloomFilter(bundle['allowed' + word.length]);
+      lines.push(`  word file:    ${filter.size ? (filter.has(word) ? 'accepted as a guess' : 'rejected as a guess') : 'no guess check at this length'}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const [lang, ...words] = process.argv.slice(2);
+  if (!lang || !words.length) {
+    console.error('Usage: node raw_words/word-info.mjs <lang> <word> [word...]');
+    process.exit(1);
+  }
+  wordInfo(lang, words).then(text => console.log(text)).catch(e => { console.error(e.message); process.exit(1); });
+}
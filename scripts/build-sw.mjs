@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * build-sw.mjs
+ * Stamps one shared version into version.js (read by app.js) and service-worker.js, and writes
+ * the service worker's precache manifest with a content hash per asset.
+ * - The version is package.json's "version" plus a hash of every precached file and word file,
+ *   so any change to the app or a word list produces a new service worker and an update prompt
+ * - Unchanged assets (same hash) are copied from the previous cache instead of re-downloaded
+ * - Word files (words/<code>.js) aren't precached: the app imports a language when it's picked,
+ *   and the worker keeps each one in its own cache. version.js lists them (WORD_FILES) with a
+ *   hash for the URL and the word lengths each one has, plus the hash of the language's guess
+ *   file (words/guesses/<code>.js, only loaded by the post-game analysis) if it has one
+ * Run after editing any precached file: `npm run build:sw` (build:dicts/build:schedule do it too).
+ * `--check` writes nothing and fails if version.js or service-worker.js is out of date (npm test
+ * runs the same check, so a stale precache manifest can't go unnoticed).
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.join(path.dirname(__filename), '..');
+
+// Everything the app needs offline. "./" is served from index.html.
+const ASSETS = [
+  'index.html',
+  'styles.css',
+  'app.js',
+  'engine.js',
+  'analysis.js',
+  'analysis-worker.js',
+  'languages.js',
+  'sync.js',
+  'words.js',
+  'wordcodec.js',
+  'version.js',
+  'manifest.webmanifest',
+  'robots.txt',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/maskable-512.png',
+  'icons/apple-touch-icon.png'
+];
+
+const SW_FILE = path.join(ROOT, 'service-worker.js');
+const VERSION_FILE = path.join(ROOT, 'version.js');
+const BEGIN = '// --- Generated by scripts/build-sw.mjs; do not edit by hand ---';
+const END = '// --- End generated ---';
+
+function hashOf(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex').slice(0, 10);
+}
+
+function hashFile(rel) {
+  return hashOf(fs.readFileSync(path.join(ROOT, rel)));
+}
+
+// words/<code>.js -> { hash, lengths, guesses? }; lengths come from the words<len> exports,
+// guesses is the hash of words/guesses/<code>.js.
+function wordFiles() {
+  const dir = path.join(ROOT, 'words');
+  const files = {};
+  if (!fs.existsSync(dir)) return files;
+  for (const f of fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort()) {
+    const text = fs.readFileSync(path.join(dir, f), 'utf8');
+    const lengths = Array.from(text.matchAll(/^export const words(\d+) = /gm), m => Number(m[1]));
+    files[f.slice(0, -3)] = { hash: hashOf(text), lengths };
+    const guesses = path.join(dir, 'guesses', f);
+    if (fs.existsSync(guesses)) files[f.slice(0, -3)].guesses = hashOf(fs.readFileSync(guesses));
+  }
+  return files;
+}
+
+// Every word file's path (as the service worker sees it) -> its hash.
+function wordFileHashes(words) {
+  const out = {};
+  for (const [code, f] of Object.entries(words)) {
+    out[`./words/${code}.js`] = f.hash;
+    if (f.guesses) out[`./words/guesses/${code}.js`] = f.guesses;
+  }
+  return out;
+}
+
+// The generated version.js and service-worker.js for the files as they are now.
+function generate() {
+  const pkg = JSON.parse(fs.readFileSync(path.join(ROOT, 'package.json'), 'utf8'));
+  // version.js holds the result, so it can't be part of its own input.
+  const sources = ASSETS.filter(a => a !== 'version.js');
+  const words = wordFiles();
+  const wordHashes = wordFileHashes(words);
+  const combined = hashOf([
+    ...sources.map(a => `${a}:${hashFile(a)}`),
+    ...Object.entries(wordHashes).map(([file, hash]) => `${file.slice(2)}:${hash}`)
+  ].join('\n'));
+  const version = `v${pkg.version}-${combined}`;
+
+  const versionText = [
+    '// version.js',
+    '// Generated by scripts/build-sw.mjs (`npm run build:sw`); do not edit by hand.',
+    `export const APP_VERSION = '${version}';`,
+    '// Word file per language (words/<code>.js): content hash, the word lengths it has and the',
+    '// hash of its guess file (words/guesses/<code>.js) if there is one.',
+    `export const WORD_FILES = ${JSON.stringify(words)};`,
+    ''
+  ].join('\n');
+
+  // version.js is precached too, so the manifest hashes the new one.
+  const versionHash = hashOf(versionText);
+  const manifest = {};
+  for (const asset of ASSETS) manifest[`./${asset}`] = asset === 'version.js' ? versionHash : hashFile(asset);
+  manifest['./'] = manifest['./index.html'];
+
+  const sw = fs.readFileSync(SW_FILE, 'utf8');
+  const start = sw.indexOf(BEGIN);
+  const end = sw.indexOf(END);
+  if (start < 0 || end < start) throw new Error(`${path.basename(SW_FILE)} has no generated block; restore the ${BEGIN} marker`);
+  const block = [
+    BEGIN,
+    `const VERSION = ${JSON.stringify(version)};`,
+    `const PRECACHE = ${JSON.stringify(manifest, null, 2)};`,
+    `const WORD_FILES = ${JSON.stringify(wordHashes, null, 2)};`,
+    ''
+  ].join('\n');
+  return { version, versionText, swText: sw.slice(0, start) + block + sw.slice(end), words };
+}
+
+export function buildServiceWorker() {
+  const { version, versionText, swText, words } = generate();
+  fs.writeFileSync(VERSION_FILE, versionText);
+  fs.writeFileSync(SW_FILE, swText);
+  console.log(`Service worker ${version}: ${ASSETS.length} assets precached, ${Object.keys(words).length} word files`);
+  return version;
+}
+
+// Generated files that don't match the current assets ([] when everything is up to date).
+export function staleServiceWorkerFiles() {
+  const { versionText, swText } = generate();
+  const stale = [];
+  if (fs.readFileSync(VERSION_FILE, 'utf8') !== versionText) stale.push(path.basename(VERSION_FILE));
+  if (fs.readFileSync(SW_FILE, 'utf8') !== swText) stale.push(path.basename(SW_FILE));
+  return stale;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  try {
+    if (process.argv.includes('--check')) {
+      const stale = staleServiceWorkerFiles();
+      if (stale.length) throw new Error(`${stale.join(' and ')} out of date; run npm run build:sw`);
+      console.log('Service worker and version.js are up to date');
+    } else {
+      buildServiceWorker();
+    }
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
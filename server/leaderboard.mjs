@@ -0,0 +1,152 @@
+// leaderboard.mjs
+// Rules of the optional leaderboard server (server.mjs): checking submitted daily results by
+// replaying them against the official word, nickname claims and ranking. The JSON store is a
+// plain object so Node tests can run these without a server (test/leaderboard.test.js); its
+// maps are keyed by nicknames, so they have no prototype (a player may be called __proto__).
+import crypto from 'crypto';
+import fs from 'fs';
+import { DEFAULT_ATTEMPTS, dayNumberNow, newGame, restoreGame } from '../engine.js';
+import { isLanguage, languageFor } from '../languages.js';
+import { dataFor, languageLengths, officialWord } from '../words.js';
+
+export const NICKNAME_RE = /^[\p{L}\p{N}_.-]{2,20}$/u;
+export const GROUP_RE = /^[\p{L}\p{N}_.-]{1,32}$/u;
+export const DEFAULT_GROUP = 'everyone';
+export const MAX_HINTS = 3; // the most hints a game can have (app.js HINT_LIMITS)
+
+// Errors carry an HTTP status and a message the app shows as is.
+export function requestError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// An object without a prototype holding `entries`, so any key is just data.
+function dict(entries = {}) {
+  return Object.assign(Object.create(null), entries);
+}
+
+export function emptyStore() {
+  return { users: dict(), days: dict() };
+}
+
+// Results are kept per language, word length and puzzle, e.g. 'en5-290'.
+export function dayKey(lang, length, puzzle) {
+  return `${lang}${length}-${puzzle}`;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Body of POST /api/results: { nickname, token, group?, lang, length?, puzzle, attempts, hardMode?, hints? }.
+// `puzzle` is the app's puzzle number (#1 = Jan 1 2025, UTC); only today's and yesterday's count,
+// so a game finished just before midnight can still be posted. `hints` is the game's list of used
+// hints (engine.js); the result keeps how many there were.
+export async function verifyResult(body, now = Date.now()) {
+  if (!body || typeof body !== 'object') throw requestError(400, 'Expected a JSON object');
+  const { nickname, token, lang, puzzle, attempts } = body;
+  const group = body.group || DEFAULT_GROUP;
+  const length = body.length === undefined ? 5 : body.length;
+  if (typeof nickname !== 'string' || !NICKNAME_RE.test(nickname)) throw requestError(400, 'Nicknames are 2-20 letters, digits, _ . or -');
+  if (typeof token !== 'string' || token.length < 16 || token.length > 128) throw requestError(400, 'Missing sign-in token');
+  if (typeof group !== 'string' || !GROUP_RE.test(group)) throw requestError(400, 'Group names are 1-32 letters, digits, _ . or -');
+  if (!isLanguage(lang)) throw requestError(400, 'Unknown language');
+  if (!languageFor(lang).dictionary.lengths.includes(length) || !languageLengths(lang).includes(length)) {
+    throw requestError(400, 'No daily puzzle for that word length');
+  }
+  const today = dayNumberNow(now) + 1;
+  if (!Number.isInteger(puzzle) || puzzle > today || puzzle < today - 1) throw requestError(400, 'Only today\'s puzzle can be posted');
+  if (!Array.isArray(attempts) || attempts.length > DEFAULT_ATTEMPTS) throw requestError(400, 'Expected the list of guesses');
+  const hints = body.hints === undefined ? [] : body.hints;
+  if (!Array.isArray(hints) || hints.length > MAX_HINTS) throw requestError(400, 'Expected the list of hints');
+
+  // Replay with the same rules as the app; the client's own verdict is never trusted.
+  // officialWord loads the language's word file, so dataFor has its lists below.
+  const solution = await officialWord(lang, puzzle - 1, length);
+  if (!solution) throw requestError(500, 'The word list is damaged');
+  const { allowed } = dataFor(lang, length);
+  const game = newGame({ solution, lang, hardMode: !!body.hardMode, isAllowed: guess => allowed.has(guess) });
+  for (const guess of attempts) {
+    if (typeof guess !== 'string' || game.gameOver) throw requestError(422, 'Those guesses don\'t make a valid game');
+    for (const letter of guess) game.type(letter);
+    const res = game.submit();
+    if (!res.ok || res.guess !== guess) throw requestError(422, 'Those guesses don\'t make a valid game');
+  }
+  if (!game.gameOver) throw requestError(422, 'The game isn\'t finished yet');
+  // Hints can't be replayed like guesses, so an unaided result is the app's word; hints that
+  // don't fit the answer are refused all the same.
+  if (restoreGame({ solution, hints }, { solution, lang }).hints.length !== hints.length) {
+    throw requestError(422, 'Those hints don\'t fit the puzzle');
+  }
+  return {
+    nickname,
+    token,
+    group,
+    lang,
+    length,
+    puzzle,
+    attempts: game.attempts,
+    hardMode: game.hardMode,
+    hints: hints.length,
+    solved: game.won
+  };
+}
+
+// Store a verified result. A nickname belongs to the first token it was posted with; each
+// nickname has one result per puzzle (posting the same game again is fine).
+export function addResult(store, result, now = Date.now()) {
+  const id = result.nickname.toLowerCase();
+  const tokenHash = hashToken(result.token);
+  const user = store.users[id];
+  if (user && user.tokenHash !== tokenHash) throw requestError(403, 'That nickname is taken');
+  if (!user) store.users[id] = { nickname: result.nickname, tokenHash, since: new Date(now).toISOString() };
+  const key = dayKey(result.lang, result.length, result.puzzle);
+  const day = store.days[key] || (store.days[key] = dict());
+  const existing = day[id];
+  if (existing) {
+    if (existing.attempts.join() !== result.attempts.join()) throw requestError(409, 'You already posted a result for this puzzle');
+    return { entry: existing, created: false };
+  }
+  const entry = {
+    nickname: result.nickname,
+    group: result.group,
+    attempts: result.attempts,
+    hardMode: result.hardMode,
+    hints: result.hints || 0,
+    solved: result.solved,
+    at: new Date(now).toISOString()
+  };
+  day[id] = entry;
+  return { entry, created: true };
+}
+
+// Solved first, then fewer hints (unaided results above hinted ones), fewer guesses, hard mode,
+// and who finished first. Guesses stay on the server so the board can't spoil the word; the app
+// gets the counts. Results from before hints were posted count as unaided.
+export function leaderboard(store, { lang, length = 5, puzzle, group = DEFAULT_GROUP }) {
+  const day = store.days[dayKey(lang, length, puzzle)] || {};
+  return Object.values(day)
+    .filter(e => e.group === group)
+    .sort((a, b) => (b.solved - a.solved) || ((a.hints || 0) - (b.hints || 0)) ||
+      (a.attempts.length - b.attempts.length) || (b.hardMode - a.hardMode) || a.at.localeCompare(b.at))
+    .map((e, i) => ({ rank: i + 1, nickname: e.nickname, solved: e.solved, guesses: e.attempts.length, hardMode: e.hardMode, hints: e.hints || 0, at: e.at }));
+}
+
+// --- JSON file store ---
+export function loadStore(file) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const days = dict(parsed.days);
+    for (const key of Object.keys(days)) days[key] = dict(days[key]);
+    return { ...parsed, users: dict(parsed.users), days };
+  } catch (e) {
+    if (e.code === 'ENOENT') return emptyStore();
+    throw new Error(`Can't read ${file}: ${e.message}`);
+  }
+}
+
+// Write to a temporary file and rename it over the old one, so a crash never leaves half a file.
+export function saveStore(file, store) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store));
+  fs.renameSync(tmp, file);
+}
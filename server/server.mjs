@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * server.mjs
+ * Optional, self-hosted leaderboard for a group of players. No dependencies: built-in http and a
+ * JSON file. The app only talks to it when a server URL is set in Settings.
+ * - POST /api/results     { nickname, token, group, lang, length, puzzle, attempts, hardMode, hints }
+ *                         The guesses are replayed against the official daily word (leaderboard.mjs)
+ * - GET  /api/leaderboard ?lang=en&length=5&puzzle=290&group=team
+ * - GET  /api/health
+ * Run: `npm run serve:leaderboard` (PORT, default 8787; DATA_FILE, default server/data.json;
+ * ALLOW_ORIGIN, default * — set it to the app's origin when the server is public).
+ */
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { APP_VERSION } from '../version.js';
+import { DEFAULT_GROUP, requestError, verifyResult, addResult, leaderboard, loadStore, saveStore } from './leaderboard.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.DATA_FILE || path.join(path.dirname(__filename), 'data.json');
+const ALLOW_ORIGIN = process.env.ALLOW_ORIGIN || '*';
+const MAX_BODY = 16 * 1024;
+
+const store = loadStore(DATA_FILE);
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': ALLOW_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Cache-Control': 'no-store'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(requestError(413, 'Request too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8'))); } catch (_) { reject(requestError(400, 'Expected a JSON body')); }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (req.method === 'GET' && url.pathname === '/api/health') return send(res, 200, { ok: true, version: APP_VERSION });
+  if (req.method === 'GET' && url.pathname === '/api/leaderboard') {
+    const q = url.searchParams;
+    const query = {
+      lang: q.get('lang') || '',
+      length: Number(q.get('length')) || 5,
+      puzzle: Number(q.get('puzzle')),
+      group: q.get('group') || DEFAULT_GROUP
+    };
+    if (!Number.isInteger(query.puzzle)) throw requestError(400, 'Missing puzzle number');
+    return send(res, 200, { ...query, entries: leaderboard(store, query) });
+  }
+  if (req.method === 'POST' && url.pathname === '/api/results') {
+    const result = await verifyResult(await readJson(req));
+    const { entry, created } = addResult(store, result);
+    if (created) saveStore(DATA_FILE, store);
+    const entries = leaderboard(store, result);
+    return send(res, created ? 201 : 200, { ok: true, rank: entries.find(e => e.nickname === entry.nickname).rank, entries });
+  }
+  throw requestError(404, 'Not found');
+}
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch(e => {
+    if (!e.status) console.error(e);
+    send(res, e.status || 500, { ok: false, error: e.status ? e.message : 'Server error' });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Leaderboard ${APP_VERSION} on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});
@@ -1,44 +1,148 @@
-const CACHE = "guessmosaic-v1.02";
-const ASSETS = [
-  "./",
-  "./index.html",
-  "./styles.css",
-  "./app.js",
-  "./wordlist-obf.js",
-  "./manifest.webmanifest",
-  "./icons/icon-192.png",
-  "./icons/icon-512.png",
-  "./icons/maskable-512.png",
-  "./icons/apple-touch-icon.png"
-  ,"./robots.txt"
-];
+// --- Generated by scripts/build-sw.mjs; do not edit by hand ---
+const VERSION = "v0.5.4-dd1dd2c36f";
+const PRECACHE = {
+  "./index.html": "bc0f72e358",
+  "./styles.css": "f31ad341a4",
+  "./app.js": "90dccee79a",
+  "./engine.js": "d8240b5dcf",
+  "./analysis.js": "c7a389e523",
+  "./analysis-worker.js": "cf17518367",
+  "./languages.js": "9320c80102",
+  "./sync.js": "ab57e8c9da",
+  "./words.js": "11507d1ebc",
+  "./wordcodec.js": "d7eca092eb",
+  "./version.js": "1402761fea",
+  "./manifest.webmanifest": "3eada8eeba",
+  "./robots.txt": "efdb5938a9",
+  "./icons/icon-192.png": "8276f9d879",
+  "./icons/icon-512.png": "5a1a21a306",
+  "./icons/maskable-512.png": "2c95ad01f2",
+  "./icons/apple-touch-icon.png": "3348a3a6ef",
+  "./": "bc0f72e358"
+};
+const WORD_FILES = {
+  "./words/en.js": "6169ced2f9",
+  "./words/guesses/en.js": "f0201affd0",
+  "./words/uk.js": "c27cfb8746",
+  "./words/guesses/uk.js": "9b7f19f8e8"
+};
+// --- End generated ---
 
+const CACHE = `guessmosaic-${VERSION}`;
+const CACHE_PREFIX = "guessmosaic-";
+const HASHES_KEY = "./__precache-hashes"; // this cache's PRECACHE, for the next version to diff against
+// Word files (words/<code>.js?v=<hash>, and the analysis's words/guesses/<code>.js) live in their own cache that outlasts app versions, so
+// an update only downloads the languages that changed, and only ones the player has used.
+const WORDS_CACHE = "guessmosaic-words";
+
+function wordPath(url) {
+  return new URL(url, self.registration.scope).pathname;
+}
+
+function currentWordUrl(url) {
+  const path = wordPath(url);
+  const entry = Object.entries(WORD_FILES).find(([file]) => wordPath(file) === path);
+  return entry && new URL(`${entry[0]}?v=${entry[1]}`, self.registration.scope).href;
+}
+
+// Fetch each of `urls` that isn't cached yet.
+async function cacheWordFiles(urls) {
+  const cache = await caches.open(WORDS_CACHE);
+  for (const url of urls) {
+    if (await cache.match(url)) continue;
+    const res = await fetch(url).catch(() => null);
+    if (res && res.ok) await cache.put(url, res);
+  }
+}
+
+// Languages the player already has, in this version's word files.
+async function updatedWordFiles() {
+  const cache = await caches.open(WORDS_CACHE);
+  const urls = (await cache.keys()).map(req => currentWordUrl(req.url)).filter(Boolean);
+  return Array.from(new Set(urls));
+}
+
+// Once this version is active, older word files (and removed languages) aren't needed.
+async function pruneWordFiles() {
+  const cache = await caches.open(WORDS_CACHE);
+  for (const req of await cache.keys()) {
+    if (currentWordUrl(req.url) !== req.url) await cache.delete(req);
+  }
+}
+
+// Copy unchanged assets out of older caches; download the rest bypassing the HTTP cache.
+async function precache() {
+  const cache = await caches.open(CACHE);
+  const previous = [];
+  for (const key of await caches.keys()) {
+    if (key === CACHE || key === WORDS_CACHE || !key.startsWith(CACHE_PREFIX)) continue;
+    const old = await caches.open(key);
+    const hashes = await old.match(HASHES_KEY).then(res => (res ? res.json() : {})).catch(() => ({}));
+    previous.push({ old, hashes });
+  }
+  await Promise.all(Object.entries(PRECACHE).map(async ([url, hash]) => {
+    for (const { old, hashes } of previous) {
+      const hit = hashes[url] === hash && await old.match(url);
+      if (hit) return cache.put(url, hit);
+    }
+    const res = await fetch(new Request(url, { cache: "reload" }));
+    if (!res.ok) throw new Error(`Precache failed for ${url}: ${res.status}`);
+    return cache.put(url, res);
+  }));
+  await cache.put(HASHES_KEY, new Response(JSON.stringify(PRECACHE), { headers: { "Content-Type": "application/json" } }));
+}
+
+// A new worker waits until the page asks it to take over (the "New version" toast),
+// so a game in progress is never swapped out from under the player.
+// Languages the player has used are fetched in their new version too, so they keep working
+// offline after the update.
 self.addEventListener("install", (e) => {
-  e.waitUntil(caches.open(CACHE).then(c => c.addAll(ASSETS)));
-  self.skipWaiting();
+  e.waitUntil(precache().then(updatedWordFiles).then(cacheWordFiles));
+});
+
+self.addEventListener("message", (e) => {
+  if (e.data && e.data.type === "SKIP_WAITING") self.skipWaiting();
+  if (e.data && e.data.type === "CACHE_WORDS" && Array.isArray(e.data.urls)) {
+    e.waitUntil(cacheWordFiles(e.data.urls.map(currentWordUrl).filter(Boolean)));
+  }
 });
 
 self.addEventListener("activate", (e) => {
   e.waitUntil(
     caches.keys().then(keys =>
-      Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k)))
-    )
+      Promise.all(keys.filter(k => k !== CACHE && k !== WORDS_CACHE && k.startsWith(CACHE_PREFIX)).map(k => caches.delete(k)))
+    ).then(pruneWordFiles).then(() => self.clients.claim())
   );
-  self.clients.claim();
 });
 
+// Word files are immutable per URL (the ?v= hash), so cache-first by exact URL.
+function wordFile(e) {
+  return caches.open(WORDS_CACHE).then(cache =>
+    cache.match(e.request).then(cached => cached || fetch(e.request).then(res => {
+      if (res.ok) e.waitUntil(cache.put(e.request, res.clone()));
+      return res;
+    }))
+  );
+}
+
 self.addEventListener("fetch", (e) => {
   const url = new URL(e.request.url);
-  if (e.request.method !== "GET") return;
-  // Cache-first for static assets
+  if (e.request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (url.searchParams.has("v") && currentWordUrl(url.href)) {
+    e.respondWith(wordFile(e));
+    return;
+  }
+  // Cache-first for the versioned app shell; navigations fall back to it offline.
   e.respondWith(
-    caches.match(e.request).then(cached => {
+    caches.match(e.request, { ignoreSearch: e.request.mode === "navigate" }).then(cached => {
       if (cached) return cached;
       return fetch(e.request).then(res => {
-        const copy = res.clone();
-        caches.open(CACHE).then(c => c.put(e.request, copy));
+        if (res.ok) {
+          const copy = res.clone();
+          caches.open(CACHE).then(c => c.put(e.request, copy));
+        }
         return res;
-      }).catch(() => caches.match("./index.html"));
+      }).catch(() => (e.request.mode === "navigate" ? caches.match("./index.html") : Response.error()));
     })
   );
 });
@@ -0,0 +1,302 @@
+// sync.js
+// Offline backup and cross-device sync: everything the app keeps in localStorage is exported
+// as a versioned backup (a compact code or a JSON file) and imported by merging, never by
+// overwriting. Pure functions over plain objects so Node tests can run them (test/sync.test.js).
+import { EPOCH_DAY, gameStatus } from './engine.js';
+
+// localStorage keys; lengths other than 5 add a `-len<N>` suffix (settings excepted).
+export const STORE_KEYS = {
+  state: 'guessmosaic-state-v1',
+  settings: 'guessmosaic-settings-v1',
+  stats: 'guessmosaic-stats-v1',
+  archive: 'guessmosaic-archive-v1',
+  practice: 'guessmosaic-practice-v1',
+  challenge: 'guessmosaic-challenge-v1',
+  multi: 'guessmosaic-multi-v1',
+  evil: 'guessmosaic-evil-v1',
+  speed: 'guessmosaic-speed-v1'
+};
+
+// Bump FORMAT_VERSION when the backup layout changes and add a step to MIGRATIONS that
+// turns a version N backup into N + 1, so codes made by older versions still import.
+export const FORMAT_VERSION = 1;
+const MIGRATIONS = {};
+const APP_ID = 'guessmosaic';
+const CODE_PREFIX = 'GM';
+
+// Which store a localStorage key belongs to, e.g. 'guessmosaic-stats-v1-len6' -> { kind: 'stats', len: 6 }.
+export function parseStoreKey(storageKey) {
+  const m = /^(.*?)(?:-len(\d+))?$/.exec(storageKey);
+  const kind = Object.keys(STORE_KEYS).find(k => STORE_KEYS[k] === m[1]);
+  if (!kind || (kind === 'settings' && m[2])) return null;
+  return { kind, len: m[2] ? Number(m[2]) : 5 };
+}
+
+// Settings that never leave the device. serverToken is the secret that holds the player's
+// leaderboard nickname (app.js); anyone with a copy could post as them, and backup codes get
+// pasted into chats and notes.
+const LOCAL_SETTINGS = ['serverToken'];
+
+function withoutLocalSettings(settings) {
+  if (!settings || typeof settings !== 'object') return settings;
+  const out = { ...settings };
+  for (const name of LOCAL_SETTINGS) delete out[name];
+  return out;
+}
+
+// `data` maps localStorage keys to their parsed values; unknown keys and device-only settings
+// are left out.
+export function makeBackup(data, exportedAt = new Date().toISOString()) {
+  const known = {};
+  for (const [k, v] of Object.entries(data)) {
+    if (!parseStoreKey(k) || v === null || v === undefined) continue;
+    known[k] = k === STORE_KEYS.settings ? withoutLocalSettings(v) : v;
+  }
+  return { app: APP_ID, v: FORMAT_VERSION, exportedAt, data: known };
+}
+
+// Validate a parsed backup and bring it up to FORMAT_VERSION.
+export function migrateBackup(backup) {
+  if (!backup || typeof backup !== 'object' || backup.app !== APP_ID || !Number.isInteger(backup.v)) {
+    throw new Error('This is not a Guess Mosaic backup');
+  }
+  if (backup.v > FORMAT_VERSION) throw new Error('This backup is from a newer version; update the app first');
+  let out = backup;
+  while (out.v < FORMAT_VERSION) {
+    const step = MIGRATIONS[out.v];
+    if (!step) throw new Error(`Backups of version ${out.v} can't be imported any more`);
+    out = { ...step(out), v: out.v + 1 };
+  }
+  if (!out.data || typeof out.data !== 'object') throw new Error('The backup has no data');
+  return out;
+}
+
+// --- Compact code ---
+// GM<version>.<z|j>.<base64url>: z = deflate-raw compressed JSON, j = plain JSON (no CompressionStream).
+function toBase64Url(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const b64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(b64 + '='.repeat((4 - b64.length % 4) % 4)), c => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+export async function encodeBackup(backup) {
+  const json = new TextEncoder().encode(JSON.stringify(backup));
+  if (typeof CompressionStream === 'undefined') return `${CODE_PREFIX}${backup.v}.j.${toBase64Url(json)}`;
+  return `${CODE_PREFIX}${backup.v}.z.${toBase64Url(await pipeBytes(json, new CompressionStream('deflate-raw')))}`;
+}
+
+// Accepts a code from encodeBackup() or the JSON of a backup file. Errors carry a message
+// that can be shown to the player as is.
+export async function decodeBackup(text) {
+  const input = String(text || '').trim();
+  if (input.startsWith('{')) {
+    let parsed;
+    try { parsed = JSON.parse(input); } catch (_) { throw new Error('The backup file is damaged'); }
+    return migrateBackup(parsed);
+  }
+  const m = /^GM(\d+)\.([zj])\.([\w-]+)$/.exec(input.replace(/\s+/g, ''));
+  if (!m) throw new Error('That doesn\'t look like a backup code');
+  if (m[2] === 'z' && typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser can\'t read compressed codes; use a backup file');
+  }
+  let parsed;
+  try {
+    let bytes = fromBase64Url(m[3]);
+    if (m[2] === 'z') bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    parsed = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (_) {
+    throw new Error('The backup code is incomplete or damaged');
+  }
+  return migrateBackup(parsed);
+}
+
+// --- Merging ---
+// How far a saved game got: finished beats unfinished, then more guesses, then more letters typed.
+function progress(game) {
+  if (!game || !Array.isArray(game.attempts)) return [-1, 0, 0];
+  return [game.gameOver ? 1 : 0, game.attempts.length, typeof game.currentGuess === 'string' ? game.currentGuess.length : 0];
+}
+
+function isAhead(a, b) {
+  const pa = progress(a);
+  const pb = progress(b);
+  for (let i = 0; i < pa.length; i++) if (pa[i] !== pb[i]) return pa[i] > pb[i];
+  return false;
+}
+
+// The more advanced of two saves of the same puzzle; ties and different solutions keep `local`.
+export function mergeGame(local, incoming) {
+  if (!incoming || typeof incoming !== 'object') return local;
+  if (!local || typeof local !== 'object') return incoming;
+  if (local.solution !== incoming.solution || String(local.solutions) !== String(incoming.solutions)) return local;
+  return isAhead(incoming, local) ? incoming : local;
+}
+
+// The single current daily game: a later day wins, the same day keeps the more advanced game.
+function mergeDaily(local, incoming) {
+  if (!incoming || typeof incoming !== 'object') return local;
+  if (!local || typeof local !== 'object') return incoming;
+  if (incoming.dayId !== local.dayId) return incoming.dayId > local.dayId ? incoming : local;
+  return incoming.lang === local.lang ? mergeGame(local, incoming) : local;
+}
+
+// Per-language map of puzzle number -> game.
+function mergeArchive(local = {}, incoming = {}) {
+  const out = { ...local };
+  for (const [lang, games] of Object.entries(incoming)) {
+    if (!games || typeof games !== 'object') continue;
+    out[lang] = { ...(out[lang] || {}) };
+    for (const [puzzle, game] of Object.entries(games)) out[lang][puzzle] = mergeGame(out[lang][puzzle], game);
+  }
+  return out;
+}
+
+// Finished daily games (flagged when mirrored from daily play), keyed by day id.
+function dailyResults(games = {}) {
+  const days = {};
+  for (const [puzzle, game] of Object.entries(games)) {
+    const status = gameStatus(game);
+    if (game.daily && (status === 'solved' || status === 'failed')) days[EPOCH_DAY + Number(puzzle) - 1] = { status, guesses: game.attempts.length };
+  }
+  return days;
+}
+
+function longestRun(days) {
+  const won = Object.keys(days).filter(d => days[d].status === 'solved').map(Number).sort((a, b) => a - b);
+  let longest = 0;
+  let run = 0;
+  won.forEach((d, i) => {
+    run = i > 0 && won[i - 1] === d - 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  return longest;
+}
+
+// Wins in a row ending at `lastWinDay`. Wins from before the archive kept daily flags are
+// unknown, so a record whose own streak ended where the archive runs out carries it on.
+function currentRun(days, lastWinDay, records) {
+  let run = 0;
+  let d = lastWinDay;
+  while (days[d] && days[d].status === 'solved') { run++; d--; }
+  const carried = days[d] ? null : records.find(r => r.lastWinDay === d);
+  return run + (carried ? carried.currentStreak || 0 : 0);
+}
+
+// Stats are totals, so start from the fuller record and add the finished days only the other
+// device played (as far as the archives show), then rebuild streaks from both.
+function mergeStatsFor(local, incoming, localGames, incomingGames) {
+  if (!incoming || typeof incoming !== 'object') return local;
+  if (!local || typeof local !== 'object') return incoming;
+  const incomingFirst = (incoming.played || 0) > (local.played || 0);
+  const base = incomingFirst ? incoming : local;
+  const other = incomingFirst ? local : incoming;
+  const baseDays = dailyResults(incomingFirst ? incomingGames : localGames);
+  const otherDays = dailyResults(incomingFirst ? localGames : incomingGames);
+  const st = { ...base, guesses: { ...(base.guesses || {}) } };
+  for (const [day, result] of Object.entries(otherDays)) {
+    if (baseDays[day]) continue;
+    const d = Number(day);
+    st.played = (st.played || 0) + 1;
+    if (result.status === 'solved') {
+      st.wins = (st.wins || 0) + 1;
+      st.guesses[result.guesses] = (st.guesses[result.guesses] || 0) + 1;
+      if (st.lastWinDay === null || st.lastWinDay === undefined || d > st.lastWinDay) st.lastWinDay = d;
+    } else {
+      st.guesses.fail = (st.guesses.fail || 0) + 1;
+    }
+    if (st.lastDay === null || st.lastDay === undefined || d > st.lastDay) st.lastDay = d;
+  }
+  const days = { ...otherDays, ...baseDays };
+  st.currentStreak = st.lastWinDay === null || st.lastWinDay === undefined ? 0 : currentRun(days, st.lastWinDay, [base, other]);
+  st.maxStreak = Math.max(base.maxStreak || 0, other.maxStreak || 0, longestRun(days), st.currentStreak);
+  return st;
+}
+
+// Multi-board games: per language and board count, the same rule as the daily game.
+function mergeMulti(local = {}, incoming = {}) {
+  const out = { ...local };
+  for (const [lang, games] of Object.entries(incoming)) {
+    if (!games || typeof games !== 'object') continue;
+    out[lang] = { ...(out[lang] || {}) };
+    for (const [boards, game] of Object.entries(games)) out[lang][boards] = mergeDaily(out[lang][boards], game);
+  }
+  return out;
+}
+
+// Speed-run records: per language, the faster one.
+function mergeSpeed(local = {}, incoming = {}) {
+  const out = { ...local };
+  for (const [lang, record] of Object.entries(incoming)) {
+    if (!record || typeof record.best !== 'number') continue;
+    if (!out[lang] || !(out[lang].best <= record.best)) out[lang] = record;
+  }
+  return out;
+}
+
+function mergePractice(local = {}, incoming = {}) {
+  const out = { ...local };
+  for (const [lang, entry] of Object.entries(incoming)) {
+    const mine = out[lang];
+    if (!mine) { out[lang] = entry; continue; }
+    const tally = (entry.played || 0) > (mine.played || 0) ? entry : mine;
+    out[lang] = { played: tally.played || 0, wins: tally.wins || 0, game: mergeGame(mine.game, entry.game) };
+  }
+  return out;
+}
+
+// Merge an incoming backup's data into the local data (both localStorage key -> value).
+// Returns the merged data and how many saved games changed.
+export function mergeBackupData(local, incoming) {
+  const out = { ...local };
+  let gamesUpdated = 0;
+  const countGame = (before, after) => { if (after !== before) gamesUpdated++; };
+  const keys = Object.keys(incoming).filter(k => parseStoreKey(k));
+  // Stats need both sides' archives from before the merge.
+  for (const key of keys.filter(k => parseStoreKey(k).kind === 'stats')) {
+    const suffix = key.slice(STORE_KEYS.stats.length);
+    const localArchive = local[STORE_KEYS.archive + suffix] || {};
+    const incomingArchive = incoming[STORE_KEYS.archive + suffix] || {};
+    const merged = { ...(local[key] || {}) };
+    for (const [lang, st] of Object.entries(incoming[key] || {})) {
+      merged[lang] = mergeStatsFor(merged[lang], st, localArchive[lang], incomingArchive[lang]);
+    }
+    out[key] = merged;
+  }
+  for (const key of keys) {
+    const { kind } = parseStoreKey(key);
+    const mine = local[key];
+    const theirs = incoming[key];
+    if (kind === 'state') {
+      out[key] = mergeDaily(mine, theirs);
+      countGame(mine, out[key]);
+    } else if (kind === 'archive') {
+      out[key] = mergeArchive(mine, theirs);
+      for (const [lang, games] of Object.entries(out[key])) {
+        for (const puzzle of Object.keys(games)) countGame(((mine || {})[lang] || {})[puzzle], games[puzzle]);
+      }
+    } else if (kind === 'multi') {
+      out[key] = mergeMulti(mine, theirs);
+      for (const [lang, games] of Object.entries(out[key])) {
+        for (const boards of Object.keys(games)) countGame(((mine || {})[lang] || {})[boards], games[boards]);
+      }
+    } else if (kind === 'practice') {
+      out[key] = mergePractice(mine, theirs);
+    } else if (kind === 'speed') {
+      out[key] = mergeSpeed(mine, theirs);
+    } else if (kind === 'settings' || kind === 'challenge' || kind === 'evil') {
+      // Device preferences and the open challenge or evil game stay as they are unless there are none yet.
+      // Backups made before the token was left out may still have one.
+      if (!mine) out[key] = kind === 'settings' ? withoutLocalSettings(theirs) : theirs;
+    }
+  }
+  return { data: out, gamesUpdated };
+}
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expectedBits, bestGuess, analyzeGame } from '../analysis.js';
+
+const WORDS = ['CRANE', 'CRATE', 'GRATE', 'SLATE', 'PLATE', 'FLAME', 'BRINE', 'CHILL'];
+
+test('expected bits measure how evenly a guess splits the candidates', () => {
+  assert.equal(expectedBits('CRANE', ['CRANE']), 0);
+  // Four candidates, each with its own pattern: two bits.
+  assert.equal(expectedBits('CRATE', ['CRATE', 'GRATE', 'PLATE', 'CHILL']), 2);
+  assert.ok(expectedBits('ZZZZZ', WORDS) === 0);
+});
+
+test('the best guess prefers information, then possible answers, then A-Z', () => {
+  assert.deepEqual(bestGuess(['SLATE'], WORDS), { guess: 'SLATE', bits: 0 });
+  // Both split the two candidates; only the candidates can also win.
+  assert.equal(bestGuess(['CRATE', 'GRATE'], ['CRATE', 'GRATE', 'ZZZZZ']).guess, 'CRATE');
+  const best = bestGuess(WORDS, WORDS);
+  for (const w of WORDS) assert.ok(expectedBits(w, WORDS) <= best.bits + 1e-9, w);
+});
+
+test('each row counts the answers left and what the guess revealed', () => {
+  const rows = analyzeGame({ solution: 'PLATE', attempts: ['CHILL', 'SLATE', 'PLATE'], words: WORDS });
+  assert.deepEqual(rows.map(r => [r.guess, r.before, r.after]), [['CHILL', 8, 3], ['SLATE', 3, 1], ['PLATE', 1, 1]]);
+  // CHILL leaves PLATE, SLATE and FLAME.
+  assert.equal(rows[0].bits, Math.log2(8 / 3));
+  assert.equal(rows[2].bits, 0);
+  assert.equal(rows[2].best.guess, 'PLATE');
+});
+
+test('answers outside the list still count, and hard mode searches possible answers only', () => {
+  const rows = analyzeGame({ solution: 'ZESTY', attempts: ['CRANE', 'ZESTY'], words: WORDS });
+  assert.equal(rows[0].before, WORDS.length + 1);
+  assert.equal(rows[1].after, 1);
+  const hard = analyzeGame({ solution: 'PLATE', attempts: ['CHILL', 'PLATE'], words: WORDS, hardMode: true });
+  assert.ok(['CRATE', 'GRATE', 'SLATE', 'PLATE'].includes(hard[1].best.guess));
+});
+
+test('allowed guesses outside the solution list are searched too, except in hard mode', () => {
+  const words = ['BATCH', 'CATCH', 'HATCH', 'LATCH', 'MATCH', 'PATCH'];
+  // PLUMB tells four of the six apart; any of the six only splits off the one it is.
+  const input = { solution: 'MATCH', attempts: ['LATCH', 'MATCH'], words, guesses: ['PLUMB', 'ZZ'] };
+  const rows = analyzeGame(input);
+  assert.equal(rows[0].best.guess, 'PLUMB');
+  assert.ok(rows[0].best.bits > rows[0].expected);
+  assert.equal(analyzeGame({ ...input, hardMode: true })[0].best.guess, 'BATCH');
+  assert.equal(analyzeGame({ ...input, guesses: [] })[0].best.guess, 'BATCH');
+});
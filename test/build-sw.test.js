@@ -0,0 +1,8 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { staleServiceWorkerFiles } from '../scripts/build-sw.mjs';
+
+// A stale manifest serves the old app shell until the next build; run `npm run build:sw`.
+test('version.js and the precache manifest match the files they list', () => {
+  assert.deepEqual(staleServiceWorkerFiles(), []);
+});
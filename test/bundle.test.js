@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { missingRawLanguages } from '../raw_words/build-bundle.mjs';
+
+// writeBundle refuses to run while any of these is missing, so no shipped word file is lost.
+test('registry languages without a raw list are found', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guessmosaic-raw-'));
+  try {
+    assert.deepEqual(missingRawLanguages(dir), ['en', 'uk']);
+    fs.writeFileSync(path.join(dir, 'words-en.txt'), 'CRANE\n');
+    fs.writeFileSync(path.join(dir, 'words-xx.txt'), 'CRANE\n');
+    assert.deepEqual(missingRawLanguages(dir), ['uk']);
+    assert.deepEqual(missingRawLanguages(), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
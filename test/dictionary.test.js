@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  extractWords, normalizeList, frequencyRanks, readCuratedList, applyCuration, shippedLists, diffWords
+} from '../raw_words/dictionary.mjs';
+
+test('source tokens become normalized words of the built lengths', () => {
+  // Ukrainian drops capitalized entries, which the Hunspell dictionary uses for names.
+  const dic = '4\nкнига/AB\nЗемля/C\nземля/C\nАдамс\nNASA\nкіт\n';
+  assert.deepEqual(normalizeList(extractWords(dic), { lang: 'uk', lengths: [5] }), ['ЗЕМЛЯ', 'КНИГА']);
+  assert.deepEqual(normalizeList(['Crane', 'slate'], { lang: 'en', lengths: [5] }), ['CRANE', 'SLATE']);
+  assert.deepEqual(extractWords('["crane", "slate"]'), ['crane', 'slate']);
+  assert.deepEqual(extractWords('[{ "word": "the", "count": 9 }, { "word": "crane", "count": 2 }]'), ['the', 'crane']);
+  assert.deepEqual(normalizeList(extractWords('crane\nslate 12\nq2\n'), { lang: 'en', lengths: [5] }), ['CRANE', 'SLATE']);
+});
+
+test('frequency ranks are line numbers of the first occurrence', () => {
+  const ranks = frequencyRanks('the 100\ncrane 50\nCrane 10\n', 'en');
+  assert.equal(ranks.get('THE'), 1);
+  assert.equal(ranks.get('CRANE'), 2);
+  assert.equal(ranks.has('SLATE'), false);
+  assert.equal(frequencyRanks('[{ "word": "the" }, { "word": "crane" }]', 'en').get('CRANE'), 2);
+});
+
+test('blocklist and allowlist files allow comments and report bad lines', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guessmosaic-dict-'));
+  try {
+    const file = path.join(dir, 'blocklist-en.txt');
+    fs.writeFileSync(file, '# offensive\nslate  # not really\n\nCRANE\nslate\nfoo1\n');
+    assert.deepEqual(readCuratedList(file, 'en'), { words: ['SLATE', 'CRANE'], invalid: ['foo1'] });
+    assert.deepEqual(readCuratedList(path.join(dir, 'missing.txt'), 'en'), { words: [], invalid: [] });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('curation drops blocked words and adds allowed ones of built lengths', () => {
+  const curation = { blocked: new Set(['SLATE', 'TRACE']), allowed: ['ZESTY', 'CAT', 'TRACE'] };
+  assert.deepEqual(applyCuration(['SLATE', 'CRANE'], curation, [5]), ['CRANE', 'ZESTY']);
+  assert.deepEqual(diffWords(['CRANE', 'SLATE'], ['CRANE', 'ZESTY']), { added: ['ZESTY'], removed: ['SLATE'] });
+});
+
+test('word files leave blocked words out of the solution pool and the guesses', () => {
+  const blocked = new Set(['SLATE', 'TRACE']);
+  const { pool, guessable } = shippedLists(['CRANE', 'SLATE', 'REACT', 'CRANE'], ['TRACE', 'ZESTY', 'SLATE'], blocked);
+  assert.deepEqual(pool, ['CRANE', 'REACT', 'CRANE']);
+  assert.deepEqual(guessable, ['ZESTY', 'CRANE', 'REACT']);
+  assert.equal(shippedLists(['CRANE', 'SLATE'], undefined, blocked).guessable, null);
+});
@@ -0,0 +1,454 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_ATTEMPTS, EPOCH_DAY, dayNumberNow, dailyIndex, dailyWord, evaluateGuess, computeStatuses,
+  hardModeViolation, buildShareText, gameStatus, newGame, restoreGame, dailySave, possibleAnswers, ELIMINATE_LETTERS,
+  MULTI_ATTEMPTS, dailyWords, newMultiGame, restoreMultiGame, buildMultiShareText, dodgeGuess, newEvilGame, restoreEvilGame,
+  formatDuration, totalTime, bestSpeedRun
+} from '../engine.js';
+
+function play(game, ...guesses) {
+  return guesses.map(guess => {
+    Array.from(guess).forEach(letter => game.type(letter));
+    return game.submit();
+  });
+}
+
+test('evaluateGuess marks exact matches before misplaced letters', () => {
+  assert.deepEqual(evaluateGuess('CRANE', 'CRANE'), ['correct', 'correct', 'correct', 'correct', 'correct']);
+  assert.deepEqual(evaluateGuess('ABCDE', 'VWXYZ'), ['absent', 'absent', 'absent', 'absent', 'absent']);
+  assert.deepEqual(evaluateGuess('REACT', 'CRANE'), ['present', 'present', 'correct', 'present', 'absent']);
+});
+
+test('evaluateGuess scores duplicate letters only as often as the answer has them', () => {
+  // One L in the answer: the green L uses it up, the other stays grey.
+  assert.deepEqual(evaluateGuess('LLAMA', 'HELLO').slice(0, 2), ['present', 'present']);
+  assert.deepEqual(evaluateGuess('SKILL', 'SPELT'), ['correct', 'absent', 'absent', 'correct', 'absent']);
+  assert.deepEqual(evaluateGuess('EERIE', 'THEME'), ['present', 'absent', 'absent', 'absent', 'correct']);
+  assert.deepEqual(evaluateGuess('PAPPY', 'APPLE'), ['present', 'present', 'correct', 'absent', 'absent']);
+});
+
+test('evaluateGuess handles Ukrainian letters', () => {
+  assert.deepEqual(evaluateGuess('ҐАНОК', 'ҐАНОК'), Array(5).fill('correct'));
+  assert.deepEqual(evaluateGuess('ЇЖАКИ', 'ЖИТІЄ'), ['absent', 'present', 'absent', 'absent', 'present']);
+  assert.deepEqual(evaluateGuess('ІГРИЩ', 'ЇЖАКИ'), ['absent', 'absent', 'absent', 'present', 'absent']);
+});
+
+test('computeStatuses keeps the best status per letter', () => {
+  const status = computeStatuses(['SKILL', 'SPELT'], 'SPELT');
+  assert.equal(status.S, 'correct');
+  assert.equal(status.L, 'correct');
+  assert.equal(status.K, 'absent');
+  assert.equal(status.P, 'correct');
+});
+
+test('hardModeViolation requires revealed hints', () => {
+  assert.equal(hardModeViolation('TOWER', ['CRANE'], 'CRAMP'), '1st letter must be C');
+  assert.equal(hardModeViolation('CRISP', ['CRANE'], 'CRAMP'), '3rd letter must be A');
+  assert.equal(hardModeViolation('CRAMS', ['CRANE'], 'CRAMP'), null);
+  assert.equal(hardModeViolation('ROBIN', ['RIVET'], 'CRANE'), 'Guess must contain E');
+});
+
+test('a new game types, deletes and submits guesses', () => {
+  const game = newGame({ solution: 'CRANE' });
+  assert.equal(game.type('C'), true);
+  assert.equal(game.type('1'), false);
+  assert.equal(game.type('Ж'), false);
+  assert.equal(game.currentGuess, 'C');
+  assert.deepEqual(game.submit(), { ok: false, error: 'notEnough' });
+  assert.equal(game.deleteLetter(), true);
+  assert.equal(game.deleteLetter(), false);
+  const [miss, win] = play(game, 'REACT', 'CRANE');
+  assert.equal(miss.ok, true);
+  assert.equal(miss.won, false);
+  assert.equal(win.won, true);
+  assert.equal(game.gameOver, true);
+  assert.equal(game.type('A'), false);
+  assert.deepEqual(game.submit(), { ok: false, error: 'over' });
+});
+
+test('submit checks the dictionary but always accepts the solution', () => {
+  const allowed = new Set(['REACT']);
+  const game = newGame({ solution: 'CRANE', isAllowed: guess => allowed.has(guess) });
+  const [bad] = play(game, 'QQQQQ');
+  assert.deepEqual(bad, { ok: false, error: 'notInList' });
+  assert.equal(game.currentGuess, 'QQQQQ');
+  while (game.deleteLetter());
+  const [ok, win] = play(game, 'REACT', 'CRANE');
+  assert.equal(ok.ok, true);
+  assert.equal(win.won, true);
+});
+
+test('hard mode rejects guesses that ignore hints', () => {
+  const game = newGame({ solution: 'CRAMP', hardMode: true });
+  play(game, 'CRANE');
+  const [res] = play(game, 'TOWER');
+  assert.equal(res.ok, false);
+  assert.equal(res.error, 'hardMode');
+  assert.equal(res.message, '1st letter must be C');
+});
+
+test('a game is lost after maxAttempts misses', () => {
+  const game = newGame({ solution: 'CAT', maxAttempts: 3 });
+  const results = play(game, 'DOG', 'COW', 'CAB');
+  assert.equal(results[2].lost, true);
+  assert.equal(game.won, false);
+  assert.equal(game.gameOver, true);
+  assert.equal(gameStatus(game.serialize()), 'failed');
+});
+
+test('Ukrainian games accept only letters of the alphabet', () => {
+  const game = newGame({ solution: 'ҐАНОК', lang: 'uk' });
+  assert.equal(game.type('Q'), false);
+  play(game, 'ҐАНОК');
+  assert.equal(game.won, true);
+});
+
+test('serialize and restore round-trip a game in progress', () => {
+  const options = { solution: 'CRANE', hardMode: false };
+  const game = newGame(options);
+  play(game, 'REACT');
+  game.type('C');
+  const saved = JSON.parse(JSON.stringify(game.serialize()));
+  assert.deepEqual(saved, { lang: 'en', solution: 'CRANE', attempts: ['REACT'], currentGuess: 'C', gameOver: false, hardMode: false });
+  const restored = restoreGame(saved, options);
+  assert.deepEqual(restored.attempts, ['REACT']);
+  assert.equal(restored.currentGuess, 'C');
+  assert.equal(gameStatus(restored.serialize()), 'playing');
+});
+
+test('restore keeps the saved hard mode once guesses exist', () => {
+  const saved = { solution: 'CRANE', attempts: ['REACT'], currentGuess: '', gameOver: false, hardMode: true };
+  assert.equal(restoreGame(saved, { solution: 'CRANE', hardMode: false }).hardMode, true);
+  assert.equal(restoreGame({ ...saved, attempts: [] }, { solution: 'CRANE', hardMode: false }).hardMode, false);
+});
+
+test('restore starts fresh for another solution or a corrupted save', () => {
+  for (const saved of [null, 'junk', 42, [], { solution: 'OTHER', attempts: ['REACT'] }]) {
+    const game = restoreGame(saved, { solution: 'CRANE' });
+    assert.deepEqual(game.attempts, []);
+    assert.equal(game.currentGuess, '');
+    assert.equal(game.gameOver, false);
+  }
+});
+
+test('switching languages and back resumes the day\'s finished game from the archive', () => {
+  const day = EPOCH_DAY + 300;
+  const en = newGame({ solution: 'CRANE', lang: 'en' });
+  play(en, 'SLATE', 'CRANE');
+  const archived = { ...en.serialize(), daily: true };
+  // Playing Ukrainian replaces the daily save; English is only left in its archive entry.
+  const state = { dayId: day, ...newGame({ solution: 'КНИГА', lang: 'uk' }).serialize() };
+  const saved = dailySave(state, archived, day, 'en');
+  assert.equal(saved, archived);
+  const back = restoreGame(saved, { solution: 'CRANE', lang: 'en' });
+  assert.deepEqual(back.attempts, ['SLATE', 'CRANE']);
+  assert.equal(back.gameOver, true);
+  assert.equal(dailySave(state, null, day, 'uk'), state);
+  assert.equal(dailySave(state, null, day, 'en'), null);
+  assert.equal(dailySave(state, { ...en.serialize() }, day, 'en'), null);
+});
+
+test('restore drops malformed parts of a partial save', () => {
+  const game = restoreGame({
+    solution: 'CRANE',
+    attempts: ['REACT', 'TOO LONG', 'CRANE'],
+    currentGuess: 'CR4',
+    gameOver: true
+  }, { solution: 'CRANE' });
+  // Attempts stop at the first bad entry; gameOver is derived, not trusted.
+  assert.deepEqual(game.attempts, ['REACT']);
+  assert.equal(game.currentGuess, '');
+  assert.equal(game.gameOver, false);
+
+  const extra = restoreGame({ solution: 'CAT', attempts: ['DOG', 'CAT', 'COW', 'CAB'], currentGuess: 'CA' }, { solution: 'CAT' });
+  assert.deepEqual(extra.attempts, ['DOG', 'CAT']);
+  assert.equal(extra.won, true);
+  assert.equal(extra.currentGuess, '');
+
+  const capped = restoreGame({ solution: 'CAT', attempts: ['DOG', 'COW', 'CAB', 'BAT'] }, { solution: 'CAT', maxAttempts: 3 });
+  assert.deepEqual(capped.attempts, ['DOG', 'COW', 'CAB']);
+  assert.equal(capped.gameOver, true);
+  assert.equal(capped.currentGuess, '');
+});
+
+test('restore truncates an over-long current guess', () => {
+  const game = restoreGame({ solution: 'ҐАНОК', attempts: [], currentGuess: 'ЖИТІЄЇ' }, { solution: 'ҐАНОК', lang: 'uk' });
+  assert.equal(game.currentGuess, 'ЖИТІЄ');
+});
+
+test('hints reveal letters, rule out keys and count answers, up to the limit', () => {
+  const words = ['CRANE', 'CRATE', 'GRACE', 'TRACE', 'PLANT'];
+  const game = newGame({ solution: 'CRANE', maxHints: 3 });
+  play(game, 'CRATE');
+  assert.deepEqual(game.hint('letter').hint, { type: 'letter', position: 3, letter: 'N' });
+  const { hint } = game.hint('eliminate');
+  assert.equal(hint.letters.length, ELIMINATE_LETTERS);
+  assert.ok(hint.letters.every(ch => !'CRANET'.includes(ch)));
+  assert.equal(game.statuses()[hint.letters[0]], 'absent');
+  assert.equal(game.statuses().N, 'correct');
+  assert.deepEqual(game.hint('count', { words }).hint, { type: 'count', count: 1, guesses: 1 });
+  assert.deepEqual(game.hint('letter'), { ok: false, error: 'noHints' });
+  assert.equal(game.hintsLeft, 0);
+  assert.throws(() => game.hint('word'), /Unknown hint type/);
+});
+
+test('hints run out of letters and need a word list to count', () => {
+  const game = newGame({ solution: 'CAT', maxHints: 5 });
+  play(game, 'CAB');
+  game.hint('letter');
+  assert.deepEqual(game.hint('letter'), { ok: false, error: 'hintNoLetter' });
+  assert.deepEqual(game.hint('count'), { ok: false, error: 'hintNoCount' });
+  play(game, 'CAT');
+  assert.deepEqual(game.hint('eliminate'), { ok: false, error: 'over' });
+  assert.equal(newGame({ solution: 'CAT' }).hint('letter').error, 'noHints');
+});
+
+test('possibleAnswers keeps words that fit every attempt and hint', () => {
+  const words = ['CRANE', 'CRATE', 'GRACE', 'TRACE', 'PLANT', 'CRAB'];
+  assert.deepEqual(possibleAnswers(words, ['GRACE'], 'CRANE'), ['CRANE', 'CRATE']);
+  assert.deepEqual(possibleAnswers(words, [], 'CRANE', [{ type: 'eliminate', letters: ['T'] }]), ['CRANE', 'GRACE']);
+  assert.deepEqual(possibleAnswers(words, [], 'CRANE', [{ type: 'letter', position: 0, letter: 'G' }]), ['GRACE']);
+  assert.deepEqual(possibleAnswers([], [], 'QUIZZ'), ['QUIZZ']);
+});
+
+test('used hints are saved, restored and shown in the share text', () => {
+  const game = newGame({ solution: 'CRANE', maxHints: 2 });
+  game.hint('letter');
+  play(game, 'REACT', 'CRANE');
+  const saved = JSON.parse(JSON.stringify(game.serialize()));
+  assert.deepEqual(saved.hints, [{ type: 'letter', position: 0, letter: 'C' }]);
+  // A lower limit later doesn't drop hints already used; bad entries do go.
+  const restored = restoreGame({ ...saved, hints: [...saved.hints, { type: 'letter', position: 1, letter: 'X' }, 'junk'] }, { solution: 'CRANE' });
+  assert.equal(restored.hints.length, 1);
+  assert.equal(restored.hintsLeft, 0);
+  assert.equal(buildShareText(restored, 'T'), 'T 2/6 💡1\n🟨🟨🟩🟨⬛\n🟩🟩🟩🟩🟩');
+  assert.equal(buildShareText(saved, 'T'), 'T 2/6 💡1\n🟨🟨🟩🟨⬛\n🟩🟩🟩🟩🟩');
+});
+
+test('dayNumberNow counts UTC days from the epoch', () => {
+  assert.equal(dayNumberNow(Date.UTC(2025, 0, 1)), 0);
+  assert.equal(dayNumberNow(Date.UTC(2025, 0, 1, 23, 59, 59)), 0);
+  assert.equal(dayNumberNow(Date.UTC(2025, 0, 2)), 1);
+  assert.equal(EPOCH_DAY, 20089);
+});
+
+test('dailyIndex is deterministic and differs per seed', () => {
+  const words = Array.from({ length: 500 }, (_, i) => `W${i}`);
+  assert.equal(dailyIndex(words, 'en', 100), dailyIndex(words, 'en', 100));
+  const days = Array.from({ length: 30 }, (_, d) => dailyIndex(words, 'en', d));
+  assert.ok(days.every(i => i >= 0 && i < words.length));
+  assert.ok(new Set(days).size > 1);
+  assert.notDeepEqual(days, Array.from({ length: 30 }, (_, d) => dailyIndex(words, 'uk', d)));
+  // Pinned so published puzzles never change.
+  assert.equal(dailyIndex(words, 'en', 0), 86);
+});
+
+test('dailyWord follows the schedule and falls back outside it', () => {
+  const words = ['ALPHA', 'BRAVO', 'DELTA'];
+  const schedule = { start: 10, words: ['DELTA', 'ALPHA'] };
+  assert.equal(dailyWord(words, schedule, 'en', 10), 'DELTA');
+  assert.equal(dailyWord(words, schedule, 'en', 11), 'ALPHA');
+  assert.equal(dailyWord(words, schedule, 'en', 9), words[dailyIndex(words, 'en', 9)]);
+  assert.equal(dailyWord(words, schedule, 'en', 12), words[dailyIndex(words, 'en', 12)]);
+  assert.equal(dailyWord([], { start: -1, words: [] }, 'en', 3), '');
+});
+
+test('buildShareText renders the emoji grid', () => {
+  const game = newGame({ solution: 'CRANE', hardMode: true });
+  play(game, 'REACT', 'CRANE');
+  assert.equal(buildShareText(game, 'Guess Mosaic #1 (EN)'), 'Guess Mosaic #1 (EN) 2/6*\n🟨🟨🟩🟨⬛\n🟩🟩🟩🟩🟩');
+  const lost = newGame({ solution: 'CAT', maxAttempts: 3 });
+  play(lost, 'DOG', 'COW', 'CAB');
+  assert.equal(buildShareText(lost.serialize(), 'T'), `T X/${DEFAULT_ATTEMPTS}\n⬛⬛⬛\n🟩⬛⬛\n🟩🟩⬛`);
+});
+
+test('buildShareText uses orange/blue squares in high-contrast mode', () => {
+  const game = newGame({ solution: 'CRANE' });
+  play(game, 'REACT', 'CRANE');
+  assert.equal(buildShareText(game, 'T', { highContrast: true }), 'T 2/6\n🟦🟦🟧🟦⬛\n🟧🟧🟧🟧🟧');
+});
+
+test('dailyWords picks different words, the same ones every time', () => {
+  const words = ['APPLE', 'CRANE', 'FABLE', 'GRAPE', 'PLANT', 'SLATE'];
+  const picked = dailyWords(words, 'en5', 4, 100);
+  assert.equal(new Set(picked).size, 4);
+  assert.deepEqual(dailyWords(words, 'en5', 4, 100), picked);
+  assert.notDeepEqual(dailyWords(words, 'en5', 4, 101), picked);
+  assert.deepEqual(dailyWords(['CRANE', 'SLATE'], 'en5', 4, 7).sort(), ['CRANE', 'SLATE']);
+});
+
+test('dailyWords stops at the distinct words a list has', () => {
+  assert.deepEqual(dailyWords(['CRANE', 'CRANE', 'CRANE'], 'en5', 2, 7), ['CRANE']);
+  assert.deepEqual(dailyWords(['CRANE', 'SLATE', 'CRANE', 'SLATE'], 'en5', 4, 7).sort(), ['CRANE', 'SLATE']);
+  assert.deepEqual(dailyWords([], 'en5', 4, 7), []);
+});
+
+test('a multi-board game scores every open board and stops each one when solved', () => {
+  const game = newMultiGame({ solutions: ['CRANE', 'SLATE'], isAllowed: w => w !== 'XXXXX' });
+  assert.equal(game.maxAttempts, MULTI_ATTEMPTS[2]);
+  assert.equal(play(game, 'XXXXX')[0].error, 'notInList');
+  while (game.deleteLetter());
+  const [first, second, third] = play(game, 'TRACE', 'SLATE', 'CRANE');
+  assert.deepEqual(first.boards.map(b => b.solved), [false, false]);
+  assert.equal(second.boards[1].solved, true);
+  assert.equal(third.boards[1], null);
+  assert.equal(third.won, true);
+  assert.deepEqual(game.boardAttempts(1), ['TRACE', 'SLATE']);
+  assert.deepEqual(game.solved, [true, true]);
+});
+
+test('multi-board key statuses are split per board', () => {
+  const game = newMultiGame({ solutions: ['CRANE', 'SLATE'] });
+  play(game, 'TRACE');
+  assert.deepEqual(game.statuses().T, ['absent', 'present']);
+  assert.deepEqual(game.statuses().R, ['correct', 'absent']);
+  play(game, 'SLATE');
+  assert.deepEqual(game.statuses().T, ['absent', null]);
+  assert.deepEqual(game.statuses().L, ['absent', null]);
+});
+
+test('multi-board games are lost when the guesses run out and restore from a save', () => {
+  const options = { solutions: ['CAT', 'DOG'], maxAttempts: 3 };
+  const game = newMultiGame(options);
+  const results = play(game, 'COW', 'CAT', 'BAT');
+  assert.equal(results[2].lost, true);
+  const saved = JSON.parse(JSON.stringify(game.serialize()));
+  assert.deepEqual(saved, { lang: 'en', solutions: ['CAT', 'DOG'], attempts: ['COW', 'CAT', 'BAT'], currentGuess: '', gameOver: true });
+  const restored = restoreMultiGame({ ...saved, attempts: [...saved.attempts, 'DOG'] }, options);
+  assert.deepEqual(restored.attempts, ['COW', 'CAT', 'BAT']);
+  assert.equal(restored.gameOver, true);
+  assert.deepEqual(restoreMultiGame({ ...saved, solutions: ['DOG', 'CAT'] }, options).attempts, []);
+});
+
+test('buildMultiShareText puts the grids side by side', () => {
+  const game = newMultiGame({ solutions: ['CAT', 'DOG'] });
+  play(game, 'COT', 'CAT', 'DOG');
+  assert.equal(buildMultiShareText(game, 'Duo'), 'Duo 3/7\n2️⃣ 3️⃣\n🟩⬛🟩 ⬛🟩⬛\n🟩🟩🟩 ⬛⬛⬛\n⬜⬜⬜ 🟩🟩🟩');
+  const quad = newMultiGame({ solutions: ['CAT', 'DOG', 'COW', 'PIG'], maxAttempts: 2 });
+  play(quad, 'DOG', 'CAT');
+  assert.equal(buildMultiShareText(quad, 'Quad'),
+    'Quad X/2\n2️⃣ 1️⃣\n⬛⬛⬛ 🟩🟩🟩\n🟩🟩🟩 ⬜⬜⬜\n🟥 🟥\n⬛🟩⬛ ⬛⬛🟩\n🟩⬛⬛ ⬛⬛⬛');
+});
+
+test('dodgeGuess keeps the largest group of words, giving away as little as it can', () => {
+  const words = ['CRANE', 'CRATE', 'GRACE', 'TRACE', 'PLANT'];
+  const { statuses, candidates } = dodgeGuess('CRANE', words);
+  assert.deepEqual(candidates, ['GRACE', 'TRACE']);
+  assert.deepEqual(statuses, evaluateGuess('CRANE', 'TRACE'));
+  // Two groups of one: the one with fewer greens.
+  assert.deepEqual(dodgeGuess('CRATE', ['CRATE', 'PLANT']).candidates, ['PLANT']);
+});
+
+test('an evil game only settles the answer once one word fits', () => {
+  const words = ['CRANE', 'CRATE', 'GRACE', 'TRACE', 'PLANT'];
+  const game = newEvilGame({ words, maxAttempts: 4 });
+  assert.equal(game.candidates, 5);
+  const [first] = play(game, 'PLANT');
+  assert.equal(first.won, false);
+  assert.deepEqual(game.counts, [5, 2]);
+  assert.deepEqual(first.statuses, evaluateGuess('PLANT', game.solution));
+  assert.equal(play(game, 'CRANE')[0].won, false);
+  assert.deepEqual(game.counts, [5, 2, 1]);
+  const [last] = play(game, game.solution);
+  assert.equal(last.won, true);
+  assert.equal(gameStatus(game.serialize()), 'solved');
+});
+
+test('evil games without words are over instead of failing', () => {
+  assert.deepEqual(dodgeGuess('CRANE', []), { statuses: ['absent', 'absent', 'absent', 'absent', 'absent'], candidates: [] });
+  const saved = { lang: 'en', evil: true, solution: 'CRANE', attempts: ['SLATE'], currentGuess: 'CR', gameOver: false };
+  const empty = restoreEvilGame(saved, { words: [], length: 5 });
+  assert.deepEqual(empty.attempts, []);
+  assert.equal(empty.gameOver, true);
+  assert.equal(empty.solution, '');
+  assert.equal(empty.type('C'), false);
+  assert.equal(empty.submit().error, 'over');
+  // A list that changed since the save still replays it.
+  const changed = restoreEvilGame(saved, { words: ['PLANT', 'GRAPE'] });
+  assert.deepEqual(changed.attempts, ['SLATE']);
+  assert.equal(changed.candidates > 0, true);
+});
+
+test('evil games replay their saves and keep hard mode', () => {
+  const words = ['ЖИТІЄ', 'ҐАНОК', 'ЇЖАКИ', 'КРАСА'];
+  const options = { words, lang: 'uk', hardMode: true };
+  const game = newEvilGame(options);
+  play(game, 'ЖИТІЄ');
+  const restored = restoreEvilGame(JSON.parse(JSON.stringify(game.serialize())), options);
+  assert.deepEqual(restored.counts, game.counts);
+  assert.equal(restored.solution, game.solution);
+  assert.equal(restored.hardMode, true);
+  assert.deepEqual(restoreEvilGame({ attempts: ['ЖИТІЄ'] }, options).attempts, []);
+
+  const hard = newEvilGame({ words: ['CRANE', 'CRATE', 'SLATE'], hardMode: true });
+  play(hard, 'CRANE');
+  assert.equal(play(hard, 'PLUMB')[0].error, 'hardMode');
+});
+
+test('formatDuration shows tenths, with minutes from a minute on', () => {
+  assert.equal(formatDuration(0), '0.0s');
+  assert.equal(formatDuration(12340), '12.3s');
+  assert.equal(formatDuration(59960), '1:00.0');
+  assert.equal(formatDuration(62500), '1:02.5');
+  assert.equal(formatDuration(3723400), '62:03.4');
+});
+
+test('timed games keep each row\'s time once the clock starts', () => {
+  const game = newGame({ solution: 'CRANE', timed: true });
+  game.addTime(5000);
+  assert.deepEqual(game.times, { rows: [], current: 0, started: false });
+  assert.equal(game.startClock(), true);
+  assert.equal(game.startClock(), false);
+  game.addTime(4000);
+  game.addTime(-1);
+  play(game, 'REACT');
+  game.addTime(2500);
+  assert.equal(game.clockRunning, true);
+  play(game, 'CRANE');
+  game.addTime(9000);
+  assert.equal(game.clockRunning, false);
+  assert.deepEqual(game.times, { rows: [4000, 2500], current: 0, started: true });
+  assert.equal(totalTime(game), 6500);
+  assert.equal(buildShareText(game, 'T'), 'T 2/6 ⏱️6.5s\n🟨🟨🟩🟨⬛ 4.0s\n🟩🟩🟩🟩🟩 2.5s');
+  assert.equal(buildShareText(game.serialize(), 'T'), buildShareText(game, 'T'));
+  assert.equal(totalTime(newGame({ solution: 'CRANE' })), null);
+});
+
+test('only a first timed win sets a faster speed-run record', () => {
+  const won = newGame({ solution: 'CRANE', timed: true });
+  won.startClock();
+  won.addTime(3000);
+  play(won, 'CRANE');
+  assert.deepEqual(bestSpeedRun(null, won), { best: 3000, guesses: 1 });
+  const slower = { best: 2000, guesses: 2 };
+  assert.equal(bestSpeedRun(slower, won), slower);
+  // Today's result was already counted: the replay knows the answer.
+  assert.equal(bestSpeedRun(null, won, true), null);
+  const untimed = newGame({ solution: 'CRANE' });
+  play(untimed, 'CRANE');
+  assert.equal(bestSpeedRun(null, untimed), null);
+  const lost = newGame({ solution: 'CRANE', timed: true, maxAttempts: 1 });
+  lost.startClock();
+  play(lost, 'SLATE');
+  assert.equal(bestSpeedRun(null, lost), null);
+});
+
+test('saved times survive a reload and decide whether a game is timed', () => {
+  const game = newGame({ solution: 'CRANE', timed: true });
+  game.startClock();
+  game.addTime(1200);
+  play(game, 'REACT');
+  game.addTime(800);
+  const saved = JSON.parse(JSON.stringify(game.serialize()));
+  const restored = restoreGame(saved, { solution: 'CRANE' });
+  assert.deepEqual(restored.times, { rows: [1200], current: 800, started: true });
+  assert.equal(restored.clockRunning, true);
+  assert.equal(restoreGame({ ...saved, times: { rows: [], current: 0, started: true } }, { solution: 'CRANE', timed: true }).timed, false);
+  assert.equal(restoreGame({ ...saved, times: { rows: [-5], current: 0, started: true } }, { solution: 'CRANE', timed: true }).timed, false);
+  // Before the clock starts, the current setting applies.
+  const fresh = newGame({ solution: 'CRANE', timed: true }).serialize();
+  assert.equal(restoreGame(fresh, { solution: 'CRANE' }).timed, false);
+  assert.equal(restoreGame({ ...saved, times: undefined, attempts: [] }, { solution: 'CRANE', timed: true }).timed, true);
+  assert.equal(newGame({ solution: 'CRANE' }).serialize().times, undefined);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateGuess } from '../engine.js';
+import { dataFor, officialWord } from '../words.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { emptyStore, verifyResult, addResult, leaderboard, loadStore, saveStore } from '../server/leaderboard.mjs';
+
+const NOW = Date.UTC(2025, 2, 1, 12); // puzzle #60
+const PUZZLE = 60;
+const SOLUTION = await officialWord('en', PUZZLE - 1);
+// The bundle only has a Bloom filter of allowed guesses, so pick from everyday words.
+const COMMON = [
+  'ABOUT', 'BLIMP', 'BUNCH', 'CHUNK', 'CLIMB', 'DWELT', 'FIFTH', 'FUNKY', 'GHOUL', 'GLYPH', 'HUMPH', 'JUMPY',
+  'LUNCH', 'MOTHS', 'NYMPH', 'PIZZA', 'PLUMB', 'QUICK', 'SHIFT', 'SKIMP', 'THUMB', 'VIVID', 'WHIZZ', 'CRANE',
+  'SLATE', 'TRACE', 'RATIO', 'AUDIO', 'ROUTE', 'GREEN', 'STORY', 'HEART', 'MAGIC', 'PLANT', 'SMILE', 'RIVER'
+];
+const allowed = COMMON.filter(w => dataFor('en', 5).allowed.has(w));
+// Allowed words that share no letter with the answer, so they never give hard-mode hints.
+const misses = allowed.filter(w => evaluateGuess(w, SOLUTION).every(st => st === 'absent'));
+const TOKEN = 'a'.repeat(32);
+const post = (extra = {}) => ({ nickname: 'ada', token: TOKEN, lang: 'en', puzzle: PUZZLE, attempts: [misses[0], SOLUTION], ...extra });
+
+test('a finished daily game is replayed against the official word', async () => {
+  const result = await verifyResult(post(), NOW);
+  assert.equal(result.solved, true);
+  assert.deepEqual(result.attempts, [misses[0], SOLUTION]);
+  assert.equal(result.group, 'everyone');
+  const lost = await verifyResult(post({ attempts: misses.slice(0, 6) }), NOW);
+  assert.equal(lost.solved, false);
+});
+
+test('results that could not come from the app are rejected', async () => {
+  const status = async (body) => {
+    try { await verifyResult(body, NOW); } catch (e) { return e.status; }
+    return 200;
+  };
+  assert.equal(await status(post({ attempts: ['ZZZZZ', SOLUTION] })), 422);
+  assert.equal(await status(post({ attempts: [misses[0]] })), 422);
+  assert.equal(await status(post({ attempts: [SOLUTION, SOLUTION] })), 422);
+  assert.equal(await status(post({ puzzle: PUZZLE - 2 })), 400);
+  assert.equal(await status(post({ puzzle: PUZZLE + 1 })), 400);
+  assert.equal(await status(post({ puzzle: PUZZLE - 1 })), 422); // yesterday's word differs
+  assert.equal(await status(post({ nickname: 'a' })), 400);
+  assert.equal(await status(post({ lang: 'xx' })), 400);
+  assert.equal(await status(post({ length: 9 })), 400);
+});
+
+test('hard mode results must follow the hints', async () => {
+  const hint = allowed.find(w => w !== SOLUTION && evaluateGuess(w, SOLUTION).includes('correct'));
+  await assert.rejects(verifyResult(post({ hardMode: true, attempts: [hint, misses[0]] }), NOW), /valid game/);
+  assert.equal((await verifyResult(post({ hardMode: true }), NOW)).hardMode, true);
+});
+
+test('hinted results keep their hint count and must fit the answer', async () => {
+  const letter = { type: 'letter', position: 0, letter: SOLUTION[0] };
+  const result = await verifyResult(post({ hints: [letter, { type: 'count', count: 3, guesses: 1 }] }), NOW);
+  assert.equal(result.hints, 2);
+  assert.equal((await verifyResult(post(), NOW)).hints, 0);
+  const wrong = { type: 'letter', position: 0, letter: SOLUTION[0] === 'Q' ? 'Z' : 'Q' };
+  await assert.rejects(verifyResult(post({ hints: [wrong] }), NOW), /don't fit/);
+  await assert.rejects(verifyResult(post({ hints: 'none' }), NOW), /list of hints/);
+  await assert.rejects(verifyResult(post({ hints: Array(4).fill(letter) }), NOW), /list of hints/);
+});
+
+test('a nickname belongs to its first token and posts once per puzzle', async () => {
+  const store = emptyStore();
+  assert.equal(addResult(store, await verifyResult(post(), NOW), NOW).created, true);
+  assert.equal(addResult(store, await verifyResult(post(), NOW), NOW).created, false);
+  const impostor = await verifyResult(post({ nickname: 'ADA', token: 'b'.repeat(32) }), NOW);
+  assert.throws(() => addResult(store, impostor, NOW), e => e.status === 403);
+  const another = await verifyResult(post({ attempts: [misses[1], SOLUTION] }), NOW);
+  assert.throws(() => addResult(store, another, NOW), e => e.status === 409);
+  assert.equal(JSON.stringify(store).includes(TOKEN), false);
+});
+
+test('nicknames like __proto__ are stored as data, also after a reload', async () => {
+  const store = emptyStore();
+  const proto = await verifyResult(post({ nickname: '__proto__' }), NOW);
+  assert.equal(addResult(store, proto, NOW).created, true);
+  assert.equal(Object.keys(store.users).includes('__proto__'), true);
+  assert.equal(leaderboard(store, { lang: 'en', puzzle: PUZZLE })[0].nickname, '__proto__');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guessmosaic-leaderboard-'));
+  try {
+    const file = path.join(dir, 'data.json');
+    saveStore(file, store);
+    const loaded = loadStore(file);
+    assert.equal(addResult(loaded, proto, NOW).created, false);
+    const impostor = await verifyResult(post({ nickname: '__proto__', token: 'b'.repeat(32) }), NOW);
+    assert.throws(() => addResult(loaded, impostor, NOW), e => e.status === 403);
+    assert.equal(addResult(loaded, await verifyResult(post({ nickname: 'constructor' }), NOW), NOW).created, true);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the leaderboard ranks one group by result', async () => {
+  const store = emptyStore();
+  const add = async (nickname, attempts, extra = {}, at = NOW) => addResult(store, await verifyResult(post({ nickname, token: nickname.repeat(16), attempts, group: 'team', ...extra }), NOW), at);
+  await add('slow', [misses[0], misses[1], SOLUTION]);
+  await add('lost', misses.slice(0, 6));
+  await add('fast', [misses[0], SOLUTION], {}, NOW + 1000);
+  await add('hard', [misses[0], SOLUTION], { hardMode: true }, NOW + 2000);
+  await add('hinted', [SOLUTION], { hints: [{ type: 'letter', position: 0, letter: SOLUTION[0] }] });
+  await add('other', [SOLUTION], { group: 'elsewhere' });
+  const board = leaderboard(store, { lang: 'en', puzzle: PUZZLE, group: 'team' });
+  assert.deepEqual(board.map(e => [e.rank, e.nickname, e.guesses, e.hints]),
+    [[1, 'hard', 2, 0], [2, 'fast', 2, 0], [3, 'slow', 3, 0], [4, 'hinted', 1, 1], [5, 'lost', 6, 0]]);
+  assert.equal(board[4].solved, false);
+  assert.equal('attempts' in board[0], false);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { sha256, pinSource, unpackSource, loadSource } from '../raw_words/sources.mjs';
+
+const TEXT = Buffer.from('crane\nslate\n');
+
+// One-file archives, built by hand so the test needs no tools.
+function tar(name, data) {
+  const header = Buffer.alloc(512);
+  header.write(name, 0);
+  header.write('0000644\0', 100);
+  header.write(data.length.toString(8).padStart(11, '0') + '\0', 124);
+  header.write('0', 156);
+  const body = Buffer.alloc(Math.ceil(data.length / 512) * 512);
+  data.copy(body);
+  return Buffer.concat([header, body, Buffer.alloc(1024)]);
+}
+
+function zip(name, data) {
+  const packed = zlib.deflateRawSync(data);
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(packed.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(name.length, 26);
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(packed.length, 20);
+  central.writeUInt32LE(data.length, 24);
+  central.writeUInt16LE(name.length, 28);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 8);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(46 + name.length, 12);
+  end.writeUInt32LE(30 + name.length + packed.length, 16);
+  return Buffer.concat([local, Buffer.from(name), packed, central, Buffer.from(name), end]);
+}
+
+test('sources are read out of .gz, .tar.gz and .zip files', () => {
+  assert.equal(unpackSource(TEXT, 'words.txt').toString(), TEXT.toString());
+  assert.equal(unpackSource(zlib.gzipSync(TEXT), 'words.txt.gz').toString(), TEXT.toString());
+  assert.equal(unpackSource(zlib.gzipSync(tar('dict/words.txt', TEXT)), 'dict.tar.gz', 'dict/words.txt').toString(), TEXT.toString());
+  assert.equal(unpackSource(tar('words.txt', TEXT), 'https://example.com/dict.tar?raw=1', 'words.txt').toString(), TEXT.toString());
+  assert.equal(unpackSource(zip('uk/uk.dic', TEXT), 'vendor/uk.zip', 'uk/uk.dic').toString(), TEXT.toString());
+  assert.throws(() => unpackSource(zip('uk/uk.dic', TEXT), 'vendor/uk.zip', 'other.dic'), /has no other\.dic/);
+  assert.throws(() => unpackSource(TEXT, 'words.txt', 'words.txt'), /isn't a \.zip/);
+});
+
+test('the lock rejects new and changed sources unless asked to pin them', () => {
+  const lock = {};
+  assert.throws(() => pinSource(lock, 'vendor/en.txt', TEXT), /isn't in sources\.lock\.json/);
+  assert.deepEqual(lock, {});
+  assert.equal(pinSource(lock, 'vendor/en.txt', TEXT, { updateLock: true }), true);
+  assert.deepEqual(lock['vendor/en.txt'], { sha256: sha256(TEXT), bytes: TEXT.length });
+  assert.equal(pinSource(lock, 'vendor/en.txt', TEXT), false);
+  assert.throws(() => pinSource(lock, 'vendor/en.txt', Buffer.from('crane\n')), /--update-lock/);
+  assert.equal(pinSource(lock, 'vendor/en.txt', Buffer.from('crane\n'), { updateLock: true }), true);
+  assert.equal(lock['vendor/en.txt'].bytes, 6);
+});
+
+test('offline builds read vendored files and the cache, never the network', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'guessmosaic-sources-'));
+  try {
+    const cacheDir = path.join(dir, '.cache');
+    fs.writeFileSync(path.join(dir, 'en.txt.gz'), zlib.gzipSync(TEXT));
+    const lock = {};
+    await assert.rejects(loadSource({ file: 'en.txt.gz' }, { lock, offline: true, dir, cacheDir }), /--update-lock/);
+    const local = await loadSource({ file: 'en.txt.gz' }, { lock, offline: true, updateLock: true, dir, cacheDir });
+    assert.equal(local.text, TEXT.toString());
+    assert.equal(local.changed, true);
+    assert.ok(lock['en.txt.gz']);
+    assert.equal((await loadSource({ file: 'en.txt.gz' }, { lock, offline: true, dir, cacheDir })).changed, false);
+
+    const url = 'https://example.com/words.txt';
+    await assert.rejects(loadSource({ url }, { lock, offline: true, dir, cacheDir }), /isn't cached/);
+    await assert.rejects(loadSource({ file: 'missing.txt' }, { lock, offline: true, dir, cacheDir }), /not found/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
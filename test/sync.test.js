@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EPOCH_DAY } from '../engine.js';
+import {
+  STORE_KEYS, FORMAT_VERSION, parseStoreKey, makeBackup, migrateBackup, encodeBackup, decodeBackup,
+  mergeGame, mergeBackupData
+} from '../sync.js';
+
+const game = (attempts, extra = {}) => ({
+  lang: 'en', solution: 'CRANE', attempts, currentGuess: '', gameOver: attempts.includes('CRANE') || attempts.length >= 6, hardMode: false, ...extra
+});
+const dayOf = puzzle => EPOCH_DAY + puzzle - 1;
+const stats = (extra) => ({
+  played: 0, wins: 0, currentStreak: 0, maxStreak: 0, guesses: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, fail: 0 }, lastDay: null, lastWinDay: null, ...extra
+});
+
+test('parseStoreKey recognises our keys and word-length suffixes', () => {
+  assert.deepEqual(parseStoreKey(STORE_KEYS.stats), { kind: 'stats', len: 5 });
+  assert.deepEqual(parseStoreKey(`${STORE_KEYS.archive}-len6`), { kind: 'archive', len: 6 });
+  assert.equal(parseStoreKey(`${STORE_KEYS.settings}-len6`), null);
+  assert.equal(parseStoreKey('something-else'), null);
+});
+
+test('makeBackup keeps only known keys and is versioned', () => {
+  const backup = makeBackup({ [STORE_KEYS.stats]: {}, other: 1 }, '2025-03-01T00:00:00.000Z');
+  assert.deepEqual(backup, { app: 'guessmosaic', v: FORMAT_VERSION, exportedAt: '2025-03-01T00:00:00.000Z', data: { [STORE_KEYS.stats]: {} } });
+});
+
+test('the leaderboard token is not exported, nor taken from an older backup', async () => {
+  const settings = { theme: 'dark', nickname: 'ann', serverToken: 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6' };
+  const backup = makeBackup({ [STORE_KEYS.settings]: settings });
+  assert.deepEqual(backup.data[STORE_KEYS.settings], { theme: 'dark', nickname: 'ann' });
+  assert.equal(settings.serverToken, 'a1b2c3d4e5f6a7b8c9d0e1f2a3b4c5d6');
+  assert.equal('serverToken' in (await decodeBackup(await encodeBackup(backup))).data[STORE_KEYS.settings], false);
+  const { data } = mergeBackupData({}, { [STORE_KEYS.settings]: settings });
+  assert.deepEqual(data[STORE_KEYS.settings], { theme: 'dark', nickname: 'ann' });
+});
+
+test('migrateBackup rejects foreign and future backups', () => {
+  assert.throws(() => migrateBackup({ v: 1, data: {} }), /not a Guess Mosaic backup/);
+  assert.throws(() => migrateBackup({ app: 'guessmosaic', v: FORMAT_VERSION + 1, data: {} }), /newer version/);
+  assert.throws(() => migrateBackup({ app: 'guessmosaic', v: 0, data: {} }), /can't be imported/);
+});
+
+test('backup codes and files round-trip', async () => {
+  const backup = makeBackup({ [STORE_KEYS.state]: { dayId: 20100, ...game(['REACT']) } });
+  const code = await encodeBackup(backup);
+  assert.match(code, /^GM1\.[zj]\.[\w-]+$/);
+  assert.deepEqual(await decodeBackup(code), backup);
+  assert.deepEqual(await decodeBackup(JSON.stringify(backup, null, 1)), backup);
+  await assert.rejects(decodeBackup(code.slice(0, 20)), /incomplete or damaged/);
+  await assert.rejects(decodeBackup('hello'), /backup code/);
+  await assert.rejects(decodeBackup('{"broken'), /damaged/);
+});
+
+test('mergeGame never replaces a more advanced game', () => {
+  const two = game(['REACT', 'TRACE']);
+  const one = game(['REACT']);
+  assert.equal(mergeGame(two, one), two);
+  assert.equal(mergeGame(one, two), two);
+  const won = game(['REACT', 'CRANE']);
+  assert.equal(mergeGame(won, game(['REACT', 'TRACE', 'BRACE'])), won);
+  assert.equal(mergeGame(one, game(['REACT'], { currentGuess: 'CR' })).currentGuess, 'CR');
+  // A different solution (e.g. a custom answer) is not the same puzzle.
+  assert.equal(mergeGame(one, game(['REACT', 'TRACE'], { solution: 'OTHER' })), one);
+});
+
+test('mergeBackupData merges the daily game and archive per language and day', () => {
+  const local = {
+    [STORE_KEYS.state]: { dayId: dayOf(10), ...game(['REACT']) },
+    [STORE_KEYS.archive]: { en: { 9: game(['CRANE']), 10: game(['REACT']) } }
+  };
+  const incoming = {
+    [STORE_KEYS.state]: { dayId: dayOf(10), ...game(['REACT', 'TRACE']) },
+    [STORE_KEYS.archive]: { en: { 8: game(['CRANE']), 9: game(['REACT']), 10: game(['REACT', 'TRACE']) }, uk: { 10: game(['REACT'], { lang: 'uk' }) } }
+  };
+  const { data, gamesUpdated } = mergeBackupData(local, incoming);
+  assert.deepEqual(data[STORE_KEYS.state].attempts, ['REACT', 'TRACE']);
+  assert.deepEqual(Object.keys(data[STORE_KEYS.archive].en), ['8', '9', '10']);
+  assert.deepEqual(data[STORE_KEYS.archive].en[9].attempts, ['CRANE']);
+  assert.deepEqual(data[STORE_KEYS.archive].en[10].attempts, ['REACT', 'TRACE']);
+  assert.ok(data[STORE_KEYS.archive].uk[10]);
+  assert.equal(gamesUpdated, 4);
+});
+
+test('an older daily game never replaces today\'s', () => {
+  const today = { dayId: dayOf(10), ...game(['REACT']) };
+  const { data } = mergeBackupData({ [STORE_KEYS.state]: today }, { [STORE_KEYS.state]: { dayId: dayOf(9), ...game(['REACT', 'TRACE', 'CRANE']) } });
+  assert.equal(data[STORE_KEYS.state], today);
+});
+
+test('multi-board games merge per language and board count', () => {
+  const duo = (attempts, dayId) => ({ dayId, lang: 'en', solutions: ['CRANE', 'SLATE'], attempts, currentGuess: '', gameOver: false });
+  const local = { [STORE_KEYS.multi]: { en: { 2: duo(['REACT'], dayOf(10)), 4: duo(['REACT'], dayOf(10)) } } };
+  const incoming = { [STORE_KEYS.multi]: { en: { 2: duo(['REACT', 'TRACE'], dayOf(10)), 4: duo(['REACT', 'TRACE'], dayOf(9)) } } };
+  const { data, gamesUpdated } = mergeBackupData(local, incoming);
+  assert.deepEqual(data[STORE_KEYS.multi].en[2].attempts, ['REACT', 'TRACE']);
+  assert.deepEqual(data[STORE_KEYS.multi].en[4].attempts, ['REACT']);
+  assert.equal(gamesUpdated, 1);
+  assert.equal(mergeGame(duo(['REACT'], 1), { ...duo(['REACT', 'TRACE'], 1), solutions: ['CRANE', 'PLANT'] }).attempts.length, 1);
+});
+
+test('stats add the days only the other device played and rebuild streaks', () => {
+  const win = (n) => game(Array(n - 1).fill('REACT').concat('CRANE'), { daily: true });
+  // Phone played days 1-3, laptop played day 4 (and also has day 3 from an earlier sync).
+  const local = {
+    [STORE_KEYS.stats]: { en: stats({ played: 3, wins: 3, currentStreak: 3, maxStreak: 3, guesses: { 1: 0, 2: 2, 3: 1, 4: 0, 5: 0, 6: 0, fail: 0 }, lastDay: dayOf(3), lastWinDay: dayOf(3) }) },
+    [STORE_KEYS.archive]: { en: { 1: win(2), 2: win(2), 3: win(3) } }
+  };
+  const incoming = {
+    [STORE_KEYS.stats]: { en: stats({ played: 2, wins: 2, currentStreak: 2, maxStreak: 2, guesses: { 1: 0, 2: 0, 3: 1, 4: 1, 5: 0, 6: 0, fail: 0 }, lastDay: dayOf(4), lastWinDay: dayOf(4) }) },
+    [STORE_KEYS.archive]: { en: { 3: win(3), 4: win(4) } }
+  };
+  const st = mergeBackupData(local, incoming).data[STORE_KEYS.stats].en;
+  assert.equal(st.played, 4);
+  assert.equal(st.wins, 4);
+  assert.equal(st.guesses[4], 1);
+  assert.equal(st.lastDay, dayOf(4));
+  assert.equal(st.currentStreak, 4);
+  assert.equal(st.maxStreak, 4);
+});
+
+test('stats ignore archive replays and keep streaks older than the archive', () => {
+  const local = {
+    [STORE_KEYS.stats]: { en: stats({ played: 20, wins: 20, currentStreak: 20, maxStreak: 20, lastDay: dayOf(20), lastWinDay: dayOf(20) }) },
+    [STORE_KEYS.archive]: { en: {} }
+  };
+  const incoming = {
+    [STORE_KEYS.stats]: { en: stats({ played: 1, wins: 1, currentStreak: 1, maxStreak: 1, lastDay: dayOf(21), lastWinDay: dayOf(21) }) },
+    // Puzzle 5 was replayed from the archive (no daily flag), so it's not a stats result.
+    [STORE_KEYS.archive]: { en: { 5: game(['CRANE']), 21: game(['CRANE'], { daily: true }) } }
+  };
+  const st = mergeBackupData(local, incoming).data[STORE_KEYS.stats].en;
+  assert.equal(st.played, 21);
+  assert.equal(st.currentStreak, 21);
+  assert.equal(st.maxStreak, 21);
+});
+
+test('speed-run records of other word lengths merge under their own key', () => {
+  const key = `${STORE_KEYS.speed}-len6`;
+  const local = { [STORE_KEYS.speed]: { en: { best: 20000, guesses: 3 } }, [key]: { en: { best: 60000, guesses: 5 } } };
+  const incoming = { [key]: { en: { best: 45000, guesses: 4 }, uk: { best: 70000, guesses: 6 } } };
+  const { data } = mergeBackupData(local, makeBackup(incoming).data);
+  assert.deepEqual(data[key], { en: { best: 45000, guesses: 4 }, uk: { best: 70000, guesses: 6 } });
+  assert.deepEqual(data[STORE_KEYS.speed], { en: { best: 20000, guesses: 3 } });
+});
+
+test('speed-run records keep the faster time per language', () => {
+  const local = { [STORE_KEYS.speed]: { en: { best: 40000, guesses: 3 }, uk: { best: 30000, guesses: 4 } } };
+  const incoming = { [STORE_KEYS.speed]: { en: { best: 35000, guesses: 4 }, uk: { best: 50000, guesses: 2 }, de: 'junk' } };
+  const speed = mergeBackupData(local, incoming).data[STORE_KEYS.speed];
+  assert.deepEqual(speed, { en: { best: 35000, guesses: 4 }, uk: { best: 30000, guesses: 4 } });
+});
+
+test('local settings and challenge are kept; missing ones are taken', () => {
+  const mine = { theme: 'dark' };
+  const { data } = mergeBackupData({ [STORE_KEYS.settings]: mine }, { [STORE_KEYS.settings]: { theme: 'light' }, [STORE_KEYS.challenge]: { id: 'x' } });
+  assert.equal(data[STORE_KEYS.settings], mine);
+  assert.deepEqual(data[STORE_KEYS.challenge], { id: 'x' });
+  const evil = { en: { evil: true, attempts: ['CRANE'] } };
+  assert.equal(mergeBackupData({ [STORE_KEYS.evil]: evil }, { [STORE_KEYS.evil]: { en: { evil: true, attempts: [] } } }).data[STORE_KEYS.evil], evil);
+});
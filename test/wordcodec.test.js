@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encryptWords, decryptWords, encryptWord, decryptWord, makeBloom, bloomFilter, encryptAnswers, decryptAnswer, NO_CRYPTO, cryptoAvailable } from '../wordcodec.js';
+
+const WORDS = ['CRANE', 'SLATE', 'TRACE', 'REACT', 'КНИГА', 'ЗЕМЛЯ'];
+
+test('encrypted solution lists keep order and repeats, and only open with their own id', async () => {
+  const words = ['CRANE', 'SLATE', 'CRANE', 'ЗЕМЛЯ'];
+  const spec = await encryptWords(words, { id: 'en5', iterations: 10 });
+  assert.equal(spec.count, 4);
+  assert.equal(JSON.stringify(spec).includes('CRANE'), false);
+  assert.deepEqual(await decryptWords(spec, 'en5'), words);
+  assert.deepEqual(await encryptWords(words, { id: 'en5', iterations: 10 }), spec);
+  await assert.rejects(decryptWords(spec, 'uk5'));
+  assert.deepEqual(await decryptWords(null, 'en5'), []);
+  assert.deepEqual(await decryptWords(await encryptWords([], { id: 'en5', iterations: 10 }), 'en5'), []);
+});
+
+test('a challenge word opens with its language\'s key only', async () => {
+  const code = await encryptWord('КНИГА', 'uk', 10);
+  assert.match(code, /^[\w-]+$/);
+  assert.notEqual(await encryptWord('КНИГА', 'uk', 10), code);
+  assert.equal(await decryptWord(code, 'uk', 10), 'КНИГА');
+  assert.equal(await decryptWord(code, 'en', 10), '');
+  assert.equal(await decryptWord('not a code', 'uk', 10), '');
+});
+
+test('a Bloom filter accepts every word it was built from', () => {
+  const filter = bloomFilter(makeBloom(WORDS));
+  assert.equal(filter.size, WORDS.length);
+  for (const w of WORDS) assert.ok(filter.has(w), w);
+  assert.equal(filter.has('ZZZZZ'), false);
+  // The filter survives the trip through JSON in the bundle.
+  assert.ok(bloomFilter(JSON.parse(JSON.stringify(makeBloom(WORDS)))).has('КНИГА'));
+});
+
+test('Bloom filter false positives stay near the rate it was sized for', () => {
+  const words = Array.from({ length: 2000 }, (_, i) => `W${i}`);
+  const filter = bloomFilter(makeBloom(words, 0.01));
+  const probes = Array.from({ length: 10000 }, (_, i) => `X${i}`);
+  const rate = probes.filter(w => filter.has(w)).length / probes.length;
+  assert.ok(rate < 0.02, `false-positive rate ${rate}`);
+});
+
+test('a missing filter is empty', () => {
+  const filter = bloomFilter(null);
+  assert.equal(filter.size, 0);
+  assert.equal(filter.has('CRANE'), false);
+});
+
+test('each day decrypts to its own answer', async () => {
+  const answers = await encryptAnswers(['CRANE', 'SLATE', 'TRACE'], { id: 'en5', start: 100, iterations: 10 });
+  assert.equal(answers.count, 3);
+  assert.equal(JSON.stringify(answers).includes('CRANE'), false);
+  assert.equal(await decryptAnswer(answers, 'en5', 100), 'CRANE');
+  assert.equal(await decryptAnswer(answers, 'en5', 102), 'TRACE');
+  assert.equal(await decryptAnswer(answers, 'en5', 99), null);
+  assert.equal(await decryptAnswer(answers, 'en5', 103), null);
+  assert.equal(await decryptAnswer(null, 'en5', 100), null);
+});
+
+test('a record only opens with its own day and list', async () => {
+  const answers = await encryptAnswers(['ЗЕМЛЯ', 'КНИГА'], { id: 'uk5', start: 10, iterations: 10 });
+  assert.equal(await decryptAnswer(answers, 'uk5', 11), 'КНИГА');
+  await assert.rejects(decryptAnswer({ ...answers, start: 11 }, 'uk5', 11));
+  await assert.rejects(decryptAnswer(answers, 'en5', 10));
+  await assert.rejects(encryptAnswers(['CRANE', 'CAT'], { id: 'en5', start: 0, iterations: 10 }), /different length/);
+});
+
+// Plain http pages (other than localhost) have crypto.getRandomValues but no crypto.subtle.
+test('without Web Crypto, lists fail with a message that says why', async () => {
+  const spec = await encryptWords(['CRANE'], { id: 'en5', iterations: 10 });
+  const code = await encryptWord('CRANE', 'en', 10);
+  const real = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+  Object.defineProperty(globalThis, 'crypto', { value: { getRandomValues: a => a }, configurable: true });
+  try {
+    assert.equal(cryptoAvailable(), false);
+    await assert.rejects(decryptWords(spec, 'en5'), { message: NO_CRYPTO });
+    assert.equal(await decryptWord(code, 'en', 10), '');
+  } finally {
+    Object.defineProperty(globalThis, 'crypto', real);
+  }
+  assert.equal(cryptoAvailable(), true);
+});
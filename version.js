@@ -0,0 +1,6 @@
+// version.js
+// Generated by scripts/build-sw.mjs (`npm run build:sw`); do not edit by hand.
+export const APP_VERSION = 'v0.5.4-dd1dd2c36f';
+// Word file per language (words/<code>.js): content hash, the word lengths it has and the
+// hash of its guess file (words/guesses/<code>.js) if there is one.
+export const WORD_FILES = {"en":{"hash":"6169ced2f9","lengths":[4,5,6,7],"guesses":"f0201affd0"},"uk":{"hash":"c27cfb8746","lengths":[4,5,6,7],"guesses":"9b7f19f8e8"}};
@@ -0,0 +1,222 @@
+// wordcodec.js
+// Formats of the per-language word files (words/<code>.js), shared by their generator
+// (raw_words/build-bundle.mjs), its checker (raw_words/verify-bundle.mjs) and the app (words.js),
+// and of the word in challenge links (app.js).
+// - Solution lists are one AES-GCM record per word length (the words back to back), keyed by
+//   PBKDF2 over the list's name; words.js decrypts them once when the file loads
+// - Allowed guesses ship as a Bloom filter, so the full list isn't in the bundle. Words that
+//   aren't in the list pass with the filter's false-positive rate (1 in 10,000 by default).
+//   The post-game analysis needs them listed, so they're also an encryptWords() list per length
+//   in a separate file (words/guesses/<code>.js) that nothing else loads.
+// - Scheduled answers ship as one AES-GCM record per day, keyed by PBKDF2 over that day's date.
+//   The app has to work offline, so any day's key can be derived by anyone willing to run
+//   the derivation; what this buys is that the schedule can't be read out of the file, and
+//   reading ahead costs a deliberate, slow derivation per day.
+// - Challenge words are sealed the same way, with a random IV, into a URL-safe code.
+// All of this is against spoilers, not a secret: the app has every key it needs (the list keys
+// come from fixed names), so anyone who opens devtools can read the decrypted lists. It stops a
+// glance at the file, a search through it or the network tab from giving words away; it doesn't
+// stop a player set on reading them.
+import { EPOCH_DAY } from './engine.js';
+
+// --- Base64 ---
+function toBase64(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+function toBase64Url(bytes) {
+  return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const b64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return fromBase64(b64 + '='.repeat((4 - b64.length % 4) % 4));
+}
+
+// --- Keys ---
+export const ANSWER_ITERATIONS = 50000;
+const IV_BYTES = 12;
+
+// Browsers only have Web Crypto's subtle API in secure contexts, so over plain http (other than
+// localhost, e.g. a LAN address) no word can be decrypted.
+export const NO_CRYPTO = 'The word lists need Web Crypto, which browsers only allow over https:// or on localhost';
+
+export function cryptoAvailable() {
+  return !!(globalThis.crypto && globalThis.crypto.subtle);
+}
+
+function subtle() {
+  if (!cryptoAvailable()) throw new Error(NO_CRYPTO);
+  return crypto.subtle;
+}
+
+async function deriveKey(secret, salt, iterations) {
+  const text = new TextEncoder();
+  const material = await subtle().importKey('raw', text.encode(secret), 'PBKDF2', false, ['deriveKey']);
+  return subtle().deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: text.encode(salt), iterations },
+    material,
+    { name: 'AES-GCM', length: 128 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// Words are stored as UTF-16 so every record of a list has the same size.
+function utf16(word) {
+  const bytes = new Uint8Array(word.length * 2);
+  for (let i = 0; i < word.length; i++) {
+    bytes[i * 2] = word.charCodeAt(i) & 0xff;
+    bytes[i * 2 + 1] = word.charCodeAt(i) >> 8;
+  }
+  return bytes;
+}
+
+// The IV followed by the ciphertext.
+async function seal(key, plain, iv) {
+  const sealed = new Uint8Array(await subtle().encrypt({ name: 'AES-GCM', iv }, key, plain));
+  const out = new Uint8Array(iv.length + sealed.length);
+  out.set(iv);
+  out.set(sealed, iv.length);
+  return out;
+}
+
+async function unseal(key, bytes) {
+  const plain = await subtle().decrypt({ name: 'AES-GCM', iv: bytes.subarray(0, IV_BYTES) }, key, bytes.subarray(IV_BYTES));
+  return new TextDecoder('utf-16le').decode(plain);
+}
+
+// --- Solution lists ---
+// `id` names the list (language + length, e.g. 'en5'). The IV comes from a hash of the list, so
+// rebuilding the same list gives the same file and two lists never share an IV.
+// Returns { count, iterations, data }.
+export async function encryptWords(words, { id, iterations = ANSWER_ITERATIONS }) {
+  const plain = utf16(words.join(''));
+  const iv = new Uint8Array(await subtle().digest('SHA-256', plain)).slice(0, IV_BYTES);
+  const key = await deriveKey('words', `guessmosaic:${id}`, iterations);
+  return { count: words.length, iterations, data: toBase64(await seal(key, plain, iv)) };
+}
+
+// Key id of a language's allowed-guess list for one length (a solution list's is just code + len).
+export function guessListId(code, len) {
+  return `${code}${len}-guesses`;
+}
+
+// The words of an encryptWords() list, in order; a missing list is empty.
+// Rejects if the list doesn't decrypt (damaged bundle, or another list's id).
+export async function decryptWords(spec, id) {
+  if (!spec || !spec.count) return [];
+  const key = await deriveKey('words', `guessmosaic:${id}`, spec.iterations);
+  const text = await unseal(key, fromBase64(spec.data));
+  const len = text.length / spec.count;
+  const out = [];
+  for (let i = 0; i < text.length; i += len) out.push(text.slice(i, i + len));
+  return out;
+}
+
+// --- Challenge words ---
+// One word as a URL-safe code, with a key per language (`id`) and a random IV.
+export async function encryptWord(word, id, iterations = ANSWER_ITERATIONS) {
+  const key = await deriveKey('challenge', `guessmosaic:${id}`, iterations);
+  return toBase64Url(await seal(key, utf16(word), crypto.getRandomValues(new Uint8Array(IV_BYTES))));
+}
+
+// The word of an encryptWord() code, or '' if it doesn't open with `id`'s key.
+export async function decryptWord(code, id, iterations = ANSWER_ITERATIONS) {
+  try {
+    const key = await deriveKey('challenge', `guessmosaic:${id}`, iterations);
+    return await unseal(key, fromBase64Url(code));
+  } catch (_) {
+    return '';
+  }
+}
+
+// --- Bloom filter ---
+// FNV-1a over UTF-16 code units; two seeds give the two hashes of double hashing.
+function fnv1a(word, seed) {
+  let h = seed;
+  for (let i = 0; i < word.length; i++) {
+    h ^= word.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function bloomPositions(word, bits, hashes) {
+  const h1 = fnv1a(word, 0x811c9dc5);
+  const h2 = fnv1a(word, 0x9747b28c) | 1;
+  const out = [];
+  for (let i = 0; i < hashes; i++) out.push(((h1 + Math.imul(i, h2)) >>> 0) % bits);
+  return out;
+}
+
+// { count, hashes, bits } where `bits` is the base64 bit array (its length sets the size).
+export function makeBloom(words, falsePositiveRate = 1e-4) {
+  const n = Math.max(1, words.length);
+  const bits = Math.ceil(-n * Math.log(falsePositiveRate) / (Math.LN2 ** 2) / 8) * 8;
+  const hashes = Math.max(1, Math.round((bits / n) * Math.LN2));
+  const bytes = new Uint8Array(bits / 8);
+  for (const word of words) {
+    for (const p of bloomPositions(word, bits, hashes)) bytes[p >> 3] |= 1 << (p & 7);
+  }
+  return { count: words.length, hashes, bits: toBase64(bytes) };
+}
+
+// A Set-like view of makeBloom() output; `size` is the number of words put in.
+// A missing filter is empty.
+export function bloomFilter(spec) {
+  if (!spec || !spec.bits) return { size: 0, has: () => false };
+  const bytes = fromBase64(spec.bits);
+  const bits = bytes.length * 8;
+  return {
+    size: spec.count,
+    has(word) {
+      return bloomPositions(word, bits, spec.hashes).every(p => bytes[p >> 3] & (1 << (p & 7)));
+    }
+  };
+}
+
+// --- Daily answers ---
+const IV = new Uint8Array(12); // every key encrypts exactly one word, so a fixed IV is safe
+const answerBytes = new WeakMap(); // answers spec -> decoded records
+
+function dateLabel(dayNumber) {
+  return new Date((EPOCH_DAY + dayNumber) * 86400000).toISOString().slice(0, 10);
+}
+
+// `id` names the list (language + length, e.g. 'en5'), so each list has its own keys.
+function answerKey(id, dayNumber, iterations) {
+  return deriveKey(dateLabel(dayNumber), `guessmosaic:${id}`, iterations);
+}
+
+// `words` are the answers for days start, start + 1, ... (all the same length).
+// Returns { start, count, size, iterations, data } with `size`-byte records in base64 `data`.
+export async function encryptAnswers(words, { id, start, iterations = ANSWER_ITERATIONS }) {
+  const size = words.length ? words[0].length * 2 + 16 : 0;
+  const records = await Promise.all(words.map(async (word, i) => {
+    if (word.length * 2 + 16 !== size) throw new Error(`${id}: "${word}" has a different length`);
+    const key = await answerKey(id, start + i, iterations);
+    return new Uint8Array(await subtle().encrypt({ name: 'AES-GCM', iv: IV }, key, utf16(word)));
+  }));
+  const data = new Uint8Array(records.length * size);
+  records.forEach((r, i) => data.set(r, i * size));
+  return { start, count: words.length, size, iterations, data: toBase64(data) };
+}
+
+// The answer for `dayNumber`, or null if `answers` doesn't cover that day.
+// Rejects if the record doesn't decrypt (damaged bundle).
+export async function decryptAnswer(answers, id, dayNumber) {
+  const i = answers ? dayNumber - answers.start : -1;
+  if (i < 0 || i >= answers.count) return null;
+  if (!answerBytes.has(answers)) answerBytes.set(answers, fromBase64(answers.data));
+  const record = answerBytes.get(answers).subarray(i * answers.size, (i + 1) * answers.size);
+  const key = await answerKey(id, dayNumber, answers.iterations);
+  const plain = await subtle().decrypt({ name: 'AES-GCM', iv: IV }, key, record);
+  return new TextDecoder('utf-16le').decode(plain);
+}
@@ -1,5 +0,0 @@
-// Auto-generated by raw_words/obfuscateWords.cjs
-export const encodedEN = "PUYBYyJtBQFeWjNoZCkyRmwRIWwJbzdaTwZ3LjAhEhFeAwdxNz0tBglFKy0TZysDbAE8NzVhaUVKRgx2P24OAV5aMHBqNT9GbBE6ZAFxJlpPBmMmJCgFEV4DDHogMSAGCUUwIRJgNwNsASIqLHdgRUpGDXI1aAMBXlogbGQ1K0ZsETNsCXcrWk8GYyYvMAgRXgMRdjcrNwYJRSUoD2Y2A2wBPDEkbHFFSkYMejVpFAFeWiZldzMuRmwRNXMBYDdaTwZkMiItDxFeAxNgNzY3BglFKiEBYDoDbAEiOTNhd0VKRhFmO20MAV5aMHRsNSNGbBE1ZA5xN1pPBnEuMigFEV4DFHE3OTcGCUU2MRBjKwNsATQ9N2dtRUpGBGE3YA0BXlowbGwpI0ZsETVzD3U3Wk8GZjUvKQURXgMEcTM1IgYJRTI2FWc6A2wBMzQqZmxFSkYIfCdvBAFeWjFlcyIoRmwRMXMBbTdaTwZ2KycwBRFeAwJvPTcuBglFNiEUcj4DbAE6PTFmdkVKRg18IXIZAV5aJWF3KTVGbBE1cwFwIVpPBmMrKTYBEV4DFmo8PTAGCUU1NBJ6NQNsASEsJml2RUpGDWY+YggBXloiYGo1I0ZsET5uFmYgWk8GbSgoIRkRXgMCcTs8JgYJRTMqCXw8A2wBMSo2d21FSkYFfz1xBQFeWjVrciIiRmwRNG0BbjdaTwZkNSIrEhFeAxBsNzUwBglFKiEBdSsDbAEwPTF2fEVKRgZ6N20EAV5aIW13JC5GbBE9YgViPFpPBnYyKCoZEV4DEmI7NjoGCUUlKAVyIANsATQqJndtRUpGB3w9ZxkBXlowbWkrP0ZsETR0DmgrWk8GYy48PhkRXgMXYjEzOgYJRTwhE2crA2wBIjE7YWlFSkYDYTtyEAFeWi5haSgoRmwRIXEJYDdaTwZ1NS83DRFeAw5qNCw6BglFNzEJcDkDbAEwKip3bkVKRgZ/J2cGAV5aMGpkJC1GbBEmdglwJlpPBmcrLyoLEV4DEG8nOygGCUUhNhV+IgNsATEwKnZ1RUpGE2M+YBQBLw==";
-export const encodedUK = "PUbRodCt0a/Qh9GVAV5a0bnQudC90bTRtkZsEdGS0KfRp9C50aJaTwbQhNG30bLRutGaEV4D0ZvQjdGj0abRsQYJRdG50aLRodCu0Z0DbAHRrtGo0YHQotCFRUpG0ZfQptGu0LrRrwFeWtG50LbQo9GF0b5GbBHRl9C90ZDQg9GiWk8G0ITRstGG0YLRlRFeA9GS0LbRk9Gl0bMGCUXRhtGi0ZTQrtGiA2wB0a3RmtGz0IHQvUVKRtGe0KnRp9Cx0Z0BXlrRg9C60LnRt9G7RmwR0anQp9Gg0LvRqFpPBtCH0bfRv9G50ZARXgPRodC40bTRrNG7BglF0bzRttGV0JLRkANsAdGt0a3RgtC80L9FSkbRm9Cj0a3Qu9GQAV5a0bjQvNCE0YXRiUZsEdGt0LrRntC30apaTwbQitG00bjRsNGYEV4D0aLQg9Gi0arRswYJRdG70aLRltCu0bQDbAHRqNGo0bTQvtC1RUpG0ZzQq9Gp0LnRmQFeWtGx0KLQhdG60aBGbBHRqNCB0ZDQgtGiWk8G0IfRstG50b/RnhFeA9Gg0LPRr9Gm0bkGCUXRg9G20ZjQqNGdA2wB0ZLRm9GC0LnQikVKRtGe0JLRtNC80awBXlrRsdCi0IfRstGGRmwR0aPQtNGg0LbRoVpPBtCy0bLRhtG50Z4RXgPRmtC90anRvtGDBglF0bXRhNGj0JvRogNsAdGu0a3Rt9C60L9FSkbRodCv0aLQu9GYAV5a0bXQtNCF0YXRvkZsEdGX0ILRmdC40axaPg==";
-export const encodedAllowedEN = "PUYBciBmCAFeWiJldygoRmwRM2MBYDlaTwZkJScwBRFeAwFhMDkwBglFJyYCdisDbAEzOiFtYEVKRgFxMG4UAV5aImZtKDRGbBEzYwlnN1pPBmQlKCESEV4DAWE9PCYGCUUnJg9hJgNsATM6LHFxRUpGAXE9dwUBXloiZncmK0ZsETNjFXA3Wk8GZCU/NxMRXgMBYDo9JwYJRScnCHYhA2wBMzsra2pFSkYBcDtlEwFeWiJnbiI0RmwRM2IPcTxaTwZkJDQhExFeAwFgJj0nBglFJycUejwDbAEzOzdrd0VKRgFwJ3UFAV5aImBkICNGbBEzZQFuIVpPBmQjJzQUEV4DAWc2PScGCUUnIAR2IANsATM8J21gRUpGAXc2aBMBXloiYGArJ0ZsETNlBXMmWk8GZCMvIRURXgMBZzs3MAYJRScgDHI7A2wBMzwubWtFSkYBdz9oFAFeWiJgaisgRmwRM2UPcyZaTwZkIyk2BRFeAwFnPSotBglFJyAVfyYDbAEzPSRtdkVKRgF1O3MFAV5aImJqKDJGbBEzZw9xN1pPBmQhMiESEV4DAWQzMS0GCUUnIwFnMwNsATM/JmpxRUpGAXQ1aAUBXloiY2I1KUZsETNmCW83Wk8GZCAvKgcRXgMBZD43NAYJRScjDnYhA2wBMz8sanxFSkYBdD1zAQFeWiJjdyIjRmwRM2kFYjZaTwZkLyshBBFeAwFrPz03BglFJywPfzYDbAEzMSdhYUVKRgF6NmQTAV5aIm1oIiJGbBEzaA1mN1pPBmQuNCEEEV4DAWohNCYGCUUnLxJ8PANsATM0ImduRUpGAX8zaA4BXloiaGQqKUZsETNtAXE/Wk8GZCskJQ4RXgMBbzAxLQYJRScoAmY/A2wBMzQnYWtFSkYBfzZkEgFeWiJoYCQtRmwRM20FcSZaTwZkKyElBRFeAwFvOzkwBglFJygJcTsDbAEzNCpnYEVKRgF/O2QOAV5aImhsIChGbBEzbQloN1pPBmQrLyoFEV4DAW87LiYGCUUnKAxyOgNsATM0L2VrRUpGAX8+ZA4BXloiaGkiP0ZsETNtDGYoWk8GZCsqLQURXgMBbz43NwYJRScoDHwlA2wBMzQva3xFSkYBfz1nFAFeWiJoai8nRmwRM20PaiFaTwZkKykqBRFeAwFvPTYkBglFJygPfDQDbAEzNCxxYUVKRgF/ImkBAV5aImhxJjRGbBEzbRRmIFpPBmQrMC0OEV4DAW8lOToGCUUnKQFhMwNsATM1Ind2RUpGAX4zewUBXloiaWciNEZsETNsBW02Wk8GZCovIwERXgMBbjs/LAYJRScpCX09A2wBMzUqd21FSkYBfjtyEwFeWiJpbDMnRmwRM2wJdytaTwZkKislDhFeAwFuPTYkBglFJykPZiADbAEzNTNoYEVKRgF+Im0ZAV5aImlwNCNGbBEzbwRmIVpPBmQpIjYFEV4DAW01PS8GCUUnKgd2IANsATM2JG1gRUpGAX01bQUBXloiamIrKUZsETNvB3ErWk8GZCkhNxQRXgMBbTUtMAYJRScqCX43A2wBMzYqd2BFSkYBfTt1AQFeWiJqbygzRmwRM28LZiBaTwZkKS0oBRFeAwFtPDkwBglFJyoOdioDbAEzNi1tYEVKRgF9PG4ZAV5aImprMipGbBEzbxNmPlpPBmQpMisOEV4DAW0mKzoGCUUnKhZ6PgNsATM3MXBkRUpGAWMzcxQBXloidGsiJ0ZsETNxEG83Wk8GZDc2KBkRXgMBcyAxLwYJRSc0Enw8A2wBMyg3aHxFSkYBYTNjEwFeWiJ2Zyg0RmwRM3MEbCBaTwZkNSMlExFeAwFxNzYiBglFJzYFfSYDbAEzKiRra0VKRgFhNW4TAV5aInZiMiNGbBEzcwd2IVpPBmQ1LyUTEV4DAXE7PS8GCUUnNgl2IQNsATMqKndgRUpGAWE4dA4BXloidmgiIkZsETNzDWwgWk8GZDUpKQERXgMBcT0rJgYJRSc2EnIhA2wBMyoxZXxFSkYBYSBuFwFeWiJ2diI1RmwRM3MTbDxaTwZkNTItBRFeAwFxJis6BglFJzYZcjwDbAEzKyBrcUVKRgFgOmQSAV5aIndtIjVGbBEzcgliPFpPBmQ0LyAFEV4DAXA5PScGCUUnNwt2JQNsATMrM2FrRUpGAWAhZBMBXloid3YiMkZsETNyFGYgWk8GZDQyKxIRXgMBdz45MAYJRScwD38+A2wBMywsaXZFSkYBZz1vBQFeWiJwcS4lRmwRM3QEaj1aTwZkMiItFBFeAwF2NTA3BglFJzEHZiADbAEzLS1wdkVKRgFmPHUZAV5aInJkLipGbBEzdwFtJlpPBmQxJzcUEV4DAXU3KjcGCUUnMgVhKwNsATMuKmVrRUpGAWU9aAQBXloic2QuMkZsETN2AWg3Wk8GZDAnNgQRXgMBdDMqJgYJRSczAWA6A2wBMy8lcWlFSkYBZD1qBQFeWiJ+cSIlRmwRM3sVcTdaTwZnJiQhDBFeAwJiMD0wBglFJCUDeCEDbAEwOSBra0VKRgJyNmYFAV5aIWVhKz9GbBEwYAdmPlpPBmcmISMZEV4DAmI6OTEGCUUkJQlhPANsATA5KGFhRUpGAnI5ZBIBXlohZW4iNUZsETBgDGI8Wk8GZyYqIBkRXgMCYj49MAYJRSQlDH87A2wBMDkvaHZFSkYCcj5tGQFeWiFlaSo/RmwRMGAMbD1aTwZnJiglDBFeAwJiPDssBglFJCUOdz0DbAEwOS1gdkVKRgJyPGUZAV5aIWVrIDVGbBEwYA5pPVpPBmcmKC8TEV4DAmIgOiIGCUUkJRJxIQNsATA5MWBqRUpGAnIgZAQBXlohZXcgI0ZsETBgEmghWk8GZyY0KRkRXgMCYiA2MAYJRSQlEnw8A2wBMDkxdmRFSkYCciBzGQFeWiFldiYqRmwRMGATZjZaTwZnJjUhExFeAwJiITEgBglFJCUTej4DbAEwOTBta0VKRgJyIWgTAV5aIWV2MydGbBEwYBN3N1pPBmcmMicIEV4DAmImPTAGCUUkJRR7NwNsATA5N2x2RUpGAnImbg4BXlohZXEzP0ZsETBgF2crWk8GZyY/KxURXgMCZjM7KwYJRSQhAXchA2wBMD0iYHxFSkYCdjNqEwFeWiFhZCo1RmwRMGQBbSFaTwZnIic2BBFeAwJmMyowBglFJCEBYCYDbAEwPSJwdkVKRgJ2M3QUAV5aIWFnKDZGbBEwZANoIVpPBmciJS8ZEV4DAmY3OysGCUUkIQV1IQNsATA9JmJ8RUpGAnY3cRMBXlohYWA1NUZsETBkBXchWk8GZyIhJQ4RXgMCZjU5NwYJRSQhB3YmA2wBMD0kbWtFSkYCdjV0DQFeWiFhYjIoRmwRMGQJZDdaTwZnIi8qBxFeAwJmPjk6BglFJCEMcDoDbAEwPS9oZEVKRgJ2Pm0FAV5aIWFpKy9GbBEwZAxvPVpPBmciKigTEV4DAmY+NDoGCUUkIQx8JQNsATA9L3B2RUpGAnY8YggBXlohYWsjNUZsETBkDmcrWk8GZyIoLQ4RXgMCZjwyOgYJRSQhDn0rA2wBMD0xYXFFSkYCdiBzGQFeWiFhdzMuRmwRMGQSej5aTwZnIjUhFBFeAwJmJj0vBglFJCEUYCsDbAEwPTdwfEVKRgJ6MG0FAV5aIW1mIjZGbBEwaARnK1pPBmcuIiEUEV4DAmo1NzcGCUUkLQp8JwNsATAxKGF3RUpGAno5ZBMBXlohbWklKUZsETBoDGQ3Wk8GZy4qKAERXgMCaj40MAYJRSQtDH8rA2wBMDEuZmpFSkYCejxlEwFeWiFtayAjRmwRMGgOZD1aTwZnLjQnCBFeAwJqIDwwBglFJC0SdysDbAEwMTFwbUVKRgJ6IW4OAV5aIW1xJC5GbBEwaBRmIFpPBmcuMiETEV4DAmomKzoGCUUkLRRnNwNsATAxN3B8RUpGAn8zYgsBXlohaGQjI0ZsETBtAWogWk8GZysnLwURXgMCbzM1JgYJRSQoAX0xA2wBMDQiamFFSkYCfzNvCwFeWiFoZDUjRmwRMG0BcCZaTwZnKyc+BRFeAwJvNzkoBglFJCgFciYDbAEwNCZhYUVKRgJ/N2QQAV5aIWhgKSJGbBEwbQVwIVpPBmcrLykQEV4DAm87NicGCUUkKAl9OQNsATA0KnR2RUpGAn87chMBXlohaGwzPEZsETBtD2ImWk8GZyspJhMRXgMCbz07KAYJRSQoD3g3A2wBMDQsamFFSkYCfz1uBAFeWiFoaigrRmwRMG0PbCJaTwZnKyk2BRFeAwJvPS8tBglFJCgPZCEDbAEwNDZhd0VKRgJ/J2QTAV5aIWhwIj9GbBEwbRVlNFpPBmcrMykFEV4DAm8nNjcGCUUkKBVhJgNsATA0NndtRUpGAnwzcwQBXloha2Q1NUZsETBuAXAmWk8GZygnMBMRXgMCbDA6OgYJRSQrA3s3A2wBMDcnYWtFSkYCfDZpCQFeWiFrYDU1RmwRMG4HZitaTwZnKCEtBRFeAwJsNS0wBglFJCsJfyEDbAEwNypqYkVKRgJ8O3IFAV5aIWtpKz9GbBEwbgx3IVpPBmcoKjETEV4DAmw/OjAGCUUkKw53IQNsATA3LWFhRUpGAnw8ZBIBXloha2siNUZsETBuDmYrWk8GZygoIw8RXgMCbDw2JgYJRSQrDn0rA2wBMDctcXZFSkYCfD1jEwFeWiFraiU/RmwRMG4PZjZaTwZnKCkvExFeAwJsPTUwBglFJCsPfTcDbAEwNyx3cUVKRgJ8PXUIAV5aIWtqMzVGbBEwbg93K1pPBmcoKT4FEV4DAmw9IjoGCUUkKxJ2NgNsATA3MWF2RUpGAnwgaBMBXloha3cpI0ZsETBuE2A6Wk8GZyg1Kw0RXgMCbCE3LQYJRSQrE2AzA2wBMDcwd3xFSkYCfCF0DgFeWiFrcSQuRmwRMG4VZDpaTwZnKDMqBBFeAwJsJywwBglFJCsXdjYDbAEwNzRhaUVKRgJ8JWQSAV5aIWtyLiNGbBEwbhdvIVpPBmcoPiEEEV4DAmwqPTEGCUUkKxh2IQNsATA3OmV3RUpGAnwrYgUBXloha3wiNEZsETBuGmwhWk8GZzUnJwURXgMCcTM7KAYJRSQ2AXQhA2wBMCoibWFFSkYCYTNoDgFeWiF2ZCwjRmwRMHMBbTZaTwZnNScqFBFeAwJxMysrBglFJDYBYCEDbAEwKiJwdkVKRgJhM3cBAV5aIXZkMSNGbBEwcwF1PVpPBmc1JzMMEV4DAnEzLy0GCUUkNgVyNgNsATAqJmVuRUpGAmE3YA0BXlohdmAkLUZsETBzBWY2Wk8GZzUjKhQRXgMCcTcrNwYJRSQ2BWcmA2wBMComc3ZFSkYCYTtgDgFeWiF2bCY0RmwRMHMJYTdaTwZnNS8nCxFeAwJxOzwmBglFJDYJdjQDbAEwKipoaUVKRgJhO28FAV5aIXZsKSFGbBEwcwltOVpPBmc1LyoZEV4DAnE7KygGCUUkNglnIQNsATAqKnBxRUpGAmE9YAQBXlohdmokLUZsETBzD2g3Wk8GZzUpKgMRXgMCcT02OwYJRSQ2D3w2A2wBMCosa25FSkYCYT1uDQFeWiF2ajMuRmwRMHMPdDxaTwZnNSkzExFeAwJxJzsmBglFJDYVfT0DbAEwKjZqcUVKRgJhJ3IIAV5aIXZwMyNGbBEwcxliPFpPBmc1PycFEV4DAnYwOiIGCUUkMQJxKwNsATAtIG9qRUpGAmYxahMBXlohcWYsP0ZsETB0BGcrWk8GZzIiIwURXgMCdjc2LAYJRSQxBnUhA2wBMC0lYnxFSkYCZjVmGQFeWiFxYisjRmwRMHQJYDlaTwZnMi8oBBFeAwJ2OzQ3BglFJDEMcSEDbAEwLS9jYEVKRgJmPmoZAV5aIXFpKzVGbBEwdAxvK1pPBmcyKzQTEV4DAnY/KDoGCUUkMQ5wOgNsATAtLWB8RUpGAmY8ZgEBXlohcWssNUZsETB0Dm0rWk8GZzIoMBkRXgMCdj0hMAYJRSQxEnEhA2wBMC0xb2RFSkYCZiBqBQFeWiFxdys/RmwRMHQSbjNaTwZnMjQqExFeAwJ2IDY3BglFJDESYyEDbAEwLTF2akVKRgJmIHIUAV5aIXF2JT9GbBEwdBNmIVpPBmcyNSwZEV4DAnYhLDAGCUUkMRNnKwNsATAtN2dtRUpGAmYmdQUBXlohcXEzNUZsETB0GWYgWk8GZzI8PhkRXgMCdDM2IgYJRSQ9Enw8A2wBMTkhZWlFSkYDcjBjGQFeWiBlZy4oRmwRMWACbzdaTwZmJiQrFBFeAwNiMTAmBglFJSUDZzsDbAExOSdgfEVKRgNyNmQUAV5aIGVhNSNGbBExYAZmIVpPBmYmISEEEV4DA2I1PTAGCUUlJQd2KwNsATE5KnZrRUpGA3I7cw8BXlogZW8yKEZsETFgC2Y2Wk8GZiYtIRMRXgMDYj49IQYJRSUlDH8zA2wBMTkvaHZFSkYDcj5sEwFeWiBlaCIqRmwRMWANZj1aTwZmJis0DxFeAwNiPygwBglFJSUNZiEDbAExOS1laUVKRgNyPGUZAV5aIGVrIjVGbBExYA5tK1pPBmYmKCsFEV4DA2I8Ny0GCUUlJQ5gJgNsATE5LXBqRUpGA3IiZAQBXlogZXUiNEZsETFgEGYhWk8GZiY2NBkRXgMDYiIqIgYJRSUlEGE7A2wBMTkxZXFFSkYDciBlEwFeWiBldyIiRmwRMWASZiBaTwZmJjQhExFeAwNiID06BglFJSUSdD0DbAExOTFobEVKRgNyIG0PAV5aIGV3KSNGbBExYBJtK1pPBmYmNCsMEV4DA2IgKCYGCUUlJRJhKwNsATE5MXBgRUpGA3IgdRMBXlogZXcxI0ZsETFgE2Y2Wk8GZiY1IRMRXgMDYiE9OgYJRSUlE3ghA2wBMTkwcGBFSkYDciF1EwFeWiBlcSQuRmwRMWAUZiBaTwZmJjIhExFeAwNiJjA6BglFJSUUZysDbAExOTZ3YEVKRgNyJGQEAV5aIGVzIjVGbBExZAFwN1pPBmYiJS0MEV4DA2Y2OTEGCUUlIQx2MANsATE9L21kRUpGA3Y+bQ8BXlogYWkrNUZsETFkDHchWk8GZiIoMBMRXgMDZiA9MAYJRSUhE3IgA2wBMTAiZ2pFSkYDezNnBgFeWiBsZC4oRmwRMWkBaiBaTwZmLycvARFeAwNrMzQoBglFJSwBfiIDbAExMCJqYkVKRgN7M28UAV5aIGxkKDVGbBExaQFzIVpPBmYvJzYEEV4DA2szKi4GCUUlLAFhJgNsATEwIndgRUpGA3szcg0BXlogbGQzNUZsETFpBWIiWk8GZi8jJRQRXgMDazc7KAYJRSUsBXY5A2wBMTAmYXVFSkYDezdkEgFeWiBsYCE1RmwRMWkFbTVaTwZmLyM3ExFeAwNrNys3BglFJSwFZSsDbAExMCZzdkVKRgN7N3YZAV5aIGxsJSdGbBExaQlgM1pPBmYvLycLEV4DA2s7OywGCUUlLAl3NwNsATEwKmFjRUpGA3s7ZA4BXlogbGwrIkZsETFpCW83Wk8GZi8vKAkRXgMDazs0LwYJRSUsCX43A2wBMTAqaXVFSkYDeztvAQFeWiBsbCkhRmwRMWkJbTlaTwZmLy8qDxFeAwNrOzYwBglFJSwJYyEDbAExMCp2dUVKRgN7Pm4FAV5aIGxqJC1GbBExaQ9gPVpPBmYvKS0SEV4DA2s9MyYGCUUlLA9/PQNsATEwLGl1RUpGA3s9bgsBXlogbGo3NUZsETFpD3E2Wk8GZi8pNgURXgMDaz0rJgYJRSUsEnohA2wBMTA2Z25FSkYDeydsEAFeWiBscCo1RmwRMWkVbTVaTwZmLzMqCxFeAwNrJyotBglFJSwVZzcDbAExMSdhd0VKRgN6NWASAV5aIG1rJC5GbBExaA5nK1pPBmYuNCcBEV4DA2ogOyYGCUUlLRNwPQNsATExMHd8RUpGA3omZAQBXlogbXMuJUZsETFoFmo+Wk8GZisnJwsRXgMDbzM9MAYJRSUoAXo/A2wBMTQibXdFSkYDfzNsEAFeWiBoZCo1RmwRMW0BbTVaTwZmKycqCxFeAwNvMzYwBglFJSgBYyEDbAExNCJ2ZEVKRgN/M3MFAV5aIGhkNS1GbBExbQFxPVpPBmYrJzYZEV4DA28zKysGCUUlKAFgIgNsATE0Ind2RUpGA38zdBMBXlogaGQxI0ZsETFtAXQhWk8GZisnPRMRXgMDbzc5LQYJRSUoBXIgA2wBMTQmYnFFSkYDfzdzCwFeWiBoYDEjRmwRMW0JYDlaTwZmKy8iBhFeAwNvOzUhBglFJSgJfTcDbAExNCpqYkVKRgN/O28LAV5aIGhsKTJGbBExbQlzIVpPBmYrLzIFEV4DA289OSgGCUUlKA9wOQNsATE0LGN2RUpGA389bwUBXlogaGo0I0ZsETFtD3c6Wk8GZispMBMRXgMDbz0tJwYJRSUoD2YmA2wBMTQscmBFSkYDfz12DgFeWiBocCU1RmwRMW0VYDlaTwZmKzMhExFeAwNvJzUzBglFJSgVfTUDbAExNDZqbkVKRgN/K2UFAV5aIGtkJC5GbBExbgFvIVpPBmYoJzcUEV4DA2wzLDAGCUUlKwJhMwNsATE3IG92RUpGA3wxahkBXloga2YoJ0ZsETFuBGY2Wk8GZigiIRMRXgMDbDY9OwYJRSUrCHY8A2wBMTcqaHZFSkYDfDtvEwFeWiBrbiI0RmwRMW4LZiFaTwZmKCogExFeAwNsPj0wBglFJSsMdisDbAExNy9tZkVKRgN8PmgOAV5aIGtpKChGbBExbgxsIFpPBmYoKjATEV4DA2w/OTAGCUUlKw1xPQNsATE3LmZ2RUpGA3w/ZBIBXloga2giNUZsETFuDWYmWk8GZigrIhkRXgMDbD8xIAYJRSUrDX4zA2wBMTcuaWBFSkYDfD91BQFeWiBrayQuRmwRMW4OZz1aTwZmKCghExFeAwNsPD06BglFJSsOdDMDbAExNy1jakVKRgN8PG8ZAV5aIGtrKDRGbBExbg53N1pPBmYoKScIEV4DA2w9MzAGCUUlKw9/IQNsATE3LGp2RUpGA3wiZAQBXloga3cmKkZsETFuEmErWk8GZig0IBMRXgMDbCA8OgYJRSUrEnYhA2wBMTcxYXxFSkYDfCBqEwFeWiBrdyw/RmwRMW4SbSFaTwZmKDQqGRFeAwNsICgwBglFJSsSYD0DbAExNzBpakVKRgN8IXUBAV5aIGt2MzVGbBExbhR3M1pPBmYoMycIEV4DA2wnPysGCUUlKxV/NgNsATE3NmpxRUpGA3wncQUBXloga3A1MkZsETFuFmY8Wk8GZigwIRIRXgMDbCQ9NwYJRSUrF3I8A2wBMTc0YXdFSkYDYTNjEwFeWiB2ZCQtRmwRMXMBZSZaTwZmNSctBxFeAwNxMzEtBglFJTYBfiIDbAExKiJqYEVKRgNhM28LAV5aIHZkNzVGbBExcwFwOlpPBmY1JzcTEV4DA3EzLCYGCUUlNgFlNwNsATEqInNpRUpGA2EzewUBXlogdmQ9P0ZsETFzBWI5Wk8GZjUjJQ0RXgMDcTc8LAYJRSU2BXY2A2wBMSomYW5FSkYDYTdkDAFeWiB2YCI2RmwRMXMFbjdaTwZmNSM0BRFeAwNxNyg3BglFJTYFYCYDbAExKiZwYEVKRgNhN3YFAV5aIHZgMDVGbBExcwlhIVpPBmY1LycLEV4DA3E7PScGCUUlNgl2IANsATEqKmF2RUpGA2E7bAUBXlogdmwqNkZsETFzCXMhWk8GZjUvNxARXgMDcTsrMAYJRSU2D3I5A2wBMSosZ25FSkYDYT1nFAFeWiB2aikjRmwRMXMPbDlaTwZmNSkrDhFeAwNxPSgwBglFJTYPYTcDbAExKix3dkVKRgNhPXQQAV5aIHZqMCJGbBExcw90PFpPBmY1KTMTEV4DA3EnPCYGCUUlNhV2PgNsATEqNmlnRUpGA2EnbBABXlogdnA0LkZsETFzFXAmWk8GZjU/NBQRXgMDdjA5LQYJRSUxAnErA2wBMS0hYXZFSkYDZjBoAwFeWiBxYSM/RmwRMXQGZSFaTwZmMiooGRFeAwN2PigiBglFJTEMZyEDbAExLS5ta0VKRgNmPHUTAV5aIHF1LiJGbBExdBBzM1pPBmYyNCEEEV4DA3YgPTAGCUUlMRJ6MwNsATEtMW1gRUpGA2YgbRMBXlogcXcrP0ZsETF0EnErWk8GZjI0NwURXgMDdiAuJgYJRSUxEmUrA2wBMS0wbHxFSkYDZiZkEgFeWiBxcS4jRmwRMXQUdytaTwZmPiQhEhFeAwN6MTQmBglFJT0OejEDbAExITFtaUVKRgNqIHQTAV5aIH5gJC5GbBE2YANrM1pPBmEmIiAZEV4DBGI0PjoGCUUiJQl/KwNsATY5KnZ8RUpGBHI7chkBXlonZWkmL0ZsETZgDGYhWk8GYSYqKBkRXgMEYj89MAYJRSIlDX43A2wBNjkua2tFSkYEcjxiBQFeWidlayM/RmwRNmAOZiFaTwZhJigvBRFeAwRiPDY6BglFIiUOZzcDbAE2OTFmfEVKRgRyIGIZAV5aJ2V3IiJGbBE2YBJmPFpPBmEmNCETEV4DBGIgMS0GCUUiJRJnIQNsATY5MX1pRUpGBHImZAQBXlonZXEiNUZsETZgFmo2Wk8GYSYwLRMRXgMEYiU2MAYJRSIlGXI+A2wBNjk5YWFFSkYEdjNtEwFeWidhZCsyRmwRNmQBcSFaTwZhIic2GRFeAwRmMywrBglFIiECcSsDbAE2PSFtcUVKRgR2MHUTAV5aJ2FnMjJGbBE2ZANiK1pPBmEiJS8TEV4DBGYxNzEGCUUiIQN8KwNsATY9JmB2RUpGBHY3bBMBXlonYWMiNEZsETZkB2IhWk8GYSIvIw4RXgMEZjssOgYJRSIhDHIrA2wBNj0vbGxFSkYEdj5oAQFeWidhaSsnRmwRNmQMdzNaTwZhIioyBRFeAwRmPzctBglFIiENfCEDbAE2PS1taEVKRgR2PGgTAV5aJ2FrNCNGbBE2ZA53IVpPBmEiNisUEV4DBGYiLCsGCUUiIRJxKwNsATY9MWFuRUpGBHYgcxkBXlonYXYsNUZsETZkFGYgWk8GYSIzJwURXgMEZiQxLwYJRSIhFnw8A2wBNj00ZXdFSkYEdiVkGQFeWidsaikvRmwRNmkPdztaTwZhLicoExFeAwRqMzYiBglFIi0BfTcDbAE2MSJ2fEVKRgR6MWQEAV5aJ21mIj9GbBE2aANoIVpPBmEuJS8ZEV4DBGo2PDoGCUUiLQR9JgNsATYxJ3dxRUpGBHo3Zg8BXlonbWAzNUZsETZoB2omWk8GYS4qIA8RXgMEaj40OgYJRSItDXYhA2wBNjEtZW1FSkYEejxgEgFeWidtayIiRmwRNmgOZiBaTwZhLigjDxFeAwRqPD8wBglFIi0OdCsDbAE2MS1vfEVKRgR6InEZAV5aJ213Mz9GbBE2aBNgPVpPBmEuNScTEV4DBGohMzAGCUUiLRRwOgNsATYxN3BqRUpGBHomdRkBXlonbXMmNUZsETZoFmY2Wk8GYS4wIRIRXgMEaiQ9MAYJRSItFmUrA2wBNjE0ZWtFSkYEeipoBQFeWidtfS4yRmwRNmgaeStaTwZhLS8qDhFeAwRsMDo6BglFIisCejcDbAE2NyBvdkVKRgR8NmYFAV5aJ2thID9GbBE2bgVwPFpPBmEoISMZEV4DBGw1NSIGCUUiKwl/KwNsATY3KmpiRUpGBHw+YgUBXlona2krNUZsETZuDG8rWk8GYSgqNAgRXgMEbD89MAYJRSIrDnQhA2wBNjctamRFSkYEfDxvBQFeWidrayk/RmwRNm4ObCBaTwZhKCgxFBFeAwRsPSowBglFIisPaSsDbAE2NzNhYUVKRgR8ImQTAV5aJ2t1Ij9GbBE2bhJqIVpPBmEoNCkTEV4DBGwhPScGCUUiKxN2IQNsATY3N3B8RUpGBHwnYxQBXlona3AgLkZsETZuFXA3Wk8GYSgwIRIRXgMEbCQ9MAYJRSIrF3crA2wBNjc0anZFSkYEfCVvGQFeWidrcjU/RmwRNm4ZbzdaTwZhKDwhBBFeAwRsKD0tBglFIisadiADbAE2KiJnakVKRgRhM2cUAV5aJ3ZkIClGbBE2cwFkIVpPBmE1Jy0OEV4DBHEzMyYGCUUiNgF+MwNsATYqImpuRUpGBGEzcQUBXlondmQwKEZsETZzAXQhWk8GYTUjJQQRXgMEcTc5LgYJRSI2BXQhA2wBNiomd3ZFSkYEYTtkBAFeWid2bCI0RmwRNnMJZiFaTwZhNS8iFBFeAwRxOzQvBglFIjYJfTkDbAE2Kip0dkVKRgRhO3cFAV5aJ3ZqKypGbBE2cw9tN1pPBmE1KSsMEV4DBHE9NzMGCUUiNg9jIQNsATYqLHJgRUpGBGE9dg4BXlondnAgNUZsETZzFWo2Wk8GYTUzKRMRXgMEcSc2KAYJRSI2FWErA2wBNio6YXdFSkYEZjNvBQFeWidxZi8/RmwRNnQDaCFaTwZhMiUvGRFeAwR2MSwwBglFIjEEdiEDbAE2LSZodkVKRgRmN3UTAV5aJ3FjIT9GbBE2dAtmIVpPBmEyKicFEV4DBHY/OTAGCUUiMQ1+KwNsATYtLnR2RUpGBGY/cRkBXloncWskI0ZsETZ0DmYhWk8GYTIoKgURXgMEdjw2LAYJRSIxEHY2A2wBNi0zYXdFSkYEZiBgEwFeWidxdzQyRmwRNnQTaCtaTwZhMjUwGRFeAwR2JjsrBglFIjEWdiYDbAE2LyJ2Y0VKRgRkN20MAV5aJ31sKSFGbBE2eAtmIVpPBmE+KiUOEV4DBWI1PTEGCUUjJQd/NwNsATc5MWhgRUpGBXIgbRMBXlomZXcrP0ZsETdgEm0hWk8GYCY0MAgRXgMFYiE9JwYJRSMlE3Y+A2wBNzkwYXZFSkYFciZkDgFeWiZlcSI0RmwRN2AWZiFaTwZgJSkqGRFeAwVnNjEmBglFIyAFfjMDbAE3PCRld0VKRgV3NWQEAV5aJmBiIjVGbBE3ZQlgJlpPBmAjLzAIEV4DBWc7LDAGCUUjIBd6PANsATc9MW1gRUpGBXU0aAUBXlomY2IiIkZsETdmGXMmWk8GYC4hLBQRXgMFaTc7NwYJRSMoAnwlA2wBNzQnYXdFSkYFfzdiFAFeWiZobCY1RmwRN20JbCZaTwZgKy8wBRFeAwVvOyIiBglFIygMdjwDbAE3NC5hd0VKRgV/PXEFAV5aJmhwIyNGbBE3bRZmIVpPBmArMC0TEV4DBW4zMS8GCUUjKQJ2IANsATc1IGFgRUpGBX43cxkBXlomaWwrP0ZsETdsCXchWk8GYCorIRQRXgMFbj0qOgYJRSMpEGcrA2wBNzYiZ3FFSkYFfTZkBAFeWiZqYSI0RmwRN28FbjNaTwZgKSMpGRFeAwVtODc6BglFIyoPcDoDbAE3NjBxYEVKRgV9JmQSAV5aJmpxNSNGbBE3bxRxK1pPBmApMCsZEV4DBXM9OysGCUUjNA9rKwNsATcoM2F2RUpGBWMhbg0BXlomdXAmKkZsETdwFWoiWk8GYDUnNwURXgMFcTc7NwYJRSM2CXAzA2wBNyoqZ25FSkYFYTtqAQFeWiZ2ay4jRmwRN3MOcCZaTwZgNSkgBRFeAwVxID0nBglFIzYSfCADbAE3KjZ0cUVKRgVhJWgOAV5aJnd2Jj9GbBE3chNmKlpPBmA0NS0FEV4DBXAmPTEGCUUjMAhyPANsATcsK2FpRUpGBWc6ZBIBXlomcG0uJUZsETd1CGwhWk8GYDI0KxMRXgMFdTM8JgYJRSMyAX0hA2wBNy4manZFSkYFZTdvFAFeWiZyYDUyRmwRN3cFcStaTwZgMS8nFBFeAwV1OzQwBglFIzIPeDcDbAE3LypqYkVKRgVrM2IUAV5aJnxkKjVGbBE3eQNmPlpPBmA/IycTEV4DBXs3KjcGCUUjPAl/NwNsATcgKndxRUpGBWs7dRMBXlomfHUiKkZsETd5FHEzWk8GYD8zIAURXgMFeyo3LQYJRSAlAn83A2wBNDkgYWFFSkYGcjFkEwFeWiVlZiIyRmwRNGADdz1aTwZjJiUwExFeAwZiNj0nBglFICUEdiEDbAE0OSRjfEVKRgZyNWgOAV5aJWViKDJGbBE0YAlvIVpPBmMmLyoUEV4DBmI7KiYGCUUgJQlhIQNsATQ5KnZ8RUpGBnI7dQgBXlolZW4iIkZsETRgC2YgWk8GYyYtIRMRXgMGYjkxMQYJRSAlDHA9A2wBNDkvaHZFSkYGcj5yBQFeWiVlaCIiRmwRNGAOYCtaTwZjJigjExFeAwZiPDY6BglFICUScDcDbAE0OTFhYUVKRgZyIGQTAV5aJWV3KjVGbBE0YBJwO1pPBmMmNDATEV4DBmImOS8GCUUgJRR2NgNsATQ5N2F2RUpGBnImcg8BXlolZXEzP0ZsETRgFW8mWk8GYyYzKgERXgMGYicrNwYJRSAlFnwgA2wBNDk7YWFFSkYGcipkEwFeWiVlfCIiRmwRNGQBcSFaTwZjIic3FBFeAwZmMywwBglFICEDcj4DbAE0PSBhdkVKRgZ2N2UTAV5aJWFgKzVGbBE0ZAlkPFpPBmMiLyoUEV4DBmY+MTsGCUUgIQx/MwNsATQ9L2trRUpGBnY/bAUBXlolYWgyNEZsETRkDmA3Wk8GYyI0JQwRXgMGZiA2MAYJRSAhEmErA2wBND03ZWlFSkYGdiZiCAFeWiVhcTI1RmwRNGQVZyFaTwZjIjAhEhFeAwZmJT0xBglFIC0CdiADbAE0MSF2YEVKRgZ6MXQTAV5aJW1hIipGbBE0aAVvNlpPBmMuIyoEEV4DBmo3KjoGCUUgLQZnOgNsATQxJXB8RUpGBno1aRQBXlolbWkiIkZsETRoDGYhWk8GYy4qIRQRXgMGaj4xKgYJRSAtDH8hA2wBNDEvaHxFSkYGej5sEwFeWiVtaTMuRmwRNGgOYj5aTwZjLignCBFeAwZqPDwwBglFIC0OdjYDbAE0MS1hd0VKRgZ6PGQTAV5aJW1rKTVGbBE0aBJmNlpPBmMuNCETEV4DBmogNTAGCUUgLRJgJgNsATQxMXBtRUpGBnohaRkBXlolbXYzNUZsETRoFGA6Wk8GYy4wIRIRXgMGaiQ9MAYJRSAtGHY2A2wBNDE7YXdFSkYGeipkEwFeWiVtfz0/RmwRNGsPcTZaTwZjKycnCxFeAwZvMz8wBglFICgBej4DbAE0NCJtd0VKRgZ/M2oFAV5aJWhkLD9GbBE0bQFuN1pPBmMrJyoLEV4DBm8zKDAGCUUgKAFhNwNsATQ0IndtRUpGBn8zcgsBXlolaGQzNUZsETRtAXQhWk8GYysjJRMRXgMGbzc7KAYJRSAoBXYhA2wBNDQmYXFFSkYGfzdyCAFeWiVoYDI0RmwRNG0JYDlaTwZjKy8hEhFeAwZvOz0wBglFICgJfTUDbAE0NCpqcUVKRgZ/O3ETAV5aJWhsNTJGbBE0bQ9iJlpPBmMrKScLEV4DBm89NycGCUUgKA98IANsATQ0LHR2RUpGBn89cwEBXlolaGo0NUZsETRtD3YgWk8GYyspMw4RXgMGbz0vMAYJRSAoD2o2A2wBNDQ2YmNFSkYGfydoBAFeWiVocCwjRmwRNG0VbTVaTwZjKzMqCxFeAwZvJysrBglFICgVZzcDbAE0NDphd0VKRgZ8MWAMAV5aJWtmMjVGbBE0bgdkK1pPBmMoKiATEV4DBmw+MzAGCUUgKwx/KwNsATQ3LGB2RUpGBnw9bRMBXlola2ozP0ZsETRuEmIrWk8GYyg0JwURXgMGbCA/JgYJRSArEnQ9A2wBNDcxb3ZFSkYGfCBsBQFeWiVrdyo1RmwRNG4SdzdaTwZjKDQwCBFeAwZsICwwBglFICsSZysDbAE0NzFxaEVKRgZ8IXIFAV5aJWtwKzVGbBE0bhVtNlpPBmMoMzYTEV4DBmwqPTAGCUUgKxl2IANsATQqImduRUpGBmEzaAQBXloldmQuKkZsETRzAW43Wk8GYzUnKgMRXgMGcTM2KAYJRSA2AX0oA2wBNCoicWFFSkYGYTdgCwFeWiV2YCIiRmwRNHMFZiBaTwZjNSMhExFeAwZxNyomBglFIDYFYDoDbAE0KiZxYUVKRgZhN3gBAV5aJXZsJjRGbBE0cwlmNlpPBmM1LyETEV4DBnE7KygGCUUgNglnIQNsATQqKnB/RUpGBmE9YgsBXloldmogNUZsETRzD202Wk8GYzUpKhQRXgMGcT0rNwYJRSA2D2c6A2wBNCosc2tFSkYGYT17BQFeWiV2cC4yRmwRNHMZZiBaTwZjMiUvExFeAwZ2Nj8mBglFIDEFfyEDbAE0LSRxYEVKRgZmPm0ZAV5aJXFoIjVGbBE0dA5nIVpPBmMyKCMJEV4DBnY8MzoGCUUgMQ59KwNsATQtMXZ8RUpGBmYhZAQBXlolcXYiNUZsETR0E3ArWk8GYzI8PhkRXgMHYjA6OgYJRSElAn83A2wBNTkqaHxFSkYHcjtvEwFeWiRlbDI1RmwRNWAMZjxaTwZiJiohExFeAwdiPz0xBglFISUNdiEDbAE1OS5pZEVKRgdyP2wZAV5aJGVrICdGbBE1YA5kIVpPBmImKC4BEV4DB2IgOiwGCUUhJRJ3NwNsATU5MXBtRUpGB3IhZBMBXlokZXY3NUZsETVgE3ArWk8GYiYyIQQRXgMHYiY9MAYJRSElFHwgA2wBNTk2YHxFSkYHcidmBQFeWiRlcCs1RmwRNWAVbyZaTwZiJjMqFBFeAwdiJyswBglFISUVaTcDbAE1OTVhaUVKRgdyK2QSAV5aJGV/IiJGbBE1YBpmIVpPBmIiJzYTEV4DB2YxMywGCUUhIQV4IQNsATU9JndgRUpGB3Y5ag8BXlokYWgqJ0ZsETVkDmYhWk8GYiIoLQURXgMHZjwxKgYJRSEhDn0rA2wBNT0ta2RFSkYHdjxzBQFeWiRhazM1RmwRNWQOdiFaTwZiIikiBhFeAwdmIDUwBglFISEUZiIDbAE1MCJqZEVKRgd7PXIUAV5aJGxqMipGbBE1aAFtJlpPBmIuJCYZEV4DB2o2PDoGCUUhLQZnIQNsATUxL2F2RUpGB3o+bRMBXlokbWkrP0ZsETVoDW43Wk8GYi4rNBkRXgMHajw2OgYJRSEtEGArA2wBNTExaHZFSkYHeiBtGQFeWiRtdzMuRmwRNWgWZjxaTwZiLjAhEhFeAwdqJD0wBglFIS0WejwDbAE1MTlpakVKRgd/M2UFAV5aJGhkKSJGbBE1bQFxN1pPBmIrJzcTEV4DB28zIiYGCUUhKAVyPwNsATU0JmVrRUpGB383bw4BXlokaGwkLUZsETVtCWc3Wk8GYisvKhQRXgMHbz05NwYJRSEoD3E3A2wBNTQsa2hFSkYHfz1zGQFeWiRoajQ1RmwRNW0PdTdaTwZiKykzExFeAwdvJz0nBglFISgZfTwDbAE1NixpYEVKRgd8M20TAV5aJGtkMzVGbBE1bgRvK1pPBmIoLyoHEV4DB2w+PS4GCUUhKwx/KwNsATU3LmF3RUpGB3w8ZBIBXloka2spJ0ZsETVuDnk9Wk8GYigpIBMRXgMHbD08OgYJRSErD3YrA2wBNTcsYnxFSkYHfD1qEwFeWiRraik1RmwRNW4PcDdaTwZiKDQlDhFeAwdsID0nBglFISsSdDcDbAE1NzdsdkVKRgd8JnUBAV5aJGtwIydGbBE1bhVkN1pPBmIoMzYEEV4DB2wlOS0GCUUhKxd9IQNsATUqImZ2RUpGB2EzYgUBXlokdmQjI0ZsETVzAWU0Wk8GYjUnIhQRXgMHcTMxLwYJRSE2AXo8A2wBNSoiaXZFSkYHYTNvBAFeWiR2ZCkyRmwRNXMBczdaTwZiNSc0CBFeAwdxMyszBglFITYBYCEDbAE1KiJwZEVKRgdhM3UFAV5aJHZkMSNGbBE1cwF1K1pPBmI1Jz0TEV4DB3EzIiYGCUUhNgVyJgNsATUqJmdqRUpGB2E3ZAQBXlokdmAiLUZsETVzBWY8Wk8GYjUjIRQRXgMHcTc/JAYJRSE2BWczA2wBNSomfXZFSkYHYTtlEwFeWiR2bCIgRmwRNXMJZTRaTwZiNS8iFBFeAwdxOzQvBglFITYJfjcDbAE1KippaEVKRgdhO2wZAV5aJHZsKSJGbBE1cwlzN1pPBmI1LzQTEV4DB3E7LDAGCUUhNg9yPANsATUqLGVxRUpGB2E9aA4BXlokdmooK0ZsETVzD2wmWk8GYjUpNAURXgMHcT0rMAYJRSE2D2YiA2wBNSoscXFFSkYHYT13BQFeWiR2ajE/RmwRNXMPdD5aTwZiNSkzDhFeAwdxPS8wBglFITYVcSEDbAE1KjZhaUVKRgdhJ2cGAV5aJHZwKjZGbBE1cxVtJlpPBmIyJyoPEV4DB3YzKicGCUUhMQFlMwNsATUtJnd2RUpGB2Y3chQBXlokcWwjI0ZsETV0CWc9Wk8GYjIvKAQRXgMHdjs0JgYJRSExCX8mA2wBNS0qd2BFSkYHZj5iCAFeWiRxaSs1RmwRNXQMbytaTwZiMio0ExFeAwd2PzosBglFITENfisDbAE1LS1qfEVKRgdmInEZAV5aJHF2MylGbBE1dBN3IVpPBmIyMjcZEV4DB3oiKzoGCUUuJQJ6JgNsATo5IG92RUpGCHIxahkBXlorZWEiNUZsETpgBGk7Wk8GbSYgLRoRXgMIYjU5MQYJRS4lB2Y3A2wBOjkqb3BFSkYIcjttEwFeWitlbDU1RmwROmAJcStaTwZtJi8wCRFeAwhiODIqBglFLiULej8DbAE6OS9laUVKRghyPmQTAV5aK2VpKylGbBE6YAxvIVpPBm0mKyUOEV4DCGI/NToGCUUuJQ1pMwNsATo5LWB2RUpGCHI8ZRkBXlorZWsgNUZsETpgDmghWk8GbSYoLxkRXgMIYjw2IgYJRS4lDnw7A2wBOjkzdHxFSkYIciBgDQFeWitldyM/RmwROmASZj9aTwZtJjQhExFeAwhiIDUwBglFLiUSYyEDbAE6OTF0fEVKRghyIHMZAV5aK2V3NC5GbBE6YBNiPFpPBm0mNTABEV4DCGIhLCYGCUUuJRNnKwNsATo5N2dtRUpGCHImZAQBXlorZXEiNEZsETpgFGYhWk8GbSYzKBMRXgMIYic2NwYJRS4lFWc3A2wBOjk1YWlFSkYIciRkDgFeWitlcyI1RmwROmAWbDFaTwZtJjEvExFeAwhiKzwtBglFLiUZdiEDbAE6OTlhaUVKRgh2M2UTAV5aK2FkIz9GbBE6ZAFvIVpPBm0iJzQTEV4DCGYzKicGCUUuIQFhIQNsATo9InZxRUpGCHYzdQgBXlorYWQzNUZsETpkAXU3Wk8GbSInMhkRXgMIZjEwNwYJRS4hBHQ3A2wBOj0mYHZFSkYIdjdtEwFeWithYzM/RmwROmQJZztaTwZtIi8qGhFeAwhmOyowBglFLiEJYCYDbAE6PS9ha0VKRgh2PmYFAV5aK2FpLj5GbBE6ZAxvPVpPBm0iKigTEV4DCGY+KDAGCUUuIQ5wNwNsATo9LWpkRUpGCHY8bxkBXlorYWs1P0ZsETpkEmEhWk8GbSI0IBMRXgMIZiA9MAYJRS4hEnw8A2wBOj0xcH9FSkYIdiZ1GQFeWittZiw1RmwROmgEZiFaTwZtLiEsExFeAwhqOT0nBglFLi0LdiADbAE6MShhdkVKRgh6PmUBAV5aK21pKzVGbBE6aAxvK1pPBm0uKCAJEV4DCGo8PDYGCUUuLQ50NwNsAToxLXB2RUpGCHoicQ8BXlorbXU3P0ZsETpoEmI/Wk8GbS40IQQRXgMIaiA9MAYJRS4tE2ArA2wBOjE3Z21FSkYIeiRkEwFeWitrZDUiRmwROm4CYStaTwZtKCQrExFeAwhsMS0wBglFLisEdDcDbAE6NyRla0VKRgh8O3IUAV5aK2tuIj9GbBE6bgxnIVpPBm0oKiEEEV4DCGw+PTAGCUUuKwx/MwNsATo3L2h8RUpGCHw/ZBIBXlora2giNUZsETpuDWYrWk8GbSgrKxMRXgMIbDw8IgYJRS4rDnc9A2wBOjctYWFFSkYIfDxkGQFeWitrayw1RmwROm4OaCtaTwZtKCgrEhFeAwhsPTsrBglFLisPdyEDbAE6NyxhfEVKRgh8PWcTAV5aK2tqLDVGbBE6bg9oK1pPBm0oKTQTEV4DCGw9LDAGCUUuKxB2NgNsATo3M2F2RUpGCHwicRkBXlora3cjI0ZsETpuEm0hWk8GbSg0KhkRXgMIbCArJgYJRS4rEmAmA2wBOjcwYWFFSkYIfCFkEwFeWitrdjM1RmwROm4UYDpaTwZtKDIhDBFeAwhsJzYnBglFLisVYSEDbAE6NzZ3YEVKRgh8JGQMAV5aK2tzIjRGbBE6bhdnK1pPBm0oMSgTEV4DCGwrNCYGCUUuMQJxMwNsATotIWZ8RUpGCGY0ZxMBXlorcWMhP0ZsETp0DGghWk8GbTIqKA8RXgMIdj85LQYJRS4xDXo2A2wBOi0ua3dFSkYIZj9xCAFeWitxaDc1RmwROnQOYDpaTwZtMigvExFeAwh2PDM6BglFLjEOZyEDbAE6LTFra0VKRghmIHMZAV5aK3F3NDJGbBE6dBJ3IVpPBm0yNS8ZEV4DCHYhKzoGCUUuMRRwOgNsATohJ3ZkRUpGCGo2cw8BXlorfWApJ0ZsETp4DWY8Wk8GbT4rKhMRXgMIej0xJwYJRS49EHY2A2wBOiEzYXdFSkYJcDtvBwFeWipnaik1RmwRO2UBaz1aTwZsIyMlDBFeAwlnNzkwBglFLyAFfSYDbAE7PCpraEVKRgl3O24UAV5aKmBqKzVGbBE7ZgxsPVpPBmwrLyUEEV4DCW4zPyYGCUUvKRB/KwNsATs2ImpgRUpGCX0xYA4BXloqamYmNUZsETtvA3YgWk8GbCkiIRgRXgMJbTYxIgYJRS8qBGEzA2wBOzYmdHFFSkYJfTdzFAFeWipqYyI0RmwRO28HZiBaTwZsKS8jDxFeAwltOC0tBglFLyoMdiYDbAE7Ni1hd0VKRgl9InQUAV5aKmpxIipGbBE7bxRmIFpPBmwpMjYPEV4DCWw8MSAGCUUvNgFiOwNsATsqInBgRUpGCWE3bwEBXloqdmApI0ZsETtzBmI8Wk8GbDUvNwgRXgMJcT02MAYJRS82D30rA2wBOyo1bWtFSkYJYSVoDgFeWip3ZCYlRmwRO3IMYj9aTwZsNCohExFeAwlwIS0mBglFLzABfysDbAE7LCBsfEVKRglnN2wTAV5aKnJqNT9GbBE7exVuO1pPBm8mJS8PEV4DCmIxMzAGCUUsJQN4KwNsATg5IGtnRUpGCnI2ZAQBXlopZWwrNUZsEThgCW43Wk8GbyYtIRMRXgMKYjk9OgYJRSwlC3wwA2wBODkuYXZFSkYKcj9oBQFeWillaCo/RmwROGAOZiZaTwZvJigrExFeAwpiPC0wBglFLCUQcjwDbAE4OTFhYUVKRgpyIW4OAV5aKWVwKTJGbBE4YBp5K1pPBm8iJyoTEV4DCmY3KDAGCUUsIQx/PQNsATg9L2h8RUpGCnY8bwEBXlopYWspP0ZsEThkEmghWk8GbyI0LxkRXgMKZiAqOgYJRSwhE2A3A2wBOD0wcXZFSkYKdiZ1GQFeWilhciIqRmwROGgGZStaTwZvLiEjGRFeAwpqOjknBglFLC0NcT0DbAE4MS5pfEVKRgp6PGoTAV5aKW1rKT9GbBE4bgNoPVpPBm8oJS8TEV4DCmw6OS0GCUUsKwh9IQNsATg3Kmp2RUpGCnw7bxQBXlopa24iIkZsEThuC2YgWk8GbygtIRMRXgMKbD40OgYJRSwrDnI6A2wBODctZXZFSkYKfDxkEwFeWilrdyAjRmwROG4TaztaTwZvKDUtBRFeAwpsJys3BglFLCsZcDcDbAE4LSdlbUVKRgpmNmATAV5aKXFhICNGbBE4dAlgN1pPBm8yLycZEV4DCnY+PTAGCUUsMQx6MwNsATgtL21gRUpGCmY+aA8BXlopcWglJ0ZsETh0DWE9Wk8GbzIrNBMRXgMKdj8oOgYJRSwxDngrA2wBOC0tcGRFSkYKZiBuEgFeWilxdjQvRmwROHQTdz1aTwZuJiAvARFeAwtiPDIqBglFLSUQYzMDbAE5OTNxcUVKRgtyIGAUAV5aKGV3IipGbBE5YBJmPFpPBm4mNCkBEV4DC2IhMCoGCUUtJRR7KwNsATk5N21gRUpGC3IrYAsBXlooZX8oKUZsETlkAXchWk8GbiIkJQIRXgMLZjcoMAYJRS0hCWczA2wBOT0qcG1FSkYLdj5tGQFeWihhaCYqRmwROWQOZz1aTwZuIigqGRFeAwtmPCEiBglFLSESYTsDbAE5PTF2fEVKRgt2JGgOAV5aKGF8IiJGbBE5aQFoO1pPBm4vKyESEV4DC2oxMzAGCUUtLQR3PQNsATkxJ2B8RUpGC3o+ZBkBXloobWkrNUZsETloDGwhWk8Gbi4oJwgRXgMLajw8MAYJRS0tDnQhA2wBOTEtb3ZFSkYLejxqGQFeWihtajQtRmwROWgPdDNaTwZuLjQmGRFeAwtqISs6BglFLS0UdiEDbAE5MTdwfEVKRgt/M3QTAV5aKGhwKS1GbBE5bRV3KFpPBm4pJycLEV4DC20zLiYGCUUtKgVyNgNsATk2JmFpRUpGC303ZBMBXlooamArKkZsETlvBW8mWk8GbikvJwsRXgMLbTs+JgYJRS0qD3EhA2wBOTYsZ25FSkYLfT1tDAFeWihqajM1RmwROW8PdDxaTwZuKSkzExFeAwtsMzQiBglFLSsEcjkDbAE5Ny1gakVKRgt8PWoTAV5aKGtqLD9GbBE5bhJiPFpPBm4oNCEBEV4DC3EzPjcGCUUtNgF9NQNsATkqInFxRUpGC2E3YxMBXloodmwrKkZsETlzCXAhWk8GbjIiKxMRXgMLdiEtLgYJRS09DHo3A2wBOSEscGpFSkYLaidvBwFeWi9lZyIqRmwRPmACajNaTwZpJiQrEhFeAwxiMT0nBglFKiUDdiEDbAE+OSBhfEVKRgxyMWoTAV5aL2VhIihGbBE+YARvN1pPBmkmISESEV4DDGI7NiYGCUUqJQlhNgNsAT45KGF3RUpGDHI5ZBMBXlovZW4vNUZsET5gDG8rWk8GaSYrJhMRXgMMYj8xIgYJRSolDWMhA2wBPjktZ2BFSkYMcjxlEwFeWi9layI1RmwRPmAOZitaTwZpJigvGRFeAwxiPDY6BglFKiUQdj4DbAE+OTNtdkVKRgxyInIFAV5aL2V3ICNGbBE+YBJkPVpPBmkmNC8TEV4DDGIgKjoGCUUqJRJlMwNsAT45MGF3RUpGDHIhcg8BXlovZXYzNUZsET5gFGA6Wk8GaSYyIRIRXgMMYiY9OwYJRSolFHs3A2wBPjk3bWtFSkYMcidlBQFeWi9lcCAuRmwRPmAVcTNaTwZpJjM2BRFeAwxiJTYwBglFKiUZdiADbAE+OTpqYEVKRgxyKGASAV5aL2FkJC5GbBE+ZAFnIVpPBmkiJyITEV4DDGYzPjoGCUUqIQF4IQNsAT49Im98RUpGDHYzbxMBXlovYWQpMkZsET5kAXMhWk8GaSInNBQRXgMMZjMqLQYJRSohAWErA2wBPj0id2BFSkYMdjNyCAFeWi9hZDQyRmwRPmQBdTdaTwZpIiUsBRFeAwxmNj8mBglFKiEFcDoDbAE+PSZgdkVKRgx2N2oTAV5aL2FgNT9GbBE+ZAZ3IVpPBmkiIDAZEV4DDGY1OS8GCUUqIQd0KwNsAT49JG1xRUpGDHY7ZggBXlovYWwrJ0ZsET5kCXc6Wk8GaSIrIQwRXgMMZj83LQYJRSohDWYgA2wBPj0tYHZFSkYMdjxoDgFeWi9hayk/RmwRPmQPbTdaTwZpIjYhEhFeAwxmJiw6BglFKiEVfTUDbAE+PTVhYEVKRgx2JGQMAV5aL2FzIjRGbBE+ZBZqPFpPBmkiMS0TEV4DDGozNiIGCUUqLQF9NwNsAT4xImpiRUpGDHozcxMBXlovbWclP0ZsET5oAmY+Wk8GaS4kNgERXgMMajAqJgYJRSotAmozA2wBPjEgb3ZFSkYMejZoAQFeWi9tYCAjRmwRPmgFdiZaTwZpLiAhEhFeAwxqNCwwBglFKi0HeyYDbAE+MShhYUVKRgx6OWQTAV5aL21pJiVGbBE+aAxvK1pPBmkuKyYPEV4DDGo/OjAGCUUqLQ12IQNsAT4xLmF8RUpGDHo/aBQBXlovbWgoNUZsET5oDmczWk8GaS4oIA8RXgMMajw8OgYJRSotDnY2A2wBPjEtYWtFSkYMejxkEgFeWi9tayI1RmwRPmgOZD1aTwZpLigvExFeAwxqPC0wBglFKi0PfSEDbAE+MTN0fEVKRgx6IGATAV5aL212MzVGbBE+aBN5JlpPBmkuMiESEV4DDGomKiYGCUUqLRZ2NgNsAT4xNWFrRUpGDHokZBIBXlovbXMiNUZsET5oFmo2Wk8GaSsnKQERXgMMbz0hJwYJRSorAXchA2wBPjcianZFSkYMfDN1CAFeWi9rZyU/RmwRPm4CZiFaTwZpKCQrExFeAwxsMTkvBglFKisDeCEDbAE+NyBrdkVKRgx8MXQTAV5aL2thICNGbBE+bgZ3K1pPBmkoISUOEV4DDGw1MSAGCUUqKwd6PANsAT43JGt2RUpGDHw6YA4BXlova2wpNUZsET5uDG8rWk8GaSgoIRIRXgMMbDw/MAYJRSorD3ghA2wBPjcsb3xFSkYMfD1sEwFeWi9raik/RmwRPm4PcyFaTwZpKCk0GRFeAwxsPSsmBglFKisSdyEDbAE+NzFgfEVKRgx8IGQOAV5aL2t3NT9GbBE+bhNmIFpPBmkoNSETEV4DDGwmLCIGCUUqKxRnNwNsAT43N3BqRUpGDHwmdBMBXlova3AuI0ZsET5uFWohWk8GaSgzNwURXgMMbCcrOgYJRSorFWchA2wBPjc1YWFFSkYMfCRkEgFeWi9rcyI1RmwRPm4WZitaTwZpKDEhEhFeAwxsJTQ6BglFKisXYSsDbAE+NzplaUVKRgxmMWgBAV5aL3FmLiJGbBE+dANoK1pPBmkyISESEV4DDHY7PyoGCUUqMQtyIQNsAT4tLmFrRUpGDGY/cRMBXlovcWg3P0ZsET50DmIgWk8GaTIoJwgRXgMMdjw/JgYJRSoxDnQhA2wBPi0zbWtFSkYMZiJ0EwFeWi9xdyQuRmwRPnQSZjZaTwZpMjQhExFeAwx2IDEnBglFKjESeCEDbAE+LTBwdkVKRgxmIXUZAV5aL31hLidGbBE+eAltNVpPBmk+KzQIEV4DDHo8OysGCUUqPQ59NwNsAT4hMW1mRUpGDXIwZAwBXlouZWYmKUZsET9gA2s7Wk8GaCYlLA8RXgMNYjE3LQYJRSslA2E9A2wBPzknZWhFSkYNcjZmBQFeWi5lYSs/RmwRP2AEcTdaTwZoJiAtARFeAw1iNT86BglFKyUHejEDbAE/OSRpZEVKRg1yNW8BAV5aLmViKCFGbBE/YAd2IVpPBmgmLiUMEV4DDWI6PCoGCUUrJQl3IQNsAT85Kmh2RUpGDXI7bwUBXlouZWwpNUZsET9gCXk3Wk8GaCYsKxIRXgMNYjk9MQYJRSslC3YhA2wBPzkvZXxFSkYNcj5kEwFeWi5laS4tRmwRP2AMbyFaTwZoJiowARFeAw1iPzkwBglFKyUNcTMDbAE/OS5makVKRg1yP2gFAV5aLmVoKidGbBE/YA1uK1pPBmgmKCAJEV4DDWI8PTcGCUUrJQ50MwNsAT85LWNgRUpGDXI8Zg8BXlouZWsgP0ZsET9gDmozWk8GaCYoLQMRXgMNYjw0OgYJRSslDn0zA2wBPzktanxFSkYNcjxuEgFeWi5layg1RmwRP2AOdzNaTwZoJik2CRFeAw1iIjQmBglFKyUScDoDbAE/OTFnbEVKRg1yIGIPAV5aLmV3Iy9GbBE/YBJmOVpPBmgmNCETEV4DDWIgPyIGCUUrJRJ0NwNsAT85MW1kRUpGDXIgaAUBXlouZXcuKUZsET9gEmohWk8GaCY0Lw8RXgMNYiAzMAYJRSslEn8zA2wBPzkxaHxFSkYNciBzGQFeWi5ldzQuRmwRP2ASdytaTwZoJjQ9ExFeAw1iITkqBglFKyUTezMDbAE/OTBvdkVKRg1yIW4OAV5aLmV2NCdGbBE/YBNwN1pPBmgmNTATEV4DDWImOysGCUUrJRR2NgNsAT85N2F3RUpGDXImZBMBXlouZXEiP0ZsET9gFGshWk8GaCYyNxURXgMNYiYsJgYJRSslFGc7A2wBPzk3cHxFSkYNciZ7DwFeWi5lcDEjRmwRP2AWaiFaTwZoJj4tDRFeAw1iKzktBglFKyUZcTcDbAE/OTphd0VKRg1yK24SAV5aLmV/IydGbBE/YBpmPlpPBmgkJSsZEV4DDWA5OToGCUUrIQF/IQNsAT89Imp2RUpGDXYzbxQBXlouYWQzNUZsET9kAXcrWk8GaCIlJwERXgMNZjY5LwYJRSshBHYzA2wBPz0nbWRFSkYNdjZoAwFeWi5hYCw1RmwRP2QFdyFaTwZoIi8uCRFeAw1mPjoiBglFKyEMdjcDbAE/PS9ra0VKRg12PnUTAV5aLmFoKDVGbBE/ZA5wM1pPBmgiKDETEV4DDWY9LzAGCUUrIRJwOgNsAT89MWdsRUpGDXYgYhkBXlouYXcgI0ZsET9kEmomWk8GaCI0KAURXgMNZiAqOgYJRSshE2ArA2wBPz03ZWlFSkYNdiZgEwFeWi5hcSI0RmwRP2QUajxaTwZoIjI2BRFeAw1mJiosBglFKy0BfjsDbAE/MSBlbUVKRg16MWoZAV5aLm1mNSlGbBE/aARiIVpPBmguIiMFEV4DDWo2KzcGCUUrLQd7JgNsAT8xKGF2RUpGDXo5ZBkBXloubWkmKEZsET9oDGYhWk8GaC4qLxkRXgMNaj40IgYJRSstDH83A2wBPzEvaHZFSkYNej5tGQFeWi5taSg1RmwRP2gNZiFaTwZoListAxFeAw1qPys6BglFKy0OciEDbAE/MS1nYEVKRg16PGUTAV5aLm1rIiJGbBE/aA5mIFpPBmguKCETEV4DDWo8PywGCUUrLQ58IANsAT8xLWt2RUpGDXo8dRMBXloubWszP0ZsET9oDnYhWk8GaC40IQQRXgMNaiAsKwYJRSstEmkzA2wBPzEwYXdFSkYNeiFyGQFeWi5tdjM1RmwRP2gTdytaTwZoLjInCBFeAw1qJj0wBglFKy0UYTMDbAE/MTdwdkVKRg16KmQEAV5aLm19IjRGbBE/aBhmIVpPBmgoJyoTEV4DDWwxMCIGCUUrKwN4IQNsAT83J2FpRUpGDXw2ZA0BXloua2EiNUZsET9uBHYhWk8GaCghMQwRXgMNbDsqIgYJRSsrCWAmA2wBPzcvZXdFSkYNfD5lEwFeWi5raSM/RmwRP24MZiFaTwZoKCooGRFeAw1sPiwsBglFKysNfjMDbAE/Ny5pfEVKRg18PGUFAV5aLmtrIylGbBE/bg5mK1pPBmgoKCMPEV4DDWw8MzAGCUUrKw5nNwNsAT83LXBtRUpGDXw8dRkBXloua2okLkZsET9uD2chWk8GaCgpIBkRXgMNbD02MAYJRSsrD2E3A2wBPzcsdnZFSkYNfD1yBQFeWi5rdSIiRmwRP24QZitaTwZoKDQlDBFeAw1sIDktBglFKysScisDbAE/NzFhaUVKRg18IGQTAV5aLmt3LihGbBE/bhJsPFpPBmgoNDQIEV4DDWwgKiIGCUUrKxJgNwNsAT83MGF2RUpGDXwhZBkBXloua3Y0P0ZsET9uE3Y+Wk8GaCgyIQwRXgMNbCYwMAYJRSsrFHo0A2wBPzc3a3dFSkYNfCZ1DwFeWi5rcCQuRmwRP24VbzZaTwZoKDMqBBFeAw1sJzY3BglFKysVYTwDbAE/NzZ3YEVKRg18J3IZAV5aLmtwMy5GbBE/bhZmNlpPBmgoMCESEV4DDWwkPTAGCUUrKxZ6NwNsAT83NGFhRUpGDXwlZBIBXloua30uI0ZsET90A2grWk8GaDIlMRMRXgMNdjY8OgYJRSsxBnUrA2wBPy0vZ21FSkYNZj5kEwFeWi5xaTMvRmwRP3QNYT1aTwZoMispGRFeAw12PygwBglFKzEOcDoDbAE/LS1jakVKRg1mPHUaAV5aLnF3JipGbBE/dBJiJlpPBmgyNC8ZEV4DDXYgKCsGCUUrMRN2IQNsAT8tMGx8RUpGDWYhaAMBXloucXYzP0ZsET90FGY2Wk8GaDIyMBMRXgMNdigiOgYJRSs9Enw8A2wBPyExdm1FSkYNaiZpEwFeWi1lZi8pRmwRPGAEaiBaTwZrJiEhDBFeAw5iOzQwBglFKCUJZTcDbAE8OShhYUVKRg5yP2QEAV5aLWVoIjVGbBE8YA5gN1pPBmsmKCcZEV4DDmI8PCIGCUUoJQ53OwNsATw5LWBwRUpGDnI8bxkBXlotZWoqL0ZsETxgD3c9Wk8GayY2NBkRXgMOYiA7LAYJRSglEnAhA2wBPDkxdmRFSkYOciFgDAFeWi1ldjM/RmwRPGAUYj5aTwZrJjIwGRFeAw5iJDkvBglFKCUWdj4DbAE8OTRlZ0VKRg5yKGgNAV5aLWV/LjRGbBE8YBpqIVpPBmsiJzYTEV4DDmYzLCsGCUUoIQN4IQNsATw9J2B8RUpGDnY3ZQ4BXlotYWAjNUZsETxkBWcrWk8GayIjKAERXgMOZjUqLAYJRSghCGEnA2wBPD0qY21FSkYOdj5tGQFeWi1hdSYqRmwRPGQSZyFaTwZrIjQgGRFeAw5mIC4mBglFKCETZyEDbAE8PTVhd0VKRg52JWQSAV5aLWFyKz9GbBE8ZBh2IVpPBmsuJygMEV4DDmoxPTEGCUUoLQN7NwNsATwxIGxxRUpGDnoxahMBXlotbWYsP0ZsETxoBGQ3Wk8Gay4jJwURXgMOajc0MAYJRSgtBmcrA2wBPDEkYWlFSkYOejVpFAFeWi1tbSYqRmwRPGgLaD1aTwZrLighExFeAw5qPDIiBglFKC0OfSsDbAE8MS1wbUVKRg56PWMFAV5aLW11Nz9GbBE8aBNwN1pPBmsuMjYPEV4DDmoqNy0GCUUoKwJxKwNsATw3IWFpRUpGDnwwaBMBXlota2crI0ZsETxuAm8rWk8GaygiIRMRXgMObDsrJgYJRSgrCWArA2wBPDcuZWFFSkYOfDxiBQFeWi1rayk/RmwRPG4PaCFaTwZrKCk3BRFeAw5sIDkrBglFKCsSfjMDbAE8NzFpdkVKRg58IHIFAV5aLWt3My5GbBE8bhNmIVpPBmsoNSEZEV4DDmwmOysGCUUoKxR2NgNsATw3N2F2RUpGDnwmcwUBXlota3MiKkZsETx0AmozWk8GazIiIRMRXgMOdjY/JgYJRSgxBHo3A2wBPC0oYXZFSkYOZiByBQFeWi1xcTM/RmwRPHgMbDxaTwZrPis0CBFeAw56ISsiBglFKSUTeiEDbAE9OTdsdkVKRg9xN3IFAV5aLGZgPjVGbBE9YgN2IFpPBmokIyUOEV4DD2c2NDoGCUUpIAV/PgNsAT08LHZ2RUpGD3c9dBIBXlosYmMmKkZsET1nBmY2Wk8GaiEgIRIRXgMPZSY9LQYJRSkjEnYhA2wBPTEvYWFFSkYPfzZkDgFeWixoYSI0RmwRPW0EajdaTwZqKy8yBRFeAw9vPjEmBglFKSgTfDwDbAE9NSJsZEVKRg9+N2YBAV5aLGlgKTVGbBE9bwlsPFpPBmopNSEUEV4DD2w/KCsGCUUpKxp2IQNsAT0oJmp2RUpGD2M3cwEBXlosdGwyK0ZsET1xFGY2Wk8GajcyLQMRXgMPcTM0JgYJRSk2AnomA2wBPSonYXdFSkYPYTVgDgFeWix2bCgoRmwRPXMTbDxaTwZqNTIsDxFeAw9wMzMiBglFKTcDciADbAE9Kyhld0VKRg9gJmgBAV5aLHBtIjRGbBE9dRRmIFpPBmoyISwUEV4DD3Y7MiIGCUUpMQ5wNwNsAT0tN2BqRUpGD2YmZAQBXloscXEiNEZsET13AXErWk8GajEjKhMRXgMPdTcqMAYJRSkyBWEmA2wBPS8qamJFSkYPZDxkBAFeWixzayI0RmwRPXkJZzdaTwZqPSkqBRFeAxBiMDQsBglFNiUDdjYDbAEiOSBhd0VKRhByMWQTAV5aM2VmLDVGbBEiYARnK1pPBnUmIjYFEV4DEGI1OS0GCUU2JQd2NgNsASI5JGF3RUpGEHI1ZBMBXlozZWwpI0ZsESJgCW0hWk8GdSYvKhQRXgMQYjsqMAYJRTYlCWAzA2wBIjkqd2BFSkYQcj5kEgFeWjNlaSI1RmwRImAMbytaTwZ1JiopARFeAxBiPjUwBglFNiUMYCsDbAEiOS1gZEVKRhByPGQMAV5aM2VrIjVGbBEiYA5kIVpPBnUmKC0DEV4DEGI8NiIGCUU2JQ5gKwNsASI5LXB2RUpGEHI8dRkBXlozZWorJ0ZsESJgD289Wk8GdSY2JQwRXgMQYiI9MQYJRTYlEGM7A2wBIjkzdHxFSkYQciJ0AQFeWjNldy41RmwRImASaDNaTwZ1JjQvExFeAxBiIDUiBglFNiUSYSsDbAEiOTFwdkVKRhByIHUZAV5aM2V2LydGbBEiYBNwN1pPBnUmNTABEV4DEGIhLCYGCUU2JRNnIQNsASI5MHB8RUpGEHImYggBXlozZXEiKkZsESJgFGYgWk8GdSYyLBMRXgMQYiYxLAYJRTYlFGArA2wBIjk3cHxFSkYQcidtAQFeWjNlcDQjRmwRImAWZjZaTwZ1JjEqExFeAxBiKz0nBglFNiEBcDcDbAEiPSJnbUVKRhB2M2oTAV5aM2FkLD9GbBEiZAFxPlpPBnUiJzYTEV4DEGYzKyYGCUU2IQFgKwNsASI9IGVrRUpGEHYxbhMBXlozYWEmKkZsESJkBGYhWk8GdSIiNg8RXgMQZjc0MAYJRTYhBWMhA2wBIj0mdnZFSkYQdjVmGQFeWjNhaTM1RmwRImQOYj5aTwZ1IignBRFeAxBmPDEwBglFNiEOfSsDbAEiPSxqdkVKRhB2PW8ZAV5aM2F1Nz9GbBEiZBBwO1pPBnUiNCcIEV4DEGYgOzoGCUU2IRJ6PgNsASI9MW92RUpGEHYgahkBXlozYXcrJ0ZsESJkEnErWk8GdSI1LxkRXgMQZiE3MAYJRTYhE2chA2wBIj03ZWlFSkYQdiZkEgFeWjNhcS4yRmwRImQUcTtaTwZ1IjI2DxFeAxBmJiw6BglFNiwBYDcDbAEiMCpoaUVKRhB7Pm4YAV5aM2xqKSNGbBEiaQ9tK1pPBnUvKTAPEV4DEGozNiwGCUU2LQN4IQNsASIxIG98RUpGEHo3YgUBXlozbWA1NUZsESJoBXcrWk8GdS4hIxkRXgMQajk9MAYJRTYtDHI0A2wBIjEvZXdFSkYQej5kBAFeWjNtaSI1RmwRImgMbyFaTwZ1LiorFBFeAxBqPygwBglFNi0OcDoDbAEiMS1hdkVKRhB6PGQZAV5aM21rIDVGbBEiaA5oIVpPBnUuKC8ZEV4DEGo8NzcGCUU2LQ5nPQNsASIxLXB2RUpGEHo8dBABXlozbWozNEZsESJoD3YhWk8GdS42IQQRXgMQaiI9MQYJRTYtEHYhA2wBIjEzdHxFSkYQeiZiCAFeWjNtcS8/RmwRImgWbCZaTwZ1Lj4hDBFeAxBqKjEmBglFNi0aaTMDbAEiNCJnYEVKRhB/M2gEAV5aM2hkLihGbBEibQFqJlpPBnUrJyoFEV4DEG8zNigGCUU2KAF9IQNsASI0ImpxRUpGEH8zdQUBXlozaGQzKUZsESJtAXcmWk8GdSsnPQERXgMQbzMhMAYJRTYoAWkzA2wBIjQmZWFFSkYQfzdgEwFeWjNobCk/RmwRIm0PbTlaTwZ1KykwExFeAxBvPS8wBglFNigVcDkDbAEiNDZjdkVKRhB/J2wCAV5aM2hwKiNGbBEibRVuIlpPBnUrMykTEV4DEG8nKysGCUU2KBVnPQNsASI3ImdtRUpGEHwxdBMBXloza2AqNUZsESJuBXchWk8GdSgvKhQRXgMQbDsrJgYJRTYrC3Y2A2wBIjcoYXdFSkYQfDlkEwFeWjNrbiI/RmwRIm4MYiBaTwZ1KCohExFeAxBsPjEsBglFNisMeDMDbAEiNy9odkVKRhB8Pm0ZAV5aM2trJCNGbBEibg5nIVpPBnUoKCMPEV4DEGw9OysGCUU2Kw9/IQNsASI3LHR2RUpGEHwiZBMBXloza3U3J0ZsESJuEHMrWk8GdSg0JwgRXgMQbCA9MAYJRTYrEnQrA2wBIjcxb3xFSkYQfCBvDwFeWjNrdzMnRmwRIm4SdzdaTwZ1KDQwDxFeAxBsICwwBglFNisTdjYDbAEiNzBhd0VKRhB8IWQTAV5aM2t2Ij9GbBEibhNwN1pPBnUoNTATEV4DEGwmLDoGCUU2KxRmIQNsASI3NmdtRUpGEHwnbwQBXloza3A1NUZsESJuFXcrWk8GdSgxIRIRXgMQcTM8LAYJRTY2AX05A2wBIioicHFFSkYQYTN2DgFeWjN2ZD41RmwRInMFcCFaTwZ1NSM9ExFeAxBxOzkuBglFNjYJcDcDbAEiKipnbkVKRhBhO2UFAV5aM3ZsIiJGbBEicwluM1pPBnU1LykFEV4DEHE7NSwGCUU2Ngl9JgNsASIqKmt3RUpGEGE7cg0BXlozdmw0NUZsESJzCXYhWk8GdTUvMhkRXgMQcTsiJgYJRTY2D3E3A2wBIiosaWpFSkYQYT1vBQFeWjN2aiggRmwRInMPcyFaTwZ1NSk3BRFeAxBxPSs3BglFNjYPZjYDbAEiKixyYEVKRhBhPXYMAV5aM3ZqPz9GbBEicxVnN1pPBnU1MyoFEV4DEHAzNC4GCUU2NxlwOgNsASItIWF2RUpGEGYwaAMBXlozcWYsNUZsESJ0BGQrWk8GdTIgIhMRXgMQdjQ+OgYJRTYxC3Y2A2wBIi0oYXZFSkYQZj5tEwFeWjNxaTQjRmwRInQNcyFaTwZ1MignCBFeAxB2PDMwBglFNjEOeCsDbAEiLS1wZEVKRhBmImgMAV5aM3F1Nz9GbBEidBJnK1pPBnUyNCEFEV4DEHYgPTEGCUU2MRJ0NwNsASItMW1oRUpGEGYgcxMBXlozcXc0I0ZsESJ0EncrWk8GdTI1LBkRXgMQdiErOgYJRTYxFGcrA2wBIiEkaXxFSkYQaj5uDgFeWjJlcSY0RmwRI3QBYDlaTwZ0MicgExFeAxF2MzEvBglFNzEBeDcDbAEjLSJ2bkVKRhFmM3MUAV5aMnFkNC5GbBEjdAVmPFpPBnQyIyESEV4DEXY3NC8GCUU3MQVhKwNsASMtJndxRUpGEWY3dAUBXloycWwkLUZsESN0CWYmWk8GdDIvKAwRXgMRdjs0NwYJRTcxCX0mA2wBIy0qdHZFSkYRZjtzCwFeWjJxbDUyRmwRI3QJdzdaTwZ0Mi8wDxFeAxF2OywwBglFNzEPZzMDbAEjLSxwYEVKRhJyMGMJAV5aMWVnLiJGbBEgYAJqPFpPBncmJSEEEV4DEmIxPTEGCUU0JQN2IQNsASA5IGxgRUpGEnIxahMBXloxZWEmNEZsESBgBGY5Wk8GdyYiLQ8RXgMSYjY3LQYJRTQlBmchA2wBIDkkYWFFSkYScjVkEgFeWjFlYiI1RmwRIGAHaydaTwZ3Ji4xDBFeAxJiOzwwBglFNCUJfyEDbAEgOSpqdkVKRhJyO28ZAV5aMWVsNCNGbBEgYApiOlpPBncmLC0WEV4DEmI5PScGCUU0JQt2IQNsASA5L2h8RUpGEnI+cQgBXloxZWgmKEZsESBgDWE9Wk8GdyYrKw4RXgMSYj8oMAYJRTQlDnA3A2wBIDktZ21FSkYScjxlGQFeWjFlayAjRmwRIGAOaCFaTwZ3JigwExFeAxJiIj0nBglFNCUQdiEDbAEgOTNtYUVKRhJyIGQSAV5aMWV2Nz9GbBEgYBRiPFpPBncmMiEEEV4DEmImPTAGCUU0JRR6PQNsASA5N3B8RUpGEnIkZAwBXloxZXMiKEZsESBgFmYhWk8GdyY8IQQRXgMSYig9MQYJRTQlGnwgA2wBID0iZ21FSkYSdjNiFAFeWjFhZCM1RmwRIGQBZytaTwZ3IicoDRFeAxJmMzQwBglFNCEBfiEDbAEgPSJ2dkVKRhJ2MGASAV5aMWFnIipGbBEgZAJ2IVpPBnciJSUQEV4DEmYxNy0GCUU0IQR3KwNsASA9J21hRUpGEnY3ZRMBXloxYWAhNUZsESBkBWghWk8GdyIjKBMRXgMSZjcrJgYJRTQhBWU3A2wBID0lYXdFSkYSdjVgDAFeWjFhbCQuRmwRIGQJZDxaTwZ3Ii8qARFeAxJmOzYwBglFNCEMcioDbAEgPS9lfEVKRhJ2PmgDAV5aMWFoLjJGbBEgZA1qKlpPBnciKzETEV4DEmY8OS8GCUU0IQ52JQNsASA9LXB2RUpGEnYiYBkBXloxYXUiKkZsESBkEG8rWk8GdyI0MQ4RXgMSZiE9NwYJRTQhE3o8A2wBID0wcHZFSkYSdiZzDwFeWjFhcDQjRmwRIGQWZj5aTwZ3IjAxBRFeAxJrOzYmBglFNCwJfT0DbAEgMCxgZEVKRhJ7K2wFAV5aMW1mLyNGbBEgaANqPFpPBncuJS8TEV4DEmoxMzoGCUU0LQR2IANsASAxJ2F2RUpGEno2ZgUBXloxbWMhNUZsESBoBm83Wk8Gdy4hLBQRXgMSajUxJwYJRTQtB3wgA2wBIDEvYWFFSkYSej5kEwFeWjFtaSI/RmwRIGgOZyFaTwZ3LigjExFeAxJqPCsmBglFNC0PZyEDbAEgMTNha0VKRhJ6IWQOAV5aMW12IjRGbBEgaBNmIVpPBncuNSwJEV4DEmohMzAGCUU0LRN4KwNsASAxN2F2RUpGEnomexkBXloxbXMmKkZsESBoFmYgWk8Gdy4wIRQRXgMSbDM7KwYJRTQrAXchA2wBIDciaXZFSkYSfDNzEwFeWjFrZDQyRmwRIG4CZiFaTwZ3KCQtDhFeAxJsMDc3BglFNCsDezcDbAEgNyBvdkVKRhJ8MWoZAV5aMWthIilGbBEgbgdiPFpPBncoISESEV4DEmw1LSYGCUU0KwhyPANsASA3L2F2RUpGEnw+ZwUBXloxa2krKUZsESBuDG8hWk8GdygrJQ4RXgMSbD89LAYJRTQrDnc9A2wBIDctbWtFSkYSfDxvCQFeWjFraiE1RmwRIG4PaCFaTwZ3KCkpExFeAxJsPTU6BglFNCsPYCYDbAEgNyxwdkVKRhJ8ImQEAV5aMWt1IjRGbBEgbhBmIVpPBncoNzEFEV4DEmwhPTAGCUU0KxR8IANsASA3NmFrRUpGEnwnZgUBXloxa3AgLkZsESBuFW02Wk8GdygzNwURXgMSbCcsJgYJRTQrFnYgA2wBIDc0ZWtFSkYSfCVlGQFeWjFrciIiRmwRIG4YajdaTwZ3KD8lDBFeAxJ2MDEtBglFNDECfzcDbAEgLSdgfEVKRhJmNHQTAV5aMXFiJT9GbBEgdAltIVpPBncyKiEEEV4DEnY+PTEGCUU0MQx2IQNsASAtLmZkRUpGEmY/bBkBXloxcWgoNEZsESB0DmYhWk8GdzIoIxMRXgMSdjw2OgYJRTQxEHY3A2wBIC0xZWlFSkYSZiF1GQFeWjF9YSI0RmwRIWACYjxaTwZ2JiQhEhFeAxNiMD0wBglFNSUCfzcDbAEhOSF2YEVKRhNyMWoTAV5aMGVhLzNGbBEhYARqN1pPBnYmIigZEV4DE2I0PTEGCUU1JQZ2IQNsASE5JGVrRUpGE3I1ZBMBXlowZWIgP0ZsESFgCGowWk8GdiYvKBMRXgMTYjs2NwYJRTUlCWc6A2wBITkoZWxFSkYTcjlkEwFeWjBlaSYiRmwRIWAMZj9aTwZ2JiohExFeAxNiPjQmBglFNSUMfysDbAEhOS9pZEVKRhNyPm4OAV5aMGVpNCdGbBEhYAx3IVpPBnYmKjAZEV4DE2I+LScGCUU1JQxlNwNsASE5L3JqRUpGE3I/YwEBXlowZWguNEZsESFgDW4rWk8GdiYrKwERXgMTYjw8MAYJRTUlDncrA2wBITktcGRFSkYTcjx1DwFeWjBlazM/RmwRIWAQcytaTwZ2JjQlCBFeAxNiIDktBglFNSUSdjcDbAEhOTFjYEVKRhNyIGgOAV5aMGV3LjVGbBEhYBNwK1pPBnYmMiUOEV4DE2ImPScGCUU1JRR6PANsASE5N313RUpGE3InYgUBXlowZXAkP0ZsESFgFWc7Wk8GdiYzKgERXgMTYiQ9JwYJRTUlFnYgA2wBITk1YXZFSkYTciRoDgFeWjBlcyg0RmwRIWAWbCtaTwZ2JjAyGRFeAxNiJT0nBglFNSUYfDwDbAEhOTphd0VKRhNyK2gEAV5aMGdkJTVGbBEhYgFvM1pPBnYkJygFEV4DE2AzNDMGCUU1JwF/KwNsASE7Iml1RUpGE3AzbBMBXlowZ2QpNUZsESFiAW0mWk8GdiQnNgURXgMTYDMqJQYJRTUnAWEhA2wBITsidnxFSkYTcDdvBQFeWjBnYCkyRmwRIWIJbDxaTwZ2JCkiBhFeAxNgPTQnBglFNScPfTcDbAEhOyxrdUVKRhNwPW4UAV5aMGdqNyNGbBEhYg9xN1pPBnYkKTYOEV4DE2A9LDAGCUU1Jw9nJgNsASE7LHF3RUpGE3A9dBQBXlowZ2owKkZsESFiEmI/Wk8GdiQ0JRARXgMTYCA9NAYJRTUnEnoiA2wBITsxcWdFSkYTcCdjAQFeWjBncCEgRmwRIWIVbz5aTwZ2JDM3BRFeAxNmMzQwBglFNSEBfiEDbAEhPSJ2dkVKRhN2M3UTAV5aMGFmMzVGbBEhZARiPFpPBnYiIiESEV4DE2Y3PDAGCUU1IQV3KwNsASE9Jm92RUpGE3Y3bBMBXlowYWApM0ZsESFkBXMhWk8GdiIhMQURXgMTZjs2JgYJRTUhCWk3A2wBIT0vaHZFSkYTdj9kDgFeWjBhaC41RmwRIWQOZyFaTwZ2IigqARFeAxNmPDcxBglFNSEOYDcDbAEhPSxxaUVKRhN2IGcTAV5aMGF3ICNGbBEhZBJxM1pPBnYiNDENEV4DE2YgLiYGCUU1IRJlPQNsASE9N3F1RUpGE3YkZA4BXlowYXMiNEZsESFkF2Y2Wk8GdiIxIRIRXgMTZio9MAYJRTUsAXA5A2wBITAiYGBFSkYTezNlDwFeWjBsZCM/RmwRIWkBZSZaTwZ2LycvARFeAxNrMzMmBglFNSwBeCsDbAEhMCJoYEVKRhN7M20MAV5aMGxkKzJGbBEhaQFuN1pPBnYvJyoFEV4DE2szNiQGCUU1LAF9OQNsASEwInRgRUpGE3szcwQBXlowbGQ1I0ZsESFpAXE7Wk8Gdi8nNgsRXgMTazMqMwYJRTUsAWU3A2wBITAic2lFSkYTezN2DgFeWjBsYCY0RmwRIWkFZyFaTwZ2LyMhDhFeAxNrNz0zBglFNSwFdiADbAEhMCZhcUVKRhN7N2gLAV5aMGxgKyBGbBEhaQVvPlpPBnYvIyoHEV4DE2s7PjcGCUU1LAl/PgNsASEwKmpgRUpGE3s7bxMBXlowbGwpP0ZsESFpCXMhWk8Gdi8vNgURXgMTazsqKAYJRTUsCWE+A2wBITAqdnFFSkYTeztyCAFeWjBsbDM1RmwRIWkJdTNaTwZ2LyklDBFeAxNrPTsoBglFNSwPdiEDbAEhMCxubEVKRhN7PW8BAV5aMGxqKSNGbBEhaQ9sOVpPBnYvKSsQEV4DE2s9NzcGCUU1LA9jIQNsASEwLHZgRUpGE3s9cxQBXlowbGozNUZsESFpD3YmWk8Gdi8pMgURXgMTaz0vLQYJRTUsD2QhA2wBITAsc3xFSkYTeyBkBAFeWjBsdyIxRmwRIWkSdjBaTwZ2LzQxBxFeAxNrJzsoBglFNSwVfSYDbAEhMDZ3bUVKRhN7J3UTAV5aMGx8JitGbBEhaARmNlpPBnYuIiETEV4DE2o2NCYGCUU1LQV0NwNsASExJmpkRUpGE3o3dwUBXlowbWIvNUZsESFoB2smWk8Gdi4hKQERXgMTajU2MAYJRTUtC3YhA2wBITEobHZFSkYTej5gEwFeWjBtaSw1RmwRIWgMaCtaTwZ2LiooGRFeAxNqPjcwBglFNS0MZTMDbAEhMS5mZEVKRhN6P24OAV5aMG1rJCNGbBEhaA5kN1pPBnYuKCMIEV4DE2o8PzAGCUU1LQ54IQNsASExLXF2RUpGE3o9dBgBXlowbXU3P0ZsESFoEmY2Wk8Gdi40IQURXgMTaiA9LQYJRTUtE2ArA2wBITE3ZXdFSkYTeiZiCAFeWjBtcSI1RmwRIWgYZiFaTwZ2Lj4wCBFeAxNqKiw6BglFNS0adjYDbAEhMTlhdkVKRhN4M3UFAV5aMG9gIjJGbBEhaglnIVpPBnYsLyEEEV4DE2g7PTEGCUU1Lwl2IQNsASEzKmJjRUpGE3g7bQwBXlowb2wqNkZsESFqCW0hWk8GdiwvKhQRXgMTaDsoMAYJRTUvCWEmA2wBITM2aGlFSkYTeCdvCwFeWjBoZCU1RmwRIW0BYDlaTwZ2KycgBRFeAxNvMz8wBglFNSgBejwDbAEhNCJpdkVKRhN/M28HAV5aMGhkKTJGbBEhbQFzIVpPBnYrJzcIEV4DE28zLCYGCUU1KAFnIQNsASE0InJgRUpGE38zdxMBXlowaGQ+NUZsESFtBWY5Wk8GdisjIRARXgMTbzc9NwYJRTUoBWMmA2wBITQqZ2BFSkYTfztiCwFeWjBobCMjRmwRIW0JbjdaTwZ2Ky8pGRFeAxNvOzYkBglFNSgJfTkDbAEhNCp0dkVKRhN/O3UTAV5aMGhqJihGbBEhbQ9hIVpPBnYrKSsQEV4DE289KCYGCUU1KA9nOgNsASE0LHB2RUpGE389dhMBXlowaHAgNUZsESFtFW4iWk8GdiszKRMRXgMTbyc2JAYJRTUoFWEiA2wBITQ2dnZFSkYTfydyCAFeWjBocDM1RmwRIWwBYDlaTwZ2KicoDBFeAxNuMyo3BglFNSkBYDoDbAEhNSZld0VKRhN+N20MAV5aMGlgKzJGbBEhbAlvN1pPBnYqLzYLEV4DE247LCYGCUU1KQlnOgNsASE1LGduRUpGE349agUBXlowaWosP0ZsESFvAWA5Wk8GdiknIhURXgMTbTM/MAYJRTUqAXo+A2wBITYib2BFSkYTfTNxBQFeWjBqZDc1RmwRIW8BcTdaTwZ2KSc2DBFeAxNtNzkoBglFNSoFdiADbAEhNiZoaUVKRhN9O2UFAV5aMGpsISBGbBEhbwlzN1pPBnYpKSYTEV4DE209NygGCUU1Kg98IgNsASE2LGtxRUpGE309cwUBXlowamo1MkZsESFvD3YmWk8GdikpMxMRXgMTbT0vOgYJRTUqFXA5A2wBITY2YmNFSkYTfDNqEwFeWjBrZDc1RmwRIW4BcytaTwZ2KCc2ExFeAxNsMD0xBglFNSsDeCEDbAEhNydldkVKRhN8Nm4NAV5aMGtjJjVGbBEhbgZqM1pPBnYoIDAZEV4DE2w1PzoGCUU1Kwl/IQNsASE3L2V3RUpGE3w+ZBMBXlowa2kuIkZsESFuDGw8Wk8GdigqKxMRXgMTbD4uJgYJRTUrDnIgA2wBITctY3ZFSkYTfDxoAwFeWjBray0nRmwRIW4ObStaTwZ2KDY0GRFeAxNsID0wBglFNSsSYSsDbAEhNzFwdkVKRhN8J20TAV5aMGtwKSJGbBEhbhVzIVpPBnYoMzAIEV4DE2wlPScGCUU1NAFwNwNsASEoImBgRUpGE2MzaA4BXlowdGQsI0ZsESFxAW05Wk8GdjcnKhMRXgMTczMqJgYJRTU0AWE5A2wBISgid2hFSkYTYzN1BQFeWjB0ZDM1RmwRIXEBdDxaTwZ2NyMlCxFeAxNzNzkxBglFNTQFcDkDbAEhKCZndkVKRhNjN2QEAV5aMHRgIjRGbBEhcQVvPlpPBnY3IygUEV4DE3M3NicGCUU1NAV9JgNsASEoJnZoRUpGE2M7YgUBXlowdGwkNUZsESFxCWArWk8GdjcvIQQRXgMTczs9LwYJRTU0CXYhA2wBISgqb2BFSkYTYztqGQFeWjB0bCsqRmwRIXEJbyZaTwZ2Ny8qBRFeAxNzOzYwBglFNTQJfSsDbAEhKCp2YEVKRhNjO3MPAV5aMHRsMyNGbBEhcQl3IVpPBnY3LzAaEV4DE3M+OTcGCUU1NAx6JgNsASEoLGduRUpGE2M9aAwBXlowdGosI0ZsESFxD2w0Wk8GdjcpKwsRXgMTcz03LwYJRTU0D3w8A2wBISgsdmBFSkYTYz1zFAFeWjB0ajM1RmwRIXEPdiZaTwZ2NzQlGRFeAxNzID0mBglFNTQSejUDbAEhKDZgdkVKRhNjJ28LAV5aMHRwNShGbBEhcRVxIVpPBnY3MzYUEV4DE3InOSEGCUU1NRVyNgNsASEpNmVxRUpGE2InYBcBXlowdXAuIkZsESF1AWEhWk8GdjMnJwsRXgMTdzM7OgYJRTUwAXU0A2wBISwiY2BFSkYTZzNoDgFeWjBwZC40RmwRIXUBaDdaTwZ2MycoBRFeAxN3MzQoBglFNTABfz4DbAEhLCJpdUVKRhNnM28EAV5aMHBkKS1GbBEhdQFzOlpPBnYzJzYFEV4DE3czKigGCUU1MAFhIANsASEsInZ2RUpGE2czcxQBXlowcGQ0LkZsESF1AXc3Wk8GdjMnMBMRXgMTdzMuJgYJRTUwAWohA2wBISwmZWFFSkYTZzdgCwFeWjBwYCYqRmwRIXUFYj9aTwZ2MyMhBBFeAxN3Nz0vBglFNTAFdjwDbAEhLCZhdUVKRhNnN2QSAV5aMHBgLihGbBEhdQVvPlpPBnYzIykTEV4DE3c3NjcGCUU1MAVjIQNsASEsJnZrRUpGE2c3dwUBXlowcGwkLUZsESF1CWU0Wk8GdjMvKAwRXgMTdzs2JgYJRTUwCX01A2wBISwqam5FSkYTZztvFAFeWjBwbDcjRmwRIXUJcSFaTwZ2MyknCxFeAxN3PTEgBglFNTAPeDcDbAEhLCxoYEVKRhNnPWwQAV5aMHBqKSNGbBEhdQ9tK1pPBnYzKSsEEV4DE3c9Ny8GCUU1MA98IgNsASEsLHR2RUpGE2c9cwUBXlowcGo1LUZsESF1D3E/Wk8GdjMpNhkRXgMTdz0tNwYJRTUwD2U3A2wBISwxZXVFSkYTZyBgFwFeWjBwdyY/RmwRIXUSZiJaTwZ2MzQtEBFeAxN3IDcuBglFNTASZj8DbAEhLDFxcUVKRhNnJ2MCAV5aMHBwJTVGbBEhdRVgOVpPBnYzMyATEV4DE3cnPDoGCUU1MBV1NANsASEsNml1RUpGE2cnbwcBXlowcHApLUZsESF1FW0mWk8GdjM/KAURXgMTdjMuJgYJRTUxA3ghA2wBIS0gdmBFSkYTZjZgDgFeWjBxYCMjRmwRIXQHYiBaTwZ2Mi8qBxFeAxN2OywmBglFNTEJZyEDbAEhLS9vfEVKRhNmPm0ZAV5aMHFoKidGbBEhdA5qPlpPBnYyKCoJEV4DE3Y8NjoGCUU1MQ5mIgNsASEtM2F3RUpGE2YgZgUBXlowcXcrP0ZsESF0EnozWk8GdjI1JQ4RXgMTdiEwKgYJRTUxE3o3A2wBIS03dmRFSkYTZihgDgFeWjBzZCU1RmwRIXYBajxaTwZ2MCcpCRFeAxN0MzUzBglFNTMBfisDbAEhLyJqbkVKRhNkM28TAV5aMHNkNzVGbBEhdgFxP1pPBnYwJz0TEV4DE3Q3OTEGCUU1MwVyJgNsASEvJmBgRUpGE2Q3ZBABXlowc2AiMkZsESF2BW8+Wk8GdjAjNBQRXgMTdDs+NwYJRTUzCX8+A2wBIS8qaXZFSkYTZDtvBQFeWjBzbCkhRmwRIXYJczdaTwZ2MC82DBFeAxN0OysrBglFNTMJYCEDbAEhLyxra0VKRhNkPW4QAV5aMHNqNSJGbBEhdg9xN1pPBnYwKTYOEV4DE3QnNiQGCUU1PQJ6PgNsASEhKGF2RUpGE2o8YggBXlowfWsoIkZsESF4EmozWk8Gdj40MRARXgMUYjA6OgYJRTIlAn83A2wBJjkha2pFSkYUcjBuEgFeWjdlZiw1RmwRJmADaCtaTwZxJiUrExFeAxRiNzQwBglFMiUGdSsDbAEmOSpjZEVKRhRyO20TAV5aN2VsKTJGbBEmYAtiPVpPBnEmLSEOEV4DFGI5PTEGCUUyJQt2IQNsASY5KG1rRUpGFHI+ZBMBXlo3ZWksNUZsESZgDGgrWk8GcSYqKBkRXgMUYj43LQYJRTIlDXY2A2wBJjkuYXdFSkYUcj9oDAFeWjdlaCo/RmwRJmANczNaTwZxJiggGRFeAxRiPD8sBglFMiUOdCsDbAEmOS1tZEVKRhRyPGoTAV5aN2VrND9GbBEmYA53PVpPBnEmKD0BEV4DFGIiOTAGCUUyJRB2NgNsASY5M2F3RUpGFHIiZBMBXlo3ZXcjP0ZsESZgEmwmWk8GcSY0NhkRXgMUYiAsMAYJRTIlE3ghA2wBJjkwcGBFSkYUciF1GQFeWjdlcSI0RmwRJmAUZiFaTwZxJjMqFBFeAxRiJTY6BglFMiUYdjYDbAEmOTthdkVKRhRyKmgTAV5aN2FkJC5GbBEmZAFuIVpPBnEiJzYTEV4DFGYzKjoGCUUyIQFgNwNsASY9InB2RUpGFHY2ZRkBXlo3YWApNUZsESZkBW0rWk8GcSIjMAgRXgMUZj49OwYJRTIhDH8hA2wBJj0vaHxFSkYUdj9xDwFeWjdhaDc1RmwRJmQNcyZaTwZxIiggExFeAxRmPD82BglFMiEOfCADbAEmPS13YEVKRhR2PHUIAV5aN2FrMzVGbBEmZBBqNlpPBnEiNCkTEV4DFGYgKiIGCUUyIRJhNwNsASY9MXZsRUpGFHYgcxkBXlo3YXYrJ0ZsESZkE3chWk8GcSI1MBkRXgMUZiY7KwYJRTIhFGEzA2wBJj07ZWtFSkYUdipgEwFeWjdhfTM1RmwRJmkBaiFaTwZxLycqBRFeAxRrMzYoBglFMiwBZyEDbAEmMCZicUVKRhR7N2gSAV5aN2xgKiNGbBEmaQVxN1pPBnEvIzcFEV4DFGs3LCIGCUUyLAlwOQNsASYwKmFjRUpGFHs7ZggBXlo3bGwpI0ZsESZpCW01Wk8GcS8vKgsRXgMUazs2MAYJRTIsCWE2A2wBJjAsamJFSkYUez1zDgFeWjdsajQjRmwRJmkSZjdaTwZxLzQhFxFeAxRrIDchBglFMiwSfCUDbAEmMDZgdkVKRhR7J2YTAV5aN2xwKyNGbBEmaRVuMFpPBnEvMykQEV4DFGsrNSYGCUUyLQFhMwNsASYxIWF3RUpGFHowZBQBXlo3bWcuJ0ZsESZoA2ghWk8GcS4iJQwRXgMUajY9MAYJRTItBWEhA2wBJjEkYXdFSkYUejVpFAFeWjdtYjUjRmwRJmgMZzNaTwZxLiohExFeAxRqPjQ6BglFMi0NdjYDbAEmMS5hd0VKRhR6P2QTAV5aN21oLiJGbBEmaA1sIFpPBnEuKCMFEV4DFGo8NjoGCUUyLRBjKwNsASYxM3d8RUpGFHogZAQBXlo3bXciNUZsESZoFGI8Wk8GcS4yKAURXgMUaiYsOgYJRTItFGYhA2wBJjE5fnxFSkYUfDNlEwFeWjdrZCM/RmwRJm4BcCZaTwZxKCIlGRFeAxRsNjw6BglFMisLdjwDbAEmNyh9akVKRhR8Pm0TAV5aN2tpKz9GbBEmbg1iIVpPBnEoKyYTEV4DFGw/NToGCUUyKw52NgNsASY3LWF3RUpGFHw8ZBMBXlo3a2sgJ0ZsESZuDmQhWk8GcSgoLQMRXgMUbDw2JgYJRTIrDmc9A2wBJjcsaHZFSkYUfD11CAFeWjdrajM1RmwRJm4QYihaTwZxKDYtAxFeAxRsIis6BglFMisScjoDbAEmNzFnbUVKRhR8IG4TAV5aN2t3NClGbBEmbhNgM1pPBnEoMiUMEV4DFGwmPS4GCUUyKxR2IQNsASY3NmdtRUpGFHwnZggBXlo3a3A1NUZsESZuF2Y2Wk8GcSgxIQwRXgMUbCU9MQYJRTIrF30hA2wBJjc7bWZFSkYUfCpoDgFeWjdrfCIiRmwRJnMBYDdaTwZxNScnCxFeAxRxMzs3BglFMjYBcCsDbAEmKiJgYEVKRhRhM2gMAV5aN3ZkLihGbBEmcwFqJlpPBnE1JykQEV4DFHEzNTAGCUUyNgF9IQNsASYqInR2RUpGFGEzcggBXlo3dmQwKkZsESZzAXohWk8GcTUjJQQRXgMUcTc5NwYJRTI2BXYhA2wBJiomamFFSkYUYTdvFAFeWjd2bCYiRmwRJnMJYj5aTwZxNS8mBRFeAxRxOzsoBglFMjYJdjYDbAEmKiphd0VKRhRhO2QTAV5aN3ZsKypGbBEmcwltM1pPBnE1LyoFEV4DFHE7KCYGCUUyNgljIQNsASYqKnBgRUpGFGE9aBMBXlo3dmorKkZsESZzD2wiWk8GcTUpMAgRXgMUcT0tNwYJRTI2D2U3A2wBJio2Z2BFSkYUYSdiCwFeWjd2cCM/RmwRJnMVZiBaTwZxNTMoGRFeAxRxJzUzBglFMjYVfTkDbAEmKjZ3dkVKRhRhJ3IUAV5aN3ZwMy5GbBEmcxlwJlpPBnEyJCYZEV4DFHYwPTAGCUUyMQN4IQNsASYtJ2t3RUpGFGY+aBABXlo3cWkrI0ZsESZ0DHAzWk8GcTIqNwkRXgMUdj81OgYJRTIxDXwgA2wBJi0tYWFFSkYUZjxkEgFeWjdxayI1RmwRJnQOajFaTwZxMigtExFeAxR2IDosBglFMjESdyEDbAEmLTFvdkVKRhRmIG8TAV5aN3F2Lz9GbBEmdBNoIVpPBnEyMisSEV4DFHYmLCoGCUUyMwF6PANsASYvImpiRUpGFGQzdRMBXlo3c2AmLUZsESZ2BWY2Wk8GcTAjIQ4RXgMUdDc9NwYJRTIzBWEiA2wBJi8qZ2BFSkYUZDtmEwFeWjdzbCkjRmwRJnYJbTlaTwZxMC8qExFeAxR0OyovBglFMjMJYCYDbAEmLyp8cUVKRhRqO28HAV5aN31pIjRGbBEmeBBmNlpPBnE+NiETEV4DFHogPTAGCUUzIAR2IANsASc0IGF3RUpGFX8mcwEBXlo2amYrI0ZsESdvA3YmWk8GcCkiIRIRXgMVbTYxJwYJRTMqBGY3A2wBJzYlbXFFSkYVfTtnGQFeWjZqbCgoRmwRJ28JdzdaTwZwKS8wExFeAxVtOyw6BglFMyoUejcDbAEnNjdtaUVKRhV9JWQEAV5aNmp/LjZGbBEncRBmNlpPBnA3NiESEV4DFXMhPTcGCUUzNgJyPANsAScqJGFhRUpGFWE1ZBMBXlo2dmwmLkZsESdzCWY+Wk8GcDUvKgURXgMVcSEtMAYJRTM3AXQ3A2wBJysmdnZFSkYVYDpkEgFeWjZ3bCkhRmwRJ3IVYj5aTwZwNDM2EBFeAxVwJyo6BglFMzAIdiADbAEnLDdhd0VKRhZyNmgNAV5aNWViMiNGbBEkYAxmJlpPBnMmKi0EEV4DFmI+NzEGCUUwJQxmNwNsASQ5L3JgRUpGFnI/bhMBXlo1ZWg3NUZsESRgDmA3Wk8GcyYoIAERXgMWYiIxJwYJRTAlEHwgA2wBJDkxYGRFSkYWciFkEwFeWjVlcCsyRmwRJGQFbTNaTwZzIiElDhFeAxZmNTkwBglFMCEJfyEDbAEkPSpqdkVKRhZ2PG4NAV5aNWFrMzVGbBEkZA52N1pPBnMiKDETEV4DFmYgOjAGCUUwIRJ3NwNsASQ9MWBsRUpGFnYgZgUBXlo1YXc0J0ZsESRkEnA3Wk8GcyI1NAERXgMWZiEsIgYJRTAhE2chA2wBJD07YWFFSkYWejNtEwFeWjVtZyI1RmwRJGgDYiBaTwZzLiUhExFeAxZqMTA6BglFMC0DeDsDbAEkMSBvfEVKRhZ6NmQPAV5aNW1hPidGbBEkaAV0IVpPBnMuIS0MEV4DFmo1NzEGCUUwLQpyKwNsASQxL2hkRUpGFno+bQUBXlo1bWskI0ZsESRoDmA7Wk8Gcy4oIRMRXgMWajw2OgYJRTAtDnw2A2wBJDEtfWlFSkYWej1tAQFeWjVtdSI0RmwRJGgSYj5aTwZzLjQjBRFeAxZqID8sBglFMC0SZiEDbAEkMTBldkVKRhZ6IWgUAV5aNW12KDRGbBEkaBN3M1pPBnMuMiUMEV4DFmomKiwGCUUwLRZ2OQNsASQxNW1hRUpGFnokcwUBXlo1bX0iKEZsESRuA2I+Wk8GcygiLwERXgMWbDUtJgYJRTArCXA3A2wBJDcqaGRFSkYWfD5mAQFeWjVraTMnRmwRJG4MdyFaTwZzKCstFBFeAxZsJj0nBglFMCsUdiADbAEkNzdhdkVKRhZ8J2IIAV5aNWtyIiJGbBEkbhdmPlpPBnM1KSsNEV4DFnY+LiIGCUUwPQl9NQNsASU5IG98RUpGF3I2ZAQBXlo0ZWMiNEZsESVgB2Y2Wk8GciYhIRIRXgMXYjU9MAYJRTElB3w8A2wBJTkra2pFSkYXcjttEwFeWjRlbDQyRmwRJWAJdyFaTwZyJi8yBRFeAxdiOT0nBglFMSULdjwDbAElOShhdkVKRhdyPmQTAV5aNGVpLDVGbBElYAxvM1pPBnImKigTEV4DF2I+NDoGCUUxJQxgOgNsASU5L3B/RUpGF3I8ZRMBXlo0ZWspJ0ZsESVgDnchWk8GciY0IBMRXgMXYiA9MAYJRTElEn4hA2wBJTkxanZFSkYXciB1EwFeWjRldikyRmwRJWATcyFaTwZyJjUwBRFeAxdiJjsrBglFMSUUdiADbAElOTdwdkVKRhdyJGQEAV5aNGVzIjRGbBElYBZmIVpPBnImPiEEEV4DF2IrNiYGCUUxIQFhIQNsASU9InZ8RUpGF3YzdwUBXlo0YWclP0ZsESVkAmYgWk8GciIiIwURXgMXZjc8MAYJRTEhBXghA2wBJT0manxFSkYXdjdxEwFeWjRhYDc/RmwRJWQJZDpaTwZyIi82BBFeAxdmPjsrBglFMSEMfyEDbAElPS93bUVKRhd2PGIIAV5aNGFrIz9GbBElZBJmPFpPBnIvJycLEV4DF2szNCYGCUUxLAFhNANsASUwInB2RUpGF3s3YAwBXlo0bGAmMkZsESVpBWY+Wk8Gci8jKBARXgMXazcqJgYJRTEsCXA6A2wBJTAqYmNFSkYXezttBQFeWjRsbCo1RmwRJWkJbTdaTwZyLy8qGRFeAxdrOygwBglFMSwJYT4DbAElMCp2dkVKRhd7O3ILAV5aNGxsNDJGbBElaQl3N1pPBnIvLz4aEV4DF2s9NCYGCUUxLA98IgNsASUwLHZgRUpGF3s9cgUBXlo0bWYsNUZsESVoBGY8Wk8Gci4iIRIRXgMXajY3NAYJRTEtBGc6A2wBJTEmaGFFSkYXejVmGQFeWjRtYi8yRmwRJWgMYD1aTwZyLiogExFeAxdqPj0wBglFMS0MfzsDbAElMS9odkVKRhd6Pm0ZAV5aNG1pMzVGbBElaA5gOlpPBnIuKCATEV4DF2o8PDoGCUUxLQ52IQNsASUxLWN2RUpGF3o8ahMBXlo0bXUiIkZsESVoEGYgWk8Gci42IRMRXgMXaiA9JwYJRTEtEnYhA2wBJTEwYXdFSkYXeiZiCAFeWjRtcTM/RmwRJWgWZiFaTwZyKC0hDhFeAxdsPzktBglFMSsNdjwDbAElNy1vfEVKRhd8PWUTAV5aNGtqIz9GbBElbg9mNlpPBnIoKSgGEV4DF2w9NDoGCUUxKw9pKwNsASU3MWB2RUpGF3wgZRkBXlo0a3csNUZsESVuEm82Wk8Gcig0KRMRXgMXbCAqOgYJRTErEmA3A2wBJTcxd3FFSkYXfCB1CAFeWjRrcCsiRmwRJW4VbTZaTwZyKDAhDhFeAxdsJT0nBglFMTYBYyEDbAElKiJwbUVKRhdhN2ALAV5aNHZgJC1GbBElcwltNVpPBnI1LzcUEV4DF3E7LCYGCUUxNg99NQNsASUqLHBgRUpGF2EnbwcBXlo7YWsuJ0ZsESpkDmw8Wk8GfSI0KxgRXgMZYjEwNwYJRT8lCHw9A2wBKzktb3ZFSkYZciBlEwFeWjplcik1RmwRK2QBcTxaTwZ8Iic2ExFeAxlmMys3BglFPyEMfyEDbAErPS90dkVKRhl2P2QOAV5aOmF2IjVGbBEraAVvNlpPBnwuLSETEV4DGWw2PS8GCUU/Kwt2PgNsASs3L292RUpGGXwnbwcBXlo6a3A1I0ZsEStuFXEhWk8GfCgzNwURXgMZbCcsKwYJRT8rFWU3A2wBKzc0aHZFSkYZZjFiAQFeWjpxZiw/RmwRK3QLbDxaTwZ8MispGRFeAxpiOyomBglFPCECYTMDbAEoPTFrdkVKRhp2IXUZAV5aOW1pJC5GbBEoaBBzK1pPBn8rKTAZEV4DGmw8PScGCUU8Kw52IQNsASg3MXZqRTs=";
-export const encodedAllowedUK = "PUbRhNCh0aHQtNGdAV5a0afQttCF0bLRv0ZsEdG00LLRoNCz0ZdaTwbQo9Gz0aDRutGiEV4D0YbQt9Gn0ajRuAYJRdGg0b/RrNCc0ZMDbAHRtNGk0bbQudCjRUpG0YbQrtGm0KfRrwFeWtGl0LnQu9Gz0aBGbBHRtNC80aLQttGSWk8G0KPRutGO0bzRmRFeA9GG0ILRqNGY0bMGCUXRoNGF0ZvQo9GuA2wB0bTRmdG80LzQh0VKRtGH0JbRotCD0ZgBXlrRpNCB0LjRodG/RmwR0aLQsdGg0L3Rr1pPBtC10bbRstGH0ZsRXgPRkNCy0afRo9GPBglF0bbRtdGe0JPRkANsAdGi0anRvdCN0LtFSkbRkNCh0aLQvNGhAV5a0bPQttCw0brRiEZsEdGi0LPRltC20aRaTwbQtdG10YTRutGgEV4D0ZDQsNGn0aXRgQYJRdG20bfRndCm0ZMDbAHRotGs0bPQuNCERUpG0ZDQp9Gp0LTRoAFeWtGz0LPQtdGH0YRGbBHRotC40ZfQttGoWk8G0LXRvtG40bbRkBFeA9GQ0LrRrdGo0bcGCUXRttG90aTQrdGvA2wB0aLRotGB0LzQt0VKRtGQ0KnRkNC/0aABXlrRs9C+0IbRvNG2RmwR0aLQu9Gm0KXRnVpPBtC10bzRoNG10YYRXgPRkNC40bTRmdGzBglF0bbRv9GV0KnRkwNsAdGi0aPRtdC80IVFSkbRkNCo0anQsdGdAV5a0bPQv9C+0bfRg0ZsEdGi0LrRm9C20a9aTwbQtdG80brRtNGXEV4D0ZDQuNGs0b/RtAYJRdG20b/RrNCi0bQDbAHRotGj0Y/QgNC1RUpG0ZDQr9G00LzRkAFeWtGz0LjQo9G60YpGbBHRotC90ZHQttGSWk8G0LXRutG10bTRoBFeA9GQ0L7RodGt0bgGCUXRttG50ZTQk9GnA2wB0aLRpdGB0LrQuEVKRtGQ0KzRldCE0ZgBXlrRs9CE0LDRj9GERmwR0aLQgdGa0IDRmlpPBtC10YfRutGi0a8RXgPRkNCD0ZDRm9GDBglF0bbRhNGl0LXRoANsAdGi0ZnRgdC40LVFSkbRkNCS0ZDQv9GgAV5a0bPQhtC10b3RtkZsEdGi0IPRkNC50apaTwbQtdGE0bLRotGeEV4D0ZDQh9Gn0ZjRswYJRdG20YHRnNCm0aYDbAHRotGX0bnQstCwRUpG0ZHQtdGh0L/RnAFeWtGy0KLQttGF0b5GbBHRo9Cn0ZnQudGiWk8G0LTRodG/0bnRrxFeA9GR0KXRqdGo0b4GCUXRt9Gi0ZvQq9GrA2wB0aPRvtG40L7QtUVKRtGR0LXRqdC60YYBXlrRstCi0L7RudG8RmwR0aPQp9Gb0I/RmlpPBtC00aHRu9G30Z4RXgPRkdCl0ZPRvtGxBglF0bfRotGi0KjRpQNsAdGj0ajRstC00IBFSkbRkdCj0aPQu9GQAV5a0bLQtNC00YHRiUZsEdGj0LHRk9Cz0aRaTwbQtNG30bXRtNGnEV4D0ZHQs9Gh0aXRvQYJRdG30bTRl9Cj0ZIDbAHRo9Go0brQsNC1RUpG0ZHQo9Gp0LTRogFeWtGy0LTQvtG50btGbBHRo9Cx0Z3Qs9GvWk8G0LTRt9G70bDRkBFeA9GR0LPRr9Gi0bMGCUXRt9G00Z3QnNGoA2wB0aPRqNGD0LTQuEVKRtGR0KPRktCw0YYBXlrRstC00IXRutGgRmwR0aPQsdGg0L7Rk1pPBtC00bfRhtG60Z0RXgPRkdCz0ZLRmNGlBglF0bfRtNGi0K3RrwNsAdGj0a3Rs9CG0LVFSkbRkdCm0avQsNGGAV5a0bLQsdC/0bLRhEZsEdGj0LTRmtC50aJaTwbQtNGy0bzRutGdEV4D0ZHQttGp0aPRswYJRdG30bHRm9Co0Z4DbAHRo9Gt0b7QudCjRUpG0ZHQptGv0IPRlQFeWtGy0LHQhdGy0bVGbBHRo9C00aDQttGQWk8G0LTRstGG0bzRmxFeA9GR0LbRktGl0aUGCUXRt9Gx0aDQk9G0A2wB0aPRrdGD0IbQtUVKRtGR0KbRkNC/0Z0BXlrRstCx0IfRhtGgRmwR0aPQtNGi0IHRtFpPBtC00b/RvNGi0ZIRXgPRkdC70ZDRqtGzBglF0bfRv9GQ0KDRrANsAdGj0aPRs9C50L9FSkbRkdCo0afQuNGaAV5a0bLQv9C90YbRvEZsEdGj0LrRntCG0aJaTwbQtNG80YjRsNGeEV4D0ZHQuNGd0Z3RswYJRdG30brRhNCV0Z4DbAHRo9Gm0aTQudK1RUpG0ZHQrdGj0LDRhgFeWtGy0LrQttGE0Y5GbBHRo9C/0ZTQs9GrWk8G0LTRudGw0bzRmRFeA9GR0L3RpdGm0b4GCUXRt9G60ZrQtdGgA2wB0aPRptG50LTQvkVKRtGR0K3RqNC/0ZwBXlrRstC60L7RodG0RmwR0aPQv9Gb0LbRr1pPBtC00bnRutG10ZARXgPRkdC90a/RpdGlBglF0bfRutGd0JDRkwNsAdGj0abRg9Cw0LtFSkbRkdCt0ZLQudGhAV5a0bLQutCC0b3RtkZsEdGj0L/Rp9C50apaTwbQtNG50YHRutGaEV4D0ZHQg9Gi0arRvQYJRdG30YTRkNCv0aIDbAHRo9GY0bPQudC9RUpG0ZHQk9Gi0IPRmAFeWtGy0ITQtdGE0btGbBHRo9CB0ZDQjNGvWk8G0LTRh9Gz0b3RmhFeA9GR0IPRp9Gl0bcGCUXRt9GE0ZXQktGQA2wB0aPRmNG20IbQh0VKRtGR0JPRqtC10ZYBXlrRstCE0LvRvdG2RmwR0aPQgdGe0L7RnVpPBtC00YfRhdG+0aERXgPRkdCD0ZHRpdG9BglF0bfRhNGj0JbRkANsAdGj0ZvRsNC00LxFSkbRkdCQ0abQtdGQAV5a0bLQh9Cx0bLRukZsEdGj0ILRlNC20ZpaTwbQtNGE0bLRvtGQEV4D0ZHQgNGm0aLRuwYJRdG30YfRmtCh0aIDbAHRo9Gb0bnQsdCHRUpG0ZHQkNGQ0IPRrwFeWtGy0IfQgdGy0YRGbBHRoNCn0ZLQhdG0Wk8G0LfRodG00YLRrxFeA9GS0KXRptGt0b0GCUXRtNGi0ZTQk9GsA2wB0aDRvtG00LzQh0VKRtGS0LXRpdC60YYBXlrRsdCi0LLRudG8RmwR0aDQp9GZ0L7RolpPBtC30aHRvNG50Z4RXgPRktCl0anRo9GlBglF0bTRotGb0KjRogNsAdGg0b7RuNC/0LBFSkbRktC10a/QvNGGAV5a0bHQotC40YDRoEZsEdGg0KfRoNC+0bRaTwbQt9Gh0YbRudGeEV4D0ZLQpdGS0ZvRggYJRdG00aLRodC10a4DbAHRoNG+0YLQvtCjRUpG0ZLQtdGT0L7RkAFeWtGx0KLQh9Gy0bxGbBHRoNCn0aLQttGSWk8G0LfRt9G10brRnRFeA9GS0LPRpNGi0b0GCUXRtNG00ZbQlNGnA2wB0aDRqNG40IjQhEVKRtGS0KPRr9C10ZABXlrRsdC00LjRutG2RmwR0aDQsdGg0IHRolpPBtC30bfRhtGG0Z4RXgPRktCz0ZrRrdG/BglF0bTRtNGp0JDRqANsAdGg0anRu9CG0L1FSkbRktCh0afQgdGlAV5a0bHQt9C70YfRoEZsEdGg0LLRntCD0ZFaTwbQt9Gz0bbRg9GQEV4D0ZLQt9Gg0abRhgYJRdG00bDRldCu0Z4DbAHRoNGs0b3QttC1RUpG0ZLQp9Gs0L3RkAFeWtGx0LHQtNGy0YZGbBHRoNC00ZPQs9GTWk8G0LfRstGx0YbRmBFeA9GS0LbRqdGg0YQGCUXRtNGx0aDQltGqA2wB0aDRrdGC0L/Qu0VKRtGS0KbRk9C80ZABXlrRsdCx0ITRhdG+RmwR0aDQtNGn0KXRklpPBtC30bHRvtGG0ZgRXgPRktC00aDRptG3BglF0bTRs9Gv0JHRqgNsAdGg0aDRpNCz0LFFSkbRktCr0aPQp9GTAV5a0bHQvNC00aHRhkZsEdGg0LnRkdCA0ZdaTwbQt9G/0bXRvNGdEV4D0ZLQu9Gm0aDRhgYJRdG00bzRlNCu0awDbAHRoNGg0bfQhNC1RUpG0ZLQq9Gr0IPRmAFeWtGx0LzQv9G/0bJGbBHRoNC50ZrQgNGtWk8G0LfRv9G90aLRohFeA9GS0LvRqdGi0bMGCUXRtNG80ZzQtdGSA2wB0aDRoNG+0LHQuEVKRtGS0KvRktCx0ZcBXlrRsdC80IXRudG8RmwR0aDQudGh0KXRoFpPBtC30b/Rh9G80Z8RXgPRktC70ZDRvtG5BglF0bTRvNGi0JPRqgNsAdGg0aDRgdCG0IpFSkbRktCr0ZDQjtGTAV5a0bHQvNCA0aHRskZsEdGg0LnRpdC90ZJaTwbQt9G/0Y/RvNGZEV4D0ZLQudGp0ajRtwYJRdG00b7RoNCj0asDbAHRoNGj0aXQttC7RUpG0ZLQqNGi0LXRkAFeWtGx0LjQo9GG0YRGbBHRoNC90YbQgdGqWk8G0LfRu9G+0YbRrBFeA9GS0L7RqtGv0YAGCUXRtNG50Z7QlNG0A2wB0aDRptGw0LnQo0VKRtGS0K3RptCn0ZkBXlrRsdC60LPRt9G8RmwR0aDQv9GW0LfRnlpPBtC30bnRv9G50ZARXgPRktC90ajRrdGDBglF0bTRutGb0K3RkwNsAdGg0abRuNCI0IdFSkbRktCt0anQjdGkAV5a0bHQutCF0bnRtUZsEdGg0L/RoNC90a9aTwbQt9G40b3RvNGSEV4D0ZLQg9Gi0ZrRswYJRdG00YXRhtCv0aIDbAHRoNGZ0YHQh9C6RUpG0ZLQktGc0LXRmAFeWtGx0IbQo9GC0bZGbBHRoNCD0ZXQhNGiWk8G0LfRhNG20b/RrBFeA9GS0IDRotGj0YwGCUXRtNGH0ZfQrdGpA2wB0aDRm9G60L7Qu0VKRtGS0JDRk9CD0ZABXlrRsdCD0L3RhdG+RmwR0aDQhtGe0IPRolpPBtC30Y7Rs9G50aIRXgPRk9Cl0anRotGzBglF0bXRotGc0KjRtANsAdGh0b7Rg9C+0LtFSkbRk9C10ZLQidGVAV5a0bDQotCE0YXRikZsEdGh0LHRh9CB0bRaTwbQttG30bTRtNGHEV4D0ZPQs9Gl0abRvgYJRdG10bTRmdCn0aIDbAHRodGo0brQvtC9RUpG0ZPQo9Gp0LHRoQFeWtGw0LTQvtG90bZGbBHRodCx0Z3QvtGiWk8G0LbRt9GG0bTRlhFeA9GT0LPRktGq0aUGCUXRtdG00aDQptGuA2wB0aHRqNGD0LHQh0VKRtGT0KPRktC80Z4BXlrRsNC00IXRh9GgRmwR0aHQsdGh0LjRrFpPBtC20bfRgdG60ZoRXgPRk9Cz0Z3RmtG7BglF0bXRsdGS0LXRrwNsAdGh0a3RsdC80LhFSkbRk9Cm0avQutGGAV5a0bDQsdC80YXRh0ZsEdGh0LTRmtC90a9aTwbQttGy0b3RotGZEV4D0ZPQttGv0b7RugYJRdG10bHRndCT0bQDbAHRodGt0b3QhNC2RUpG0ZPQptGS0L/RmQFeWtGw0LHQh9GF0bhGbBHRodC50ZTQudGsWk8G0LbRvNG20bbRkBFeA9GT0LjRotGZ0YIGCUXRtdG/0ZXQrtGvA2wB0aHRo9GA0LPQsUVKRtGT0KjRkdCE0ZABXlrRsNC50LXRhdG+RmwR0aHQvNGY0LfRolpPBtC20brRvtGG0ZgRXgPRk9C90aPRvtGBBglF0bXRutGb0KvRqwNsAdGh0abRuNC+0LVFSkbRk9Ct0anQv9GUAV5a0bDQutC+0bnRh0ZsEdGh0L/Rm9CA0aNaTwbQttG50b3RiNGkEV4D0ZPQvdGu0b7RvgYJRdG10brRnNCm0ZIDbAHRodGm0YPQotCARUpG0ZPQrdGS0LHRmgFeWtGw0LrQhdG30btGbBHRodC/0aDQt9GiWk8G0LbRudGG0b7RmBFeA9GT0L3RktGj0b0GCUXRtdG60aDQrdGmA2wB0aHRptGD0LrQgEVKRtGT0K3RktC/0a4BXlrRsNC60ITRhdGJRmwR0aHQgdGQ0L7RtFpPBtC20YfRttG50ZQRXgPRk9CD0aLRpdGBBglF0bXRhNGQ0K7RngNsAdGh0ZjRs9CG0L1FSkbRk9CT0aLQhdGQAV5a0bDQhNCw0b7Rh0ZsEdGh0IHRldC50apaTwbQttGH0bPRvtGeEV4D0ZPQg9Gn0ZrRswYJRdG10YTRldCV0Z4DbAHRodGY0b3Qs9C1RUpG0ZPQk9Gs0InRhgFeWtGw0ITQhtG20bZGbBHRodCB0aPQt9GqWk8G0LbRh9GF0bDRrBFeA9GT0IPRkdGl0YEGCUXRtdGE0aPQrNGiA2wB0aHRmNGA0IzQtUVKRtGT0JPRndC20awBXlrRsNCH0LTRvdG2RmwR0aHQgtGU0L3RqFpPBtC20YTRvdGL0agRXgPRk9CA0a7RptGDBglF0bXRh9Gc0JDRkwNsAdGh0ZvRhNC50LtFSkbRlNC10aDQu9GQAV5a0bfQotC30YDRtkZsEdGm0KfRmdCB0apaTwbQsdGh0b3RtNGdEV4D0ZTQpdGv0a3RiwYJRdGy0aLRoNCp0aIDbAHRptG+0YHQsdC8RUpG0ZTQtdGQ0LvRmAFeWtG30KLQh9GI0bpGbBHRptCn0aLQjNGXWk8G0LHRodGJ0YbRmBFeA9GU0LPRoNGg0bcGCUXRstG00ZLQrtGsA2wB0abRqNGx0LrQhEVKRtGU0KPRptC60YYBXlrRt9C00LnRttG2RmwR0abQsdGd0LfRtFpPBtCx0bfRu9G80ZkRXgPRlNCz0a/RmtG2BglF0bLRtNGg0LXRrANsAdGm0ajRg9Ci0IpFSkbRlNCj0ZLQvdGQAV5a0bfQtNCF0YXRh0ZsEdGm0LDRkNCB0apaTwbQsdG10aDRg9GGEV4D0ZTQsdGn0ZjRpQYJRdGy0bbRntCv0aIDbAHRptGt0bLQotC+RUpG0ZTQptGj0LDRhgFeWtG30LHQtNGH0bZGbBHRptC00ZLQpdGmWk8G0LHRstG00aLRlxFeA9GU0LbRoNG+0YIGCUXRstGx0ZLQrdGvA2wB0abRrdG60LPQo0VKRtGU0KbRq9C60YYBXlrRt9Cx0L/Rt9G7RmwR0abQtNGc0L3Rr1pPBtCx0bLRu9Gi0ZcRXgPRlNC20a/RvtGCBglF0bLRsdGd0K7RtANsAdGm0a3Rg9Cx0L9FSkbRlNCm0ZLQtNGdAV5a0bfQsdCF0YXRvkZsEdGm0LTRpdCB0axaTwbQsdGx0aDRudGGEV4D0ZTQtdGn0aHRtwYJRdGy0bLRldCq0agDbAHRptGu0bbQvdC4RUpG0ZTQpdGn0LvRhgFeWtG30LLQsNGH0aBGbBHRptC30ZXQgtGTWk8G0LHRsdGz0YDRpBFeA9GU0LXRqtGj0bgGCUXRstGy0ZjQrtGiA2wB0abRrtG90LTQuEVKRtGU0KXRrNCw0aEBXlrRt9Cy0LvRs9GgRmwR0abQt9Ge0LbRqVpPBtCx0bHRuNG90aERXgPRlNC10azRpdGCBglF0bLRstGe0JPRpANsAdGm0a7RgNCw0KNFSkbRlNCl0ZHQutGGAV5a0bfQs9C30aHRu0ZsEdGm0LbRrNC90aNaTwbQsdG/0bfRvtGYEV4D0ZTQu9Gg0ajRuQYJRdGy0bzRktCj0a8DbAHRptGg0bHQudC7RUpG0ZTQq9Go0LnRmQFeWtG30LzQvtGy0YZGbBHRptC50aHQudGsWk8G0LHRudG30YTRkBFeA9GU0L3Ro9GY0bYGCUXRstG60ZHQk9GsA2wB0abRptGx0LfQtUVKRtGU0K3RpdC/0aABXlrRt9C60LzRvNGKRmwR0abQv9Ga0LPRpVpPBtCx0bnRvdG00aARXgPRlNC90anRo9GlBglF0bLRutGd0K7RogNsAdGm0abRvtC60IVFSkbRlNCt0a3QudGiAV5a0bfQutCF0aHRh0ZsEdGm0L/RodCP0bZaTwbQsdG50YTRvNGaEV4D0ZTQvdGQ0aPRswYJRdGy0brRpdC10aYDbAHRptGm0YTQvtC1RUpG0ZTQrdGa0LvRkAFeWtG30ITQtdG00bZGbBHRptCB0ZDQutGgWk8G0LHRh9G20bjRkBFeA9GU0IPRp9Gh0bkGCUXRstGE0Z7QodGiA2wB0abRmNG90LPQsUVKRtGU0JPRkdCy0ZABXlrRt9CE0IbRtNGzRmwR0abQgdGj0LDRkVpPBtCx0YfRhdGy0ZURXgPRlNCD0ZHRr9GlBglF0bLRh9GR0KjRngNsAdGm0ZvRttC/0IlFSkbRlNCQ0a7Qu9GQAV5a0bfQh9CF0bfRvEZsEdGm0ILRoNC+0Z1aTwbQsdGE0YPRotGSEV4D0ZTQgNGa0aLRswYJRdGy0YfRqNCu0awDbAHRptGW0bzQhNCwRUpG0ZTQndGS0LHRnQFeWtG30IvQh9Gy0b1GbBHRp9Cz0ZDQvtGTWk8G0LDRs9G00aLRnRFeA9GV0LnRktGo0b4GCUXRs9G/0YbQpNGiA2wB0afRo9Gl0LrQh0VKRtGV0KjRoNCn0Z0BXlrRttC/0LfRodGHRmwR0afQutGV0L7RolpPBtCw0bzRvdGi0Z0RXgPRldC40anRvtGCBglF0bPRv9Gb0KbRrwNsAdGn0aPRj9Cz0LVFSkbRldCv0bTQutGGAV5a0bbQuNCj0bzRikZsEdGn0L3RkdC20ZJaTwbQsNG60bLRstGGEV4D0ZXQvtGm0ZjRjQYJRdGz0bvRntCW0aIDbAHRp9GY0aXQvtC1RUpG0ZXQk9Gp0KfRpQFeWtG20IbQsNG80YpGbBHRp9CF0ZXQudGQWk8G0LPRodG70b7RkBFeA9GW0LPRqNGt0YEGCUXRsNG00Z3QrtGiA2wB0aTRqNGD0L7Qu0VKRtGW0KPRktCD0ZgBXlrRtdCx0LjRv9GDRmwR0aTQtNGg0LPRklpPBtCz0bLRhtGG0ZgRXgPRltC20ZDRptG+BglF0bDRvNGS0LXRkANsAdGk0aDRsdC80LxFSkbRltCr0abQp9GSAV5a0bXQvNC+0bLRhEZsEdGk0LnRoNC50axaTwbQs9G/0YTRv9GeEV4D0ZbQu9GQ0ZrRjAYJRdGw0brRktCR0aIDbAHRpNGm0bfQsdC4RUpG0ZbQrdGl0LTRpAFeWtG10IfQvNG90bZGbBHRpNCC0ZrQpdGgWk8G0LPRhNGB0brRmhFeA9GX0KXRq9Ga0bsGCUXRsdGi0ZvQqNGdA2wB0aXRvtGD0L7QtUVKRtGX0LXRkNCB0ZUBXlrRtNC00KHRgdGKRmwR0aXQsdGH0LnRolpPBtCy0bfRt9Gi0ZMRXgPRl9Cz0aDRptG3BglF0bHRtNGT0LXRrwNsAdGl0ajRt9C/0IpFSkbRl9Cj0abQv9GaAV5a0bTQtNCx0bnRukZsEdGl0LHRlNCA0a5aTwbQstG30b/RttGVEV4D0ZfQs9Gr0ZrRuwYJRdGx0bTRmtCt0a8DbAHRpdGo0b/QotCzRUpG0ZfQo9Gu0LHRpQFeWtG00LTQudG50bxGbBHRpdCx0ZzQg9GqWk8G0LLRt9G50bTRmxFeA9GX0LPRrdGo0YIGCUXRsdG00Z/Qo9GXA2wB0aXRqNG80LzQhEVKRtGX0KPRrdC50aIBXlrRtNC00LrRh9G+RmwR0aXQsdGg0LPRpVpPBtCy0bfRhtGL0ZQRXgPRl9Cz0ZPRvtGyBglF0bHRtNGh0LXRqANsAdGl0ajRhtCi0LFFSkbRl9Cj0Z3Qs9GQAV5a0bTQtdCw0YfRvkZsEdGl0LDRldCD0ZFaTwbQstG20b7RhtGYEV4D0ZfQstGs0aLRgAYJRdGx0bXRntCT0aoDbAHRpdGp0YPQutCKRUpG0ZfQodGi0IPRmAFeWtG00LfQu9Gz0bZGbBHRpdCy0Z7Qg9GqWk8G0LLRtNGG0bTRrxFeA9GX0LfRotGa0bsGCUXRsdGx0ZzQo9GvA2wB0aXRrdG/0L/QikVKRtGX0KbRktC80Z4BXlrRtNCz0LXRs9GFRmwR0aXQudGc0L3RnFpPBtCy0bzRoNG20ZARXgPRl9C40arRqtGzBglF0bHRuNGG0LTRoANsAdGl0aTRpdC50LVFSkbRl9Cv0bTQgNGiAV5a0bTQuNC90YXRvkZsEdGl0L3RntCx0aJaTwbQstG60bbRhtGYEV4D0ZfQvtGi0ZrRjwYJRdGx0bnRmNCk0ZEDbAHRpdGl0b3QttCGRUpG0ZfQrtGd0IPRmAFeWtG00LrQt9G60aBGbBHRpdC/0ZzQstG0Wk8G0LLRh9Gg0YXRohFeA9GX0IPRotGs0bMGCUXRsdGE0ZDQpNGRA2wB0aXRmNG90LDQhkVKRtGX0JDRo9Cn0ZIBXlrRtNCH0LTRudG0RmwR0avQtdGj0ITRqlpPBtC80bnRsdGx0aQRXgPRmdC90anRptG8BglF0b/RutGh0KvRrQNsAdGo0b7RgdCG0KNFSkbRmtC10ZrQu9GQAV5a0bnQtNC00bfRu0ZsEdGo0LHRlNC20ZBaTwbQv9G30bDRtNGdEV4D0ZrQs9Gl0ajRvgYJRdG80bTRl9Cp0aIDbAHRqNGo0brQv9C1RUpG0ZrQo9Go0LHRngFeWtG50LTQvtGy0bdGbBHRqNCx0ZzQpdGvWk8G0L/Rt9G70bTRmxFeA9Ga0LPRr9Gl0bsGCUXRvNG00Z/QqNGdA2wB0ajRqNG80LrQh0VKRtGa0KPRrdCC0aIBXlrRudC00IXRt9GERmwR0ajQsdGg0LbRqVpPBtC/0bfRhtGx0Z0RXgPRmtCz0ZLRo9GzBglF0bzRtNGg0KjRrANsAdGo0ajRg9C40LVFSkbRmtCj0ZLQg9GQAV5a0bnQtNCE0YbRoEZsEdGo0LHRotCz0a9aTwbQv9G30YTRsdGgEV4D0ZrQs9GV0aLRswYJRdG80bbRhtCu0a8DbAHRqNGq0aXQhtC9RUpG0ZrQodGn0IDRogFeWtG50LbQvdGF0b5GbBHRqNC00ZHQs9GjWk8G0L/RstG00aLRnRFeA9Ga0LbRq9Gs0bUGCUXRvNGx0ZnQktG0A2wB0ajRrdG60IbQo0VKRtGa0KbRqdC00aABXlrRudCx0L7Rv9GDRmwR0ajQtNGb0LjRtFpPBtC/0bLRvdGF0YYRXgPRmtC20anRlNGBBglF0bzRsdGd0LXRnQNsAdGo0a3RvtC50KNFSkbRmtCm0a3Qu9GQAV5a0bnQsdCF0bvRtkZsEdGo0LTRoNC/0axaTwbQv9Gy0YbRutGbEV4D0ZrQttGS0ZjRpQYJRdG80bHRodCS0bQDbAHRqNGt0YTQh9C1RUpG0ZrQq9Gm0L/RmgFeWtG50LzQvtG/0bpGbBHRqNC50ZzQgtGeWk8G0L/Rv9GE0bTRmRFeA9Ga0LvRmtGi0bMGCUXRvNG/0YbQrtGQA2wB0ajRo9Gl0LnQgkVKRtGa0KjRtNCJ0ZUBXlrRudC/0LXRvtG0RmwR0ajQutGQ0LrRplpPBtC/0bzRttG90Z0RXgPRmtC40aLRmNGzBglF0bzRv9GQ0JPRqANsAdGo0aPRs9CH0IRFSkbRmtCo0azQgtGdAV5a0bnQv9CG0brRoEZsEdGo0LrRrtCE0bRaTwbQv9G60b7Rt9GQEV4D0ZrQvtGd0a/RjwYJRdG80brRkdCT0aIDbAHRqNGm0bLQh9CyRUpG0ZrQrdGk0LTRnQFeWtG50LrQstG30bxGbBHRqNC/0ZfQttGpWk8G0L/RudGx0b/RkBFeA9Ga0L3RpdGj0bsGCUXRvNG60ZnQqdGiA2wB0ajRptG50LrQuEVKRtGa0K3RqNC/0aEBXlrRudC60L7RodG7RmwR0ajQv9Gb0KXRklpPBtC/0bnRvdGI0aIRXgPRmtC90a7RqdG9BglF0bzRutGd0KDRrANsAdGo0abRvtC80L9FSkbRmtCt0a/QvNGGAV5a0bnQutC40bnRhkZsEdGo0L/RndCE0adaTwbQv9G50bnRotGvEV4D0ZrQvdGt0ajRugYJRdG80brRoNCn0aIDbAHRqNGm0YPQsdCKRUpG0ZrQrdGS0IHRhgFeWtG50LrQhNGF0bZGbBHRqNC/0aHQgdGeWk8G0L/RudGH0YvRmhFeA9Ga0L3RkNG+0bEGCUXRvNG60aLQq9GoA2wB0ajRptGL0LzQv0VKRtGa0JPRtNC20awBXlrRudCE0KPRvNGKRmwR0ajQgdGQ0KTRoFpPBtC/0YfRttG/0a8RXgPRmtCD0aLRmdGzBglF0bzRhNGQ0JDRlQNsAdGo0ZjRs9CN0LBFSkbRmtCT0afQuNGTAV5a0bnQhNCw0b7Ru0ZsEdGo0IHRmNC00aJaTwbQv9GH0b7Rv9GeEV4D0ZrQg9Gq0ZnRswYJRdG80YTRntCh0aoDbAHRqNGY0b3Qv9CKRUpG0ZrQk9GR0LLRmAFeWtG50ITQhtGF0aBGbBHRqNCB0aPQgdGqWk8G0L/Rh9GF0YbRnhFeA9Ga0IDRo9Gg0bkGCUXRvNGH0ZHQrdGoA2wB0ajRm9G00LHQuEVKRtGa0JDRpdC/0ZIBXlrRudCH0L/RvNG2RmwR0ajQgtGb0LPRqFpPBtC/0YTRvdG60Z0RXgPRmtCA0anRlNGBBglF0bzRh9Ge0K/RrANsAdGo0ZvRvNCx0IVFSkbRmtCQ0a3Qu9GQAV5a0bnQh9C60bnRvUZsEdGo0ILRn9C90a9aTwbQv9GE0YbRvtGQEV4D0ZrQgNGS0abRuQYJRdG80YfRoNCU0aIDbAHRqNGb0YLQutC/RUpG0ZrQkNGQ0L/RmgFeWtG50IfQgNG30YZGbBHRqNCC0aXQvtGdWk8G0L7Ro9G70b7RkBFeA9Gb0KXRoNGg0boGCUXRvdGi0ZPQodGsA2wB0anRvtG30KLQikVKRtGb0LXRptC00aABXlrRuNCi0LPRvdG4RmwR0anQp9GX0LTRtFpPBtC+0aHRsdGG0ZgRXgPRm9Cl0ajRqNGDBglF0b3RotGa0KbRkgNsAdGp0b7Rv9Ci0IdFSkbRm9C10a/Qp9GvAV5a0bjQotC40bPRtkZsEdGp0KfRn9CL0adaTwbQvtGh0YbRvNGaEV4D0ZvQpdGQ0ajRuQYJRdG90bTRktCp0aoDbAHRqdGo0bfQsdC4RUpG0ZvQo9Gl0LTRoAFeWtG40LTQvNG80bZGbBHRqdCx0ZnQvtGsWk8G0L7Rt9G80bHRmRFeA9Gb0LPRrtGn0bMGCUXRvdG00Z/QqdGiA2wB0anRqNG80L7QvUVKRtGb0KPRktCB0YYBXlrRuNC00ITRvdG2RmwR0anQsdGh0LnRqlpPBtC+0bfRh9G/0Z4RXgPRm9Cz0ZHRmNGzBglF0b3RsdGS0K3RrwNsAdGp0a3RsNC+0LtFSkbRm9Cm0aHQidGVAV5a0bjQsdCx0bXRs0ZsEdGp0LTRmdC40aJaTwbQvtGy0b/RhdGGEV4D0ZvQttGv0aXRpQYJRdG90bHRntCu0acDbAHRqdGt0YLQv9CjRUpG0ZvQq9Gu0L/RnQFeWtG40LzQutG90bZGbBHRqdC50aHQu9GrWk8G0L7Rv9GH0YbRrxFeA9Gb0LvRl9Gg0boGCUXRvdG80abQo9GSA2wB0anRoNGE0L7Qu0VKRtGb0K3RodCx0Z0BXlrRuNC60LPRvdG2RmwR0anQv9Gc0LnRolpPBtC+0bnRhtGx0ZsRXgPRm9C90ZLRrdG+BglF0b3RutGg0K7RogNsAdGp0abRgdC60IRFSkbRm9Ct0ZDQg9GGAV5a0bjQh9Ci0bDRtkZsEdGp0ILRmtCz0ZNaTwbQvtGE0bzRtNGoEV4D0ZvQj9Gg0b7RsQYJRdG90YjRntCh0aIDbAHRqdGU0Y3Qo9CERUpG0ZvQndGj0LnRmQFeWtG40IrQtNG50bRGbBHRqdCP0ZPQttGSWk8G0L7RidGy0bHRmRFeA9Gb0I3RptGX0b8GCUXRvdGK0ZTQnNGXA2wB0anRltG/0LHQuEVKRtGb0J3RrdC50Z0BXlrRuNCK0IfRstGGRmwR0anQj9Gi0LvRq1pPBtC+0YnRhNGA0YYRXgPRm9CN0ZTRvtGMBglF0b3Ri9GT0JHRqgNsAdGp0ZfRvNC00IRFSkbRm9Cc0ZXQvNGeAV5a0b/QotCy0b3RvkZsEdGu0KfRmtC50bRaTwbQudGh0b3RtNGdEV4D0ZzQpdGp0aPRpQYJRdG60aLRm9Co0Z4DbAHRrtG+0bjQutCNRUpG0ZzQtdGv0LTRogFeWtG/0KLQuNGE0YdGbBHRrtCn0aHQpdGTWk8G0LnRodGH0aLRrxFeA9Gc0KXRk9Ga0b0GCUXRutGi0aHQldGnA2wB0a7RvtGB0L7QtUVKRtGc0LXRkNC60ZABXlrRv9Ci0IDRt9G9RmwR0a7Qp9Gm0L7RrFpPBtC50aHRjtG+0ZARXgPRnNCl0ZrRptG5BglF0brRtNGS0KzRogNsAdGu0ajRsNCi0IpFSkbRnNCj0abQsdGcAV5a0b/QtNC80bHRs0ZsEdGu0LHRmdC50aJaTwbQudG30b/RvtGbEV4D0ZzQs9Gr0aLRvQYJRdG60bTRmdCo0aUDbAHRrtGo0brQv9CERUpG0ZzQo9Gr0LzRkAFeWtG/0LTQvNG60bhGbBHRrtCx0ZnQvdGSWk8G0LnRt9G80bTRnhFeA9Gc0LPRqdG+0boGCUXRutG00ZvQq9GrA2wB0a7RqNG40IrQv0VKRtGc0KPRrtCx0Z0BXlrRv9C00LnRv9G7RmwR0a7QsdGc0LnRolpPBtC50bfRutGC0a8RXgPRnNCz0a/RvtGMBglF0brRtNGd0K7RogNsAdGu0ajRg9Ci0LtFSkbRnNCj0ZLQp9GvAV5a0b/QtNCF0bTRuEZsEdGu0LHRoNC30bRaTwbQudG30YbRsNGWEV4D0ZzQs9GS0a3RuQYJRdG60bTRoNCp0aIDbAHRrtGo0YPQvtC7RUpG0ZzQo9GS0LvRoQFeWtG/0LTQhdG80bZGbBHRrtCx0aDQuNGsWk8G0LnRt9GG0YXRhhFeA9Gc0LPRktGa0bMGCUXRutG00aDQkdGRA2wB0a7RqNGC0LTQs0VKRtGc0KPRk9C70ZABXlrRv9C00ITRvNG4RmwR0a7QsdGi0KXRklpPBtC50bfRhNGx0Z4RXgPRnNCz0ZDRotGzBglF0brRtNGk0LXRnQNsAdGu0ajRhtCw0KNFSkbRnNCj0Z3QvdGGAV5a0b/QtNK10bPRtkZsEdGu0LTRkdC40bRaTwbQudGy0bXRtNGdEV4D0ZzQttGh0avRpQYJRdG60bHRlNC10aIDbAHRrtGt0bfQsdCKRUpG0ZzQptGm0L/RmgFeWtG/0LHQuNGz0aBGbBHRrtC00Z3QvtG0Wk8G0LnRstG70YzRlRFeA9Gc0LbRktGY0aUGCUXRutGx0aDQktG0A2wB0a7RrdGD0IDQo0VKRtGc0KbRk9CA0YYBXlrRv9Cx0ITRhdG+RmwR0a7QtNGi0LPRqVpPBtC50bLRhNG00Z0RXgPRnNC20ZDRptG3BglF0brRsdGi0JPRrANsAdGu0a3RgdCI0ItFSkbRnNCr0anQudGZAV5a0b/QvNCF0brRs0ZsEdGu0LnRodC50aJaTwbQudG/0YTRhtGuEV4D0ZzQu9GQ0ZrRjAYJRdG60bzRqNCp0aIDbAHRrtGm0bDQv9C1RUpG0ZzQrdGh0LrRmAFeWtG/0LrQttG80bhGbBHRrtC/0ZTQvtGsWk8G0LnRudGw0bHRqBFeA9Gc0L3RpNGl0bMGCUXRutG60ZfQrdGoA2wB0a7RptG40L/Qo0VKRtGc0K3RqdC/0ZQBXlrRv9C60L7RudGERmwR0a7Qv9Gb0L3Rl1pPBtC50bnRu9G00aURXgPRnNC90a/RmNG9BglF0brRutGd0JHRtANsAdGu0abRg9Ci0IRFSkbRnNCt0ZLQsdGdAV5a0b/QutCF0bnRsUZsEdGu0L/RoNC90ahaTwbQudG50YbRi9GaEV4D0ZzQvdGT0ZrRuwYJRdG60brRodCf0bYDbAHRrtGm0YHQvNC3RUpG0ZzQrdGQ0L/RoAFeWtG/0LrQh9GE0bFGbBHRrtCB0ZXQhdGeWk8G0LnRhNGy0bTRmhFeA9Gc0IDRpNGg0bkGCUXRutGH0ZfQptGrA2wB0a/RvtGw0LHQhUVKRtGd0LXRpNC80YYBXlrRvtCi0LPRutG4RmwR0a/Qp9Ga0LvRrlpPBtC40aHRg9GG0Z4RXgPRndCl0ZXRoNG/BglF0bvRotGn0KvRnQNsAdGv0b7RhNC+0LVFSkbRndCj0aPQp9GgAV5a0b7QtNC30bfRhkZsEdGv0LHRlNCl0ataTwbQuNG30bLRotGdEV4D0Z3Qs9Gm0b7RjAYJRdG70bTRlNCm0ZIDbAHRr9Go0bfQhtC7RUpG0Z3Qo9Gl0LHRlAFeWtG+0LTQstG10bZGbBHRr9Cx0ZnQgdGqWk8G0LjRt9G80bTRlxFeA9Gd0LPRrtG+0YMGCUXRu9G00ZzQptGQA2wB0a/RqNG90LjQo0VKRtGd0KPRrdCn0ZIBXlrRvtC00LrRodG/RmwR0a/QsdGf0LPRplpPBtC40bfRudG80aERXgPRndCz0ZLRptG3BglF0bvRtNGg0JzRpgNsAdGv0ajRgtC60IRFSkbRndCj0ZPQg9GvAV5a0b7QtNCH0bfRu0ZsEdGv0LHRotCM0ahaTwbQuNG30YXRvtGQEV4D0Z3Qs9GW0ZrRswYJRdG70bTRptC10Z0DbAHRr9Go0YzQttCGRUpG0Z3QptGj0KfRlgFeWtG+0LHQt9Gh0bJGbBHRr9C00ZLQtdGnWk8G0LjRstG60bTRhBFeA9Gd0LbRrtGm0bEGCUXRu9Gx0Z3QktG0A2wB0a/RrdG80LTQvkVKRtGd0KbRk9CD0ZgBXlrRvtCx0IDRt9G/RmwR0a/QudGW0L7RnVpPBtC40b/RsNGD0ZURXgPRndC70aXRotGzBglF0bvRvNGg0KnRogNsAdGv0aDRgdC+0LVFSkbRndCt0aDQsdGaAV5a0b7QutC30b/Rv0ZsEdGv0L/Rm9Cz0a9aTwbQuNG50brRsdGgEV4D0Z3QvdGS0aTRswYJRdG70YfRlNCu0awDbAHRr9GU0b3Qt9C7RUpG0Z3Qn9Gs0L3RowFeWtG90LXQtdG70bZGbBHRrNCw0ZLQs9GpWk8G0LvRttG90brRnBFeA9Ge0LLRrtG+0b4GCUXRuNG10ZzQo9GvA2wB0azRqdG90LjQtUVKRtGe0KLRrNCD0ZUBXlrRvdC10IXRt9GxRmwR0azQsNGg0IzRplpPBtC70bbRg9Gi0ZQRXgPRntCy0ZrRm9G5BglF0bjRttGV0JXRngNsAdGs0avRs9C90LtFSkbRntCg0anQjtGUAV5a0b3QsNC40bfRvEZsEdGs0LbRldCD0aJaTwbQu9Gw0bPRhNGeEV4D0Z7QudGn0ajRvgYJRdG40b7RoNC10a4DbAHRrNGi0YPQh9C2RUpG0Z7QqdGR0LzRrAFeWtG90L/QsNG60YpGbBHRrNC60ZXQvtGdWk8G0LvRvNGH0bHRnRFeA9Ge0LjRntGr0bMGCUXRuNG40ZDQrtGiA2wB0azRpNGz0IHQtUVKRtGe0K/Rp9Cy0ZABXlrRvdC40L7RstGERmwR0azQvNGj0LnRolpPBtC70bjRoNGH0ZwRXgPRntC80afRmNGzBglF0bjRhNGT0LXRnQNsAdGs0ZjRsNC00LhFSkbRntCT0abQtNGdAV5a0b3QhNCx0bLRhkZsEdGs0IDRhtC+0Z5aTwbQu9GG0bzRtNGgEV4D0Z7QgtGp0b7RvAYJRdG40YXRntCi0aIDbAHRrNGZ0YHQotC4RUpG0Z7QkdGg0KfRoAFeWtG90IbQsNGB0YpGbBHRrNCF0ajQvdGSWk8G0LvRgtG40YbRkBFeA9Ge0IbRrNGf0bYGCUXRuNGD0ZjQr9GiA2wB0azRn9G50LTQgEVKRtGf0LXRpdC80Z4BXlrRvNCi0L/Rt9G5RmwR0a3Qp9Gb0L3RkFpPBtC60aHRhtG00aIRXgPRn9Cl0ZPRo9GMBglF0bnRotGh0K7RnQNsAdGt0b7RgtC60L9FSkbRn9C10ZDQtNGgAV5a0bzQotCH0bnRu0ZsEdGt0KfRpdCx0aJaTwbQutGh0Y7RtNGaEV4D0Z/QpdGa0aLRuwYJRdG50bTRkdCo0awDbAHRrdGo0bHQsdC+RUpG0Z/Qo9Gg0LrRkAFeWtG80LTQt9G80bhGbBHRrdCx0ZLQgNGoWk8G0LrRt9Gy0b/RnhFeA9Gf0LPRptGY0bYGCUXRudG00ZnQrdGoA2wB0a3RqNG50LHQh0VKRtGf0KPRqdCx0aYBXlrRvNC00L7RvdG2RmwR0a3QsdGd0KXRoFpPBtC60bfRu9Gw0ZARXgPRn9Cz0a/RpdGzBglF0bnRtNGd0K7RrANsAdGt0ajRvNCi0IVFSkbRn9Cj0ZLQsdGUAV5a0bzQtNCF0b/RsEZsEdGt0LHRoNC50aJaTwbQutG30YbRvtGhEV4D0Z/Qs9GS0aXRtgYJRdG50bTRoNCu0Z0DbAHRrdGo0YLQutC/RUpG0Z/Qo9GT0IPRkAFeWtG80LTQhNGF0b5GbBHRrdCx0aPQtNGiWk8G0LrRt9GF0b/RrBFeA9Gf0LPRlNGo0b4GCUXRudG00abQndGoA2wB0a3RqNGE0L7QtUVKRtGf0KbRoNC00Z0BXlrRvNCx0LfRutGzRmwR0a3QtNGS0L7RrFpPBtC60bLRstGE0Z4RXgPRn9C20avRrNG1BglF0bnRsdGa0LXRrwNsAdGt0a3RudC/0LtFSkbRn9Cm0ajQg9GYAV5a0bzQsdC40aHRh0ZsEdGt0LTRndC+0bRaTwbQutGy0YbRsdGUEV4D0Z/QttGS0ZjRpQYJRdG50bHRoNCT0awDbAHRrdGt0YPQhdCjRUpG0Z/QptGS0InRlQFeWtG80LHQhNG30YNGbBHRrdC00aHQu9GoWk8G0LrRstGE0bHRoBFeA9Gf0LbRkNGj0YwGCUXRudGx0aLQk9GiA2wB0a3RrdGB0IbQo0VKRtGf0KvRktCn0ZMBXlrRvNC80IXRudG1RmwR0a3QudGh0L3RqFpPBtC60b/RhNGG0a8RXgPRn9C70ZvRoNG5BglF0bnRvdGe0JHRkgNsAdGt0aPRs9CG0LVFSkbRn9Co0aLQg9GeAV5a0bzQv9Cw0aPRhkZsEdGt0LrRldCE0adaTwbQutG80b7RhtGQEV4D0Z/QuNGs0azRuwYJRdG50b/RntCR0Z4DbAHRrdGj0b3QjdCjRUpG0Z/QqNGs0IjRkAFeWtG80L/QitG70bZGbBHRrdC/0YfQtNGmWk8G0LrRudG00aLRkhFeA9Gf0L3RoNG+0YwGCUXRudG60ZLQo9GSA2wB0a3RptGx0LnQu0VKRtGf0K3RptCn0a8BXlrRvNC60LHRv9G0RmwR0a3Qv9GU0LvRl1pPBtC60bnRsdG00ZQRXgPRn9C90aXRrdGDBglF0bnRutGX0K3RoANsAdGt0abRudC00LJFSkbRn9Ct0ajQtNGgAV5a0bzQutC+0aHRh0ZsEdGt0L/Rm9Cl0ZBaTwbQutG50b3RutGdEV4D0Z/QvdGp0ZfRuQYJRdG50brRm9Cc0ZcDbAHRrdGm0b/QotCzRUpG0Z/QrdGu0KfRpwFeWtG80LrQudGH0bNGbBHRrdC/0ZzQg9GqWk8G0LrRudG60YTRoxFeA9Gf0L3Rr9Go0bcGCUXRudG60Z3QrdGTA2wB0a3RptG+0IPQu0VKRtGf0K3RrdCn0ZsBXlrRvNC60LrRv9GERmwR0a3Qv9Gf0LnRolpPBtC60bnRudGE0ZgRXgPRn9C90ZLRvtGwBglF0bnRutGg0K7RrANsAdGt0abRg9C60L9FSkbRn9Ct0ZLQv9GcAV5a0bzQutCF0bnRg0ZsEdGt0L/RoNCB0ZFaTwbQutG50YbRh9GnEV4D0Z/QvdGS0ZDRtgYJRdG50brRoNCc0aYDbAHRrdGm0YLQutC+RUpG0Z/QrdGT0ILRlAFeWtG80LrQh9Gh0bxGbBHRrdC/0aLQpdGuWk8G0LrRudGE0brRnxFeA9Gf0L3RkNGX0bAGCUXRudG60aXQtdGmA2wB0a3RptGL0IbQtUVKRtGf0K3RmtCC0ZoBXlrRvNC60IrRtdG2RmwR0a3QgdGQ0LHRrFpPBtC60YfRttG30ZARXgPRn9CD0aLRmtG7BglF0bnRhNGQ0JHRkANsAdGt0ZjRs9CC0IpFSkbRn9CT0afQgNGQAV5a0bzQhNC90brRgEZsEdGt0IHRmNCN0ZBaTwbQutGH0bjRtdGQEV4D0Z/Qg9Gs0ZrRtgYJRdG50YTRntCR0aoDbAHRrdGY0b3QgNCjRUpG0Z/Qk9Gd0L3RkAFeWtG80IbQtdGC0bZGbBHRrdCD0ZDQhtGqWk8G0LrRhNG90YjRoRFeA9Gf0IDRqdGU0YEGCUXRudGH0Z3QqdGQA2wB0a3Rm9GC0LTQuEVKRtGf0JDRk9CD0ZUBXlrRvNCH0ITRhdG4RmwR0a3QgtGo0LnRolpPBtC60YLRttGG0ZgRXgPRoNCl0aDRpdG9BglF0YbRotGS0K7RnQNsAdGS0b7Rt9C50KNFSkbRoNC10abQvNGQAV5a0YPQotCx0brRiUZsEdGS0KfRl9C50axaTwbQhdGh0YHRvtGQEV4D0aDQs9Gm0b7RsQYJRdGG0bTRlNC10asDbAHRktGo0bfQotC7RUpG0aDQo9Gm0LHRoAFeWtGD0LTQsdGx0bZGbBHRktCx0ZTQu9GrWk8G0IXRt9Gy0bzRqBFeA9Gg0LPRptGQ0bYGCUXRhtG00ZfQrdGoA2wB0ZLRqNG00LrQuUVKRtGg0KPRq9Cx0Z0BXlrRg9C00LzRvNGgRmwR0ZLQsdGZ0L3Rr1pPBtCF0bfRvNG60ZwRXgPRoNCz0anRlNGHBglF0YbRtNGc0KTRtANsAdGS0ajRv9C60LhFSkbRoNCj0a/QvNGvAV5a0YPQtNC40bnRvEZsEdGS0LHRndCE0axaTwbQhdG30YXRv9GsEV4D0aDQs9GR0aXRtwYJRdGG0bTRpdC10a4DbAHRktGo0YXQotCKRUpG0aDQptGk0LnRnAFeWtGD0LHQudG20bhGbBHRktC00Z3Qt9G0Wk8G0IXRstGO0bTRohFeA9Gg0LbRmtGi0bMGCUXRhtGx0ajQkdGiA2wB0ZLRoNGy0L7QtUVKRtGg0KvRo9C70ZgBXlrRg9C80LLRv9G8RmwR0ZLQudGd0L3RqFpPBtCF0b/Rh9G+0ZARXgPRoNC70ZTRoNG+BglF0YbRutGR0LXRrwNsAdGS0abRstC60IdFSkbRoNCt0aDQtNGgAV5a0YPQutCx0bLRuEZsEdGS0L/RlNC70ZVaTwbQhdG50bLRudGGEV4D0aDQvdGl0a3RvgYJRdGG0brRl9CQ0a4DbAHRktGm0bnQvtCjRUpG0aDQrdGo0LvRngFeWtGD0LrQv9GG0aBGbBHRktC/0ZvQttGSWk8G0IXRudG90bzRmhFeA9Gg0L3RrtGo0b4GCUXRhtG60ZzQptGsA2wB0ZLRptGC0KLQikVKRtGg0K3Rk9CD0ZgBXlrRg9C60IfRv9G8RmwR0ZLQv9Gl0LPRr1pPBtCF0bnRidG/0awRXgPRoNCB0ZHRmtGPBglF0YbRh9GH0K7RogNsAdGS0ZvRstCx0LhFSkbRoNCQ0aPQh9GGAV5a0YPQh9Cx0b/Rv0ZsEdGS0ILRmtCz0aBaTwbQhdGE0b3RsdGiEV4D0aDQgNGT0aPRvQYJRdGG0YfRodCu0Z0DbAHRktGb0YLQhdC7RUpG0aDQkNGV0LvRkAFeWtGD0IfQgtG90b5GbBHRktCC0ajQpdGrWk8G0IXRiNGy0brRmhFeA9Gh0KXRptGj0b0GCUXRh9Gi0ZTQrtG0A2wB0ZPRvtG/0L7QtUVKRtGh0LXRrtC/0aUBXlrRgtCi0IXRv9G/RmwR0ZPQp9Gh0IHRqlpPBtCE0aHRgdG50a8RXgPRodCl0Z3RmtG7BglF0YfRtNGH0KfRpwNsAdGT0ajRt9C60L9FSkbRodCj0anQsdGiAV5a0YLQtNC+0bzRoEZsEdGT0LHRm9C90a9aTwbQhNG30b3RitGiEV4D0aHQs9Gu0b7RgwYJRdGH0bTRnNC10ZADbAHRk9Go0b/QvNC8RUpG0aHQo9Gu0LvRkAFeWtGC0LTQuNG60aBGbBHRk9Cx0Z3QgtGiWk8G0ITRt9G70YbRkBFeA9Gh0LPRktGo0boGCUXRh9G00aPQrtGiA2wB0ZPRqNGL0L7Qu0VKRtGh0KHRp9CD0aABXlrRgtC20L3RutGJRmwR0ZPQs9GY0ILRkFpPBtCE0bXRuNGL0ZoRXgPRodCx0Z3RmtG9BglF0YfRsdGQ0K7RkwNsAdGT0a3RstCG0LtFSkbRodCm0abQsdGdAV5a0YLQsdCy0bnRu0ZsEdGT0LTRmdC30bRaTwbQhNGy0bzRhdGGEV4D0aHQttGo0ZrRswYJRdGH0bHRndCj0ZADbAHRk9Gt0b7QsNCjRUpG0aHQptGS0KfRrwFeWtGC0LHQhdGy0bJGbBHRk9C00aDQgtG0Wk8G0ITRstGG0YLRlRFeA9Gh0LvRptGl0aUGCUXRh9G80ZvQo9GVA2wB0ZPRoNG40LHQuEVKRtGh0KvRrtC/0Z0BXlrRgtC80LjRodG0RmwR0ZPQudGd0KXRq1pPBtCE0b/Ru9G60ZoRXgPRodC70a/Rl9G5BglF0YfRvNGg0K3RqANsAdGT0aDRg9C60LpFSkbRodCr0ZDQudGZAV5a0YLQvtC10bzRtkZsEdGT0LvRkNCD0aNaTwbQhNG90bbRhNGdEV4D0aHQudGg0a3RgwYJRdGH0b7RldCo0Z0DbAHRk9Gi0bjQtNCxRUpG0aHQqdGs0IHRngFeWtGC0L7Qu9GF0YRGbBHRk9C70Z7QgdGVWk8G0ITRvdGG0bzRnxFeA9Gh0LjRtNGs0bsGCUXRh9G/0ZDQotGsA2wB0ZPRo9Gz0LbQtUVKRtGh0KjRrNCz0Z4BXlrRgtC/0LvRhNG7RmwR0ZPQutGj0LDRolpPBtCE0bvRttG+0ZgRXgPRodC/0ZHRq9GzBglF0YfRuNGj0KTRtANsAdGT0aXRttC90LpFSkbRodCt0aPQv9GgAV5a0YLQutC00bnRiEZsEdGT0L/RmdCn0ZJaTwbQhNG50bzRotGbEV4D0aHQvdGo0abRuAYJRdGH0brRndCu0bQDbAHRk9Gm0b7QgtCwRUpG0aHQrdGS0L/RmgFeWtGC0LrQhdG50bpGbBHRk9C/0aHQvtGqWk8G0ITRudGH0brRmhFeA9Gh0L3RkNGl0YwGCUXRh9G60aTQtdGdA2wB0ZPRptGE0LrQv0VKRtGh0KzRotCD0ZgBXlrRgtC70LDRvdG2RmwR0ZPQvtGY0L7RolpPBtCE0bjRvtGE0aIRXgPRodC80azRmNGBBglF0YfRu9Gj0JLRqANsAdGT0ZrRpdC20KNFSkbRodCR0bTQvNGQAV5a0YLQhtC10bPRuEZsEdGT0IPRkNC40aJaTwbQhNGF0bbRv9GeEV4D0aHQgdGi0aPRjwYJRdGH0YbRkNCT0aIDbAHRk9Ga0bPQhNCwRUpG0aHQkdGi0IHRmgFeWtGC0IbQtdGH0YRGbBHRk9CD0ZDQgtGdWk8G0ITRhdG20YbRmBFeA9Gh0IHRotGa0Y8GCUXRh9GG0ZLQrdGpA2wB0ZPRmtG20L3Qv0VKRtGh0JHRp9C60ZABXlrRgtCG0L3RvNGKRmwR0ZPQg9Ge0LHRrVpPBtCE0YXRuNG/0YYRXgPRodCB0azRm9G+BglF0YfRhtGe0JzRqANsAdGT0ZrRg9Ci0LxFSkbRodCR0ZLQp9GiAV5a0YLQhtCF0bfRg0ZsEdGT0IPRoNC20ZNaTwbQhNGF0YbRutGaEV4D0aHQgdGS0ZvRvwYJRdGH0YbRoNCQ0ZMDbAHRk9Gb0bfQsNCKRUpG0aHQkNGm0LzRngFeWtGC0IfQv9G60YlGbBHRk9CC0ZrQg9GnWk8G0ITRhNG60aLRqBFeA9Gh0IDRrtGi0bMGCUXRh9GH0ZzQrtGsA2wB0ZPRm9G/0ILQo0VKRtGh0JDRrdC00aABXlrRgtCH0ITRodGyRmwR0ZPQgtGk0LjRp1pPBtCE0YTRg9G80ZkRXgPRodCA0ZXRoNG6BglF0YfRh9Gn0KnRogNsAdGT0ZvRhNC60L9FSkbRodCQ0ZvQudGZAV5a0YLQgNCw0YfRtkZsEdGT0ITRldC/0aJaTwbQhNGC0bjRsNGYEV4D0aHQhdGn0aXRswYJRdGH0YjRntCv0aIDbAHRk9GW0bXQsdCHRUpG0aHQndGl0LHRnQFeWtGC0IvQvNG10bhGbBHRkNCn0ZzQv9G0Wk8G0IfRodGE0b7RkBFeA9Gi0LPRo9G+0YMGCUXRhNG00ZHQqNGsA2wB0ZDRqNGx0ITQu0VKRtGi0KPRq9C90aEBXlrRgdC00LzRutG2RmwR0ZDQsdGa0LbRklpPBtCH0bfRvNG80ZkRXgPRotCz0ajRptG1BglF0YTRtNGa0JLRtANsAdGQ0ajRuNC/0KNFSkbRotCj0anQv9GdAV5a0YHQtNC50bjRtkZsEdGQ0LHRndCw0axaTwbQh9G30bvRutGaEV4D0aLQs9Gt0ajRggYJRdGE0bTRoNCo0bQDbAHRkNGo0YHQvtC7RUpG0aLQo9GV0LvRkAFeWtGB0LHQtdGF0YZGbBHRkNC00ZTQt9G0Wk8G0IfRstG80b/RkBFeA9Gi0LbRqNGZ0YEGCUXRhNGx0ZrQkdGqA2wB0ZDRrdG/0LjQo0VKRtGi0KbRrtC80ZUBXlrRgdCx0LnRutG4RmwR0ZDQtNGc0LzRqVpPBtCH0bLRu9Gi0aERXgPRotC20a3RrdGDBglF0YTRsdGf0KjRrANsAdGQ0a3Rg9C60IVFSkbRotCm0ZLQgdGGAV5a0YHQsdCF0YXRiUZsEdGQ0LTRodC40Z1aTwbQh9Gy0YfRhtGsEV4D0aLQttGX0ajRggYJRdGE0bHRpdCu0awDbAHRkNGt0YTQotCKRUpG0aLQq9Gt0LHRlgFeWtGB0LzQh9GE0b1GbBHRkNC50aXQu9GrWk8G0IfRv9GD0YzRlRFeA9Gi0L3Ro9Gm0Y0GCUXRhNG60ZHQkdGsA2wB0ZDRptGx0LTQhUVKRtGi0K3RqNCn0Z4BXlrRgdC60LnRt9GHRmwR0ZDQv9Gc0LPRmlpPBtCH0bnRutGx0ZoRXgPRotC90a7RpNGlBglF0YTRutGd0KnRogNsAdGQ0abRvtC50LVFSkbRotCt0a3Qv9GgAV5a0YHQutCF0aHRvEZsEdGQ0L/RoNCy0aJaTwbQh9G50YHRvtGQEV4D0aLQvdGV0aXRvQYJRdGE0brRp9Ct0agDbAHRkNGY0aXQjNC1RUpG0aLQk9Gi0LPRkAFeWtGB0ITQtdG60YdGbBHRkNCB0ZDQgdGiWk8G0IfRh9G20YfRoBFeA9Gi0IPRp9Gp0bMGCUXRhNGE0ZXQrtGQA2wB0ZDRmNG70L7Qu0VKRtGi0JPRqtCG0YYBXlrRgdCE0LvRu9G3RmwR0ZDQgdGe0IbRqlpPBtCH0YfRhdG10ZARXgPRotCD0ZHRpdGzBglF0YTRhNGj0KzRogNsAdGQ0ZjRgNCF0L1FSkbRotCT0Z7Qv9GcAV5a0YHQhNCJ0bnRg0ZsEdGQ0ILRnNCz0a9aTwbQh9GE0bnRtNGaEV4D0aLQgNGt0aDRugYJRdGE0YfRn9Cr0agDbAHRkNGb0YPQvtC1RUpG0aLQkNGS0LzRlQFeWtGB0IfQhdG50bxGbBHRkNCC0aLQgdG0Wk8G0IfRhNGC0b/RrxFeA9Gi0I/RrNGa0YwGCUXRhNGK0aLQndGvA2wB0ZDRl9Gw0LTQhUVKRtGi0JzRodCD0ZgBXlrRgdCL0LPRvdG4RmwR0ZHQsNGY0IHRqlpPBtCG0bXRttG30ZARXgPRo9Cx0afRmdGPBglF0YXRt9Ge0KfRogNsAdGR0avRvdCE0IZFSkbRo9Cn0aLQhtGQAV5a0YDQsNC30bnRg0ZsEdGR0LXRldC+0Z5aTwbQhtGz0bjRttGQEV4D0aPQt9Gs0aTRswYJRdGF0bPRr9CR0aoDbAHRkdGk0b3QttC1RUpG0aPQrtGq0LbRowFeWtGA0LnQu9GA0aBGbBHRkdC/0ZrQttGSWk8G0IbRh9G40bDRkBFeA9Gj0ILRtNGk0bMGCUXRhdGF0Z/QtdGXA2wB0ZHRmdGN0LDQvUVKRtGj0JTRp9C80awBXlrRgNCD0LvRh9G2RmwR0ZbQp9GT0L7RnVpPBtCB0aHRsdG80ZoRXgPRpNCl0anRvtG8BglF0YLRotGb0J/RrgNsAdGW0b7RvtC00L5FSkbRpNC10ZLQvdGQAV5a0YfQotCN0bLRhkZsEdGW0KfRqNC50aJaTwbQgdG30bfRotGeEV4D0aTQs9Gr0aXRvQYJRdGC0bTRmtCm0akDbAHRltGo0bjQiNCNRUpG0aTQo9Gv0LHRogFeWtGH0LTQuNG60aBGbBHRltCx0aDQs9GmWk8G0IHRt9GG0bXRkBFeA9Gk0LbRktGk0aUGCUXRgtGx0aDQr9GiA2wB0ZbRoNG40LzQukVKRtGk0KjRotC80ZMBXlrRh9C/0LvRvtGyRmwR0ZbQutGe0IPRolpPBtCB0bnRvNGH0aERXgPRpNC90a/RrNGzBglF0YLRutGg0KLRkwNsAdGW0abRg9C40LVFSkbRpNCt0ZDQu9GQAV5a0YfQhNC10aPRhkZsEdGW0IHRkNC00aJaTwbQgdGH0bbRudGaEV4D0aTQg9Gi0aXRggYJRdGC0YTRkNCu0ZQDbAHRltGY0bbQo9C3RUpG0aTQk9Gn0LzRmgFeWtGH0ITQu9Gz0bhGbBHRltCB0Z7QvtGQWk8G0IHRh9G40YXRohFeA9Gk0IPRkdGi0YEGCUXRgtGK0aDQptGSA2wB0ZfRvtG/0KLQv0VKRtGl0LXRrtCn0a8BXlrRhtC00LTRt9GGRmwR0ZfQsdGT0LbRr1pPBtCA0bfRstGy0YYRXgPRpdCz0avRpdGFBglF0YPRtNGa0KbRkgNsAdGX0ajRuNCi0LFFSkbRpdCj0anQsdGiAV5a0YbQtNC40brRtkZsEdGX0LHRndC+0adaTwbQgNG30YbRttGGEV4D0aXQs9GR0ZnRswYJRdGD0bbRhtCS0ZADbAHRl9Gq0bPQv9C1RUpG0aXQodGq0LrRhgFeWtGG0LbQvdG80YlGbBHRl9C00ZTQuNG0Wk8G0IDRstGx0bHRoBFeA9Gl0LbRq9Gj0aUGCUXRg9Gx0ZvQptGvA2wB0ZfRrdGD0L/Qo0VKRtGl0KvRpNCx0ZoBXlrRhtC80IfRh9G4RmwR0ZfQutGG0LLRolpPBtCA0bvRttGE0ZARXgPRpdC90abRrtGzBglF0YPRutGa0KbRqwNsAdGX0abRuNC/0KNFSkbRpdCt0anQvdGhAV5a0YbQutC+0bnRskZsEdGX0L/Rn9C20ZJaTwbQgNG50YTRotGSEV4D0aXQvdGV0a3RiwYJRdGD0YTRhtCu0aIDbAHRl9GY0bbQhdCHRUpG0aXQkdGs0IDRrAFeWtGG0IfQsdG/0b9GbBHRl9CC0ZnQuNGsWk8G0IDRhNGE0b7RnhFeA9Gm0KXRqdGg0boGCUXRgNG20YbQqNGeA2wB0ZTRrdG00LTQhUVKRtGm0KbRr9CD0aABXlrRhdC80LbRt9G7RmwR0ZTQgtGa0L3RklpPBtCD0YvRuNG30Z4RXgPRptCP0azRpNGABglF0YHRotGi0KnRrANsAdGV0ajRutC+0LVFSkbRp9Cj0avQu9GYAV5a0YTQtNCF0bzRoEZsEdGV0LHRodCl0aBaTwbQgtG30YfRutGcEV4D0afQs9GT0ZrRvQYJRdGB0bTRqNCp0aIDbAHRldGt0brQudCjRUpG0afQptGp0IDRhgFeWtGE0LHQudG60bhGbBHRldC00aDQsdGiWk8G0ILRstGG0bbRmBFeA9Gn0LbRktGr0bMGCUXRgdGx0aDQptGmA2wB0ZXRrdGD0LHQskVKRtGn0KbRktC00Z8BXlrRhNCx0ITRhdGKRmwR0ZXQudGZ0ILRnlpPBtCC0b/Rh9G/0Z4RXgPRp9C70ZPRmtG9BglF0YHRutGR0LXRkANsAdGV0abRsdCx0LhFSkbRp9Ct0ZLQvNGGAV5a0YTQutCF0brRtkZsEdGV0L/RoNC+0adaTwbQgtGE0bTRtNGaEV4D0afQgNGm0a3RggYJRdGB0YfRlNCu0awDbAHRldGb0bXQtNC/RUpG0afQkNGk0LnRmQFeWtGE0IfQh9G90bZGbBHRldCC0aLQvtGsWk8G0ILRhNGE0YbRrxFeA9Go0KXRk9Ga0Y8GCUXRjtG00Z/QqdGiA2wB0ZrRqNGD0LrQuEVKRtGo0KPRkNCD0ZsBXlrRi9C00IDRhdG2RmwR0ZrQsdGl0IHRqlpPBtCN0bXRttGE0aYRXgPRqNC20avRo9GzBglF0Y7RsdGb0KjRtANsAdGa0a3RvNCi0IdFSkbRqNCm0ZLQudGkAV5a0YvQsdCF0bnRu0ZsEdGa0LTRodCB0apaTwbQjdGy0YLRsdGgEV4D0ajQu9Ga0aLRswYJRdGO0b7RhtCT0aIDbAHRmtGi0bPQv9C1RUpG0ajQqdGs0LXRkAFeWtGL0L7Qu9G80bZGbBHRmtC70aPQg9GiWk8G0I3RvNG20bnRkxFeA9Go0LjRnNGd0bMGCUXRjtG40ZDQkdGiA2wB0ZrRptG50LHQhUVKRtGo0K3RqdC/0ZwBXlrRi9C60IXRhdG+RmwR0ZrQv9Gk0LbRklpPBtCN0YXRttG90Z0RXgPRqNCB0aLRpNG8BglF0Y7RhtGQ0K7RqgNsAdGa0ZrRvdCE0LlFSkbRqNCR0ZLQsdGkAV5a0YvQhtCG0b3RtkZsEdGa0IPRo9CD0a5aTwbQjdGE0bfRvtGQEV4D0ajQgNGp0a3RgwYJRdGO0YfRnNCu0awDbAHRmtGb0YPQvNC4RUpG0anQtdGQ0LvRkAFeWtGK0LTQhNGF0b5GbBHRm9Cx0aHQgdGdWk8G0IzRstGy0YTRnhFeA9Gp0LvRktGg0boGCUXRj9G60ZTQrtGdA2wB0ZvRptG60LnQu0VKRtGp0K3RktCx0ZcBXlrRjdCw0LPRv9G7RmwR0ZzQutGG0LPRr1pPBtCL0YfRvtGF0aIRXgPRr9Cn0ZXRotG9BglF0YnRoNGn0K7RnQNsAdGd0arRu9CN0LBFSkbRr9Cg0azQtdGYAV5a0YzQvtC70YbRikZsEdGd0LvRoNCz0aVaTwbQitG70bbRhtGeEV4D0a/QvtGh0abRuAYJRdGJ0YXRndCr0asDbAHTotGo0bTQsNC1RUpG05DQp9Gq0LzRrwFeWtOz0ITQtdGF0b5GbBHTotCB0aPQvtGQWj4=";
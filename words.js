@@ -0,0 +1,125 @@
+// words.js
+// Word lists from the generated word files (words/<code>.js; formats in wordcodec.js). Shared by
+// app.js and the optional leaderboard server (server/), which needs the same official daily word.
+// Each language is its own file, imported the first time it's needed.
+import { dailyWord } from './engine.js';
+import { WORD_FILES } from './version.js';
+import { bloomFilter, decryptAnswer, decryptWords, guessListId } from './wordcodec.js';
+
+export const DEFAULT_LENGTH = 5;
+
+const modules = {}; // lang -> Promise of the word file's exports (null if it failed to load)
+const loaded = {};  // lang -> exports, once loaded
+const pools = {};   // lang -> { [len]: decrypted solution list }
+const langData = {};
+const days = new Map(); // 'en5:656' -> Promise of the official word
+const guessLists = new Map(); // 'en5' -> Promise of the allowed guesses
+
+// Word lengths with solutions for `lang`, known before its file is loaded.
+export function languageLengths(lang) {
+  return WORD_FILES[lang] ? WORD_FILES[lang].lengths : [];
+}
+
+// The hash makes every published version of a list its own URL (cached by the service worker).
+export function wordFileUrl(lang) {
+  return new URL(`./words/${lang}.js?v=${WORD_FILES[lang].hash}`, import.meta.url).href;
+}
+
+export function isLanguageLoaded(lang) {
+  return !!loaded[lang];
+}
+
+// Solution lists of every length in a word file, decrypted up front so dataFor stays synchronous.
+async function decryptPools(lang, file) {
+  const out = {};
+  for (const name of Object.keys(file)) {
+    const m = /^words(\d+)$/.exec(name);
+    if (m) out[m[1]] = await decryptWords(file[name], lang + m[1]);
+  }
+  return out;
+}
+
+// Resolves to true once dataFor(lang, ...) has the language's words, false if its file
+// couldn't be loaded (e.g. offline and never cached) or decrypted; a later call tries again.
+export function loadLanguage(lang) {
+  if (!WORD_FILES[lang]) return Promise.resolve(false);
+  if (!modules[lang]) {
+    modules[lang] = import(wordFileUrl(lang))
+      .then(async file => {
+        pools[lang] = await decryptPools(lang, file);
+        loaded[lang] = file;
+        return true;
+      })
+      .catch(e => {
+        console.error(`Failed to load the ${lang} word list`, e);
+        delete modules[lang];
+        return false;
+      });
+  }
+  return modules[lang];
+}
+
+// Exports are suffixed with the word length (words5, allowed5, answers5). Until the language is
+// loaded this is empty (and not cached); the allowed filter is set up the first time it's used.
+export function dataFor(lang, len) {
+  const id = lang + len;
+  if (!langData[id]) {
+    const file = loaded[lang];
+    const data = {
+      words: (file && pools[lang][len]) || [],
+      allowed: bloomFilter(file && file['allowed' + len]),
+      answers: (file && file['answers' + len]) || null
+    };
+    if (!file) return data;
+    langData[id] = data;
+  }
+  return langData[id];
+}
+
+// The hash makes every published version of a list its own URL (cached by the service worker).
+function guessFileUrl(lang) {
+  return new URL(`./words/guesses/${lang}.js?v=${WORD_FILES[lang].guesses}`, import.meta.url).href;
+}
+
+// Every allowed guess of one length, for the post-game analysis: the game itself only needs the
+// Bloom filter, so the listable copy is a file of its own, loaded and decrypted on first use.
+// Resolves to [] if the language has no guess list or it can't be loaded (a later call tries again).
+export function guessList(lang, len) {
+  const id = lang + len;
+  if (!WORD_FILES[lang] || !WORD_FILES[lang].guesses) return Promise.resolve([]);
+  if (!guessLists.has(id)) {
+    guessLists.set(id, import(guessFileUrl(lang))
+      .then(file => decryptWords(file['guesses' + len], guessListId(lang, len)))
+      .catch(e => {
+        console.error(`Failed to load the ${lang} guess list`, e);
+        guessLists.delete(id);
+        return [];
+      }));
+  }
+  return guessLists.get(id);
+}
+
+// Official word for a day: the build-time schedule when it covers the day, otherwise
+// the legacy formula (days before the schedule existed, or past its end). Scheduled days
+// are decrypted on first use (a deliberate, slow key derivation), so this is async.
+// Resolves to '' if the word list can't produce the word.
+export function officialWord(lang, dayNumber, len = DEFAULT_LENGTH) {
+  const key = `${lang}${len}:${dayNumber}`;
+  if (!days.has(key)) {
+    // The classic length hashes the bare code so its past puzzles stay the same.
+    const seedId = len === DEFAULT_LENGTH ? lang : lang + len;
+    days.set(key, loadLanguage(lang)
+      .then(ok => {
+        if (!ok) throw new Error(`No ${lang} word list`);
+        const data = dataFor(lang, len);
+        return decryptAnswer(data.answers, lang + len, dayNumber)
+          .then(word => (word === null ? dailyWord(data.words, null, seedId, dayNumber) : word));
+      })
+      .catch(e => {
+        console.error('Failed to get the daily word', e);
+        days.delete(key);
+        return '';
+      }));
+  }
+  return days.get(key);
+}
@@ -0,0 +1,13 @@
+// Auto-generated by raw_words/build-bundle.mjs; do not edit by hand.
+export const words4 = {"count":63,"iterations":50000,"data":"XVMSGju7xNKo4gHn660XNt703qPGrlxs1OtYApSIWcYL3xU0hQDP6OkP8BdfkJyjlU+IQ+aYTBayb24j6JAOFXrwlulSdLLG1FLvo61U4DqVY1ymqfbT6nqSUgsei6kOMSPRzB8RIIQ0tMdsXYeBfDalMSw/rYcOvctgUnStXzHYkcUJkbKqA4WwzZ67GGtN8Q6rdvIjibwdhy5aNzHpEQ5zoKe3hIr1kmqd58pwATaTGdtHFDQ25HbakkeaWnNlUFYWVd8NTQ/t26iTFJgKoM55PUAd00rhPILYabwPwtWJxdaWLmAZdlHk+bOXRZwBZ+KauUrFN2LE49XLjyXelcxUBr7whZfw24st4npc45LGfJSdiZG0ySxWHU/Bv194HlsyC50pqTNp3wroCU2pVKjq3CG8RE+QPC2wztYopLVOYYzbLBkgZDF2ohe2Biw9JTqccbsxNI+Qlls9Jc30oBLFoR1ROO1Jqf9ynliijj7/LF8xuumty5xOms6DRzG9La9r7U+gbmcXdjD4rnEfXBxocwkPr9fT4imoxm3e8a82k9v7topcL3lKJdWReJYighyTKNp5j0FHozQbH3k0OKhCzdVGkkUglqDiujpMopIMMXaDWxc6wbL+VXFonjpiCePA73UxPNj9lIjvATPVctoZ/SqJwbPT+pUw82NatjleIKuEH0+pD9x7D4jFL69EU4QLdw=="};
+export const allowed4 = {"count":2855,"hashes":13,"bits":"NmGgbFLKkyn79ks/rUnaaY96EFGE++SSPP7jT6MUzaOqEyZsE3qIcRLHbsn6q+bhiyeoDpi1i7MULpatQoYSZfWO2Lo4ZZeDqZeJ87p1i8j96x9E/r8HpSnU4QK26uazEgK4+MbH3uGQIAGIOQAtazFt8einj+LkpRvaAnx+JvYMFPF3wS/aTTOlm8j9x4SDZGdsODkQaWo0mzmUMhQifCaXs40/sWB1A+Xfg2UzAFNwwWtQiOCatAo5KVCSjZjopAmoIFJ3KHtnpqfFGPqHgdON79GZAV6uFsUe1y3bvyzuItOTjeJ8JQ42bYWpPuMLPolq7osdyf6HM300yDT7oK3llq+d1m/8GAUlGMDq0QEWLHGSVxQIIXzuVvpGAYXiXJpgwytjf4Zjxc/2tCPBehQrHHAoyhHPyW3Y7jtHdYOlEWqtuwjbIqCrh0uJD60mJZdnl1jgL3S3UX6AddALv5ijaRbheiWxUwXOSnzHcB9G2KaPXVLAMe9q4fnjjxKpdZ64ndtHiIC6HRgwsXIcBlR+DbzHc4TiKW6Q50U8lHHuXhhkpRSl8PTs15emSVNQ5RtJM1GbMdpzvKbA6sIyvx/bqDlYgUPtQwi27Rm5sLyEB3aRLHbJlrmIR8QsMvP79/41Q8YZgwVT+qyfBS1FIlse5qR0yQr45Vhwn6xOPIJo6LTK7bPt3EWyO2vTR4popWDbiixlQWGaiW8NydCjaDMoQiNjvCNgel/I+W65AYOPCug/lpE05gR21kJ8WVyIWZ6U7oKvraWcJWZXvyPdHfmU/vWZDLLFzI2t2DMIJreGDEc6+qgA1cU4EXm3e62S8D3UwVr8jn8lkA/PkxdpyDOoDg6a1xXOdGa6EhMETG6kyoAH0U/GeSBre1fOyJ6WTrDxl68uxxuouJDYqxw6jKILuFl5OUK/ALW1AL8LZpZDuDXU4L4ulhaErgGdsBLsrqvnZMbn/FFeWBK7FHbDq7wIjZ1OWkl4YS+AiVoi2p8QGGlDZRubOi2F1cxe0T3NLjXNaLjdtY7GIFXSgb7sGYcrELuMPm61shMoidT1sROIo+kMrb1yxkmX7wNGWtgfiQsvYvSYf2he4IJYPe5vPtvwHRUHpwzM/XjZ21CfuafXYfxNU+4UKjEdNHXKrHVlGmgXiZ0njYTMXDnBGXqPVfdVDBWQ7Z1yBcHlFJ1FccwD3+BX6n1jGAkpRrcd11lBheCGUxlmXTvGw5RgWAw0oh0ZClL4mvArOktBOOAkILyQxpE9NbFtXXXJOIAZAQg5wmUQmMX/cAWfrX8g+nwkDREr8Bj4AamiZFHh2Iv4A9yBOGkINNp8FSDyeawrDN+CxITW4xAzLYaIkDK43M7HskLj7KC2nZeRDYjzZwT8hB8eoa+Wjap+iRjEucAcfwv9R9EK1HnMHRinT2v/QpKqva/yTg69UFMUlRk/vXNt2bTo26GbK/aolA55yKPdnhJZ+2y+JrMFc9YtQ7uXD4n9f6EIiqxw7sQHFwTPJblN7nF7NR50CiwRJo+UisH4LArL2/7y/0g7SpDGrBP7C+ZKGbvHQANHSSnKhKEW2+zjv2z/t0r4NjhQTY3x3PE1q61tWkatP572ifnvXo4mPTwmFbqutRgFw+jsUypasHvKHUcJ/kqWvEeCWxMLcQ5JYIURNIeCZsfOkx7lD+SmIG07mAGePaPGWhaROLY9wn6ecVXgtvM35CpfOjJ5xH8SIvNquIrkrBzi4meDpcF9rDjTIYsUN5JwYtqYu7wehzmwn+F2VMcly5jKt8lhiFnSMxPwBosL9QSwiPcVfHxEMjmqBTHstxjpBIZAfqDniMScjt8Zh4IS5QvM/DumIMtEr94Ky45TvIjRp+VGPGKm8qMwQzFjWTA2MyGPuJTqhXGBzExthB42TstlEr3Jta1+Q4ABgsU0+yhw6/w0xjxXoUnQZfUni0lBGShLsK3KixyhfpdjhXkjXRcak4tOfcTT9NvghrbkIJ8EhIj45eXWk7sW61OTlrh7oN4EEAnFBUejiMwXJAV/B7RmXM8rBeg4BX+SEiuF65yrf/RDTpVOvI67wQ79BnqYg96Y24UHd/Pdj8UUOAjkT5L/T5iAkEoE48yTlih3Hf/0NIaLjzUo6jb4T/Qk9ZDRerhdU4ag2A8uOWF4auaN6c4WbpkbCY5pxpeMAlpRu+4urQQMIwcFJHCLI53iUNP4UcwRooLKsW2Rioc9O51DM5EMFP/ifcLaqYCAH+mDtcbOlKH4Q4OqPLdIQa4espEhVlF13es4YqZ27IpYZ0OSZKg1OJFBCLgXgkCg+3D4QN4fiqAjNpSapsKSNNC0jwa61qGIby3beEgfZtZnxnpJD55p27UeCNaaCb0juyjSHNVQ7BoZnrxSE8wTRmHEltOzaNcKGa2MXdQkYGVtx4dwPh0da1eDQRIXYwENQED32pmtL7OTuhSB6k/0o0mX+LoHA0wiXRI4Y3Zmg+C2QzdZAVAnTvKgoFu7OcX27QRhT3hClQueWQ7mKzJXIQLjzW/3KuvB7M4nh3Dad40ewJYMQ+tz2pH4oIGRoH+YOWIC81w8af/cSG4V+KKS/UkAbllhE+fjmjY5bMyNAgxD+xKgWJNF2nFJo2oNWkWckLTBUlh/xcocARSY98Obn4MyXxHoKbCTRLNr+asUMa0852h1viA390x9NDtIiVsVSIOxsshAma8U5lBFF8BTI53r7EjQla5AYrPdGMiJTGPKORLlzWKJEklutr9TDgWG8nSKe/BliDAB8TijrAeSJhEjxEZ7jC7b8ya6SKAslIfyhWq2Rzd9XpNB4wps8Jl3ya9yUmR2OBznhLAPKCJrnUev/KebLiI5r5MdqJs2QeW8eUOM7mKIb4BS9akQj2xSpc2B+Ma3jKFbuj3Nieo/CkAnJQKBKF0vfQCPING9SchXr9KsnGnmkVBOAv8i5FlAqwLiSQyuG3GXsBscM7bqHOoxJaRcFoesN1+NbKYgCN4ZzuGfScjQ79JAhRH78AbPRRNozUvDce4+ZexjOcd4kAyD3NMSI8nRKKyoQ0E1Ljwo1QGSR86NmFHKuksoZSFUzKcTGkSYPB99nsWSj3YXEfbAoio2Gj0iXmxgDvdmCyHOijw70pM+poSNoXc6YXCxypK4u5ttkMcU1yvwR55pObZGC8g1N+fGOCNBWQOH/+4GwfZFtDkaM0idKSoxF/xqvh7wS8JBEyeOGFsJddBlwqf0RVNt95c0KezVrYKgMg0qGIqShjrFaN8dZhSBgPWCnIsAl5Y4Wwk11mkU4Z1+QjqWRC+WdAClPt0r+TVCoLChv0Nj9a1eaJM5HrArMHN81tq1DgsBoO57U7vm21PDpthTynbvHMyiFC5CT/gDoWNW61tIHgLUcrgdZzehfYF/bhaEmGGMAbLpYGu9jeCesoKISEG5FhohhCAx9Myl5R8TMXiKl5GfkusK9mmb77PKbAeC7mJCP/R1m5gnTHGc4m8MkqAIi9SUI7wd0b3YisCitbIelsMrIe025YEP2THqQk6Ie/loAaNv2YTMoUmKpxm2aWbwnnYvE3lp8gd7HagjYbiKGVSG1gFrEuLLhB1H2wlqMMwiqRKQAzNIjFdAmZEHxkZFK6tkWdycFlBT6pMBNwjpdayHQX9zDjaVCrJx2imCZpLjTs1sIIk/91qbAm320MmubdYA2E2I5O73QjpqrBH2D4mQgWkJMYUkgFcI8Ho1roE4AH3f55DHj72C5HrysAcyDPHC/D5DeSiZYsGK6uGCScVE+OTGaepZ1c8rs3kWQBQlv1uFx2pcaHep7ASpu1Y9InSH7h47hCMZntvqPwCnA5sBnbRdE62gaYwzeip8YIsjtwAaJQSMSTEACqGSMOPojYbwP00ASguwXtDogwikWof5TXDxBjB595a4Ahmr1lLhvpBOltnxU2Evt5l7pUSsMNns+VPnFqpeEyVwmS7MITSPxtBtpfHhaQ9oyNEXOean18h5Q2apS0zIrv/p8nTZ2ClekM+ssJ2KlzHm200bOAhV7oHVHmaohoApfiF5+JSQ7j8y1a1IuVDEp+Cx7aknitgaYjAtCj+BQ0D6k1fHPo7HmkCU8zDk/oPoDkjBZSOhvdM8nKBxEYbZZ1i1mrAFxwojmJBGoVTi5A5EvbAJNlEeIfS71B2gPTHSphARYdwqwYVsmg00nbQzY+jYAgmYkPx8D/noRWejoxem4u5sUXnfSItDS8BpAUAsCgciXg2z+pHI9mM+/YuPe7C2iJFBzmERh1d8pJh5GCCcYFosUAOnROlRWGubN0uYY8F/xSIaA2/37xn3InI6KMNi8tS+XAaIjYLgBipanLWrc0POuxKfcga1EY8vFydPzuAsiNAD3B9asLaL3mw6fAL7Bas67U1nxCcuZZMCHAI5/erT3NxrZY/jNq0Kc5p+wkoINRKx8ItVQp9Wbek7L4m9P/gqwiDo8ENoKIcaExDr7oM/D237AZDCcz/BlaIYrxAXhK4kApJVUMOeAaix/eDSROOfE6Iy15ujQFLRL/EPATip9nJ+9R+hGR/tp92hHUQi6u7TmJO54Bp82uhHMljXy22JQZXe/efAVcgvbkA8i/e15INhPHqTmmRZuhPCh7+hMBFeshk94vLFC9d9YMs8lm5iqfSyBNCBBuqA/sL+uKAyjnI8gPiuyOQSDyiC+dzTtQY840wXnDxB/3UZMwj7TfzVxTgdPYGL/YXdIwAwm4OizOAULqLfyHwsHdgnfnk5uXqV9/c1dcp7DtyGK6x1dmjber0rJVll5B4GB1XeWQyiSNm6gAYk89K2Xwy9O6Qvm3dglEw7KRFsyOOs092YzUb6tJJYSRceDH6A8lTdrd08RpOAs8uGuTe0mC9KpNb0v30eggPqydplDBMnOrwvk/fELLADFz44FCHG0EE5EMApBVNJH/uMEMSHpaUVslCZQea4DN9VwO+YIRTO3A48EJCPOFJJsxAAFfK5ObrKqEfCn/P1KYCv7QipF4qS11084f6MpFMazg30vMDsc6s71LLlsZ/uryPpFEMW0Xkkp6AEl55JIB+aXWVBZ4LhQj4Zv1beQmaPr/SolwqFBJlhhZ0kUYi2CF4YEQdOnBEdVWCRS2qjp+OjGBna958RilWjAcFdwyqx9bhFFv9bvutwgmm6nWwFvjW9CU5uWbP/7Di07oWFF4vnXt5BuZ8PFOq8ca3sbaAvQfgj/gMO30UX9z83qN2TFUI5ZxctTcGAS3ekeIEEBDS5YC0J9orVue+QE2YZwaUe9BOZoaAHUbmy6ptjSRdWfJkK0vWiao3KuZQnB7GXz+Men4tk540Qnf3KF/WORwvb1goL474AMoLkIokfXS5I+GoI0vz0Gu97OtOogUYYGiXt42y4+GfiWZG/lQdwz1W0qjnyw5JRiDJFjpWqKlkRZahGoal7HHSZ0yJFAVdsYaDUbRAC63k+K9XiVMn9ukRRUbSZTrPYAVeVDR+8aO5Hi1NrVs91z//kdc56K+ppHEA1KjhIERVDPNxcQ2gMCoN0NGcx8HXaDAWbsOikpn0ADBnKrbo4Bytn05E9mN4yjygVdAzFktSQ5CbKXgiRsnkMU4Zk1OIHAMLuyKxJNOE6g0IN1sgLy42glGeOmBKGFVcBsiHSIKEBK4Kw9Ca17XkAdZk6GiYMdpSya4GH55qAhdrnkK7qEPBhFfNrPxWnvFIXknqTEhSVALfYVCu6fLfkmMmPqNSPGDFL3X4MFlI4kM+nh624GbeEHsbZX9bGGOD7OO6QdrwKev23nfQopfSicQGb6qMczHFcv9b2kpGswEuWK/NkkYOXxYMjRw9qbDiXFxYYHXv3JjmIWAztToI4sKHoDNhjDUGC//l48XOXgYnJCgK2Nb5M0A06jeCIbYniiWOcB1Z7ldMYHnaDC2sJknRLAklFb80hBMhi1xmJqzRA+xARn7wix/I2UDkih+iSsctqlGOL+Oe9PJwN+ruwiOgMA84bUnCIZW7DTMwrk4aFqNWYkIEO45SJky1KJJYUU+SsQzKUTkOpIhxmh7gD4zPM/7AB8xddxC9fy0zLoikS55fhtFMOPK5Rc3q42kSopSqg1J3CoYLtI0VpkCT7FHhpsMYmrq85kpkj2pTaSdTvExMQGDq8pFybVNIXFSevBY4001muJglhlcQNBy8k+pRyNlYFd2o07yT1uBLz+KLpPR+cTe66amqb/giDEojICp3ogTKj9dS2VcgT0AWSrkaO5B0XiwauEOGXDNdfwWMpINHqhrkGGccqfRMA1JSMHFx1SjzoBEcV+zbBuVCcTFMKkJCFJi0uSjCgVwVB17SV+7MsxeMY6qkpD0fiOyDb5GTJGJqnNAzfNgSQkYEhYMVNIv5BMY108zgAblORvjeXzu9gnQRCit6vL0LZh/mSai8DHbSfpUQu5RGPgJd1uysDpgEy6isNbkCnasxC1qXP6TEZlFEth7YSHgjHQFqYuAFSdW9dOnYs+Av3902+jVmXd4VavPHUB+nEbxIMeM2LuVpwaq05jhmuULRXwX9NvQJQGm0UUuEBM2aqQ+HRmR330CasitzOI3ey2snQVENvRA4eXKAT0Tj4pccWHnNlMvDaRq+T4YQUOQyg9p5yxxc44rtljYRA3Q9LVCCQ9p3PsHOwJuH0Dual5eGymYVF8mngIXZRiJjfxUkeiW4LToaKCwXjPMJDXdN81+tc8gsCwmtR/0E18HKajrdEKOqa/WcRpXUtEFbMwpEzlg/YsZ5P6dNaWZErRC7byDJfh2SJZwF89KT5YFGOSBOPAnNQlBhE+UwXUA36YYf9QQmSLBa8SekR+EUMflBnqfqkSFlMQDBzf0y4gCcAXdw13FGeQAgHU56F0vc2588UnY/CkI/JkcnHhEqhMNHzYctE1cmEgI6LuP1q2IBgZYSbbxkshsCMop55Iwww45qRsfa/45F9wwN484R5HVTzM93zCMdA3IZN1MxU8TQvAckPCH7Y4eyUh4y3mgwRGR5jqUCW05kEr6WSI/GfbQF/9j4Kgl/n9fhPENdO50u9zjE9oTrA+TdoPplHi1GqNoLzL5fv8gg1+arDe6MvpZsvAisvC57C9sMhRtno4viXYsEmXJIkq7HyfCdhh3n0X1uzoO7XjuinBIpBtC+pDXgD4jF+5ickpKfZZzckBBhatCJf6jCkDR1fzEpRA/1vFcz8CyTNhljATWeazoXCqygYvMOR6KlUumEADD6UHRXnSGuIzFfIoZK33je8XkfBgjv0j4S3TfpNoO3SOGp1OfnnuEuuGsxQkNC0wgyOGQsLboEBq79g9yEHSRimSacXzPBAcBVz04gpLQ21TVyDEQM2jU/OQVBxP39/CppN45/gMAbsh+O4h8cafPVtydsj1vM8f4VyrDEQ2RRGgsPDJ3IYCntcsXl6hkN4xJDxTnbUm51To51i8pYaZxYvR5hDeuNC6opr6evU+gWYEEPU4b8lNHXBaxHvxcWoGHb7FNNbfzsnWdkFIqA+lAU9GVJGJo9man4WUKyNH0+z+9m3eVi1AQXqGrykZM5FdCYRUZ0v9bGZxk61tsO11+qugnqyL71PRl9ZIMcJOFupYUhOyQuaPcgZPgPY7LtzGnoJy+MwAZgHr0lDxdQY6MV5k6IV3B/EYnQq7kuWhIH7UgDIQi/UrZlPHk/4lKThYrMYcIiPqXEf+uz/kRN8aubM6e1P1UYbKbKpKK/gxdbQPW+ZOezEVgUUeYknIJMgIEj+YR5y2ngYXEmVqZELqBT7AhqgyxIazlkNKK/9D1KDC21xOm1Ca6v4QSEJN8oEgirretiSbir9f8D6uApYLiWuni5SqJ1pth0M9K4tgFUPmjAbIRv05l32Ucoxk7NkCVfFumavqKoB+dVFKZGNgEr2sIKOT8SkKadachqgJdnfi7NRgzK1AeKUtEE3VDjp2gB3EN0bR4CLPQYkUqoOxZ2QVcklNg7e8qwFbgBEgUFIqGYySn6gGGU2lZ9wmKD9Y4gvsBJByeTJbrg7AN4auhZDjlAnww7fEyUCBMqV54kZy7D/t8fElznwlV0HTZ0+z5MlimpbrMLdiSg4W6qpApoL4dNipXAYay7zzuEBAZaa1FwM4gr2F8BgTqZktgWe1wGne6vbSiqHN+hjG9+zU4j4eVZd66vPFmx5/Pes0t46xzHywDOINEVZAIxgWApM3ar3HPA9hPOrUC6PlZn4CT2UR2umgnEVeka+9gB1QBWNbAGapNq2NX24ZP4UyrGQvbw6rwJ0Z4dmoyea1OeMhZmbBUc9HKDEB4cDa92nEULzTdKp7JXB2i3+CLstG34NjwRdn/n4vBmFJG50j2lgJZ6nx8lejQp54amsEPasZ3R1DufE1oPKwNVymOdWMda0jo2Pg88AAdiCTMeS/jgSj6EKTiPJXyGuSVC6nWvtnS2hJQcwoU/7kxyoeI+/a8EfWBeKuQiGljgQJVSVX3ApZt9OQUoQGLkK/bXKhEIDJRXZ+TRt/ID2DHxBbKkxjM8QkIcaJmLl6QbgXm3wGyeAzwkVgZIYyaYtaE8BVRhwyaGQGsEvpwavBw0pepbyQKScoj/hh1bam4GGBGI4o7w5GWhS0PRgURh9GmPPIZx3Eb2ZOIfD3rI2zXHtRpwLkFotYhGVUN9C5TKnc6W5f9cq2fHGMO0Ma6+MGcOmE7v0k2aJtnMNTazZvjgAoEEyF2u2RNCBQcdNa1+hnVgEvVQRImsJPWjm8Phr8iGz8ze7VTQobvEBkyeiNfCts8JTduUqxODCvUmw3luNTcM7xDmzOMZWAuan8OYkf0Ciae3IMKBgQqWwEuE8lcIMdQSfryNFwj1265oa5B1BWBfpiOqeD0SaBrs6ZVzzlZuRYQXTT6x+thAWRXEHlw0RFwjaqqwAvYhg0qdYLmyqBWj8kuIlBm4vYqVbCAJWqlf1OgZPJQQc1j/z7mE9bRmmsUdgqZiK47tm34507IuHGEiuCUZPwXguIc4JRc6NThyan8kmnh66W6JI9uP8DxS7UuSEjbDnhixv40mvzD+XMI11INwb4704snksqn35DD/f6LqyOQjzawSZ27DNI86EkWqpSxbMKUNOBk9DTvNJOjXH8CJo3JYm9B4FTfzoynhtWZ901tuMhiFSTQdgCAcfDYM="};
+export const answers4 = {"start":657,"count":378,"size":24,"iterations":50000,"data":"mulzg6S4IA50Picmp/ryBFUncWMg1kTnxbuVSwGxWBgMHJm/XvOR2v5cTEShMo5Ep/xMQQhq3tp3OStgvoyjPO6OJ1XdDmqwqj3KPaE9iDRoz1zVJtfPTYaIJQKc2THEzWMSjeifgsUhLFYfsBrd7dJZ18EyQ6DJx+0O4nM3CYJ7dPpsjJYfWQOCTvFKKI4rOkQbvUd24+x1Un//1DqnNcaYuAHlCs3EXAhRmUzOPDdYM+k6pzidDJdDZ6ZY8iM/xHVdyv+4cVrsd34g6NIqdLh2cqH8nH0Yc96uMSLJEfhemzQKb34ufDKikJEaNbSM0REsDN5R5sDQqzIjKMJJWW0ZFtg1jhdLiC/pFc4dLNf60ui3rKEl50fpJ4lX9c8WeNlt963Gn7dJ88rTOXi94SVo9MGKYFmMA5p8WmZv/gYR9Y2LJCfOrGJShUFpbHzZgALezLBJ0oxfSDAeQAY9DjJutpMEOS4NKFCVmpy0bwLhDbsLGF5J408jWgkw1YN1On+shl5kHsY5VXLP8CxNSTiMCsbSbo4TBFgJcxcxZUXhUwVHJaawKrbx+D1XEYC7W3MmAXPJmJQ2yxuAPp3iCDhO96xN1c5uaABbo3aI+3uOJivS+vHp7YT39M9oFol7oey+BfWd0E9KcRxfGYgmnRHAxGWfTLfXUQ30K3GqlPSrWBJm5M4OyRwXbIpJc/vHiWH2ZdOAiwiSbMpGSnLyHZ/U85ffKTeInyzcALCpJNeeePmc0N5WwgFDzp9Z/kfK1sLkPdXVeiYwX0270PhGrdYkqXcGpX5da0wuniKZWL+wtOas1s9weHdcndADUEbI7Bb8Fq04APfvoh0b2/kSVanipqVhnSW6yD+iamU2alIUzL/sObANPwDSU6A5evqEMp7KPmYzp8nydVkRdyFHwlHqe8Krsdk9HagPyCWuiYkzoBRTVzvi16LlzsBvGV4qi+tuE2O+AxTg6wKfKnRLy3qvxOwHp//78qCGovuoGldyDROSmKJh6UOwKthEiHxzJKbzSQWeOjEwluqL0Z3ISfqgWra3DN5DCz6/A6urR8LvZCGwTCSZFnW5x0P3mYl0Rj9JSWJTexwDj+xovsnYzu/Pdt3JqtAjzUME3jhuXnvEIR1wfGt1j9aHcRg1nysSYhWmJCxSTCYnpGUQrPaKbsqRy5KunKNLI0stGJhSrw5BlJ68RYC/ICrTY4M3DRYqHPB1oRdeTI9sy+xieNZfrEIYTMTmpmloIoL00tB93Wq9vqABZjHebuCdzQUtHDfDlIux3unm7qkat5Gs3ThFNLEkzJRw+K2NU1EuVhKVCfJOtkcDYucpY3cwai3wMveErAzvtJjA/S470d6hDlDgdwMmqnUxc8CIpQd/ArJDiiVHAzvNG5N2pjuGZIVdB7WjJvhLzZssCyBHAyM1EzjIeggVgdzmPGiWbaTmpaHawQjBIr82/jsFj9iV6HmOmfpMZclfKrkpf5MVAuk9kD/tKWjTOGI2+5EJSvgC76U2rmJd9hNqkyIJ2iqkzT1a0N+HN2dvLco5z23xdS9JdL14hzfJh1xPGHJb6ndvu2EP2KSx2ZQWuRAQxTAUoKNtfWByCQrDJNXC/myYZQZo62AD7zykJFE8ubmuK+5P0Gtkhhs9UjDb+b7PaAXQAq6XLJInqMFcyjL31ZsAPXh+h73Ipf/X2Serk+ysdO+VnOcl51RtNB8eT7UDN43qw/nfI+GzbUIHvn8j/t9nl2YYRvmUTCdBd8Vg0P8nYfes76ga6GArzCfFpUFQD2VsQ9yfhwAu1DjbY2TJVlIWDgDvWdKPR+SgIn7iVkVWxlQQW6ZJePynbBvX7bqzA9crs/f6v5wcIFhWowhcMYg25IoJUgsmUsAUWzz4ILpiJrONi0qs8Qj9l4ctVUr9tetojbSTZtNFwBFimdUQedpsGovSnke5Sd2TlJrP2tbkb7T/wP4kCX6IQVR9x8b3dJMuxKwxJJmRStjKDjEnQiuusbNkpJmli1GAywM+93uNM0yoJhRAJbu7pkgvPnmvZQp8wX0zlmbe0XZFlQg5whIaFeJ2HLNbGM657a9ShOioA/UfWEwbWBhvWSlgGgdhTrYk51FrtABPC0vjHWN6W25Zi1fvI7+2hs2fe/QUSJ9y+kUmp+KdrOyIZAGTJHqivUahxc+aB8HkkASew9JOTWSQlojjJ0KlNoiFMH33fzLCTWnWC8DhiHjvaHE0OBeJA9SbFY4H0wFFXB03qWwZhWtASKJ6hqIkwe6xcdKauFnvWWAzaRwjr3u3B/9p96ZRaOOYrqwrOYC+fWs3G2xjtfGg3NbcBBP7C+sAQk1QvSTzSmUk1PkP5g+v1bndj/3BBr7+2ljQhfZa6f8Z/s4wT30sP+POIceaBX1zm863MrIAYiawqy6lTVWEa4sAyptGfW/mjyAHyoUlMFhy+7jqMeEa3tYrNOFhnQFQuYOYhSHxqMavoGWDfC1bM6YCa0N10WFwPAjVtLTn3Cp1SYuPHs3+3YRkUijgCt/mnNoS24cx0zpBBeIg37qGEUEeCQ/rRni78+LMlkvuJLka2RHbm9nhLZYyfJ238Y20znjujAcu52uSjiqm6wllcivc+nYDcKYZFRtfZJwGFIwcgQLnmMOTiLxLx1ylC5craJSIrkuYrUoZD9pKVRkBlFptSpDNk/8exXJVVyimtvOvCvXWr8RA0/TItkt4ZFPypyNVPTyEQogi6OQYOTHrT3+dGkCaaeSxoXuEYqBbRdVM9EJvDExf4mYyB7sXrI/zExd145jRyZ5oEokiDYQHYgR3J6swdBbKUiueaDRvVhoD0xFxOr2fCFmMCa7lPW5fX7GGZNoT8YTeBVdEIHTM2q5aCUI0NlTrh+GesKBllpCsHYbg6AFAW9PKACwCAJEjxvZLvJbQT8lbxEe4B9+6+Kh+L9kEDE3kGKj3QGEB+CmgNMIW0bKVO2sByP+Iq/O9m35CXt8HfMrUnsgcXbf4/33p0N5zCadnVLXhcHjWWPrldNHvsRybqGbRff35GAJn8dHRlMiA6nHKe5uty0wbm9yWc6S5a4qUJ5yJyY0yaBjyE4bG7YYv6xw5Qt0ufDmWn4LBGKiNs4QO045KOCYRHB1SERYc6dEJA7Z4+VbIsj/Vm2eOih540d5G6OmuyCEmRtjYXL7d0FEObYJLoxOAD8D2+m5HiZHb8L6OoASWHz2XzD+pMN5zl5U2IjCDmlSDSeev5RHhcOoNQNCkJ8Bcbvht+XFrczkYwF85aRGWvBWddUBdMBbVPEaIDsK9Kty3CZ2FtXJ9iyGG+rOxjFf68mLpqA7/yUFXH4vuZb71QBw9YDVBtnkm99lHMOuh5sBDNxyBKn/Ceq+NxuXkzJelwu11pI+jEuV6kahmKyBLwhV3oDk35eToataWCwk3NxXqa2R1X6Ix/5YMUs8+zmqLwnO+WG+ibIi+765OxReQKhIyax6m+x/f1QrBzuKFJO9YuR5hiPPf7eZOAzSxTJR19pRx4ocNkx4LG1li6Xtg5Hr8/v4SvqXjBPAOKXaMVm3EKigNGa9w/DWnJmFg8/lAERwMLqDJvAmBOuD5yRLi8N9Ls4sVbKggIhv3uzhkbEI9abVW4PEx2rRxNNwYyIGZr8IPDRDbydOQBQvV/7K533PWpcDmIbfQGkFc+Q+46SkyRHNf+VZzjo4XBdTfZbT0/oE3LdAZB63YEIIgO5nuNC2U6VgYHao/qtPZoycZVX/ST88fX4N6hiFkK9lQi1NufDvPRouGIJlPJ/1k8uto7ljKwiwZptMyhoJlY3LGaBLvGzFPFP/SHiFDt9VfVeMaW87b6jh4RToWWCeBU+yJcnnvCiA/mB2DR2N3pvzyG8o0HZ5vpQrx0mlO7PwhJ1MSGj9/Po3pbFsQ5x8PjVMlOL1gOAfK7meuZUYVFSmUIjkW0wPIANjEzuAWpxBw1rMziEFe/Zw9T1sg+nHGn9+lNCSAlSAht4lENMdCXooya+3rpheCCwYvep1MknrFlAlGWs0VnedeuOc7FU6DT7uOx8vzeEg9r0Q849fvOlznn8xOqNXRi1bypqU1P1XPaDLQhEpGwaiMSrVX1Rzl4o8ZEW3u1CZZ8XgeQcITzigkI7eYayzKv5Uy++i5+gu7yS8yN9A5hhmwqZzDgAb4199uuB09OO8zU4LBa7i/Jib3MPnQ1H8NE5Ca4Q0VXsrNFluW/JEQpwuHoY3esfhtoobUcF/Xm7IWaqWpIroh/6cNPzeYT/uQzKl7mcSDN8b1VQgSPHoExuwO12p5GCSoeuhnI+u90iQHILy5X6z5X5eoU/iqEDduTtaYrdm1icXcnpsHl0kfaP3zxdg4I6ronz9tnQpHI454F+Ygqpny7c47YkPv8L0EY6WqKbrBubrNDbG8Ntl8W3taGxSi9ihKuxSfqdHNdMiJxbMdpWsN6S3KQ6mCmz7Bd/BOIA2dy1/e1a+Q/MK5JCxo7kKxaqW5y9XbY8cxIESXtC9EZBZsTNdaa+zWRjJZNBw+tB4eb83Sbz2v8NMLQEUxMBOwnpw1caJn+gRs45jQzPASfvAYrdw1ruSnWwDhbDk0xxK/zzjMLb7Ct/oJEV0EBftSXutI6hjZO4xTGSF/VbdU3LqpPDo3weBMYtahq/mD1u4oP30egMpZ4Qmbw6oZowskEwTGjUDSoJfDCmykorAbUKsvYjCTQr/fdEa1MuRDzCdBLAJUkg//uPkkRcsXlgikkOzOh+RhVnmo96VZqbTv9iYsSWr38ZmG9eMimugXYf3JF3BKsc+f4n4EaJ+sEnnrln8AC2TxgNT9J2sk6whNnTBIaKy6kxac3AB6j6/i8ngvlesvaVKub7atgLYQef76ZdrCC58vJbxf88qUMm/yKyTXZdfmiUMDJ3B7s6KKwa4xDGyoXCGEe5DDbZ6DWd9sXxu0Yyeh3yOACusdhWboPsNNt5BDS604czjVGGzAacNnj3dYPn2agel72ULH3pWXZv1h0sKeOlw62es0t5dFifnMhs6e1mbtyC8wTw6BVv9kEwiyk702Bz+qrs4YhNfX2F6JsYzflN9ByZL+OunbdmGXmMnItzZVbucq4hy53PlQqw9nUC90yCND/WfDz/qWjRS6ix2poVlYDMlHMUkBdqcUufRN+iJ6OJVtUYgT2d+yabPAcY9FwU/Wj40Egz3xKQOqodGoQi/JOtp8hDOGEbG3yDBuCxSDvwHvBHrW6FePRj/8z8DUaZbmaR9QJZ17tG5SGOuoLAU9PrI5UR2w7eVd992VBv6BzDtsPrfuOfZcvFVOILXWbsMy9L/M7zFAp0+AQnt0Kc7BS7grdlCq9ByEkDD/DeP7h7eQriUrCHXVSwzmGHm1wBOkbtkcszY8UnOWQbgNw76jcCFJ9EBWdNb5w4+w9tByzQutNd9jLW+lOa6hBDE9Y7zXlyu9F569MiUrpWlA9277FeceXcW/QS/scbFov8FXZ4xfDI3VtNcT/UF8VszAH853O9wnPc8Z41zuwXsP3EdZEdfcwX9L8vZHJu2GSp9ioAf+6nJnJBKmrc4rHfso9AaumVBWpP7ZWa9OywLQzwQAd0XN0QvZOv1W7+yGNvb6q1+mbCEIjZoITYB2ozqO/DRuekrYT0q91lqayws59AfqrME9i2TVv8VGH49BGAUGWvXh3djgph1OMu3sz/kKZfOTlbfgpWtsIOA9gVf/Z6ubfRvR7u1G0Iu/D6fmfRruqE4VqzVqhRl7UcuWVkbdS8KZF9v72zL37TxuqtdrBhBijHvARPc6oOw0ahCLInCywL+REEer7R9SmU0ScBu6ac0Ay0FIY/amRfLQl0HHSm8ALxzvC3Fqy4DVoS8vPAa6akZGXUsx1Qzzeg5+Auu5ZJmjBTIpAka4Vb9gkIldCInlFfxIgmqXSfK6YWXBRr5+FjQ3+pOCZBCd1uTwxn6UkDJXtYQaFUMDAF7WerY/qZEgmAZLHINNrb4PpRzn7JKWRgAhcFtQHiJAB26yJSN4zUsH+x3vAXSNKhmMDsVq4jI+O1/k7u7FM0+cPeCJ8uB8uyNii2lXJFIfumQmexxJ2LyzwgczaYu8UgiX0YJueqDcmW1d1DIpmF8EY4gwdAXqF1dD8TYFZAHH+iNJv4kJhTHkM+8K4omLDpj8pT8yPG1AHbdJWVL/hZeo/7rcijx5Oz8xYJY8IX3UG2YpTfPS1Am1t5C8G7C1j9GZYzDeI+xA5kSgyGqSGFgWccxLlCbIxRMqz7zA8WNr4nc1LRhsdAe8p8omdnQuKBATyEeyIj7kH9DD/aL6nvcGmthQTXYx2RqiVMZCcbn+mirGm7bAR/j7MPUU4irW+ItKAuLqnu0K/lOC01yAaCWUFhl24KiUOF4R2wmVLERH1dBgFQa8qf2k7Z6DKv9Q2nR0zfzNo859OQi7i0wx/9wl1oRW4kKm/Oc/EfNBOZvozDQC+r0AbjhoUv+b9242HiPcWtvOqOraqtYdfnVugQayiJDKobMsS6Tbd8BetFR6P27llMEnlzGU2sUrxQhbFDCaR3MIeKPXiaetZU98zZPt71kURhhlgMKzWqbPjMOqgkaW0MYsGiKeWWkiVwhKN6/NhWWUe5QddeYmUzJd2m1mfpcTwV+MtYbt5V8udIlcAjcR2VAPEIHN5U8k2bVCDb3Nghc1u6RNeWEnrRWCgQm/bHMzXofJfNA2B3ZMKndDlUzpqNRLUgbOKcsdc/77IhFgC1mw6+CuIQWUzKo2neoNQUPPcp8iXrK5PU8pynNxbebVS7eHqwK/kkUiphSHMxlgNnNWNONWcA0yeanB9GvSKsBuycqjbUcmR9SnqbZ6qKYB5z4cyKqvu/qQbAfh8OhY2rk06l/eRz08gWyQbXbS3NpwvElgyB+joeDCB9giKd6ks1/CQIr9C7EbphhBp5L9XgcA7Ypw802KYeb11/LEZYOdGtT7+RBWQBNVM8cJQHl6LBR3AToz2C5zzBhaq6uo6guM797CNXuozlXhRC24DMMRNXhMGKqAYwtgCzT5gFyNBSxcbbRSXb8hgOZ2/BPMuU21ewmbA53/49IV4FWIt+NGuQoOfc++Eg410/x+f6t09AWdaDQ474iLYVtK6TmTH+vt8TgtcuEr12jTyJdN5lSdQNyD7gsHwgvTCimsr6L61RGHTSgZ+K1XNBWVev9aY7Omh0Dux0buwgRqkeSdQLWf29UyGvrEwbG9lvDvLpGb44uwGNEj1U7CEnPI5vUWJXtbZ9zOFh4IpwyfA/F+ge/nYD8shNBekCwgc2eEsepkjcCgtM3jFgQ6U08irAJoOjBdCk0F3/UVVdxuzdDLEkKUfH8tMQDE6dL2blKHn7MdVSL+bCfu4hGhmQck1xoGWx2g1/YCPFsXkQvs79QyuKrD0MfJN/6GXeHPlGRsZvqjRV+QgB50NPPtY9QOEaIZ2ZudUkESX4JQp1fMGTQO1fPXgLTnKVFe+NzUMqJlCPVNOdKBHLmaB3yC5PSoVYfWTixVfxw4l64W1yI5vnRcZAYEt2/6vxofiOIXP690f9DJY1WIO9x9rENXKIdgSQO29JjUMYEUlE9tj0hpL4svh5lf+AXRelGnaNiMPKjtOM7qihwbZw0KPcP5lIXN6JI1RCD5ifwnI22RAvtlgdVt+qgxvGxL0PXdtgnj+eAQvVJWpFljlGLwnfqHQwqMinSS05xMUrz0JpQDsjs+TFDTbS+N5N95n0tEtl31F8NMpzQYukw264pZFu7D425bOKTWBhDpOYuw7RWYTfG23IjGwrcw2jWt16bU/mknxG4MJTgVirKLEc20CR65Di4OxIEB4iE2sHC3ZNqNtOgHkLQRo5gwGmrXJpBNCQW4R0wB6oxm6eOeDf45zaOhwGblgpfb5gjluF7qxGAhH4rXvvSc4y3vS6vKTBMGvZhl1utqfS0VV0gP352RU4FHcjkvyObhHIEIe2A59IuEgXO7thjL35LIBXFXaopMJT2IQ3z0VXIFM8MHWiZTN6nBHu3E9XXR9/LSOGERY2SLFsyeICYF8XAnwUVAuKoKew09lARPh32OaLL7ntBIX3rnFSOnL3EVR2tC1KgDLiDjphoMlNo7Xq69IAFtTC9AzEQ00pz22uvthnzEh0917FWJQCHIMwv9BgwHyhHx89biekYkQAYlXae65VPwIO+eUf6RvzIUrRss2+VRzxIATasXCvMjTOhwupnnm0LAnpMgYou6f2j4o6yhzx/XP9uGwt794hp/fK/QhyIXzF/QGkIVKXfglqT0RIy3luB0EYZrMuc/AR5rOQ8o+n4azuJRDAwlzU0+ycvaSQnJONWK0QBhjEaRVx5PdHII60F6E3ziaJLnqKyzF/McTkXxdLFqHxjNSMDaBqDWQuUUexvQNc92s7/8j1IDzbsBA4u0FsIFqJAVXne/BbRSyUwteIC42ddVbmDSICxEGriEjmNAbNqKwsu5IXKYoTTx/aPo6Rp/2qbFmOk3DcgniqLG3M/e9JMXrDIaHq0cMuWj7rOvLKmt+lwNxuxeaQYzaETBEfB7BPPHuZcUOKn/SFH0KIvuhwt29FLCdhLoXkWOVWJNJFmrwncc03mmu4UXAjedJaRi/47Vd2IXeT0FO9YYZUlFFrwL/z1UQ0WHQMe5CTx8cM4NHtk8yh6IaVpTVgzVeBDIMC7DE8LO84OiNg1G3HZYvT/ZFabk0T2tEcOaaGtkuAlH8XObt4lr0TIY6ylnhx+tlTprxaav+z6qWJ8nO+hZfdasLu3A1hIrfv4LXiKEJ1yZIWT2fHKjcPXOXf7x3vZabLHxnZxsLVZYZy0KqZ7Ih6RlyXMNuKpC/ZkLacNNPKVvwC9wt1RmB4lpTUkfCYaxnknrmlGdCEXm5IHR3eBizlCxD5zn5WPNgM3c9k3PvUHdNmZQRwCUh9aa+QbXvv5tszrpGxl/YXqROG7IaimqRmYSbOxnDZIOPxbGkuzIYJ1t5s6SzWO1tsnjYr1RmMGw5n+wFOncjjHvyTgH7exUR5qyiESyAoZE7KuPqxZNxBE4GnQZdoQKqlqKcB0/8GPd9I5RNYWGlwFNLQtp2jYDZH5Q0PaXKXFn2tsuWT8nEOo1Yfb8OF+SQW7chjGR0fJ89/ksl4iOpj+SLTT8rK0k+AY87sXDeQqlm/oENCA0wndXqWyuSa+FEu6ClJuH5P9Wp8e8idB8ehoG5XKyXDci11TczeAT5fv1e5qN1b0uxFrIdhBTItqPzbkhTS1rmKnxWy8ohVs9J7XNmu++B1tP84lp1vwKV4q8ggQgn67W0gTwbJyDOpcDBUeVfSlrWZenvibCo5/yhq9zIVpBv2nnq9rf2fcNqDMgIB53zezMArmFeTATayBDJJ21XnxhWN4E73E6N1OawyMnGBD5IjQEq+7fyn5sanK+ay3f1WCui8c5777Q3GsMvjEMC0n2+8o6FTn1kd/Ff206vElUkGZSRCHVKhyQPh112X6YxdT5Csjmyo6ZjzJF6KUXJ+V14eahztoMtuDyGIR0JquYpaU6Lj9V3Dpe0TcrzA83il7mSgmorlmNas3KVT8BiDtyqSmL3Jf1S25dyN2fJ9R29O3dhXGnrAwG9wU9zjsc4B0xesnoPbIVJR1pu95MiYV/PXCzJVPx8QV07UFhSmzUeWzYtzKkBGGzY2zVIO7Th94X6Ciy6v9kWBqiivLP1aoWq7V78PrO47fQOEZ3cs3mX73NzbDux0T3Ur7tXEL0yRvi/1ZPgna4meuSIU5CUU8N9oBo3ncRDhP1LNePjXAtEPA+vToo0Thv7CN+s61sJFXncrrihNHKGggh9ONZJtmJyKTlgVWN7cw6+o6AzurxjrEBl+BhXHmVXiR6fuPa+MrqKPtjabQLfPfDCLY4gAsSPDV2kLcS1+y2TAWAJTG18CtGQyfNTo+iFs4mdIgj+jdxs/qOvrGNA2NYoEFtEW1zWSYHQd1arF/Xxvn/x/fo9fhnqkyKe7vrhtzCUIHY9WAGGOwkj6vomK201qH5qNXCb16Cd+CIa7YjW+7EbuloDfoQz+ftheh2dSFu53AZDfV0bWmOcjR66H7QDp/hfumgbfwJPxLp3SugdiuvddSpXhTOVaDdSyiFFc+Xg4ZNs/q8skxa1QkxFEuJn0Ngv4AxCN6raQFqTdGO7CF4SjLshwM913YMRndpm7XfjlFgfS0X3O3IpFOVuUEXj17o5akhzSekoa7Xib3IH4dZnjAja5bpuyRwW/LJYlaErYuNhbnvyPwtirlvwYhOChkJffxoDPTudljWRSvJ1i90HiH975A3/Zp/LlZXJTi+BG6j5SzwVs/xJJ7UKeQuGAmvEA4GieJKo8OrulForW7JtT5+LxyQ8IGQcFp4LwsfHYgk5848bVDrIkisX3E4IcrRSMybCscu7jccw0/qHd0ykW6ggQuL+w/xSNQCgnG5E1Lr2rhXRW5KNib1HgIyfofkv49cWrZlcJEJmBX0gs6EV9qjSdkuRWPaaDGXLwtNRz/l7S8k+1sS9p5NtUX9HaXM9zATS+0L8HJ1rO0nF8n9iohlMGjDtB/BVSA2WtwKgpAspGBeS3xGjg0RuC8dG8ipTR5nEe3yvsrtZDhnsAn/ngFMpRTK7noc5EtCu164Cg07eRTfTPDYL0WRMKYnC7eeLIS0qbO+k5Zfr6xBC3ZIJ+kNRAZ7HBlzLXMoTh5M5A5ekoXpdeRyuLZA2EuVJpnsVYqmDoU5y2vCU+OTcleHgXMS2T9XCmUnF/8cntmOJ/zGtDmpM/yygi7MdaYC33lJZPm3EqaOgR2ughD44qejg7MaP1ikhiDAWIekCad2Jyrr4UN0R8hRNx694IKCxnzadY8hLMvxO4IHpueek0/LlJiKHj4lCvdSNWxKfjRbhDXxusIxs7kz+CC1/rsXPO14QF4PB5Cp+zaFGAw2AkzrvT0p6Aez/Ml1kYu/TX4D2TQ4A6Y00L6/tqq9svt47YNgcrH/Pd31pfH+qI39ZIn2tmtuNeGvVKXZm269xFjsZZRr02Ohf6QjIy5b7RQnfAdw8HRi0uwPIuCBYQmzUNRLIBkO16/FV/drF/YqtA6NXNK3zoUm9Dklp90BkUybuzC01on7892w+i0bfvzzNw36Rgke78Pfh7ejsL+nTcVmc0opLm1X9pyH6Rg4UVP+d0s7HxZqfUTWh+KKfkFeDsg5lkZPtQ+qJVEY0mdjf5E3gDUXvNhwJJ9zib+JaX0rx+Irh9CNErOLRtxX1wS+VKCKlQt437CP0L1yNvOW9VZUcNKqOxKdLMw2T6DNoUWMzJGPiY+CROnxkl2LlFH90bVifzt7NhXpEhpKoqB6reNCBINBwxjfCkiXgOJIBrH0C/3UIVTa+3lk9vTXgz8KoMJ/zMspjpQaOspeOfhKC5PmoJXhov7rrcl6qwrYBy2gFw+//tAlMsdBhGV/f1s/cwbtqkXV+F4HfLWCb6c0RyYBmFPv2OOJT9eTcKFYQvXttC1+Oep/avwpafOwpoeHMkOfRWIEfugzF6lRQhqVDNk5CX1tMFpN5VyFiB+YikX3Tn7qycVCBhJS+F07uhB6TSiEODcBNm0CaXSPPFLFg8YGICAMXWsPlXHQ2djPgiDSUR5b/k0aIWNHAWvYLBUbDRbtM1xg2bEIdKDjHjOLGhZjJhkrrdV4AmpNyJW8103s470QbvDsQKPjg+IdqVnn41xD9884K9x4cSQjYSPo3hjrrh+OAvz/bZ/HxBuvj/P1VQ6A+WrCbXtMPaphpr6WpbOidW/B9khtr4y77SHchSLEzMnIKEVIElizTwtwcLu5VeBxiQLnRhFIEiyE8Aei5o8oJ4nOEkP9L4hpaKn9yXXszi6nSyrxa71UP/0b4CW30V09sxeqUWWXzbh6exDYGgqMl4a3IZa8mAIPFOyE+JDfQjeLprrxV6z0/6Hc4Xq9AgMYNKpSRhBHATl4XRB61hlnn8NSaR5fWKNSCqFUAY0hNTke7OtpABRuew0XZMEgjVo0m7ITtqEYOnTgxqTzFSfiamjyStmh/s18C8N3eT+mO0UN9ujp+uKeBuR927EkOViN7TNwNQbjURvZu8QBqexy3GjIFSduZ/9tZ6VHkoQIdRDEcgvhX4PHwiXQGL97KzbD"};
+export const words5 = {"count":99,"iterations":50000,"data":"5NooZCofnIaie1ZxpFqmcE/jrH3kQgYvVwpVbhBqCUEaz4UMRa/bIoXCvxP9rBFVZS18C1CLlIaXDAMLWYl/s2y5bLuKC7hEtNrzx60dDEBXACw7l9OyNU+inllxYMqzt13xDg07sH0cAhWmIzEKlfdoSWvyuM6yrcgR6m4Ab+C2JuntMU3BTDXRidhU/iQWl28HpBbDo6l+sP7JzFxJmP1l0mnMj1XNVR1YbgZAH20tkUs4daMvtR0ZzoG03NpN648ZYYevFbyVUfx0NaG3UoDq6g9n2qZEZdxB+jyb849ic96YDvUhqVJct4FhRLwm2m/TveksHrg6e/yoyi+Pm4+Uvv2DPDjnoaWWnoUoqaAiv0kZxXVYUkHkvWLnFPjV1jGDP5W0WElOmJ6LweXqnjJWi4czXLE5NpOAUVqwdMGiUMnuygXFn9s+nO2Q0DeEgImLA98cMlLE4oInMpwcv/1rUagfEOazjGEUE7B2kUHYCAMF9rYZHkfwT1gvoKbDivsAR5ig56e5Se473kJLUYsvkVD4m1+bZaGKbkAWdFbyICT2o5ZbHab3M7Nld3yiIuiBvONM0l/9yNdgDZ5NMfu3otEfLY877ZNufbM3b0M0Fdu7r853WLLXzeAGLIjsKwFQaP/BOV1zinaF8Ui/fQaiU/+b3o3OWGQL1AwWbCNHXjALhtaS1sw1TuJpVCAWZ6JQYRec38GtfTCpBhR+jZujuC/dseYQSUoTWN415I1OhhqnBvDK24lVFPT83Wn3XfH7Ed2DCFoPezxAsFPlTRw6p8IGTawDEpAWBBWIy4NzOP/W1yOTEMomf8RO5CSk8EJFTmSoV6lV8BftBDNsvZe7W7GhjsyfV98MZj5viYuzzQWSXDvRNX2C7fRfnO8pAVulhXt+vDu5ZgTceucA2IBo+7qGdq/vQ84/eMvNN9v6DZYGYaBB6z9G36GaNIWYHepFZx7sfu9qv8ADbk6Fdb6CpTVgk4pZrzYjd6SZuAs/HDJA1W+SbTa9Es3edm0l13ofVcQ6CBHg7a7cBBZbXDUqAKKwmQcDd8NNS9qMA7LLPBlWBb9crgWeQz0ryCbR+aXPo0jzDwsSve4ROw7UEcZEZBf1tPtr9iL7wlB4/MYSxo9aZVAgXpLuYf3fqXmvjbGWh1YtpujVDCL3ZNT50SMsAXZVNdi5lMhndvdonSp0PG1J/zYfgW8nkNWT2+eR+AexG9JJ4XKVdYSUQNk646jLpDUWA/sXXgqSuMM82E7M2jbC9kkbUDATwZlB953epHj0k18GW16Mz8SiOAgljH5MDmtdxasG2CgleEnvyiQg1oo5PYq+ONoMDOw6LGXAOeiIYy+Kg2nHuQ=="};
+export const allowed5 = {"count":4687,"hashes":13,"bits":"Io4Xx9OP4pxL52pC+H55vVCjWKprwimUlbv0SUZRkJdCnodyarWRRhEmlkcw9nHspPzDQ8XGF8TJY7u7qsKibmx+JtY+bgSOLdwiRUTjbFK/+9Jmgx5vgtVBqCOy11/srB0MrdtXcP1lBC7Wg+t3uonBWPLhitLYh6sAnIK+sF+Pu31pmlvYBoTL5h5uTuhWnTiJFONfm19iouqB8JBpe911SjFxRUnNYrAVazQqmgpU8T4AR0tmfnJLOti8ggWt8rq7aShv6PrvHlk8EsfqI+jbefCFFxaB4ifVaYm++m96+itT67jazfprcqKc+Y6fXSzbOI9D0gsuj9rr5DZpghzedfkNDBFv4OoY2HF5mSVPmncsPOLeFrNjfwAgq6t8FsAj/Jr0gB2TKrtNxJTVsQRbAvMYEa4yqTLn0SaOSqcP89qncMDJvPsFvXDo7SVMSGfqsgyg1Qrub4h8bYj1WXYzhRtx+91dkMU0VDxpUsHpyKcxwW7joxc+0qSvBLgfD1RaLGAOVktfnk+g+uZxuJsPTWLq4bfx6vT7tXD6lCkVVMrHVtDGnFqj++a8I2lZK++gzpvdogJbkhqqK9cir9t5ynRYgho1OS7RsW3or5ouSobX1tTOY8QlbY/HUHc+vLF3MMY2WBBEop0wNnMHPoDEG1hfcslKgpdn5RWHWGrhXdn3oEOrLz8GmVvaZVt1Jilw1SJ+liwq7RN0LD6Koz6cUgSI3v2htP5kh6IZYhoAoLhdlFrlt6Oa8VMHw7uWMKqypbST9wHCv7+SlT1hxRz+Ui+T2vysMv/f42pc/Mg9/T1/BOZsfo+GTZUAmYzbBqrXlmhCUkrTQliw/osq722rL8UXcfkmhkv+IVy8bmy6hJ5PUvWWkYld2EENB6BPpN6PUTSL9VXoGgkvhLkqUlqDzFzhadu5wOBM/R+C06/GZX8S83vp+vcaVDcYigWIYAgP2kevQSbGEkawxfEKjQ6cfMYwButi0sX5SMGb99PQ2UYEhIS+JoZzHtE4MUd2ldoYUtUPuX0hbz02D5r8gNPK/q3kih7bD+5RHLEw43Dja+A2n+21/k8GWh848OEjO61PBW1ISuHH5NORKHWYRZ24AcvFQ2NwNa59KcEPxg6DbclUPIDAkwjKoipC7IiRxD4aCDB3kiJPYDd8Du93GtcqCK1t5ZpiT5428nzO3QwtpTEzTexl0Ccw98AwbcQiOccFtHpxkjLBNaiJTvQEQ78rhmDsXNcLqNifaWQLzZdl7mFZoabimFbag/FXpwLEoxiq37vxfb9DJUgE6ITwFWZAAFoQFuJQk9lJ2WI1eoDaDTYQFaG8l1IbTt0UTsTOXtjBZU6H/hoRy4WOWNHeMGzrjzRbnlB143Hh6strK6m3ucTZojAyoODqUJYYq2SjeBjEUaebDBS+twNqJ05GiIx6sXGeVlnebvL0vw7ryOuv4ncakg6KoEfbj+I/IwSboVUAEg2nU9MSlomZZ+TlPVvxi2lnoZ4M4aiO+0qdvl0CJW8B2qnuuwH1cPj8AXabPqvVXdEfJ9I6Ax8PY5/H7tr0xErP1yTlKxopNWjGUqmRaSVBG7hXENXOIVcu6WtBvqJ/Atr//44A4seDGPa2tPPF35CNNLlAoOOgPjp8M4cwCRLDNTTnD9yoYTldh82Ep3XL9qLXL8ebTFTWJnuVOYDfhN5i6wcVfNb2NDBikmlBKIdXP0iXFTtRnB+BK1UsRGiwAknCPVIb4QCaBHAaxAhZyBsCRSbhgzwcGfB5U+BgRlXtMd1wVbIZGeCGHzCN6I4kkTvABpqtgNvCBUJ4WjF9nJXhCYccoApFNAP9JmHtRH18wgEDISyTWrI6aE9tVkBIUPbQ0ngxtVuy/SLVkSKzevL55gVsVa0P5GAkxnpxytLB0oFgXMzrRUlMvGx+LVq+U31FYZjW3KeHmK2Mb5anq/XfgcxJ2UYwC+ebLzrMfbvAgh/2ZGRvQhoQbS96QWTpjjbnceI90VfiSzr0EHPlW4VkArBicWtm7wkcXPNg+Dkw3DF4D+62UdnHYePl7tjMiyJ6A4kkNSmpMTNKER1uhG9J6uBMLTRW9Qyl2E/jqz/0HZt3K6mtCINb7K7AKIfTwgK6bbDPJZjsKQdvl4HnDCtKUnIUMpZ0zQODn/b0bp2HH5m421Rt2n2/gVDv/ChQYlCWbxAkUkR5zFPHVudZv3SAtzX6bzVoopIg/CcVu+OBiwy8tBlJ3AaRWAGHGO0bvIB9QbW/QtFKejgHbEIRTTXmrORAlLV+8PsarKAUFjg5xo5USMgQ2NJnWZAZOwasoH/uKhX7dVCsFWFqKGdb0RRIlqEAeZDU0kopr0VZo5K/sXiOLnscoKfIAn+J5T4xBG2gR8DpAcBrIJi84fpoVZRruhL/bhfA/Y9EOiBCHILTPypov2fCr0Wn1/ZJkdJyIh/ZkPMbQvk7aimoFRz5RoVV9suGHsM1Y1/f41GSB26JK6aPJrVuvMDJRaTV8Va9Ys+jyZeU2tx0cFIroXdwNiZ9i+vu7aE22b8c2wiDrzVR0KEvxQ6mr02bfPdkTIARwTdCCAQJBbCTXKASwgkJ1/AAyiAQlEXEwRiKpBrz83YAcmnx8VrGUTUGRHpfvwcvGlFJaTu9G1IOFHR+Tec5zasI3q4AarbrjndHd/VQizvFcCkNdezK/8LiQwNYsQXwV4ykZb23zVkArC/EFTrlWCFwMJUq3StNFb+9nqMiJuD+QQR95N88tp2LzIWSZ3rFnpf8BTmwYN2vI49C9vfU9cLOTtOO5pY6AD+iYHwFrjQQPw6hln3/3VcvgwvQKxhkuZFw5XQAljAROpAibFJIOTfHx9wBzDRy8TgU1QXZ4fXWjtGSbpObsAGOsp40U7/r1lnKyNZS1JlXDJoL0O4eCQ005wP6/EzppSgNpyCq41eF/wB4odUL2defuXjxGLoEejAUjpaUq8wmiPh8J2Y2pgBdS8I7pbjNMLUNQDqCBWF0ZwE/ypfqOeC9EXewGJpY4zlwiTxWHyHMgwmJTxzWrFcoEpKLbIL4xv7dG4hegOHWN+Jayu+uHeruF7vv0KAhxD5KpLpkRPUpj71neuAq4cxqn9KOSZfZrx4UkUOZycRVCJzmpf/Uq85MTAKdaYFPk8nfTUw3hLYcZxomnG+1BbsEDqyaZbcUT0p0eAyb/OYem+b5dQ3D47tfNVWoOrCa4eFrLZxdluYAL6tVm5VaMCEJlknsPhuMDJ2z8dY29b0URa8E4V+/KeIJ9HCYK3mckkk0FtlA2rsbt6/xrHZEAyHQTNTnFoee4PrmbF8PDeX8A6oJOcfrdaVV3CEpUCHcL4lHHgVn1sczEmyqbmymgu10MePusCq2AKTsXwqwPwghGwg5tX35p3lwpAhzxwUPGsJmjQ9yeUeZz/WnNfDHwg+RhRc1haG3vZAo8qzGnTjfD0LE20YuENGj39aUnYy8/NQ2VfFP1A9RbARf14ai4yX8aJj/YBEuN2YUi5n67vcLfFEWeggY2oe1XypGT7mhNVrumGtWeB7ppQi0Y8nRGzWW9ATQVZ0D1So+9lcGXGG/qgVDerouhBVVDSsbug12NYYbZqdkxIsmkgGSLjrae4yQFJ7yLYk6fkFlK0CsLquTvFlV55VOmcbmkaiQtoQkjyjL8kLesMxHHgjgiIcznDQkHGEFlm4vK7fjiNJ2/0H5yefBscYAHYXFQrSAjnrMGagponW4Wg9xNr+3dHhRDIQcZT+yF2xYUoE0vJ9F64z4lzixaWlbPGNW6sfRUN+VrSDvD4IjK+Iv+HQdgAgDlFLJ0LSjm8H8hPtvOVbPeTqPgAzji91LRT8GcEBeJU2c6jfPV53RhJx7onp388j50NgJADZmT7LvmRKOrWh0YlswED2yC++zWR6SYat6Ca8vD3Kjnk5yenjTr4jdZukVGI68dFhNFIOIybtaFgKE+JkHUSimX/4YR6VtO6SITh4id2glK/X4oeuDHaN6ZGOEhKSj4NCVFZa4qQAQGSxOc1mRY1MPGnikBFZ/2jKF1/H5tOIIe3D7fjb87Wxzp/iOFYFP60AHrTsTzAQwAok5W/YJfHC8ADVXbL4R1SSCsfjr89ByabVid9vbtWX4zKMH8Dwy1LC3sIx9Ocv6yJGlCTtIAt7bug4Nk+BX+R1HpqoaKRx0ykhT0zb+8zL2KwXWkvifOGgD5+8XmvomRn87W1Uu/0tg2sEv9hB4nZ5hXi6h6bWKtE9gu8jFsIs6I/guRjWBzhtSG2epEE5hVKmDCLYEzdvEpWWbfA0c92kZEoaiNTHE5Y3mk/rRqLHoiy/t5/eIPFR3zxisQX5/oHmcgik/V3zQeILkLeKCtst+OW3dbluN36SFlSUR2TwiVrQJMisRfJ+NKUyNuE40ZiGX/8SRtwqHSwGCRKf5iwStFVLu90uuIq5LK4jLSSTAevZ8lbfVyb4RkdU8Ak1Xxz14ouU9IWDjWY1b9vveOAZOtyf69TwxftIjxS2WSIiKVz3tB37aE3biaNH2PKkUsgECm+Cp7zU1PuUgl9dio8mJ8mnKHc53dqzWto/aD9Hic5Nj+Y/TixnUoXg/2jqb8yeGpdcn6D3UrAFxoRrPN1FmJ0mGJGIvb95301dYeQZBwHLCS6HraTuBlgjQdAQ997qBjYVnXSGNVtFwFeBJcGwOYgucS1ewvqWryfiE8IrBsH2ldtSAH4uPWvDHEzTzwbL2Fom0h21oxSB4ovhWQyTL5MYPx6tV0TTajgC2dwB4VPIvVNmE77UsLDQmnC2ipuOgOJ0ZeAhg+lHUJlAAPrDv63hxjomCq6UmDOwC+PEIRr/wZLb6gU5Lb0ECigR1cg1PTxooslb2MB4BNdjA2ZC1B2AqYTV88gdWRaiFRZEGb1c+QESkZC1HdzRU4AykqO9RPaOOlgcoCE3jsyWFzTR/lFLPYb5Le2cQ5tH8AfQcuvXkjaxQP+w8k5CUr4JciFAhphRa6CLuzcwGZGbVN1YiUkqW+GsoWP0C5yzeFYaRD5TO0FlZBnyMIP9Q5vGXKOWiH6pj7catWVMY/+J5FRGntvIEGolvZL8wNd2wGARAdHVkLXnmjc/sgbTQqEA6RSnpx1RSoYZvstVKhyErXvGHqnN5IzQ8c12ULdLhRyVaGFDUvG118P51ckbJzsZITidLxGSc5jiGF8PjMcVekpKx+nqVc5jimjEy0ua23kCPCHLCrb20KBzTpk4fEZMc5su6DWBiBn2CkoqHLB7qrLeAhr5H0YA8dEDp2/be4nBhpcVYr3vt9BoE4eB3Qx+lKqC1HvnBbF8corIZnzH+1hOaCr4jfzG1KrJXFlf408oLDNRIEOPUi+OsUkC0UK4lFwcBxYEnZuZM4jFJCdV5ZktLe8nhRfD+d2AUNmbRiN7OzsAQ3Vl6a5PjA5rHWf1iwQQXoYtpWFI9ofp+QDPivMXUn46lo9NLsZtHkeHPk3VZB4gMYQPZ3XAyKF0XNWZY0iOXF/jyYZoC2isHlz0etUxASNgxSNwl+fUosQtfOlAAdtnLOrV1ShxOsK66QZj3ZP1ai4S+JRdLEW0xzW9y09+uAJXPNhsDrmIjnl1yXhK0Qm0PQdpxnmXPSA0L/eHmnxmnadZxElyO4C4aHj7foajhxyuz9p6N63T8QozCD6RFSWid8guVSmvw91Sk83pZAHEVPJuMCk3aqFIDMgxw9gbqADAkHDzKzWQwEeAwnSbosnDK6dAZFHUpt8M2RsC2W1HqeecUUkp8BHs5mVqyr9W/xkflVBtcYREzgq8Aq861h22IeME1YCeW8cCyVYsFtMsxRq4zQj3f6QpBJKZIB7Dc0XASc+JQbShaHR3N2OfY/EL8yO4blNujavDEH2SR/szxlOfCN/Ga9ULxChq8EMlfNAtAYqbeukSEkgoWJrpkoTkkHS4Dt+yC0gggr+KWPCdehJQ7AbkybczWPgpEciC+drs9fYm7JJA+QCaZgfFKANWGTQ/yOqPsaoCaAxUrNgruYYuqJwhGZBA/UKP4uzcd5wSA/djFPmRIwnZC0RJ5c0whCZZpC5/tUcBhjhqJ25D3tiWsz+OAUEmMGZfzRpleQBHO6Lar5ZMmWnmtkZSWVLLJdB3wCQ9pkKQX3s3IeGItiZLBbSbdX8McerAtXA3a8Vq+y6QaMga+9Z5YpLceep7hnqdn8kSuLQxHB+irlH03t+NNIvnS4tf/ufemeCjTBiCHawWXYKeWTE3N0Fs/1marD76NfQ10QvuAfaBW4k/8qTv48rCYfBdI8D0PPhQ4WttHmCJw8IDcgm1mVNMSiUUgeB9a18APJvYuAMfXLaVoDFhdvyy21APBa+FDEMHd3nfbk42DPjcsL+xIYEz4rqtZUMmAEoEnz6oGvN2qaICJcMYQAtDmn6jlHD7OAvoAt4CRDm893jbF/c1VCIDY62hRamVe/Hih6EoygkbvQ49MMBeKCX6bC0necVA5NNdA0wDb7hpAQLDlCAoYyEZ9+A0FJM8IzqrmtDgtJdZRpHuHvmRvfzlwk1ICNR7sY3juJ8Phl9seygnZDVekKTrtMKKn2QxhQ5x4V1VHa5IAa6hjdTqzQPKuqcp8D+3YrOgWHWZ6ifYMAN0O7ZfzLuicaTC+1CwNvGksDmRCzV3NjWQHN0zBryTsQkA14wItZAkAo2SgI7virEQU4Ac9pvGAmNZCRwrLvaGO7/gFJcD5CMaQXBWebUZsTBi7Gx5HRYk6f+YrioCjxdVrSGMV7Rip2LqEvajJYuGYesdogCkRQnP38nqTKDOO0zaW/eRsp6aP60MReXoNTshwyfkM0/sgrgaWkJlY/IdDdBNTXI6/leSaaTf99EE1L+eaHGQj5tx5LkhzEf0KNGJnpBVwI4KIG+ZxFcoNVAShGufDNfjDVx4gW3gnUFfs42ixxq/sseTWaqVVfbeCgOSUCfFvK+zgN1ul52Gduhpd8zpvBjKNShm/OZH0OjTun+A8HXmAWAIB3tA2qLDfwdBEKDsONCYBqKIg3eUHi/eQx4cpfj9PRNpeXlNPLZfjRA7cD0O16q/UP6SDo8re54lgt8tbtHzPXMPpPzGnfiZCgiIKHhRJxLqjW2piwwCPaOElekahjpRnOGRdFnVQPJjqhcG6+V7pAFyRPlIldLhaNKxzkHFuDVNIQ1YEVAemDhnI121rKjCgjxBCLsKoX7w3jaeQU7sN8ExZh25En6NtWB7Eygc1lDBvcCiM704ShPfXpBFcFM0LfouFGsuMEyej35wtzE912B0PTgRt4mnZh8d7xEay1MY+ySJqjzrsBQFCVCeH45ESAeQ4TTe4I1Fa3Y5ObLLmNzXasG5/17Kg0yTvQGF2clrpGaUnAB7s+W6PjOZxIJn0aJhlSt3noz5TH1rY1t47jeRsPWYC+8M2BNcjKfnNv5ZyBWCa2eXu8gO/t4D0EX5B26uQHFqtbINNGPst2FA0v8XS5NbUKTbwQCF30cQbxHul94mH82PN87uexph9f3k/rf4a73YjTLO8qWiZbMsFEkwS1TPKiH/0z0Qy6+b5YcQ05FKjeCBkD5CydJNBExZ0choQyheaKe9VWowgtWB/EasRtLUQom48wM2p5UQNE9r0orFNWof32VFsaMMMUsf+xMX5PaeM/K4GlJkdcxDxU4iIntLvS+bx5Z2shi+jfZBZv2eg7XCPoffIzVWAc2ALai3yG7+Si2QQqyQj8WDGVGz2FhnQSeWREzxh8EStWaMHfYSACLFXmRP800T2QsV5saF2AyCASiljRExc3ynS23l6Qc9tMFZBNUrUVjwlecrXq4WPpEaDKwRbQ3KPtKIlPqb8GP7bW59Caph7CxtWwrnHqPuu1DdVIL9xj1dPFMHQLIDG5aIbx2471AdNHFIE4Om8DIaGlCTbtnruU4GLUQc0wYUhL8yFp38CkCsYeX+DBNaFe0n8w1w7WJIXXaAOohXJ9eFjWpRQpImNBiHfSNREEMJrwi7vSjag48RkfcqBr0h7Q6FvICnlKg/FoaEPSwttKgbyBMxFNEpNSpHlo/CKQj2CPMsyFdZcPjzKg2iDDjUnSUlJVI5a97a8suD0i7DfEbz6AId51W93JsQQvVhNPdAdiShYQZc4NHqrxORRsS1GbWLK3Upkcvt3VWnGEIqyhkGzpqah7gzDEEMQrn8vcMqoMgU+Di9vBAJ+zmNWtbqSsNJTWeAt5VnKfjTNQX1hgq2vrawD3ojaMLnEb2B71H9sVXAfi1bAo3oS09awZVcxDlspxqoqFRoJHweiPu9GV6qJNm47JAFhlYQEUoRqE6vtbQxKb7u+j6aNQdyM3uAaeduBh2H6XR5wG9rBCPyOI4h1qOptXxylVmMFKnuX12OdCGvqb9nMxYAKDrXfSiKKdELik7HpFmhEXsN5slwehgQhCr07qF+4hTpbl3DFVY88GT7eExhZ1WKBQd9QZmK1MVXWt4en1tymOHISpNb+v+Rjet98Ei2S4vpAo5nrgxOsMwTZBFQlm/ohR2pBX3aCeHtTqknXiafAZsXHHCEQ5ZZCpiF1Qav5LMvQpcm3NSc+z8c2njK3xnodXvdhdfLYMEEgHRQBfHdF8cw1RZWdyJ1/zjg1TBNTM1sge7TiFzhqi8dlo3cMpOMexxog6kC/Tai7wzfE72FO9pxCMfhdNB74AyRooLlCYT2wWRrLfEB0bEhhnbHyJ9Q3MOYjwEJ85jaQ1+XPyBzXF9dh5RGDALvf2QdnQvgrZ8ygw6ofPh9YP/eq0LMdh8X7ud/sCTQDO9gLEPdYYj91shd+18DdCr88UV7oSzzSaLt4TbpgnEmISoIOluB8DF4ZOE1CWm9dd/DCf1aB8Ofqq5pYI1BDlF4lA+c2HhopltdwdvhWOofRfZTvmr5GDPdmZCrI9id8Kxc1dbj72aOqO6msXotws4cDLpy+woxZrYe0RrWRqhJvXHBvRecr2j3uMLLD1wtrCUxEINXe7CwIGyJhxDG02WWKZ4XWUcMk/2BNfUY+tluk1mh6Ig7DWhGnEuUEiMaMRQz2TZCubPU8QVT0rASU4DTM77xfAfFDgSUzC6FuWAra338B+XRokxXRTVg6gtjky275vucKVT64cOt+4CKERkSa2VqMkHNJarNVubEkYgLIPrTWM+99AziXbKu7GASyAPOxiCZhlkc2P0v2famFsiGIqdl28JAoEhjzyekaR6bgoO7hLx6WjyfDERneYB0TPH3WKn4t5CZxKvQDNBSvMlLPJjwBI09jfmW94ye0uDzRbHkCOmUN3uFXpcKxGJ6nHfmek9JokbVxGpmReH204ndlG07UaAQcMMUVfejxBCCwOh8EdY97HiQ4Vg/wDh6KNBiUkOIT+EmgKY3QYqe6L72Th5woppA0Fc3q73SaoHvLGD4N/d2p8wL2csxN6p37tnM5WmZ0vzGYUpDWG+xVJ/6wDXkGHb58tytjSiH+gVaVD883wEppCM3tJYrx3lHcy/hLoXbFHll+eIOkMYse0hdjK8oRE5l5ycKZed7oeJpbS+M1JNWge3I0XGYTwQcUyUWt7iKfm9CVZTH/sQ5B/dg2FglVNmxnesAhsj2XeWogTHprLtENppUHR2QhgeuziXXX/pZUDaVIwKbjM2GM22adeBdBqE+b6ZZFsELEknyoRulGIX76RljmgnTU57odkEeJL21NfEhyN2UX7NlYbpU+LuNcoAq3tIqsrE5rLboc+8oKssyTJfN4/0iAuihvoIhneObG9dA88c2CF3cuTYmpxmOUZAAoG+OeignWq8NK1QLAkfbXrJXQCo3bcnyBAuUU7RRhMEcBGgbDAZPUrhLUyCB/z65iW2InJxMcYE/WVoeqGK0z0ECvpkb/aFj8xM9sAWdXzTkDP+rSxhjnnDEUrsdcPnlXMP24TiNzAXXYo+55f6I8yTNdvwhtwlT8g5LZFp4/C+WUO+FbYIWm21LR1ZJoZsd24Uh5e/TPS1H8oS7vNGDrTBr8jbW+6pnXPBoVXxbJgxTPTNfK5bFJ1UBPolBJ5JcNvczlrQDJR3/b6EZkuM1EjbEAEsxg6FpqeDiEI7xmo0tiJ8PvU4cmUUBuE7RGN6RULNAM4YKX7xRFRgdE4KviJayC5kg48kaRepFHioVah/bxzNrY2Z/pdkydB6envmqdECrcsTWFDUJUdulsUQMW3FzFoSmedRocD97pHhbTPGHUTAuEpwSjJfWLA7AbQrWaiuEMCP9KwIwuG+7fmkg1BQnVb1zkKhXEy7NVCraCDyDFqZHn/E/FYiEv8ho7JowtgVFT8rkIoesLVctRNJDpENYYy/wopxKqNUvDrM+VH7937Yg4DX748v+LnnEZFkAEkPvhMtXsVbFqAIHdFn6hNaQ63PwaMK/qgq0roeMXfSQ2PzdSBGG6QpAKgzN7Ddh6Jmy9uwzK7lQtCdyTRDIXv0xASWUyk9zOhlXFh5yaqe2RR0VLI3cgUTAkD/wweCHFc/Th3W5gwDSHSv7QeFDyfOPpcexDgZ0iD9tvbGWHHSbN5I8gAPZ+cCa/QVRs8b6SuGKIgsrwQwnRPL3hDlqYBf5nbzd3CaTz4wDHP8TBg/+8LiP5OhcPuaVvu+nsSWoOytDFCCPl0iUwrfIV0JdgsMiWCWhhBOJ47bNqRDGbTWTRzxlrkWFA61yS77tgKSaFw0NGehLO9egtxEH6Oiu4OT2ARgg0SLXbHa9dlggRovMBhD1ilsfSo6wiL3g3YoTkqEwij9o/BaPcEObUQiIojvePGDuxt6rpMF2JEEQAEiT6OCjNveKfJzUmh/7mBkTTdW9EUE3xGV9Q2be7+13uZGaQQSuvXEzg8FDan7Cbp//2Q6hjXrASEknq0PQ79sOJN/TGVn1BtPg67/LLz82+yqQrqzaylunObZKz0g+peebCllTTh0Ed5TrsjILWyMJtIGj1yBVso482SMXSZnZH3s2x7bS53gxyYzvrRhHcSsDDoikTQkzoR0UfDF3ZGrhxcUEsRJL4rcGYQ4JJkTEJlT2S6wr+fTZgRuUq0RGCO1LsyWxSHGEK3eCxcvPxSUsEs4IvnLIeyjUC6UE9CSv65AzTZIBe67kp5cyT4l5qcCsIgsLReoTlus4IwDyGN6hmvl7j0rGPTEvBCnZchnV8zFkva10aOG+g30d1kgwtNMTggaJVC6MtoWWuMbU+cAfzRc9qTN3Zh7Bh2Z6d6mjym+JZscEwsJFer1cZ34ujSODKXK30SSP4ytpCGGz1QMr0JKwG2YxF8I/MtvzUG/DMDvk7xYhiXCGCNVzzgN4+VQ9AFzP4FkXLSy1IYHC2N0HA7lFXc/0etYt/VGV6jMKXAMqV8FDF6KValy3Z38rnk/1uZ0wcV2cZ6ADNf01ESPj2wa4zR8/CfyCfjhiv5q0IgEd91UM7PK1xjl13JokqC/gzSHD143iSjcGPPIDbZJ6j5/yxbIg57gSTytbCaFiWBqp6qrmX7b+X6R/uZppcgpoiNbv+15NFoGvGmAgxt85deammswssB385niUu3zBzjRuO9vf4QI8uq4orO22XQ3Ag+Omzv8s1J8dNWEJUeJhg3lu5JcWIIOtOvkWUlRTCRfI6Du1f5VpK0aTTi5u/x6U1SX13gHAXESdFdfBks7QHADfcs+Fg5wp8Ok+6FJifwUHe4jLD2adOfE+Qj6xGZj99mtPfh3I2zyOD8EeZZYmq52uVGKLguHhnDZoz1JCo0GWYaZWma7Y/C50s8CwH4DP0YMTVmzHz4UgUlh3BsKrgADzEWjWWLuG42tJwME0Y8pvLjIqxsvzi80lZR7XKYvUkBverWcYGQz1wvuQ5OTXzOdkKEc+tYZyAF12PXV1Zbak2eABEgJKP2d4OrNynB2VL7bsfYFtgFT06lWRNPZG4stxJ41obtd0XGvcJlHLRjSTa5K0mvHb/JLeZxYUKD5oCiWD0YRzBHBEIqxIh7iJZ+ieorKWivatphWmRzJX6++NUnYMadVJLCGCDkm0HaL4djx9qoiGiUfyqy5JPmwHJ6kxWmDPFDwfnd90+58/cLhyYjKr4MDRhIkni0yig7XEaF0B5nlPkeoLrJ8B9hXP/ncd+5ONHDm26lkd7LykmB+DFEj3ylvuMf0DaP//75E8OozfRBtLBnNoRnu7bfk5kXZZ5bdl4BbgFTpNcf01WGaESSKdZwj1+TbjxSSWIq084DjA6NhjEA0BpQKXVO4Jzc05anpTAXCDaBA5NrukTcoAfc/EmW9nQEmlE7mA0iPTA0yONIZB3LtmkzBfcaEtoOykZmP0JRZkIcXoBDBnYR7tTk2UQ3uCN0Da/JZOjiD4H1+2D9QE8rYZhWf/Mo6EumumbhofvGie5MiMTnOrxWu1V0sxYLBgu2xMygSPYCQ/kjQz7SOw3GhzI4Smsuwq7hhe2cXVKNCZXFjEtrO80JUp2N8Ta7Hhq4Bd2E2teFf0CH25s3sKesuUvO25i/5rCMkyiJWimTjBXca3eABE/pcmm4KApifMCT4tSKr4pTT2ELBgIFPwoBPjF68SNgEQlnpSv0cdfeqx5q4XlNtTPRm1ciU1Ttx8+h/uJtw8/Mf5PXvVkw0Ru8tmrPQmTJTBZF/DsHajNH1laK/gzOnKJUCh699seKSHmDfdcgJMd24ih8e8AW3CDBRcIN/1G7HFzi/EIr/r4XsuMPHXlFPxgg90p0rAPnv+khUOEnY7hZMIASwnMrUJoHZosk0MSH68MPEWDbNgJSUBLJqJg3W2DhrxwvZwHe5q8Dr8wBeclVKmIPL69SmOhjI5BCltkXihV+IfUS/LpYXTskK9cFqIv615nhO8yWaXkg2oTyfum/eWLTTzxCS1koUi+FZAG6pMGAU9uWpg9OVu85DteLBVM9+x6egtp6L3mg5WsxFytL0ogOW+CrCjI9aDM87YWgXTR+1SpL8psOMlJvk4C1wMo7/kjg1bRf4rfx3sBrpAhviYVAn80Kb5+Za0pYE2rnfYszj+uXjcXDqwzGXT4h9LhefMQz6FvUD7TGbrYt6d4uGdF76Q7V80aiO0WYe27gKKcpqyYiR+iUNBcIoQWnj88sQzPerbcHg07eV4HOukCiiZt+EsOZmf+dczgtYbg7XFekPrWkOM3rAy3jl/pzdNvBIYXWlhNA6IwOa4P3bO/wss5Clgy9SDZ2S7C1eielx2bI9UDDcGr/FHNh33jsoPI7WEymTKcEUjk4D+M0CW/rRd39qpg3idW9o3wuP1Rww5Ov4Qca8oq9RhauuYj/75QhRQpdR5NciqxSGyC2NcBTAofkJlshr3PwuxaY7KzoW8cJMAM0R8va5tsHqwh0h30RaAgumScnnzB2TQIHqkioXTN/eJ9bjThSCi4xy7IFiR2EsBwoZ3ChLTaSH5JG9sEnqDKc2V4DwR0dQwxNWmtQZo5rBMvvdwh9eV8RJ6octHciMvAFAI8mvYQYPX8vTcNNFwsLrpLxrB2g0ZgCJ7mKrMv+J0lF4p5SmibKTPK8ZY4GvkFarNFEj+JDFc6bSp7wEyXOPGLqcNxHIYx9kYDwffp2WNYGSikbZSpAiTQ82iVwuVj+PD2I7z1RRws6swlwgXITOXoPcVYyxkR4iafNsEjHn4OE++9XhHHF5g0GAkZD3krlZhO0T6eU6BcNMVwCDhWfR4QVgwQRavHWP2iL4GVvqQQrROz94yAPJKp5nK1wlSetyCBiZdoqkroLqVHegPjp9GkuDOAK7M6TSEFkzfvMXYJJypScWRQdz9lsFXpK5jpIomMIgHJ7/oxbcJiRjuchOI7jIBj28W0eIZ3smEVQbGwNNRCYDc0o1Bm1k6oPa1jSJZjvAxTiNEWAQIu4HerBlqSP03vNgB+UofnpPcP3WHILMM5ioS+RN43+44lThRaC1qCy9wOgv4sSvUqh/qNOWF1jOE7bAxMp8A6DegMGvcTaJEi0NHplXPoXhu/vVYjkIsG5bMde1rlFVy580gnUN+/EANzFwb8yLq/2rHo8oe74yP/qdP5tN0G8C2tGI8qJp0Ndt9VZxRBzpfa3oV6r504amMR4kxgUWiR6izmGWGqqWqSVUxAlQtJGUSA+AI4rigstXkCGazZM/mSvUxSaTPti+CVIt6Pl/yQ6c1vH4CBzjWFd5ZbHgGvxQoolvdwAR5XrodlF0pTa8J/vERfgFwgLafrYzVv0/qqEL0Ff6zmTRQTIvljoCnjBya0gFYmFfN0syzwycvY+LPG6vHc2HZxUPVr5xwqVnT5cmS7y4+iiTovO7Ka1eNTmQDPiMIn6JsPepiGP8KsHXlc5pIVVRwkZ5jEidxQkM9HlLPk/VdajNG2rfPElmZD+/BwoYDUznrG27bRqK4vpg2ZiUKNl7c38NkztNflMRCLOKyB8VDalQKcklYUUmRAwhOXNvufhlFnggLOlT/ZtF0UnQ0kN/gKy08Ig6SkrRz4lxxdK/ygCINFgUb4QoQQhW8P1kI+HH581+fsnEfh6iHyI7dApkV1P50LKTkDDuevGx7tF1BOuEhL8JFxLOpoXZ83lf6o8ZwoZFXR1B9lNgegZKkqAYUV3d9gxCZP5gM7CMScI7KcMkKHuScwNzhY3029Y9CKkWLT3UdPMgoBzIfadgl9Ri+CRFYJJDqzJGIscj2CiVbHQ4RjGZXqSfb+RNC3Z0saBulGYgYS1rk2NaArfgniCmtgRhLhjRFyZ4eU9pticleXB+kqvEI75CZ77ACphHDtAMf96wS0CGbx3W/Q8a72KRBUi/d56FITSGOpBXJFq4bdiMVRnN9tt7/qQ7aj74QQeH0LoL2ig+Lzdyk1yJEaPnFqC1jk0TA5Fpn94mBhbuKRruK+CZFgzrMLOyaEr+aK1APpBD9sh80EBRtlr0RHKIRdeYufASxOWmIK1fxzjBqAdRbazzsUfhXCOHJvz8V8n+6zbWBIbEVWgd+IloTAjxNAYNf5MQvWIQXQMQD7g8KpP5zNEN7g785yI5LxUp6WwNM7AwCBrcm7IAA4jyvTmLz6sQDeIJWkTKREUxWzD7O1"};
+export const answers5 = {"start":657,"count":396,"size":26,"iterations":50000,"data":"iCCvg/QROxZbPCGIyTbYQgrxLl309VsnQCVPDNFQ6KKl+Muok8RD5UbkZhhdyNQm9VJU03cQK5UCFRpQePYL4853JHRB9Qgkq7EMh+HgZVJm/SSs1lcsGZchyrHsRbirhlHFndyGJhgF59idsCQwxzT3xzCLkLrDD8Bq5/AttnXhJgUj2DkhbmaUC7iTmkD+YFq0wCi/Blu6ovlYY09tJc/y2VmcD4KV3GFkKtXylFOCTHih9XxE3uZcPyVIUtqaDMdEeYNljQPnNZrGucv8fr0/tt8ViQV1Rn6UCemvtmwt3//0jDAs+9bXQtKSjXs/H2Fs9jEGsUMiWgJNWQasULr1RDki4FoZoAoFPt+FBxqR2jXDcqwlu/AsXYfgo26Lt8Z1plz1L6Vadk/bTXY3+eyHSs/7WB6bZyZ9f6mwf5+umTdj15DZuKBB/R/HznXXmj8q16khyfwpToYxlUKgqErQHinqkhM+VZLMJA13fxbpnAM4/vjrry7xBg6M645Aiz8EiQ+RTOokOKSOCa4txkRZUWljzGFm6n1MOgE9X0df1oJjOli/fcPsoXLjwzSYqtS7grmsmd6Wih/+mAyPCVzY3pCpkmwzPss6pobih5vCfLKqKiod45X3bUDV8cmIcqdSoCJu1oac2nk9HVj/npQKy+wMQZq/oPciNA6gbVi8NP12gF9/lp8FQfYX/2E43uLCN2lLyE5RB/R6thd4o7QcULfgJiArPs4EeZ8xU3B2fqhE3aiQNA/MqKD21W2DOWk+vKSkysDuog1aFMXJo5mxrmWVBBhi4EgEKVmCTTgwa8HGaS4F2AndYATBipBa3axWoEyRBN32izIbDzvW9a21TUX7m2ORwK+gkdoQBPm2PiiTmtnmRj/X5DXyJXrZwFi2hwKrw0FPT/WRftlReEtg1r5dXn5Vo7ajd7UbEqqMD1olN7+Zel+C++cj7GhdQXyLjV/vkETWef5T831MPOSbMWGV54njUwc8lsuP2e/UTL30iK8HCvoCSo5wd4vKj7TUM8GULdevhkiMmzGMwU3EF0jBQHHWDO94bwyDRHz3skxvnOYTCTrWdQopesrXiOCgf4or88pfk0slIl/0UU4Tf2rtKqrQ/gQ2U5qU9eJLIW6Ln4e7zl27cxhBtnJGCrEVLUt/IPdprnACH9E9u/E0M2ICl7kS3wTss4cQFusUUG5gKmUdmP95lCqNVx8669WthpErgOS/CfenDEEQzlIVxIj4HNRRKK3nxsFiAbN0qyKkzLcyWVckjwqoO8UJewXHD2gfq96dF0COkWSXMrqe08gkSEIVP7A3uwbMKUOJeX9PGE9R6JEzzn/sEXXBf/WkElqPv0yz3VljcMfl2vLgB7CfGlVDaH6U5mT5Be+uLW61e+o+yU6QvO4IxwDVURa992a/QCm1Y4wLJKfUlzCK9sumjdtbNVHdrACcliLUpoYV8PIVWlMMt2wZDm3j5IoBHt0Qq/puNd7QAliElBcsLt6LTXwJkG2INv01EyYeEUWpvCjXXDIZCHjbw1oX18Us50NNKuxGE5Ylh88yP9HcRWA0RQLo/ViypkkqHO28UGQKqM+OZisvqZok/L1UOUQogHh4+rqp3yO65LGf6SQJLsRJFRs0j+e1gEFXP7AMjy8lcjwPFJ00QNeMRWScIAbxcPndZEOTJrEAE/hjJX/WBFF/aWIVrvouiS1m5Mm2WyeHS9MXTZcGVBIeOvY8UhrTxmzjCPRPrHZlpSYPeVya22pPmtBNie69PFLmZ6XQkn3X6KoOh2p269IVWQiQbjSwXYn4Q9BQcxHNdrnzEAlnO6qqmr6wzQcLSMtt30OG5Fq7sFV5Id4WKxlxdZ9qMG/RRcLZoPv/terhGvClV5Q7ynmcdNABNrO8euScNE7Ihn60j7O1eeP/5Kif3NfdSHw8QdkBxdNnwNjYapaG6hI4mWCROOt+HOdMMscsPmlrSiEpHBTTBrc3mPPfvoBELhIkE02qkvSLKdTVIwuMt/BBLifvF0tdEgcM2kJGRRmsIS3bWEdTzX1T76Wvvj76HddBcDBIC80CXizRDYtsRa24phCEaMcmjEhMLxAkeo2S2B+ZpkCA+b3aCrDr+FYHRC9QAKLV3F/4Djg+eGXr9xj4/5Bk4Hzpn0WAy5SnjX8LmjKzwQUn91YDZh/dhHUuV8VAsXHQ80EOuHT/2ktdgtVAlEJ9xz1iGP6pnUfEQZx1s1cOV2HKFWvQZqilv+OiS982SIONB72bENVsQXfrKEzIcKkcp4QFDQ1H9DVFT01Sv42RY8G3eiZP4li1s6bLgw4ZoPORSbqYWAgU9MbD9O5U4vxD/O0nDY/ruVuPPnkd4jFxecKvMa5zVh6/FUal2z+Og4w2nThemhACq7lZrg/9Q8yMTUf7zUiRlLCDkdkRqc+WOxLTzqS7Y/6cPYfXdOrScPy7vOZOY8TfSSJhpY3F2cOJx3jNEq0kQpUwwdntbtuudnyQgCNZiJSI/8uwtC7kbgsdc42KeBv7SRZq5BYbzoFziGGOh5IBBYu/ahER197d2/V3t6IFSSur0/2Josn9EbQSvPHUbH9vnG54ekDMVtYJHb4fdtpXRw8S0W2/B9CjSIR6e1xyJbnf2wBPfQUbDp10wCWO0q6ISN4M3fxjpVfPPqd8bdEHs+vWAjemGkQCNlyxQraqH3jRuyIybAtwSbj39CQJ4DC7wBoMggh1M8DjtAFmPGd98NwthBIeI4mdNUg7NYz1BBr2OXFrn4iruy7RPNMMx7V3ODPR3livWSblUNRCW/CVG8GYP81cfuY6V3vpotAzeAb7y5PQrhAKpxMWpykq9bpFaRmukAKO0Z37NRtvjokBCbQsI6k99W0KfG4cqXB7fFDGwBzUtzq11Dbe+U9+KSI4v674l91g3dCtWi/oMKDPNQBoIITKMe/xyLlPblQ3MOz00z0Bso3SIbHHiOlCqslRo/oG1F1MoWdHqA9Ock6S5LCiaU8iLR3K+FHLJiCT4NTP+j3v1vB4f647o7lWluKA7UmgKR3ugL09J4qqk9NRzITFIGtRdMKp2df1WaK+tGXq6f2nP16QxAW6Pn3YrzedR8VSx/8viM3sOs+jWs0uIbO03ErzmwaRdxeZwG0sTDCWNPHis9xXbe8khLwU4JCmbmihiL7E3Np831krppFFkmcKesv+7sP5yjjW2uljBO80hbLBwqcqtv50Hq2+O3rzIBW8eXpq+bXbg6gRQTEjDS9Xcm5aiL5aBgLmbAEb9qe9e/pBzZ0g+T0hg9ljX3OP0GQSALO99NrjkSgcwjkwxUOqKUA+JesReptijYB6tt1yXTUWlSpNT8wgNhc6dOzmC3IiO0hAbCE9Y/OZMgbys5ett0AuSHkMNWnV6Mm86Jxj5NrlLKXIvATqF5Ug2M50RlfPZFo50Z9mJEFCUzOIBhVCA0k7J+iXcJ2zzKLdAGoq1ai/8swaG2zayB/iatI6yNBhAYsyoIyj4Inj1RFQu0eu/v9OdOyV8BAT09GtO8ufZLo+6tSUCe+QUgJbFMIlRK1U8L2TenIQhxUJbMZgy9pDuql5pm8P3pamMmyEkIrzf8hYrB92dPBbkSbGQ8r8fllnZFmxryM5pzvZknGT1nVK1a8wbIQt9UWfHV7ECBGNAdeBUawDn2g+WDDBHt03dmMF6BKiw2GP+qjTh/xyA60Geay7qnbikNxXMgeMoQ2JnS4ldTwx+wHOnGApA5bVwgUUYdm7nt/dW691Yxr4a2Z/cdlJgXXrWMMK3QGThBPeIkO8ow0l9x9z9xweCQW06xRAznO5pv0bOZk2iNZCCOCX+GLd+JhU1es+MPkdSQ8TRPm4u/YRbhBrYtb8eU8HiqhI6QA9Bs8OwHSIfoeoVdF+uA0vYYm50xUOlkw5CnVzAdlmUoZAs6ia5lDvB4efiMZgDrzDiEQi8qMAXL1XGekRoptMxYpmgnPsTQLWPxCQbesBC4gL+Q7BmjxyFG3NkvyZNu7xbwYklEnbPQj6maUjGhpHPRse7066cXHRwl2KfJZ1mEhcoMSk9KITlOA2A9RWKABywD2xW6acvFloafz4Xx8uoU2Ev73eB8j9SeekAhEC50Pyi8r0VXcr1IfYYMArsr4Btmsj23neryEMn9QxrWBMCMvmUf4AFrBzOfg20JgqVuAJt4FNMWm/EGlDKNDtx1lGj6gMey1RUsa3Ig25CBLpl+QKpPCXwUStNPS9gKbpJllfqLKCKB7Jc9H/laE1CyWgPgbuXKnwFHGzepJUA/k/De2Iv59IFm+vIRFMQ3nzEaro7VZIWMGOd9/PJBdrPoX+hLndcWSnfJTSihHaIZfWWxqA3GBM9Ec46meyngw1nq8xjzeEyeFVyyOJBwEBYTFCMfmSf8TmItoVxamJGTrZjp9Z+vXGqG2b2GrPvPBDA5HmVsCZtEVlJsjiIdJTyZ5YEdjtIF1DXhbYLhaXJEprUxs4fS+6khGejkuOmwR5YT7hjdm4fP/zjHnyxvotz6NlLmLEEbzS9Q54z+gEWjlit5NdlwkqN+tOgwrkgAfYrIG/0WsaIWQQ46E5I8vMB9Kqhh5LyWH5z95eHpJLBI5uVurScXDPvLjqSe0Yv1kYaQSTW1JsYp+XoxprbTyp/1AEZ7eBtf545NXpQbhtPuR+5dKMUtZ6MZJUKJyuigvpI6uAnooo6YHZrjVBdb1uj92xxgl0bIiW9cKU359yo/DhCBlwvtRMcFC6r6rQ6CjAcAKPm9EIbKhzdqppXy8Y9NMbSUI3Fogz6jIqNdbfCMrHeW/NvgvOqhBg8aBJXzGDrpsGplzN1ZkmKIIBTvZTe1W/kJrePkWOXyeJce5tpHUQw5b8lM+bA/Js0HTyVSsE1DUnf+71HEVMqF+TXpko15n50nDji5kTBZD9ceLSQo0DDXTJH72NN5vKkGWH6QQ3j8R/0Ua1IY6xGF/kRNgggFiBIoIEd40K2+RUYYm9yzuxvi1KbFqkbgB2ATi5U1sv3dN41nicwh8KV6Oh98yJlxJT6PN7xhx5OEcNVW2S+Jr4BZh7LZ5wwtedVrUoJm5QM/QgrmV6uTw9cQuXe8vDAhB1NtTGOCtV1N5X45ALMusMMqrqUJDBaMA/O061n09eHK4fW5o4/1yTz+cFDF4gDGBuu9BQyFzm0OUNf5359CTOJ1esstSQwZMS1w2fQmD+SO0ZVc1f+k/0uMnIJxzulsgekMaLG7ej4bED5BYdZAsjnIIZuqbwWCi4f7TQDHYWLrwdS/FSW+LM5yrSGJ8fpdic09UExsHpt9SYnbi4tDkUlNjTKBBVOas/s0vJZ6RdJUF1YuiZtQiV1YZ1vBsyF+KAXokNK/eJs1jAeZkxzKeqUyLnFD1GfIzRbSahzYx0m4P0H8XYkSxGVbdEufIT+gSP2XZRIuACyv2IBO01Rm7VD8zF2mVHqaEWlUtbSqXYCBxw69bSctrfhEU+b8u6fXM6yHF9kyEF/FicPTkOEmAvGx6IafeBXUsY7HgnwiJpry1fdjpNU4NnVhOQqCvM/M/exU8+5GKNO+E2btXWWg9LjL2/tOUOdgRHXXIOvI5RzSBtbFToIFJ39XgIQ1aklWp0uVIFoUNZgPGkCEETRk7GcwLVgexsZHgsouqLhVR0L7dnUdLXGzkiWNvhFfU3HyHExMMufIzSgrK1kAm7l1SOJPEMjOeM1DTc35TFTYThKbpeMU2SOs9900ztKcpFhcIfwQHE0OkHQsfCSNVr10CY7gEJOuEknaZYUW+GSrWkuJTQUqWBO2u3jWipeRyHS6Z/m43AyYijk2IvNtdh5TJHNFguhWzAt0LZAbCmmGGWy/H4iz4GUU+zrfP3CC7q/C5h4rFx54mQFz4bZiIIe4hwtvpcXaXqDTQjH2E5Dfdg689uDtP8hKmWIJp3HiZV/r4WA7AtcBAizBIx2CjE9H/uJfkgV08Ifopjo4ZjGH28nJZX4VE0Fd6zA0DW96UViqlnxx4n8MAmIabCp0RQCBrN/MR+Br4kAPk7XCkXcpghkcj9eIVlwXafuWMk73KNqwKuWgL8tAYhbIzgQE05xMCsi5N8hzvW+cn8hvbYKpafHdQjUogBU8R7RU+LNbC3uumcugEeh+ku5VJejBjDUAKOym+H7eozOHm40CwyuKl8sWdXCdVTuIF3YUpeMTml8bttCV+vIhqiI/KD8W7DYh5y2htv0rW+NmUKTaw8HZGQdfP+rsUSSec1ZShvwVPh1i8ZdEDUxDLGnlA0E3rOJiclp20lHmZFMSEYMRH59TzORyp9thpo7Q0CLqu+dFJ3LL74eSS1nhS40RhobMTFzEBWL9AEfOaXrhHrgrWHqAUX4mRl4elIoLpShb0XTt/oMInWDAhnitY8WbiIg3133u0iwoZvD+KSRQY1SVZnxrQf0aoEEVGkfoulIfMPQgPt0wvLzO1M03s2Wx9E7fX41PadZjmp/yyEp9XoOj2mMomaLEWiddCv8ySFwZkx+HCURGHzidcptcjg9RHrRM5X3AH1up2SpRym8pi8E1loYBERG3spS9k1NmYyYbPSTb2GUW0yQJC+NOu8u2W0mphFxKtGrYr5KoQZQF53EOlLb3nAdylNKsIimoRHil8nGioF94ghK4tMtosXcQBWlOWBKULI/Jc1PYuJ7u5KnSfMoau83vCkaoau2SxBSRw8tUzIGsRAemMx+9W1dqTTTsojacbcmyupn34GehZ6fNIMxDhYdRBB7eTEzv7miYOz76sOoJBVTmy3167k3OUc3RiimZs1dVIUSp208J5GX8BhDJN7588W4razWS61wmLw6vvLOjHSVi6ObBb1sXgRyz0woUIVgxR9iXcoRI410nSoqrZYDLHNO1l5hfaka06ie3W8ilublttuOz2WhhS3GAAtuox/HUKav97rBd6fgEL8Lpne2zDq+DcfDoiZifk0lYuaMmP3umxtC6H2fenuokmlaNe8OTQijpMa836/Z3VFEH1Z0pjyguPZB8zTgb/l9dgOrYiVly/3VCjl1d/WK3OlC/6mfk4fc3fyBFFfK0JOR181firk5HEJKKYu/tSMkuyMJdcKieg5lTyhef3TzxL0cWhulmlOMj0HILzouLHD8Qh+lzMAI3JsAkyWdp/FJDa2xgEctyFaGiAGTTEY+DeHodKOKmtvcR7iXTANfgkG+mz9tnb3xWqSd3x3/vSA8MJX3Q3R0iq7thcsXlhtAIx5EQob/lZM9ZN/3czsWggOZPbFoFtPaS/ihS2Vo8ZRF7u5bX+prDo4B7LX+Myo+bMM1+f5cI1ogPuJ8UnoZFdDL+hnH0Hn9C2jFY9nMXWfDioCIlXK5w4gJfUb+WT9LqJig0CJQ+7SGozhIqQP2Af7aFtrnolsVqbLzOKWtA02p/0Uz8Il1iLYuzxIL45KZ7BEIIIGtb0GzeWuupnWqH1XsCKkZoPk3cAjH4+RK7CMzWxfSov4rVCXXa7T99jKSIOHvYdjLoJl1c2/1WMqPlg5/Un7cRmN6va/xGqj8kqrVE7kZTw/dv1NENWODcULOxGp5BowFwGdhIJ+M1cHT6xXDd0U+YKrGHD+dtcU5ZYs+9mqsm+9MTy+EDANLyFIHDgHfevh2LKeoK0QxD3RulCj14eDxugiIsGEYkV8fxYwCVPm++vRIfn/wrKVqZh9uD8kRxDq6YjvljRir/kpcMYE5c+7Yz+EVca/L/TDrOiiVKmcvR+zQBLuiZ38urWYLVE+ZRRV7URcZsh7ZC9ZQO15Fwny4+eaYB2TpBwyXBV2YJ7Ffbed/6L6nrqzt786lQTJGEebF7C19T+SqoQmLdU34wnLDCW13C6agmfxiiZ5KhyBZkvTD6tA0wBFXHvmOOA0BvwVpgoKawNK312OfaE6pHJoLWtys8I1WvX3Hvbm+B4pLBFhOzxerhj5ZRR8nQHEtbJqttZlMlo6AsijZ+DwgJfj0ZUesBX58yCdysNO5I5LhkrZjWc8D70I89AqNIGom58Fcty7rBN2J4hCHcRCCL2Z+a/yPaW3pYm+fms+0X9daccct2L9GWfcpjEWWpbIerXO2rbdG+KK/5fARHoKJ/HOgnqZtDYE6ztQ9z6UmzoVxP0zLSyx2Q4pwy5zJDF0tK3P69sgnwZXXURk+xeP2erTVuGieB0yBg6rMM1GpsRm/YRoLefgwd5GkMRiHioMDbUSSU8IIfOKUUAL1KH94G8wWuw8N5rzheubTFZNXgPr8M0sXLFX79rLOtqYqws6vr5nvMgqQh7Withi+YYI2opZxh7J/zvmJ6nIZ8x78URRDjL3XzPk03tNvb7OZJFSFLx0siYYArHHIZmYTVx06MBUBImmDrILttN0kGPpfOsQPQGxUPAQiCXZHFbNuIb/9eJI5At4lHO7+PPfRG/q7RJZa0I83TXwyuMVuEK5F1PiqYu0NFJ29QHpi619VFf9t8cNGdx6GETbjoD3Hq01XkYxbC9XVtUiwE4zBGQ9wk2Xu54fUgQ5rbrSJAy+U7+rSMKTznKDrj6L0gDvPR80Qpm8WVOCw9pQu2nYFXpqXZityGeUoQNxNKfTmcO5d7CZCLaKkyGX6d3X+Eusx1MNIUT70MADKE3L96Y60CX4ENdXGyZ/GqTqhueC8xYimYyCWPTL+W/74Zwg75TBq2HDnGOIVrFdtWXycweGafpUUxNaj+vxbtwJhmdXZiiBbl+P1mzcWwzLxZnzw4qe8D3hnkw+YjieEdo5bZZ5KwE8ayb/U3pVKJDVLQEFoSsVMkWye7dSu3fxcy7rqngBPKna0S7hdImVm3QY8z3VW6tIw/Jd1JoVAES6nScw1OrOQaaM9rV5ZqI6neax7KqrWjy9/cHGcQCGhIafa2RgOFGZq7dxi7P/O7eR7M9ph0JwmbcYYaG2faN4r6lIK0iA38tbfrTvhCbwz62FnfzGKQltNYS3bbNsQoqLo/xYMzP5ntUs6O9OgNwVZ1+43NRbTmOPnmuKEDaqvwIjMK1xk2nkXtw82OPlWsvZ+I3dxCzQHffzbUkeM4pTjP2zpjYqUlAj5QCnyDABImpHUFuPirC0cqLpkjd93ZQQxYqE39F1YazZDkaVKv7adGlSQltiILyszv3LMuS/fT+67frpzqa4edZUpYYqm9jxLpKPVySLpoSVnnbTKaWecO9+1mHk/aZD/33OCD8B1U09I3it4ZRY0mfgvUYk2IzpgmoNRj7ty+HrMkHo/BAPMhQP8tj4yh9xeF2IzZgPy/Hs4ymys5cmtHFniV4o3ua79Or1ma9cAZM0VgHEwCfqAcwEV+6d3VDUnrkeACQv3CSpTYWsR0OIYIjM7b8NCmmD7b/2fmWKEXJrvDAyOy7cvY3eomZh0MVG2D7jyFKZjusiWBfafm+Nl7N/i0LG9w2pT8K8A8Rv5p6mlU6xf2puRhm7Z98uawUQEm2NJjiAFtSPHPvv++SnZ1cQSfvKvPSXbADRm9mxL2wlLSPQPmV8v+HGt+7u258FwQel0801egKnH6hwGczBvMTvSPDdxP5ygdoavPnfVQv/ivkU1guaglbU+5rKZMnS9tG/dBdPxgoBaUZQdHjM0pbT011zhKOfqe65sXw2F+bfBV0Mf1HWYRX0WVIqi7DGHFbbMEhgiknVErkURtOa4qG80lD8+v2Z5tY+QPp/F+Dc79y/x7i8+kZg/Ap5nJlIaHLXUtJPFjKzRpD/7O8MtZic7gtYElXD0n8w4+L+1S2xhsc9sngMKP6v1p1vsTDWCjXv78aMb3sLhah7QNGgUtu9yr9oToSmLz1nL2OFX1j63ti+HayVwyU7eYXwpMQAN4EyG2AvFig0W2+fznFsdywGmOXvRO9X104l+ad9bMl1XDXBb+af3t/fMfdRDuY3JoYc1OO8OgED5wBFqxq7q/0gsI48ktKOtUGZr4jNvMwdC1IHR6vIHeM6+cVTX+lH5gpCo6uHNZQ9Ywb9UrLOmwTbbbzs+nQY3YviXQRVrtuRW0PSGVS3bbB2CtiEks17G1CzjHByXQ6FsiNlqP6ybgE30PQx5TPIzRigghryxmMwfyW7wzYrr4fIEkZh5fMpQeLyYL6+uIGRm+IAaPcPD6KGGpDQSufJpq7ew5qlWjqr5cQQWASYKCliXfzjLWfBEDp10oACYjVpoXBd388Hy766iuxAym5IQ0uOClRpo4TjQBBkyb020UejmRxn8GzDnv0Q/QKC5NWI/Qf34SbHuGzIpxn6ZoR37XQ8wOBaht0/Jv17tXnxK6NdL866wvXx2y39NyOQicbpts8HruNkGop3w01rmx6U8mZtkjFyzUkHwpKH9PMmeWh/P+SKmjl+zoQ2LFyvZwfsMcaQO6Om8cqsgU0xIl0t5L8XpaMM/+zebthEm2smEVk8YYkObC1IM8PRH9vvdzNAj1yCMwPBXVCTiCSkrtKSWqmOrqQewNT6bI5k0eJaYTimEq0NKRFJBQLjs/CVn+W+N9Ri5FCvBKwnjVpgORRKIW/TWSMTpl2dG7bKmQXoxu1Hj3DB1aaek8HkQO8S02PRXOuUsuM+Rl0J2Xlu4EYFdVTq3gHcOrB1Akg3v2zt7X9Z4gDRN8+ao/Zu3lAvGpIDWBS4Hsh/w1/Ltqos7UrxrvcP+uBQ0Q6iPz/5vmXDrq2WaRSYd/Zxtjz1tqZyfoqfDdHSHVePXQHZOLTMTWbhTkfrnOeLCxijn6B5c5K28oe1o4YJu7EP+VMjUwZRUCXvd5fp+4w+9t7wW8lKWtflxhqnQczuiaFx6Ed+2U78d4l7zRCXnN5o2Kd01CGlFj9/qo0WxQy0ZKgf1/neVrrNz74IXymKAFZ8QeVaeIKKpDPX/EHuOK5GUJedbKWRtNMXsG65ZPX3wx4XLH4VwPHSDdvKDj9tKghgpARFEtYoAFlavZJiCElsMer28Gddkr4s51BTkPPN7o5KgtynYCtnQakdK4naKbZpfEVw/hgV2ONlszKupupG7KLXX2BRF5eXV0azrFcFQ4zX7tzKd83PXi67NdAjORL2kyBby5iIxI0uMEsqbFp+xiTumYhK2R4IGahE42yNXGr1yFcwK4ftVXnFI0e4nOE2n3Yr3e+juyELey38OVKlsRbV1rUeMIytpk8lENzuJKHeST4f+g+gGCuGm1FJcRPLegr/W50R7+8Cpsg97TzOxQEjLvZdmP/G2whIj3+bRBCRdNH27N3m8TM4NIzc6TVEanEW/Fuat27JY1ZXn1oj+MqyZ4RGR+NpZIgEZ79e5JmsdUOEJV7cV3JpsZSwtPi1c7TTA85w4TiZ0rV1KyQMywerkQkyWloX+iL+FoBTRkV3dMQ/akyaAbQ2NV6ED0ymvJ1mUnvG9hDhE/5q1CpwdMKGwJthJ4PAjOuGCKt9sF8MPgTdZpUr3aJVJVhOMuT8e+yyRZ+ZOaHA5gQOAkahvZ77YqdIaF28RaHoslgXip2MjnSa+Ssz3MQaMXQS2NBaF1HoAqr6j2xD8Ui7rrdiCcRZnlGLqpBfOTlvQkQoBZB6MRL5L2FewLIuTY5Q2Vt9cC5R2caOU/K9IlQPzrGmLNxKRnAbl3MzS79KtGil+NzN0DVclECMgyTaOXbsNTYHRrNtcuuB5dIa52nu/hnE5eTA2XIim5JBui2G0eQ5g3BSFXZgBpH0dErqnIMbVE30vMHah4wpGlRqiOL/O3lbd59zDzFR1uzlMfH9xX4h1U9KpSDInedgmEqWO+WVoI5GdHBAXHTOkbtqjUmK188d7DgaiRrwHoAZnuARurFQ9fas1va8KMDb5v1XNNftxAg/1OF5AIJ5KtyQrSj8kDCljDehhuQ3CxiXdFABc23Gmh0rIQlxSG3wqo6zfRx6Ljja/DP2SYSduiAbxEu3EbaCtZoKPiMUyJac5GfUGcG71KCaW2X9AvMwYHDGzZuDenwlpyNwY49V2nFStlVKWnmV0TF2ZoMBwU+McvJynHoUEUti367wbse5L6KwXrAUphdP2HpY4nT3fHiDdwKyBEJ2bUqklRpFNNdzhB8v5kUH96p0AzZL4srRRnYInUPmCTTDKQcN26xF3ulp1/sFeYMqLpqMcbsB83YlQJPHXSqHhDWxpsYqlfiXoHHTGIppV5BpyYUO1QWitJVFqT+/9h5MCo9svGz6wKc8oJz68YJLZ37oAczfsQAaPvoUeVkfXG3Com9rjtpwQjoNm7LK6Q7QUwIjPH4pO6tGemMGYgf/+X1ir/cJ4jtO8W3/1W3zcb0FVpr+O+udI8kpD/ECkej6uUTmY/LZYK5WZPsjipdPUMhlxrvR99x4TlCwZORtE9ZYaKKiZmcNbKeBDB2dAHog5iLut+5H0sG4ZXcQl/USSHtkQ8fozqFZWTz7jt4OEBLiDK10WrVHQrysyVkq2U0j8HC9DTl23D8RxGHpiJ53J+VM98UcvmV1HRSns0bFuVkP/xpIWEMdFrmiUlxLA0GfQmMuTiCA6ByBb+vhhhs8ycw2lnh8Z2U0oz3Vy7pzyC+jGn5FtILixUraOGriwYxf0jiSQScF3bV9Sgo36Ro45EXO5k9yjnSXkJ83xR6Y/CfLJb6qPnpyAYUOwRs6pDqj2fhc6hYXzV3YvKptzwxpziHTuaMK2GJ1ATnXN5PLMqy5/r9iHwvqlFCtkm8UfWldQa1v+FuHGnLTKGx131TudzSnjE6j1Rj3Brk2M9UCj3NFg+JYLWU4z9lZdmrUMHmjl3FBlx4X3vc0qfC7JuaoU6JrvfCSOlBLRJAU/k/c9Sy/UTfjitlN2YprqyoyS5yggpCwr4Gx6WklF5SIVuLuFPRjU+CaINM7ZNtu91q3uVdXrc9l/27FXPWOgL/RGUGMPz4y8SxQ1h/izvw/Wr05QAYi4MYEh9VaZ+snn9YmGYnTxOSWfJ8cl30z5gxc2p/i2MTLMhySVBlJSKH/jVzYpqvUKF/JEMjzRMUfbM0u1IOzUgQIuoEv+l3yDdb3Z4SENhM3F6UMgg+lkMMBJIjR4M3cGBk5X4kmzxRfEEW1Hch9uZcMjUlu1RwMf6RU9UHHWtYCR5hS9610b5dqguGnTUcfzITkgVGIpEGsMkKDshP/ErjTVcIOs9iEljRxprlAf4glqZBvu+M+2lEsENB156NMWV/s09z2u+mi+zJ0VPk5x5IU9FFuq9BBFr5RJQBTQAu8DYbv4vgc5cWDe6xZHyQX4zvopTTCEcnKITulsD023bELWrnULq85MJRJAolzRXNIYRUeiXD2stBLMGM6WXfcjCQjSxsEGCns3p4qvB2sMXD7eg4HZX6Ut7f6/5RZP4Cr1+KY5VhGQ3AqAaU5ocW5iUlAbjprezamvuiJVUGTbZ/EFpt7ghym4y3HSS+Ke+5dDKwbvkBK3Js6Ci3GCXbINq2L3uqOEZXaw1a2y/FIuzkPIrudrweiHAigROwR8Lj9aSbcnM8i8FhyYuF5ukdZMdKfFz0W3Wrol/NqtRWnNiMIDZch9zfPcLNNcWc1PvgXy3LTBpQhJm+yxhgOuTQejYeieD+5xbw/a9NdTlXrjkqzqF6AC/gl6EWEe0f5OO5CKsEU+4xR9I6bOnW82ktWUJnQ8UPWThnLXUqiBrCezASi/Zd8weFzPaAfx/yEWdUqPzqeLsrhpfMyg2vwAgB5505JqsqNQ4DksuVGEMOgWHNM1E84h2vNtnG7heGMsHP41A2Vh/Gbnwe7gnfmu4uGMPu4bWvO6WaXrJcA4RhJDBfYzJx/Pt+9ZYjnXh8BzhE4NiWHtAlad1kujFVE6mw0gDVfrtDtnlba"};
+export const words6 = {"count":76,"iterations":50000,"data":"V2L0fY+WbsblObq513TIvmKeJMG/ewfErZcmRB/sQXqyjFwqWmfyMfSKpkLGiDgxrHXnNubs557wl9FNa/gf0sX3jCw5g6oKaijCUU5oP7NsTze/dHORQ0+K4ApzHY0ol9G+TZFcQwDGRpdsiX/oWUf25Z/d91uiTTtNxgLNthvUiBiM6ZswdXGFwBgiPSShLlOirjiWGJwyw6oPNikGWoiZOjWJ6zN/jrqrqnsPXYIiKV+wOmNR3/uh6tqjC/jzdBH5NJGBTstBufNNi67h79pb6s3IPPVT3OgYPGej4lPJo5W3qvrb1ItLtrodf00A36izGyO3KtuRZ4h0Ki/hMENY98xQ0KW+t/++taoos9EjYf/mPZ/2DdfHP+elGwPDjbczp5rX5FpHU3WxVcKY2mCgzsHCWgCFWScjSI99w4RKL+mfJPStvACYPJhQ2oAHIDH7CGJuFfjLkv0uyZIff82+z7q0ahU6mT4AgnltM+BnyMmmypvleekH+iQlfIS/Wq21AX7Udh7Rn459bETd2pbOHzxToaXGrA33bOHNfdl00V8t/9Q4UTtnrfaURi9IvrU7QklgVwVY5OePkDMiYcibu8IYZnXcFQa5X3KCSurPWC0T97ady5Se2dnU+AmAMkwBFYtlR7XlPEEWzezLfui39X9e3uS8UR3VytjhvnyEwMO7sy78Q3DkZtvSg/oMA9vyoMpblNA6fN2U4kqVsdGwAUdRhACXqLgb6wL7xbokJ6AH3Fqx3i7RMmh6ky8Hho5A/mkHUgl1yrsBqM1m9912H/TrMabMR7wCAauDuAvvdZUsA9MASOjem8bvBQAw43LqpLoVAG/TANem1VsY5kSZElC8+6DAsw1whG4+yzaVEjLDkKsVOn1jhG7qujrMPqcpFRWwxX9/vDxuuar6ZeXQVA1H3pzbHDKVV7Wb2jdk8HfiIITSvlTqRLcdYJwjO9HStcm6UCoWx8z2mF6Fkds7QVHZDc1PZKVsdEeIZf6WgAm9dBjgo5es1H6AlrAHwJYZKQRIImcEw/C5Yzy8t4oCB5lC+KpNb8x4JBs2KCoNiZ4vqekazVGEnhkz7qQkJV1tpVYqgcPwTHVvKmV3EKgdc+Q+79hVIjnAHV1JNpoFZrfIYkVf8ApNHazxUSmji8nWhpWZNq+g9BhIVWtf++jn9+QzJ0JkJMBVQCOQGh6LZg/fPJXydCB8q1/N62MKV9l5GQrhuE9P79Ir/AGuoWrvxLGU2U41HPG0Jg=="};
+export const allowed6 = {"count":6581,"hashes":13,"bits":"EH5a67TCUH4S2C2J0pVxtUDu6MKgVujlxOzoikfCBb8M/5FsYdh6bhgxxZJPbQvgv4XYrx5+FUPW7TaeLWfbXv1ok/wIlIkxgi9XM/wC4zFW7IAUZEwKAxgP566yBfMXk9D5xIKZrhhAIQdzOa46Kj3ShgQCK7jCc9RmhItDat5HhCZLPJ8W2QnSafHEp1A8u4TIK3XvJmdR7POsteeuiaFoRoVvJSbGjg0Um8iv+vYY+0QSEeKbFxMO79l3CdP6pWcabQxYQKgYJ+TvLWDTg3+VShot+6YP4R0ynta9LYgynoe9bQY005Ge2GPjH751lHk1ySJCdaYpc1lK/VLK/7xALFLaR7Fy+Dfhz5X0brDwnCt7VAwWI+8GVpgVcqjYKBBY2fyb7gEB4N07VFGIziRu+j3MJVzT5O8Kc4afDA3QJPOrHJHjsZrV562SySm2llYYHZv/ChhSMPGBVK2RjNmOLRcp++crw7BpNVQ49ymLiOItAb6jFPLiRIWR9WbSjrsNfICn02CLxeeIaAGJc7LahEBtnumbtzkVbYXEZNXGZmvbMDatZrHTE6xfhXEWhO2wsnAh93zLOBZ86X3gWasqTjbJ1LoqSl405iIXZOuL6iwbTt3cFOPwZSC/tXzZ2ouzLC/zcaENHVV7YAyEo0DHHCJU7/IN+e7HHocrTN9ZHP8THkz+02IAcdk71h8um0pLcNkEBQqDkIG4o9slwLtNANZBSnFjpvFRr9TEN4bRaFZs+NZsIOOEhnR2KUS8qI//F/jSkjVDIJrvJ3LGjt+Ni8yahwN4gkdjpRbsIlZIZZHSwbdZubCw2Pevx21GsQ43u1zgII4A6DIZQRZVGeFXiM3wsBFW9lkkVCtZt1+N6ixSfGmQQLWL+55N4q2MJmss9cTyY4CP4U1YSkwei1fQ74z7Q1gkEQGa8zG1VBoeUV51o2d7Bpz/iAzRpsrxOVpwQYzKzwH990eaOhlFH0YStNmdanwak67tSWDzhDkfoaY/3TfCDPi74xbJMN7pXXNBiq4PzNgs7NjzDMvkZtl4xsGqWSC3oYflwqDcfDHjAKxSGlGphod3IK7wb+d+skYHouDQX8PkG8H3Tlh3s49G2iw214tOvwJQWEBIAyN0hJ/+4/uqhk0ZvQugOsC4BeP6hwZCQpdI4BiA7NnYWrhQLhchkwm3+I/8CmWHcC0JqH1lhGKHfmylJJRweutJw55XjnAqUd+oZ2d8oiOXvQTClHnMACA2WI18mF0ZucuMVv6to3U4DkB4zCHxXiAs3c5O8hgiih1xIt05do9Mf/I5yJBlL3BSDuJFseFti/vZ43uiySyGn7wOPi//FhalYevwwU1Uc1hEOhYWHWvZCG4EA0HqISLn7rwNOkJSBBwtYOQtHDIpadYu6T2P7qlercCMl0+XWmcctzI5lkYjX2SDL2KyVP4Jm31gRAopvBvZSi4w7ykq4ZJzYk4rj7D5bryEgLN1B4h9EHenLiP5/taQF8HOvUdWk5nDCHf7iQjSdwRYIr8uh8iBVGWoEIEI0lSlrRmbJ3DjJ4FHd5k6WAbm1OsGCCUvPgQN40zHsTSrcWvAlSIlbmgmRBYZdQf9hMMSdSl5UUSu/IzXKTyAItl81l9AGPXSJ6jbIpqovzIBl4RzM+cvneOCj6ZVOyPESl8G+4HokbeEW+dgMtGcfQt97Dm5CbBFTQDIAQxqxSsnnRTsFmsCRSZYIsGoi1zEY5yHqSm7FDToAhfRWsdIkAjCQR8gWOBJoUX9Y4xv2yh11KZJ9DKXH1rQF5TuZTXvleiJEFdZslmGWJo4rjZwtPK+nru6MNhtkeQ2DUYI88r7MHVQ5nIMgE5KRDIBYu2xJ8bDO7ANT0t/pFuAPhvwloUkFCJbxu4LsHaCYAImS+Nhea7y42tveprQiw03A35cX23uBTrUdimUfFGmo1+OmtmWKN3ekr9vz/X+vLhtTCqC0OII+aiO3yjLa64m49bG1aO281sL78aV3H21nbawuKhn7sPkKy9/cETh4XdUHq5q4075qLWXiaYSpTBXRQjSmai/SzhkKf2LHN2dTvBK3+KNE9StQuXFVD9LbF67ejmb9o37iQ5rvaCEVu1w2wroZhgdKPGQp6AXOEZwHnfR+Jx/LoalWonVS0LaBxKMkZyAX6i2IxlAK2vhVfw/8NzOs6XhRxhComKeDZK7Xgp7eZUDk+eoidhVyyij0qhnPjHpkTYcxRUS/xCs/6p4iirll4DPceewmBFaij+ba1nqupslPLYfYB68G+BRoiK3LnNIC1TYduee3a/hW2+Pw6v9OsQLuD8KvA1dGheKKgYAq1mF3Zr6F/CNQGdOP8ICmStNqZ7CTaUqZlWLQjCfh6kvZmOZPkjF/qFmyOKpgiZIChHEzFQGDabblR287AweSndL4U3qOQABKFOpPNaJKZdaWz2nXZIqRIZyWX25st4Z8PcOM06KnHpTC589noRGo+PGvpFvOe15kdbpo8GnU9OnaBQECxwQ1eUCH8mZ7HDHEkt5h3ZARST/OGDSCbz7M6aG6Yi4fJGYZOK3dCc8cI3BXi7mjmG81RrdfD4CwqaZAZ39Ytr9fDoQHc3KJcsn18WKEadEG/t5/YG3b0x4v55aAwa0hhX+E1NSqqCH1ZsqNBFb8XzeWhbHH4cA5xjx7mcDeG6Cj+gho6UX7k30um7Jw01aWfsw/dLXXETb3pULAqA2at75SKRwLsSaWoe7c2/IHDAXaHJUdVXE9ekhA91WEHkeFGgWDbOq+zgqk1w70XPIPHezFPWMvZbFw/pnmOcYGcHZ5afLJIZLXA2XEfZYO0ktORzmYwEUdaB8inaU36D1Xpvj1+MzebvL5izVgIjIAfjZkgiOP77o1xthWmRVouaoA6RVTw9HFuKPfweo3VXcxaCxCERXHPWMRW9Kjkjegpn4RJNpncGntga+qDZF/O0pdehaQM8RHQ0gnF0BjoQl3Ra2ltDefivRgvieZJN/7UH/JSMwMXbq6O7EjuhBRcxze0RUeoF9eBlhdQn1hkmBKyroK6FRP9ZD2T/ipufVQlyAImv1ld9I9Ak1icvZwZf3QQt0wOeOtghdX8XpCvdKlyUdxf4CTHECuNkQaGr4zm14TazQVRIoZM2S9lxvDsPccjKzQrMbGz8ULcltmOstNbT24XpCBsmjpeHiw5OvL1iwB+FBRPHOjEF1ZyVz4UoXu/IdpI8w9en1YIfwDwuZHYjRzCIT2kOXeT/W5lFrYgY9yHJxz5lEGd+G0s4M0K3jl3/BpPJmDbtbjZ1ZiVtdGQgk4B0/3pkqz08hSGNM85ImwqqaSFrNy7D1eCXQE9a7mKAE2Ag6xkmgw18cguAf+eieIH8mkWJJT9rwWRFe95a6T8whYJZzcTbcA0SxgWvTYmrdBbRm1W73y6ba+C0VBvMmv8VJV9UpIoHeMF0S7QU3KPTVHuOMc7ai+321/9NrVeXsjXDfEGvp+M658QAOt7pAxmzNDcKZH2bFeCb61CtWss2Jj8a5LBZSgYiMwRiY3OmRTAvRghEGObCg85jyMolxUmkrq+KFRQP58WYMdUN3WzC5OwiEOT7gBCRJkB8hn8qFudHGuQaxYKdq7ZX1vEn0P/6TjSOVBvIR1N67M7nOZee3y5RdpX0wbVgT6vaFgpvpIjURJzoLbfrJMNHGKJfF7QUN4/L0YEJSEBBzBXkc2aPajqBGdmzUYOgo/uO+6oty3vpRa9bSiQ/z1tkZFPTmGZEDisI86euUqQQ5D8J1OD0hCYEjozVEMQhH6sOEpYubQLUQR3yMQmlpGSxjkmn1toDisqAzbQm5aE+tDhSrjhSD3cNmW+H6W43SY7Xs9sBXDRAWkjVOCI0ibSLk5QvDgIpa9f9NcmxMH7QbFtFes2LdigYI6GRs9y1zYZPyC5nP9BdVoX+OaFv8FBzOb1jhAL15zMsNAmF0MPt6JtvirEtjJoS4ikYXXkDNAlf5TJuGqI1M2KDJy77p6kV+lQ23a/KtuLLT5D7QkkljfXDSmreRomToWkcptuWCSh6hUDm7l1artAZ1ouG3O/4fZY0AIvuDaH0PuAIIxJKIcWmLzvh13lQHMaKG5ZEUAwWIpW5eoaQcVQTiLoQYEne+0I9KQPhh4bksTm5rIfRHUGe8hc2AEVRQRg6JuDHfQRYD79Ls9GinoLavZzXtC1svYFYJ2vl3qsSHsjRtGIPvnfmIHmuDj0Me6DuRQHuFbNo2xjb2usvOxKkkJJlA0isJ2CiDwVGdEUc8y1I+SH2YUmPAfpjkZVvQhlP+MiynlK4iNCIaba4oLsaeeosU0a2OzJsYEqdYiRlWaGtJuRG9Xy6ZrlNt1HLMjHtHtTMKzh3GN9thUIHW7iHp05QGwXWS0lfMO00Z3uFgRvPGGgNaKySoW5kGPMNRra38en5PpWL14IrJD2nOkXdCoTicN/AeS12YvQc6qI3Z+/eEjEJLkG928kfHQBoFz9MUU4P/cf/OpyOoGpFEAOHO1RB5x9Z+uHf76aZhNCVbl6A3p2q8F1XnefLTxeeAKY4cR7d/zJDvAyifVAxq0bCcboAbrkhab32V8LkSqXCB/gzU/eobpt1M97MkPnxBm9nB/l9BHFXp8CuYBYYnzFlV5JZlrEF+n1ZZACBS9PtXi06gsbTWr/G3cpOr9X2ow7zEj/ZVRK+90AwK0/7LS0cmPLIhRqKljCZoAg7ZlYxGkmZ7GaIikyNA/6gbmg5i1T0mEg0xKgYRp0px74qVMW24sdBs0W+GEp3gzFveKnJKBxK6scYBAd0MrH+yTwti3w1pDwL0ADsF8FGwgadhuCXoBQYaAyE8oUqP/1DCNuE2H98ox4nJXDFf35qKaivZZnKHl2GMAdB1qdl1oCw6uU4LgaiaQ+DyjEx0bixnPMOIRgV4GD+m4bBvaoR+ufbn6VwrVmFiB1sslsbqbh3KUUw3B5OgnXyIXHyAFFfRgI7jHVxSSay2WFcljaZlFjptn/HahX2W6gJlCWMXZf6jRo0DdSTN3J8IlDWhTiLIsJ0mfZXBleK3JgeFOrzYdVmRuIU6ZCRd7EFjIiJZRv2AafLeqED6n15LLrYcvkYshQMVGbv1w1Ve28iwxil4gNA8+3Z2hHypbWbMYNk/3iFOm57pG2sEKVwQCKJcvQCZeRkAbX6h0+4qlu7BdJqRog63TE9zJ0DTpCk/6AYQdgxI+C9J3iYlw2Pej70jKsuJDfSOyYKaIAHuLKerlukTSlNHE0eKYHgLxQaZtAisR1GW/S6zN0rnQtoFygXJTJ1iF1AhL/15HtSVSSBIwUGMQhGQ+lkJBO68QO7jnT+Cq7MZ5OOE/IN36M5Ym/GM4/yaOCh0Rd21S4C+vIE+VdyHB+lUaXwtG4Ra1Q8y6Ejn1mJw39TPELkqPG72Kd5bH6AbCoAXRPbjT5xpa8hYFr6MsaA7IwhZV3FdbpvUGjECwkKzZnCc6gZ6o43Pl2XmOsk1KpwCK4BSdvV0bdYrPfLESXuGl2eYt51sVyLJ9eEKjeOR+Cz/yMwZMat1d3UYWOdItg3W0wMnoDXQl3rIPE/2MpeL4GaaAaPFk4iB6d6Bw/AiRIlff9+bWjDbmg58JSdqBGhdmbisUDFOPZXMXpVkpjQQeHD3/zECTje2CuXD4dpRMfyqxmLCO/zHIojlchaVg9tqwEDFdfAkozrmWr3K2QSP7pNrJFDz8NM0kW2/VbHDElxYmF9Xs3h5M1FUOWYL1R++P145Ra+eVndL4jXWPU6QcFXm/bHfm5k/9m2YKRmpS1oA/ftHMw6yVPHh8y6RhybwQDwGFStNz48iv2j1ONF9AYBwPKDd5oErESwxCYt3I/pkICewZ/tinxR9awCYF+Wgi6v1jm96q6kMqoq55Y4IJCXaxA61pz2VSZj31RTaH04oJCNn2Ts1EcJ6VSfyN7f0ymSM0U28B9KXhZlqb3cH/C7RW4I82gW8KzDiyMlRJ58cVyawbT6A+BTw43TYw6BjVe4cqUhmPhUdud8R7A15ReFqVNj2EIlzLoj1gc17D168PEwDDqlKc3WdZ9KbScL+YoT3zxOn43ZJwYiLViaZYKykseXcEsBDRuailAj8KgL3zOuUS+O2Zr9BEQe0iUfJ08pKzKOBDbhFyL44yUsfT6xpaxpkTcg4mHzq+ec4iMCmcIUA6q9HQmC69O2h2O505j5cE2hm5ySsz3ldTS3F1lzxKgYDFEBHlK8sn1tkX1DjkcZRCt/cFFIz3BTLqB/6dpmHVfjH8RyrTzJkaHrMoAtTAqmHKGYmrX4muzc4Yi5sBNHU2xszyZJrj4l814dQadrRHcqqdrztc+ise4ux+eMB93cuaSueRByiduyw2emZ/ou/f79IwsangnSQnVU8k1ldf0dnLYHMB2s2oDhDK+IPbismofLR0/RmQXDMtR36cXnK3afTg6ZRzWfSO/87Tjlotkris28tT+GaTw5wot0SQJbEmjx21ggpOfOdbdVL01MVCAQG/RW/4PqEAgVnpncXbHKocS5xjZd3rhdYBqgT84/bODhA+M79/VxxRAgkilBDkVQFKyUwDdMgSnfdJd+P5XFAyIiSpGEtJVsZSVcGR8e8Gxdb5LyEMHDaxsMCwU9y6i03847DXcnlyJn4xQ7UPJ6VKx9IUVEOfrCtpjimvHyFgMaahoAOOy2Rx75ZTW7xsqMTCtMqbNhb21GZUszZBiiKkIxjz9B95EwCbZ86kTxUiMFwt2dsq+zT1NWOq7BSgLmrQLJEJ30HtfEW8Fm8EA28WlQ1dVf4dmut6vsbc9TYh2IpxGoHuDelGTfMbSMcZU5chnx40306SX6gaJl984iZkG5W61ltPFB86aYeUzcsD4TzKGd2YavqnV2OmLIq04Bf4iSid/4SXIF1976zIo9CC3N1kzrtlPQgJBS2Ra497mnbotMH1uBamF3LMloWmaSJtD4QxPGnqA3foVBROC2R1VQ/zkzpvKOAFBZjRUhphxC9e8IuqLRAsQ1MCteu44eARHRcbI4ULQj5t4Cede4T9o6sJ1jwnHmDDJWpDX+yXqWsKG37q/kXDl7ceHTdFpIM0l7OVvaiCL/2oXT4L6Kq+M7FXMdET39YHWCDRy4M0wNnZpK5DxnX+kspdmrMrp8jeKd8PBlZHwcpOXD95Ovy74y2ERln8VUue17w8LDbBH3tgFsfCvjtDPkHlxiL13X4GVW5qO4A4859QoFdugx11ZWSBmhVRT3CFknnz0Tb7GtJ2rhGcZdw4ugkkRPJrfb7vyBZXbO06BIiKx17rdDj83v9LHMCQh2FB/vVLV+qod8OBklW+oFUmrLMcmy5Y79VJDi4XP51DxUmQ11hzaO+txHTauCCHIzmQn1QjonJiOBgHuNeoiyFWHU7Jk1T27ukNiSRrEwoZk62uNm8PBitfWVqzohgOWA2FL15t/Qrn9mwUXgwFGkkn/hbB7Hqh8SELBqVILlZojfGB6cQ4qbSvrJeN60Rk6W4xhWaD3kK9pLunkljEF6zhufzVrKDukt/Zr2JExEAef3c83iDQ3JPc0goMwaF8R5F8mioKjmcM6DPcxWngz9Lwd3oRgR/bzbrMF3X/I09xbC+1dKGXs92UntNKyzKSKsLhGbYg5NZ6wepCeaNLkgnw3MAb9yG/q4NEqNxlidqZ2VKaULtTDW4D05DM4zQsSAx6MwlSVjhC2aKl+gs9HPkQZCPoBBBmdvdwjJVNPT/HdlaeCPPHgsi4YekynlUjN+f+DuuxbgZcv3mtXokdJNpn/UDa/UIKKKPpw8nGFiyFIVEVqlyO4mt27fndrtcUS2dRCshPorZgkqX0K+Ev+POJXNRaNt/zMAfxgjWAj0og9pLs3Bo4myELnvgc6sDy8q6J0gfytFNy6Tvq2nV0ORe0x7CSWWu7r0fCVECnFWCIy8HtmxYo6T1spEng7ymcGQXtkoHuZUb7wcoMep4y41bmISIjE6IgmZHsMQJ/8goVyxuhg4KiRn6Y/wYqBPU7P3S9S2j2MTmTuN+3ro3Y1fjZkCkMn9XC0viANAQ/NvWYS12k+gPOr6fLikQ9QgWOfNO9aPILLkhFJLjLCkvpXSWK3I+JMJY2cyBPNGGODAPoR9OnudjJ2BnKB1EPXX6cIUoPPBcZdron9e4XxE7zHusMt+nRcMZCPzOEYdIr3AK8SchBTIFa4qDDK6/py/Y9hf1tA8VJPQEeIj1qVUXCYvkF0UamVLKGqicdroouNDEoxEMxtAnGK8saD6qGH2NdkYo9rMLaWdaSKnal2cQJuUHqvo52x3iPQqGKiuljSoNTYOVWMQ0uFeMPSfpJSVlgYirybmM2x931B5qmIyfTwvWBqVzHFbrK3/M4kdKDsCkeQmtzC+Uyq5RkjxmXmTeRSDjwJ5Y1VU3joTfipwvkFm6nETDZTZW86Mbc6Rv5LQGhGTWVz6wQOMgCIsr4PHc6DVT1VE2qhmsuRI5LtSj6/qEmZgwB/QO4dRcolH/aD7wrCrh0+j6eRXJfyrmPfUY9oJRP2w9ZEn/rXb+2YNxvdg4z6D6oZX6YiKcgWpBhKXobMpq8OvKznWYmO0NaWkDogoVWsSRu5gRhqOIlzM6b8iQNrfzt2HcnwJNF2yVd2I9LPcRtNvKnAJ+cj9UJdOPl6u0FBR32WLxEGUmWkIEfVTRUyx6Q/HfF97dH1FjtwWNBPSbZky9j/Q3ByqO+SBJSEL94tyvynxtEbTEsBnBpBWZh7ibJMgVN1czoQ/68PTm3Cwe/YCcAabmThJfQRsQTQA1Gxax/lJ3ZVLa8wqD6FocL0kW+uzoOpJTrQk0HLLDvhjMR4wuzP6fdDIOFozh+j9v8N0aohbZQ5K5C6KArP0oILKLjGgpxpEd0RtbQj9HJtbz15oNvsOlHWGOIGGXMAngwd5zJ2EaQHU2FKZujCqFW714aXybk8ggpiwBuBURyP9BGIT/oYKARjE2zqXGDaf5kfZeLLiX1BeAa8xOEDneT6vCBcNe2PHoqk87XGXM16gc4QNbtPB69HvBvGIdxpK2mkCDcAB6b/zioDNAVTTOKXbdvdfWqGCqN4ky+CSmLL6jILvbkHaQsgIDIfyHq6Uj+0IuAuhF8WCEAYXssYDHljnS5js3Ldc1F7nqRrXgQsX/8DTVI4jcnvg0meFe2ofK1TBAPwzcGgiwTAmZQbqQKxhW3G74uNLixM5OXg8Nkz67MIdclaEJFBBFoQI7v5IrG/nK5WLyYfnuzqtWe8vVsuVPRZfNA43Wr5j+lr5uCO4z3301TX9hoqCIGOAmMbxJdaYydKmNh23XxsTByZMFATsJHzHQdtFiFAt6fZAqVUCi+a7PQDud2HL4wtan91MapAig5nWYf34C4ex63TneYlA6ATe1eefHks9Sr6RjDzid9WjGjC1DlPDMjM4J9Mbg3xIFfNpNP4mJODQdsmIhzRS0IWDZv0eNqta91GSF/srIBgJkvfx1q5faI3Fv/RcX6xGwcn9C3DoZPt1+m7rF9Gn0UdLcpPli9CRhWKkVCPjBIo4KSw+hpcsKTqvtEjkAt1leabOIN9ezA2SHkgZdRYCgunzxKFOg4ednODtvcysLT58z8WWb2YytBeEVEyrycHy2yhcBg6ukLFZfemBtJwV47MIIeeOxCqfjgQoJ+W1IphYgE/kFCCntt4VTGR01WnA1dBBS4jG5msPxN0h75855/gm/H1Tp3ihMQ1I7l7VS3GmnclOAb7LvfX39ZQHe5xhkM8Cqf5GQ0oKhl3igNEoNaPZ2XtWquhPId4ptS4pKZNcoNliMe23IHJ82LASSTJiHDtTfqZQB+Dq2PhdzQUC8kb4ntKtO1PPLkom8grsSCc9oSfu+gDEK1AqXLnGLYk6Lyr2zrZuZ/IUDhydBumPyFYvbQkza5P8RtSzncCAy9UjVAFwFk36ULGlPjn9YSg0nrvoL4RRNRZL2Ac0hoKNYlMHNPCIUiH+uJDWY9zkTKFNHAwrI2Ayu3Rb2Sw96Tzf1egkrj5oiINdaHJmIF8ieAVXmWUU0i02K8VRVHR3KNXGJ6ETlX5oBITwn8XiZNA6m8XTcVzWGzxzB0nzCHRFEG6fb1PXy0q1AT97ICpnQlf3qNsiYm1PN0UoRhMWXMvqXLb2vIWua5zmqmZITvocGNW4jZf+vGfZCFy18jCq2oRlgqHWiXna0YUTypm2XU9IKZM1AoIWFYj9R3Mzyu+G97gL7hqX/Me9xQAtLSeDdf0ggRTnyhDsIHJEwqAnkOHWySdrssA+HqPbSSTbh3toX6EBsMJKfOagBAtUTyzr7uYEMptwC/jo5FBsFoxD6LUd4VZWKEENo6kpHLNWRJltzs6/TNMy2xn0UAR6XUAEeBBXLXpcrzyaMCF+EiUJM7KAKdblZ5Jal4Vj6vo0ZQNUYDK0EwdkJhWtRhnobOJhUQTXuClVcOhq3XhTHe/Y9OERCT0byNGTQfE25wJREskuf0tEZ82C8sU3J8wELjCbiNVE83bzs/pM362BP/u7u3HNPaOob3v8Uf7ig5KHylglZG+cWvTrDZMqhtYeX6RlnUiTRPz4yYG7TYkVSGYOre9pOdrc2lYLfXD6kuBQuxmJlaCCt+XinBm6zjY7QRS0NaDsjm50SAMW36jwYJ3RJluPWoBD4JYEnPSSuFmlynsBt7LFZH3E6BZd7htR4HAVPLCgOliiIsEYlvsZ/tkUM+iEAJaWNuNk7zSv/OgmVoh7YyjZTE9DEl8TchhWEFu/5lxiDA2oIsOzbF71TJgcUcc09rmR6Rg5w1Utz57ywicU1cJj/vMxM0n9jOBCEp1bwfIIIZ7QsrMO9uFsv7z1GFE+0mwWzQV1nwHHogaLS0GJ5LDSGVZUWlAE0VLsBFgsASWnN0fmXmpYx3b2m+OrzNex6TSbgY1Kn2jQolpRVwir7QKaeigkaTH/IFLoME3fR7S4GMO7CWygvoBjsY/2VHnqME74BrVD+j3No21psVUklkGcn8xZVV2rHiMqkVX/xTTraE3mHRgc59KKPwo562UnzOngh24BJLt0ZuZhvn9Di6no8KXu73byYbyncE/LXC+NBbkqMSbk/AAwxCK8W+b+PR8qGyTVHk/p2UgEx1QDGc9UMpp7WfCCVSxtikEOyvG5a50JHeLl7nNlUkmCFcXth14UGrH+O4MjsymaAUFkNZJ14MuJsphYV2Tl+LjCInGlIFU67dmgRoMSkiyYkGJydwMEnmOwgNBcav2IaBAPWu9r+oxu+YdAxBQZOxf/GCr+6z1US2fdNgvAkTZxnwsY4H7PqhNMB0MdkYE8SHetFJpSodp5A9yuRaVjP5Kv1CRtOcIFXjGAKZkdMFY/+0B64S7jYo7oyXBe8XZQnEC5ZR8qpi0Hij9ZLQOBZTMrz4auRAN4YQfGDWSf5dQInZ4qJMyTdGc0BZdwKgd81fcvQqBGHy842QlMR08BUBcQLwaTd9etO6Y46VTHmxBY7BduTa5RCtPTkMZenyUBTjcVGyRZkvt5iiGsNjo6RB9FOMHa7BW0WfivI3Ach2IGo1bkRlOmbbJLvu8X4A+QYqFT3lZPZ19yB9ymz3JTF5lccHOHLsVRiDwM3l7jYWJIfUBxIL2rDGMCEDrklkaGRRdox2EUg25fKpvNeagXwPKzf2TBdB8p4OBGrpJQeqMHjxGyYxAB3Zw6zV4A8eBS8KK4H1UdMtrQqEGKI1PGVlJOM2I8ijMbpzq3RxjFDqC++JHsUF3qbnkjvXEaAVRWlAmINf5nSLBpcdujpBYx8WV1Qyev6REZvXAik1nW1D6VKC0WW2wMxDg6xckEIb2qZszwZJvYMNlMHHW+h00+SBJDtLeUAG4zeG4LFL9ssd6N/TYCqpchmlBzE6ldDKpJVDhahtkN8ISKUwAlH4H6Jlivp7nikOvxoSDCBB0UOW51wLlbpJ3VDBR9Opb5g/FSpo30wkSopy6yx/AgHRdLQS5hFsvI5J4xy0BQviGw9KNUBVq4Qo5H2y2gUht6CUBmZNY5WIGqvR/HZoVNIyYKKFluFcXCnfSwt24e4ICIKdsTF7UHK9Clix8lyQUgcUY2tGTWMVbSpCNOG+s10JzE4jZ/fqD0iWxsCJYXTqcWqHwyqnYdhamBo9OnQG7V/PQ6VCOV6sTiNEckUknzzLk5PdKgsoafopdNpeHdmTCAv8SEVLk1czNEKdX0367Or09+8PMfifWcjNNAhloLbP/k81IvPkSHN3QvYJ689FNlwC8SVu4b4CzF2ox4Ix96RohwEVmjQf5HYSFlHxS5xVOiuInRy5MXSHA9Dz4M3bunc9OWL16lva8eAGYPYc13Do2oWF58SRBtSswJDpxDUHdIt/1usJO2uiSG/IRoSovbcyYTU/NOOhNJkerPgg5hUsb/hk7ScPF69JvZwU7LtmOM+zjSdbt7MWJr4Y77KMOG8+niQmhMH6MSOYM8BS8YLlbeojrgdkD092XBSvCbKfmhp9fT7plOEtcN7t/gYqOtdV4xq3tpRstv5kI+LODLQgCksLoyT0KdKPITqDOMBU2v+WlJ7C8sR1XjcrYVA8StEnacwqAq+0139f0eGVZFiQKRj0K1CRXQwNioYrXb4cKlgaf514zGRn9FEd6IVpVi4FEVyWhLSuoM3ZiGtAXN86SvroGcZj6scFhEeEY6FEgPJOT50IbqJx4RLMPQgRdtNSznOlIuPAJjScx0apex76iGz/GITZXPQ7pL5PvPAC8kQcBlRrWC3K+VpOwGPlJRBIzydO/+uAB3v52gYsFN6DMNh5rlBAWYqGOxBwAqoFXj19DvPoqLNGZFZTms5ba0ARb+X3wxYUieR22wpYbwXaMHEivintRLFyGXA1eD3KRzIOgu44KTCj9ppZlqYshdHb7zuES0nVD1sG6AoRpSLnW4iJdAxzwQac8FesgnW2I544dWuwqlxdAPK4RjcoqyStV2ytEj+ZFQE7k7oMX9L6CxXLRxx7kGRZHDY5nJaIa7v381OCB47PKxJdNicN8El6+BSxTBA7a6zRHTTMU4rOV8QS7dg3naeY4LmkunGj8gvqhlODDddiB7hcWpHSgkokhVXebn4O00JW+QaAX3jqmhwq1oBe81AMkW05fGGKmVK1+tjVpDg+vx2kBdajyz1M/2c4abhh2MS+mfOG8YUsxeLQQ5DXo4NiK8+18VyCLv+lvkE9tA9ARzdDNsbtSMQ8E98RN0QA4e6egoeakNQOCWvqnsO0UQLUvwD73bsNXFeflfe2dY8PwHMUXFUcY/dkzr1PvioggHDxgYsxQL2htUEjHj8gAmr/JXl6XMQ7TatCPEHZ0UTk6KkFT7xzIuOSh0wolE60/C0V3NMxVpxICJ7kfnefbAMVd2LuASrwKiJQrVvvlwB52WKlP6QI3f4GO2eAv3fS+6TGR7cnGN7yavC6LyCQakW5gERrr7+lQNaZEH1HWnzBL0+iosRpknscIlCMuUnqt93bgaYQ0gidk6b5es/ONYDEcJTsEkr4pAG+8l/YAE225M0aNxL3c53jlMK7R9+MfYKOqR0bDVMneIgNqokx+J9W1G1QlWElaAqzAo+PeJq0n2WX2cxZEM0mWyv0kWS2xh5oS8OW6fvqXpQkqWBLis5HU7iyVFnuMSVF8OsxqR+IdT6Aodeuh5RQewT/4Mq5rtbrVITLjEWcauOCr/lu55d5tLcW4MB2Dg4Ng/sgI1EU5VxZuK7VRCY2j83DvEDB2TwhAXQnQRxBYpOKVfMpjBmt5SmIw3LxOXgjRXcKXkkxpR8xH959De0OGvkpKPq7FCEDmFK00jYTqPwf3BUkFaPfqOcfUqER+NiyZ4qsJE71lWr5LsqKCPz8UgrGdCNTgW3YoKvcwMBIiTB7xJTyPEIqmHvEXuwm4D6tch3W+pTNNDMdGfe+Oh60qMrArb9U9ggXQ2RIZBoq6N9ckBpUhraHUmliHqAj0K6xJVCMDhUOnYR3YyM2AkgGRpSjXhzRhsqd5O4B3iK7VUCGJl0QxhrooUxvqNvn9hduEFvbgKm1FjHnqUs56uPrqCpfX9d275JkFLXzL0QLgRKMeKWwHnspeLwMeFxkDPaLfHuPMbmPHb/BiGW4KodKJum7hf7EiFDqDkPSFsJP1UMww8qiZ8KpEJOL9tuzDKiXXDTdSkH0GXIMj6mJAxDfSmWkBwTtGH0+q3Fvwj6lK0eX6Edfb7ofSQZP0BE/y1GCY2AtA73J2yLzWcVOcCzQUWLu+IW28fcVNWcF5yizYY7GRRtickt2Gt6hDHdlWRoslIudQwKEeFWckryb0Ogt5JBRTALHO+F4NyY4FoSTHvjTQW2sxeezwcwHdP43XItNxRrdu4BapEAya512p+/ETq2HB9atoUsuv3byyDju78yigbxICHIrlykMBzqWs6YApzQI3Z74a8m6KGj9vB2+Bpx/9kN+pfSVAgs3WT4+urMB3VoOY16CxMUBB7ostZiB4VqCls2GGFKBOia/bKu1INL3R1XTUGtk3o+Ki1BryEWuaKDQy+ecaDeXVcayggYhQrv0u0tO6P4Ztif920pA43UHRpwTKhSnI6ttyyCTOaFcj4rIB1AMxq+zuoGR+JhTS4oWLwRc0Bhx7uDuWQFJX4AKeUQoWJTpln+lEwxbTRwJxeN5l0BoJGamxFdlr/4X30SX1eC0mRs+Ee1TC7+gnB5IJL3qHtghmlWk++j4CrhDuxQBWz+dRpYfKLVt6XITKmKpb/e82YWAu0L7bzueDyoijxOCJUMlmbkMHU8z6aSU1+HQOnmhiqHMHok5qvRMAiE+D41FS896I+a2ybFiW5kDP+5YMSZ4YgWbAJDiAlV51KOvsTzQ2EwKO8A2kGIQFMMx1+8XasHgj20YL8eRbKYPispd32tShrVMVoA+R9biJHYxX3CAtBeEkIF6I3sRedjmH8wDVQxw9+Da/O8IRd4tvoWuxQofBRvZZnyX79M+qqti83MQyCAqDU6PMuVeWQ8HHMSPRHLBXkiagrgHeP+PutmwQWFjT5/LAuLWOhLhfr6PQ9RoSe6FJMrGQTPrcGVQ6gcFMfl8sPBVYpDhHfz0CmfPJ/UUU46ZP8tihgshrgy3bjDJYDiVSyCSL85SsYeGuCwMvMMBo8gzbbtOjtBxHXJrFWVVyZ+cjZxDUmR9tMxag4QhJmkL97KzxVwXXzlvPNM1XfFFfBAEAesraLuv8p+IQUI3oKcXVdHA4ymEk7oSFNzLVB+YZEawCaghUmJEYcuqrFWZEY4nRHKAT1gKS7RY1EuX38qN1YWdxpCm1K1s3hK2xks4GbnYltubGqcEIIDtqM3U0KF0ahUVBHKoHWM/EpliBxkcLFSr5BPMA+5QkyqwHkkXEBmyXRBOGMIZJuau0h02cOFyUWLAfPJMRsY4ZYCupmXURZ3YRjfO6qGn6ZozxR55ccK+d95G/wLNPVTnWpoGqwohbhn1vUqO4OmcWGw0FNxgp68EpHGazBPHrgIr3rgUJoMGIhamaE9JlmDYoDYjhdoMJ39TEsR7O9hBZGhIOBw5lmWPkraaoeHSVswqHSwpM/xbw4DJadEH4Torf9I3wNQp2OlT7qAO33mJyIirrsMCM2BlIwFrGzroRHBoPG5nX0K4bO9nqDekT8NYbVD7InRIFpBewC9A9pLzIg3xrqMjgMDoQKI8UbHgKNPPccmUmS7ViFUDHAvEhl2OoVOVd7qOexz2jaShhw2EwK8cdP1SDbCKFXW5t0D0tdSv5EfpqPrqjTaQNEU2I55gR93tIfNE7hGasOx1qpW2HkR9BlhhPSbD5tWnBzw3wtOjA+hhYqthFC9vgm1WCXpDHdPOwFdDe49HXkdymmaErUhDhgLzqZf6ptVMMclE7Nnd1KCHYssAhO23Nitd1rFWJ96lvekUfiNWXDLoUqr5YBwdRHgHwSZ5xQrxSBxASJ9gturViH65H93tOKf8MJUys5wFHls4lXHq+IX3bbTSqf1YjfAMJ7g2NE/nnoDvyi1QZHmsbruAmmgtC2aBs5wM2ciK57ziHqGpPCCN7+nqDpgNzRgFuZCj2rQt+qF/5bmLAO3IyIzz2g9aDx8DBKhdO9CEhTCPSsTh8s/gAjkmY+Z7xAkwSyM4mljhlvXhwW4EBA60dyntd1eVvHsK2cIBJl2jYoTnhlH+Casxp32I9yfST4wQRU1wJjNvR83Dl00IPxAt2dTUszB+NikddWEANQ97yvGcn3wFdsYAN6gTa+ml2lvSHYGEm3WU9IDFEg5OvVXiKQY+7vertBmItjJrPIt4/1xsum62Ayxa6FxaB5awvejiC6biYk2+SuD63+0sYGEtjiNROXnWfstSJdSQVgMCQ9rquf3Lrf6A6TNkmT3QXR1MdD81VXUJKOKyFat+9zHsA1ijUUusaAQiQZS1lptt2KNUvjnsqoPf++Nj6ETINN4BAhKk2pSp2YNpBgKOurdOLOAHWddF6WC4TqFn1i7b8hnHTMEQQL72w95JKT+b2oHaNcZa1EM4pIHqSkblWr7RzN/XjnP0uUhXiVwrCiC+UeYRSraSe5SRy/mRDVt3hj/6M2uIv9EvT/+3/eKpa2jN5IxUKb2UctUYu4hG4XvARbuHfWKDMzL3V2txZYHG5JXSHmmKJe9otO3v6Bl9O1ZsjnC4P7y3TmKAsmOihIp98+5XMVUYmsoAiZzo17yxX1ap73R7D6J2p01GR17YA+kD+W6EUp6gl3PfLbkENxhWhUODU2lBpxHTVn30kuFRUpFMbVpWyQ9w4ldjrtDObC169eE9EQwQ3xT3xz16Y9RJVQpKuvueCVZj3TsSV6NT4k0HN5x0gEAzglJBzliDrstNsAu+ve1gi4Ptgwo1/ZA64sc9BFnv9CzQ8yktyK/oDpzlaKGyMANTo8vDpJoAwFKQzEw3DHqkN97GivljD/vr4b5EPSrkuPjZuCOY9qsdeFSdsjHgGnQnL0bfxWyux87kxSXeY4p6KrccgJ4WJR3t5DYPa8fbLw/dmRdAB5lW4D3c8MTAGqsQYpsmPm0kYQbRdARRNJRNUbON59tQogMzcewl/jAjzXGUqa5bXmV28fKd9bZVaiPbxqfSPQAEdvKc2fFICnCHqtAkZDC6WcoTVMCpb/Q/LDKNKGedTcbkP0IlAAMijcuAWMnVbfbGoW8Ur86ReGmKV1n0Dut16sNQjuQtrOXDslSFLenMUhockP4PuIIRtOYrCRKfUWV2CW3MCjrpL/ZdQ6AtZ+KOM1G4JVKlULQ62yBLawk8xVatToeUEIfZU9JfkrlmpgvFXKcuGpRm0FnQrxqnL+K5O/to3W9HIla7VGXGlAf+39qNCPo7mu4oXnw2usr8ugN/jDQfJR0vO43g0BP1l6O4nhfwF5YvXLI2DSQyHUZYopaKi7FLArIGd7mVQ73LM89IEC0lWUH5gxZhQIe9Q45BC7YlgRBK6BWW5mKzW2YaNwC1SwQanay+klUUQuSAhJJb5g5bIAYQhCCVDLQVrnL7zp70DMZr3yZog25M6zE1vfNtJXyjr5+L9wzqzU/P7Uwi5iAcnPybIKmQJ6TWKqk9sdSmpYWWXo164Y0yzjIRqt3/T0GbQJCa5X+yzols6cahcLiWYa+2D5r70mJNzDnumQ6FLL9xwrvg9d9F9gelQsT60KhqbtuF5UIkPLGEVq9JBZVCXlBs/GTA+ZcvhTyYrDsgbZ4cAbB9/WIngmRGpodhEor59lMUEqyDBSJpyNlUI9NZFwZvLTFaFoCs3qvWUpreeqKjj/g9lGpP6F79V7TNLu4YQK7h7RrsWTE9DYMucghsRdImLrg335JsVBO17oRsrEZMVmqBgxx2FuiXpLB34lZpY50I1rafh+CjLduglqV/Ln6OOiNcTAg5x4b3hk21vK8bJFIDJRSQnRV8CiWtKhfHuAhMxXDPdIsXSUhmYCAznoeH/4bEzW6B+7UMSbDZvMwkN2DrFctjuMuannmms/UCALe3j0ypy5BocxZmuRZk/yqoB6wiTYZR7x1dyqt1uabFFDf3nfndIhyc2zfibWQer3WjEcHh/j8mJj6MxQUpcq2vPGhQwRLLdCR0AeSYsfzuXuA/4PFocQ7Q/hStsCd8JtLtIq+97sxYCRdvad5qP+jByC1dWldSSOVQgfMp3YbVE1nfGWBx9TS8yZcFQXOKzY19ZZiBycZhLkSCd+dkwQ/RNHG0v6QTKzpapg7NqXpU9iJqfzsLgFHHZH3QnLOEoPlAFCOooytsyXt4erQ/F9CewLCQzujt/2quK+WRc1al+KJNKpVw+8kfT3TKxQpBT/JrD24CS2SYQQSKcXN6K3Q7NZW12dSIEvqdqbnDLoeHnqFNP2lLk1Y3Q5xLl6JuzG4JS3D7DwgMiIrzzInyPYietNTgH3zuM7m+F4WZy5P/z0nTS68EIqk4ZghWsIjwHpkFWaOWLzWvMzUMhWKGub8lZWyYAyqpulkyCduC7VMPNSdi7tASVobOJo1KhgCJw3CG5+tzj82gEdQLRVKKw3h78FtyWTrdydYtrWiVWDNB8yqGzWlF9DAc+/fdzXP/S4cgR5j8LnpG92Iy6AusilC/fnUGx9IDYnFohimqISnod98K9uxuZeaWulHBuQdxOGWxr1xGyhX9BrWHCt7eswUh5YhwJV+wVNOUN021mP1w0B3TT5w9y2v+GkrFSlTLlo1+pTkalLRRCiFWH6JZz7F6q9JPqgMqWFjFnC9ja7zomNNObMcyS3AuklFmL/nYXlLl0MqIlJEVtZWSgblyVfznppMvAZpHcRHl2hAaBFxNaoyn2jdh0ADk3fkKObYhOMYer+BU/rhjXZg0BEpuNaAQa6EqsWDr8y5SEvUy+vunDYuvDsMRlsryeAP0A857OnfpCYo013hGX1Ysp/W/X05CFvpC/oufu1NOm4bugsqViBbLZ1u6DXRClE0gdWi5SmDMkZpfFl0rlHN8zL51sa/Lm2aQNcCt/SAwvSYp6YKU+s9DJ8a25xHz8jOHPoD/xcDS7pIpmgcjka16wMu+blTdb86gnGEu8DPkxUjjgRDGmcieQIwmDbsO+aBelBB5zqrsHWAkXAPKw5IP2UOuItFBBLAj5do8UE6njBghDk4W9YLWyXHVLr/zKtAwnVaj4gyhLdF5f12O1raf29/hv4x7gowQWrWtKhfDbj5hZh15KNSGvLt6ccUPHvnqfl7EALj9zDPi4My7P5/MbPj7Cw5KIsE+zWuBvReJJpHzIqv8MzU18QXENSqF7ZxCaBqa9hAawK3IG9A8tfySghZ7IBZKUvDWjeta/TiG5Hlv/kDUHeM/+XJ6yhr20QeoVq9CsKOjtZwDJFo4Di9Lb6WPqq+suWDltR1STutzukVAchfdcLW2XVxWQLAhDqiHN+BQvMFOA6pYcKmrCyRJ+pGD5keoqIhcrjwkhfNFa6BMYiIDbw5YUklDxscJeIdMTbAdLSHhNsjFhaksjPMhgAr73nAUYsd9xZB1U9c91UMkusoIkC5zKeaDWc4AMLbrunaecNLfDVROCsxcoIwAxty5bsmCnRexycM6hRLAtipiWayri7SNvZdWg2UC2mKZh1oI2FiMc42Yv4+rYTnq6ujIRQlYfVqIU7ej8XWgJFOWeDivhFJAGBv6HoeSfePUXvQAZz8WsBuaMPjYG7kCYDWTBsXbABlMcZzEe7Bp5XWriqGLRbtzOwn659/PLCkMD8Z0XFA6r/NGeRba37/yLOPT+q4iXRplZecxVL+cp1BfqpxZhH6NNaMZrRmdNSuhiAj/sf7qGslEpYxl7e7/cPRYZoYva2AnWE/xEoNi5nOx+3pgAwaOzl7Q9XeGnaz8N8rI3KwAljZQ5T+eGouNLfq9VWpjmElqBMeIjjUmqV/Aoq02DE0Erv0ysAQb6/nlfmVie/KxY3WBsx6GyPV0DWaRih0aMD7HPWSZ1iYxjQvI1ABFxbzzqmfHZqgsjhuNbn0o7ulS3fVa28ndD6ltFVnJPGH1VifI8XDY9U5yQ8AdAVn74JU3MtmyVcDzjcxXOb+9lNk094zkn9NMc34HT2grP3o4NQw6jZhHZcbW2Xki6TPXLw+ayyrNMCD0l3HaQ8pwK5xo2kRfjDUJ2aHzIvFGIbDvgP8kgEQEAseBi3SXInmH5RuV1HfblMtL203924Gw6xTDKFCsRkTpdMbr23mOxBaeAtEf1zF4/9suwganhjcEGiKtvYIiK6TS2GBvxLPtE1DxCOiwHE+ORhp3lNqQM3p4Kt7ZamWqHsfw58iJeRPkrCGWJQJQqDkiCnFRihZ7sL8PJ1ep5iCdqnVvIfFbRfJphD3e863nQp3HgbF+hKRg2X07ylx9jVV44ZKr5nApmqvfJBBkfdp4ZeDazZUTys+DY24Ql7RxX/2oOIgYd7hwl9CcKahtOPP8oG55uo0b3Uw096vhYMZC20HfJSKi0OeTLJMVcB5ovxW3qrTnYseCTzKAYT8PU0bzwkdwicO/Fu8pwArcAZctCDMK43eZ3VugSvR8I9JA22yj1xzNz+HHNM8NkR63EpRKf1OdDviClO+Ne1HA92rBrs3ye1MsDMuruIM5PVSHgF4Bsn5Hn2MAQ5qi0dkfkHjikjPI+Kd5+Yt+SX+8rD3OA3r8HJApw4FOpxf7k7ijcYmSW1hAEyTG4gDp8fImKYDxs4gCw+zr+KnQmGe8ANYuWU67RVBPd4CnrfK4BllkCLOC1mddvzNG7dX1GEYrTxZE1iabxH/yc7TBoEKwC7voZLvAz6oxcJlmwAZSY+A+XS3Zetnq4Kqap41fRaKI04rB/KG+AFWkjF03vcjP+Mk1v9k3yEYIgIPni/M7Fs+tuotYMccIVO6MKju8C0qQSxdlLO3EzHMTZNd4+F+hoczgIiE6lX0e20b6JGguw+oReSmnIETmBKlEbhcsKY2iRE7yPedcdCHxA28PKTRbIgCunTevJ1SiXyxOCAFO6Q3BEtrvn0uVwuFYpnXTQGmlKzlqPsEqyFUs57vcZNzuarAWU+UVtOtZyUpKCvAnSOi/2FGw+S0b60M4xsxBKRvKVps8UHl+6szTQ7jffaH4oPK1HmvY7Pzf3Vb6w05If4="};
+export const answers6 = {"start":657,"count":380,"size":28,"iterations":50000,"data":"HTXyTtv/Iys1vuTCI9wuFsscT0CW95I0krdEqX9GZ57hrDdZ3frlNjRV/GmKL9b8AUDKyk8/+0uoMVN6SG9C35t58VJcgwbXoY1eqN8jw2tEcWFUzmQfSqoIOvCHoinojCX10PbYl9FPVYdqk2PnMG6aRtC/7R+BsVakU4eTdLUT9FCoqQbCt+ynsLbPauppyQwzykTt6O1pt/bSB2PX19W4KiXa0NaUwK1y2u4oJn0n4fkfcy3fnHlZ98kKzZXV408RKbTMY+21p3wb4XRXL0g209Dy7TX/1IsZPTd+wpqBB0g8iRSpPKDlG9YOsq0wJZCKlEMwUcsi3jMKnSR4Pib4RKfpRF3UMXppYv3sOsyLwY2gNongDGVpjh/KCl6YeKlesEXqkeeQGFHxBr8qMoyfGzNijDGKZZY2GhWjGiG2rJUOuouDG0NybDJzMjLrVkCuq/4GiQgAKJT7J/mvJ+Gagtl0MEWhfhWa2EAXDCqy99f4gy8CT3az1YI2iwqpSyfTk1w3B1zqGuZl4TUhN25iao+mKMeNDswT+kQ2EQIR88B7IvMg5qOpdYqzlSVQPOBLHiVf8iFpiJKJcZ9eTA+cWgVOqUoKf8Wd9An6EUF8h+r4wfC1Tvc7pqxtJ2WuDloMaMTN/deayGh+qepoIHe+oQE8swK5+MFzFt43GiSgxExWD9/AjwNPOIjexMxk495t6eUAmR6cg9SEQkU56VcnXfYtIHztqwbX4Qz2L2EeDfoB8iTfgEKX+31swCa5l56rY6r5ISe5xk9/f9NoGkI2jMliRgaVFFLlery1i6X3fjSA6eRQE4018Kpx9RAv0xCkDeSpQScvGyl5WjjKT61sUVCJGT46sGS/HhOdIeiOwp8MWmnA/0E1obA7mbo52Hy++vBjbdJTHQ7fVGppX9s2raf/UQ2gjtIi3YAv9tLpHDS3hFGKa79Gh0XiQPEnyIh0LsN8rhiS4O907yYxuAYKais8zEjojEwgt+uBUkASWrGXtp23k/ysM+XVhlCB4E/bqAA4iIYVafDVsbCmaHjaq1+Wmq9eHyWsPCYZ33ucoZQwfJyOhCrMebQejzX3V7AVdFnncD5TQbS65b5lfswcp00qw8nP2/61sBCU1MqS+maMwAPJxJmql1dZDTfGpu9Pq7Pw5u4BasJCfxY/XTUZdcgo89lB+NUGGMevFcrgNuYSSB+61VoVJTBa1q7LX33o+812LPg3VFqdabiEQ20GO2sRHxlFwdcdSR9N0UJDbY0kPcPO3UHqUHjvQqikrnqZCnY1Ku8x30ZG+iqfD7czVCdSMeYcAwe9IvxqDW7Wz3UsKoHEm1Awit2/hl/Q7ExrLLSAY/YpFQRnfzqYVs4Zp6CU+xR5vVQg+KiSAjS41Gkl4dvj3wi85nRXpuOlLMSwo5DD6Go2wqZth6kc9QiV9Zu94PNLFiFb5evNAABHdiCWyjxJmZq9O9PKnK62cy8AK97HYZN9Q5r9zPCsj3+d+74krqkf732KuFmb5H59PnkECMKyiTPCpEekzRq8AKmsUsHWzQx86XRvftPjusyFK+9pvRBr8diVjqwF2kfgtxNSOLjdFdmEVkSkmF0XdznUVLcLGsd2dmxl6tgPmc15Xed2nv4Cncclq5y1UiiuOHhWUt7ll4po5F/XxsgchObFeW11WO27ZN7lxgxPA1CG/wCMJxwiAX+ZJ4Cbc7lZjrBmSw5IWMJq3N2MO+0BNNZ8W0kcW2BNr2WRTKEEDWB1rfdmvrPLQOJ6OHxvHTevVYArp210pJmoSVxfUrv8LERREUherPKMRInTywo+Lcy61U/MBiUFjPvCG0AryPbV5/0bL53QnNIGZdRGITqQjqlUkJGSNwi6ZeKnJqA2uSz639hYDZZRapXPAUQ+N/uh2qsbZTnkmXn6RUrPqzNV4ULjdaxnDQ7k9/Xrsp/tjWoJuKbuoNJc1NxANC92PO0iZMKB72lzOTt+qqgjOgTzhjjGLrjjfSppLWVBEuLCPqfPY8SsYJ53leBbZI9uGpjLaTHP+CyeljVAjeJRx7nxSzs9w/5OXLm8KVGFcKq6pFG6MfQJl2Cy+DQ5SjGAcr6BI2IhdlgH21+qBkUn0/kGVXkUjyBvJjRK6KyuIqGdXUh8YC7Cr+9zvxjc4gnV1TMxv1QCPS92WVo1rDdVJJFsfYIXishJRgTosdeZVpp3fwd8QsjwK60JVDSb11vIfVe43Q3ovC+5Rx0B60I1LQa0CSSv2dSuZUDU36lgnBFM5t+m21E2UnV7h0AuEWjEJ0bfEuAWjgHIhTsQNLYj8UidLgDi/pCcU9bt7GvyTuWwt4SXXxGWBycVY/ib1B9WjRMzEKfTLyosEBqidcyVzEzGLlNAGDDZqlbHKzJOE+ebeeSiqqRPKTdqFoEUKGAIp+62OpV6CU40IJ1PDjwnBTE84/BEEPqnTw4xe365M4YuKvot/DVD8O/TRZCZg8BgjNQWVlWrDKMUjcaIzqwUGtI17gxAFuH5pOJon34+6XbLsGtWs9HNZr3PVO/ccd5UY2OU2DZelQqjTt/TrNocxpboS+brQdb7lnyXIjjYODjYV5151p4Ckn3LjOYVsGj70RB4/u3fvuIS0LXIpc/UFONGt+GDHf7af1U4LjGiq4Cj7dbUarmzkdwR95PTv+nlmyxY/9ZHO7NzCVW3RIxSRe4qOd+9KLBK8rBMOW4ZsBswg6Uj3UPenXLqV4PUCwGHnZfRfUmyM4Th4zLZmAdoHOCGPlILMaLf6nCcCEQwaFRa0nKoD+97ZiV0UNSZmhISpUhNzn3PUScvJ9tjkbRxywHwQxMcUUv1WbeghQ0v3H/7oaHYTswlqTpazj1oVkNG6eglvVrqslWjXFm5vMayjL3mB9C6L7RJS1wJc9ke4jvkA/M/Ks79Q7rFBO5XqxXwFZZQkuvFjnMymkhl75cxV35cTWRIgPJvWUYFrdRRGk7N0FpPnaKEAKGDjergKGER3/nUPzNauEsrnRSdyiADNlqpacOPX7MvK0Sw6Z7M/o4VooDXGNePeR8ICvMYMdXo55lLCU2Y4E5rXkS9RBQ2GHgkC2A1yDxs1x/dmPahs1mnmAQJC+bkqipqXTbBv22SKnyDpUW2rs6YiUvPvesBwqvzH2x+9jI7f0oIXitNDJuwEamW5RNKarbrIp9y3FmAUrTwP5dr4AwBy40x7C2Eu+22YCU1ojqDQMxvQJ+8gK0kalWSChyxpFPei4zzGqnq8skc8LrpFXzypbR1y0xJlbNQgWdUP5AlCr/ppGttTyAQwZ3rrg2lyW7DiEOo6ji65dQMUI9CnNVLsCQGEunuHV1OCMhrhh/RSFf1VVQlaYdogNE6EX0z+d4a4LVOVhICXNuJizoEyIZ9EemeYNjWrUNsSdlHxrTnFAxGEXoWePbsucC59S+gsBnYwgXKWzsi+OjSwiGTgpNdLfiW9kNJRqv7kDpClPxBm31l4Zq/7z+5UQdCtGCWg6jSKgX7DQGl+IsUdHm1qViUZ+cN0FCTPaIuKil1Lif9kEEiiuHSCzj/+RjzMgqlKfg85oUf4GCoSNbICjVWBHHW0OSUwibpHQkbpM0XEarGpxIhiUCkE2+7iJaNmeox3NICkKA3nvlwG9yuN9YzyiXjLjADFxrnusz9a5l3YTdez9agXjzNoiP7dlWMkH4Binvvxo3dhJLSpL+fVXigUeBKPEsbSTtR3abaHI1Na7kuFMa1a/0Cg3/971MqpUGu16EJlhITP+Z5BogEduTy9w4z1BHkR/w+7lzEAM2iNqPdjmtT5YtsgbcVlHYcHoPJPr4fOR5Bu6RiQQsEoKDOlP+BzVBXiS6Vd4S0Exq4kqiLv+/rZcYr+w5J0anZ6esdp3vWOWedWaYCuNenaqdE7cnVJG2j6jjiJqBQlWKhPI6VhPamlspzA2PVTlRlhp0ZLeh32cxigC73w9VyCuEDUC+w75/j4GyLkH5UWlsyuyApeoxD3FbyDAozEt60n0krfBl7rv7mZnVQ3s9DiTX1OYHSHtbRVzCKOVeLjTu5BREG4AYD7+E3FTeLthCv+PFr7LBo2078+n5DttO78lNREKkphYtl0veqr64mZXgp0hDQD9qryFCOHbCLFvCopkslYm1obaLBIcf+4lsF2GINCyHhyYd2mL0recJ03HB0npNY9kE021p+jB29c+qXP4zaw5+aRDqg76V3PLoWFHDXrPTOOwS6S5z+QdyawZHp/exMqj1/VedsoIxn2DR8tvlBZ6mAQCQuUoH6TFoM9k1EtiK22RgTTyfau+PQCBfag67xIP6FmbIks8vjHPjdA08FUW2a2M7g+CK3LC5+Xb+AMrS/wAd3l/4VgcQ5fR5zYoOVZNjdtqVCcPNcabGDuew3xuplU/1/DpWKlrg37FbWx5QqcUY4OwlXvXLto60YavxHCWGl9mawxprZxlk7eK31jyrZPZL8nBFPXzXau1/jMSDDx7T8KSitY0ZmM2pwn+7v8i6KW6eJ35VZgaF4eSqUOalVfSbZ54Wytbk/G4OqP6N7JxKPhnOYUPgcEgmdTmkLbKE8jkIwYeDeWQCqvcT4URRJggXOK1Bi92Njb4Rajzo8Z4pOg5oZUci7Xwovf5zkw0nNe6K2A6Rkuf+4CJEgqzcnPCPiSEDrkrr2OfZDhNUsAWTsaoq9WEUX/O6uVCJFA2NG56Dyit3mnlT0pBfINKvFDLV1ml0by1LDV2RZBUPFlLrDDAy3+Z7hQOKyom8ERrp774nLfSiwhgbXg7yfUNNbq/bWl1dhg7RW3aJtQKWJ2lJigAz2s3gAgXq8nom8u3m7CUkbU2+bH1y/nU9OP+sEN3IolyJeGvcUBiOKYm4IaWbHsm/ky1OhKxZShlyBAEuaNPmx6Ltt4E/eFQnKAN+d4nQPVkFBDqUNyoYrI+0XppfVQrj22kphS8bBtf0z8jleh+5UA//18KcWxXJFXc1dPoeJrmkeXkr2KkxoFA4X4WJKf6haBLjSOGHHuzJhFBYqb6Be/ZbkJPliK57Vn8kz5q6MsQv0BX2LcIJS5SSgoAePCQ4qIOTbPlBtiIXWUGqq2CQZ+TM0xzX1ApS2bFK9Nj09YIp7OumUNwJ3se0/OL6QaKW85kDopsaaEfHKWSNRApP59GUltdXbDlQHwQt350YTQyPsh7ZEda9fz4ZXNxBlG6tbO0CmtGbi46J34cmnXsDnImcRC178H2EGIbG8RuwzBqD0ICkPGvcLJvbM8ftVqPVFuXBALOVderKbBtFun+zs0cVNZ4Cm8eXJJ0lzIDsRSbxBvPc6OuQJxmdkREUrVi+XNT/bEQXXfqel4kdJ06kZZ+OkwQAZBIaukTm2HWUpkNwi0doAL+xJ5e+2wBAh7H90Tij3aNBzCRFLNP50pWAAHeYJE7N77qJo2z/N2GCs4eT6b2MMpk4vsV8jP1Jpb7v0t1jsP1lLLQmCuf5nRTv3ClWHMPwND8oyfQ7t9bvceJ+hHWkQxTTLQxhmtwRyQopUxf87yCd/wHH3mV4M4I5caE/o9lYQlEWdw2UyWO/i+nIhbUcbZTy3QiH3uQVyxXmyUQiHegribwQMNCDwbTW/17uE2t0S3Mp7F/vlkhbuXlHodIUXapJ9zjBCytZicMiRazXLSXdJDzg/9CZtXr4DW7zbD3Y/bPWimjckVmFoe9mnyKvwZ9YYSCwkgxsg6nL+VGq1DC+fIOmllcWxiEewLoWGeaIzoXsPF2nKa4izVyOAJ7yTFZII+Ww944xNyvOKx9n7LduEF2NHsGRLSc28BXaCMK0YZBQwQMXp5Wu6Om20dQyVQKV2GIOuyhjgpllybWCEQUm2AdJHZYwfkuo880PiV9b3YX534tmVZfejiKwV4mNCukxG6BPhenqLQGl+9YylZp31ZS8DkIwxPTfa4al0i4l057ZPI/Hn37YuAuSxluJBW8iHRZ1njx3v6gUNwiX+aSHE3Vi/v34o/nE6kuZHHalKp9S6N9k/96/q3YBHVzD0r7g+4bbCA3KQKExce6BkITByuGMLyq2krSgn3k+Rtit5Fpgx23FqXPAMttftx70A8CtXquhHug0Jgt9g/OA86j66tBsPUl1D87NzvmgZ5deF7/mkbSPMCtWsIQi4yxiUif4ZoZltn72/2UM5q/D2hHneTnm80fwoYfbfX6kz2ZdGL/qo8juuf90FDU7LPxTqsIf3AzVIAxuzYkRUGV5uwpvw4gU7rzIXzaQiG1UqkuMy2FOBZc6DJvu54VLDjdlRftb9PfN36OY7W7AvRltjay/hU+G//yJXQEotKIH0YhmxNik3wpA9+NwHQS62wUSFWMamV+RBSJF+yLyhhMrXl4ScCzk9hV7tbvw6ZepO7ypYQIQcDQDoGs3ZV2FPCHRozr3uiorYY6tXjuF0RBJeMHkA447VWsf599O5q8+OaD4B2BxOm5izafFa0L3m8fxq5Q+KfQ50BnIQD0i5jcg27LExhFGUyNOZdtxryl8OMIfyyd4VdngM/mXL7kegXTtDEOD7J3mxcO089dnkiUaWzJhW0K98gCzXQPa+93vErhpHDDlvuJVFs/va5lo4HHJD2P1kWEBqfvnz9tYJawkw0hP+F/oxDTPkTQVjQtIowB3qwjV6Iwj7Ox/PZY29LXN6Fr/1GpOSTrdwt/Lyas8bJRBjsQeTBRZkPWIwfoS+vR/kiKBmayNt5LSbHmCAIEF7G4bFl9K3lL3aueBjHoGdXPTlnXd5TxyZZLVR7klo97upTiZPJtc+TCJGq/4x0m7FVbEARDMh4D3iKrkZMo42fIO/LQpbBh+Tcybu93FIdBdFxsLH/fVxW7iVB631FqD2KaoVP0L4yrjKVL/whK17w/9FlVmaMXVESTgYUaSE2G6Cef6avOcZuj5L+l+30bzInufuBwJR+qkhTsb97/tpEchPAblWyW1HBI4HSdWzzmZ+WyT6SZ0BnmaX3JuV1hyx99fd9IwNrFazPBafKrDVuldJXBQYz3YDVXcy/GvFIiFfnTJWlIF6TcAxE83DshmZjDT61yt2MigXKRVg/BGgZY0VKjoCwBqD3bmJ07/lyRZV3hxRkoL9Jt0FFyOiOGj+PinP1gs15N9rjRovtRx2qjMWW5aXkV7rP+QKAJqOYYHuXZuZQFv0T0yr8IGEkLQ6HR0XYaFVQDq3T/Z1/zqvHxwqvORwubzXeLin7Koie512wQ3ps1phTae2yo10wmniqCmxoKLw9VHAjVdVtzvvDtoKjzdoRr2uulvB4+dZgUCzUEbaLQbIkfg2wkD0hk4yku2V/s2gjpKUh971hKx5vKWeklU8abLJAA9Yjq+dbnQK8CEHLwMoF0+84dzPh/n954cb3a4Ft32xFyOBRcjJnaHje1qb6LCiifSVEGv9pq4vmYaMHzWMoJy42CzgI4KaFH62pheTnoJ3CAfdrhuSc5reE/9Zvkylded1+TIB5OA88iuoqdI1YfUKPRptOLifzf1QBx+hiZz93yR1OUaz98k4XjkCl3wBCo7h7d/X6aMHa/ugFHsCQhVYRrKbDTKPbPEDkL6553aDSuUqDIPSN6dmNUfz9/vn+dodWAF+AO2yL4z0GGgWRhvYf/XDfNPsn3ZC/YPwKM1VpbpaCbxr7J96WCqjldIb/SUNeEXi7YRF4RYh5+krQ/6QszdGeeoH6IF8LZdcMamrH1RjuFE+n+o7iO2/MsqtxwATTT1yTlE3cjyXE/eekYsm2XIvpThP3VjqXs70lMBtDO+iHKrVdcNj2D27NISXpDNm5FrAOVnejjT5mD2hFeENcJUgWT9OibBznAmpE8Et/KE+OuionbB62M6IJxHpzgdpK98A6d3YwlXMddzxSK9HCXrDQ26P5+LYfj3SdJRGmfSiMB0tv4GUlq2W4dPNY6lnQJaVEqBPkU+GrmHYQ8H/gfINyI8bGJ2LWHmq1q/uX9WKKg7Jx+80/6wToqBr7eobIHbdSpZTiWTiq2Ot5SzExEpN64EIQCKsdWCfT/khXTHmwevz1uTZUY9CmzQwKari3S2QIOUno2QO9VY/vSG8qAcCTfuJjU5kLUWZa4TyXJjfUeVmrb/QnosMXd8E59NS4Nsy/3G+32Gzkj7X8+1Z1JHhR8yD4KtZqjMXJH2n+MIGT8aRdcBgo0CnqcuKJLnc8/wiR6DlbAWWy2WOfRu23O6KUPYnda71ABP1EvxESzKpbVGEN3ymg8+1GZBeXATsWAZql2AorKM55PSPBRAus5tpPqINlgCNY1+fOWcRpkwzb+sRI027a+qMoJ+XATkN88mymQhM2HfwgJw/G+5dCx9vvJrC1Q5YzpG2llKz6qJ1WiJYSpag35Rn8cL1AIoZ1PJF/W+HgYLwoIBVUu5cfzNXLza7/D0dD/cpJHl6gCDNEKF/9KPHLgQbue1I453Du3U/s01Bz8kx/n6nuumBujqC0tXCOcRXX+vgd8Y8rMIAlEKyjdIMvPvLilBTK4fGfMBI9VvE1zo2n1mCT1oOMG0AfRUiClJoDNcjFy4c4/zTufSQntzCOdAqN++MDQu0duZcloVEd/1E25g802319Lnm/kdYngoyEEbpupnedwntHyjvF+MoogqNfTBQ32Uy51s5uM+XfgyYSeUoVKLdWHlvX9oHVXP1UUeJVX3d3cUm7kdO3H9wyZ9fC6oI8yfmZqI6XdI4lp6XU6uc8JWBOvJwJiD6dzs/+np6Gm1yFVgxVx8i47KXmv7aSUNdSR/rChP79eQb0hHUndsIbbcCTK9Ns1n9O9R9PjBX6gTKHWgjgiYEDb9hCgc7m5JmtgweyH36YxZtz1IMGmIRapuxCgTH1pKWokSz60w/l2IFk0EZ6ztFvUanUHYoFXtAV6S+eR46+mWFRauVWYimbw1BjUoWR5zvpjxda30BnYWUadQfR2PAQGvTrJQL3rmmu1xdFy5Ddgb1A/QoA6wW2SWHFj3C1Yq2/1GU5jWKYdhVxnMGdPsVG3TFHx8B1OhBg/ak69sLcRrQZvJHgBJGAuVvw3+eOcYGYklqWpYzDTOt1LxIICrXOn7IHF/MSa0QV5KPf/xn7HKt94hLeQa5OuwTjq1W2a546IuWTusWXPTqdufjAYdlUqysDYSBkibdQimh7meWgb94hXIFSBMwTh5FLK8KucZFKH4IdLKMp6yS9qNUD7Y55cbKZtSu0N2xP90ZjV1nhbQYHXvAeta4SQ2f5rakJIf2C7XDsPBDHrOCRp5vejvX0ovfahv5Sv2YOOdPHNPX8xdSVJsO3dBf6lUDT+Xuj9JbRnCEqGiLAXQ5U3yEp3KhtNu1IfxylfT6mnYHU3Uf2ca3UzzoGWAKUdaxJG/qumIe+MHzQAO5DbL39iCxUJ8pyLTCa1ruwih+B9ZOBl7via/3CAgE6ifKNXyS95oc6KUNyJLA5eW7bY9KeNKNJzYgORldk1mY8Gni5vvmHfEX+03wONsn6/6QBN9/AiayLXtX10CF4gqotia+9UjIVQcOuhars8yJ/VGyaeHeT3lIfw9/x4o7xEzPmoRZnstAoU4WU7fgkZxsfbN8WWdfC5cUj9Xokp6yMIqt3RJzIumrE7ZqbZZbx8Obi2hkSDvRCGwfY31pnvsmKLKijdzV9M4H4HjeCbNtKkxGx34gpi/IHhtaaKOzqx9tdAaWAcW2BJJ3TmcYrOwAA2gbSbmAWY07Sj21Iqy7lb62/4OIULlhdlx5U4A2x31xlNWsoVWeKsg2ugXNgiDQKVfIyHWnK9EqN8CqSY5I+DbGkG8cLJTI44ZnUvp49+8UeWQIpL3fUQwjy+aRzHgXTvJG86uipAK9EhJX/mZeRKHoxG5XeZuT8AE9yfWUNe9862Rb8zmgp94S+zGyzsb/NUm2qfA6skvnbTnaRXq4e0mCTjUiV8sf2yMSsoQH5stubOKSdsIa0eLwVNuN4po0u649TRc0i/7o1242mh02abrlD4zh4yHcjg9giesdubMrxzCgKn0dik3sGQhvG047uCGgwGxSyLq9m1sv0jYWTjT9nKxfIAJrSqTFC5bD7byno9nSkRJVc5yIKG+RFKnXIENrr2SGuHt3RL+VizUYbAh6YcCE7jwotDiryT0ruZwIGG4j5O6ddl+zxmz2Y73fgzj1Y5hA0n5vAT238IPWy3FLOAV5MMRxchEqBr6re5OpQ4/vsznGpFyk+zFYTEXf2QYsghtTbXz9mqOIwoOutXWGUCNnZJkwclC3RN2xjOjSJyzAw4pXLYotGz4ZExX2RQJxlOkexn3p1pcS519aySIbW+AMB/fBXs7oXcVDQ2fTobBKHjnPuciHE1mslTgCqmmX1So36khjo2RbXf5N/fIdwOtGaXHiGNizC3uXwRYCqShHMHwV+Z9PSeKZUJQSRF0OcudANonJJdUMDcTh3DBUsqpj+N60ujoMau0E5vo59ztt90izqNsrsVj+ILbd2nIoYMSazSrnsGvq+pKeP7npF9FYwPe6HNsK/QOH/RSmYyX6/oHAom1Hq0d1sADcPzbEjv3iJ9okJakkcBHcmVhNQMDLJRlupsO/OqvdXsqzMhg9dgd/pg5dvQtkJv4rLmcmCwRQ04Ov/vg4U3kBNAlK4AxcuiTCLGGx3yAQMjdCEImLujdkaY+cC29pf1R4t+829E+2BtPAJCNkBpF5IFOAqHTNQEXqEqRS4PCQ5/WquN8BkgcTflD/PlkVd6fgh3TW46gTyF8ym+nkkOyoqR1kyrILfJrWHG89/lM1O/IiuSA66hUob166hRMy47bKENyYMsycYbliL3gTiabdL0V/Z5OSfrpne6i3NGPNrIWjEHDzD95YRtzDtAdsTDF+jd7gXCwVXBv8uamac1oaZpNaBT3tls8dMYEqBvEn7kB8raqd3XvxMeqtsp8kwbiyp2QDKeIa6KPNdovTimKYgnwsXUZzPs1fNbAKvv8ELGxSzb2xrOrIaz7sViHLQji6zJ+fCrYLeIJeOqDwxz6zXjerQwXJTfdTf69pY/2QbSgCGQRiX4ryFnPvPcbWG6i9QLO6eVIve9wcVs0r7jhY3geoAe8mBuQpoPIDbSUBed2FUyy8fgOEwSZhlkYCWCdbiMfiOAkc+Sc/cAtLDQ66sl/Dda5KwR8BGS6GZD9p5U/xwfzhUvIV0i9plTbct5EuxRV2Y8EiVuk8tWZlgFvTNyadAR108u3RQmweRFag9eFXmS21tzxZKsxbkIHrRtj72jV48VlyK/Y4zhwbN2+F7VEkLRyVhkfnShKXEvVjJ1GeKK5GugGTm7/WK2bTNtvwTWIhvkpzxyT/kgkCookM1bi0Nt4t8aYx9cI39baaGJPqF0zNse+gWAaAgubcNWyEv039BvuF62LW5SOACubk1veFlCIQQ6vi/tOxPY8eW4Sxn5OSES4+hP295D0Fx+pZ5s0tNG9vKpD7cLHmgQgDBKhkty05/MqCzGKfLQxVd0kLdGKCfEd6jyZAqIuxR+T6M7u5OcH04/hwQAiXZdqLyVy1LrG8CTuSiYm0yqadaJdsVPljt1sGy7+dhG0QvtcWymvegMKQGLwgyobFYmusgL5ygc3dIo+4lojI9IEfdfzfBVKPUrfj4KwbglImegbaqi9fuesbiOmVvQXzMSI8fx7Zu/DAgTF7IVgFlFvRNmH9PW6bu62WdTDUvJa+20u6Hm9GYrmQno47SdC9Mu6fJwtLTP+10iunRvgbBwSiyo5RdE954GkEtmU2Cvgk/2/2c4sthkMC9WLJUyeeKweWG7993XmuJAvMULa5iJr8decYoNPgJ/L3LYRrAQGMbHcGhbV7sZ15D/sgGYlGRqR+//ZGxwiCnUgnbygoMU5B0IpcKprmOU9Sw6RLmjt+dUTH51Vlg1GqgdOTXOXyeaBoS1r5x1i5/V2fkyQ19tByjXegUlTJTqgjn+eVsm5mLFPnDZAPgTz6xBTBlh3Wrf5kUEv4A5bt/DEejbNLPWkXYepxGil1zgP53vufLLYb4IRpKH2Dem5NKOO0HmMQNUccQI6vtv9c+cp+CliapypJ0PPxwXvoO405MWFr/+C/ltUeP/m7yIoz/r+DYsULhSD4oUXlzamhheqRhyaxOERWBhYpKa2WlJEdDPkCEVRXnn+4HBAeLR2G3u8fU2fDHGxeJELHpdLAYCZBCE9ogG+HUBh4OJsSNmirTtXxk58634led1IOJhgDySXY46eN//72Ypo1yAdb+xLBspVs3dTstRJGcD2S8o8SNg5ZPh3gJL0pa3FSWdzj6LQL3W6YcBEPZKhKYRU/QMePJ8oka/rahEjlwYWJZoRAqCylh5oPX3hJTkB57Ei9gNqlcwfTes4vSQhoChuGMNHwwaxW5/Kn1jJWrbSTirAaNEmJEMbnbQEKh2B0nCvLJt5FpE9ZzwY11iNTBdeUCSYHlrVglLBa/lRYtAPNJAYbz4d1s2x0H6B0bPqHVg1gh9uv0LdN48MjjAoNnkI4sC0EaHcrBD+6LVYqvih9f+BT2btT0J6f7U1adMLOBQDswGxRQToDfpOB1M0HKRfRrnN55FQK9EPrri5r+oI2uzjq9AG5iG/x3h9NG6+6dRsRGzwheACDtscR+8KXKswu3Y5NeVqZFTsBVXzXYn1yRzDpAPhK+ZzyxORpMenIRAqxn6Iext5zG3s8ndMWs45mz1IAsXlhxbot7MhPP0QBrL78ycYvhmcBN7sJKB5DZ1eEmIFQ9aCcs6J82bCIGwy6tAm9w5bVI6sEgmXz3LT4YjqlGpU1aJew3Ju+e4GsgWYeSnABDI4Gp6qLf6A1Lw+HwsAfliPc89bJGsPnIJAhoJCp/r7J0Yevdcq/YvMNo2yuBMzmKrjF8SxxUZDjNhiImCqynCmMKvZXlyiX8FvCn6p8suBYFX+mGxel2zuFs4Au9T8IV9mthptu/sLSKLPAJvXbl6x55QulATw/+DmB5iRemWW91bMtN68zetQI5pDu1Q95VO13qhp9Ri0d9nopvbOJ4wmbYL/gFg5iHCXzZqgvhEOlFUwKpPGrlgdRHokkUe3xrC/xj/sMdjm8lOHqEn0i+Pv6AKiAVVxpHGqJwlXDAVzO7X3nzedSiGKqDiH5S6XZ2fPlBr/c3ekOzgFSi6Lep8ryD++zSV5p9apMgf7Ab5cLG6jSBAbvbBYa2uovuypzUhkUUgb4mem6fkGbMDL+weF7JzhVmR2iE1MieNyz6NlTCWs60jisBIAdKVCXXjAnalIoWJkoxpzGuXZeL9sUV0rBLRl1U2Pg97C9i7FMC6xmcBSMGa8ignqTKJ8z7yeMFo1E4VbRZIV3vrDHHCcRxjFEygw8FWG4xIaxsSKzmbSAOxHs6eT0mHgNeWk3pH5yHfKpxv0cMvboyoxMp91KrM/W79AB2Ac1XeOH5gqWiFN+0ETrjaFgr2LSGNU0FdLiGWoEf/HSMkRbQdqFgz5P8S+u3mn8PJpSJZA+aVCNehuKFf6rSfdmIapU+2Z70PVdTOGEhDD9KrP3JpCWC5eGbbt4txb3L5Fdgy2PyxFqHw5+9Zzu1upY2QJDnP1gnheBycECg1o+R+LU+Nh10Sgc2Bk11K8JxT9Vicwsk/lJdiCtJVKTfPxP33oXWb3XKZAfQNsROsgaWdY9st84PpdsvCoVaHhIaQuiolcJFpRWtFdV7y6UnNxTYIk0udXpepoXYrxsUk7n6f93X+kSSslEz4OS37o8BV5lT6b+QA96Hpb/wupVNm764c7aS7XUFPBppBqUXkpxgz+86dUgETNmmzOp5+Y+uYsQW2VZYQWcRRSbZKA589bQ31bKzSaOVLf3eyccQPhJTv3E1BgxOlNiAabSGWa8JKok1gOUEPAmu1uDW2XR36vZVXbOkotdcLCt80I18yksREmUW9XEZv6AZMOmjKaUPq03pqujhIGGUm93v1d12fTQukBgPTueA3S70TEJ23fWQUfRi62l7/XgwMgJomkj4h6p2kU9hUibXtPOJdu3Z/+VDRw217igF36zdGHe2ux3cfYa9HmHRUioJZ/pZhPKo2hJSjc303H637Phktr5cIoPrPK7rL2YLZ3qK1zBtkeZsvXz7uBPpdURBbLUq0KhNIYKrY9k1sNsWbU1OEvIeBgAc0mSM2YNe7uj2GT1iGgNUPdaC1/L/QxQT9jqXHwociLvqRpSTHwRWLJf8SZTtEu5zKrUVRPr+ikBjQ54VAd+xIt+V+QTUYuPwW7ihMatzjqMpd1x3mYqvUQ="};
+export const words7 = {"count":47,"iterations":50000,"data":"p9aHmdnZ+uwhuMgCAvLBoJbdg2ugJS1kKRlrfHs+7tcTeKhKrO0A0lPhqqJsS65JEJ+ntPq5xxBMv+6yqexmf3twvnkxSI9YXKfT9ZnVV3QIdon/QDKH33Ag4pMqdhwmJXhPFgFsA+2jyyDG0LhEnKTzS7JwOyooMjv0WsbnH1RgQI41eii8/Ef2OD4aMVVpVJZ9gHam7gtHBykhtGE+SaGuDq9WRL0EMoUrCfUOiJQPnOHrXWufAzG1xYieSiUc6/5SShkdpyPLZ247QpZsgLzOZalBNRtARdVidJJAI8KE2fl4OmIh2LZ/PpFgV8PqbYe7jqSrvq3ceCKGpos8kB/7Nhkw3PycPugJ2+MDhykHKCTPkm+1ICyucxezWnjRtlaQ3pQ8O6VERR45HEkCex9PDYMt3Fbkw8Ld91ucx0A/I7Lzq9STaEQi7OxP3blMlarCPn590uBbWJWfHZgwgGRf8rsU5OAYImgOcpLxpCP0wDeuH+uFQi98gNUA04w8EggNGBQ5BUayEMKBLkzcE1IhJM5mC0NYH/wuFaexARsurh6sAcnGUSV0KR6LZMzHOruAB+74WYYY5mdUrRwzStxwJTyKdvjj9Nc6MlmQQnABX6gmFLzm7y4AqISx1I4K4zfYQ2OQAdlw0imNql3K8Gh+ggOuPY512994uSHu4IzfOVOjsSbAxmbIibj9TpfhvCw3YvyWHPu+QQqpidLBaEKGxb4DlV1KkLdalT2SqQZDAWU3/9ImeCP3KUb1vAw3K1R6tqi7Y/LknIqJdEZC+363sjwiVUAD2g4Tp8Qx1Bk1vZdlgwXcSdlNOAqmDHAkiUzmksuQtagQu5jZywQfURzj8tKY+Xg79hx2pvdAZwn7e1Ku9pODQz1vfx55RA3pT+Se2qY2+/5+9UCtitk="};
+export const allowed7 = {"count":7594,"hashes":13,"bits":"pwYHyLeSGftp6pu72vegQ4pRDRBcFAlbnaQVHZFjFKM7lzclFnPQsWJIBD7SongXIf/b/8qqRcunRzVd4xXR5+XLIxt/qDuaFr5DgnxVEK9mIzgsxNLJWOg3W6zPfTT8qYM5rlvN31/7aPMX8KtrsAGiT66A7cyzENcy2KlvyFuStyMQ//MjZo3SnHVpuWXVvCTIl5i5zGewUGhBBW2hGWt6ui4BvWmgB2dL1XdQ/15EqDY0CpbExEY+DdFD7YgQem5TicWCPKpB6MelWvnczZGH0DC7+4KUieO3RvIgZigcgA5mjoa9RCXAXLW/sPLLYM2EdYCdWLFhOes5w43jvSfH12c1bJcnUPYB+w5SbeWdUUWE9frQ4YOEj6bDU57AZOw2wvlt4X9BOGy0YgqKqzSj37iopWDyUoe4cjIHiZCn49tnZ9o5zQqM6aIpjs9HCyx46GDslAjPcnowENFz9WUgRkgnzgzNHOmdnXQr1D6B4Dbgj1NKwvKaH16hPmwbkGNx6hHOXR678CauIQF9t6d4Dx/tAgwF+K8kN1To1DiJJRhmItrFnuhGwxgzYUdOEFjrXapYrGlotFANgeGjPMniBbjPyiRUlfVmtZkDeG9iwLkJBiOgI+qNkyD0FjtAVctg/OovYOYugZyYI72yOEuqtJXtgWjp/Zf/bbD4Kfdu5WTFypsHFISKb6Vg1F26mQen3gqrP/l4qWm/tN9gGzdh/uShE1lxu6lzuYKEVqW6dcrkK9QPJl5m1UrfrPjRCnHpkWNtEgvt8IopD2yGE2lD7tSsRdTblXzF69J57LSGuMv06uIl700E2eYsHpWhAOlRVim4bsFZ+lYp6VSViaJP2q8ngBs+ySy3+c71Gt0+SIT9JdEIbaUeHT/jVxP+gCu4ICplfDD7i41URKSk99bAGU29D1rMHnKopyu7u8aLoTVK79H7KuKgxs0YvCzPYA+3sStT8FoHg/eVq/rJsyDg9yAMFTnmBYbtLMXr3CZ+xUcqmfRcXmThgaYBkE9SHgx15a2BsEwmHCuHo58PCxlAmtkpCmF+RxMHdG9yNQNwNIdVEhCC3ddTmMA3vEjk5FpGN7VnHDmMDoA9yaKIopEv9533j4gA9Ubg08qUQubJX0BnSK+MPKCJLq3DyIabASO70mKOXPBmt8+lwu/lx1gsdDTrVuGNLxPjXC8f39SKmf/s0OzHMwnmfaFyErlf7VkweoyzpXHAPsFJMAJZ9g0Zu1CjfSFsoPTi6JtMNbFhFukCn+AigmY5g2Lx6/ImWYIZYNAdm8Y6nuFRkHgS+Dp6BhiZUK8Zj63pt8Y+YGWNIM3TkLPA3BTiSo7MAHIRZFViOBh9FBuPrqyfoNRo75sWX1UwYchS6wVdyyTYaky1QxsD4CaKUFie+fF+n61haXwPn3gNZ/t14GyKYEZmLG107Z+iPdj8ALGVcyPJ2/gL8QDEoxC1N8a6IESt1uq88WQwcoixCpHBAweIMWTgeRKXwueNJZdcFhoJzfjwEkrchAgQKMjgPyF+WRSkVbw0/kLKGxlDHNlxawJz8uyLtYDcZGoAB5XQ1Mm4sNRXjgcP0k8bGFEuXuk5hFqkqAALGBgv45E/ubZ0Zg5fOB/swpRaI6yP26owPi/WEIVDnRo4B66pcTz+/xPwd4bZw0h5p0Rbad9QsYfFTwPBBC3TWuzl6iPcLHnmX+JZB2XA7Q2O5OWgPHl3Auf+VGye5XObLSQS5rmKnAssMwQlJ3zpK2d0EKVGOJ7e9OSnKxhYLa5krWmXc/9ULv74YwAgp1i6O5cfZkbXaRk6yFC6gNawmIUyZ2HdcMNFpyRXqtTLfqVhKNwI3mr1za8OdLng/NkxlrIuVWdMczf8ONxSdEFM6yKS/amQAxBoQZwWmZd30MCiPFwu2EmIURy9vnmYphpCrpo3NUAhgOKeFBTaMLy+23ChKNXubGmfemzHT1zI0mnh500qKXbtTN1FK0fklAHn2D25Y5TYFB3d4TadZDk4WXDW4NxXk1kZMz4WaPfDPcONRXM+21+BRHdUkEj5KubBbadUU0wPhiAdPwLfzn6XlMKHYmhmK+mjB0tKJ3ikJSDonj19MovieqjrqdoOxHLQi/M6CeLF5X8cHQA9lcIVAQQYV/zw6QL60AVtnADWUi/S5IKjPnrQeixT8wUSUUtcNYM5Be0bvp2MnBQZsCG05tW0eXMAok4nTvXT9U7MyVZ+PdCGijmQBqQYOyqyKQO9hTLoGkqVrpd7IqmqmMG/uVtNOg4s2ELxcv8S3kMEbv5zf0vp1u/26X5PvLh+ohFtq5zf8MGz1wlS1rgjSul/wAzLVfyM/phCV3SodQglwyK8hsv5GbdS7SKnUQthVV7UkjcVNAf/+0k5Xe0dmDCMK7GPT6Kh0G55VR/YaejznRIDkfcOLtQTaHUYrlunHvRK2apAV8qcBYCZpFQsD2DkouNA2OkMg10eLp2bavys8vp5RuHfhl7EQpCg/aYS+gVWCjGjC4HXmgt/y0jsE1cyqvBXrf6v/duTWA2HVpePR9fYL3hYigb1XED66RmE0lj33+fbecJRX5dFH7zn52qypCNQnQ6+FFlSMvsiexQzUdyP7LhBkBeoWon9j9qK0Zv7ZxPDO1D+yYxv5E6BOERW68d+jiYbJ0ql0bA1hBk+oXiEjupQV7sAdL5/qRAIq5RB/+laKt4mZADubClxxdzbzqStYMFg2fslgCOXwCc/a2N3R3l5AC3IPtoqB+MXJusjRRqL3RgB1+17Sph+SQd1xeBzqtBWYjBUdkyEcNIkso/RRABwEO2U13wwQGnPlaMdlbeGp9bNQcEbEs7QPU/23QKNuUAwgR92uwOWS6TvN9CGalHIlD8LLJ7kE62jCe5EfqhLqIQZQb6AzWKKKt6zxAISFm3E12IpDNFrhKJ9slgXAX/ck7kSw3oRJaOyhk9MxtgYQsnXBvwx737QJdfPIYcaFdyBNHSSH0a+F27CSSZZbUFCSqLDE+mp61BzBaP6wN9j5+szlCD3/fPwwUwkYG2h8x5QsHA/oZXWPv4LkGlwEtUxkN/s5gOA+edkskcMbUE0xYOkMqWSnVpr9pzwjHK7Thr1fzAMLSe67JZEwBSGBy0XGARBMf78OSmCkpUpR0C5i70j5fNx43/f6N1AaiESlaFGPEW/g3ImBl6kh5rzwBcWhINURGFfsNK1M+lMomy4NrlTrhATLJJ64ZYIUn7TyFA61pJDsILSmXnUcGC9BbobptqyVYa82M2926HIZYV6KSqg/WRSaVLAI4+UOpXX6XNL2WS4w9WpsAPfM1ebF+nCUg4Gop/DgMzdc3c45kugoD8ccZ6h6N25DzcqPl7cX2mMlbYpxPFyF2kYBssluQho6XG05Y0340YcKSHUwpC/36kA9Z525qwJpGM4bkj+v+gNFnCPSYbOByhoVdjcevBele7B3jUq5qGGg+TzbVdhu+nnoCuGz2PJI+rjsN49c4AFeUw5BCK8s0GYLHRG3GHrFNGX4Fdz2ekKpdmTAYTWRtUWsZO/ypA+8U10mSgomaBPlPKmXq7pp2irmKPJM6AoUpbpDsa9ITUl+Vcl27tEX3800Y/cZbgbvI7I9xOrgw6GF0W97ul0BrRgAQIzJAKT20DfecwTD7J/K11Y+SRBIIw8DWhOQDB/vQDNYm0uIP4afvSfw6LunhhGBsjdAfdKbhVrD2w6vzPvwAV4iTbfEdf81FpnTcXNmp5nSsZEEF5Mw9mf0euytrU4B0GeXhRBfEEjCyOmXKYmp9LhRBotrvaiypKvDYb8JI9ZrwGoEXni2QdY1A/t47Tg+KjOdXyRTiEAZ/EOHDIOabze9sb7FR0exzmAWhk7JUEQsehqjN6uGyw5K4NYXE2br+/+5WEajmcVCJPrG4fr4QckVqb20nFWkuisgNodTPwlUa3p8zQPrZJkOIo+Yfp/VlJGAmhk/4zXrIMB/QTJqVIYk40SeFcXiM7d4qcsN5HpKwMSnUrip49HGhHNCGVI+NQ4WLRKkZqUgs3FSfY1pGLKVH7GfUnrdzgPKG6NaMfHLrbpDU4HbdgoiPQoij6cT3TAbZ/gBTNmio3UwflBIkZwt6nEMckSTfmJEFyAGBAmdEwqtWK9eFkyJJk8P1HT3heOw6yrP/CXjChZViP/TZPpwgJcMovyqXJBjz3+9CeRRbUOxF3uXxr6ljDXCHVIwYCZvI02NMkSYm5QJDpgnC1wtJyfRRC0OPViO0X1Brqg2ueKlgtrEy8YJk7tZvVwbHfvsSBp4GiAGS0O7HrIlmM0stWZIG6uezVnyZztB1QMmKF85Bau5lzBNCbbRBBoEaWJL9/4rNfQw6L2uPyCFvcq82DGewwkTyhjXWDpEm9JRHASN0q3vN8FXuXAIXxKiX7ErW4D/RvkpBr48mObkkUT2zMHj+v3QTRvIr6nA0gaPpe81dycZWYe30RoufkkbLv7IijunYPgTp+SwhTkx8Y56ZIbY+KdcjgrmRkQXMRG3Gh3cHuoGeXXN1Bky30viwIveZkFrmGw8128USWPILdjCEup6FmdNUGER7k6y5gQYqvqW2dNc807SsE1iBMaF9dFP6r1o/nYjmm2P+MfHgXMQDeGyy/g7woM/NrlpainfHG9EEFMVe2iIo8K2gC+ux+AXrLmSwQeL1WbmmZnb+anrAv1mz+lFXDun0LyTYKdmLXcLUVVX4hi90IhHyrkmNsARhIXtEBVBtyRgiSbnJ8GQxq8y+zvVjWe/eGTHJdZyvxy2wuv/mhM5zjPhrGb8HdQ19ThsWK17B3jjLDFWH58QLVnfDB9ZTLMG25Tovq2+L8teXV43txyfYKeGHtarbyTuOVo+xhEG1bzNB+eISd4pWC76J9I9wOEqJqmWCLOjaltDcFcmZ1JQKqoPNHasiDhchM24bKUE5urVCHELxaji9bKb0cD1UHcJJ8XZtNS7X8V98Ul2NPkvaPhB+IZBgokdBnIT0wPASk7d2o5rNthi8/Y8IbCG8Ych+WhITXGqu7+KXg4D6x1WhZxAjBtv7J/2fnCjzbkjn66HaghZPX5fCwAyPhyAPEvNStD2xw+1JNGjh7nxs5p0K0HCKs0+zo3N9uhHpmA9jPSRgCsBFKS7abz0LYAbLmI153ohHc3qnZJZ4BgH5A9KiFz0yyiYZmvr+gOAuHhG3MZDIcJL5Br//Wxo68owcqkgganwhughhcyNw3EOWknQbU9X9OxzzYUttpPhmU5qkp3gX1TQ1dnMX9LNTF2lYu5S85xr9x8BrOrBUEI6mRzSF6HoRza07Vt1TZB97hzEDRB50e0RGt2Qe9Ac0UW8n9CdXfU5t4PvnT/tALoXqeceMkf2MEkrHLS8sLCJ3qD7Jr8UFRy70Y3LgkDRnb30XPLkMS4n+EpUHJBC6OGN3OHJYHPmfUl7Kpq+2Nu0Cd6n3fUNDYAYYN4jsxq+HgWSvRLkpnTDC22zIgSfu+xTC9V7YxjIucJGI3IUYtx1w0d12Tfgx+UZMIC3qgJldh0wtRNLPElW1Y4lLHIbjxVbFMxfLejRUHN8lsiYfoCuRH1v7sSlfrzpjNy6Xca+QNROr8zhxIhMvrsb7tpDc65IJba89oequ2DG+yjUq5Y9+AnrEm3wfVxUB5CDELhiolVrsszjeFcujdOee5PjcP2MLFUAojbKK1JD2bSm2SLbvSVYYC0UZgddgtUZXX8npB8Q6UEj9ck3kW9VosE1WYf19znFjaKGiXnY4vuEJO8vUs0Ik76MmXZphm5WGuoOf23khcJfyGQQopbP+s4Un89vundgoun60a4NJxgWJPdv8DVZV++aSh+TYK3eQn5SeOGiewRWclZwHEozrSVZR1U1saTaxqSCaYogVR3y0YdF6kQMGG3xCMHPR50jy+krzJf4pqzZqkMooPX6MDDHHzK4SVdplzKDRB7oYH32lhiorg8J9UyaLB/dvzlr0p0QHiE9Ji3KDvHl7e3kGICs/YKR0llKwmHLs2bMUMD2teivcfrYeSitFCcUnlY5tGU59AQhCmm5GX1YU99EaQRrdP2dfua/xQ7QTfntlPWdCviX1R7hCLrgFlPmdyJ53x+pHPpvA8H9kl5asig9Pt3FiLHAOEtGG6By544kyVUqvi5Aitrq8RFVeYA4QWM3fC3zfFFJuR9nOcoGJeC/7iV2u65n9E+aBOLrLAOyV0L4GEm4m2bHiDanGkG0yfbcnuSP2pmx9w5yN9U8ma6gBXPvsTZvk3do9bLyU/BD5IKWhM9nhKGwjr5CCvFDDkLVyuRuKgCRe2oghF0tpU6KUbQETpCsPEVNCNOAAEmbrLoUITf6g1mFTMMxH66oR+gQBsZuNnsyRQQ3KAj2nd33KlziwlE67lN2pbMDZX/CxeDlHNW2bIPlTsWQZ2VHpxfDr5uyrM3/sPLBaEC++s/QGUeBeS7WYnsGWhRdMc1kHdeGRxM5Q0elmRI/jUrwffLApptB6ltITsEMfYCYvLuzPyXgEDQ1w0rNd7I2AQiVY/xP8VPyv9elA9YMH+OpHpaLghMnPDKbman8YJskUFGq4kA6nCGpyslN3+XJyq8Rfqn9liuZ4fyJvuRqtSc/2mCjIDgZuTYJxysIk4skObR9MOWHz8YrTjaBJL8s1ZDaB/alL0iBC7AHVUJ15sGdVw/nQg0nd6RIdxaD5Vlq7jqByDk5M3hitHxWfGBXzwOhedjG1HjVgl3Yscwe3nwgwqxdVz9ZJk8lEZhhLge03a3zGqrqY4NzLgS9VcolDiAYxxiER3WZtAk720+Fn9E3IJpsB8EarQqpdogBT3p9XGrHT+1jLekvjEttwsMDsozcLQ/ovFOya56OHVbpAn4ezjZc7mDD6akvDM0rYXurLkkL2/qVwzcZ8Kme9JOwLvu+BccXSFOQzi94PHRkF0jLz1/Av0jJNE8lBABdWqqiVrbTGRlj490XNlFcfloEmGNYkTJ5XsDY9wMQexQtEOsHYc0MMP1xl24Ij/a5mZo0O2WMMXbWx1EgIgwbwNp+lUPyEV0Y5LRlegAtbtixy8JugD8p8gUbJH8EnXAGhRF992ZduAbkqEowHtJZZv60KGfkSDuUL55BrLwOeUD8wSeVOZNiZxy9WycFu7KWuy80FLKqQMH6NYO1IQhgfDwGzj0VS0qT/HVskvmEYQBxwisATEAQAJSAtuHQ5ZiYuAROqUtCn/3EfgYgEUeUOuR9Beec2EGZn8NanL49lJzgxwOuTmr31/P1AFK9N9Toviog4yPIywU7k6mGx8rW9k59MQJ/cuMOviM/y7wxZY3BfKf3bc40Fsv6Ze9AEXbcSUPAf3UjpLAed0uW2Ejhc5HjySleajytMcnYbbiu5r9SvxfTFYYqqWgyMJedgKQBD5oBh6mRT9Gue3IT365P655LQ14c6EG8nTku4hiQqhqoZrS5J5LOhvJYXtD41xx9CKMrzzzCljIKWVrxpr2bO3IvHDGwlDaT2mFKvYUnsfNHzf+m1jJROO9YJUgSPiR5znj3FK3DnDRgCtWjmtFaxohMO0IxGT8WLcxadZSqHto8HF0ngFS7Rvxbs8pwxFtb1fw1jOCV0WyZaZzzh2Qb3HgvfMVEtgm+wpBp/+UtjiQy00AXxKFQJd6FP6gyW6D7SvS6GfU5msenSdWg1QQuqoXL65fnergTwmAOV1i0sxTIRdUFqy1eEBJo4m52dGYc0Y4rfV0ewEKZYdPA7oZdcuXoVR9a2V8WrYHD7/T4RYj20ihddT6E6RrKcNgshSWIaFHs8eHddkBa1GT3s+XkEO/ukwWRIqT3XIR1c3/SAZKg471Deby9YoKDyWJaRoKYSc4n8LOBT/DoAwbBDZx/RnIx6y68iep348gt/sHQCCVsas/z5dPFqIIqJ3AC+ROYjogoPvl7qxMDXphEq8Fbb5VaNW5H2oqUneV1umZaZOoZqmq1hkyVqqIlxxpKUierea/sYnGJJwuaIvdkft5NdxfX601h4vnFPOGlNpxbxBH0GSUTgPDCKHL8KwwVJq0tt4gatW+bk7tWY6FeSgn6XTGkOcXXOBR34iUrt2hw0gOhoxdr2cg/slohA9YjHvm2HzKNqKR3gvK3OXWn8dBQjoGBZrc/MvPvAQGEYYW5IK5na1rJxSlzBJ1lnxlZAHgr8I3MbLwebUDyIK9BUMD4uzn9S73OdVfOp6VH0hSTlfQU8ZgY3VbEMxOMmBJPAMxOXI8t47UqdmSX8cvTsBwyYnqFAwqyFQG184aamdVYWH1p1URDmRbTTP4gLkqkcOo2rUz8FTAnDL80HB71lHNIOkybGfksQUUIFSVQlvSOtqg310OX8k6/waiTDcflqLWWbA+eRq7k6xB3dNWAjkUKF4/AXwwYtI6epMivgBwvBbyan8Y2KbSPRzUVNWOAmW5chCya/unZbL1KFgV9kcpE7yjHvD/jSztNqXtWYADrx00o+PaLaJc+8n43PHtfaRRbG1Qq+9kJdfBe67wUL6DLGoF3BF4oUS7wRtyyF3EEv2N0e+5IFSFh4Qf/HwnKxRGpYdPJbDAZrLllDwKXEoCodwjf6E6pyaAHJeq9WFEvu1euKyxbYVhsNF6S3T8hBv28Mcp/PcWCBMhRn8m5qp959D68EQzAlOxmQlJUdrY3kDG7EUkQXTpH5oKlfY4fpAkFAE9t2KrQpEj6zwna6czJuHvJS6Cmea8R/olz2gU8mT2dIcJKWGwbZ+aSSE5DuesQuEjdIyOn7guZKXsIUJnWQpViohsl7kWSy8iLR5CR2jX+v3gbQT6+RVjxcIqyTZD6RHhWkBi8FJkZRzNqrJDAbmeBaxpKqd4DbtQDiJ6xRbwVj9ht2qwEgyVpCDy/A/ap7TROJ99RRimRiHT6lYIvK2HUgHibemXeSd7VTJ8iXO1Tg6KPaI6zycbqxOky3vomWLykV4nTqNr7/5Dw0bVmzSBVFEKqIBdHwqAguajVAgGeuOZRFNmN3BS984HvAHg8DRzxgah1kuzPHzfF1hSTmomRemnEPZNx7YxJcWR0jpZRq5sQ9zGGrvuEA+AVPcg0AdsVnPcsR/x4v2uJa+LxOlnE/qTMnAw1NEQsCIFlFA7RspvY7Ds+DVTS6dZnDDCdO6Fw9p0geZ+zUiACaaA5QYYmKnX22rAV1zaHdlIuUBsrcDyuGyjrYgwxqzTfJ2jP5DdSXgVorKAElc/2B6KY6aXn7OMhSck4o8AEZNHkTGhETi2vCK+2S9avh38fxdSoj0RvMIEPzzxl4q9xYmHxjdl/YTy85pWQ+Vzx54odAKlooAfbiTu7gRXL9TRFSsYYojCDPBaFgDqSUDvOZgoRBUPbepd9QhGeqWvBwzV06aAsivlVoLdNPNHsWvz9rGZeMfsyS/RJmAqW4F521TlEWo3BSm3IkmAT2bD2v505iDY8FB7NbW8pAfm6+tOOYfXV8BC0/20+hyhGl4KmQMg4VAHfHIakgspqRiaFhG7aD6LLq+Ix+lWGEhvvDVDg0dsWHm0gbeVVTTn/lwH1VwXYThK0k9ekMzAfm/URzmiHplaS/G8MMWB/A53SAB8YwD8/x+MBJvCx+JEWa/F+GNapAfoznYFUJwqdXm+mSHs/K1Q7V9hFVeMaDK3l7MXq+pNpkfbjecmScO2BcXowTKIgfn8S38YrI4L+BkZGmagH+Wy4Gp0XInUQpd3+eh8alQZyfjsCB9xTpfQc6+Axx0SKk6fioIbyv6A2/4MTUbEIdjCvvTE0GIZ6P2BqoMV3BNUmY0KqmtR0z8iqpnJMcbTidcByIj0pqXoSarhgJRHb3UXgIqmHESiCATy1MkhdnsLu8b5n4ynajmXONPDdCz2gMzYW2CjNMtVX9/i7j8IFNKHo2rgOHRSk5JWp3P6XS2hGlfD5ZHp4TwUjiKSJ1SN+FXjXQmgQLlaf1OeUYs2EutRj3ISY2ofM6C6zW5Y0J3p5S3RDQ7UmrQLVeyDFgpMsS5oFxGaFT9Ps05G1DmPTmVbiEdT/yCW02FUuDSl8vNs4UPeSGLLEUXK43emnW3Yzxm7ChfmHXUMlV5Ec4zYfkG9+5o8A9UBUTa3qygqTo5ad+LnPMkDSxU2YElp4vRApmvUAZGhGSnr34gG0fnJq9O85R6jD2Mt5Lf839XKsVuJrJC7TkrGokub5KEtGYCYiRhNb+REbnpZjRzIcoupNNQsx+Y3hILzdPZBRSUv7lRrj6OBAGrPk5EeaAkqdXX1jh8m/fM4tDhM8ZiZCSBoO3YOeFKWyoJWoKtIvsHIggaPXLj6MmMvoHPPytOa7Rpi5ytumqpxlrGjoNo6wLaOGoI5VeqvmX5SZ8zWIW9+nv0iFf0jkbeIhFIYX3kUwtRnI3TgDcvcnQgAaoeKHCxI9zFyrpnFmf1z6QrbfDlC3Kl7wOVkq6gDbmha2+eESBSDzFsUhOXQ6zx1x59Bd3epXa+RsmIpBZNd0SDa/8wnUKPYQnAKAqeSx7HQZFn91PKjSxsoVwArgpdkDc4L5vFbGdknwVLvcyajvL6y+T7AsFquoJt8qNT1sMAf6ZFL3xXx7nJtTV6jxDFS17wWpKQXCN82VNsX5g880+1dbTjQABneKNlr3DjcK8gYddAEV+M4vEaHR/vYHzLqiiuQ5CIxJUZtltBSY+pcm3lkF4zPocwNv6k4UnAlVuJu2laTD8+17EOWgG2VzTYMItlLZaUrnGw075H2GSrry0Vi1QEMEc8qGQ7X4z2FOND9BXIUoic+v0TDYcNLSB8EGzYTcjH/UmUMrXCyhtL9UQiJ58E4iq8idYGLGFtNL3EBvqqVs6itmq0T42Qv7NjbdnF46d9K2EsMNuPIaxu8Of0abShmnOMQw3PXOs7faTREfT4Ez/ubw6W4wPXEIsHozGNGSqHg7dRWQhroZoyxQvQNOFIu33ju7gabrSPpYNsGxn6zvxOQn8JgtMazSd77NsyidI2MQ7Pu8FVhOkJrJi4q9dgTlQ/aCrfVLw2bHFp1aNaB4dxB4WW0mb8yuR4ydR5qQ/CqfOkhw3zt4L8Ef+BoVplAM8aN177hJxcvi8biv+AX3ShgiFT0qMUremC6RXPyc57sbheiAD82qSKDfCDWJAdMcyxDr0HStKLUxCDUhm7Pv2T4i+aFCuHevk+KgYx5sNNo0yYIA19wYGFUnYcqzq+m0BNSJC5KDhI2yu+4knRP5mjAaodZFBf7KVg4QHhmaJLyS7x+s8z7BpZio8sDFEmDi0fvT3ePeeIuBCYYDvtrJWkjPfR/K78OqYBhd6jThIC8WO0VY+XN7uJQVV7eec/DVy7QHi55PL364UP7ckRSC0PfFEH4bfI0JhOQSdAsOf6MStUX08jJ5NDG2GBvcCHHJJpIz/AIX8qeiupo6/iZi3JJMA+OjgYHjfHfAoRBsHXa58SOpu2SZCgt9FwBJkALAecO9KlSW1K20GMJ/lN2Ntvo6xkO2H/8PAUeZREYYfnqlANSq8BNuZpWB9wur2kwhezCBMySV1CKtdONDcG2t1GM3IsLJLpzVpbLlL4QKUgS2SAIEPFZk1SmbmvmRemVxo6YnofwDdeFw6SfOgLCMeZxC+nRzco8Um93ASndQHcMswP2I4aydtdQXeG8Fmm9GD6+OhOmrbsPV3OWriVAY1uuxneQper3P4S99IOlFI8Btzog+nXPtap/9bQMIqfH24AifbfEMyxIK1wGgzPSgPsxGF3/7sRh0tb76egF9poLg4M4Fw4/wncflYNUrXKPofjlUcj15rVOYod0FkEn1AFRMIJdrAgfj6NzCiu/swzNfdxPgzcWyClETFdK9GMKq9sdYK2zxuGqA3N8BPaXA5gcrmRkKZGJNVKXTpYDb0EmYpcMWNtzY8FG8Co/RXK58DQ1XjIBpNmkb5ikGmwg1YkLMBFM8XGdXb2MjJ+y6pK+YNyccfhPIhbVN1nAPNwou5/OUsBUQc9T0d6xVN5LJcSRpZE5q6URZwYg3/NW3mirfzYaUi0xc4Mt8rkTT8myBJjeS79ejEo1cK83crpRk/u1Tg4SPX0JuEvCzkxY2psOR7XYfSlr2aQYO71rVbz6cSjgXJm4s97m9fz4uScQETiIK+COml5e3o7+hJitn9e1fx0LLSqnQ4H7I2a/nbubYLc0SgNvOu5yhbeBSA32g3QJd0IFBpGVMFAEsnr5KZAcpTt5ypFbXolQZYKi5X8a4NWajsAlh7jPKTZRep1ImRlRyrKEGphknNWhcN9t/ncqCC7vF1+CiGMDUcZ0lCOfeZEr5JADHeamrOkakjpc+zpS2Ps+6t3OLiDomKqGfZggGkfJBqSe1d83d2tH+1PFtf/4JTKij+2FYZHt6QXvEy1DRaQhiAkc7f2BGkD5msIhTRRl+et5mqk6MiMizCZsZwpWYOzxx0EDhhz2HiuG50VaoJmGcGgmUuo7MPKeV6a4BhF1EncPTbyipB6MxkoWAiJ+JnDwFSxsWyYiXJBYeTrF+gIN+phOl6GNQKhrHfXC0OnXmbWEFzLEv65wa1lWyyf2t+iXt0wwl8LhPFui0DJeLPKOY0F76qBr2XbUnSBVLMoillFJFm+ca1mnCjdFL4kUBc6wA+TaVyGSPQjXaOdLxY3fGcTliqz0kVMWqAFrmAkpu8+LdOO/QDIgOCfJXuhNYz7/VzIaojlwruCKjSf11BQgMy00PqHfPr4Hb4MBAoDxL93r9RM/7lps7c2xl82HzkBxfFiMG+E2KdrjrfLc4QgqaP6KDqqt7kRXaaG9+vmk220FkAE1lOCbkfNYZqrKxjJ2iGQGU5pC3jbCgViaNiHQ67o2kHxhgyHxttIsp/mgRSN1ULi/oPj9NJp7ri3IyG6eCpfmjdjpUGmWlR8oxo3Xocg+zUqIFKTC5+te+Bihp4oweCDnRRy1fCOAdbKy8JiVi/PIjElmvISaYqz4Iye0B8qjTvSfZD+RRieG5m6+LGEKqIu/7gZMIxu/yhShHszgAJvgZEDMQVLXeA8IA0WcPwT5vCbOOqrq4QssNA0kXskkjnvjVJN+LAltTaZy+OVg8jCwmqPwIEgNDuTtTB8rSRC3pnaF3OLC9fN58Jtpv45l/Yf4C1eu8P8rptPIrOPZEtOKfg+3k0VKgHGqqFFBQk/v0B50JRi47SFmm+eQEDt1DoUYPKn+xDLmF+/PpGVojMEJdP20Gs1NKQWaJhNPMsKYWU+u52QzBG7ADoiVMoiep6ZUP3LjZF1mMrFSHRGuYwE5sh8vTUi4kpv+SSv76CA1FKR64AfQ/tJJLTmpKUfSKTkfnqshbDyOmzB8wPwclfzfDmEYGeMJrzvBABgM5nESgslPNeBwv2Sr9OHI0PxOWf66jVKICZSPs81kJFnOSOZWijFvdFWwMpGMHqDzTyskmjpT7pHEgHPh6kZ1C0bwkDuTZOcxdKruKeD0xLguw0b/k6KrtKPrdnYdD9r+qtL7fcHLPXzKU2bQsC6OhadIRcVGgRoVcV8Pafi9y+fDqU6bEfRRHWcNckfhk+zIx4jvEgyRbmCpmzmIUH+3l5RF/zLbzDXQfx8kMbCxKnWDPItijBvva080tx2w1DfQAkrhqydSbYTzw4LJLMdla5xp6BkqOBFxxBMXy5j7hvWzD1UI4c+a1TBx2ZVDms4EEP7LQNB5DR684+2+VqR0KwCFbcBkGH5XJFt35+9M4IptAQ5xipJMTjQuTH/xKZc6V5wytqwslu5H771UrF3RXz5Kupr2Y40fvCWGaKWhZ8K9MlyApPhoufrXWOKksoJYhKOFP20iPSMH+8slVfQ01mURfkxeE1qjsmy+FfW5D9k8+VdofMGupmgZvYFcpy7urepNE7BQ9wJlR3QP+wvxDgckpaTT2txBGjtSLP7EntV1wyRsuU2KCSvNqQacUpX0rxKZGI607OJqj0lv591PtVR9SMinJMqa+BScawqSICUHVGZwgOMXs2+rJZ1W7uEzil0Bu8T0CCg9lIkfJDCxxEaV4BSMcHaybDGSWRpyiNEV4COippFlWyQ6nvhrjXBeEvSS1rNR4OxIdAx2YARYKgzOiQYRmEtNaxONw7blJ3ngO0DCQs+C8WLD7Sjx3pAgKFeDn8yyKAWpi9s5rh7Q2m8gwMYnO59gpvO8nC1mr10GMrSEQpTvB549HKCgWxmHlIDHm5Gdod8+vAG35SVkoedHyDlP7dL9btMBo5BdqRNHbvxaiRo8I4vhYG7JTsAViYMtaWBGSEy5tJ7LvXJZEM1zR0AN6m+98fqmbDiuFG9asMrR0mJJDnzl4QJFDYhaBtc5KFxn55/1NcGJ+PO5qxmyGQ7Rpt2XaqaZkcSxH2ZEzHVq6o9baqiLJGOyilzGLu7HPLui0R2AfoLBcKhgMAVzVxLK26YWEuquIBjTBxCTImZO4LsJHrjRkWXwve9uNIMrFU1gCN8RFqvbi/Ovh3JEhQP6BbGMhxOH8e1ZL7mCbGE3GD6THU3kb+p3e+Zsv3MYLIc5Yc6mCOQG4HchxC5rQZ+uNftoPYSgsk1zo0fsOn1Sr0HakUVrx+6LTAHEBpxSd/axiR2lUm9XWItyJafpyWQGIgYyWaqIZKOnlmx4yL0K9UNqxBcOoqEZYH4OmeTh4LnuEJMRsYPmH8C4OFl+0tbF/keLtSRiDKohvx9cSGzpcmkqMyUlY5jJ7S6uN3OkrOhsvYgyQ5mjjN2hGGcAMO6vy+18VUVVX88GT2nNS40CXcQWb67fIGSeaOgTet4o9rWXBaIQELIZx8+xgJwkbannd+SSQaljOsteI+5a47T0XEWH9LZmxveUsxWbZgzVeUO3YWI6PSceFvNqp7iv+PqImdb7LJmtqiFw24KBSqhcC6f/fpF0u6a3m2a9gNbSG25qb/zercRsUI3ncrEGsHECmyH+PnGB4XUkYSCMWNOWsuoiAtSXD8JgUhyk/Q0ilw06k441GyOycb9M0N5PhDTU0lvZ57vmtC4roNBc9bh784nl9rrPkcWTOgpp/eGPEr3IBxNeLk7N4ahNnN8ArEJAyLGjtgjXBSUTrOMkHYSYHYrQKQkjz17yrFP9i81TWiheZjHyoL24gYByXiraPCV2DJzzKwVdc2vRW/G06/lnGgJARO6Iu3o0KrJjVByA9dVjUES7j2AIWQ9mLWQO+okqZelhAB6I/OnoxUJc3IdIfrA5s5AfCEGs8nCjat5DzRR5XzZFrUwQAgd78vlqG01lvPphs1StSo5p8S0E8pg7Ts1KhVCqQgH34AGywyIsOz4uqzNOCFTHvKnLr5cPbsMWeycWs1VfGJUY9YGTJcR9eZ/v59WEeOHMiOEEbhFY4dkuglu68QTQc9O0z4MFn0kXZbbuiMeRwbf3BGZs+aROMn1JKRs2mf1CnqSh2g+MhTBkqj15jqTchWBMLcaQrwDUncuUi5kpY1lwhFXKM4F8lSiCnE+9Ww51l1N++AG14AqrjnQE5k2+PIovhftVYk3tKhNgnn7R5CNSKXOAnHdB9EAjBoyETCd99+U37WekcnP9G+dYmGCODHkNYd3NGsR1BcVwbaFi6FDgXsAdcfNsD5NvQhnTe9rxKScLqk9V/v1R+Kh2rhBMpySyzAWR97JBoDCXWtoHos/WmIioE700h5bh/dUgSViCtVdWiVqMZvlgjjJrEtOXsU09eHcjW0nmf1KE2xN9flMHYAZln8T38g9W6r1fEHogZ2ApCBZMqU2OXRbCTznzjxzqW25WvB9WFT2JQgSDwX/ELCIHchXHBPMz6FDjlt2nyF7HMoA5f01DJW4F9tgY0WpVjrcg2AvXrHY9a0yseskNaNQQOBkJ3qyJ2yGR40mG5YuiNLmBCzQ3PBEcNLn8837lJUN1GISNSKXWQOqCQOQSWpYpGrQdzsno8W/eYEkLwouzV7uf9HyuUZtMrye6sf+KFcrYjL6iSzNiqQRiog9ORWFlXuzNWt9yx+1epRdplpXRVOBeoXXTdfPxcRcA3EUGVzFwuCg7J5DgtRobOFWy8l7fZcuvObPmZYZu0uVGmm0uAXMSPOkUKMrx/we2Y+l4y9vP8ySCl5Efv6TyHM8qOgQfpOq+kFobax79hIH5ur99BpFjXT8AShLXguvnpeOrGZ1QqnKgbblJzawfpf3LJBXnHEkrCpLTtuD04YqDYhfxADzfxRf6f66tqpRmGzdQq7BOKD2G95v3SidcNUDb07XEOuCFF+5ZSyFKc3bqiMHv95BNMLmzmSNaih1yKAFtZX/qb5wkffsr1XEPOoGRYU2RUauk1iqGUnND8f8kDc1A/s8qSvDLxMfIIOSTeHo38qTlNPKJlc6koaATsy3i7oEGELGJwvsCBbRvcMOdBIKmKKTbKBwnng3kVXAXUNYh5S+K8dOTBaopQcMhZXJiH5K5faz2lT7yI4qXtQDLiZ7pqiZvukdKdEpkC+qxc4eip9iPDtEV7iQcXA5rVENu+2kWGXWLvmBWC2WANYqpl2ADy6LB9vzLtiDjrnqi8dIl3GUawFgT+dPGEze1ssp6F+qWHyClfN/JomuWVwHKl6sH3DgyRHy60ylVjGZ0ai+C/9DGWjUNjSaD2zlXP4OSsvxgek+erSaFNGkUa2lZ5VHOK9oYmhCoa0lSTCeA87NUNwJiLvQenEquPBW0LEACbKYg+FID1uC7KKti8hAhSb+7AAAt8tba+VeWjKhYeGuPK09TqPBgWPoMQqcdwR4qYOPQsBtwvBkK9UFCQq7FuzmcNOs3nN0EWIwwc18uDcW2F0WPcZtIArCAOwAFY8UQeKItqf/JGma3U1t7TT813kzB0mK/9IW/nGCPKFKoTY5LCSo1c0n1o4sYMLcIbuMhdA+Xex0IIFjXH9uUozVb8Hcb1wYyZeFQVzEygC3XIpAH9+NFcM6hueknL3RvBMMusgYOnuHr1kM7+f2zaBiNs5HCLK6o5J14ygdkt42zRGpUoalHCLUQNtDLfTPpkht7aFeOgIH7xTh5lWZo9OUU8jC2QBX8fMulHRdX58rt2navcdDfZnrLxkYiCoSFZm6mfbmusC/BGScmENlmMb1O4YIBh+nYx8rtltICAaOqNCIbP2JC710Ry1Mfm87vF33nsBh9fqGThlJQe7MHN06aYH7y6diGvbCKcaHIIXy+ioWM5ZjvCmna9yPZOV8alHdTllzFFya9tzW0vfWoTF2tR1e9nsXSNWTVpuRzWrI44X8pJvVx1dayejplhsKKHq8Q1jsLOEAHVC1d9HZaF8uR5UEOVjnHxmdJaOwboKNqmmpIZEKgl20Ofn67TjbazIQbXtB8LlGYQzKCSxWCO84deq0A2uXEo4YXO2gfrh36vDTKFi8XCQ575o2K0h5bnkC1LIO33Bwu9Yie8sKe0uZiEYa3FUvk2Ao2G3osOyqphNCsT2PkMMoYqRKPZdv9IgfipuaT257LdtmCr6dJH/yd7GbS5ICWWUBmsmOZr9GffZyI0ZT9Ssaiz8rxWl60U5DJye/mm5QUD1Oeo67CjCjl2pQC4txVZOPwVWA2jmRmu8nQxFeDPRZwCKIgCFIlMuHVqFQJPvvVYO6oQ9Lg6zr4VlcOi0enAa4/I9I+224k47yljMIM50NUqif/e/J3jWV0QwyPhJkQTOSTP+g5xusKNwebTOMCyXrhle4vnpi5AHXzhqXUZQJ55Z+jehX5zkKhjnC2enHj96YTztmNGK/DNqwpiIncmj9qTaCbj0O0MkvfadmpFmtVBcySLIFcUuGKDWn9HdECDWb2bYMRVoSQDX0FRDpfEAowqp/bW40GPJRMCcffQtfEM1tdzmCksScK9fn5UA+LYSmfj/X3IiQKSozAG9qO6RBQBzr5Ndru8Gi5WBHLRrCbSRVAEAiI/I4+7azBhEoEGwApqVMjvl3ugDzCHwitb8wPxx3qeQO66zDyRgUjR8NHrw+oOVz3TMIxcqjUd5A5ZdxRnMbl31w7LSaLSAyKk6w4riCMi9z3N7Kknn7sYT1DeyRUB1E3GFy9UzxOuYv+gTA3gC/MtGLdjR15SRNGHRzgiVtii+uEPOyXeOXJEMchW2Wnu15v30Z62qjxRfovv2PissZPVVLg4OoYkap/XqS2+RfNsW7JfiUf5GJteJ+UzjYoYgi5iIGMcAhykVTAPtw9dCnrTJQEvoij+E+Q8TmnpmWXXwxKJfdpi+vefZ8AF+oQ2MG2Uh0u0Bvt2vVeup91pQy7zqTmG9gMAbEc4SVRKZcFze6EdsGQfZtOlCFDDK4Szp/A7b9DcIds3lkFIC3aWFNoQYEQDCchYpdqM7W4+APG9EagmoH2xhh0O70OS00cg9q6ObR/TN0hd3TpE6JsT2SoWe5h/KmMplHJ7KI92FlyeOqUEVT/Ft7qtpq43JGo3l3v9s8IoMAJ5fWQ3RnMxDvWm2TDp+mykKaCSkrWqQ7zx1Zcion+LyMAa6kwkOIWCVWpKbG9rQmRNP24Ytqezr0P8tVolGoxTUWNWUmzk4r1g1mg4K5QgY7TwtYdGWzzOW7m8J6OxUXilkPU+6ezHjD7BvyaY2s5sjN3dIdvDTXnP/DqEosxVqBYm3sczwSaYRkN8qH5lAH+bWaJb9c9a2oSCdWZAiriDtMUBtQqaSdsQm3AKZncYRmUBGf3IiFzXdoNSZvU0w9VwhPQB7PUJZzIJKvP2XEHSQEt0KH4pm8HH9N4RsITbAFVCGdRZCoWYRwq8FB3KpJeElQEqh8A1msUVTUyzX+d81+bU5U7FqyQ3wy1h3OJAZ7MQO7A2fcKuM+0UecowrW97wn7VdGv0maXjsY65HSn20Iprg8yaay0nb3IkDjCi2HTm1ZBZrvC9RlFFjFVo/L5fE5UIZddrqzd3H3dtSg+Euo8d75Vt3y3n7E3mzmLCf2EwbPiWUaJdxADVbte5ZSwAEgFc23MVRBAD+kdJWKoYMwcjY2n1ekUZRbjvdCJ1hlb5OppAyDVDnh+6nk0EJUK4ahlm4elvK5Wd+jM4jkAdIYEQBuz0ogChI8nY0Xqu4I/pSgDAq/DjGH2uL0fQLaXEQhkVIbDPNoxzIXg0kJVBdvNPZSrMxBeXTGnhhTLzfiqh3tpBZz77d2zVlyqL5DP/PCyrrU16jju+U5Fc9RpLkgrfhTL7UxhF13p4XhyITW3VX0fGQYVtUb0rCsnT3ZyND7bLSjeklYfjCufLTHsVg846mlD8hUevUgkYl7WwOb+WtBvoD0OHrz+UcefkWQT28+2PR/Yk+xGDF4wJBw8Ue2IT64ODSnLAaeeXo5WjDeyUfIJomt7Pd5ucTYVLcggclko0O99253JM884QY4w4Kam1wX9Kg7vRKcji84ZCjkMMBnVqo2ipklMm5aJCdXIIoPFbmgitmJiWIKemWbR/93MEgnGbvtJQKpRQTD+Fk+J7+U8Ar0rlqbgAcup15A4ixCOVsiZt4asc1w0ZWunFfwuMO+Utw+uhsXHp2trUt4nAtmcq8Jp/o01gneNKBijDKHLUuhgQtnSqo3jilmJReEiv6lrvkyHE1mJN9CcD4SM3x3X2kmdJ4kzY5gWwUnNq0mtGw6LISdXfRjCWy2M6couTNSEOLFBNWeJYfMVZdM7lJ5w1JpE7N2mLWB9AGTRBsCbxi7jXuoaEFcd3Cgnw8VwC1x8SADApo6XeQCLOXPxRg+R/CFTO2kZ7lbH7x1kKxCDe2mM3BRXgsx5MAoKoWFQRImyHgVg4d4MVy0Lo5n/pHEMxyzqjJdBUetAK9dhnFuspWvG9tE98dLsYRwxbMPZ4000c4z488fzEg6J6zrhjpafyjRKkQ6v5vyd2IltkIwMqn/6Izdi7SLUhvcPHDkbU4HlMj0n77wxUlpXeERUuK50NGmjytZJAeeClvjqJhWxiWvkEE3HX3yE8ATTP87IZcMn14xELC8m1oao0Q6LOms9qIjoOk6jFhnyh889uUN4UOcnJQuT/gRC3PLNBWRjRp5WB5dwKJa4f/EJQY5bZ8NUZqo0oiiMCR6J+pwZX/JGV9qb3AsbMpkv3I9CnvkbI6ieYiU6OArvFsStkrSp/1w/0xr+MjDDXGcthEh6589xt1+KJsI2bWqd+Ohh4ttWI2qkZTIg530lIhrF9bH82BkO84jf8yz+alqCRU/Fb6S4hS4MgN62IbQW3tOEexA3t2kpVBFtHstu5eg/7GeYCJymbnUf9WN4lR0h3p9cZLlN1ltFczs41fX5N85UJytpbyE8xfFBFkk5QCM90jCTg4G20eSSnk8GgfjRu0C21qrFH7QVU0juWVU79OYG8CaZsa976riY/ks0ivPaDHyHBnICyGKZkCdD9MJVOF2n22+4W0FfzcIPCMver5oyUxBJVz/eoyTTCLMdpssh+GIyRlZoy/6xGwPgkIw49jjlkabTUMZ1ijtsFcU5SVI364MO5TxOzYLPkvxRq6pBlApEWWgiroC72vDoppo0iBFFF5HoC+r7LNarUxOxx9lkVNu12TGIRhhxDcE7gCRT9I68DHRm92oXBMJ4o2VlUrZX/BH+cigoWX3e0BhGsGqqPqArVVwL5dtdDgdZdNTZqdBzJSGECW2HM8iP7bJzijHlFrUTfxT4DLmmCmb5SlZSRtuJsQRm6Ak7fFIKMErvm/SG5El2FEEkauML2l7eGz4EDI6khnWkwnUdQUTNfwC1z3v6xKCaCBaeNPm/sEwGGFu8Q8V909X01Alooounm3qP/pNLp0xpr0bq/t2VyfVMM4xysGQf5SpdU8/2wdt06kMC3pwQWqp6tATCbdOSEMijBWnEPWxmLuhSV05jrFaqlGTDahgjdLfCOKyX28wj8oHsMPJqCfc5u8AzMvoUPzd5HiJKG5eg1NmhX6c32AfFYAk3YaeI0nRo7CQRpQhOJfQ7XJhewm5cI5uey1jhfHYsV292L405Le8mQUVIBJAqCxPq9hBUsQMhFfOWIb8H9ZVMNLSQwYIFU4350DI1ds24Tx1ruu6/7h+8SEj8W2AIu4g9q0h/EJb4Qo98kS3FhDifZ3rRpmGxGaTK2xMbMPMb2YJu9bL+sikXXVbbmRfoXYzu3gzy/mPONh4gwLobEeCHanAY8S8zuxdww/BOEMUds+JBrYVje9Pjw4NuOfptSl8ug3HW5fv77c47+H5CWMjNlJcRGXNFjRaiuU4Fj/TV0UUg4h2ayMZ5vrpeeJ0w5EKc+DgwGhFHRyVQSQ9wNdjn9nRyOJqoqgzgCSZ9c2w13OB62Pi3KYrqUlfK3GR4SmJdB8zRlMKsRAzPCH++DkPNX0Tq8rI+fMYC/UgpACudnTOwT0BUo5HS6aVCyPX2mIbo4tV473m6f0PHKrYyYKgFa87sQjoVq/p25nfDYJQGi9SjB/90CYCfBxLhu2m7QKiQNMcmK80JRG9x6SvwRggBlxarg2zI8Fkcdn0B46aTcrI/ptWYhXoJltria1XpMlhXrqckuYH19PXSFHsATNKMbzBcpHZ3QG1IrLL94oF3V7ZPpl+dc/ThSD0SQxCYX837gnRKuMbiR72zdWQCIkoPj7CN/YaWtjmZcZxwG59VFquiL7uhcdfpRFlukbS6LtZocso8dWUfZYeqsv4HyXixOVhhs+jiQA1/j2Yg7BaJ8tV1iE1hDvXBGZFTdGtUq86q28VmSNWF71Z+OyOvvIUOxnWkRGoPgTzpkNn0m1bVwnZVuVcqv5ksfM9X4bliyjWMN+WLL1KQdhflhkteE91U+UrD0U8BhiTRwQiUp9y9yWtcQU9Cci/74aI3c1jE7djOsSGWFXHhBTk8pzXKIKIdCfHIb5Eht7WwhPm03NuAaxo32JdoiXXITfs9fWwKINCZ1kwNahVKjUZXThizZwu259QVIFgDNY32TWPAzg5Qb/Rs0n568pDCpEPpV+Pa0P8hMBO0dpJlVGn4MKIkRtnBkeiq2DwIufhlDiv96PKtnAftociIQeubwngqeQEGAfJwyyBRlOt69lpW4Qx08RXAlpAAelZnjSjrNYQF/wb6Mj+JJ04MorrRSbV2rqHxCu6hRGh9iI1VHYtIYBY/QZV+9WYW7X9UC4VTfFKYKcbdaID+RoC9nRts4ZiI3esH6C0PBiNyWP0OMprROg5gPgvWgnkK336f071mW3fHzzTdS8v25h1pKqxgvxrAK1cQfpmmkVwqtUPS+CVfHkprGiqoARXaSuD3mk0l26SF0wP9rdsEza5fNto6DNnlN0DL5BM5xKNKI3h+g8KpOntrQ7wOdEuzLm67NsFOhbkvd/Y0QGgyvwKkg33pso3J+ksley13QxlJU/WxkcNHCKcXct4KhEdlb0K5Iebpqz80ZoQB8xGqSXz2rZ1FVcWz3yg8JgGbmdNmoJllz+fjkGiachmIdZeTBsTFUVl1UOllsGYK3w8zMBSTYym70w4VH19safHBCkGZFkCvom8KVZ2x7Pex/t+N/ab3nYiKlR3FwzlbIMgGua611xXi3BRk8NGwqM7bWzkPOtLSq+qV9nx423PFlq+1T0EJTJCZ5xYivDCoAeHWAxpKSdCaE+HV8j8+GWNkz6Fjw87waXPDvrFa0Ja/0xiMBBXoUeuewtajO7TJMKRp3+sgJp3cOdgZnp//Uurd20OCAleaGfrv1j5iZaFU5y0mBwT9IyiD2CqIEaBkGx3Cgp3U0pbwWSt30SKPed+SF7Jobf+vvOI/kt2OyqTDnNud0Ey1hlKfS02tYcpFeiEBYs+qrgq210i13P1p9vKMSCpACn/v5D7vcBrSBtKGzky+C6COuv9N/pHV8cggMUOS+DA7kV+Ql63DFKQgegSFiLwS/E6pbMDVKbxhEmbGOWRkcAWN3UHQ6XWWkgu2WSgyXRZdmmI0uYW+5BcqCz8B8UdH3toaLorIozqIWRvRswoo1UerrI2CmCMyDgg9FFCyLDoXY7A2Gns9amrTvEp+guMy85nPYubRTedIt3IfLeXA6gPCXO5nWhDXUB2A6PmMjgKZU6Y2xlCytJPgg1xrNzw4SQPjA9yFAn51U96iRiQ7tA+1hFRtlLu9Spcjb5m/kMx5zuIm15WkXZQz2i0/jUGj9GUP/8+jscfs6py5qbJ3c7J8rfK+O2x9e7WtpwqvzfYOmgrj2H95CXHrECEE6iH9AV+d3b6kONJ8HYPqjOT7Poavzzz62KKVNRCIlPvCiChLZBq3tzKDZ+Mq4KiUzmmjf4jyQUfiZ/4G5aHSJof5Wb1zjXaKF86JRj40D6RW6ZJzj6m2+Ojfuclm8FUdAi7ZnqJU+gBeKEuf93wPuH3fDwipRztvq6m0Vpp5GcLbCkYu2+0rt1k+/pTpQqZCRsdER94Xb4oUzgW4C/MF6xFvgTcB/VQjNP3urGQtj1c9t9hyFiayAFuMyF0POGkXrfgXZnS5NInpOHJ3kJ/HHi2RIztJM8sK1GK4LjCBxcmRZBS0bq3pqsJZXAj5mgQw3FAixatYw53O9dHGyc6X8mw3h/KvB8klpZnXlCLNBJQeGbP5GkBIsmByftUz7xzyjMvnWWmpd0ADoPpbgGA9GW3eZrECjzm7U8XBk88/uIczk6sYxycnQGMAp5K24Y0DxKEvkI5RNxNHr39U+j9BRMeSteuloaat/Th3CrblqIGxMENGkezP3cAd1RBCTEyul7yqshewp0Mzf7h+igJQ7J4MphmMCL+QJkQRQozNCWXCg8OiPqxDI/Yypox+y45GYbXUkt+89Cn0/StdjmfhdxnYUAAcSCiclflQST+XPBMM7lFU8fLOkMUBh2AQ23RcDN4ojxd7/AZOLcp3uViqth2Hcq/Osrbo1Iot85ES5gt9u7zlJj9UiaKsJd79YtROpngYL5lFd9AaNtoZydHoe5BY03C3wKbMs8Z1lFdk2bKUe1iE5XtEeRYnOuYsaXgKDW/3+kvuK+95vLJctPEoJ2PtrqnUZ6XBnor7VkKyOHqVTtQ8ChvnSlRc+Yq55vU56dv80S7k+1vUWpBjhklQwcoGHQ/HOd67GcJFhbsqVfZzQlFE2vo30LACRzD6yxRT2N2H4PnrT+ACeO2SRD/QBIC6lJKdNBCW0JI4OK79hn95FBc4apLydmAYD5qy40pIfsPYeSuZNSfpGgc6IlIMkb8QCKnNIyFAjmRYgv2l0sDMaxPip8+yaUKotjrnW28CXdSgalUYbvEJ9hW217yOQFU7uEWHWbFxQH8TZo3U7He+CWWTJea7dg7XWcpMxLB8c4qDtMstPk3WYXZ7Xj3X6jZuzmjTqpWPGPLFC5YkWTGIGEauFgs8y5hX2dd0MbgOGHHEXvTzUXieAwai/GzT1/pgIeJguQ7orMs0W1ieLyBP+OflvvIJnyJEGLzVgo6FOHZwpUBjKAHkezVFGAnCC807P2yv+KnO"};
+export const answers7 = {"start":657,"count":376,"size":30,"iterations":50000,"data":"VEaJfBG4UInIRyOBAB14W88DHpsUBrGDLz8I6ynx+YqxFrNSHuX1EY8+LntsfSjuVWrUf4++qTYd69+H7d1fy1L0YjrKz2CE1tff34QJqqBftm8QkUb3JotXLfO6DCFn8eg3g0aaNIygHj5mh5fkl/EtJxbDcFv78gYFH/tlgRsNIFYmvpIF5RUMZ2Lt1fDPR/Gak/rgCf0MBfKhVkQoL2UOEORSct725sA616+2fc93hGwrugaqYUzsGc/aZK0w//NEkLJ08Sth1Cc7bJIqIIdLdMXFNIpWXQjELWWOjnZQj8lDbF8CFEf/mIcSDfpyLB+DO6MiHXnWoFUW/De3XCiuyp2FWlMn2FZWRbQ3lyNbz5YhmT/iRBrlrcn/3GAJrA5PcWXENfUPs630q6eMSrMv3w7ntE0TjM3dcJC4JU0aKJkiqD5xMDRB3cO1XRYt8oykjuafwUkPeCiqBaP4J7mjrvrv4C86/1Rqj+QyMPz797bhbPdMM0rCZVB1ZQmvBusMfJemetXra9S5c+xMpPADIQQyxEOrVvF/pTcVCHjj2oeFDthd87weQnOeaZCArwtrTaDOyOjrvUrvS4lkYg0SceRdwFSX2evqJ53Wxx6omhROh0Js7WGRpogpAulZKRTdEsmIfjYsGa/4ysfYXOcRyRjX7L+NkuBiDM2KbIHnPZfsrKBEHsQxP9pPCh3VpWkmeAePMY82fzbFqIwO4PAmztOHLPBL9mooMKJeG0t/mD9EkpAkdrIdgldT0k1sF0CA1woxXfmi1WUFU18N54yMUau90yi5sdHhF6n0ZfQXkn0AHlE5tEEp+80swFfS42I4dVENCknc/dN5Ch3DjZdbsbrFrZiwfluwX+sb7K5O3IaE3NGxMMirl8MrGFf8m3VHCG31ohj+TxCOJoOn1SMVBGQ5C3VXABQHPEfpWBrxMiwon7a/V8j0HXrBeWEuYZlED0N8PzIKS5xEIO+Zz9q6ZyEosUsfzIswekaL4NGudtMK8gJhvMnBgP3xrbvJWnwCqZTPNS8WSjxD74ifocGeXv4Tr9/OQQe7Ohu/7tkMXDliwpGdy6B7/XW0L9P0FLPa8yj3Djdd7wogLxhdqbt3rCe2xyociHQldzMoXNWGl4O0tKJDN5K9fXdu2LaZNATM4z8aNY9aGhdl/FZwjzWr+skIgOWJS5xATdtwx0ZLKhHyQrgFkuAJIkWcd/BYvVYQYjGtr3ETtEqT795kMmGp3j377z5BPuorvrsFsbhY4RIFLF8YA/9dYZh3MRVV0tSL9J6N5QbIBV1lqV4oVbYcxZyNkcflYf1MxWQKAvuXpw6DUpVFYJo7oVZxFR+vvA6BX09Aea+z3CPzEslfFTfCMP1whctHW4nGp9GH8BB/qPkAA/fDOrPK1UCBwnvA0RvLAyQzyV7DL1G3pvCfbTS1iD5ykIVpejOEokpN2KEyD1H22HnP5Qs2aPfqwStfcEFoe0ZCqxEsZHMrq8sNiEPyeXHJXiCL2UD2hxAk0YEYzxuLEdLGpM7QQrhMEv7XJftp50F2HUcpg7D0ugHqmInVMFBW5hKheF5K27fvWIlpwdQKCFXKcteVir33qs2USLk9lwpzB9uJqcvWaDvSAm3z7aXhs7qYAxdiewbGnG80bXT7xjEfiBAo/+Ed5JHbnS3Qaoc68ea8oxPnJrx1GoZ7+VbOh6cU5IkarrHyA8LPvTjYz1GAX03zZKBJ6AtyazGbbNvRk4+GDTUqH0xEvj2yGLjTChuBI5WmrygOtXYnlWX2ENGNg0BcfPkzUra3jHNSkMy3wikpVJDZGJRAQUVzU+h7tJ8fN6wpUG6vd8HuGXInjvKfcRlvDFE5XjomewhxDNnbOuoCRy1uFanIXLr8jDvSXQ0+tAooCjzTfvyrRHZ840rHeAqub8LylT6HtKz+URav45KBDLenkMokbgveWeHYJWUW6At5jAfItDQPIfkTaKu6VsK/6rWKId7PEi2BU84sctmQXpPcpakQ/X4+dW6IaXwbacfFVHicTfh5ov68+0zfdvMspmQ99nb/M/NR5XClHvq1/V8pKVV4xLKzEJ0IjpMk//03wDX+NBAFLwI4lFQn8E8AzV4hdd2TdTVoj+opfVt45ez69TmPBc2ZS9QfZG2obFA5nUsgHJod/8HyLiZeIGRjGvtFllwhpu7CJfhm5ZJEYkWfcewrHvDGNEsJNeWGkQCSODt+cbJRXe3ZtXQ/gEDKCHZF9EyU2hD5rZeRJyKroeGpx5Iw8mbn/ZKaCyAxFmNUtmAGcymGBkUqUj+bsxhhEfz9HbS1V1ixkDVcemY4wIpH30FuqNtommy15R+EZbNmXr63jur89iouyQ/XHpKkVBcjwHFMQaltnTUarG9TRvejbqKZaH49S7SvM7q9cTZslxmEvSTu/Qr80uoAJYn+QjRGNn77gGmmCTm1CrNcYqJY3cR8NDE5vkFKzIjmwhEi7NYsQ4O7gr6v+HHP4tji0Hh4JArR0vaPgm12MCtXjD7ki8O1rBwX/DPjN9pBOjceFqm1HTkszklx7ty3I5OTvKYKp9l/55qdEaT28NkIrGNU+OuIj8mooaQ/5BiltnbUhHVIEYtKQFmqOPBM4mmsbg0ivsZmNf8oXhjD4t03RJbRudzPI9LtIFShL5jbMGPl2aKExtiEokccCfxJ73ClN/5iqrx3+GT4OB1UamSENYjLhXBPvUOEbSD5Aif9Jw5muP4uzk0/+uE1zNRKjQ976GHFyC61lFg8Ja3njUQW/oEI4gv+EN7VvKmAJFkmyMjuhhOPlHWugEhgdKU+HjOBkELj9z2fnhXdQTjOCejiqQ7UDEBd3WNWiVFFzSybIc5v8gvL+yRvJnvreR/DfTwhrFoTTeiVPCjeDKOeZCNpn846VNjTfYGkjKtops+oq5Hjz/HZOLzbhNpnbasf/b8h4E+LR1yX3twoPJ3+bvuUcWW+zTb0/VA4gixofqSO4310+FG+vj0uRj7DdtAdTsWP0UT66zl3eS31EJIILoD6YwcM3aAsj0PM9G5QSr/L7GEW30TkUpqTwJ8DQPAsQWJWOAFsokSnZqark+hZ+tKzmwTmT46eCp3ygNwRLkf29F9QhDsIjgKvZ2kjAtuJlkJgJWMshl4Xuzl1PgH97yJf5cnJ7el+cEiyDzn1UiPx2nYdrBptP4OudJXcMuhT9+IDlSp+X2kvanvcZshqlPXYyphbZuwjOFnmn6wXMWXIsZ9WG2Ff8/X1wxdhMd9nnXK2ISRZdBUwVToeNmke2NeLK3oLNz5sowZyb+HqtK9HD4R46MHMU7c9VGwUPlAseX8wJupZTg5EChQqTRUivo42yWEK7MIdGDU0rPZr3f1WWpOVHULgV/31P2M/HYW4w7nUThM/C/JyvMDId1UeN5ninzilrhqpkvEnunQM+bAixSGngI8na+j0yjMO2wnMdQc5wd00phg1pKCWNO7nU0YmPKrYLXdo183WHrXCWcRuHkAtxNStGWzN8P8sHaUFZMe/cfLrboOG108X1jIYoveFQO+84/NHX/NeoHTER876TeUuqqFgQTiHxoln40AOCdeMnljgGQEaBeyU0/19CF4PPDB4wTVUjEiBsOhNTnefWWhUvPZ1mh47lwHjhbXvVqdtRrb0PEDaF944l5LIIjlhj/6mbsookmqpQFTLEgbsoeftMyn00NGJmFlK0k2Q6EL/LTaFxOCD9wy6i0WcZUtO+gw2SbgI11BJaA6B4Hng2ITBEM8nhiH+2z0sev7RkRVevrXR7FHJxUPqV4x//PkfreWaWBR4zUtJRI6Znq/YG7Hav0UIv56rgHa0AQd7pnpdggF6qqP9iYT8CL46Pa6jrgvJfvX5+32bqQJg7RMrMU9nfV8Pf6KnxUR2zKcCf7JsnVbDRmarnUisdqcJrT339bcPlvanB9vDEauohkzNfAg9fRqVHXD782zxvq9DNYKFkoAuM/GsDq0hx4hEC+ULgivbBrKJWBWuHgtASHVGbh0tjIprkX3ML4JNCPhBApagtq8YQkUkIizCmsUqHEdhb6RiK6FTdUzem9kcj0AxD2OHulty4eO8mhHCtRJkfyRzScfcHavL0ZFvB1RJgNxg0j3m8ssFMM2hcjA8ZMH2818xXXhOxRxt43t2pma3C9dnsg9P9WvVezmYpmr9N/llthgI1JxBh6j85CGSJj1g8XpEdDzHmEtGBcWqQdwyTs/A5oPFKIV17jSFB/pHtwvs/Twff2yw9wvzxbAYIadDMJxgvF2C9aRWVoe1oUQ0tbPMtfPxJIi6oRWX4Z5+Izh3Qb9PhJ2g5tVFwxAex/zbU+bSmAJcjHUu+CdqhtxotIbS24Pi4qCXUSRzMpA72hbd2R/ioWZU1ErTyyZGELtIWOhz2LheadvUT/Dt6O79LvpecOzPcsmiZT1RQ/cMDneeYPCmWCrEMOIUogb/VQhLhy2SE4S1xXN9oC8igoolGXPYi/8eYPgSA44Ckcl4bSylCmWnN1EkzpJ0CK0icFS/yT43ChMiJdWw41l0PdzXu2IGdtdX+Q0LwIME5EnaF0mX4zd0YF15qJbx4woepTTYoafdJp/FArqpmlyMlkCmfiJqoZTNsqNcdmqU6RB6z7HsJn2nHU3Uasf6l9NwKumQLyi9B3M7RojGXPD4QXhSZA/kA8rj0lOLVziCvcTTnc7Oz2yaFx+ACi0yzR4QtjUvKSW1nJ31ntDfXFBEEquiEggMIBJBnbQ+Bu2OQCaRXN9nJVcOVh74WuJj0Ik33L+gxNrC46J53EsfEsqEhfLOJm2irRvrJF5p9pLgopfjEUdtk0+IFEdUJrI1qbSAv+14GhnhEgzblWXBL6C0oaCJJyDYfNj4SPPsjKCru16XA17xtzVUQsDjiOvyDa6D4Es4bd22prMUzOxMbBnlbUZATnD6v9L42hbWqwIMes31aZLGfEZlOwmROR6qgvTMK7jcsdEJaYZx6aXiBvA2iKrJRL/7Qm2XXw0ieE0Hy5wVrpvWvF0u4lH+6LZSgGYhhJi7KrkMVqALw6Yefv+ho0vLP7KgcvczODIIckJh/v+J0nwY7/HNsqk2AyX+O0VHl3eRG05rZPw/5tWmgOPTRExzVIbOWxvpTW18Kn5Ok2maUrRu5TbQ58MYUu8f+RiQIx+D4MZNBYTJFWAMhHbAn6bKfnd43sxwsh6J769TtYUhRCBoR0DbcYZs8+TG1+H4UDkxfPu7LJ0TMRDBnOw0lBQNxjWHals+Tczf7c+eobkt07b3g+iaUoEd/WjikwzDSyE/St7Wd0he59/sm6b9GsobGRH5qJTaoYdy6q0WITCZK6H3tp+sDaq8mR2soZruMAvfwitaojxvVSMAVQTHuQMyXKXGS/Vs8hOTO4u959MqtKuOtWYZdKdm7LwpCh4Y+s3oGL77wVzvGuUIoF3vkZdXZWPxYMgXSQEblyeliACieOQyreXPItO+37cFtsny2VOC2rTB05sUIv1Rvr0YQxb1jtquaiAxiN5MqecZeZfWoGO9XFPgrtALh/wcnAYJUQ8elRBfbpEPwF3wwlbB9gL1HF5heevgF1EE9WZ1PCac/uJCznk5Fi17kfWDjHiID8CahNtq1VQ5QNrVUTwplwzW1WEWeSwq5RHAEZ5H43SWypK/WdloLUBIm+hA24r3GxOyt1CcAOFDKTrDl9u3JN76H47cFUswDl7ReQqGWe0N4pEtQS0q0sqBlZCa5l7fB3PIxM+nUufJSsa/zYratsVvcmUn+1loids756p2kfwUYCNfqKPkBvDVIffhqhkXZkw7FvIt4ope5vx9JW7AcJRIHNPsba98c/drJvUrb+XhUTO14cEW4+PB4o3G42o8dPBh9pymMauC9/yStp0Z0KvRCPjWJZvi+RCtNxpitl7yRkPUlvRcSfPscJTb1y3UOKigEKiMyVUSZFFMr2QnGy+fKRclHsfb9g4FhAXFc3zxyN6UODiTmP8sEcoq+lE9P6NDhrTgFBvClASAlxkN10J16TD7KxjkBoPigjkH+zjeK2DIw/HM5ZmTM5BWwnfGhx0h0nJWJYTmPpV/Dyts6ptVAOSoIG/VwVBdhT2rwwgtNmVTjOekMTpTIyMIYpx+ThmvuNGCSHzGvQpyi3CGVvKNI226+nefc1UvgGrFVdg66P/HD0BpqhB8/dZXQu8zJybs+73vsRPoJNTvhTvy1hZl7zl/WKj0YqEEHhZ134VZ4MYjVDmlp4xyaSU4ROWhblJ23vUjQWMv0l96hJNlnp9AvyQBhoSNciQ06KpuJj8dmbxcNRGjwgFUoYbm3o6frtKp3bTS91ER/RIfxwFoldFUNsRAzsYmodCjrmL3omJVKlXXgEeHzAkAIFwv/VVzd6k8vBV3zIXBgoRerTL+OLCptZZzDNEIdHicUa+4Z7jKrzpIBC0By918p+e74l7qHmtjJAQhHlqqMjN3kfVzN6JLfi42Ir5mcxGXsELtLK3w6cQPCTSNrP8TGWedgEQHPZts/AGngIp0rxzXMGvUgy3LigAcx+juWxtdzcDAknrOYfbdta41ptFdJFEhiXW8nZTBQ5rLYzR38RjNI8MTPhosAgqDUSO/dze94LBuuZ9g76hl8mXZ4ixjCDDdUNwBLLgnRPprSdviWhC4g3MH/qoKRBA0DHpkZNvv9Mx7rWwgvOrUEOAE9tqVjf9jl2X/WPsA8sdJhAbDd28sEc/zqRVlUG9Tl2AD6wymqfhBz20jPdrtxJ9QMKVrS1Z4BOYtrFkn+nZhMRT9pUAwtRzLDR60vH+AKiWlLY9j+7okik26jqjoMCvCKTwe7QO7N6xJhLTZ+hq9myInJsEw5SxtARUy321kZx8KLWOgopkJzA3AfDtnuOM4KdAJkjgc9xfdZ39rjbqlJal9gjAHvEh35gy2eFbdOiJoTKup7M6Gq+0c0K/+dXDpzdICyh1TOiw6RbBeqJ3xLbYMVdaJ6tyJJCQAc9n935ihG7oKVwax8IWKOnpoF6wzmhHU2RscW7iNJ+Q6P3aHTJFxn05BtwwDYYNAGrg8Q7DrP5QVBhHZ46+HR82V8IFcT6boo4KM7QGeaEUAuVozWrvS0DO1VLM9STQAgdwZhJ2q0n9mMwp30AB7WSq6Q2cI+S+96NsjaNJK6/Z9UvM7Ga4Cf5AgYRuKTWuvv8iYHimaS9v5w3TKrlhRLs9FfAzBpcNlE91b+k0WU6tBEXeKoklvASAzjqA05GtsL8jmp+7iPYjfxKCkpbINt0BI6epGcBkS4M9T2b52/IroJb7UmgUSI6sebfkkbEMNVeha4XtFkqp7BFFWe7oCuRMS+HOxZ/DiIxGVs5ZctJJbbTpQTuB2CvAfN+qQkzWb112GW2c+Un8bqv3LEFFnmkLFhwaG3XazWnJnnDAuvECrcduDbBptJwLaBZrUdTy8F5sj2HwFDf3fqEci75KMeohZxG9KXV1p+OEtP3QZdayjJBTCWo2kHsSI4xNvaVh6UZimlsPTwK5QdFZKzafGnGH0GYlhdeUgKTSm6akz0ORiVwr3vVzwz94Nmaw2sb/cleNMA68tLNza5eh0dJYWT3mJM0nVPrAkN7tK+Um/AYhYWQhbjShs9IASXAEQDNUYVHzklc8/G/t+AAlHArvr3N15uerBW1YxGq6qslUjSPN+TVoW8iZF9a5wv5NCOw1roHht+E2VBxlOfg207bCQxK4QKD5RP5W/U2+0x9gQOaUQmF5ftKi07nteYHKRnw7iJ+0amHPSnkX5r9ehneVf30GlN0r58kns37IY8+JLcIbydLaeapDQ0OaGCyzPZ8PpFuoCNgB+J6sBRq0H8aP1TqoGXUiPSDv7UbOWMMnXifkYKfld+eX2KivQhQXE+ISQZlihzoEWNEgy3Bv3MyTpr/L+H4sgrh2zLmrFl2l7s2jMyGsgXn0rg0K9wvcTCK7M0Bpr0yP+bmYiQyqpYg1MRFqJo09DG++uNOucvQKPBz5bNqkGfhWWV+2mP3/SRH/EnTdfVW2L2CyzJcd4zoyHs/XmUJ7SVuE8CysN3VzoCmtXlUzQq4vzAVBXd+KGiWm6R+P4jfeNRaFW0U3XF11KCn1aI282n71eQSugss4Gls7PM292PpsOFjdfZOvnYlnSneM8uEfP5k78J8V2GR8g508YLrt8vgeJMmgGC4rMM11eKdwvEZd7hNC8UbY71mXc0Jx4A2tu8rMn//doMsQ7XS/0KNrzFTsOt9UPfvdah2Y/VR6WKxRlsH+lFt2l+u8uLjHql4RlEgGRI06fP8r/0dyMb4NhdjZkxYIR+JTAZpvPAp3jqAK4OP/DvUtlsWGYsQwGwh2obuI9uZArwa0Dx5J+wWaaMGXtcyhoKc9wg25BMCN7fo87XV6o22mILgvV0L16Z3o9HYsL9teNgIqY7g7F9eIcqIB+c9fM7wflO0iugGSiOvIEoMoVDceqPAnLJEXeJABjHhdlpt8dAMjUSlv/mNvUcDAwgituBcehqbydD4c0JyxOk8K+FgK0j+7WnmhgKJAvLCP+aI2BV2Sf4DKKq8S4wpUPe93F6QEHoTdwrlWX8wnzAHbBgFaEASf98q7o8s8GPq/2XtXr00rEsdhmxq215CG/NxehWTifSG9W8yNoPxFEqILt2Rd+E3T69OqeSJy44+nw9E6a7LFGoYG0n6RlrDk/Ravvbr3tEfkYM4XqTh5wtlyxIizw88DwY/FVTmu5nzqLOhh9/zE3nIT/s+7jYlXnZOb1XxHQVHuvrLvcK2jbvbcJNTH0nhPuebYQbbIGdd/bDWpNe1x5a4j4/X5cltCxD7o5siGcKbr3HU3kkCRNR8yNJyUbshC5VT6CJZRjcMAIhHxkjNOrJ5S5P9UQcLpEEeogucw9J7YroKYxd/fdffsUuE8dwqSI/dRG77gwWq8Pa1WP4La84ADvojkiC5hLlEK93fnUGeVeIY285RHDD1g9eyyI6K2Ych8g3sznIbe2l1WOHOgrJt/1lWtSAptyxlDEDebqzMDjRSIgB1zH5hXgRK4z7m2gifmibyb59xr8+fh5NJZBpQ6Y1o6IRMSELjjL6lFjS89CBPoiHHg5h+YMd1JzqXFhgCyGqBt9qvj/R+YzQo3q0ON1khfxI4e57tJZf2Af1XP992hXASwKyoreCeT4IqZuWDfdt0qUx0SikAGfRZGL642By+HYmu+ppCG6ZrCZJdnODcIveYgL04CYXceK7Fdgvcn5ce7P6pydx5t/dkVjUpdEv0wmO3XK/iUSX2PUslRhvAIZlj6P0QDJE+8/6VT5xDUFIhG64nFXVNvfTNn7bRB5ZfOVjGaWrXpGHsOABxqQp2NA7YR3UiPQE5N9X5VQTPqGinDBr7W39EewGYIbkFbCS1Ying+gq9GBHU2cf/gykyNMwPaTKm0wlG3STofF4jRKaWinRtY+b8c94Ab3YRPFtA+qP5X8OM2NAZghh7t2i6MPN622Z/uamjNK/Xlo22OIq7GpNNA5+PGC2Q3lU1jnPg6BSjYrDaZ0wrY/TRUmNo9C/S3H8/OTdnZj1t3BOI7o0+H5V3HmwW5gVwE/QsxNqzKc13aps66XvNubsQdAAg0UaaNpMXKANZ5/q9gLoYHW9ztnIoKsU+Jva+Cu+3JO2TAFC+SeH2eUPvIUv+bU6LkP0CmCfJ82UKtCSjhgBVjouIZLH13jLkz1Rlj9I/3EWcOAbn3bR7Y5n8fE89UOIPMosahaX4KZWgvifUh4oPDfUQhWI0c+QTc3ruq4v8zbC25iXMxO7eEPuUXVr9BLlR2DJ4inAEt8X0IH7SzkuHgiE/4taXqXT+YFLjigscsdr2OKrWll+NT4Yz4FWb8V/70Vc8Z3fGZ/tgfH4PTz3wXoKgGVXTELdwqF2evy9mVkBA6NkWMeyoHdaSiBtzX0ok5UmHM/I23fKGC1lpZTXa8SWWIS13u21C7i84l8IqKJq7dHQZVIg1uAVv+6azAd1RC1KSL2axaqdQm6oJBJcftoGGjleGAt/SoACdilZII3bTr2ptHrQOIU/+b5GrVddzAPPszBk1RxmxLrCfAvLPSaZU9JmJdrCliTsfrkFC86wFKBMzkjSN2tRJOoINj52GUvTW0VsS8sFDHrrvcid2THcC3BT+gsPGXPyHyzBEsRLnbOG32YDFUROFnmimsOe9UaKUaEWkplqGC1Im9BgpfpXs+znsKqAbT2Bm/dDETKbxQdfEYVALhkwnShoB36hh0FfUcrPey46W7zCx6+5RzxmfrcVHkJJxKrOaVQjcpBgw7lp9017eU8Ft0HEpXYxaKIVLgLX6/Ymt5fapGzAVfN1lq4zkIFM+TikIEzps3P4aPCeBajKJpfd9CfEzY9LwtLksCJfQRqK52CV3Fp7it9oimsYMRRR/lhnPHMTSAcTahaf9rSj8okn7p9bWiiYVprEGLzU4DBBfzpSxleYXAPZNRTen/Csa4VmtDnvTxUlE3goI4WRINwXKCRp1H8LGU6eq2EspPlGLDwCX/WeNJ4tKs0+LpgWSKRuWiebCMrY+8z+Hp9SBpBg26dAWW1wKzAYQKhEMKZoB+7/r9Vu8561B+2dZ7CM/YmG5cxVHmpSSLQzk+/PTFOv8tB7vUlnj55/U9XeKc2bf+TR+6fL2xjvTtQ9Z/b6Ih3TuirgCa6PWxZr5jvysJBtBMbLMuc8zIRCym2LZlNXz7lh7dUMAuKt0ePZCT4HpndgXLIfHSBxs7M7xgM0o+z5RiRcJ0S0DDsAdR/gJrJXN9ulmIZ3K1aLOsEZVE9cTa3ErukhE0/H/BWXUShNlXspbjDygJU0sG36ZjNuAuzgiF6VriOiRKikXPZoi+Kqb+WfHBLuqTFbwmMlEjFZLlVl+WS6DWA/jj3lmMsY1iJHS4YZPOrrCdfsVAQF9ojsTayFGvXMHV8iiM+e9QFKiQbHFyDFCI1W+9+rPxHOcYH/CPBC+vCTabRX+kvrV2QekZ/YiJjAKyU4W8fu2A3EDU7w9Om0UsmI/47qkw9Ujskh4K/FMsp50CldbJvijP6uL1hLxjgKiQHicUQaIO6n/qumb0W6V23+6+DS4L2zM4IcWa3JTlWEx8HyE+6JubZ5PVaSGyw/niGJaBkIwZhstCcvYmvZF90C2U/P8AUFCUCggoTuEmiAq+H2Nk4kNZm39o7bAGz/rji3OuTml0u5GdetJDQN/vEhT1POHjExESCTj1D/Z8cCTJRqwSC0oafsfXxXSckJ+upRwX8WGEK4JgHgCYQULUwBxRx6DCb/8JFKgMawqzaIXkgZDu4ai9qTn6TH51ZsMkbmh8hR99lHrWkqByrEccBiMf5w2HSIp+AKsOF1trHreZfxpcEIEbLY5J6DkQjgHlF5Lh0lWds5m6tlj+8v6y3O8e+3l75UzcQTLRiAUWj9a99BNMXg8/WrzReOQZl2yN7c7XIa6yQOnd1yrbvMaopUmJCuenOeUaPRVNV3t2EkyEGdwxItwAeHnqU1+5Axn1Qe61OYChgI0tGSHXYe1ARYPrT6zVnu6ybrR4XvqvhkAyxDYZnZNOJWv7KLyNzWIuLiafrY6b8Nx+VPmvrq9D5lk53Zbf6hlFyYaeSnYU8X4cCi+cy3FQqeS0+zyT5uefa8G9oPPzObfjInH73ezDNU6/PSHEb+gofXQs85Zs3Q1i1rBk4o2SwAeuSuf8mtvXOvI6uD+s6CBJAukvsG5y+paaziweMnSa+1beNjz+ko8UTHDHO9TgJ0fqx0QJb32biE5GoIzgvn7fvmfYFPCFy6ZdfwjFxbOEVzMKj+PX1XIpn42NmBHAhmhtEVkGLWZ5XYClLZB4F2og0+ht/YgZW5y8o2eI53zxdSDmkU0QTOczpbMNEAWSbPgme9xzi17SOKOZDyVGgxNW8larBpHDHwxqqzRoboSq9dh02R5OsDK6OfxUZws71ZfQxTCJW91yym/FbE5zwmalirbmm4CdYTlQQNFsVfdHUmqD2eSjXTDxM8AN9jnrS8DPuridi4Ptb6Z1r82uLxER+0QMlIIlwOKL7cdcihzh7IZ4MaFtvN4O/5iRHJbYu8ia/Qi/3Bb73qJlzHGXv515+yEtmzzIR8mjWTO/4T1rWGdSlr76wrPnfH1/Y1HBLFQ2oa6vFRFn8sdi7A86f2BV7t47BSDm02LFUGOZpWU+6uelD/uL77peei842gJYEjNG6QCBpao4fvYHvBvEVGubDjOzOPnt/Xltqu0Bt8dhSGI+EXU63CNwSgEta5UKjssKovevjVu8p84TdawviYHoFKUGzgzaJBP8RFuAMgrnbWSabKEIDdacQjwcp7SGSOW24kTSa0zXHuO39ZL6BuxSBp2zUYI2/55n9IHdPEldhQTPzBBsF/xeXj3GZQbPeiPHS5KjtXoHB4THL2IlMasaleii57KmpZArxJiuWdLHf/7KnDsLs+u210/nMuBZDea3MUvZ5nE/fQC8ela0pyBdKB0nE9KGE0T8wivIuqZd7UPqNjmCLQMzxNITnoS4FoV64ooyZKfDBsLSSRq+nRzC9NUlaPlGq1X33iDZ1JvlRywCyOAJ/gto325VujU/sVeVUGdSsragQNPDRS7UkhdoHqOqwFG29Y103BoBOamxrL6JXqMCoaXio3iS9wuy+OdOTW9zRfzb+hoXLMiz9e5bCVkwYcRzKyQAMDLKCfux3d31DXv/Y6qamqQIb0zQ2/jkaJbb1ids8yimTnXYpeBm7V24ImyluwKPZVbTVHyoNMeix5mUqcVAaeCj/1MhInhvHgZlTtrSL4lNd2SOqr37Q1GOpXTR+iY/rEslAAgoT+vsh9if/SlevQQyd90evtXpYdnvrfaaRGzrsmP6hrJXGs2tnWZJfUlWI4K+seLwOQ+G/AKJ4zwkHM94g16ziwGaiKrPLVM1huwjAADHDEwTls2i79lqnbJKi7pGRSfI3QiG0aJKC95DLppJnCH3+thMko2OKPN9Ey224A/NtjhfQkw4LedufOKRSQZul7zpk628BBJ/SfhzsqV/NX4LsSbxdqqUThIDj8y2t1JFae0zyzb/S3/gVkmoyi7kLoQ/ikzNnR5Zs9ydO1TosaY3ET+YEi87AfQ1YNwGTnLEwiIFv3a7Ny70OoGQzhsUqFiAPQduy+m5LS2iRuK7bvgpdv0aeJhDtPmyghlZME++w5+/zkbDdCHs522F1FgcPCnvhq9cXmj21cgNHIm+fubAyNeacp7FLNkUGVfE0lXUPDa1nfm5Cx/H0VCyOBRslwfNPRGhaUOv/VDwKmOeRHnYN9Ges3mlxixKDAc7/3r4j2uWBnkN4+orcKTQYpZjk5vulcoQXz2CpqcTyUSrTW3dEqLzE4MkNOkre0s6hmE8yCPkbuNte2plN/ofkPZuHq1SUmZbPvha2RJ+8GFTzPJFlP+96kKmq+z0n+tKHdTXW10OiMrBcbKd0JuyToqoFYexpp1Ekr7mmRDMPnii7WrogD/3Yx0KEk7zVtbc26Zib/qIZfMJ/By7qIob7uSTkJLeakFMgQNlnsejmSTneX/Rv8xNFU+G3/u7c/53Nxyiy1Iyw9aOQ2FjkBFgWpfXsYzM1SZxGnZTP5PzS/139x8z7/1SvcfVS/Jm7shPJYA72Gq0jsNeVCf4w4hm1Cdetl9j+bxZZmfpS+UIfs4OPH9/WEOqBfc3Sj5UiPHeBF+Usax/D1oEXYdidmlybJtO9E5MIDNOjPs2GO8+YhF1b7Xxd4JQQpC7HkhoWN7kUIfgVacSA2zOKfsMplEqJHCRW+hF9K5euj9ld4y+OYFH+a104uHzbmBDdvITCI8B6L6360YDTUQapyH+Tl9H4j++vk6NCv4wwYq/ZtC0qT8buaEmcfdw0Ic6mny78WeN2wCOraQUN9FfOjVU0cYqNJN+sGH7Ju5enDzr2Fj2t0K473KfRdhuzzJ6acLofhxeVefpAxarux9LYlJB8wU4fOYNRiJIybHXA1cjqiFAKdxx9eRBBeVV8iFuYwQmEdc9u5LZGhvCZJ0sFZMaMi3yH5McqGbiMV61w9X5X/cXctIQhhxUeVdRuYptJzSvsxzn9rYHTIpAHxxtHejU9/o1VVhiuNBdzyLNLNYG6gg45eg5f+AuzRf84Qj/04GBjlYz5qwoibkixR+1kxED63zgXbm2VCZKJ8gr/NpuGqZHk80hGHENJUm919GlThuroULR/mZaHgIgs8dba7nw1YiMIzoHWJ2qLM4niDbuHBpVfGyJFbd49+Yn0+qDmVJf77+UyMSCb3nJuRSE8NfHA9ou1km4+7zLN2bYZYZmfxNtC2OCt3s0iJkfQqIhiBNIRj8J1ofhFP/ogM5PmDowlkojgCQtApbVZW8rIZWO/Qv2jMJQxJ2HcfRjzfkgPFlh0a8H6U5lOGlLl4jlIWzA2Q5ZRbQlEryLzmMXbfiQM3RpKBu+KE2NBE+PpFPcL/dTRfSv2elq4Ww3fShV8oXo7qF+PAwRMTVNIJesPrUmAUycLp+ixVWr+ZZb3vgQsYpOZe6XwSQXM1kOnYAIN9sbciuJkCuB07wtIAJentv/hnLRfMKel7yz67ETJeSQeVAYawGXn2TqbkQcEixlt1lIdbOmaja49M9vCSjjC4b6U6jb32Qtjrk2zDbU71HP9AgvtT87YeYduL0JAjzGkrc12klSO/hOIMP2t3NrN+RDsdRN6fMOTETqvq9FlXePXWnnmilL/gkhuVVCbBI5fbZUpciqWiK30rWRfJwoVmZoO6VbbI0omPMTrJlPk0zvyUjZg7NmJwHvMjwjyMPIb65jDA1FdpwEY4XJipn8kAnYmky06mffva6jq2/J+egWdx39NFAYMvk9Zv4Dx795jNxEpKDXKr80n2suNQQIYyiYJF7i/5ICD/CR63b2izrPDfE3NXuzRu5SuWho/11jMKPZRhtfemb0BrNxDvobb5cqZ9E7m26QfCF6E5lJKREwfRlPGvYDX59gw+vcYwbG0YFKl3+k0lUhWg9ItauBr4QRsSaPSEpRl0e8ciqSvorXIMMwJtx9QgklvN4vBJbdc1KK1RRLBg0ghrkTnvyGnDOXDw/496w00vLdV"};
@@ -0,0 +1,5 @@
+// Auto-generated by raw_words/build-bundle.mjs; do not edit by hand.
+export const guesses4 = {"count":2855,"iterations":50000,"data":"Qi01EZxzMR92fE9JG1NUSVXNMqS6r7H3IuK7kBlCid5AZWzSBmLj0PobqjNNsk9OK77NOM8n94Ck9tL4fTVdo+OKC8rXOjoh5D7Dth8Wrwn0HgKnlrT4bXvCYNtJKj+dtiouPV9w54pPfkggJUHb+KjBOTZzn7i7b33rIiZODFqSMB+5g8Urstm9NLA7oz9tgvOjP5bmEBsXqGLVRweVqJqGMQpyFi0nQIIUuS/d63uZ+T7ofTaCX09YlJYjijBJnToeaUwg7PgJL3M4I7XO45gwL8+5bZIMKY+0hc5HytCkHyQqj3DubVuXdpe/SVi5LBnRIAe11XYNazYKN+0XZ/bXw43PHAIojJ2CLudYB9wdp5PvyV3aS16N19SBzueA0fmkGcNGqoWGV3za4+zaIPE4vy0rVIkW9sxdm29wXUP6tqmkIdslpENmDyc4M40NTg7bMasNfiKuenWSBHe+Gpv2UDNkgoOFTs5Cc1ezKCtzjb6aS2Z+raa5YtKL15hW5H1N5zM/2Uw0ppK2tsoPXnqN6b82I8QnhdRWrfzSqzaT2ZYfBicx1Odus9RGrKyIkkcdgX83M0OQsVA8S8puSUe7l7FrYSHadquvlDU2d3QKWJagNTWAxd6dfgChcGE3gTd9gEXIJ3W4kXwYUpfao+f8Wgu5bnL+Ubr1MlfWTzob7LyuekQ4vJBBrl6PUlYPkKrY6Q6OTcODOwP5Id4LNWz9PBOVFGj9MWv+Id1D5vFMS6o2C5WSz3vB1tGVjRLASAJqyjT1u3RQXNVS5ZS0oXg1PovXaZj3tTJ1GQcBXWPtpme7YOOhaw3mSPRpTJ5IdlmdI0+OnNf8jiNsMHyMnJ26pi8DHFaQcbOiMsoqc+HgGsG7czU9bu1Fqa3P6WUPkKxKxHZBC86lDkIU25CktEK7jNHwciCcHTiczKPwAEx1hFHWVVoDLJDdHjbbGBAGci9O02P6U/2PEG5e7nX0EBaxqWoGd1ipnBGAzdFQfRlfSJ/Ppa/9DLXGQNx9TUpA2+FUPHhysAjdXyZWygHWWlwIoWU8WF9eIkDRtkKv42KitICwfrOsFRZdk3KXRjUGUOq0hX0QQPib9wrKZwGfgsoyOSm2jvPcbElA2wZdnV9z9ow4sjIfhh6KfPfQkc7pwPt+WlMBQcLlFa2drzy2ffFIJIghHcbO2Gal9pRDOa8PQklyWokH4IWwMkntyIZOTIRtdAlDPVs7icl/cTtHzAUwH5aGVc++cKt0U943YzF2/Kp1cFwlSL/XcTHc0NWxbWcXSumpA0+63tUKQ9Lnn4sbUZR4lh7omFGHB+OgOWO0hALVtpyWAzQNMtOO9NO0io04dYWrtFSu7dSMXj8aoQaGxXj4rKYqOXuRzvO6POf4U23xjUXhoP2hYx+AiqJzGNZAQdlC6bGWft3GgSiuA9l9F0YMhcDL4vGkO+41jLjS6oZPOngP15pnUBkOytXRgfKqNrYCm5DjshijvrVKD5EZEvEulzQHRwlHuRaskwuGeIh3k/EgXDjWGCzxIYUoZo5O3P0Ew20U7dyTRPeJ+QeqNGQ5uJC4ukmRfnItLCTSTW1LrPwaIMnbOkI5mEOe+a/bv4qtvftOjjV8nbNu15xW8MeDYbC/rCeuaGdrdnFWyGJzBCspUgCYrIyWKIZVV6JiKX8acM5ymxBzfgNbq+NZmrIu/A2B1OjhIrD3U9ud95kOt4QjSr2OP2+TNfh9z6eed2JI6bMlGBg1Oz7IG3fMy1PmdjhPSHBEf+H9qAR6hjol6nPYE16LV75ik00gxGg9GFhGbBmJxCjnpVcN+REYjCCJtywvyZPgYMgySIAzKhvxdg+ZUpoZHHP4UdZLc8LfzHlVAwUkEqR2W7pqkTqHsGswp5r93myMdAaplIVD/i/r3K5sG5faS49puTaJz8mV8Cy5CRDEWKma+310U96/0dEKlVaTwQQ5bx4n3KacMOGmL+OoGcxn8of+WQ25k9xLewsBATTAj/QBztOYgRpN6m4QiguyTxWX45vTrvKm0qPdegU814cJrXltdviup+ORTrspKtj5U3HaZZIK7+4ICgnvAZp5YXr/fUfM/D66YdnunvsqeTSMsQ7z0GmG/OiTf4MRxabsbORix7Lq4vWawfJQWbgvqty5DWnrpAh1dlu36RDs3pDHLq94LeszHmEhzVPTczYqelMMez6ev7VDCMpdJ+yNtLMdh0oX6x2oIExn8XyJlqMouu2OMbXBa7ys9m4cI+QPjFP4GnkUG4++KAniCV038GQR72Umj8LdzvnxhA01lnwGGPe8+f2TQrlL1SWxSpnvmvTZ9N+yRrS1R4koXzsaIjMQA8LZxcZmH3LRsZ8wCZkjh23IWbw9RKpaP0mbHnoDpZI1Ay4dGFQiCg1kz1EQ4vWvenT1bLPSObB6gHZJdnKQmLaHQd8mS4UTdznTPlvu+8znIE4neLvBegNwV4l2XtrvywsmFxtDep27X9B+WHYcq4bqhD1fyhP5FA9nHs9i0DzV3bsUluqaackV8YSsAKEf0sqzxGS7h9zLz5Rm3CTVbS+onk6aaABu8SzxzM3fL3lVP0q871h5qzYWBAhAq2HxiVIe4QegdN5e38dxQ6ypuDvo2csqPEfVn1YAZG/fuU9yqiUN87iBRRzSf+4y/3vW+p20eatddx4dhzAl6NURuHN4FDL+L0LC3lzHxvuOvqqfAnv9D4Umiq25l7g70U7e2y7jHU6FwrD8wbSBXTkms4956rnu7VXOUbe3RJScT/j3z0kV39XDDPVdvOc/3JtaKeAV35fDX3B767Hn1jB/z4eIzsLfCtXkM3FRnO2hGpQFaADFv5g3BjMMEu9tBp/9uwzhvVAx5dUz50oqZ5foLHgCyU3zIZ2pdBAHVRrNgY4W+FETWnqVW20DRUy+VacV9UrCuKE0e+3HVJiCTIjV+OgjZflqmwVsmSmG9FA5bTdXuwYG2g2G/KTht67GtPgbPKkHBO6NzGhxCQS14KMwcRlveXzK329tsEbzG/RYR4/48k1FlOd87ncT922uO7fEqsV4xKh11KgUOv61jRTf6YXoDrnprx65T54sPFgOHQkVPH6DDFJhWxxmJE5UbzJxLjkxNEA0KWaf059MXuhYLkpb7IDy26FxrN37t+3VqDVBGXnUl0kUjSvfqg/ZL+EkhbHXY00/sITu0i7wdAJVVQXmm3P9aWpmREHQBEPafyKISY3ERbrG7ybhGM8b1PKzcoAXc1MTxpnfuRx7MXKcKnRuaPBxdRcPUIqFzIHO1vNooHffbxEiF6h3GMmbqOb+Zaf4+sg6k9fzWUG4Df7kjh49XjxCjJ0eEV2rS18fwlMWYeD2V1tOYWpG34/IihTiMVL7M7FiWTkJKG1cLtEjYmrnpwA01+RZuRNv3qOigsLAB/NL8lQmbem2s6nYywv1T8CwVkpTQPr2W2qt0HsC1dqOQKt1yFMKJZ4v2t3B/tWsbztnW8B8Qp7EY5yF3OG0VXkeY4B2EuxHl4INzQfgjgv7cGyYbigXtqYg+3w676WDzwrPHhh55kPjszE5RAykvBPwvYwbO/m94yZe1xO6nAeET39CF3F+p0CwnGYYMNSpCwK4AvETl9VU3sgnqp132P6G4REw2AHwGJx4+rlaHJPOsUDSc9rRjIpTyLqH3hbi84MLEerd+5SVavpPTyXgiw0QfCD2XR6k2ygvCHnz1KCLvfW5L3yYPrT2i4uYukb3J/SaN9nd+6VDEUjwKhLeEbxNME/+ZfeRoRtKAR/YcMdoDih0QNM6P3iyQNES/TV79BQTSpugHKrSR9WXRuWZ581Z2II2GVD6UQpEEiQVvYOVjDN30m41o59ai/FGRG9YaYTvWus2VwgAKefqylUPSf12zEtyyp2W65bCio/DVlOgVxmrM2OFAEZZ86jgGJdmBIEE5fyTKHS4eZ/AwMueqTfHRllUnGkwNn3dF5nm599tPDuo0blEThsPJ7yifuneKGbH0rCCmH4pJWA59mLi96+S6aPs4LWXNdG3CV0fjiTn9Qqqu1YTZdMH7mOUA1CQjdCOS0RALqHAMoun4GBagyTqIF7pFWXQp0K+qBj/EbpcbmwrPXO0jxxBCX2IwV9ItgTrtBrxbrrunMjGfyTiQSKgcGQjaol2EPGwcCvnfPklXToZKqtEqaq5cSQsIXwEvW5wHuaMFFidqfzYJShIUgC3xYDEZUrAbecg5ALoU28n9lPbR9UJuzApMBrCoT5gMwT285iEYiBJC0OgmUK4C0Vw3lWJ+QnfHX/0mQ3VsRzdhi/4uKi58DRR3bZ0Iu8iirmorrMY5Ssg+dJ0WedcPFcCX/80vKYGUI7onEdRfpsPjpIg5POa90ok8c0L5KFLlmRgxBbl759vhZSPKPGi1++w4j1iV3PwawH51jJ/HOl0R0MCAJNrNhj1KcBnAObFydazClWk04Y20osdLcIkoJW2vVpNRz62ytMqo6rCXpjIWv75ToXgIAWNphy946NI2rbSkuw6g6JsAvcigqF5ZJJLCUO/zRqEBgMpjFrwDAX72P6yiXUd0aFGYhSLOzL+gPvpRp7NwarS3pGWzoQHJEoeV/tQ5FW9RfnWvgzsXck/yBDX3GF8HyHclcPZLcwEzTdWINy++URa7l+SI7B3YyrHlEZEE1cf17n8uxtPeKqCpHJcnDS8z/raVfjH6blvFmYw8IdUicdfWbwdV+NM69Tlz4c927okf2Vx0MhFPG77dloiz3kqB6kttdrfRFFVM+GNY2f/EkS1DdNFZxmEqEEVWTrQTrn1ESMuHPPVDJ63m0HyZCQukAar/JzvQ0TlYnR2gqcZsPcFtgIJT1xBiz5ijZbhyK7D/6GEpD4MqJEc0yWvntWIyQfy0xqnRYb9iMzhg1YP5Nm9NDSb/KLCG+J5uJJtL/TKDp5PRnWZZsTx3cmEqa3CGGlvJcQI4+UaZ3rWQKnt7ce/ckSHt2mf17qpysBKqTIR91wFrBoFMVyPgAzaRNaT5qk9mvA+01Q3I6s2jc1YqANoPYWJaowjwJfBrn/UDhHoYZXpskUfl1qgGnr5sESyACCDDY+kLavOwM7+n4YkBQ9QJ+GLz4JfBx4ZiMvLcDH5SUdJOJEj4mMeeus2h3e96gSM2AXzI7RmwPYWiVvc6eAR2kcgYS+M5gMMs/ACvuXonQeMC39N2bpigOVjvmm3nxxuLubiLsXd4BRMjCxDIWxJV3Th+v3U0snUsp/m1DINzMUjcL0gqR5H+3FSvwjDDKt7T8JlSfC5p7SW4pJ9F3jUZ8fMUlttn237SRGswS9lgkoZaGOrSh0/h3H1Azx0GVYS5v44xvCSi1r+eHUjjpst1FBSig5MpQfhiqzALXeSOSxzJ/VFE/Fmi7SlR/X6cprJpUNWaeUYJ/9cjqf1NZEyr9jD01rSje2STSY4fs3SN7qENjpjtkCPqJsXeHkZ4pfF62sty8IxVNqjnCPCHkbJhizDvLdK5ofEAcPmZxV01ckMTNOovRiUg4wQ5Q95KO8rs5/SSBI9eQWZKUhA7UAp9e+oIVZJHhy37WfOIu4o/7TDev+3xwh9D/jiVGc6o6xHCxFpuFyqgoY7UrnrHjLe+filRiaHD4FuKhnXS+K7CJzIVevJtGwMNvAYOy3ExgCse7pADZAZ3olJW7RmGl0qo66mSX+wNmGAZyLXkM2AX0DZiW4PBidLfb8D2bVZB2n681RRghg1EoENRg9ZLP9vNfPwAgUiIP3OmywjR00LySGFJVLHHfthlOhmPT38bJLcmptY9UgcSEglgq790PPxD8hbTqbKKb+XWUJFi9e008F8vfpCp8DEVoWLwz0Y91q4ASADqzG3RSvGCiywPRE9GsRRJa5Zfo9YmpRcql/E5rw7q53YTd9cEzGMOC1S6MzB1hhFeWPsjYVZLyLDRdlQCZqk+PDKwYSQWi6DhTztRwkX2XzWw/tU0r1RMTR0nKoxo/JhI8ZlNdVLTjWv+J7tvwOonOTp5b1bU6FdIlRkIj2ARYZKEtPpW1fBcAQcq4La48MYdNe8/XK1u3zxtNpNmiC/uW/gJokGCA9/s1KnCVJn9CdxDDL+pdGRbdVpeusRuCRGv7mthT1MQoADC5QD+ycIKFQ2PBmh6EC+M1pd6KlGGi+/meNhYa4UpTzszCisG9ypWkoj7VFzMLU0EH3npRsZjsx7C0JSxB+4TYXA+L+EYwLppDCv9eNjuCmlDnlpblIE611jsOWPVJQUAnWCjON69zrT9JVLG7YPGcFV1QzRSBDysmy+Gg63eGt2Z1LmXc3IBagsa5aXSw3kq2NWyxAk6c8lKboBej24a0IGV7zrLShzkMEUrhjGEKYqn6H5VwFDtZKJDwDtVmqcje8NQMwTD2OrZUlSwrAoODKF79wXCJeMoN8kUDi8Fob8KA3zJYSW89oppE/G/8RmI+UQd9IBbiCYvSAFWjktiPG9uet1vWhVAv10VEn+y8xdlTzPCq28++m7IwieWCwh5DSnXA39i2Hk1VtJOtptWYA/ZqKXtTIvKUd/DR6+MJ5qS9BIL7nxIzatTCsvt3s13hMk/fEQhgkGna7B1wbcSPM/VUiZf3haczVEznbapqDYym+OhLJlxWwxXNULTjwIrbVtY0jTYjiZXw9LNkh6umg4b/w7vOHyCdikr3WRv+WtbIiv4eI3h+c9w63JLNA0auzfXoHHfEvMjzcotz2U/kBm4dogSDUtMHqSDl90oktrbORlKuiEFYlf2TJgMs4mKyHqnWsBBl7f9dHjyEqJ8rh0QRKjEOhf/ypdApXG3Z3BvFvh/2BBJZ+3hLLB25K5m4y7SpHLpndnGmoJphIitOJ7YjVBqaopcYVkR6NkmybsYOUxwg7WrzQRVwBA+r4Qna0cxQEBzHnu4ebz2HBORHRX0ux/37Nd5rp4sMOKH4W2bvkjYuKixiHIoFOP2eINs1BEb3Ip7MD1n2LtXw39nKP7rp8JqhY1WXLWLzhoaGYV/JsrxPSFULbVn0DqXZpu0akl9BQHbqttscVVmDlTxhLddUDhOX8JGQyBLzmqFO/agi9ja+NRCjcI7Unau5OT1rSpxwgdntfyfWiaOW0cbvrlH6pCiHXiiUwRok4jvTcrf98aawbxRJtj2O/ty5ch8M8oOO9zlaGssBRBOtsZFpdHEzMPZFO9+cIAdtNMUKVxi918RIFvXZdjJ2kzHjDsiXhX4DB6R0Gl+FlQ+7TXdmjcDqg3zUMIqus+YxvEmJiVljFCa17IClqBV+80qXkr6p+x5BmfQkXAF8AFgtRFjGSF2if9P1Dtg4MuUFwuENzToN09M9Hpaq+COkQU79NWpd04o/o9Oo3HtXjNTOEoxpQ31RE1jeZSIhVuvepLh0M5lONG+VoBiYQHkJUThK3hFEIPtfWI5vUCZ60QQefAvJvCeERekg2ZHY2rdbMsTHwSOCWx3Tnq/d6iKsT7qF/xnr1psTRQd+6vZC3zmMHM6TmYo55CVOgl5run88iRM+TFGH5sAxYZy1vfTm2StKn3IMdlzYK0byfPYbee1yTkPk3+Ut9O+kohEEk82elzzAVe3nqLvqARSv6QLNTHCBIN/cfdq4tT4S7EXlFch8JOpBPBPp+LjAdQWNtE06B5eoscAYrmDLBQyWFR0Xk4S3fgeeKPCC9G2WZ8PrpT2ZO49TTOgtyjoLmhcH3H0YjdaoOQFBoVH8UcoL1yjFladsDn4OVdSe34iBcIN1xwfeV+7Pwx0z3xuBOdoGkRxPKwuIXjcj+Z6qm8wq3pC1IWuoaVSc/iw2HmpGmpTjZBA0P4b13uDpavD+s/29XCCG4C/qHKaMjkJet/tyPF1rG+tIa/97w0y3JSm8HzEJZreN5IcvxmihAAg0IZz4EOYek8HFsd/WF1eW3N1rh6R3a3oNvoLhKZ24zKePXvyDE5QFIWCexUZzn4O5L/P4G71HFFrxNAw1atpPREGM1H8fYCpp8lXj/woeW3wZlI0vXQMvLXrqyOjJ+kixf+yIbqhX0FkgU8ZWphoK3hFGlz2yZVqMetsI6OE04Pxvjz0cUQdfSqTTlPTu63r2qXcnlXDioi1LnPFJSQ7IT25B86CSatI3eASdsEa/sgTFgV1+Wb+eCUoYHKtuYNskTUGJzkz/ePsMMj0NvhogofGS4WXxCu8UT54EN/1ZfszKmvCeDgZ8TQvyuqNHpR+esX5+TZZag2G0hVf6nm5psJNRnD+2NVVi5T43vaPsNsfQsT/Oipmbi5Evpwo5RG5b+C3rdoEwAPliWsYyl/sQOxnDpBRh9hj+1DxbRQ63lX2UMLAvb4+df5SheBV/iEG2ZUiDN+AfE1yKsE/bA2LtAkjlP6iH4KbqzcOYEGolKUoyC7pe5CNRo7PUEtVzGwFlzsbFCXdl3PVd+Cy2698tqO3dm/Rqd10lv5aIG0Z5DRMnG5foVm6HjYWZ5RNYguRxpaOqJMSZhdbBRxt3kWUXKUmTnpmscxF4HeEpXyG5i/s5l7bMNJ1gaFQyBpRHmVic0yRf2P4He1YbFZJnVvMsnGzFZEgLni1DoCPU0EC7ZBcv4d8ySXNwEn27B8LcASKcLdaYQzHZFtRgZ3PeYen6sj3FH7hGYMDToi6Bi68v58LU30wgxhO7tcjoRmyqN/UHFQcnjUWIiK99wPoe6LIW1qh74V39ZLfehovMWWTerxi+YACze78MtH3RndvEBOt9NgO+2ODeyTxipAZ4Bq2z2G6QA2pzWaEYmONxlK3QQC4DFrgf8s1oaHxsIHZf0mXisoa23zFdmrCXgLl+xUTutX5+ucFfs0Y4WKszZQgh/HZBHPyPtn/NkNX1wErd866JTmb69SvUHvSqhjNZiDbW2b0dPu8q3kpyZxuXRfL4DPbJwyHbsJjPUbK5OgZCtYMAun1Y1uHUDsc6Fcu0kKbX4W058pF+Zt69/W7tbBzR9zVAlOJKeH/9nLxmuzX1vtFeDw7+wSwvzYF/ctKlg/ird38FGxJ8u9hiiHkVswbMsKRF9zOKRrTNAXSsKJXk9teCpRmcej5D7VrsvUPlNi2/4tfNNmFxcsJIKl1TVY69uXTFXaNDKHqarA8eGQP90DZrj6nHlupPrwgo/aFScNCelRtwB7sVtt93VhsvR56JNhdGi2qgxhcq9kdhO7L+HtBSNWk8LgQZWjg4CyURNaAKGPxXZVMeFASKreZyNOTojEAQq9ekf0ZBoyfFZlpZLus0runItzqdqEqpshytH7iueuvZas3Sp9T99m019j2FyLnKN7pUBXYyrPNAq5xXAhIZgCno1OWWAsr/vG9rHM1aeWSbMEigkv7S9lFXXR7GVsfZFxNI7B98qbwbdm5SHpsHBJyAL7pSCLaPFK9zWlTC3/xwbm33URBBpNRTyZVJVSA1uvy7zWS2WH61xqi0+uhvBNrp6mERQH7x6PEAvcUoynHu8+DFB0x1v/vDsUS3c/84Xz64UFIlwKJo66ABaC6fYSnnmoJqkEDb/EnSWFOWUV4nJPposP9Mblx21yMNaBi3SlLuw4yMJIxWMBLoo4syfk6XG69N7dp5TsphMiXDLrCt5x4PKikLqgNq3KcTpRXR3Lbf1/URqj9IZQmLOMlO7xmYoPhZ2M05Yt+BOAEB3NnvzUrhQT1kFMc+w8vtLmyz6HxvxYIxiKwpOHpzNLQopx1PDsQFBuCJxBCPokG2YCt6xyR+/xso2UCQzTzFlqJdStF0j2SzIo/ohJn1Y3LKdXo61UrO6xDLJspkKfD8pqTlY0VBVXeTev6NPfLydy+6FURKVfyizQT/e18xpPaVZWlHGSYxpVZzXywrzrWaqlp3Udp14NGk0brmESWRNRrUXHpOGa6p3wHz1JkyaTyF5vtFjMYeuQ0MzvYWZbgg6BLs3FDVOTnwjDqO5ByASDyCrLh7MV0iVpl9XNLlDncb+vkKQO3EDvHCRTaumy01AgRq7AeSfj5AmRGRplxloaQZVuzb4xEura/Ot9nqCK3mdP0dydDqr/TRKdUk9Qwrrf8nrlyClnkafTg33glrriG5Qn76jdCXDLuvuYWacZUXBMgCnz0pywMBs/8BzCFbCRVpSRylMbiAEcSKt8NsRT/hb11uaNBnTtWhD+QgckSfZD5aPJg1lTkdycvWajP/afU77R/PEUxbRGkVuFJCtHUWXEIhtJizkyJz4ZaCXOECmOJuufwcFeHgpUpSJZivSHvs91fdegHyysrPHXZZQPXvgeZ1nzcfX/NY5kAlIQUVznWdcCeqLhJwXsjYp3B8Ytfg/DM79m+nDPwuNh8N13C5zrbouCf/btZdphf0P5DKxzja6Jdvl8TTCtOwA9vtnQqpOyJFP4BXAZjSr0rzTMJBqS7doun3c4ea1b1NVbv46Vs7s4cTCYZSR95R0DKeA/Fos1hIwkcMj+9Oz3OqttWT6Y2jurVKd6zxsthsfQfg6brVbNE8LPIq+je0DpPD0M4a7YVf7lWOGHZOxWd83jFo5gVnhYRmMpvr9jb3YuYZJlA6yOFlj9lukTeFeQE8S+fOQTgb2q9By4Ww4UR8D8+loP/3jjIIzLnWMHeKdzSLpa9vtKhT3jFyTIWVCICTMupzCIAG7ccvF58XqYyO9shVNX31iabmVkB80ChPlmJucAKGaU+mCBNtDdBaMLfyOdYG5trxgLJA7se9z+R1fFMLxxWYZqRl75tfHGorA/PN9reidyYeDijco1k9qbbGAg7fnmpvjCVt6XCKPaM4kFbGkx7cF2tpjYU1xJ0Ur2pyfzdskQZD1HIDV9I5JRvyOHBi0GSGbATFBPo9ZiUIRp+2NggiceGQBjIx9Jd/GpNGQUKqd50kyGB2Pzu1B8mQkdEEZD7pr2YAPGPueuerJ36K5LrGSzKrSVelPOoX4w6+ESYyqpJw+cCbTJj6OcRP9GYEXc9Hb+TiMsEWwm+UBXxDz+oc0eJP9a9gFg8tku7b9vxPcnQ1hq1sZNdEp4nQ4E3/XGqxqUyKJuudHU1EKDJ1qL/feXqSWQGu1yBg0vBMPa9j1gwUwn6EgMw+YNtqT4SPzgmqtEJX+ywL70OBCz2nXwOUoHrfAG++KikQ3LpFpW/nzlS2IBrXmqYBuEqLpWa6e+j6nd8Q9vW3fgxGaouto+4QhJFDGlzVCiZh1o+h9T28B8Ecah9jpNrbFsEsfyFGNohPCQIG8Whdu+Gfflo4l/a364RasF9EK5aRapcvobO/amQMiUgccpYaFWS5A3EBBcxPKAZOJSBZ5JYhPwJsy7+Veqrt+o59wrkyy+SXj069XjnYQZfw44rNnWrSaFY0zj7+JkkvHxoAdms8ZiksGd0Nt3V42lDmQvf1drKtRo1G0PhueeRSpZEBzVGXELtK54wVf1pc4k5EUNWeW6UChsr6M05tSR8sAnwk8jOQLuf/ur9nuu5f58l5JEyXhTJcRyqNPoJU4eJvZ/zi6dqq1193kULtrJ7CM3S9GSg3hG3YzXBJudvjgyZW+pc9zjTUERegHqtrhYGJlIwYcDXPRvfCRkkM7sY1kf22wkrG6t8MGMlQHALV1ttfYyEbXJXPqzrPdCBl8uAm64ghPNowZ4E2ta4XDLAfj9RRsoDyarVSZ40N7LCT3fzN4DBqdnak3YwXbw+z3/dgSaa4KQgUqMRCvMB0axOThUOJxZBpphcFY8omG08zqoJ/HHZyeyRkK8A14alXO00Ww1pef5FVNQ96f+AtA+Ss5BU19+aeH6BEXIq9BBM2B+bPg5lqWlaAAvAohobDCo+IUKlt81TLAuwkdJV4oXVfdrTAWE3hM2Y4B556rPESnksX5sIkcP+YsWyhIfLDXeVygpco1YoEQ3xxJYomjLnTX+57dUUUO+GUigtgzZYYlSoys/jyGHNIIBSpwO3zC4YrzxdYlsqrczFoxQme04M5ZG0cxqWMPtcWzW1Udm1dPRiCk+7k4LyrfjsJwsXgCOqRY0bvO/jUz3TZm+UY5Q9SwEj64KyCUcHXlOg3e9xiEUUpkokHhuxAm3Pcd6PN3/PlWgCv6eJKI/9kzU/BBUE/G7IDale3VO8uF1CP8R6QvtwBcCJ1CqTE8YboeujLo323MfU6xhe/DBBz9rg5m+oNPvLWIrP0QADHfI3CNqp3Vw0XbQaEdmZTWSFIyGvd2KLverYuJ1BZyR8RZ6ERwET2DdKJ5DIZD5UtO+0dLGK4ZFcwlu0o8pTsdkuVsz9IXVd7wZ4fxxZl4xYpCyO67+d4Sjifqbuh9Rx0F9B7wogQHGvBUKWH1Xn+rVdQhYNpwH2ckMEdILLy+Ts/Yh49IY5Umy7hw7sGgCcloK0BsilElgkU/g5DVxQk0omGrs52KcoTkTCgWW9duglTi9oOCDJddKaICLaEF/jUZ00ZBwAfUV1peRkyVIBsGIS5jfRKf0xhXus7/Lnb6YJamZ/PZecczrinfKuHewbChGpgR7ngRKxURVuK94ngVPuQXOC+sib4rOe0v7cTu1KXFYdOtB6BRtZAoTlXjj0E4uJKsZheeYEJAIIgsF2pKfGNtK++xYLEM4xHrVj0m4FH8ZGT++AnrDECJBPpp1HgWrcfG8gv+XJbROI4fVvr34qaiwMT7xY84cjn3GBp2+j6ZOBhZ7ei78nwnuxATmV+QTrEzOBp7HdOTdT4qE8Pm0X0KHYmH16UjoHyfKCnVRbSO1AlD17aHRX0hFc6Ozqsvkk1LyVZAwbFlkMk+IJEDp3LS+ENO2oLEyOrh6fZNU11B8y1310vNYcwZj/uXv2DEcktQCOEk7xFheRRG4ugG1JFuuSqFHOrjVCOllUkQ0jjSQzWdu6SLA1vOq1MuPkILb1LUYWIMzI2dTMKPHqzR1OX/fhV13D29m73/ycSlhdO2tIPfbERSxt4HGgSsShQ4+B+C49eTGrJZ3Dm0mPYRSELydTtkBbFY02n8evhTgRSidfMe5GKwk6+a+PXAG1u8F9OgrHKoZAMmNoKWlPSYsT64U9/uXGH/mAJfsC4jVLmfqUIeY/jugB1wDK4OX+JNcA+bg0C5HCKR+Tpi1f5XmYdPZCapmqBrPbYNk1oExO9ciQ9zrG4IlEJAl1N7O9ttnGmkAQRU1RBqJ/rNXapm9pzAyg7tc//iOyjlLXiqV5scWDBE2a9ff6vE23xHKhxkULI25Fz1ydrkCTYLKtz1A6AeoB8YJO0ZRJaXogKWnGfN2T+de3dAr6Owx8jKbOVugK/wVBe2MsIafMnQS9cshZ+TXppHMQ08ScZtjexe1GFcp8RRA3VjvAoEXDXXsJUSDjb2nmhKiZ//4XOqwUqzDGZFoL6pXTq+wNX2JwuU+dZb+LQA8q8H+Wn1iqqwzUjY4Eiuk6wQSm2viPMYCaHLHpOZzVkJ4NwoSdhBaQETNOnVbeDngnoksIVmSzURPvWPzLXHqqxPfA5lUVRCow9UXJbhRWiSzhBwLc1+ItHAjjOQm+t9bmXIm9O5b3VzIRgqrNQZHM0NqoOGWy80qbB63fTiUQ1zH5Fz0uMA4yt2DyjXWWIaSK2NcMoEtHH48kzSEvU/jRJfX2uhLEnUjFuD1PjELsUdTabRWbnn2alHjDOxY/rPYVJbZ6lFEno/prcMIcl42suliL+WZq0041f2r7Qpo96g71I6TdqGIXmJL5Xdmv8+NaHqMx9VzVVVrUiTgODHnUwpdenzniRucNATJXkTrt8/638Z54Ye5tMnaKaJvSkAlGRFTu3ZZu0mrik5kYufMgSu7b5rPUYbepmgw0a6VFcY62QNaoVvYmva94Y7C+4OatfVQtNlNdNUqqONciXgWMGbY93AiK/FWrkVZXsX72182+wSbLx6zPSGHcrM4HoZz3XJbrn64SsYSS8X++INrzgrf5lfMImBmCAAx5/SoEZ7PLeuafhPszwwaZvvS6WeEJRIYXd0gCNEi1Y6NYSFAR5hGU+SMrhpmqtiJYCjn5uQrYtEbVxBvrQ8OKbC85+/yMXzCBk2QfvKSYEWsLIDz1kspINAjDyrsECkzd8/rHA5FMevSzHOxAiYGELXM1CGFUm5dClxmkQmbarigMBvQKaaaQn+Mo0Y4mpA/qS5ScpUFG4o9tsSjgYpcnoSrCpAJJ+Y5IXyqa1ykerph1M9R86L7xeYMZBHzpGi+6VtlPmXZHEove8S+JVgVUmSl9PFYuInV9c3ikOgpqdIWV26jzXGWOsjv1tina3RnjLY+IqNvcGjRNnOlxruiLHKj673RVCK+whIPjsAUab7pDNOIrhHjH9fS9ZZ+7vWyBIV4P8wu8ArrvoATcWW6iPaZITNHfWdUQKASqewAa41OHq9bSyMxsp6X3mvqXHPcZ26McNCzpxdRmnX469E7VVGd4V2ouOkZoHvNpYk+vcPMp4l3f4ZbOnmahB36eRUDXMDfjF1BkBC93+UJ5e+rKjCWNVWEDfH2sD64/CMRTzbwIuUyS948HFzt9Gtlj0GSbxroWKvo+DTFhd2rERMLPKcaO4fSIJ0+47wqtzOyDF85bgyTdXwKOScum8X68AJBwrSFGjvTvJ6z0MzUVP8hClsG8/uoujUpgzhWxnG0isvjzfzI9Oc2K2upbeuEapfpW+qUI9TtwU2qwQVRRcUThUutwzH4gopYYrDokAtBSsUwljW5Eb5ovVPZSUWPzFyPE1+jvW4knMTpcBBvc33ljyCQbYD2cu241BD06I/so/qDfAGHCcCK0Eo/JQpfZNZsN75/pmDaJbuoD7R9BKadpAV/YUmbIQnSlTLllidQHqLoBL8ClLcKyVxlT6N1bs2aAV9VG32HB231vQnck56trRBAfoVFB5Vtj0m/KEjscWtn8Da2AyWYin+Bo4hOt3FiG1A3oyOuK9lOyhi1dv9L0PXAf4v1EYf7Rj/yyEYAA+nLXPDjP348P/Zd01uTFVdI+XPR/JwaQ38Bq6etRI7lxMwTDwvWaaUSH1wBb2h016dUnSai2qhadMUhQdvZbEBYeDuYYSDLnVUpOqGpmv39szHmCGqAotovPY38DHuntgMGikYmZuIo/OFtPeNluLEuU1naQTz7jMv+hXaKLZfZHbLESTRoLL8VIAWoZQfGefEnJrelQpdkc0pk5YWrI2/eTXXVbbQvl9Cwp+WLPcd/qKnS4VXZbLn4A4+dLQWqGnDBGMBEtAYAF8VNWgncr5v+KbRt1hu1epTZqCgjn42ttNVLZK5Uclel9xvjm/Bxak1pupr6hFa25ncLigLc9TG1e7dOAEzMxO7He/rFCEPVcf4hFvZpd6BjVJ39S7xeeMFAgHm+T+WbWlOtNp1O/EYN/gaJK8pmbB15GnEeFMEv70JLRUeeeNoNI8IM/R8sF7uPSWOUJPoBarKD9zRPJcq76GTUccyNQZRNBXSne8i2+2+RPXwnVjCiCEHVBezNDkLU55zcaCTFTEm6ZaJoai9u0gzv1GsgJGr/niJPc8QLWwLK/lDEGizfCZp+3oIV83Q5TWhxG+d30EITUaDixIn1qCqFB1VG6yz5jdMTKkkMsx2ghSq25ui2j6LR/niGjtS6iwrWKdLQnrTedNFNUHD/BgJl89Z76bOnO+BJ9IV7x4rw5ryyX3PdG5Zs5o9+07hU6DKcKVu9Yg1HKI0/ghe9JNRCVOiLmUQ3p11hvOBsDQ7QoEAIggX1si7eMAp9SsGvV4HxfNGHdujxukeRhkIQ2fgLP1/V47x4LqIviv1xSs/U4wT2Hk0/6D+Rv2hEXX1zNNtaHEUnNAmexQzydEN7007m62zST+twZpPp9ifX/uAyvVi6kzkZTs8lh1Glp5+bQL5g1hpcKADDmP44xh3cepfxnOK1tD1lLYdcOyzG6uS38Y0fAcojcZNU3NCUtRRwO0U3Sz+iA6uV/jIAsh6viY6T/Ew4nyYJs0mDUspZpwxIQQgBp1Xc4E0LXo0NXVp+IrHe1sIYA4HS4DUEM/JaHTRzZ6fnybYNNWx7ucRk/Jzscad+j++Q22GBoY8S/hWy4rFbXlKZuCNmVw65erz3pyfFqUDrrUYV/1Tn/vzHm3fI5GZ4CYEFsCIrnlleV6WdEasbwRWj5MOdOjUVrVaMzphooISx2HpobCFSZnVoMjdtOWVhDUFDZuOK9O4A+JEEVyFmbBH0sIU6/l9vgyyaP/K3QwGbqVgxlLyXfX/0tfO9TpW3Rm4a3HImzbfVGUs9C79YZ7PkHgDqJ5BdgAW8IFyBsJQ5qRHKtzrpczNxJPri0Pb1fUFBdUE2fRUvpHEyoKDjaNGTo0ovOsvJ5KSXXAY09Ae2p8Ie2C5nzpQDGWpY85Y6mwNTclih+Q1OGvVNzfCQ/qAon3Q2Xk65zgwtXbpKHVJNjIXqZygiZOzQ7OY0bMemtgRXeH1joguNFIrAH+Rtl1vBn7l4ExxsgAcPKZZ0ftQ+5Oa0FONEan2Ezz+6Z/0vzXT9uYESNEPsCi8uXkTEkdJgImrXLxyBOum3MCeeXtRiDaTi/x0q4g4VA0REKo6xw2+bRWuK65Kts5yKIgAMb54LOjAOdlM3G4OI98FT/PXWiLkOchP4bCxqAfU5FKrN8a4j5j6xW2KPBpMS6EJ0zaGCgxndY0Q0DAWEAgXEd4woa2RwX91E65vJJcOqcUDwwXn6jnlsXYtnXWsZ3nasnY0FUV6pIXdo4CJS17j6jE3K++lZUpTxk+l7miZaz+vggnupT4yAI3nCG513nXiiSUrFRwRxEabQogSZgo3HjkX4/jlcLNiJZoraMckS0GY6iy7fnroSe/EGeBvRpZ4xtAacS0qT8LQ3op55/8uKupJTiCZfmQVEY32biVtLY/Na/aeww+8p5hxoXqWQDKwsxVQLY3UKCT58UjIwq8TlqrnXM0/oHoUR13na6/cFkgbYHE4M8mG97v6wFS9LlMbWKvnKn9j3O+/a4e+5uiHtsvEE4IHOhdmlkadAGqnt6muWsVX56nzdzYYRu8iVBL/o1GbeAkQ2LN7orlH9zp4Jg9NYpKUWgfP8OXr1CH7xKJBdq5YlIsnyMgpRo+ymzZ/LzvHIXIIqmETWvAb5m6/3da29AU+SYxQMjLy6x76+Z8vI9auv6U6PKJWpbYJlf6g8hW+zrOJ7f9j+xeAsKmeJ0DUgj1lVvSpbOJzNtd7efxGBUSEfp7Hrjw9VLurm04JVVj/pDrd4U9SYI3Y5uXY7JNfvGAIjAhfmSXDIgBbixQbYhpw839LVBFjs3C+AW/smXTdz3lCnLzIIs7xNmsMelp2j2IO3iWLgvLBWGxqA7kevG1amj806rHkxOqW/epASIF9tz82UX6FBOpziEjkuO/ddo8eDObpCDsK/d5Rfo6TU8VTrWhK1pqG6dsLgAR9jIn30OSYwW0A53ERIB07rwMClf63LszUQME4IwAgl3pM0VkZLUcA+PrYSdDTAXX9E+mHrNgVOiPEuX8ZfiA0mDRqlpqVBlQktKDgVmtvehBDqjZhwNTHzEvu5164XJQ02XTAuA8ZXyp9PfGleapy+pKYlk5W1v/MzjSRst1zXa1gGKzFdqsEZnm0wbjfPckePrwbPOu6Pwdo5OCnpEK1ftCxPidZRUR+KPwOyq/z1+GlkAw4xF1TP3Kf59pGmRCAqs/z0OeqYGaliQ2pvKnWmT1KkhdnJ09tf2qQpxAILpJh9iAgmjuA7tcB/d1ZxbE8CiOZCoEwdazFqDkAudmPcqnOcr6CoA0j/XVdEYRyxdb4/nS2Dhb1CKBLmQzGXnRqFiFGJ0fX9mDhoC+OHNEHXztx8Ri0XkutQNYfZhAi/RT6irNANQsijyyz8ilhd008XHsMuS5jqAZULmLEXhjIOfGUn1VOasbdbhluPzrIANL0eE32muV+Cu3AQzGAU1w9iY2obnb5IlZXIm6dDHQyRot1lR9UFTLFh/kNRoZ3EoeXEPDBz+bUn8lzmk2EZJ8O6v72UrOhFwy46vdBPNNiDBH/LsjPlDJQUnHQJ8YrIWphGrxPMRzQiFQuiHl7OOxhIkNGJy/RlHWTzKHn8HWb8zupb339oeqFjEnkVjhTgzUTt+wW+l8cDciMOPwHo+5SfAsiiFxeo4khiQRrHxLGbl0EYPoGkS4IEdBGZkT8+T4N5g1u9YYB9tEgcX6gnpgLy4og4E+Mo3jWSQDibSy5q4mqnOfTcWOm1WNH2BAithkCcXG4MH9nxXCfERruRXXy0BiiXFnFqFQ0xcXfMzOEdXoDnWnPYjRXjFCXeUeibZ48bVBsw4VLmvi7bBw1xhJhzQALGJqVvsFPcLqhQqYhTJa+AsPJq+B5ymOu4NKlMTf77kq+aANlOUzMXvtKFbC7iW+DSgX3l0/k4fd6hIXXQ+0ayv99up/2zKcIg2OkFWWEU1jZCB2CE7XcD5gSj4BcaE/lRFWbXoKtcsTpBOd3/OcpoY0nnuipMfFEjaovgw7AFnUIrquIB6JCjdLc2b9oFrrkmiIEojqXPZFeb2gYqr9TDmerqkcTvMUht14RR7HdxUXLltSVnHqpciTS1ClDpwr92UK2kEyHk/4oPLc4aWfkfU4/7B1+tTI3sp9CSI+tw8k4sYjzYooNNSBbAOnCGxJuwJ0UrH2htXLKAUCKquc24ZT3jtRg/++GCyPxfI4zMAdFhonsMVyDHyqDyKbUYtSq7CRkGl+kShC0AXnyz+K8HS7IQ3Id8axpTeTQuMthbmAQ66eKEDKxXzELal7tqhxF3ET0nWw8EE31ptKypiW7RnRByVCKJF2upryIBLQTqa7FD0nZKSYi9DZcT66pcXnSrepJfvSaysdLZlbJcxpkTSZHT4cV9+w3GPqvL+UsA6bqfDTk8vFLEfiU3QM/SezdqhRnX2vw2MFVsHZ3FYv2XOetMMeQGjK7yCAEXUhBjY8LRtZ4vAw2jB3SKTxywue5GVIMXhgJqr7/LYmoRzVvRIoLL3fnzKfEZirD/vNVzmJWNO7Du53iyL8jnEkYU7joUcnnj/7Rlht2R1DDWWY4GOf3qXE6vAaa02kTeRBUKrROPqaSk2wunyXwJtv1TxBdLtpkw8BO5EG/phdYB/v4z89t5/1MjbI13Sxpq5qq+iObrxvu56YhZbAcgbyTfYE0efN5ATYeccU52XhmKmob1U5lW6uGmk6wtpInyO+sm5c0687wSMIpQA1nNhASUaDrHZ/WVyomfuujg9JMWeNO3H1Cf+rwhWuxsFJzbT+nc8BHW9tAdrUHVCaDLQqmalqQGoTSIhwWpNEj0MfWvrcJFgfuV9NyLWe+XkW8FBRIhNjyukHYnC0LlptqfH9iKi5UxtFlO1ThPxYsk+uZF2Zkj6BVh6hQVOzACN4nW6jApKi4QJE+ZDX9mG+VS4e+zXIYNalhUywHbebjMbLnMsywMjYYrsuq0s8e28x5mrPH8vR2/5FinEXcQdR4r7iWkg38EqZYxU7o1Uc3604H4hJVZVW9jrPQY9rD3XpGYIpOZpyCp/6yKdxrCNv56DtHYT5pkOWOyEsK1R9W8/Uo+w67i3H/os731/fftmCb2gt6RyZ4aIJFftYldrROrCxvmsQtekx699TEGimM77aQ0/DX77uGk9Cf7vAH68FizJFjV9USjVRK3Z93M9tlipkjBtGi2JF8x4cvOK/zVRX3uy21vUtIjHPbL67hi8Ux33tJhNQewEBWLAw+qRSQ1iDrPQrHFhLPt3BD58+vF+2P6sPPg5ZtroRcfz52d80IjkMmIyjTD3jSGtPkEhgQ/sKfy4JNwEcbbIcG5jCiTr0bC8V5h4Vc6MF50njSd1n/4CTMn/2P7LSgYN0xpSBVP3i5y/b36vwgEUecpLSMukjmhzrzby+qPSYULg0xBgccv3Gvf972waYgClm7UByWaCdGxF6RgHwk9EMp+bSO2kN7ecpFMjr34Nor5cBUtHcP6h8pS3XgkZeY6RmLwbWyiwHGjL0DATqslfJel4GByQqOidbzpi6fnyuV10B+9A9GqUo/3SFVA0xaAnamQQwkSn2sv2omE9PqMDDKkfODzznwsiU2yKAFslu4SC4zuG4Rrq1nPa4vUGCZmErM4lLVHiPkPmQCsBYl1mKZ/C4l0a1npHeoTiZK6jK/nt2eqvB3RCmJwjvd8PLeRsZ5mdx7C02+IHgpv4MbTPuSSMnBnqHoE9iwMiidGDeHPuu34GmkmebcjBm+DkpYYoY+D8fBJkWSI4K19McnhBREmNz1tPd2yA8FOZngKw/2z/oPF2uIONe8qYJ0hJxfa8HFhZl/YnqCb4aOkYsUN8FCvn5vZVg7gN3DVGXC71fp7ByEUqEh4qBGQA5fxwvV8x3MECOPdN9WZRWJhYdDq9FG1OcD1HRaUBhTS7ZgUDhbIMNWkLhCi4IpmQYtQQci6CinmtaQC6NQvCS019W9rPk7lLUcEBRaxmSSf2cquO3RJZyZwkA1hai2hu4kGB3bgTipz/4IaoEMlnXDzdYZdTV55KgC/e7VfnYmh0qm8eJOToy4Ej/zConHVreWWsVdoHLBVtbC0+ZZ2hoKkW+35afOdbG5FlSOU2AziQc5MPTE6+0zLmuf2Qj518cY55lLiGsj8iT8Em/VjyIsJYFFYE/0SXM13Vvo4vj6W2EaHMaEuK/BTLTHiO451VSrGMtMyAyGmqsJtDPGn4d7ZWEhB6teUjXezC3Mz41zMHiRcEVzKmr6E+jTuxp8NeDkJJP/213eK/mjSWspNARGueNFN94JzOQbYTXIsBPn92xk4WiHtf0bdyboAwaQvwzx5CL4Q2+Zy0oZukJfR+tR4iWT2PsYBmVNLIaKqmWO2hoTmgnXIvveO2nSGiKyiG9nwAhXXU4ohKS5b00xZR7d1/rY9K383YU/Dj7Hn9KlHq5UrPzIwFJhvyehFBG2kCtdgJk7udWROnyXOV6IGXyciwr4N4PIsGOMYCTsYaPz64fQC4QFhsl7FW5CnN/uo9I8rClyHQxZ+r05YRDj6fywTApD4pu1tv4NCoHk5O+EVXGbHZ7mOhAGrvNy12HkIRnu2sDg8G+DGslbE/ibq29Epkrsmjhes9JOtwqs8c/FF/NPzzjsWA5Q8cwXoGiTA2f/DlQxnkxzl8dUtGQI03haUsyI6usgnehWDHcclvQxpE4/VvzPGUdma1pamtLGfc0BaJFZ1oNiQZZFOSoLsADzckuBM5xmMe1HAnd4jII1Ztl2lx60POQN2FWYHzg0/zvANK4G7YEadwuuxEPhPWwGneUMK92Kz7LT08+Gz5lEYrwv4TK6foJyVsl+Y2afXJymEISumh4ze5r5yzIlw4N+MqlVGEivtiU/PRwqbjpAlI1teDjDKrpu1vfwf6YsGG1dXjYdxB3ssRfQhFZdnOMmZur3lPm948bkWtezmHfrK/29oNm5fHz+0nvtPn/tlrUDBYaV/L7A+UOpiAmSAznJ0mEcUt0swffOM6KJtBzHQFXLd8MjJ0sB/oYY7cRV6KCQ4btMJ3xy8r+Pi9YZrLb5HO7VkeA67w4qorr7p043hPRWQwYLH2HPBgfxYQJd31tRgGS2p4k4ooc85kDu4fWSAPMZFvtH23OyjPzs79oEnnZJk58AMGlkoIHMWtuSZNqFcKOeuV1QLgAbLUPO3d2nbKyDFZsdxqcaMLW+KeUFfzPcNY4j6UngH+p1kvS9NEpzXBCNXTTk/HoB6jf/Zs9uTfwWhpDsBLdTHpa9bQJdc8fdXk06I/ZItD2Mlc3ztd/IFXWBi6vtom11q0031H1cyLPlEhhG73SI+Hq5uVQHsqhRhUeEHUDkgjhYAzpcfkZJ/sUOZY9Y2jTCKzvATysQ9okBz9eO61lT1zgmn1/6LJSz46CT4Jw2XaTPH+2XkQyylzHWMMSr0uy7MChLmchNWh4BZa1vd7EISJUUtlDjWjPStjaKrZT9uQ4ELMW4rg7FwoQSwAqoY501tn2CACdwB/mm1VB7qJN5+juIjGTIdA2No1/p7SsZJ2PHpbxDrPStyrit/SgBoc1paZCUutbGTz5wOLsV3iXgJOrl0CZT2fvaKI4siAT7zzch7UMdRnI6Zz/ORcWyoxvq+OV4551W5Ckeff5SS9pC8erPTiY1ioleFBCZYzppF7Ijs4273IC/J+blv5WYOfM1cNcdQEeq4uMGTkSieaDjrO0mb3evC9/+te9hq5Wh8fzb6x33bSMIn9Y9wgNvqh1d8GGLfQLkwHDmEs5O5fxR2ez+qsWWUvm6ho+rJuNBCl8GMswXtjJlJ62QFdoCQcQn3AH/vv0TIhvokC1gaM8yU/sjlwByVL5aJL5Fyhhh22bzxaU7jCFhezQZfFyarkNKVys6HnW5McwXADK9L3Sv2xx37J7wmxzJd6JIDT6Vz1X9/PECoYnhCgr6EO4swKC0qV0dXoNdhAVlWh3W/FaBnkzaOQobUIxJlzrjpdmfaxdMaySfowLyc9V1oLUe7Zs3ExoVYG99ppbX3Cx3YXkX4XfwMu6hGuWawuzk3Dp0xutYLQMuAOaBiViJuS6BVRWeoMJKjT+OlqIsqb7me6OjRJe77cSIxXvgwJ5SlgMINGy/yVZm9aampv/e4NhwRK8HxfDh1cwc1lJtTlQOVk2MPfDptNAdHS+koMUt3Lfixk5XAY9TfXOcrWrfPqF44hntUEna4bvzqUY8gWil3opHWeb/pqVvCcXOHaIxWr1rEnRmaUq++W88CZ8xy6i3vRws3gyYkFj5pNXUPvbGe7zqASQX9Sas8E26WrMXuEXkQ2ARqlcaQVzxF2mcidmRrbHX+xnEjkvxLvKvSUMRFJWcn1l1RrYvU3qkpvTlVTG1ihizh6Hgb5jWcMyu2rq/ylRIzRB5qGRFh/G1oK3lhW7cLcPXxIGaDftoA9PcQysWMS/pZHr1OIg4Qh4/03TgmRks1d5zW0NScbX9DGk037Sauwh2kiHjLULKbofUAfPiGIKNePee9wpmEycoM3zf3osd3sjREYS8bD0XhZV+hRC/HMmkzg9nc/p8crNnkx1G2Vu2cBp6jnuTsCWkD5EydwEqWmYqcWJQBDHp7pA5oE7grL7vLh2Jk+Kc2CYvg8o/7NgavbaSsvue04OvezMFdv/838QfxBnwgLpydFX7IvOFANSSaUGn678MU8OcSO41nHd+cmiuJAzE0/sQ3NuQeQ5nU8R9R+3S0hIz5WVUMwnEM4wHP9JTTHY6y7GZHYSsVttTcLFDzJwz72vJAEio71cC+drN2ENUWM+OUtufatbheC4GdT+/REyDnN1hmpOJGA+4hm31j5tTcmoqwIYRBeonNnz1/flyVXSs3zzb6z3uyQjz4iyICP/XbYuY6hkQiNEhpiOBPFhmTKURQkjch7N4VgmjcQ9WX9AJVO9S2RbiQnwEwcMV48+CLnkUv+D+n4RFjI+B/8iequDqJOCzBgowvKZV5MY3kU9A3kePrHDmeh1l/DTocL9QEwekAZ73hgLHHlgpBypU0kkQVGvuN/evypN//5Pdm2lYC45jr/FnH/0+o6nzRw2miefwudD1HSP3f1PlZwvkbtvzgWmNGlV8U0OXW+qYlEQneJcmsH9XbgLgSMw7LG0NZXrq3NgBuVa3HoGt6A6ByRHe/ApqT/5vIN+y9xXOKM1E5SuHYZNrVOS09RfwpbK4nmXU2UWD9+slmBeUHEGNGBwobbjwczJ1afKjX7q7dCcwYVCUzirot0SfMY1YUCO5SGCb4cMDvGalQ+D+FKWj2ZxUG7S2ZYRTA0LcrY1AmvdbImR+4V9IOmwxBFD5K0QpTuY4E3oyh/KYS9CPxU7nhzHut991h6zr7bZhneA8mBNUWbNpY7+/aWFE6a/GrQGrqghks6pXovBCBiXEksq/7gn7MdQ+FPN5bI+2bAM4RFD5MsGSIjvLI7pCpeRo6ekPz2pY9wEpP+lSex2VO19Rk9EWCby6y24au9+EQrED3ppyhRqA0P5jIZNYA9UMUFWX08nqqZy5XllOpfJaj3KunBqSluQEA00HZ/XeHCfrwpob6qbtWl1ETOhAM102Hd0bbhGtuEYXUtXJgSW/6YmJ1YmGHlhGdYzsTlqsOKIb98fKL6lcbwPJX0Ni584pa6MRMVUi749hjW0LyQXtTd9V/kQZHsfU5eHWwqWb6fZgi9HBoaaAiNvzH930KvYottL+TtD02t5bZcpCwNx1NVANq+fXdMQcjBBMPUTnIle1QbgvgPBqw7OxtBvqQFAdbbJ6GyRDjLXvSKA7Ektz7rxL9NV4kPjVPMQn7w39couWI4WASZFG0h3IsKa8WoP/hQ66dL0rA+DYyVItFtGklb3P3WTiGJKrTAvHqPwaV1GuFtoaZYoNkma6HCYXkcZNxCxT1gRixwVcd425+xICmBo3GIC9Lk6rJdVSlaqnJ4DRV0CkbIenHWfdep1PrvwxvBoJaykDJYe4qUi6ErpyZ00HmXEVG/pTR2jNVv+++BfSC+fnLc0waedQzRdORx9U6rDJOHhk+ni/ZRJt6b1kAed6Lf1PBUgF+Vi+Q05ENMWE61rHdeQRaNGUQs8mp/BZAJj1Imo7u7VQIii1zC4ktF1bdp5TXrHVUvokAPErjEUuvf224Vli8vZcM44LpMcx7/7ShEDTXi/LuyIRlfVsZjSVNJTuuHHjVh1Keg+nC7Ndz5L9alxe8LQTdqbmTHpCdKePJLgl6V342csPQxZZLsg2ErEBjE+lGZAPlzyKqfmtRX2Ry6sM0hgTxHaP2MG7Neek88OvaUza5jA+wo9bGvUevsir2YXaVYi6FakG2l5KVyCyaZay/JQ9A2F5CZAEGqtYNv4Rs4eS76erwhHhBylEOIDfkFV4+ZjXbLzluEfn/LW3RyTpPcGIWvFS1hbsqNF4yuLMB6xdPepUOKBff8E3VKZ9Mct+HXoljiO6OyAjrVUJIxnQej5+NJdSrcRhO6KyyYXQwLM7tPyxIGmpUg6UvsWhjsdrWXR5v/G3nd5clHKiFgxZHJc3BQrH0r/6WFASHwRHkcn0shT9OzQPHMfWRoJ2rub976XvBe+EV2Y5fC4Xxf8N5kJ5Ib6wW67YRMnjWE8T66zUzkx61vxJSfvmElHHHQJly90aShAPKXOFCb+OfjmOSo6ZNnCF30Ey1YdyfS94WtecTDjpoWrK1ID1vka/wCykgbaTrWy4bXpMpWlMsfv6ljDKT69LVSzSmYOisDpf/G6RKz0a6HRjgM+x8y+K3kXRdoYa+6dnmKEhZWnVqoyxXUj8BEDwZkSfYMO/0+0kLMFVa+tWR8cmsqW77U04Kh8JeJ+0GaW+BoM8IAJ5EeyzGY811JLmRu94vvUT1dU0ZXDuRH99usr5DMi5C298d52CWZj2iGGhIQkXl5ixUAo3QCztD/vqCbp90jsQwfTCFXNtQ31kuwTSgUZv9CM4faeRLSHLjO7oq02Ff8JWvWLwjCChLrWfGGQSkXGzS8WgA/htEhtBIMWuAynctI1S0th2QZdi8he1eTjw3qg0CwY4Bh9hc8RaWuBA3sLCYJMpVDTAhxNPOg0j8yISizVYot64o0tSOdheAdbp7J1YS+Ie8qCGsgeAgPDbXtk6p4guvLoymA4zpQ1VfFIGJoQu1qCNR4ClPvQ4+BYbj6lMPKJ9D7kqoRrVO0GAxV7JbHcoV4UlaL/jUWFZ0E18k5yzDN6JKSTbe1lc1cYdG92BWlmLcv2zB1j5STD8zW6ECAhFgwlIDX+PHneJViuQ3divlxQpJybrgLpbpRAn9kVAUp9DkSWxW9NySg0CkHsbOADF5gSJ3AT089RKKR2zxNug03g9k7eaY2eYLYXoOAiFZCPZurYTQv+z8SHba7kYDuP/D/gcZP8Ih1PIZeOB/aDSiCwVj9hgRGIO4FGPho1Lkzupsj9jKNUd6vd2LlnDHW0vppJnSjnUk+Naez+zOeXx7FPh2xW4+9bfsdAG+W7eKAWVx4kSpx0g3l6ivozbEpLUT/fomKqIjM4uYXQ5ZPDp433k03y+ZAPfVMfHTtSTzbCkz9TKwLdq26Gv+qoVcaWOIH0WQAVcTeKnNqbFvrshmZYhZQxOmGHO/7ieWXz2yD0qS3X2eDCWnp/8NIHOfztLULIpBHKq1Icl94+m8UFdeAcsVWG3MwB3aLIlC7fSrnHvwZnrJn3HdS34E6TUZ8f3GGsFiGbm4GMaTWUPjh5j+X+lqNQjbQiKd64AOWQt/zcgwPMHYoGw52CPqz+62H73xX7twUdqBDJdlTOifihVqTzx29cYA/Qj8nxkR+Wc7OGSKGDK9HKhS6j5mNr2T3kn5xJfCUKerNvJgGwurXmIj/v1K71ceesxzRpfsg1hliOZZzpLMd1xtRHKpcipoQfrnK9orNQFwu3aamYu9WI1KAeJD6TGr5DIm9oCotP9J/RjHUwS1N3H3WBygCkptv+a42QjHAtyZnK/FTXf/Du8rYsCQ4jleEM67YENFvghHrj46bYXOfJdX+O8Zhp/ZjSw2TDdezlXTj7G/pOrp3UQ+HXcGCP36oOL6AFmIwcsDY5+4fVMjS+wCfPeXkWNch3FEgvn171CVu1PUv0dNm7GNipMtHFHg14kkPGvsh3hZ49YS/m+qGJawOQPbYJXlRFdATgN0Y0aSCwHXKy8e2gAE03IjzaNKLjJpgPj7Pl602wGuXnzc3/AIZUeyhDcGXReor277a1XnEtJIC0qkIqLOHgUB0BTBKNkUn9xvLcvUzPl6R0cY1Lld3EgwGACUUAQ7CdMehuINZStLSagR2M+dzfQVv9HDXaKuHp2DYux8mqZX1w/wu19W3Qyyw2BdVgAui3vricbtG2e3YnfTtJ5jr5f5OJj/nzvCp+5YfNY6tC7UVrBuE/GsgbsF35FtD/g0NpgRlgPQX5ccks1lGC1PiRfO4iengbdcs5L/3xwccado6ft87zEqAXjLnie9b1uwXR6BWq3wtpF5Q2IHxkpvJowUBCN27W8Xl3kpVbWUZA6kWH1ngFDCIpMUSIC54q4+qftWXoAYK0aZWuoTZuuUrM5p+FK6fyQg32bW3N38ihiL1xpvPL7SQDRJIKMEMPUxQzRVvuMHVTF8oGoNJtw30BZpFO6ryJRU75LtZbUpuY5F6d+0YJdoZz7KEVuZHefr7nM65u+yXS1uAEzvigU1V4X9plskLr4TvHScyiCmBr+gYASvcGgNqkc3TUb+UAOQgbpXe/ujXlvlp00EVf2z98hK5FDWn8yhbOkqxDXMqj++prwVB5dMcmOAQGyz7OToOJtX+KFOMDrnA5aGYM0UmGE68b+bi+weQu9cX974bKgTmomhogx/24CcrF5L3Tc/E/1dsgpOrRmmjcdEnIJt/y5dC3Y0TWA/rJPwom6HejN2cqpX213yIv4eLwgz35FpbA7NZZxUgCaolDhEt2dxyQNBsinR+Wi0/m6yFz2n0cL+VLEyLtMDdvyD/Y92usnXYZz1whleH1Og4e4UJw5XQvTs/dzAtB3GuRyH2Q/5PZkmOvnNLY8HGj/TVBzp6vrCjCQ0E7040VaBBeq3KiOl/sQAZY95koG29Z9DwnvlzWI25m1VntaCp0HAVVV3MGGZIfmGOBZetTANiqmeUhmAKxMAGg2p5O88Hadlo+o5HPB90vYlLStNuNVopTVxrMzaOwd7yUEVjRBOFGF1NNBUGbCNkU8iCXJdSphVNTUXtOl7un/Sw8q86fRR45RVOxulc6LToxzzEuX0Xo5ZdDmxfg41Ky1BNcjcowsMYtXFceBduAGozp27S2nKAVf1f+0rrPAUmGAv2gGli+ZD1BnHNjwY73MCXzbr0dzrAfZSi6Eu7odFnloIP4dFzYcdgxbzhc+JuTdMra2s0cK6H2tyEEGlJVPeI8hTo/LyG5W5M6c3IqY20RxXIqTVY5/Q7mT3/NFsfgk7JHISkTF1ZX+5FQ6i1ObiK2KFEHmNN5LABmldUwwe9VOgY43+9puQnvRP1UzVkJ/gkHjG0W1GcQZUpjSBrWPGpibKssC9DqAq8V9HHEO5+Q2JqlHtNWZyN/PtTIYdrXlcQqgYBYFKGS9rj1ldiFTjXMrWnetuT7qMiIV3juPsp5y/gbTg488fTn7UKoeOgJhAKmILILiVxTtQRWBi28NYWF4Eyaxpufn27rX438jhEk5jZ0K9kA2W376EPtGUMeJsF8Cr3f+CLSMMqVzxoCqBlUCmBo16WTtumzb/DbhcxgMBqiIRBSQQekxn/X+9qekKBBs5onHOEmhSXACHnPI2QiA4r5yunbB0vG+3U6nhmaojiX0HqUPI8JGFaRrMQnv7VeS+qWwF/7bInkU2uUol4cHHpB0tnusovoepfJTQfwdQre4bUB+9pUJprMLLOcrRlMeMVqLOmH1bqRUscVAo+3Hy2fmlepcY/O41Fyp5I29FX0dX6oRGelKwAVxzCXaytPFOI6exq2tcsPPTpjFHL5pXIe1QpPnTvFmSDR8fSrXi7UoZfYuLIfFA7G2AnmwiGKBMN7G6Hli+koBXAmHXTiuxINtK3yJbKvNW8q9WDKGRoC65qyaglAGuv1WsXSac3G3JoSuk3/wi9tWnTd47lalP7U3C1uOG2BRgKnRohfGTDCSRVbSJOAJiOWOQKWogQ1JlWMC2+kNlHK3YRdvGVQ9UiXi9TA3TCbdrv9egv1fa3Jb/JikYWw3m/RLNNhKo4czha4GQ1lLkw44LThmZaIarnlX0ByEHD9EaBe5Ojv4eQu+cED+246rh7075/ZWrYYWVhGZ8Difhfh+oo6LSOsLjj4KLRQPd/72uYYTrXopRGYrzN4TB5Jx0gY7A8JI3O+9UMDoPa4Z3a2aVlDVsLFvK+vXY91qC+4rims/uR1ifq10sOhhk4NgKLqdWGxh8cMTQnh8M5HyePKY5qBqW7TK1VB7b1GJzVCHlNapM2ox8kGHOHEND0kwhGW3wXyO30O+pO1e2vUhnOkhnUrI50PvPd/HUW0/GiFrDa9i99tR8bbq1AJNJ024pqYA+JkPYDMlcNbn+uNUk7jfzvI1jtbWPWXMh0VpzLY94V5zu7hx7r5yJ5+eIW6Nm5S9Cz7oI42NyHpigfcjuGPjK6T6k+XWSW4enIGeptzXqNfpMlTRwUzo1sdoDXpPRTcOB1MFEM/VAd7xu9rfbGr4Bq+FSGHVU1PKyWI7FWSRpez+KkVLZHyBBq7EmIr4g7Dy+f/EGHTfFP2AyY/bFYMvmNQouVWcTtY94erhVa/cpDVhgvPSylZpC5dB1krm9FcaQSeMuyvLTu2QqRePpp6Yss0krRTq3Mwp2lPMwqrqGA1zAYskaUwJha8rT/58eYw9GxIRdq2DJa8ejw6lLoqETZC3wVT22lXVKgMAhwe4seDSXrQmQggUBcqkGhetBK38YOz6qPpGdld0QF3CbqyqxteztJJqP8WNPfFGkphM0Y4YBrIxMkjZxCIawzTacRkVNAyj4xJIxCCdhAfRdp8fHN0m7mvC/MfT+kEsDOLQDZ28ZoqeEDFo2JdX3rYeeP+HO0IxTVkZp/lGY5e36incxG2sunwJe3DPcvt/4yn0QEBGYrXx3JdSSCTJKeyJdzFyaP00qepNM2NAEAgbnh+aCZaoCIy4ew122Iy1Swvezgtmw/r3IzlaLjZ5TAzM75Lcu8eCk6VojcgrjBf7Zj13rfMNQK1FBYdpHXEEtWfOOuWTxCn2AqXAJNroslKysHeoT2YmHSxFfm52sWvRQsdaYj8dyGyiu4ntcnXXj/Hg8c1OMQFLTj9jENTyAv+iPWJNrDRE9Xd1IliMnKQblNoxFjzwnyXSdtcPi9/uzw/Hp3/SBFi9f75C7lsqZ6rkavgq/gCo2j9AOcXfcNB2mH4dBztk3FRVG9a98H77feprOg0UDrcPdy3HkAxI31qNwASBeJgjQcj9sWqEzEZclWbIsEUR3HJmqaKSp3u3wgAJuWsU7RCmCK7lAPTq2BWOQqOAn8cl3SL3fQshI1VP1tLhYjqBRoxz4smTKMS/jdI4DPv+AQ0Msw6L/MMCElu4WhFla/Nt/7Y0Y/UO0oMUzSxBGObwBbyMrnghOLRNh0UbxOWi0i0XryooL1LWSfpSjz6wHn3PwVlnq4reGDeJnOLm8DXmAMVTCKlK5JNk3jTrUKvDJUB+wXLWPq6hcgbZGi2EGaiC8dsXyooaVxFaUuis14l7bGNBsn2faadLEug1VXkTSfXENMnFMmgIFyo80HYZT1evmEGntqEum1uR3+ZQjKR1hny+4iI/2zgIzYnpQCdgzUS7XLnMpxwGcIj7IN1d4G7gAsW9xpb64tBk3VhTjuzS20SrGsBNWZXi6GnyPfkurpPgERrs0ey2AX08/A0MqR1JC0PwVe6KeejkXYilrDlgHmR8fpMAZ7movDaWQgl74ZsU8g1/zbIPyX2PlyLaRpnG7dDFll7I4SXmRli68w4sicD8zu7Q5PUmoaPjSwUgNBtiD0b0egzQJVUmhp8la7sOu9IwPu9O9pX15J5CBvAICHrqrAhwCu8gD9PuGBTz3wv37+YRw9c3HgtqwxEU5Kp/0qE/6+/wgkUHXGyplziHb3wmMBUQIif4yldmfE7jq4tyGTyZVzeX4ExBZ6xZYLUDBqdOO9ASjwxiKDJAtUYtI8aiRo28Vzq0Dazb45oQnVXTwYnj0Z+A="};
+export const guesses5 = {"count":4687,"iterations":50000,"data":"+xWOsPYnhVWPMrItCJre70RRZzALM+6h9J55VZiIEJUI7aHLfycTxtDZhlsmoqWq9J5zu/dvnSI9mpTM2wq0gMCz5ENXUwNl+O0UwT8ZZQ9boAyTVeinToNjFxnljWXtlF5Qye3hH6o+ueMEe3UiiVQt2pXAAO+ITrv4OGvmun7b/H1Pov2+uDf7rZjhBEMGa6ronQo7pOtYWil2xeFCn5uNa+rAfqTQ0gt/OHZwwT4jcbciwfNPDjNK96Oot0gIOTnhdc4B6QRjnzWkViR4RJuwL/ErNQSRXxPPvR0SzInb5NVDyrE0DegOeFye7JJzeMn06FvJknLJJUReemO1UyU9uyiPmpSjTu2BV3EDVTP01bM4E7em0gYYC6zXn3g0dR0W2GTh2ExbfT51yEE5u8j2OO1wZ4AIvW8UaYcSXcevyIJai9+bgU7ensuwbYATcGOIK+1SP5xhQD6pR67XM5wCkSf3dZigudSSBlBnxn3SHWARdpK0SvLnhwdAJK7Mup90V2rVtwFA98+Ce56yXerBL62Wb17bphPBFCWOLF5Jpa0lfLgwbeamFRKIic8362Jc0BWZ9ggzlMJKz5r0nMHGaxCnUsWFM/GZ290PDgdiuGWK5m22sPJlf7i1goQuzqZUhqJyVGooK5vikK87UwD+E3aVpbT0Rh/QyLITo1fnpsp9CIyXSFqJy34csrDvzexJux7Pf9WuFbauAYy+APA/FsShMLy/eQIsRmMzWRnZwnQE8CFU9VkW0qVZpV6z+5jA3uzC3sWo2OqXWnheLxTVcEEIbGhhKM5+rk8vSh93xUblSe3FoPhp+INyxhvn/5utwno40Jnk/nKfEpOL9JRzL0UtBMNsd1vOQFzzpOl2T5dmw0pVudYj7nFSbF9Na8Iuf+S/erXQ+gNauWfko93ztdtGzmtY8+a4tHns9dZoFxarduBruYrltJqjS7v6fcRY/wvXsropVSJjkllP7coAS7Rqb0TtYkg2A7taJkCpGy9vScH9b8MSabl8HELNRwqq2qjW7g1fbnq+ZwlZn2SaQ03ijQKBkiJhWKSskKwljFCyR5BROj/5F2Cl9RbfaUaAuD9wycZBeDlXereSatcMO4tzlraCv/ik7uthVZwIc5UhAZp5N8pGWOAusv37hWV7hUnaEDIlqx6UWXOKrX3bcP9HOPYQmMQYB1XDO0lA5p9tCLATy3yV8IxuNdylQR3kJzDRJT0xmik8iqIBASOibNm2Pu+1sC+3S0fdjEPub3xIauAGjH53UjEOCSvBBnb1qu7suddIvKzMNWe5ctp+hdwfEgoaE3AjbLFaLUeg+TBVCP6JjSQvWfavAM18bPcfA+Q9oeKhGjmAZvetQ58nOM+XMPVorcA2jZLQnQBeJSeU/QNxJElxCALgv+LNClzbQj+p8KH5kUWnIJLuc24lIhFHeRh4VqYn1bISQQB0eXfmcuiZoHiEvWMnj5vAddeNd/sXNJ2/IIWK+B3S7F7y3eB6eLOf0DF9Q8jHDXHh2LHtQEH3BUgn6LyKDOJXTxZkCxJBuNKfMzUtinZha6+WcpI3S8lqY2JDSUdQq6BMBYlIfWg/AAX5yfLUoWfZbR/GNAmY0PRxR15UsHPQUdqV0gRz9Kf1ACdBu7z/rJ9JWnrMh2YVGDqXS0LNlP2P+Cwgbog/OUjJfRGojXRUVWBXRgdcyqEoVbJmnnZNNlxQIBO+POvZYIYmq//wVk6O6MR/zcv2vW8tO+AhHJr/DK+eJWZsDpdLINlu+d0gAXyqNglxeBXNzDR9ecWb0QT0CrE5K45i5+ayItrkGhMH+ex2j4eTljBi3689p/kNZos9u/SW+7oB+rlnJgtt7EI/ln02AXM63iQQwO6WlOeTmfbgFqt3tmM8f37akWvy2nmrJ1w40ppgVx4rItFpmhLY06JjXFACFG/9gBVgz7q1KTpYJZBWeZQA4OkvI8VwE5MLKLE6CcVhgDQ77IIb6YEuuOMPsnfIkrN9iz2AG7Oi/WTKfZKKrK1TnkjBF2IctVrwb9VVV+JxLyq9GX1twOk3YL945HzfUBYieP+WjyqbPuPVlbScnHE4o1MhDAWhs4hBlMn5tH+8j1d3DVe64mi4pVa+8VNzPbwt9yg6ppRa6JbN612knGSl85rPktWWALICyqw5ieb3Yhn7nyqhph4a/xNa/fz5x+UzUaNRJj10Qex+HD23rYNrAJy0YORuA2bt+b9ORGj6oemw6K1b2Ul0pCVWODgZa1nCaxaTtpz9XTwpXR40pg5yduUsHut/WvLnYXKjW6onJYl0VRBHheQpYg3zClRmOp7JYrIDycFk1VWgk9j/HBWkjALpNJH64w6ZUX3c+1Dr2D/XJrTDzYQ/+73pqXyn0HmbwgcRqaJBAkI+nI4mBmUGgQTio9/3iQIUDCu5t7N6D+EKXAzJ5ZOCJX6oWFN/NeWlYSNH+4Tj72UFJqTRCK7Mc4hppLz1mvlBK/euCBEjN7hNZ2dLJ9lvDktl33i5CjBOMdoQzzCTSXHdCLEyEUaIoDktcPkX/1knYJaOX+cHgUKoCqttTvcY8QmHsR+dIHUv4+1sIQXudGRSDEZhObP+quYzgugqWmUXpGJo8tTZEYsKb9f3+4hf4dBJaT+pEx+iRYzNbDMtnURCAMChHuk5jh4oFmBWPNmpW6nv9Er9FpvMbZcVm20GcOq1gK2xy40Fa3jrofQHQfg67FHgYy4Jkdq3GWCtvbm7NEUviH4b5VNnpnEJzch1L55UKdqQ1gFBe+t0Yo8BsBhq/13havvcUuwsPQpzxipsEr5AaHV0uxyt0q4pN4Q2xkPBHvfawxPZ54UAlUY8gdIs2tzfJ/24CeMFcSovpT5Fsc1VbawbnRVXA7JzmKfqamTF8OjouGkezT/XSg6F7QFaWmsn/DjE2h+uAHMfKHKjnm3fGyJRNqZ8ySyPJumdBocq/p63/OFvH0T2PN2CVr2/qJtGqtas3zy0/lfOVwVhxb44bz4wU7H2AuCW7Ay1jZuB8o18tcweR0ERKq+PZRR4VbgE6uKCAa+d/G+FjAPofjKdADplAJsbcCfN6os+EISfl18QEvyt9oXJS4Br3aCH0X99b4YRGddoadf2xEQSiS/b7+VUE1P0/jLEkeoyyX+vBbRyN90ntypbY4piFgRXOelb6vi7MS4XLwoSyQr0V+NSZqd76xo1eX6WN4Qiq47mw4Qx1OjrBjJdthMyBauE+zWzvVNcDvZStnNCqvTcahFLlTgwRqCaIrM4kHbwhAxQzMzEuGnDPS7AqsRaZibT0YavXICDb3ku17L/R4TK5of2nqIBws+ZxiPJo9LHhz29bwVMRxKPmfgr4rof+xy506YFRVh242clbf04KUidnJ8y7FEM+GXzdpZqitu3Uk9bRcdO34fNcDAMgih7OSCia+VJzZD+I8fVTII0vz53h53JKusU8yj2LfXWsVvhwzMSUWdj/4eldzRP8J2MayvIRgQjZUuaKMs1tpeO+e31S3h7LS5B7uwg30c0LBnxGWsYLaQ4zRwLtWrN5WU6ND1Hho56vrAmxDyCARvGOlvtmR4BRK/+gJvEU0taFMphrlQKG1G5qLfDyqDdSBqEU2ORPBGeHXeWog8PL/WemyD/bRsR4GT6M+j6UXy/5o+jqWb9gI/6ShoV4E7fJF5euF7WgrgFGpeJbzGj9JuKrEgntQ8PSiCbbwDt3z5L64j26k1+UlpabYHrBYEHZVuNqcScTupXZkRDlNfSBGtsCohWlF7Q7si+TImHfZqS+ahvIyPF9GewnGOVuL4y1HMGOgJOtTMvNncJFNxJzRcGUqr/eMG/atpanjNx6VIfrgjOka6ldKl1xWryoRkskOfNhtk/e/GRJ/45qpaXx2xH2+rOgg84GgSLMNJ6KmIHTmbeaj+uklXJdk3p31+yjH73e7hQznROWihq2KdPhB/jg3ikp4M6Ce+HdzA+nbOC0jO/du8O8mKmqB8gddtbjCUT8SLcIYEAQdyOxzgUTcUHVwR+RE2U4JEsDofN6GESWfaVnH/vjtvTgZTtmR7AzLs/K4ZLVg3SAB7qdFglmdfM6RhrXRxWDzBlTwT3OKnvXKVloOp02TqmWIL/Eed3WZL1HY8mkhnhXOAeqQwGNL/iHbwTHPud6ejta9cjuqETY37ofXRGubZurkq8KdHZ2cDfgabC8Ia2snvnbbqWKVcafIkV8JmF7zeX0V9zxXsT9e/2AZeX1ltgRwOyI3VvzKSvAJIHX9ANWggQz8QF4LxPU277iesz+HEK3F7ov3JE6NGqs3BPN3xBbVnzV/fdNoEK13JaoEXn8sacA8+Mj09VbtY3qJ04h8rlKIy0VYYc5KyImqV8DvefihXNKkjz/zmHALGdVtpe/WzkE7JhETZiaAHh8PNeNzUKriWbO9Kac5X2JX36u7lTtZ/QaMQWtly+1n9hbOn30nhZ2KS6HvPhzVyrZKNWj9jCGA3i4Z03ePnEOGNHusBzBUn8B8MRVm0vA6C8+9Rtz8F2idD8iMgFVv6uWoOyWmgluol86jxzGC2htwgQl4WWEbpCAcTqzb5uGWDqZChW9wd4C9vapcj5o3IHFPkuUyCokqcHx3jlGVGKcns9/FlBsuK+XoIoGh/o7usfvIfVmt3oNV5OISqTVbuc+G/1FvH4212Hajjj9OJv73wNXIc7WcWEB8QJjd3mmTAbw2oQ9jAMwawwqp+2LF6KAVWPbmDd8oJn9rv6ZTa9uJVypVsOeaf1YvfbRWhkN0JPWgXMLVN2wst77QMSXT+m33UziRiZ3kkK7rSYgq9CHSdzeX1S5id/c4lCQN537K8Y4pfFNxEkrI8rsRe+MezNO/dm9XSqQon4retVb1qu8lEFCSFxZhxQMSY7XbePx1YTEo7sixR6t5+Hf24k8M9ZvIaRFCjOA6a0q8v/ahV814Xc4qbvIdmM1GMGkmm8B5fFc5q1o9Mye9Ah+nvdeoETIYGkJYpkt2S+xjhRh/puKCPGwj500f4lZgV/zyS0ZiwkTtq0c53LuHh4N5cVBz/+5aO+vphKqAqw0vQMnwcVTuiBNTT36vFjEEKjj6JSCNBMu7Ru5BlHXda44ANA+e412PJACepkHg2rltvl5ydbmOAKX0tl2K5yYESijg6SExDDqH4hzE+NgpNaNjROK6XcY39a8wfqhF1uNzCXVPt0h4iQSMbIi9EyAVEVzAonyvX71VXJEqPZYtjodNJZAn02dbC1sVeL8e8vuD3Zso5qIMDvyWHE+OQ6XtmkU+5CH73YA4Aq8imfOk4aRDTZEex7eiagerzc+suRIdDy67lMoQBy5xPQP6X/YPrjnY4u5zHJNgse0fPWCk9ZyWQRk7YcS/Ux+8Vx0yqRlGb4KamUM1qNw/rbRUMZ3ZigkDDZzICXCf++t3vW+4G7ZDdjgBxV+eyKoG4KsKEyAcRyTTFiqXnHiSJ8LcoYW6yWsqEvbtF6RN+eSivYy1L3MtMdDyjsns47AQtH0BxF4PIH6N/icO3zgzL0/LBXuWPpZMYy6FIi1iIqAHTa8L76iJI0dhnawGlw0hbozt5ZQmkqGumUs3OvY7CUNFaqj9v/YOUvj3vCnynTmEJynb5wX0fyAOFZuxqy56NSnk4uAzPjI7Ks/TvE1bj6AQf9JJPkaNhEG4CvkQRMoiECggV8HzgVjt5pVwNLJSblhzXTU3ORR09v0opU8W6v77b5G11QiTfbGXfHb7nz8xmX8xzjpu+/WBVCZtgd4GCQYwxqkfHtUzHsQ7mjptL8AMundkG0+VMKs+skyC0ck19grl7lyTSxursH4d38fm9X/+aKD6r1Wf/O60B+pIp1xpsUxE2kXngMTCXVTGHUemxA4ri1fOGZiuzZg6IrNbsWyYmOl0WfxvJCD/+pSBiX3YceohxKnjm1a8veBWLK0rqT0u+ctWJ250SU7XdihUlVr/yqKGFdxLMBp4BKtKy0LRzJV9FQxgkVLL5qkM+JWacfMGbyfLq2qo78ocT4dyvHmgokRfHsd3kMigYyCaFMAgrMf/kpUeOTkjgNb5k9Tnjg0rl5tEHKZdcUQUDjywVMrX3Dag6AonIXfTCrIiBGLsRdZnErCAew2Sw330+SWzQ0by5/0gCfMBsNl8spA9CoQ5drIrt6CoWsByR87HZHO+1y+H2zdbuSmrrTw+kjmr+9Az6XIE/BCrTbbWqZChVzT8MTytmNa4HCHIh0X0o11VORlgUKnItGmQeY6rPlfiOv++K1xH0UOFPh+hJ9jM7BjAUwYLZIEBJdfGJRUXlyHsqmGIXy8u+nDnDnZeRaL3H1jraO6zTCe7TPfDFKTk4KN16LPpxxLlQKU61eJFl+/2YK//7hzgEtrxjMF3CrC01kUDG0rgrKiOcvxI4hnPIglXeD4zGm/BS4vIA4SwVyAbm+5YI0hGJ1JkVK0ucgTytkLB55nkdAhPTHTMJsxAjkQ+hzLkdGkDqwnUnoNK570+SMcRlBd3AOMrhFYafxl6fxl0uBVjHBZ4CtKRqRjgYFPtcR6EmyuTxVSWPK8ynVyC4NIOt8Sd2yYOf5dZra4lvQQlwtkucbk9uv9NhjprMoO2XXnGIqhkh7cdAZC+Dw8njfp0v7NoVwncTUm8MhGI2vaOSqCoiMCzz+0L3s13ympG9JIq/7VVDkg4dbwoH7RiFENNTYJF/0q6NhqGFyVFHEfy935WSrDvT/rzVuBQRX95l8pOEz0APxxMK2g8wyZXB7dAyyK4K0HB3GRgkbXEWwioixPaSjnJIHgwjJl9gpJT5A6TupFsRtnI96v2VKQ3bqEvJ+PQsxKmQzw8K89B/C0Ir2y+/YUN06groC0mujuCjoJWNfaeS+xOO9b11gfGJA5SHVIkMyBEse4I1nCIlBcVkQZvj6EeeXhKqYUxosNRknFuOaYOIXOaZ88fDxERgannfu8veOjLLJR7NwrIiQzBAnT5FxvePkO1BtKOGxDzJ4p0SRPVsTZ1VlGdkt0xWnpHFVH/+V1e96tA49MGZ24IssBK6AjpFiEDScyMpnsmnk61z/H5JCqqnsdfgJ3hgccDjSDk3VhgB8+LGUs39WwiYzmpPhgDhMhoQPKLr0g8BaOrUXfP+7J9u2GmuCcuhb78FuvQlwOZ+nvUvFaGyZzS2NB2wEK3IjQDLaoww1SiXN3Wa5aZrNTUUABkoFhmL0g3hW/XoInLXboUXdDzMAno0gOL+Gii1TyE97MJFjp1sxLHr+95CAGI0B1Tyzd7SxTtBrYqONI2XbjT87RRO2tNiRHkomHxutClF1FY+fNL1LA6dsaXOvMGf5lrWL/kA7hQ07Gp2YSUAGsdFk6at5JigKPgr1EQNY4xIoMI8+AGV6qz1g5Lsd49S3oClsYyAF+Pk8QD3r/OoAGmYSLiUCpoEL+07bGo1Cz4IDM778TWhLFy6XDpCB5hfafGIn628Ahqc2C3wq1AB/cVxd7seAFaC1vEVZSNS51e771UjaRMhnsAQdLcg//JfBmzUE+4oZ/VjJXTYV2RPpxQQ6d/RHeXzbqAh3CCfct01W00dDnflHIv4KLI4843Fc7tebD7QIWf88bSD7n+CXZpnFboChN7IiNWAWA9xezEyWsqF8WzX7aXPKGORw1Y2oonxWLNC6tI73YvEN+kwY/s8K0sR4JhtTqS62V1pcQ46Zz9HYmSBF+ODwEqgVVjMrTap5wv3Gjd/eQMPo0RbXPC55FxP/hN9o+ULeCKzgPAK4fzooWCoFKGrSmLguDx0NjCzTZuyQvqrwutHXNcvFrNcbJXdby2uu+RM99nDJ9zOTO9BkQVup28YJ+xQakJxCa4HJkERhIWUFyWjO+gJzkjn4wOZcqsLq8ZNYdr/AgfFfPW1j7BP09Gqsb7YNrvvCzGl14wvszPxSJJuzwqyX9+ahR0l2vKd2k6J/nKj+8DccYzBfagZHwhInbPKceToH7SSBBwnxco1RHdUOEmSsiC4z/dUIBPLVHQZEl6sRAbfCF5wfE+GM5YcmlTRBUK/abHsjA+MH1TldIPwdpJHphscNUy+Lq/Qa6ThzH1tDBjTDhlcpuuZlnx0GC+O3y/87zi1aAIJHx4TEC/cC0ICQ3TabW3lpTqmsWp2jN6mpGHVwOYm1fqeV0Ddez+PcVZue07d0i1Rv3MmETnUYKj33wN/tNCs67wVAs6nlT3LaUazdnCwumzHZXCkFIpxn+NdkXaDYIjteZ+T8z+eeMjX/GK8zYyHmSgQOOBi3JaEGrytSrp/XRsWaQ6/JkslzvJ4fln2p+A1GLpXod26LJtyi6HV2rOSzcas7k0cWWaPmRrGGjoT/D/6YRke+u/XNQR4sWC+hmQ/sWelBwif35U7aVjoSemJepVh8KdYHNB5BTy53FqmhcI4CCQy7/HveGskwGIAl5LeL5OaImsxAkp3IG5cdpStCMkceh7l6IioC9XUbbeCJ7hsGiTs2R1e1G9c8+LSVMzeQBqktYPk7eWB2BlwRH1JSsnPYkads5vQtpypS7Yc4dW8CW9gS2g1JqWoKloaoRi/vpqyHuNSLJXAhM4fS5GCCEJJRn0n4cwI/PVv6bAyoJgnkbaM0FBaeFrjclwlrcMj1MFF2wou5T3FCvs+Qdm+rsJ7oYFupoYkirhpu8nUDlqpp1zaAPMZb/n+1aKYd4N4ap2v61K36nz5YMw1cdZ/AI9P6favsYRTxa9ZZd9cj5Fmv6tsCvl08rsjWVqQUfBnDclvJrvPDeS908XkMWmK4Ksm3CoL54vBI7IRcZJoZa4Qu/do00FDtATXK+WI4Sh0w5JI3fo5r+HS/1j3qzp7QLlXHM99kp1MrCX1Q8CwVC6OG6+4FYiBbTDHDNUVuSXTy6G1pmJeUEP7p/3bqpYAX7ebq9QfOAxFMepeEbbSp5NsoallhXGvgCnvqsMNCB4O+mk1ZcKlC/L/WLDA0lEEYwDIDqRWiNI0PXcJlRwVczNt35Ah+b0AAZMKhwRQYaJG8wFRFF5LJGrhpm2DhsFXp8owftXZl+MggrLgJkXiyrfBi9EXMsv8Fe+LxqWGOSTBR2BYtjQ1PqpZST4PWxygIAIimRYF9XwjzJVf7fI8FhYiOEoG5q7B2AWQj1SCk2d3JikZdJ/5PgQGHIkV3jGzVHQoNk5KKIv79YI+mTs6OOCE1ZTWulqnGIQ/amiAtriipT4iGeRoPqYLY4ABhLVxKh1Ea8C4so1CRa/XkGjQUVhdUnG8znp0Nq2izJ+WdCvWVD5CK5laYAhX/udB3JZc/JMqYK11ksasw6DDW/T7DAivs8nlMcz0wNh1klSuc14t2ppvAeqP4GLYMaWJzGtPihBE7CMeZ8exKBzsGOofvkvTk/H6fudjMSUrUn7XUmi1CYFapRGsSUaVi8H7lN84XIGrAgeyxVbo/39gZfx2SvSEMrnWiS4jJn1b4nLTw+t2y4r65NtwZoTVh33WzPJBHagPsG1R+yLXNqoxv5CT+MMWcTCD+cd3Ye/ket50R069Pj39X9zmWMW9V646rt+j3kIBaO1wcOOcEEH7tEqbIyZEx6b6yJd62QnNmp93hfoJIeInql57/9icRr8kpZ4E0ug6DoQGB82INY18Pu3Rklw3SC26BheHUPHtno4LNcaETONNFRKwfSYSoenU37bEzcEP9usVrQ2gmdPVjulr6VnHx2QkHCyEABzCG6OQOlSQoGjI16lcnT0+oNngbrqcuTFZzdQdpN0qRCmYnpUwUgwC4am60OQXvfQf12pOxdOWPy0cIviU0JsEpFodudumJDwZ5ehzyWW3Jphn0g4IVQuWc9Ykbrfc7VZmj5un9+htDPk6orQN3cXADNoPeagMNMq760oS7ol4gx0Oni+nW1hZRDuX5BG2D9Tv3oqBFiHKGxyNifeUR4Rko2yb2MQX07dAsPJ3FBNObc+1Rb8lHXgJxhFF+f4HTbVF5X+8TpGdMNApGGvW6i7P9MZqNcrvGhV3+360fC2etJeagrC6kMG/SwGmoNh9TYn8M62w7eQaf5DhCiiU6ZvUxtFfWZ3Ueldgm+oiWyoKLMLd0rwd5hkZCcpM4n0EovW7m7d0hpk0vvT0M92yaexCNqbGfkCWASzubNj+qDn6NtJmLeJhQiR6MRfMObaCBV4c0r9G7R1r0EuY4Wq7BAiSuz1PzVif1OsROvxCVMeKkG9azkMzqhn1INXXmbSoUG9UPe7qILhhwm9IbLA2HqNZWsytZI9LLqkCDYkquGRBIjd3xgRSnd29aRm8dKq2vZ2nuRuXyuph4tFo1KwOUjYjbNqcVOBQSkuTeXxYXLyZlRp+Nd5Rb1P53sDgcOqMpXkVW73geerpaTtrrnmhnwlvfd6YJnuE7rhJjf3Gn0Ax02eXd43X8S/e3jkxD+7eRJ0gjJm1seuZcWXDh8MA8n844nLYlKzXnKThoZEIURV39q6SP5uqIOM2HbpfXZXOamhjbfoLaenBklPPtPFvgdv1mCmVXPjOv1mZbp4ApCSq51dON6gVB1lxNDDQpxCTrjneU1Y+OfbjJ1j4TXrU7o+d/rglpFK513OgobY+BSOSCsFUDsFlt9drGn0068AXsQlk/v6teQkisvH1Bw/STPoLmcTFYs1v9jtXW9l7MQYf6MJo/P5bzRS6jsuFNOQc2RjdwPs2KTPfUSleTLP98hgWuZ6PyWzepIItkfxiEfh9+4aIwI2B6roOgNhU86MUazdYqvzGvmCwDZlGZauaYme1r6hAs7qcCdhW+mrWnZaCwpU0jjrP3U12YpXVu5gULrZfQMKFKXqMzAy9i7q8wowZ5dwSMms/QlN6fKRRmIgeEVrWCDGXf8kuuKB4th+2rLUY+c8pTS+BS6zBL4Mxtn82gIbVi2scrshLe+qkaaK11MwynvOJRNV0shg1xuNUfT5AhN5WAuwGYsssDfEcNupHlM+s/RzrgxzRnW6cA/kxkkOcBvmuLfRt6T9+687KbLKHK45euqXXOJCgJTS/7DjvTQxvUTvN8i8RwkTKM9fgwkCnOf7yhJezmzsIMB1YuNNyHZZKI2VjWbufoI32AO28u+UC6y/kGlDgmBOmGCiUt5pZYlgHmMP0HnjVdVlGFb0/YiKn3201cI8FtP/G6u7ZwmiXBWK4Z/CG3oGsk4oc/tz37mofBSP7/yjzz8BsDH5XPRr58taMp/uFqRVqyMClJbpIhRi+a2XEGDeM/4Y9wzZ5A08G14yy7qIkU771D+2kuFCwWsq61vxxKUvZhGweJHUTiqqvJEtM42e+jdV/47FctEbvSSJDxbcUTTuMuQFMFmp49MicwPubbmQROSIuzOO9t5VEIbcQu/2vsLLs4BbDkeqxGYWfQ2f2HEj8grU6h6rYoD7Jin5iy2xgBnjlbH62/pTY9xzM8weF98lXdduIgSE5U5khq6aXDTek7eM5gWHfRgO+FoF19wSSBVAUahAewUpeV7d/Odk7KNnAhYryDSF5ddWhWRZhymDbeI632BVhN91ijjSVext9I4RCez137/yoUykCyEXl9MrVGmL+MN8c1wIiQNBeth9GOjLnUJtl8CxVEzr0lcfCtj1OSq5VY2Z5h0r9vcxZ8zRI4SR3lWiw5pD4UWU8otzrUFqQxMNatfVfBALsqLbHv/JejImjvrD8mWuJdML8pbuqUGE4NWkz31tLSO3yeGv5l340aujyBv6KH8rceRlsNmVLjjNZgpp+59GRdSbvSeoGRDywg1wIzPx1InRTlPICA3yIySaDvsp+7dZDEBOGhH39H/HKfAk7J2CTxm/UDWVq3QqcB6vs91r0fV3pt9hcnFZf3ohsNacJ2INCYU5HjaqLJg0aGqglDVhKzZ7/y6gSQCtXb6/EexkSQKxmcxeNt/6Qyz7Stq2edgnyAumqBgjflVYLTwmeRXyen9JBvcrqCQ6ZrcmNNQQq9I9RWETDFpyNhTZX/r/BpC85j7sVrWzVroqQWvll1e6SL60YPhULx4spCr6n3JsTIGP1TdmzKtViId/4DANLzRAkWl7PP9KdFn/Xteq3hPKW1cS/bSOzYYIaQu7gk0n8fIXBICjvZY9HqxCNBWG9mGK/B+gEkloaPpUnQurzh8z8CszBut+ZsNV+UsUt7HHp6p1T3Uf6b8v6Hlx30FJ5dBuO2lq2MUruHoPbwaQK1kP2kw6We8TM2M/z147NM9qwO/2ObnZ3ugDqab5E7WEUzbhV8t92Hzr44LwZr41cGmZ69nc/XTCj/nNlYjrcgp45YFtEqXD7Jqe9gr1K990j6m7D9/tXhsBAUC3dZkadtBl3ylZjPtUBENFzIIRLecMjcPulwXIh/3AjLuydDuHtO4dzuC/XXYPmz4zP1NFQfh8wBu1dWv6/PKLSRBtDx1sijdN+ch07/LaqeqBUPMCNdbf95UJNsOzVt83KTFlit/Wxnbpikk+J2ERqs/KnYJalnm6c3ScVYNxrbmuCbOec5t7srY8KzitH/5wORiG3wDny+/eHduDPfbkQIe8QcK/QKwzG6RRcI8s2nW3bH6fo5EfcBo8cMGbiCb9G2+0Xed3NfWAS5VLzVKHtjsI9NL7AAI4HiKTp3PY18MyDjNaVixbOzc6SYlnWkgonWaS3Sc2F5ZmKPYUCr2wyud7Vk3RVbA0Zr1zMR+d/JGA9NkzMzjAqsCJxqR2OpNJGKG0A4IjjqUifpuUSeUy36jJmgm9C0zmoO080ICcesZhUdG1g52SPwmED22drUvDf2ggllpGRc+fzp2P67riPd+l1JgFZ7iD+Fx6uDIxzdRjlcp/VpoZBg2SrKSktpXzNex/CK/8TcNh237EDuhzvFYkEgKJk6o67aX/mX8GCez5dAF18nP3dQhKiiWgeCX8c2pftLAUu37i2jzp3npevcXYG/CKJAlW3YOK2Qy+Uia/6CN3pJfWGSXG1Pra6/uV26GWh3HjJecYAgwXM/kvl4/S9Ei4leuQZVvDJFysi3OvKPtXLivDfUKWBYwWXY/n1E3yTt1a2x/L1a7MrjUAt2JRUk51eExcXqkLyd7xsyUrhRh2EUXb78hCfcW4ftZ51dmz1EBYhvqvHebvPZJNCc//UUdRw53FCySs/sd7nFtskwweNPjgP2cVI5cSFGQlHYQhlxGA85eIltRZfq0kwtaXxS+wXFnAf0GscVWIMkVe/82lYI3EnqTAgtTcD1+rsY6Fz8U9DRnIrw+acYtqDVzi6kdPL7JDE5iRHd9w9pU4y3vd3SF/sr9JVFPPGCiIUOLzMn+qbt2o3eugDePR2kcN0w7uskV1Ou+9/x6XzN/BjQTUdwD873opm3A2XVJDxKuTrb0tCEZQ9oywqHSM/q5dtEHmEmTZYeMHov47hbCtOLu8un58buvQSg5+LBr2Ox7u3EGT1kMZk5niKuVrEGa8LKbaUYsucm5ikqJ8gvbT9gFgmDZfX1gk2eSB2OAGWHGZXqKvYru+w+gNPPKCSMEbkBZEJNQEqadmdn/E/9IlwQU1CZGtayUOfNpyfuxusCpg0QzceX/ejKr1RG6UGgb7iTW/6IFOWcYbaTUSa26aTnHGVtDy2SiV1haPjIXLMA37sZHlZyzX+cu7sRUJAU7F835YshRfeHZtgpin+oCJl3/We5jjQzFM+kjW8xu6YBP2b/F0yH8WJIhfNQ3kY2eIwoEF5eYG+RGHHYxvLjSr9JK1w+rS3MWVAMWS8JpddLSsAQfqSf7HGqYXY2R4ImynKsw+tzPO4xxg5se6sIqo2vqZomTlEZEDEMGdhhvZQoa7EQI8PGvZi326m3oZiPWEoewH70oRq8rlHVm7tQSMje34PxvwfT9J4JFNvcHmCIr2KNsuHj0vwiJtzjE8lFuYg9gvXcgFomh1K02ndoMMWtEq0Uq0EfhrlwzN6wY1ku8hnxIPvFEX5G/bYjBLho26akwvSfhLy5Y3tJTwCoBblKzXMA02GI4zdQvQFHYJd3IVFVTg/o95Tb+tg14Q5bel2Oq1HH6DDmJqZ/f4RCuIFpBI5gfDWit1ymUgHKPUKw8diD517CF9CaQ+ZTojrDBDrbRP0O7QRlBrQL30xlTC64onQ8N1YphqIYCEO/wEzsVyUYejjeaVsBAdXxBsAIH9WDIiWa17AoKaCSUgyCdT1AEdJzuf/ILCkXI0py5nHjR81WK+gXcMZPb3mzvzaa6PDWOBQLZF3y0na+AVTTbS+A1rxEEqq6hwoMO+OrmX4dF4PR2f0nqbsj4r4+9layfcItXvbvnnsnns8hqOe2ByVi07m6Jn7hCAv38tcXdPV6Do3nznNo3ho/WTQHpI8WjirZI13GpOh8ytdYS4arRkIeNKdjvgSN4iQxG7dpmIoAdO0Zi8MQ4bb5jezpZ1EYSR+3rqBxBAOsUZRNMYjTGasGT1/rZboC1xZRoHKscdhd8Kt/KEqyfQ8OX/zoWb62PEPgiPKSksW/LfB58gpsgev0HH+6r5yOb+Xs+G6HLXLQQv/VvauWHppXDZNDiHnOwVLlFL5fXnyuh9ZTIkbD/LS2czjX02xun1dw8WS+DXconlyp2u/LYQn9yARIVUWBHUiHoV7QrsnodG37UEU96q5OaUQxnLMPe7yZJ/TQ98DNsGds6vAS4r1Vt9ZeFBJz7GHYr1uu6HUM6wtD173fZiCRo7xzvsJqFyhkbid+SF+fxiiudN8DQh+d653mZvL2XVHDA4coBwXGSmCnBVqe2iLN5NNM9cE6lpjzU6y6EX0gVGgtAK9HKI2uAIjBQdpAQiG6k14FL6ZIDp5PM3FnRrFSKNEPErZzhirAec1jBUZI216Qw3DVdPoeBVLfIKMLEbT0/tnSaqED4xVFJIZ3qbM2ZTNCPezbp/GSysu1F5H+O0lHx1HWi2+AbtYHbppNbVmKMMLQLNnZH/leS6/430C0IlIHuWpn+L4wQb71aHA7UK8nBM24xMQ5PJMmlK+hIzWlRJPFQnQkiBfDaLVFs1Fty+bdrjo3GzdhQMweQp2QQQHgJLW0lJ4TEZFCvqx+C4nfniTFnBSeDHMFq3GaR8QSi6Z4qS7EJx/fyN8D8p/Fp5C7FAFnEGX3baSKqK7A4mjRmx1hQnlu+e84WxwG4WNfmAHTWIneADYc8gTAk+JwCHikjgjKfHHSy8hsrgMgfXPJOxdg0/pOynzNhcCMTG8CItETAr8hy2NEtJljUp7sbUQsyr9eyz9UZGlVhVc29ZY4p67rndQ0X3oB9YBS33EwoJg3JzuOjinZn1xmJKEXZa5TljRPk4WLLzK7YJN3ZGtJpdLhJuRep5GEPZHUofHve5bwHpAxGl9wTIU6t0f+JGauzpy5xIbYU3oSsHNoCX5Fxt1uMQUmVBr4tpiDRsb4PfHVYp8mlRANn8Yd87kyGSy00fr82+4LGulHnwnVHDl5nV+j5DZ7uOWAz3CinOQwdSRpEp0NHEzWtdszpXK1m/eG/y/TbFL1w8dD/xgXbK3DP94S8yhCE9sbJz6mfwDlmSUbzO2PVPOVUAS1GNKVCBVXkD8TGYF5iKIHd0xBLMnF/WMuUFNef5eutyl73Sm0dQ/MaAj9njbJaMVgxEsfWnD6dTulnbVEKfRaqqUM71hPErg6LQmatkRFN6WCn6P1i/6AM/JWbaHRl4zngIpAA4u+dU6duAgD/2tN2JQzQ6BDBUyPKiBO1YiFvcPTuTx/NWQTN6ZHzi7HbQdj78BtCoDGQKjJ0/OYllju3gUaYOaQlolPr/Zk3F46NfFnjlplwb71YfctOh5X6fw4bMWohDjs5VbaV3YkQzvqsGngB/rUecuEVPzP/KQLY3vcparP64gU4zYCnRrhiouezGBkfSdMUgOJUXzeF1HhX0DKELCB8zHIfQCwdwlXgV7q4kODTqgwJIlG6x2xQ+M4QN8cX7P40Z1o37IoLF6p6Pa67LeaQZCspOMJow7u3urpR1UCHqZxCM79Oo8w1c68Tjz0+06VPe2jo30frOpt99VnQmxQphqciQ2MTorJTz+caiXdD4T9hXBdzETRHhLrIjvQUCqV0CEATZJmMm5p0nuuG+hsKodrbBjOMV8pB4g8CHw3MkqCOavvrchSXU6qklZoOl9QrT3Nvkr/VzIid67ACrqxpC4Z3ojO5ZFSqde7M9XIlghERCeve+DJFCdRbPNe6RlLMl17Va6Nx8503q6BXbnxmA/M41SIghwBsRWKeTr5RD568iV7Mk/HBSoZBkyTdQRLmXHX8pKXEz8CEzQukm053/cAfN5IHkzJG2aAj89DgmMo5fRxJ7zIipptemjiEEVfzGeUysUu8fZT4sOwIAi/8VwxiwIefCjCXog9T+tqsX1NNdWByZlxYsu7mNiBwfNaA0WaC90NN3II5XR97j3ZcBKQQBMFy2txhtpEhVtVuZG1TUKfx+oOvzN889LSdxsQ7UZszArTYzMSvBAbmoBzyrm/R7P4M+w4QdaHTwmna6JWtE+kbTiUkPyL4km+WpY/SAT4TEteeH2dSJnUx7VpJYU2/RfuXqNQ37lv3WCkVl53P4sOYr+M0493cWLDGH2w143DCc24lKkUtS5pR9G9KEObLweu+1+DKs/wKPaU7k1mYJm8WR1ab/Bo5joGxPAskG8tyahKNNYAp29Wc6vLjfqVWhTXcLvQN2qcjj5vw9p/fdvb9qmPIybygAIaL54ugAR3I9zYTnJ0c9YF2g7vihv46aOC9DSvUhY+bEe4p4LDPZwsCHcuel3+82N93wOKEQHnmvjl8lzY2BbX3QEYoEZfLh+doXjjklXvBBnEGszyS8uB4C9WEgIlaalzvEyhXFduBKRFKWctEW9UwvDzXAwBh3n9sC49dImwlxwsSp2EgjOQ41UvKzJZ/Yc453aiCLfgFE9/xLMYCCt5OUsaEqTGyGpVQzHX8L++rDva+ZG4S2kerjEN2vdHHWpHpq1rtKDvEnvHH0scPnyCDUIHtw2hiARS18Lp6QjFzG31pTypNb7WRB44aCrx0WFZFXLT/S6TY25/xVqo4GTDHmF1pLVqTv6b1hMyb2GtTDcQxIKGCE7l0VXdk7rHCTFxli38gHIdxYf0my0w6fj1+bHNj1GT7Gd/v6tSwalCh1bLPXcuwinw919tt5diMI6wp1lBGh67whatYIhPJ3ljjHCL+Bn1rJLKYautIvBYNfEn7RoAUHfLD4rYY84u5cXaUYsOe5Cz01yL2mUesoX/mMgWm0GAR/88FdKSVmMT0QhpeFv78b43PN5gurh+miermug+NF8HTvnBBlgdUZXcM3+gpKKkV5diejIX8zhaxCdBrmVINm5eo+snRVJFI8TNEpla1qUOj3q2osigXRX0ahPrOKzCONyYsXI2qQqggrKy6AV9aKh00CIsTO+u0eUHhf/p2mUvelEtQtceH3VDF/5MC3q1CyhwCBfe8xXuJzi5D6sb5x+IGyj56a3jObngWkalo4G1vlDjp4Y0AghuzP6Jaiz84OEoBRc0oEjRFXG3294ZtA4wTmAI3ApFzXsA4KZ+TKM0pgv/pwm4gijq7MgC2L9kFTVF9RldByZmBkqVNRek2sodOxJFQlFISS70Sn/rSGWVF0Ck/fj1gwWDUE45vpURI9PrUdSjy/8LznLXW8vKLzXbFkYZqjbSLMuo62IXb1Rkt7D/YbPYLZ+Lt1aYokB8j4Tte9ZEpwEKu6rhjrwp1IDnvOF4ihKTVADozr5NjD4F5lXUSzOE2269s7gZQS6RWua+ARcwkkgrq2giWshAPZ4Rc8H+UvcEQbduEKDRjXAaDxcONW1TjIFBSeHNWZpcmXt0WGC+4lf3pkgXFLkHEhlobvPwLl96hX+1PDe9PPm6SDtQU/WoYubMjXJHF2hIWDJZ8QA0IAzTkFhF+Fz7PilKeWzTEtOGZHufsxeDDxH623nKomJ+Sklp5wIGfopycZ0+mJO6JiBRF4g1DMkV3g2BNepI1T0vYm6SAKczy0Z0Xz6yovan/mWBxIR1uLiWh0RxtRCVLh9Aqzytl5clPmYUnYstF7KrPAWfgCvnguPrn/hvPtvYF1nhRadDchlNvyrrw2sWPzSSC0mIQo4GmKGODT+82RdU0q1EHfc9X/ZzMzNL/+ScjJKh581l+iDRbGCDqPOTaMJaEWnSN658PHBC7JhDRY60bLkrmrn+UvhDAV887wHKjcJ5Ad8ZO6jC+c5DpZqowwTgxO5PBHbyv4/tkwO/Bdc8rUteB81tuQisDLBTiJrX1jwT6xVecHuAmxiaDybVk9s8I59XnDwgQ83Fx4Pu5ki0WI7DsD+2DIhXqTeydG5rLjkbvgiBD8i1DnBtxxInrtHvTOQTj8QVzAVQx/5NO39wSBe8pWlkOad/wynznzo6SIpsKW5CPj0MViIQ3js9bmCQyXurMjv4th6jWANMIrBJY79B19gkUprDyuo7IolQKYsk4IE/YqjmF8FChQoPuGLHzII/GvcHTjspw5mvCofTtG/483wLqhYeFjNBWjIht0bl0erK69XdDYJat1tR0HdYJE3LaYw7BxFwHBlizOpZ8GJpV02fmZwsvzMcZAYdRqrhfhBpSiY3JZl9NQlsFid0b08uizkwJ5BsyeJJCqDRQgFW5ewTNHHHlfZj3nOALGSQ/XUaxxBjIJbS0SAtVsPzOEl+QSLYtKm+r1e353chLnY3ZkZPIdPkooJInlRLccS5mpVetk4cQbs9eDd6xjt83ocQBXFEWKZsbohlb7yZt0jD7yfXVBr6+wm7N73vwzOpaFUKomp8RrAYSTMbUMJQcf7d5rpiAwgTpQnFwEB09KlP27ZVwN1ddvkERe38vHhNK46sheXsw+isaqrO8o5oJCucwxOyORz4WmzJMjbDEZxuXBIEWINGM0y64F5XOnXWLUOMN5EPL0Qc3PoYnXoGEzsit3GaILD2B114lU2Vx0+0qkFUFnd1vFImeyBUXndmVN9w91aSfOs1kvl51RdGCq2Oh6YfM9ghcaZQ58iO1eNi7Wk1TQYZ71HaY6Ux4oVHwZQdivX9MbOHkETbDgaOu1LRx96Sq4ltpFQ1T3BJWRzilFu0K7hgLEdQJzGddaXLrF4fe/x7YgD98EVsf0FlamFcyEcazuj5iTk23fMaDJJJaKh0ZWifPrmif01ncI+T8p8RlwdCTnODi5I5zjkaNHklitRKVDPKKDDKzoxvFxrRANvFqA60Aap9PQPua5rhaQhJ79S+e6D1olj4l+euDCsSJgseQZeSglxZyve/LWgpthKh+jdNKqphFwtBT+F440PR7PEOIrCb2jIa5lrPnu1+xk1QF4T2kxfNgseIVIiqP88Vcnk4FytmF+Nk4p/7wmGQ8orhWLx7+KbqE7vZscO5E2B+tDyKWGW9+DFm3KjRCuhfypi0uF9Y2zVApmW6pyGAqeCKOrX2l8F5859G5SRfehAmyL0AWScYrL8iUpLdDKEJ1+gkadM1mS0nTc4NGY2CsiuCb5JmKjCb9hAG84PLE5rIWETJTU2zb7CQpFj63UDWYuugk5aIFW27Lu9fhS2XyVIamBpGCatORPCsCziI89sxeCIPYnCN2bDdV6BDzwMkbM/MzmB4rli2081Af2ce+HrS8YOGi12iskQEWgisj/83cVQLglwjxWVQibyQlzKntPB7rrVfvKPKRLgF66iLRR83WVlu1SGfjuxWpECsF5J+XbU8F4AJV0q/nVla4Iuwu7/ZQqI8UOcLFgjsSLeVw6a8vzK289w8VA1ubqwl1rQRkwcogq5IOHITumlcx63fv9a8aA+6naK2fqkb/lXdz+KrYQ00m8MJ4xEk+SZ4H6hGqWyMdYX6RHUYCy2E14XyfpnZi6i4GY55fntq2+csyhyAm0K4Zw9VYnZWC3GCx6fhExB9wyxhnqS9Zk2ddFL7p6I9h8RH0kQLd0YCpr7vynC/GF+pkFDkJhgC+MJU4BcUGCBxK0nxAZTr7ykIYEO3FDtMdpwbVhHUN3HjX+zryaeso66+OQiGEe0TeL+pMgbAoZck7I72f/PQ6cmSoQ1Weh6oj3oMPBGx4b/KECHtHP63DpVYPYeLGs2CkX6zvu7zigDm8Bu3Nr5pkESvZ5IBfc6d4IV7RcLT4u7xi+xHuOO+KKNqpOjT1ao+EDvasqEuQ6xT1+Ac1eH1RjbhxwkQJIexTKJ5Uwxz+kuv2BuIKn2idHacGZiswna81m4xIZdLm8FqvPJ8kkELguzl48F4VSpGXpNyv/LAN2ITZDvvlWUTcF3Gm7HO1rG1XbpS3NgfdLDJbV3myIv8zzEXFARAFd6zwRTUtRXfUv1OV821PUsEqt1t0iwxz4bD0R8R1HK5sHTz/NlhC6c4YrmkeZtQM/67ylsXIfiK5eGLWgkk2/XqTmuTNZl87T+9MkbSBvjYb/IEg9wdLyYMVM/fACGaAvU6BLzfUjp7vTpwnZbmWauI/PxaKwo0bUScTqVtp3ECW4hmCZFGcZCGP7Il+EO42xjYsGAdrhFLeGwELjdpMmFA03Tw8tIWcrPibGK7xocgt+cJu1PQd9Pyv8i6rxISP57BvcFl0836FDDBEkWNibMLnP5I66oxoRklbuFY0XfWKdXw962MkM5H9fNM6nJdmsY1ugmSBRNDVD0ej9kJuhyKpe+u4NnVNYVuO+tD8MqGp4fjTCn7tzkyVEv3YZkzsJ9LCO3vbkupz4EvakQkDbZvHqGYkyo9l95VmHl/oBGMzsNl6m3GICSQU+OQfHbYYZmtCB71/EG/UqvbUEPqLqq3EfPHhmgKs7oksxsq0pgY0DR2vMsB5vFiwvnqRPa4DDLvsityHnNyE9zgWqGZknJ8Fpn7Abn6cZ7ACXss0wlSVUA4yxTXWF4usXp8F6PzlXW/12QL0wO1DU1Ba8+6nGFSg4TQ+XbR1Ktnrqp2DXhkh1NqbUcKGHfPRUMoPTZRhxqLNA2Yv+coxantJrdLCtjOd6WFupUchkJA21oJ9sA2Sa/faDBdpF045V4UGLoXuuug7/C2MDpp8BQiDIs1qcAaClRKPBz+94b5o1PFrQHjJr1FdZ4EnZQm6YEC4vbD4U564f9ElqTdzfy64YC2FrB/VwtoovE5gb/QQnsQY5AvzZL8q+x+pyhpEbee/DRq/4hGoB8Pir6kBQ8Y/ZrElEKtHZLPDzvBIVsGIL24Na3gFB+X5lGJH3mutbVcf/XZD9D8lWNQtRdlgAwIB0Yk+4dYmZl8ryC+FD3diT733RQRDjUx5AWO5QE6wqsjB0daFMUVhpJZn0nrxezuhrCEv8Vh3U9Mlnt8u3AoBJTRErO/5IDyW0UHoKJDT31JjdiF6/MBHS01P0jZGAVjcb3wVr9Fq03TAWtUlxE+zJhB3qIZ51isssmT/ygGOlDlNouRfXUQ0+qGqd/UcIjSwS9HpX66the8ohZ3Mom/Hq6PmtS9p1BK6atvZY1y25vplwjbVQ9AWjcWLUppn2O/PmCFuN0MOZ/Gqq9SbTT6HVPeLm1gFMbGgS0/6CwyXc8X21eSYcPR/7y7ApqzjRDL9RBYE109n+jDybwJlWH0TgKYTWrZ79Fo/3Vthua6fsSYFgjVIPYmIGGMTJl79V/Rk5ghVz4wu7yx5eKItSJg86bN8sTXHG3xCnxVdrPIJ1xRDsvauEYZpFbZRi5ZpQBgtRzwII1WUSMufMFk/12GvWy690u6EVE07YeAIBtcD/0mxEO082zrIUgzajjXd3H7YyAZF8Mvx22gmKfZmZIxPnXcULOWBXjsfcBcm5BIp62J4l2yZBDDAxcPMN7EU00vA9tRZNzc8dqAXdbkTvMc7lRGU8N/4ResO2Sr4v4+bxWsmv3Fty2Q16luL9yE50N0tbiq8C/tEHXlbiU9Lel9M0MyctI2ehZNHl4P6mWLCQdE6NoXnRoAkMbyXitNv2v4wBq1NpqPm/PaSX42B7bw8Wt72LpHtBfZtYUFY9T0s4pRg0sgIEpGx6h5OOyS+tVh9YE24lm26YUkYrbRkgpoxxvnShEgBhTdKCFXkUlX+i7bxV3SoC/sA/7eO4hB8c8D1A2Uns2sbarEewNvQ1YTwLK+P4bRIPzKr3E6i44NNZz5QmOKAPmU7igy7Zjqcn6lUwh9B5p9R1bskh1X5Ge299ivkxl/7zOaRLSGap2Wbg7LFkW7EY415nIeBvTdfnm+sEKIVljLO4+VKF16/17j3bOj69STf5tN+muKyTa5uHPPmHWS85VMxCr/n7jPOLCFthsdKtqE2m88PTi+H77uG9DcCBJxT2BwJBffdmyD4KGkmL80OZGcFiH0LwZLa5ALJNMmLlWkByZ2cw3nyhst92PmR4uGLebzRTUD4naa/byXo2l+hdaDU+d/l97WBBgrdl45TEd1t3TTDI1QnLJdyWxwLU/JWLsO/Tufi0Qo6R+ZWmizXWuJQTe7tU9lUQJu3WD3UCrKrF8Z8tt1wcUu+QfU3DEodRT0kzylOtIeM37RKNqFZ/VGlgVvh/6nOlS4kG7R7+TxyW4xmaWbpCHq98VEmw+1PXjUCOkG3zhRbWtuIe9Ij//Klf32yQx/F4+hPvK5/jgMYGX8n0MiwOslRTQuGbCkHt+AVMvzFODSAgbAW5ZXlWoZbGapujQYMJ74A+fOqOA44ic8sZSuXLXLSQNXzwG2JMRxlNSNeSLQnZ5JNF12NzOz4qjfyn8brOnEZqOUfloqKg9mDYNij9my86yvcU/tt9jyC9HjbtHgWRTkgQR6n9Zu6HYLYzMJr48ZbJrLdzytIoei1fBObIMWR+2yz6WEiTd8dE7phIZFU8X+aiEiT6l6eN5en9hjCCJjxTYrCNBA9JNLNn/33gOnAM/zOHgfWRAIXrzZ2Ptnar47WCUHvTukefrYvIxjU0t8iC8Kvz8HUSzdz77kxf3pmA1OQnGAE5bR0u9e1XDopxrKL8pvmMZmBdlhfmik1wLJ7uvUvm/0MBZojGnfOUhsozQlMeZUJ8brX8nboNyug165Ex+u0+RKRR13JTDsJDtqjvCREkojM7CtQLHdbFWvwybH7flL5U041bMkZSJtnyWRLloEB+rpa+RtZMlVYhY6sdcd62nfRPOWjA0c5wGtu+tJKnHweDgicGvBXpAYExT7cDq9qw5q8MEsXdyErfKJ0I7xHJWX9sjyT/Zk/Zpr7NLB5oBjBseTdSVxSH2x4gp5ZIMrJRD+A3H2Uf4hme8PzMutnzSfjkCAntAE0NAqarZALy+v4jw/nzc8oHNFvsHbDTahnUS+QPSXYG1pM9RS1gqN8ZyXl1VcaWEPYwmxJKy5fjIHvsRsbCwS/1v3sddA2lJtaaFiT6V0Is+qI41g26ZARMBZVlwCCg/YQiJOLDw4dE9bwopFEWAr8gS3j5hnkV8qP2ikgIMHKbM9OObJ+EDN4Tg3er70XBeuejE56RSwBQYdT4QUFPIYKJZwm7jpbP/iF23UR4lP5NWPLLtCmi/CGZPpg+SMwJO9VQzy0WOeNG0eHWQAQe3WEQmCDNM+IlCxTNBqbHuugqudMuo0jX3s1QLSG3OeFl2l6YbKxDM2v2M9P+3/CY2BF/DsrxpEPIVyL0E01vQG/qOUR09PS+z8RqnS+yh5+bfM8v3g4OMXCWruvhksxhSY4rXt+b0on1qutCFx8gEgEuc/hTE6Zgaa5hKgkd66AFKkBQk0YsewlrDO4GddQES+csrd2Y1T2Rp8f5sZPRBe4r2kiEnU4s8JZFaUYQiJUyNX3r33nGWV3PD9X0qL2WMHNFFptIbU3QkKvD20JTp3xwfGdjo9847dMwCTDujY1fW/fBnemkeJr/yOo0Ym97fZWhWyW1hQbI8THzziSO3hZA1t9MYAqXcsinmkOIP4clJYBRrvIyy4SvUXLqrg1KmFCAo/wTwKydqPSjh50FXBGcbn3GeAHTQZODy7fMGhzH10PQPTJO2Or1DpsYe0TrnGCTWe9X8IRceEjIHgqrYoap4M1GZ8WJNDz9yGUZ7YVIyagiPDbb2odLanAZolXxfOUL+jpIcs+dQqXkr1cMCK2U9R6bLZVsFpOKUvsu60IyDx066g/MKJbuFK7EimTl4liiDehxqcsBPbbmEYk9IdOMypCPsx3A4TEGBhkh+CCuiB3FTkCAUIupOyBoEjbowanIi7085H3SuPUjlT1LzdXV6jXbsLcrJ7ow2QYjwg+XLpbHV6RkYrtQYSk5K8lEdmHxKF1R6VclUgcKFVvgO/fAEO7Oqyr8V9oGSL1gRtrDHS3dqXHP3xJW3PjOkgJFsrQtFjZZW7iiViLyQ1Uc5jhUff0izNSXxN8UGC6U4uv7k8nGgtxV5g/VKFvoQoxm0xkG7I2H4k5Ryc04Cmo8UI74+0kpGOR9BIScvh2sC9YyYZfw5Dxxiodb+8A9TTiLSJcUajUDu1oKTTXPmzu114qjmNO+QnvNxVAbX15BdaLWkmO3ZC6nJpdaJCObung15Wwdy40U1hA0XrNUdf+N+EnuG8pKG2kF8c08Vh7bVzt0S24eamdKoybujD9EUSGx1W00nwW1z+6fjDxOKg3ioF4nnbmsmi6oY7cg+Qky9xomLTNS1Bl7OfbVq9Bxm+fB0dMnmf4oaG0LNFsTfpG1UY0xPjjPKPgQfbSYiyT3MMxuDvHhTeiQnzhTDSlkurTDRnsNIL3CRE838hz/gB2MKA3CeU0kqohB1m2Z0Of7sZ9AfX3Drcq2ZIHuG/qEnXXZGaz2JjILsxp/GDfAZUz1hNFLppNkn5MoeBP+48YGWeDzvBHvj3dGigz3GATbxeEf66INlCbcF0m0hyAOIqB2oejveXM6ZFR4cTZMHQS8osKcRqeA9UYx0NzTmnJN6fU9mHlh2WivUBd//zcoOyWAuBwwf7fFI496QXPOobLZSmFRom0xvgA3A3Mwdq6W/992HH4FU06CzQGc5uy2IsBOkZM9Cdim6Q+owtTyAmhgpGz/Q7NHMZu1nkW6/RoPEPZ4Z/jK5KiDQrYIztt72h6VBtki+H3Jobm38IZBaF8kyRgIjFHCL8uwZqdOAEqN6Xn91uOWPjh9Zr6edf3/jIfgWVRfFq+kfLazUs4bX0INDHRA18r4MC6SQ8o5wxyPVwMysONywr82qIkW+x4IFPGksHNjW+5PVPQ4oFmHeaVQlSjnwxGLEKUYjqomD7dghnr6WX43Ng6CfgzDRwI9ADVTfuhKajlhJ6ZAtWjHnHYT9M/ZXu2eD5gOXhA9d5HH7AbJQ9J8rMr1ehu3DjWF4m6EDQp3248PjIqnFtFts4yOOfxyUMpJjLr7iKG665zQWjGdoF1xBWqgTMsRXxLy+ACL0btC0mtBlkqG5G8QtwahoHJMm1xuUU+yfK3xFccjfT8b/fHubUk+f3k65l+lhsgd7B5S4a8sXXV2w1CdjFgQFUPRiOTDUF4zAdINveI8jdl3GGvfcvyh2/2tBDM0XSoD7iSrsRxj1MLVLxeYkTolSAMvgTIfWGLvkfjQRpVQonQDYDZA1VlH0MwwegO64KxMXRXG6KFKaiGs1z1JMwisneFs23H+ZV75fE3ZY+RTBCK9DG+uOGQikkXwAmGJkcPHcqqAP1JsKR2Sm2Ul4YgthIkMRolRmDhi5FpYtBWTLRdDq9zvT34j3HPH5zBHZYAUQsqwkwi5KSfogZ88JEx9PEfpWq1B9r352dunGt4J2eZSL2oybYMum+VddEdJ+9/yCWhcLzZwiFRiWJCvQNA1Lv4bj9eVVvQ4bVHagXy0aySX0codtJXeLZYBLy5/0X92O4qXnm9DlpvmrG+cTTxP13qLk1UAfLiSzR73eDEL5A+4S858Kq/Tgvq0jNpiLmgmDLFS3wd9WAGcrXLuUjjDH5QSg2+SsdjV2+xh++1MV7nBA4Z8ff9+nptAToynRoJVPDiTD+dZ441hSFKfmXH2XEhzOWaZlalIBEaJj9r13CuBidVppjsInbV2coO5i0t1dLi4u4uO3NsFM7Ew7+rglnZw2XXK95mKtKRogmDmP2zNn9yPnbqA64NkFBNmjKP9BuzDzGmQxsRJ+v5RvAM+j2+/U5i5UlpQqQIGj0Gv0T7v/lCqaNqm/2JS0EbGthpuZVlBF8lBWWh4jsCFss4XthSq2X32mO7FP8iVGtqTFBSXpT1Ri+VKEiWCVd4wAIYeUceWHCNFA7G4Zfh9z70bB6vjhA5pJwJKm4h3C8oP9SDSUW4+IKIhLkY4/1MRDgoYu/ivGJ6yMCaPdf8pcRsOgTM1iRXLSLf9/AzR5kr8PKbLfe9ZmobXUXxJI57PmWJWNP1hdXqEUYCSXcumJBTob1xFkZNcmXtHnKBUYWNezlcQP2mjw4kuwnMKhvn0x/NLrFlcvRhnyKYjXxLG6GDs7iTgyPGrlfP6lJ7Ba6xbAwnVu7snkx0tu63Ee4LRr1RP7Mniw7Y1klm9koldC6JqVMnOdJhTVTSGz/8obepKzDG31dIexPFUv+AmElGpS3FoZ+BZLi9wbph78fH1djP/a4yCbbTJrfFstP/EChMc3MEsQq2GWcAM2avT+LiS9lB/GdoMlujM/f3HNhi0FIbVNhupO/y5aYS9BG+Otd1TEEYeYyE4XMxgNHAoTGMCSARiCXVsSDBc7bKFHbWiv3mJcNqmPNNHUGKzPDbZgDnGZRG8Dc+CKu6S05Hp6GUn8etYHt6XAMl8Lr7+A4dPW+IHpq2ESCZbtuDAoDghx+LZRFPF6uPaiII6NBVj4YVPIX5yPmhlCcbLPYO9j3msfNUhPhSjyLen6NQM9zuBbJv9r4n9JQAhiMPY0u7xvCTtS3Xe/h7EpZcOf0KlIi9I+YchHPRDT1Vc/cJNND9tyF/qhSD6qx50BNYrb/CA2q/ivh1lsStdioVaTsptknP1Bo6WV6MtWzgCEUthCtNJ9INvOiVpEOK/kDvCw5I2c6oYd5NpL9ZdnV6djrj7jexAIQOt0KsRmzKvVNL4Ty1kyL+Cbvljr3G4iXCJQHxBMHsTZpdSM9hf39Iqwc9sPv/UQvIfwpG0gYcsX1Vn/tdIq9Rg6DGanylnvkIlxfpqE3slSiMk+DfDnGIDMxsnfY/Kbnu6eHFQSwCNI0PEyRz8jk/vJEs1/kxNMlfsfzXC0Lv8CV30CmYh/p+ZHqmkg+NY2AxMGCXtONAXGMzRO/dl5FrnjAgPvphxzcgDjSOqJfjpR3HvUP3lkQAMe50emQxhSMEnFdV/+KXxfN+aS1letuwMf45adYCd6BiOpMSGHR/KwVPD9oUPMApe62WktN/R70Ui1XTx9k4qxiuS4fHAQlaQgDwJm46/avg0W5JS9Zy+vSLDyb8XWnhx7NTXQ/BhfvWgWv1Vwc7WDP3yCIB7eoGpHSL7JkyXiPZkJeigYBlEQTbLZjgO9ze7TjIVB0OTnvvuHjiko9H2FtlFqO5PHz5eAPfZiTx1AGsGsADMDchjJ3FnCLqDZuIHVmphj8/EGMGEjzUBw+oXm0ihK/2pI++bHwZYWHecQlLPVmSLPmo+rpEmg+CrYl6icRUC/q0I2URI9vk3XNyTLw9dlvflZCNTjzL/q+eEuX1DDeYcgF67qOA4FmGOOW4N8CFO9QK5Q+pT2NDMXbjdjcOOMEh4MPIVNg0khZfC1Zz90Cyqa7brYmBRblNb+/ItVtQkld/pu9HXxqsR6jOKMfKHSyJVc/s5UKa1T+MHAoBUQ8jQ8S47jIFeBuxnjuyM9lIcOdQA9tTyOWCDU+hyyc999r8EOV9MD2wde0lVgnhS9B4LOvibKLGB8olvYiCaO8aYnULoh4cq0+dBpjAlynOA2dNzBJGdhB3seYwB/2Xv3dFyEBPq8kL2Gn31CSO4en9+muUiOsfaKal6Fag/wJh5n7gdPGdNE8oa+RvKRIcfzo0IMGvNXwnpJeH4JLMOeGq+vuby3GM4q6o0fYyUPUwSlRZIPEu3P6Os4DoFt5WNRgYsGOjxMK78G6XC2JCgJMqIdXhLmOyWevZNVMnImo4SGV+kfnm0d9Str1pKXKR/5d0smjQ8aZcvlAHhuVTHsggo6AuSreuFDuLLrl1nFbhwwX5Qz6PLqO5OkPmhlBU3cbwgmH6g3TC/W/3RD9o8ogEezykVzn4m6toi/1+/oiO3xTe0d3LBotXbg2hqo36rZc6gsBC8lCffF4B3+962q4Ug479NNIu1B5DWoGFWuRBidLW3ZQU6uBI6gw3ycfay5Jgs9FIk5qTp6NQVbuFPwRSe+cZD7dfveq6sDAo8H2U6pSlVnviz8JMUQmLp130mUzvYlGj3FudsMYFSdhhm+ydnnq5nbnf0lc6YElE5YBndJ5wxAn7CcH1FG/9LMfTNijFgxK7tqwkmfnwmYeqUZOBtIG4RejjWpWnq14XOmj0TmUPKYor0msw+4XxZ+sDuLdG5s+as9RCSFtU81dnotbxLC9KnB7jbmrGbZoGu/X7w9sby6yq8H0oMVYrUE17vB2LOrmxzhRPgVRhmgn4UP1sQABZuikKVUG2rY9ibmMJkLb2ZoX9x0kIMhrFW9Yp9GHSRaQhLoeGpERZn+YqvgjXWp/jKh+tIS13pCHT097VHDq0R46FJFfFhAdLS1LjbtVNk5ZCDk+zGFn8voTFp8T4UpSbEsqYgOZefnxzX1/24plxCZBkk6aLZDrTdONAZ0o7TklvLjNClWe0JMdf058khf5/FQ2/S6roM9sGTJb4YwbNbu+NfS5dg8wPgl0nmtm2DAeb5FH8G+/7MsabMzhzDGEWX6fuAm0v73YbGH2X2kmEnYmRGjToNV532vKG2ioZnJBcqNu9KrLlxxT/eyLoHeu+o7V/XQgAZRSc6j3ZvmEryAaqW+XV+eq3oVW7XnvIxycRW52y39NW5LXAE037O4qL0WSznUPRmStJjWBahZHNJIBM/03XyL1XII6eXeYtF7QBp8gMTxjFPoTY9/1bUKmx0GRg+rjjDnugIMHaYtsVWnasikUJSvpL+HkLYuvz/p3AcobQqkXTqanKdrV7z8XQ+MIN2z+BXkN0fkKQLLBa5IbGGwScjRMZul3Mv71zgPe5Nf5FE5qva6s5GoynmreWrYlBywKkSNxtg4GBnZxEgoRCvwkRw8oaNYHJGmfhV+iOd0hKP20PKmKW/CIy51i2MGLsq1jwtfZM15bDFZ9DCPcAL8U/kEiev2i6PEwfogrYPVjxYMScwKkeT1ZhSA66yFYArIus5+ZoawoGGYASI8QajIIaU+7B7xfoX2VvADqcK7D75xEsDElwxdOnRdFuhw2MmmKV9VAt1IrrFLNkNY4SVDUI41WVIYfr7NFBhdFM5fnar4oQc+Az8HTOnU9/fL+m+FH9Hrd0VrM96dLZGh9LbawMnJGV586BEOL+GwCt6NYs0Ilp+BLb3rKAXcnU1h7JOsPYPv6hZFJtIexKBcfWOvOd2IJ9oztiF/qZzHW7oam7vmtR+sG/Hpyg4BjeDjNfCHaYG+Oknxm2wtrAU0lv8fSpykVbrUl8vlc34Fku7Bpv3FS1QZc8O94GEjeaiT1strBmZida6Qytka+XC4hq1pWtRmlD1w09L6Q6wyfMXSCPaRHDzRd/po9c9f4hn5g++dv/1ndpVIByZtV1BqgvCRlcXOz2/S9NrZ5XlKUMMpypw5obHY2bJDHy7iIv+OKaLzELVmo+DEfL3DkVexfF4VbMRIMzvVk4gLh3Ry+kZH1BwEBh04e0cWoGJRJM1i2IGXxETEZKfPDqK6dYJ4iaH38Y4QcwnTW6V98STQJ4Uf362vIaAa/dkH+F50ESXafFh9CdhFCc2NTj9gjLom8v6m4hGiz+OaWvQXUvRzVLrPZiByxBPUKyXde+KseJx273Ac7oZxwqPD0pfES+aqhmuUUCJE1bEfNfCYWZxKaHeTqauY6+Y9L0dwQXt+KhsiDUZhKF2K7y4Lz0++82NU5ysULZmFulw7FOvOhBGSSlj+CUZII69hTCTfdTt2Zdpqn7+3mQ9MRaSNhAaX2BDEZ1LbK9+QW2ANNw6vsSdG9H+pOQbpR8Ggorq8EvXbH5dT8OkERvGZZJKD8lxPvLHyKMnG8V2y54vbvBjlpgYoDM731kLlXtmC6juoaYam8JEPv7iP4ZovuL3OEW3ILdWlIZH+AHnfm4adNccLpdNmNAKKCR9eY2dIe0iELrp63xCapRTZJ/NtLORyhWMohkGv/Y0VCzhBvF/biuyDzJk65BM7hRBgprdarohWnGB5Ftn4aHLNjKeLBlRR/O/fgJlMbpgt9gdMTeFkltu8PsNMef2pQxla1eQHbCnFEqctRHx6+fiMmD/0m0EZ+M8kcsfdv1zKfx4BHJYEDuDa/oCGmnwDUSt4PA+5gFS6QOGgMkwpJT7d0hX9aMSqYCZltAQ4WwJaKfbkduY0RGENsukBpZak2VDznDGH7cVnsZ5GSrrRECTbwvT3rToc8FsAu6FRKIQoY1YCM0gk1TeNsFSSpnROs5U+LdqfAeqoQ87k+QuRbNj+tONOgrpAdj5ZVj4uPJp6zDjguT9FHx01pRzkour63K4SNbhesx4PoBiZhdLJ14Jy4x7zr+GjFJ4azOOTXIy1+N2Lhi20buikX2XRmU5chRM+qBjfUMTvrVoPC+PBowlPlRBmyXHmXsp4dIx9v3vsmYGOi3IaozHH9y4JXorSzQIOSCrFeBjzteU06R9+IkNJU6URbWGGGrmCFflEFznhla8hCZlRV8hGe25coO1vHPm9eZG0P7T+P+SUBpTMSQOzXN0BAKHrssO15ShLwBcHCIHL2PFHb/hNPUW+200C7y9pgV/wduRU3mkO3Z5U4Dt6PabItz++aQsS6dBtTxAGwqa1XX9zmSW+XTNmlwkqaonRLJGwk/uTKnm9V4dV2/+KdMg7vXrtkK7qd5lprpAKHWdOHb4On5mutTFTuFnqH9vV8KjyvqMorU9NKJmh2lNxk+MTqAuS36qcPNZ0RFEKeskzRj7ugdFEqnHzmXDqroQ7Yo37EEn9UhTCJOQ+GQnbSd6uU3Wa2CqIWL8C7zNuVRbmVHPVcGVWXId7HRtvlGR4xuIXAe9DYCqYFoRQP7tuwe+zO0e2NC/VK91R5PGGc0dIQd+xBSlQmJYevTtpA5UGclGuuX7zxxMSvYwvCvhcsdEDWxNoMsg67p3OAQRDymtuNJ6uHm4I67F1MiO5BgQ5KFTAR0kDXjjfsw9zpasE2LNpOZLWl15F12CwBzwefCYy2LuhEdjAvnYppYloj3/BmNNgsmiOyFgmDAsXKuZ5BEeatsA7yeaL89TG18NJtsf9FzxFIG6CxCpqU07nM7c6YTtlQzZPdSkdTmRE586aLBW1BWU4FJD11Qboxw/MVSTef0gY8EuaGr8niq5AQ23VBuRORFbTJx1KYkTRkWpjQBOQOOuk90/pyNVmwacvizEf3voxC3G+Oa1CL+W0gjKv31Vbp4Vsqidd1fFwRarEWAL/IbjWW5Pj+fICnc8YtRnjfCn/dTvwP7jw7Dr23SvzYPb7fKygsgxDZHpu4fesrripJ68Zz2kKCArltbOr54xA3ntn2dQMG3K4anHu8oArdIt4QcxtrDp+hcND9rnENqjcMJcpZwkAJo4GMnAwbhY290KV31XHqh1rutzxsECRcFzYy3eb98GOZnRR5Ck3UrLr4IaRe4Zvwwk8gr6aDbp2OTFd9ZElzzR3RKZCf7MGVe1t/R5ZLwIjuJa+wx051A/yFzf2taeN8KTMF7uWy/a05ID6ez8k/xrE5uiqXHPp33cyLDceI6Fu2BDFUwBRF4gFLVMOw8x+SoMf7Jw44motewSDvi1OIyapo/1D3wTSDcXJXCCy1xJdK5abMfJ7weLt/Q3VaJNSFWYqkqAYlwKlDdjIcRjomn3Dz0PqzYap1zH5ICpyAcZ10o3EnDm2aaxeok5xiOJfR7PuBGZCuwUFca83vsbSEUiVUujlv+OKYzhYtnX9MKJkndhM+R6U5N+5AE8Ag8zt9mKW4zoTmm+EZjLwqGaAQoMkFsch4KOi7u7BW8VA6BeG9TLPnWJwCcc8THWKipDvUdiB0WACMVxiW+OptaAQ7XpdTOgEIh+meD23U3PN+5YIyD6GPfXugCvHYQIsn7R8nG2e9tgw4akuCbh+UYWSS4u285kL4EWIO/4qGH2w0FDCRV5PtDamc3TpvldKag4IJIM2IjmCHZnRcTPEoXY9/KkCNsH+pWNU0tsQ1c05A25XFAwqOwt5Yc8UAh01mSDYyhoYcPFAv0KYPaWPOfKBSC0RQQ192OnkDNAUEoKcVKc5omjPsCc6cTz6XS9FDlNQnLYwIewxx7z7pVr0PbTreQy4VoUg805us/nwdziaaT3KVNmMBcaHCZ0U4sn1c1Sfr7QmYjz/nlyzLBNMG8965oIsAq83QooJHxzMdyZ4AzYbM1oo/lDKzMjD9kF9MSaAGKauqciQYDfFaCL4DXvScpx0YO4zO6GQwSibwRguGOGCj7jHvFqqT/cG+LPGxHNphpHb+pranWB+MD3fB98/lvIVBDq0AXO+a/dQOrjZ0ZhyOJpr/m6BuOqBhY5kVTN7gA3EZGlJUdSDpVDZR1iUHhxTrd6G5s/+qr3I6AzsJgp/xTDolcq1k9w2ljgNkrqSu2sGA7yBVaYVjoroC8kDY7yM4TV6AtS3m6ZXXbXu6GUAbvPxuW8g2J68WynH9Cq6eOflI9aVPv1RSig94C/SbP6dEFHOsRwV1p9hSLI7icJSG32zpFNVycwhq8phSMG2I2Y9H7AS/7y5Z9g0Wtss4FJzm8Tx1odVe38vnv9dFeRCgipUDd9pzSDvATSL2NKXEefmF2R3FAz9nSzW5z18SFbUBTme864y9V73l2Ug9192r+CNxYMfVzCiQbS5KPNytdYbYPVHlLYpwngr9XdmW3piIhHUJrpztXr4x+sVPv8T+ib9Sj6StLSwpBMwl714Tje+wjExcRlXoRzAUB1/Nx8ONIvZed+HL5Xb3gO2GZ3Y1cIsJr0/fU3oNC7TMCxXKAWcFjOoXU/OBuEmsTWFtcqzweE1NoXjkix+p4zHrQIaQFh5bT3sTJOUi98ak5FwEL6YsC++ClBqDrCmoPPvdSl2aKC9KlOEFOJBS6RTYIsFb6XBvNFbbybuROdkRD9MOWxNyL/8yfKii5ycs6SGWKFjjS0kEGJtzRZzokP/QAbDkNJT6PgOhA60J+ZBRh8T8SAL0D7iMtUOORNScIYODh4S3i0guSQ+fDUbhESTALascFGuKu9INqlbBBh4X+ZrBVskKYVPCjlc3eZRvFn+/peQRH219QSW9oWXMDvE620GrZIXppx9k8Cj/1aSbILKEpdnIEB8xHOVciPal3BC682Ge1W4EDXcVPMMfk/jzAH851RbPUWYa00EE0RUk7XrTTEWydyOdoJAxM/dApa9ji1aY295zXYbVXkt31AbwEWoQCFYBkujMQMEf1xXLZ4ok2naHBfTtr4op+9LqNjKlU8Cjj1umjX4839vVfzJY6vh6Ga0JBcOt8hB2/GH/rVXst/Jfb1z6DJUmEK5QWp+Re7AM8bcx5rLI0kNfFexG9PY6TFYNpRfsZHlLB8aONyrA/5X1u9qCVpFM3EzVzr4OLEs2HFAJfkOgWZmAXAmwyW9f7n9CcRV1KAV/qt+wenby74hAEg3zj5xXdWNXE2gkRPzMjgKN7sjCBbKcJqBZKRa1BKIPYbJzAZSJzCKSS6ugFWHOUm7IpVqTF8wt5h6pIQrtmbPg4j4257zeP1VGWZZoscaaUCwMXDSlZyVjy3ERERmphU4ipKxhb96nbZaXuwaFP9cFNth4xjX4U7MwcyhcGp05mvuTXubQ5z6OlQbwcnPtyp8fdEMZVvASC3ScaYhx2AGQPswlprVZPPClI3QBRLZBmonkGIrzmmlqviFbF1DeC4oZZKnP8Yz9n7KT7usxRZ9NPjWb4UirJ2/6eqaQbN+6JTuyoaCXCCzVajtNVeQZbOBBgAGBmu5v2uqaxbMdSrnYs9PD05GH2jr6E42jt3eMqLjXEejfP7Q1gmG0U3TX7oZkC3bXbW5m6/ss+Md0INFuEc+BRgFLG/VqYJkS5TSjfE/W+HuWEz78DO8hGZUboi/QjKvkp+4qAbu63B4YdqyDhS176b6P+4FtV+0u4xtz9a3xY4jC5mKKgSOc8nQKgg8+OdIFTWJgTMWjIZHquEgzsf5tbhQ0ALTcevTMLICQRFe/D05etnFWzbXhwUE5ogmljY7xFuAErYf+mET7OL5LaB0S2lS4d4kKcgQpwU1U2DH1xA7SYmHMrs145NQACEpwrjpMuMmg47L1SUYT97erUlc2SAZuxyNJVjv+B4LMzAt/hwS+nDp0knTJ8dirNHzo+dXZSDdGVWpnYhmXsmaJLQID3jym5jIxKx+DErAEmTFs++AIpVas5PuRCqaIuDJumA/eUDLD6uDz/YaOugIME9onB2ckm2pAAHT4e7lQ/lQm6EioObRXkh6JmY37RqdVKIYGdwGYi4xW7LPWcM29CxxHwsc3Q7UdAZGaZYe0g0z6mjTMwqNx3aBGkwCOB6FrPk+gkah74IxW1NBx8suagquYHs8JQiDHtOFMK253ALZ89rFhlF9px/Omi53rRMQXMB1aqS7/9qbw9LtOumEpsz7Nh3SdQui19CP9Gxm3w//NsSX6WTPz2lg2aGaKx0+yFbZy9LCC8JV83HpGBJhghs2+7mf9bixmW/FPI9erubrXnR4W6uaZ/5zzbOolmZ2qrPuuYVStS6jqlYbITXse3jEuQD1jOcYnNYNkxU00YOVLpoQTtC3YAazCyl8mNkgG1pgfW+yLUTqG4hVGkdIh8Ttk4kc5xdIYqQqwVBYlLttlUjXZ0V9HLahTw/TyCypSi3V1rhTWyxzx53gOLirlDycDUEV6RkYd5Wkui8jJ0w+dOZKQMsix57ddTFfIskbJUDbDxrWakR0+6+4eIuTNhhVPfkjOJk74EFcC51WFMDhNdKeHIECM/UrR5WJ5GJ7HKdh7+I7sfPjOwR8ySjD5ex0/x1xTh4uI3HJO45gCePu3UPSZdNx+hMMKhd3U4LNElmvdX7ovnvB2vAq1cKSVWy/s3bI8xJJdyXqqU/6RGH4DjfyqtJKyPibNZbOTLbENZMF4cPVMY7Nm64RG0GEz0glmyQhk3Olj9NpsP4Grnc1JmDv5etgG/5xdngrQW8PsE8045Tk/x86cJNe2RLfxhO8iOWfjJm4tqLEhBnxweUyZmysAfPxkxM0SaAWl0egqjFzzhNnRt+d5noOxqYKVJj/1Cgtel7zr/MwqWcg+FRd4KNVAAGGBuhGmdBrFZJUYoP3Rsn1Y52QMduSLtWPMX2ZyFYdckTAiqijrFrzZJCWqTbc9O7pcOo8Av6JI3M4ZSGcfXt1oN71jDwehmIa7F7B9EEp/1su3KeMmRN4hcZkzKzW/9JQ98z0e5ZN+X0KNskBvujvoXsmVHKvDtSO732Huc+tvoMiJcH0FxAu3JAQHPhm/h2GvUwK9VRpjDaRz50LmzeyuYzODwGPqhDAzskKFTEdfgpkYSjvnstW9FQCyTmudQqmnyXdQghJ/U6yig/w1d2wMcn6UXo1LaP4eKtwflcd/xLSJMD/ijVLUiT7ivfywmmz5Kz+4QF+ncehTZp1OLLRL+8cb+4AMN8CpIFRS4FyVzjO+u6be3rW3xWL1Ods2rQHTkGg+Qrc9q6JoxmMzBha32NBsaYSQgG9uHxslhg9ErYQUsLwqF32+l9s3DVNplgy1Np2EN2rfzJoESH5dZt7yuO0ob32HXCVyVK8oWnU9A1Ith8EuFIh42cbIzOndArQmg1SUMWxhxqHbNzDKwx8IIPUAsYtz6sfTColOA7Fdss85N8OgboPUP16sOSueZAkHLvwp6xAgioaBtGWQhxxhscwQB0+uKVNb/qfm9XkmEf1Wz5Ba1hiQHd+1z8xC5TuiwQ7BaXNgo7XUteDNWVKJmw7oBvLOSrKMXuDJ1F+ov2P37ygZ8vSaal072Lz4wPlWN8KNKLsdfFVcLuVykJ1xNmRvcHKejO02KTTAz7ULWkxpgLutdQYMK3sLzU8gnx9cu0vJtyF+Px7D4NDPoXJeYnqlzsiKqS4bz7ZeTvZpS/tEKLByw08cU04sisuH0OynSZtsTpLCKNCD7scMSxG4MNWFWkjqFQ7puUr6DcG7CDKEU58TksHIGsm7CAvwqqqzENI2y1t82B56tCYgSygTkSmOlkKpCW4kV55Gp+elKH1uB1iqSNR5Osl4STYIpydHgBM2in11/eKgegFE99ik+EUtaG8mU9LlBuz7onggX3E7FFBAm836lCEWJIx92JGZYQYl35+kJlkT+EVP6fnxb27DWx3PSkx7DmOtouIZwnlcE/hWJauRCjPdRW29TvuakkX7TDIoMQQS8WKwwXXZKsw+ch+V4qmH/9rZwp/p5800OnBomnLPVDCdDYb9Csb4WuDANXCY1h2QhZ8BB4QYKNVkg1SnpGJJ1mN+aLNwFQt7THRR8TFK6dFE2cgt1ZfJr325sHCKQIUrh6OLJ/v0LlAkhX78bCVhjnkf65TX30YqQxo8M15Y+g4mzIesB1IsnK7+vMzqRA7vgmpHTN5RG5arzI4US7B2IwCXIfLMPtH+sUPTFA2Tpsv86bn8HKiy0n+211oJfUdY4V4V+BIeLuwtIZvHoGZ+pYLWCjH49pHcmCh9dyYcQ6ym+++bzirXKtbBX2Fzo02yWVr9gHqN2M3vzwfkJFgX78/ilrAfU93eqM03SA8KEn4baxk/pJfE1PF3eEdJj9daHW9DwM1le5rrk4F8Zbuga6w9Reshx7GeR/tOrFnhUyUag5bG+0WP6CUekE8lrT4E612mmwcfvdp8wxEUuxZxU1Cst7Dlo3C2rv+2mHUb91jnivwc/NKqQlmWKJ2+GyjvSEEsEJVXtW90z241JKZASy/tADlHd6RKjOZCmMWV4Pw4h6Z0zttxrCdJMGlpS5snAQIWTTuYETYPEVxS/XkKrivotpN83GR9X67tE2EsBUslk2agGwSNKAn5tyxk5ZjaJd1sOEAuOMqmBAdZgmyncOaMNjZah2xMcgDhSOgHFJV+1NnyGliML/l8/5txfou2Co7zEkRXMFF/KJ23+8x9Ta8SeCdM6FsD/b9ziAsMR4bopYCvuB0zxxSVeUaY5h0UrqGvpdVmURjSXIKmeyCePQm4xG/xIVzlVNLQdJdeFOpdf++lB4cpwZY+YVlVbasUpvz7UT5G19zqWVRJTQRt38Nfe0vsvZT9BQsABb0m1l9fkzYK3I5FBjQq3B9ZZ1sTDywHdVURz2FCW2NQ5ebWZQ1g7dCaTLBNoZirwNW67TcqtzhSFXsjWFJI0v5wTW90AzOToyt66TR078sD91US4nNHT+nTY/hHLsu7+i+eq1Qf0ngXAnKr1mteOM8jaUzn2zkAeVL0aGDCaPFfOfMVhcaIZOFGuRJYVMNASK9LESA3DDYjHBMY7DR5PdojSHuQekDkFB5WcIt6aNNExbLCQqfiNTcsKdrPJ+h6cxBUyAwPse79JvRLHT35uB4BwJms8b1WxCn00orI9E4rKM943fRnPNbop2N/vNRsN4QaGTQgpCOVC9+5h0/iepPHonjANo6F8k2Lfgo0WEDMI8AJYS1T0+AUuQ7ZifpRk5cKtBFf56MHCCHmXohDTP32AqOggu+Y1nyTbmLu0aMJbmTyn592mv6YtvqQWHnTJUzbFjJJgsY7xMP5bJHkjCd3x9r4jpu4eR4O/FvjyUD1FaMw6b5swlqW7eSeWTUddJ2Mx+UuUTkX4I4uhCP2UdITbLfVrmJHfVc+fDUBfAoUKUwVVFj4Uf42iEKNqwCrGqDW+tSiht+mSweO3cRGjtAdZlMqs+rjEXrG65hTss1W2DGP9IVrsC+Tv+DX4nTEZn4E1B2e9eE7eHEVn4YWSFC4NZghmbdAX9pUB5kwJd72L6j5RVxEA5jPgVbv/7OhhqMtCP75fJq9geHJU/WAozMffFx9zfAYv3JYR2Bg8GOzz429zWBXBFpELeiF5YHOIQzesmFEL+aE2zkizmaPiy5SLemrUzR2yDQZ46p5oNTDzN4VuEh5CDSUXTzzGv7Nkrfk3Ql70oSighWrs1Fq8itYDPg3rZGUfgtuJi1yXDNMMHGk+wEEflcAnVcEH5GJlf+pxhX26mjBNq+vs3pQfc4Y3cia0OcRVIJz8AKr7aQFbNjxxHghg+9Z3tV8HF3fPfRW7CwIa7EmNpOAJejjTk1gwRoR2fRHWvLhpx9KZWFBG/OV+4/gCsHXiXuoYkuXgauBcbvISutxkJ0vXS9V89YochjU+NJv0YFNbB/rrFngo3TB+03I8hnSyYRsU/p7otZTUWmfX720+dC79aQbDP11s3hyhPCm+TAUWCeWJ7DXGwqphEbXVtjy1GOmop2VAwJfjgOA5nGv4wNEM09r1k9X8KfhzLqj5u0nWh/5Cx2zfVD/06b0ZnUyO8RwBZgmZJRVjK0u6p1YPuSuzhCVYjhbZ1wqT+/20oxLEoe7ViOkYRIWcZFQ+frjc7bsTCzaCwVpsWetPp8gWcOMoY7k4p+TBDcw5gXTRb2JVlfwZ9Z8FC53El9weaxOi1f1ou1Y7tSpX+LIRqtA0OwDk4U0CJHA9Los8FK846afkTsvcFsUO/cHMSE/0bd+nUkBciRVqPuNnDg6Fdff4ztVn8f3VkdxMrNFihkla07r3CxLzrhRD/kPmPpGD2wCkSgYZwhTr7nahuZlEvT4uwC5viracqwupIVDLZ5YB22GJJUJ7kSvw1LInlH3Xiy3J+KlDRmixc5MqRqExKgO1ICLAmWgGxsv9Dc3A8KHxzEuD2a4kLLN76+n00X6MEJxJIoc8NFMM5hRT3E02VleBvANqSeA+xxSKVAspCkYLiKrHTpfbt0F8zIbB/vPiy8vKt7E1F9mcjQgyfxNDY7O6neLVH1uk0t/iZEZmJ5h5anJw6tL7RNitWEOCLQY+G5uZgmc3/NUtoXb4e1Os5+CpkLXlRxBA6tCWFcZXdCkXoz8U/nQjfx/hzch4pPrp9VD5b2lm6b9Rg8SwGIq+EBx4M2cm/P1F2P3TfMbjkB6wlf4qdss4+SiA1EssnlS9bAN4+TlMGYr0/aoAW1rwN6p6JXlO42QwZ+xgg7KfNF2Ei4nYj3wqAtTekMzRzFDIr8arqww7kKbolHMG7yRAGG9S1dDVIohaCLRw3jqcfa/1uMgPMGoqgLo74GBnjrTrQO+MO5sZrFhJPb37qrNVwewNlj8UitbPKgfnRF4p5cfNhxHiSeEp4yNlAp6Sgv0OnZbE+NRB4SfVLIdorDdsQ7uuGfhvos3ofpEIi7tauoY1Mwg1mHuiS/rB7uFLIrkT6jahi/6GZnAEQXuqklpiyfx6F+HBvtTvgQ4qrz9QX9V5LPNQdA92nqyos3O7nUSJf9s0b8fDSOZyTKUA+wzJ3Cl/54x6zPvxCOnP/D7jSVw/v721l9FXiW03XeIoPGCMMbrY1vxTGwvXhzfUZhIFl26qeJe1oAIOxRnkw89lmEVDy2w4b5PW9+gQ8RcQovlmU/14XVb3alk1C5o4TkhLHWePQj4j6kItxtjLpbqx+r+QbMYnbQIgUk3W0Y96KSLfks8O9SP+r2UutTWOUlK0Z2IRM7+6BhoOlfMuwOl8WRJ8g/uREXSRLtw9jmwuG6yIi+uTNDMy0mNgdM2L6vYABD6O+pcCcw7sk4J4Akh+fQgx+Oq8laVHLEUt+Rny4QvzO1XHJttrkewPkMN3U7ICOSOndJrVnxSI3bsot4Yo80vsglYU1HrZRyKA5xYZ27kJhoWJ+ESrkp8Lir/LChSj919pC9nhZH8RiSArdDuuS9lA6sutjWcR/4CStvCTq/ydqBso9ZevOaJHcPODRmVGDeppen1M6IZz/fSmMj7tV6bmYh98ljOOTX96EOXXdZgHEN9B+DpjTkzUJm0MoApoGEi4jL0jVgcHH7EBRZHj4SfwQBfVBbNOE/GG4eI4yRvMOF80E25IvsUHOrOHDeTEGWacUqLb8Jz6UNABZ68+ZQQfX14GsiZAieQyLe0a2KCTAslyZoStjz93PfElwMK6XQqEanW5ASS4Ry2xUmoSl5BVjnhkpsM3YWg27sL2qTPbgUafIV7y62xRJC1IawnG6RvwDVSTckq9lGq1Oq9YfuvO8vnLQ3Mrmy7TYk7srKNT+R+Y5gVZR1+wTZ1ifEHtwJ+eC87+R+meQRD3TYbBdvJmhrvsyzSVDjqNM1xrrZu1Z8bv42Z6qxxQPDYjP+YgxOnOBSnY8MfUsu0P2fKzoE4I8XndSrUSg6MElSC+iy1xv58n/vd8wvZKpXIW4uYmFW1gZUPbmUjJUq6NSfdT/JiPD2xNF5ZLXqPsv47m/RBXq9ReOAzIqlkucu4WaQO6/Woc9SZcKy4HTFOQ7TqbTEd2a2ftUBwTyg2XOdxwj76puWQ6bcUCsj179ArkR6mZlrKMqBJaUNRCIlwHrcia6tmAyGSqKqmOxQCbE1nBqcwlwtQiZZ+8zBldHRKcDxw5utoGVFqa/VeIeCkm+N1j7jTVfleH5Cu5f/L5VT6wbj0WWabxbbtpyp9v4m5kVgOrnEWlN6/Gpeh51aSQZdOSd9dRiOevKJg9ANb9vDZKgiBs2rTTkYP1Uli+Wx1houD74dZiQSzr2CSARokC9ZYkJYiBMdN+S4tCf2jiyhK8D0x7sgqW5gsSN+F3fbQjCVBtOuPpnNP5p0BDID3RwMuTT4vO2UOsiRJHYfDGz8ARErZ9mXyQkFyr+RyF1+xmMUbJeaqr3GsI8pC0Alibqq5IOwLrWweEDh3XO15I8LDaY5K7AqZUHfKKHjuAP39S7ZCqzRsklsoQNDWRsKQjH3Et9hox4FQ1qSubFzardNCUWCdVT2JK6k4XRDG2Ka1VrMNd8QrE7KysWXXMieBHvmse56Agd6KHQHSSDim+ngQG1G7x2ObSwzBe731IEXWyzL8qgG8Kmok8BQOzOZYgaVz7pz8MNmjCqw+V1obkpcU5iZMVJTuVedaA3MIPeJqBe4jkDmIWq4WXw7WV4JgmWJGKFUdM2/LiD/+6FJ3uQXWaF+8IZfOVsj5KWnOGfcELkXEn6K/khVBjOfGz+2X9NmbB124S2SxD/sfcqEpNcLzpwozni1E0ALBLCTFabMAtzS7iKvbJilYf+2OYz5av6J6mlpiLfFh3usoS1zH/G4YHYY2bC6gCiGHzlqFRAfZrXmQrCf9b7h8u4CV7fX4m3QtBHBiaoqnmauDBwXunp+5tohDaeHqKYE2gkD1YAEEt7nSe19UshIJO3AHqnj41/ncAz8wL13a/PsSW+9xpVWyGyiYPoIvnDrOKrY1lK0MwLNdW5v5HdO0fLkDAwHVJkVB/JxVmyxIaX1tvZx2Cf92SFIRfKoE3OiHb0hVdYnGaDBdCTni2Z/LzRhCS9d1pBr3gwdMajHJb1h/3yPVSy/ZGVMyROIlJ0FJSRAB2Q+mmOh2eKj7m4Qi1fI1wQu+CqpdVgT+YQGeMYTCSw13QJXkBWbSBUDFLp10x//VJ4bBYc7KU69k9RREb3mzcoMlRz1m/a0SjuK3SAr2kDX/c24BResXjdHS7TrDrWDigrNzgmGBKv0h8qDvuelzv7UymwShea8quzaMTPrihKY2gwTt1Vu/5X+ywKRJ+KQsVwpMlhNi3Cji4TpFzfR4CFTqB6sdtwQiyAsdb8QuPjmivi9qC7ZlPujxROUlBmRqry4BEwpQGSqQP5h2Ywj1AvNdvnW68dSNowjb0/+9X2kHz5zxqmDXGzdTfNj1ZD9qK1zPgzgRJQr1DTAokL5O1ulRBQW92/+VBIJhBcnJ2H0guKI22HftMD8ZKHBlu35+0EfpBWrzQ5g6eeOsuCYsFtp9K+tNO6yC+BDUSojRJIQOZ8tDUBCtc9tfuVyXn7X+PDp7HJvLAhl9Or1F47cP3HnEyfq/UGgZf5tHnnxh8fu7lXYWptC6B+xYQW/vUMFk+a1kkqTp6Hwni04DHzzoaFR/vzQPcX1te+YT6FGkV79jW7ipd7J2bmPww4zM5+fBr8S+lNVamxtkugIPVtGhbTnMgTVutb+ssxoB/ll9QShsrWzMXT2jL2qwU2Nes5/J0eV8BjuHVIOFvCW6vIYFaSuAW9xz8a/WMH1HAm40Pk41po0YmHx3yQKNh3D1zcq5r45Z3UcmpJpoAjEAgNbFbx6+Y0VWMYufpFWeKRXH0o4EyTXdUkT2cCGVHnqE9UQUgdXbLX441pTF+Y9BNb1IAtIsfRBgk1H59Ygoko7sDTeGiv+pHvNonlUnQ6+PUAmS7Bc62RVNe0aguu0xZ2raunwcFJ45ckbl+UmV+j03/8ulM7aLrGHdhOSRmh9DlL3wysh3BcnAEqmrTn1V5M5zYViUWsc6MPXCIqKyE5lo/7vVVA4USM64A0HuxVujNRjU5mpZW6D4gRUXpM84jWE3tMdGW+aIv9wRujcoNTJUFivMuhHJcl93D9w/TvgJ8PpHN95UVuSh3J3K/JlT8H5Am1vn0xhpwDp+udK79c0qzjHFxD+Bvil7u24RA0n7KPbl1iJKen+icOKES2rpBnfZzup/u4KLsZwE0MyBVtaCYcFDKMrU2HfraoCK4hj98Jxzj67o7qzhP/MxEFaJ8bn8i8l8k/P4jcygxCq23ydM/a/cY6wnY4HW1KsKU6PtkJdIHCFxCtNKQU0EE7f0MJlzmz0g6od0ok3mE2b7M3iR3JueDrO++NzsgXV8BunZjmYDWjyUA4QdK0wFQ6QTv0rRXbDODLgNet2Czw8m/tiUnRVKk0qVP07DnoR1Jttc6LGE0aZqUG2pwxM2CJ2udvU0KD9G2QYWFR1/F+e1b5mE2/czkOrKSmQlmy4RUbCAwfVr1BGIrIAg1yFpZ3vgkP5RHRmD70MoktJL38JMaR3dOJDlf4TnBvS6xvguoTXhG8fXm7DW6R/7xABAz4UkbdvG8ZmW2Q7LsJm6iIQzXQh7LnJVcGfoU0KDlR9etrrw0/NB3yUuRZ04XF0sPxitY3C/r1SLXOxLMmqmtb1v4gkrxK11BG/jtm7/WOtuI7t+Jehtjqqt1MxijLIf5wed5lmus0nPtjVudjhwxtbEIa/KNQUX9mSq3Z4fxTCbEjdd7gIn9w3b3mEeZ4WCytFV1JVtCv8x/dObyVbz9FGN6LsLUZZpRjR+S9P/EC4MOfwfhB5fJzYK4QZevxiaN4Writ8xKLlfvGkFW76oaBM8bDasJwdMhy++MP2wpC67ts5JPwueYcil9HWIAOmTu5lOf4/3iDXjmZ8llebvL7aUutfW5fo7vCr1jaQbnUvGwX2P9wBWWIPTgeAaqNt4HNLHMRowpKR8sewybsujaKBvnABjMPueMxtxL2/vph7GFbpzTLXPvvZhYVW1D6qZu00PcsF1MOI3m7FMIQZLiqdbkjDe/rywJ0R/CjEJtotgdugfX7xB5T82Gw2vpx7s+pxkoZUPRhGyygRs+wDcA9CG2eHAODRaW0S0OsgtvhSt/l/GsBs8FTpEN2RX4Tyxu51MMi0xkb7261WqtPTv3fkGzd1jpMm3GbTIs/ynoCY2BNDZFiugiBMPWtCnC2BpiIYcOVaqGWE2cRpHc7y+16nsvgwYtycbPglgVmBsl0soqardCVNp4efxxR2++V+3+tIrohsySjlDFWilvZ9vJWcR8k0im7PZAy/BXRVIkFykK6s/KINI7ZUC4hn2sfsg/mYx8FhlbsbKdKNFiie75j2HdSdugTt/dMIGtoBlFFH4bPNw/ODJf+GFd6oLmVP8JszTiTlSMRWf4pjKPm44UKO2BUPt1bJTNfKlD2D/OxGp2mPLutKdYPtnjnXJO6k9Dik4z0X5SKvKO1LdsA2C4Ru3+DMj9KSiUfBX5R7Y7ZP3E92VprnB50stAwXNirgGp0KDiUidkXFJogwpJ3vIBS3xaoKZ6uRVeBVSDHQ0sB8ujrawzKrKcSYbKzLpVHk1qBUCSaMmN1ADcvdwFZK4E8UGPLuKZwgDQaInRB5rhabHQGcM0ctLBLZZQTMBU/j2McWjPVHti4yLftWWW8C0sDNqGBMx6BrIDzmwa5MFa6WiaZJUekJSMfI1xZgnAErGu6E0sgUq0xicEoFvYWiy21S442TT4GnaXg7Ba9XzdR3T1q6mZksarkhm5FoP/bwQFjF/nWmh1IFTLQypdBvLJunmdIcqSvaIRrvnqD+J0nmaihfA8O4IFVg9Kwz3Mw7h4cGYXiywdY8qhjCe7NgCNBxhYEMfLBfU/dMsSiVkpSVC6T7Ok5xrBLXhENZRk1vc5A8RgpL10Q1j+2rM8tyrYGHIisDcAZIRpDOEUI6xXxNNJOEFq5Pa0QFUyPiQ71MktV/REIfJ4569h1Mi66ZwqCNwqvy2rev6va5pD2v7761clVqaZtH/kt8MoxbB8Ul5po5micbV4Yxg5vlnnZvaYcQALq0BgbROSntRqztd+sQpGvO9CX4a1hWEiHg4ECDZYkdsL6oBd5Ex+yIe4W3iEjqVAwQpbmiv1VpRdi8L3skBJdYbCAT8qAXnrc9mu58lyiIzK7aQpvM8iXVJQc7yZgEuQCfwmBXj0gV1nNdkJZdp89DNrwMeYE4CwC5DN3ABuzXgT9fs8mbTebw4Ylix1tGRrAQNLDF+WM+X1isS/JX62DAPzHB15pnDQr17uMfL+M2OFsHCEymXaEX0VdcStmLdcLTE3EUthx8ff9sXur81vZw2h3WHsyfDwa0BHZhSIiWnnZZdFszRtGexhuCSsXVdNuEfdrXg89cxSmY7k70uIBK3OGXw9xiDqXD15o/LJy0p9CU+sbAYfq65waQ75A/QDMVK9IrygRWPKSTSInMcAMI1ch0N2IOIiXwcidfttuxqPUj7lnCu9ii7s4d/yeUbkkX9xtAaY4NQG+3zvCPNkm8fiec9otWRcx7xJMsLuiebASczhQBbZBCtrw9Y+oYVPX8aw07cmMvtcmha249NVEWOMAcqLipQs1VhxThM7qyzGe26yTtWWCbHIxVFPENqmfANb3xVQU827z+Q5zFnOoZjFEcMWxgejuKDO+Ys0SfM+t8kBZ0WuQiG62e6T8Pa3OwD4z4+3LkpMGS7HNUuXKoz84cdZVb59wggSw8P8MHwpLrCMV+c9djU4yZ5bAS7PCKyrYhipXebNH5BPwvoaYmWL1aIXwRAv/J66oTcMkn/TWwcp/E4KETrKHM2M6cJEvUL53+svX6YNl3fLO3PB6FmODvBzrjbqUJBQuGW1xy2DqiMEZ7zCMtbrCLVLJZjSQNJWINdcDrM+EgbLaUCCHiIte1lUOe6qqkQUydOLRfnd+RLAgvfJuj0P+7kgA7Gj9qWiqQGflhSHtzWtzgdnwQTDf7fObjE15x1LoY/V82tS/qS6n1wiZjoUH4NIKHVjyVAnpeeSN0llHttS1xUTtWcO03XgE/i2Ls2EN1vyMtQWyj2+6x4VRbUQBxwCAL3VXiwGRqMVDk7hNqzfRKr5xT63nQaFRHdv6ykOLRgMLeMVLOOFKgkGPyoV3OBx2MSiYHBsuXHjfxHJlBd70nq3fHhRUBk/6pijwM233wqgsDDer7nm5CggXnNXPhK2UJTJhB7yBt/8fXtXd11D8gYsBaR0VKAONqydReywDGYD70Lg8pEnDLxYENL0ZHNFK6ngS/2W4nCFvkwjijbhE/FV586iGvmx4B88Wpz945lTErcxC9VfrWMKMTslnzXt2tWwwB14wwL561dNXvQXUv1yoO+vHtk2a2no1s+BuAXAz/5RQ8ValwMYjtL4kY3GUCT5Po5szOsrjcZfGX5ASoAZzyjLae2+axawCMqRsTwJ+eWi6+NUHeCsBhfxoATbruqJ5s85iAOeBXqJrzyaFKS8hG5A/leWgvtOkzHjGvD6+VtqhxUYSLtMCBciw4XsQzYr+b8tqwxlgK3rAOoYY2VIIHC4wzbpunTPp5XJMYpcsiuum7V1bIoP/VLczsN/rCNXhYjE5ZByUmG+SdM14S0ehbFd2B1Xj5Er9wMMlPOXMPn4zCbx7i2O3l99ApY6XrOcKTzcMbAbxVSqaDXBCRumcx+S/Xa4/RJb8uO3GqpEreRyV7mPMR9V1JWNnLK2Z++pJdo/gUoAQ+yuU3zf5pGlruxWiDVxZI2MHiI5TcFYCOOvqURVp/6jowfSi31I/fB6K2krkE7Z7Dp0qIotbM+f5qRcBx+XjZ92eS8iKygDR3SBr8y1iuBnRnmjDyRPdZzjoD1VwQIhYrkJvpa2Fk2p3qZLNvEXeKJ2hVUkpY/kaWmRpEz6oB22/k/mqoaDOZVB4xO4yMlX9ILEJGfY9ChHas2IRjDsgPSKa9o7p8acOrgbphXJRr3F2UJHfohjKmrEj8jj8uiDlZIiHtvKLg9L0JdRRxgKxFRewyBxWGcfsVGZmz58sMkcmaiExWu1TIpmQOrV16qch7xahUIR3qM9m/m/5ws+Ftqsls6ARhnAzFlYgX0mIxi4GRWpueRx13CXQY58by/HRvxeOZiTKmiwnk5YnGySKgBB3LY0+nWCMl7zHH8U+LpWZR+jEhqHPBvyYQ80zQv/Me1wdsFBuWxyAaYH5/AYYzKmopfmOi3Ru7zsXZyhzv8v1MtB7j0UCTDNLEXOfHZ86eLfYy2kw9WB0tsDczR9Wiw3fnQkUNh7AlQGOUERcfTaAcZ+MNKcIlTm16iBKuRMS5FCBbLXnlXm/1+DVYcjxmL/nqMplgAKodfWyfreaKMDaLGyyQB1lG3qdPzDJBiiNRbSozIu0irANATta2hQo1Yk31yBJWZz3qVMXVRB6qWPGpPcOqYJA57YaVsNx4ps4I71o5KQDPNQHbWl97g+8lTRHnN0NIiekJJR9wTfmOK8kaiBxXwUfxN9Q4VL5JG65L/GiDIomRuVs5i5MHJIeigBOO3fmpV8Q/K4vmHCj6HR2BlAyf+f07nfZ6LdIkggo9QjCdP+vYF8Xj0sbHz+UHdrjaUhcDlOCmwe8DR7ITgGN8vDD4RdL8JHRAcgu2RBAErhwTo3JXTpufjZ0rcXItuZnHpPQqTjdCmLtGCqy7lxuVjJKqH6aNV6CCHpzw67OYnuOTtRJL4omUMJ1f0og59OWvru2PJbrTQsDTUHw17RAXm8I+HFXdxvM53S5XKKLvBSGS8efRJoUQmRY0WK0LmimUNyjmmVJ8ERYKBplgHSq9redLnwgVB7+M40vba8IW6nCfzU3DMoVzqL0rPN3DshJfDZLVrXpDFZvDflLwJIQ/xIr/HeEB0La/PdWZnDrWxbSfcLVTl/obfqevIhs8wCw/IsV2hS18n4Vcq8Am7vrUtfQcKBWQ6yZq84EKHI9MF14J9cyu2hOtyuuJAh2P/qOnHy5whjm3Ej7McADn/tfWAZe/inuUSgiCDFGGzDD9ZpE7+BCmnvfSNtHetPB4ap61Tz7QcoFHUNjUBqgRDOrmCPy4rXydDKPEyjmpAIJEGR/Ka9swy4yUYXaDoj3jPNwladeyJSPVd9vzJdAypq+MWsAQvGWtdRtZ79yZv5A6oPhz3NgErIEVnedN7stnZ/eMYbTZiFfeAXsRIx7Mm0BbJRVWCGaUkvYQpEMjdW2ZNym8F6T3lJjM+IO8B/tYEJdjI/qbBEQKD4VUBGTQwh2/HdAK1GAHH6bua2mZqLvKSiTEMYkWIdsy/HlaIKFlWmQ7tRz0XLQppWuwYr6HzGKJ4Z24mklsyU2eZdRUpkLV7Bsz/4eFzsj1z3Z11bcs9WAtMU65aaK+TclkPU5BKFOXdtMpnzkmtriqlH/4WBXzWNlXMzZB9E9zEv+hHhZ6uZ4fHiRSFVR3vU7oketOqCQF1T89JgkItwMw8oBBjEtT/CT5Qv6+RA5QA8rA5SF+ZJ+HgFjsIgUhQZRoMMqnUztu74R5EIM2DgeTc6lzhUFb9uV+D7m5Yrud8VinjBcxubLKlZ2BvLYxkAm4QjhqXhEYly5vN6n7Leh6+1JXAI2l7P5sEUoG4g5HOzzTMdtI1TAUcrn1iyBLwm2RBKORFYhpF6JqSvbCR1Ec75t2FFpQGcvDW2i8ASPfDzf4+S4O2457BU7a+Cg8pEdohOgjUyKKUAjzj1GZw+2O8O6xLLqEwCMT0o7h2jV0XB/7uJyVvOQp1be7mFgIvPwy9Dl/icRNS0P3O8Xwj3y4B8bFWib0d4s7HME/td92Y/C6kRCEEQDCn3MhVOEuM9H3ODzDn0cGSArjpd07O3OjR0R+ZRBlSn+2OGX5F0m3Mva6mjqHy9iA8tNw+Q4VfJ+NeiFx40Dc8QAoLFAIOhevM+NI8kxmJdCi2Jw1ciqyNQqWiK04DFcvj1H8Sq85YDS5xw/usDpcDnmaRT9vrZQX2fu10B7BZJGuEr1QUQIbP5gg5ftEJnFgJKnqB3klp4JYk/UvHAQvXgR23lsa4WdQ3u3Y4svt+s733aE4ZVWIoU+f+UBnMVM/Z2FXvwYRNLdmpsqKnnw8/hdvWHTQovz+Uflrz9AF+JpXdK46jaR202oDyCJ+LuJCaNf1Qt/jw3B4QcIDe6Lgni9SLq7GTARH7aSCKruquU1FozsWeHEmT2iPWIyO72Y2rgjovAansUG0wUp47ICGVRdTumrrMePTJaUiEUcZmwhuVDvJTtJ/gI6n4YVa6brvQX7RNWCZujnbk610HE2d/Unjfo7gXaH0S3SnFPzSnhEyaznFDDn2O4xIndgYv9JlzHxgDks5Yrss5kvjYx1yZvXQ5BAr2xTCZkpWLTV5dLD9FjEkJ8yW+QA5L7Tw/WUlwwkjhP8tcky0DlDEpw1kKIgUZGZxGBdFTysnkLLnWOHQtSqiY7SXsWNsrEUR2yDL7ocq7s+vusdMT9iHIJruZzcKo2QkDPIsa4rqaP9ASxRt8FGzYFDbkrHTmXJa9vbArwkXsgw2M4yde9xxZnWGLisptXnCsFybRX8qg9CiAsihi2kewHeP9FxtMj0QarqVXAFjkTly0PY1xkTorm2OkWw7yGuVX296D+M065heJDlhFZPVRbJOTK+s8BLeRPx6ICBS+LRFFmN6Rm2F0qqobxxhiUrU1TyIdzpx4+HRpBOGQ4jmAZq7Sn47G8oUKmPsLFwOHtbpw/N9+aTeqN0NSPTCAFLS39gqmX+x0DLJpuh1HcbYFGTjD861yDK+T/sF2YrIrGLrR3rcwYsiUKlriBxS6PHH3kGS5rGPfheDVhNKyDA1hzbIfMzDuJlapCbyrw52SX8U/tdjfJWJTNVmeJNdJ1Dti1Ki4BTJO+HUhGAKTBKqr7uHyTYasVsE0tzxZFb0sLkDQivju21/V9yvmQqSNdIfaWIly/wqfPAu7H/WpT8w0NGH5n2a4njELqkXaeTmyVt+DXsLxrj95xb8MtfhQ/ln3qSnD19c/nwKGDBoGQRASaS/8zSVJRU8veW/Liwg/rhHOdw4azdrRDMBPck3N3nOGCeftwRVHsOvGKpQpQi3PQO9Kd1p3Zr7m5GVvZP+qUpqbiRiBxQIdXI7KY299NiYT3RpnPjZc6JCSWXHLMgTMHjXXnHFr9uYTrf3SwDnoTEv5AtW99PuIkqjHy3eAyHTf+3fUP4tjvfojqgG/GBKZqSFkHAskpIPix0szlGDjSY9qyl/1wQCMEJAfzao7h59TJJYTiZK12haD6u7WB64ZXRv+w4p1Jl9AmJFn9zhUoXXSOfLgrJGQpIOUp+Mb4D4liPNb3hm4bZPlVeP6dd4C/2HYzzre1cPmw6h0Q2QzWQiFu7dJgFcRXVn7FYFxvr3tYR7KSjghZzUqHUZiSgmvwvkP+pAUoIDgGDxqpqPI9lOtmI0h2M13mgolhTov7+6LIQCeHHkAuLeo5youP7ugawj1B2ZDJWQiFIKUXYF1xiq7E87+m5psyMuK6C3UiJvlWVfA1kI6St2SliBz/SOYy/8/FJOw/Mh1htGBk7HwD3dQr/Xtu7maaFKkdH+Ui67XVE0SMrvNbaO8GrtMtiybXOPdW74/MaBKDZbZ3IOjsi2rQGogMiyg/Bp+/DQ5G925zqEn+Rb6O4xnUipshxIh5I0EmGFI/oiaVaO02bfbd2C7/mPCxNxtJECmje7Q0mdFpJe7vNTZbEJY8k9AXDLx/mRUCvbbRVpaHYt+5AT7lnGjT4GCk1r+AWI4pN+fjNQ0dUNdiFsgntbfLVWZQ2GUqwpaIMVDV0uckzffgToSoCI/xYgm24FxyHVEFn8tk9snQF0Um/96qYgpKPFHswDvDf0ZHCI2M6DhHcemh6Lb3QodEz7KIOK71DU+fC94/Z/BxDspyK2UXATM776nLgS2U37ZfZlQc33NVpLxf45hu1crjJD9h7j2KzykcHd3vbvXtFW+H4y6+H1OfI8sD5bQBIw4pC+H4+GT6rzjsucc6w/46p/iMVx1+sMtK1T53yQpHea4XeHUPWRy4ZDzdyx9hJQEC90zN32oNq/+YTmNoO2SGpijA3LPEqae4D2jHnlKKHYUlcttclZKGB9xIDLLyv/rnFYbyqo6pswFUE1I4Cc6Pnr7WaEOYN6+6we7aqO0gaKaGPR/Wj0in7Ez0qIpDkLVo85ALT4oR9737osnN92vVn+DMV8z7SU59MQNscr4cQnmHkAaNjBbzqc5257AJKn1R/RXQrH9EmTy11kHbT7OB8vk/lLOvfDpuXKsUorBRMcwBAHSbbC+2PXci8SMoCfme6XKFps+t90jtI+i060R7HZb//nX4Hrk6yNAJ76iB9OrnbzbKQbRSlsmlc2RX8x0lLksiEbCpNIV/JgsZED+ZvugsSxPWXpj6A8X83KpqT3B91QMjZT/eOfS2/umSyLw60cQLY91NvyQCUepMdG08nMdtd0do/2nw3jNnCoG4ByLN2KoK+3e1hGx2r+K0zHcKAlbXdHOCLO39daJ8hZJ3Wo109Fdw28e3oikqLfZG+aGNPpnp92b0WRRdqikB9yws68e028xhW4JGHkyZsPaA82iwF4tDY7j8bLXkwG+EemxSkstLLr1K4f1FXe2v1k+AhlZ3pcjqhhM1HfghgP5HPvcXGo3qbELPBHrh+Jiyq3HO9DxnknyrHo7ZhnbMTlDER4SpgBUHwTkZ8U37/2wMt9WBb860kM/+Wl9W5lNCFkH9NCV04UJ/g9eO7lrL8fhu1xN9yOeTOYA/L8/HzUnpTTkQ/bfauHhgysiQU2FbIANaMX5XR3hcy+A+P+o2KSjuOnQc/nHAigI1kxwdMxKn1MW1SooM5vMElk9rTPrzD+3dvIeg0gCUJP/Vc5L8mq1liYdyAm7dKFgjfysheGQSGQ9UV1w+ZtQ8tva+C8B78aT5X/+z7K4k9Ntz7AkI4xkC5+mqLyJr/ekRdgEDJ7AN/A3IycSyFJ08YX2xRJhYiU/bl4WxfOC6veRTOtUo2Mxpes7F3CikRwIeRfOtrTVO5l8ZjIUkoCZ5wFyBi8MKs94FR8dLgKVwcVOUSXDGd36flPU9IEP92h5IRW5XqbL71Jm6jqaWx7oy56Wxehi/V47Nlil/f7JME463AEZ8bsJHvblItC3mKk+vPr4qOrbjTgyk07ELQik700/mBbMCDRO/fYQ444ZEE3aXb8sM+YMCAytxEyC+B4Q3u9PnuJp27dATDN3qMZRJDJmYuCU9TU12LduWoZ0xXnxl+MFzEIfWHACCTvKy6AbKuI0l2MSyKGflQEvMyLfLW4iKG0MxBxqSu1jasBLJA2aO0NodMZ44PPP7x3Ijsd6imDpAcS5LJ3JN8F0+s6kk/kZ74aBl6ExlN8YxDbMSEtzZu0CMutDwpocFc2PuQlyAMoDfqzYoE6xngme6ygkRtofAuslr2F7v362O9TcJ6E/ZPpiVJtHuDyYoQt/LswLrg7yeAdZPzfRjr1u+yVLOqxhIK5kDthYRjZH/YnVSVEZfosud2ZnlaMMf3tx22p/IN0lVFRxy+fWsYcKSQaonIMz/pJKrVNDl6Xmvv1FR0UYChUzdbC2ue9p4ByCHx/B7QAdDNtzotKtcaEggqXv4qpoBYiLdg+mvM58oxTNuxVAVtt8RW17HE/NVybFWxoxCiw4OXpgmeWmO4XrNpDbcbqs21qlvIAjFlrKNDn7OYSz1OT7nM3xEG4maYSYkrj1rS0Q3heHsKJq2H1F2oyog4qL+JvxMLyYumag7wQsGyMBAqR6m9OAdF2iW6FqaTy9ZpsErMYJ3n7IVjxEF8FjRd1ktty4HMSx6E+lRrucmVTG7caODG8DDmaaA0hr0h4BlWf5ftXQE7Qdy4oQpYUo+ng/fQUyK1Twy5+s5rHXL3pFgR20OP5XXzoLoJd0hGNbyu/8wqGRsk8RXWjHukwgMjMKqyZrkBNFf1NEqtk7rWNSqA3SajtKssPvNRDVyB7haQQo3vnQWDiNFDT67Vas6x47t0cHN+yL/NaXvQonLBlT71i8m7riKP5kBDo6oCCZiQ2+Y2h1g71mc6ecVBpeu9k0B2zwpeqYAtmWIWAYdLOqF6lQ+y+rbHpRVVrLtWztcgPVCjgglO4qmr9oieXehaMS8A8ITATqweds68uPMWpvXjfsEPQ1aYiFF8zLRfIRE92yhs1flS+leL8MW5Xw7PMxUwrj7h+KpW684GZsCNZw+T5eCJbRrpgYDZZ+5s3EJ873GUIPJ7ywUZId6P/hbXUoofxU7tQZYviuds4kkr/6oMYjhopYZtwFbZ+5m8QmnIEAHme1aQRzOfRZinF/6w7xJ/vb5t9sE+T2dd3gb5FdoSI34jLM/tzKjFVIxHYwckcD6B+pIT3PsZJJfw1pQEiAhmwQeQq/SNHxKSWeg/06+VqIuW74dN34DFh+EQKnhQxeIcc771rgZlv2R46XvsT4CxJWuoTICCiZN5P42JxK9r1liE7r2Q/zWa2aOg/5RJ07mtMyii8tODU3DVZmU8EV1oqHbMgyrWwx+3QK0+Am9GXBd0WMRns838XguadF0eE5Mi3Gw0EzeCYy8QyvOP9gzevo5ybPe1u4eyTLfA1XWhfOSvrVs4YybI3yGJtDbK4qbfNRsRAbsIFIXbamExFq/2bBV7CNZhrzJqa8aJmGJTn3V/bjDC0gVyVcUkofXpLZTcnzx8mfx+cgLG8Vd+kbBxIaKMsAwJ7VNUqlrFVilP0Yz8Zwj/EnsbobrxMKhcAxsTWwC6IXJZsyBvEcx3AOUwbXL0qnHbCCYrAJOhSQ77VmE6pf8Seb4U8ub3nAlgnXxpoCe867zLJIn9ZwsFbx0TZYv6p2s5mAZ9nqraIZ3Ke+c/FJcb39OVqAnd0ly6slgCOZWV9qfndO5ZqA2aF7lzhzH8eDNDHWwrmLDyvgvtebk1AiLVRcGeLV8RBtGmxzi11maLFmCiUYh9SKCB0euZpubWRNfalOFkIzoOYeGbdMnTiuwZWy3ABNICDxW8dN3hZHeZq4Ddva0P46c1H96wOc1v3at9GscBXF79ztup3308apsks+/1TJPNdtAQ02aSMJIADIbeq5ZffjQ0pbcMbKAmTMU/SGBjbZSc/nRgeptTuwdOPsGHqPKabw4Y95Mjk9V2Js3SGR31Ob3olGS89fvJQyJeoYeWxHFgQa+ly28GRcmZNE5KlNZXmi96sN9jS3Yhglo4NYLV1cgAhd6yL4BV0FBwfVrUKKnMdw3b330OjWSCudvtg/ZaBr7D40QgDg9wGhEMaAOBfU8BqkUNx9LK5xdS5OaL3DI3TfxxWrhOqP4Fb+cPKjmzp19JQzkfPQN4lR2iCU8plbVePPlg+IckIVcvPG2h/kHAdmoN+YxTxG/Y6lHpd1sgPdtH9NR7FRQP0qJJS55wXENqJWG3L4AVy6LEm9lgu2oLUvTdMmnk1Krh8BCMSgCjnPPbnkRlFNcBij9xd4fiECz0i+ukQvgDDMMuPoxI8tOr34qi3JpGRzXOGyB4g7+IUKbEPpepmTrf1f+ohwvtiUHxIMyrp801YGOwhdOekJnQn//YCz/+w778sr+VZ4IcfuG50/yPvlcHquZCGa/xSbg5TWnvpAYv09qUAcvlNnb8ultFsiCWDYthRRrQyoK43S9u/2T7o5gjLPjJtNa+QJm3QO6YKf06AC4N32OtcWML9qxH8Ipe1X1ShkDn/uBv3q4SBj49TIlvs5Som2c075gEuhjqel2g0N94CaIvfMkWzjWm53hqqr1KCYlBuR1/nU3/d+crAPzi/9HESh9bLp4UXaIa1SDy4jXQnYVc8V6TXGKV26yb2OiD91RHdgJOrzcYbF0HCQjqr33nt07k0X/WthskpGPqV5GC1C/NI8hLoJkMV1bWVPubciMjpRkMcWxbelIKxXb2c4bvn4b8VGcjSm1smOOP2h8xHF+H8HucmMX2wWi+DDjB/xJ8G0KOO1uYLEzQEyc3dAGEA31dO/Y2aULlP8ARKr4KEnN7axCodklHxuPj1Sxh9S2cIrzsNA5ptaxeIDZYE/LcpyClJP7B31IKVHSWV8vuQ11GewT8aG4hqV1G38x5CVsFJH1bB4Nbxhn6SZZbzhnBaQvsdxEbMEg0Z0QNfWFXxp2MAbU2R0Le6sfujZyOncRdKFnmzjYMW5dcrA68lwyZlQOhEF+uWHN4pmiq+dUaX8tTtejVeJM91XdZGTr3jA5dmTwTIwYRYNzLNUZ3HwyyyxJVgv4h/fe1uT6x5QZnIvcfZqWaNlPSPSGDyW65u5NTQEru+Fz64MNpFs2t4miFNY82rFcuzekpatIEOH3r8ffEQWsdF4iaiui6J1XVHTHYd748Q/NAX4HKH0eAxOC9/7ur11peEphOphP9R9GjpQmEuzocRyraVWPls/Nbq/IX2lkTotHK4uBAB/t79s59VXtMyaLTBpWAuAcEqPgtam2S/zks630R08gcz877vVKmrv3vA5z8Fyff/6GbFEP7GSU3LBSoZYuk7JSczn8DmCpNs6PJYiNFusajONiRnR9RAEvC7itMkP8V3AxfvuhmdlmGkYwTqQXsHG1uDXIarMp31BtvbKCjoJEy+918yLqii1Vs3MjE3n6tY94io5KIY6T7m5fxLdx0ak4c7BbxMwCpGnvK0Vl1hzuD9XrK7fV+ltdVkBBePxb7vvBRUPT/KlYSk+IoAIwyqMYObDCstpGcur4MRcDeMjjCe/bu3PBvSa8hb6n3qrG1aKilHpsqhzGPWj7nG+qefb0U+IRP66J+4cmnAMeK7YnUOUfoIRZ1kd6HrhUnEzCeb4FBRZnhPM0MnUl1+t7LkEeQRGb7V9c8IcU3dyB4D9/x3pSk+EoyHJY6dL0cuFXkHDSrDoh4Pdj9Zr80sKlxZupGIQjBK541pZ+MdXYG9mu4ewZ/F2JZCE2ZNvH66WsfDSZZFx+ro1ngH/eQ6hJoDPhFdwuKXcTQiLls/eSiyGeXVl6kB82S6x1S4q7acAZF0qkjRGPZAhA6rpJ/3vqP40F6ou+GfdfuCmmqzI7/u3X1IvfNB6wgvtre2YNIZaQcZ1253zJET8rW/wkz8F7EBLa55at7t/Qp9OTbKNYgA9DuYTLI/nzza2xOeEoZGKihq+iwkCyUe0b5IQUejhec/u4Qkg1W0EvF0AVwWeFbswkS39LmUwjJdgAD7Q1dC8of99opWQOnSXLz4qo9NENJZo9vKxrnmdA3OCP5rDPaFZENjrMp4MkSkQUOlUZ4M7zFmgQvDhrZbGu1ljXuZm6O2LCUF+J2UTiBRXp8D3gr2zENYFPs1RWqf3oOyGQL29RnQ0k0yKdbWKjn95j2kh/o/XUE7/iy01IBNpSAEFG1uKweQbeqsnMY1UjCUSF3/0cPQbo8cn5MEJ9CXohk5vyZXhzlwPeennYtXUOioE3Ab44KNsbkXnBWg3+mt33ZwbQmm1ZXgMNPn9fIwqYzYNgCbcjLrKytSWFsTHtFKKcAYieC9nTipTZBHMBv+WcFD4FI9xWjiZoYfxtSykHyrgnK3W6Os1hV95QgxQVsUe/VVT9gGFjoOXtKy530RzXoVObFJGuSYeCtq1lL2XEhOVtbroI+7xkpggZSQbbcer10zTa3MzFK3r69IsZL0uNS4NU/WmcrwpzMcvwWk2+eVaKYnZSlSuYyHTCQQy0eEo8U74UX61QgNB+Cf01ovGWMWhuKcKQbmhjunr7eFxP+horDRYycofW/99ovoHTwjBt9ryrQ9j7mAeramq8bkQC2chb7t6b0GFf/gryENZ4gVsOwLXsE4NMHw80cj4pLyAnloBdLloZJoRCfY14W1XqPjh+X0I1yFgK1+yRieI0GodDPHc3D13MN7dQ5Bh9+WbUTjEihl6F3kR6mWNuTpgha8zwzyqLtswHShty0Hlac28F/a3Io+ngWCJt+9wBY7cNwCGMrEoVPt2tr23+o1mi2JJT6fNRPiozB235qpbXoDCJF85IY4rlPWTFFL3X6F1fIx8EOE2pARvqYMa3DnWMeUHRp6En3ET4NkY0JMOHkVmmnQTVWwSMvNocWuaIIgm1cLc8LL898sOcRAQsy/v0wv1PL/tbhEs5HDmBUakkD8EGZUKQaRN4Qt9RtdOGs1kurXNflDky/88FpgvBqhGyI64zNrUy1LyIj884edMsYFSxyc+NqjYiJoiZ0vkWBLYjehMxoMjAgtFEjX6/i/osDquRv7jltK7Myry7iv9nnic6W2Sy8saAcCh/kXPVLz/EG1Gq445/bVozlATsuP5zCiDtNnPEXes7IBaf8YEyBVHg038RaO5PlvZ38aDNxeepGDm57AW2eXwB3imCClIitzX2CrZ963m64KQHRWCRGbeh7LSnVaZpy7AuFGw8e6YvBOPT6x8j0hdzcqULFPKcW7u/IUm8uEVcdx9iZeMObJsOC+Eta4wQalKa7Yxj3ue8AB5SyeNN87Q4eVOpaQKMWInLwFZPi7udQQYiUNBY2xW33vcdDjfn9cWxvAH9Nb+9TYZSyH25kXWec3fLWG23w7OzNPAjw2VySHtfgZdf2vEQK+1BROPhQWJVXO9P3Ocs06GwdfbyNIe/dqRG/5n0jqYwaM4eBP1C7ZFHurH3qNMB1L1R6vVxX6xkmHtxTzelRSY0dNElwym+iPIzU1uHDpGYknterg5S3GE5VwOdD8qyxpvmaFFJsVYBeujwKgVZEazds1bcluA5tHXnoma8nmJFdtPvnb9lW5WIsxkVJya2BDK5Jfgp2HQ+mQ5mqSM5kaPYYhT7L2cvVR8YrjYI9gVNutLeMMa/J2C0/cDxQxa5Ygm5FWYHxtV9MG/f2xw5tJxrD3X9kFWDvEb1FRWQ7mDmwTptD+2PtNShzx1WAeLMfvF9HRO8wI1+AwrprDCTDJYkKhD0m+C8efX4WaAeDOCi/CpRiLpPLLB0k4TJ7LrxHg4yAeEjt2DrM+Y0lsh2boeMQQfyg97uTwkPyaEtbNWFtHRafM6fexuqkTxIFp+QHAiBnUBuCIb1JHRs9otXDABdxTjXFtX+yxZh9KTblgyshTug0ntFQqFzi/1vXhCWvrQsPFY2Qr958IsHh/kuYjWlzg/145I9+V/RJ0JXhOFoo7HQTksioRhPFrSI92Kdua3dprazJLAIfcK09Dfcsj8g4/mkm6PYoAbt7KF7iE7rsMmRJXb22t1IGHCqpfqAIwexmHUnz8PhtFiHPMJyj/DH0a8td8rDtaXUx2U9rsmkiAodpqOKXq1zEj7K+AauCM1EL0GsIA7yd40BZipg5DkY5dlkB47v2PpTBh8RhWtXqJIRTNsEWlVk/HxDyuR/uLrdqRcVwGmVsb6djOSO3wavDLQHFdpfEeT7pgX0zFt3iel6RVJ5fT0wnTXUgjpFIw/pUbcil6SWgTxpILxQIS1Iwat4LK4sSURrIz6Ut9WS1RP2V2iRZTc5k60WUlM13RkS/CNCKw56MXO2+V025xTNiJwHcN8LMAKyuzGdAw1wExcI01iW3zjKS523sHVd8chBB9+JuLOggStFkY12EE13+glZ3GmJrajwRPUDDywHyRDuCBcKECRksflJCRkulWSf9nBvpoW/X68oQjNroBI9OmntYXfTdpSfiMs6UqHW9ullKS2Dgr+77EKzxbzNnI9BmT66QXWh+b+L0AIp02vlqrEkMMH0bRXqO80irtENktHH6IiaNfGQB/WB1hSnoYSfY/iqI6Pqrzjv8Sj3lQWSy1vn9nrHunLnEo9abyFA/kXRJa0EdYvtcx6Bw1JU90CkTtNHHfjs2kJwabe8f9VFk+CNXR9IMBXBknHMvjIq4ywYa4Ll90AlNaefJvklub2HLKNVhGvn8eTVDfjR+N1E+USXiCYgL486vD4Ihsl2PYHWVhs06leinBG23fu6iLYt4oBGcAhr6qtDKU3cwVPn9VbWeaVzFSfiD2JsC2T12m1H2IAF4hr9YNv0ZjPpbCsfZjOOXTUrnsoTLEA34k1LE0XwglF50UgNXA+v/122PtD4Tvt17d8bgTGIKyG4/LjzkdJAgYOLlZjFHZGYr4gRM64BhKdLSpcXOxrXJZKrCE+tg6K9t0ALLuF+xHJNRDwVoyTl7Mukzyjs23KnbCvh7pyekw6Qovtv3YEVLoo9iZ+sAAXBFJ3792EV4x6EFiqZuz2UO37HLkIBycOIkuhdGNLZ1dfbsh4MV86eb6qamLdkItD0yedSCZbHPjhu5MDjDVirYfTDbws99YzPeJ+IFrCu4uP10L0JfqQPQS8ySb4o8eK/2ux3c1ltw7UoNmbZrfTMumo9b5EkFZojgnVO/frfRy6YfTKa8hdqvuuDB08BCesxrx4SNgqp1IKC/1ZU55lFZkWMLGrUY6sD+u4J5diRkA0qkwZIz0VpZqXSM912i5xptKLzz19JsYvx0Z5Szg7uyI4//ttnz+Esui8bldr6zFXmwNk/DKfkJ+smjiCwWa1yv2wTqlyWOgL5jYQhzpNmSfRHWwJTcpqt91PREaulJ4CubZXeq7GOCigDzRMcifIp+rZHrL2Q7CUHqfBbsG0voS2fnea8iEFsqDqJF4RsRFxVw6b6lKYZquvfB+JgH+lASXryNkPIHspy7rO1Wr58qAQWFHNyCikDHcoFyclhkEeiQR9mas10A6En68ne6eELtUrWt7PCgM+HGSUhpAIcnRLQUipn78ieLKLn8ywFv3rqsHnWohGiO/qHA6m6SwZ5w9yxdrm/6nWuoMnqCWCLi/K+z93RCmxRyp7Tkr58Kl9+86jUrAvp2fBlokwiI4wutrRkXSRPsFdgqPEOrbN/DVjGSc9doUBcvEk+3gu9Zr5gwiAZAe76/U+vmO/9LcliFEUra6FSxrhEbihi3k16pcp2Uzo25Yt8YaUjlJpBMQaPZNtE6iGS+9zN2dnvh9QC+g+d6xWRltuJedtrTiFVzdQ94z7HhEQZVAwzAml7TbSm20dkH8Orv7mXoCL/ttPZ5H5PuxuPszFXCZLd5DUvYv2SL/J4f5XvSc/nz+lewIfyTJcm/zgXFWCgKjsVZx21i1WQtlXwpXYnxh9ukHAtciETOqwzyul194u8idSuBUuok56EFLAx7tGLel/b2g8yDR7AY7j+YKL8mF5dK2SjekJm/jETAMk1/pHc+qj3CNBU+Rt92TvWRjTRS7F8XTTDVKza8ci8uanWtAVtY+YpaFTKuMJmdi8IfcOsMd97KDR58yvfdtRrfk06GRWJlIbD4tt1wXfMzmAE0/RgyATn57fd0DJiJ/UhQG6Qbwowm/Wgkufz1FgeAhY8bVNiQVmzi+9BwPrpZWVrMuOtqQUSmZSL+mPaJftnH/XufklHO7+i9WaNmB2UG05txEPzDEa65SigbSOhXjJbHy66sHC/ZZYiqTzn6TGTt9pxb28gzEyGF9+JdpwOE59EM2aRXHZb8E3EHtSEh5o45juyN6gaAqqdcGuXp/9la8hxtH0FxVhMO5gNPu2fLPkURaPSlUjpoDJOlQOqDAKKhPqpM3D2s7LBlqWGiVMf1bFoLkQBVLR9OpNElJoauvgT/n/lEOLXHlWqrvZ3tUUwvOfVMKjabvj55598RCT20owORg/cymRfT2CbzQVUJ1OqXbGTxR0IqpCZIX8ndESny8l5h1IWGulVCdNjAWkhqBrnVv9RZVbCPHlwIbhEDB1QF6M7e2eE8k1k6fjKQQX21AEoLO1Q5zPYvUXMPNdW5oT2bpXZ9mdMYjiFhwAjhB+7GaqZoN8CAfyOQNGPcFHVbZx6oJ3gA6lDqEAfUNHE5vE42EUbNxZ7ALoCnP0YFx7IXhheCXpceusqOdePX8aFXhUYIwB9P6uqFY8A/hO7T8cJHPo4xpWTqi/8ZRSWfqLrNaCeOt7VClDB6IpMz6fayVc97QrjA4yyix0Aj0w5TXbVEOk7xCme8jy7YTj93z3efZRhyrihaUobvVxHEhFdB2CxqCLRuWqH3pLXoEbTD0s6kyqR3KvsKSVtlvt5yFh1TryvZoU/HPi43uygn7VlYkuntJcnoJtrtnYojRZDj4MwTIS7EmgJAcRqmJ+Z0Q3iTKgNegz9SvEfG5bKyoeT518Jq3qUM1s83kigiesdM9bKwYmU2HEj+wQdadvN3yjAm+p9DHYqawCGLr1ZJJ4LwW2UlazP4dA+v3PApbNkKP0+H3UnjTHWAZqRd5nmqwywmQXV2E8qxRQ9FkH/iRjAKpEDV7kK9oRL7jvPhifNEX3dcDQoursdVNXSL6F353Ag++o50CuWDyUOGNXyZ5PHu/0kh/W5Wzft0QJJw2/NN3hvaqTjJubLl88rsDtbHV/rLkd9my/iiFOYoGoja7vElIqxTnib+P+iYaUi7ylYgWmnKiCTFEovn5wP8b3hSyLpc5no1GqcIIZjTIPUEaUKu6HFH/ORrUKY7Gk/wnrTrbmdp5TIaAPxrFgzw9IpvFjeOzV51XcLoGryZcw3QtXoYP+P0TjYSpiB0ccgtH9+F6X5Scd2PMRmCUbv5wsyJ1VkczZ8BBALSmdnCXJzRwXjZH4t9O0oHTvDJ2sjE9HFyKolbSLhU1XWOOCXTiOB+jGkccFwgmhqJJes5ZLTYiAwACyoC1jVZt+3vV6hGXshXSdIes7dpAxWjEkNy1X+hl/M8nebRilwBcy/oqmrYUzLMU5tiDN2SMWGv5/APxQornYGkVhS3w5gG4YKDinT4uuj5D295Q/yQuVnQf16xWDywpWBzddNiMQXBaS8KdKSmHOTQMtVnQXG8iGbDP1zwRWWPeENdfM7GBv39GeuzCa4v3ookseQ9Edui6FRiDv9rGqmtxywHG3x/EnaSGso6Q4EbwMqCyckIKWr7My45mfsOR3qqYH+f/jAg1ThIwRL9hybfgX4hmNrOF5J7esQvZ4lVQNN885/XPtJ8ia2S9zHcgDY0HF0ZUY/V2Sp+HsUb2x+96kIUVUO9ahx+IbBYgFOp3Kt0bIPjtO4kiVKdU78dJbQQ3P9U6tfTazc1fvKEJouY2xOuU0YKHejtrEbmZLPT/F61nkFU23o8W7f+vXdScaY0Nqe+h+RRjmel0yO1sqlLv4tsDKTJO/6ix/utdxYFmhd6q3YxCXcjpwnos3QBV5iqNVnYm4fWFQobTMhwERTebORxjjPEyUU9ttlrWroxNBvy0s+1BDRrn3berEK3yiKLCkcurvDa5BAEG4vWkdjqan21HKkuvfbofZUN4FLLPb1h3/gn3Jq+vsyjncqOriGJM6jpO+FBKnArbPlOhFy0BLAOZWje+XwKDmWBaIpnIkYKtKFkJQG3fr8MCTzj6r++YUV92ia4e01gEwXgQ3FsCxiR6vUZSxpbbgTShWYl1iD68VQxQIg+irwnijJmaYxHSsYIEIcCZHwJep47CVrYymsg4HU0subF4cn85ex2/y8GT+8dvIeW95vILOr6TEYxmcS4j/R5M1PH0arXx4p3QObIHqMF82K/HBrnmRTCYN/oqIu+5ac3Td9/d4dVq4PJ9hVDkJaWIAUl62188ciJyz+PqHRyiF4JcRcLbWg3ftyFCc6hYwqaM2N6xyLCrL7NQ2NxeY8bApL8l2d7NZ+EpxDFcXjZf8rOPxOurjGwewbVuNooArvi/Ehn7XnlkMtX5VhRW1vKDfMrTQqCaIhx2P0NEV6y3+Lxoy7Ux4vB0JtmEbxEpXhow/uFmGIN+urw0XYeCtACeuHfwT8yakfX933hRgN97U4mQtTBnsONGbus3q2/ajwWwG+SHDrBo8fzeUWUhbC7wVqMX5Ie+77nOMNXZcPQZMUYwu0l2t3BcF4jSoXzl2DvP3tOp2Z/gQHXUqgnLj8n+yEt/dq4Kj3CQFDbHyc0RqUdfgOgniTsST2VB/OEwVZoOb+ltTuN9XtB6jHEnIZK68yek6+LlTI4GmWMqin6SSMPipPABrOtdHUUnrrh71+FFEr9xDhs8gTda1LcQlwioBM0GgpxzfTatYyasCSTmch6z5resRCC7ZEDD0FzhIzLtkkxYm3Ey+ceh9bDyA/NX+ZZmYJJp/ZStkbLpQpborWsJXCZsg9uQzF76izsXz4D5cDn0WESPP04nsQMTgJNfBuHDoViTw53pUfXqhEv+4V2Mx+a+34bIcCujWhQqfUsDkcP6v4UJ81pKt+PHYKbWs1MpPE4aHXZZuw6pVdRAVCo51CFSHavFszsK8MV3LYkxB598B+DbAsHUrJXPwlu7mmiYzYP2mt4YVlSocXyZLrOfXy3r3hGlPstGRHX82ueXRDanU/6lD9wXl1i3TNP8r0BYEg3gvnuNMhBsYr92l4ysb9fp6Z1Q="};
+export const guesses6 = {"count":6581,"iterations":50000,"data":"KUNLHDI366CKyvgAAc4tag76+9SXi+MjsLDxqpRxjaTwBKWGCWKzgZiptGWoZT84TlaG0qKQ1XWxrY+zQCjyutAhw43abgeu6l8fTameMW0U2hh/k2hI5+qHkzMv84u+NxuQlYaSMXywJ1hSAwLHyEaFgFHBNzRsAokgdQqhpKP01mDHFnELdvhcA4cKLgkw8aGKL5B7iVfkRCQRi4ep4gxXpQJGBb8J3hjnwT9MXZczYsYra3YGdyXOsBFDC0N7XggqmFxqCU2QhP3bFMxANrZtaFTtErdvrOtS68lt9QXe2F38Yw+qvX9UgNvZ+oaQ9WSsEPR3zGabQ7paskrihrprGqpnopW8DWCDb5Q11zHl3bg+aiZJR+9mzw9rhMqBQ4NiZbvL3oK+zEkFOVNIwM5p0YSL/HDjKtdPdCYdrt0+wFiWFdqgL9OKcixN/sQOIVVMG8RbnUz2+qZ3E2ivXRC068OX0s1a8qR13lXxlR/KohxdpKtL8tWxV1rDy448cRB19V3RRRH3e7OBxEfvzjfzbQIfNVBiZBqUhkIHB4/iacZ+Jz8pGFeXVCLBlSmXDY3SiRKfG85G9Lz0MSJlmrPtYcywG/rNqwLMVi3YUheI11ta2nnRPEi2sRbUc+8BIsRd6JnoAyriQl96tCigiMLOOox+EErKw7zilOK6rdVj4UGCwHeWQwjzT/YC55dhV3Fob/9lATi37IiBYWFu7qExiDcL+JDxbUQkpmjIiS+VG9PySurpHRApWlwLORVxSHE8V7R2awNndBz7k1EQXRIx2BXnvfnYslqXXRDKwU1utocY6k1HtY1Z1g3tlSYtaQdAwIeNQTJ83fdRczPkhrQUxe52IfB2CHy1T5eW8rZaUxFKz1g6fijrP1H5Ip0E0DxWqMP3nAeWx0VK/4QRyHEYv8x96fbnWPopBYgybNjRzeVob/TDQur8NqrVg4AS+Ng+oP/MD5NH4a2PM/+A852Bajfmx8tdBiQjcMGfPIqPJOuVgPKEQU4Q7xcYUI//X3ExPTc4kPDGUBzEw5waAQLZ1PZmX8zxNADgFqnpmnO+T3TWQa+vTKqNy3PJuZF37H/vSG/inlWmNiPjivbSrzyRLx9bSjtIdGqCvYd9HC+jXVIA0pd2sKIU6gj4EgUlEZFdZ2+47SwlYxT8fseadxCk8dR5EU2IKIsyJdLUN5ptphfUWGaIC2nB/cZdJG4PUWoHLAvXDYbZEXGUv7+qdetI/fPvMs5Ab6/PFNa8PW+L0awMiQOXe08vsItA6Rorr1lfTsx/U0u0bLCGggvqChPEqLDolEo7ByLnx79O/QKeT52galRlKz1s0gqoq+7H43YoyAjbL5YXgHV28uPUBdGIPIkFiQjkfpwJbfrKD3ios9OqA0kbjSFJRcIR1KxTvU6cGGIP83ultJirju9X7UHchOE/DtrZiV6rd/eQdOnCN26A8K4xwrmVVgtLDyzGYmaFmVDyUNyH2xotN0RygBjndHaScKSCempkXbzw8B1AiEwo6eDyFk6B/vqseH00mhfTk+NKyRnL+c3iDvI5tm8aPVyYveHg4+h+6iKKpP0R1JhaZUxfD3TGPCV0n/Ku4nTJTGtJb+jdJ8Rq/eaRw3F5KTOo1iLF6FUjFBYVxl7w4zJJng+D+vMAJhxz9VTnjXNRDV7EZ/OTv3fKtV8eG/DLXWFsH+9Abd3vhY2YfCijUYoN5RMwedU5V/4+poVpl0hs0xKNL0d3ehLRHoEOq7+Z2nlPOY/+vizklQ+xQ+kVeKFVeTaK4HiCCMpivnhUnWqOcbeCwnGwXU9RnR1VRKY8Mlylye9JZR5Fd0lMfubSQjIBfrpaoRBKODl30TZXHtOCcb5nP2vdV1Hso6IIQ9ZVJwhI7W6tG8ulg1UhpZxkV+ooXscR9D/+nOa76FsvxuHi6vlt+A+pBAainvH9x3gu5dUOQgkremSJHfdIh8klIhZlVf6sYLhpNnVbJJ8mX9QPnJO8cnP4pNyloPlkKBMVxmZTle8z6YfZnoSk0YXYn1ibR4KlHz2+csHeZiE2r+EYDjiUuPAcQd0fBxtKJj57Id7Zj2I+qCemkz30dSqeDGhAOy147S3he0ARZYVyH1jLVOOIah+R79138bvmyxSOcFtwhGWjkkf9BmAzKj02jvkOcDA53JWA9qH8JO39gkX6+/dYcXJVkZwHgSj1ZiEk/KRnmjHrjqAfA0T5VdgWkey4kuX4cft0LvO/YmQDNyiS5H3DQIriPJ17LJ/wOYKe5Xln55WFu1/BHWd6E0hndCrpaDGQoAZ3ZN6TL+Xn7EibshgrxLz6IvgmeTVyOdZSt0jNrZjDPCSFBqX9TbtdoYQukdVFAjw52HFhICym1EYBiNqCsHTbHVKN7QQp/gFIkS4CFYEEPkjp3bxHhc4EOE5XEHrvWjg3uJgK2JX6mElQtcwb2uL1qn1XHVhhup79zyC97XVzKxS3r1mJEKEtKpp5q+e6ynkC3pN81iQjyV/jUbw/R2gI1zfYfhj1bldvS75vUmefWPJBqnnZXLeaDPZRGryMW1kTl276kW6O0ABzbWlc9BAi4ZvdONgSAC+GXHhS0OESpqICR42XsN941Ecw0O0Byq7/Ret5zTskeR7nTj1PPsRh5qM+T+qhtmzNWoPwUnFtlsfAA0sNGy+ChQRx9DPBvpLhjG0lcZpBTvlY35KA/mYKbcFOcCBFZoj3XStEPSnWlfj2XelDTimHn+j1Z4h4eCYuq5Y2yDPKthSJHx0SJFBd0g4zjSGd9dMoAliYOSNf8FI837Jk1IGFtkmvHIHvUIZBn7A39IkZoHx1NzNza2rSTjsaVVAHIW7eLKV9EO6RAXQlqliuX2Xocmr8EHVSuMXF5/5KWYnjyQGdzSLXPZ8lKYe8coMDgCz9PWfl1VPfgclbqiIgedStsHLEeBLVwYB8LO0bns1fT3pDXrL0XRYC0vGU/psE+VvDR6u1PXLJIh0TxWBd4uuuosrdrOEOk6T+zZbgGrrdkG/eJ7Q3+wWKb0yzfCQ9/u+nj6orfCX7qQOZlCgFRrKQ8zUhsVACdY1+oHdH0V7pUNPs0PwDMVAabCaD1C7ZdhZhvt5OorkK3yXnPL8MSuPVUAsTKZ17BSbq9dSSFHkkgmmRUS2R+vfJnTu/6qLr8u5wuowuVLiXspt1RYu3DZnzxkn0txeW/B3qV59LZDKkucCKVSyKBMviT/UDOssRW6GDV/+ARsqWLeBGwxUSLd9/WpKCLbJK6C20/q24Bzau5vza3pWy68oixYXDqlaGKN4oOcPfy1gTZcHTPvzbF6RAIaEC1jCGv68/sAb3zmqfpsi9ICPU9rhUcFCFsSCWvPgv8vFNMbqJthw0dEOJJ61XNAYXltwePwPnP604f5xfwYDPbImWm0HNiQBJC5OTdZmIHzoRIR9UEKkit0i4TI55zLS3gDg9AbInVXmU1ccdzBP651zGCFdqMyHO/PXwcRjP8zGarUH5lS9KkHotQqRAU+8bJtwQrElK4JcVPYojOTkSLKVLcTd8s6K4jooW27l4eyvSepwqQako7Qeb3GRwxjsCD0PRATgOptu9JdgCmtfL0Qm6z2LslBdIQPAoxCG/rsX8mdJ+7xbXvg7UQvJHo4W6pYklVCrWdXBv5FDVYCjMt6J9SW2y46iKxp8F2jZXTJ4EKu3UijgaY72DRwqigO07r96QSD4sbJFzu+btFwcu6bBo/oT3WlIlT+fHUiJqBdg2Mqp/IQB/3vzPL0NMm5Ih8CEJH76iRVGzNesngx+Tm6uOZdoma/YWOgFZgScFoSbeKi4FgRuegimcm3filczLh2waS5j8hFdReatY8u9Un5olRn1EAZk0Zal6zTo1yJbacetudOgYOWly6qaRtdu/Hqa7yO93qkfxw9sjlsRgW/1xYm1gSO2NI6Vqbrz2yf4r92x+zJX6+/YrQgLzQr47oDrkdIFaEUQ1L4elYv3OH/5kCLD9dfYEwZ5D5cyy2XqnAw/Uf/XXfndr7h4L3Z+N1D0+1iKB1/DsvD7haLl6ICA32d01fbUmNHkLUqSDzZypwPBLh/yGFk45tlMkpeDzsaSJoMpyyQq1w+rwkEHW+cEk1164KOHYcl6yjfZI6wHmAcoXLA5aZdCvSDE7brvjz763M2dPewQfxO9ztMeFIhZrahTH/mNC3Wo20DCZHMRZM2+GsotIRcDMASai5FjXQZoWXeXnLe5hcRvo5i9x0hQkLTBixhB3kJPcrmwmtEXaWsm6Ziy847omWacKbm9veNjj0Cj9HOOXBq6h5jwqV3UPYEC2OSa6cWVfbw65DjioIXQ6KibQXQIQ7L8lcJAdsQ4Q5xFxkfCtrOtPiqylyquv2mHmqbeZvFDuDttD5UlHoTLKLqylji4t0G/Ib3Kp2fnzsZaeQb7vMYOYlUkplCnsYoCMD6/za7wlk2xz4jwOusj1mOl+KqhywN5gWEw2o8QEvpfGfq3iF0YvyT8HG9kon9Ydwn+ujjTCadWgo88p6GhsZhEZ1fp2p18d9yS2sPRUJ2Jj0BKMkle7f2Lg/kvnV4x9pl1uaQQV04r3m5GzM5AugbYg+pLLQDHxzR/x7Mh2RnzOFxY/+s+jYQe6S82JhF1uauSxVyZ7x3Ct4AdKTkTvZrv6c4rK177FzqFW7whDCrU6fvGR34XVOP4jq22S/m7jIEDnxcNhv76nPSnrDdKMCxOZY2TTFJto/oc+kj/j8RcZ+UxniipVCNjl5vaQmSrId4lCgkhWDe9yhHO9GIx+JcjrlVSJF9zZ4B6qD7MdTxZK86OcR/TKE7rAuvBuNiY5iKQH5B+9BiuoueD5TA9ay1+I55hzEbvLJ7yf35c6tdiHcmJpy4QkppgkaVci4DvVw2Vjnnn600bLeOeItXE3r/SbSwqkBk/Oz+3EYKG5bFNZBShCgUUrg13Y6mZzFgoKyK3hYwDLgVFeEl0zeEv1/P13Oys63pQIQou1yFQgVFULnZBiEcM+L/6IXMYD0yRZqfmvab0r/I0JSdmKWDOQBYevSrufa+SDSXHyS32+oqBgLqLGa1W5tAFGc7NxK6POkEUptPm6Dw0w0LCb32VC/5eF5gHGwghzo++yX5NbtAi43v0RReWVLx36i3/TREO2VnA29W8NFjATuEiNiMJ2z8tyynEzzVAkcQNTqqECu5o3xvTLOvBD8yHFpukagMCYjtUJt7cqqx4dHJhURSOzYdku9XoidOQyaVRfDUVFpbUMDNXuBPKBqEa9Q8fmGFdHJP2+R6/5L7T8rA3n/ybzY4BDl3yqtpByogypWNJCcKxXr7+IMK15cHrcLGXhej3RGf26uBShDB4JyDPMorN8ZPRpokfXS+ZAraqHhw2bGaHnF0Wt6XphcKPxurcCTgiPr91eo/iAO6u0dq6pjvS/48SY5DcY2OLfklrCNupPmFqwCj9pzoBcQYO6bKXGDVV/U8hz4BZY1ecLnb6AQdBXevlHe9KzL+KOxAuShITj9s0jCV2AVlCni5V/voz8hsI8wgQ8mFLwtTrcZPFpP7/16YV/4i5G6W61YvqDgGcrX71QQj7q0ly3YXzbZiA82Im1fcugqdX/Mtd1E4bq7EY0ZU55Tc0vD6mzWThW7cTSLvxRfxxXP/f42SC3904e3osO61ueoBRs1mwijO2HUQNXLQ9fvgNroyuJS4mZtQPnBhrMH4zMBbrTdn6AXRQJgtswYQidphDK15JA8cFc4p917pKDrHfddBocGJuhFaljVtzuJU3h/67YzYJU8/H5/AFdnfzx7y0tYlO89CNTv9cYHaNNnJXu4Xqzo0Z1zCPJz4Cplh5t/++NYv4LqvzQF6hNiEemMa+pqjdwU3uDA/TB3snxKvRFC07mvz0sdcHYseK9nha5oKn8j/B9WZc6/nHP1pTwQxovUjeNm8+Q75UPIM3JtOHPFMagBore85hMQyKBeVtZIKXP53rhwSvgNJRbjxGucfCxAPNrA6hIn4NpKBhYn+GznPZrz0k+JZeXkbwYR0qHsdq5zVD4lFNgba9xwj363653x9Ug2aU6+Vk/FLpUUsHhIjtR2gg7SXpJtRU2zQ3/7upl0yRCKI/ywXef4pqbpjGXRuTAVhcsRf41iB8j892XRzsgItpZbPYNgiy14xZo6BbM7Was3Si9AcQYHlMJACMl/PsRADD/0X7O/XcYNXxkkgc/zWqzXpj3npgvFVTsuyUCu6rsYyAitIepT7yrbr1vZm3yJXEwAZxV/jaHEBfdOyenuBoIVT2WMtOf4E+Ba0WntIJ7vJbqMJoo5i9av1izz0+aFzx9aEoDWJ3kMZYrlFllMM23I0BmfAx3blFOdD/eGSc0jvB0PvRI1CKlh6JqTlgG4y3CErZuIX/6oUnJJpZb/hs7NbJWbEEQwVz34zMgkSNRJuNvCArArGX+HsyHJ7iAscOveJSh4veJ/oVFB7ZxdmKwOMM6cav+BNgyiYsrSVUdVjEJsRlbpFfSMhwkkkhtR8c40EjFbXinQDbN7ka3lS+FW/WIVZnz4HrwuksZssaCcTbM0loUddW/GX1CYeCnHkT2UuHTXBMPaP7xco37dSNMD0b9qCR6uacfU02Xpo05lE10oeKMTes6zfG20NwfkCgec2wN5l+SS/61gDwtDAaH547f0pnr+7I0mcOy3vymDUZm9ed5kjg0Ud0Zu8JZSVBlq5pyHcduskGzaNjMdlh/srm7QfBxpWVcNaMSZtIbq2YEq11t0e5kxa8bQoKOU0sUBXGGSiwDWPIlWWClS6C0NNoj4kCsb9+ttb8mbZBvc7qtCmFgDmssnpR5+XCQHVvJE4XUJWKIv5y5HFBE8IVxzR3/MLvY952nmfd701H8v9KwnnpeFRnKPSeEag0yivb1U1n3x6yYiOlu7SezW3HGYLcffJCetiPZMp0HJRh0J11yR5/KBSMVNaJpHANmpOM1a88y/kLoAFruoyt934mnQIPi2/9jnsNifn4ZJ9F/0Xf39rmbjFD6PSM7Cn9R0Sh0o1OUrEefBgCIU6bCwbm95r/5Xh/TWFOYZQgBJjYSFqJRBvqZ9HVpk/ErvkpPVvxvSdxptiY4d7NWMwt60NR/yWTPu0xjZSyy+fR21Oy8eBUs21eWGJDpwY3nGboS81S5Y9IJZA2rsUz3DjyR1MkhVKcoYR21HMiHR7SQCYxXC7WZHSKsR6Zjc6fqXqJqmAcnx3ZK3nk6bQyYzNMMkNjz7OPB4U6wSnSEve6Iriz0eTu5CHXjKs8N69/GLF33HcQCcPrKNn0D3vWiD89+1dSDeyOL1Tk8g/LKEbC4z5XdwYCCsfXW/JWqljpLzYRn8BogsGfqOImm/9/jFGSbSGoYC50LcITmXWj+mnxqNSbekcQfGcJHnKveBppyXSXXFCHrmwaSbnWS89QE2Dg8AbWppR8n7DmkVJ+rBqNhY5HGSwB9Smj1dKL9eD9WRQaGDEYFoisRFc0ydA6j1FrnAP4onHPAQDG6ksf+Qy88q5NwDW89vnqNwmdcLheN8h9DIMYpZTLqNzq9RQRe5XAL2jvfcUyyP7cCpTfDgHYx1HTQMjUa9p3JxJA2e6vM+rEB7w0BDsN/Oqb30pokfTLJ+xcbwc+sortWV16peNU+/oox9pLTw6kph5JoO6ikv0CLJXCsrksT1MAxc0VXEa2bDOgfdAshGqxSD7brr5NzLkJsm4U3ptXjj/ECgoHMQrX48Xe1YXDmNBTYqieLE+Gzi600A+c9LndiXaCkkUmls+tgY7DMHzQxobJeBaRjZsa/f5RNBYcPQgicXJJ9dCU66YLjQPt2T4MBH/2l9nTGEw8rENYme8gJwvq9aMdcnnfyCm+WlYdza1eE3jrrG9+fJ1zoAJz9t8Kp74izBFRSoBkzOa42rLpntOj3rL1hfHsAqSHo7A0GvnTU2lxAEAoMLJi9zRPMLypG75jA0stkV34cCRScDIbq9EhbQ6X68ekQ7vY1JiF7JnYem9lyP2Nk11r93yYg4WLVQjaPOzQi74YQlxkCJEs9Gxuf7M+DBObFkNHPzSJ/D/DigAy4gV9WTV5he5fuD5agAVGcIb1ITMXFxFPa49d9xSYPMlvsfONRjt8oLmoj2H+mnEcnUjzE/tk9hAqA4g/wivZQPVAmkTy+JYg+YcVxswonWEM8OFeef8NdPnVleex9bJcJ4u4qbXR60BFkEzP3C5DIaYMaLRSO1la0aw+ACJnb/X6pWrD2ELXXC4RZ/9blmTzetTr48hm/DergPE4VG5sOs4Y1OH/SZnjPTqOm8hoCsz4aJzpHiWX4ro5gGKi3ZlERqyLjMkYMHt2jTXFMPyGy/zO83XCSD8Q6uKJgXmkG6MviC0uKFUbZxsQOUhVXRJndnFyz+94UxPYMMSxioeYbZZNtqda3UUxqZ8Ym+B3MBooziTffJWH2DGzqH4s9gqFJCBDN5ChskYB8Q5qw6CF3vMvIbxMfDsjwzzla84Dj7xCvnCIRPLXEwWJ5KttLzingFDjNycspsHzOHXADhWAYNzOTzEbcNYTb0iA4nSvRvzOuYAmMzY2V8zHZOs0AKDN0QpLCFWb2mqS5zs9hlPW2CSdXqnAbZFwOViQqvJYu0LsKElerEzOHjzTSb1bSFLBHH/CKBT0M4+o6vAU+Icvilwt+feHTB7k7U7/En1jCQvT6g9tYWKxNkJRguucigc5WMCXEEcRiN4+eRtoQt/oo8NwBDy1P+sJr2fNtKJjjFcFs55OYFiGONXIt42E6hxOw9lt0GmIfQXsQ6BLOAQIc1/YyJr8fqWbRi3N0QRdEgMW3Izv9PGaSpdIOBh5ZFCQnjDiVzXihH/EgsvHDKfAzj6tprAJp8r3ZMOLlpurwMcidA5jSsrxcWUzr8VQjWuLGTjOiNdqdEHm10tQWyyQZpbjRVeWCfwGoAepuf6igOcAUeXobe+cHExdru+GmAmQV7AM4AKCe90WaLDSdDt8uAGhKhJOgZY2xWPf0wn0NKiTT6nbhORmp3eqe2RoruWqFWKNBKtOzPwt9h2FiApkD1wMxKRKzLOFzsoE9JXs1m1QWtVQDQNOWowzQ161+8yLiENgxGgSlh6KD7WarElUKG85BCe1YeK0bRwDeqSpO6NbhB83RM72MSaRbA7La+CB1LBOkyddAHZEswDv+sqbblDsu1J07JnAueZrcXV8/pYqShAd34eDHfKNRgqtyAWiGwCLMbFcbGKf7qniz8FCx0rMam5pky61rrH0gvImLzNgZFAqKVmr4hb2ZokYFFGnBMNsAawo41CGmsMB8wWqNieTKg3pUse0LhDq+SgDpUx9RUdyJSy5YHxoWTyTM5qGWkJVoDSpJ8Cuy/zZtAZIcSOcEZnFIio4BauzyYx//sGkeM2SWH1jnvrZm0XSuRPtwieVWhgif7ffZCbKEOvV7/y9j1YM9XTSfy2M6NjhhQOZxujsDjSy4X1zbflz61VEsB7bHXXJO3yZrhWf+VK3OmBK2muN5f/x5eUdWdCAvhKmEW9vpRn0PUMTvNKuszEyfSwZNIEg33fLm3kYthfpI40neLhcy4b2Iksknu8gBNOQAHjJ/Yrrxz22XjMxXD/oAJN7PtozuO2GihQyS3fnE2xykrGLoiYpeEW/dY7Gn/5p1szF0sRdl1swyuatbj1lFRZsxC2WwxwfFjvXydksSlGxATM/YJZSwjCLZX2jISf8JrI8yKPeV/NWEhWnmVoxP4/C9YvtNWDoXptRQJ19V94rVuhJssw5ixV8pVoFi8/QfUGUSmtmz15IpcugRzk7mUVmjdNGro0rDSj8gkYNsq3GbpU0HtKXLvr3IDBdUv8fQAw8sl/Apjc++ZdaEZKd6abuOyHUfGDG37K9wnYH8eaTO9lpFtcCmtggNMPP+EiXhK1YDGnGbEbwq5ZhBZzq6gifnWYWJCv/rGD+/ERWb4a6KkJAnaGsAakBAj/G6uMQNcFpccvhPdqcssOhk/l0A5F5bW20/khdSY5vqnRpg8zScZhj1HFpseN4EI82rXYv6wHzyVk6NKb/9Au/JF9pPjy2wSbh0dymq3yubUydVPudK1JXZ1S5hPZqtPtDXRHvTGS8wBJnWNSOngu0dlsfb7LggTLRTIZFPgnQY6sNaq8Slk49tmUYZ9FGYAtEYFMblAZNfFWa7OjaK3KUJwjl5gYVHWe8TEODBK1yQxg/6Yo+3U/w1LyNV3N6X96OPBSQeyQpnzMG7NMrCmy7tD/PXdAYkszx9pgJ/fkpUlOPrrrFjsZSPY6GiD556gPcuIy/HEY0V8IgRZ8P5HG2VdGE2UfpXu1pE/yzV/NUxGYNLTj3WsT9AwFurYBEgJuGrTFkBfx1VaO31Sjl9R+083+sQCp7PU5LcqkO1L5xIs5lvPmLDYk6vbXYEUBnk9j9lWU38TvwNf9VAZLlaFyhJjVz06InWRIsZzPTh+kmTbobAqaSTs39AgQZVGNxsd1aDDl1VFamI5G99mv0fA4ko7fcgKn/PpmPofMpn2kbIT2E0oQP1bHEoYpo8CKIDks1ZbLv0fVSgs3wpfelHFoBEmovPODmCMaj3RQrEdO581e1kBv9Q7gWVCSxH7z/PcySRGy75bno5sPxWHFDfB5Bw93rALZgcWNlkr67ohpFrPAn4YRK2vM4B6KAwJ56TzPUsdi9cWqblc8p7+BfbLuCsm1FD5uyuWO3GpiPDsNfLTqodVccze66bG3VP79O7nCUDIZX8gYRfmlufTe3xQt93B5yAScPfJO9K2cb+Qm7EqwLoJM8icC3H2WQxeLl+VPnfPU8p2kJajQG4/rvn5+29vyvHwiZPYbXDHmb7l12lbCNudd7o2+dU7vdpFB+Fb0CBC88Emtwmx+sbIJOm/+u3y+vZEbH0UisUNwSxJtGagmQmL5M6qmxfvtDCTzRV8C08WzowvuYupCNu86eC/FoTFD0iBd5UMJ2/HR4zjTGB+LqK/PlYxQ+V0A0383d//gK/9C1SSWc85ZGegc7qpzRC6WkU668KMIKd4zbCQlOXkYHSXAcsoGt4B//0I93+WnhxG1wk4+xK19In5cfgUi3hSCTKkuc6mGUujAVmMAE3GM6hi2K72FAvpY37JmKEI86SILD8l3mbLpW8dNnqPqRzn+OuYPbGCljzK/WTz2rrOauYCPJEn2ZohPZKX2NskL56+0Emrg8DD8b0bmS91TxHA39dlSGH2Ax1uSkbGLm5/BgqOrACtv40mTGDEKzlB8g2kMUR4pPZXMUSHgq7ITQeSSJDY20/KBKNw7lD6al3MlMFQJWYzk1KOlx4x1bwy2wm++rstX/kCkFu3lKyW7hMbnPwzLnicdfWcTdmE+YQdioIj4Vnt0N7wc6gQ3x0Z+zOwoQlNDcYHDqQoWRrQTpbr1hxoDZX4FFYif5ZlVTfAK6tDXp/OTbJcdvlTkpSPEf4rImhVw3DczjRSX/aXPJEh5j2EDDj+EDX9f7JZEhAAMjCkLZ4rFoGOh8IBRgP7xx0ZDg5gXu3YeD9FP5xOr5H89DRHco0MheIZS0vvzBpSVGfHircfN+jDcbYw1uqLmpWNazPIdDk9vHwsuUhli2rZdxDsE+NEgrrwag7rna/4xXPRNj7JynwHU1EKLm2fRrVOE5hi2Hp0AV5/8pWZkuEQQIw0kTMNzndKRZAyap3nOBWiZgKhXDBv179Ym+B4/aDjDfVeJh7SLfcrNSIcnHje+jKZPfoBuqjSu2Al44/MDhB18wVxjSVzNvRXjThoIGuPi+99JSn8z5fqqJoi1xGD9YNMRaApboZ3UKcAhPrwtRlonTjf6JFQ77HARFjZPvOE2G5E6pcWzOlW0F6tj0zJv6PJI6ehRdazeYBl54QOEBVh8rCPSmLEVk8Mhf0/lrEn9orU8NLBw2P60hUKweOukj8/NCmWymajwJG95gPdJU+mUdMdkrmkrbwu3hvZABdD79CV2Sga9ME0oX0FYy0T92Me4j8okomRGgJJSmqavCdWCOqpnLPk86iOau2uGSBiJNMjcymkP4q/clPkwvVHcnLxVQWH9TJufMwGHPLsDXx5eIzMCh/ZyFChtiWiSCNStEc4f0r4hUxxNu4++QRPG4LIp4CI8S4Kr1mLYK1Ezc6Pi4cFf5CQrQQD0rfl9lwzCa6ECglykBKP0QXoNPzoe56vtLwTg4OMQhs/oKv3GPT5FFLsVv61/JwUb1Xeg6OsiSjKi6vJHuOZkIuytSuNCSXyEAR6ASU5K4VoOW+Nzhs3swVv5AfCwfxqBoQz7iKbfU2j34ff7H78lCGZNeHddxYcmK9fpHNLMJeOlTNATkdx0LG4uijs0ukYzx3Y7RgrO7JplSh8bS7Dz150+yf+yLnixi6bhaAup67mXMyA6iYVMGgQ09ixpHUj1Wh9yXAaGsJRT9R/63ouu4uvSCwJoiR7BGnPRkszlXJ+wQeHyjjK2tXxetENKyAG2ZuDeRpH59FmKAF40HvfISoA5u7LsVpjcYFuykTaa4WaIz8FcbAtNRDgVGSxPeTHph8yD93X5Bcxf3zWG8ZyjFLZ/HsmguJn5L5PUkz4fIatLGB8HOs0fs7SuCYL+w+w0SEFkwgnehFak1i+sPJ1BDpFvdw3uEpS15aSNpXse7CyopSwOIiAjFAFDHWPLib9F5zwSuUCLVpaBf1QLpq0YujH5NUgto4Mw0xfY/ePqqHIiz1PQ1BPKlG2nYZtDrVuamZs6LPk95quwUoytIjZXyX2/mzkFNzQSubdcxSMzBOX/6g9nBwtSx9iiauxpajrOQEW44QIHhe7A/fhvZgBeOh6NKKnPYhQNojstZNIPyv3CIO8buI3m183FRT3249x42a/P4mmBo5nHCD2sZVKluxnmm3FfVHd/RzZk9ZJGxQy/ulXbuu3uLOd3toiDZpj+ptsdnMITNtw5RssX6kC6Mi+AyGWxCwTA/9L5ii4jldqFeYShIEnCjvGQix/0fcr5wXvHNNDvB7BZsuXM8K+oP6PtaR6tsmnnFqCMBsc4pU3OZXDJrbPmuP1wGr9DD0wt3pMwA/LLn8PQqeXMu6uzh2zK8Hg4f+AMWT9RnRLeTd1DmmhCRkAJ1aSzz/+9VQgB2CWE1xbFfMeugZU2gRmnfFmGQWtckdhiGebt+fvttVpb/KNYnAVsoQQtYu2/bpK7cGpTe0wQclBBIeOLoso47hCCnAVAiy2kFIrtfON8mbMVJdHZbTZ1v++BAv8j83WmoV1hlwbL222XpL3uworYQBcF70n4ugXuO+RuNHP9pCEXWn6DctFvIpvvyx+KB7nXo5Atz3YjDHbK/4pjwCFVd6WMf+pHyHwHEk6EVzp+QEX+eRJCOFoa67QuzbDKGQSgM8msEedSDEWsLQG8zOyzh7wZDJf/ejuUy0+ai1c+lhJM4f29qQwI77TI2XU60fWsjjBRTSGbNAc5B+YpVJkRrtkfkFpdN1tP4rrWm8I5SJCX4wKhF5lc3gTKB5uGG1IF+S9iJ98NOzj9l/6RleaLb5rchq3VNcrDZCJWQyG4qJX2EHboZSKPYNf2VaX7U+x1ETxevJP81+zQ36twbIX3dP/FNaNaapM9C/NM21vHWevsO+8WxS7m7y3Ev2voMPBITcNNPv0iirlsdXm5TkK8fG8uYcB69bbm/0NGI93UiIrQeeSK/PA/AHabwRXepe0u2siQG2ZknqswVy4lYSvyNugZbNnfh2Ccv5VjW7RZQw95LaMogguYzM97gE6AD4H8EVaL2UyNEK8Z77q5HqqacrwAECn9DN+LHQ0EQg+RZAXCrOke9NDhMWCXIFLN6tNR+ahrg6k5d/uhdr6dMJkIGpzSZqp1b7DMcAVTlQnXpnuIArsiuUvYWWHZlIn4UuQPUgPua5HGqR3IWU+7tDULReaLMvxUrL6azfhHR2cU0yQxtsbD2ye4YjX3FAiOaDQN1yEADHmeZkHh7yVe6GMQ2EkwnOe+UC6rukahEP1qdHOJRGpfdYGxRF9dGvqJrbJOW29YTICWaTkMBinuHgFhNJymIigiB+H3yJiBmpNhLZ+rJP7tPrZuJzd09tDwwfeURPLtTlJ20R93UISvHvLpfa+J4vD60j1LdSQoLEJfIYoGNuMDNgQGYmSg82NovDZe3RWaG3u1hIp4nFJIaSHvwcr+u82WTcNGiM2yI7tA7bGiLaiQrbM/yZ9W4Np4fVdIxfEElrlC6RH/SCT33pgO805RXXnoE9voCWROJOC8tYJbl0V3YHer1NXeHXv7mWnyQ98khWO074k9Qf0UA1osgrHT8hNMGop9NIB07sqyoNgizb9aBefBhWuXniyzzm1tDl7U0GMPX7sHiqGndGYqB5oPBTZxfqsZ6Z2pzg8kNj3toGjazwibWblKP+HJkpvXx0xqyyNT1Me1Dt3GP/axChBVVXuRs7MIMQ5MtTIw1TTOzl7n1VX3OvUFnnX7NyWjbGpzDTtt49xhtoRFCRHTDpq5M7DeCleYdYx8TNX2scVBHv+PUxpcDLdE08Vj1qFeQk9++v4kz2Nq7R7almJlm+tfsrL++Jgxcanf++N6O2zRDcCjo12K1WzFz09EaG1FQ7aTDLtdvBETHlb7ew5HSemMnLr8PCFY1ixiprNHKvY+nmvfCkVQ1KoZYJ5sQjEU+E705jEmq8vzEL/lYSfIRiweMhqMdA1hHlbaAdHE8rQQZIGvlfypKbssGqyDPw2EFD1QtvFrh2tKZxegevE4K9dkOiFFwZsRcc5H1jOEmH+5uDnvDgMzFI2+84Qt2KZz7r+BmvANuHqzA7FRA+r/YwweLI9RBpi2r5cfCdAVJDRQkV/nCEX/OnZPbeb8LdngKxPqX8G8C0tZXuQIl7f+sNpfW773RCAtTuGxOUP4TQV2YCg/wqMmnjMesTQM66wmw5AbGcPWJQYqKg0c8fJd8B9vwYrkr0aFUpE9gQDK1hASastD+/F/NwR7zd/zoz89sqIjYZKtr15obXAtrKJons6qIHJLAlxiDhxMJ6lsJeO0gaBa98H9vrC1c2CIpxXpWqSAU596qM6DxJ3F8ndRjEshKfZqWvtb0r19wlfcCW+rPnQrW0+i5suXpKvswM37H8Q+aoeNgnOOHRDsAzAvLgzbAIf60DwsvxxGUnge3ZRMyrAxysL6BAjZmIrj2j7xxvQIV5AV0xfn+0IIDqe2jzS/SA2EQ40O/bhYVEgZhz9bP3exqP4/iRilUtYmUgFCE7PSAGSzYeF3Ux90x+293MyNW0u+uNs8X3sbTdU2W+wrtg9ZvCBFNFbdpm+esozii3lHs8M3X7v/58VmHmXxcOFJrQhpMNzuzkNVJgnx2PgBs/Pjp17B2Wy8BYTs6qgDeFmJu465jKmvhFnYtXV2DUaSdsHy1eIhKguSwXVGqq4y4CxHI9tiF353YVqvycfxueF5WICeB+VX60mkooWE6t59gjNMSY6mHsL/W2HeZUrjRz2jXLzm0X/gMdWkELy+kw7/lZfZDmlaOLWcvXaSD/VD1KrhKW/yhhn0PBPySq1rnUafwBMxOgjReB4YkzPyrxsujZpkCHKyWdqMDJU+Vcm+6jvAljy5gQVAXYGkcXstGFPT33tDYjGy8dRFxP5D6tUcB5EKK4O408Ery29YHth22kBZicEjQvHx490uwrUbsh5T6ftftA0g0KjKw8Gwa5HrYnzIFrDDX984UGaJpW24CEEj9t3jXhnSbmTmrx8TC57A69lZh5/fjQdmNdhLKgBjopv/YKcEbUDi1/KNHPUtzVe+9wJ8AVlrT6erxCftT+8CUyJ+ybZpUDdn+5tVun7yh60Sihu8AMg+BUoyyQau1ve2UQUOBsCa80a7r3jNndbghquikbGy/mvBWblqlcjBUfC6VSdUlMwk4jdVOgnsyxebLUfdKZ4Aqc+WShjWn8+xjlLVHLZ89UErH3/9WUWU7LX1wuatNDa/yd70bYMvOXAWi2BjhGpXsWc2YzYvkeneHRkK9omCdXgY2KvxZZ4t9uV4jhxsYl1AbsH+gUt5z0M5nV6sKzTbZt6eDN4FhniATdguOwlxQfEyhsf8A2OxOGsxgsWzgbzLNB3dYp/xV48JqYGn8fibxFxgszb+jcyBKb0Bbd++qgqL1F2rPsnpXOsOCh6xMzWnAKBLTgPXhcgm3Xhe2hr0zUQOJxfyRXJdezDZ4SNIc7tpbZSmKB5yiJ+HwTGtYdkofbEB2oHUAqA3y0B7oEnhAcuvrX7SI0aTVB6jTcrBbUkmSfMKfcLDPTj1b7722nuL1FEUmcfGXA9CUr6M4U19ELNgXrEl3To1f0KPxXFudZ9A8H6HUgSDZlyIUsguOgNAgDxDYkEL9LvGDzTCXaO3oLNJIrIXqTaa8z2t+GY1J9UelSBVf3PfVjls7GEcB3xi8ipux0js9jH7OxbXZ/HL06tj+07mvnZ6dBAB4T7bFTaNwrqRNc5e20C7hsQu/YVm4w+u90s39lZFi3kXugkYtqTHDuagvTj4KMkhYsVFmZ1vQ8sOyPnCKdKjGidDRxsNS8yZL+PeRQgKz2vXGPleC50S9KdAoqvklJ56qnh71bOExGpZ5IjgqpI6PqrPlGnOimQaoVxAk7iVzKjXFmkRtmffEQFM/vPS3Tf2Vr610jabFrbxnVmI5w7dew6+dHZRMDmLXPU+sSlRBiCOXid5EU9mR5RHiW5I0w8NFb4UvA8hgZYpLHm0eEOilPQrog7C5FWOdz7u+2PS0LDSOfCNTFQOZNpPy6IrDpwGf3xMnGiXTORnER9N/ImVVeOE1imlYooUYupvNdTd81yR4a1JtTPHdaEHya9WmijTuaLx87Wzy2Ydog4RwVn0n27ZHtP6VTZl5HsQ2OxouIq5k6WzANX0LgMBxU5Ri+BOr2VfCc9/5WMf5zU3j2kOtUjC0qVEat12GhT6vg5IKj5/Dnus1oZNuL7fQDZiyCYFKWWr/hD1HJ1EUyxh6DN8uUQbVo0Ne7PapMl5cvTOOnZfa3mQvEuLHAUKVNrf4nykIiIuxB+B7U0h3+ilMRpS/KOniGGRM2hrf28/EEdPJjHrnLpUzfRbgTt0Hl5WTnCr4+dDBpd+m4eo6XO6JD9bOQWSc1D75nn5DkzxBBku8fRkFtnMdqNqy/qTbeW2PLixUZEV90rPumTs33RteyAwDzhP0xkyZbmSbIjOpDNgXgDa8iUGySUC6r8n5Fzb8Afhw56kFFrzDccyO21rOU4wCwmauYO6fmVPqRw0F5WDEDmYw+y0gKMD/3SHZ2940NLoRIifTgJezdan7dKHXam3rzWxVN0MiDCz9dn2od4xeqNvosJ6Mxn5SQZJYkEsP3TRNALGOTXCIqybKwb7mPNfuHdLg4DWf9way9lOVvO3AAp3nFHs9NNIGahkTctySaStXnWWyxqggib0lHD2epaWznxbJQxXlJS1bs8BIz0NpxjX5PS41SFlHHlvKAmg5A9Yd+vqcqxSVsvuDJUNlEkPzoLtmCdg4F3sU5KAD9C8wF8ZGj03tzjRqKIRLJ6s1BDrNL6M6nAuDkqbBdaUxh2mAUGaJ/J6EZojuViHZALy496l1BMU/KVzFqvh6Z9ltjogOw9ZJwk9BjrUJm0hKHw+idma2/JSE7vS6YY60EridnDUAPVzZ0E/YXD1Ap0o0mieMb10gAK0vL5oMLXj9uJDy6ZhrpoG/4mr2kgaGcPTcSiGGggU7rC6cU1r1ExEz1UjBPh6k+psq+mrVU3EtVoaYkJ3QLYG3eS4j45RiFmVko/uI1HEGfO3e4FPmmfFqPnCcaBH5SO+TEHvS+vW1cpRGN5hyojRhSwQTKz9mLVr7Uz0rmcwTRFdxdW2zgW3WkxfIj3gnQ3q8dQlEURwgwdlG3qJIoBO4ReJzDWV2imDObz/0H1/p/esYNQgUO8uNqPVyLQ+9POT9YgeR0FX6pvpmwCBJNC9+81/GqPOADUHjgieZ6BL5pr3EWCWk1BhSgbhQbfRNDcGdiYaEsIPpSTiiIstcWX/JZYwNYlX/Glc2kWdQQDfVsOWtQP9ghKuhTM02zy514JQTxkm/85wbuZsc94GI6DPtrAvt+AjLn5W1fCpqeTyP4lXGO+JuvadIZPZlyWnCSkUcBkrgHBSg2JQiPVb3iIutiaATn01TIwH067WScr4m218wn6KImyLAPp6q0Hn2g5hbrROvmqCJ2Ow2vKgkvz4Lrz/C2Wa0sobjeWVzlKLU/VFllXVhrRr5ZIYkJred1/HZggtdOOGIxb0qxTcbXV0AxEfK4i/hcgVWjQcUiLZe3kkNygCe6e4+8v63nQ+82fbLW/6ltTVH7N6PfnGq/Pyi42Qz75VRMZ0Mt2dE2vWk+QbHIZzkMyPOJD4cXn9nuk+jbeYKRCQdncRRx11JOE5W6Ie7DdUFkYUxJDQph7t5nP4OfL2lH9UiqWWasaETuGBQZEZckMsDBYljfljtOjhZ2kvb6wmWHe9BrRdxL9xdTwlAm6qYuqhDS/nN4p8j0EPHSEDQeVF7sv+Nn/SuJoViEIPCdAAY8yUnTbkRo13ENmSC/spS9kNFrItCj2/MzgLyFB64YNew1oer3cHyFct7OErt+JwuysxCkYSlpXbvTeNPYfBrvuBweJ5d1o1PAqiK7WUMhW2YMAHrn8hLsq9bm6Q7WnMtcEuZgsMnRQfRxTMrnx1RggekQCuhiWnBRSswgoBueo3m9njvSQmMdRkIP5v3OQIY1S+VqoAWFo3eqY3CDnxVNgy8XMSUfRB91oUv6Roa0Y4BJGPaGalqpNvi9o5C9rLMb6Um6JmeQxrm0/H5X3Bv+mZKZYpSGl/q6+BDQtLN0ztXH62Kf0UBMlLtuMibt0E6YhqMax+Q+ml2h/MHylaK2m5i44NGGRM+VOjB/8AF9kpJosTOZ1RfP4QL7t3XZEuMyTmo5I3ons3nS3xevtm1jlh3gCqXVWNIU5qEOKfjOCK3rs9VI369yPFcWclIESTX0U0jxs8vHslc9hMGqHITdpSNDo95phBzHpincPFHI8k42RXtuqMJhtVIJAlNIBVmxp0QxoPCKbUeh4AQT78KjQczkLncS16HTwwQz0Ldr12x0OSO0TNXdJ34/fVBDlg9PTrZILCefqHDRVJTSU+Ktqb5bpiuCWAWvfb6UFIBCEosxjN34II1LHuUdEL+UImsuhjoDynkMGQJEXzPWJvNIabzse9OjyUh7zlAng0r20DC6mNYaJ/u3NREBM64F4GxIwX0uhwsgpmYG8Ee2TlPvbQiJwi8XE6rdBjTDlkC67zjffNclfUGqkXJps1DAZcynP0eEuYj0ct2M6Xa72JSTgKL0eqWfekySKOgX0y+fbyqJU66l4F+NFrk+qeotTc2V9AkjJms3GYB1RPwT9ImtHgNInvarVMRoDoEOHf/zabNP4rF1bnnAE4yJxQQ9QqwFBBK58YxQNKKpwfOK1ssd5Nxzs7bAWF0eDrOgGZm3xdOEqHOpdwjvcEE10O5Fn3bLuMiKtz6nwU/NOupetTBw4FWZsa1Z7soEGLUREPhqRQ4aM0D3O+RR4bhwOVz/2P/xcOHUL5SRMNuEm+bJpp4Lq29pvRfQZb/j2UzOEqFPG6TwZesoG0/53kC+pcwe2OceQJSSDXXvL1Z98ScJVKdHA5HITMArN0Wi5NsCuOp3KXxVhpOPwddLczffaudHZ+bdeqWWP4CJuItmiNsk9FPiaQLxkD8Zc2kX1u6jgPimzeme+O4eUuiYp+++gQ8rC1YUgc6Aat3kQ1xyuYGKoZSiPjdp3B/zVlfqH94yoNklDsv0LNxTeea8YEvDwaOY0deH1lSuF6LALPmM9M+C7cvt5gdjhvnBYaNqe8uu9Rh6J292JihasqmHNUO6MkbHwxrOb/uAvAAyGtiQ/fk+aMelnkC0PJHwrumPKCUlzIywraAWA63sugmM/wB2NHgbOabVuMaOdOwDc7UJyQ2iedS4pgDgWUiB9jQSPY90KJHBh1QVjBd9lt5QD0WYFLofWB1KSeQtf1NcxJrjoKkG3F75TTOyKExKky8xUEuZJ4UKCDWI59vDqlOEuQQ3vbuoqkYRTZaaLn0NLx7DOI6RKAkQ3YGQd15bGrs0zJeGgbjR1HBh7pWf+AZKvNUJkdJH9tSq8yZBXr3H74j4bFpj0UZRSRuiSJoa1Fn5iX1DXV6EPzXGn+A2cNkoEuYRa17EjAVSU04AbZAtxD55mE11Qc0w9arDS+srKsn64NaVOWkvHSD64VTcbo2Ey/Mp2ah+wb2qr94W0DGu5FqpaY3v3v6yJTi97HFTzzLoOVlZhFw2UEMUautXcYFw/LYSy7N4Huspsjm6ZWH54GdsXW0IIbCCe98T+0uJTwrMehl6AyYIOtnwbYPEQ9+m5v7o873Tde9C0q2yq+OJ/fjkTCobpkuIy9+4XY9lh7a3jW1j0gMSMLQq1Qacn5zJsvySappXcjYSBFkP/fr7Jeu0Eg1yCRl/bT+HtKJxa6WC37ZxQwozji/+sJTHj3AxhyiD+OoMXfROp+AXhTdNe4uuMWZxsYaZwDsODDXnx9JgGAq44d0Hc8ZLjmSCMZwkYcGrs/o/Z0Uuc2DRIRCihBAvoM6NXKf3MqaS5dMDsIRyv46emXhzRRrYSzTRPpxEKUJPSuRPfMU4L5NEkKGjQPZTmx9MubqlXra+1xnNdHviP+jsAgXJa4OlYbo76R2nNV7SyHZdNZN8QuiV5cGSWeh5V9j3SI1+j0mh5DYb4/ubceTo+BsNqV+nWzFSQUxDGPfII8VuRjTpJ5NL6id97f0wfRdLnGqtKMSKYtuSrTzmKR8V9f/c9Fs5Mrz66C9f86shNgSw/ghpy5aou4wNkXWO68avzHFuR2xg2sgnFmFan+Rl0Ww1ZZO1aq8OjSzkSE8tbk11QkYFDZbUgqtzFJuhYrE+GD5llL+dKz4+O/XyDlBBNydYp2PC4/yD7Mb/NgfXJSzAn6eBq0tHhMj9iP8pcJIW5ldJWG+Tb4OTp1gTnMEyXsahedSG/IcgJxeRWMlWOtM/QqUiCaZ0XGCQoPmGedts8WSfplIqZVRd1XezMwI+wljnRcVuZpeZ/QV4VT2HC/NBGu3XAmm983fGjBCuptxSqW42eUdqrRK8Bjn3PXW42/dMgwST7I2W5tj5EdSe5T/+eqa7LluZSulXdOluc4oQFMW8gMig2NsIsnlbRNqi76SttXPSRRcP4oCF3gTaeEJizVMBUoX+kNrzzxilJpzvcrGm718OZjJ7fBg5u0S6uadS5i61RUundPtPZARDiELWvMUfbsmCre291nSes3lp940TNKqNvhJ32tvPw3tFh9vY2Vtpidcjok+25Yfd+opW2hQp17R4PRXwY8NCJhD6GKfo0LbMxj8rs/AQNUonSN7Q9DScCt8t6bCI0EW0Sd2LmMSeDPj1JcW0+BhsbMAJR6QLpgP2p9sBM4JQO56LKLv1R/V7fndOmCl8V7st7p8bbT4wRUp+Mp2dsm9LzhPJEokvKIZgWgvLzH+JlnjLiIEOnk1+y2x/tE4JeLoOJFfb/oQ+XxQ7/7zWCSIGwe0SZD1Qnh2lFgdiGA69bfKhKUp55IVhwqiZBY4of0qgwVc81Yg+ObIxDOirDAUOzSfY8U7OBEZ6gDzi1KMZoWvgUJqj3gsuLrlJa+NKto3JXtB1YlwxufaALP1VRmzL0WiUyp8suzpGu9PrC/goVOyJ7iCDS5BE2VWBu+lA2xCg7V6p8mstxyAAC8uDxvWzFZ7cVIAnXQTAGIa0YZgTL7It60edU5Yg4V4ryLotq/N6j3qEQQF8BQBaJcvQ2XonrN6w3xMXpzOOlRVo/dNl6EZDUX8NUbQ5Fqg25/IXgZEwqU5bKKLR949b0yTInw/jwAOpTzjgN5DCDl8DxxBBJMWzQlrzOzzHH7g+d/Zlor+5lYODhv1HbgNdzB841BB/zrgQrlQqObDG4ziLypja4pBug3dW4hNSvqn3/XC9o4M8xW6hY2aod+d1ZZh0PK9wHYNniaVBT0ObqIli/wMVwUzJxeV0LVGtP3MnlJCdv2pgkmC1QBFToZ11mbCICNSKXa1mmH8LMyIDOcMBf9NMFBmvIoqzBTQy+hSLoG8VhzbkOcTiqeJrsX8rXJHRvubhGGGk/XEtGea4XMUTq8d5+QTiAOiYwpJZxwkzBNF8yW8jfux/HQ9W0Ca+E2KLlRpLIUJTosvnOX7Ry2xYMZkldk3XYl1nAezy6XkjfPbWv8kQalT5YgIBA9w3k5VbvRZw1PZB6EEzCkQxvQWfMcq/AqX10eIvgNzVtVO5iz80hffA6aowOD807ppPhUS8+C6Iv1dVWQXW0FBsLcT0Mxj2pA2Yn2iT9+Cje5NnFXE1+o7jxrPja0tNYaEdZYPBIpq3qWrTUJy4ofWAHtrrrqxhfaKmz5Lf/yOgGGJhPNbMOL1tQRWxPbHt4v3mHk06MsyEX8rydJSgjHAHNKK7H0PtV9zqR/6dih6pfevN8PN3uAV/bY8XfhpO7s0fYVERvfMI81TNGCRMlcKResrhPXQB+1KhmW6z5DX4V7pJEqT7aDdH3AI7PuKXZyMcmFsdYO1SdK4ot7wM/CkRet7KCtaJRZ0EFTO/e6iFFHJnPS+ReX6DSVzDaCc4fxvSuMjztWZfAcIYgzQ33EipDqg0qwdmbYofAw2qBOI9Sl5YFtP8b7343rScHfQ83XF83T/jzNZaUVjwFLKO7O+RR54sY+aT1O0etUdCl8RC1SZZmaqD5Sp5owt4/uaHuhPorh2n9zH6A6NeQ7h51nsiFTxZUUSx80pPSs17grLuAXfJwKuYeQMbvM+ITdRYAjL/PL/C6R/hTvVqnSYNrDVPXcCtoD8FjDeCQwuDHRqe71HW8jNMRJ3ApTiqEpV4V1Y4Qc3fgtbXQRR3DPLLpCyxvmjM0ErO3mDlV3x9Rk8G9T9en9kphDZ5nRX6/cvLJRrc45vN4HCFxarSbnrr4QRro6YBZ2WFEgktIXdIbFkyx60++LacocFrv/dRieeTxKXXbGNW5PsKpSaCH/nYHkyQB6rCq1wwY5+tXi5grzOdVt8/BgSJnNv6km4yROBR4RT/wKexna7cm0g52pDIevA4ajzI0XssHO8Oubc+ikMF8nkT1CFuYfctLKSaKiCB8si58Gv88zsR6FdnzEhEY09BBi18LUApzK+FQyz0mvYBAldbKLBtNStfaQsz5MvRCOB+W3dFk3rPnn5oXtOyI1TBLKXOVsoyIXNOhcihQDYOLTCKH5LnsqpNavhuseG9QehPaqm0EPxApISoIWUt5hX/Y8HZ/ebKY0g8sMuZGLPWKm9a7I/0oKH/ZbW5XbbS/nyTtubPhLBt4JqDpwiDKwfgX3hqTgXVVYHNaRusRYa1dPg92YoQoNPzBFDON+XxDByD0IhQlQe1ZIMBG91oTS8GwiJzK4uT1SYraZd9onIXQA46p0CQstL3bUBUzQNNsJH2Hn+m045P8fm2BcTqPbo/lp0rxuhe5dWVTbW4eLpvzQC53SEfm+DjLjptEq7OqNkay8VuZmu6OjGABv2HsYv/9ffz4u+uP5rN/dsfXlXSKDCpvAEN3MIcgYpqiaKvgSx3gwTeowFcjChKcK+SBOeuBx7JdjH9LBRtHDhY2ZaAoOlBLtrKNDORw68C1EyNiXQGtCnGVIjqjMsM5eKiDH9vhredw+h0vuwbqahLeRU2suOxsteefrlnQaNpgFXFR6y1H6ZJdKhGlO5ON/8IM6Ns9vJZpGek3p3AWbHHJNa35zfKRRZb5ffosjeZYdSITUj5hYV0ToFJonKatjymuZp2TvVtea3VizX9nmWjaIAR+NVUKFnYkDKbhbLORxA3sLz5Pgalo00yK9wg+GewuCRFuA7VCAzgM/72ATJKom3+8tQRlDeiEEM9iyvx9Q20f97YXKTnaphcy82bx2zgPrU+6HK97cDh42d6j8s047NVClbbnoL+muGJ28weOaXDsDEKPidjD9vhlseaufi+kF3n/9gAHPQlkGa7JDPpBBvlNg4BoFBjvINoZSU+DzLxHIGW58iyJesyvVVNAeARkgxOeSrUflQYL3w7PpS3K4W/sWglH32b1+8S1iLXmm4E+t6Lc+26jqDdY77h2wbLDZl0YGN24xg+qlLmQ4vZq1Op/vHdhl2LJdxpmgCWhlRFmPdFx3vjcEUfe1RP24/DT23T5251I5RZuh1s2dNl68AwW3/I+uzXwVgYy6IDJ8yLZssTZbBt3CLbKNQ11OatDsYpzay70ZUWngXCxDDxw+xVJ5idfENF3o76rl3oWwiObsFokz66XPruLT+EJopt03hruT7NJhUYyuiZXqPUk64bcW/HWISTYg0hipQZWmifEYlh0B/RTaHoZXr/34RPAAdqhuzDQrPfz5QARQfUP5nZZziFTDo520RnmE3HHaIp8iyN+9KbovgnbWB5fcrTrJcMWHa7XbiWQfxBzACl0rmzYga2mCMbA8/u1f6xpsUrwABZwDeMS6HIvbdBAL/IKk5tmHmvL+zat/HBpIYHSHuGIwvI1oGLVIOpzXZH1JcW7gfDMSgNJhrXu60u/JdNXvhnD0o3rJS3y/nj8ze1CPp/fUjolQyFJm5Xf59qihWT3x4lSu58QYInY7HXKHVLrJGEGUHU6ckAgbG7uskzPaNM74dnmEiIrgL1QQQB88tzsdw9Iozzzr30SEMqJDcfpeYxdls7uMeRfLrD9cnO1q50zpCxELsSdB1VnwFFv5pVwE/zNp8bc35Lr2pHj8zwe8B426c0PdRmeFI56ikMuo9XVo4c6N5hb7UcBcGmK9ix469+5KVhrMXfVWvtX0wbmDtaM/LgCgv/KgOAI71F+fD1YtKcUfbqjgRRYzV1S8pMi4UH957VHrVUBRi/slIbeTM4Dw94UUhMzsg54LVOY3LrTRITaE6iFp2VHQHMmHQeirn9u2PqivTLvFiviEqF7fsnhRmj5SCSgC9d5bCi5pQnWUc40zX/n49A3IWQjO9MZoYNMu1D29esTDHjJ4cQ9JXvCEFfTXmTuPNJjDKSQRzRpZ9/HkzjIUcKZueOJ6NQheeq5LhHjFz1iIRFlWHKEUymqUQK3jUHQQr5dG1Fmm5peRIcYveLOzXj2dBmnziloGdz80siQg26j+K2BuNvZmrQVGfUhquvqyhDENcZZLDZVZ3VC2R8lOy6oZH3qehUr9ZRtg4nkTCpUQGkqm+GO6ItNkvvY9Dxv9mX0f3/KjZyJNBDCMevYsGjSJthMWfmRE5TFED60ghc2CYrOtJkPNW9/4vc6RD6IKMaJHXo0Ojjvqgwd9US62oh6o7d9Dp0y6qs5xbHMUPmLH+ljfEkwjrGEyx+wn2izxh1pWRFN+oj+MNAhjf/7C4PeAye/ItkPlpocXa011wCmyZzjd7YO7EoVUmTUHFcj2vlwz5Jf+B67fUXWuU/kKcSqpoPgmqejLulCJ0Kan6qMtlLarl5yqfl6DhI6s23vABk2k/1CZPkEryKeMK7cFpIy/LFbFit7tqIKsE7kRc6lxn28Otx7UQm0xtxyDJKqevgdzI3RmhiyJEPXe2Ryp6OViwUC6Lc0Kci5xILWUqyOUoiQubGQL3tr+pYwDqHfSGMqaKmo0czz5MLbw7hRnBjVuVuYFr0K7sq5N212I3WpaZg59T7cbwvOup0dwBMjmktZyqeU6PFCgH4LXGNmOTAe00ao4KGQZCMZToFJLbM2n2lWtVDG9wiR0T43Z0T6Trnf9nK4f6MOqfjzUAumbRhE3J8zM7Yf2rXKt2ssCwGwU0UJ00vhci3eGAjKQdtuxKui0oINphNxSpVGLApXEdvHtELck+hMRLOaYYGUM/3V5r/AvdlhbwgvHr1X2etS8J0feZWcyljS/rV5np/lR1TxDWqVMdIswUf1SkBvSsZgXhS6k/p5R2L6L4cIwlMUTs9SqjZ2QcunSJ/4yeXtczODNigyM7PyYEknNzLqB1CurXgnTgmP2m7uZ80fPALAfTFVKs6WZs3js5rwfhNDt7dGa0aNJRskJ5PO/LK5Lod5mN846l94tWoJh41YVaP6LNI2LWKHBYvTLz1Q9hu2dWylNaDQeMjvJCpIYkAZ8dHetgYUW9ShTzQURHtixdOqEkA4QzHiEEqPxXqyi8WdK3WIGUNZ/1tvm6Jta27JiE8cI9EBlnZTuUSRuEv+Dp4IrHsJfD0bLOIHsNynYY4EWQZV3xA7BZty5NfXb2j/dbBWbCryFIZqNFmNJwxBT7FJnFB29VTyn1nOVIYqEgZ+/QHLVdPsb8hBRZhXTgLLfzn0Q/0n9hr7ZAMoEYWy9Ob3b++1UW2PD5NJwrGmFqCB2LyjXI407NrHRRptECAQ9kiM6yYW3AOsIjqWCLZ/wObFv1ZNS5CvLbe19E9aIn0PmICaxlZ2Mn9mUBAmDO6Mlr9j0QKvlPNleMTBspWOjdcIbMhfsQ5i8XucLeC5zrk11MUXGJFqg9ZypfH42t9+vsmUrvG6IJ8veeIR9rrFprh0uXoARDS3QXz3NcefU8XVBjjnsvaEI8oluqjUDQPcR0atUMiOBM37CufqJNLgk4D0MUjl9513q2A9Ac9ggt67u7iKkDGwINk0UT92qsw3cMelZuNlDTVTvQU5zRe7/TMUKWE1rp1CQos2o6xLhJp0RbGUUnNRLfWtbhk96Hr/sIFr9vNf464hVzQW9arGOMIGEsnVe57wjLxYsSiJgUvLxx8XNr1u3FgXdIzXyjSbkD9WHGdUIyjs/83xp6EAR9maH+jPMlVbRyU0/XT4czD/rnqP0iPJGLMexG17xDsad1Unz6BW2bmTFiQ/kOYelKhUbCYV4cR7NrVERyQscaqF7UoThX4DhLwZDFnqX59mLwCzR6yeT4+6akwgfHoWjCLlI/58NkgcxTcv2dfMmZRweDXWgvPkV9F7Q8dHkbs1T8OVZiNIJxSGrZ8L0EKSv1eJqkCwA28Em+D5CimRM6nLAgCuq6R+jIvq1hlFa/07p6fDiYMjCLl+5gQA/ZdeEM5hGM7yqHSk50xk1Sq/WAArPF11aSMAf73SC/LublExTxJ+mhUOMswag2Ac3p/6I2b9hxgJhI296kbm6QG0LaZeUnKBuTShrDyXPql3AFhkEKevJJqQK6NSCNyrJbc9+7X/STpIOesLj8C38SV8Fh7GTvdsXYFliYoL0pxp0JeQ7kRMoy/oodHVQyMKxXiBOFKLkoNF3eKIQoFP/FtFB0PRMO/kgW0/kL65dZ7RZ8XcE/jkEBm2YqYt2AUS/qRuyy2gyDu3KVXqObtmmH4S41gNFX0+Obt9atr6g/Xow+BZ62uulDwS8KudqHkeOV5fonUMgHHhX1yCC9gdkocX50nEdC0qk5e6TxdzlNdhSvNJ5xtNh0PaVG/5QyJgUIiWthDyiY/M2jUeilyuZZbbC5kdYG64AuUj4tRoSpb0lIsLp4FLIvwWGh6JVO2pj+alKmPjoWbIo+PtF0wDYfSKYgoVSioMHcKsBgkI88N8q0U8WHgdU2rBVcaLZCCOi7nRLMeXJz3EbquuvkCWL6/Wi2zj6IyGkbb06sdE7MPw39Jy8kqxCdYh2V+g/nhbR+ymCxWYmU2b+fpOMn7QHnQ8sDAll2XsJkI+SbZBjG978fVxDWrsypK19x3NEhgEdi0G/tjpaPxyONZJiS3DlFQIk+DD3JlyT3HoMePGhHhUXLf5EqR/a3USWphHR3mkMc49hxJmnYxkKBd1bpypQ5sTgArj6W1ZdGYe70mvPa/AE/9O0iGD8dJ0Bvq5XNh/q7/Hl0VlhItkM1vUgEMDxV9PfXxqYNlM3wOOtsI7b5RNyMPTHCNSGK5Gct0oR3D6bK4Kj2obbt6ACjwn/4KLGqgPjQYzK2aWv73iWa/UU0/N8EMdajvxkv861OCMqpDkir5+/EZEYnRbNlpl17UxcQ413xgqaJr7v6vS9LeCJ57yp+PS7Sl3y+UiRVE2NaYkKD2mHVpgdt7eEw98HHaEc5r1Ka6dvAlQdF4jJnq0nODO2gPT0JLi+OVRb/lg2RbRHSu31VHzrmf5vFocI0Cp8g8hWbmtV9IQzlRbpi1FNZgelYAhWdKwng8SI38gYO3WzoqrdNxhSA45qIhKOmG57ymTlULsSRMxjXoAliarX3Ud7tWFOHo9LT66h2dwGZRFGAB2qRIH20f4/in6Ojh983ni4TfjO4TOQshONiI0IyzkC9NCfIRULIpbS71ApF27uJDxaCjeIPJN+vr/3mcpNK7zy+oh9NQfNz2qnajlSMkAdaaY6sIru8+H6CXU0UEpvrmqSdtqZSz3048NnvvnyRFsrTyS7woWY5455XWjqjyi0Woqu+VoinPkePJm4zrzYXp79eWHTpQlHvlPYegptNkED168lpAZBrZS16ZKRXfSi77DHL11nCry9Dzp97MZZreeFkZjvHOUXX91HxDg2EnBRdqlgS3PWYsgm3pa+qT9enNXTaPnjHvodE5HhygaHOCLTIR4jJHw3f1DHZTovgNsr+NRHRhHu00xVhyPrH7ESI10O/In+m3OKY35OmtnRMd+yFPToEB+2JTj9RMqsa7WGU++Jj0O+HqUA8ddv9Vt5G0KQxVxlLAlByK1DyyY1+K0kITdV6oonsg1LuInqpnfHclKGlYuKs4Smj3omAzww2Y27UcUj+7/X4QrZtnUhfdG0k1jJVM8E2FAGeIUq8rNjYfmwEP4oBUz8Qgs7FHIA3GwM1UogEOCIcrehAIzHZGlDcYlgbnHokyMF9Oke0l9mu6qy8M8ClSwCOBqCmTEgXgKPdXvDLJicQKtzKRqspCQBgqzDxeMQ+FNr2nFEEs02abxCfmcudP7unoxcQaWmOOdP7of3F3qE9WtjYPNzOeQd8U1ZZwL/rDQIUebn4tPp6I0GYa/xM/x/9oLOVtwutnFxI7UZr5UJ8/qBL+Xiltb3PVmS0nBiIgK1nrGum2xVw7CJJ+OqHDQ9GfxFBTm/WGE08le1LS823LlwnGtEiAx7RlFqk7Kd+mmImeshx0jrfvg6XIUfqFLSqzignod926MTJ4QFIagLDijsnqIjjTHOOmPFmccWTN1E7BhiA4mvVWLnFYM+e/1jgR5KypJCKoTwerg2Q7Irmf+Z4uxkXxbB33D6rJR+kaxm9mMRKp6Lh5dFOwfxmTrv7esGe6dPdZwPzaEEPZn8mINRwufWvz59s+uTp4HLxGH67rEG1wrWSRFZ6atuoFh833oAjk49eqZ78UJ4BZhV32pKtSDYAlXboN9ph+7fNJ7NFXoMgf2SwOqjGiv4lY6tLEOeU5q/QzYzyWQrl0EyEq4wzPHL8x+PbcHLOJ91v1Q2fVT7Ix/2E6j5NU1qeNpVSayN1uB5VmtLSHl1VotVRub6btnyLbVFJq/f3QLmzktc7lWf5i89/Wg4p4J1+suApJpw8pBVlu3TMnZDjwqtWUfmDZwpMUn6/A0swaOJ92yP+N+0Aa2z9M/pGdes7Vbzd1fCu8ZI9THhtFg7cAfbqmJoEO89kbi27kGf3jsyx8lE7xtcMbgiZiqF2rRPd0oq/uAAe9eG6RxC5Bh0zNAX/u1a4t7rXbeq32YB7wkp3yFryb8OQnJW419MVZXXdgHgn5AAnhXWHT5PSesSDAgux0RLwAsZkIQg/yZwzYjECGePySBNwBDQ7HvbZSXcIFfghYdQAbox0TMazu/s6XwRZjqe6VpkgVybrHmDEjDkDZfy1um6lyaNYAjl70FTtxwWjqff48O5FfaBMRlSJxVRI9UAM1BGqH0pQuKooR5OpmMxccfOIspbxNoltFm+M6nHYOhEKTivC1ikpVUuyE3cD6zJ9E+IRBkZ8xTePMutf6hV3ayL2P+A/YzjUa4vnQGY+BMpun1ewx+zb1m6qtHMXwGusPOWmg0MsfVadj67bCJoPYSwnyMEdawi3vFtYHsk3tOkC8bTuQxevFimU75ZE3babCxc6fUZdhp/Hy1KSzYS6LExuenJOm1iZ6vUVTgTnjebIu5bwzecH2EuWuYEr5bttVCoymA/zIUB+y2RK9IIWSk9pR5XPsbvOfpFH7OwrrUPaFrtD6Y7bLtlj+TWCTBU8avCbSGgtZ386baTmuJX1Efr28ASNdCg7L6S/deEoDU6bgozFTN9V1+1Pc14U9rU1r/hKCi+X5mD8W3s6vlonKXNVFMZ3F8JdM10JTxshLAKV0Z/fcSs6za4D/BjIZiGWf/wqSfnF8nNgh5/0xIZaC1jdQwcegyjkGXSKF1sO/GBjgabzOaMPdsZ050g0TZeWazwRKYRKmW2WoaqrQsW3+Q+Yyjuc+HLkQnpWoh5Hh8j49XS6913FtCJbgWSes6qYUOo9rtXIroqDfNlPJFnVfmQhsHvN47X3sljY/bkYfSGKbvi6pVazQJCRfNw7fNch1TaODs34K+w/h3amZQdkbgVVAVtBRpPhooEOJ5bNMTymnPdMWijVAO0fzoAjagJTX1CLSqM5uSc1/5riG01gsTmp3+10qf0pKzGmvIfQMrWPlO2b5ZsQtNKhThz3MbC3Yde2sBfTRhabgojyJriNfD0ELPlAuGXgioz94PjUQhI/7hmRV9T09ZQBoazs0wL3cbtAN/9aXuE55ZqLnXG18ARm7nVjNqgT/yjf29H1lmG6ubnOnAKcx6ozQZHC81YHbNEvxmW6OEsGghd9Zzvaym7hPhucO6/mzl6/QBk+zC/68/imujHfQg0dGfY6XA9ndSMDLbct3dEhWvYDaJDyjMvU7hMURCFu6kSOo1A1CzMN7dkKkDKmSQ/yVZk38ThLoG07GnWMVelm9fWQsqtB0GoacY9f/7Yt6dscwAWNLMEt67fvdsjGZwIxC3GpuDnDNpy8LInGTurFuTcGD5Qrzyrd0i2M9IkAYcn2Fk0erkkpG3rT6sBQ98BH6mpjytU9BCu8podaORiUmzWcyFfliQA5BjUNf52RFKjFzoxtLrNWVgFEu+mVzBcFOQ/SBSAAqNG4X48UXS5AUTnlvCGcXMgdHBnnviqgNETMSG0lGIFfdVI8YPmnTs2FSPbzDXmkCM2F/KcEDAABDCVxh8eLzvEZJeWzpSJYMCt1+z0xo75l7Cub1BkylJkCq4UgsVoKKdyHVaA8MYo8O19eTj+n801s4ytxHNLz++bN6Rj374iA9qXBE0xhCBYBLnJzil2EqcWfSWRRbG2Yr32lto+iZm43QobEqYhS8g/IvfBjMN4zEk5kz7mR8MifEWt+fVvBP9C8Uql5BPh3lcMtwYBZl4HUOuABSFX2c5EyVKZgJ/oJCJaSeoKFyK0Cp8t9g3sAxiF/FsrNkc/q5WXEkIXQfTWSbZn/vAnf7LqtGWBzWTKrKH4eze+mVxVrfFaYUJYkn3OzWtKb2c0824eTR1G0awnVv7yQ6BpYqx+cSdeUsQjNxbmtniCAtF63A1/rpt5EDm5iCiGdbVdrPacqLGlVu8Yx0zcSzCXdetdOEPe4nanoNV04DNi37dzJXZFM5ulF8Pc7pdGnl08iz5QIWKiJ8S47/qXp+mIru20kf8ytbZvGUtSkZkGsPPafAddar9xUCUo51R8oDySlDbYnCY7/irFFEPCkoaIsDQizb1mrJSbk3kswNWA0Hcdf15GVf6Kj/DbIOGOjJ0oAuImFDqk2gt4rBieUID5P0D9YrBs3T6rOsITGIa7pD/p7IV0DqD1EHMMMJFRe+lWi3AUxp8EcgEUuBzUEeVyxcpnFxh/gK8lPAmgmnxaLUGyQ93zuETznTRFawtfu9fzEhSG64My60gHW0U2chMVu5SKe+hwNbBIq7e3+V9hDu7XaHVDJWeWhpVApIbwMuTOXUUolVwE5Jt4bcUaE1rE02tbcYEgqjp1g0p2t5+aj7otg2MOuPkCok97CItht18C0BKRRu99wZhOMTC9TGjUzUrI7AjgACiL/oBOwivpLb6ubRDHbTS/cgQTWn3Ks9X7AcYDxXPmKLP/tt2rhroVZN0fRHd/R3duvl5NHBWU3GuHXNQsh5aiThWqV+Uk8uLjrrmu06AFsQ1VuaCYMs6YmEDIFpKI+3UubVN2/ESbCMUnBpiXg8p1dm/9d1pVRf3SGkeL7f9sXtnF1PyZxZmCXf1J8j8LEMsn/xlsQlABhMz4V5l7bq6CIpSsHgA3AKuA8p4sl18eM8YQq90nUVW5xCrFuvWfm5ogIgCbWprwplhW13u3DOE4K4R47bBE+u/9GJJfrUjFH1Q1Qo3vuRbN6Gl/4TSjVMLzudSf4Xdme/bTY89wKMfeoZe+IarKVtoG6WkH2S3O1UXz39AlvM+fWlBxkX7JWk3jyq/0FPFvxjBH3RjsTw9QzXhNFpKx7vDtS+BePtebWBKUsPjiHmDoZPcq4dm9hoQGOGA3xd4YliqJkbs3mR7+QFHKFnLIAyK1lGTcyBmQqxn6q3xXULktO4CbfjgVzo74tSuIS9BiGqOG91C9xStsq+r9O8BPcinWzr7cuuzzRj5oUtAtVYM+sDAEErjSMfijaXwPcDUfrvvGxpwYl52FSmns9CT2duENW7iiqG4TCjq7xTfaw/1eMRcGwKJcwSZFjI1M6EmNWM6XgbK5DYsPa4pLpoRoatQ8vXfZv2CXnSrN4MHyUXIxDmRJ94sO8N/2BfnxTjkQSJPZ159TinzzvTiQpAHj+ZAttdz6WvtisK/56jQGy6Xfh0qgeHSH7omNpnvCMuhHaNL1vfh83xEmDdE1ky5xfZbquvX8fqaE55uqP5R3QluSKjABjX0juCn5WcOx9qDHcn4Ms6VTQrkNeSLi2ND00+fCcVJaR2tkHoUuEP5n2pfAo9lUGOIGW5+6ILqiIQY4ap9SeCYmZL4UredqE59Dlo5oCQsM//ZP7759ZJTYG5ubQYqXoi/36gUuKuFFnBfArzCAZM7h/zGoOrJP66/zAKvqEhEulMhovJ8GjjNCTxaCBMp2weuKxj/VkPCug24MCaImqwU9HmNyrXFD6OYLodTERHPt95UMexFWLVNaHz3/YWUn8w//ItP5J82TH0X2wlcMePhROs08g9mbauCIF3VsDZyf9fRAiGjsMWaRNuZbDLTXm5RR4vDwEA7Slbf9BThlTCLgF3ClVEKv3FVbVdA8Uh/52NN7HM/lb6w4V9h0YGygIZmBDfnn5I3AkEkjv351EnjsrYWO3tM61pWCYqitFyZTMRNevCYVn9jOziiu3DN835wHqwDKF20bGJ1gVS8VcyRdmnHfLWfRrGrKTDzTUH9oL/tH8N8HKplLuF7jUszIOvZ8qDuX+xIy08n+Ga8HTYMdYEjg1ljlCbJE4JNRxxW4eCn+Kg5sijAeHP9Vgo4eqfYYN02fpP2VwBaQyDK/X24V4cxsQhkrbJ17jGZ5rkd5xcQ87DP19NVfDSZU1/aAVTGxBTWOiuPQ0iaU6SwvHkv/XzFQHVtXz3XYQBjBLjAXYLRqu6LCHvBIsH8hW6C0Ck1tDzCShK428D2HnzXhs0fgdCRG/i4ovYgowN27vPVwpj2TXWOGz92loBHs1E3k0OHTUIEZ5G0cCniGnLwsA+WgWM3JrafO3rs4ym0jYNCr94jkS/hcE7DT4ROD8WkrSjrLDt5oIOUMEt+quGDF94AQuRc+eMppZVhLKuR/+ohzbTzmxPYydMlUtpjiXfon9Ykgy7A5cJq+hCh/et7oqbNUuDMe5k6IqrmoMU3MJTkzau7LMkfSum3GF3Iinrf1yZGUDkHFa9G7iOSbBD2bEBV4VFCgkcah8Wso/a6qtYa82T62QfgZ+B0fQ1RLA+EG+xP6xvdD90kY5oy7je6NdBjPpc27+6sjCeyKr1tAwvOQgmagZCKKtNpug5xu1cDly1iFJ5W1qQ2kkUZascmaur+Cbnr62Q+BdXFzJg9nGD6gFlYfmXIZw4HD+Od9ZwVNe7c2hYxsY/CyexfugwdAQ7NfApQ7MtHzWfZQgneFfxZTW9M/XaJ36vImSjUywXhxNPKme3bKVdjae6PCX2z+pZMW+XlrFbpvYvemUhZFWc7BRiHQhyekfo3tGOmRMlEghRvR18oWn+zXNDMfZhT0RO8e70D9B7J0PNqcfhzuBYTtKMuv9A5l3GvyfzaKuO2R7C0UjVwf3npe5EdnqhtlNtekvizuw1JfXZRTKQvFjWRdaQDLQ20A4L9eCTOepnpgVayIqR9yXnV6NkSlSVFz3htIyK9HRqzvgpB17hGu8O3psDa4ZW/8bmXK4+pnKEwes129+vT3Q+dKbD450B76Llm5Rlql9ZALL5DMUmFa4q2ZSs9NuXwkWXghOOcVt/9SnlCT0kLUdyqUYO5+2psl6R5GhtbIJpGXZnjghHYPe/p5LUeUfBkBdkXTJizJblq/cpBIHoWpHjeedG/5aLQJRFFGyCNhII3TNCXjXKOcO0UnZ0wOmbjD/r8DmkTc0U+gbsupf1Ft2IldAhtmBYzPtf4svyQyBDeVrEa1x2NS2231qntJ/0m/hfIWCpkZuxd8ANwn+/Huqj1/4D1rUhP9pKuSWq40wi0+vhM2Grebk1ma92NJv91z1jUsDfzbn1bXvocaAeNm4nL7kT8JgX66gaoZq+JWdNqgflUZHMO5yl2Wyc7BNOBFmDocF3a8s/Ig0kGPK8Af5NUNOj47w/pixeakFQes0ObrKoNnLhWmeBjzKVEG6P01nj+XJAsdNSdpka180JBnQEj1T7ldqSWFieGL8iq4hoJN9rjjYhpiU7RZRHvy3HmApNYzZ7dhfFuduxZdB7SYeFbIxZ8NfEboFF4VXNHJmjlt4aSb3cnzL+HV0swkd+xVzjlBcGsxxZD0B5OyAtO9sFIAqBdm6jrlKDZogg5jqmwXNjs4I44N2EfJrpBZB5N64lpvcTX+5TMDvQkqFbLTVSH8yRrz178BqKOEze/QhPJEImJMRa+GIWvrvpgeztopbUlJTHO+jzXB7jPu2WhXZeZo53BGzNdZHPfCS7mmxOyQ31NdnnqDYO+/JsxQQy6ta8BeyS7QBZ6qlKH5x+kjEsqFVo7kFTmSAwpC4MLfG1pfojcti6EUJCX9YtJtIdRMSNUXAu8SQkifMbxipdm6w3/nXDxthyNiIdobRAzn6LPduM8/dEPCvli5iAXqE6HKgIZXksmOuLlL60BdMIkGaSDI1hhKFC53bUdYwjrvLXsbUiT84TT5hoDJQYC8MNO//mwgWqaNGbg9hqE5HLEZTFb3CIEMIVTaHdIjZARROHH+PkXi9mEI8slMeWC5FFi6qACIBt270ukaea52Ib3SR7TngiigLALpEILoCvjfo3HRzrbvInmle3K3owRcbsgmk3dI4tbpw11A2gBfscnXldPHG9hsMCWivLMfENa2tX6GL/+CnfZlgsABXtH50wwnxFTKJTZjcqFgRszp7VDdWqS1P5VeT6yFeWf+rszaTo45yTFMXaVzwzNYT9GJVZcqTbiPrVxC/yFUwSrZ6S3jYQ23+c4k3jwGtVqYHxn/Ci1RKPrPyNQRGGU+N7zB4R5oTkahONKqsmCEoIYYe1POjr2TRBq2FTy4cWMyghcPkQHOXpvsvbhSxVCAK3NclDXztKYUn06aV3eKCVlCChRh3pz+HwsDUtZkifY8AT7WNq161+mVM8QaR/XkNMi6uefWrkLRyae0wqnvFLbU1qjNEtwicEuxcPS/qVPWo+1PN+PxrkyieWxJ9rBGu1uXCdcA/VVEtoAV8jqBXhrvmGZjfYse4T3bQ93URX30wXp1h+hWK6uTN23/iwNtGynCAbC7M63OLxBKY+ihZF/Dz6ZFvp4cfaL6t6tInMQo26HBiJJ45BsGItY54/o7wSscNFfXQl6sv8VJ9w3uUUp2ZCO3PWxEUVpGA/VZ3gOSdSX+D7ekHMJsCb8mAorhcMELyb3NeeoPScU56J+DOV9VSQiqw7qrZpWgeQKWOziaMy+ea65MSszoviNc4TmiVK7BRuPuEM3LHSuUGQjAtXhyJLRaSR+xutZnbYcsoYCNrRuExt95Ok7pJk8FAruYUt/nd7NJ22cpA8abN5r/bbxpsQ1Ba5Rj6hJxzZkI7esqSG/Hbe4ZoM3Ws6ITe5HNwnuL54+6gSC0SQX5JA/vpY/H83KA1sfb855E9nh6hPsCqX5E2ZkA76k+zeWU1AayJxKCZzFERRzmjYHZAWCW9I+oNCEuO0FLL7d5B3tMWk5XiYiXTsUyWOzgevT7cCvTunO9HGyDeNKcieoP6fKMJjMEHAEB/P4O3OcXABybsDuZH44bPaDp11pI/H1J0n/x21PTUAhYzYh0I7qFhu5hXqYqOx4tagM3UFXTFVxpHBucVM2vLWhye/u5aXJ67P0RIe6htlEdPkhDjvI/hnCtYvIh8iBMQrxE+UNI8f7p46+br3jiOTo+/xyuMh7V9GpJzvXMwpFOiC5RzXF+6dONZ1frJi0dbihZRCtktYzuybbtas9NyeGkyH9kJB7sOy7v9ZfxWBEJWumaa9VW+vHUsD6NntC0NCxpyWd9Jd50d20IiCOA0R3fw3Xkh+QyX8vz5xB/XQo3Iw8HeHkW8aGgXXVBrT058bd12Z2Z+MmcwiEFozDCZIrFh3TnVnBDdjx86v/VEcKX3iaOCfrRT9RrITjmhTgaDQbIYG1jGEJmbVR8OrDbQfUG3J14GIG9ELiRTOBf4hQEH+c+lNKthJnIRzwrwOK6EvBH8nwulh5F82AlpS53lXbmxu7imj4IYwW45LxQqPErPnmgkyi2Rx2l2bkpGzFG0RwMyWBGvMl7qEwlzbRPS0U81AhPgEXw5EQR2db+v5F2HRDuRFPJ+QezzEmKPKpxwuS2e8JXcDWIVikcfNUr57fZKoE6Km/3Q2vc2H+ps6zWxF2/zo7KSLBgQKksjP2ByxWBT3yWhNe0k4QUWgwdjC19KgrAiPnzilFrfQyYZLA6W1aUbymHJygcj52d5U0s0z5KPTt+X68I2LtNZUDFDVHXiYKozFxjXG6PJLG608YvVBN7qy67Ula0Awj1RXborWWSL1sNVl30FcYwpHDb2BUfsAvd4RGmJ/yZ0Ez2iB5Rp9rQiMlloSI22+shpuKb9swJXobbMK9CgdV/ogCImlGxwDC0pnky6AYiJiBXHy/Jm8kdMGFXyUjBc+IAU1JdnA51x2eIDuUtxPEVdY5isHJwtnrST87e44cexp5zWxowdud5iSGdpbvnsmTmP0EJw9qRG+rWe8FT8aj+8U1KxKbELWHp/GA7/pNfMMFzmei1k0VdpTcaIt5ezTmiERGM94OhIheCb2sCIGbfR1pZ/VmuLbul5oEr6vlNneHXn6k1Lxq7XifR5Gb/VAIqHhFuhRNSt75eyN20iXUmH9y/GKvLt7k1uxJMPQ+GVBQToTu5o4Qkv9pp0GgST9f5XuA7mF3nUV1TyTumlJRZwlzrpnTGFulN+k9Hpwp98kl0bSYEDEZ1m8hi+ZNclZ9uDc34tOjYxkzlLJQWGDnvtFxXcp2FEpHizDcGM1iM+NeMGmrGeerdi2YjvTXBWDc2OxHa6AWyPscy8ZaWhFOOZO3zayrTKbG51qjzvKiMVdeY3dSbzZnM3jGyMw+dY4d9dhtemv0xaU/vYJNalKzjiwuxHpw5w1qKb5sIydvHvPnQOGWH6Dr5jsHiNXsZrTmVzHl3HXErzaDcFmUZC0UcHiobi+ElhUBIp1EIvSN1/Fx5NgJrCN7mT70Fauhtgk0GYoKErsL93xe3Tw7kH+aXZFjxHhWDbEr/c+ngybxC6X4JxfHzYCJbFnyLF+azuG1OOSwmxkBrSswojOQbte0mW2hf1c1/AWFcYgIc+BiCHcJ1F8Gt5q/ZHU7S+rBQQMphwBaVShuWWX5aby/GKrfzuSUTrPhL4s/H5PKTCwjKA+b0P3oZjkuvkeAsvPTOQoJeIQkrN9CxS+QDLQ9uRDNMt/YsZP2yb8Uvk6sJjEuPoE4YzYQYVwE1Lvj1vEofKOcUT01b5hr2wahahMN/vOqnE9wFfSry04XDCIHgMCzpk4lvediORD0d+Oe4G82opH21WtpiOxQbt+tvrhso0d2NxFqCW6983nXg5DrOJxbZme9t9nwrJPKwPb2PzSiyp+RiT3dE4MevY1GIt9DjiOogwc9diFjojY17NN1v6usgmm3GWK39uXnX+oVGjuMLz+bNWD6cGF49hdaTSie2jeQTs6e8SOrhEmFsHgC4ogU5zL5BsWa8+vjX7ZxYWY0RKVaSjo8ZnDRmBBY/8XAp+PmDoBfmaMuO/3pV49cGacD0JR/OWtXrb7KRiwtW/sqAYYBUf/LKNNT1Kov2rEyYcP6XaMXVmNM7mKXszWu/hmA2tKDAE2xAzQx9Ruf2WkStORGxGpnet0SszvWjsA/3ufjJ3WjbJP+ChAYjRkRhHF8MNR3kcA9ueDE3jokd+WvL7Fpln4C80YLvKCO/sUzJES0XveWoX2fs6scUkdBzf7f8mfO6da95knP/liGoXwpwy1W6+dZeW1gYtFokyv0hUfNSO0vuvqI7I+L9r26eNNOLdOl8aoFXQvmC+M8K04oTEVj1Ewg0rUnKJLdRKvGhXE1WIBBHPqLc7cQBxs1j21BsWJ8OKyTGBRfZYaLPodxkxEZ/p3A/p895yGlgpugm/RY62gfPWosVFKeAXcMipVPLv3yPsb2bVbWk+YjUmyLZ5UTZ96DW3JolRCBVumP9G3HkAeypkJTEyPbSyWxxJQTS6R10T7lojoZmr9zkEat9Rx5Diz63B3Ymysbc4mCM6KRPq7TyifdGmyBL10j0cXOiI0J2BxtPj7yFVvMcvgU8VTw2AU3j7pEUTh5DsAfSekxceS2AQfqxuNljF2UgTKfq4RwOUnbWhkGpis7yrWkCXzohDvL59S0VUUi9woge4GLl3J8AT2r/oV0ELdgQ1URtUuH6S046LVhVn6KwDLXUHtXcaB+7W5ymTPi1aBBYD7tuQEnEd0TgUj/VKjOJIcMDSqSXW+OczXvr88C0nRzwVQ1uQic2jpdtMqT0IcteBgVM6wtZ1rTePBKaOgoObPDsppT8gZ7QY10E3v4ao04yyJ7lG7uAVzCyDPiB5B35OmzN/clEsmWdiXwnxZkPhnBul2mZ6+W8OlXYCxurqg8y3aw8V2/SLHMzaDPz2eCQyaB0kvLgXiYYDl7IJ2ll57t8gKzBR+b1MRVhxCvYPc3/rh+6fplPFvlA9NabXbBoqScwshUCt8j/g0SwjIeVdi9RGiGvFVAevhC3Gp2v3QzmU2gRr48I5JoW/BBKyjUWBmRNnBQrLzr7J8NiCBACj7f8tuqxeP43ABSy/GxwCHm+QxH2P480T+ZK623G4fkF+Yqx98cfETRnsfCjRgUdxQGb7q0TcHDDK1B5YsH7LLh8el1bzlpUT1WiaSEYQr27MR4z3w4NLIhWzVsNUiNDcC8+qEpUl0QGdyrmhRTDoIIejxgCA3RPjjDuQPOi93V/27CsmrRM6QDqe88lIse07xbxby65Nhd2rTgObGoi6i7A6eZwz1GG438m/0YRvFUjgPCcwYWI3NcpomCG7f5jMyLoYA6vGfLpibRA3teeU5GOvwdNJqfTJc6arJjWXTNMZKBB0KbJL3j+SSvahKLNP5pdkMBlp7R3RMcd92wrjXUoKZx9Yx9tISNoJ7n9aYgw16ambxIBDCZBYmFTHzxwjB/ny4Q7h8XhWmjrAh7EdzCooOUgC8ULSFhNjkHKJ3JoS0KJhfkoHeUqSHwmiCauNAnWj1XgD62M4AqTEkZJKqmR+fM2aJwiEcTdOKIVAxHF3vIJhy6eFns9151GcIyMcT5ZW2Q3rEISt5hJgFd1MB406uf5a8NuxOl0TvkL/XgAkGhvv9tbMv3hcQpS4Fm5NwFv4+UcDkQW09rUBGFlFRpR75PZAbWndXvRhTeZgToudjb8o8CBSZp39TlJN3EJYGlQEsvsc5WGbkpMH0JvZBJxIc6q+0zUzM1jYQiCsQ19HcBDUuT2kcZ7uuyE8R6Uqj2pLctfWhW4wnaClDupyRq2wsKyreTTx8uTyAQzTa0eBFwBr4kB0pcEF+SXDVRP7h3NKXhPHA0UMfAewWUtJ+9bqBgH3YbhV7ARb5Vk8hZ+/uZ7PX8KbEJrAkbETd4NNCFTfCfgd7F9jRwAKP9rRiVJ+khiqaNRUPAcufzqecyNh5STrFhd80XpRlorHevCJtf7WR3qtS3mkxqL7TcrzOlHw8XSmTfMlMM41EdKV/L3LXIce/z0zs3BGEN+FcLQvcKuYquAhi1Oq2OQ/QKMygo5S183nq1Fu+bkSwrOlnOSS1lBTSiqK+m8jp8g1X0/kHD6JmrP4H1XHHXx1fc/4xK9PPXwO2AvfAe8eAf45roKq+rmNuJyfQoMgqscm/zh+vkz6oFbR6lQCbwPKlRIv1h077GRrmD9MVe5I2yMZlrjdP4n8jiBpDDATjVY6+QH3fxLcOp8SqIPylTcNTyelA98e13zu1n/9HT4x2uMn0FPY3NPBfCtDK6pvf0kYIN6KfSuiiW8agpwiMV2EdpxHSTTUBhuyIeh9H9L0IRFQir1P9fL+8TASV0hQBt7HzhWZkMwI1xCj1VqP7JdvPP9R+QYVjwBA2sCRbClagMUVPNYSGF4sfPkM2JnRp8RP90HASXtP772sIow2LbI7EnJJlxJB57OngZ7Zszy1EFaf43r3U6M9UKyv5vMhgM6paKtZwjCgBgkO5uxKGRHv00iGJdBw+MLsaDLebdicPtt8M7NHEpqD76Ktgq0W8IYwDqW8Ucpb0N6WTXcNy+D5XPzHLt6FWGqMAP3PLxZNMjpo1rOptndM4+4QBgpi07gFoBLAI1qTN93waVoQ1DjhivFZF1qJP4F4bF23lyi3IkvWoCqfp7NsmN7ZXKKU59YMGBNBWBpZ/3K132DyddtCCQk0vVWF44NdN6mgqcIHhhO4xDQjPLZlp3h95qampSf5zlebN0IoyOkyPaNouR+ICPPoJzvr2mgffN3faLvMG775B7P0lG/VOlziPRz6UX+dJqKAxZdF4iTPaFJi+URSTC51xi1C7VIbnXp33pBjsKQM2yk1o1qQi/6/UUlYt9cH+YpQVy02JRAZYmoROiSWAlqP6QWOR5KR1q8otK/Vqgsc4BrpfFknat5HYUGACFMpLEPuAr8gXjp1W/DzEKsGi4crx1nBpI+VpB1UnrWk3lGd39WNjVPc7oUWaYsR36KCvff05WX8sM/dlH1/RwQSAk5FPi6Ui+GTWoxprhe0xqx/xRx4t+xmiOZcBmLjSKfESqD2IFvEZElTs5adFRQLYfDxTg4ZkYPsEq90eQg6jCrkFM9HWRDuFyYcBIZ7PIlOLvJ3GgIYW5Z1QB4eUW15r9atfnCHXEt5kfCTo8heIO3rSo23/zXS61lrqDXT2GfJ9kNj1fYvupDsOEb9D8dSyWFEOpep4TUizmiLSoTYmI3AdkLDy6ZxeWcSMaAmZs7QhCi5BEOFYdaZZ1uuxwWdxdsDEBTTWqaS7N6ZgS+9oNSUyxBwnj3+c/E7H+Dyy5L3vlCUABIii1pvlKyoW/KHNpUigtekjVZ9THKc2eF6yyEa6jhbP9mDEWZgC/u5zAjH82QzEEO15Q/14ZXMeA2trYIgAqYHb+9jPxuS/8QPL1tEAwVCY7J8G7G3EBjMNgKd+YkxWjKiG+lV6Mhp0zEz4V5sj6mgCvQ4MifzHD01deKNb/zF8gRb6lmQer/YiWKHeOwFnsJw+bbKMsLScj31Numnt5XCrWScmrYXSeCLJB1zvczQicN3KoHC8tYerfKOQERdL1airrFuYEkudGyW7irtGZztQ6SoEKlTmX30jsRfNxD50NkxU3sQaQEJELsqSVIWTNllEt2KapY4eZmjwTSUNcq4H1sk2R2Bn8lwplgTf0Dzvmyi3kHrVFGRjplGy4FyysVP3LyA4oJyEwQIAM8/D7MLOrGNxcRJDtDSzhU1x38R5c3B/C+O7EZmSEgvurZXDTh5YCVSjqYIPlMK3fuYL+Zq0ebwGfpuijJqoexnOmjvmAbTRJjXbgsVq4c4KiXp3WSDdbLyX12FMOz6kv8MD9eLT+6rwrCLzlaCfUzHLgeSQKWPYy0rxTKD/AGcFKJDgHiG/0YPt9Pd5Sgh6D8CXvjYQNcimjf2ZrviIMOZ6DMrNNhX4+BGWR7eUjdKPNoZb8cPMLsRvV5rvkRRuLkYtEqhCmWLWnIFqCPrKontX3R7jpRBhQDztcIfyzC3jEQ0rA2tvEA7R/Gj5LvaYT7Rv6aBh1QAeWpsqj/ej0/ficCwWQtzhfTXop+XyQDyvVHeFs4ZDlDBX4G5v9jnYD2XMcgjiPVyd4TvpNVkxCpkQWIwGQn/PMU9KRjyooutudCdPjNY19YQrGHYINQT1kYkS/LwEDtZk7JBMvQSCLW9f8dn/Qrk3abTIDkjWY/9bkALqLeIvNpY3+8svMHmovt4B44CjHX5nEV4EjUrdnEJAb/EnFBgMgI99UTF2vTKjYl9kCwzzKcbWPDTtfaxFBEQabH0YT2qv42g4LmCjenypq2ZGmcIXD0brhNXXbKaXz0okKUqOoZn1kNA0fCY/FqgMIbXs8u+hbcSlPd6AjM+qWDZNpqso0cZzvzY9hWeoobHDq+iNoLwnSUZB74DuswtG/12xdeRjvSBGEwOg3k9k3yY8H+mGVwAGyUkr7NnXjX+COE/mCmcwF/nqH7OWXnwabJAP/I8ia8gNl4o92YOtqYW27xftQOaLqJ/aToLqfEwzjIrcwMyKyINDd8P2HyM0f9UHdSzTCkEVwE5I1Zqqet40P3KgSCks155FXzJ3wX0rGS238s7hZMel5g9bj3ZqiysM5fEfCQH08x/UnPWrXxI+Qa6Rfxy1GjVkYQe9Qee/et7Wupybv0x2vkTtpIfR7jg9Fqp8VOAa+4ElOc1fAMyZ2+MWZiasDHXPfQTV+HAcUorEqtsbv/DMLyaNpG7iv3FzBZnwCvmMNR7T6rd+gZRZJeFvcK+HQtwcYPOtWSKWGwbupquNnaM7cw/Q2abvaAoIVL3gZo7FN1TIEZO0C+OrlYlBL6aS+WJHxWoCu90CSWzv2Rl2igMaOZdPKylipc9rRpeeNVntMxoTzivbmtoIA3SVmRLQyPHztfUBwatMX2iMi/OorgIUc7NLb8SwWYwMOXgq4fdolob7XMLcy2noGv5B9eV4WK/h+5JpUHPQevOayi8x0rriNiCQ+9XNf88thXmzUpTC/3CVWci/F7f95gjdTtS3yXHbP0m3Ab9s9/6ocTWgTa3L0hz2tUQ/Lwrtzqk5S38dGuG/9tLS89uF81liZ0prsrP5AI1kAH4LRrqrMXO8lg5DWNaO+zH6cVKK2VYTPctHBeF3qMgzKCYNW8OC/P3Jl870vkqBI3ITT/6tNzzGkncYSSy5ayJagX0yeeXlKZ4Kaw5txr1rZ7yqoLdaok5LKmcLalcBm5NltHiW/rHaJ6j15BHD/81NmKWW2DN6sXPcJu6vOzO2dUnccP2ScZbgmyS2Z35H4VIgrGYMPqm2/eeh9i+KR0vlWe/Sz80adpZVFADsXsaWHnNp8Bli285T24GELd29Lsy2SuG7ctkAkhCcvQyyV/IndQIDCMYaVIqNSlPIOtQ2Z3Glcs6sUKTwHAyhpW8UaKZDqIrD7m4oDo5q1wJhVQWHGAvmLr/sT1clvx4bI79E10QnjpF1J0+miKXWnV5xC0LLH+gDUPeq/FKr4vo5mCebgZLoSHiK9m+uoJB+aJ9QtbXjDRRRj1oUq//Q2oNj+h11+8v5dFKreJQDujrlPRR+oGmddcUZ/7JQy8NP6/mDXmvkhomKZC9cW/JFWd94zwx39xYAu8hoUgnsocrmxeS8uQUroXP2mL2R7PKq8u9+QZ4LawdonEggWoqclhqEwh3LnzNlqnIHCdzetGnkNwui3Fp0kHdUwxf7B0EPGKTZgQNWfFsQ4nHPlPw3gLZDLA/CV3wmLxdHOoZZQzAwA9SEHyKLlhZ3QhAWo/vamH8ckmf+32cOjBx/FdUAVPs/A17uOKCTJByFnD/LjTQkC4eBGTuCy7B8uKiK4u4xF5InUSFR9wUM0Czl+IYO89DUzzrDuf5UedwQRUyCE58XYihWbyTHp3uch5PNPCE/6FQrpVO3NxCYHobjwHb7TkrcptsEenlvd+JBRjO/Ua0ykKQEhvl93BjWb3dYb8HpFyq7z5GG87B+zqo2JAumz+I4tplkVvghZ06recgN8UjXaJSB0XXtZOi7a93jnZUCUbUdqsxnNqjb5ZEovufQiZVChdeIqgHrMsqxoElXbgC6RdqrXAZo0t4xSJ7ja0jxegPJcX9xlLfgq212/TRg8fQrMEoE7gyrQiFH2eSXFUvCib4gtDcaC4A9jRXrBQak7dTq7+MzFkL5/4Let6G/hV21qnC8V2ZJCuGrrR7NFSBelAjf0OaF6xjDid9gN8vblYYkXw2R5NN+VFkQBpD+747wnSbMfdd3fKvNBAERXkAHx7lrpSh/uFWKX1qnhD7vOcoF5VSwH2Be90QMViq12sVleJN3kBz8QECX1lZliB1fozvHpdQdKe1a9ElAud2+u5Tny16OKmevFqRXaVtrvTiO4CIhnuA5Qh8Rz+A5vLvENixBWWqqRrJZ8KSaScXUHXQhREM+EKK2Zhi7jBFomhsVSgPjwIOomUhxrnPzNVwP8zpugaHzyjJWchbQizqbXTuDkW/dT87n+V0GKEAwEvrfzP3l2eiRyy7bjwBUwP1AsLibYW4CDcgSlWfKQblN575gllx+amwnDRKakdDnIwR5noLDkXD3LlIZWJhX2RF2/Y35QGZD7LDyd2Tv6Opkrp5OY3I4pDSGLUizx76ezCDfuH0QznxAPKTGes+LovhFhhQM37vdqV2P0fvUJ7Klcjy7urdoly9AZRlzo12PD9Eq77AKEdxLnBMyRKNCz4r7oHTn2O2CGjxsyJ4GDQVZSDFH2+zI7SmDygzonclIBLaZIgbtDKqZjjMRkYurq5gM3M4XClKhNkZaYNg/oulwIZrkivXU2uGef5OmQlAVGKHRMmrESLx/VDjk35OGp4k6FQO4Sc/DJbq/k4rlKvExkvrRI09Rh4Fga6Y/x1LflW+cfEDFYQWF8kOZQsQNs/Hdx+fkWqT54RIYs8wekZxTERmO4qoZ5xWdSBrPT4qUJDIyVSfKH4yS7S0xsyu2z7/4TVx15b6vMtrO6u8oxUiX8RsInfc9ZbBNoH4JSbGI6JoxlmEnrB9PpptPZyWEh8lwyfiShUnnA/RxPU7fnceYoOWw6XCOmp0LH1vaK+Nfp8sDz/ZQD9za4RysV/BjElWPzfgQWJhl/Tdcx1SMmKWF2k0l2wJwa00d+KYJ5wGPCy3usYH72d1iaaQ2wR3pA92OhCZFk6GbKGh3S0QqygUuUqwcmP43uWOJ8R6HRXsKbXZP3kueqOOIT7RbqEu7xC8OrLy1Go0rdUDOmTP0FuYyRAyqsQL7LOBllJwIVufUNw205bLPmmtmwLI/G36AiwIZP1T8ICjaAk6/MV2heR29RDQDRFRuWx3ZZARvKaderjgC7AjoM/s2FS9ojsq3oxFEbxjxYnPnAQq/kHZcIINTs0hMzzsi9kvZTeom+xGZPKk04PAzvhIcWydoy4AsHvQ2nHeaeW27Ia0PJCQJEs5ortnVefSJlppPobjFReC3n8u5YicxH0yc5p0NEFysMJuX1OVmzxPmYkFfgbjHB4wswe+ttlkpQ5V9FU8SZMiZsOH9ylASvhOJ5QKeyNqZtL+3DUtEM/q7mXhbKoP7x98XuD/aynetz7/wb6WXA/UEARxKQY3cevLswB8yVJzD5mC018bck3uiskWgk4sHrTouHxLB5D/yUqZ71YAc4wMP4WgUz5Uid9UzbbVAUfLS+kr4z8P4pHZKbziq27bJ/ym76hSlrx9iB65oyu4ztYtRIQ/FWBXc2JtKWp9cpuRyZX5N4HIb8Gz+I+EkqxQ3uC266DebbZLKQxxg5cI0QL7kZsgXyeqcZZaZkY0hPIFGUpPYtPSRDI6tEz2RsTYVAB7gIPd9P++FQZ1YsGqjh0gqDhefLh87ZwSocbuBjthxTzlO4837+zgqSOc7efompx21vk/K8XmFA8T05ZUubWgd0yeNaR1QcGIaapVjjxeAkghnKHxPicIEWIQRR13SRD0bNeyICseCuhcR/W7al2Q5eIp68EJ7ZpWzeOCDfZ5HICNdDCU8WMJoZ1upd+WxkJMZ8Vv/Sz9APvs6wrNGmdDSe9jD+ZTzWP5QhKwO+hvHgsIow8j+GV7mh8Uf0LUqStguZbgPwKb7ANk9oVw13frfUsAXzEhPkGOBmSp8xBlzHT85SzSYigRWKsIVOtTh2rRv2YjiX/1Wc59L3Rv07FE2KOf/soziv+ivigdfoMrDM+BuSupfDOZUnfDzRWw2ovziOTXBN02A1FJcTB553i/cxoUkhfeWyvrXwEqpOzypLwboHHbN+DK+lNb9Np3q+o9+wqxprjSkYE8ZEtCZGm0lr9JNINZP2rB7N1nNhAPtAew2jA8b5H6AdK3UocTznw3HTgIaA2fKScQEkZm9XFB2XryXt31J70Irr5lkBjiS/LycxCOScMlWoKPJN8XZYATuTy+TASbRjOo2GScDwb3HgjmWD30l7mWNso3I8ayK+co6cdqsrrR1PL2SkEGfA1L7+B/ryjWx8pZd94mBexMKqxHiZrz9npuTHwarkcTKFIz5YnLPeOxJ+0j98L3INg2R3+qzlFEXJvxe8P2Tx1p6gD+MpBEETXVYoYzbLZvcncB7lVJbXNs3YPDQ5zhMdzj1wdFOziQMHHnH3u0wDdHZ0FzvmrJ/4Oju58Ro63Qvp8CJS6ExnIEYyQLi0t3xxOl+8SV7XM5aLSyy0nWUuaYwqWhhu3fyG8KAalMK6xKEiGmuIeHUOas91DnHceWSeqJClq8iyepIfTwSa7LLQP7z6s7vAySIL0YSP+KUaY6DjNz0/Zq9whpQZPKGbmVkJi3yPdhasMhIMrJx5s/d3F+5PLOaR3XlSIYHBz1cvSz58TJonYKHI/thfZTm+zsM76Q+bih7DKpzCruWof1zBwLNSNV+nGHJ/j4r+NZH5DvrBPD14IS+zRpzPmE5RaKcrNLuzrCdz/NAAzq32DFK4z0g7/9zbEkZNCFZA+bbDDqjxl9dolCmxS0F+C5qaOpUnKOn/0/eLJ22WGUB7yJ4BVs9d45yd5w+SQDsUiYPElgDyE8Z+jcSbCpWDT+XIzfyO3b0ukzofm84PhPEEbReLld+LBNo4Mg4MtpHrYwE8dO/CH0MTd6BB9rrD0a/le4J8/gLxlDg3jHnr1W/FbQGEgYNz3UUoy4OXH6h6N5GOexHzSnE0fEFcPPVVvP+5oykKJUhISIKxA4ecitVg0bUVRQnM6p9n+t5N+h6ktvMxW60VEypcWb9bABLoC20Ygqfn9gpIkwDTR+c4HAvHJ1PlIdgOL05eDdEED37GTjDIAUGJ0LVTkPzEt3z18yUlAGXrVgTcfFNhXXivSM0zke5mIILzNpDiP/CyFra1XnfC9h9lRPiUpnpskEEqJBjhi7cM0rIfvUHyvTkwN7Gld9sS87cSjmfOcrtLDX0d9E/T6OiTIYFV3FI02aD2jj3GvrJ0tsNdulrshdPIvTDqzGn2ymxRBFT5EvtOKFKNiZRehV6yTmhCCYr+q053gNN4nCuIlCHdEidmhRdPCHO+f9XzJCoKXbP0FRqloJlCQzX/Xbwf3rAa163jeZVQGA2P4yDuOwoe8O65uKqOWrQQPnurtPSMolnUKGftegKyqIbzuDInMlbZcKS1NBtQ8xdzMKyp+I0qksMvYl9t7fkfLyI8JgJmYA9XirXjsP21GNUWgN54XW5P402jpcaQMPHWvzt46Oi5CTaDA3rakkE0qHsvMun8aWZ4qJSSKIv0nkiHIJsFhbIJ6bQ04AArsgsuGoGTjFgsV1PuMVU/k+eyKYq5WCnyOtLR37pU+zXcG2BT64sl0M/tyHEQGuK9G2iv102NSR9ujWLcwV7KWaeueATmbE4zr980lK59ZZbfGtwx+G0MrsNzNu43h0D4Fihu36nCAoKTRFxlYhcgrvUjx8E0rOk4AmWJrJUfHP0xdeqGHHt1PVDY8jZbeTnReN8hULhWkFpC1UIKogAZJGIDDrR+5Gr4mbcSd7sZkH2XMid8uKbKcu1eVxCNjPu+zntmxex+nOmXi4ToSYDvHfR9hgCYnMOHd867sChv1mZxZ0fdHd3OZr/LfIKQWX9DcD95CNcURVRS+KJMAeNoPNZhaD4NmBu8/B8ahOFMol8fGpFye1h61GZPAxmf8z5Y2BAzhwWkfmmopjyEd+IuwjwfhR+uKxInhySCbrdvo3V3Pi/7oEsCDoffDEArjd0qYHcSdebTO5w+enT3fcBu6iHZpQnedEenvSBSZV3/F2IXsUOH+EmLseCp5atMJfk3NFuNq5RVJAoD876T9ErnvGQiE807B8uqc2GKMjaiT06oiDyFGcAyCQCFQ/Jaq90xLQqjX3h4byyQ51WLzmYs1HaDoGpL2K/MjAgcAE2JSOyIgvcXSx6j7H1uMYAtXpjxFEmn03cTqqrRCL/VYICDU/QcR/tv/FsqLcnIWBGMWGhMPPkm3NAz68z5c0WhgGVdQkWoiseb39NpUFmXvy9lEarw7GFD9rcc4T0gRg6ARjDfVTy6zLSR/39lGieION2/mP7NnLZVfofcKDDOGal96G2LqWiX08bSnCXM6FkUOAia0ITmYRwUz19tg9JJD1kaZPMVizM4s4wD/Balbj5HGHrh5L79dV3MFgUTHE/BLvzFhG2W9/p1BN6sQ+GX4EYBAttiZFOj4yvmxJmP0dHMzrOoumgwB7Sfv6IJxr/F+cu1E4ER6foTMDbvo4vZEj0XE97KG8BWoNkDkkJXVFSn7WeI7XEgF+1KhRQ3PUFXIdAwsUcR4Zhau6gIcYEu/REmVu9DpdqPOCYrDIEvpI90ok/HIvCqSdLe9xgAYPqZbjqkJ7XxPY1+XUYOkWerjAprBRRrpBwwpUeabidqZLAZkFrL6CuPSgGeHiMLKs1h5vLtID7EFCZIqsNYc0GOyTzahrG2BfI3ScFp94bdzSAAx98RbcNy9h4l0UGnlSwoN/hTv4B/JMys58lDQZMYBmE12G94ornMxNbfC40CHkQ6CF68lkW6R6xXsUA9fGgw2vY21uOh1yc4go/nk+EMKcMYGsfzryzHdiz7BTARTIb+SNysvmeQU/vVK4nbYaprdo2wexKb2wCeJkbv4S2njeOK50iCh/1mUzypo3uDtsU0NcsRhCXB4eBNOQsjaTisA9IgkC/TjfmPa+Ha72Y1Qx8FfFWEVOxSAuUyGgbKmhv/Hsec0mUEzQKyrb2ffJg7Nxx/fy6d8Mtv5CwHNIBX7aFK0WiKgfaFI6Se98ZUDoCQ0eNYd9mKNBa6J9qHurJlrrhHQkG/TjIZ7aNiQB8MNa0DQUUIZQExQfRc+nwv4ZzTfsP5lyN17eYgtAwPkXnWwJv6NKfqTsRUfGPbpj+brch9AsMTxd6nmPcPOkkO1q3efElZLvynygW1WqT+pMCwLNTURU6TACOIwMKHElLTcwbbvC+i+JidoSPYh5VmUcvoEKA0gIKejaiBcbcpFFBoZPqBOaYZ4qbQ7rILpCwQdYkHQhBQWMUT3MJSSdj9dORm/a04c8PRbqrKPnoiZP49uc4pRVAPgt25xcjFTtW2z8sElJrAyJDIkCEWO4dl85rhgnndm2lH2Eo8E/QCNpkLKMOMCizJO2XW9c0//ttnlm6RcjHuvRxvuDm/nAT/RkY2Uz0txWeS4KLPwxKsyV55444aPWx6QU2NFfNwmL3F4vYeI5gbR05hw0Hs17Hg82OwaGu/tReVHhTZfEpCmG2oMbdJNm0AmcSfYO38gUQccOg3FzuBLDWeZkWgMPtlSBg6XBTO6BZJWKDzoPkNy2U7vB0h8o1J+W16J26z5EW4Gubd6TNlocOqMvOljOXGgrsjCdg6r+FtmfwdV3sqVWEQem3eFlbXGi7/ymx9qmS5gw1p7f6388MCsNVqfF3xfKQ4Zj245P5nPQEI8XT7l0en3TDEOj3JmAioDAMF/gBUWtcbHwqiATHgMMDg8yDCleKBNOPA/cXLbPZGYFzAlkPY/qcEShUATLjgWyxjnxX6djuYEFy3kHuJSI+4oGxTyEorx0LXY4aqHJKbPRgkY0nDK7/WYxMhe1qM8O3DaIzRcHLX9suT5khL5gshteXWi89HRrNZNWjEd1URgLlJKMqvJmTsFBFViT5zBcujnAEY9mW1Le3iuq3ALndCyrfbRkj1Ta8zbRynSUJTsCuERitI2Yqx75TBFiCqMxQjFQRnUnf12EU6xsYxPVYnDjvUM3nW1cAxOKqs8jRdhcpfTeKC4OI7L4SbHVB/Fam2Hpcr6BS3/JXhae5V0cTtc3JDxX2LNgCDWZs0ep/QBvqA0GXgDNOf3fEdXLRVny83/aVoF+dhjXdwgBQ5f5UtPB8rBjZO/tpvilhoK4uPwdfgitYVUp3vls52YYhhnB2MeXLoYRdObqwqY/yDybyTD1PIw26LDMOoYfwRbGFyIicmaSrA2XpMeKPMF3CTFxtr4Mo/1A402IRB3QiXkHOm0K46Aae4XR6n69K6CINUo7Ow7GUd/oMBkA6LR7oTAXYOsQel/+p7hHs4WADeZODFVBgzqo5QRzJnHIIzo+XjFoBC1SngIQ5dFdKFjpkL6+X8bbUNvyh2nw7P2pdKSNbhTqEYCB6JA41cw4KwSKznSjOfOyNwr+VNazmR75giazAacyCiUknn54TcLaCxrTzT+M3HgP1DQz1C75PeuONQQ2tOE/GOl1uDq1iPDSzl9VkkxfjCWTsFQ4MQBPg973NlTH0bExGx7Ius88B/uXkQr77bzlQ+mmVrubU+sC5BNDf5i32Aaqt9fIMB7u03SI8d1R8r3qisgWhzfpZheljMs5pggbKaiZWKhcXYeIW8M1Rs99494XB+j3k1TqofU80Erph9Eud7KBE73kuik9pd+BEuPEvY9LAdx53PtzQUORf4+SJucAfqR/HKqcyKwVBoBXoSc1K5WK4A9uwj6Odf5rLMlBtk+FQHsYYOIUgXTOjfxbvm64qnitC3vv0zX1Fvq9zZW93lwiTDf7bc1mJpFec+G5fKZqo7PTw0pmVlPw/uBsRxbm/bRXUhJRhEoMA5RjEilUth0S3bmLsVjQ+8X6Q+8orLSiA8YCKozkULwboRFuXgSiRMKsq8k6kEAZONMC9Le7ut1zXIpUWIrWsb5JbHErbBNVsFcmB+rraFT8Xb3eeWMzlhpC/46Kzo0aLIK5q6/TmmfkItwgr9TdoIcrf7Aw1eyzTnCPRXjtt1Uay+ahZGt6/DVPZ8flAyGnBYYkqZ7Rg9fC79RUyyPXteZFqJFjQ8yUyICv7ErxSv1m5Aa2F27T4Pu/i8pfd3jf2J/SSxuJT8OENMaJUi55bVy9fcjabrECyIG0rAqCaGR0mc1Z3S1Kay/ZJROElVv5SfEJU5QbvIaxBbxOriQNmXpMfdKL7X/POeZEJFYEPDsEKwzd1f64NYNymAnvBQIUhZui8kL7bg/KuXEVgHl88cBpmf8V1iuGfq7bPejfO9Y0EqWui/p+g0uXwSTTvpWnQuBolPs4SAelIeUKENmbLL9X8JxWpNIM7zLbL26QEm/lBO+eipSpibwAhBYYvAd/9y7h0pxGX4deTczIo9zzZ/Mbdqq5SK+acQwNn93me2cIZkPjX+VoTbhuW38Z8WQba/ryKT4fnLRlTI5/rp7i7GX45XaqJq5SP0FZ11ByQ+hjYrs44Q0lbFu9wj0aa1drhbhuwndCNu8KoPWnUQfH/Rjy+5dWGi/AbIy71NVpxF35BancobTjEWYOsrZSVahbdt0mBZNcvFT8QnzvoRwAd8/y79kEvOUuoDTlkNm441RNRCmxrzhNcMUfl+BXOCPNRGldOecjWp3Nwo2IOb+zgDWu3Pu/vV8n+gWgRwVH/c+RtXY2eFXttWnrgSOTAfPdGSK01kLvPaTf3ayu2I7/ESCgZhNopRFyWTotqeLRPI/AtzFwAVUXeCq1USr7JnExKTWIY+ip9fzgAFq+2NOw11IcfDoAfoFEhOMRANc+M4Z2Aw9Y2wqhxWwM0/dgmBCIxGbqhPLkVCjbq+qh1E73SFvbW+rmZKVjfi278G0lSBC2OZiz6L160JOfce2IiFlIm3K4WqftWV5Z5s+NuPI2I6kFOUXx1JrSmmBS6wgkRMhItosjTGWMKNr4x9PPXuOgyOtbT6IBhATy1xyYxBp2d3qOEBQoAIJskiAr8ipMKeAV9FOphA+QXTB2cb6H27mIxh31TygjOcY7Ep8oOdIRRYm9i6fmsqkaaljTc6Vx3g+j8cnKoktLC8iQXy2gbC8mq4gX/wf99bb9TdA0nby7KkDJ6ZXac7MAf5pOOxY3Byj0XxbExlvOHO4RIhb4As/44hjevG30/xxPQOAtWPboSfefKHZY8PrNKAcSPCDqMMoLNVMRKI6m5wCI73nhtZYyXstosn6M2FOBx4TNnU5rIHRjGNzz4pBPuKcuuWr8jnpGnU0kSQ92k/QNESZ3NDU6ix0XumaB4dsTkKKFIxJuC+JAY4un/CoGu0OBfw4+FIn/3Qh19wvZVl6ywmpO1xxIzentnHu4DJ/Xzki/NDt/rplI8PqNvSjre86n0WlwtOmBQKLPOqgr/ysRt3r4KFwmQ/+kNtYjoqAyd/AKuZ0P7t8PBtj/qdjuN3xuummCej7y1OrS9EAVzsVrJ6Q+DzqC56v43YlXSqcjJXK0eFKyKJQnaAwc0JAjCu84WZ2IUYLaY3/GHv/7py3lt43ReV6oQvToY6/Cvo8BJd1V6FuQWRLzDRIGdf+2W4XV3kiWTcDCyrAicxX/IMZAl2VwXyEwR29Dpmtp/Xmhoat3qlmo4u7KYExrv9AotyCtyfZ6CUYUWkEhy3OzrPgbR5crT9VyQcqc9RpMW9884q7MpBI6GLcijaMikyghscztfImhfw+IBZA7tAqyf6YMnYEKeIkFP6wNZJ92XTEVdDTe1ktlI1pEuvDAuYfnRqOfh3m5BmNPdfCn40qmqjzRH1KeVqkoSNYfDaCNIfinGuCZdh7sqeyVAGeii1W0d5zpgnP0zzl0hf9Nkv4QyLxOG4rU/ccM5l1Dg8NZGcVo82HicOmSfppuafUT/gdVsM2dSOMvDOxLs73ut6mzM32zYcfGhtsn/jyLVVoJ7mrW16g7Lh9EIHUuyt+6blzFF4JB1AlY9E2PxjiaJweJymb6datvBxyiP7vDvgOcZDkZdHIhUZOTF4st/2bPd2SS2VgZca/4vUSuFEcEpX4wcMXUaZ4Fgjp2jkVEbg0+yFkjdfFEY2ZC/9mXvdTx8WH6tNYXAtYXRKNNL3q6iCwI3SbBeER0Dc+RY5+OCTvek8+CPYqCHnbwaM5pq8Jz7MZ8WYjXh0PpWVOd642BlaIEz4lLNukbHNq3YmqX8+onS7iRcbAuHdilP+BjpaWgsEmJui/Udhq/vffFpSLGuFYyvfh5MO83qLoVNlE2FiYDxaREOD10F+lakxbGBsFpigrTcf7DJi3E9HeXrksmWzJsIx9Lkck1ZhnlF/6apw4gUYDhmOAeJp6FhVlP2F5di+AuO8Y6zvw1f4MTd2i4/IC5wrK3T6yQZ8IoeUZ+DJH9QHIqTix9EHWUNGEW5LHvMhDZZets+szERF8YdMoX5jA4Rkld2eYHNha0mtCshaalAD+Iny/5rLLQBexhTgrQZkSYI8yDmdFyB1IfKyNifaSm52U4lUqRrk8Si9HSUBNwvZFqtuj81wVkVH0/9i0+8z1dpGFn66mdGmMnM4jI0dlSkzl8fWRQC2QFfr2HPRWlSUxRa010NSNcSzasnY+bdRApwSBukbC0CPYtmAcK3l1HMX4vyvFFp4Bd/TMXQDI2rtcepgQJ6DOZZeezBGOHXPUESZaS0lXrCqj4dcoI+8d5y7KPtIQWAlaAcNtAgFluTxzCAR2qwTflmL84XXhJkGBxId8hiAA73fJkaL+raIkzHNzPtad3bF1WuPhi/dLKaRdMd/X8SyhuePwivv3PdKAbHhjEtDSdOgNTgL2CQ69b52MsUINBhFO5C0xdHQ71vbxfgwIum+kv2j8PaCKqmkGHZw/aB8KVnQTqaU95cjBqDVemW17ogqz4xJKD3Ytel8BP3D4QjuxDr/JaeKfxHZzhuX1zkryqeo597gpOjFHn9WOUfn7YWzhTt6eo6GwivUOED+9OuFQ9pJBvoMyh91LHUwrIdhjfJLQKKuz2Gj+AUWD7qWoqI/+6I1XMQ6pPMPQACgxiUjJWj+0QD9LTeM/+Uv4XVLQV5afQkAXxJs8qbW9YZZhWPrHVsgcRf00VLTpJi5FvJaGwWd74I1pCmPVH3ex3cmHFjqEN05mTcx/Ayyeg/GTiIpfCPMcQ/862qQbQCwAT+LEXDjWDFgI0BG99nqtBJff6cACydl4orfcnYV/c7+2bRz+GXtyiFRQ4gD7ElYkhf/Nd+42al8xJ10QYuaSygD4qprhP6TPwORW/1LA+IjOLZ12kvWx/0LVvVoFiZuTYHF1JE+1bV14fPZmazHbO44ufdH8Hgx/rLap6dD2V0DIKOmSPmZMXzoFkSNh76b6CM7E2Ur3fJQl48Y0stzndlilB885JDYp4Mx1bykFYf+jcRUofTzLhMteV/kw+7ORN7beaLX4OYy48AWvhqdBpQldIQvstF3KUTUyqU8DL+e/czy4w2p8LZ4iZufvU2H+h4la1pfOqiBZGyvigShTFnFhKdL4Kfbaj0ACinXaITHl/ReVCqLAANFtK30rbwVjnDgTsyV062n9y6pLbrCf9ZyUN+tIRAHGqCGxS59MGgC1hOPSbxQYCTRUMvtMJCHtKxIKXJRvPXzoRdg8UcuBfVJL3ZAVQ/AHaP9WAhcgpOIWG86mn3kPSkALG3OVm6Rwak672d4hlrWAEsBfidu/h5tsApLbFd14YJB5FOxKOhk+Bj5gQIS+3JXYoUw+lMW6MmCrdMq5aVx9H4P97ceiInnK//9+8Wc3LtNF1ObATwWRWJbluk1E1viVdzoAOL0GM9s3Yn6s8vRs2iC/mUdhF4B+/XxoTICzusYiK3jXGK9u6o97uoOptJ+BJSAU9YCwygWL//P8Ny5dB5q5zhgl61XVAdgk94BtVKk+VVUO24G6hqEXjSkwcCxgBRsJq2R4tEgI9U390ABqfFcRGBZgKcxK2XnjXuqCj8+zVZN3nf2JhpvdfKgu6eWtdtHEopGM2UptuX8S3k+iMICJSHInBWbmWV1UImECm5G1BUT62o+sKHoc4WGJbhwOGbd2WtsXQdqrVHb9gzlCmhbEWfplLxliOTVy3lndOBra+FqmgDWgn48vjUFjxiBWrWOD6Y0j8fNthc7Asm/Pbn43ZULbm7xwGBinhyGuime2209+Z5OiFa4MrfEzzUBmQmicsuM1FNvJQB/S/3gg9ZagZWia8CwuZ9q1LirrMFImfSR6XhjtdaLnSafajyLllNLDOtJnTMqgpYqhLkRQsxMVOFAk5/7T/LVwS9ppIx/Kq82UF4wOb9BieOf/WdEQ8+dzQSCOShSL/qz6jZtNk2b/KYCmxItq/rUCggWKX0C0z2CecGudvubSnfQ2tTdwHA7xyR9pyTd81lvFhaz+a5HXhGK1/OF7msflK9B4aZF9Jn33IyARbqKoeGqiqrM8axnweffh7fuhsJK+IXyWbq2zAr0gqVRsl7n5+8fcCfPkLpArQa/MRD/T05efmiUijw74te6XrpHdTLNDNYarDArWETP6sJPH79yPw7/tWVIh9YHy8VvKYKn4rHMN9UFbam6CXcY5hmgsP6yr6Gn2dQ5wOGGLclUrAk6B4iTGKup6n0m/x9x/40nfkDv4DkMDyo26j8XWAs2D6NpS1foEC2eoHqgjWU+Fq3DeP//6ornHivzd+LqEoKcWgw6diWeFmM+IVLIqbLWAiytqrN5A0yc8ixX8Efeme++BphDaDi7HNn8lfAqLlhIsXz0g/WcKWF3KObUSnS6jQ0XpxZCWttX+XN9eqwDKlSRIRCKD6RiHV+DHf8fwppAvhPWzBNW5eu1hj8RuTnt8Gohiqce30JwerufgZmfvek7YujCkrA304wkxd/TL0OXpJJsBiWMj756UhFlSSuoHVOmcHVxKb03Oh+lzKdryUjE5Rp0e1AXDhXtIzUpuM2S9gaeA59Rd34bYHoRCalbGxZrJp0KdZAWMLyaFM4P2i3++ekK0nEV5C/ap+IFYgo4HzBb+NZm9IaX7LLuZnizybbkj3DQD2TeWDfO8AmfRg4zRWwbiNrOug9ED397LamXGO8AUl6pviFQHMfK8EXtt6iX9rKyKITKobe+sXym322Wnea23zIyxi/IaIMy50EWLi0idnHFfubK5jGkFfKPKPt0ngRP0xjRIXsQG0lj2U8edE+p82kWcq632M4MKw3xsgq9djG53BTwvhKYKLTwPeMzcxwN/TQQlLinHxV0++UPj/7O7D98DxoJLXCVrDdHrfWZ8Q2Sr5OPMR+ouxV356NVbhroNfx6qGGEIO+II2XjRt1L62CMcYn6ohlHZSy/NW0GEIMrboFJ4ZItVBd4u2DjstVHc5JZatJZV7200sVfpRVL3MnwdTHnnftwGd5ZflX418QI9Fdu9xUfy+xMSogFS3Uh+QROMbdRKTykZLQZt/g/8E7I+fvgLlQtZyBhV2GzhPfroZVPTTRvHO/mROBtjxJFtryn9dHkcsQcLBO/PaNm11ZN5SBI30LmZ1dv3aUPvv4GRJhzHHtWqvl/USbezBAces+1yH3I5E11SDpW3BPZz+JltcAHoHSX4g4YRJKweEPRvs9ss2bQkQkCOxoKvHDQxvsOac19XwKTn0kaqQ4tFbqTObMF1vbdkwetQQyZj2JXADnpq5juQ5fbFylCZQezGs0NfwzHGtx4Ke+pXsDZtupVkmxFsSmMEKrUpf21RBRQYx3+MJWNsMPNyhe262TV920UiaF9LZUyskY/4bS4VasNu3S6InqsvDZntWelWdzgJsgxvoz2v1M30HDhNrknnoCSlObegY3rm+roJyV+dkzvVNeY+xjPgx36deGjmwpMTp4oJJioaqSuGq0GySyrI7ch8FetKXpkoCO8D627JgHKzWC7n+IsbU8/H18CVEAQNokpkeeDr1Y22oqftnlGFxSgFNIJCW0/NrmSVE+eHR6ZXMGKg8moShiXP2g47IRLuyd/5CH2RJceb1mlbnltGDJ4Lh3q9lmTZtPADlSDyNxIRISKWLWB58xcz9+AyKE4StnzM2uLe9yQyVPkdtmqMf75hgxNCVtuK53gRU4p2rR4HIiDdGRm6IuWEZE0s3ufjo5ZllpHgTT/7lXgSq2x+n28PL/tPnl7CBkD+OWtBu6nahcwJx3ughwDUn3ZsweY4F9v2MdEr/TXctQULiyXKg27Ec5utWci0nFCVucxiIojW0DQqtKBFgZ0xsq+/9qkJRyKD9SB6iaMiPTiBpDY7AGyFkXLvB1Ah7E1pW1v0QIlIyawR3nDdF57WpcTw/T0WMNJq2WFydjOuI+niLpgkc37EPQB0t2UDWh1TQvkVoIcxxPe1Wiuv/t1T++AcdU0FIk4WDacl+k/e2KtJV5iLKrEgvylxrJJJpkUG/itqHCzKNP442P2Txwty2hKdNdBmXtqRHXZR5Y6sK3zc/xjMir8XyjQ04B75UNTdcM3Pw5hPLzVcGPqkluE2Ae2/KSXjaqAk0lutDHy1c2BpqgqlherpAuVqY51a3Aut3Y+0Snn3HqNWLF12gatGQbd6QBa9qpBepssgkrkqt4s1A5j0NOgQVcPTW2Y8R/ebOs3y5BkwZc61v5WYOzm/vU9XMVx8j7czcqUxZiFXGrOuvXUQQpSdShN7/eDoXZG+nPeLD4yI7352yqVCsAMxuhdqV00E/XrHQv9v9unEEChJHpzbsHHcFCrM0N3cFnWNJL05PlbYOt/1TxcRYDJjpzFJe9EWpk3vnwdNl/ZSI+AU8GDsdSULME8qs1+uNv9ME0Q0s73SEs3CBr0zKl8iVkYbjz1IJfuTCvYIFOQBhWlYV1rpkhGIZ0ERWbUE9m+159C/xVcnlIKwK974zpCSMEfK0W6MIfV/BP4PLA72XSWHyU92Mq+GNKPVBBAoNxQfnNMdtYGKNQg0daadJt7uNUYG6tSvgvGQBgpwDCarXNoPkhW5RwvPXCN8Xa0aKADKh1yJ1XIy9/7RBPATdDaB/9DW4toCy5tRaNVseLfrRHh9WOppKyJrQFLdzqUoU8PjYhDAKGcUOdFidsIvvLZOLGwKZ4GMZKWeKkqD3MnwO+XjE3U35ppStOrnEtbPLeUihdoRGlTAdSDTbJgu1NaqRcprusUj209+ggtHjBxLLfkpzTqK2Hrf17oNY//fPx23QymKVfb7iZZclpt+sUzQkMe2tdKhl9Eosh7xbBYwLxBS2VPjLg1Wb2NzwMm38lMFWSpKkgSjgEKvgWlU6cGVQmpLBK7puVv55GJCKU25s2p83VLIz+XcAadCgfCCwCAuHjorbGTYrDCukjrMIRsl34qr1Ep/AsgUkeMdh/78wY7TPeZ/a0R/7uT0nZffIgKCGJ9uJhFoYNs1SFtywXouWPWdjjyWAn1I4dMSIdSrXl8ehbrSV0kR/6f0L5aEJY/ZNMzLGtUUqbK+pe/w2ZuSZHPejx5R1aTOpiKvaQ++pwMhqKs8nNcm01KNjs7rr8K4mweiEszlfouaTKAkudKoFN8RO00xoG1cp806tCECu+wdp9t1K6JqW8Ut2fihZZXGsVMXW5UFJpzyx3BAO1svkW8BcV+ZEYUrG84/PooNiVsD3X8tPUAq1kADu/h22whWFZfkmnct6XojV/QrKwyCCBCYh7jqp+hVC2UPAFtMotrT8tAMyDkfyTrQ2E0BpQ8Qej0v2QAadxF3lraiaICz2U415MXQHYFt7CIpDZrVhzp4amUhh+PeLlEn1uUfAXDIk6xfRcEQRbz6Yia6sGhYTLS2MO62jJ0aD8d5Rjg0UpNkup8I4STpKaRVDnPBD0jSYZqu6qeIFZcVHy7+ACt2bNolCgqf5XMm1OkXSW0GfrBOJXnYtUKxKMLZnMofkhGwZxesJ7oxWXC/VuB5Y7Oxq9ceETNBAhE00/9wvHBA2UbYCbj24DyBLURa+6NfMSbVsEGlmelU6SPWHov3sfmGE+OSiPqe5KGys7eBpKYmu886dDmp2JFqGOSidEZTQ3rkEE4DnMwDpN90jXHH0IQY/pt524Ue65xl7JOK+S2a34/4uBEeeA0hIuXZAQPXzIb32/pVKelsdxWSgd55f2e+Hbu3TlyFl7MU7fz5LslMcRWzn0dsCv0crDWHhm67OIEMNboEUoyzlI1H3BOca+eRK7upUNK4vxrQRVzH7229egzAHDmf1FxYJOS4Ep/PSZLyigL878ZBjYLVMGiuhEfkrPJyry0YCQlgYVn44eFC0RIxmUlIH1aMaFPkiav1xWawbZfjyeIQPg6c5BnQSUUzcGocHe7jqWmOf2CYLQXX8YN8DtRLwXstq+yysVVrVohL//N/qyrqa9uJlt7lHAtisANKnR193egomGD7L3nxwUnoTKJQQP5/uKEyXsvv5hPRNR9XiMz396CkOhctwLGafhWBQ2Qf7fMKBLrBC3IiiiAHCWtkBE40hIEQWvI8gcfu89cQslyVzb3N5DiYOy3J1GjLFttkll1TnCxju23BKG9zoi06Ge9Ha3PcwpWFEAzwwNpXMH0me+BsLGyxWgRRyx/SpB1Qz5AXqiKM0fGfHB2tI1T6mtmHBtbQDHQdAcpc23ekMKjWYm5+eal6Gpb2HgDVeluSRK3IcxEEjgTtTANp9x0fP2BxqA881y+3dBDd4I4R+YFZdOiRvkd7W8abGH70fCBLkG4iFiPX+Se6StYTWIpxfQg3NhxM9W0NbJiGXZvZfJTFzcuOEMmJ60HP5kpdaFwS+Qzhij106UFlMNOKN0DZvJCaTcfzQ+V7broOMypYDb+m1GoIR0z9TPuCCk0TEbsrbyDQci5LakOVIHt0O/OlcoarQ9BT9EFRXFMsnbLrOJGOZeC5sxTxaYf8JC9Zw8cPPAnWFnLlhMLHRY+1Tjo05ZAjKYnFAavd+yC6vXhBhD2oXuU6cvSwRbvL78+b88olzirKCVpwXxS2a0mQ9rbsG7S0Ft/PtnxYS1rUIvSPolAMLgPTOW7AvSF6Cbwr3J8LIj/TN9skOr6kuhZcekqgct8ApOVeJ5dQTwLaiLf5eAweF9MzV3CQRYXI74wj41JkU9kiSRncYpC5kTq0u7ZzFVVWKpJdJUfJ13asJ+RiQhoF6ocOytEA+VJNEFaB9YooIO7z3cx4HnGZgVZC95EKvODtsi8EOj3US8dryUfmIGbmY3PeZgiVHWC82JcyRUH8MkUbZc/nygThoWtTepTU4feYez4XpOlc2eqFK1J1ZqxvE596uF1eX8RJjtNiczmRDhTloPWUG2JCtNG7AfGiAHRX/DmuP0kl5uoo7vWceqjdVHYPrcvikEslNivzWZi8hg3EWJthxeVgqQwcfj4u5NIU31aTjsLL3UfNMCXQtky95zsglPNMIRtSmYhd+PfZcsLF496mfiEZ4QVvx8FaH9ze6OUkxiRGUISNdwWIl5TDd0/x6BMforGKt0HIy7/xfrEIQiAMYRjEYHTcZaPXJQSxGRpkXQ3mhgzn2yx1yhQhonJGPEhgB8lE+ictMTLeXSe0MvX7dgTExdY80aLUQ8M7LRtxfA5ZItuNClwSzMGgBokNc6pVe0lGyD5RHNUAF3N0BkhEy7SL9a+tYQty62hMnqF56Ww1HO9DugzAicy/gQ0pbO3XqO8Yosc8baY2lksy1Al49sdcXxD692dVMSVii1tISWZeGCvvvtqRmK/mDXqBM/BlEMtNR6GnaQ6cbby6VZvsnUkVRiIvuKcGu2GrgcQ7Txr9UJweVA3QdULHonG6x+BXEqsczZAefEOPSfDfeKYgVBv3RTOYKnOkCi/+0XGXL7jzZloqalZEdBEQqrdzgIKSOrovNsEcnPS/N4JiYGGv8DqEWYsEuDPP8JcSVqKcVHqlwXMUTG+c5u34y6Dwo9ZfwjaciYfBhYtM65MtfXaQ9getV+qmXfGP05hIz+0y3yiKhfek7j0JGKDN/kcNUaWozjGE3RdYxlxnKIrbOmwqa30E8kdGDFjWlGQXRvWHlNI2BSWGjCvAJmebwytfh+PjXMHQ2U+ZrgFwdWcfeEBDahT5rQ54vfXrT+EyOQdQP1ofLvaR/+xcY08i4t5SgOdQP5OBBRchFOxKhwhmRoTNOVsPx/UA/7K0lSrCtIZnyJ2Wfr1AvkLsPzO9JHuHVPW3gTDmwtdjp0WHqZ+7nkoZZH9m4qaPB6R0hhD/OzVNjlNhvsRMxnqwnBbiQM2Mxth8c9MD/Y1aKZ0uwsqBNMNKo4YP9wox3pF79ReUNQ7pYGzsihahMjNrpOCm+7rQ0uHSt3FHUXk2ulC4Ke/Xq3Nz2e6OJGugkitGzpHQ6/uife2lt6N6R6NaKz8kAxdwVHv/6mTALC8sABxceDCGCYqH9dzDJsmvhwTHnqEKNSD54sLSBN7QuzDrag1czfgYTcJxs2jhbq+aRy49qsz0vZ3eK80ZfsqxGkEnY0vZ4CV6ucSwHFZUwvODYIl041RcooGO6NF74+Zg3TBDc6kcRw5aNohoQD6Zj5IUNmjPcocaJttAHWwTGyYKmGuuSVQvUmVQqhGbVwSa/Ty4Kp2XEVyG/srd+1+37z/i9xfLE5CPxg0hNxsy4yRkEn3K0t3HQsVunFT5iIE17S61Mr94/RmWdAEWLrwbKvIfEM6Tt8PonTylhIsIvpgoyAMOQ08idEkS5J5R1jlyXEyLlpiZF6XMo2aRPKkD1GIkQ5XLtkTWfAFVdZFGrc4AyYuc2VeOpHAvQPsTnLWxRfWjzg7xT/7OMyZvqJuXZ/S9QkdTfSxaFeFZ6kDgbIfNgLcq0mlkpQZrCGvOSI9Mtqkd9+T52UpHKq7m62r5ZkQOMrVUrFApfshLQQ1ER7HK4IlM1Y+A55Wr/yY7EmBjfSnTYQDbqRySaYFaHuzK9v7/VdxVLQ614QX7YXI+SzyJ26g0fj5bFFMzDxW4HJufI/jrDjcmX7T/2W7pdtpkVvIbFDMcBEQ4ltq2qimIVd+/+WwiNRav3Ge035Puidp3Dpf6v6z8yZvK+3zNQzpxEmvj0gB5eMHKaDIPub2h/ECpdYAkEU8Upc4T9oJvMgqB9W1ClPZZqivGglNsCfZz4Ixbf9SCIaaMVLiTiYEwh0dWy6K8tLxS1D9eRcMI4DYyW3BqccwEBcWfqa9M/fYXSGbyyQv7LQsHmkUsJt7UbUUt3Kr1WJJ1E4i2/aQvaYJOM48f3RFwUmYMsxW1y2OCT6tApWqmeByl5gRB/AZ3yMfnjLXXY85T5RNbcTTs0juq4K1YbomYxj9v6Zs/95UKmV4444/vbTMBxhP0V34isIAR+FsUKCyH5e+Vfg27dfQScxqThn/MNQhQrWFgYGy43/c78osfXbzIh2xJuJX/gYUreuKKrvrr4yVh6s9F3w5Ar+atvDDPpayfR03ZJ8Y2gdqTG9BJi0P8wbVKQq0X4WT9iACPyvQH8ld5Lm8Ezyp8BLGsgGGVaQ4XgJAzIqICZxWicMNphQ2Pn2gMfT6lB6mACmPrg0WouMywIVDm1ZGbq7nFbHEBOXlma9uy7hFCHGSIGvAv53ktg/lQ3qvW5sgTBFE2ynf9YhV42M3iwYt+3oI+NmfiD3KgucZ3HO75JovF5pd+eqU+s+maDw2y/gjSsJegxooVWQStz0X68d3yp8OMWpfK9DJUgR+gOY23yKhjvEvTPFOajwxmpeR+1mzhDxQS6K11xd8ahgrmpDJ35yAaGwfrU9GgcMyJy2XY6nHl+mlKXdlpIdZQXrFda133lO45JfBrpmpmwT3ehHeAA2hF3l9No5/2lWtWGs/W2l9VwDAancYVhv1rxL1FKL8JLix7u7WvDTRGeqYa+nRXN9QzUjhLQedweorrLkXHsshD4akeq/Zrhwps1gTfBO4bATHG+y00vUaaRoUPDcy6mbB7EfDTmwH2cAh2hadpiDBIYKNzeA4b8DEbMFfv/iA6e3zPrsZ6yKwHYOJlumkH70PKID1ubgBrB4BEGXfX+0SJwIGqak/XE/ItC9eQ48RC0OCtZnxrQwwd3FlD5vqm8FYb0r5XC9xEw8nNcJKwJrdosDIaIcKiirvkQQkYoCmM5FH8noKxY815hgNTPXWdHeIK+S7v5ToHBmXhoj8FOxTIbH/c8h11doxaNh6KpbaQ3fVI8jwJRR0VdejLI6HXzZOEFlQty/4PFmZ0Q75+qZ8pdgeyTj8QmhsAxNVfAq6HTJ+uerLCOKwPswnYJhXht9FTwF3pEDHZt/2Wy1HGNAuSgFanJz4Z2Oiq8zzwgb6LLoxjsW0HUuxRK1wXGUlawOSp+yG6HNXWvgmsTd7NLnl6tWdlkC2GxEcfj+qMn6BHa5vmODM6Xg20kjRrZBUxDz3XFAQ/YVDrLEZP1vXox9Vqur85il11fTB8Tc0MyfwsnX7SjOie9NCzvgzx49fYjOKHbsu/LeMlZJRbpViSf7wBqCnyPlln1j/uQamXHWL0pg40qwkJP8Bt5UocBCYhJmuk6NhxpR+Af50jbWLs90QS+pGCtKCZVwGHmEEhXjzwRQhFOKa4NFtAQvAIjI7cFbwCDXlj7hPHt23FzipuaXtlgkRoQDUBSaLfOvBUEZFvsv+Ph54uhyddHKgkPtw0uHHIMBe7+nBDb83Q5h/4XUeGV3jxDLZ0CixB0nC+/SYlYB4cXF9N3pNskHJBRy6dajUkgykeRlPzFwhipIPW3msJm/mWQro3C71QapP3gXObfLZouTT/MCndoAid/5rNbkRWiQAoqSpHQY9kA1pXCVyB3F7HPJpFlYN4oatq/1r/AA8h5FxA0EyuqOKBV94mu3CXMFqhIXHFaOlJSWfnl56R/LFLtJyG0zhShOJ+cM+KcUk5gByZxLhSx/p1W8HyEJdXMDIXcMh8+X8s92xyKncR1GLXJlNbnrokUlUaciQCtDISmAfyCylZ88dV/W/uX4R87MJ4/iI4aVY2M/rAHPRHrZLKcAhKOdHPo7A2IVZCIS+h2SiPcQLxd7nCNPlq0nhOjDppQvS9rp1jYowpsM3hPzKrJL3HQ6mGBoPQOoXhJZxysFW6hEI1Ve6mIJc5hTaoY9RWS3IRRFtgyrye4K2IhUI9blxyGdlKxG5mdwckYomPsS42khZiISRk3xOIooKqBV5VuUeVKlUmP2gPxdt7KjuR3zLPVYJCWXq33wLqkgMEmQ3Rc0uzoYTwZQ7aXxxKI5zUpIP/c/OYLWBZhKdwDANcyOdrSRMDpbS5bjny2AP0C530kw9eXQE/DCZW7RVrrtvcB/pfxIVd3kgG6a6UZNSadh3zPrsHrv5hxG4iTHvCq/xPAOHLCxOOafANIFducbHYf5Y+uLXV7UuVTprFu5mFhrujyJbaNFW2R9bIjG7tIKrmMXhapLmkM+Fmm1lKynWeB5MIUzzLyvLe9AniciZxZlswASdPZmvCHfEuW3gbeFg/D417pbRjkqTIa7dyMf03q7FNKfnXr6jxG9OFhDDylX4rS6CrT8AAEU9+LnDOPLX8AWZrO1FworcgMiSp4/mjwwMesDPwvxzNxfqNrjHdcPK3kRclXfC0skg3Ye/v5vDZLVNSVLHWTORLCA/DwHwP8Na4YylpQG1wnz5kP6kJYAGGpWHENid64FNDcP1OZzkx0Yu58DZE6cb/s+BTeIqJgoRjHCbkscaaH5BeZHvWqSMxLo5LaOD7DOOcjsLPF3EWScwRiSdGeOz9eMAAFl4H9W8eLulsoek6f5iRVtGhz4PS1KSJl06hfEnWP7gxgA0qR2Ymwz5Ifjo2gaqrt8fq2Ix3GAJSYjrGLnhSoOmm0OLtqGi73Ry8T1ijgUnvNt7WGNtjeS9KIBmRM5wymz3VZKnB/IGU5A/GOpWjT5ESbTZl3i7pzJlmUVxG4qpR0M6CIvXlQ6qIJKYbnwq3+O1izd0MaxxPMjWvhzuYZdaDYG8MOKmDiuTwHhtEcT2POMTV3CjbHf2t0bPBsBgk2jhl+KAupae0uIXJM3Nwt7OCM555xhYObnYWdEZNg1M+4p8XQOlTx2K9EEvWoYMUbGLgBVxgoshS6rveg5USA6PRmlIoaZ/VGiSVWyHw34XqYeQYpfZ+zKQxYuMoeXnhhABLYXWE2cfBK5EkJpjuiWZ489o5+z1DcIV74stwhUDhyT3m57pwRpqy0cfwQ57QJ6jXqYRtjejJWTUWFV7oRX5BFy+r3eJ5VDX/uBGfafYK45cJYrp3WriIfPkaStcTLTv307eu0U4++tRcdsmIkLpDrQt6UbsEsz/d8HBX+nD103a5ey6LAK2YdnxKqD3kORehkytWiZs77Gu0yiPh6AFSQ4pGWV/iOad8vqmNAYpDchQU4IPVL4Z3cTlT8RWXtRhv5Xdyx8Gpp9fDfe4bH6vxZh4VJoLBEh8na/mrO0749p9Bf3yvaKsMzwGShSu7ySTu/PPg7wh+GLnTeIEfAa8QNLtysqGpSVlAyVogvBj/Vy8Pkltu946oUj8ropJ8NyVqw00ovVLpWt6uOKljf8axzGvDSiCCjoU51/i6N+Ny5XnvNUWD8P9Ty0CkuHUnwB6nnCg10IS5zWBWDL+ePM/Fvoi4tGhtr2APHeWUphlIow2onRKwrlKh6mWLsJwt7uVHv0kzRTOCVcErMLQLVZZKw0Xk44+kyhE6PQs28/ub/vtCVuBNmM3q0lQuQiuG7PUZeyLuULt4x3oDcJ/dbxGjHh/h3YX7Usb9PjevQXjfnluZuGcvwVWLkL1lkM0aGo/LGaPNl1avaM3W7vXYjtY3MXfbcVkQkKtpBeQ2Eevr+mykhuO5wQV+kz38OcDmRV5bUki1zQcPOW5imMkMPClZ2ef9eppCKqjkoyXfasJz1BuBotkvRezIoT2HLAXrDjkQnfO+J4CXNAuWIc+vWpQqgxAfI13vB3iBhCFUAr0l65C2umFwMXsRW/yZ1dzG0Tv0bh7hrGSWeJUbbUR4GQLib/P6HQB/iC7ShPyaqt6g3vPYRONKBvXa80865TdeToNlNmb824BqBn+OEynuH60h6iOtfFpHf0yDX7UOcF72kU5xnQMMmpy/X7r0Bt4sbAAIkXjmWrXhCSk1EnotSiJRJ+9n+0i3f5E282nt22witmQ9oxB3PyGv6TqoIYkx3WMwowBlFETVnJFmE7QaY2rqkAo6FN4ceIz4V6zcTmifmft0BxusJGLzl/ievU6XDVP9sm13cSWNIkcrHFKeTk5vhriTq4AIDomVzf+Bi4DJG/VoRMEyGTBH2ThK3hI4BXHzcKDKOY1RZUndlIzUg5/BPdvZNS3TRq70C2/CYFJzxZe6XbNap7d+7zKQ7Xr1spJf5rw8PpMDAY9sxkg34XhuzT6i4dznGhPiRQ1mbhspgw447UiCkS9EZuC8hevY+uKwkI/qZvFpdrBzlLIEk0RNo9CIfsXNQ9LeXKJcuvtdb7FGnl3XNCN0rtcXyjeX/DdEtgzZl3vZwJIXYPFAjT/U9UHe0HlRruvcO2gJwJZe9zQgZebyimUMjdZxI3TSZ7VbRp2MiG++xUxp7D8jLl8Z0ec0jQM8w1zOOWI8a+vJm1eIOk7Hu0HKaCXI6ukXxXQ+uiNUHLMAUILnmM5GVw8Hh5d5l6W09suzx8Lcy1Wi7GcuOE91ci2quYCAwS8rqT0ozBjvDb2znP9y1yxLuXbx9/FRvbwOcnh3zT41njtbrTPYE3vHfEbX2aLX49DvA1sjpfnvLaMeCI/BwUtqrDoez8JrOEUiUa4mB9s0oElFPpTIcJn7XWsJJx7MB9IIYTMu/Oqfz8HMW8AChzVq2dYE5nHzLfIXgMEeR4JldAcECKbr08uBp/oNyabcgEyyTPG5vbFrjJ40Q2W/7yNNHrEs1xqb3Iu+3ZWD5zUPlE3bszdcbMNLnB5CmUHYKWc6NH149ohs24z2aVN42RQ8u6bLis3cczsPOJiTpT1h28Vl9EutAsw6+rynCK9Msvx2LGkY7UR756igHmOfwBhf06HTR0VaXPcp3JTuW5j8NSm526apv43EvLFi/AjSOch6pJJZGWFd+KN+7PqqdAVYLWb0ipCMUrFP+sxewO20w/O6qg+yJAk+nU3UICdBnnIHVfdWn1bzd81drt9+NoTHA/eKuf25BVbXYubWH3Vrhn9TZlazZNuGwZuBM5PjHcf7P5AGrf8lKW2K2/orIj3cs3Vgq4isD9OELRBqj34Qj5J0pLQrCk9km0fehKV44NfRxJ4lJblPBVx09FtHJRYddXh0g8dYrHg+uY9/2qVgGFrw71So7u0QTJFlzcBvTvAlWjwK9Gan590LazI8DoBEONZK3Bwe+DpWj4J5LefgGuHF5TFfxVO9w4INBY1XflK35catNzmnd80xCPgkmCwbV2wNh3/eK0wQA6ewyEDU8qcdjgjyNS8QehcxNxJganPDutaofgGYnDrQELWjjW5h24oHmUh4HhuTxiNXexZE9PSGGBgUFY8LloBmIXz1h/bObW4cTGKBPOeFyFZAm1E3vhHAYVBMBEvsMNY6o3AUafA/L7sD7MZBJfr8gIIdnJjOMHKnkZoyQzVuMG+pLjFX/6vV52I0waUKEPDbD4oufd9PDOLkICL8p2x63le+Ld7miQR+Iz/OZA46sQds51rjCc31a3jE/X7GXor+XLG1HcK+JVRysB7Mr1ya+Bof9/jq/XUScdTKsotS6x4PwblFgrM7Mw9PCm7cEKS5AJ8lmktGJvx8xeqlKLB37M8PhffuaNHTSgz7xmsGb2DmwrW65ZaRhEaKmS7s/Ns1vLYcU7QevMMxEOWwZQaphyzVIF7lMKwIgQsVlB07G4Ye7kvXmwtJ85zKlmxE123mrBDqV+nI9cSGom6eYAV4+kTCry2aTJDO2iel90musdtdMshh+akUfEoZ4pG+XhWH1eDqhfRJuU2WUuHmDPzSwNiweGMIMzHbze68v7ER3m6OhbZSeFk/UgPR3z9LVYNNjz2E+kz2sYia+wfY9bnB5ONMOkhfW6eG7D+vNnwj+f+CRGM2EGmxFyOBsclLat+frcA+AKuRfWEkpYAE9EIBSWtnJFeUJJQkOFJwNx8HBYvRZKQPxXKdJhdU/+3HWvkbk183eRq5iAsQQVdb6Bga8xCBy9uPu+qwqryw/bqB/m4s9b52XeE3U73gh5zt01kmoBIJrgCBZw+0scoshTQCjnPelEoAgHD32/DQW7sBK1ISDUzgfw2Vfs3ZLgPZtq0/95+orC60DpIyt5Gl/ikLSNo/Vmv6gGRcKb/afQUkG1En0NXnQ63RI1ADnAsAVJ05unhstS+ID/kz7qmTAIAXIt6Iq/95xGUYuXDkUfObwRMd3JTJRe1AH0KhXYsqpCEA9S8obcFIFmMkNsnKFV4wEDWTm4rBm4sp7AJovfErWZH2JYP9bHAwSfF9yG6P1728+QEjoXbgtMx9SJ2SFBB1dR5ttdwPYzlRbWYY2JveHdv2v5o1r/P6QAw9EZXXFbIIFDYi7uzPxY/YPaPUfFIN4DL1qxMIy1vVqjItenolq1/QO7fqRxY94lWM64JdhwyEdNiOKeCsHgJdNPAGj6QO4suTYmm37LzOEFB3WR6G2pCgqWwDpxVh0NKmfp5WQV1mHbLu4ZqxsPpUzSvDD1N59/tZ3tsv7KSzSfa5Zc75S8a4QMb8/MV81T2vlYvck++jDwn1f4+E5cgC+igt24rgGjYu6xc5atXFvt02W07ef/zFOaTG1obREc9n16fkMbI0NKTLR7DjKTNQMsl8vI59NvI+gk8jLuaECI1Wv8DwoZpsX/1XJad1J70vxHGsElmSYohd42qsAbh6qOswICvHraq3ihXEaDsDVLJ5ke3KdPwJ3YEdTRujf3gjkAif9Bj7gejGmfkwsVlZqNP716aOhI7CqwNs+BQOz+T8oCiTND6XoI1vB4Wqjvg9jI1ZJi5bot88dVYNxqIx1OToOKWlwR1rAbMRsSBT89fVZkLEQiYS2WaBFU+NnazLIEbMLco4st1kBVz0cZ84ys2iJrujYRJPdS6SxLz7WnrlbZQu8GBT8c6PEGduPyJx91WNh30Dd13oayRHk8Qu945KuiiryvZPN67RFtgt8G46MmNUT7t79JJ/2sZhnufgTwXDAWwbCC7D9gLniXe4lVhWLxS+rRodX38BNlvC94TfKSiWOyJkggQxwupNLJlJrk69oNY59QnbphzxFvD9mIdvN5DTfj1fSCsjBnqvbqTNsUSViYbnXejGP8Jap/uCrcNf76tlGyzfiQbHNnzjrGy2ZYhGO4BCH6qrJB7frjN05zhEQNfVg9WYKtTJ2VMqj7S5SBRBe1GD9DpatzEqAjCQF/W2uv+Mk5i97xe6uttubFkNriJvufUvRJBJZk+SyNVNLUkybT/OXtktwIMRBF9wHm0JthJUPnnQ/LmMZ1JRS8jcghBgQHRSOFGEayS0nqYSdcbZZ/Su+7fscYYQiWneIIm1qxTloJXlbq1y4l87rLkhUC8aq0AtOtifS+n7wUO+ePU9AF9369G4/SPZV5QZ/dKPS/gtPbiiGHfEsO9YPxa0VEHjvQ8Fa/IBlPoMt/TBcGShFcbM4k/pLvg4Gt1ZTw+lm7AIRGg3Vhjqkxmyyr4mtaQusOR7ykg7t25bxJrSt/IZTFXhSAJ9bcDlnDdaAkmIEYqXKjXyoXPH2hcLWQ9nlstgbtlmaVF2l2dOXPaOR0gIoJjbpjpbb8q9x8kX5xicFrV8AiEnABvBIJ53ewir5rqIgEzLubtRfevJEAgXxT3vLv2MhlA4pdpHBw0o8Z1J475sATMmFWohIHoRmnuA1TsUrcvwrd4z77pXmlPHWRfzprLhoOm8K4X0YhIeyQoC3IkPOWmTx0TxybBGjWiv+wx40NDMi3NGPpvMJNh2ujQ9k2gNUmdR5r9HQVFJdNoss5sbE5WHbn4/TSkjCTesGC9TUDRSjWWFgaCd2qnwkyuoKMTL1SBLvH4TKTfy/0Z+QzI7P6vsXbiHJfCbAWogdW7noEyoGmTSojbGKlJpOui3UbqtMJXp7fSzbuEH95K7HP0fZzx7ceEADQy6umzXJB7QUC0gA7izrdg6u4X41Q3LDc8sER9H2SEInt+Vfr2ZwNm0wvIKmEL4c80ofd6tgysVXF6kqm3gF4CQTnmovyZblgHShdt4ZAzkQKnWgbJpwMK8GCRrbRFGBQyL5XpjMCiVH/qgfTiF4JR/yerS4f3lrC85QvTU1/1pAsKXJCRMw8p30VF/msUaCvQNHqnZWzhgAtrcuemshNdpLLLASrhb1Fw9CKLfxY1TuLbBKAL+P2gNC3vmY60b5oKO0LPJzWntpc/GkeWlR8OJAhona9gQIBEyzbFbcmRxa9ep22nKMFlpSSkztRg308Vxc/mxIM5FW/kuNjcjengaZlSYqiyBxk1ZR40LI0rdUjLSwvzyPTuSl+ynoMkpLpuELBY44R/4fHGPFzcXkYQczvPGfdxftiNCcinsNfzLVc+oar2yjueEf6gutQpsdQK0Hh8BTbxGj2h7Glur6Qt/w0nmQX3jfWOMQxYTSj5zdS3gkti8VcT57QsrqqIiidT0vshOnmEmB0JsQMcBzdCilrohLEME5zgkSGUhzIxOFGNqeE4OwtQlBRjn9TuvV8Azu79HCpgWbIE5ZgiTdCgU4BhMKEQLzqYs+fIekrYdFChsZzCRP+khTC/DJ7MpxZU8aPeZRp6AEB3mWvuzqAQldmmt03YJ9B8Mj2YC93j9siJ+hT9PTrUKrRiAfipJ/OMAek3QEho4BBwRtR4Ybx+ppVVLtATvadR5RUWZHLjyAvUwjQb/yeT3921vPXxOrvHjIov8emjrSYYqLL1ps14/wS4WxJM7BROYOi4UjaUpIDZNbplB2Tmn6FOIietazYAsZGQxJMKVRrUTeuMW0TMoProR6vKvMyPKtmjZ5r06nUp9WMb8frq0wVxZVu0m3YFAtBx6e5I9Ib3aXzPhNGfouJ0np/9Aue+/gIn07NGcqzr09VHoftHgA7VQx7Z0pY58DHDuEdGHz0tHxtdsVrM8CrtcriSTGhBSvBqyxa6EQUhX2XGbD0rGadcJ4cD+zMWlzmIhWww0AcNfaJfxD5YApEE3OQQv1MkNlh25fDdrHv6sxR6WBUo68BJLGTRoDUoK+yDgEzOvNeK25lWN+PwPX2yoC86sQbFE9YiYSdnvXyr70bKeu9GUH9FeoCoD9OtOSURmb9+UBbg/gxQP1HWy37HEJp7Sc6xpjSNAmRK0QP57TdpzBUKywBu4QofYFehAMH8JLaIBbgrp5azRkBeuMc+2VLv2t28awzU4Qjv6VYq8v810ZZSya/4IDzU+zSL/kTm5GSRBfWawro/CtxEFNAkLTRP6sePRFfHKM5xMC6SjPfxbOcTJGqx97QXAnFWj9Q15hqCciEz0IoLTFD5gVkoUxV5EkQ8Hyk+eXlVmLdh2NFgmD4jtSnjilx2DDUG7JcQT/HHSp1zMIVZ90HRT1BMAcLoCDU4ZQyITN9s1LuMDXP8NT05L/Ty54C5ukClbjWmENhVSfJpI1V+eLOgELhxMRyzGWI7UMZqSBjC+xtkehmDHUPOawfCw0F7TJZ6ZD6JZAl7XbUQiRL/gVQ+NCt869ue3NcWeOT/1xFt4P/RzqdQEyfRumi/4He07Q565IRpIyTDkKldgD+hnBsmfdDx3y8NS2FIfJyW9TgRZLbPLAOHzdcyttB8g9yaB7yUQg1KiZtNIfekbk+/PE8KkDs7tHlFO9ll387295nyl9ILcqnXRF4blktaNZTfyHYMcXOFempSJmfap/zKAfaf9O/S4Rx/cKIKf+13TJRihuyZk0tjoPFH3jUqvOgY+iU/OGkcuqc31boPvqOEP95KK2NP/Wr/in7lpDVnBTDz4aIHsUxtWTfWBboQfeORiDx5TlWODsznmnvdQSsxeNA1L65dfMGPBdkty/Oai8NHeQXD0Srq5RSKDxRXIUDdjFswf+wtpPkUJQ6bbcMtePxPvDYUuJ+Dt+c+DR1T7CbTITaPIE+43avMZT1UuPisRLMTVqGOTFserGw3Ny8Gc1OrHANOBBw9eM8aw+pOZKa/CLrYw8bZDvXGm7s2GM4XQ6V8QT+ECwWuAfzltj/EkzVF9LLVIf8PtnCNCkggcyu/7YSVqLajcNMcSWw8EDB2nwKwYdWMinyo2PSPs8sL1BhN3Qv+rmzlFm0wezNyIUaKai9MQRCW1wAirmFJ68FFtdLIrL6s9vL88n2/Pak9MeILfdnXw+bReKuRetUZtAfuEbOKtmagRVzTdBGiUfBFaJNNIynnqK+Nq6q9CL1cbwZC+/20NEKMYWEtjuJRCd9kCV8CgB0nQby2i/eyGwWxnDhFfQR3oqDsPDWoZ4ioRXKsh2Ts/EvtNeXVqUIFA5b3egJpwCP+vrLe5cpvlRjYOLDTltgGPi44hV54I4jrhDExxQ2tYlBWmLUM4s12SdR2yCaaeyf0e4O7AHEsY3rJThpyUtHZPfxS3XiuSuohC1leueDzKXAtFJSLYugNl/ji59QBL1avhf0TsLS2VTbf206InHq5Apk9fy29OZAL75k0Q4lGKoxWxxMB3PXa5ZRyeJIgMMOnNSCqNhsrRIiVq23nGZ3H0ky53IQYbWd+f8RCJRHIzIJERX5Tbh78y775aZzDLi6XyKll+gZIRjj6LjQluqa5+OeclID1Hb3THCIz9iEY9tIklje0JGdnHhVakzQR+j5P41CMuGNX7dqgJBdp6ozE77VmioYohWnadhQJXXHsqylrnVn9R5drIQmCVjNVSpIpwL9ohnxELscDPIWvjFOdXE9ASWhJ/ZoyKskJRf7Q5zV9yCQbgOW0IenVUZixu+/Rx5VedQXnVrrdwF8cijh4Eg7SZa3mRQP9hbQDD7H1eLRQ5ZKObnNujnTonCrCeUfp1h8jaVDR3R8Zcewkn0nOvwgoqra37lUReJ3k6c2du/wt1yocwYYK/BM+3whhLj0KV/jWSk0wVYxe5xSrMZW+GIRJ5p12bbHT7S9WVHobPgWQ+nvz92mYCCT65jPJemdqw8gJ3OHVdUsGxx3IsKfdRaKyhNKqE5ASX9/95TjUCCKb1hsP8r58cTeC+Siaqf8H7f0+v+B44Yqed9HAEoxCkDG06CIa41moUsw9YFc8fkKbk3KOOEjuJHQrqiSTzpljox6JE4YjncGTg8aeNhnIevVZz/k/1iSthwRgPiLKacqA+qzMvvcxt9OnCgkhu2Pf878RGCO8sqRpt6OG6U3jj8VK6NT88IjhJx2Q1x+gi0AbGlB4U3EmR9MZrBg4DmymQENeBLgBlQnLBBuLrUjCxU3qm5UDtgomyDzizl0XI0IzCRjGyVMxcda/C38s+Dj2nNcGhBsVhipdw0nt0ZmrqyHUu0HBJ3v78gQx0X2++/pLoEBjNH6FhILsrmjKBPnN+biYQ66h4BftK4A5MvpEJIJAWdehu3239PB8aCxRr6uQ7p6h8HvcXjY0KwOBw78F/Y3e2CpBVsFPTIBuHgz15gpl04Ob4Mx5qIE2+GB5gO3dLZmvL18sxMx/IEC6a+0P1IpHLx4S8vOkDHkxdYvCbhUqupqd3WVWrIuEplUKMCT0TfCllf7pdRaGIOOhgR4KGS7gvePTDHSWm1i1lz835pi+Vi+z4Ehrby/Gy3xbrNsypV59L5eAI13fhfCN6TT7vLOIF4oL3P6Gb9z+e07k5q/geWNhKNFGbFdnsDPyZXJ7/qyuDcuF4Az7bMT6JCviA+uDM+F4HEa5oQau0j1gtevPadTtUYtioq2U3DkVBM0W2q/V+qal6Mo188n1qpv4i2QvF09Vr+i/3gkLtuWZ82m+3B8qNCXs/Nc0GzcS8fT1liiDqgxG03YrArOkTd+GflTRRRibKi/kKbl68ndFW2BnJ2kfAvDs5tT1tRtJKQ8diuJq1xP0UFcW+C0woG4HfKBqWh0mTL1xfuu6yV0M9rw2xtfT/pXUpgIGmw5VHSZZmbgq7j2Ixhu7OnP88ZplRv0ZM7pFTdvCrYbpU2ezdoVduDNo//CjNQOGdg3YP0/vLTLHd0p+G+zBvcmGLLx0kzbrA+3rGfTTCWT+Ud9uCr0iRyOwJbNpjVDsgvIxZW80PUYQWk2HRNaev1nsk91Vpogkq63utOVcj0NI0kItdQkkoLJ5/HPjvnF7c0CcOQWIHin6Psnt0FKRnP8P0+p+NDI5mBWi8P3p1Z9oRdUEzR0rNY9r2fs4bIJnFLkOBh4nAKHh4kJ3rrGysV+0Dzz/vZM1fnX1+jf2c2/imNAmPYpsg2MiPt2dV7JY8djzjTrHNOlZyFFYHH+O1d777XLzPsHRnDpVTIs/Mp9wAvuHkgoB14csNoiEN+26LlmMF9pFFxCOTe/ro7K6y9OvojVXaEnmBUIY3N8d/7tNIt0O7P5vMy22GqO0tAkWfwxbgjaROj59pj8VGvoYVMrVuLqzs37pmFdOvtzPzxdcH9s13411wRKLlvXaR33Acl5+H8rPVbGmg0Tj4PCnl1537kjf/uhZ0zn5lg7cwsZmF4C1wacTjR7gQtOmJkksInZExrTA8X1m7ecLnNUxG7FkrJayK5wD2i9EIQqpo2aTfcAe++nhjr2Zzp2xDufn4aegCdaIWVG552NiKBTAopGoRG8LaN0JQFGzmYgZctFFFXcOm9M+X7+nw8hdhehXZqai8hn5632vhx993f8rKUW2LDJSYWQq4gzXA2RLQvTbdyRxfDIdWWpDQxBC874mZxdzQ4v/6XQGC4vrMt6m6lKZ3fNrd7UpnH8DSnXKfQZeOxjLhKVNtdyzJetXKSMeMWMYh6lN4KR5pdZYi37Mz6yUN3PDmROHWSJj8LpnnzTc/JVEEfV+pcyxEpHvrgcl4g1x0vk9paPWY0O7dju8jAYe5n8nDg591twEAvLGIhbvE/01Usubtc+KtKkpMT6kVPmwbl+USXiROeUL9dCmqMru0Sf67lxC6sSGDsVmiHnkFjIbwpRzCVXkm6EbzeOQRKSIwSQy4JamvyZ2Ki4MA3+2dEs3Ik9nRHqXhl1h1rASTzDOggcoEtbS2AXibTFiAGVJCb2a1tvkcb0EFvbnvxlv03sEfjgNGp7Dv3EyYzmkFISucSIdYHRd7IwKeqko88rE7WB7MtV5eoa6EeVddbn6XW7P9JkjbIPOlj+tnL/gJk68LGaohmNbGwrU8srsPlpXbLxnYO4qFq4t+hy5n/EJeksB+ivlgLrBMQ7OKz0nCKC07hesYsehfzs3Xguip5J7YWkhnTVV7wMLa1Ztr2y8UgIQaEXt0wLyZAnuf/ilcr5dxlnIraeQg03ssnsdMbS++8YTop+6WuR3/EQHkW+atyALBbDtQeTuRsp4mq8LdzK0JNPnIJzlV5SIa8+YVZzlRHja/79zMef4lHALkNc+nb1mZ6gOVo5XnLRLygbX7QlxN8Yu05OWQPqBasjorM1GSRoRf5UDU2osKwLM+K694Rp2w5UoANbQJIqNVNT6CTiwupYR2B+OjC8X219CU9AnP3QrLlClQ0v2qmt+QX6K/V0Xcc+hFxW0BlZUuDd1W3ZeJ2BufqLPyezKSsXiMz5JT1Iy1PdU8IVyYW9YekTQp50HzjpalxojxbPxJDfzh2VhLma63gBMmePy1gTAPqmxPrPPc6ux6hVgNQArD8f17kptHNhhe4W3QSdWz3HwF17SfISij35Ka1zRUSitSP9vIzFBfMR28Ozg4pAx8G/w3EUnjqx+KCI6MtRv/YUR0sCpLXX7RvGSObCglXmCsBfygM/PeqeIGjAziTHjV03Jf93Z5Nha2tPKqratEY/FA8ZzpOqMONvPdp3AqwGIwkroNNT8hmcvJG3DqlwSWxHwFVft1gMx4GnT9ft9EslpAGkHtIZ4TK0sfsG3a39oo8iaACWsDXbSh8M4fBecA+/y1/CnijWx2KBrrsmi31dKKplqGb8QE3TzZemYt/SO/8R3YQpuWOKRMmCjDn1NdV8AGBOPwrGbzGH4RM20MjOpnXC3F3oCp9/QuvyjhOvf3ZfR0Kdu/QRY0zn10GpS7YKb34iJ0r0k8mW/XpFvLKWL3E/312bZGuDDCD3fq1FZe99I+43Cu9JRxItzzYXQ+XElX7yhkCvemuc+n3xmSFTqxaWk7RPpMhnT71Qlc5oNtrraqCOJTCAxp9h7Q8Wt0rv804prpJm2q5UEcfX7lfdWr3NwyvVbgRHQWly/JvfqNbzy3RDh39VnU4TPEIWz4VXJwBdgOVkIo/ODyJGSJkd/Gbyw911pP6S8YauxaJ4xSwcZua/PZGaRcqvYljWjmwVjXP5aa4oqwOkkz1CQxqoNY/qAWwJtp3Zup6UGVT7y5NP/xWniyQDhvtAuXt9ywGdGFbgJOTc3thbhzlEtRSgRjjhv/ZUI73Qdi3poBecJNlOM2wQriJ/5UJ6T+otMZDJaKtug08mhUePlUXduv3UJhYRQRRsVfJLu4CIYW6/smCUw/zHawB09C4kL/5m0SFlKOreaoEno4emObVjeDGkMBUPzcuUH7xGRNcCG1iHHNQs7kLCansa1CBmOabTdr0jCiWFRWibfP2Y6fZB4mKcDUpL5F3/AF6VqlwT1+v7Kl3pqE5adm3lbOxgwQdtfOaIyNYyLdiLxX3hZvpcPxiIF3rxZMdJNTaj8lGLZ69DlXYyz+XEnhMBKvUNirIEisEi3n5XgNi+RutAKl7F2UbxWOrtAwgbFhO9WpiJyIWG/aeefxKSUN2HRR9dInJfXdZT5IP+63cdUaX7/Tizk1iHPqE7k0vRW/1RBiIfFObOA6fM+f1SwVQUjiW1sblzTD1rQdN7Mz6F3yFVxbcsJ4QRyFl7riYGgxMD6bO6M4jR3oBT7Nl6OJXrRYJgBfJuI+FoKk7ySk1FPyWSMb7niiX/dtJSZe6AbV0vS6f/hLlUgJ2RVcVyU9FJb5KKizOrCVZpjZvcEKHkvARugy34AAGryv2wOJ/HgTA9ra9UI8X5NmSi7Kvje+mElJ8Iy59wcS2i1AbiSB+p8/AKr53SuQW6PzEqfiSyx8pnL/i/2GgsB56j90n9k7oqUrUSmc6ZEfV4MUcSiZFXEQSRksdlkBD1wpgx9l5YYt/S0k6lkD2QOnKZNgwcolsby7c725v6s86jcWKs8QHiJEE0VXXaMx9C8/Fpc5fkJ+WJ0sVPaYPbaAqLVaeQP3nYs+BOv5aHBCa3Iao+gtX4MTftQWiYlmwRzggXBf4n4d5SpYTmH2PqKOuuRY4LmbM4w6C4dxpBbd94MBINWnlbGqxVj4RnzOrqNaXavrPPXdhB0jPHImjmxbwViLlh5dXJOrI9Y3xqloRRgjQjMJfk8n8cRaPfaDyVq+36EobiK1d/m/hlu+WfmZDqUWET6FAoRpQX1C16utwprkbW5lIIq2nu6IUTYoDl+sXLCCXRsRHk0mSc2YL6vBdrCGptw1b6RtZEHc/kMX0Vp7+EuIGAwJeqC5BToAxkXWriEobmq1sb38vjsWLrqvY1Y8+IsK639dKfGuPJ40tJ6G+dMIhYtw48hodJyNFWDv5J8aN0cpfHzl40sefQX0ePFOVMBbPswkgKV45MzsGyXV/RttrpTL/cUb4ccgSp85NqQIdFgx0cy6cNuIaJEJ+ufymITsjAL035eIm7fO6ZlMS9dE/NK2XElu6wwQ5T2XwJwO/Y5N26jQxFLXNzjlxWCShfe5B9iZShosKbPKcPhpuKMLa7ACUSFNy1rmyT80UN6f70Isd5EXAxzdnHam54Cvv51lRDGV8rV0st90nekr2Mnp9Ve1/gCPv6c/EkAId4FpKtERCW9sh1eUcrtjBl/ZPnVJCsQu1cg087PD3oxJWcIURbpAgRKr7l9ChblDCrBttVCVHy4shIbmgtRN3D8mCzxCv7kotFAmXj8duvpI2lKwXgVjKSy5mqFNwG5eR7NVosnsVb+rBHUFjL2WJ2c7P2F31qKrZXrRJbtH9arBqhA/OUndE/7fAWKJxbRntX9q4eAICAPHGd79FZ8CRYXG+xrvw2utMr4EpbdVZ4RXYgg33XlnCnJNU54ke8A7XOukGtUb6EGtilT8v8hW/kx6FMnH50HpBcGUCqC9vCfYYkLBZUKAkUH0fpqL6Gm8HHfung/0lj+ZIsIzanfND8FNKFELvgovtqAD/p9ElFZH98r5tezCcGUj1JXuHYneosiNMdWmng1G+At/INM81ZkULviFnod7/wgLY5ZCYDE7zO6o4iApeLQjJ71ZU1yy4LZXWO/e3RnoWWDh0of18GfGOHXOFoJT5Mqhx9bEeyjg1cdaiizMIu/yd7gY5LOAn08N0lJHzaVt6U4xWUvQWadYJhphqyFRCiZLUovTdg9c3RNW1MNUm19BDmN12496qorutHbgjQiH9Jy6jdJT+L/ysGiAT/Yr35/sOHH7wF4UnKPWFI6lmGhgJJPVMxcMFNYwv+q9i6k+N+seTH6zuuU1JMyVSc5+GUOV9sEltSxGZmrZ7Iv7vr2rbRV0YKsaDsdmLFe6MNfi05ycy3JzrAXKkZifVd2nOchUrgLsxUtfOg2dnuoKJU0qedp0oKyChBqb2H/PnBZkQpdzdhHSK+6dGYhM0rsnprvmiE4+VrU9Vtb0QlbmBcI8JJFcmr8Kt/XfeZd838bffs/YUxTQuwnYD7GrZzZHCwUcpLiHnn4X45hcTo06eZp7i7+ZPYE8t50iHzex6BHZNYSfuRVxqr1JLC0dzs4PilicYlu6tsiKCTBJlA+TEe+/pKQSWLyCuRHtw84hug+HhjdpLzRiHslKkDIc2hSx3UzUuTLRA5Is75T7p9LlderkT+mw8cLoq9akWPfv+jXpgDLs7Gg+Fqe0f6hOrAt2eoHCBgI65lIaM9BPOU+k9xyJbO3Z+1TomSRaSdsM6Iw+u8r8tcQuuMtANL9iytskoueqQESUaAbFxT5G34IHh3ssEgwePMIwHWoF2lHT6UYFC+aIpVfOD+9BOKIF1H2idp632yROiythLDk/gDf6GRzQGvru6O8LhQcRojwX2PAvWqjzEX2H3u0SlgEGA2LDeEPL2hSopd5uKxOJHYweR70kmDeOx1w42IU0nbKIcrUewJ+Rfv97hlDDhgVSDcJlBXUL8iKQGeVIHDx+kFotxm6Nfd/MC6v73jfbnj5Gmx2oQ4jLh5JaKKFHOW7rj483v/9A5aApOfXKUjYASHtOe8c2q2xT4/gQeOvNuMZxTW+E9Bkijpas2eGfpJZe8wqRLtSTp0n/cCDkbdkQYDwElZI04r49p3MPgLDRjyy5z1qlHQ9iTSuI5RtAX1EU3i89+l7N9XHG/PRe4ns/jSX5IYj0P/pqmqLxI197d7RWL6+H6+whkOqvul8cBEQ8LH0Mvh7W+9D7LJImBAUgges9t8sVRrSOjqv+Y1590lNC39s6fMmRVkZVMRYDJp8iYthpaBh3hmwdpH9/SobaeAX7rcMzeiY3pz42iW/SfCUhq5Z9eu2NA/4k95pAb4mciL2p0rHDBU30iUSSm5N3hy3wZCV4PUmXP9PFoaqa1H5KOfH2Fz/n3jSw4dmPAC9PtIMRXD90aiwvXSo5U5eofLnP+F6HHEfRdtom5vtOcJmlHRaHFZHhCm8aA/qhwCCx1t+iPy7CwXy/rHNwXnGywhU7ltFmIwPPJvyst70zuX5RkHfUMxI9XK0A+sl+MIZcX0O5e57mBKM34uzGHqClrin8/p36lLoQi+FhD+hM/vq5FZzGLQF6nREJzUnPJnj8kzMQsu/PAnmzc7+pcOLVgdwemdvx4zWC3O0xy+6R39xlIlXLC2ashf5ByEVrJsZNQar3FbeOZ5wLk94uiFIDXuRJMLN0jEBgqdHLmTtfDO/NSGSai8G0z+qZ1S3aJGBcfCpDIetYdjSm5WHUi+4n1oCv5TXiBvtp6+jDxhwFcVwQeeSZN/8v8R/2pTLnqstrrgCEbl/p6ee+Sda4rg9i6k7iwudilm0wM19VXQ88n9qv0TkFRwSBnJCwG2JCT7dfGieHDCYr9rt4XD4e/gujXmzIbVzPfYcQUoLKGXbddz9Pq9c4InxTMsA9IjS6rGwUQUFBUpf6iaTDPN26ltQK/lOgvjuG2oRkkg+9y44gpeRTfEy7KEr9qu38JLAP/TFVWYxJBxfXJSUegv1xPKZs6T0nVkNqW9gjylSvaoQgacbkdQ/7uV8mbEFQ5mEjWX4XlI4Q/FbxxGtZSGIaS5ijGbQ7aEhaqSINFY61vxtoRyGfGIJ85ZvPkWP7/BroPRzEDKPzl22pQlStVuUAel1mOqRGo5cjgDZNVVP6wRS1vhdRdC3ikILuHfLjudaTbIxsBzOp83VtRwCClLqVCHhBZJ2Q0AWqxW2GvY8OIY60JkmLTWVsw+HFpS1WgBROmzxD/5pUeyZ7SW/8I9TCQWQioY5WoCj8XnkXtXkZlLOkEpYgB557W9r5Ahm8N1Ubq8Zoar3uqu4X9ePZB6KGHNUum5SIDvR1Plwx+BqSeARbcO0WZeqdq5gXgLiI6wbNC41wkb8C7bkzYmIgNKz7YPQE98pN3EtTLYxikFo2ff9jJ+WZ/VgOA7D78BoTnb4SYzpJNUMJxTosNWX2fwKpevfq4AKMzXYjpJB1z+FCoaS4LhPbIOHvbjyBAzeAjQ9bmZBAF5OwPW01+BqLn3O4UvAYbll22cgDHxSdDzQ3QlPeAnGu68TVUKhBpRgdPMhzzI29zf23zf+m9WFhbgT3KennpchHY/6BfnB5q5umPPAae0qDcmFA85U0SnIXi/GOnBs2szdvz3kq3vHZstFg3FvzSDbjGqKsxcwxblxkGwOKPy1WWpZh7PFK1eHzqlzMl+54A0sXi7hIapr05XzySz8zItwnotyZMaJy/uVPXVlg3MvxWso8AeE4Up0HzYghznWVOY+PPcSBTo94Z5dHjVfcRNcnQQPenACPqEKXsJzjSkWT9xolvCp5iWqcGBhAL4L25ywTITlftL3kufvBIVBscpD2HbdcocuhPo4/nQmd6CnPHkt4iaxQRwspqxInI8EHQeIl4fTJngb21tLFGpHQZHhWWD/G6aoQOGuavQgYWyuTSbrslxCUeQaVQtIpB+8YmWQwPDECq3Ab0hIvtCFqm1W56d/PLkWPc+kQzBT+6h6uBHlxLCeMFxuMmeTIRPFV55CNq484Vy2M+gZiwDoyquFe/wf1KhtLf5XejIqKDZdKmvKtPXr0cagz/y4/acpinnDFSaigfHVgwmMRSHtHC4DjOUrgfg0HgiCw1mM8QNa0IDohR8VvSHv9RmDS83RXKo3tx+483plr9RRfD+2njq6EHLP6vAk3zsqNwrtxB3JCgBW9QZFa9zO0fUVIE4k/gbhYz2C8x1jMf5+Mww8WWr3Jcjm+eFpzmWM1hMtnC5qOmbYC0EidFl7AQnVdPJdD+texJh97Z0kj2koVvgg7lvMOUQxOiw3nleZp6WT0CpfYlB+oo96iAvZotHhWQD3lCv5Alsk4QyAkPWRLBwWETGmhLwahBZIPevBeBhDngQzXQ0oy1TUktzQqC3EDMEF8vlH7at1Z1pHC/h8NCXpPlWVT9nPgsdw2u+Ki0F92PQqNmMGcZq5IGgIgs/zP71ToH0RcM6OX88XzZ77RoSrMK1peUqpAZTDJ1NQg6dhC9+2sIVR5YqAIn5q0r33BKI7sxkBIIoD7mWL0+DWfdYsBHtZmxeXgfRu077Q5hiDtOA8x6fLVdyiHOoba7Ky+jt1O51s7uVya0eVXvMOYDnrd/bH/NB8Wjl22KGoCCyGZm7ZyMq6sJ1Z8WEU6rV03WwngumPMKHIkGeN1QYsiIHpH4L5+Xj1vW3pqhzyw37XrpoD1XVdC1hOBaNoiBDkrc/Ng8+i4nUx9KrLYlHO46slZ+AvdQ9PTSZ7HsXwP/Enkk5wtYVh6OCYcmVNO5ohak11a9ozl+fuZ/CBLd4j6DnsqfbBU2RzhTf52rDAHiHjOUNvTnt3dZyIvYk2AjtBqy3iW8VL7iGJzVfmmr0G67TJ3F1K+5lYW0aI/kf6lKKbp97T8Yp/TDAjvtrM3pvOMc8JCywUOetLoZyWtIwhkXiEKke5lfHGWDg7UcKZOdSJlVnlR9tF2O9XAbzb3IM/snej94iWTNccd8XmcmRfeN2yuLNijNsW+WBa+SyLUyrQyll4wJjfrbyEHLC0rdkFnhtKNkT2kfNmUTlMxGR2E/RLVl/dokl/01two0iJfzogju31gD4rp6z81QiR9e2XcyG/rBVO5zOEU0xDguQXKq5dT0o9BoCQlSlN3qcDoVpXhKdafmfDCs+XlN6pG6lZQ1WOUZ/Alomm1hlxG0w9akxTf++Q7ZFm9NERJzdPnDxUyAGRU/w2BAvcG5aq3dWpB3ZAKMUhsseJ3oEKkdVkPB29uKPYXkgf66Ypcb0whau6/Im/HdkH3H68PtZVp+2CMEUtjFgSEpsI6AJlhcYFJC+DvCbXSkqeWKqyuuxdhK8d53zS8voLVkaLTxZVpzWN/qGAHPkZTUCRjC7lyMQe7lm1Ww8cUdSOFb466siGJOzK9tWEu60Pu/C0ZASezoXsyyAJoq3YpLttfp7YZDmp9yMCFbs6Xl3C8TcH1+4Wdzo5JTFJNOHhfp/UVTJEJ8suvaNA/VDSdGUCinguaRQu2cDQ575fkSXS7XOUMA83VLOHgdHVP3r4sUzt49K7DnFtn7CLnvLO+YKTTNV3yV9TC2FUON9Zx70qqOc4txORcXl9T9ct7ludZwViFDZ/kNZBZe4n35jO4AWulddCxfTHqtZuSYvxFCZk5RLC/Si/qhnLNLhTo7SUy7ZL19x0rBF0y3IWBrfUZPqbVeCzfC6ksisOEPaaC0U3kLMql+x+W3us152JHqDPQw+z1k67mZJDOjYjXaYpj339wj3SknUSrkY7mOsK2+NPj8WxGmV/ihpCordULaIbi/M7wCwB0kH101cbE0SGEOAGRtGAOKoXJ6RNa5Un8gIWWXDMX+qehmLPIKytszs+3a4eQK/hWSk0JBsdheYU5dtjEANdOnJlYEpyxO10MSs41X6kstLt5k7pn+4IA9ICG0Isd+6+HpZJUipYrwRHTn8aSws2KlgxbHsij1LW9b0oH49zOfUugdasAGLsReh6MKKOxtPxfYt1hKmjkTeEfjA1f6/GB7tLRJfUJKTefjMGZeqMvKErzx+OjDji/B8a10HhuPBb2NmJ+wMq7PiUrHvO5gq5QYd+Ocn4E5wwvs/UCIAVGnFiOFWkKrJaFsOUmtM1socpLnQm4q0KEELtdqkbkzgvqvCP1z8lQmxTlQRZ2a1HFzMWoerAKSzLeHzsMTQ5J8FEgX70trDKg8f4h1tDMlONc3VXcrKUA05PiWa48f+Z+xHBzcleOrQ3CiGtdnulGfV96NsgDNGiapzay3XrVqpeHHv6JT3xLuyncM0/aZThO7rfFqN1lUjwE56RHAWG+ML8iaSsOSoh45NnwGU+rohbZsInvkPP32HW+gImDvTO56X8DXFJ8NtcYgvBz4D0mqtcyar4qZ9yPOuccIztYwBcWoXrToGUEpwgv1xmcGC2OJn7g7xkRwEWSKHxo8v2WALBVOq2qIxJRHMXhw9Mbi5zUkjP+qOOJO5+VCfcKPBS3l62N8OULFCkrN0uV7dcUFCOHZnhngPWMPsE928g5Ga4+uVXHwjIRYY22hNot0FuolkxgnZsaN8nnashmLWqq4/7AqvwWPgTdfN1vdMN4Hinm/Uq1P3LR/+7c+N153rGV0aTvEsAoMTW7lB3kQvHRhXfByziEnOifeukEAmKUKuxyP/EN43I+wsY/PUc4msnq+OkNIpOj1wG4q0idrVPpKCeMznRZaPdQXEQH1kK7LuKrMFXK45bp9rYAm7v/QDeZiRu6KikcBcBdfN/ixeAOlzZxkXNWTE0wN6iewUW3yEftx98uu94QJF650HazljrmdSPTVJ4WKijiSwPMJfgZ0EO9Fp9LGPESuCBirjaBTB/x5Uql6QKKq16KOMTlQLadepO1ECjVUMuI+SeQpGJ2K1bzNnsvkIKBykf5BCoN95MAf0L1jyq+JmHh4NWjjJaaKbeVqIC4tUProcNNdh1hb3IbpVTvImkj7yc/Om3qwM2iN6QRgFXTiCn1DgICxkEZOs79yuwefsudXwXzuZR8NOrTxJpSOQ470TvEvJ/wmbVJWHwoz8wnnjxJAMH1935daFxXqUwykCk10F0L6h9YPQ02XvJQ5jEH+dlDB/ngRw/0xsC74npbpDucZ6K+lOB2cgZylHQtyPOYM00H2gfBoDc8G1tKE8OEQ/T2OuVNvDsyNdbkNPqJtbTLQSw+g6Tyz6lWuy34vQAK6JZINuhqLnGT3j3KHLCpa1ZaCBcE+OP/PZnQq0xzvA5xhfF61gz7Wx4cwkD0ht3JgwHSv6d3Ys6Mr53DVp1W5h5hyirMiKpkRIt5mZ+RQ7x1Iy4pmFQpVsefbV79JGoWd2zp/bknh8nQCG6RQ4KdUwYji9RNE9NIw6BC5XSA9iiL/fCac9WS5OXNbH3Lm9xcuN0q18hr0aHT+iQySUZJL3IK/HuXbdElQsDzZAtWp7y1YZe2jgqoXtbTBT+tva/uJ1r5Wo625qAB5pb/YLpHCcEITgbucldP0Ga6SO+Rwa0Q3Nr+yEXcCWNNUx5off8ZWeZEw/4HMrWZF8ZfBK6vsF6lkzkxhLgbITmMrPKLkHqisJfUqQ2yYoxmZgQPkxcsDlIdreKSIbGQti50SIW3EH7XMwHf0SAW6OwDw8jQ6VWoNYMrI8fmyIZoSpco4S1vd6uOHgzGW/Ouj4EoOFukHJDGTBqkpYgdU4Sf8L9CX/gGEQNQFJxCTscnL2uW4ykRdYFVdymjm/q2Um80KC/B0uldHLEXx3AB+0CITf60yfnNmyCCRYGU4xwPvWGr1vsjGCTzuaLbDhx1H2tS1pDZpKk/zScF81rR2ZG1mhSUDdgDzXyor6qLGoD4lFV8iRyPWMFnc7gsaf7KClfdVRbGFcZVhgBm/pxXt5KHQ17WJmmOW+6ieYBySdC/SmetHCByAxGy8Gmij+D3YyYgKHvxBTUooVkZNdUNTmdxwB0aTFOz/13s8r3k+vNhjfKUuP8FGbIPSqzN8VEgz2mfDOZcDp7i+u+hsfzYxEmS4Y1fOPKXpFsfniK4WJM1i3kMykwZPy7VMcKZA7vv1QyAHh2rJVk/jOkWiN/mYibNSv+D6oYcwUuGbsbM7hbdNhtnhNUtOie6XPx7kUzRMbeBgv3qiGb1MugILupgIUFnO+1ZfL2fTFBnciJ9DFKSI2Id0mcrrU45NIijTPeD5yVaiSf1HcSssJIcipY3k/TsgYfo/SYlo6r8kTrcsYm94o3sV+6HC3ZuxMlTIfnPH3qrV6Joiym0eTmvwHjOqHi6q3TA3RxMzp+yUpLJCvSKC2zbQFkXFXSxtvAj/lZMNViAAUey4MPJ8kGmyXXORC3v6rXy+7G42HG2gH4MAh/N6KeS8VypYutsbyEU8JpZ8jffas+HYWLUNpMJYAILCRbx3zZHTkmnyLduGSxx1NJ4NS/3XuWs1/r8GR3kSU7HD+jE8mfCswPiEyGAu5+2cssMrv73a4Vt7Qht9pN5mrl838vR8tDvnojzI9Lgi2FOh6r+vJpOCQ9bxNxSzxMLI57dZHXLJN336vL5UoBIHspdLfc9hYY7yE8Z4zeEVrglswKYkzK/u8bubyWMFr3guAaMXLxfnb+J2Hol1q0xBsQxwOmq8Ldzp4u7zrBDNlHDle9/8jqBRMgpi9wtGH9B229zmudh8+bb1FpicBZTGXwcq6fpGBi6pRdBcpiD4SWNXzsZ/RMoM7Ev+D7anX5I9CLvDhPL2te+fjAqLjuP02aq5yVGZv48YYrRwflgazeG9fn/S3r8inVNJeNGTKoNcGfOWyDo56xtPavFFi/exrG0ybyMKj+5wyWgmCD34ez/GBMeBlqdzHTMS50fdNz3MR83Vrxx7bx9mjMhEMDASTpRyIT/Yaoz2usO1fXCRb0+92U/l8cZ7fBnd0AGxGQTPv3Ji8GamPIY+rMOXSGHt7T7bRP4j6VfRJLoEt5R5U5SECBakAvW/bJ5EUn7WF1Q67MBxWuSfs2jXFYQN//uPXJvQmMqtWPuq59eksWHS6echSKuZBxnWzcx3bpuGqlRmJEKXaS5vYhfE6JmQsPemUYcNK8QeQNCBAjboiev7NCNgNRO55EijE8fzkEgBZ24H4bCZrd9iXzn7TRGXFFp5Vq/a+iDcbil4O04IjGhnd+ONpwfZLil5iw4c9KOBVvCFSdChsX58LYVrQjntvdNCE2kY9IfJY1m5V+qAC/aLf8tJxY0X5Bllsp7wYrfHnOiJ+oI0zc19KRvBFk56ucUV+tf4cONiYkl6iQVhsOMdQs2hg8ioYqP7jcgQ3rSnH9DPYWB9+AxQT8rt152x1A+XV2UMPLoMonNPK/InOXSbTdFBNodnmgzHr+tf/WUc8adizNv0bAO25OZYxtcAkP92FBEgqlPzWfYG9iRDPSYjbB02TqjuoKOQ89S/5v5hyZhXgLUghaXoui1xTfr1K4QxUcsVEeMS7Adtssm7oT9/mrd1Xij4wvblHLubDVsu4QV0XG1ErRtIkM8Faw2CuOLtrHeiJW8rniI79cjnrsJBDaOuII1eqdWgXwvljB5MsqIBqpi0u1WuEtqcZhSMkwOt6lIkX7B+HuQk5bwimVtbkhEMVCJc8KPoSI6HhOyQtRK3Iy6owrFCCqZL0Vef6AY4+zuiwbIsm/ysV/i/F6KLXi23mXPJ4oCB5yaQR5AF/cyYjHVPERn1XK29V3+d89ApMn3G0ilIe6mfqvhpnVttRyUxaqvd0Xu8t8OFpUv20auVM5/Hp4XtdaF1iQaXTiuzS9Aei/2txQbZFUSoKGa5tDjs+AxwUKZimgHqsyeCBhTgjCwUQXHQTYSmofLzxs4ijL4sjB+lwZfDrE7I4hoy5wy6wDQPZNBqLLFuJaUuEvRfAJrbUoD4OvaVaOxxcMq54skhgtDVWtN6/tlsTlYfAkAtuPQMVRNE/ww3cZbUKC1Uy9llrjwVEIbrvyMWFRKr3IHWMF3EBtqLF2NwR4vtXm8aPYsvO+AX0/HyJCICgb5jUImrKOzx8o91wWPrd+HJh+NDMcLKBkeogYCiXbTJzJDAZwOhbSWFoeXBaQfZViLbpF9TBoUri/6hByL3ftkSEow2cmY04VTawXQvuR3rBGAj6l0j/JSEd6mXxrve6Cpp3agOtlDVscc2ijCodc0Gu8NzEY52jNNVm6GMR3GOPw2mmq4UNl8Id8/oWaeKetqDSlLxZxpSLmPC6Gi8ukgE33xOeFYQO63aLaxMPEnQjCjZ69zJ0ArZIEnDr2HRIqf4qP+/tOA0tizFVr59yjUuibO8GPhGiP6pqLtGTRGRwOP81A6Q7LpBCrFadxbz7cei6HAwHACYSZKEk4BrnLz376S4hJ9qnuTBa4naQ3J7eKfIpfvHQ7tVKAQZZesWCmdUrBxngda8978n4YMSsf8CFG5S4VP1eAyypePzLpibLja7xZeqYYeoJ5xiyTZLY+3piOVbVpdq4Br6WyGTOo+rBm7qp8lkNjN02DFCTQxD1FNKoYOggkB4uEPVOFdHxvrn8ySQ148XChmvXJ8+Fwazzb3GMp5wNm5IPtxgCi9h0jyv5LNs1c/J0w9l0KHCndlAB5Ay+yUL9qnUuQyFChQUKsMx90ZZQMVmpQ+Fw2veTmJJYO34r9H6G5fS2d8p2WkdohrrkymToZBmOK2jzMwCWvuvHd8QLRu4Vt2ywUEaTK5TjubXEeg/IrJ8OflA2EOJ5/IM9X37Qs448z/kHfjE4fu6M+Iv20tVntXDCICAZrIrQoAJhYk5fqn5/Pj6GOs/KlsbKPRQPiXL2fK1CI6M7tlzJ8uo8TO7Upgm/RIF0XceXvPANgeYBjaNNhWVfl4BrPpNOdI78Dwt37xuf24lvJsG7cdyPSYlLAsFxDDUYS06mUUW/ZF2orAwL8T2FI+DyxXmVsXCfaWf2hS90b8NzHabJS47Ln7WjG69ZO+fufFBWnI9yNYcEvDeZszcRRYuf9uxfefq/zF8fqM7QTevroU+3O5OLrqemScbKXyYZXgA/n7hqCGOFVKBPE4UfT8H4bfTZyJSS/lo3WoOwFKYOzPB3mQS5wf76jPtBY1vkgApXabomS2LeRBagMVqwhkmKqL1UJiXVRr4Lth+I+PM9g3sHpFoop2q6AeVkzlobGwS6BxYX7v2CnUjwCUuBuwgmPSFWCt9wpNLAHFkbXIaKXeuiIJ/4KeN0Uhb2EUS68NGQUZeOTyWyT3ltrZdD9UR4t+BFaDZqXdmBXup/xICPeOh4sfQXrEU1SdCkVqo6KkkNHNjpASAigil2O3uVkXLLNouQABsl4s8/u/aw1yL4T0xqQK8+ZqyqLiYF44jjgEKmebYscQgAnJReRw0hDON+tPQHO78duQPwPGjpY1Tk+yxq7d/GfQZ8fAoyAmDQeYD83oDfSKbz8zlow4ZmbLLym+dfbxvfljzaTEkpteJez6t135L9Jv1rld1kW9ck8pcyHvmEdTu//fi/fg6c6p7TpI9TEyBfNpVA3ebHG3i0vAcn6p92OS5iakhHrFTEGIHVbPUvX6ooFY/jNA08Hn1cnP0HmChJalSaoSdrsL6UItp2hnHhKJBHIwYpKOSRJcCFB0fT0foOGnEG0gN3KrLQYm871qqGz/bsn9TWYjoNFE9DM7jE1jAimmj1jWicbyHeeoeoAjeJx+H69RIhnjpNUzkLHXIHTk5h9Vdd0ZRyYGtHULvtG5X0p5oiYXHYMJDh6XkLC9gDi6B4mSGCjpMhwa6KIcE1KbsgYLDUUB8TJ8IK+IHr/aiz1dyYm2ZrFoHKUyInDRMUt4P7PCsYjlbneKTM0p5cRcQEi6G3UenoYE6YRxJpa0vjtwhu7fNtBtYoAupC42OqsoTSiZsltHvrhNr7Op9mbRwbQAB2f+feroqSbLlKObmlgWl1h1oKGtczLGUjaotLueT6iNeE0HNNxjH9lnJjn8U2vzWLcinG7XIgpH9nEnndWDlsuPdr2P2XEnAywSwWFWiHxPu3bRZ/Gge/qfhPvEowI6H6JUWlkNZHDW60ag9Zz+BtLbWsrnNGl09rbk/ae2YKSDA29uUCiGqOVMRayVuNFKWfGHZPU0wzoSdWP2C7k7CsYHqbORCAqcqOn0EDp33vzCsnlyJpuKjSEb2YmHMPz/+VAMXS/B1lOMkPPM3IXdE90LV5k9lVEDt6fe2D/bqR9JHmNLymu8/1xsA07cn5z6o9xv3Ppn0JqJoP4nwsmXxW5F4SdQV1TAD9aqA9C8kQCWLOsdtw0d2vof2ktV6yIKUD2lFFggWqbSEv5FUF6gG58JaPCDNv1jqTKsKJaFZG/+ItTMAjHvfY/rbmMocwuJZKvWNJ6qiF7U7TKUEP4jNo2hdyB665QmJxTIuptBhsnyUP0xPcQAfo5Sba6cA6mGJYmkWoRZu0RHilCJsydUXE5HQkXZBaPnok+uzgWMqvmyyZCjvVnwFc+B+lkjgQu2g+laZTZnSKXT/XSb1Y0w/nzNKmIBEW5Jnt2TjzFJeQhaJlTC4iYBFbIM1OCUgDRlLBHFmUBTn5REKKsz7WmgesPvPrKOCgl5elNVxuHIlmTP2sXT0/wQWTPzsXJVGn/im/b3GFPE9YPLsReLRxS8jeId9w7bqTWXVaw4wgLOaFzu2mE/k4bF/V8EwBEhxiNyOmzCrLmxTyJey5h6obmWegjaI9WFUlwJIHyvXAKudxIOMk7SrqpV1C/1llV63f2v54WnWdbZ5GGx3uq3Z3qBYINobi5FAPl/6I0fYS/nTvKbQbyDEfjhXVOr41Ud+0t5kjPYg5/Hoqg3EVqoPHeRgms05xw1sZqzzqVvjGI0XO0cnAjLvZXzvmGXaOyhSQRqXtFM67c01h6YDkIeUWDu4FiK/duRMEmxEejqklpbq7LsAS7MMpnsM/AcoubvLGkMEr1EBrx31biBYOAkJLNehAy9Fy6JuLrWvLDIeIK9LRyc/zYyE7kxevohb4PqG6sQtlziwm+sl6YBOrxfJIS9ZdvKQRfqKeMmNhkGXH9mod/dJYPgm+96G6dyXv090A5FB7J3UIiVF98Bv3YrxFSuTf1QeqrpxwFpTJ7tbWT0Eso7PKX4nGUBHQHkEFhfIav2k+4Ym9LByLCItuqzyS6oxQzo0diFU/1FtGQkx/bRe0bcWUOl5F9nGJVc9XQRuKFk/i9ogoJbMogTXyOgfcHy/Ed5E7HebqbEmB4kt/XUzOeQw0t3Lc50cSa043qWvCTKZEUcbO+avX2LkPY1I5xfJ3+bD2u/0cgfy5OKYm0eRoYyTrYfPsW6jrJzqnCE6/7XQxdbAE2YpCLfen7Zd9JqENbEMJ5hzQ7W7NUriiaoi6mbCt2Y/IbhsI33WUczrAys//Q/IWQBjK4yGh+0WZhSPiqut/ofzX9SlZe2mRfnkpCwvfBnok6b7BPqm7n99/xJZC64KIvK0Vj/F3TZf4fVnTDswnFB0PtKHY/2I8bQDXw5E/XsdX2GSoUuZst/pvwNuxzzQrjLDrzwuoMk5c7jKk3ngjZG6MpdbJbi52AAuKBbOMrW0EnUyaG3nzwzEmtMudG7UefMkPMtv2VP6vCfQyd0wv+GEm9Z/LSYQ5skleJBTENnxGBzbavYvwa3XPV0GB+ZvoFMCy2TsQPv6BmO7VmNSAU4FLjse6bihCqilk0T4VCoPPY+QIzPFcPPqb6tkSZR5VKmPB6EEiddxEg+s+gZKgcRJueNYyESrruesZQd0mhOaKyT6dDnmOU792QUUn/CxdpSQf0f5bjXMTdgT6umubGG0UAY0mjKy1oC3eOmwye0cpvEUpTBDUSMuXBS9X3rk4/xdUwmmVytUjkYJjvalWXoW/gUBp17Pexn44Q62hqzz+3eQmO/Zjd1EN0hwxggwmQzfs53NhT8Lb76pizMGgzVjx1CZnquQ6asP8fVka3K6LqzXKaWvlu65s3EajieX/jDF6h4VNU/iWajHttpZW1WoMDbgRHuToPM57z85nzlhJoKrR13I2vmp/5ntIVnKbyGGZUUE7QetejAF0+ZiRNXbFqrGy0llfhnUupvKaQFXz1ddbeg76BhbMxJJm48jxAcDZmLPtcFWdh+ebnDdkkxDj0fY4ghyLJvqp17Rce+sHRsSRzqmXZeqnhPM99nJ75uE12h1+Go9yzeN9vvZQR7Rru+qYTPmDRGxOypM16WjI6jwh1xH8XYLqp4gEvmS97L1YdluA/U7S1GvK5hExM1fPV7c6fIiaqPQJYMIbWJAOuqI6jR9sTQhel+ql9tAiXxxxiKyEUsHY94sqi9LpDcPU7GD/Tbflb8728AXsdpgXYcFsqRXwGtZ/cQq9+LVie+qf4TLb8zUd/x6CBOC0y7joAmLZzCMsYugcRVXX6xClY109kAb2MK7zcp7BwbX5+O1iXhh/BB6uPzaeGtVcZmSfSq4cLUk3NDADO9oA0hoQDL67binCb7uy3O3t2dFBhtLkPpCkg+WCKcj/kJDXxo8EkYa5h+46CXNstmVhhG138CZ3a0Zf19JbdNpbW6fO+JJdwA39n60ya4EbuCSmbrFTbrdNmaBDdc8I0/T2frK7gGy32Jhu4K2YrzeC9s+g0awzg/BxLtKYtIy7wYNlRLQYXmq9w3MeemXr4ZUQ847w9d+eXDdP/olOxMjbSQDP+IqpYBKpHoRB3HgMA22Odwb9XGVGFDto5BMSoB7HWehPl9gs3imvYHxCARNopxSaIMfGj516QtCEWJzWXoQ2UEBcpZCE3JQE5e+ZeFRFOe3KreLD8yUmxXkheCSaIrrIOuhrnBrdfjDYFQU3rzvcTHF9sIRfR8iKrYUXWaMRswlPwoURs71+L0rEZKrpH7xXw8v39NBARe5Gwtw7gRyBK3HZCAWJ5/aDZlJ8C9HDkk3UlKVrRmySG/RBRMRgwBIqoXuJN170PD9VjjxX1JNECIHAkgbNv3RPUY8w0RyBrDgMGQzpIhmilsr2wY8TBabQ6d/TvfxaBcyZ7q4PMPRFfFoROOzkvkkZcQNSK+NnRlSftsPl6LilL10PZcCh/oiC1KeGziF3FGTnswlpDM+PDrV92sKC8xvbUf6D+BtFbt6pCu3+89wMUt6wMobR0/nIRMLQBP1WLcFjl2QI3TuEVzMZbWtctsIDXusEQioYIVhDQuBsr+BVNBB0snela3bq7FMqgdFS7LVTahvUYQLRstT0sKDxPcTTWtb2u4y8UNyDk4KgINC22f8BmMq1HD+lQ1J9U4VhJx+o76URXI27TwHEHlzXfaS3FN5kTYh4IGNNCc3RBA8wwq1625xD4xbqHP2f4xs/mrAo+AX0ING4sUSc1W4XcfgQaZxwRYEJGOj3wT33HnEkyDNvj163C7fKtICc1RTQ5fyv2dFXqL/nyiW0jFKPIdwS8lQhiMR8AK2GzQnU1SL4rIwdww6JDl2HjHiHKvvQ04UDMcPsdVUkdrEU1UyXfpoIs4zCvKKaTdMmG0pV+CVMu+/bZ/jPtIu4dEOO3S0xS5cKxf8bqHM+qiczzUObEcjJlxnMwosVIOJ7PQND6//0hNy0n7rc3EsRUw/8jTnRU5Pdqzcw91CXssRwt8yCqwPGZJ3n6ml/r1xUfOY4HVRcQ3I6vxxzQHrdM0eq1i+73R+XklH/HYWRT1qY7WhBaUl9bpk5fDt0PQ6ugy725SxSavzRQfnpWhhDqGqUm8geeRklz0puKMPGk1z2Z/usAIOaR/oQc5ijWX7UOv8nAX45oMH4phxD7jhHnx72F9VyGiN4/x3hRh0jz41x4VCe/b3oSXFjRp11gJc1vHXiwwUOwFHW1rrBBE8EwUOO5dUAOPjUCykUnuwdQrGVjaiAGYfc/YUgOSn8i8NwM4oJyvr9l04mEOxJcNCS03KwHT5e/L/8G4pkMdvfexboKrtGjY8iMXbY0uKyyMzzntMBc2ywfSxpGKEpF9KDnx+g+cj+o6EJk+vqQECjFUArJ02e9lS+F4dzdaSxrY0QZZQIS2oWogdoFbFyJDv5woJNJwS9HRMl+RFNdeVhf8g59wy72Dnt263N2uzB6uAKZzh2JLvTFAnVphZWthEwh9NHNaeqZs/oSH4bS3psIJ/3qy54CAbYGMF1NCpYEtBCuBH/PKghBaSQwOxaQFBg1sgZD26qj4O+cJdOmaofodueYbj/r0sYmt0y4mfz4wbRKDkAV7vSOhreloz6O6ncyURzA9wnzZyCC+eGL1FdslFUaLZah7fna7Op9CK736/1D3Ih9O9uDmH050bFbPqDuZQnG57sCdUkQKrhn3+AjyHZio1DhLZB/4Dd4uqc9jETFAznSWYRyAOSYovP1WRdI3a9iYq6L4BNkMSuwq+iquHvQjCyix7YGYMABZlIenDRmAQ3t/pe0kzWjp25B/uhviMHucBb+UFDzlEQSIqb2YSTney4qLyj+BPRMStGI1h+dEEJfyZDg+4aermUh7U4S/e2tNEW2o7FTc+H/6+2PoRtdWUeqMGhqJDlliDp1JM/CyJUPZFY3lNVqRlXDYPajaTYBstkO+8I14cftUyl2/Saza+lQMVksDojMzmwGmtWfU20kh3mI1QBHxgB9Fh26G90waD/D68EhMKuO4+R9ShfoW9PMTUvIjxlfOLA3RgbRzknhot39L7Ji/t/5GvWVk4jvGCfS8YNtDob2/xydH+giXTwvRgMRXfhWImL8mhJpq2eRUthegns821c+BctuNqxvLYiFjR93jzsQE5O6dhETNJNwfg2bZ7Ce39bRkXqfpZBITxS8s8ktOmr1XuDpund2EVy1DxnVis4VVFBT4hk7vQzc++00ffNfATCXq9mp32+mAjWdYaQWegpyyE1i9EpIfe0vOezwHWaXWRbHWcR4l2kDLiVnJKKF6jpWKT+aFEZ3qKKwnB+GyeElLD9UWKOoXYle6Gk2yalxYtNeub68N9D6+wUcS0hHvzGrrP8R7ntuvj53Gcu6gV33WbHm2AW/24FL8GRT8Rg+cLyBzk+DmW6h+I80rPaZLV8WHQCZ8Gd3wl7k21GoMPucaWk10KxijIxOE8xj3nhAyoJUSlc8Ptuft528SaHlXGk4sQ4/qJAdj9AilAfVGnCK92O8+db1lPfO138Dmf30QImNGBTJd0MwUc2H11Rrjc+tqv2e1T2CcSR0yhzmIDsqQJCqV3gfxbG7//EQJ6MaG/Zxt2Hcz8v80fCIPKz3X5suKrg6SmL6gkdfdvYEGGOLupmu29W6wzpHbsdWwoegafewsnyWiwub65Q2p4GUIiLYiakjmqnhSHjywMXaE64PeSnspgn9/DAUypARCkVWWgdjdMLZqc89wBA3OosiJFMBwfLOjB7RGDPCYDR/lRuKrR6NeMNvr4dWFwBT8F6ZjVoQmIXcz9p+BsF9/chMNwh5zYghyxd+5MgTjGxyX7oJlb9A+2tPCp07R6pJZ6W9jePM2n7KYrUo4Whkq16bvyV53IGm3lsZlJeXZznsJDjGKYjx8SabaKT0xy13lrhY4s+3dBRAMoRC1fP1GdMa/1zGsgqXs2GuLkdngXqbLmlHAKsJx7v+5LQHpK13zdwxLFnvYTr8RCmke287c4TE3Z+xhaXfjWsgWkZOw3zjHO1NcwDPhtvh7YhI8ZGsaFcPLkRuVv1bwEsa7LhySjtgtSl4VqI07U3ksoJNcs9Z9X73mdU2gTx7Q4UU6uo9Cm5P6SwoABKVqYOt7myKGl+ByXbY/KVhrFBsO0946yQ75GPpGX3lrhJWu2zgElusRJcKMc4fVK6uyuBB9W9Xvq3n8V9B1fpLcx2Z6JJJhwpvrFYuFOM+HCPQgHWV22Ai6rtHkCnA0MsXEciKTrYLA6ADrC0iLUKrQNrSP9/kBNIlK0Si6olavcF/GbL0U0QjesF+QGiKFckqXyh5YyWkm4nvBxSU4An5Z57KAbeAiFqxP4crcSpQU7hUiXZo5xq7elPkj898C/tZMzY886+q5Snt1PqpIGnDwUA5PT0vqZRrkel23n1Y+7A2iPSlXmMUFq+rqWFmUn+Q/LFp6EcGoizFm3A0WuxiKnL1kMABcQZxc41oGXK5CRKJBqdxnC2HD20k6VliiyofLC9RldGNOqBF8mpu7QeFNRgMKzcVlvCjE4xIW2a2+jIuqZ1IKWgqg2SWU3nqeQlT2y4vG/UBF/aJHLHivFGU7WoPDY9oMCHDWOawAbL4CFBig9HPzKQi9XivhIhvu6HJhukMz3MV5ZZ7iWAWi4DyTykcigt5h6aH0gnUtPXyr2vaQNvWEBXjVu0BYejU7WIwrJ6SzFapNDfyyl2uGnrfij1HirpEVBeAZq+AR7qQ60ya2bUUmyFpTV+egWVSto+C5K+NwKyFLIKGNayYeLtPg6gVoWpd9AQVphM0sed4qQ2//WP3gQEZApfKnBgRPcIB3ZmqSTZkPOZnwGyNwcEkk7OHkgDQkY9Fuma8GJFscK37ucANJHr6qkgsSTD+XT5RBbLGzM2bl/RtaCc2PcJVvGErZpGHItgadQLKEK/KatFqorlz2s00fxHxt6hBuqb6gjaB1JssS1jZsLFUQW/4ptXSvXM9PYHm0TE20dSCwFON1KIuVq7k/BdYWQDDIV7FUKiSoFAQI+3LClGG8I5NIroNIck0OjoKoUmGTLuqY5ddV+CHsNjjVEe+mD5nuxbqLN9pu1orVsickiw2wWfM+bdb4n0GY1ytjFNAqbjvmR67lHyZCP5eaMUa1hDS2pj/jZs8BLiXgWy53LA09lkqunpc0YHxyucPkdO5uUN4BaaY1twMP29KFmKu2P0HmF0b/DFzGjoFbrjuqu/ocGRGs5aMBH4THXo7B/WcAISe0ROzbdC9ZdLRPQOw9SArrGoCXqFVnlY4ksn68/Fnj8R0ukTHk2kPvAm2T6I46UvBWlh9hpTiTGEjybjWMw/TwYIdK/vlX3QMbZBXzEjZp2FcxA3/dj243DoyUcnpdLpKKqNE/2Ii1VAozurJp9gIqPVEsLREQozYYam70o6/KoPuq8broqKaa2WMGeaw+LhQ6JsZiYI4lHtrppRD4B0nTfe4G9Nkd+3RkryDCwfOfhPpqpEeIdj29F0/eK9bc/xJ2tPYMFFfaXzBWdFEBzGJQugvDm0UCXZQjK70i0gNcQv0tbGcRDzI5KZgX4xUNHM1GjRNMtqtrKrVdoTZLkFisZhBHRwislj8KvJx/05RxzpsRxPsqtRM/Qq7ESFwMJfnyGPG6vvARnSjcb4YF6OfT3of67nmAHX+RFmI5suyA0mEDTgj+TTuEGtwYPJYGJYLhtwuI5RHxnXlG6EL6XA4sOqRP8fr9KXoE0RHobbBCjSwbekQJKnOdA5ovX6EftSNjLbPjY3vNFbSd3MSxKGLbp5Xpt7+1W0I5HfBS5mXYwJ8ESXdkEqgm/FZ+KjjETjE42SxKzE/iReMiwe/ebTpL352Ol5EKOERWQCxIFDYwrTtDG+MuMey7n/b5VvdLEIr1vk1715PqXsHtHtiPHZWeyko7hnukcKyfcASye1T3yP0/Ux7HlvCS30y90iYv5cynxcs6ZKmgOxj3Fie0slIyOkM+v322c/PEKaL9wcCCt/1JOpwX9PWGPQiebT3GICMRVTzmy+UCpvcJXgG4aOijr4+Hts4z9l4mdtH2Cou93ICPJZcZX1zOYpz5W6/A0kd+aa/nx+GsLwBo7luU2HdNAJlmXGmcKq5PbP7olGcC4fmLXKnZ+yi1U0O0xJ0DS6xJnIc2F5ivUJgcjxcUDqDDgmsKPK4biMqhCOdvD5zMwkr71jsaQbkl4DsLAbEQYqF+rNoGbVBjKQnF9zCiiNCMQ1jsjVlDs4vAseLRwWeDMJXq27KBB1n9qKAHdcO4CxTmZYZ1oFVQKnteja7aRAngccU0ouyvXbbs4hqwVyCGEOf1O6AI1j/vPiM8/iL/sUzecOPlDTUGrNR/gQMjoR/GZzdpCWT2h2PuQ79L4EShvg5PIeCTUp2xzAwQtKSmY04jizag9OGs1jVxz9AuGY6BsEiC3h/WI8fDxoBwJ6xAnFFjZqS18o12T6o1jE2EBjInL39PVQ3NfG3GFEhI7IUWkqkLyRGiQeQIcuHxMyMQYB/lsejaZLdD4+KiyxQFGABbe65+ax2xVbX4j+075EzzzJp1FsrL0+iurikd0jt5vFLKalOIj7wbQQBBgx8rCUYGT//FUjwvR2vvwxGhSlMWGpQay4jr3m9kWGqfwLuh9kWOxExxkmYTeh7Pz7211SRySg4RtrYhvhkbO5m7VjUx5SzglIBdpnsliGlsmW7HNycPMYY4JTq54vK/KcM69hs2cY1pM/R81cNt4SpPaTRjSmmDPIgCu+fG5/pFiawz00lNob6cXo66AX4wWFRZaWpHEQ4+tgCWGU/wP3JhXkin9AOQtPxcfAR7cewf/jUneEwby6cpYexqfKH6+P8Yf4XhOaUVb3850oGcIdzO1cv68ienqi2wDaDvjGPx18cQwK5IN7m8xBg1H8LDnQNfRxntXNZz0IRUWBuaOtjKBffe3ctL6dGOiMM4OtgiOA2P1BX381Xui1pz89PTaKaKjtK4pp4hisdGCKgqET7KON9ML+P2N33KjGmKkBzX7hTIlbIZ4OhDJorq3xLmleJGF4Zshg61M5eSUowXAagMK+bWw2hjsrFIBgmDLW/0valOCXWZJSwPvSAkBm11mjWrZdrfLv5r619yno49CTQse1Aza5l4LHSbF0jlyze+5Dv/pcbN5LrP2/rJPeEvj8gi2wGlyp4Kev+cLaS3W8i+L/lnDELPmpd+RkANRFyzUC7quw+IWPTsBR5CR+oYSfotZCuE0LQm1vj0eTh1ASmmjvsaV4UcYaT2UOD48Sqaxa0a5kj6t08So8fCSdTo/xDvf1a+vxrxs+PtTs2deM5swZ5JGeu6UUntwgFN6odWqvX4qaFlzxYb0CMRGDQHK8havBz0CliUxj0MbyTvvcYhDz11mQq33ky/CQZqO2rWECrpkHW3OgonNUmIGXyIsNWIJw5Nj32IMtZcG1uozmbnFF1gbNfIXt28+gi/+5NkKO2BffkDblC8kz5T2pvJ0/WIqNAvt/qiEKnMPe0qIXYmGpehHv80IVBIYP82vYGMEHtCzMp5qumtt81Fs1byOoaqdK3uCV1qzb9rIDIS0Dbweke+0AntwnOhpRsWCfCi8+fPWVDoxbyQyNizAzCx/qDz2sDvCbtTLetFxXIBVaBSgGj5yU4Qk+Gpr1CAmVjMOWZ2XWhfbr3JhutzcNUBY6YFTWF7sitaeN2k6h/C7NP+XvC1IWrvQCkpMTcdcuE9t+CXBQUzU8J7HzwoqWZLHC+dYw+AuDSpvLIPo8jLfcnfKteSDX7M+YYPz1dy5yr9wDj8G8M/tvPSw5WARZJEb9BGvdUOx1xRwg9AnSpr3tGvtrLHC1Rx9jiba1zqTk8FeuuhuY6HM50hTjbvCPYtHu/uoZ/t/D6zDGsIbvtsfjinAoLHEnGQkKlHJ9qq8LdzYeUam5wfrGz/jcGa+RZmUURbtwmKrs5b1tsohho0eD9tjS/C8oH+TWLDo4tFS79eXNzQ68sYIk2aXXPoimM6v0gkvHmUE35Xw1RWLSzoRZUKoErdCjDQ8xJKXH2JHcCSiAPfpncHMPjsClBaWc+2PqFK5EEwUn1JZR/F58COz2Dn8jPdAmT/qAyN9nu5WfGc+oPzEMbJpixSF8nPiAizoRW4LncO4+HgOFalVw8gwo8Bprb3NdoqdNOK5YI2Wtqh7yaGUjkS77JELVgrJjM6MeBoFcRastWsOzrGBvfrzCD5bvu9fkfOwnhx3cPIA0WhK8BmKRRTh9WAzOlCJ1bn+TB4bn3gDsPHy/0dHUbkU5dh1zmE0XiUvlpKpectwzfWfPkvz6tqvziPepfmMmUt2iI+R+hD4u7DnF8jwR/atDt7UZXUAZshh+z3icq65K7ip+ub7QkTG3fpx/RIH+hFW8YH7/dH2TlLe9EZa9S53QzlHh/nJlsqdUPgd1lOaIV9HTK+jIJOTR1KajtFw5uX7ZBsACtxSPJ+uEeBfZZf1vyDhAX9HvRqcq7fb2DirdraGnpDxd37Pitn346hcGQRMLjsjZcHpnxDPElrYmpNxr45Mhh3m3UGPL6JPzQoVcK/x3k9YLyTAD8HKS8zCHEtHXa+rH7dBj/ofguPaPtzqo7qwXlsB6P4zmzU2EuqvTD+BCYzDONFIA4UnejCUacOTPlCk5gYh3RUfPEiWgCGiX81aErP6NRLafYes/w+iyqwGXwxtkVBafmDZpB60ZFobD8YQMDzo7rTV2cDhnc0OQEvNTz687AshMP0WrxDoCXBAoKYC6DVXyDBXFC+Zn35huqEpYqdP2DF927+YituvAvX+2+2aPzb6XhAYfqx7ckbzj128OLAGymSAUfo6mcfL1zPR5EAtMUAAi4hs3IUeR9+rFRXp8qbGD1tS1wNyDpC5iYUr8O7o+GJdcXMJTg9jBYWlgU81T0JGV/OwhA1DixppzOdpQH0H9Dt8Eu+e9MCHnzYJH/5oSSIyu/kwtv/ss93796C8+vjKUQFlT4/WeqMD9nRjOQQ0jTUfoh986/idqiXqKKnJos7X6n+Q8cfGNVPwz72gTowIweWg7+6jYfx2Gx9CKrdEw05iC+NXv+jid/k7JgIBFlff+7ASmf7GvT5jmYooY1jXQTdAF8BrfpOLWkDRgIbDpIrUpEhMucIu6uZIQxlgLdw21/q2dRQHMLXDN0GV0SvMHEkCExnuhYsC59zSN5giQ+9wt/pSA/5aNU9/FNT6/EPUsmzyxFzG5274vksSfmXmY+KB6s+60oLVVKWUKWCSUINGZPkxoMC6IUjY6Gtw/r8fvj4RrpJS/MMEKsTwO7PICAk6jeD2vCuomNTbO+gcugaRXdUUOsZdLxUwzJeuUqtLo8phwc4pZE/qlJHIIsF7Z2hB+WbaspxxR6iLJxr4ydd/ywdNB6tMPDrGRmtW94xJSj9fx+BYcYY2rh72c+/07ElHxz3xEBYUsnnp5LZ5WEQqn61j34zGGb7JVgAiuXdz+B3lwDsLJfuLmDlMn6d63mxmHmzcpNKKhSebrYWWevRfBslZqGWQZzQSTTF/gOeBmkPehk+mzLVHY4vi5PYxSo1OwMJDODdlp/OZH8GnZR+Ih0+X5rDu6iHqH1jN7urE5Z8QVW8f6MN93mKC5bnyiI9cXxBBw+4QH3oyxC8eByvC91GyzYTO+C/ez5QHAf0RNFcP6wNPRBDWWjnihecuhFczD8DcBpqnSDc1DlRUpxutZXCmjaFmmc6bRaOahyKKSnpnUzbNcHg4mdfwNawhNDlmFWdOxGR5u0CALrAkpL9kA7Twqe2aJggdclgIJylcnXY7o69F9AmukhYBI/jq6rOYgbo4Y73Yi3Q1qGY8ZlvmS0kbHR+NZQH+tuIkHGILkDqZLpOba0DDQkEMfKMmXbXaNJQZ7m7dcPX0Vd12aHbDHyCZvFCXJnIXAOAe9KQJnNCCenKwjNVse6q+UdQY+3yXDHNXSwRNzQWfvCDT4sh21GwwEWX9H038d0zhM30QwUrJTuNQ5ByLZvPunhHQub2P+GcxQfNj5uwUSC9o+zhOdpD/g+LvUV2i4rVK9aCjqSDww2i9fGaQ8dMmK7CkXmMAhTz1IFw1pyC14guWgWK1ocwJA7qc5Kg0eGxeUuNsVW3ZjKIDtbrRQjAKggf2eq0Fws9GGD2NsXe7rxt6NgHkHZ4mt77HHx0sy3dIEZwx3qfqHQHDV5JjXml2qZCaciFFzVWrtoojMnxOUvT3UoeT78nmQlzAnndhoyXGEgotMGZB5OWgxsw3TE6STjs8l17kE9a4cj9tZ4d2LL0GF1T52N5vVzObJpuTxkO0RhtzyuCHAFy5AAxNxPktJ3kxIyaNeay6TBDndF12hWThL3VRGUMWuY8OFPM3dvb7GUD/yOJLIFeqJF3l0flCMrRgF7E5789pXFKM+D6rNIJdG12O3X9jLiRCU8+jauG7CKNq4rrDaKbH8jtZaYidiPmvifYBKKnn80sGrD8hCbXtR2TSEpZiR/E4x13rX3DL/gKr2M/8HOmqeJXJLHS+FXn0jFYm9Sr6RSTfcWUbWhHEkOBXWBX0ESOCUG4hv83n/ICV+z9IuE1PUac3cSYLP2sYygCt5YI1KFmt4iEzCK8kB62tTch225P0U/g2ub1TPCIGLuKRbuBrs7MF2i2Rf1dMcvSx2a4q4t+6lAL/mHGw1T737Hvap9UZpXgAA3ZBMWzi0iCJC7oHf5bvh/fUzgmOzKFCZuNi0wmQ9Tc7NXNF9MjdpsHQI4qInmu/wK4rwBfDbce5E9H0E7sVNp3ycY+aN0XRCdO1HbkQ8Pwtkz+KRkqyuRg7E/HOfCIB+gp6m83UxSmGfWyAYVDwbUZNpOpiam4ezfUiV+krT0kD8Z3cSQGtXJk8yvdJO6WSjtTuR21vOt6tECHI9PA4rvNkdmJGLyYN2BkpxZkRp1O8qS4NU6Mcq25e8tpCN4Dgp62xo4xfdhOwKt3u5OEr+jD2j5HGFrCW+B2/nUVKB3e57Tgwm8TV+39sgPbX0k3iyWuU3za9stGDc+Cij4dUTM2kNIMS7ALSBsARuml9SVV0ICItf4C7+HaMT8/qNRxqoErPGf/rNm7YgxSUr4w9uAcRnJgqcUb20BZ1/69HyvMHcnAtrZXJ5Fv7effS+beXe5nDo233h4l60INNgBFY6dqg1+OYtde+vNB8e6tXxWXoH/LYsma/alb1t8+IDA9QddO20lIewPPodnsQdtV/wUANNEeEA1pSOXOqa+qqAYklvvUrPjD9B3HiUDdG1AhvDBYt7MJfV/TY1paq3Wv6ksFF2dizSGGPA8ze9V61XVvyWQsIUmsrD6iLHPAYJiI8BJX7V/NRkN5nM1bfHgVthmf0wqE5g722L+9qpu5Td841B45yMMY0yMWNUDZtiHwqHP0Si+BZ5aTWNg7UV9m3haaTBPZ9njOBm97Ryfmozn0yfOaoX6i3StcvyWLGgOGgKLYuPhO2oLqArHAQ2K/6Zsm9xEVVe0xgnY5XkX7yR98RTT4SDZsKnsNT4Y9kVXb7jDTJ54cINSq9KytM4gjYpnH7wnMZVLWafacWqYEfLPaXHPwHz27S6TI6mrMeT2nUtXR8vQ+lYkjDxmJTptWiDBsomtxRR3eGwtUtJJkt/hYhbDNr5Zfk9kfBUGgFCTYruxjVN78rGvC4Wg1XR0pFlOuoAvMlbxRYd7Hbb1NBM6tbX3afh4+A3IUCSOL/kVLznAYH/d5f/wupz6mA6N0xTeqAVJxcguI9LzrUOxaoxPWdxupmz8vPtJgyrpHT6is1EJBQK52Zr25/XENyT/Gok0wdDtNju5IFNokQ+AwgHyAcMXfmNhYTdsfd4so5Qx+B+71FdsmAEOlLjCyO0QkArw6nthAEnldmti/mKNd6mEo1NKf3xvFCXrLYSPX47TJwbKwX4QBrcnWz2b4gRB6nVrvGp5UPdN8K3bXDHBfJbXgU1CVJWN+sdOyqScdepej4O9wuu4lRe8gyWytvc4lAjGSsEUav+ZfZjcy1y2YyOalIih29dpVPyHxPUx+4fFYn7/Fv1L+M849lS1RWA87lG4s/i7tCPxp7c0mw9wQNKmNELeknR7ia/sh6L1wURTQ1uAVcQIhmmuhT3WT9uIurO7rK3g3VNcngPRt+Jc/Phx/3xkdMs01llBPKsmb+I8AEUImAU1k0XDZNSM7W0B+UXhFLPSxJVEnqN0KBEY2mbvS+sfIgigwYABL+2r/3dsRmnAwT/npoHd8Jpq5HycJnyMR9pGysw4awKkeGDUa292W9pJN/pKVsTaO6slMeLOnX8BRmso92kxcgQS/p8EzyPG24p7QkzN7zAGr4mU+gM2i9sT0NXhBbAu5yqcJZUGeBa5OPyKkONZWHBu5100K4apKnk2LkmFHXXLJ/jhHIHMTT6efen+qSfBgInXC5kTP36tAVVtn0sYrcotvJaObOAWm5WeyHBsusdgD9jgUJ17j7qsfZy5YcgaXKq0KLFxs8lZT7HDu0iuW3dRB3yXht6w0CgoxUeGY6s/aHXRLfVbSyLMDbKL3LxLnW89uQx82FWvabLn9f/8lYZpedqdP2jEcWgxVTmGnCkb+s8PVNyISFwOTHMJrocGdteFoCmr69D1E2HTJK6DTuR+DU8rTgix5a+I/QFO8n0gqeYRudxnba/GvdoZ0KJw0VpALXYmwqvx1m7OVAVsFxxuyNiPo77HUUBkzT3t5WpFLQUXCi5tjRyCZUtPNQhIXfe3Kfabya6wVQexuLembYEJ2++MiUHEb4EFffm+Z/KvVbrBGlq0HC/Aq+0PmsOWSGFMx4fwoEKw2FB4TMciIRLJQG5fYjsQ60UqNwE478l30crDevyAdGBscftuDPZ/J68lCSqTJEe4khHapkKAUlpSSCgdAS259kx1G+w/7BfWrfzPfTg1TQ4fW5+jhc+kRGsrkzucJnmEhBjUTjqp93Vj+ZdYDTWoHXiLVTQpN7bHVAOcm7STrq9TsS4CRD0T83DavNqMM2e+pTgDUHbOsSR4y+EN4KiDRB8m8Bxkq50vfiTuvZHcEfnRon9uoX3W6C5TXwHZ55F+vO1YW0iJFwBb6mD8I9CpYPGMgv2gnjWnWrZuV3V5EtXpfwz0qA/qsf9CWDzuYltFPizO5/hX6X7wsSTgq45FY4jrMYU9j/igbhg0QiEYGfJFWINjxLjnMBPRAf505tljQpECIBEsbPSiBvzcyoujdiLsitOsXoWdOt1cP9FIDJwLyyMLSIZRPghbovKm/TSwaVK77mQToQyIr6X51P5TK8vmtMXOnoQUyArKBdLvJ4LQKPi+B+aFnT2RXvC0UDLRywHmXodzn9ifTerlDL+jlVHlY+K+R21JkGNmpNqKSM8TxtDk1zgxcL83AEVhQfbdA8rdzMGSmeL6eu9K9pHaEQPM/P1LAsRX99C5Xmg4cICy6MH9+hgF3H24s+rZalrPK7nRjF+0eAsEaATscy28lRCdSfgc5/8WeHy6xY5102n4E0rcfS2aN5YF1lfPOtI3H0iLM6xR+w855eO0mCT7Cgl9uSHhff3u5jLONkJWqldiGU64GKQgD7qlf77Z1rmfSNLMQLN1Yits7WuPLmy7isQOOpJToJtFoftlRbqeMxU++R9Krg1BRs02dfmVopPn/5xaxGS8wrS9AgLhs18prKROmaMyytAEk49VLPAuKfcURNMHOZMtSXNQgfA0mFkYcGEf0QX4By50PRAKhkE1gMJ5LzM1hZJpPz4fA8OCQuJNj9eyUymH7uO0owCPJM3UQL9rgYkHBU26W7eUxq5/gZsColKlWreFuDP9eilHCVdjHDe2dnNEPV3cvwe2S/veIzNyxjR5WxLPkdAmE/tLEKGQ8SadNcI+1L7QQ4D5Y8ONeC8IUmwNoG44/7tezZ9X59tLtrCcilVqGnCsiBETrdEhRWq/zwF0aZ76yYlJ9yx2a2AMRiPS4y2SjQoZZq7z5RX/hw3YkAE/Hf1qtbGwiE6qBxbuWYaeTciFHpqVV22hyquR0KW5Q5fn2IKg+Ie4V2tq1+jsfRhetdJBh9UFYGOypLcqn62yAqJz+fIAeUaPyQZzHusUpYCI9cUHt1A3AxIK268awA7cxerlcV7IhbxKUuyKru9cKocz0eCD1NwZ7OftDec7BIK9ZPLvhRSXGp4LbdI4BqO/bVxzQI72dOKcIQOSbiTiJB9X/PGBbT4Rskc9Rcu6QZ2ZXXVY1Q4bzhDk8rbYQy1Uqse1h0cyVweMiAUGK6n0W7DvyiNiW5jXD+T+yVjABHqWNP8uGpzcdSwYH+52G3v0J4GOGTnWh39zapfKRY11ySwvKZeNhBNb3gTvXFYkHEoUTtJJxd98/1dYnq5ThPq/SVyAJHSMh8TkxiJU4zCXHU0UrTAMccFt2EV9mrFWwvaVGICRdg8LQplcZIn7Vg8qFWd91PjuppzttQqY8dwYspNsfC8GKmgE8ebb0REKuWfF7/sdid3oTVW99ZyNrCIeK3TxTCgOYU00X1YYPQt8ge+TU6m5Kw2hNHG3Q5aQ97TxBo1l85Quj27IYd046nWxsisCQ=="};
+export const guesses7 = {"count":7594,"iterations":50000,"data":"8/US9Pwp+5PG6gsvp6L+fZFeIF1GOgFSzDsRmCZVU6ghyKyv/C/8dAf3bfUuBoDPr9oGXgONK/dAzZjqTsQZT7YWN0hjEjrC1JyIRbva99IfBA9mnOwdOE+clNyOthdoOdy17SS7xYMj92W9qA45Fqw/dDIh1SDtL3wpDfH5dHXWT6PVjFU2BG0SMJ4bjfSG1NEmkdbZczuqr7zfXPH6qJ8i8Qb/IKiq+RUmH+vErx9uR6QIG/7UJ9vl9YKUhh/auywnRXsowFYYOiQy8E4IBus6LSN+aw4SkFSXF6dZuE5t8Djht0HVdaTV25wUv3iwMCvDXQSaFFJ+JiwzqMHhq/cqNAxaXqV6OGSJXVD3zSyu8TBvt0FVVhfBZrvSCqoe70Bs8fhPZNN9QY3poWTDVOpwNf8xqkNTXXsDGAFXIA95hVqW7AC80UiQxE5t5DR93plabs/Ksg6UCbdEAvFgE48rIy0WnHwfezAD3CXXTwGeTm1mRTU2j/w8FEDN/WBfbEZaMdQXinkg8Pz+ayxkGUlgfPnWxrCTUgOFCHVW9uFCZUz+WPVey2PGzIk+TCZ3vkUFy9gpdJOeXqzlpddGP3lbq8lhhDBdYmTsP9KGa7m8mhB5V11rnwb6LENUWR6zUBKOIKvfP/DEPIUyU8ckK7eNuSd6TZLnIk9N0QLd4S8Ww70cZidRePLjU4E0QH6x9Il+agDXVIeMqyWgWX3GJYxOS203MRfsGff88uaEbwyW3HYrWe/4bP779ahDMJ06Inc5rvS1sfpbJpbooagN1kOP13R+5ZXewW2lkG9D6U+04bSKT5OD3YiMJu0L7+slDFzRNySs/u7H7D1ypKydJIKBl+1HOfYX4YBsAMPwrt7KYUQKQZeiygpYAxXEEM+jvGaMyOjVhmal55wDqTJZZMT4jKTA+LrLuXRPfjre/xx+or5nqULiDkqpWt5pBGNTgUzXNBqDTH0mljtiXpmCZsSbYRdNqrIlIlJFJxZx7W0M3Jl9mXNk7eosLbZEFzISePdYnf/EPPUWx44G6kn2oKiwud24VtqfMjugI9OqfJD47icoVGMezpY5V+REtthCUBK/HzlxJJI00PykBygpbU7rBAXNHSschPW+B35/Jn7eEBs84Y3rWzMi6j3iXZMpD1YtIWlz1G6s7aZXwZdYToVSdm+pisqlaQrQQC7re4fxlwi2aR8PTFRSsbDXLGkG4R4ZbhSsyUitqr4SpjHxIaUnKp/StKFL7gcHNSvR45412fkNZzKadf30f2G6KG8mN/V8tBbjFHLQ5kdxREnYBYia7CdjwjH3igjNkN4xqAB7emElTzar+doGyVudY8c77REhhqENOzKEY+us6jvom65KCagP+azXD++0nJrHsGl+VWgPowHRDdo0ZfzGTkKospwJe3VbGSzOA3d+q/O9/G4cQiXSzFmg+69RSM3rlgBxsExRc5Gzsh2PZtFY6F9wKHeiSGKPdUxxI72uqzOiRgrEhRdihKzhkhfN1Dj3JLurvMIcsxJC2/bjc+QNwuq2gy8LdHps7f13inODT8vrzA/5dyGkT2Cms+sGoSkSy5nCx1eWCSZM8TE9+ddmMCQh6Pf3Kcf0Zoq1txZFr9nPvIpb1v2w66QW8rrXWP315ZHxx8JZIlmoUSDBSgC82DWDV8pNdFtklJ7nYl0g0pCgKro8WvlVj9JDZVUc0oMk6q1DzLyewrLfaV7vEDfzM0mNUEOfgKQXt6QXTDdb6zS+Y3OsPl89hce8hjfopbYdGsKOGxvaHqkUFh5auOQC+wlNctt+PkX1b3sYvrrEvAWi+AoQzdaNAtL/kUW5tk3CjKjkNHf6NX7N+PaPIImDZVYueYbFe+RNZ2AdmRG7ndsblB3DCe8fZzGVVlR5nan8LyEeKpkBAvAJ/x7DOutpHBoF0bOFidHXhro0LUMpRWMQVs09bc+DTMtdVrBgtDWR5M5jctd6LRyVqvd/3CGdpKAnXbtVAK5wx9vjEtdPihDTg4PEjA8pt1/LVKdbaSefgKoGRZzcdClvpZwZeMWj0pEaU7c4dn50n1/aZ4GGXZFDO5fyDNcu6mGikXyjClDiKA/45J2nOVUOMWy1YCK3Cvh+k+xKJM19pLfVd2ziBejkc0rGCbnl5fIDNGGRjOXuF6/7ce40I/irIKbuxXrcGRfC1b9dV/TgxVSqoJTmLTmDIlm3OGblDsHU3DqzqM4tVmxc2v5JE2AaiG+JlYENrTRdVPzDyY0hWIj8WM+/N4tnRxkdgoMiGN5u6E85w5abCEzZ6vLHbkJaiF877DVfXB2FNwLXAfnw9G8uQCgH8rxgYpQV9+68P6umZaOHDd1UiQlJzPS9BwCKrYF9xir5vbnEJTTyv6HtUY1EFLnHp9sAqka9t+wz9vYqKzxamLFatP3xR/kBsg2SwmCirlzmhyhbJtc4fvirzQCtK+ZwHMrrE6rd1jicaf3p121mS7dLFwD0xAnUSBIeY9G/pX4ppR4stHVEy7cVxx32+0lFkeXrFCnylwvZVi/jbzsV5Cslu/uiZoGIb/1b6nO8FHZ0S0ncZWLoMk5dVw2wiL5L/svlxVDPdKDQXM92K5Y63ZwnOd/DIDvvqN36b+84tCFic8VApfGE3gzHhyJCTpIBm9i/ip1JHJqo0LIy5o6AyNrDrNrXycPJw/4f38DSpq+L+sadChdaBHTL9SlVZEzhDdO/ocD6juSCA+pRxqeHRyGIc9lYHl4ZWkqTq22c067e1YtQ7IVUVX/7eWbPBGyGEPyp/43KDk4QsBG2c074FDuN9gCYZIIMu2tq9PQpc4ofvwKfQgPPkATq10KoXdPF0MPv/uIGzZSJvjwhU2VN6DmGJIzJWHGAY0kJkhB6riOXrrv9oGhZRN6zRTR4mZNghNLeOZ3PtvI8OO4sK6MvZMdLDfznaGVoL39X3V5HSk0QKy7nNG+gg4NTSzq80mn2+ktsNYOC96rbVZQw59o1FmYGOnVkCQHb2vFhWsZo8Eagog7XSS4wtCBYuZOKP4+oPZ7pzvGVWCpnsgRQDpUhEepQagYcVHLeXRsiERjqZzjckszYryvk5PowBez78EwqM0SC5nisFzUhfs16rVpN7hWogV8RnGOd+d9Tk6tln8ZNKSb7u3uO5lv4RdVynMMxFZK9cHN33L3f0I7pK0Ctjg41y0TLVBT8lVjd+xhQYwZt45Sd29nLCyXvsSD/OhEOh5K1ejHk5019CR0mTO8Ib8AptdAyMdaKbZEt7OTSeHSsXQFxtyPbrq1ofSZEgQVTicdhJUwiQUuXQe6j/e0D07wJOHscd9tHbNSz7T+awzgJNDFV/yDxfJIfPxRryAJHryM0oT8W/X5pT4AwvY5XYgec4eMJYZsJYQMV359I8fJQzNfzKbRE8NnxeQHVXY20E+Du7Yu3yF2WM2hilJCDGkJbIxfG0FS20OdMQLzk1re0hq+ii8OrbJ4KPenFXWNNDRqxogr4aKM/ZJICYCC9Ffa4+cf/gEQ/79+e7d70gaUUbp42FWp7AAJx1IZXaIa3AW+MvhRzmam03X6/335xh65iKdV8tg8Xz8Q+DfFutGj8sUB8TfIshx++0iNp7pjKNwUDnkiX/77miYYKV71YuryAusz+eq5mXMQZitX1KPycDnN0+YpGmv6VU6Ek6o8kW4v2YFX0jNO9nWNJnqfGG8gpIig/nVa/qnqr7vXKe+3TFx9SxP0RyiEp2vxp4zvcf47SrOaLMlPhPL0Ec5GYrXGmHxxF+bwlL6/oefKy2vqrQgR87wYfJsYCMMGGGCuywPDnhWzvHB/g5vc7eH9LZbFR4yTSo+6U3iNuvpOQqNFI9CVZsBJFjKn4xj4Ai3dPH1xMtockO9v8UhLT+TcFI/KIiFLKmaXOFtaYmu2QXJmOFpHc/+4glhKqpz8n2LR1yMxq4l9us+kgFtGNrwzd3CAPGdTzDmx0wV2fB2qbDIMeqrL426cLIiCd7mQ4Brbtvdgnk55AogDHewMNOEbG3G+/nAIcZVVnGr/wg6RNcOkfdMtsQwu2eNjO1ak6UlBPtxQeTATJ+gHc+wpsbX/H5G8UIsEjY+2CeDOo8w1o8DN9ne/gZ2rixgRTGKvJq9gE+I4FrpOe7ntgb2Ka4X33HlllLDLQt0+WXr+UN/4mXTc8HBGNtikxiB0uFHYTIGsVwzX3tNQRxCTGbhFDsny/K1gS6rMgu3wQD/inV0OFFTy6o6eeusVhDEUjwyNRASecC504CIgfcxnSODn5RCp3oq5SlZjjLMsrrJimpfsvL/mjRLdO0PBiUasfEPwfA4YrY8w02S9ZbfB43bw4loMBGFJdZbnr/VZwu/To3oJGVvZ5jFFfKzdm7HMiw7T8ZjqnYxcDSaopn1D/RZMiabr6RSPYHH5TrcGEVUTkDOuDUSlYneDcvWDr+5Sr8Ta8iWeyPQn9YLjbB2yL+k7h1w9YWXOp5ng/xSd00Vz2Xf1M5PpVBtIr8OF2pbFFPRd+TvdFcRuZbMt4hFCNPeCbgj3LhaOhM7VROmZoBc9dE1h2nI0alvhu+qfEtGSs1FtcY4NQ7rcOJxtNLSUgG36jWYn+q5SSpSuBRAgNn6jVRRs9nO/dfMdA3AhRGb+MKcojzKbROS0JHdMHEBWvq8P3HLO5Pr0Pi/gAgvU3v7VHsNj0APL0kfiRh6wfT8JXCeB+xTidjFjgQHgoP63PvZcDLn0EbMzh6gGyzJXnnQtBysEn9XZ0utexAscU/im3mxkFuRN1cdVi65nhkcGa14rsrrVex5IJ6N5BNnh4vHWKYBHA3iopcMILbVsuTOMaP6Nr/FUUFUmDn5y5io2WtAk827F1vCuiH96OJQyo0L3Wef03HrHdkhXlzVGaMo/b0Ef5oRViGK3mOlm1v4T7uECO48KtIEXRCndu19jypWw6o56o15Ws8bwa2TwhU08VkujSGr6eGLSJyS6bYoU2Yt8wWitRquZJ9rJwNNTxV2j5Dnnh0JjC//kAc6sWmsiSNVpZWsPJtaZxsf3cfJQ+b9owFgrtP/lyc5Mocrk0899yLEPnoKUkwX862gZezVC9wMMpLjJjWQxEDE24aT8AT1xPUFKSziphJpeL9z9r5hBGiWeGpmtKqLUmmM+vvVG+E4yo5igY8BfpRrF1AuJP54i5+t7ALNaazWwcgioUZtkJnIb/eeO41SDL7bUW7kWgzjFWyRp4D1pRxplXU8lUsbKJml/3qWJB6rJ8L8kCO0nbwPYOEukM7H+51OyVPpkCRYzMnc9lKzs+139AB8xhZWXh3jUc4/sRKvi+fAc7dqf27pwt+xSHE13gz3Dva72WOo5ryX2oyVZ05EeT792zkFT6fwfWy2RGxrkC1IZKu7MyB9yrzdI7orKu71YuNxTgTIOQ9Ix5sgRCKf8x2Jmfg9b/QPJoiAy+d1iQEJsebsEh+4ZE5DWc8cKU65dAU9a0eN/DCdaOmbMFMN2cdyhNY9LO1/iEsaURZTcV7FxRAMttDh3WUTCHP5z2eThtFTUtzCMEItMuc/f7zlS2Lnr3YRZqyGm8ZnDoTHXUxjYxcoRiziNjhscBzl4dsCNhpyA0lICUBWy8/DGVYh9YxPh0GCXL3X4g3epkODUJefVXJv8MYw8HTCc1Q22q2OcXIOJqfuN/PCfTktS4RzL+dop3PCjEDkxrOf92knKsd+DMyS+VhiYiLmJACM3ufVC8eHVCZ9Z0UtpxFxxOyN3yg7PAEuFV13KXe0tBlQ0AN7wcfBDpCB+UhhIHFscZWjthcmtQIvugJTvDVy8QlOwycR3p3o4J+HzFxGwldHUKaUiE4rjo2P8YY+dMQNQQLWT3GqF5nQTrq7x7eDOdKM36eixWDoZMpSXSx3b4QMc5dqSLKv5H9LfyzgY9pZwz8SkqKc1mSrMYqmXwkkB5JurPIQLIBWBkJL50A5ATtfMdmA4dUy575/wktaza9VRNBB8ll68BX+SWYerovXTbCnqybte825FyuL0gWqbnldRzsPEq3+gZqxUCXdbBjdPKCWmL5xw/LTm2UfkgQhKd/DU+0QeAIX95KnquSGVsgQE1I0JQjbqiousvfzPBCC7cZiWZXeermvJwtzdVGyqmc5pMBBOepg2Nv+zTHz2MuntjdYK+mDpKAcn5uY0J6PwQMezsLNiy1KD6C0WuqdLUdMMCRgVyDZABK0fFZLTSnhWclh427vJqzNj3xpva29hZu0m770IQAngbLvUbQ9i7u0CahJNr4Hq+PeGw56r+755/452lmMfnjXAciyfzAuSwZhFdn7NKsUiNxE8T21fRZPp7rKtPADJAf/S8aZGUXgDVrNEoqrwEIe+M/FAdIKwwmDFuyhNmKCKM8Mmm5+pj7cBGngxlBrEhS09Zs8CYr3aeJE701yJBWkLZS3A26812KQiGYagC8fojH7Mk43kz3wBFVIicL5U/if1kdcdJ4gfZxHX3MZFaCqjuMQWQ43lY21u/hUCuW/eBle2oRt+UJwxs1mHbCok0b8Yn4yvPF56vhBLnJtvRw2KDcbZVlzFWj9dIxImYJVG0pGYq0pWc/FUO8Pmg8BjSp3ByysbLUTC1x/wXUbPa3ToO9/2C/ZCHn/b2Wi3cxoDsJWJdntwGOk39sSx7KN5d3UEap2k8XW6xYDDKop63BkdkiICHygCQcts/rhH9qSKRyxBDgZtzumhicZFMBtueFlHkvWGg5deuWEXHB+4LIQr+aXLDS+qN3VXQzWfpXI35Bp2znshheZFJux4kjxyUT68Sd5XXSMoBrpbb2J9bBmNR/ZVu2GiX3tMVM9RJEE6WDoaRPSUw4GamwjWfm28MEEJz4rLvoBl3wWM8UEL57cot3YhdFak09/MTI4mSR2Ae/uggOyq0U5lNTlJm+MkESrrvi8usPxjcNoaIJy8onGugCshbwtmLWUF5mSQDCXhTE90EyAL9wyT/YG9JoUCEkqOX7FXlJ+C71xnsKcfWo6Vgl+54uz9hzxbFJUX6vZHvukFQgVJFxt4wkEP1Cd8yA6wzhJdd3zYevzXkaUw9VIDbySjARwb4mKeeU9b8plEX3HQ3ZjvHfzS1wJNrT6/XlqN/3U9d4D8MxQX4WKn29fyYbUpbEVAKkoKW4betNiEWJe57jBnQEjkMMTxrFXvkN62LnDv68kxkiCPVkbAPK3SgOEBLpOll58s0p98GCPQmmDaXcgCq3Co0HjT4uQT9EkUgLfEqd/m25HGDvLoc7FUQkVuHLjInTS8lsu+xnYArpLpTOosDHX4Zo1pTr8KJWjat7ayrZZ+H0nk/QM5HtrUjllA694GuRXcGimyjlKQ0g3MS9Xab3+Jr+aiDJQ9IJWQqgwWUVQWLzS1cpW4Qg6TMcdiVnVnoQE+brnbcklhpP+5/EnJq7DCtnh1BFyD/WVpaPNEln6MCnd0EcAKrXQ496XFWG+z3Ss/0IXdCRs/+FDEzOJqOfrSAs+d3C5c8jcUwSaw6qP5g9CSF0K1+pZxjpzdlnu4e6EuWsiy14KdIu4xzn4I4jBj9vM70alpHYZ4QHdHsStP1nJU/NxuAsCGc+jLC5QLG9YHzU4n/p5grY0s/hcmSCGepOADc1CcN+8f6orItuoxAZhwgtc+dfjNxywRvf+tTPbQlXA5BTIdlCHUvTtauFVKyAkqbT66N6wc1ENqGd2OUjZpE8a1xt4OSFhjuILq6TXTJlPdUU1HFXDUYV1zTYmre9qClf2Wq4h/hT/KH7bEX9QUUdZ1UWeKx9KyaqldtK89pfjgU4ns9aFVIQgGfdrTxBYRZfRY4WQTdJloC8o/brkWuTGU//zSpRGI7OJzeqNVKK9FTAFg9PesS3LxggbF9c/me3dAyUD1Dv+NJx3/s1996lrK5SPx2rh2LFLWQ1iBwdevEeydaoQzuI2yHVEOB2LojYNtolOZGHNQvaG6ECfw1obJmwPw868yL0Z0sLOsxMGQ+RZqfRHJIclZPGF19t46XbMmVUxHhNE7Kp/gBgcmWMFMxQu51JhjH3u6C6IGgTOP4BhY9O7GG2NGEX0v6A4GAaA5UUwTx2ByhcLU9D0MqupGPRfQLbxxWLQapo2mhy/O0yf4WPpgbBEtZW3LDrh/Od8sXdmL+w8bFoqSKeg7f8d6FPhIS0Pxa2SAm91/JwUgPf6t2U2UkANxLXipYYivCpK4dh7rDPO9KNjKt4YcF52zhi2M9yNwHr9WaWKOwXb4tIq2QGoYnJbbV+DmEhBrVLiGpXhOgPTckwskUajR8WC4dxUCthO4KoHOuaP5PftRImxeD9AsuDhawk899rAmd93pYD+9k90aJP9hJrM0lV9TT5RYIpqYhIR0KbMkFPkkdke0mUcgqkTUmwK9puULOg4UocXqKCgg5mfpLOKkg5dddstx+RSse15PhRmAxoLUuOGPjnzNmFB/2wfh+/41j19Zh7Gr4UkoaTl2fdAEp1GMpN3o75LKcL1mqs/V7ii6p8PJYZoSSZQ9fkEGeI07upx2OHtW9tkKxXflFdFA6/HEMsbjaiXlxcyiMjyHGDdeYysvTnVLZsxe4KS9n9tHY/YLDuoiCUE20qxafUoich222RZ1B1c35YJT3Ac8KbMl74bonNJt3q+91StgwDFX4G9B9vbF/M8HGw36qdTPKgJgaal7IqKSdBeD1wF3lVG7jv4vfCVe+t5Heq5SGZVXfEnm5O9iCsX/wgk91suWgUht6pI+m8IGfIEkNG5xJvFK3c15KE1OKrDKOKbE3v8Isgi7fMTGvVGgwax4O6eRrlrmoA5LWug0X7jU31y/2DheQzhDycZSmFiTDnqFpKJBfSsk56hxBg0nMsNuDB6hGirXCRAoEf2EinSR17rPGYDsfWTKIHdlT205xKNtjj6EJ91J48sVWKqWC+sFO71XGwtdZaiM+5GCQ4hP3Uj6UBDx1EuSzfziI2/g75MdC5dIJojMi3PrDiGXf8es0JRy46ED5gQNbnsBj3g5VTYhX0lsaev4N+vTAgqTUaDfnk7hFC6BqObPUbLuaitoI12/Wo1SV2cVPX0V6CtBc58VUHJvq0dboRiBNmbQHmJ3LlQmg1faoHMAkjYdT+fYZcd8Xy2vXFP7XSQK2qxmc5WWt3JaWTn8L4AAFRXMIpw1hNTYJoXrv4HbqcpcYchgTUhf0WMBzecQnyiASBUDnC7vW6CaVT3FKVSADZb90uQ3ymjgGVe5hXYsqzj1Org7JvIVgaU6acxyJzo9yXNZhWXWcGVkLvFT30bhjFJ2OH6F3IBlRi41auQXuLYGX+uauP0y1O8DFjh3auOBNBNjEw+BctPHbfK+Jyj+21xjn9htBKJM9nRvZW+Ib8ZH2Zt9Nekwo2CWtdt1Huq5CJSLf0Yw/kAUvm5zGlvwH747NZY4db5ZmQ9f8gKEBP+sYk5PY6ESP0vSSHRaeDasv3BZlHEcmbCXegD8hNP5amNuNLGoUG/RsBKXrvGlq5reEUlXEMI+JtWbpLHDZ01Dl3iW9vVdVlod5aOr1DFPOI7h2kf/xj3j1epteX3UCMpUNDL2US038A0GBi3j1VkmZH374DcO/5DzBDb2whCJarQ+wbtW1yUzMxZ+dYISoDXWMxFi37EL0uTZ5v8O0CoWEjP4eyiom//WBZ553S1wvU7P3LMxydbkQJNMhK6LFWAtqOdxU2LkpsXgz6X/RUsxxFN8dASCbOlHFWu5r3CfgnI2fxCI4yuDblL/ctyvK+K7RKZonNeVkQQvK+4Fb0yr4qVaQiImzkfFGQGZ71a6QV7MECo/cvK1bQVIgHvQbv4cqvkZgK/xdzs7EqOl2Kor03iOQvsbKgW4AiswQCALNvFrHt/mgGw2pX3H/6zCekYY1xZ7p2TJnYp2prfKOpQ/R9nV1fuD85x960nI4UpeGGAlFhHP0ISt3a2K0XpuBl9/EdlzvBFz1QrrpOud5Tbp7//W1qovlGWmBGmbLylRCgzvVHuutcZ+7/eFRtscyGK1WkZkkhhHDkOJ+OWXaRlfnhfN0swpktZGFyUaPrMSj9YGyLl/pgMJij0yFQA548XPkjgqI+xfK/968eX3si+OgXMAuxBXHG2zqnYVEPtREIpeFYpmt7R6y6TPQiidCt1oeqLFN/egEU6vSDpCvcc4tdf1E7BPzkAWusmCEesl2PV2lfLhfSPDi5cGSbY8cROxu49j+cvdZcAxTp+gxWXgW5DG/W0eC2A9ZoCxAOd6Z0S+4L6vEhbL3oxsPDykweFdjXElBjHpoAt+IsyNlBfECFLFerlpbK3yHlzg131RArzZ0WpY5B8KlICeM2t0/41WaUIljXZXvFqw6CXFEFT7vPhIPuEGoACJ4YOoyGdP4AV1jDvBCCRk55dqHEO6KkLxcqMjTgFWl/ROTcJxRDC8N+rEuUxOVwf0CyuHzA0dfJjcnVor+qzYxIcOqGIDc6WIHzA4UF5dWdcM5myOGZEB1LbXluweYu7LisLTW1myNb+We+IJy1/T8R0gvn/IxRMp9XHFVEa3jyG1ITSM+h2lN/1OqLGJQxRb5gatsCLngAcUYJa1JClxm5N1N1zNNOzuHYYgP2M5xJ04R/P8o0JjTwBOPAN+sgfPSsio0yJ6cQ56o3Nlle0MT/UwuVzXbH9Ud/G+kmYUeySV6c1tn6WUbEAoBmuh6TvxBI5s1M4Cz/OsXdflEsQU8Hw+3kYMeATmeYnqwv/wJr2/fQJBs7YoBqD9ldZjq+3oOfuVAOlamJtSmCNUIzMyawq1XTmU2dhBzBQLwSr3w6u1LwKJYzFktdZ/70A2EuXaOq2ZiOP2sZLMU0KfGVoZYRiIdWLEx45Q0VYkNKzPXNAwitPzIcewgG8CJRIQOk3UnbFapGR3BNLi7hvIXRw17Z9ijCRbknKiYnHeyhGMW/aoU8lwFnICSA57V7MtmgAjpzxfTy2I3aGfkklzpJOuMKgqRA12sBJIQPnEVLuJ32eqRR3twzMB0Gqxc4oWFlpJBLnc9CPZN3kUWi2I7Bv0Lv6JYy423FfFMu1YDAoNZgILNPabQ6YdarlCWJ1mU/Ru3Kq87WIWbwc9j8Z1OqqlkjADjC8DuZ1eMPHy+DBpdRMPpWvSqobkHEWdoaLQzJ+lASFJUhUEsRtrZJtnRSbi7ZdPJg2/DCo14rPHkaoWEmiTJNvsV3DZ1BKzITryuz5CAVOaGrOCRh6hztu2YBwQ0IZku5Hmd60eYdeC9x7A2ZhU30Xa8ku+jdBS9oazACX55U+o4b97VnHrqwbwebqPbADMldHEstcmaRhMRniwbMtrk3CHzRprN25CVhdcbiwIt10qpIkYoK5pIj9OHKyFbUdSe3qByKnfqTYLsjhZKoYzxtLOE+L0L4KGR80wbxirtyQarAQ1yRF+oYXP1O3nW156zcAFhSwFuY19Vmfrhq7RhxbyGZmExyaKWhlXU5QTJpYq6Q+4mF5S3nqjQ3nJuJHQ5NxD9tFZ77Mh3eEOd4fFYtOJGJ6/22RL2SjqsD15C48Gk9yzy3XysOOdEi55juWYFPFyA/9qjPXCUx0nzEwDj8Hn5VFnqTL4T50G94uq8gCuQdy+qyt5wvGuAA7+KVcvIqetPKtLPVgC6voAOhfWFmBOa2a1LUE7DNugU1X7MYvrFonjVyPfIaY/qbS6FhPsWKW99EmLTNU4n7SLk/cfCy9grSP/nZBbuesNom0be7El6YAxJSbyKdEnfHczXYS6UOvylfC++bgriaa62YSLDHQudpDqwrjwBviwSl4HTKVsHEiHV6RdejB16IkvOL+w5vL5aqswUorsEAg53Pppmum6H0LTlYG2S2P2jcxqrIa4I/9n7jdZDWhmtHWWaJkMMmJYTDXXbNEzQuMwswfn4OJTXeF31wpIp6Djv+ZJBzh7m7HH9/oOyTS//HyqKGXnqIQTxtBQVN3l3M1C7ufMszwa/oThJfUb8Wz1uRuRIO8/G3crwhOa72UniqnLayPJG+S8FP2w3+hJbxRkdFws3kTfdliHvJzDuKgbUbSSjx8QnEtlXfzfnqEdEKvhOzKPw6oF0YLF48LWbCxnm0fH2khSYOTFRAqDUIAYEn4OpTavhzHt3Nc6K0HGq7BUxy2nTMof8H10PE/bDrwfMFEYWhed+SH4tem9xbBp1fm9u5Is3c9Zm+X143XinBXeYardj/E2TWiW0fx+AAYSPvzy2zlRV6VYJeHq72XbfzZDPieBvaYJsutVJxDsfA5zR9d15mFz8C654rZjZE/zGeU2+X1kizqi37A6FukTi+a5XtjjHuVT8+9s9784FTSRb1gXo0Xou/YIOHz1M1fHoBkRnIXtHuTNArn58RgMDFRtPL4HxdOe69sHCM7RV5UoUmyacdTb939wfPmsRthmthYAljsQjOk/eIbyTwObpFYDTg0JzNOikMDRS90cWmkAu5O8P6ipVCB3TplrUNJv8KLiFlEgVl/k8Yac2Ev2ZkzbDfSMvMSnszx9bvFcitG3hYfjTB6L1F9hcoL/FR/umRiiY2tyGEDEFW8uEVM6NGQMmiFrpTGtWQk275lobBgeUrh/SkM58m/8VF6qQjYI3aZATFL9DChHHWDVliyScHYcYqzUMZeZH86/tEqU8qLYlbr+xkhobUa7JgVBF6eGfHvp0tt/aFkfs2vBqi6uJM8VhtFShrNfuYaDIWW6Ge2qmqQzcwbY++XTzBpv+LXtbMluv2AorZp20BaS1adL4ijGnDphm21xxy06k/9O4k2Ka4TTy8VLIT9Pg8V6SCzuDJwfXO8pHwBQKRF4EqMFMovEEipmeq/Xzguz1BlJ7Bvdoq00pWKBWQbIYME2NhmVEvGXA+qkmIq1ka59zfhxg5lpOBngXR5AUbQGcA/lar9ObrEmU+Q8A3kuHe+/sEj4B+17QNZcYErNkaMC2YBavWDHNbcohlKFP9Ru0k4EucycnzWZFj+8NGd5BgzXPTfnJDe9FefwhxPXJs9RUJjAWCl6wTIe8OotUpKXmOetQxqCcctDkp88PDRlfLVm4PW9Hb9N0DDbnCUD7ngUtO7/2jEEKfRL4xA6v531lSouPN+igq1lxejdtE2CsCetQLQxtccuDZ50gmKwZIbpz6UcPdQ27x2y/Y0X/AkfsDwqu6U9T9pNVpM0kF/DGF2uD3t5oE1oBazOFmB0YMNjYYf0CBR7r2qxVTFe+95UVy8nYvjvJoVXyBqFhAwgTI/4Atav72uu2uTxbWVTiKUaUpi7cFvDxBQG32DphQsEAvnwGQx8HhSuye5VTOgi0WodjyeT+UsxDEzv64OE3cQIytpmS1p+UWEjn8wv+edp9f/P9Y9lQgapk5KZY4BItEWfvA7j5m0q5J3gQmAE+Oa1HJKCuxl4m+829PE3hA1tuvysNj8Wl4h5wsC+ObYuA1PcUs6KTTJAfYz4+RKztSAifdDMi7qMuAR2Kkl54FpScV3CTKd2Rz/UOZiEW/9amcRPMkKznJ/c+LNLEHohjSrH2iSAWqy3TXxqxobS4xMqFkxksp+DiD0Qn8rbrPIlfW2rnWPsx65twaEI1rybIDuwjyV9pOdVwY29OJbtkRAZW03MFp3hEe1+IwuMzKuEiQXzRRuSkvbpKTTIELtPUu1M7AYshLMCGTtMZj5hDHK4Xv5fBXN4C5zDrUgX8CJ6KMvCzO6y3gEZRTkN/OBGUAvaKZtQuykz8aK3ASorXX/DZHeoxAd8vEpt9gq1argh/oTb8NrJ6zDg8+0MSpMsd5rCgocfaqOMQgXunD2RLrE5wSy77dH4vkEHFj/T2q0e8ymlFuf6THE41FKkboZnAHxlEZUXHoTOoV299rVML7O+4TgLKinUfpFpnBk3BndbpwkndU+zdR3QMhwCCD3B8vi8kVTNGO8sxiHASP6N+57KFCDmzZ0mD10P6yyq8vVmHP+H3YaHgQwkO+SlMIbJKe1m6yJ2vCLnrkk3vWju25r34HjjDIpbs8h7SWCScRx9g3Fb+qsK9HahJGqjE9dgeNxil7kWBT9FqP/pmWALlzCza9k97LkLmcIx+dgN9ywVFi4e6he9kYfQPpV4Lf5cxJWcE7zAG6ciuB1L+jMadCzJsPAakOBV6hV6Hlj8+5nSEwR03m/oPrjTWxs1UqDEHJGMBYb5ZJXKnsKAkBXVu2wspNSAZ+ip8XjrjzLxjg4FyX3F23uCfOfN7dZcH1LnYk88cCWmb5SyYFExg0nkiaQer/uGsvD5QEtUySWMrBs2DFyn+JEtbynieWl3FbpM2Mdx5X6UiuWxHtIsL46AJyvENLaH2B9yPoxX2JhwDRtO3QvZS66WSQ68b0K5s3amuvI8R3HNidQF/m4qu2tqGNE3cdQubMYImzPJUFhu+uV3aODeLHaEKQ4CZw9jsLiY4IfwwEbzLR4s1a0EruO1AjjqK2aYogpTOHydrb6C3qqbq1QSqETsPg6LnKSkbZX176IaJytfy1iBx1/2wMzKHoTIuKqOU1DDIryzeiRepWBfJqEytVZLhUp88L51Fum7H7LYa0vSD/5WNuc6gGufrDTQfR5dA1ABpflF1GemWtpjnrOOCUTilMVE3qlcgS3aRyBcytH0lyiTh8o19vJSCgC7IBE+s6Sv0IVw8jave/YhrbtrouNrpxgEeznWt+qIfyh6GKe8zN5ZnLl5U0JJa+2fImSQ/pJdUA5ja60XQD/kW6kX8cer4PIJKxvXCQQT71GN0nqQSa2Du6hIpOzokCbyq9mtmouqZ2aJvFFf1LMdLM20koZcUeR5P074CExvdZD+3wBxup3a7En9N0WYwrauRLcPc7ReXEBDCn/6kP4yZCOYQecvB4Ixqrh7qZF0Tx+zzWo0l4wX8BuHf83o73ympUMZDcCCMzeRfSfAbLgoTc6RWM6Uuv8qZsqETZHIJmAXmFfrgb1VVX2MtAzhjmKFo5WE2d9EZhXAHvpEG7+pjkpDbiuMIuL4+dRhpz6O66slV6KI/fZj/duKhbkrnr8ZO2LAKPTkQ4ghCvwanJVkcNN2W0/Wm7MZD6LDdZZ36D/iV/hXI+R9t4WpxjYGtDnVOwJQ/fDc6YRxGYSpvmHc6ICigYA5ckXsowdBHL3BfdG2ZysollEmMCk3fxk1wLjRvr+gdEmlOXyJqlBP87mxgbSUjOcu+fHClMtqC4Vd/DrYDWGBKGLqyiDkcR7KZB9NrwA7iwQ0dotDlx5xGQjBLJDNgXHi99ltcaRRlIPBlqVFBQReLqVHEhFCiijCif0gbYmamU6fq9oxfIx/9eZEi4cVKrox5Hqpy5EqCjmTLjZUKfeF8tPnA/hk6HhmARjG5BVYRS99awXxQvK97wlp0eHMiv1HBQCRXTphG1JHt+Zi/kPTWZrjNzdtp+FkLRuHPYVDPyGu9XmAdebzmxA3tr3K2iDAVEFQmTvzR0Bo2bhuv0y4IJvNLwuUDg9AHZ9gplzmettnYyzNIXkbbQbS/KRq0HteGrFRpIF9NHG0C+SND/YLw2qvhgDX9LNLie/lW7pJuQ0zjg85CxlunzEc9UPNXMuitSxAgB4kXqjErOnZkvX9KyACFYeWL9Xinpo/esIxYDv9fesLTKSksEBs16JQcY65HWDLZyd0zXG4lVih9YXuyIMJvVbCTtwGeCMjM3c4tniBN1IDCbjWEmnxFDFMOPuK9XW4TkT2ZVtPzKAEvzf5375X+bW5eopDefW2HGuqw0kE7oo2Zb6Dt7BWc33o8M+/07rPSzYoc/Ivd5Is33zzsKtIOQSzhESBUfxr6gweGScpZJO4Ho8XJuLaGPTvkhpdKcaC9yprBI0bY2yVhxRqQj1ZCYIEHH2R3y2v0Mb0uMHnuiNU0WAKJSCWLctNrM8wPOe+fV+wtkVhh1VFAfl2OyWMJnPXCuQJUu7XZ5wgGuWIxraq01kkAvhFHRh6A7By9B0nL1EPNmPcZZyqFrSWz6lRiBUHOba19BU1BbQ82JjAxNde5o2h5I/ckJqBh9gdON/XR/EBu3HWFzj3p0r6DUy2YsFGCzH7zynDKIwveH14i7HDuLLEQXHlfzISRIjzvrMz95QUAcwfk9lmdp+zlcLtEGrpcOPGc7wo1iC6GdhCjbXyk9nRl3zk/q+/9Az/8sXARvWmNaNN671uCPTGIcDEvzpmdfeqSzhmuQAc1ALLjZ7O5DcM9mJniLKNbc8m0QmBfvtsM22rR0M89goo8mzLxyQy/9AX1Zed/bUhtrGygySSvPbdptAScGfbzy38HFTiJNPIVw52CMTsiARc88RDDpv6yzqjt5Q/hulxytoPyUbdrVRUcxXHg98FZbBdfzByMVA7xSzElQ9IgKBpF7jfkdVTedak1R+QjHwpz25HlSrgj6dUOAow0TiHex1WYYfdlqZ3wJYjoMxiBL53/yR4IgsbWDUB1JC50BiRS1fnidgNZyyRVK88cIot8XDRHSljrs/ASo6cJP+Si4Q9239DdY4U2BE9Nuzm4bgHcIPdZz66n9uNeWIrd5WOxHXFW6YJEaglql0UEQ2cx/qfjUPDzykEOGaJe34FceKKPblzcf32229yrOkhfP9shHq3yK2DA/nL/ou397sGTId0B+tagiPAm3W3WmC4NmceZZ05mtYlntMgCAc8oorw85JFhLUwX3TByF2KyiR3KEGwFkguOHdCCDdROXNqVWi3K4Vg/XQFAvCczyj72ndUluI30ee8B4pJ5T9J3xeWxM2+ae+6JqybVUyTe6T77I7ktSWob9vpE8v7iZK0XxeXNtyfs+Xzts83ZP4Zit7V1v6Ztl2T5GKe8OcyWvOT3oB6ZGfxyblAsGvELy68/O/jRRV0BRGtOovZiUGqpG2feq89f4ffRHa59wYjU8kHVn3vYHJ5uksikWTtYcu/OZdXPx5UUqkPgtdizv3x4aaJ0FCk66Gzr/qpHfdzijvvDXiL6UtWkUjgucP/zpCOV3yknDmPE0CYCF7o9ihpsVu7t8RFNfygZ0zzr7wGH++FvvZsn80fhYbmAyJEv2hICl67gZIBrnANz9lf85vxkUC2eUMBxl4x/2e66BBYyUow+L+9Y6e1MOVTP33K3hN8yIyKyrPI1uW5+Kh4/VesCjnTGRKNmLfJSJ3Rx/kK/XniTa8ZeOSk9HOn1zb85JnJQ6H9V6sYxBSQLUxcGX6Z6564ML1WzAEC7OZLde1lderVGq00VcPyaGo1M3gR3EV3D22M9MJnUL5TpvBiBOqKhbjPJdX1N4NU0JQHUfeTSyVzVoyBml11caUIGlDAxUlpE0jgcFTxbw1fDFdTuwJrmDDdJ8NtHVjZqQO2yrFTgiBcsThcARKRHtzFrqbWUGXbXnfuIwTgY3HlBEl6yPFy735pzEiPXp9v/o+Isiwfd2fy+NZHYl2GKX9WXNJ93jmOg8i9BBl2TftP9zXe8AhjRvmegKRdOH9R6ZuBPW3kJNrEawhR1XmFTgxkJ4QTCRDCssypcmLSqYbMYdm5+gLyR08uETTKUy3eTiFKFeeP6/n3smYNmZdubOHwW/dBRHi03F4/5AzeGX1UANlpGrf8bpMobbvQCg3Z9nfMCiNC42XkL1jywZstH//nUllz8H2OqRb0grW/iWMsNgFKe8bt823+PZ01p1SgcWRRsviJDt+PmhtMoi4DywcRjE3WmsL4+SvluJbWQjn5UvKmZSzQ6PMbX0/8rOeAaofKSsW7k6RICxPfTGBgG60KPTH6Om4xQiCzvOIuVPB0kBbBDuOTMaysu10J4EJ7yzHFsy+lzQ9tMLwgJr+UuCyHV6MsOFqRh7N/nlYtmUcSU24cQv+YFxUZpi4k+GWoc4ZoMPTrWc8u4bF7yl2FCbVY8Fe7TFHpOJ4oVLlLGf+WvWvI78dvJpaF8EIu+/Hf1lep2zJ/gwlmrDsIZ0TccMmjtOZkMhh8KiDmfuvTVSWE9PVRnZSKuQTtMSFrfa83KmEQVxTh9/GxKTbGcyKvUyqzJVb5rsE2l5iSmYizuVCeKPX8WezTVNY1DJq3Pcauk6qcFMYrZ4tPp0NAN41C/wn5Uk84zokkkId8BkecExFPvkI5Rhwyu+MGAYaSuVPCk5P9TRZVnJNkjULooPYnfX654rhb1Mh/InWa3rFggurev0FQyYLKGDUelx85UW1wDZM1jCui2IcK3HUyMHIuoYtTkRuWEcYTb3VZrJC8jtPu9LrdhjJ99nJrHBP8xp48PQw4H4d46MGZJasTV8gS9TIBgzxLHZt4havHHCO0+u4NEuksiz0ueZTl2xOyhIPYnB8xi0n6LBmvqOOrIQ8TyCLW7pTCPTuwh5H3imn8joab6tmbuWPF1EBK8gWvF3SCCCt4EJ/O2VPCeRa6M3bCXUUaHRMoeXLehoJv+yUhxRP+xtHwVdLga7ksj5YQ8GckrL2Q4e0vP4IDrd1Hnv+eSRsv6MVSk54xoWK+I0dpC9G2rUS2GbcVrhDyqePAknF0q3+7FWLkVYdoM7lJZycmNDwVD/kqFP7SXIaMSSQ0jUeoYYd/AqKOmqeRKUgOpT1jaLqSKmKR/HdOKKphMvgZ9xsD0FTXWwLqwFVc5F8J9e1k28GmGuOPjWLlcI6XRNFQNJgQ+AlBR5WKJ1frRSeEksSa6jvhO5gOpP7vHRuIqLwh8CjJaao2ncj2gs8a72I4lHw0bxV+zNK7uhiZhsbCH/d4GCOySfsclNd6bHMQzmSGJTalfizuoGASvjAKw9hWuaz9yaZXZvCpSLnmCbkH0WffqM2NDowDXC4UOIQZePdlx0AiCIhhqERhmtgan63YPj0xNpsVc5GV4P7w+EMlEpQSVwAKmyGiEjJThBfCrAzKrJyw5f/JNE0CGKn6P6BOuKIYuJjwVe4wTYvCK9UwA3gBkgU2SkmN/+uRnK8biLp2Ezw6BolOiD8XYzVZ/ZmjeFUiRXfkygiMqN9htBuBCcBsQlZvV2mJAofaGRrnmjLqvfxe9x/GmVjtlB8huFAbIzWdYnFLYurleQfzwN2Ok6agu9K7TkbGx4wU9Urpbfgo8sgNxyp+TtMOumZpuWyVYL/HVYloNiJennRx0LJyUX8aCKi1KHuL3z9l4LWl0Rr0w1F0+OTPZ67Mp263O7VqQLXyjDNGQ/1JgnzeeSWAYeYKYJBw0LqHkFD9/ZcIkwU6xw9VQiGBJwvajpL/9Y6yfoOHycmrNxwRerNIQaEXpiQd6ILMuRByJMHj61R5bV4xcubRqap+8R2Ib2CDTQ3Is0pafqAyoyT/FAo0C04MB2kDSGaKEMmRO6vcMMpMAiokenboRvoaGkHI7GdXdn2EW728c2cIgKpREGnP7fGJGFmXJ9yygr+k5ZpC5r0D9+93daRLLmh2ta9x3esyRqV9lH5IS9ozn9ZbblyuafOZjncuMF9h5hceO55F7MrIDs3CBohRfLHoSuU+Sw2jp87X4O+FXdBMjeVp/32IcVLZCsk0Xf8eTKIlP0SaNNXpYzvDuRJEKzGlXJxsWMESvv3FjblaNiIX9rQDTWf9HtgsI+4yvzqns23883f6MZEdTTmNfgPJpKY/nxIyPx9EKxml9f3pCdvc1EMjl7UTL+Ocrpo87KWwkWQnCbtcieP6zQpfLFt3gCooN+KMfUXrxPdLXYHw8R0gEsMc0VzZNCeGN+X1scj/GiuQl5X7+f8DV3f3WI5hyoLS0Ood0P+jjLt/HXWsGkhbOArrb2i2fEDcTIDAP/3Qbq81UkNVpixGCDprGrF+5bN7eY4VwnX9qjzB0uisadEk28McizVeMC4HfkYT2AsZesNQYzf6tTTKa9xesuSej1gLCXjx9w0v2VFCe61PTaOswEq1Qy8gBVa41NPCurSGxYb+hkkBfAgwzlZwN4OsPdHbdD4BtM9BnJH/1wm9O1ZWwBvXljxlmsB/JhkXxvH4A3fQj9TVDRNvE1ZV/JwPCzrAtREyXvolqqPzN88hGEhjJcpUFFanDiu68NxCJ4Cj/Fy8xe8gS1xFglrr8gx0ZpwGNCWpvgwdRl3OXZ6DQVz59OMNPhvmLfLB2ktqyWjKLYrkdPMyzRP9PKY37onocdzQSsRiqnUijrAZmmhWKa5ZCsznpuq0IkpLqc1M4spcWqyn+i5c9a5TRMOkUefLls4Ni4PGO78NHCYtsgrKmwQZN56qXUGXChvU1knKcv47ZL+wpp3Ed5Q9RNP1ELiTEZoDGWJmN+QohSnp08PKHtk4vSQY6AYtp9DukLj7PKiLZdpLUQmn0mvBi2h6U2aguFvXo/ogD4AHmIIVkUL9DVhyLcUgSNbaspbX4ttCrKZqMnNvxb1se5IeTCEc+b1KqbvcAkdj1O4S08DQX4IvoY0T5z9r0Zuob/PpoCQpXRHpiymFt7akggpNJ3rF3T4JfxUsjJ4fmwLa8TpDlk89dTWRhlLSxe/dAFNQ81C+xP1LKIwX6B41sUOFYVJc2Y7Lv/OwTVk1RWTVxu5HiXPo2bIwdKi5AcxdBPHD8Kfaz/eSBfuzpPYFOajF2uqKt2Tc0a9EdK0hnGLf3Zsbgjhnetbbk/auFRvpR+WtSW5RPIh2HFkXisn3RQ2V40oSdFktVGeIGoY5UiZz6bZUMurhLJAKK/G6H4E1wnawYEU9+Mq8D2JixTbejywXT5zDZQoU2k3TgcfdzLiGk7xdHlQAnJ41noYLg2UGc/bL7FxK09ZCnJcLapww8zmu1UaUZO2YsV+aWSYxB4GLQIf/u/mkKiukOd35tX+0AE/a1X0AAyIayFHOq1jF7aAjJD/HsthlqkSLqdE3JFWg8cyc2zxXTuV/kFFsuQroLT+cYzC/iDvfY89KU2NUbUeaNQwPsId3OSLGqaZTI69z9K3trGbV9by27YrCvz/KCIXmtSMXm4j5TEntW0nZ9KhZpM0XRZdL+v9yIKCy3bA1P+E08kNFhdUo4tivYmOrd2wi/y6u4vyzYNgxs7ifyodGbTZMWv+vVwmjtvPybN5TvTgBeR2reaXoreNoIszssqNQemQgvNuL0GEjGv/1as3V9xdlJ+ut5z3pfrICTgbANjSjvelgxUFZRnP8WB+1x8LEmGt3kb2k3CvtMqWvKqPSRUBQNRhSy01gx4Kz+4K6HUvAFHr3/3oqHjpoKlArocNqwaBssDL5L/zK2/y40zmtvHMA1DNo8Ri3h0TA5slEsOINVGn0FucQOqcibsHTrnGB/Vc8exmei/yguuPT4Y42fHSTSCznCzeBafbqkoOrWmX9ByPjeqRxoGWQ5m9jCMP0vabmpMsdkPfMFy+0W1DOF7UvR5gcbdzBAj6KONX5rWtF+DuQCakW/Zr26fBBwK0k/mXAytBlGKS5cIisHvP18e9ALcRbVnn5yUPah5Sr3ReyLvbxa6bJ9TKkmWsdIS3C3GDpSLNt6SobYiDW0uZrx0Ae2uQF4Niq/LSC/2RUbnV8vf0NijMtSJ7i2H0ubR/2LBCqvZFVEZKFWPnyg9LVavLa3fvetFk74uHEa2F7CjMfa44yA7PCkwRmpiZQ7yfHE2pY7jQKbj1GqOdL1TBcyZ/0m43BRGHMUTOTCD6VEUHuSUnaqCQPhRenJCvmL3iL8f7EeCvYqlWCqASleYMsrOMZIf+Sv9MKCggA6LB2KLyokEvgqtkR4T5VZ+lwU7RP4uoL3kUYyp8vjWnZ/ETfKyCP2sp6f3wQ9GYrgwMK/5Z4GBvILcPsiZ3+UV9ehX0giH/d/ZClydJ1Q5f6XPETrFMIRD6UmIT9HdFjUqtEeCw+UiEAtyKk83NEvQInZhM3x7XMT0j4Pp38fhY+Xij5SMwC+Jvs9pjE3K0VDn5KO5CKvZ6rRAJmb38H/1ksDsjjxm/BoyQAfZls0sqJqM5VGNncDwLzuhykoHH6/G+Uy2Y3r8bc3zEM3YUaav/dPV5zNw7FQXogsvpk1PcwLkc3WnJhgDgjzbAtdQLXIfNWwRTUIj6miR0ct3wqCVwj7qHBiV6sitMa6/LDVjSwrazf0LV8lDD0XJZCYyGebxGPV4CaYfJCUb4ZCF9aGGVNULQeji/VWT5RJbw1Gy6NhkfaPkX8ALM9L57HdfKv396YsGXyG9Bqgzdx5Cp2ptbtfqcsfaL2P+X4oySU9R86nUdkuc8b7N5B+WnBUWL/K3E/ELhHZ110BXUNzCrRzMYkqpcxdu88B5IsoSmLN8hswu77WrijzMsE8aMylxNNF9gojxB5/z58Tz+BFMr1SJBEVGPgrJnI8R0PMcpXh7cWaVKdfy1i89XX9b3W5gTBwB2JxdiPsWNMuGM6j1xEAQ91+M5LePE85j38CJ7j0AeVoOkkQ8U2BtAlKj3476vP4N6CFTHSbskm8jLMVGn4hHnetUOONgWcwTqJpifFKcg6AR4d1P536beXEmfr44hRBhIH+bZAL+26F61jm+sR+OZCbWdwSi5Vx2H+0gGupTaUtjSYjIEZu9GPeSgwQFqsBKJd5rOgJ2Sy2nCYlZ/o6y0vRt+M1GJzR0GdyIYNvV9GIK8pBgLigAGo75GFL9CUG0UHG0ZX8m/aZWrCespRdtTmbGQtl5CxCU/njpuE7TQ2XO0TgJPO5eGEnVYCSc3GORFev7dtL7xIaMi5loE799BE++8lIUgg8Duju03pZTL1IubYLdNcBZRULxXjaJNaIEpwDyJkNH7qYh0ZCazwP0B6reko1wSA5FosthZ44mP3TNXb+rJCRTZrpmkwxYX8qyARwta9kZA7SI46jGa5sQ7q/WzvWG8oyrTCdf3NNGRCh1B8PTM03Iuar0t7a13o0EvWMNrZYND60nZuysVq4+JnGz5r9XGQienWOsxvKAng4cqbjMJ4RJ8D8diOd2+FaKpA95jolajkdLpQTTs5rlmZa5/K6twaTV2DImsUNsf187FVfBiN29tVvi0z3XVlqab3unFzpk9toIjOP3qWdkrtC7AbcLE3IleK/nClNvnVKNIb5Mwr/pIJfI8TZ91qKJBkoQohm/PZZsWZobEZqXNrxOGGCfyBAUQ13+aATBJEbUolw+J+4eTeuYU5lR7+GbAOTgI5fDi0fNdwR/66ajyGSRGhr81n1W2YXoOg7s3Fe6ziCW4cCPU2Ej9zd16oNToH5XJac01NDWU5BTfqJ/cnGeeiJNOwxjpHV/Wjz8aKbDPM0dp0zjqW1rEbiOaYN6t34fOw1yTlLVE++R2F7DT0bAhmE2y9R37VaeG79wWteQyM0+WdRPoUIQrGCak80lgT2Ma+o2IEIEcBg9ZBzlY0hOaf+zCFR7nZCxz6aj4MLklvCuJXJi6jpSmUwhvR/M1SXU5MVVBEIf5jO/IIKHO2bFUve11ueln1eLxbrPfcv6YuWXnAeGK21h1c4g2nrFp7OwDRp8k12oDP/G/OqnRjWGoj5kiVdW2U3TLE7Fj/Sc8X6N0kRbOUk/PMqrcB9TvBRgqnpGEwYReC1tMWJ+VDHOoZKpTAH6PdwWdiZQr0Cepa4VmEWFQLLVuT5NyJ8ukYUptLc93uHC3Z9/EnOsNZARAG2cvlzutcGKpxaayVH+gqmyLLsKwiliHZNRsL4OUZRrdnkJrr9B8wyBosKcpPBwtYol6izAvAopWFI1lXwvQMwV9BZyzaW94ju9znP96nKMgflh9ybEoKcYgyIdECQKoJeH8vSwfF0X6PC5hWl7dIxzkmz75fMS+bB5zj/QfTmu1HdecBXhS71ISlkMqyTdEoe8GXYtyo8tOGEPHfn29aqP9dXVz3rqvcHbm+ejZxz1tfQeW3JdV/RrNqs5Yb5oKfOqRDy8sdMwd4aFhFVifAlGmYcx0sUkWTWQyoKS6bLAqh0zRglGlkC8r09cO/igm3Px/ml6K6TXyQjDZetymSg6FkYJ1cW/qM/a/vTn+zfSWi/DW/EjRwX/kEPq0ugRu53r1dEHwkuVnwvYVomuPpBIOGl285lxJFbFAdF36qQsZizKZWsTu0zVmeabCAtWJU0MJyXjWbNZf4VJLGPGUZ5XHx6bZlKtGbOMnJUuCHnjBcufmsXbQJoWmt9LUvlc8Wixu8nhHW/QleHpUXKQuqyyCXpzJ4gBt5v6CaPRWwn6FX0nHflOILmlrGcqKXYFoA7US1e+wErJRhGT7SNnP0hd2QiB4Ayy5m1iCk4S7fwcY05YHQ9veRoa6RpQYgUxT6yWzG/Tx7xIrDRiDDBE2+NYJFNwtDwLEGIIVXnawD2YVEoaDQjBj2IYzMki8x5XZrq1Dr5/mFtE6D79grCzyTym4lIPjTN8TCc3quHcbV6dHrRelwbbaSsJ5b/fe0bywFrZ7WguqPbFGNGoDMBmbM/gu9qIJHYPH+JijDuJGlOuwP2DWy8JWu3anx2qZlZ3O+7DaN2HQN0C+7gA7xbpUyrJyhs4VTmYT66srH6UwxDe/a5QZDVovUhIAggXG4wyRSnh/R/EgHaOA9s3zo7xKORnIcXJfr0C8UQNb+nvYfTY/KKcZR8ItuoWW6c0eS5JsaqH5jJ3yKJjyZVH19xMldi8Mkr0GC3Klfyk/nl7BolvndnA88zZH0elHCzAGrawlBARfe5whIAMOyIM7+WsCEDN1miZDr58P8l+ExOQssEXSqko4eFCKGGsdTNdFKAYFEpjhovFYfgb3AkdlkWpWImdTml3iLqQ0gbwzlJ92s+/PFPYBklGPvACsGd5J8pqoUF1lqzRl3aduGAwuh3CIpzN3DU/1N+UkmBawKA/ZyAnTwy/LHPrCnnWI3EwU/qlrg2QSizvKXzFo3dX3lC2OHI4BtkgoVaiyx608n/UQ0MMrJJXyMBy70bAQw8yt/p6BxVXMa0FaJrJtpGEhRp1m6RycfCECO6RYUe3VzedXJ6/FhcOWQLSjOl3VtIXLTXzQ/cXQq4quUp0BvSQorCWWiRHU3fKpGA51CxOcy0ew0JFzD/0vXgZkzxzwuqlOtPIOgKEWP7O6HFadczq1Dru+/+JL16ZMbJJ+hGuvjchPQUSrsC+/GhR+KAheqYzhtrz6GwVVOUPYg/JgvDpbi7OkLEVgExwAHLvn9U1gZUr9C8kHg8mgW2aWXpEil8zYeYPrtmBlEN79UUmvputMSVsOk3474Z9cApsrmX4Wid09+zeu3ZX5Rc+GpsGONWrCp2y2YIGNs2neIN/o5fv3PdLzacVKkA8kbObJ3svgdUtePoOOEkG9FOdTp7kkhJBSB/Id2QaZnXgbkSfNB0Lg+OCo7GYS5VTJJaxUv6EBzKxoJsU5B8YqHrTVKBWzw9jwRvm0yyO3h330zwHtBjFlg+TQhnIb95NAheY+UUXbMDRkLuWzoKE+TtTm2dXMgCJMnEW3u6HY4zSWegGrD902qEegN8mYKx20+BhXT/FS6/YDJrcoiF3/2ynwtFq4QIgYNLKUl4vtlqXl6DBTXL5h8RaGv3c0JA7NEeoRjlWyCgIAqzE1HebBCakMi+YIo8y8qpzC/04ONjqlueNDRpMjWtrDMkqLGzaIP4P7ea29RiV/NSNzVoKJYBJJPKsczUCXczjBOLlAo1uOpK0zNMEpwEQGEcV3iC25o3HsnqSsCKT9Q0ERqQ4KrAsiGOdyU5tUAYHfD6kjKLXn5q0EB5BE7bT9lqSPycVQyXab3rVSazQfs5Sw3k8Z0wK4p+F4GdR9cQokfUa0Xd3zuNdVDDGGgK1hDYvAuH+OnQOvNFvn0gwtSSD4gkH6+hcFjuvbshZ1/y05noSAXlT0Q7Z8g3jXOWQ+HwF4pAVlJ2UIxizN5G3oJI8JBdev6a6Q4wxdnEJj4iFpzqLjnY4AzQc1uLcRBBtm6C5+1Qj6HkUL11u3a3x7UzBw874sNo4ZC+fOnBddLzNuX3tSytBCU1jjGzyuRDBWdU8Ayde5BGjjiZbdd5ltBAxCRivm2OgCY0A4JCxaYgh/mZIbJsHW96eTdMKGe9ouPZzKMF5UPy+PhbNydhrfh3H9fc2mehdiUpgyNVScqZKlvtFMSAXLDRLQZsRk57sSktlxwW+UvPo9b+JzBGbmBG/KDQ2VHdkxf+LxXRPykELZgcXHbj3OTgdaCHeddVDnzgbwOn44lCdxcoBrkSEXEgCeO8fEMSwCmDerKEqATPhId51v+ut7fbFcO3DSybiZxTiTpzlApq6LB1QBRV7zmWRd26aA7sTKqT8M8f4gUEME4S+JYhXwVuyUkR0j/Oc6vCN7lLtI5QrDIxQMExG3sdRH5yHwu3by6XpSaQNfYRg6PJ4V4T2+KmMjHa8EUOwj/6EnO7/14tjDWMqpjcRHwoOvRrWzBseN1eYHNV9Xh15X1I6/SkVc37tHObh6YBtL8SRMkY3BOQd6cPI+hqq3BLX5WsYZnZ38uIJQ9XAOTV1NvxYkQpV6PoU9RLugLFhyqc2PWW1TJYZ/9X+iw4K2blL0s6NbcIau/Ppxf1GKO06z0krry1trPuEAZmgmkpSEOwauh1czAwVawC/U2R0CH0kmvl3LrUh5ZcS12rjTQaP7GF80rhkXESv6Un1yJUGxLlEE/SNFkmuxtbOdN0bbu2vRWkQy3Yo9AIFYgMwWIr9B8N1E6EZLr9EL+bdZ8I2D1tjA+w5XZ6yU2EviUCW+ZFbWNnnurpReZ9B5w1T4837c+YdNx6TjLTHHPlHIxo1Njiy0wqk4ZPfH1vSp7jDznJcvpd/mZUV/7GlIgVVuojIpd64ZKJreD/V96Qfo9kxDB+3T6NUFir0t9GsJ8j7ehxj+Ab2t5oSHEevieih042fqLWLVNK8ENygaOC/o5EJwjeB1kOlCYtrgD/i5yRKfr2FRV7RuJaX+4oKwtEOKGBqwiepFunexuITFHuivFNeU6xaR6vJma8TnAHkQDqrk8bVLWNap46d8hIfcLYq1ZNp0WAIvab0ZkFoROXaNfioNKsDX4jGqJ2VxNdalw0DPLi73J1psRudJyKRX5LkWFrnRG8fZ2iozZPK6aJJcUdanLwzTke2HCj0gJM37qMtCbTUi3RZazaEbwJNyCVKFsNAvB37gDfPqsX1Oi1oeu8schyVkUC8eRBY0exZEJ2XkRCFss7sH6jsX5t70qEuJ/+opa61PngQNr5ij6OHEQiZq+fMv0Lng1V2+JEiWtMqARY7gheI5PS7DCT4gFfTMrkKzd5d1wMWsoXXGq+rBECzl85juAxmtJ8Lq3UIO9iFtdaBWpLnuorH2KjLeDXKyexZZN+zHj/khUlI2nfyolX2VjW7dOnrZPWVDFaWBtWd5OnWHj9iSeh7KCyntgUuZDlZNecVXeilDzYm0OyZzLXwGNh086uGUjUVBMGvGvLZvnnVoVmpimZ2cLcYyTuCV8MNmyWzAT2w1DR9Ax+T05Mo10PY3YA9oxW7NhO3sVyyTeNE5Mm0Tu6ekRL1nKLSNYlNJvy5wubPsDrcXR3mz626t8Xwv6bkiSe6lUEiXvkXEJScP5UDRniNaIIUIhdveo/6HNf9vQQWDWIk9dNZSMrKC3l6zAu/KPvaWdaejjGtvKmU332Lfvj4pBc1QWMO2+haRSPR7h/Cng9V7Pm0ZW2Fgaxw3xIw7px+PJdLeBOiiA1LJz19CwxTLoWuyYVPXwz/MQlXEYQ8H1a2pZNFo4hcT2al4KAJVPgivZ37qPk1k6mG1NF2bQdQKRileOV4paEWEP9CicKHLlbkkVOc9a4xcs8QtOsWyZgCioq/2eiisMGttfDNfLOkTHV9CMnLTQCg8f3RYPFhsijYEhRKwLTAntkUYS9c1jZlhyckRgI0BILV389U4JXsuoA8hu4PjU+9K/785pFBbKdWk1y/FzuIt/2WdUS/Bd/tvKEKyboMcWkrItdb7M2/JuScHF4Tw9wrt73xXxLGSQt/mmiExAzhvU3uInVjxNhbts2hA47nyjF6m7xbBH8gfLBgWTlxJ7V8H/jWfM4TJAoMzDZVlzSOsgGDGVETQbyykB3hGL7Gn1mbspCWykqtVlpYKjeMLpn5i14bHMWCMC7qypDlCEwJP2LEaAlUhGPpiATFFHjxE5FUHza6OlpR3NIcXAKOG1PT6ZcgTWUmu8ABlzU5t+XveWFJfwZ5T/hIxSPOX3JDXwn16l1q9YYxumAXfssUNjMGZTMj8Kieo0gl8hLxKdz3rW+MTubQk/wuYNd9hebrnt+bvng/IOzqVq8JkyWrUvA32tjFfXF13qCteCEtVvjyzUF3fKe6Nv+02DwimOEmWjoqNVf8stm56oel2XRySTBZ4jfaQUEHC+l4HYVafUfFK2kNAuMWkd0pOhJTRSaED6NLDWezCn6Vix049JnTgMunMOSlaRkLa/9AvCihtXCHlHo//B5iuXuetjwGxPD+kSHpGcwk0ym3IqyIaPkdNoGjpK2wIj9UQJU6Uy556i8m4hyLZI38XjACpNVzhvw/KYX3cr9Y3vv4R/DY32AHgsADksaVH7CyHN113+v8x/eCsXn9rt0QG0rPzvDYJBNU1JEdUOXnHTTFM9iBicdi6xaxwifyhsPVyouMgmvRbe4fFgxLJAjh7nI7TB07TP5TcCVK4pJO297xw+gfSeafASXx6IytauyoSqFcgMZPauDYXVjO6BRcNGVlHVm7QoV4z/FEfoNoAdZNjUzTltpOLdoJ5Ve8t+o8TSwVdIDEuG9AhTf0M98w6H8MHXviHIe3dLb0xEqquDcsxhd4yqAO96LR6ri5WbVSbVEmqTHsDukUGfGcLwMGBX/m5/dg7ESydncaurt9cHKyEur8J2S78BIu2IHc2AiTzs4YuoPbkHeFDElp35qF8VlkRKpu/+MNU8jevIjh9iobxV/zPbnswIGLSVTqbx6xxOZAY6fye0u92c6ny1W8dBIhQ9rZPk+m8epIEEPcHKywcCjfr+TNw2qNWRTkmj/xzzsNYGK+BzA7/8V25qbMAaruWS6r40F1ERMtqnmxB8FFqU05FSfM9FEIGAhUDAm3d1H9ziVttrTzSTSr9pxrs9hw7ErnyCEWyVuT6E37fdH/lYnDCWpzQ89cFC8ayRErlTaIUyuGG5xURWnTbIoCMuey9acYd6lEK4/K5zsmp0iCqYmhRXcREPizvYJqbQE1JbZ//rZaFPOZhFC5xWMgOZsj7ajr16h8lmj8PkPIcExS8PScpXl1mW0OhUOQZOxM2LnDsgBCnrnOKzjEdgcE+dEW/bseF70KG14vi2I6pq/zUbFHc6LRB6leqRRGPtHv72RRgPSUtvWp8WN++rsZmBFtb+XfJC2J/KQtPPEBqugiB3jHESHNdxsOLQQIa/VX9G8wU13rzkHpOsqnjPyQalJxHoPuwOPfUu14P+axqPwE3Z5+k/iqEg6afOVaR+0HEQCVC99SSHJvwmRnlZpjLb11cOtP2IUyuu8wVWoMiJVeQo6qJvsnzxVbmazlSlzXb6V/FQpY4yBZCt4n5PL5/JztI0JiOuu+8aIHIAs/9arPFxOrjMCNqICi6/6d7ZXHK6RjHvaWWQktWVaVOaQHmjXVprI1iBokniUjK9ux38le61bzmB8EBRZIF0gY78dJbSszkctltt6J9nBx2VoKch6Z6QUy6I6re2+BK5zBMUpscqA46OI+o1I0IDhyiJHhKXxtV4rkJOZN6zaCNzzRkzJZ9qN2ts+rlGspPNLGjDvawLnbmHBFHUfnDlBgXmY8cZoEaVmBANm1OBqL+oBUDe3xDnvQ1if3AMs+eXeTzwrj+Dq+iwnu4KxKSkRbNI5jjGKj7n9EM4j8RWu4u86n22tadjcnXWN0ykvr5G6JYgKQcM0o7lDca7VHtWnygbF1xHrV1uHtQ+epylSEXPGzkMZn27+PKHgvtEqzMvBosDVcl0WssMhMzbBbzmfcPw5p2p9broBHecbqbLGWYu5ku6RQW4yUspMxc9gmm6E/LCzTbn64AXSpWfPcXtQnGaXYFJ9Uuw0MaWI4GZHZEvXhOEb6RNOx+oWqgiE9UmjleNU6+dxOBHkAo41YcVW/8hMZYqlu4arj4a6M37QrfEOyzVFtZRQeeeXQk2KJWods4toDwufK42vsjQZC6hn11ifnyiAD5Ghpo20Hq7PaxCQDNO1ZZFGmoQ5gzIzb1WW9Pn/ThyZvuFJH1zAtIwSW8SEMOIAlO520SY/sc8FAAl5zaJAWR0IYDvmQYrj3vQWtUb1YHmHjkYG61UfGYLVbME99IAqua+17YLiYvxXuCdbqvV9YpKjjk/XOZsL8JCX7+feGRlue6gsUo9qhVR8zVukEKNRo+e0BRfqz6hrBsk39OCaMxLL9CQst6TvyLEV90EP+WT4XB+g+NKWETM/0fFMqH9JrvzyFrkl+TuO6JXXNtPAkEgGI6s7Dmed+VmTu5KXceMgixBf5BCYX59fEJwjI60tx9UlZ9QxtkqjrY/KU8m7KR4PzEgGvFmXXDwQ7tiuEgvZNLyW2uaHwF2cbHxPOSwEtnOZwk3EeuMtgp17TzOnfCDyDJO3xkNQm8G2E+qnyiqE+/jFhdHysJjx4lCjlf9KW1ZkRqA5HQVuWQ0lorr7so9yGEbJtKlSQoAP1lahYkJbWLAVIKTf7CCO1BbLHerQns8RKQDrFd962+doHgHZ9EmfsiwyNb8sdJeOfdWYvBFPB/ixZ0gGoUL2xj2q1K/4HuQkq5n4yROhbDBSfc/VwebhsaQoFyqoLepLZ6p7k0ryfoMa8OrvX35Fq7NI4pDroUoY3yu0vT7zwXlb7pRHxjy0lS9DVlE6YggqSAD/XVeP5+Gmo5V3XojGSp3Ha6D6h0XQaSujEUgmbBM1GsSLkGuHgy8vdchaljorqaO/tFyxMxkZzRc4l1pjymUIdZyRWvTVhrPbpLbAyRi8XQYCYCkdHTG0Y9mzp8PvC5gObTQyLR7dU/n1ibEase/V2zEM1ptM3rbe6yJGlcYbD6c131bCzVAY41BNcTR5ooPsL37jYZCG6KJNpYWj0e5V2d71uw+I27BR3fS98x39lZ/PaUS4ze8+LxXXWkANeXJ6t7enqRGr0taE/M4WiABBabkKRwY1e+3srF5x6IFDPsisV3Nq6+brPfr9jlDRoRvIoQhItYwNr92QdDOT9MuIupEkhS1API0qzPRkZEreh4DOfgB2V57mf0w7KtVGo5NpzTOTa3naAAp06ec4WIP7Y4hFkEXHVwjjJCO7mrgC8oJwsDLhzJoLRjFEDhoE/S8ep2SsI8Cg5KKQignoEXOCEhBzBpqTZ1Il2CJj21xargUDWLKLxynS8MXXtKDTUmFcqMBRw1faQiPjTg1/Y9Jt0stMamUj9LHUu2mdtGY9xt/vrBKsc7J2J9JpNxjjxYrnmdzz3knY3z0N3vzb8lEZQnyEjqoA4WAieEnneFX+aUFTcP4U60uDlKpHrStm6crjDIMPjoq97oom5BadiZrCR4qI6YHV6C6jBAf3wHKUC9R193w/ALOuHkFyh5uzS2ezCgGV3rPtZobeiPW9rChs2YAEaqgoeEe3Pqk1x5OUSUr473V1jxyZk9N2TegoXAr7rnYNzce5zQNie6yEeNZmJIcXl5MDOxBV9us/eD2FXUEYBSQfLuW0kqriy+ow/PrFcpd+Hp0UPCru29RHvX+lHH2ZfUQaTF39f3O8oCllmO23912UaP6hhuUwjO4HSOs4su/srTGeBDGprnr9Hy9yiV57utmcuMrj6nFhtf2Z1ot+WgsE+JmspkYKzK+r0UfCMshnOG/BJ1LVnPENRZLVFBlVmm5uXGsfDLV2r4s5jkGSSHeyBSSFVQHnlABLd86ji7qU80mdQqBQ64hyWBhhaUuB77z2Ia2e/WexwB2TOZoCDNsznQcX3Rxc4WqDkQFiXhFb0pgTXDVSYH8VFEUl3NiKT2kFuAxj44zDlPYsDcExyMBG3+6gsJoRd6NCxSI9nZXc8BdTShgsaYB/zAVOw8PN6ZnjBziKEU7BOG1Mzh/SY1tFmRjVr2kBNAZBp+Vrzj9xlCG4Up2NIVSxbpxUFWUQAXsQzjutmazMfKQg5Sxh/VNey7RjCD6fnCxSrSmxhrVusq1JF1PYtT+AVHFUz4J+KD2znsnStRIUAy7MMKFzI0uU9b913vPa45nwQPpp53J/tvO79bogU2jOebA+avFaeGEW11+8Yw40EZFKuU8RhjCCjoHf/36XFw5nSlGeZ2w0bTCk3v8v0zioXEtuqL3QmWO4lm0zF7K+ED6W2V/fQWeAvctpoyxblKVrJaIGLN71OZgLnaSTxNj+uBrm0/S9U6MGdvRb5MUod0IwnXhK2ZsbiBB+yf2gpiOc89XFEHcf20d4PNIFI/G0KBGmG2D6QTQbPFh+d3cOCw4JrqK6CLxFcEwnP3Ccwe1Lrt2eQ0+8ukk4nKTDie1+vL2xhjr46r9quTInXo24tPiPO1eDZV1fMW7Sp3jTO+QjCzU4KR0UEVyeV3fqfxMAV1B0rzLhajjOeO/PpkrALwM+hEXBeAv746u0a/cIknqaZBUIENQRbGp+wDe/+p6cFvr7WMYiRdFrN3iwe4omLnPG7XeO2EiR2N82/Fmd0DoM39p9JFm4ErfQWrLmqRlOHS0EySsW5ZJPFnZLS3ekluvjX6bicehQPvoStvDkVnJTLH3s3bz6gptxvOyzlI39ovtfsvlRWHtPSVrdZx98wXrTV/XW+Oo9Ei6rXEue5IzrCVvQVrr2nuVCuqXS1bjRcisTAozJ1czBJWMm14FSgkGE9/6BQsW/c2lc93UrXc+1Ep9ZsYG80/qBmhF1ySiMkoajonGGSNnbNFcwxa4WjVJutLC3im/RFflX5MpHKiawtjSPbZj+PUV1ukRBZ37/hISq40HNSlIPv6U/nFSxXWb3QIpwF5WaFv/C9GM13Y+Ng0oEAw/6xhd80/+Su+38PS47one7Lyro53y8HV+1AwjmbSxh4G8lVm8R2+O0jKVMaRTZaFgKHeLlt8gnc7nopf87XIoC0ij0UKQJ5ZqnxBPJXw4p+n1Ci9BLy6b0JDykOf3lI+OrvNYlOUhUQnsZE54j7vzScmJXaKTJA06tTJ8zDzL4UJj0Q2XSkKhCvKMdBQL3T7Ci8OW8T2s3/R1fXA7bbU99dAHHeIAX/5XTUjY35kDMjBkkIsMbARuTlyIF2KGvVq0PsqT3KQOBG3x62A1G73PoUpbB3d+eTkSvLJoCgH+6BIc8IfITTPNbhLrvpEY66yGs7q/YOBbsf4AffDlnBt8gV43gIJEw5Q5iP6ur5pjEPPPzsd++LYY3ITiryIF29tyK+Fr2XR0ROiuyKoipc9Fm5VoltjDSZ7ZJE3aX1vHOcUokiNFrSeKmQ8tRyiEpnSK1ElKRyVk1Abu8u3tLAAdQdUaH2uVUTgl4QvYxEgmkiLZA8/GGWQKvtl7qin/Nbi553BwNx8Nnb4/j8+bjJNCMzDUpC7VnnnD/Hc+krYdwdaOOg6N8vI/qVmHNHrBStWuVxuQgrRMWbUphoukHvyuWgrrTZ+HUx9kh3a5SkrnaJrXPQx8o2kUugwjBebVkymqmN96kRZyE6QOT3c+YAP9vnEL6h1QJjWplYiYLjLfb+c1RmbgqKEMrVF7SzRUQ7GYQ2XwJCfDBzIHYwsJnytCY89s9A3Lz0g0m0wG3eNb0JuUUcvw/GBgbNtHSCBooLuin6f6JHkZ8yczHGr/vksGffrfbU7XZJxBiBIGXyoFQ8w+BHh/zIJvPn7gcYV7PEP5WQNbT3kiIz1VV0oVvphl/qHz6fz/Cbs/gez7p4XuQPCRQ+mKRjhSiv4f4NSGUs/k8Rj1BGnK6CL3QsBijw6MtlBP8goyrnAk0NU5HzDjOSpAGD+8u1X8m0+WflyofWmIkhqDDfhC6SxPLj2dVHpUl08AET+2rz4PBAZMqiVUB7C6gE/JXoPOzPVXJuRsQhBAvN3X/jWhuam8sUVptZ9hWzNGciR9GrNMWxFm+9Zlq/F5noxDhoS1+7rv1YxLDBJyFn+DmRlhvOCAp/Dm+jjtU0mIPfcCltwUgZA5r5pUXVZfv9Lk4P+8lXGiOv6K2uC8YcOv1xH/M+RJwdcRP3jW05+RHH5W9Ay84L9qD8v3e4rup9U6Egi4Zg3FIGLRhjyz2bHbwK20IihHlQLFlIkFFnkApMzRwtuxZdL0ECNPSfv7E05VjHbdPSfNHfMZ7/ZOyyfazOnrN8pnEVSi4I5yrKuiTU78lk+ohvThiYsgR3UPxvkBKtqtuNwLeGSGVYog1bYc9A0aA2toqw8CsFDqUO2IDcVMUwBzS0/xLrMVrZtexhjnwpWjF1e/0Xs/oOML/g9D17ievshpHhqFMDr6KfGzsOS1/nbL5Gvwq48ctvN3Vevh5WQe/Cxp5GUTjz4Eajcd+ywZ2w5PAi94CiaVA9YgzTHR+9T4kanVU2txbtAy01JpECMv/09ltF4r4EJqEAY6VTDJuPwRbH9PUnghykVxGcEplPIj1C8aglVJlpdqRBtQP38I9zr11jh4KS3TGTV9fq+mqUPBT2rFfmTZWIDgNcxb7aMePY35dknmItNmFaH2ApVx8Sh/V3WvFr764Eay20Lxp8PY0Qt9JMdb+qVxzw0q6YzWY4810XetHEnHT3aexzr2schO6LSXI86z6RVF4RS+WdrpOG2uT4gxxGWTc4yitBkpcrA2G6vE5D0/tCXBq3AcOJHOicTjtJUOl8Vss4ccaTEWMMQrCblheBycYOsZAL5J3zKiLmnkAO5c+nHtZvNDKylyqasqfMzK91PqPETYKw6uCaGAt7A3LFympl+xCNHWwb9yYJ/cyFWbw6ywTTBYqQZNCXDNm3sExvA2DwuVTfY4qXNcxUNhuEIUCKIOZpgrIIT/7uzkPp3wtli83JUe7J3hDGVyltOHZkSq4fmHa5AEFoFk95q8Q4LF0IL70SzJpS0Cr/o4NzmHsnMjduwLVyrRTKcQEdA7RNCmo6INxbSC0d40/yTxUhmfWzcDsFcKz34WYHiAKJ6RL1Pl1f+3JmzK0ReLYEMWA46pTFVDqrC3iW6IBkvq2t2xtU0Ogh1t15sqN2D43lcANqEO2zKyIHkBu0WUeqS8hLYEUDCAlxuN13z7Kg6fVJhux38IJvTa4okWwiTnx5QADUZ+4bIrS2esFSFFj3fCmqBIw6L4e8zYtVEKG4KTrHy4xwP6EWvb1Dm+gsVzlc2ZTGEHMhcGdHUDNO1RPCK1C8eGOAFiXs2xRuKHMQy2Vd3I9RY62jNlWtPHH9I4ooAFl7OPAYGfjZl8sds2Y+82nbIyBnbECigxzsBqMxzK7oqAxRhS+gN23NkQf1CDalh+bCisIEUeEH4S4BekSMvXaCUeUXd18M6BShb3fkaqQs4AtWioBLGVNLJSRkDQPlZrWc3nHuk8i8YewdIm8u6giDv9i+BRDpQnO11lQtLZi2Sj50Ju4gy8M6JcWWA1TaYweg7o72wDRfZqFCa5LAy/a8g+ul+FGuoPjp2ACymFpib9nu3ffGxzda9sJSxZDTaEsrWq/3f60WfC73TpJ6EpfVXdJuEoOHLq1ponUtPWlenCToQzCTDTNdc4RQmPLVFbXpDNuHnmpWCNh7r0Z2IG8d1fStcG1s3NYEpjwXoJR9+1V+3GMb5ZFwt5cStz14M/uiftROsjQaOKjcM6gtGH/dC/bHKJYlNx9dtHI8CNnmncr2bxJLvAfP3lZpFjuxcDjZW5vlP0n8TQC5+PW//k0BO/ieFmPHQSqeaUnuJRbmp3aBoF37aKrOdw+RAbPNgc71cM+fWsLpgr+fk3PvO4mC68Fifr7wHW9Bw78yalxhE0yuLJrdFHEwzroHS5X6RFo53Ore9cnyx1zcINSqac5FYCqT7MUNWEkz9FWDbgAPjz9wq8eGQWp3gboeqWrwhrpWFS85e48JE53XakDI/d+LvSjyF6jJiUgNrTO7Q1J6+Z2jZL+YjVE5zLuoFSCdQlErZk60tq1r9t3X5m5bCBs0WLt6D2nZ2uXFOjodsV8B4UheyHIDVbT4gBIDzMpm9i3zd8nHWN8Ak+dcszJucR76yhwUp9o2HJYLR1f/w1BaKS0BhwYE0/Vdaw71yEnuOmdwH1ZvZK6qKnbNCK9++Az5M7vj268Jpy7mmcx3SAjiR1E6th2Txb7rp/JmI5LiqTbsopj/zc4qVYLjGUrGFsXg+Z1cfyBHW5Ca43pIXnH3DkY3EbWAISg/jc+Gi/JAlsYOPx1ttNDwuTWXOOywPBHuvbdf3Kc0/GeMdA3wMhmsbDe4z0nyvLCarRl55jwCI3u1fwGi5zpAhei2+RxTqxqcYx6RYDHOy0lN9Dkm3II0Tp/Poin/uenxtklVU6U9nfT/skcBIdTZlNN2Li2Bv/YIAeYV/oFGc9T6VDPUvvrpDgUzzDf9b4GnsyeoX8gkF5e1fjSkGblikgldmOlsuB/nQAAlHmRj6iDF9L1EdPmYa69FdpapVfOdxX44LMgwr/I1H9nfWNKt63OKIS/zA0IhLfdb6jYdOIbZcme6UNZVoTyC77csY8IQZ1iyBcpyZCOCNr3jwD57bnH4I3LksqIxayIlWK4X1MaBD+YVXHEbIL/Znp3kIQ6doIUAiGITxZkozD8vz97SKeXjmz2jAchHDqAOrS0P287b+MCup5Lxeut62DEEuTauvykZX3fMamVDfSPKDwvLTQbw+0ak71L0xRSTXAxz87DdAiNwiaOjic7Yj6UprE5BY0K7RNX01XuW+CzQqkTVdWGuf4K9IDzKFKPvjcJLZ8yGb3Dbjc5rGJIZChGh67df3egVjS6MW9K+VTy1/FpcidYSXTl1+0nB9JfnsjYE8zDaEdUQRRy80Vq6wE0JBvj6VBfKbjmgHmHipnTwXtn+ZLWo4cATDrV6dmR3YBq5lGdFxZtXWIArBUWy2U25DY/IC3fdIGxrijTZ+BYq7HBUgiiJXgmbjeykAEfYxNTAeY78I4Aupt5Hxf9mo+ZD/xQFl+vK9j0YX14l5e18BQexzkdk8kYq/nxQJGEu0G+BNJpvoGiKlayWl2AVr8EL9DoGtzccXdxM1k7Fw17+pGtJWPnOZ9y/edT+KvidDSS8Yy2egy068Wxpw50Xta8qmft85KM2rKbtUVomcwjrvNM6fbGIvTR/gwSmHWXwfd4Pd7zBIGSY5z9Yb2x7CWQITyKIekTx7mIuTimdqXohTJSPrlIaEm/c/10OoFRYYWQn5cGB3d6pL+mzp1NVoYfsJIHyx6Mj3l+beMqFu9L5ynbrWRR4/WyA+XeUsb4k2yhZSC9iTUQ4LNg7Gti4LcbgbGi6yLhW8j5WLe77V/Ro2y7J3rJMLDweqQL32YAnIrQV/DgwOAzHB2vpFZqz+JKgPCtMnZJ15Uk6c7pMagUFR5DxrgPwzmZqe6CyspmC9ocNLTtoJx4rGbpvvE5MfpvDQfECDTEFaJuZboNJsGsX4OCCFwC4E29NfWDb4RiQQcWEdfpjy/+geDmcVNiKodLwX4b5c1rCcSyT02G9kXAkz0ovtIlmTZIBE1Dmk5A/ji1deZ4WDXTd+vzTtxdB/UinJV2/yimWXtdXq9+daNllC7ueu+glzhJi68KPjGr5FvYZLBiRMXyUf/krnaJzIbexLVhskKPm5i/HbTe6a4djozHJ/ItI4dRFWedVoCwSiFaR8fZSBEVVFzkv0rII3y9e6R2QxOgwbjYK6T/BXTp99s8reFflQUEeFRAkr8zV0801eTz+kwChooRsNBHNayxNr9D2bN5KJqHu5XPFArsuxZwtwCZkVW1PCx6ZaT9gtzC9m3XFFLB+LT46WgFIh8heb9ognNKFiwBKHA3tIKBvT0VicqleJoLU7tV1f2FqIEGDFSFDTaL4F7m5p3Gpk7KmEBp46A7IjY04UKxtXmC4Qs2BdznQCn5l5cNN3mbgXkjcAGeByl6Ts9ft7xB/H6n0qhN+lM1n4NBBM0dVe64VGR7+cgKhLysIeVLXu+prS/NazlDuUhnEry2hGhzltEtXn3RhT1CnXG/NsrTalnUihUlVcaaTAiC6SobiwswB7e02AL58WRo3eKfZd2qMl8bHBaAdBIBVqJMc2S/551RRlyG/Jcs28EJGfTvXKfhzPfsaXkcyrN0COWGskGwUUNaLomEB8VlZjOWonGnxYv4RHdCP9Qesldbvh2WAYCXhbZOkkYb8IO3It47mziLLc90OB8Nwu0oGm3IiM5RzYzox/JPD/8vvrOj1zBVopr/lizenApeVS4Elrf2SPC6nkr4tnLAgJ6G4OjJYkBxp4FFQ4FytLLkmjDii38okOa4eopnMcggVzaV8O2Qpmj4wu+VJq6q5bQ08SuHk55qs1tWeC4endGRKl3jQkaWKyOppbZCZMFYIKXedKY8kmRKXBaXLSR7ozBYnZ9mFdNuTAYRNfLcSxEoFuuj9xEtM+d+McyBeJ4MhHmr6IcHjNEZnuCfVgide56LbFIHKXWq5POaAZn0qgZIEecRbaFkoX3RTX6r5wH+DLeKNRw26zxDnCH90KEOnX4EBN6ilJmQBrY9QTCbBFBpzYZb6SCALHcUcjwQwVh41V/W84Ru59kHZpphucfutBQo53KmGgxqw0ZhyZQPtJUXKR4BPsblj2psAugY0RzT4HCCaFdr7EOO+X761CmJcXKTLx+lx9vS5T/V4as/i55A2XbMgrjDaIlvzPS5DcYV9BrIxwr0aaLBIsAvyMn/hn17K1y7EMhUJ1jODML8szIlNe7n3o+1Di2fwZg9U4iuEWceHEi5vHrdBmkobRj42SOjY8JxMGbaDjhfKn6sIsWLh671nZMN8bk6nczH1yTexKWHhXObHmryk0+Mt9AvruAJSbjloqfH4p6D/u51DuCc3tyVig5h5rHtcCJ+KMWwHyTZ+oC0i0p+aK+1ebMafLxzZ/0R97ktsAS76IUBObom+fU7uMxP+kvZq1V0j0X/Oss/R5K0EO789xiV7yuCeKGTZP6JZHscIOvuwLejqhJa1/dJKAuUmscV8yksZw51np3/QQdTcY+maskAYVXax7Iyd1Q6PqPwAvJ8z42/FqYlbEC1/58vLOH9yq17JPXUTDkOhfObHuBusG3gffJOP4uhwpEeF1Nk9nkOpDtWQbAk09Z0oRKbQNpIESi6/4r+yKXTbDc0Wy1CUepd/zXd5X8A5H/BbyW7R5W8zznZ+0GIPtFpOWgmqZ199lxYt0MbObIPHNx9xnCYPx/G9GfJspqxvEBGtC91+oBJjW9hvl9+CLS37g7VU7W/6LBuYdg6JiB/xCiYIqKd78dLgR0rdP7lL8sXbXvt/Vkg8tgvs5vaRPrYFdHGEsXO94e5GOWGpbaxc4hm695QmGKjAm+Kk3CdIlmHNz47Tn2OJQQLTjngv3VJXex4R5XZPqSfJ5hx1KN0iNThWZXoq9G9X6utjVBrHSZhYS0bjAfC/4j22GLimeUusd8B5JtcEjDUTCVXwtgP1PsyeBnlldK3YMCRCpMWKu4bKU3gJW1HY3Ey3uaa0QzsY7OHSaMPOY3I0OrTVLBypXtp7+IkBXS9T3FrOetkkMhKpwfy3F9wFhiAWTo2zsW/maaW6/Pn7/Dc2ceTFpbSHdXfT0qy8bGjMTzUliIz1vFIerawIrwtLWc+OyX2/p2XWZ24QBPNAcDbOT9Gj23D+Fejp7qrnChiH38OB91eKjZ7bZy0SLNTVeOZdodwCw+15f0LmYRFlNxgyoniURfThYix6Hctbqha4FHojqGpPkjCSMXtck4A9ijYY5/jaxmgAWGUf0MW0xSPyLy9dE389ztm/kR9Lo4Ivd+d/clCl7GoMwc27I5ZYEsgaHZ1gxwGVT1eD44mbG1NXWufZJVOwR8ONdSW+Qwh5in3qqjGsXH87oy/f4I8lo8UJZmwgMK9d5E2qMmh6pAa2M/QYYZ4yBccDwE2pHWDjwOtHQGIxIU1etYozC/QRNCZspzBpKiN5mwg/W0MQhFYMv6OXopLeCGfLveD514jf1XJMVkW0lpA2TJHCDAZp+7c47aK/MMAC81+AbaS9JTdGMd6cNqYHtDdTp4cAoNxoJ+X/fEPY5eMJx7K20fDe+37pULqfCZcmVQPbTxwhmbSMsEWqaTs1hpv/7MNpawmpngLAPu0sCJ2XlEbfSh8s4HR9FnJ3AH3PGctDu700Lh+3/0+NU35DLOh3qmQpySRjpJ8AfDXpaCZ1gKt7HWlvlltff5sM3Zs1jLCpkRkL9slumDVQu0mLPwr7ev/awKTunrhf37Z4sipgh9OVZTkIkoeAtIXL2CrXt25unatyFdCss8YxQBbhURSom8V+DxWTwlYFHDOUeJQ7G7oiiNzG3VGsfm9ZdjugHjVrwK8o/HKS1ZiLfm+5KZGhgGlZ7M/c/hMTnQX/6Ala0IEdVuB6ocUziwJEdSgp8aUhpeCfQT/bUBzpGpVfupUTl0t3OSd9x2i5WSF597w6yyEqiZHr5I/aTmOEFDs9heJASmy6VzP8E6xSGOtWImLrH8rh5MDb17bJBoc7fBhDqX/5VrUPStpWyOloHe1vOKoD4RV6vSQeRhsU+XOIFWa6cirQ+1rHnaWVI5YjYQoci2OWj8FZc6sCKqhfPItEHK8fKLIkXKcVQcoDpydOwxMSGiT0h38clIPkSsnvzGaA5jUptuBqgUtQqHRT27UHAbjZWhX474gLBJUkwRtfE2KsmP/OLzOcRRj3rlCV2bSeThWrJhwUAFFWEo5nF+Tx/McHO2Jt4QOrhC80mIEOooImqRGFR3Mb7SHygSVMgu6RkGUMf48PipBYlmf36FlUMfsI8Ycv/TDtg3P3CJkJrbLgDoZCn9q66Ai10eBQlPD3hMaXFD/QetuawkkLX0VxIxPJ1FUeL9dqQZnihxkAXv4nfAGE9YSHCce/HIEJMcJxwsnaK61LQU80gjwT6N0uNHCh7H2X4qO0YioHFiYpb88VzklMfD80yye2ahHvTvw6WDPcdXyiva/VtvxtXAaOOlDCBmF6cSVk+etrzTtwjAx3LEn2Kzfp++fzGq+aAX9ySsZmfjUj4RCKAatVJNVmFpjogT8GJnImALhzY8MHd3PIqSM6VDZANOrHQcvP3zfqI26AvJPcoenEwUn4TsvCE4s4xWoXtECuNVOKkpVxHAgFWBlTXknz7xrEnOoFhykMVm8JxTeycBVjlJqUS/GXgYXRd364sk0DLFwYpKYHqhpAj/nFnmbRzmsjUlppJra8oZijT/RdjAZ9+sLYZV2J+zHClHTHzpSEa4SLBigc8gNW8f8NnAdewWqm3d7II36+5bXwfkYFoGbzXv8JItNZtBiKgUya5D2oYgYrpGZpkjawIX3T+7yF1yKujfrjrAj9OwWztfsDZ9gdVmdEx5p8GHBu+v4mDXzF5hdx39U1zyj7ra8cFZJ8XJhrOphdwkrpjzLeDv25DPJHfLKsw7lNzVHZ/xgM3vS78sZyRBzD66yuGNmB+DB9vJMpxRoqZg7MgsOsOJyH8lC3dXhwcWpaRrx+5kVIl5zkYymU8LZBciH9e8u8OTwL9dCvmElxfxW8zERg4j6c1zOfaTABacHhUXuJlN0ywTTmBuzhn46lfdissD8dF/qQ3hqFFU8EwkuYx0ktX0DqSfmKKoEV5uxmTcpAjb3ekzt/NC/h1IRFkxgreGgcsQD7qkq7W5kq39AS6z9ou4DkiQAbXapwVFra3qAcdJK3C9FdOLmZKnUtYeLXiEZK3sCq7zJup+V1jfVOE+mKt6w/+LQdiEEHRmep2zYCZpwQT+0fKPOlfVQtj30E2cQ3mncC7ErTIJCbu4w71iu6wCPJ9gmmSUjN1l2FUlWYrvZyD03Bm8YPSh1AvwvNPuraTNse7H9MKwRqmuGKchc70elsr4DGExBJtjDD5MBe1bCXqKxUthsGWEj54gxuWgRkPcJSDFW8RgmdiC1ZSBD3JROnPoR+M5zshIDVCf654XBhhE99RqCN8deu4Wwf8dqccG63ZnbCg/L2vcfEZbs5mt5zeoAVo6TETnIjPU2tLRpbT3ySL7VcwBWoM8FJq5fftzbrK7zpzbZOqOVS7Z6w6yswYn90DJ/hzwsEtwgjxVYJSgx4CL7qxMF5UTyNLkYbKMKeEjvx1EijnGTEt2N9RDbedMe30nxkf19x/aHM9rtrT4zkL/NMv0eFta6CR+j8WDI6cBmloOcZO6NmnqzzOiW3AbQnlHaBipidb2Z+NJZSvoSAAhkIii2j0GSFSrnHIMibIzzRdvbZzAtPv2y2JxPeVBnrWQHheXCdrpPvX3pHjbKl/PwJOni3XmSqQgQ4xVB7JP8K1/omegObrFKqe/YilkNC7wPlHVd+eeliqiYtkFuZJ4KNUWmIzciis1gZurDZBy99bo6mZqH5K1nGTwSLiKJlRdWXe3Fqva6vXuUTsbMq3PQQuO3lu7lulSUFkaodOEiP4nVvvUs2nU7g3p06hrg3qjjwm96t6sjSDqPE14+YTSRER11uA+SAlp4zN6QL7/D+AHSZrJrPKB5kYYPlkSy9eBs5cY2FciB4+Rh8z6Z1NFd2QZupNredeGCKpFf4bVvzue3OiLN+gx+ZFFMtbwGUkpR9ntM3ALzwKBSMvk6f03PBLO0csKAT0wkS7fVVIt0kRlmZO0ySBuxUTojqQ40ibNG1g8LKvoUqpRDKhBHjCg48jpbbQTxSyviJCLAh8a7mmn/yHj3xGxV0GEuNNJRR//H/G5WI0MQ0NFmWTJLSr0NLzLk8SzGnRyQwsN76QKdAHNHBlaT6gns2pbBD0qadwITt0VweA13ivyndNKhaR18cMeAHaPen/mzCW7Y135QI36ptdKgyg16hlKibBzPSJhRBZ52DoW2+z0ivdTJBo8Chihopox6/AKeeSPbK0NEeHQQMVCryGK8/fRsDuEH7XRpbNwFshaaF7pawO9x5Da1RLzStYeVLuKPquqtniVw/BICh4S4x8JpSOWTAIy/RAKRl+PvXYbdLXjxZoFV5MWreDjFR8dLuLgrzhZclldwyot3oA+Q0XzPt10eighZM0aPBxx7sgUlWLAPVYA5uqDAHcPpNUzxw9rjkPOOj4ptAJYZIuxZOMZ5ym8FlsBEdyuOobX+n1cVzhDTaGshc5YUk+4eNwkyUoUa5WH8tuab+FtpoipSBPmXDvyIuxBXKMJrGqxoBVOLYjBkdTbZbip/s8aqF15D9z+zZVpLn9IS5Q6ba+bZVzL8LZeyGpa1U09jEGAtqhjDgT65/Zd7QlftE0LimXfOS+FHu1EMcJZRfAUvKR2h1VLR4iMv0ElM/L12WDgK1b/haP20GCh0NAC/zeXB+nC0x+rPoXTAEyhmg92mGHJqOpuwh9ywGUaTYZGSnRSoGguJnjJGuyvVmqtTa5EZjVg7a2SoixBKfvrsKn0RLioRvf6VOPWL6oSLnXV9O0NqGRXmG/HjiBnq4RK7gzCNw9ybEJQFz3QnVwQ7uJaAf5rp3+U5ynMnBdeN48PFU/fdAFrFtrQCojAGW2Yvzu52k1aS0B40WpAKIVViJEEE4YNoUCKX+dx70dnaXtU3dgieL9AuT2OnxnuPtMSa4DK2b8py3FYrImk8nPrewcVmaoNgNP+wVo4a6ZPirYxYG5hVaQ2rVcK4RD8e1SEBLZgoAfOgmmvJReiVImynUgPislr5qMgPKXDCAmApyHQg+/QDk/Hmts54lJJ6e/n3XHkPPsk73lCxGRGk2uVxLcKakw1uwCdfE9wCQQxI6xgxnq4OFns7jFeOOxLM0PQOL8DFmLgEJi5+/8T0nlsN0DdlSwpsOr+CO5padf0ZU7SV3lbYOl/a1lGqZvNu8c41ezEw/o0LlLCtJ79w0C05D7xzmHz5pH03d9Z7GcxUZ37qwa/Iw3H9Q6xfVHeYdgJwonmlncXDl1m+S9TNX79onKfpYtSENS7FhGaZkbxCfCquWrVitd7DI2VTEF+ghQwPLH9eh41yVpdShKtqaakL+xtANiKxsIWlJop1uND8EfPYPKb9X2VlY8TK/p8paAdAy0if1QoRi4qUCd73Yl8zakNDCOh/NtRS4dx057dNVulXTNmnR/aod5VOJlgbhDYuVK7T9Clt+P4c0cQm+bNwclQ8bzDo3a7znypT4VPMDMgsefc64rSVOBihwo4B84/s0zP94eno86erWfxwB+wMx4r5XASf+yjaPUk2VcPBmfuGs4yMAKeuvfTtbDZqNV4+D5KjfiFF63l/ZfFpHGCPi97RG3zb3lkJ1YRR51Tsv0cdsKMFEza231Zd7NWexdDRj74QlfKgb4G1AC8XZ4K4GaLOGE07ol2sgqNI2uMNnO1Rh4f3pVOYF9ghR/UPvZwRZzSA/Txd+BxirH87N2fH79EzbwApBfU1XAeCJZw3/5lMN30OHqaFKYggmsdg5O8ZawKDNOP1ZTSJ/zXAPH5lyPandNjb8boWDPB7a6nObCN0/SgFvQKYggnQfbublUhlW7DmrB2Q0CFy5aESU73d9PSOutoS/61BxCPBafeOrX2i/pyJs4mSybmQ+fZoFdYlfFM9zbeWrxJxZKv78eVhgWN6WcWQIzGv6Q7ceaY8mTXu8ZGebp8FXumNUvij+qDQRjQn4WHWtzwrpZFIpy1MX+r3vpbBcut5LeMWsFXGJpmK5q1mGLS797KZAX8qBkkWkAgWCz+4q/4dFvBxbvCZDBLNJHPfvnEQibytyCfVa4t/t9Cmyzb34jLOmSxjLhbD/ByfvpG3yCL8i2ubIeegIZxAvrArqyc6/TmxGGFlrtWuMCcTGzp1MMgQ0HperYb4i1T+CTprjwhbQGM2VcD+Mwukofpxzfga79pVCH5eZw6LAD+i2isZUlbvfHu+V7bE8zqrmxs/o6qOcFUECfrCOekW6xJuk4+h511RIYBbYBfauBnGZtdgyieSEehrm8EFZjI3l0d4h3S3TPckh7TDSq4iAItjYH1vHJE7QRHGkKvR20HVwyr4J0+Ia5OMHsmh8Wav6ZjU/H61Z9Pxk0lZuAOvdqGdoOws99A5TbS/CbarGPuiyy41HYIzpqQhaveWaWGuBlaEX8Ay9PNhnRaQSj6oZMRdbTHowhotrB5rXoybObtHS4PUKAIHKd5Hmh+Xoy7QZ0WPEWBylGxriEPefxZr3UIL8K1PmZq67X6rMF72k2afinQXwPBUZBEqivSE/sZrg21a7YQVKXfzcb7wi/3/Twmh4tK9KO62nzTJkKijV49d0+Sa1XqRU8vt/w09Q5svtNglO7KTpDNJTZG96jCluHv36yX571hpAs0I3coJsLiV57IqK5/wom0uEZp6JAPzUCEO11ez0D3OCUnS5eJIF1TtM0qq603rDJ89BQgvb38EVz7l+Jw8vb8LiR8HzFN+xp8bu39+SR7qu9h99qkdI5cwn+KuVHw+gnugtBEtshHzbumLPNN11+fcKLumz7ruS55ixLiMAprvDoaSr/A4tkvnCxWsOJnoyX+RndNFYWTgDrP8QQWU+Y7PG3aSdeBnXpSbZuCx1FXeCj/eWFkmZVRAZOQQQfiFsRGecxpQI3T9tI+TM0JXZelnp7zDMqjqyC3VWMZWjnaGtMxPR8vhtybh6AI6IYhMgH98FM9T+H1TXBCpW2lDF/4VknZpJS+6zY632ZFOtARPxzmXoRBc2C7ls7DP8JCSVAkpvpBud/Hj02ZVw9I28wTk7kwOY+TVEmLzQquBc6ZRRPiLy9RddJzP1UHdqVp32+QvoEDB6n+cUuSk19QH7ZaN+gQj8P4fraHCzfdllcK81ZENS5SajsrniA5ee4TR6cpBWtsTqth6denAIjAavSfzcMpfyG8K9uJJCDaYEjZU36KR3tcDGFflKKWent0zIza51kBlFIV4SHwqZCG+0BZe5l+SN9jCOIFWOmbrLTxS1WS1JhzBumw+dNlGOlPxRGzZ+/fx4RYFMs7N2VRFL9zjdwhIogV+masKN1DNS93wFUYO4hL1daWcoPf/e3vf1Y+6MxFSyLPdqxcvFeicHYpt84nsk7P3lzyZ2u4eOWKGGnnE76iCa9ikoYMwV1x0TwW5mohGCdTeUzZ5BHYdQ71930Meg5umV+ggnGzrXCUehrhVzto9mHbWR0p0BoxkhGjVtxDIr6nVFvSI25yoF8Svw/9IZBCFcMFnVq3WOJPUkgogCMcBkWD9LLMXVZCuPK6rQDj9awIJQ3u5CcXo6SYr0DWxmI0k1wMz/af8jdpKsfOaaFm4Vj0xVzFbYxFi/UtTMVJw2fGydSKX0X+9UTM8ltGhMzgHUh/uwKf4PLfreSEB8Q0yfyG4+4x9v1n0IJllwCd8+GWhTno/i0XkBvr1xlyr2pjRDspZ1nzalxw06oUE0iyJ4KSlh/3auDX16YRhT5Lx1ba2tFJcM1KrG7Uf0Xxy0ti0q1WCNoqenxqtP+vFVLqBSFjGaL0/R6b23kB7nnh2ThUw3q+52svJlWjuWcfno4YgIeLfse/3NO3LJtlvsbMQbKjCW6TOUn4fxKcaLcOMm6B18uVgtdsDnKqOMmU2mTQ53ioaCOauBmACJYMyKf2gxvo7YycFmRqgK7P0Io+eIJsDWPWgTck5y+OYXOUZzt2NDBxsvIP3A+yPCOjDQilE6pGKJrYUsB+7yNeCyt/8oZ0dMxG3+0BJsDRYX7IQoolLdbEjUzsI+uWATktWZzDBs5Ki/+6bqNkuKfpcKvY4qGjfEsOMZPTPVPvAvwuAEU8xUKjxLkCeaHf95996u4hpyBhfr99guFSI+8AwdXu/Ee5tr9ezdJEcGhfpDCVIlFjND3BYqTsipO70IKStgZ2qqF+yloMBXqt42GuhE6qMKwykYwqyUnJfDrL7RR8MkKuUuLZtNC44ZTzuhfanHqkAOgusngpfUh7E9KPDA//CGSo6XXkbDRRrW+3izO/YShNpBViKnAkdhNVKca34DZZbfA7xZfQARPLWWjWjiy09E7rnlXlDbIOe/4HhUfyup4jgqEeG6lWxmva5DMs/5YCHy0OvB3l3B2dfCRUoJJxA9e0o1Brt8E4p8hgck+2L++KlWrPip23tZ6fuV/mMjHx8D26IyyPeb3l8VJMEA3IfwkWA8O/fCluKWR43aw2l4lzNB/suMHnHwV+520HmvbXMmcmTVLoZ6eeHrRShLpu0fmg1fR6NOINeoSZFxu37YJ6fHDpuldk6uaZb/BGSj2BfbjIPEaLRaOO68+3zb4sk06hfls6K6XxhSE2SNB2s/+CiN7xRG0RCMsbWzGOet4gSZXB/IM0wENRBCjdRc72JRbGJNg9L9lPEtv7NHPdgTINv0Z7vu431oLyo5UAebS5QrE5q9YreuaRAJvHmRA1HnR0c5l1stBbhpZeWN/ch5XhVc+DmUaCNamgTOeIjW/agBvEhfMkBR4q3EmNMwvcwj4g5gGQPEknriN3gKwHAfETqwCZoN3GS09M2ZF+LJxZB8X5U78yX+vo6O9rahIXBg1hSmESc9O8iqxahAKIJl0bFYkQFNVudJM7485t1OwZp4cozlQ7bjZEZNuaSoaqpQEegf85p8DEXn3HeJI1Ga8SmcKud6Q/WPbEYEJCEmOKN7JPfqirLsCoYawBigRJDfew/uDAu5ByvFKaIfN1hpNB4+LLoQQswvrcxnNzQRuw/e66gmq9mD4PMtGEPMc+dRr7c4Jpi+7KUAklC7hCldfnuNpuBFwB10wgy64QPQ2YXfFkQ/XdAm9rnnwz3blrFhojyc+C9PGlR/zKl4DGTdVlm7e7sP72Cw0/XqsZEIFEoo7M0xW3iTv1orQdJ5iSsXTyUYpsZWbcTmxJ5wc1nvJ2nqY9LX8L4EWXZXvz7I9Xk/iTOtfiH22D7du+SP95tNlZYIRG1C/xKy3SVAhe5bmBaHlc3GJ4QR9BFk6ORkTHbXSGsZ6um0Mb3AMy0VsgeusqPDzMWIDTJ+PJhU08oM5IwFtwxIfuWZz2p62SAB/70Ef+xHpHxbzef+whi7VK5ZxGVeJ0+CO2Q6+EApnGbkegpHlhNANfMtd7Ss6utZIOXnNrULbJDs23cRcX5PTjmczQoTdzD+oa6wto2xGL90InIXWJgKR6HvKNK7km5IdgrBUI1Z1T+Cw9ckzW8B0nTIaSsrQ5t9I4ceE1sm28YjyO6Kdaaz/DX9/+bJHPOKk6foN3arh5L5Vr9nCrkL31N7+NkKiVAghAOlUkdFI9J+avJoC/A7Qeh5V2jbdXGQckbMA04uTGF6Din3is7X36ANY77w3IMWVr5JjgdMwBY62pdZCg393GGNwcYJZQGYoaM30Rhr9YKh7PaR3/hLNSFxi00/9/J/HibWhO10nPGKYOgOzhiMOP9qiIkR/mPVGB/WI4iX1cuIRMWxfQr4XEWFzxGdKw5WWjhBraE1/hHpkZ3SfYcSLxd24OU4zqdIIVVNyiq5UgbDxMA02E1gEZawJlaBX9m/2PYqmOkH6G9jVJORQs8YrLkn40mZNSUPK8cJSIfj4bIGNlP3f5ZQAB7HoHGpjUK01d1TsLzTx2vI4TCY5HH/3f/aRGMqceTNkFHcByihUnr7gIz5FjlWrZeh3t/Aay7aIGNjl9Y5rDJSMdsJ0aljZbrceyvW6GwQ2xm5zaP9Dn4DZ0vLt1ueK63FkryNkBPh3O85MFxQ8c1MGRaE7Bd+G/rvMHlmZW8TKTu/Dr5NzhMieRRRjaxm90Jq+ZmCVttMWKZr1rwywsHQmxvn4KoMwx1epBSi/wbsRORdhcFVsy+/CdApIN14Ohk/ZQKF5shHHDc/Tmkg8vOhkvhHiGp3A11e9D3TOg3MZRMyZlVw76NFCALllh6Nv7hBFmVORF8/C2V6Y+HcpnPhgx/vi3Nf8e30+5phBtx7qQafj+LvCyc2V6tXCwuPwZjgAReFHB+qdhmWhyCVNFEbAAKHTJlqtjL9rEixqtOh6frOMHcry1jIxcgnnZqsdrbEQ2qEywEdHtNJ/ibYNScEqfsofJMRrPEBvhame90/35zvMPvjfc2DDJ5sh03y72l0+EEm9a7Tq/6yN2yq4RiikIR5swaKB0uHnFY7EpWquLiElmgv8Yv39quomKpZkQBX4lFHvNHCETKNYXWRlW6ELNauovr2ON/m0hobwsKpeyurvReryMPSgn3OmYlw3blHO2CCJ3+O8LcyWpE2D+Hhmx77wonHqfk3C18CgF7thCjgGjy8XNzJPD8Z7Yk7tvYkCpty79ptZVjsPvfYhR/emrZtgl0cnt16CpBHFJef50kWX4kF3/wRdjsMdxt+wiHGfnM12iJ+7g2gM0C+g5uqakkeE6ZmMZHgvu1DEw5JQOoKRkQkIwYJP35ypRpS3tH4bNn+4iqTb50FZiJpgMRrxSnM2mzZVu6y/2HBWstXuN77j+Qw9N9M+qqFW07ZK/tpKsnVCr652wvFZO50pii4XlGpxSDsEm5ZvvPm3dHNEuXAgvFy5CWFcD9vJ3uW62XXQRoziIml6sBkEiRiYoo8zv7Vhx2FuDKb6l91YBUcerhAC+g1VGeX85lBQGO0VFDS1SIwjfRpqPUHRieqzNtcoWndYjvwjgnLj3kqHb8XisxIZv6zlKb20qrCXLBgb1v36l+1RemuoBErz0b/yD1dLp/pyEY2Mlew3c123brzOcX/XizphNmbaknAB63qKvc1kkavIRXvpiPp8fuMggC0ZX8rlyUt9qJITEE5kCaMXKmeg0bN5Bf5ejIcIUN2rmKf9/1/Vv0YnrOyvXHPoDmuzd8+4CvqlA5aqG5wlFJETY0RL+uo70YEut4HdYTAV+lOHyHiPMqSnhdECw0S1Mppqff3ke9JuMaZa4s8dIyNvgj47T0Dg5rukXmmZZzKgcSo4n0k7s+3DhNKWjXeWzrdvn4vmeznuTx4bgH+Z1sMCbh/yql1tlW9aGUG1u65qm+PMNzm922qnc8X4h4BQCdO9DQ/Wo2jgPB4R2j8VZSad4IJjhorjQXbRuPvg9UNDZA2VorL+8eTg1WCgm6FHcRt4W/9886gBhQ6NZVVBZY5K3d2wn8DQdLOenL3q5V699adxiO8znKh1jT/ASq6yqG891cDlkbzfPqVKEfR7qUDjTAw1/Mi+oW9ewyES9rEpl0rJIOsQs843RlFmyZ57jHC9s2aOLQMkatTSzXW09Ws7v1brk6N83K06wzXIkII8PZ2DqAwPrqxPJ/pgGjqcyjJoDwW6tJiH1gYZ2yXiXvxXaTS1TVZekl9a4D6/tfil6fA/pKP/CMY65aQdPx+8xzpCLhc0mGk3KG9Xy1zzu1FdVD88eI41wPcVnS8zFM3Aef3c7skposgkHLgO1pg5f/it/6sLrTu7mbha1400R2m7QvoVej2f0UA6dgtrKcdK1VfC8nqMKjjdMVmXmXZ7eRG2PCXlkAK9slQyypRdYI8A+W34Bceiv/tE/5Sby6Ud/6JvnDuwFnkb9usUKrZs0UTA1U2x9eeDsrIOw5tzr0gOEGlRWOyMgn0M6IdfAE2hlH5jwm691SBu6PWBVe+AEri4HvgL4Q4CI5OIoRZ+QwWC3orlT5P6nyqoG8SoSk4NsSQNZ849sdARCQJXZksi5BwcBj/C01RZSwCsKuRgWaxT4fAdjSDfNx+SMdoMxlSKHHVIYZlBTAjuZ8WyLzP2qEAEyTClHSvyQge+v2VMCfOA6t1vovn3wMUH+1V/5Jj4FkobamsF/ge8dr9Sw6r2hZddrBCVeNq4cWs5EAkZn8ZsxYhVbcZAlwRrIWYuxHXGBKLviDD9oNEUBdWG/daSCn+nkOmu+6yDHY8WJ6JNGwtQ0TGOu0cNlqybacuWcNK7kL+J0Z55Rk7i32mz+GRH/lqCyi7sLrvc9DiIWpEN1VqV12mWLw5o40COdbsGrxdV6hn3PWeNqZ/2uf0YUby7rz0vzBSX/ke0P6fJ4S2WATnrshC9VtQbaCJk2kqk1AOeNm1w3Li+GsYEhx0jpg0QrPR8/C014N1ZQlq9SEFLEWwOrLSlglTa5lFD+5KOaq9U+ihLwhtJXDBlPcZRHtrV1FNLPvf7tJC4pfNUesVYnitTZv2/wwxnboEoabHp9A6ywMZ6TuvOnKVQ24KQsh75pMHfpDbuJqjPKgfdz6zlOt82CemptYs0ZG613EDvgWAtfap1BkW7dev9xUuqA86l2u8ZKOf04b1LZ3V6fZVvTX8+48q2GtdNC6ftrPMp4vcj9ZgU3kUK/TukfxAGHn0LLlVX9OHug7AtOSBSsgL2M3HHrHRYnZgdtUx7lxRIHCkjM3+9fwXnycTe3HL1RzaJMyGUFV2s8zV6javdxzy8wOZM0Ik+ACNil7NdU2BwX7XoeZ1I54OlzQoCnH6XnzQaqKl4+W8HsnPrPnD4Vxmo/NV5rlJq9h/iJydpboP6vWVwZWLByd62mdmCmllKlNAFuMdf0gJxKpLeeCc/f4npDSPcD1kp+f4aIP2xMadfnqu/AgHbHcow6R4PqL2ImDKxN5wrOF7NIK9tLqlXmzBQ7ZWipZMhPUXz4iA55Dl9OQgcVLezsNt/V+HmHc8zm9/lCPSl6hlZ4dRoYJaV0gCE8H4oU5O0TrjzcbmkhbtM4OYqDya+iaCBdYbsWV3okf75mzedZFtY41Ao+1EesIpPuBgrtqPRgACT5kjmBJL0kZq6q96ELsemXH8sKHBDVFwSVHlm/qsVVKP/Nk7qa2glECcQsKTjGboFfRpyW3DX78978ex6fZpMOS9rRyZkTDzy72rTluWetZDpDPthPqj93UGjiU/Mb1cckfohs02p6obhaCyrqYVFpnq24QKZ48ToQ3ebZ8AQSrkC5L1yBUVIWkjQZl0CNN1IGJQ/dcHVIkzVhBS2Yp/xp3AaiD8yqSfNhoB9TXNMUyOhm7o+GokScUlBUBL8gLy8XEtRmjtsQH2kO4TMCmOwgunmYAgtT5NHrSV+AyNMr0Gjbu7vO4HkAcDuhXJGOB8Msous129x03uiB851wKIYQ0ERIZKIaeRdmNmhcin4Nzm4QQABWdvpikE+epfkgWkbEuX5A+52lL1H3vfDKaGvO1rF+7Kyb9iW+Kc65mxV6cbPDtpd3xgHa+XQwwRnhVTmXHi3AQsa9OLFIztCcJDpQ27mx2TRRdYqNb5BtRafZK4bwt1F8EXJzqg4tPAHMqd4EyaYD9WMCzmMM3OQT/jy+RfgMC1HmQkeJ14T4H/U6ZYR1xRKO1iGMzNdUIgFFfMl4J3WTeaRsotjlz+MqMWNgvi7hplxAPci0deZWUXmJNkGthyozom/hrqzeOIbND/5cJnmqdLFiJyJk0vpKhHgvLR2FVtkHX8hUCtwRQ1lOFDNE2Q8FExzQXefyi4Pao2jenYAZrJzNM83KZqIn5Pm2xa++p6Hf4FJcNPBIDYQ5W12D5DTR142N/6MTucgAMBZ+V9B8ruaYJtsk62oSFKO0cWDvIE6KqKmgiIknxxcHgIBtcMg8+m8d+0l7AERGlY6WqygARWo/bVqFYXeUAVmeqkrVJE4pqAkidSMlSh89MjQ9MFF41DTKlTIWjd62NXOBGwfjs1ng2a5RqhZmPh6E+qzTpZWLeP0io8DYT+aggE80ccYasKe7XXbUYkSBzK+H6c4uSjZE9tUPGexj+uikiablVv0kHEJJP8Tul25Xtc3T1BPxpeTnvsKtBf+5NM3KNmi+iVTJKH4r6URQ/amTt4bZHR0sWVr+41WDa8ohyE0QhFLH87p15363uuJug32CmdI86paMkDP17GG0wVa0Ew3uLmGXSsz3qZZAnEDtlMQTxZ1T8IxjcvWT9bLwt+gJdQFUKCSJ+3WZGmpT8Ew6/SWLQ8bdFJWl2xs+YekFOnXL7h5PY2eYqhlXZaYdT2G/SJySzE7DwY4exRiMTfOzCViMPN2Y4FnvnmWKm8nbvY2pNGr/QXs6p3O69FFkTouaTVL0ITltC7DW+bjX68rFNr1mgQR5HcVM+i3ggpUI951SP+4WszoAw5Jdf1Iw+KvgZt7ZGJsu8HzuCQkvWtVmgBWple9JYNkJjl+w88v8gYs4JyNuLzLxnsTS7NqPQaMa9NrURleLz/dWjwsX9C/FqNcTxZtTrVd+Z2pG68apOAf8Jl+BYeSzwlIXkqUi4i34BLOitX0M1KrfAV/wbhs3gLfiY4uqEsqYmj2cQHTw8oi70bD4qo/UZV/jRksQc1dolcDiYah/j+ZlTYq+pdcc8AIZFyZABx2Og20ZSvojfVFtE+H7o3Ct87Ssgkm0roXWsD20gYpv4mbfFLf9jnBFvqyXISTRGbioWz1dM5++vzWPvVh+gtvckCxBVGGJaohpbizXPY05bydhcTBpSe51qZabEYf/Y8f7tV5YsWcZ8224BAnx6tWl1LZVXMl1JVhHLaFBbp+eGoEbda/MKE0JHhpINR4GzKT8aUmp7X5X7GGVL1hPSR4rO8/ll5R1mb2r7Tkzgyctoc/19Lxh+25zCoDj8mSzrXHBASC7dIL8uPHjYPbbRos/efVxmfhM1hKMsGN6mWlr211NcC0975Aj3jl2ZUAFfImVPE711wu6h0USykIVtM5gZencr7+eswlt/NkNtTMuQLrrBoZOA5b4Eqr3UXjxS9DvwlxaQOQ9Yo5lizI4MbP2r5tyOEJQUuxueb4wwbkz5igl2EzVzU/PiQsp3U0cW4QPNn7a0rzBfFnwkfEl6RM2DnQARYftHuDmsNd1in2z0SJMwk0tKVtXyqGS4SHNdRhq9NjET2seEIjnAjS0bQ6JTGNtT18alTvHhmm/UKdJREaYWcvhikdhcnkcoEEvomCqCsJ6fvV4+OGL/8S6w2TtcmTMN21hZbfjxAt8zVTN9vZHNWLqmgS5DtmJ3Sz09WzUieiRo+wNZAYX1tiFPHhvX1ZaCKhmhfco3mVDYiLTmZ0aHAx5uc3tFXifmOeP8mWnQBWj0V0DyfDieU5G35887jlAUo3BHkAiP6EOfp1Qa3jjHIcf0HcYXBfVCxQknijSTi3edOM/jiE3/0p+S5hA2v4e3zKK6rcEqqhWnJT4bfObhbzXM6Zapbx20yN8BIZoB5X5sXy2aBIYXMALW+2kV2MzU2bHhIg5zjo3N2KP2GnVsGinoxrCQ69QlkpNG09zRETnZhzrzcUY14gvAvBV+/O0SZ63e3JId4do9O8Wl9uJD1ZZs+60YtQwpoKJeg6Ztp5ROCGVJfcD+1pan1eXdngFhmZgiVAH5DMQ4u8QUmnohvT7I1Db7Oy9oxdMfB8VwkQUcwOVRG1FyjbhLt2woRFC2FTxG1uZ1rlQiCbnjHPO7EMu/bSS7TBPW8lKw/TmvR9dGHI8eKXPTqBQq4E095xqnA7nNtbTDQ3Iww9/DAlk2mDAyxQnCD2zNlHtluyXJ6Aag4s2oGq9smbNs4yxwtHaNlGKXFJULbkzUHvU6jvkA94AUip5+Oz/db3inq0HXQ2vX7W55st1pLiRJTzeySAOueyj1OxKruyGOqw9LGyQThyNSSmBq1FTE2cSyhHT1W+mB55G6UTFGC5XLndD6jgqnOg10zMu5kU0hacHdX/P2yKV0X++dfz/1wEQqbe7Q9W5pqvdb0esB/FXSdeLFvPWfH4dgaJOeeJKSFedXvmxFUmeHuJ6NBwbiYNaSNgCp0lhhOWUwh0YoknRvwsFgXoFP2//NQm2FWksueHuvrgBPxAWjZVwDh7uk0ARgf87hhQrbAkn5QYUHN55GJ0HdyaV7u8D+L5IY4uCZSQfMd5i5In8ChOyfjXY9snK1iIjrZitqsBp+z7G8L9ofoi7VnaOmkZXztPme4BEYrz0qZpGYRnN7vWjyGjfmV4pxS6YG3pqAaIbkOjSGgRUABaBYAxNSYTnGeTFcKlWfyKWJL1xkl14x1sPAgzftnht7kBm1Mgpz86AqsmFD1Vf5UCI8pN9zjmNSqw0X0PBllI7CKsTbjNMgHgaR3fpIV4Ks0r75bcz8oHj/nYSAr42eBsIT/X9sxB5McEoEDacUbbHtlmxuomAEEva/y4yIxjLplVvHBEXOQ5OLcW9L+rbJ9nCjw6O2HGH4NuGRa4O1frJgxgRMcfOh10Zq+smExXW9Y/Xn1p+K0BXsNqqBHFDT3ZCyfZaGbTGkVFks1sDOEYYAFBxCny4n8W5dXCF5He2s9dyo6bGayAX3+LyFIcjHcYDrFbP5kv9UdAa56QIB7vCEcGOAn2IyDEaMnk5e1xizFH0lQi/IqlYmG4P+rPvXlZbNH0sj6bsKOBp+JBLpLQL+ix5An/Bl7AzPGuHfhY6VmuFXv5x3/un7XLvnDErCMCK1UuxkLemKK76kOlB0HR7IXqtL3iAQOKaNstYZ/YrTr+bDzkEzJgQCCfxnmgNJdKLug2Nefbe+MgCATmhpza+wlxS8aDKpByKpj301xXvRZKrF+IjH/D3gHNuUzJG61XwOGUTX2izAXzIGzteTU8KAzUzhiwUA0ZInW5m5tnhNuGlcQTq4twtWpBtB5RnI4Un9SMxRIURaMFdEtii5LWE3k76XUQE8wFukRdmM4Twdimj6nV8VBApjvzC5bB60b3EbjIlmcZzJt15J9hXQ9/hMZcp/kOyDpXtXl9TFi/0yLS9ivxf0pH4S+E/Pk7BhnhdibCXdg/1EGPZ7pVWA3erNieNESzP6C5EO+0gnpAdeA687LEVC0HE+Hvub6uf7RrrQEnqDnKvIcMps7OYMyAri0QD2jSnwsZomS786d8rZinsSlSgkSap81hb8xO4woYNUUAKEjvPShRJjRmtbU7mpCj/YrVw49bSmOHPgZFZTt4fjOTYZj2CmdAWuW2/XqJM756nWVXyDljsdjPs0SY162JsNURWegNgKUj6BrMEiE/LIs721NaaOwqgoopU1pP/wq6TNOVkvWl6dYMMzMlhjZwQ7g1L7yHqNWtWtTjN/4+oPIGWWtib4K1MrBQRe9qxGd7IQ8dUmrHk/PwUvN4rjVbeUWTbE1M+rV6IHxy7MIdKRzjvrAVp+NXR9iwd14eXGyYONKG2z0JY5wIxAjTzHW2fXeXxkV7ZAJC1Llz05awPeaip2EjbGxGJs+pQ7yMMx794ERf/CP6zmvBXbn1sT7HI57Y2w0AzxBtZ/ORgfx/G8lilNwuyuyVksQFr6SgagQ+Pa6Fy1PSysscyGL3kLhDbqWcOGEzqDh+biIm7/dChhHy7VKHOMrJos7wsf82jA5lwz2y231SPYR6vRPYMh3C40A1PxNscpFI6iDjcCDNhzwUkhvGmDXVvpfXeomcCskiQRxCjEO1vCuy2U/Np9KsyZYzZd7eWu2psYYBdrlsCctpwoQifihm8RC9ZOJSjZAUt3JNyZFIFqmLZWKXqWjgDFA6b2wsMwlG0Xdssj5iKsDl3Z+D5lbknLUUxif4OzCMQvZENc6zlrRgC1kkOqB5Y43/H/RO/cBaVzCHvZZLbQKyQIjNzP0bGm5YQAepG/WdE1Js864UXgIdz/4mgexXZ2UcSp3j1K+m/XP0VMb2v0OV2qrWq7LhYufJN4QpjqBuUA8ZPiLwAiSZXaL7JVKUusR3QjuLpbKXINX07TeP46VnLkxZuQHotfJmJx+8CsESnz962fQwegnwD4bk5KcKOTzEWqbJW124WI0kkCtBO1cWzyMstc4zubxknBFTVzNikw8liiUx7OPuqZx5JOrTXdtDZPIvpdlLwIQ/oryEEzDLCBJQ6t0I5wjtX9C7pSRDARB+SeQLr9FHF9mTkoH+HrrzFHswHo+WVuFGBFKw1gKc+wL093CMhEMu5/bsjB4HbGWuuQOKD84y3hudsBNOnVhHjnsQdDv1ULM+HavhwrAqh6dsFbk+lzGTxksbGcMqASugw2dejW2vVnW3W8iwrDSszIWopsS8WDmln2h4Ebm7SBt74oaXyPjaoa/huBqDoW6Xfe6IpAgkS0EPDYsYlXwsQFvup1S3q3vaQRyYZhhpNsNkKqkiipIK9znrUw30FraPJgasn1jqO+c1ROje26SvypPSrYxJMaZLPQpsRl3R4dH9EiIdx2iAyD1qJy2QOruABOHn3s6JbtRrDXT/OiL44DKtwGhjhjWP4DWTWBpXaN6NwOMndODgKhfIzQwbmQutm6+uLxpcDQPEDP8BE/KGC8MPK4Oz9u79yU7yWkcYcUUje2O47Z+C8QeIDmcQ0mkIMcl5YyUcaC7QyzLYPflJuT5F+BnuatflN2ZGn4ZCfmdw/tdlrS06S4NgUPo50+8Jf2x1mKvFTPacHshLTZFebDpb3u4qDU1vFw4tTrDl19VNXfaVnNTmUPPECntKG5C0ufTnHAmfZp5gW0xTJabOqPFBtp/MYBgk6mgC2ZnQvrpRDBQo3DJmxP4MUfR3vge4mdyljZ5eBkQdYi5rY1hI/nrtgA6a7eqFcqaGEHvP7ZrdpYJXy2GFFn6itYgJTRinFtPJV96MUJHixHzHUrAyyzcf+DhEHzIn0HMjSyeuVWDerzJIOSOkQkMoJM+Mn2RSvtfPkgBzQdDnXe6vanedQWNRhMMe/1VQB9KC2fkgJNOgGg2fyJHtDAQgDKNzhtIM1t79HMKl5wrM6odHL2m00BoSg3amtMXcA79nYEx1n1cSbmDOGO5sgXNLMsJHEOj+13kZKPr8Zfdr+6TZpulL1HcBfJ5iZWoX6hbU7kIKFWNvFfVMzquk9erKKmLuI+qcg/uaf+ULy+y4NCBS6nZbyg8yAypMxMEL1vYnS4sPvtzC7Og2Fr+i2aZv2993pVG4LIy1LlO+bO2Es17c0OlG3+vAiBZ+HUVpTwGjRWk4fz6k3ECkHyvQ4uwQX0UpKUcOpVgYkx7gyMe62T0ORXVBWvaK6oXpQrrP5AUSvdHUiwUeX5s0THrvCKBVuJb174ZuSDwWI06geK/sJKWMoF2lgQnOZWmScyMG3q2y+Nrix0t8PGQ0TJAHwJxWb38NSZTfGY1jKq5xId8t7UapnVMRZG2LjQRtOgaL2xLSFSTicm7Mhbk3ziWQXqbbZs2c0OuvSZRJKf7crfu9IHW45cH3Jxyk9SkcvWQuPlBQSlqmBekuv9vUyNLxolvAwR0hut/ISGjS0iiwY6faOUZl6Pq2M8xTijBkCWEJqRU2mzjCYHc5BL03pjsGnpEl+RKNA3+wOyBdLGGux2ApWBgt2X+M9f1MPyCjWrxryesjRFyN2WcEnozzxilLhYX3rLJ27/deEBMn5yWEMbTK2EY+xnL0rqOVTspaHkDteMy+3WVU7eN3u8h5ClCpcGgK2HSfIcvkE8Kq58rx29j0kMyf5wzpn3DOWXPSxCrLZ2hPGBcX3/wcyyaJNCp/iaRYZzGIOf3/1/444LXsIPIG6eH3KzvNTg2ZCpJSDpKjnRi1nvk0cUrwA3h7L4fTJM6InyorU+yOMadU1MhRkW0asnqjNRnkLjWcs6jgsJYT4+Cb2HisNKmMYuB8t7RYQvGdnTvH2Uw8ys78/PsoFlLLg5c9Zau3Lo7OQIOpwA1mEN5KCYxvcnMgbkMCwT3u28tRYnRhnbxLToS0A1Iu8UQNkGswg0RD+20aR8Exyq1KzqKJd0hyFZz5YD49hB6u49cwK6T8JYSeJLel1xmGuO0z1mfHRTxMp+DKQ/UnwHFzExRgk6F1KkNOzyMSwDtJ7DRoQkceyzcpXUGRLwvFBUux7I7wFDsSAobdz9otdwRBrULrUs+T9b/+SXvG8+On4PTeH2mewGkR1q+MjnpQpe4qXDMzKSRfGZMRFaxOvKAQ2JfBmZ8uqGVFruC8VO+GqaP5HfOweUvx02dI8eg6y6RQo4/kvzR6NATFlqlW+y7YOAX8T+oEUevr2jYiUQqnBzADzhntvN49j7nF04JPt5vc8CKF1EuB0XobjIHzgHd6q73tTzKL22j4C4G8hkK9oWHqwqU2KEmN4/KfsJI3VInTE0JRz2WruHfigceKvsmYpR+iakvyUyTb5h+IvqtSk3ywhjkj1B1l7qSTHCOcc6NjOFCf//0LOvd0U8N6lGGXxbqJq1ZvWTvGiFo3C11iStUIa1Vv1nQfHhIG1pLV15h0aT2BaJ2OWdMQ00Rw5O0LMrUBJfbyRyGRd07wLvd+z1pQIrmyEmx5XPZCyU2aQVIdJ9VtiaBSvLETmwPzi3+/hxsMFCLslm2+udRK/3Z0CkgLv6H0KfjEOswghjo5vSzWATzfNPXls92fjTLIdZCo6V7ANR/47+36S+MMpkbpsZlXS4NYwVMiyn0VUieukvemiFccL6SQo3sVQ53OnMD7vXiWZ0R+po88YSQ5j7MYThcTrnJdBt6M4WT3IKlYuVt88zBjeqgbuKK4SZuG3GvdW5jFjttkFC1Qy7hNxlfLCWsratJ5078ZT7WVwmIn13DU4QOFo4Ib67cmdhUN/aT5453K5r+8bkirQ0tNEANGbQiiJv8k1GwvSjL5qymJzuRGXBlVlE9AXNe9tF42Zpy6UPs0qlvhhJHWx/1FSZEQ58y8VOJIleLKoV5DfZ4FoxEC1nQ7YwzP64uiN7VPdlC6khERJnF8ZTKIqh00PEPCTbbP59c/X/hdJ1eL0uzipeBDZ+L7WODbNIpZGE9OagWJcYHBuunCFrVqGOKUgNk4Fp2fc5k9srbdkd6pqCJGiDNFNI9bNst4wVcJZ6/LR/ma1jnMvLLBPrMUXIpk2FTLhxDkSka46JlLLEwrLhvlMr6M2cSaZnyxev2fhvlQrnEOlEUmaIYBSlzF1Kij9YzqCSBpxBtatyAGJTkbQsuw+J2fO8SNG/PPbHe5WoX7lkYRa6TtqZU3iDRFQWmJuZxDpV78zbyPnniIMezzmx9Nplz+P9nqwqR5k8sBTB9RtmpfGNLEdtihAlAi+Edj+aoDWZnNM5VZqyC1GOK5aPrXDzkGnhUEZ3S6RtS96YWYdexKzhq06SiBd5367a4a7zRradEAzybpENiM2JllD+g15NmP3gvaU/erg2BQZ9AzTSAHQHjaTmuar8Y0vpelejl0dTHimNjlA/bUbip7qvDKly4EFUsOx4NoZXt/vfZpBuaV4si9Oia68X7WWdJpj/GjQJAx/wIGi0pah8hrPIzBQePykYiNy1346gEomyJVheEPzDzhu6DDA6yVJLX53IzxB/v5rJFan08UtNVogfDmLB+/D3V1w2mcFIstyWhL3Mua44ct9G+n0HwA0MmeSJC4/WBzKhilMxA0A1/b4PAzbKTfDSmDM/Ub8YadTDx8dOoumxRtEiwbB/N/L/GUAuCB5HrJxywGoRGqggoiEWhIPwNN2nUWLsaz+ilZG1oPJfHIdHDHHDri/+5P0NhCLE7AQcn/Y5TKNU8zblPCJAatpr1tRpMwliA2Xqphcx2GNpHVJ9BQlIr99O5tCiDtE3FOibn6L4/FyhSffZqw7YdhccLvq/Z4aZRJJ5tjeITfS/WN3L9v6qGKnPrGtyF3PHnNiBTFKHhFvwPyEEIrw/ohMYlEme4XlYfQO4HAg1JaRiOMJ9V7y5TEmYbuuDOKNueRwPat8+Xs0D/8ERVIkX5aw8/8GfhSWsQVuqHroTd3uuF10UQm0IDZjm1CVpKI1VKC/6cf2QOkVfEp9VBBmqTe433hET3FNIu37tiJsoHWlVMhkP3gXjRRtYncmwSWUqYN3u1uXcVjeti5KXvvaFQBNpclXwxZQ7ZifgJEPoBIA1Tky1bH0R3ElKY3NOXLJfyjBp0WhPURqFBtuhqJhCnB2H4IxuLiezZqBH4wbEB0pCwhPo3qpaDVSRE2B5w8q5DA/mzB92Zm5N4+aZ6840q5Oe1kOYZrEu53O/hPV9hV/jd5NhNEx/9QfBisfwGP1O8+OmfTWQCAvDh0dskFoI6X3jiqgv33Q9V3GsfZZeALzzGJJvb782f1+O8gOB88E+0f7gmVBd3ZqLIk0S6yT2Op6KMq0oW85v5niiDjIzogWo/HZZ0Me0VDvth94FMtVSQegvU45EZc81OSgvP6E7Zv2CPrr9N1j5DpRX/5J2U98kfzft7Vb1HXR+GHga3YHEVk0QHzui58TksOdSjnn8Xftqqb4vxbb1Jj+zayVTDODmZrrbGIhc1vnABNRrcSLEoLuRhB62lYozov+fyxFn5F+8R7fRkBJzNo3HcWQ4pdceeP2PxF9UnwDLMk3J1f+7tvshCWa6mDvgHVc1Zxpf0YKc4oFGYbeBVYQJRuSy33NZQ22oiqdNOkioOpvDg6SREeRMwJOUZyDg9omegPNJMC02mJF4bdD4mM288a1JuLtiy2zdk3aIpydl+faJVoZgMF8H0NWsb1ZHFEJhjtx1DqTApMOynPGexPwIpS4Mb/pzdGHy2PYIh3FX9LjcpfPWuJR5ZzgJ7w5LrKjhnEIt8AroNgfqynqmIMbB3sk5c4eBaJ1SItBHwdVdGqIfIezPYd1UtU8E4mpDOd/5bmsqnXKMKmM8cYGzB8l3KgqXBbbOkI3yleDK1fsK2FvGPavOCg6G5s1Q7IMJ2GJMTY33pXf4s9GfSLTcYM8LfhqyA9ZfkkM3v8nxYw/Rer6y1z8H4Y+0l7g1sT6WU2hoZYOZMvFQlDLnj8JiOWlrLCVJ0DXqctIM/gAJsVzV7mdmhyCX1YDjeSTUI+DpJT4xerru1JjWOZnVwu+1j4gzhAI+BwCBANuC41qN5m7O4wd2Pusq4HmbJmUdLZKKG4v34JXJKzjKK+l1RrpSPjTB6kIPcQBrh7PWU1WjJhi0GuuynqutXTqXRR4AuH10jtwISX6/0R9ppwdbuw5zl0PgkShgngtq4elD7/zuyop6JNzBp74cWocp01wG2F2fm0WXGihr1828/9BsC9vixa0RTwXwl3rIANGhrAhGeRqZ/Pamo2r+sjHgupkllKbFMjqJLJ+oscE76FIZ8F1Ea5uBxeXaeLenoLX6PL1Mvz798Y8ICXuIPq95BsKjC89lFViiBNjcgy4Kfqp+Hich0GaYO3ubNClSyOT9o5C1mhqL2/vRsGMHDDQkN9B9TeuI3+T0ASMZxiEAdBzNHi3wFtYcYZGmSWOJF0Br11uuU0XrdUASei50s2QLhDrzAX0BHnO9ATQSw2JcjVtEC5PIullEPy1W0pqIko4Ymi9IWuNOORlKKoZxMfI8UmCftzBDkUZNLlbk7FfoZ+EGwPpPZzlVkZxsV60ByoTFTrilvkVzK9QH0eYG9oviwVNu6lnOW8Xz3Sp9vKk7wqiKtIrXNGjzXMy9yzLJjTCt0KbbkmJgpZYUOei1Wqy8g5w7CLi5fzOWIyP5DxwjVr5QaKnItYv883eB4kOa2mRoqsArsh6AlzSJqZmoOEYMfXuTjkB6XpTV8tPMPGaoUTRa5nzPA2j08NjyNEtd1dKQRSRMn3irP41ucy/a+MizJaxDv03nmB4yMAuWI8SyWZSym8tpgAwXf4oFQcyNK+B8XbTWBG2IRTouUTWj8meUDaYxX9nz0aQjTorH31LVlKYzYg40oj0SP3EgcN7C1zpQjGV0XmqEj1AE/rR7NQNdVUO4sfXJ2YonyCJaMdMCSDLMMbCU+PQJOu9625mFaJ4y+OEdLLHXTPz0kthtQn2EmCq1fZXzhoMGVA2/qktbm7pz7IPmKpdz/6HmJ9jX3OKyRuwk5j68IeAgQrCdu3yrsEHEPC2DOZ01o9zdOU/VpokeOhzoSiysjb/vHRht97eqx5E2uJDbLtKNcdXjfQFwFHDP4LtKV5nTYPHXnZsxXe/3fM6Z5WpQjaInRgkOSeX1HwHK7JSBaMARdAKRQIDhEcAo5p1qxtPKZgOTlpeMgl0yu/B2NKQWCuFp6L4+rWhPAtEN7uAZ0NitaAlGRyuFVNDNxQ/W5ClY7kmW4q8yZD3NFtzJTqHxT/Ybpdeo+qsYJN8CuJ2jdLSWAgQ/gUSB+hzqBVIb+YxN0tipVqFWxpwpRmbwrygx+wPNMgBnBCbb12p4kyf8nAq+nkTuBLpbR23UJkbn/9J+Qg6KZUBMzMGGk2Of11ce30J+ttTP2wAQ9r3iMLQ+5bI54z6APmgRY71d+u/uDQ4lXjwZphzwAMKXX85kfNzmL+xyVJCPCGt5JsSweWVZn51b8lVco1PlhlSC3dGh7NQzNdf0wwVkevEP9LDL1S5SXuCyPGWbAN5VYeTcDog2ZzGuow3xnYOefcw0Q3ZqKExEg1pzQlo5kHrYYvOOmuI/pE1SJNRCHS71/HQdSbGqOTPhcWKoWy2noTgQ6idm2CeswOCYGc8fl8QLmQzZA2hczfB22d3H9Z7IX9k/+9UNSA02heZCxJ42Y/4w5F222a+Y/p8GIpxQ9jIrkc+bzTIHEGv4Fjz+rKrtJJgX/WwnNPjJjHW5JgMhSkBIyudOZBuwx3GxQ8r3HFPchTKZbVlCuqsb2cQWBnbc6OFhGUUSKITzFjZYIzGGNI6WaHLgzzm7Sp8brdSd1pWUnfM6qNAUNlyHxlKq+KLz+pD6z2GADTXuywFza3/pi81U3u8ak0Wc+wnQximLqL3SlN+ACve4NKthsJDpi6082R0cAtxpqDh611AZQ45rk8OJHPUuXgMjixQloWUj2ojIrfcUgTK05BVQYKA/HmTcuan6PtmV8vLZeBATxpOHWrfMv9f/RwYoB1LYZUtCiztD1b5MY5oKLZqDHdsFcLb7pArGoqsWHLKACPWEFnyKKvPZ27SoYp3TeT5nHvSyNMilvcyXJK02CSEsVdJEYCIqJc9L14n23kvoksf4QXIV0g6TYT8BLONpvvIQs1h1wYtIk/jAm6gVOrgYvHeJnJvhoceaz6C0bIz3wT7YrDZhr8e7y6uBShQbM5nEj2k+XplDKNkf8PLO8Ijt6MohzVlYEPKV1pWZtetDEr7fZzyRYU5Vz480Bed+gkZPNglOlATwQ53+GiWhdMN3ZFjtn+JSFm/BAUdTIlN2pQlAGGw4yT15W2kbnyqw0rAcdW0KXYiN0YogKFqWMW/4x/QNco5HaoKeeNezroKGHgauFt6pC6Dufgv/jicuFkQHwRkoRrzgpVL2SpglYdrY8SNTZXW09uu0TZUMadYbKyq8qwyHPmAFeYEMIJBB1oZFEp4a6EWh6h6+GytnovrKjLldeDOiEFLsW9LcShBEECw6gFHiljtpkBnQ8ACAGXOL8+0XYABxsAe0Ca2471Pal87Z0jNh0xHSKGLrbV4lNgqYWr6tuvWPXy0VQJi71XjYOUlOBMoEel0+FgzBU+uAB6WS2mOfwfad2SITbH1Tb8lOvCxOgL/KGdY1/1g+BmcPnVAJXYE/Vea/tXcfRfpe2J772eMawdSZVVKcHLzIo0cFwmBYiJzEQeCviPjQlbbXxp/4wdcsnIFcJtwBlMo4Vl7UEJGn+D7jNIpeIioDt9L98b9Tisp0uYF6RAbifBdLlLXysC81sVI/RY+4zENCiWIvS1l7M07hDxfrPkBPvBeNp62YJ8nyUpdt/FQu2n37PEjWvg0JmdsaL2B20UpyDped1PZjSJgBb9cr+s3byst8yI80s1gmgaYITjukrX2g4/EYnjRKd/WtKZYABhKtPXvt1UK5d9nmcButJixyYoS/12+7I79et3BgtYFoAHLl6Ogv8MdhAn2X3hr3AJoyQlo3DWENSfYbs6TGspmujlAr4acMX3mY1ldcGY6MMumH2jHtZ6nqv19UcpniayLKQwXACWpG92Hu9jFlSX55wlmEetZ7MHDunQPPpM1+MMkCYf16LV9ZJXdVey0OEKInxPbTUqyarvGnI2cV2ZV+xehuQjYyHOIlZ0o/EtIobwLxcJ/jBFqAnmbIFlyw543bvj0SIVJWBxfovcY/d5jRvEejdz/CxI6fl/nodi9Rp6HGGNcedbhaT/qOcJf/H0BeZkbnb26PO4l/sDwD76I4GgiqKbxt2aYtJ9/eJHWmDSP0y5fBuMLNrXJe+W385CIKzo5YMR9COQNGLK9eH++goPrmi8YgBbFtK65A/o5fMKAqI1rs1JNMKqAQbqa8z9qPhKPc6zooafW6HnE+j0AxIu/zEStq9JAQVT7DJRneXmrZ4B9UWTc5oYdTMkLQtysKuwxqg1FZqDnmRRigXOmGKUfOGgFh1nkz6sIG17A+GtBq0qxGkwNiCioeKzFtT4EUsRbhPXuJgIUjErlUWsWOpGWggfV6aw2i5W6lm0Ni8KVE21IIEWiyPfxQ8S5lf/yuXuIcoBVwA0UVtK5MpAr+UeluVe6Kqt46m/HXIcChA/twSfe8d5YUnlFl5e5EsjdV7vV85d4AT6O9NruYugx3ZkE3p5uUr8iAhPu2q+XO06yjLQ+vHWmvhZf/3g2NdzjgnpYS4ur39yDIIRSiIeeS7ALWUJ72jBZp8ynIK9h1EPEvwALKro+xKOUzwTYWjmcZ9xZoEIQ16IbwHX3hVoPEj5dMLnAU5e1lgvzNpItVdpClv2CQfFXFRb1fU/pcPgtoik4fjdi7sKLQc0k9LPICwJfDTq0i6BZMtVq/chdclPaorhRRs50n9R0P52zo9s7AeP9CfIsGSZvHOz2ao6M/tm5Xu7m89jghzU2UOWORRM+EOjGhKiC6AFNgJbprh2zqEGyLqYXsFyXBrBnhfhKiApRpXkTakSFeJ5XVOaK0VS2UjzI231b8yCAET/2bJcVEDG3KTbWOFawpEsBBSc1bpv6pJvNM1F2wTkhzcMAEwS+LM6nkHUfmHJPpshKKEHDXe+lmgVx3oWkEIKuJ/DbJhn4xOHK2/26xPuECTrCtzgYITW/KetQtWaMycrtC86SLNbIlB74Pa5SSlU/SKoiwqtxW93ph9lMztqaCQHsaGx8IY0AT7bHCHDZEQejlH09d7IKil2LfQTtLjr8nKZFmO94KHSOF2ZkPbYr3e0v5Ubf7frxynnJXhp+KnpqQJywz62aBdrWUDR1fWcW1dFFuQaodnVu5tpb7hIROXed4UvrfLBDTL1JnReB3wMxzFigmVGJzgny1RNUu88YoqHsNQBj1DABYuJCc0EuCNLe5/+PEdVqqJvG81yAMaujH5drg+4ToWZ1XmYihXhaq+9Hn2WMFaiM/P8DkLZmye5getDUsLPegI7iGytoyScR0udg/eP+shAfua5dUX9HK5v9MdGiAl56D67xqgFIQodfVso4H+V+fV7iaCL0p46z67h6JUse1TZEVIjgGWEnatwrsHMnx4c4CaAjLK3pM6ERW00RiCUp7hyFTcbdHE4wZzXt8k6P9LMuV1WQSqGV8RRi9bdqqgK+6nt3roWohY1CIcEnE2qrnlA2lfjrhCOPkkoUIMwznSKqRYJlf+vz51HU1qExFbJO6VygzNjRKSAs6XlR2TXA7cb1iNKA86rSn3a07XLsQSn4pFAX7FTLhdH3Y375hZANmx7vdyA5M2kZMBodGAjqNpJaDshGQWzSE1qVDRuyF7ZWEtwq5lFxXYNXLwTh7IhXf4TRdaAtqV6g6hHUFT6qoVHePm7y9WkWZBfp3jlBM+PIQ7uEKlMCg81ucvcowA0CFRi/v2HYKH796sADzSHKhCYMThxXGlNlu61mf+vsjcOYf1m7XErL/UCl32imI4W7/qfmhOpjfYNAJYtycWCWOC9a12n3U27xwV7cGbjgd+i9gmRWdxJWAST2U7/iR3jRomhJ4wtvnCysZGz1WNJAby4g/XnijDYPufZYx5YXZeooA1FtOHlvtj8SzXfhCaE58frYOtOVkX04Ba5zxGPUiueII1+XE41sBus4ai/f7RCk8csULYY20O+es6Cl9Cy7DiB7FbivJmJDAxipUG0wSdiGAqf4PEtXYgLOi1Km5k9PqAnqip8spQIUZOUkPx0PuYkmnEJEGvXySHjUP5xvwmgdS6SvxOuu2qQ4UvPM3XWobGiSUUjZWZSdi8X1pIVzbfeTlg8oZUuQUxrCx12IIB6pMjBS8QIrxYBNfkN2vaU1hVr91Oe/9uiXUqIyRSzgvW+erlajR6OTXWNiFSw/UqYr6c3oyCO8AKTHfUwyI3Njd2W6diEjRgvRg42AnmE1RL0fm9NJHcva5QONquMu1cg+PkUoQ+JlX5pYsC/7Oqsu2Q4vbsBjQ5ZT4DfzNYruZZJe5ZuaX5yw+WlpLAZdo3Bo7edNyC2WoZHyjFgCHAY32JwzIoi4C8jb6/tZsXAJXRClqTiVCqP6czDg5G1JOJeCQRhWZ+b577eSgkjWR4CHrfl60muh8KtfewG1BeSafzuAv/r5cYacG+v1nZeDZ8pahRN0/+Lfo63c5uc7uiPQmT0NCsf0aks29GtHQ6M7DxOhtMw4ZpcNpADsjW8CvA1XuyRcp0fTPb6eYtG/tPPcCLSqCmPSVtjRrnLF4JyV0JOONstZhqrut6mUOx2gWIZH50CvrSiz9btWcg8GS9AcL4idric7cQ++cQ61f75wSjoLiR4Z3ysZ5IoeuB/GDP/PDRxDjI9b0fbbko9OcXL/fpDQnp6FLGe7dEp6aRM6tICA/ZC69zGgFDEjRRIrZbrrWjo8vL9r1Ycz/ltaasnNPgRfdmwicNgzvhQlt3ZDD4vEgEAEAqU+Taa3648jrivOFLqrWkasc3VTCddCSki++XT6IclTwnrj9UzXrXruSKJHPbmkkUdKXD0/H9lY+zkKieOEr7kUlPbQGKSOoaELJcR1V8rH0us51JJ1ol5YU5dK3n4GsFr7cEMUZex5ASEdSCsMgQRDGVOrkNePVBvYdxg7b+gZ3PQ03kACs5/2Z9jhwLn0z5+Q5JOrC+ay3ftSvBNyzjh01v86iWDlmPYAspAfQU6Oq6QVOKbLalELU3wI3SmX97nhsjPIKAwPfMvqHE4mSS5qCAAd0neUTIpA2Kqw+D78+8iyZ0vqkeODncJexOGHA9peNgIcDSrHxWl+HqgtcJ7fcsJFEB/PubJy/sZmeBYOdsic4QURQoURy95vgLKA74+HImfggdUsbaGhzZotJ16pNjw63mhGm0yRYnfPHflZmebFqc1Vm68w+TJaCMVKhiuUVZH8tkbUHpZFJKXCWpih2MrJL+EbY0dx0Zi9XkXzlHi/jsB2prLQbp0N5WNbkAgVssQE70UvQVuMNaXEJP98D+V30rglijp/8x9BYfiKQZuzVywS30dvZ2Sorq3JZgqM9KHLO6FfQgWCgmw9DPeuNgveGJwh4QxJhhntWGKqNe5lm9uLIWQ0D4tvpvUTkeDdwQqTNNSO3Re/ZR5b9f19bJ1dD1PSrNPZpLRczD91n1vvwOOBkGQws7ZGKEkV0lHIBEYgj7iVIyZR/F1Fkc9r8yTOsbh+3GTyB6IYBvo/z/koV6fJ6wMRt7z+XccsB0Z/eWaXbwey5hTEBKdNYNf2ygrhh9e2EeYeJ3jsthxzhcGLZ2Z6Pb4OXuZECwF78Zob7Wu5lSfLgn7QbiIscgqvTRISRcc6XRJp0htNS7/Jq1787vtTOApCBilsVPUK5FzJMuGcRBNnE6xox56kNkiDjeJ3IINRQsG6VMdA0s8+v6ujE1MyRySt+sRcw/3YnBfcK288ErHH/OUOqkNcXT9h+TzuQJqohk1HzRugeAxlREsrY5KN8pfJjs9gMM8klBoxANP4F8ZwBkPCMHl7a6B3mGqN0fH5RP2PyL/2P68iia1bzHoKCjY/u+gDgXiGtRizt8XwBkDLOsIi9Vz2tjkAVjmgpitU2/IqXFuNSdjpQpZaJXFUN9iyeRGEe/666Z1WnoHuUx8XuaPnNHGdq5Lv8x50melBYrwlypZKxceq2UfuKZ36GzVJnouJ3WH6RTItqcHDcEjT9ewnf5j2lbCJwULVShPyVC4tHw0AB454DXYTkfXbpfqIWHjPE7OyMyZWL6ErR/IEtXkQ9EKcaou12pKtD9jSwQ4b96UAtdO5KvC95i0oZ+OkJP0kywUErGXKJjRXhZed1fdgBHPNzV8069t52ir/J/JsHmM1ywULwACzn0hPZyNmHXd2Q0WZ88B5WgU98yGt0ElEmYV40fKggHI+brc5Vsh6lEmx9nUmIGtFDC1bIJm2pSXf6TDdp/n0gd2LsFQZURMteHJTDnXcPwzUwAT/WJ6ibVuYsnWfLtSMsD7woQcWTdqO/VGDhlORr+7H2pEeEjFXhyVH2E+GWLwu9YMcIJVFp+5kFxN449yCXj6+uXKMK0ry14Y8ujJSp3BMj0/qYhXyCbjH2GXS7IkPzN6sWKd3/QGb0wpniHK69Y2Gu/iJSwDwvewUXx9Z/d0UPPDdWvoYMej8NqcuTdB3I3kqg6opnpjESwhWQW5bvmXc+uzaoFpNLidMA4p8YGFtGK/X41g0oerD+K6JXDw3vKDr2Pl06u2nIkRYW2fYIjUZqy7sr8T4v9Pv4Ki7ZNqcec6/b8d5rT2Y+yyY42NQccukyNUjVatgGnDSJptEFnmb8WCXZcsgMGFyfiAo6M5IVrDDt8LbToeONE4JuCGe4/InL6fJPEIa9CuFSuftT6+4w5JGXeYUaSXUWzK5qKI40ymodLhuBLMtNDfLbW1Z+RywW29hsoS4PQNuV51Ke8TNuy+ugaGKdy5EphdlPaAFIlYI1+3U7FDvMNDRm8D8HMUrqHLO3Fv0P/96OT/fq5I+pwrAoEbLQ11pNAlml/WjkSFtfQbV2wQJsQ3DdpzfCE9zcv/7Lx3ipXYuNBDYHSDCsawC7QxgFwRmhJCoInzY1rKTcM4gQiL2Sw837/ARQyvCxPyLBwmfdvarLbR+lOfd6Y6w0Ouenu5E3Qpf1e6JfbeosO0c4tkm11uRTmFn3aVCZlGOp6CfW2DKj/CnVGnpWDzwQzEQ5zijvj0wIGJQeNnunDipRUaLsk/45WvCgMQqGUGRwQ/gcYGqwWxb9jcmVY+6LCmcrrnRDYLYKOUxBsQDspuqtzMHsXiZ3toyrXmraqxtM0Hr6ri48mHzBQeYkrN0fkzcbgbisPMhjef+lLQGiBlV+ScYW57v1K6PmLjpSzF15nf0WYYcfRLaRlJgwDVsS3jhSN9IFzKpS6sxnboXu3QOpY1nvQjd10BBOZcBNQFBxYchG+rW/Kthu91FuOiddoc3O7pKfAOEY1sZ5gW2PYZMvILp7ZzzWWz+ldGfYeaGgWi/wR2jufcdySkIUkWp/QLiJqbNOcm7SHzME9AUoSdH5nAUjevcPd0PIcqyoF0rGJuGEszO/9FT6hhqu5IZ2csY06KMxar8WXhUHmUEsjobx2i/7lO4pUKBYFPfa3xATgunmoetR6Gd+TX5++2ECURL6RxpEy3SWiK9L7N174kMv20OUV6XC4jNPHSdgx6egNmoMD2eoaNQJpOGxDIL0oVJG59HUZ2f8hfehSGiQKIV9B/Dc2TfRjN4vgl8p1dEZuAQwvkobYlYonzG4V0jb0izoEGTVY1OUrzh2qYRQE+1cw4jYgRV81DKRmdzm5tzXRHfuTnlNTXRXdJTPLfS6hO/JPFvDRvvZbz0iasi5CvjTyWgjgCRGc5qcxbdt54O69++oS7K6G/mKGqN9xcUxFVvmYfZzibbOzlcKO/uYI+Q3U7pox82pNfZQ+DdV+A5wUMmHyOwJYHZsX1w3phdAUFQ5Tqr611aeinZ4WxY68yGZ6QKH8F5EHSzLXfPtI+u5i0UheXtTMZqY7PpzxGHNH6WNOMir34QMAl+CIUhgklQ/Mvb7h8pzJyiNlbHuZeQwEmbpF0lH8l2KW+urG9E58CCLZGwdrKaX84h/4uBVAQ04w7VIZ8nkn5kMndvkulVhQ3xCebZIG8kQZwB+nEYZgYSgl1XsViOLyrqNyt0/aeaw34rgDsIjlm/2g7/tDECoHTy6NG6X6OuMO1Kv7GGAttu7HrPg05JenG9TF7dN0ucQtwYqRdnePuGc249YawVt7uyEp0kT53IC0TbbOINBt6TmfkirrwztE54GRhVdzpO/M0qUEZswY8E/6D15x11rL+bglq95K6wkeB70KL28AifDisAuBU4Jbw9dYPEUnRKjabx/QcayJhntIQrMLArOdqieKkKYrzZBkUzzzrznKMYu5LLn9CA1VFqi5NkH8hPktWzlOFoPM9y7xJuPhOnh1CSZW3T9WfJxQFXDXYfcFnw1nS9x7AUq0fjEyitIbxNbefSYGFdytlxM0CapYbcFedKcGWuzGyMV04/kTkSsXKS9MGKsNW7jJFnN4ps97MEqF74yH3h++LSsgAsSJJ+/bnXFeWxwcdBZcsrHZJ0dxFJV5ZPDSQhXG81Qh2kqZbByPLbs5g3yPQx6F/LyRU3AgR6UVSJuGuL/WAuPv2jUT8MmQaZ1zGM/e/XvaVabzZN2Da7A9UMvG8q3WoLd60R9R6zKo2hXXE/j4Q0u9PX3yXUmbzz+7ZruZMZr3KByhbrfP5cSukOldXFqYsf/Hhw+/1OnK3ERxpOruWvj6KX6mI/y2+6xK3CRqIAPY1O5NLju6WkQ2STnraT0UouYX6v/NkeuqA4KIf7WRf4cg91vaQ1260HJAHK/OvQdFLD1OReGYH4k/HR19CYiswAreT2ochD+GFIJNx8opXctrM2k5HVBsqvK/rl4UyGghpkfz+ac1ZJs2pIGzC9Zwi2E48jwXKEhPT8cMTW3K7+02HNkSlPB9YHZnWOhOjLPoGEgCOl0172EboyOeIZQPyEuMyzHkb79A7YEjQCXDwKRU7piqJ1Mi3jyQjkeNBXpFD9N8X3ez5JTofZvBKmjQ/OMSNydQCu63KvIgowGqbPaGzCy5WLF2+Mq5tlnu55md3qALS9aO0Lr3511qjvDd+w123lKCAXb0breHcxYJaGjpyRs/e+MjnqmLJi5Ckkv4U6dhqjcgnkFMqZmFMEgpuYse3h4f3Ugd0bPhTD5zBNVsE5sp5swmR7zceu6q85AKqmrVb3WQJl9pg18gZ0RYc3JJnYDlmmR6Wzl2C98kTLCr6VMLRyO6/m12kAjad0LT6qIsb2yWwNQTtsk5SuEsR1Epj2VIaeexwoH0eyLjDdVl3l1Uxl9v06VI8OGr3p9C0lmBrqROu3MwyTOVB+80agOzWAD/95pbkJVSab5YHye8X3N4IqH99hlwrsgauFq1T60NEXLbgmfLhbJuJEXJkv1fLK+pB9G8oLBKL8cd3WM1BHyqwm9Ia/M5IpJ8s9craJrn3qk5pXA+q0yb9nV2r0aHtjDebOZAbl9SDqkliLg+2U6bwp1YwVR6IZMBeV80OMWpV61HIMJYoKoKYlOZLyPSXR7XTRoz66zazm34P0DHtAWexVfrBz5qQCf1sIDqrbWqby5wGWKo/8gaNE2TtEIyGyag8rBwCUMz9mvZlcccP709R74W4yDBSfTS3NUGd3WzuqzNlmzO2PicAI0F2fYw18gzjUsHOwcSD7O+Q93SaqO6UvfbV87RDB1ZQhGRZE0ZXBjiw8Q8I3PoGtd66ptllMKivlIP6PqR6RRlacnsYUGxoscB6A6QIeggrrY3vgKz6NUX+l8xfB3MsI0jO75/jl6IhBVFxdWkUH99RNxqwj2qsE9GLlDOrcWzuq9hT0EjAwEhOHfjey3McBjntqEF71SXbllFHoUS8joayVbmZb0d1niVDM7hWE3R5y2fcT8aCiCvLz+t6jMvY8Jjpw1lLwo7D6/U/E+oHptdG6X1H8lec37NDgQkGvtwS0BzRT1vkXZKypCGglg/pYLlpQeG34LSUOmqSGNTpimhde3vlVtuxtwQXUsDlXjBhsJy/Vg5aLGVIv1GYkIvlsGUnN5XF/79d0LP3UiogMx9rexD0BBs7jAaKHaHCiHYKzkZ4wmlEATtnWh7tgGnCvuyePYQ0Igrv9sd6To41CmJ31hj5dDuJXo5EBF+xOA7+hO3PFyq5++kRDxDlAsPE3xKtIqJjtoRavlmrBzQjKSFgt1GCf1oUvjIozrLCnwct9+UA8eQkb6v9xs3pCBt0YAT8rbaDLt0eX8BI7PZE3kGWawSFOtgCMRSgaeeem9EOLsdEralgdWko6EPjaUwTFBjaJNLWsh1EHdIg5oeSV/13oQC0GAE6+FWEcTmcTHRMuR9A9OwiRrg4e3JC73UuYeHv3EFSZrxzEkhU/QQSaxiF9dXBzHSgAkEVpgXC1TmiMxYvAQgy1pa3LelZ+w5xFJlsU2lmd2lt0sO6zuQO2G7+1JbqQBBoHXC9q20XpqY75f9oxiFGW84efq/1XhR3gd2QIkqk3d1uMh7djWPRq39JC4pfuhe9H0zjUaC6YVdn0ZeFWUXj7s3cIcIalRuZQSHfyV6vLRAk+hrRRnbZP2Nk/Kq74AC3CHKnBOC+onJbmWMTTvd3e8sa9vLn4IF0BGJD3Ha3wNrmttaNltDnb3ro8geD/bOrFEDKXmRL+nh8ywLwZFbAGVTIMs2ZbOEJAC5bCrAJyEGlR/NUYtjBjsJvrl96LAb2h5wDhSvQLbAi/b67y/mxAxd2go6+PBELe8474Ui64AYlq/gCY8pIBMqdN9IZNpWbe1rTper9yrfN3BwsQie+Q+tbInKqxQdmYbx7qyt7vxJdA3d2qGFZmJ0ddrN5Lv6VmNCF1HzvNY8OESMFxSnTHnRh8d27ep/98ir+/7QlbuR2vbjdKfMYByjj4uk2JWMb/VYYEKEBE9Xy5oImeasIrSV+URMsaAAJpJE8h6Bvd+G2EPDi2k4dcna/cG+BviobS6b+fzdsZDAd+c/mFerYegnZaW2GuWbSrU8vfgk2v44EgZUd8SAiGw6ZzVfLVO9QPC0kT34oMdZ6IrFa8iScLIz9hXtX0rxwOx5IwSFCcfWfq+6sNw9EgPF+OZo4Cbn4VRbwdH9KiAY9XpYUrI1aOHCRCyrMvI7lQnxFlrUT3S7Na2rPNg+u6kKCYOmtQzRF9HO5S6mwNb+gH2Rmb60GGSd54M+jT/USJroVbNbxOl4s2UzjnvLAL/vYnUqP6HuHRtSQMG9pB7TJqZI8LSkuN/X/i7kXseQeKnsY/KzxSAsMgooEIUK0edrA/BaQtwkQRMjrMudcSO1JWZ09Tzy3Op60b7cCRC0cKJ5i0ZuTASP+qEWnk1RUeUmfkJMh0/OqqOlEiAMBPYsoOrgSXPu6pEKGXFjn/EAFoDY83tZOy5aMOpLjFMfqogrRkI7FtPYN1e0iYT3RwD/m6btAz4rL4n7sJO9r0ml1M6DbLVvrVC/qZgs5yRT0EJ3lA5pdzCeRdvVs3HuutssSxXnBToM5oj30dgYnCJ46/XS/zxLUqvKuzx6w+iVUMLSsJKJiV5GzoMiw6LBA0g5KiVIhsjPyhibgzF5D+RFQtRkS0mwej+81eeryGsZ3tjepDLJc1T3gobHoyfwX904rRQJ9ZqjOrAYWZpc8ZrGvE2BomKOHba+vO6w49o61AsGq3qHqcWcEJcCW+utYMM02yHE0Z9Cxr1KL5Bytc3TEdDatI1+GytecA7/5UwuV0wybb+BqJYPV7oe9cWbkqUmSBI3D2la56e61D+yWiL5S/bbknXYKoDa+QCE7O6uzIPvnmziJtfjeo9yfsrnuflEsxULhSoocAQSTVxxSQMvlfD3UBr6Phg5Pa1k8OzKfwyuWYnaiuRU+2qUmzmkFiR3xkYrhCxdD/Fxtd5NyBCgnTOoiL1msAwpK10atupSqjkVY4SQMWrqIo7EIGcOqWOas/tgNbtMKzbh5aBDxa32cngJw5Z7iQWMLClR/F1nsd3tdR46Yy/K4MZwngEPld0EAOcGSZ7yFnVEy9Ov5YBZqheTGrtOG8LkuSUjaC3/MZ/V+6jfj+l7ScT5QjsbCvqm2Dk2vTEB/gpnEcyl8Ay4HXE4tf3AB9456CGoNW1WSZMtKJmdcYtEYHR1PMCbBntyhHwTEevuc89qePtr2JJShVBxQaq6s+yL8dp+8eyDdcrWbcsWFjNQx7sDmsUW/ckFJh5bVHzipErOiMsUeXgYYOttn64CfJHgf/3Y2C6vnXvNVrdaFDBQiv5enA4qVQ5mPgaEdrv+FO4iQVHzQMfRxErCJg7onHMHipDYmIm23xzBH0Rg+GUdXBJwWr18oAmljq6D15LiJWGMcrseJVNMMSombXyFUflsD/6p+djH74Dzj65RBx878tg896AZBHLxAk0H9yvUQemUzM3sn8lN8ajuGG92mEaAL+z7iY4ludcS8/cAv5G0W6Z0LRep6udfYNJ/0R2uRoxgZwpJfOsXYR2TxNy/YDZ3ojEMr2FEtuSDjdSOS3x+rhcGSnLJBWgPDSYTsQgKV5vAnAkcnGcny4DhB0Fw97UeeZNeMLS4X/J61VIhZeRlj30RrwMnxFOpe6TNJZi5AkxlD3ejkuJQOl9pETvSGJmkkhydBDzOJtYBlSbLJs1IRwJdj7saVc2UtvsO/U90M3QcOgVbKZwndlR5Noa9gfKgqbQPFi1tbGuiseyeriGlvD1bluKJcu84vsFfvPAHMTX7HlkMr3UFv3ivtxudowX9TppddCyxdqypjFCdsLZBU5vtazwl7ZhcWV/yqCnIQ4ZQ6Asq0AdsfzVY4taYxtexaOxOZZZpxnqnAk9O+w2bk6niGJ81pk47s7iBv4Zyvrzy5fMY+vKVmCUqRMF8l/VepsTWlwcxEQ3DMLy8mCVH3X9yOHu01yVcJvUsox7CMIBjhuM3uSYJC+RqVQdTN9QTBfy3ckv5ADHoPIBZ4LM+YBd0xJzQKcawULPSF4O4f33P8mhAwDPVJ+cO2Zlk1KHU6r/ArxXzq+yTpq1lK/6zKuBfQHB03KBBa0tZk5ZVd9ogWHIKW9uxsl+dcm2lqFXFHShm6iIgxFnvnzJRRIMi5I9eGAQl1bLgJSa2ZEELgl0iu+Qkno1U4pk5oBD6yC1/d2fVHHvrlot9wB3LyCj/8Z+bWaHbjIIALJuErPDdWBj6uu7HZPcefyr0a35OmgSgbjS87MnbQU0qH3MgLhi49u2iNbF9+99uJocJ/CK3mHbJ5QvhuSoQRbiQNtUMOpgYpsDHeLdHWfYuE8eEeXreqKUW1NqeygM5NCIHPO6dRqHYtaknIyYalE8GqGld2ghzMCIOUENtpcW5T77hiFzW+v98wIpwIrWn+EfLQhMduPwcXw1pxctCfMkXZjvEa2pWUwNPGcQRB9aANoqwX6KaSGNnY/yV4n4+jszVYDlOL+gSBDuqbD1f7tIF18hRz6bmvUiCTwanuRcG63ESiMT1TIYjyr7SrCcdd7Ved+SL8eVX4caGkjpZHxOlRj2Rmt3weLML4++7zITIeGab3PLAaVP0tXjHE/pIetIqjmbuAT97tnA/o92b9SC3Tc+pb6zVWC0J6a+wejl8mgMkXzmOScaJpoEtJT46tNPZnxinU6BcynAccVSnsFZGmRLQZi3Yb5jgks4SZjz62URc5MSgW2fLU6bH1riNdUxvF3qa2fznPa3Kp8IjI+78K/edhisJlYzQtq897hbBs7zegpc7T9ZnlKqB5vNQKH2kruwXUkFgntYAdDeZJcrpdvwzdFl3gS7OJoyXc4hjQ1f0aw1MlyyR03zsRJAFKW3MSvCcX6yf/U7HhaAtgE9g2FXpgrdoLLW9++L5kX8mxTQsz70PKYrcujlHOoRaO5KF9lPIwJ5jmyKucdSwwYw0GZdiQ79BTJv4qoJnCDYgvJrA7yRNaeU0OAW+mvwRtDX4a+W3OMQqtRPuBYsbMAFsSPdMuM2zWNbtyRHt29XJaDuSHv/7SMxIVC4G1nP4R6RsNY+PJHS7RbiXv7/3TrXrtbHDBrjTpgrt3aRy5rA/hCDIl7zqp4C9YXMvYEMymFCKC/4sh0PWmUfUJX+gP725snLfHgay5Qfo0wnozbtxKJ+gMhqiXsrrTYJZQeUGIIq+FibhzQXOSJrNjj8mEFSrW57/wmd4igCoXMLd9lTnzkGcLCz0y0cuxOzbIzVkfleMrdtKe8kqIdw1pIhV3kOsDn50wyV5H1f7xNnpiqv9UsU3kMgi1mBc7SPdRt+SJw4P5NyxpdoJz+tbvReeCXPzfWgM2bRAtzj9ChfjOMz3bTQdnmuc75erievq4/BhgT4JiHPwaZiy0zVTV2zzKaZYjgNijiYkfONXISOh/abODIB2XXtaRMGkC1FVIUuxfr2aPBhgMkzF0RH/Nyo1ccrIvNSrVvPFbCu1NnSqN2hlK6ElOVkqse2reIrZde/SOffzIv+ywEdkTmH6TpxUjEUYXjsxAq0zI90J3kE4NliEn2vwn6Y7RD/uZxb/qY3v8ZczLLJMcNQt0dwBjmihN/nU9zpy63KT5jd44Lgy/8g0DXLWtvFRArTbR8gJczMb1c5Sa2bMqi3z/8DGe6bY/IsmNHzZ4Ehnt1nz5y+PZpNnYO65YIjxItGnkd+1TRdKx5dTZm7lXnMXzAI3jbJPpjfhbE97738NKlvgsZwOTua2oevAoAxCr/335XUEbPPTP/sE5Nl1h2jqtyBod5ofOlTZtqENV/Vgi7PuihlnP7ObvE7vfhubpwdcIXaUJ6L8qLNbWa6VM7rJLGTu0C4ajTeTgF8AdZIJYjY6kE8FXRueb8pYVaB70wFzUh9Z8C50IHfLik7OVD7HbFbJyLZQFUXfZARe0FdFrFstT90AIsujkaAPqM8gvzjzGayTBGBGiBfB+0OBtivekCg3e628wmtwWJQM4RD0jb/QA5KvXP06nzkUnri7SzvaIDuqxKEldpwP1yjGl/wVYDcoycHaVhBYbJEMjR00f4RrgSz0w1wu2euX6Qy4ayZraF1nU5+ENQ1QqFd1iP92fnCs1O7m71RkNcHFot/WfjDfAH66MUylQle7NpmuZ/PWRPiF5y7m+PTsOVESZAGS1wtbhfnPxNouC+ZaXLRm/+IxBS3oDx1hRO2nc+idsUIua7lsFjDja4+LoXl0tMBLdTy1lcytAQ/SXBc3Smqifmkjk+HBX2WBOECiLiuVVE2TxBIwE9EFrwuDEB+mfcuXEaGcV+tnekF667hY5nJym/mHWsKuWVTG2nwQPUj/EdojC2OJBMsZ+gKFnPQ+fzaV/SHT/IwhcextzpdtL/AjQNAvtyZKXMzWVyxaFos2yulGslNL2hHFU+WdgLGqXE0aBDAooGJ6O+ABq1uDOChr/4a/znoAYtrA6Rbk8U0YvAQwLG+Nu67v8EsM7eTXk65mpoh2o+Rirothtm1DMfGcbKU17Yxifo1K771XAGhIHTz+PowHWPQW0syw8SbhhKr1bPcR6js9DP0v8JlWFgUGzIzzlvGxw2V4qITmwhghP7C02EGJUvyBHQ/GJuOPsu7O+pTC28KoIeOfbplwhGyBpwLh8TBZ1bH1rXKf9dlFQrZGkLIYiuR9dz1fAM+xPr8o+YZMMWTuSSgZuVEG4acxXDmyxSG41a6Ws0E5Os0ajlvYlI4/btSqMU6cgFYmV+wdJQE8H9TxQ2vkA/9K/ww9yRu02pNq5ZkvI43xtdvugVvJncX4+mkU1t+nh5Ai6HXSaqrjz0xeBIspdue7qOiH2IkVOAtbAn3ip6wJRtiZ8A6/MBUpZpp4icrhEKeggfjvfV2pCKxThfC10agukqBwwZRI/kH/CBhYGXaWCohEkNk8DcLkKlBCws6CgspokoPowAk7+s8JxojDK6RdeeXIWf3cK4rFkqxvQcpctRrjau8h21mk+i7TrZhu8oU3E6ygvRt8OXVbo8RK1cWwkG5Zr7n6QnEJqYogmscWI7XCy6f7eT3qwxK/t/Qu/Uzh7GnNFyB1jIE0O/VbHxWnpku7oBrnXnEIjO+sX1P+BZwrR9bF7scwS0MZt6h/1WCKTe4nU8meB9fcrxLx5NOGMwWaYlvx+wcyswgz+mdyQcCTqWVnYYcpsFpmNFQBdzPlEsCOLSIJ9hOCsgXjhSGX5UyK+mBG2ya9I+rfBRsFMrKMv3RQSSJiu+PSdaPKXTiUCIA79trxZIQhQ/HNlraltQGHaQTSpSgkf+WvHW7mNgZcs8UaYuZPa7H5lVEGcc+ZsnR4hW8ygFb5c9xaSINc+YS7cN6LbCKzjnLmZ3LVINah8pom8xxCO+gOYk7IDoam5f+gXEFht529oUlcLTQf5AnOrXMF2I42wY8JXD7fIl9L/Fq/ZuHpaq6rZ2U7rK9Pi6pn2fs2wN+v6HMXZRQCfbZu661dqBdpQsSxPFRbvafVMLpJVZ3/5ngaEYqZxfUljWtxr4IeK1pS7VXX8jDnK6aIMVAG+06OLQ9DbGfN6gcw/H9+No/CG/6AGM/OMxRa3i/zWg92uWi/YCQPGdle/zXPVTO6GnrBinrYTVAqhvkmLk6j3PhGv2iHb2TvERjEKdCm3N6ZD4irZLwKUzTxkZDwSuiY4hIi8bQEuF6vIpY/RHDNsozsDiDB3QsxkQFaYTZs2zf5FBqRZ9e3KgzGA/RUqoi1gNyhUugXESZaOH3oLMyHgSI5OmQFgzKktbIuxaMdAXvSXGnor+YP+0j2NjZzfrbYVcTpzgGFEiGJRck6jMh4hPU8/ocQYdeuEsBweOL+fu8UEj5ZrEsSt3LqZRk+1Ga61MX0hHPmY72CXZFwEmHbQN0ivR017Ag/PjmiNuLiOr5qwuKvHLevycnagPETlU2zjmJuhuSA/kibiQHWw6sOxo33oM1DjAM0Nbz7l4vbsXLOVVPXfLgTTCC+pVs28aB0sa62gVgecIZkUveRjqWfcJ7ijTEWk18PQsf1OkxEGtC6d4PG0q+7TviR8h4UFLBPY7aBy5KZSkLarIrkKzb4EAJhXuUi8AH2pyKNyqVI1EqsJEEzEPnFnrD9iHknZ3WUkNwNW8w/RhOOuwsum0U6Bh3yEoAz7kh+ghhZgdjlLE0J8i3KKmIYcOBZGqx/lj5TiFz6eueEO7dUZ2N/KnK5N/5P7K9jEoe2uHR4OHBuGAOX9MAOs9hJH4FwlKGY1Ecy4ceFHg4PLKvb6azBzdua08QT5guRR4dw++hAxtIKzxPCUE5Tw5G62hSsen7A/UmrgYF/kLlP80IIqyecirD0OYhCYCU6zq6QzzPg160OM0ClElq8FsL5qYt/HRKNb+/WIV0qj9KfJ9f6U1NOmuCKlrEnfxBlCSnOfLjkMc8X+CRclMAadXLMXE64UbCXbPDVhSJ5kfHq33CsIE0Vn8OT87vvnbMlu33UO8cCgPB8/F5ABKm8FgCyVozwUsZ9BODH4OD0H6meXpZwj+SKtI7OAWBUXD985M8a0koBT7vlaSvn14j5M4AMUVRQ7ql0K+F9zt9szB1Knvc1mH4UZN57MfXyh68SJTw2F2TEuDUQcF5xcsL0M9LCAziqsF16NYmHkKr/LdgtBchL2ECWouEu7Fb4HkHw2EyX5Ks40XJgI45OBLIvQLFVwXYrREWEU7olX17WLcYHLpu/AA4tOFlC5S9N1spMrjXiklbpFZhshyXw83jprGwynZZ3/J1d4Eh4jQaqkWpB1BIlTcjW5wmeCreV8H0EWB973gCIng1wNFLIWI/1A8Q3WFMWl65f8hR5LLXa0Dng7xr5nTYowHZqPEk/GkZe2cD3NbOeOMwJDvah2YO6zTnkFpuMp/qhBwbyMoSnVFaMUvDMuNPJmtXO4SJRMn//C/llFQpvpBrKB6Py/6SyP/JQrCRCEDx5XtCUj6JJJYj9Qx3n8n22ztT4qed+hCQqbAKalNZfO2ke0uoSq2/ZKOU65dUKm2klano42TDnOVOCnUDqbMUqWImxfh+InfQakRo5NcNq8xry4mEi3b7Zu26i+44Rh3PuBkBz3F62ECwLfBRR8S55DZKdtZpQ+KFvq1VgCDx+pyn/LGOXIoAehFIgqtydRPJNCqBb8ziB+H+4L6FuQqBEJJrA+HQMA26eXXztwC5qwAOfll4ic7lJL/aY7HWIAZlnG7KblX+gaCP6OvPxeaLh99VzIkcYkKc02CSuuXOiRRyriOJKrgmjJAbp5xlV15TTgio83tJ5QujY/q7OAxe5eX93iNXSsIxL5swsJnbCyX0779xMQAuwY8R6ebUVsSQ3sIYbbtEXnJDrn0327VaDAWTfQTHpQhYWnWz82wBqynpDZYGGILwIOpCa8WUkHAgx0dHT/eFLmXVNr1yuUPRy1u+sX7gjGEzG5JEsAZOkNpNL8sp2Nc2U5xNeZRX/6aGvTtgY0UWZeOUH/BpJJSvJn5yknl0HbejmDVCL0Nh609bra0sjhjzj08OlqgWMEQECgGtk2602bv0mybtBsApukmkIPE502tyY+YQiylsR0+1deXG5F8Ox1xGjC6IOLC+nhXaOmZEE+cy0z2qJcIV7rfA4GqZwd+QS9pqTLMeq1Fu9RlDcOgtXSSc2DFzeL3FTVpyVotneaUn8BszNAgkiDvyQ6hLkHsg7RIIZ/EdOQAqmFcR8U+xCY6eoSfVv+BKKm1VB6sQt7/yj9C0CsDCJ6WfRWvEUX67w25e3m/1NPfYsah6Ky/fVH2WOb8u14cLRhq/ZfRJBqHP7a1b/eoAMQxovr1rnP7PoZAoeIU2HtZA1AYYba2B9lN2T/osy+6XeyfWdYQcEd1fh/cTsZRfrHzi3+Gt5GN3GXuOpZotALHiTGg5TJDc6OFAzudx7fL8VmRWGT3EcVFMaxgUYlUGcLxJ+KW9eLW4USGooHeY4oKYMsZprMi8D8S0N+LvWkpOGbDFM/XtUrz+WyJSuBqsLeGlgYMPGmCUgM0qSogrul+94HD0RmtGCQB/2rg054Mpca2YtNS8GfXyVi8lqTz+1cEG0i7jDDnJ/xXDrHCobCDAgxctCNcKOxlb5h8C9ibhGIXV1LtpUYgEARUoBse0S3hIL0S+kwKViloKmW6QLNygkVVIQb2Gp9lz1qWwU2qeXe8lhbRXK+7F56YCbTwR/wiXdrr8CEnDIc7qyR2poVhBDaVS+SKqJwhD5qW9mroPc+UEca88AjttqRqEQxFcKmibnbMTwGSDoJiGOGZf0C1mtkocMHJ9N+hVVchOXYBRKtmJ86N1jsc8Dg4mvEu3MM14uFcu0+Kp0z17KsWG/rt2VZtdw2ZPVE04/FPeGzaqxqHiGQ2V2yCpXDenlkH8IFIoLOeX+56zhvo6l9xJjCiveZIFF6JWVd6jOfljDpLhPPjHYJYPFMUmfg4K80k14baMxtpbuF2S6mB6eskjdtXriZfFV+WLibBQKGKwGgXHU9t8YipcsnOzhXwAkWByOCh8F3V0ojQUUHC2QAkuoeqy+k5JUmLZM6znHHI8TEmw7/LT/0V/cT51/irl1PebEpM65fb9GYnDWPYMCzEzlvk+6spvdWlmlxa1NjPqoV8lkl6BRJ56irfTi8MVFKehCMtJIWWemJ3vOUeNUadWrjDgvapccuGO3NDzi7tc3tJSNSE/wENAaJSlep8dEaSJsLTVHy3wDCzrjP8UMh2mqsfksiNk9nLBgEHYesBFThKdQP9ndLJOsoy+9MIwzm7IZ2c40isAPazfIYOU7x9DPiE9qsXbIRjqWde+V2oi8s00Ylwjtf1MxPHv1h9jE6mpRVr166cX3gYghHySijDxz2KMfgO/QW0+nAAwg8Xnap2c7pOpqwW4AMAVMCzCah2203DofHD7peCQVP+9cXAGXju1VRkrwldUfjAO7W2R4iwuDGpnk3Vg+HZnULKllEjviVUZVrVtk/ortENx8oGPl+26TS0SZAp++Qm4b97sDdoe/gwjEnp6eiT3u8RPoe/PeHR1v5Nikj7DUEbWhzMNkfl94PN2z/LxpQug5baGZ5mhN9YuUiauWTLUeGcESxmvKpliZWMlQ+98x3PW971kHzI7ZRbhkzzebhUm0n3AkHx8KEe2FPZIJgPnNdn07wsofJHT8SFJMmxS3/GVPJnUk5YKmDt9o7auW2EQZSJLSFkHdMcUOsnvW9ah5zRMxliq0DU1r3VbxOCP+iZvmhDm9s20675btHALivR0jvHIsU9feIiAuc1LhxnzKUbWx2OMK+6d1iTPz56tOhtbDWwAymK5VKxmXA5JuqnlTosaR3wlLlJHmtcg0Z23yHeaEq1FdpMxH1xbUmXqiEVa6R7bOGMQKW5AZWH7VuqBkgfpSYYzvf6WCqSj69AYNF2CQ4zO6r8ykTChrqnrYJOJ7VHEmV9xwPlpcw3gaHBZfahRL+sLMBFp67trZemomlxnaBnmA+Si6KyiZ7NO9b4g5NttLqqNj1WPOKwKtFWB0jbDu+FGiAWhaMiicxIaEiTUCbA4N6oSO20SQq4NlYxwd9GCyGA2kMnV8iDw7IOr8xk8yz/v/pEqGHcUL5SeYWckhDU2HPT+98wfIPEjlh25oaOxhR3A3R7VUgk9vF44lonC1mUvkbYy3Nt5dZXBcyi2sps6AvbOr7mjBBh5KTXRowTgWcvltvgK9Zm3w0iEo8bZn9W91T8ncMlX3aVTVopBQ9n1hO3j0dz/DcziujvUiTxRxIzwNBtdDG/nFBakLYUfnZtqKwVrd/JP9y7acNQj/nEpLMSPJTnDEMHMLLQgKVvh4KjBxyNHeSkAjNabmDtgVi9qQBbC/UFUXFdNVecs3/YOAHTcP995STUip+rbP2+P334bG7cI6JZJAdkEhdp6rlzEI0jPd+2qXHPMUS+KyAUEcndgT+GZGZbTH+gTPyo9+BngvOTEURyefZnyImuVaUzux19/zCSdvpX+iKUExbB2ypilrLNK7ej14QBTIw76ZgeiS3ZsOcOSVNbfw8pTdJNS9KrZHWAXTw5cZ7EGMf1Sc10Khjd4Ogo8NJTpiZb6/yoZT9KgcWowW3XtvvMLeGsP0B3olHhbn/LjpqHWK8bhITXiVodquCz9KWG5Hsj9OVoMwB1+J7Ku5l1hRMYlL190doRrmzNkUHKoYUPxec7PpCna+yqhzRYFK7gk6QBJRSKwg5TCMqKf5SWu6Hxd8xRyi4s+/3i+rFfRPLtZqX7FpPqmPLWPI+hGfaT98s/xqm+J1cCYzGGeuFeyvfQqTr4bqzu6UaXiYwbvnx8TOzqpCQjAPAmti7c2EGDnoT4gAtJO9hcM9DzkapAffTCxzX7B/q1p4nIPTt+Ede5zqQlKzpvK/MLbtek0BtzWlBLWBZ4LUhZkANH3s4iE/rv18zZVsd93cqlV/2rYS6RfAJwj2KjwrpqVyeAr5fG4s4HdzcGzil7gr2HAOPWZiUbm3gUPgT208CBJSBbSgh06QOcseavzi/srogKZVQOzwoeEEODcE5ypVcJnVrSKRD5R4nA0W8H1tocy624dvTGH9wy7mDgzKvMXdjUiMu3CSLR/MPoOfk0Sla/OHin+1fA+M5d+NTlOIsVgn3q989N3aovTGi8XyGrRwaBOCwSSQbYRqu639pFUSywdPWBkguUMhR9bmkitK2Iv30anH3aXRRZB7UFlDNMSppJJCIKj5QsMPbrIHN0o2EQxn2kduxqnLtonPeDHcrq5X9Nze+VNZgEwmGCKgI5/1o1+DL3dyG5b2jXUeBW4jYljy+QR857/VWAuTBiJjjWezbJ1EhEh+qnNm+TI6/T44NEl7lxca44SJa7ong39vKHyyCboRwxNOo/8MO8MUYWU8yNF9Xscc4SmuSCKNOBBrXvDv5j2+46x4OPdLV+9uLkxtld1AQ+0olUZ3CiJDc9+83nPtWSZulLqY1HkMeppSFiqm3rwfqShQlKJJdDZ33gfXw8CPWUcLa3vUvmqgi4z66fHOu9Hq0z6uf64gPh0B447lFGwFhq5DpKvovFr41Cf5Ce9ocf/iqaYNazoWvpPDlDNka7N1s6Tal2oyPgnT9cRbK1hKoFT9D0PGolasDrYltfotTpfECdua3hGXOEFSlG9D0Gvl2IZKuaB+9B7xpoZhmNlSUFT8sSdSlua8lzsPMvdSA2gMSNoAfSFD7OtXPDuPdC9z7wfpNYrXKj1bBafXBnORAILmG5vHMJP4DENec9mL5F/m371K+t+OCRRPvKIyfvGiR5nbf6IWnZGmWROiFVTu9yJhn376Etj4mvLsg0ITTKGtU2IliRQKCv8Stxg9+AbRJ7n14yuhMmulz0xKZGIlhOIaMaLJ56rTWuDVQSIuKo/sLqhArT/0uK0Nx0sIecrKWSBZwzzcXJ93INMfDi08mH6bdgZGofknUzYtq78mlYFEjmkuFu0QTuJUiZOI0CIFcNEGgmwCaEJWALpzfSLREjzSMHE+wkHuRDge/KErrMeZOBiFCYo24z5tuSYqbTuufpSmdCAtFvvxBhmiTHd6NU5Gk566ZwSgrScxpc5JmxrIYzN2YQrSgT6WF9PLePeR+iD0+wAf4EVTrnzyA3C+7ChhAbASnt9DoMbnOXFDMUgRJzK2zoBXRj/souYT3zakwFONATvWZARSL89LrYjhcGkPcIOeD+e/AHh8cJUJguX5LDRr9ACB+4Nr18MU7hV1lUzk2hTmeYtfxKQjJUU8t+r10Ur7nSlTSOMa23DU4XZLnMG883bBBVexxap0+q9n7X2mvb+o5z8oDQ59zYqyohaILv1eYjj4kQAdO+ukhJ8Um/CBW7qmQ6wgI/RYDQ3K4wD5RuojZZtAlaGCAnf/HqwpeZgwbjayMw9Eout0n/Nr4RmMUEKQM+qnYFqdj6vN34E8kMRvP6533Xak1JOwPT4LYe5xr+jjq5vIMKk9t1n3PVmCXopudeXOgZoty6as5Jw2nVf+3uUb0/z0GRrQ6qVp29baAqTLNWfYmViv8NiHg6Az/Bli1fwPKvW4NsVXVhma9UR3Y1y/KjW7F6anx8Xt1oFFeHt+jbD8U39foE6xYUV6Ybab6LVT4sKlu96da4gTh/lbDJuIrqZYfct35FxRyYmxEm0J0Jg0i2tlrt1V5tIFg6PrdyKffmV2ypRIfQwqoMN4pshv+X4hW96K7BlbDTZYkItwNHHsoYOyqisRXQFFqkyNMSb+zX3XJ7OfMRIu4fSuHkgFs+zwENAA1W8m3EmEYI9WP1GKMNsF2mOtqe8esSZ1h0f/EEINQrnOetJBwBiBcRg43R9ryKa/pY5YskZxaOpqCUi1ZHds/XLFQXcS+cyZhkAfqdLV7OoyX15f4xKWBdOLNfb8Hu4eClf3qjW+T07L8x9MMkRbpy1iu2P8rxcdfHggV8qbFVBl9xfdnycDCGq3OV1e9bwJftE0xIaiDjvAOqNZEamtGrApR9J3MWPn18zjI5rf4ehAQM7ILvIvnOrn+mtTO3UUEoNvT9nfiAdBfaDlFQvR6yryc7YJKqx0vZoXuHj1uMhatXo4ZXI8UjMH+wQMHD4qC5HLI2LqwCeYabR9njO47pReEsOmTI9JXiqMdHITBKgYSxiMBYNkmt4Ow7rdly6M3a7+3GLfqIMuxaPnMJKUJ0ZqVAFDFZOHBmGdex3GrlFwwcKwYpiegNrzbFexBMKHxd/xbvjCcTuqb7ngCOEy4uLdP0+wCWol6Cth2ZkAuxg+lDYA+GmVzfsu2qarDcPQjj8zzhZd0XymkNfQGKyZgKQ5GAiR9+u1obg4a2istt7+vUAUAsD3jGTKEwUrYKWINHXCj6tJE2fyS5PJlamXGHoYhpZHH5/zSMtoV3opP3FTTi8OghuJ5oaHViZUv5XRQUWiYMi5UROP8bziYJmlusnJMstnp4ex0rx9SCqplAbqDGceIvO5LOHjmaNxHeQ7HqDn7RHfyGygR0C5+h3/emDW34lFQrhSnb+C8pSQmwzujJrvQN1C0wcuEU3Pe3k82MkZetVJtloK7As4wfrJQYxDhZ8vS+TTgzoXWjirNvDqQDdnlgDlwsZ4WkI5T+CQqaDusTt8PiUhwuc28yLzSQxnveWppi2g35KQFsJRWqRLtLsck3H9bt89gJG5WTV/3q8buw4cO2/ss4bQajsr04wv60pdX8v/AOrkN7meQs+fkh98giq7MuMqob0UnCaOqjeu6GEjzanbUDHghAYq/4+5eR4cCaQKFJKztNJalztgBVFqTEPMW38jkUQW3QvGgcAUvn7TANC+7PHwtKGFptJe5Ifaab+0a5IQ5VeAY8zJPihi/pZBBRqbJuHgZfKK/fl9X5g0E3WmIxhxnNY/+gfdI5upn2QiUOJ7Kn/2MOWs82P7fI6iUZipwavyIaMg4lGHZNm+u0vP89DgJV8yTlKAMmTPlYSFln4tAZc9G/siWvvjN4Vk523s93+KlWxYoh6G4poNIXcNFMwZ7koP8iHrIt1BjdGLr6Fooj+pm18sqKBdidMLbc/ASnNNpl/gYHiZsdgQX4nSBKmIN6a3ZO2GP47+lhDWnHacEnOGNJKRZgNc6aww8GeFWcwLux03l5eNi1c6WGFBlXwRU8IFMOVkeVAjmGg2P8FnlGd3eNmP2B2k/UCnJwW+mwxN7KyV5AYrdaR35r9gsnr721yXC9uWKNP1kiFjxzEwV0o+ZTH1Eziiw1NhA5dq9JH44lNWGTxciNI5Rv3/ypmNobWb2Xf8RXREK6z4h79LTlFlIcqZKUj9pcP2kugjpn1HjgAN7tMIjEbIQx9lPNX9JSIXUrrvMiCJi4xZjugDMaXPjP56deqAw3OtE6Ix3Hw4QVL6T19bLWYq+G7DIbkvLPJuVSqF6x7+m+q6h/rqdAqIHbpLWbnbfHsdQD1cTx4NFWkXQLtQVf9LrGhDgFt23DlwjGXI7EwKqLDZ1ihQxOiguPKIbzXt31ZqLZk5DAMgd0nEUD8GmOAfApCKQEGSQidJVdsRX+PjDID+t8aNRits04rGi5TNEeZIdzTM4lKa3sNtQjwxy//0gokoO9cbDDFU3h3JaAl+32FDmoxi+7vpt7gaj3/PYanKUTetB013XR2PCkjjJnnVd12NAUdPGYQ4+fmwm2EhfJLZSKr4fQY2Wqvn43ZS9jQhmB7/ABfkpEY/Wt7OqE2UvkXv8MImiXoQhu0dgPDmW8yVTe4ZY0bYdRBn3kP4pu9j1Rt9vjbQBo3Jj0dL2pHhfPvskLfNF81ZZU1p0s/BxdkwZ4YF6OZSCFGCdHtY29Xg4qsaYOCGU9pwHPQTHmPUDnQ5uS9gPOFbTRAyKIoNeuvJxg7Dsvx2MnHSvrrS/tVtrBYcDG/kH+rNwoqIzCtuoIfvRAwbMf7upA+f0fQ7UuKZMrrT+DM/8G0FV8zPRRhqwgsMkNzJmF7M2VDrCCX2CinwvgNUdRuru2tkFEq88QvWsh+NeYsm2sY5V7OcUBHofFQ3iAB3tmLwETRSuRQO/bRmZ0LZkmKP4mtLcU6cd1Mh0/ZBuFlQ4ZzleNDd20Zn52+eiUEaHBfdwO8mR13Z8+n/AQS2G5a/TelSuQg2Z+MqNkDeV+GEeP68CvnVT4hlBP/WbaQnvVfnRfW63HHK6iJfhkhx3wYM56kmE0QQZCY1EjauP+b6pNEOzaehHECov5TycQrQPvhPZvgBKP3HaP3jhmw8wm2c3WaQjedJm8R24HN8O8iqluG7VqszZsY4SmPY34O2LMwxMykZjUPSSmQI8208MPu6okG9JOw1yQ4dM6RW0c3wYsZ2aHihw81o2QVlsmmNFSkQ3X9vH9cT7xgXkIwUKT94vBClUqxm+GFpWN8dJlAsLJ6zzsyRmBxqLvJGSOdJCXRPO2510v1qNX3eOGkH8obGDqV9835an+hWegD5ezek9VbsGW12WwN4RwsC2XzyO1eowGRA6IcfsqJqf3mlPEK19Gi13TS9NeIYsmlJCUT0OTNlGFH0dDFlzHtximrH94cNylRo2vcv4cc5sYaOsFDfWl31hDuC0Ri5agCCile+xx6ozfXNHn1S+rNEmdoduRjKBoUyDJpg3xm7UCe3gJwzI1Fet+QOmxrHruBaw2qwUxlkxJoTPos2JRcua2b1aUFjcaWSN8uq8cIbPC+OOQoJ2UVhnSBZabN7mVCK/qmYSbFUmt3lX3pR/cNCUJs0ReMOrgAG/cq4tahOmeJz1S7k/ASvU1eCKtCC/Pkya6G1IdavPoM/P7i/AeKHBd8g+CMhEps6BU2MudmP5hHr2UjE3TnltWpZ0cwSdUTo3cnQ1wm4omWmLVQUM+wvA7KNHHrZb2dvAlHTqX0OPEfrNnvaAffWLZPAUF/epkqIQdCnxWhIzQq6ITRy9ipDQRU8lLBTt6BssEDRhOgLiEC9yQNt0GzJ8npXM8E0ZV9AQyWU+f3gp6X56sFRfWDr4OzoQeFZ5SD5861I8VEd3r+7lM5LUBqcT+tfAgolYkHwMWIrcTRmY5N4ihLxYlSQzAwyeB7CfCTqcs6parc2UxyRmF9zar5UitDoXyxPwYfHg7eQ09Q9pGVQA0+RDbzjnvWQYVaZ8Q0bWsvewtq9VX++goxAsaTYRd9GBB1GDwBNgvqUp8NxtKHiyyGFpEjlYt8j9sI3j/GdFcz+7dXkaBsOu5hwD1MfrtPQcTsiAuu6yLS88rWlcQkWWqh1WyTGUd/I1T9LHAamGm3IdNZxG5CBhhpiBD+1xOy0da8yWUIW9q364uuQtoamNzhmcpqwJvWzSP4hYa9RU0psmFezlUhWtYmlEYfmONEBs4YwMzzvPwVpo8HEE2PY+8xb8G7NJw85eyR0GnYVNbeu+IzGPfzNp7VywK5mH24tMGokE7AhYsZ5Zjg0SlCT3ds1fPTMvpEC7ZDzteI+S9g1NJ4wr+0BKHhQG4Fr3er4xR5buoZPewVGIeWGTFyHQdZYa0Crv3q3VEl/6O79GS7gp7pOS07YdDSIWqshjQd4ww2pfK1wMx5bMFPUmN5EelgV1QpvHBVlPL3AvD/01/UUEIjlJ6IIB9PcWrUsncowViwimKJFOB8G5fW71lmV3WoIZx05sKDUxZjYeupKECC6gQBiYtywkL17ShcPcokHCEEWCFniT7T2x9YAe6x2jBMm0rUqSQdHHqtnjZ/wh3yQVDRSMq3sQpvP4WwBMZ/6jXFQP2HymS7w3wEY0JqOTJDQhHXUyXkGsvL+0a/+d1xiqTAvUebcV2342qKJ/7WmK0O+rR5kkxD+/IbIQ3s5JHO+e9etukjQJYklvkkwSIyFedRAIX6q7V+5wQ832tL454UVoZeNDC9SGv8IyHgiPzWXjAa2TV/lFcw+GNBWN/Vwk9kybF9D82BKkw2WawiykkpJUfkBBKxhPnpUipWbSV6zAeLZFbs0vhBxFTY9Gh0d0rE0wbDt5QFCLHymQm8zoRJU9Rx/I0PjTViv3C+npMLBJO1imJVWpF+f8gLAxiqavMbBxEkb+irZXeQgvAxi+wnu20jt0Fe9pv0+gks0GGQGjpoPpMWy4gH/RnMOD7NvRvHCpyTVYLyYYgB7numzwvBJrRDfjmDDc/ICzgoA7+X57Cmbe0/t49O49fiWnrmG3bH5laQfo48OD2mbWaaiLEKGZ9zhwLk5D9rS8Im0qNao+/Cb7861+Ge5fPCBlTfuBtEj1XRS9lZbFwPKmcS3VpEet8tdh8InYXUnaUt66KpTmPo48vWnNxPCT4/T4zpAAyUbpS26qTWBnk7Db7Ei8pqGfaiPIQhm0Rp0D9YW+Apttzxmtw0c0LxQ2nGsQMT+ziqOdydUj9W+vEZccvJKbHOAoqBL8kCpAOgh4zG/DyIh2r2G1GkX5RuWQwHb+amqt4J7HXDQxyETNGJUEeo8L6G9Dq6aiGdVeQGUFVl1vGxRtK1kj4vNWowIDswZmG5fsn2gSJ4CD8wFG8NeetZ3Xf/5q6iCHK9xL7gdKK4jtkP9XAgfSYOK4XdLfrGAyY6VeZ3oM6KEJcKWVdATEWK3Ig+n39VKVHktqjITXEf3HoEb1lcChut6FNwunnex9eT9NdY68Q4YF3soaGt2+1uAwc+R5kfcsf4fjDX2aqKK2sGHhK25loh/lQX2Y3Mgwr/swvWQoih5bBP7+S/qyo0iEZggwMKs+utoJKZsU5rSItCDUTTF6ld0zO0dsibirVVvEFGYfwAEHsp+QnQsoCvmdqkuIB1vzVS+eTtIpvWjoAV97qeEHnAk0Q/Psl21EhSvUwNyyZCrd4ywLpQ40D0QdL4PfH8KVdyWQnri3z4RLx3qtfOGJzPpBku6bBpkpd8t1lB5oTlmOEk3F8JOkO2yWVDgvTAPfHCn2BtDz+tnZZhM9Fm14DUgG79eb4vTY2kw05wc9icY+lX5OdCyCdQONFI7L8pThyrX/5vigfAIbeMsgORrKV3kpwIVH27AB16Yd7Bg1waWMHB6TOBb8drnQtOvUdz5woN/72rBsOQuhhcC4tzEy0hRXlXx76uceizOwEdLqBExNce5jFxKIzN3+p6Uq2a1qIrwrGkP9Yv4ZmSvliZ8GVIUhbEWhAe1lfBV8PiQ0ncL4/kQ6Qt290hOZnv16hKeTlpc6mU0vs8Dq5tJtQwwj+kfiVJqdrDyxUL4M+4/ok5mfz3xMhXCF/gsHaEIjm5RWLWT+6AOhu6YYoA5nrE+xhZntdGopLSu6mNR+3qMRKjqV/HYRsLIwBmNeZ0EQe9Ix3B0lCaRh8j8la/YLTUoFUazffG1P6JDEwzIkPrxZaBWl24Knok4sQt0MLIZh6k0qkBRq+Baxusb4X77d1uqpZqPIbByJHt2AEz0DZMlpF3PAkPf7Ro16qD0eBg79z2oPtJ0rhpfHjw50PHVZiRm6zCCd6VcpiLqYKxusuDuyNYriEM3aq1UqYQnD5Bc9DELlKqsmi2HheDK3votoI0OPUMa+KjGqWWA9mpDGrpAvYYJhRtU5VQzbzVD2zYjX8XHZK/Z8qhDPsV2CDshLtZ+mb9HWHITCeVyBphhj3ls0lXzU6V+nE4eV0LaklEv7sSwX6EOKCE3M2EDorFZB7vI+0MwFZIduUSChj+UiWCFpaUlpklcrMPmiXsUOIpO5j7K9SR4Rq7LdJZD+6+wqNmO4IiA7TmMW7qF+XpxEUMoXXST2yeDHJhnE2bFpZ/u7FFU73pxpbzuBcB4g9oM//pC3RglILDga3MqW3cSm49ebHP+NBPHB14Hikydq3CLnlAU5QRWjfkJJmcQnrAMtb09iwD618Yelk+leIAG3lqz1SGlkZa7VSfJz93zDJl80lwpI8G0ZIEeYl4WFgurcs/tnONc7y2SKC8Dx6VNW0q1qfjOPRDiOWVbJBp9ABqUDM6THaR9GEgJKb0YzJSf+vN6UGAMAq6V783fZ7pYOEs33TdgSkT8zMNAkWxXV2u5DwiMV/nNWG909smA94n5PpAYpcilKpSTYH7et/LVKbd0dMzvWJWRbMvCvnOhFH9QyOcFBZ7kzHAqKEa+MZimi6N3AE5e4+XSWmlDvkpcHX9PJOmbK4PbJKyYbgVTHYugpfR8tftTVYv7iamWc8J/Sc9zP1xS5anQkVqMdiwFiGbp6mV29htIroUHyIkyMtEiKDv3ApYdJfpwuBj0o8t7EcPHNx8yAPq084Vpt7z06hN1Uj3XVEc0386KpkafyrQsD0asgO6WGPjouH+IHlz9Dimyz7U8Hiklm+LksPfTBdWlD1lzDOpO6a7HNKo1JIji46FAyHqpO35v8+AvKJndV5GuMWVdwcfx0TS8WsoOzt55EfMsToB9oLa7o34e/Pl7ozyOYAHRizGHqnn6kN/68SgZ2G8x0vvl+WLaeQfDRFUxdeNfou9G924k+YQqpyPX+OQl1UjQaDqlcq/wtL1voBEQbCDLraOzu6UQxh8mVtCuRy5cNK8ZLu35oDy+G/L4Z8uOiopbxn2XtNkpuDJ9lqHyWqs8q9MFqNPNryJTsbH/wKnB4Y9jNDYSAiOFTZn+Qshh4jt78h4xJh0T1hla7Xj+Qq8EK2xWH6yWEymDCM1WmgSebBJrrkYtRn6cnlMFW4o58oejvYcCDEwScVplsvOuiL6VnQXYjJcObaW4XBTMVSq6r3rfgOiZrdwnQWqiukPRGpVO7V1QWtqkqhfXJq27KpGi5afuDG5hFp/0Cf3vWWRw2keXwRfIYDltByXG9Q0gUX+iJTa/8r89QBYNrh2s7l8UAASFG1gd8dnUjtdsV8vYwRZ0/Ux28Y+4N3509UZOeoT+I/9ylAUliqX3aDY3t3bK4k50zEpiVAg5TlXrcUgu/Thq+yeCTSZMCwknCe7ZHLigvESUXysCiHtJEwv/c3RfWZkFG7y/DY6Rbi1rYzlAqYDZA+C9WSNbtaYdFQ6EYMoyTNODHGuaZv5RtYNf2DaBqdQGdT9pOSSginhQ9qFUCHTh1L57OKeJcvD1eJxYM8ya3achANFBHYN7XSL9jjXP63Lt62MwncbzE8JBq5gR3kb7UjLjpjZ+CrAxqnkduyqwZ6bsuOl5nRH7zwhufLU06kdV4IkKMWZFUiKg30kzsFVWLM7mtn+4cEWp+oY2NauoRSJiGXQKoIfYGNfdI1sDYvsPcovo/0fOlwQjAKQR8WCmEjpYlYv0126zSo+6TRO1uspnE/Y4E/eBs+whuecXoQiNIpbpt65PbY+s36w039/Y0RQAaVIHGkEk76azFRoIjA3UP0wrh8CtQXj1bz5/jnmomYbNeIy6+2UiPgafO2J+qAzS1awcV9T6XkDDL+h4ukvn09L87RjSVAtxmI9OHJKcdVARAAHFzr4n0K0bVgB0Jntm6xiFqVZayF4kqTxoxdQgdZ+CacaXvSXk1iDqcb91/f0mtctwpFyWHFdpjBv0tWqfMJPZ6wK8h3bGvsqRuaCsevYajf/xxjrGES4qtttoUPOtX4oBt2KoVMPa2HTBm3zsHFLZxK6QNFdOzpNroSuRqqvJHGWaeEZ8ecdDEIYBmLVaGZfi974BePmGHUKY7ZAZVv9LDUVK2JImiYROGYGd0bhkFXeb9CmERYqTNQUGu2iYUXUrJehgYUtwAv6/a+ZHJ20rtbbSGTUTMKk93zpfIo1u90OGqOZohSTFxqAStTtEhAq9Y39t7bFBbd7Fal+czTsoIYV6RT1bLLXpUiQMnsD/j1xqq54VQ4scZJU1OAgC2fkcD40xbL9I0OK93yhEsBu/lxip2sutFW7+9OERha1KNKLqvB3FHxaq1MXFjBCcwDsRVKwHj3GhiavrW1cKH4/WYrR5hOGNrGzO+mh3bWleIjfkqvbKrioaR+L254l7tWbnuXAI9fZy1VhfN0m2x01PECvHoMdBxeOIS0Oca8VFNkE/bGWSJMQvwlU2AysZ7sQjqPC95fDYz5az06ioRQvcRmiq+15xKq9VRf8+QTkLakPV9ap/1GV6Hk98mEl50PHgwy9IcWkwr9pvHD0njHIXR//Rvkdjc0Sjast6LZAJmecbU5tSTXl4a7zmnHEGYmoYyHcwf8HaQqVMXw+OXnUoZpsN74XrXN1a/CoH5ka5qMqqUkSaiKTRdAalBomaT/FovKLRRBEnIr0O74duOUfj0T9rRVkJcpZlZ5o2FKIBR03oMl7aXLfYFjF5ss12iZIEZfzOeEVdq2BxUDWOMz9pcQgiFdwuVmEW2XD4ZrjXdmm9ShCxQ5sEBhwH+cXvMdnpGXb+1uBuBBYjSAwDSKfE/AwdWOTtOX93qMoESqyrSOAFdMrQ9/XNCIR46PsHFMM2/OxaZwbX+BXbf3h2/iH0Nou7IL2/o1J/gf2CNxvkeBA7ub52K7PsDkxAVHD89DSVGch16efX1KPcUOBCCmz/ZRqfczixzj3um3t6vShP0TBT7ghZwLmNcgyteXRRqUNok1Ua2wP7u0LFww9z29C6E8gWkfozpdgkxH0KgKyOut5mIkTNqupxrFlc46QLH95baYgTUJ+7geuKSSpeJmc9GLZRj8XAWgtWFoHurkb5Bat/YLL9oQIyau5sfvoM5QAJ4JZDVIavwQh+iKdO2hRvU7mzEBmXN5XrNiADCzzwf+FFFzmNk/92n6e34a8oRicB1wjcxjUEvZFxOwxdObpMtQLgg0L2yNZFu4pXz5DsDVNqk4JJ5f0yx3ihYhm9DJYiRY6rJQpT8UBHl6fuA7frZTMRgGU3OOySdCFGBmoYwEyRew4O8GlcDhY94xn3Mm1QUmain8tYz7sJ6IAfRjORygZtvzbQhmagU3Lb3/etz1o4elUhmIw+hi+REjDYzaVtULXeVB+AO1Q5Ily4H5oGnfw5nw9gYOQz3Jjr6oWWhDHPU0gsVwnW/zjDlxhRhyAY1UmRT3PqzPEAOAiWGppbs1trLKFkyT7d9QUFyLjSBYvsths+0m9EpyNtyH1MvT1kH0ZE1N/KgZ9gU1SI1j/bFWjR/Fu3czblSKIGzPI7Fb0Tb5YFfGW7UnqX3JwCm6err4jJe0VJkXq6CJ9tFQWNIUycy52773i432N1oiO+4/byrvWWFiF9JC3/xY8PCmetduEVFayrKjycZcB60YGXeMVX+WXldWwV7b6H1mM8x7C7YOOHaseGZK7AYLfH4FWJw3tm+FM5z5T7t2TT07BEWwKWMkUQAWitEro+8itn29xUqUdQHugacn0l0/Qx9odajbohdmIDo3D+db5xedATGGmtsFIcy4/mGAsxvgUPHsBDGCaEEo+kekE6hBSN6BeZJUpHfIPA+EyIi6020qhN4qMmpSVIqw8DQN4evlZg4cIQrrledG8gQNUMmGqWF6xDwzilggu66kTFBRwOL+8tycCw7LPf+7fqoYeu+th8mjsvpHAIVe/cyRzIYKoBjtKZqEMwnB9Dxv1uA0q2VixER69rkB2jEy6A4LGHUiRqwNHIUbpolwW3P+dR1k3wx5WUo3UmpJLQ6YFBK1uO6ZP9A7x51Vl/qGkx2wlyW+s54x0Smt+UoxPsH4EpjqscRU4U3YdzgN8yTVVXp2o2r1qplzqAUuYqfkw9Y7MvSnQFCQrryn4m5z6rjKGTk26EwTmF1KMy4dioLRF0HWjSXyF43+JR6TZZd/fPBPvnjN6bitXCvdvmgpyUhFhLu3DPAqRSW37e9v1OmhKmQonp73UdC/IAub7ZAGzA8A6r4MTrKubCAV66voI73MSC1WKCu7aS5pf9tDmc3sSlh70dCsnF+9BWLlbA26LCcKtbpaDxNKWTb6U8h33+SgjD7pdRhY9tSMYV7jf4jS1/jX5p53ydGYQr4ifZRz47FAM/DXxkCiPRzUUJXzJ6WkxyO3B97xoz+HQifKtrlRz0Ddx9RPl98u18BIEvqyvKEO5yKQAlxf3apCKipz+MKU947pExuqJSbKkVYhhkI1jj668rX6wKSiyrXtKuBnbctnsMNWuwpRjsPipEKkrXF4GfM/L4kRDK4VQR37buD1pRWJIw6BYBLQKsU1IuzhzRLTaqSdfcnKtw69r/9xufsNoSBueeSHvCBkE6ui8msPlCFXUrTMHpNxOu8gefhn1s/VylOPsyJk+iOhDAH2y/SPgD2JkAiTM1ySP1tmlfFZVPNbLUF07MSKj4zznG4kPpOVuiHe3UNzjn/FbqxIlGlbyQMqUiuizFOIWNEcu+Kd6Tx+YS/RE+l5omGhD8mveTYe6lM+NJEQcLhdE3hOtnGAxemYvRnYSbxsL0iIWKR1eWNaZPLD35aE+FWP7heBT0/UhAYEWUkWOM3hII23RZBhqljB2j0W5/ZG0B5SyB5vn9KN6rVq2OxGPeoy/TmztanHlt2wMpS2xW8/Ii0sbvPO7c3dn2cY+QYRJ/xq55ZKtBrYpmQ1oaEXtQb0KNKapWyd6wvjhlFC05WAhPxQZM6+AFDkoFSFctSdcQgVAEIdv0sE6tWWIuRSq2ADiL3EZRS82NwkpBd77atkBEkNQxuPIi0bxNnxlPMfNVWyHLN9oT7jHPJmMIR7qy41Y6DOSsE8tz1ue/Be07nI3bM59JTff/JM5CidJuPz+nEIVWYfPK1KDZFPGEj1xGm9/GUg/CftxrLmkWJuP9muEm8ARgbqq4KhZStLXlG82JZ3/sbLtGTv4b+Sz8H50/VYBc6gZ53qfoy+uY5EguUfkmr38Abaphji4V612wpni7kizYtAoWWzDmCBzGFYiIlKbpj6g6/6ujZfbgFLqjGDvJQLWlN56kkYvt9TXlWoIGB/14StUmQPqbEf8o3PmF9RIycv7fsaf/YBdqRZVWDa7/MDyFr7lXKnygQp/NQKvUvcZXa3btD8cYgSscfdrcpfiaWc1TaATxr8zNlQg9i0WeQU4QAYRXwK2IoVbzhXK4guR28vuFdYwxZVSRSoQO/tSomJ6nII06DhVq7bF8dcjCsSsuZJvA7DwAiEdaI1WiYUdD4V43aiOtsArRM4YOEFn82+2frRIp+jEs5o6D93290gvA7aFXxn8F8zgAmmfkux2jgo+WczNQyn/ow545hcFbn5bszpVpdX3sHmIJ3AtONjxa9LbQWVav2OPgaMqFwYLzvqSD3E6iaUcEYBmpQskZpZ0le6CRU97L5x5y7fcI+7ZOcH7YUx11gQ0IShgzRwRY5kUkiYnCZuqWX1A1Ezv5x3Mo7r2XMAdXnHlXZOIFFvuELVatKm33MD45b5JrmNzdJUSioRWfQmwpSwRFUrV4uTwJkiv+oS2BPl0HdWW2pcBLT68E1PnyGwJASrquRh1rNNO5Q8I0HFZM+/NcJdtz1vRjfBig7YTNavwjiAcNcE2HJCVP/d/4/0on4jokueBCdkwbPf8pyNvOK+e+KDzAa9N3SLeyLIFcCT9+xuzsxf5hWfZYtIp6Z/BgXZx2nBnL6OXPBOuvmI/mJN6SyZj3N64eZwumzg7MmOxtAwFtTTydrlhNaqJI6UaSNR79p/xmbUQjyKV2RLJHdfbHeAFMekPFgakaGac9tQ2/7k0yvrCkZhmd09E4qyspxK+pMEdLdnwA8adHSeNdHpTmK+y1ZiJD+sJ1MmfpudkYo9oAzPnlmX8BzRxIgUVdFoe/t4O34NMtpj9koY7sDlbzRyhrH+SW4T6y7IHykLxNzR5Z6HJkzQfME5pbqjLgxADnH6Y5oCDrL8DgEjXg5Cybq37EGAcBE8psIDs34SewEpzYqeZ+lbzRD4v63H4W44wr2gs+FX0m7rQWwjY8EDNeyyKbjBt3nSIgU0KWHf+AiSGdVPmorgGAOK2tKqtpGpae5RU/96578ZopJcDyyCNDKqgtr3L5xer9F6emrBkG9jUz+0yvDX/QlzTgrRC2rV/wc228u2xlpeEfedgqGrN24t/scJbG5ZSmDdT4EpWXFCGMxUBmss/PA4bK17PNgcWhnjzrQe8/X9dOWtyvoesTnx0jadkNOmXVwSEhMVnJgYUNcug9s4PRgE6SPo/BMR5XNjxYUN2gLo6THgSQaDy0lAEv37EpEYxLUk3tJtW0Ra2APQ+7K3OvClBPG1gcBLd4Syt20fjovIqabsV0gjfqn1BpK9erqCMQQdxfgzvHGjdeF9UK5giFhmIOCwmy6/j1/IRwXmx75zvo5+3CgG1CaQRmCJ6o4VrSSVHR5mO9yk9NTNYJ95bMWRjmtNDlCIG65L+lJ9JiRQYJQbihIDQk14ZApIvTRZ/U2slfXIjDZEQyJ6JC6CW5uk2rY2t/x8HWtyNmC4RTw9SljnEipz6uqn2ykFWdJ55yoX27VIF+1QUIX+j7ZVzghBO/t3OfJqzrwEXhqKnkOh0U7ob+ZUDwsZHp3iOw16WcMggstJJF4MXKSbw/cTPixav7CahCMeJvWX6R1bXdXhx7W7MA3q+ntUC54mVuF4fS8KjhiX5J3RN38Eg+6rxpeTKLdD0Is25YuWK6MgW4RxOfmf47oI91dD16+YY/Te0d7LpuRgYf8+2uTOARXPBVZqjv+jZFKu4oFqXq4A8aCxpbtcH7Q+rak4ngyQs3XgTBfM3miVMzwuPpu8OwTx5zMEYQABUxsIfnLwQYelHFBMsm5snSr7gmPO9SYGMp19r+HY/aS8qNL+g643sQve8RK1rENzTvXBaN5G5sfNY5n8E6T2kVrh46C5T47iTH6zA8k5QJZ0LzSv4O6YZgqgqnl5xzR8Tdis0T5fEh5/kf8TeqUxvxuZFBeSAsWQsWm6dQiKuUNbAUiq62jUGeNZSVrLnzi9RnnzKAuQINctljec90QMCSXOOvZD3HYjSdluhGNEAy5apKGQlwH+I2T8p/Ttypq59upRp6xesnk7b+CLVqt9hTwB2YBWMAk/uNhT7+bxJbxz0pSq+jEVC/etfcWLQ+yaqk/SKr9dqQ0D3+p+PKFKzsXbz2GaABq6LIFxulourE881ww2OurHLNXWor0uijaaga7jqbdzFv/SEsskPwa/v6+p/hjj/8mupJ1Rb4CMt4OAkE0BXv+1aCkDrq/fLXiZE6BpxjkTuRqf6JgbdBImb/eZB35Cx9zW9qrHtC8Z2QopnWzsRXbW6seZ/2YDAOE+BgqrrKmvD43vh6CCtGzTed1LtzmjAYOzCyofWfEQNYR5rTovAaySEO9jMPHTw53S1IBswuQokAkbgtmuyJyxbzpH94QkKVsnRWlM0AuKNHEv1ooxNJ51MgCAXJHyypJ6/7JnL0Mz9mygtdOEla/oElKMoelHRzT66TH9KPdUCWtzdY/0wMpnWddCQqNSoba0Tsc7jAqjpYrF9VsLJ26jTZDmprcU82pJokRN+EASfuk0/tVqLJpb7/uNjmc1biUb5LPgz/iDy6lgxv5eikqy2/BWR5G8B6+NpvuKWucRtHNgxAwQ0hQHjnCLs0VRebq6Mht6SVqi0IvkD4u51OxaPQ2Uln37+8Et0OZOLJFnotetV7/IjGDeBPdk8wfS3H4iOkqO7EhNBtwVQ7CbVLDbdwZHq884UuaA4PUB1cMFQR0+8GZowC9UCsbCamG/SlRtEUPRnLyVM3kyl2QoANt3tNIGuHBm541I7I85gzEFa/ass7WKDGNj5jZs8U0T+ZeV1TqEvCMwudqIopI5Tnl4t/cbZvp8Dnzir8eshylLCdAULKJciHG7NRCTpI9Bfl5DVgb0FmtGPD0+3fpLKlow6dY0t43CvIbXzWG9YHzyL0Vv/BZNVaFcrID6sx1L0tmNnFar4t3RVMHPZDLDHbnkfJz5mXeilcrmpmniuOJrzOkdnk8MGDD8gVus5t9JCPLuWbVkrIzT/NuGqZSHgbE/K5VxsHKZd7WX1B+TyYs0X/15EWZKWSJJYCk29QWO5QDsfeOIYN9p9HhIjJxR0mphc7PfoRecyA6l/szj4xuRO/nbzDrYLuSqopxh4Llt3wr+KxIcMlC6MQQRG3Ow1hmyr7oBPr5QNk2hmTVVb24pzUiMofBWgnQCRQEtkVCqHi20zKAONeZCcC7tZf01MLe5YecRKuLvUKUQ6JyfxbPCQOdRhd9BqbxNfgKEhBFil0Qu2Inq1SaHVbSfkX3CW6oZL1q+gBo6pd5j0g7frcgT3ZTyKm/OU/eikBCAzU9pHsCF6jrdYAHQcCYWCPoIBcvbyWHJs8x0OsjlHGZmKP8QIx7a4RGM7kxmVT39+H2tWDTaDfw3YcH220nueAac7tvt44ceXiV7PwD7ZdUvkmVOGVoc9yeow54Bl86E0EvvMgVJiS92K8mlbfAYirn4GxUNIH7K93cY2OCej+IfbaxSOKpYFGJTNYYXRgRHF5R97HdqV+Za9Q0Ay8pPrQFDGbXSvyd3foIDVgfBhzR9FwzVAGfgFoiaK4PdWpso1Cztz6MrjyZLrNUTw016pml57UwQzHZtEG8TGzYO0gdo/PKr1KsodVQUz8nUTc0JMasXjaMoktOsbqUxU2urjR5uhG4f/Yjlv5i4bTINGhLW1bFFR/NkXneM1FYsT9ITv+uug5FsUOHUPccu5fw3FGVnVHP3PVh4av9sCfl35f8dP05rFlzBj+mkUDceQNCvlW5Lai8JVzasQOxU+cN6Iqrz+F2aAYJOu3ORt6URMQgrKL0JD6YZ9Vm9y+eZ3gKQoApTf06ovIvpcn5oKBPJ7Tv8w4v1nw9t5PWwJkLtPQlvcKKrVNz+sPyOclBKXd79ccY0HXBirMdHQ9NzYq77EMlqfChaiTVHic9JvOZLwhwJDV93DSd9mtXYzxZSdp2v2HUmxkgxjzgc/RILay+/HF6sBtOgWe6VILw80haZrouWEEistxYdZKt9rTqvAAXsdN3hgXbtKl2PnpZlBI8J0AjwZBVG8YfiJOajs30gmhE4ads28NU+HKl4DOV1fPiryCZq7acl9zE/0JxAWrJverElzTyqIj6SlC3Xu+D9IfVanisT6R1fptGkm4BAvWMjXEoJD1ubQsaqvNsfpOzvuiIY5IJTyD1JQVzdljNXxrwivUtnwgxg/lfstOiwUScGA2OgVim3GI80j6YJtwgjwpwLESodIMjBi1K+0qBWpFhzM/5kE45Vbhg6Ko/lDwPHKen8qZnZwNPRoi0S5XX2mpZ6LgcGd6zSwWAX1jUIjtAqGem6zqn3Ma+GaMNbnYWcFRP/SPfJ/ghc2J2kv3vTcH0PlPPEgLnDnXX59ZnGHn1O2hr6ADboEskMhK8kowgWtz8QDnznDfR5d7HPhcI4sm+tkSWzD/dKgqcHetzba+QGfH10sOa+fF08U3eMSkpopKCtlG8T8NsiobykN9CKCbd1y/inny7pKEYU7zDK7z3WQyUZ41vv1OkZYFI0v0yLSx8qSoeH/bQykmDcPO+A2s9Y6gj4z0BkJvtUXlCwOJjDvHRo8HCI2cS6S6BdB9qFSBVcOExxDtm6U9Z1mW5DjbuMa2A9Buh3M1GwOthYfroX9M96LB5DRe4E0pKYu8NJjVeUu3+rj5kG7ZAPtxcd4F7f7PIHXiDlb4CnJuv3wrhg6z0M/5llsl9SsnfZNeb+AHPViNk4X6oXoUt+Rtx/OTolZztpLauZFdMbzdhx+/I8RWISaP+g2IvP4cVaUDA9u3TB+tvFHuH2i9D1JUI4YBVvHAB52V/R36bVeKbYewhuLX57r5UgTZCM19yVcCn80Kl1cuDCfxcBp3NP/A8z8DqEXzdxFH1JzR5fRt27kJVjH0S5PcqXHVpvneaUKkqmCdsrEgsfXoUg+fIKuPCdLtQ4bT6W0fbfDqHTfXFVmU1EzOsKSBu4u3iY55JitDM05XzixbQePpdw1Ho8PFfSe46agcpz5pLirsoQBxnVhepphFD2LTu5s4A2v/im4Lx0hAe/O74QEHfU469hSVeU6dEYxDZYgASHvn+PgE50GEyjfMkBPS5+mI0AAUyrNkBw7OMRiuA+h2hz1wxZkuRY0lDS5hajnGttcxvhXHflHoFMkABJ0PNGBEFmfMVNKpcYaiem78gJKRLW1xp43I8a5qpO245T48pqTNIoTk7jj/iZv/yH24L+QMfgfRKPlsZ6WgXlhlTUSeuFDndnqmajrz629t8R2JMD2uIfNqMWT4CpuozX0/EPrZZQBKzI0GkUxAHVhWv/swf65fT9ms5cpl5UAC1xTO6MaAJAq6N+EWeo0dqMO6LMCUc6yeKMS6JeI3Hf1JaEgfu3p72CHw23kZXhyAWGOm7HBWH+8pX2xGMro18wui8D7lvML/kMRPw9n/0THNnvrGFVoHRXcwUcqbrEclxVW7/XYWpnarV0K39dBoPa1sn8bPq217b0AAiQWbrhhqKSdc1HUnNTWTcDpx8QLqJU2bRRr030BNHXr6L4KlyWo3CGy3JcyMscnH3E2w1O9vDkgkmTjtRFGRhVwKFhg9shHsT8m8xFhJVjsNgQ32TJLrtQPNGe1ifclb5QD+cIEJVzmCQDjDty2PODbxGpc+r5OZVQmu9tHSYbRJFH4OBTn3alooonL5+pNROJLE/50ZgHZJ6Iyz1IBloIMLnt+cEA2m+mYqPP1PCA2UZTko3P0jLvFjpfkT5ldTXyMxBkekKNgIF90yzXfpuFcHYc+9Oo0KmCIiwOFzcL4VY5w0x5i3srbJnbMgmbS9VqrTo7SoZoNyem1JeGxC744BOmwH2HwVvz6clcGRIgwn7YTH3AEIK7GQazu22529ThNAgik5LB1aAIWgAiJzLBoSaBWYpS8vwma2qY1tMaGEDA72/JTKB6rA2Cd6Z4425oJjmydIxx4WF7rsLBYDmVp5YATChrhYcRHlcZGxhlwgSa0dOO7XGGf3wBYpWV4DNSq/tjRCDEG9d/hxb6BsIJRwdBuKjGx+Pk0qYznWDGsuPwjuzTVK+ejaVEJ/5/97pnc8rQZkidf63ASCQxh9XhHPa6sr74NsJVzeTDMt3pTOcTO5l7ZAZVlVUBP15jrr9VfAcx+WBhCYf5xeFocw8MDz4uW14dT/AbbyxiFS9u8vbE79pMmeP4/XElCVapRMpP1OGe+YpgP60eZzQxoEsaG9gbT8s2MoCKYfSmIxHjzu0RDApDBOgTEqNxcwPNwnbCINcltrOeYYF6Lo8t8PqABER72pK1VYrk3/A7yVew4O1Pws20OAZ55UYJm+GF9K6MxLDhN0gbbLGrl1xLJBMh+bzo+dADPayWJ4R3BS7q8PxpFZktznA1Oo0Bd5DGC/W1D/K90BOnkJ2YLD6qvxp7nxAsGTGMjJ3EvrZy1xWcD13f99rjnFaWWkhWLZO7sPk1xisR+Rdfp0wkLHp7Rx4fqNt4+uC7Xg+/x98JzoEqehQwKSeLknhGL00M2VlGRqVa8hYY436Owe8RYUIUPbRk4IrS8WQj+Xa1TQnXFcGk+9dg6SJKQoQukfXlOlDpLthhcgePl8beorCiH8ogF8JvMHrW/i1eH+FO+gqIAye19LT/0coXrqkq2z873vxpgwYWIHc8oRt0TC7slV75q5wBnIC09E/ereGTZeX0yUNJh8Y9qJvEY1D9ym2SnazzUteb/XHHqRpgU+okvgqxjRtQyo5z6Y9fCq6BrBm/4rW4XsUAvcBJxK4cvUVeTIa4rdDxiIpGhVA7g4+tDsFNAU7S9UZSEUPt2hj2e8UIym3INUXhh5VdH60eotfoN7OFAXuIqdMqSlT03PmTwaTdd5dwQZx1vrU0yFA9kzRcDC0LnszYW8N9JAwe/pfvPiwXLghKQUol9m7XaHdqZcGWQhxrq3RDczJsF4AEW6dcWgkSKLVQkAMeALlTTzGhQMFt+MzWq0cbYqTkpcR7aRWMu9wZzBInPqhe8h1mFTE1uWwJxW1LDFDQcHH2UFiNUq83UFRe4q+kcEMtzozDeIuC01SU4XgTJsJ1qsW2KyvRjPL9iNVOts8n5f3dxz0zx2c2pzxZ2Em6qegX+mOAXVEHI8wUZm5Yc4HWOkU7A3V7M7Ar8SBe/UpR2xB8AUrljRXq0qE2TMy6+7wX173UvC8pdbkOPFlOR09PPYrwwGXICQgLQGJgjFYj1qYc0fqHkPskmv2GbQS6Tz/8bq+N9Q5mVOnllZz9ut9+GP7L2x7hmb4JpbAj/YQ+67qTagQzFD7XtDNgOY6uOoYFiXWIVHUXyKSoz4NQtxLkQvJvCd/bMObAVJ03zMD/CCY/FwK6qfJ1LCYBp0C/iJxAOE1M8vCV+48QhQA5sULAeBymYA6TlIABdAgjRkg2H4t1fC4rjssaAHwaHE1DcX6ieRaNPPQI8CYKuD4HVoDmYZAtkxHI5RGmlZBZL4sXHedZ5uel+zByRH5+hoqJkXuwedHGU37kzHRBP3PVNnCFgVLGay0HMqnCtO2MN64bPh0afNW2d5RjogBF+yFIgI7vOE4ktaSCSF8q1JTHczdgBPKYBUbO3QOL+qOfUvz0NnkA20sWXE4V4gBz7/ExoDO2LBWyuqyF9RjdsyveySnKadjLs3EPmHsVuJPaq5jJ2Qtor7zn47SaNDaLM7OgluZwHl+/YWkBzye2ICnv0ky9MARN448wvF3nOgM+bj/KZWeqTtwfnxPlLsB9Ed6x9BtfsZBXIsgAH/nX3Yj3JJBoME/anTs02nEUmKjmJp3knQqrKQk/3azHlXVdvw14Awut5aGhKvqKVivBNwQxNsgcMqdtQ+N01r8V8Z1T5mR7KShD40NDYxvJZdLNFE29v4bqoo7EG7FdvOEbgpnR+qjeeOcdo+QT+4aHDZmMTMGcAfS7R+yZdv2HOalc52kc7vQJojYYVB64y4aBy8o5dMG2HwxbxXUJBnAgI+QnQtF1dIbrI72CMjwidcHDxebjxqs0aFAMeb24+ZpaOzJHaBoQaUogk8WdptrC6pfnpNuxMpw0Bc/DnSiG2MMCqYI1MjLas/8YSuD7eppkzYa7WsPJmpZAZjPmi4MXujTz9wxOYllcBJo8d99+xCCZmkPKKCB0nlF0J+B7/Yix8D+JIEmM1wwez+SZ66UMBfvKzuWa4PiclqbDTWLvv//KJHfA0jECzQWueTDDKSggOBcuCetfZmVfzeqro5hj8HlXuIl/FFy4S0MT2+ZfTlsR7lTWQPeHwVHS2Y4qUVH4vWp2Hclx3Qccc5iTz/yh0rYvr+K2ZMp9HQFyHWOL/64rsHaS266BA1jDram3Lk1k3s3J3zfydN++2nfUXiuj/icSRJPzNr26nzp1kb3qbjpkysnlSmvdqxxdNPsVQOqJLgcwemTBm8R0pfOrs86g9hfvvhjov6H/bCirEF/FarA9cTVuion/AKujweGirc/LmSDuAojGVTI2l644HcQCGPS2eUDDA7XUWnf3XcFxUcPbFWXbnCei5DKbRo+PLPCo/HbEBP+8XvwOrvrK+RAs7zJG8yvn9Q5KrzrY0cJ03YHiufr/IB0pzdVUbrJePFrvXNWmRuirYt3K2hfMj/XtY4M1uRd/CRUhU+QlBIe86d1cgyJbpFNSmg5RrI5vr1m5kHVHBzWcybAczuVmPKLNGLSrJTZZAuhKmiY8zeFuUs+7vxtMgTO+nlClpBAvLqVj8v7J+rZPFDeB8p+Dj+0gbZ2y8OmwKLctQusqxFgsxYnalR5Sx/uxEbE9MsZVOf3nlkNxmoiNB/AkuJIAYnRq9eaUrRHJTgdJTPPfAyM7k9BhvdVGKNjwz5+YdLPViXjR2C5RUOxvAiucs1yd0ZjGMMVaLYZvg2AHWc2QKG2S+Jt03Re4KeYBhOwdIetwMMpoEl9nO+ohp6KSQJNfoE7o50o9424UKFONDlrHFv5S1fPEHzPOSH7B0YgYZCQh2FUy/1HTSNzEbl91WQaQYADNVkUnCdaWK9NRag9lWIOaA9RH1sSSRPvrDSpKaz5iP4dfJpVJio90JhBkWixPzItpdrCZkG1dfctS0gGpuRQtbhzeF/Blit7YCU2IKHUqqgeANbAV0XoIy7uIV7Pe+5rYNyaj+tYRKr6bXlcXIxn22LvWPd5C/CIb+UyKPzmXdjtffedaXb+gPfDxJJhl+UynY4sML4XUgrg3yXaGbN6o2XeUDRgvlGZObfSxkrmQGFj4TBeX7nFnoxS+ypd4iNDLqBTCwGlLOAkWVBMJeraPZrH6zdqO7s1yjGOP+OFlndpCzt5Le8hkr+vuDeC5ZxrSn2WAyVi2+qkJrEXJfvPy60h7GD3wuptIlyClnoDmhx6Q89E/WyjzV2DE1iRvPLodkrfoHRT7t57BKseUFA9kozBCCcQ4KTOeNYlF2e2Jvec8tlhllxDIskDA52nBZWLR5hWOfZD2089rorUVh7a3n5OQoe5C5dzrcVcYBdEJfQ/Rac0UKqja2Q7+6v30ZYY4WRfxg2mmw5irUZ7jjEK0MicjS4y9SyUUqejUTDpYtlfB2mALxM1NiCuM8rCjv0mJtIBr4iFgCTr58LGEKLmSWgInjv1UKwH8zAcqPM4nLULnBH2dE2WRHZulfy+vP+F1/nMy7d4Z6H6QC78D72df64RID96unjx4d2tsn0Vdxnn/X1/L7SVdAx3UQ90FHC0GUKoVG+19YfXTv21nBrNRMfF7h3eAIUm5egZBqsjSb3vfWFl+ZNVVv4IP6qJF6rDN1lHMVBW58j6fUKaoDuFTCUmolYUmiTvYkC9BCLfBGM/hTjhIhFpMkTVZQPTguNhoehveamKDQJC2d91cdjJc/oYrrm2jWPk5l/y0OSx3oO3naJjmj1ziGTadG2pveuaApQxx8ZeC3lw/Iw2KXmrsUqLi1tzM3qmRMrzD2Qyy8HLTDh6Q4J9NfjxkJgAyU97Zu5WOZw5dhQ4vRmu8rPWcD5UE4CnNn0IKUQjHIVh1/8lNSE1P4MbyXuxUZHJ4vV9sMtvOAeneVSdubH99kuMosJAAErC72N4JVEFmAbNSRoY5siJT2E5h6Q21zCf1YCOW0ZKTchO7b3j5/sAV04180DtFek7lW55PNCrIDJaMhwpRxwFKod0xJei19Ho8EqtHo1VinvVb8UNYYoWF5M13/4nAAStKbe4J1UczHtkcUlImOlHcYBMbHMOoZmMiJ2bAMfuIAWmSqKAd37paHYHyMweTti7KYuUOVNb3wAdE2jTkwT6K669XWVvlOX3JLAXkDohSsBIna9RYs9LttIJcs1bkDTcSVqqorC9jeEFe0F02ScUcIgNe47lW8JzDlqnzr8blkGUMzC5tnot7pXpA38jh0Q3bC4UPYgPgHvlo9+3+o4BcRX3Y74zlXcSoH+x2tNBbytnPe2y6ul0WK+DTznqsbyfd+4N1jIrZASYWwqTcVINvEFSIr4z9S+XTTyQ+LD0BnrOWPMBedr5ke4b1ubNbuOLGxxeRbzLoPMOZwNDWiqIKJrFCyd8W/hYex7rB6+BfNekwBxvb4Nqa5nfsvS+ZIhApndXs70DOiYoen1zg4wsu+Ibnawrvfe6Np6vFS8ZiayqFDXSYw8R7UsgB3FxyquKFxJJUlAYmi8MklSL3ZAJtzLLRIkKJ/f0r3MDYGPY+pgqHd4juPiNzcPP419JQeEq0q7CXD1aOEOeMKUiiPu/99lUqvWdz+I4OZ+yi7lOVGsFMmAoKvQfT2K+cd82g8mj4Med6WN/112VdP0ZbAEoX+EwnkxzYkrmBLGKlFSdx4k0yZe6v9BqjKw8Br+niu+BDYySFOlzpYhSgW3Qmbw0pv8T2WV35hVa5GhiOk9xouLkxp85RjJwFVVvSv0MoZrFtN/kKJmtSlaSn4tHjKlXHmLwgvphF1tMRSD+FXJc4neHtmreJSKtoFjgGqe7ZxzwWw+qDdhU7o16D2FEmq06zZCqYuWL4H/t5/k9YD2yLGIt/KwfYV0uhfDjfe9DJNllVlm+fyrxMl8ma3SHTADJO24ME/nyMHPsZLkvoYojFA1d/UuLF6JsnuEyteKcBdM6/yBWkPqAaMCAH1rDJelVdv3iih96zaz0pzfciRbCF9kyet2QcP+ojTPODzekmG8eTADopVebW2OlvKvRYqeesUjWI6UOgtvEsjGvUtmTrjVhZOoqbGz3nWtesFa7pCm/+Jsw9IB4NITkUt9xkP5Y0CQNYH7/EG6NWaRNLJ+ueZtApGg6ZdqGnXlhqVHtxOc2XvoKlTLAADfrHU19RCJIwuaGNLvpMI/D6F4XzZd3JUgK1LdYnRt0amToAHy9f4LXXhQ8UB2UdfZ02BTFv2mmptQd5MsKTBHr+m8H+XXB70dFvM2yVW6sHfl4mQ9XKVz8y9IRIru5c9/C/huzQbD802v9gB8sqtNHxGMFEAHyhgR+RiwHWTOVDvHpUmf+oVHhVCXq44faUHPWYjJxJX41K0V8uTyddMaFeyrP7B2XfeNHMemlF7fFv5IqhGdby8coY6ziFkEZR/Yq0npRLi+T3O+s6o80ABHB659tUSDBIiOw4EMJ2ozhvz2zCZRSFFQvWyh3JnazQj5u0SYwrTHNjYUX8k7d/bQBWTU2Y/QLfyMhzP3uJjf6eBXH0sTVE+7HXnJ4+wASXcQJIlRFtCWdlLeS4pr/10GK8oEYQuXfDmVGAPrQZLocXEf28hVJk7PHLXeVnSJfkLXJKrJr3aqrbTiRLJn2FZp411Nca3FLw6cEtTIRXUJJjc8MlFjqVj34mvSzxDD8EOQz+CvQRvEp+5/qzurOV7D+Is/X1WDDfhby3IOv9rpZlx520cQsDzOXCG8kVInCGPgOCh1TRhSWvIlYFjfuR8lM5tuLLz24/Y9my7QcKm2SLwriNU1WgnzVWXsCv9AVIo3B4Tszn8bkzWpkyftuwPqmyL7gaoYSkzBAr4AEXehDVYdT5wK1cXYRQWW9HUYJxm0l7RQ7YSLylSHIonmjV6Y9aLGukzx15voOfKrbWfne2XqeGyMUNJRUrnNnN+1jYDc8CAayLcsp+F+ct+Hzo1HWWniUf348WP4lhucYczM0Rpxo5dEHZmk7I0U5Ync758VKLuxsfqvfgas0RCPZxAfypvRalFGsDh45Y4CGChpyKVLgJurkQ5zB84R3pzuLy+6UyEHluhnsa8Liu1sI9NU2Unjh4dLDIm/l/pbd7lVe2D1ivF5Yf3pJF4eXMIWa0WXakmajeoGDud4qMzPEyZBbwgK1EOIrpLX8Z2jr+WOYjlmqey90tnGsxo35Ki1XQ68rw8YEGiUBrUTJGRATsT7HZHOy0TgY9n1hF+FKzjV8ac6tItfQrRlrxuZLyLVTYEdZ9O2ly1fdnt71lyzlOngrxqL9ep2T4RiWKZJO2K2WpwImB8o0GJCObgJjU/yWxRCreNmaq8znKKbaim/S3cpRGFaLUU47XlbBZX+1WAyu1De5N/wxQ+CzDJWxrrg3eKDkbMcAaFrg02mz/VhVDYfe1wTMaO2ivrjiOhIgQsTOEAuzeFOGkY643VpiVoFNi8V8RXGn1du4LlJuobinWBFZZ1fbkjN8pVEwfGJWwGxvgAxtaFkJnM6b50e8xYeucSCe/j95+DXXSgCUG5phFwK81V/pNLYCZ/F3ilLRf2oKFoMON59q5JZx1YNubrL7pflfBSlvoDaHGgOVK9nPtxZ4+NCT688IsU3YKGc0PXrqhwVKh4vkYnbFWFYHlrgULuYxcVDn4UKnG9T/kvd9tMfiVr1mBLKO5EQlOdJhJl41+Sw0bhKI1LSlZMTdoRVFpLjVK5R0LuGCbk1bgtzyaZJAVR8VmJDcQzJg8Zto5Ql1rgkO4dFgO3ZZGNRO0f/Pu4nqG6nvdvkZc2DUQUChsuaspGoZFPeQ5fLQFFRhhcOEW452XMPDCSUW0pR/7ZfB/F+QF6Jgh8G0LsWPVu3+IGj/WN7oDfF0IEhpQh2C0xMU2CFS0Fzdm9trULOnCGZlglBdPP5FIEfdxkNlGffJY0ijWygByz7jRBq2b+LvP0aWBZxQdDMK3LBLdm7xyM5RWPEEx7ZIOGIaNxs1gxOTvLS8gky8e0bsJ9lKuufjYlxIkYjfi88NkssZNLHcar4Ueu62kTtKPWZuvvWd6KgrXe/oK42Wh75nRLLRS7gYuKh8PWaHpfctsnE7N0xaubnVSF5ayBd9JJXaF2z1CUYR2RSzzXn40TkXX/CQ/FZ5QdBlSDmWWKZdE66ZToEhvWh5WOXMpME2pTr6WI+2zB8VF8xSg5sEIF3HM1dSb+LlMt9qpUuoKixic4mCX1KebW7gp2zOuT7OdIzVSGr9lKv6DypYNjNAgSKAG29yuHrip3RcfXWa1J9Qbd4NCgbjNODEfgrOSv8acKWy9zLIbPflpLdivVji0uldpbSC1Yk03gfErFhXKpX33MFquSa8ODcO+LpiWaMTxtcHwNgD8svHApDCFPSWI3+JGnFSgePmT+W968758rpercKZdEhOFUQAtmMFGjsFboYA+99J7M9ouVUuQqvdPk292bwLQrwkBLs7ziYSuGIfHpPwhqH1hyIOAsdrUjJWjdu/rAzBP4t2nnvUae6D7XFp/SNqa6694phznKbaaX/I/A+iJZXwLajm8QIsfmNW+XrGMqEsOT/o8uC6ylrAOMifC9In5eMgCvTmYkfOVtK5a9HwI0eTxzlZDOuiRAExVfcur1L+8VFweS85ppnnBRLM+j5ZN7hLCrdOJ5dURwI9KcXuKJSJqIwqhr/PPRPcRz8rc3tUGM50wFJ4wPOLp03USGgOZBuLYR/quZVpMwkeq43fae6PNha+M8xQFaUPgTQdHTzBAPS9cl0pALJ0mPpDX0KbRA7I6RMxKFeeoejX+twO1LbAdQ9HmpDupgWaKhEXXOtfBnqWlKEIxiKUJvMCIHLeqrPApWmyZsLIN7kufC8X+dv6bUkW2V1MOdTVc19s1G17a0IzBv6o6C4jurfKP4OF/5+9OfMg8I3Cng9OJEdPGZVi40vcngcGajsE+aUUO2bHc+HPWfIfLJNXPmZ6Nwo3KTNGk7KMVZEnvsDxhCgC2CAB0VwfKq4gxeF/bSs34Nz7N4N7576PLSk5SaG07jpTcPXjEXmexY9Wt9wMArDCAbgdblC5/jwfgygW8S8MEi4CmeDRRBqfqVudy4BSuNyKowmdrhQtkWF6xd18e2XZyzwyRiiv1E7jEN06MJmjWtN1e/L0aXrmcEbaTW0XlML9j5sOH4GMe0LCUtJaIkwJVUu8Qzw2gFQg2gmq1Glb6oWl3NnwThVdVy0InZMkRl0p8rrgpPMfxycCxhzw+7Wi2OghqVdP7Rd628z5u4pnV+qHCu+RvAtqgyyYOxOA6yRhNupwTkMyr2JZFn7Te9BLsC3P0KErg4nT4rNw/XPEvvyBepmYUAMKBeyUnCjuz/gjJl8MVtbtJrxxBdnRSsX+ylc68vIxAg1DXPjMWblG3wF9oSBED4EZ6Vd9dP4WLTjoV/R4SIlbbPprODXg2uss5jeeOFPMZLwsxoAs5PiumKB5q+MS9691bP7YAjP932F69PfqKHvl+T6TiOW/Fv986KSdNUh1uBYlfN4S75+W3c2dPr6ksrktEnwBqOwpVOszaf8FPyz4nPbgLXjqb136kGvysfEm/ZWsex2U6IteeJ/AdXS0tdz33JlzZeTAlmpjzL132WxsEA9okKgBEIATzUaoIRMgMSS3FXZnDpjhjS0G7fzsyQ6CLhsMPQgKoFPFaC60Zb8bt5r6L9LPfV0/Y77o2Z4v3DLhsobOKTHu5CfXeH0TR1HofgkEWaKr1GvBb/L7CLoaS/rHZ13K4DMdHjkPdZGZTZgRT7vEGcaVmh/TWUrxX+k6ETDyb9VwG3HrPP5GXv1P3CDj5jtg8WRaIcBmAU8bKmaNiA93LH7BmIUyCp8T/Decyn8Me9ViRNt+I6KfS2BglLaGqZrl3m/3OVr1dntfSY/6b2QHy97XCOCkocDii8Zs3y3SzhSwJipltlLlwZfJCDsfFVtu2N4X9iYHkzUGigo4MBJI2X92AbsXrLxLE4jUjZo2t2WFBufo38MVc/8QpsrDugH5QecPz9VxYeE0gSKk2MC8C6qa+Xui9jZqEmI8EXsE/mEXGVkiVOCZBFwijQIWhiPOHz67x+dzCGbwYQ9IvkKZ0XIEqUtxRGGuM3ZU/86wyzPRz7N/gZzA+E/TzwQ9+KUL7tj3DmAkURaUu9lrkzEsgtaV9VpAOOrkmI0yp+QpPymUA+016k9AiHwnwLbHvTmUxYuDqXpAU/Acarhv8adu98glQSWOAZRHaFHDqBAjLN9JDpeczmAJMzXckz+YSYNPbYgGR8rU/zK1h4aTYHhe3mGklNa7nq8eoLgqCZwqAv76NEJMQOJGoOB1mxxnzAJRSnnMpiMLnB+W0kS6UdIs0s1zfNtm1bl1bZj5VtftSnqKRrParj6Q2C9vZwhHuUrturjFCK7SYu3l1gKlX4aGdlPgoT9npDNLPDxERk6OPYap6azW6+nLHbB0XA4Yneig5h1htKdJsZ8SOd3yHTduQk8L5JaOJTUVIjxvPLRA1HqgKKjYoH64jtbkm60xT/1KNMla+kFJo55qrPqGaF7kSky+EHdhYC4M5K8m7F9Kz6v1SWDtFjghmaKRYSKZwW9txOwJUOLUgiQM1ampTLjszlgUl8UQhP4NoFnhh0812RH/5UzzIrCzVPmtDf8jJGPcbr2Hys23zpoa7wp/M6WZuAOvwHiNLWCWQXmw7mmF1uYfvnPNxjfHgMqvOCcpgAgEXe54N9sURFBOuR3FCcBb/uzagfURaAOXwg07fEUc74R29+PEjy4/FGU0hcu1x2omCppBSuA9j9sf6cYDAEKyJcFhLrOkyqnbvTUhELUHLaplhAAiGhWLImUw+RrCm4tWj0lBtjWz24b4CjPEfm8M1ZwZeHOQ+Rb9k+M5XqHcNwvWWP9utseAxm2Ws1XZawFgJT+vkB2yUjrTuSG/ehZnnUYIyPxz7nqhbviNNm1f5mdIewyhPaFbXmc5JN92ZxoNZz46/InDfwwO5CNC96BJmVnxPYxuM4xwwFsWTYTA/zeORDksY2Pqgf0/xf3HIdXNqSGu95oFFZrZXNJHjVJ2Y/u59qVL+GUxmrywLLh9M2q4/IX3uw7iC8zgcmLwaOfsUwExGNlzF9pDjqRB7reKcppCLEpaIuhj2OyEKL+fEzHg3HwX7PB59Xpo2XrSF5ADUMEwmKlGom272hF9qDj8H74LlWGheLUVjrgrGEt/WsrbWHXipFsbhili0p52+TWX6F9SjbClyYqf+nNx84uWMCpG1cRLjjKOoUPlSLGPGOI13JXvcEyFp0uA3QjXLWjA/GJfn53W9kbVPDdk3/ktdSkt91PxkN+P16lEjLZtouRn8cHLQViqg2v/HooN6QJYh3GYPJc7EOBTEbLL+XflJOLVm8dOrNM1lJUwOpo2y8TGwmQgX+8fT7p9bHMKUxyqqXALxARdlRR2gN1UCMcYhr5nDT9vL1CilXu0TiXF7jClOCr2L0Rgoz2cnMD67ha4f85yEDQdouzgWlY+Dgg1bkTQXnD6eCwGF5FEQmTHHKrW/SnYn7S7jit+rbwGWxki1iG0/OpV2adyJnFm/4bNCOiNm0xhD3jVol/10y2vV/M97f3/WhqbP37aNWHjfYw+QLkK9vWiPO6GrSglm+ERfrSbMpguKCfIUtkLzcQqlazGyucY69DuVej2Ux77JK9Ef4b6MVlTwL3//pyA1qM8l+RXMvTOcqHD2mQG/osQQNp35+K5K5wsAuJwM0KkBZz2XwKyxw9USy8L6RLRUDTGzmxHScJ7aTqT6dtyw5agrMp/3Hq7unpPTml2tJnrFcbtrchlUMpcQaitHonAmCxdvFV4N/NDAqgTv3IPAp6GEggT+e1VrPII0wZ6Ckm+AxG/uKIkjtEqhmwgmR2YCES+5pNnvqKaRkfNvI5amPG+hPvwaLzl79lu0nVgfxoGc5rfh6EutKCvTfrWQxjtzAvc8RFvskzjabyHEd2BHMQmjcLmCxeA6G92x73mrLkHObYSaraotxusBXINrodHYm6H3Xv2BwjP8iP9ia9/pLcueT3lZ67uvL87VCV0OGP3PfrF6IOP6Y4mJcWShsOntovh66rSRYQm/TbIHnMwwhERKMAkGqm6SxMGSdekMeaVXbrbs9dLTjwJY6P73d/Pl9eHvZoDnOhkcupG6DNNFF3Uc/tDf7fy144tQmZutPTIHEl6tESfhdHjyhBAkvfJaP552BY14Dymp1V3J6rSQEkeHAgWgMmvhSLIvC4t5KYTmBjxGc1kjS/h5NLmoDjLGszsoBHWuO+y9K8iBjM0CuyalbyTwDwq7xc9MR1qgn8Zcj6LeKcKjj733DGbdU0eLx0DPju6IBzFVDIRQ1WxVVCT1NeGlQLukLLbi+3JuXUjESf0GrjOz0IZ+tV7miVQdFCREn193iwqEp9iPhFo9z+Q4H1skunw0LPUZGsShtMsVu2I8UNBATaqNvLYk9wZ4ELV+pnKkF6L+rlMu1daMO68Vhzpp9goE5fzoGI9TTp3k09xYfxwUpV5+0nPRF7lR3X6se+tQLOUI/oFB/Kzpv/6KGEeEy+oV/mpy0gu+epzgrhkkoCSWRWG6ZC14IUAARAxuxsQowVGWvfDQXvc96ulZ26qDmibHuPOongodIE0h/3bT0QhIO/X4ZtZyeJCeH4zh6b9jnpG27gNaIKa4smRfiLzR6WmsfBiK1bKDp0alt8X+HOlgG/J6s+xjgQNzt1Kxbc/2we1bvxioSbyBL3BMB5JkoIwiDI+aCy86ATDsRfkd4eQcvxXL6FMSV59nhf6lbCMRlzplEtaM0zNAtTMU8dtZ4xBlwpquiCN26hDvNz8yS4+7OotIvkAogSZ/a8k+MNttmPo+UdKoGP6S4G3cK2JQgNnmIPd1//CqOFUYjy09Sw+UVO2Jd6WYIeTRnlSGUA6ap8Z2hMM9Icx0yp9QF9rbM1PgLCCgKrFQ5rTF2H/CFfKe1k2VyA5DU/1cywslV8jd/2PZPGHz8CbThZdVOddhak3tpTd7dYq/fRd9C/InHKZtbScghI0GVkcF5QxFBxHkY/Y78otitBLWPPlnrX8zg07sQmYS1ccDHsgjQXrsFt8r4Zl0b3C3LjeNt2H+HdOd0roeVQ0FEKfIIV5bh9lfT9cDwGBgUIa+rl5O3zzNdyvPonBsBa0XkS4Yt/uSZql+7EByojsRkcGPJVkfQNZ5TpM0z2dPXlz3lshycM0c4OIxH0f68zjKmOApcAkJCm+oH1s7LL/GjOq0vGvShndfNv7s7slFLIehfWNb8Vxtph4w0ojVh9LrAV8+4u4GIGofjsHz/DQ5hfZaY/kbFhh/r0ZUs+7TEXVOcBvU6tSc32AlcXzc38ik3WfVFGigQLvt5cmtJfWeXsxTl8twIGEu6py91V6tEUgPmSOP2aC2hr7JOIAQ4QngQniE/qzDe8dKqBJfwUl4QAYDQcXeURGlKuCACemXRH83/S8L2/bXzsVsihufVX0fvTuaHZITp90vUUbECl+vi3dJ7NU0fBwwjCexLBbK4o3sydBc7phr0L38y8nZNZDC/MBWtjuWcgVoMc5+pEdMcSZyPFXUbxCv0rs5ZHMi/5tyQRAEwXMWFtjozlemDE7jT5kgVjpfm458YbjIzNCIvFUwEMpZIKzy77l5gEQaTI8jccrW8Yb0M4vp42VTkMF/TSeW14/R5x9Ndrh5ps9I3j3S4C3htoNETqi7GKIxevoEW1efQg5nw6EH17DIKyGOiSw4Aw/vbt/soqcvwLmL2H/L8wNIxGPifhptvf3AQ1f/Hs3ebKp/14Jpu/c7gJfPI8xRLWJHnmlo7mPKpTpU2NkNbOt3dz2D9HfBLFtCz4pWGYg+U0PGmY1Bi8EUQV4EA12evFWlQQV/IPIt/mpAiLZ1OHaubBH8YYuaS7Z0QzPpeuGcFLiBOCp8nzs387GMifig6UhgOrpCVFJMOSptKYPYQK5oFcH/cqI+nDwtS5/jmyH3/Bwvc04Siw1/0rdCMJ9aIm/ckR125GpTdhAuXd7IrlkxKNKfCS+rEn1HlZJueY953Eth+I4HmuPds3EbgBsIKhlxlfJhS8qKJtBB0vo9KjTajZP3KePW1psJd5qGdRkGMKs5Y6q8W6JNlWblaTGYvTxmTVnLjDdQuZGV+kITiW/sriGHiOzHicaLBYwV/qZmqRQGRfU5yB+yiMmzPxrQ+Vc52uOQiYZH8bIFln3On75NeAmiod+c8OQJ9UDPVJAQ4WUOLm6O9sjLdyXvab/MCxAx7r/+Qk6sGUNVdv0cD2cLjGFPliN38L2dp6qyYGmyPz104VjvNqppQ+8GFpkAIhQv8rVicL4iRse9UFj1hZRkE3YvUHemNCEnynOc/apOpF+WRsHuSH9APUuwPxieQdfO5IKyWAdHPArzfaIL3s4uJwwgJA/m8U2z+C3HAoJTtHk+IvI9ME41Z6Qt0a+p2Pxikz10d1d0ljdb1CnX5AhSyQt3Wz31tvUgs91CBeR+i+CBKK0AuLCQkmp1pYrP+1mjXkF/SabfzApP/RKlo1u9sq0Ic9cuwPhhAUHHeEyK4Ewod3DtkrWq9QwtPkgzwsJX0mVLKaxeA/igqBkkK2MaRpGVpORkMq7jwdp5m2mpEPgkZ/7S7NOg2xUjmQEV73QCcn3kPzzeQJi+7kiKrBXJ2LIt0qRME87bCl3pNMO+Oc9dmJYlJdk6wTtFfCCAaaMzpWLIsYekoMFn+ZhT73HuMS2gVqIqq1kZQZFAiVjsTb8/ZP+llTjh4U0QW0kiA0ArJ5ftY+uVquMhKplSqQ8wsMzVpRs3oAUnr0SQJduoRmt+zO75iitHfD/d75sU3X8rYhDoMsUvDgmv3EUbb1TawpsQqiFyomO5y8b8D1KDAfs/th+0mdX1m+GQxOfnyYiseyUJuHXwQX+piLoQyd0y66SQkpP8Ni8fYkl5TtlwrllDw5rWBMWxkJk0xmtHelm5W68zCt9YKbZHEJfJtW6XigLu3z2LwskDpkzNdOfsr4GBj989/bVZxMjbQbsnERz9iYQOpvJvCCA0VqU9S6cb9R6P1xswNU6TGlaeECaWQPehWgbpHxgty9DB/bqmaSn9PkTSCvJJSABBZGYNdrzpYlO+r9Bo5nRRb0SF8LPTH9lsvAJEEcYvFX0FvMKeJtPSfJPok8etNFkxUJBYsor2+d9XLkvfSnIjRROpRtxSixnBpaAMNEB2H+5XsX+kh/UWgQKiOGr3Ec28m5LSjlsWJON7R3Bvd2VX330ck8u7lLmyYInrYL4bWaPT6tF/Bli/UdYHzBbKKJPUqD4F6yW7XkecylLx+0cf+I7rH30er5UYJOysjF/PkZSZ9nDJfqZjSpzH5mADoR/b6K5P5gYoS1QIjW+dNZJk0Y4ZTl16GWRcunPHluByG+p7baMGUZG6qb0wLs3enGuAVhrqC90T3eeSV+uu5PYgNgoNXNEAWo63Xf9Zf0U4vNGwoHiP78NZEEifpIC6AFgUbcD07eT1vKYwtnGTWKE+jksWG9oBjK2fVXJZGce59VSZCVa3Kso/uNDDxbIZHmyQvnBPR/0MHemPGJ57eUO629YopTi1lBa/OTyDTq1DUoIfaGI/Ssn+x72uRS8747UekehIbBx7KzLZ/IElz+ptoyMlxq42oFIOKr0PNr5LF9o+sVPoz3njRZyWrpYO1ma6Sx9vA/q+geMFHmxUMILDrsWpNFDe5E+sptlkOU0HSkgFJ6QS4f4GIkMvg/eKyssrcucaZ9ScLPbOYzGReSXTSWzwzXnIXSVVi1Ar8GvN2D79fIVunYC6HUS6eQycqpHSrhYWObeJ7QDm0uCdMu1XnEnDmORZOQpfRFZnOeTOUT1PY3h4uLIDsP04Jj2gQBValRn4K082kzXHtgLVb3R0n+ei/7J3Tl/SiwFRfrKaWF+Jx7FGBQcqeDeMaoZhiTyOBDSWIyJWtPdVVhfriAVS1AeovJ0cByLcb4fXxpIfp8iAq1Fbo7L1vS70N/HazK6XpQJM7QKUU07VpoQ4mtkdi3XSq9sRw+zZQQs7nc/VguwW2nxfVF0bkm2wacX8aWPNna1hmcrkxXVr78olkO3AdGht1X1JehzDp7X3U11IAXB/HYDJa9iY1OgPV0SEPJuU+6CcYii9s+vWYHRuGwmyMsnz4rJIy63t43vOzEPjzKSz9JsFbMbIx2U+kkxIS6WMFOrzQbPsphgTfMA5CLgAMOk/Fk1hbO1jQHd/nfxpajzTVOI2mFWGHf/puEAz3IWy2ZtI8uMeQV4equ464S03T4M1vhFzxJZRQs/5iCtVG7TEvZszU+KSvDowOXFiksevAslGvNBcX3Q2Y9V7X9o0xTMhjAKK+R1hs1kvexNSM4Thy4O8WMePnKYDTk5Nz1/lAi72FFaQJolo/E471H3/tE/W3Dza29SAFyOi/tHsnz0EBy1Te4vMifgoWpoWke81KZ4PnG4e1CkQqZ6DT9wKa5tulDtxkyaoRK7fnFKRTSorL8Wf0yx6ZFokPpQYFuze1vP7yQ6Laiunyis2V/nItI2ACVyobvNgiIzYIpsO6J1/LHJVCYrv+l0mKaSXjup99spwkeJrooc8VMYeWY/Y+Z32wy4diwiOt+KdIsbZEeX6F1NomUc8OF9K948tiAWVd1e/1KOmC3460+tJQAg8wELj3hwS56zchQYtYyO7HYip82E/lBNkB4s1UR8neaPtQ++OJCuCjTDnNJK+R/hBwvs9A5z/GY3HEQQq3Z4VnIeU5apkGdvX/N6FuLXS5ojBHFa2fjse0Ba7DgaBnnD37FLt/tkEZiOr/rP0droSVrIWYN475TRg4sC/LATKI+7rRaSw682Yy56V+u1YKoWn7KXs2wF9gzZ7uz0/iN7r2xbBpJmTFy+g4Z8AEwYAeebEuyxu+6qgnCfs9UHwFXcuLL08VNOQh5zAQntwNoS87tpDcIn5mQ82OXKjaB59K5TRPu+69copd18wPSUkRFWYUasXgumz20HQHe0WwtWwdNPDyDOtFgF59mWQTZArn8mliiDvEzyI5KDMFBmUWJhDC8wWSOblUReKIKaKwUWWgOrXT9BK4gJzzg2haVYQjdw6uIZtEdfm8uXD9mrI0t2DLvsXRz0/V00HVe+QhsomUv61TjHCeW9CvRPupXNuDAMyq0FQAVsi8HYeS+nUezCihyCELah1f968zE6462dDd27c+Fk4aEETB0QrghIsV7OQHMJRyLkelzkSkuBMj/9txaHeHDQXtu/vjfSY/a5LYOyEGuKepL0zlSQvv7aJB7Y8lqE/XaYJ++06h60PskQDQseA8EW7kAQ8LluaBqP7s9YKJVF49uCroh8C2TcnEgFTKCCZ0od8KEvSWLRY19ilckCQQ7bhET87Qbq0XaN4DQMmN2U7zMbO8FSX6zhcSlUxcMjWvQHnfH1HMJ1OxDjJk7pY4ydjSWlAqcRxUJvWtAzXFWlym6EccA4tIqXOdDgQZ//ckSPHz02GtjPoEwOXtjoEGfLdQxTL+PRHHTCti8gxlxiKm+3t0UTjGrLIfBYsx0y/GVZ0cxDRQIkxYVO6WZJ0r6/x6sR5dGdCkSdatx7EEmLcZEVNoqezEnkgX6ghoNnPwjSHRpw5GrhHkLM+3brWmFHEc6IAE15OsVCfBCmn4RulAFYgF/bSlwwh9xGWFU2qmzBngscbsOngOpkG8oN+Vek3Lf6HhE6lwCsnmS4249ANV8hwBRyBVbCcTCtaNABr6mkK9vdlCGwKS2z6WWyVBWOLy3RnJgdnxDJjSg3xtiv5Bd1zD3RYn6LyqdS/AYNiC7wDGSTU6/Yk049FgcWkNy4cXZn1b8UWtjxfunukGjdTyQC/V9fqe4GPLa81gVqCaXw1SqvW3+xkywFDWyeTQfxI/3xUSZ8N9NQRGVmY4YA980l//f+q4HhBCRHBdYlKANr4/Xg6zn3kM4b5XEeMh430/NE9zBz8F65iyjEV+M+0uX8pXMr+ABjLMeanVvna9FGY6BVIQLY5zwpq2KYDL3Mz63nQwOpVVOaqEDZ2kTjSB1ABM1mGTKDpQ3ByopzWMbIX5Cg0rWkB+N8eQ4pUXo7dr8a3sovyf9WS6kx8QyXNTBLbRAsdvjoeCkyhGPJVTgRnjz5rIPriIcCEgMwYbCwCVmkao6gU3z9hv+d7qm+rxDkfDUpw6GTAJ88KTvuQIzPTKPN8FcKtSyrEvVp4ddGxdOu/6CMjJmums7QRi72ogG1vYrIk2oMh4fcXOChlxSxkAQ1Me2WIj7CwwRfcfk+ViiyOLTKEg1TqZAW6QhJnImNB51pfDnC5DYebiEiDAZ77R/NsRELGQT5NLS4BzBECUuudEWw/N/P8LfrEiQnidUJf2uInETo/FYeYrgzsZyBdyB4JoRGNZAgkRCiSsTkrHIUJwlaWq/E6vhueBD4Pc3PiE9+z0oUJi1a9/pP6USNzKL3nTtk4Ye85agsq6dCTqkwTXlyQu7RsebVzHK33r7q5e3o7KY7SnrcNhgQqpQ7uw7TRKTm1MzkmZOW2I0t28wPF0O5NM39taW4oXG3ZjNe0yk+Kac7SNH2dUOKEhSGm99JGm5rNPK5iyj0f4r31esL+ODcirHqSJAN+Bg9EN5YerNxCqHo3qqXgoyJ8pmyWlvtK0j75D15oh1iRLxupYaFPJSdyz79GIIrHpyxv+WJ9paeUIoNgJAUz+g//P+OUnOXtAZNYg96YmnxC2eMCZfPT11A4w7rW4EqB1c53iBBbcuwkP8kQ7wVVAgDHsuN4ToJC1rwBmYYxPXtttCosg4Z4ugI82Kt/+kbHBPcBG9b+UJpBhCqNZ3XQcA9EyOB6dqjRKg4mHFq5uwibc29ESmtGW39YDmmswCIDRyJJ37ZIeR4ACSXaWf9d4t5vTA4A6QAOoIMoshrsj0zRVFxkYSoXearlaZSKZ1umZfMTxgGQ65ZPVW4E9QLxWvoKiqIwGlxPvtkP35aXfcyLZHCWFBJIiRHQB39Hv4+oG1FgpMR/K/d8QHR0StQCPcudUXDfObhqbghCh87sOtlIqkFFsk4fw58Q+6E7LsqxZNjIlpfpt27TD6BmFwZK7zVB0UDNEFWcz6EnYH0J8JjGan7N8x6gRGpSFtJWHXR10uYw/wfu6qusH3siHD9F+u62xmR/q4nktgzlkPchPiWIVko/zd5hBKl6OkCfT3LyGW3C5cPwgVE0vBZB9Fl0+99joZH2zmC45qjSQOrVjA0I6bevU1P+j7rZ8j5iJ/b7uDfgwX7cCmKTWp6L7aHi/xZ3mJk7R9BLqaBMbMBD7RlTp++sgcqiI9LX854gEANHFqQcJvjScvgkzDWts/cXFrT4DsJ/t5E6so6RFZdUZQJOwD2B975l5m7iBTuDohrAYUlIrAaWx7wmziWnG4R1jPSGA1qYVpwg381eQBnDsBXiskizlgUmBqs5inerT3z0lwWtfC+eBch+SlWHxExvaMprW7TH3oihP2lWULRcuIKkLJya6mKuxNlMx4Xk92Ph1jUaxhlHfrw/oT04QLrXup+f979kDzeYq2E2jxr1FpT8P2eMr+EDsGZpbR9hXqsguRVhInRNm6pX1OMskXcKLl6LsY3msO2M+44kCrwJDXPnEoAtuKlYfnTPXh2dVESEYumBc5IZTzJh0f9LA1Duj4xaUMLE+hfafeM+JP5FJgRXXZ6nDxarONMTbmwGQfK9xX43P0wvayz6ychvvNV6Kxt3eJSX+M7YjgXk89RJDGfdrTLAhwbhg1K81/N2UlFZX7Aa9YGy5VLKivtLx0nfaz+b8UCYD7zZ+fW7lUcYYdJZZ1Z24hel11UG7McLkldkqpYtvlyhYrSD+n4x2YkC7jAGY5JedwqhkbNQqmK9SNNJexI7/UzvsIsHMlxYdSYVkZSP2lQxgaBc+IRgMqF087Af41WBTqwXWQ/M+1vYiQ2Ha9mZ8XUo3mV0Qwa8ZeO8jaBWSrTDzgMNaNidRDNsUhPUl4Ri0AUvASZCAnNeZlawGK42DT9wzhc0+ottDRcKhmzfyCz+YQXctfq0cSi9QL42HsFtcrIvx/A52dZV8uUqfUnr8NYQawovFHqVE0FSY6KXG/nW/4uG9idcGvyKbu8v3QXQfw3xbvt2Ofl9cXs1nO2A3bhUIaYRw645bqVCt+Q/obGsj0HzcgBBKCB61qhe1XLWIroFbyOHiLFxBFpXg+p5s1ELx8hAYSIQ/aUMb3T05OxzHQ8pOV2C1Up+FzrTnjPXvTr1bLv64Zs7TH5VRmWmuNELId7Grwu1xFmfhLauR8A7ex+lDY2RlxTm+QiK+1X0n5ARJu98rOnyak7biPsQOacHzwcjzO65B9h0EeJSb2CG9vaMF4o7I93zVraVWZoeqRpgK2Ew3dc4pEKwiJ8RXvUTVpK9Im3vu/xF7XLyeCxGHsXHC4BcnJEHhFdpU3ZZ8BSd6jtKMCXoGn6YMbjfLMI4gm5Z2dz9vpFjMWzgNU3ODB6r04XfVkMOeDcgmjdcdobODVsgmqs75Mh3LT2kUF//5fcS1vXe4jIMOUUM1alkys2qB2uqWhFGb76w5qnzfo+mS6yDeXbdBFJZZK+5YugaB/y+LReGk3Q8XaDIO5B1V2cCawo4Vzh6BZxb6XdSmR6Mxc6H3s6CUpJtLKAGgH/Kn9jY5SGdgzOe6UslP3HVNOdHN5n5RQZygiE6a+3PBrBmxe0QpSOMw/VDtXNCC2zxT+8M1oOkrLgm6Rysp+8Iy4g9VwH5cfIZuRM/9SHC6AqLb8XV+gcDhSQe79p7o40zBWcN2qsVMrta8V7pP69dL3yswYiZagAMT5Hb/qghOIKlBFwjvuBUe34qp8oex0lFuwgQJQLGCQZ12OEbuEc6zhs+my5ZGh2S3q5vuJxlkdi6cZnu/r5BaAoWw7LFYYXnws//7EgZvu2qwcK9NCA+NHuqUGBlJ7dsY3y14O9hAcgXqqiGv4mpQ5cC+IDfFpez2xAQC0RInpXSG0PZlBCMkEYRxCAxiU+Au679YgxQkoqNaeTxIZIuplOYPqh3GDlgbApj+iSH8kHZ4AcUMTj7aJxj7gQB6IyitgV3wKh7KH9AW3iWrG5A28gr3FpdggLiMI27mafDusluTQQOJcnXGTcDoSwCRbTan6msP7wpAl2x/M8s4Y3y5y9ZxQ+RnN0uCu+TxBxyxkOs49Eg33pLV2W7zlzz0QynLM/mzfpTVFupmTTPJICJG/P1PW692DpyIP9168T6mpnzJTREom6d5A9jjy5QcoacxJcD3i7281Zi4kWhi9qxGPYdSOLjDNSjK1wFEZlJVYyCV/20OeEnjlPlpe50vldPUQDIK7dYEdoEIYPEEaKaqaMirgootSfOlw9BzbmUevp200jvVa3R7cYe078bgocenf/PpCOEsgV9k8QhrRmw735GWZDMBWg5ETb6iluE2VGuP+G7fbJmKxpvX1NsZF22OrHDggrPQ6eUt2So9GQBRRS4j/+MDrjXuJkDXhWNmmllk/njkarU+JpTWcjuG3fNAZK9ItkwK6Kcvf4HfkzeZBW9ka3+6dS2kDpx541o13CcjpbzAQRqbhgnGgaNDn94wrXk9xnf65+K3/jqsAQckeQ8XqBplD6vih3jksbYr3oiNoaiIN1sFnKDmc0KcZeU3rPfxzcdEWmcTdcxH2yxEkgoAF6aJqJKgCSruybyo35hqZP9nFrW25k3r4dhG1dyBEhzRRW+jdPQLWgAi6jVWMVpRpb5fXkjDP6BScaowtiycqKAe9keqzhF0zHS+1dL1tW/oZGTQRgh5fFx65MhpGLGpYo8zPEuaZMC/tLC3FJpopYk0tZ4MJpMzS1ECN1hgWUM56JV8Jsa0ilw8c49m1dTiZsfCuBgYlMwqIx0a/9kCsfUEVTstFwwIrWyLccCIplAmTf4MZS4yosWr/A9IyfI94UK+GwtvcwhOnI9dE7V1cwtA9HTpa1qDGJob2GRHDdSKgLWRSXZIQjHUVUMCYXb/FBZy/OU119aVpCTIfMxsFfm3GpGZ4ao4JXyEQsbnuH57azKw5PBlNsA+iuv8U4tn78BWtgk0+1dHlZ7M/AFs0KYgGE0MrhbF47nKnrWNsmBR/76cvgRUQIPDHfzjD0aoKWkkqSFyZvLSBwk6uzrFz0yZ74SzSoIt+N2MdMNPEUAMesHyyWd9BQCN/0TkdYMluGmplzG2kKf7E1lezy6rX90q+Dx2T6UGGgaICRgkOuYAcRNSQl8H0PPakxK4qdz/rGktWV1HI8EJCijAGqWunR6LIQdfDHjpUu2/rfzQY7zcZFCQqeQ5lrNLLgY7nXsnO/SY13JyDlldeJiF2pDCuQGDRLkeukVI6U4pgVTkMKBkWAnoL7iK8hI0x6+0yfvYFMgYoBmfeqaSv3A1ZapfZGMki1mZY0hZndJW3v3mdrvOFd0wqlr0fpDBtCNxilufD3RzQjApAu3GPBU+kJyaoKyUBMgUyoGtcbtQA8QS6SarVVWjVq1nrJF15Yi0+Xpq0/pQvhBTnHUbHoxg9ZjsJzv1vRgYAKOAfWNsedAavTF8CV90roOblLb6OP8WuatXe9WAx4/UAJJD24BPe5V4eKpQBJDIE17GaQr1kF5jhnMt1yG0erlO0cMiPr/bkCe8bZtJZ5c7126nTQ3mNqC09AukDLB6j5gqpjFoOOejjvXYzEy5yvLFfVfq3nTMFuzVsCxxNf8VNaPO8J2xMZFQKLnYKh1RVR/83BxHGOWt/EgDuyNA85M4ssqRuru9WbP+kjza/AKpmmWaqyr5f1SkhotMMVvT3nR+XSBtl/8tx3oyDvhbMvmdqyWKOtlNKebxEJ2S2RcWpcRA+/IoK7292pNMJL2BkKLw0P9oYjRPOovouslkfR9ZLNLfTI86Q6uAao0FlOUdM1+miOYmDe2kv5LFXMaAngo1iL9mYzVYTW5Vmga7xbqeNmRiXrU72l2Ypx8FKFgFc6nMAVrfIdPBxPYsYpxG5k7Scg3vR7ttHgA4BYgRABe8imfP4HsSWUYKq75KJ8mR6mtTqPL0+La1fSWeV4cnELZk+KCkxHARkPTmCtZNivoiIxTOYeydI5YhUO3rtz2alYuBly/wHyQpCT/QlZEGhVq7jCoS+hnCD0LWlVHtI3oXQ37yvapkZWz7RQRHh7C0T6Pc9w9mdTbiBbKt2fXn6zLEzgHytcLib72K5RUCBxJA4P1zKygPbrVEnC0k7OmEa1xQHL7y/GR0/hhLNfdV54YX55xFyv+iSv/9yHZl36SmqdCZNfLOB7k31mHFMil4Y/Tu7F48o4FN6bVxLk092twbGP7nXYVR6URcLAiZw6V/ylo7z+5doxB7Rimwhkz7ZBnZFS18yG0/C8UJEeB2tI92z0jHM8pi2nIpR4lCHwG21KexUNpCtCfWgDn+yXNSJLaQC1Q8dhCoVMobXr3NOaqQWiuXEmFAHfENm/orNAavPdLUZxogoGa2zfshu+w3hPwZ9q8/RPwMFImxqi28qW2VUD22BL2Y44bCsqmV2Oj7OqW1e4yO5rdNgNrRs8XUzx3wLI3SuIdCOKUYJRJm6E2cxc+ij0E+zAr8XFJnCcdCFon3l3lJ8KadWptDxbqNxlEIAAKKXNr1kVE83fKyv2O9tQkBSv1gvLLTyHmpXUshPluOv0IXdFc7eUgUjGAgd8Sd+bu2gOD++MkZ4itGNey3y1etfeT93ImHbUMQVI5r/Anak/mtNsUO1pUcRFI/4ZQ3S65c9nl/5+FiPIhSWmhI6nEG8bgRHLwzBUvtbmmZWWVC56xTT4tKttptG+Ijo3sOCWorh71ojskLeYlsR4jGu9zsDkGpRMYBDjLX7aSCCIufdrXn0SCJNpOD8mMdzzmMtCoqQsk5Ba20dg+W6Lm264MeIfxBYvVWkz3ODGfc0/xJSYjoNKLzWgqZXo70BVWdxDGTlTLrMqd21964shmvg+fkUJhZMXT11DRFlBFf1qrc8RzBdVJTvuWgL2UM5IoCwewW+CvfQfsKHbJH4lgyxetf0KA5hjTkfWkoZv/7nozb3gdDgw5bPk6WkGtgvOhsaxGCr61cGA6qetcHzYmCWKU3q/nCw5/GUC7d3Fd5Cg7Eo7LPJF4/kdYaPzNHgNavnUe1LuI2i+Wv6bJqknUQ9MAuklHWq26uAzEWFlDbDV9gQElJKGMeljB48QKdlEC11ym5dLVProwJXaSj6RB1VBDgOjoRCYrKnPTflqGwDfug1U8HbGeyH1BT0pjOsMClvqW9w6fVUdtnxfBQYSp5qkJpuKc1wAurUPlUf1DifLJrvSJcxpKuZYf6KUop7oi2Oz2x1f5EjiCUOyPtC9eqDYhpE5T23q0yY0NarAVm2m6BynbMUThvdxcWz7o9gLKjj28UpQZ+LUojOwfd0HA2TQ8z0nEK5okTurulO0sNVi6szl2m1fIoGuF199/7zy0hEPVYMVEMOKj+TOg86bZHD48RpsWxQlFOGTqX5xfizMkSvSluOZR8b8EBN/L4N+nFcEYMxwwSkukAmpBxLM/kfnyMxEFDrUviCMO1LzGL5Z4p/mGdmUWswu9+tlnkpnh3PL5Zsua10VvKvVhKz4Cba50bVlWk/ZpKwER3qeNRKrA3UkPuigUn6BandwBWRyld/KMNIn3zW6dFuEG2Y2Dc5IzYFUtjtpChZcRzqesMAPHq251XwXdiwr8WsufYLKMTpZsgXRtcA0TcYI/rIQngktpuhSYoaBz6djRC5/mdsAfWS+0le1bnxaqAXn7Aat11mKnNIF7EC5xQHsLHAJGBGgQ93b5zlqPJIjNBd1nr7Y7Vn0ZywG4dNApc4nFLbDHQrDU/ZcEPB0a3BZVEkqvoHoj+RH+YBoVGekJLNUpHvRrKbj5pV3g/Ju+MInEGc4g/RAfSlwXYzwP44PrEjfxZcabQf0vdXIY/yXe6BkM2NlLHalSGJCq2mzAare9oXCpYMjp1+n/wiYSNqZ+ApahIyFTts/XnnUOge7SZfurmrJahgvveoUukBasf2cO9P+zMyM8ZgqUT0a8RVFlZwoCMZNsJaWSbciQOLvImIHK9KF4KEiVuC9DOTY0F1z8i0RJy2BE1+sCo6puzEiwMoNmW2S+Bikb+WtAHqqu16ETqWAyw55i6fV/Js3OypqVDUE407aJn/2ra5iaRtS6HtrgO5WBLB9ZP5744m+/EJvavxOYOPceUYYeqmJ1ZoyKSUI5ANSzp/0aObjmDNx5grR0hv6w8W9koVVSrF388UeJa6e6yEWTdT19B7gQv8XaebTn1EF5jkbwvjmi+aROq3poQKMLf/BfYWV9Bq3uTjubhEk0qPshDqsyZXbOSGfWQf64Fciz3XeH292zfTogggCW3RRmaB6i55cdyVw/w+tZNIrlisU7iIPwbNjjcLPT+Cwhel9PJotS4mRNUpTyax2Pnp6PgbHHJdf9d5I9tu8jyUlQvTyaF8P5n3R28QNg4eWdAp4QqPDrj7XePXDUAmBSJTZe6YxqJy2UKKdWnVZ9gwBsXz5fAe9MvcAf4ByZ2ottzR3XL3XwxYa9BvY3U+BgwmH0Ixx4tncdscn3VqCJzxCWRftEghFzcOgwtCUFShrZc3mO+aPNf3jPokfHCRNeERRecXLB2ZuutkysQwC41zdU7fEB03qZ6p2dNr/XnkedZscvIRKAcLrIumqIK0hypX8d4n8dUJtSdaRr5797OBVEwIN5S/dmyMnQNRsh7TG3962Rn5KTxh0ukkl9KZpCZpaRPILMrcRRmvpj290yNfEst12+VHKul9TgTV69zF5Lr2KqfuH1iw9GSsLBI3wrSf0dUugVC/W2Lh9jYegNptLLZ53RppNLVp1jW49vqawI13Rc7k8XqyfMkjgw2YGSys3wwXJfAnRzCTYFoNASkQ43FHyqW5KDshuDqSMh04D5Okdmdn60ODen/2n73Xw+JO6tvgkgodbsaEDzHijGVpBwIyEZk+k2sbmEYoz3XQg/HDIQEk75+FcWVfp3eQEnTNV21XneGZnoq1oEFAdLwTj+Fm5NllcUxhutbOYAd7OctuxmyMsBUugdGDQvm9c12rMtA9YOil1woFNP6CtkEgPBopDATtv6vKC9Uxnq4t99bx3218Bugu8I5TDbLn15JU9O7K0ZXlreweMOv5M44UJijR1aiccVH28lhZV/jTkR8/4lh6Jmay5Y6TrrCeKr4IKZ4h7e4r/HAoWi0mHAYhpw+pwzTxdj5zGJIM7OO8Y9mDB0AwDewKw/vMQ2t5uu0fnfDeuzYNY+2+gmh6fizF2e/lKqil2h32z7yUvn0ZnuxJdzftUt2i8sgEb29YoWXlqgBF5u9QOGYoJguxLeu/7R2CLe2hJOIz4WfyvtCPbsDXQRe/xDZleesrZgHt2ploxtORkEovDBxHFReIjcKZdh+6xrLlmweijCattGoP37LvP/Q/PUM/ULF7Hblyu2rLfKsajelCdsTQYt+Izok5fbiuuR/zTS5+RbKcOg09hcxdDspequKZKtT/Oz6gAkq4LOV9id7vEbyR3go5cwiciZu+JTYSekK+byA0U1Kps4d72Lqigx3hc/uldWo5rKXQvcqbCjAodAhOZwAgqRgdchkfOFK4IpTi0qDx27w9+r4Sl/dWuCqvZovn+HIbqZv87g2M4SoMHyCoc790UFIsMeM92fvlh3Dg3l1CHJFmV6mLYR3FlQuZv3gVESKAS4pj2KszTM4j0BJoTALLBrqkrsTBAiSR8GVryiWrvhtx36Rd0lv3irweThG6PuR6ab42ecdCR7fp62ZUJFZ2K7Cc6Tc4K8QFA2Y91mYdBxwKf/F7FEbCDkU+N7dCJxcKZJTk/pU8nh0DewUog1nAGeE93sONshwYUicI9xq6BUAgqRxquo/BqADvjKgfraoiEP6Sm1BuBn6YSjKGO3reN6Cl7yNQddy5bUf8K+i0m3tU2aAfAqbfGm94T0Aouxwixti6LgB9KMvXY7f9Am1LC+4mzhDUU/lmsQmCFlS4o0mvslHCknSFcz1ziaPRNYgv4BUeQBGU0tDiebIm4ei0bWGD3/+4X2KESolOXv694LyX35yG4/J1gaKByBmDR3coySySA5lJ9M0FS9e6qmm8gh6H6uptYm1iAXzYh6F9nAg8fVGJ+Ta13rX9e6FK3GdlFMwPBp/PiahxV1OGkcGShY2Vs7oUjCFEfxG1OVnYGMIvKvWw53/LbKv40byP9rdNVrYf2JP2y6DzD7FdP9oQRHbljnc8J3+CqNT9QxIBd1rb4OvTEW6yuwd0ild7gbrvI/JHsu7CypCJlMqnvAjxsrjkLnL9I4INymksbJzoImbBh2VaWNA8cUe63dF9ScZsdOtOCUjGMyXkydBOAVsF6XnuYx0M6ekFm9RbccGuEla+Q/zGXnNeZ/Qlqn3qIZY0a1OEV7749a6bJaGxSWb4/UUpJ1DZrK8gLUWxcQZA8y9Gi1/blAq1NPHaCe1PdJI3MDiCEwATjsMBRJHwjrBPswSZavP0cg9S0FrAX+ihf613ro+ga4+rjONB7MQ4MIgmJ2VVqHsDWIBs3pqqTDtIyMQPv59wHxd/o/ywZ9M6HWICCLD/AHJ08lmZGgF+N/7220Z928Ow4Fp/NGf97XjxXkJiWrxqZMjOEU5f/ehx8WD7aOpNgdnNv8t5O+FC/1nmg8RSyXw/jQLZ5fN0LyQITqcY6okj9S9RGtGjWw6oO7WHxMzl9jsvdfV/DpOX1xbd1+BgsoPk+M59VlVRxMdQ7VevNAx+P+TFDEHQ70ym5OY9aVVERI41UvKFdLrUmOBFNdoIGAMVMJ2t3bSjzL/ECdFnwTB00ArK7xw6QNh4kyK54jITOSMaV/w6sypuxtjJW62ycvCPBmd8JiJ8hAovj7D2TzTzP7F9lJPHs+IROfM1/W1F0P7xA2PZofO4WUGCkEKyjYDInC9fj+YI7bmgpgvwFb26VKeh8UyG+NthCSoo91d8hs6FHSDbZkggilo/NppvTPtowcNu6KuRo/Pj847+bMzqXeivtu2haEODBSpzTrw9voUxsEbnvvN7bL0UXTQhCD4UZfIfLFfp7G3unDeKCHaRK3sxSuHB7Sgje5oWzkvuQW8vaMghCRXrpUEylyDMCSdSlQWR8ihhHaMaaaGV6+xGDNwe87cxNhnnbI32+yMTIMpK1mryWf6+0VjXcvJ7jFRJlfcS+gFUAP8lDRqjv0A4XBiqfRyh1s5dxCFK055OuIvhlDgXCh4BLouDwLpGrdjp0v9DkHhALXGhoR2JOdLxy0nb3LmJPTN9BKJRk2IrSGdWKG5/8MFzoH8AzH+GGJ2Wsv6tRR2usK3gsh7W/g+9oAWjg9ZhPvqpFtjdxCa7OK1hZVXEOWt8pi82hPFFbEYq9qxXAelQ2ypF/+8pQqQouiZ7szs/KKykjGCKdN9nP10bxwKW8fpjhN2nKClSxV/4t8nFfb08IVluVQI/TS1rIr/ceXla+vsMMZIkE9+UWlymX8I+dvRkSHCkOT3s5tUCsU+Gpj1uxFycPk7fGAjxE9iYLWM1Ig0u89xyH5qkCO59QTNccNl6nc2YeIW0ZKhoT1w7H++J6NDiPKb42fgjwXiHslwBrn6agZ7umnwtaqj9/g4p6zYcazO2I/CPv1vbnsMgYgBgTe41TZzKc7zm8rmFEVeOrEMyOKKEV5KAcpLiXgdfj0+IIp5byxx+zj3eBQNzSrIKvCW22UMSxOiDE8k6UZ2vTkMOWolKYYprzJQu/wauZF1W0VFw80ce983XCRJW5qpkOg1GOCb0keUg3mrQMmaaKrfuh1s8vJIRHvYo84UKbNweFtGzQ8xJpu6WCk9QAT+3knkv3IdjsoFpnC0xYZji0LmFtpWVBNYpQMe0weFP7bUJH38f9zaHcF/JCczIxdNbQTpdfzxybgnpW/tnEYfX+L8M80JU/aKWfGpCxSu9uNd6W3CFN3DNbxj+kVa3R4J/SIqNUpL3vN0KUfMBnuBP409MgTRHfxDskXezntFlMM0GHXlf/TYDz4WzcqphrX9pTtRb65Ua3/7vHtoON2HkBz2GrwowI2ZfH4VEgiymiei6oyfUJPR4RyPW0JuWrdrsev6YhTGsxmwxXh4zwxsVHJOMp00SzE+DNi4KuGE+mLZNjhhskSieU2iOXGoh9XbqGAPke8KNhFs8a5WCLk7MnhFNnAGlB+AvO2la2EZo5qNPTe4pjY72UWYTQyUKPws47NcvdByq7JnRI2hy00+PJtgMPwzQbVu9lEvxb2xxKePdMP/uX4VSXZvW/YUAaVfY+RRGD4cNBcjSxsKgagdhP2rXJtS4nkhvw6RiYsrqdtU+aPQ8tqs7UBT/CMOwKNqblTDVKSutaowQGYuuCPnuLPyeJXA+HYcOOXKMWfCROpSn/za+PGviwd3EODvT3sjN0oNT0qhikO38xK64yvMGhL+Y6f+d/HEoCpaPL6/1q20HbJjThd/IqEGE12y01mz4raJ9+68amDj3riax/pB9kkw5+7R4kAcDfExTp5dwvC9TxrINZCXFTG5WvoPH+ZOLI9uMmumCstkzgPxrIbk2jjLvDDzy2J41EkcI5hx+dGA7l3hVWA5BzPEJEdLBmErR4L2g7bfOD/qghakOGkEe9CWzR4M6O86L3n94/KWW+YoVnkoY6/og+sZo1EBozo/qioh3T7km35B8c2Slm+SZdCCw3eHYZj9xYhS7SOgfZ8r9mXxK9xQ1CRCunhsEQCUYcLI07+XRSb6bR9IhPDhehtFZ2vSVOesFMZn6DAwQauEfPEHaQuaVC3cd7lQXH5YcJb1OjjyurU8jR8NZlVE6h0m7yPm3OFNTupHMyICS9oEH8luRxeG7jURob3WFWyfXsv5+aqpx6ip+LkZVWLKpBpwO7LaF2NwN3z5EDvhE/gC7+BvTyba3MWsuteI6mT6AGuu1eHui5PFcUAatxeZb34E4kdegbfeuuwy82dJ548oaJ2S61ZQOY5Vt4ZysJuUKhScnkO9Yn+GqExpA5wkvD64fzN34xWXcJ9Czz0GfI3NfJNiNouvplSpXwEtsY753z7jVEAQsI3Jc68JNuuWg35HRFqUg8ESxbV5UmS5czr2h6ZLVbuYtITkuiSITorgosARfvLZjwV0S5iPnJnChgmIeUIRwGfwRv8XK0WZzwNcHzUqwnx7Iw9Eem04ufX4hgF74nMAknKUivSKIZafgCNvrDizN9aCkStJKukgEI7MNCClE8yalC8Ec3gPvFzr958E1ei+4M8IHtcnYlddPsuFohetGhhqDsjbd3qA+MWiVFhrqa58BC2GLLq+1FoPlqqBIwnadDBFik1yW2kZyVJJDiK10GYICx0iM6q2z3narsL+zt5EnIDhTrW6tA9XHR1kOzOtUN8nrJJrw2DYt5ssusW0hAppeYRu7oD65OQler01e6+adtfpemVb+1IODKfIba8OeN/Pj1/U4QJtAxWIwS/MgS26TCKCAFtpudorT5OqK4ryL7rxnpHQDXqrCse9pbUIk1ch8v4nV5/N7+UAhKSX2HBi+TZjZdQ65pqbwMGo/3GyMjlC1zQ9t7RuCKy6ezNC/G318vy/vr09sVUwZjf3I1eOt4Gcwjyi2QJ94D4qUnzvzyoBUP6wCFJFsL+MLHrsVKBCY7vY9tAGoZx8WgcN7LhyErVcgo7/StHBRE6ZFT+9QK5m8j/SL2d5IOYI3Bi5obchMrUrx2qVoWHQkuBv1gh9naHu/YKdxoiSld4MmLa0bHUBfuFKEGnxBB8QODBJMRIBDDv/A3JEAGTo42Vt0IwJFRSHrLNMmXpS6t1ttNmPV8OdP3XRIPOdxVxxx4FiNQXe3QNd0DpQdDcBjW5lLIrVE55csBAnLmetM3FESaZBmUXpe1cqe/1mIDXIFhhYaG5LCPbujM+pDvjrWwNQwCN19n4gNWlDEnFAnCn1VXr+UEbp8+8//Oz5rPhk4hSPxhIm/uelQtVwM6li7mC466hl5lx0p+eaAiRdWwT/nrdfIQ2o/XjQ+ikw/RIH5SSqteNfBCKYWqgxLJc6QNotIuGSW+TMHNjzvXmnq1uWi0BQVaxMhSbhLjT9+Fla0saaGCCNszRM22hkIIb+8ZhwClHw5drTTY4ccf9utPutV9vqpDJQn2/xRhQjOVsLFTc7PIMZNqzePwR5cADU1IZab6IzTc+HX+xMOK8ujVXr31IfcTbf8xgFaXgGe6jZQ+fxj7XzoXlBDJYyGbMpbSNZGx09Wfrz4kFfyJukHxb5a/DYMXTper1OOr3hCJ1A/MyXzgR52flBdap23gXR/2p/q2L+yqE4pkluY+l7DwpteyUFPp+uwCyjP+ShpmTua8lBhWsdjUgilvPVLH3TMzg37a1b7Hd5WcqgIQS32wA0n11+odlJZB5ANBruTVeJNwlXfE7Q+YWX/whV1ehNQRUjAj/CenaTdP98mfeRsTVvDx8d5dvNL1M7lVxJUDYDaV7C4L+rt6u9K5rPXouph+GsfTUG7sTA/fBo6tcLtUJlriaSDbkt69FXHMkLawyG3f0Zv/TPHxtd8puLB5+e271dNH+a1j/DM//PSzi9xFZutrVNSlkANw28LPEs2W89MSoT8FOjB8R1L+CCzJKIkV6iHGpC6t4owt5UB1jXiv59IXHhwX4Bpb/Cu9TPtYivDFY/58fW67ehe7HPRkgbBGD8K5+OHKrDva6hk4xu3Um6yWzqDHabggL7PsTL8d1flJJ6jTXpMc9/jURyr9jQZaHJMof2lKd+f0g0La7LkaG4J19WPRn7kr9BASUwN+Z/SoAT0skWStNiE2sUISPKnGbPjI8xsflHtWserSYeEQV+fpiv7smpZ4BTq+1tKGS+8hQKmuoGM78juKaNvAbFBgyt2ZVhZWxHRYZUvzQjTMq/3mJ7I2D7TjF3f4inLwsN52nI8jCTWZFJE3VUQgNWFYqodINEhBL+6stg+Yqmy+aZZhBkQ3Krk7B2hlMBCJBGPAzZuGTWvJ1gmW4vta/nqzXKclPsKEwnAZtmF0zAQKc4hxS/muUa2gHjvSYf3yzIF+aQQzyazlWFvc0AEGlFhu7/Ea+iUFra54uQyxQNzoY9ucQwf+uMGjQ/AziPcvaotax28A3wdAasDM/o7QzLt3RLOJ5MfznA4VKJCfd0OlYpcHpasq5j3ifxo/r+ZhL1nOqlNHYPTHMSvcCDoWCJQrZRcd8+axKGjmMrow6SGAIyEZz87dNkTh/sg7AsGdPbwZcMy/pYTX0mPFcQip3khQlBqRXpzino0toc9/tpHsb9s9WCR1+4NetzCtuA8A2+KdVq+iVLME+rlmKBWdfs0fmdz0wGx/+zWhh5XAIYWghZ4MeRMyRLVuGEoEZi3+y9sr8hNAqK76/yE0SasB8dNCk2bysiCSIzqN8XbWaXUwyujOY6IRc336QR1OiNJs40gglJpUCQLhq6Hx9/h+gPXu+X/nZN1+andD+lHf2CfzVEx9tPHkDCUNMkhSDChInaxKC5T0ecrBy+ejc0/+MNSWeQE8YKYkxAyek3pS4Jyunek5Sb8GzEJDDBhqvGoHzDKh35CPnVXOhYNBC9rWabiYmFEFVQ4PXyigRjnsECsVzOZNPxGoR4VReeQYPj/F5bTny0iOfsnUJsUPJnQUaCHXbvlN1GLGfe5O1ERcfknWmR1XGD/cjo2zScfuLDRWeo9XbQzl8wolkhD3c9bhavHsslVtIY+TO7yAn46rweX7ppfAdqcdKgFlrNCzPI0wObY35QvhZTbNnLQ6v1WvRsWHvjgl3kGl06qHMMkPwcxndcJfHyIacNZW/NLQKKbLUYvVSbRQRIcQQy5erB3oQo6A4GMPrvbj9AP3wI2lNKCk4wzZzgR7TaIzMxr0PTSCixA6/9QtUeW5Uaex/Xst9J+co+8ueDPzNqq3fQrbTGDXTEje3t0//xP23VPxd0eQFapcAgQw5MnEAK1ACwk6LKfDR1ylpQWh870B/pL4HPdB5StAb4TWzvRMQR3dyLEBA8qFky61EvjuYmMoDFlnw5Et0FpOHJOObAbRXJjEgyp7YTEWawL+1yQF5gQPZX8wU73cH5rAfXuVBsHqOLai/V1rCH39GVY96zJCLFVgJOuT2oY2sv8vKCmYd+J5Or9yEvSI/SfWzi5JvJUxnlZ/K8RRk+J4n5K3IdtOI/jWo2CEXA40k0fAOI0xZy0ME7Sq6qfTbuCruoKGHD9JwFkYA/K0U8I/ZiM+ybilIdti43qUtY3VDWyTbi7JTQqs39scvdKxH7inLD1z7hn0HvjH3yDk5SfNqY5c8boYrXVfghyAAUMbe2iuFT5k5TAZKAAXa5TSTSnHuMV7A4wdJhiUhal6kH/9Z6DtD5QN2I1zT1Tj/h7qvJnzSoR5L7SddfImNvW5sjR0P/kmLEFPtx7YnZsbZQV0bZ4x89zGLiuvve0UPDNTiu4PsBoj9oH2anv2oTijwM1RPQykN8hYDlTcW29vBviuycblIWPzMZI7zzaktaJ2SHa/NC//I/osjlysEWKoJ1n8hG0TGS8PcDMYanWTZ6dl7nlc6AnDNBpYM+38CZXRg/Z9TFZvR4wPC85NS455ZzPK0r3VM830c1Phkqm7f7Cv5J9vB4mKurjwbDh8thwlLxxLF9mBn/OUH+geIe45veKfAXO4tSXmY5KQY4u6YKQ7kRbsE9ggyBr8u1z700aEwjFCSnrCtdHQWaGVqAjXkl824szotXdwfWu19gpstellSnpxyd2VM0bqjU5ShZPwbHQ0cnFoC/gwahKYDQ8CY8ze71ZyRoq3cC9ba8ruNmwL9zsR/nciAsQ5hIAUovUrSKKypiqnoqwh+jIug6QqwuxGmHP8NEw6ZZf5GAIWGMALZzNziLkkznim48cITqlBaGCTMt2lWYIJF4QeUlhJ98gsNZwmMvL2ZC8PZVFeNExi/wXK7t9PWg5xkCpGLWf9zTT26RpjBn2NdEkhWaWO/Dj71YAn+KyJ52H+LSpz5bEwN5nnq8+5OlR99PB0FpWGquY0I61iz8cC+MQNn1l7Vc9E85nD5wiiTChLWY1tzdwWdgSzavNpcvMvUYpeg9UPLy9a2jSY3HQb0p7mjXlpMrYtr66I1c3vfvEBhTAkoYrj6k4s0IsPjpbzPybWso93+sejX2EPGFG+0DrJVqtbzS31sJGBdDAyIG/dsaQIYYveDV1U79G5bAolDKZFaBTQpH1Lma8h6inckf4T0KElap+80Q+TvUbXutolKyxXcsqDI5hrdGjMbVuhrB+UNFxuiR09fzxbvekkzodVfYikjIiudLD+/lVx51VTGbv4TDehMHeudHJkipBgRiYie02x4N2/F2e37ku6A8UxJ+TJe87MlewL0r2FJ4+VvfRmB7wIZrIYrob6ncC19JH9XANw3ccW3RklT2apdxlTSEEIBmv1CKF7e2kqklqEeddfNMUREkSnR6RIK0H2MAWBY4exA4a6HQEIbx8Qy+bI6POUUZMdvkTJPlJ7D9V370gHExP0E9CW+osgEOnLp3lgJHtnQxCbuo3uwmV2u09ujAhC52d/GtqlKwiJJIqTUg4sp0gjm1nZH9fRHBE4GwYM/B5tx4ShTl1RHY1sj23eXf30JTl8UOS4KTSXubHo4yyHLNyhuRnNchk6fBJWq+snVvLqSXMIN25ERrIhe/t55zk/yrHbAXLXyPBJgnD8zLYAat9rfNm/NwUTybKNLiQweIrNc+9kWTTl8gaNTrpBlHfcuOEDaKiwOQ0ljSVDJdwzTLQCV+Rexk2o1Ysw9KFMWBzE07F3WNCCCb3TfRNvYQu3PAjhcebxTDvIV8ZV44qbhpZ4F6GSx41z6LQ1ZucsMEH6Otw3bjmb/GP26ek2FWq0OP2U5GgXV9O7sDhPmKhMIn5eHKOXlEqledFYGmHWCS4Aw7CUxtMhUHsv2KXHe+kGP1WfzbXoqrOyoyj+hrSboECLFVKUlfCAqeryC+ZAmE4WzrRFZKMZ4271tzesoS+aOm5kU1NmCwpbCHzowBMC2ykUyr2g6mG0ODq6tZX7H5AEKSSAA/cjQTGk7hbCSjD3coiUBxkPF+ISHV/V4QtuWSx3vPATGdFtaE9dFV/GVhRdrv/1BsWAzG1Zq+6Jc5Nd60qP30Pzw7nqAy8ucsKb9gLr0ntBiFouLwgNeVeBYeBY8n5H+R0k+mMBmnCorDhcGqV2U0TmLW/y8VapzX/WUXUR+ww5kUsGRiHYpB8iqm/33m5CHKSaVuriJydP7dIOy3tO6b2Oo3t18FB0jplRts0iocA64AeQz18wXlvW2v17QQ3vLj0sBmvTxinSHgttr1mSYJbX+XdMnbpv08GBdDegtNlppWwyhGl9V0MJT/BbbWknEk90ISWDxNiC/zCy3bPU77iysYZpRR7+t54K7J9fFLP/ucU2kFjEfbzjrUf7qoZSOZUB0i/wLwhqOf222Sf7W0wamH/kF88Hs8EKiV9i9rNNtT5/bMOK/o5tclf9zvdDyxTr62U2Q2Bcr4KeVSfk8PnIjM35iJ4+VafBb7aIEzHNMXgCeaWFO0jbl5qb0IzMbmZiliKAwF0wIj2FpCX/JvesZm6fcQUScO96cFbw8RQZRPAsgqgIZSr0+WzC8zXudxAEnQxS7Iq1F7c8PtGHBhIL8tab5TdcnJI8iem9gufz4niFBLSHRg9iHOTulXHLA8jbg7JIVTyT++vC5yPg+CH8ACohjXwG3owdag6I8iErdFK5id+i7jlwNmDMeFXC3CWGZQQtmWwrIoONN58gpMHp2Okqtva1IOoQJ80eXmwPn5rhh3okkWT+A0g2c+zPSlGjorWQcB36CDRUKYuXWmT5/kxVkcJpfLKcS53IyUaXBc/0KZRJURLGfjE4I+TsXaBaAEQFj3j30i21veaTQiPjAUdJdiyDvRIQLft9SUHloiiAYHpGbqd1Z4F4Orwn97AkUjCORTfoYUe5wttqZjSZ1LK4s5ZangUlsPLpE9fizLwlFgp58VrOLvfk/wiFBVCzFOvmvIladDHdxNHdsvqcTuHyCmVrkQzFjHDfid2cwb4rC3cN/eAaY3la4eSXjE5aEQD7YTU/vGXy0MngdcGz3GCVZLhhRrx7ejTv9vQpeIhVW+Ee5IdG8EqsibezV0ibFu4ELfnx9AIWe+ikR4KxtgiaFVO+59883GuI+Z7PD8e8EdBbyvXIhd1n+KmK+S0TwITrOIq5eh3nudlDGicv8tjOFC8RWzG6+zDF3rbSmBqyoJwrbQfvPgHxJbwIW76GSymg1KAr0l5M3lAHN6MRTnP4uoW/+52ISIcwYXwM4WouX6Zc1yrKGCSRW/qU9c9b5rwkBf31EmqZiE4OVTTkPrwiXMqKMuJH6D1nwGvpF9OGBEs7PZEleXUfv7Z183cdbXPzWeiDRWphnmhc06jzOiYXIlj+LFpM2YpzdJfqQkGW4up5N0fuKtkpNdVYxtMpxZpAwmwqoT9DRAiWd9I888dMAv27Nlsmpeu8q75COSi0ALxaGNV0erqcx7yzfz3NKFlm9Ef6R0hnDmhpEOrJdtfvTYSWik5KZHruaBTIp47AGBHh+DISEhdUpracQPeW4BpJejcUKlztXUWARaD4/1fYtUrpqeZ1h81aWle9ddfEUELCtdstI3L8Zea67Z/ScNIKTOOoh8lMGxHe1UJGMpul91j0zHsB/eQwX8Zjb66ek6dh3IvZvJkL4fSyXoDniR4xW5i7n4nJCBcztuO7nFwFogTlxwL7NmbHOuZkXD0XI58T0sYzUz2c+aWqDTHN15Nmm+RMm83cMfb9hblQPRFIuHHM5aM+z4f2zMWv/u5Bzv1Z0P4jY+k/W88dkBNXk0G9U5W9cBv0vvWvylWKPKlJeMOEEP5WXQ7TwS8aF3MMBzjGA9/6BuoFa5Rx35rmk7IEBzNKa1YUEhIiPAp/pHeWmaATXIL8Ngu/FLeM2E9XxSs/16BFNHNtJnyjTLdyOzoVbsrCvRsDKVr0T2X2Z4IT7806uBqDXbjtvntZiec3UmVWqp0V2GgYXwA/dllpijc9nmcRbJt5dpNGl8vEW9vHZ4LFi0tyiSpoXdyJkXcnndpnJ/DiAbmA9d5eHvOZJMNxZKhqJJqE1HGkXMI25/fNea6m3Nriiwrn32wAcxgVCIOV3l41uSPtQ19kxl82g+TWbH9TAVl36+/vmvifDlnTAYsTgtJsmeuZE8JVtYtREbMgYHKa5SM7Os18ZVZkCtidzyhykZgzLaGq8/Cs8eX2vX0eB5ZWS6reeWyAtF9IfySaiOm3HnJaSmVY6D+rDphgUn815kaDMGTjUWz0dblv3rkYHo9bJATptqr4iCZSI4okeeydjoIUlwFJ6NUpmZKmbjXKSTX1t29s2lhys5vGIlXRPeg0pPy0DoPfI4RO7YIAqDi40QvY0VebZkFyM8kFoWmDfHiY91Q4QLrljtLRmb304VEx9Z+LxsI7ne4//YmSJk73Ot8lyP+ug062sbAMzdAbj/U/Etqa0TaIe6bERsUFuMg7JoxRXvl870roPAFA65wAEKUbR0JvovYBjEiz8ukNZIx8qNHqCU3Ki9LbJRiM+03pP+N6nNc+hvgFf/Ka+TzsIQrqmU6vw0S0i/UBxJsR4LzMfFdLSNOwm7o5Yd/k/X2s/xoFWPZpBp97YWfmWq+uxO7ZeKXfuR+xYk9cD9Is2FF4ge+D6rL6Dj0g7LA0jpaphUiGA1MkCEbBau5FAw9t/iqJlummdP2tyjJDTgsQH+3Rf5bCSEL+FQ8fmHJx+izhmoqPerwONWZycPV7LtFY1nvLIHEkLCPIwSA1zIDWAXQLHcA+pUC+vdKbugH2fqoYualKhX3fTwWzFDp5ddA3tdn3OklmeOalQ0sFxxoAjYDollbIv9djWbbRFFcTjL2V+hwo7VGW2cfM5YRYvQsoKHv5X1NxuIy7+CO7bN8ESaCeYYRoFnIuDM+u7cXZEA0ivSMPzHEfyEhTsqYL4VeHgBr37Ma8IcY+GAiSW80llm3ur1981LpE2QKA1xSEjqInF9qztwhTvYXjExRzobafDkeKOfqT6TF5OPXI5j/WikMULyaFhw/gpNY50nWxZ8naY+dOdY8iVTOCuNzcHEcetdCAuqNLRwf3nzxpx5nvStuhdhsJLBTGDWeZyyRlr7s7BG5FQXrKiZgI4F0Bzahr1as9vyxaBSOtje3eJAPFTvYolHeDE4OIYu5M/dnTd3VMujrPOS6UIpCa6qXCi3A6vUt7wqhNVWB2HMFFeQFXMmMGYoTbtywjC6NNuJS5uM08FMYRay5qjDs8uBOZ3fkBVeuGIPaQr+c+1plkWLtPRIieEYFtPEcJc1JgfC11r7sYei0jAX4QwfLs04FzYdZNgYato1VumJGvYy8l+PJa638exAtlsk/g5nGWU8TE3qaQrtuCOv2/7RthINDU5Km6rGco8Ya47ShSrZR3OpxsP0a7hRGaBe9Z1LY8Qo8iT3jZXnKCnT+li9JZ57SMjADmV0KJM6B3+hMsS7/MhchaaSEQekWrTMdypuyAniXUO63JNgid/YgpJprW5WiBmiYOKwYWx+NJ+7itVB2hOWmRRysVOtDbbJ+MIXW4qfS0y7ydE696NfauBg1b1UiOgShwXfMLiiJs84HWl0hNuIUfXJRzbBVZlEB6wHLdJlQyF1ax5hwJFHBRV+iQDu0hCN4URL5Aca2QXvB7e0AaOWiAE4SHsXUjIvnua5nbYvruY33gD0U8kXsUUPu09u9fwQvzprNqe3i3zQQajN/oefg8csWfsUOoO8QbMi+gxy/Rj1F0r10Guo9PAmIthaO3Q5tTqDogTMqMWgOthDiPnLm6/QU+dEe94qoggB/zRIRaYMp/O4H9UFiwiHuL1DGPKcl9M++9mA3HaAjsrBn6ykj2Z5PwdPKYu34xFHPSGAf7mntWRZNxdFfy0KQeBX2QcvmcXFmGk35S0DlG6DvJjOlXWjj1fEv2NOp6JoljAhvF/J3kYrOIhmlFpmciUtvkAmuqcr2b9zwvK1cUsLAbMXxOYOqpMOkLnkjmzjpqJYYwxEY6kYHV3U1WmRyiQ2Exy1L/nviuFT/BpD+Ia3i0GPMBRjRi6dSKc539yl9laZW375MYJGuNvL/bXHc5OJZXr6ciadUQApvpmwlvt+Dv7fOH3ZYcbDpCjZXOEX52qTJNzLmr6FPsRWER4+v4g5WSm34lRqzrohDXxAYTvrPD+onWzy6l6QBqo7Cy30j4Z9fyty2tqWdZMMgoQUMOlTACJHK4h1xgiiK7/rO77+LqVCAuEbuhQuvMEW87cIxQ6xzA5X/6XGfXIfSZtSnA0E8bcjkyJMqe7VLolXIw8tYvcMflE9UNzXSY1OU3Qp/+o5SrXITZcN4j/Jax/Fg/OLp19AQtQW2sh+cGj8AfqVpNB+kGk+3qZttpLpJorrfDvj1sXrGe77Cy7qM9FQuPq/ABW3ouCsNrentPld3K9Z70nOs/K7jhDrylkmf41A50KLpDw9cln2sYGVM/KyyR+P7whzrfMvjbcHyvve6AydW2k+Rgnm9op+R4LCN4edPTdygcOuU0RjTeKUU+w5yM7Vxzw9ARXm0mQ9o7ZaBLuqKStH9HW86h1vCLfo5EMb1LQL5KzCcvmAQNbwfug5Mc3p+65eQ0l6qwiqdfwjwU85fDU/Uris5vdfBa1nqymVp93Z6sdFXy0ihnq2k18T1kSZ4F5lNrTqeAiTIeC7KlwxMA1pCaoUpFAJZFptElk9ydb5If9l45nenBIcfQDbQfVemmowSCwjgWGHBJO5rxoHvfRvnWhLC4G1h/xr/fhLuljw8kfUSu1FtPD3RnrJgr0HMFAdMUN3obEJM3EHRYvWiHvP0Mjx37Mps1bPlCSK07hikI9/8Q4n+DARoWaWRI4OKL/9csIKlKV++kS6nNY3+Bx6He4i8q3YppBtvMv79VgwCvKqrq4VtE6SeTMg7URLAMh9VqUv8oO6vUC+YmWs9jI3BOxJ+b7P2b9VjGl2EIpj/liigCrD0mrk6xuZdfEuDaOX9+s0AWnD/9gGqpwsVav51dOZBhX618wc2Pj2J6bD3xocTLWCbQXzEnjgc0jGwTSka51ShcYmpWVH/rn+jIdvjq1/eM3R0o3nLk0+v4mo07O9KvYHieJ468YoUFYPkdMYRwxGqaQzTUyLGedgdSI7YyGnnyM4aEZBym+6rDk8H44WolkuqQVx3mS8SAMETzfJj3hZPmg7tr+wJNVQjBWyDMt8NidUzFYNaRFVdDArs1Cyz2F+j7EsZ8a0h2CXGYMP2+D0vIb0IblFGnwEfCQfcV1YfkMxlNsCOE09jdwbt0ELcqDCZrtBH+wfLEWQLXxedsGcwgepui2oS1B5womvBUAc5JVPC2GHo9YvlCgFVYrrkwAYfgGMjr6zkmW/dUNsF4WFLAsQxhxkWd1dzXtk"};
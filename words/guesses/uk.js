@@ -0,0 +1,5 @@
+// Auto-generated by raw_words/build-bundle.mjs; do not edit by hand.
+export const guesses4 = {"count":2212,"iterations":50000,"data":"D53XFZUaV+zrzKKLrrqhgsIA/oBnUI0orn2xT+qYVnFCKmTedIyoRa9209/tZfOoluQpmnggaINlz7XY6u6/DKYxVHnvxmuO6Noz+M12DvY9r0aH1DFKXQ5YJJ6GPdeH2WMF2JBz5euczuV7OwFcnTr8Rj6a02D6yVYVJ/bN3hpJs8q6Cmk+nvskjl18fB5lmkQUFg94GXD5OQBfASu2NTaDTF4lzaYE/ZKI/SUh6Fd6RpDHtCai7p2+Jy1n2JuXlfcr+RdeFcpRt8L8xE7QC+W/fNQlyMpyRfKP9EmV5+DOmWbdCnOafVwipWzi1ngAK42kPGTl1tunVEZclWbGwZzZrBT6/DMXCmiWO0Kj8fWGrEdwRl3b2DjS52C48+TKASe0riyv+gH6L66MPJ9baZgGLp1VrgW6qqPzVVsOlVsqjsCr6qEylDfIztH2RSpR3HjnNI8WpynlCFTmegT86KEXijw8URMCFZJidlSVrUZtHFqTfSQMRHFYepjOhtEaNSOytTXCLhyzqhZJr1lt9I9tLizpLv8JPWItYBdqABVl8Z7xmISdEQUpkdP9wiEPYMPJZgVgFcb2p99U2HO3qE/7a2etoV5c5crWBudMtCmWjd0y2zmut90b86aHDPMNVBkcEpWoOcT88l1a7lhlY3sA3gr3ifMwYZguqBxz7L4GLx0w0U7qdRLDAR58hBuI//MrQaE2P/5znZ2pC1Ut6+nwsnBLy5hOUmWo5u2+USy1IBfca8F7bPJB2vF54z128AEvFmwX6fiLROQf0g23f+GtAtRKKg0ovFv/mymI7NoUgrKM63zJNSvbMl10CqTgL6cWOrBWEwIIL5WdqP+8cab8l/IsyoYJQFsQ7bIiBW1X8eMLbJbSKq/Rh5A3k144WlrBUOJfCs+OMDSLU9JHiOFs83UEtyUq867W7TZoODx/og4TxDBEL0HPivHzeCrspa5Mp3OmhGxToUFm3vMl2g7m51QqNBk8rSlpb13JNjcPoNNFHGEG+Oj3yhGQikoTI9OVdp0D/nTq4tp/ash47XsAJ98f+84zmsld3PPqAQ+kcLxauVSHflTs1HYoQW2h4fbarZJ0S7JINur3fwKYXbP67YnvBCZ689+fTVLig7kPKnlzNqZvkFseja+GxeBBWv9Xx00woTCsYGkfJAN6/mXvhGw6abnZ+oUMF5q+T+nkHynS3u8W0hc5Pudyx9hucRSlZgU7oLZWDdevMRhheEoMWAqwkBzPBcHBTyJM5RuK+Lb9PNLr1B0S+/aBvxHuoYqGPIc0GV1N6RpKMVx0IuPDfLpAmEn7RC4tUvGXfy3Iu9wMuOMu5A4sNfVJkxPEU8J3CL/hq2IuC2rtq6pTzuVQUTRc80vjB5tOcF/owA8ABxYdJq4LwZkYhsEZZoPB/zQBEBHybcvgn8ta2dm2tGhvwWgADQXN6cv3HFxo4Vx3Ks9Up3tygEjPFkcRJv4TQ3tCAr+8fD0JEd0A+CGx3wHvyCtPwQKLUPMOXl479dSdMUPQqX11halMroG6kgEyzBIrbGRklWRKTPC4ksfYCHNJTv7oR9WKchDY8YwnOQHz0F9iS64G0IPIQh7tjdxWMoT2R0k7uCJsHrkcPN4HIQFk2OMjz3484+7QqhySFDTEBqVR9MMXceQXAu2nW5rZQGVB595G2EUZlKJBnLpG6tHynLRVF4NERPiOfhZNVNqTBVEAw1H21y1tgaPwz2kfKixIVT2DrjA8zAWiG7WlKUoyLt1SdyjUzfmxlzBq06j5LlSK8dp8euHfjemP22Swn8w6UUNmc3G9iIXmii/JcZ/uaVYvp1HAt34spxT93YVAWALubqW4KlyRD3uCRidYq3sZ01j/THYsKGtAkHo0yFB8vhZ/ZGWvcr3Mj+7ejWvJPMgUm8HKL6iSSNK8zm7FXBLgkWlrLAPFUz4RFMp8BKAWeQb22nVg7zVDYHN4PkwvyOmW5i2a2BrPLIF1DgZQ82R3DyFG2jfk/XruyMHQBkTuNQF2AH/rYQZ0ACBKCveiGXSO/vpMPepuISKJcTfBPZTBzFhTljuJhTZG0JBtjRSe2p0Se9yF+/tkB4MUWFcjN4ceaTa9FawhnCXggOY+NqXotBT4vdHcphZH2uUfs2DggcBFZAaCqYiVHch7MMufLH9MbsBfzrVzw6PcElBST7u2FYctudzsZSoTZ03Tik0XE6XO9dVsvjKkH7qP6DDL7Bl4A3NAIBOIwGeJ6tx9yKGx0Or0bl95w4F7ca+cfTBobhehinbHkdqrLDwbzRgATp2zcthMwLJVHY876SmhNOlHM2MhyBSXN/ttnwXWEQ9r9Z5C3+MhXcWuEVhxEv2mgf+Oll4EQjVbkeIwjuTq8Nx1SuZ6nQy6tGpS1X20BzVg/P0fgIzBuxc8+z1gD4CqCPxCzPOqjGQlGRVJDHtvqc/CQ0zum0xWl5r0V+iTqNZEGwwxNxz5cqcABAgCtPukW17dJbLAqZRKTzdmqtjYBnQs4YlSMMiTxbcQWDrx+Td6IGhcxWKlkekXmsjhTBN+2vvmh03k3nhTMSQvImohO3j8GdTWKLpx+7cukWu0zW2XXOOGwDZp57gP/hKszqTApS709b/Upva73HWWe9l4HkRM/exV8mQHrRhWUyDbIvuGfJj0aj6dcaLTjGIbIkRBrZklunDvfgieOI8zKMMBvpw1FCPlvewsNMOAVomCFQ58vALXvVEjtvEWehkrm4V+0n09HnLdjC0uo+kI/YbQ47lUGIDhGQfDWXMnl0W4mCTAPSltaYsP7jLCK74K2Ut2RviLShwRmweRzuXAfECfberl3zfJT5wA3phhC3zENSmktZP1N1qNlJjkViurajKbIZBu+DyIsbSCLZhULlq2xjJQh48QcOERNv7p/q9F8ny8YeBuAq+RxAO8qQFFtsGwiDmIGclAzgbLVZdOYdZo48uTP7c1yLRltLX4vRahNbyJz/iSH0FNmrnppZFWfbMV429TSG7EJVtoIE0dulFBKXGgPryUktzBVYjFfMu/gdh6/ut7wFAXoe7TdzcUqjyVrWDB020WOgca/6pWnTCN16bowdsyCrChYugV6PLWXFdDuEO2d7O179q6hp5T5yIGYFJDCWH1XwdkoIbd9uoeEWi/7KNTbjkv6Bc1KEPdy/q+Tf0kN6bJjhzC8Y5DDWifjUoNuv2q0bmVJ4Q3JSqfQc30uoSREZf1+LHBtc+cr35QsnRzdTQJnrVGRpHrJQB0FZ9Sbwa6xtD7Gr0wk+e/1Q/NU7hRIPJNNDG8ap4FxvdvnqxFJFNz8ysBDU7qBwbglsjRWX0eaP4ea+UgjCZypVCsTQ8dQVb1uXsgVA05ydiAEwr9cCqg23o12ya8/FgtqkaPUwfCUB5ZqKid4DVpgGwnr4hVkK8n7j074GQ2IVU6P+xLDB2cjLAWYNdAIBGV2Yn8WFuYVD5T0/X+x5dOmE9oqhsl6HzwXhE4vpbV2VDnQVB1xKB2dcVicHv3C0pwv+73w1h4PxVc6JPFJ/eLx8iPrAn4PmM/WGbMIDY31QxhVQmsg3vTV4mjVvOVtvwxBdDHZ8hxg2Vx6m15X2asiMIV3TJt/YY2vXed4DZEjQmeY9QyJQT/95oxUp70fphEwZpPOjXUYXeiNGIbU8Q+q7zkG+uyZnD7SgwHF4Hyxkf7H7PqxBVtQ56Ity2CVBL0HlIDkNiaiNoJV6ItI3fcm1xcPD1mUIlH9NdGcjGL2m+8NgvsN3nNmpFsCh63isCneUUm0RLr4+XU54ECTziLyKY/wQV5aFfPIWekUjl6POho7WKtC79AOPLcO7YtT2s29MKqKCsVazVQTEmCXoqE9x7FjDNjUJSMJejDzRh2dGklRFvPBvEi+M+a0QVBAeEFpcAsAiTN8homtBakSBLSn3ZQlldRtLb9YI9Eh2VOneKUPbRyvR/sgcLmSrXXLG0HVIVKOlCObNRhc4OX/5C4i9YQX6/WM78EBRyo1jeN7BLFDbYmV3czVk7Ci5C/XMfCHBMLjHwSyqO80xzunIfpF/QA3SPgu4Y1dPXKlo3yqp3HPbnHS9NUOA4DozuakY21u1osdc6FCEb5QcTVmwN1hbyWmQcz9shD8CGIvPFHvrzmJRQpJByY/FRpdSM4ZaRWdl3B0wdEsRiGmliOSoUW44jPVubPe3IZBE1V3PYiFshqAZpyYtrDJDLxr0FPRfgsWbms/RrbXf9qzdGUsnHnFYTEtzQkjWijvvp/cXg8tG3Ko3KVmE7agC6MeVHi3nx8zHEmhjXN+eqWY6mvj5nDw0MpOn13g8qHPkaeD0x/Hzdf3465mcLfEjhqKqLD8gilAUL8vfRTUHz3CbfepSVCzQaGvSnbkrUh6Na4feeoiUH4W7EMr+WGB4RlIVZVCNaK5OFb+bDN9NXez7QnRzLIJ+jiXrzG38+syXoWb/qnkoo/1RMLjKCbT2llkEUiCGbwbzzQ+zPwIu4Uu/XkKXG2p/+ut+/FBXagkBuiu2Yug7gS7wRCZa9CNVPrg9eWYzltiiY8x+hiwT426xvXw0Z+N470kCPN82Eo2EceMO0ZfKC2wLyOpvDwtw5CXzmVaZt5KI8pW30jUnTVpv8k2hO6NSI7PRK1AnXAOgloxq1Bc49c+5sOhSpDRF2hKKYTIogdebnDfat16h62XpniTsLw666TSVr+dQoq8wme6kEETRvWUZnF8SvSe4Ql41CeNRK0x/QH78liAVmWI+7c9XGzYk7mkCZB/+S1arpqBiipWsyH6VUj1DAin1b9uKJ1UOel1+3H+y+h8iMaxsDsH3VclG+6IKKAQMt0+VAOqFKCd/tjQiyy6pX+YUkDJCKOB8HRTLGkgmqS+l6+j98LJoMSWhwF8I4Tv6Fq91vME2Zbqh36dYh0Io+DGyzJelaq1y/i2Y/27/9VrDHb7m+Adi2mfx74xOsPnioYbJ0JY3ujw8+p6fuJMjoUWejfFCSutcp7WiVGd4r+TxKxAMRd0d1YK4KDbYWIHSb85V/96Zr+qqWtvFkKtx3Dx+7n70DOCgtkqlaXWXSZvSvg5jmK6tBEcMdiUyawP/siXtKkSW3wyOZ6oHflshYglHzN6AqoWW7AIduI0FAs47b0XMFtJyEU9xj0RKALZmw/aOX5+euYKCKvhDHXFfUkTpQEt1gSUBstNuQlK2E3jIxF0vV+Q3FSm7z91OQ//Bi/xt/p4cFD3sG4+7lDIppbD0m3cku89rSr4s7JeyQNQJSgVo6muMDxf7m3bPdAKbN8Z/8BWKzpLbRUGtvcIixE66rPGaZvpF9j0ZWaSFB1/YCeae9B6g5HRF5S7ofB7WemvFA+u4Dsi00iRZnw5ocXoASvX61tflS69Ex80oxbLWBxKHGYryfCT/yU6eGWuB3325ycZkTuh1gtUuIb8yb4hhdFPIhiZJJsErkdtpqhk0fLAHDs0ixHpVrwkfRCpQCiVAyAXoTF5cUH8g/I+7ZwhjEwSUv268D3CwuscOAz3VA7EXK362baukh85APAT5PUWKtkGYoDNwRBLTAIGYPQdEKUbO0xuROgT5kH4RxYu3rjT6aSKN9yUnkeUyZdTSTTT/THI+DT6A5l91vg8ZZQVANOEyRaOcN/dfjTggID3S4gdqDTmqOBrU0Gx0EEoI2jv1vxfj/TaX5Zaj02uOJDcVnOQjdpe0B+vYuV0sJezyqDLzRfRcGKtQGAyu3V7L9LTWIJYW1T55TdcdoqdUi8EJRA53i86Z6qe60kjg4D8J6utsp1mw9hLD02KVnUZWnVFwsJdRwL1iIL/JTkL6E8kkK7pFydWBxAIfIsqkzje38rUx7q50ZLDZoLDuzowwS7ybunxoNqiZ5Q/k1V0hTG34OzIzlSqmrUH20f8iuilu652sthAlk/o7wMu4Ux72Vw6gAsklXBJUEaOVVS52W9RFGiIy8i0Sr+2eOjCWCOYrsDmg+0+YEtPOzxLBH+mShPvde9pC6Zc64P59rs5JqzmrCqy0SukWmTCLTahyrbN/nSjFrqsPhljMPU5ntJwwI6I3YPGbjYjnX6ktanNyLdbBJa1Msf5ObvNAB9FAA5lDXX3UQmHg30qhckB4GJs6AkG4xq3NqGYKT4riTkAVJh2iabnQXAVNIBSdzgFlWJRffYSzPKO9/kFn1N9lza/ypsKVUR5wRlOy3mgSyK/eGk+lriw9K4EFFSsyURssbqnBVqGwAJuKZvPmrnWe8tVPTlWV4aEkqFugrHSQpn7HHgH9w0OYpIWPCtnB1VMv7ZmGR9n0/wmtlxo77qvKOwj9Q21sQyBSQV+9KqWAG54CttIfFMrXpHdSAyp0Fvlbelp9saOF6XU3PJ6/+R+7xeZXVAZHQPFDsd+OVuDF8Z40IhE2Zu2Wzt5F4yFA3rVeRsv/BGFZGaFguYUqoVuse3rMWVzMZ8YmW1FjjWYs8XWb2na9zVp1+M6XUTWEbrbMSCa3xtMzKHmg3kaL0HvP6B7R6I76wg8ZhzW8i6HY/Hc01X5OKeQOC2R7si4bkl7OUMQRw4CNLkN4zaQjWHND0J7f+4YPi3HJ363QpWUr/AerRz76GcWalnou9doaCHs7srNCSIXkAeTEf2aShtPc2GqZdVSQvbpgya1hiLBhnqUYVkQRg4rQp39MZCVrobM2N8cKLDzA2CvPeYi/iGiAd06au7XUMuO94hHgyoM4DmzCgNl4efGnNjaI5+UqwOrG1lDKEaO2xC5gVmOW8MiRq85Os2POPrJskqmkRADTsy1NliuOqP31amitmEMslhL7Rn1vBDmWbCPYmqd8zMssU2OaT5Akv5AijoR3vTA6E/bvh4omMOt2A3aXjysCD4sOjfyk5BtiUobuX+C5yjS9ZqaWmVD/rFjecGJX8eiXAGu/hocHyR4h2MTawjqjhFo1jqV5qiwSccXPu8J2s6oHG2JHfAiH9GxhvEEMHhdc86r4icV20ZFYJ+9j1Jxhlo6gavQxzNoXjDfxiqjkzBj0jC6C8Uyh+wOdMoo8llrydQYPb85jvlY3K/deMg7uTS6kV3ORWk27QqaUpq/fvWPU/BAAj8aJf8vEOh91uZiE+vcKXCCcGxfUDlS5PXC7UPSm3MUITpwv7QctbcunDVzO9qsgIlr+Czwg6ovLtPZEydLgIgKD7j7kbawX/ZNKiBKs6VUG24bWQLxBe1ZO74U9tjM7VJgS4KQKUIWbKrHkWAZrbVjyautRyALSBdpKdfgLpUvW+YS7B7CTUK3fJUkaTi7Wq1tltZoaiAOExFpvUNW3zCFCxnQTVXBAoGsg4GPbG59u1P/UiNELUp9426H9UnQH60Jagk2uOxS3x9Wb9RmarVJnSM1k7F+aUh36lz99QM7KcgzDNcNV3afYlLD4mt5zqrkxU+sa6BNaH9JJDr2pf1dQM8h31ofX9xKcfaek6hInYGDcY77DiknxZj5oPgeWd/Kf26VSViFIZek3CA4/swV9WcBI1/Myq+uRCmmh+zL4JEpEZdoPKXG+eGDm2gS0KndDtWA2EC1Ij5qfo43ksjtAck59lwPeOMoZzODRGSNPqnr8nAa5KR2iQZIAbB5lAqkf5pF9/SGaJB3Xo6jEK3EtUGKfxZK6Uc7t6OTnh2iwpWW7bQu/21a/nFpp1645cPNY8eVe8lZcm0BkE6QgbVO7reamXQcM9TMMSLDZkTw6hDBfmOGRQnz1cjADessQkhmUe4WoEjcgjUkLpE6zzFw2YlF/4ozZC1BcXyFp8GySAJEaAX50u67xMNHRLOp24jm649VAqBfosai6//6jwKy2Wx+sv9Np5KROr4UnmzyiKLmCs+Utt/KM9Hu1RkOROKjZVBzMNwG5jqf9mMc/JUsqDB0uWGgvHdbkXRaiU06KwOtgTWXeJjsxQ19D9nJupdmt42r43pOsMse39X7oPREOSmPgJpw6w9S4olF7qgylLoVKlvO+sHu88KBI+1ilaL8boCCgPLSH9utSRVX9Zb+mqgjvn2kpKQgSKrgXC2Zjpi50Jov9l4oY8RQUmytCULULuKLDIHFikYh1MbRhWgAZvUDvDVkukhY+pysLFTSflqyWv62wievsG6aPiYu9AGrU8GhI6+DLCJTaktfHphIuLcdUuUIQPcmWlSx35oqofP5kZaSixOua5/ctq/u1wGWfyIxxkLpFzod+5hXA2pwIuXIrdTt0UzrocGHvvv1QSM/mwb5xnj080L1iGBCBDhLurEToRWMcRLv5sVvsZ8whXlbPFejrufY4U5ioJT0VmcvVgJN9w6EZh7MVfimlWGMGNYGU0hAwBzH+8BSYNcVLrvWu6Q0EYxFTL9CFo5U9opBJGHUgr8JUP1Blg+vtKhgUiGrT1/8RTkde5MnkOBwDmL+3yGB4Qv2G2dNIB2KeM7F8xNaYg8UXhrajpg45qsuapdwkk5DuGivnzv2sa6tgiqftFl7LS4DUT5Pl8xArvUFNpSHr0lJ2jhyNGk0fgT2nNWIxzo0SuGN/nHV361F9Uk5xfo01O55PYBVH6vLnEaaUZuhRHsoQl5VJ3BiABRMQAuxUlwNvGWrag4v3thIaEiW2tvdL7kIR8JjW3Wo6+6RdKfDNqnA3mg0x6lMGtwaaYu6KuGikrMjBxG62XEeTBsrRYRFIeOLSnL1i++C9Wjd6qcMJgMMwhZMEHFzdcx2EfVw+wauHsmo1vO+ISFmiYFYr/yGGEyxf42khwltIXJrp65xv+8zqvGAaCUUtEfRNFmHrR+W8VnGPsm2Xb+dhmt6Ch0kNZS8GCobladuCPmdnNhez82ugha0Wuh7vMn8dGfwn418egectHard8lY72E6tz9kn6ISSy5dvKGPXxa0yUndLUR/ZdmP/Vq9FD2MubeZZKiGLxP0Yf2Qw+Ot8a7t8nUmSP0Ng7q1gQc1ukz+mQOENRGTuSM7IcVXWEgPwyyZHqj1E5bhcS1QYy62eKMpu1QOCtmOIJWMdIkMsRqSSVBArL3/Y45iIxe+Haca5aTZ7A0oySYHa9WsUPHmRs6RkF33/I2DfTySewomAUFL2K2wCq3OrQdnmUQuwy35R7P0s0F3D29FijU+O6lPCHCefzpjugIn1PvWAkfDw6RGfgB8aBGQAXcsDyxL0hsQFxokMcRq+Mqj6X3RQSdTQHh514LsXesMvn3NwCertLzqeysxaB1cpllxGs8Y9KvZeo8x4vCqYskr83czXHHpUBEBapYYgkYtLKaRPZRIJuS9ZQcYIqQqFtZ14kLhwA+I710qbo9dw5cGnF6oYFMowceCbFOjXosHA+68whNceGpEEmEbyzT0sb0KBAvmX+kDGD8p1p6I3W0Q3lQm/79nQjxbWiFzL+9uIKJ7ro5Pzju47lHI3oHJD9HVDMT1tNXqQa1hiTWMMGhEYT9nB7lvsnbZfiP85JJhSjDPtpk9fA9cGoIx/P4yhiIjCqqlO0+StkTBHqBsdzLUAjlyufM4rfuz2DecdO3zALF7WwvQyj3XuyjKCdvZppdGN1X74LRbFGM7fmwhR8gCF1vsCh1Cw+oIQ/kfNsHSpGx1nOnGyfJ3Zr89G/u7simzMkPaJw70eDjV2srJV7fnRHNh7ifNECpmn2r+OJ/1/J9iwFcmhV7rIH5YRxi8xLvMnxGlZKh4S5J86EzDga3IL/euZlgBOD8EglPOwuHGO6jQgIzYeOyoDRJI4X6pzOnpiiAmPLRbsZ0hvdpzlqkw8wcM9bGsEB0GEbQF5HQYIWU+ZzlmISyUj0JAdeeSv+pwhuVHjxJZV5z6/CjAVmWS9x0D21O3woSf+5TT4uTGRi/oCXUb0n3RMFGmJB2qa4Wv2rmU4EDIKwKs1N7Y9Z9eGYB3H4jRrbIh1VBDhWphlDWCpz0KpP19vHvukO2lwYrzBJC2QoCBNBP1Upx/ZBbaWVBZePjog2rcPEl5DMj550pydEHh+RjXsEQFD0IpH5/IKi7MT0KGqqhB/lteUeHGgua7uwSSiePuL8ZBx9y4uNmjJz7IiUKpUc7Ky0d8Br8SAw3mVvIgpF3dmrmHQTY73DWw1bYlYy65sp5I75InwfSQGVyYNJUp47UlqFuaSNNf6YVxBFIir7DSdlBneZMpe/O+075wcd8F1QvVvXXymeYW0h0OiOEGvfGRoMfTh16ysfadp6so4BnSS1Yjq4yHQgvX54e0MQ5Spre+VO+wwtgrwkM/8il4C4Pt5Ug4Gkv1zRXnGEI6Id59+C7h4auz55756RGDnfN0qnW37W4t/PSm44YbS/flgIQHT3UqycQRelUnKowGIH7Pa4NwYZAzUncunGW/3puod+VvpeI4msrsSq8ubus/atiELc3qW+U/rP/+sBEhWs0YTq1WIwSlnhXQLGJzpvdyYMx7UpIMbMEeYWrwx4AjTZ+1DO7yPOtpxUuczviHxYj3oaEkkY5z0NXFIL00E++Bn5m3VdEWQyzNoH6k3L5DG0a81NBQ2Jh18oVdZRx99UzT+PqPLMn6eIMKUUW7MKHwI8U7aoViEwMdsnwvoyUIPZyb2RsLLBts2X2Ylstr/fjteYfu1ZjqTIThSNf+siPsFGoW6prGFPmx8s83ZubW35TRqvrDgWStV8j5mhl9VycH0h+JBU6rGOFQPOLJA5J41vCoDLLCX0XP9e/5Uhf65qP3ZfY5X0chOV+cz60B+GAK32aG5B209HjJh9XvDb0/dD/d8lCo/184gDdkoMU3tP7ILkHKucsXriUVa5Yy8oEEhanXN0fCwK3Lmhq150qHm6OeaSA0Nww+CGuRxvwTU6dSkLaEt1hcu5MVYy6lMj2V1E8Av+gzPnNtSoqYRokkcqqMVHB/U9CO89JH/VBfgguuLR+BeuoDO0IhAnMpRmKPMy3ErqXXrZgwKy7jEFYBEsuEAGuPWd9ak8vkaZ3lkiPYqMkbeWxvwEWSsHNsNsusBvFVUb83+1kfY+u4/S3Qc9G7+ahLrDhAiW7u3ouSvHaO4ef28/sawFYgV8GLc+yEh/xuTfTImaOwDUpCmI1zVi4znZdeXHZEfbce3YvTCQup/A7GpuEgUnqsBr78xA81qORa4VYor7/C9sJMR4YZPmpu5ld2Uwu3hnptMcwx2SNM594mHx5rBS9PbbyzFeiZuOQ25frVOFiP+xQfzVEjrEtE6cLPMXsChD5ZSthCMX6MEqas5le8gSwg5OCCbUHGiJyPNE6L273flIZytCdS+19DrQZCod255lBIMcqElb1zQjqMxi+8W2e13zCixPwvYlaet7CYP15hyRlnVjkkVFIzEQgT8OVYlwQ4i2wamK+CFKPSC5dZz0buGZ+QZCbIxfmegZ/eMeJ0f+H9SIUF3RM2D8GqPrQW/6vb7MsJcZ0B3VAW56bonnpO8vOei69quANBYKm3/DGP0y9cdAj1SpmSm68Rj+WinJUBTaI29ALdIwYl7D4D5Vtrow1jlnpP5MR1KQmHlK0p5JcBGdw9dnH3SNe3M4CW0N+ey3ffZHIeL7erGc6mcaiRZxWLZ6qfXSlg54mMg205rqFWE/++0znx3mk6eR94vn7eYdIYGWy4pQyYwgcZNQKI2TS55M2N91n09FgWhnlpC73Ec7E7WIE/nryO3wany/KTe2TtmgSdUuQkGoH5eas1njDVicPiWwm17jOBADX8R5bS5hCNq4EJI5EoKGb2gmjqRBzHptptaDJrTcx1KLhTwUw+OeTaLfLpenMRUo9pnQ3EYZGg2SG6iuYEzbjUSOUrlKNRPfCOe8tvPMU/uFu+x/hlrgSe9JMYhLdNvGXGtcCdXm9sy42YZzgL1uTmX6XRZOdXxely80UXDBQCZavlrB427J4EiNt6bz6Hs6nON2ZM5SNpt5J6pns1UpxAYkrwvO/IBi4GQs12zTLsf2V+ZI+S7x6OnCDMGIXA5SopyuZKxw5efeT6zlzMkoT8K+U3Ejd7PQ8YniPYhSMWOYo9sMASqTjp9aELWAmn0EcAPjVavcuaUiA81ihchTPvgQkzMvhqxeuD2/i1hGg1cIXdYjcSWzwRzp7eIwGnTXLqZ7ks3OF00nz2EuDn4N6M9C2Mn9+p6Hh5KY4mipsxVgpvG7xcSQW6WUFWLdhFEurNxgI4rLt3VlIEk5KxyLe8N9juGj4Kv3s779D9OX4qiytAqBWwn5ZCIIDdUUlEI+Oad16styqc7D4u2Rwp+y4CAkeJ/SiZnOSBffi8+rRKz7SwaSkN0qXdACqRJRgBeJ3ezYDpXUs6APubpHi8a7y60FqJw+LgOn1sD0bLtbBVelx7OFjfTpCqQqTvwF/nhYIr2HYij+c25gMpXGvV6YouTBDtMqCFHK+uzU3+Ck768Qh09lW3ElYTpqGP7tK1YDQOdv8b16DYcK88KK73bL5I9t40mlTZHaRwYJ0oHI0IXUhmPmuYfGG2J+UuTMIJmZo5eOnJRs31NvORKSOTUeLvcwN9Aj3JILNfxELld+eFbOmmDZt0+cwjpDjy79C+B73QrZh+mMa1iY3Uuz4ULnOHgccdZSqGhtYSquESsNf5VDQkq1EwowLh+3l0IpmWCCtE+yo2t2el/UDA8zjTSBQKcBVrFdz0q/l0jWqOJg53OaggPq3atAPg9X4d8sNDGyeThAOlaitzieOQffOBja2z3wIW+5tuUyWrLlbsP8Nc1brXqgaFdBGyKaQ2F3R4gec9I1id5PUqfKD1x/EddsZv2LOct09tI8qAgm1ZPicsaXEPU9Zi+V54BDOA7s/55LrqVmDflPBlyDEaBgstSiwqhBhjtoqJm+qrOGwwq5O0384YMuAnkCyY9NyayZDrdLtwtaDqZj4QfeA/2y3/3J50Kw06GjxhXqWdJVtUcCZH6PzgM3hJvuStG/84jTdtdHqJKrHZNLCaBZLI6gWdqUi3xDI9fonS21WI/KUWQK0OKZ6fYhkwupHRWybLCABuLIfuXAj9E1gVtCBDNuBFHyZH2BT+DuFoIp216AuNY7+pP9Xw3lkOecgf2htYJOrIOOUgFjHDaTRW9tUZQxOdTdhUPVNIr23HVrKfX2EAO8OmP8Twq4L2XullPgY2ueBLXuIT7BMA+K6QFPy/iyjMIrm5qXyiS8uv/i1jy/DDPGJJi76l2gaj6Q3RbAlv1u/rzj17iO+E5Jwi9FX3xbha9a7n+9RlAU/Mo+RqXtMaNTOrVtjCV1wdyd/UP7VXW2O1aRYfbPUq7Vf3I9eTob1lhgQb5mpA3299+jXrgNAkogc0qkgyQnZpfilAFJhJ4NgUadtVMHWHcy7WoZYF3GRcbdqywAJm5YanjHyllQWnXuPaDN9M3jieEIzer2gUZCeVyIMiD+URTVUbeeUkXEr+hcxOU7zCUoBpWvi9MFF9Fn2kKYbWo5ba9ZybsOmpGV1EhD8xWW3McBS6Cw+/YhJ5PnUCnnxrum+9hFBh4/V1c5RhOViyliDvOSFuLAYooMOsd+ROxGtro0irjoptZKDfFUBmh0y/u3b5vW+aQDxD/2IFJBG8HTyaiZH/tSPfetuoRYhVgaU8GaLLeFQFndAdels+zZ/ONpUgaTCy3w9CIVG6IbHfJdyswiNGXh2UyMILDzN8TkkxlpzTZ9vNpyO28hPDTYlxZYLiVoR/KmRHI2+ZbvkLrIoVknYFhA9qXeNCQg/P7g6nG5VqkeXh130N4QIsk9yKxe+6jzuHJ3Dx1mW5R3WJR9lAOq9EVQEg8BozztV/anjNdHMZT+0ZxAaTBHj+FAwhaQqA3KSWKWPDfJ6ZUKxYEJ+JHSPtxGWWwY0c+Gn3k+3oCxa/VxZFrw3ghYu8X4yoVsnLQKKmQM0372RH5DX5HfWpSlxKcb+7wI/1TPtQrp4deI8IZI1nHKwH5TREQUBEua7seTPECnGEmmhnvoC1UV4cvypHQi9k7vdd7kHGUoOE17BLWnGyMCLNak+cQyHbSiR61f5g+lMdkpNWlUrBm96DJ9X8vfM9TdL/disJ6uBHXxRzKb0N9I1WqljdyoeiTJI9Tjuw5g1c3Y3XOPa2owlbbUXb0nzYacYaBsHnG4CH4XOFJrX5uYy94eJpMPHfN9X9HAu3q/UUHexROB1A6E3ZbMTRrZ5+f7hYh+M3MfjEwq0pTRzI3to5I+KQIWuElgEYEY20LbYqVqIrZCPh99Xn3xF1FyDF6RtP27txwHdpfiMpRBtzsIAsS2+qKF22PqR92VdBa4JR/zXIRhZSueBr7hRxiGF8Vci+NCz6XsJ2H4bbq2zkPnjpIiMNCrIYx/bpJcm2M7CAIWK5Mrc5+gRWOK5K/BOxpbO4RqBlCHmnZ6WRUPd0EeHdbYiOA9KenGlyVcLVz0awI6/RXrAz9avcbeAq7h9Guu5pFK8G828KL0idEmNCjCUHT6/yn0D8L8fyW8Hk/FGpgy9iKxw60KOyYRkHv+xY/K2k+a74RIJ96XPgzkhl4Bz5dPgnwgKfuMYjtRvBWnIXCuI6zLqUfPFgmbwWWaq0DdRU//LJw7LzkDt+csrac8UsJi6Bgm4zZH4jqlCr2CIf70jtmm1ayGOguWK2UpBxa3v7F6ijmVFKHnMeyGk6JzgLqVEwEujKRBfGtev/UmknZxwqFlJ7RQFdjjpBiVvnfTFDGXVnv26zOtnlbR+QvgPp4o4NtmucAKtLMhMUn7q0XAHJh2yKCWh12EBIMUgSy7BQtoxkUjhERvPrgmowtnDz2RHY/4oaXp89dUi2L2L3De2PkeN0ZP9s8mG1YgIkfN4LZg7Ga3FYpZHBMo8sM0Nyn7BfWT5nAS4VKNftQl6AmAAqs8alim0bctWdkOKSFQ2qDcN0O+YoZYz0PxpMsfWE/mVM1vUgfHdtL4CfKroguxdlXbwZl6rqVWJWS/CURIoRkT7mz0QwiJTFDk8pxNvP/+e2bAs04v8RASO5eNKmVT/f4Eu+O1GDtzxSgOYqJG5S7IyZA5yV5LaljBEKsEwQB+fyrrSpb5Lbotu9rlanXdl0uh3h/Kytk1TX7JBl3FpvfzxKmhCsIS1r8wM+p8ehPTAwrUJzJGOVCXxt93R3w8vjdp5M1L1CIHgHpjc68LTFbBZU0GaGgsJwws+RLJ8qn+IcvNgMO6sX4cH+TiUtfgm0DysUOgRS6B9aymrIMzkjEoiEvCsdN9BE5ALXASCZF/CEoQ3FOHjnJz0CzhT/xe5lbOw7GxnlNPqYdgBybTz+zDB5expMTrQlEwkR41FaOMp2CI1MVau2w6PNXDO3A07uAxEBdThSIgL1I4Oob3Vgu7Xk6IKGoSD3mRWNCMZVRTagScOwHxT9910/18xrWxCJM92UTHdVUnnHrRFsp/GV3AhVYLkaInFd3QrsaoxB6AmpU30Qm8kg+8mDdWIEmW487SAo+UsOZ9qkOWhBwpC7MydLp3MALhWynm1Sog5+uoWRY7QEXFNsEr5DGtJ+fx/S25Zvbnqk7C0sNPYtCl+JWbmP7s8ncSA8hLPsRfVMRF4pJwdppFpCj2iZqMLEqAGorMUBZwj2pSywBPVqC/AjaU+370Uxgg/ZLWVIuzcAZ+En/wYlTslXa2tk6VXpwRJhT9Ld0nj24lufyxAHK9JF2KYYqfbztR5G2N5XuwuiKL0bgGvzXHs8dZLv0DN3LsLg2DLTZnOqTMV3dOPBP9TDn3v54A+QZ7l8LMggvv5NtDBG9LhgyPi9QnVbcbq5OdsxBnLe58Ff7y+AQdSiJh3dF7C4iiVvHG3BR9d0bXYYfGTX/6imXClL/VQUrLM1TZShnZwxg/1idf2Qb9QAFuQ7wUp0w9Ec5p5Yp1qsl3xZtu9JsU5yXIyunML/C5/AJDWZoGcA2Ijot6UwYwlLI1WgiOZWr4wWZVQWoj1J6+px46GAUp/82X3ePWuAgRdM1fxV4qBJ3alKivn5aLvaCtxdtvDASa0KEs2NHqgbV3WIUKKmDFb/DNeIPQ6BAhYYoHGe2NG/omhxa5K0ljS4Qd5pfzRm/qlr15/BKe2noJ2T+xmfO93xATMcoXPQNOUu6GHALynGECTcmpRIqA0YrfL6RkmeZBzEl14bRPzHhGlM4kbGmNlX25jrPO4f4aAvVn46y+YqLBsV/kqUm2VQZVUz35AA75GX/B6qRl5vyfA9YEnc30qukwbHcqKebOxQq7SxuVWrfZxjrSebVwm3s3+oxVgbuSgSOtp1Qm8yehB4EdE/ORdC6KjTcMmJHNde1psOI8y13+hxR+Tp12yfjDfaoHuzWv0Ccof+JYh26nwSdtt2Z/8XlE4CwNSBGrjdJjGQ9ZRUaZLYxFeGy8M3LJIh3x72qccGLhxS+sZY8o1QqyInkSzNbtF0jK1sR9D14O4NMA0ptCO73qfF6mVHOW2KUi2WtxCW07r5SWeqPsmlh3ucn5dX03QqJo1+txJt2MTZ+2AAHX3jUG46Xpg/+g9j6K9UZ56aQuA2HHhfaCgHg68Rb/kWzA77uQbhd366+f/WaFYmHyoOaMqWfo2mKK7GduLTSW5eyFhFFkIB0HzEyn7p5CIS7ewyDHFqj8U+l7ZVrEU2OV13ElZVwcfTNiRfvaCxJfm2rQABhdUH+K5nJN6RGlF6dKkFtZ1NrLA65tnQbF0pccdzD7G9Ifv15rq5scLPHv6nKREXhqPsOeHbvvaI0J1+b5sqPff/2m6v6EKStNMgZXPN5eY1hoPCegu08PQ4CYtsPMddujL+MRPhIfniplAJQIhfBQSXcHuxF6vv0XQK7UVzVxPdXSmd8Pb3JSdG42PxhJv3OVIV0fupbXIAe0hF17uHSkJ1AgHH6egFaVOO4z8w3E7s9A29cq7ecyXd/GX4CDfeqhtXTRf5yrKxyjTQjFLEOW4MQEepNHh9aKSoaxud4CpienZVjya0htL7y+L8dn5zkR2cESg8R11YZ16ykKqItuk7ddIrVWTVb3XIw1XCdYy00hLa+10cTctfoutFWsk4IEMOFIlT6LTcsLUnbVBGL7tT7wETJyTXHD1bcCxfMAQLWYQxbf3tRgbMzfL3vKBUmNmIn5oK1iFBuL+Ol8If/462JBRaY9MHaALwpGpx6z+H2XUXin/1TAP//mibPftVktY8hf7tuMPCNgbPb5XSgh+AN+aQBDdDgT+E40KMx6B+EoHkHKpmBoNfB4/tjHVShoTOYURVGTReGluLgp4J5ypuJBuu7Te6v05KvlCZTcHWEURtRDrWBx9L4467goerfiTu1JvrsT6aVo4P5l1FUI7mMZf4ZH5TP+6d+SOeckRtWr2k7+bAn7JkSdkUAp4bfLPkeToClTA4RU9QI9BDIZVytoKevJNeMupCwyXEq5K/yUWFbCAnXs7yAvRvA1JyFWN/G+dtMTa5SprFCQvxOCx3BlZG1HpRKq9WMr3w8pkLYKNNtEYHEW7zk/eouicd9/wI+z96VTPGbwI+atpKiyBBuZW+E8X7h+ifd9R/q01DSdGsLkr5S6tGJLcvvlt7qLifCS85q8sjDGBRiXwUDKbikxnJcfMxG3CRSRx0afTitbHNS0A5XQsMfEovUhOIyf7BtxgAb0/eTWUVkbNg/tVdjAyfpNwrWis5LXyL1tl0WhWi8B4oLtUGsv6x8oiE7qrOm8X0L9XvGiFJgjjOwBzeXlDvzP6yvW97lvhByrJH5mhjTRX7alNRmZWXZhnS7dwtFqB+GH54DTvyGoUXCunOQ192BjjVM/EkWsrnwEFI2ZbQZCmNJ8iLnXx0V0tJp11qZhHNxGK73wuWkhqA049R/9aX6piquaNN0sU2OaYb+JjJjgXej5nf0PR4CXayFKurQWhERPLFum7wzMUcdM8+H5Lh4R/NC/9uPqxYUSr7RBWEVPnLMj5OUhHtGb0yfDUEdf4aWF0us6WVT1o10RhbF3qzd7paZT/XgJ1CbiXq5ClOwc2fMMGhMuPfnLa4Qbz+dpp9iI3MvorPBmbWGAlT/Nm71qpkKic6o4nfDx5rJ/ATYeYuhxGX66DM1azdnrM5qfHt/DikGDCK0DKhSDnFzMkRCQVJxRwyG/CyRornTAQN7fDqX79OtsQMjdkvuknIXJVUbRsJ1nARc1f3e/Std1HrrnHJk448iDgDuQeYLTusPqelz02PQrTjf1pwLD4vtL/9C90f/pa+1plugPKhNZ/zzAMxRVBMr1Zb0JDE09smhiCqmIXmGHwDYYoexhsQKpTExN1ovHHyRBihMeZtBo/G4QFEsgWuVcu1E1AMdr04PLpdL5y22um6a1mNuYkFsdUcUHEb9UNAbKkXWvbeF42FYFye+hSVj82wjRLy+PsmfqSv3IQpsplQ7phc1UjG8uXR0Gaya0W93BXBpIpXKVbPNFtrCXeT4Jrcu+IPYvhA8LBA2pbfevFTsVOq1QJ6f1Zd13uZxoufCsHQYHRmBj/xslSoQnZr0mVjdMRbeKbI2e+9X8bSEAsWzp0K7hqjkpWF8gVn7kLh9e9xFYp2OV6/Cz0558ZPHv21qP5dUh2pmJMDPOFMffHQ9Pnp3y0Ib272aqO3pGUqgvCpP4cDEFKHfB7/BmP5lWxFLtM5a5u5J1IZOZEE5mepOwzgmmE7n+MybEpVWG+CUuBomRYyRLWwhL0z+5jV5ExAOkPYy7JPicHLFvgpzdiybyDUpKur/P7er2dVNrhUn+AtFMn7j6ZH8K6rrXJMGKabv1Kdchc3T+Qm4SdZv5hY6PCJUgNih8jCfJmqjLmp3WhuxU+AiYiT85cJspphYJH+Ke4iBbHudGA9s8wLGIaF6BSQuZ8X+l5lZn/h0RNrLtG+G9cWMGDr5s0EJytnYzB/fomL+j6tFjNiTnj79J4syqZEN/yUtPxUxaDneF2eQUsQZ6bQxVYrMISQrQuNQEiwcN351GWLn1aR4uLtUUvryJ780QBnIo+zBSGzTIVFsHY3Wx/e+9Bx+S/dMx/k2gxgGPr1PhJCnNxwFwdBw9DFDy+0PQx+Wfd39CCQQVKJimraPQpeuF+8C3yZGGGsMjjhwbZD/dnfYbxurMHtG162NAM3kF449BriN5LdLLm+XHY4i95K2ghCT2MhPFr3ij7mV6srR4GeKY0ctRiLW3dGgWS2atLO0CytAwb+8DCEFtkyHo8ylaJb4Fz2owTbAcgbIlT09qzpBHxAp6O909I+I5qmBL7hHvpgjz9SsFp+1KyNK/ebLsSCy2q3fV0/MsasAdFXiSc3N2stHJZQrfL/hrrK3YmFuJHhu00DwZIXqZNIHFlwFdNzAIdnLJiPlMmYo55qjB2VXjg38AGaY/wFH+VkfxKxVP090XvVpjANZxojz4XyrjI2PgTpolZ1f3JuPW2lZMj2uBVTmfxlimOeqn9StdDHIj8KTzPumEk2L659N7WCni6Lceq6ArrTkVk7Lo6BTwlSrodB+pgxi0KKTpcu8jYLBpvcrrgS5QLvBsFhywlK6sALbFU8rBA3/UgLw9Lq7rqG7dzmWRUok/qXC1U+/YHr1Tf3kUQnvUty4RVpoipT4sOz/P1GcirYAAR+/TCDG2ZckH1nz8i/50ENj12Op1qHZztKn4dJaIlh17y8q/8wvRZIYi83MgSVNshCOzcHCBrKdbJaYWx6Fge0+Mue6hFjTvx87RSor67QJV4HGfdjx+adulg4unFjCLau4h7kILS6m+bnS/2nsBWwg3fQr2CkPLr8McRolj1mwpDVix5kqKz+bQWYWqbp3zaBnlizHCNEfPWIlht2Ks5Bxeo8inWPm9MGOz4ozvoLaqclt7l6Z7uDIeJMe2nPZC5RRUHMvVq8VpclvPFbwBVb//FB3cH241oiyMB7N3JuaKZsgyMvlqWwGhX5pzKKoRQhzp33cNBs3QPNtxpKxF4SG6hkYrSWPHzvrYDRhyXoP658oyz+IKrRNjwYwUMeVw8E2rz3VKsTRJOC6iNzgqKbwyJ8bikAys1iw4fKBrQ3hZ8HGB+2UAcE9eKNvI24X2hLD81Nbmcr3ssYfaWUfApdL1UuCzSTSZwWmJRAjTS4wlvuptAQLQzU0VLr1RfrI61k0nvwH4DeJPSldvGvbkNnalvRnFv51RPfnoZO7shKB8spzELtFOyXpsCchK1Km8J5f7PdH0UPmthLamjPUOjv4Sa0sIIoo+K27fvVQQDjFlZEDaN2mjDuFPVi/bjB8LI9KTi8tAsxsCWsisgClBWf32O9PLpGBgy0xedEjdzwlZNjpV0/2RAoaCVqIGsimPey33x3pqlFjlkdKmwkavHmep8LB8AXrX6YoRvMfMQXEH/Y6W96GSrUCG88Ahq07ZH9xgeU+gH8c9YZQCrqOZwLuEfwvloEaaXDQ3gZGcSgLEdWVtIUqwpSGrAxBRoL3fhA5BDjWZQTa3jjfar/JKPDeFmL3+/+vUDc5lBItZ/9i2edqUYtGI34zB4lEVgTFZdRh7ecgEx58W9tGIPSTv0rBIrh/YSzEMrsnQXa+cUlnVlEBSBcKYMHtOfA/Q/l7Ny2k0KPaWa9sWA96k1Y5+Tj95iNoe9Av6h0eAWDwVwVoCOlPIYXrCJFdYpvDY9CqAMGpQv24zIwH9TNF2LGKTq4/OlZYH/xHveFVVYxXGKmyUtdmcTeu8TWNbwJ+U/hgCpynwwsp3H3zWHB8MbUqjrK+oCEeYqtG4JnfIpwlrW7sGtKn/0FZIHZdm1knScOihwl4U19rjoQvwQ+YeIZNsc3wa1OzS7FVUpLhS0m25QOqY/u21FadceI/gBaoha40GffkcX5lYy0GQxxYLyOuYcEqy05rKaGuF83iw60ZptIIYKtCVXpz5tQm1Xj2MEvXsAOilwN3yWvLNV7PHlQ5vqhnhjnRsVRtlPWc4CvEqmz9YC8Tcoxt7lNc0z0JAheMeSUAOdh8gzWoA/jsyC954syY/og5L7hB7yvxyo9BTpwO2ELuxAgm/QBFu18JeMnIbiCRMLMUFDGM66MVRsWCkDcu2unBFuOoyD4uzFa9J5FxOhRWgl15Eq2wHVY2kX4Suj+Xa0Y3ycNrERmasOWD+rLudhr7C9xHnzrWJc2CITpVZjwc6tMacBzUGj25GsylNjeT1rRtbbNqeoXTBNSVqQLGfKAQ/r2CQy5PuY4pRDOAfy81kffbfiaxjRMxXax1RObARAVbAE013mXKvQl4M79oRMzAncmn7SM0ZQvBDmuQXnQPJSKhFNjt/s+rzL/DmZADDcgN0AB+5zHIHYFjDPbd5jEaroCTVoit0l7H9Ss8zmxckCKmTW98I+Jep0h60LGgAH4xYEEQABD6XJWptXJQtkRy3p/RbdE2jKboF6Dw+tZt0hpA41q2LnyMISHUIL77HS8rJ9ZKKnTVZG7jyn95hCiPvixcH6sAVe6Vw6W3AwOVBo06sD5100H++qEXW7GgO+CvSYa+Fjp4uQmWfO5YfQBWLwoCP7g3Wc733V31hTJKsN+L0XKb0cqfnOJibYtCb0Lmczh/go8Ujh4DC37PD0AXlJgK366mIJVZFLXjmbnwjft/eZll86Ql56E3NBui/gubDbsHXdgReX3HhpJ68H7Qhl6f8huvPO1FmZQSXCSdh2o5bv3nCd4gMAfLg0jBkhjUZqS9EwzsOyTweD+3+hgAVg1uXlenfreYH903Mk204WxpUi4DqP6qMboKVWvwwToqW9xex6Qi0zR4LZDnOKYvtghG70q6KUgTpqZlrsDs8eNjzqFpc+PnSWOlQDu/bXwgjTiK5nF4ottv0gOfBS16s+gGe1vfRSUJfTs8qBZwDRt8As60t2mw8kHfVigqYdz9y/CL8cAQE3Fkov7pOXqcopV9dwwFTwTKbRkjpCyc6+N7rT2yXbM24jcQtHxj+DgQAKK4kwiOFhco3bUaZJGO3/A8K9HVQInd1Y7kJDmEv9latPuxfZ39fa8dhk5D5ECJOiQS8QuQNcX4+242LdXN4fr2A6pnfXCbocvXBdD8/hRtEYmrpbHYidsGQ+NE4ciiKy0I6ybNZoxn8AcwGidiXkWcJI1b7ZQrVZA2njmjCcftLFgwYMn6vSa/qLHMEwKNC/squ2XhrgjzvpE74bf20EPNl8vapCtYL1Oa3oLP04DSsA4gFoqk4IKZNmp2XNtJSWCiw+0EKJ9Pz9CI/DvWtc6pH6Ob95IieMH/SzEE1aFLvi5L38dPeFDe3Lcl4MWMUB0nUbqCNkAF5WQlKxiTMF0EWOxXx3pasmmStprxfbJjH6f6B0Vb5A8IXFwe3ViRTmCeuIRNK3wciPpsnDyGdIKERLFLrXtE3iEwbxSaRWmsqEf7DYS+95GyQ8WYUqdSZFHu7f1gBE973Achma92AAW0O29QphFOKiZNru+E3yRgYSNqiYvOGKQO1w9KmpZefCw8JKFcHtKbq/cCDjni5PVZlfW1G1TgyqIwueftb0Hspj2zBR4on432mLnCjZR9pBXAfkhtICEBxFctGZI3MYsrkW8Yv2FP8rDejHcT3T4B4skHugMny7NuEt4PpY4VY/YDuKzgN4p4XIL8MtXffgNnE40Qwj6zw3VTze6O4xhAowa/VJAbfqngEmFXZF2inO4PrH5BGpGy7heuezP8Ay2aZpjYy2xYR7kypH7oVLI7kpirSIGNTnfA2ZUqVmL4xG3+EykE/wzGLRfokN1BmufCm9m4VC2MuMd18Ts9VUyKhZYpkZCgOn1G65dcfekZc4NgQAohZJbaIZhWFrt6i+x1wvnvMj2ntj57Al+/rcD3R9rYPjcgVq2Qmm3gm1tI5ZunvpcJZfcmB6ZJXlYuitXsuoNcws1M9mRLUQG4dHpYXYPJJem+L3TZ0LZNJjPlwC8+axVlg8xvyk37I4SPuNo5Q1D6qHqpkdkXvbt7WZIFA20dB5sW5SZaO4Jluo2J98eWK5tcAEt1vpQo/pzRdIpeBK4aKVdrCiGAFqMgcEw/3BscsqA3BdXDOGE+Dgv6dJnxpp5OE7YMIOMUK1+Dg6u/zJFtonAQdPrxvw/Y7mXqb4v6Ipn0siJSBTfzT2cMI2GthwDv9RTJUfQ27u2WiO1gTxubMD8+uhfg9qOdMC7bPcrffQdea39O2e2aGoY1coWPV41nBZxlLJAMXPMCchnP5tqHMfzpBNDbvVuHXkrBeiseQ/gDgLDCt493jH/JgVO61TIuVlOcymDD4u8k2PTIonVjigZqmdmPjOlNuGBYBuVrVavaDCJEV4DBe3Y2RX2f6WwBRi3rFPxmniIX2NPxXUR4RFx16XW0Ht0+S9zVh/sw3UFWhpVNSIBgEhbjHKkCEMOH+vCJ7bcRCOStnY+H2XH3PEGCUBOUcHxW3pc6/idt9agPWkf/Xg0xmlzNPB3aEbyGcHqcWyQFb3Bvkc533YH2kXKZYmwTDILVCQiuqa9Lt6jRjYXFHI5UW4SJEP1CtlhfeckSCYTEoMFIII+F7nBbhqQNeMd7UcCA8BlqRx42a3R87SlMNkbGtlG+ljhhiCIdRjSFxi2KBM6B86CVqyttgbboLH7FuAIA7LGDBIqf1E8EFr57DxkWjlz+XeOoLCXrExhhKwvRWpK3geqtIYge6LdJfPBjfvKCSZJ43w7m7enOPdUS1PcSSmtjLhVTv6BpAuSIVv28Wvovr1mb/Mw9U+NR/kO0TG5nl6OCOLQXh7VRDZOV10UP9NElK/8RtZJZpxyzw6Rim3j1aHMszKFe9jna8pId8aoI3RTRg/VlBgwwNCgzacG5zW16RJXFFjcNx2SyNKAtbxNJ2NlN1DMqFFul0yaxQmRFdX9z/yOJ8kSxWnsrR2PWLc"};
+export const guesses5 = {"count":5364,"iterations":50000,"data":"DXKD0gYzJ/b2Q815bx2e5xQ3koIPeyWkTuOEPI8sSv6yjLbk6cZN0QGEFz/Ouq22zBna70o5NK4hd77a5ObLytLqtnb1usOyJryQ4RsgDFrbpdSYDXC5XgpzNlEMZOnFVcz8eDhlh9MgyEWuGD61zWvpI997ujzM3FhgqJdI5YMMBC68Zpws064IB2WE+g9i8hE5MAlSe2E2dZMdsvMCSz3FhbcnoiuRwKXsfpL8nhQn+BRQwsW+lS/gbqiFi25nd0JOAZM4UteayLKX8XesTXbFj4VBcDZdYFeAp/e/UfRCi/twUw+iS06JWlUMp98eHkyr9RZMEgN2CvbInTUeRnqm9U00NVdtOcwei8D0aUpyYmsYFA5P4m/ggZOpSRAhcPmFDCobmVUkAYri1mKlLpsvBfaTo2G+NuKbZ7gYbbIKbZFha2s6Hdem6nMneoSwCW/7F2VVmTTM2FyYLzXsLYeFkawEQAvFjworvIunQkrqup1JCa0GqkM/w6n26diROGc2RYBZioMXoMtjGojKZsieWMjcagAdOveeX8cvxitNUcGg7vm9K20Srms3lryfFg4B8vwkEQpn8RsLSGdXHYlFgw+k9P1zTBiFusBQvQTtRJqroqFs6+MM7lQTcDyLOPlq+h1wdCj6EDxrynjHbEo96NNLkj32lfqsuJVH2N8cRJVuqW7LKiKHXaAjWX+rzd8kwoFlNsCbI+Snw98k+Lk9vVZGj8VcD5Pb0lvTRgqXkEc196FL59VYzFNgRbnsmGlJRvlaW9XIBLKQl0XpA0CN+mU+ReRYbTCngB41DEkEWrRRDRbAaIUQm8ueDmbJDBzWGWgYt1Bg8wkuMNV5E7xoO/4RgRh5e3xAaKRkINBmwwiH5docqLNnjdXyM0+n3uj7ulzM94sSXvDUAUsdGcH5WDeeBMAToEXcm69z+sY7wyJEeXoBKjoA5FBG7mi2PjkNGEssa8kNBXtQAbm8MfRkj5jqcdqtWKQdUQKVANw3jMI6YSPMjkYMh+pVsvqHiJtSoiUyugWTS6snV1JBJOzZLJyXidHGSxpmJFh5crfdS8K1PU08tyNw3ebZ9s7laKbZ2vqpOtj0Cna8GUROTK+oDAzJi2DetMxJtASaxEwqVUUHbmhCJcOG4AHHzBPAs82+RqD/q/GW/C6KESifJMppp69dGGx8JfW2N+jXfiFesDaEK7nyUX6suVUzjoWS5ai8dDhxGRhAvKwl/MeWEcPUihR98dvnN08l2A6mLpxE3Q/iKeBhe566JJ+qp6Ao7x7eHpAhd+BBt29dVE+j5Bt/TYzxycg7G6H/5zJ51d1foFv0so6e46Na3N+iPCaJamuB308k/dQ21Ze9UekNZT+6gdv/2feKvCTbPAACzDCzvCeizT9rbMsb88wKsYS6OcyyUpz+rHFVFtahRLbuAOji+N9cXoox9Obht0zC6+JvquJLpBdBq179FxbICIXXPlnQrvqTz1ejXnXRjAGLvuHenfCX0TmOEiMl/uWz7bCvn1ff+ImplHBgMLNaf0RE1jSIVKRyfriIDwlUiuFWXtkOB9s7np0+RGuu2orFpf7HWRf4RgqaOinTWwS6D6lbzti/p60JtA6kiPmHcsDjgirFD75uN4RtB8NjagGFas1dQR1ciwwpv709pFkXLArB5Lpfku47xLYb1SytuMjKzyyPmE1orHg5pVosjTkKchELMqTEclSN87YgCjtDXur+FfYDVYg8Idr0V6a7YF+m+VBn9vAJwuGwykIHTqLop1IkvDedJZsxb1BtHT3Lsi+sbOWnC3JLaF9v87eBkF0rC98KbJMjQm/UhqVYEUzVyQEk+Hg7nTLdzN/qWGBYHYG6N9nShSCco3esimQVFERGnOrNFTEJjTWLGZ5V4rBDZJnVWaqHtS/6NoApMEhByutSaKheiLOiyDcq7lMRHNTbVQQ4MIqifZk5vl56sFtNox8ev3Jue1bFb+eQ3eM0D7WPr8i4uVFbGTyD9qUixsC6qvcV5+46lMQjXGFCMn2UoCCTwtD6zDnCGpa+m+YgISEHTGRJAKbgHtYi9jj0GIchnbu78duWO9wvjO7Jaq/sxAbKALuw+lJM4XEf8YNnCVPoRY7Ia8x8WiBdxyxEs0S3D1HjzJuQMj2pHhHs33Unab7KIsOH+wii4u0UkW2gkpOCVo0h+8wad+I2sD+OC/UjaO3ZRn8sJisMUqzP0I8WB8VIaq7EsdJxd1kI5PKArbqukyQB9syjHNZXSzhMqLLtQdkAeJgHdCtfanpy/hgy+s1Rc9RZfZ5Bd0ugE5O4NJSkOAXaq9DW0WCDyYjf12uDEoct2Sc5w9gcMeGoI2WDOMaMFZ5rNhyvjpB9kBkXodqCqUFTtczz32rZ8kPHQx/dtcaNc430DkG3h205ykSNNWDZTxO8dZFqa+SPMz5TpUg+bVEhdD3x/lInGeYPmWLys4eju9eNqIhd+Gg6eZ/U0UCNeOIhHNiFY8hSgIwlmnT2moe8sSu8PmFAi480J62T2gOtZOeL+UiMuv32xhCde92TCyOhlDNA7yFYMgO82x5khmCQrVQ+AhK1XZv/2nQoKdm1wcV2GvS9ESQ09fwWJ/YPE4YUXCaXaaRcCh7weVuoHp4bB1DSu7/EAMVnfmYdSWq+slhGRmSGFUsEsthy5SVn4wIPYnl6N5ALUEh8RQX3a3xSkraVGB/uXduT8RpmdXMRhHiF6R/f2PoNh9HlUdeiAabH8SSn/gX/j/cFFxPW40v2PnhD3dW5TfSIRDMmFRX3Q58H5dh829kYrl1Uy/rbfAdUC0h79jkxjsApqvxrwwvbjRuNvll6RAfGaAAXLCsppJ2iD3IDFMPT88zalvUKpZ2louRNK3ANKJguBME4+Tctdd4/UKmUUw5+nzw4XJylB4H+kqCNNZhJQlWe61VZ3hvYPnuUYLPZPOWuAByQzG1gLDK+Y4ob/BmoObDpVk0a1KOW2uCnGAn5vkAeYDayOmZ1kdU/ilMr9B9gG5Qp5Zmw2RnU+uRH7aetUaEHbkCVBlSfBcpSRCw2EQ6p7/IqePN3DP+WdE/ciqefZ9TfLKdONKD6nVowhUCWY3LIegY1sTjot9Ez2Vnaj02zBR6c80UyanO03NSM02lDfaKdO7K9mBHUtSKceVfSDewXJWo34oNPLnKqCKmg5csnwyS7zL9hdm52jzAmggbsqZgyuBUhKFWIq9ErR14BLNP1ysrMJFKKVADVaajPgsqjT78odHhd36nmWQLXYi666GDdBYbMmoqZjfQjooRbvNJXML8chH19e7oLLfygfnbgbFQjMtcczcK+yEoL9oB6vjkwce8Sfn0lSl/5BnwSA68dwUWf/a2h13OhjS7Sz9AQJnMp0jbuOlx/3vKF9LbvUaQVtcUkrZMVFNi79mJdgikUCghN+6qW3LA57sqyxtTucN22DpxBdfo6BxopljEHM7+nqxf0sy2aB9X5UktwiJXsdk6lr1JrBKRC3InUmgYfExYMZMl8MnBrPSZUReXVqD6ZMlPqJLe+fjez4aEdT9ueuKam3vIHj/OWeHiXyGHRNeI19mooW7cfYzBO339kqbx/xj6NcQjUnnXezl+a418eck4oa+Tw5rPQWH6VlOOPRRuhRb1Lg4M+tEQ5z5GUCyVO/5rJvOtoSFJqL8zcl322yMyiJxi3+RW2ZlucxDkcfcwcsE9AwLI/Vcob2uxpf0Q2NgHa2vCyHVbM+3bHMpbKxdaF4he170oPE5odterEguP0rIvy2vDA56UBBGhpkMjpaCVK2XqK+nVGt2RkrH/YWsupvTdhHPeE64P6x2mWlVog9BvDLFVekNdOUm6wOwMlv6QQQKA92NYndLUTJDvszz0gKoUdNWWGaUPSTwc+n6YeHbDLiCByStIdkESbxrBeAGl5z6Pzj9Dud8g96F7u+aCMdxvAt6zaDgv+vz8wvYNKjS+S/JvawIQP5gLg+Rxkl/CZGV58FEkqm7mLNYXlMjPDb5kFozeip9iuuKVMbvIuFQ2OMPwJR7GqNCNeT0nxOezu3ln8qk6KKTt6oFz7kAxdEvERNt10lLAxfAzjfloBttsszD+GzFu7L/e1NPDPPTjuOsgJEangwcbFKTy1BsfhkGh2KZ7yfpe/InsMpncpdWSNTI1o51lamPVjOO0eqDYNJiDTGtzmgeF3yyFxbOIcdEKtf9qnlmiBIPAsdkw1biCrLR82t+9VlxGrjf95EMYANZs++TPJR84WGjS3fjz+UzIdyoR1PfMfWUbKTdo68WBHcE3qyLL6fFrZ+x2AcfKypJzxWKnG3gbK/0MeZbcROaJhrwR3xMa1shwEGYz+cj2FV6K0H93clLfEkjK4pyUSfH8QXX4GNxEIR63tkphNj0pJe8EfeqjPyQoGQNfhtcciJJCppYX79Ln/IMoxZvi//xdGMHcCuvixLiReBISmVA8GrM4LR/gNyextqrVCCFCGYnvVP6TfBXIOhz3seEP9nZH2UEpVwhD62D0B41IYh46ZobcZwmy9gQhaLPWgNw9gbCbxzP3PLe/FwID2faVbstStB+11PDodKbr76UIiKDQtHhzggaO/wBWMGcRfX84Iaonag6ZYMyQNWXdxKhRt+Z/QoscAMg/fDDxiZmn50uRYrd2C/5C96uWr23U28adyt0vPJ/cX2M0E6oSiXun19WGgLEYXljK4R9Bu1xbEq7o7+CPkfZy35eaB6HuHKwMiJ1qtQfa8zIiTlG9NONIgKEtMFrEmKJz6QemXe3xLZvj9Gsk97r1QHHGKxOzJfO9jbdc7R6smcsc9/wHB6uqn5kpp3qCj8KAdRnDOhY8HFfRUAhm8sx0lCQGZ8/6C4AvSxM5w4iU5fi0y+rKwkC6LOKJ1iA7VxjUFU1rxvvOtH4jTtgSlwacqVAUirHKKKrEhWnPacnPiFZn5s5whycyz2jeDvbcXoeXO0iCuei1FvzEBH5hjxpgOl1QninlGnYdAxT8dd402E0aggre6yth4/S47Csfum8+tjk7o2XqiSjiH/CR43WJi/524IUJp5BLmc5Oi5AjrtvtWT3Q9Stka2p0/vt18TiM+TEkNcFHuGVZHIzOHSf7GBsOLtfW/OQI+/DmW2u68V+CmH2wzZMHiil25uHOu/eFuJt6BQYwK7lSaZq17mrGCmO4/9DqRACLnOZMlrbYnuVRfM31UYIGvhWrJQMwfJMemucswOyub9lIKZr8JPnv4hF8R6KUCBfIKZswJKkK0UOuEvkZRjIJIzBUrN+quv5NIwQeQekavcL8NM7B8tUi5jKTV3VUVPvxJbls2SORNjklhxfypzEMKSJnAk43MbUXi1fqXwhe1b2JzuRSkQo+sL66/olxFty9AbTvS8AvBnJftgrAQDd9fiGcgbPgi1KkxDvnPYSXhsd1irqKuBba7rVkOe0JzbBphs6jQvaJCyGI+bi3reM5dBu/PUddY/6MkWbTeWsW5TYiS8WV+zlIuZqMEC80MJzFsz07gXVBddj8gPWoDwmngeFcPK42WkPro8UP6lOjFTxTrsn/jdNaUpl2/56I/Hs8n6pn1w8jmlOJr7Eh/qPoDFKOK3Je6f4/vsrlQkB+zVrz8PsQoLY66fAIMqGo7bj45CoaDHcv2d3Vb/rcXT95lRZBNPL1e4cYpRlUkp6l2eY14mw0DtCPxikCwRrEJTqXTtiNVbAI3ds4mSaI/IF6vJzobbFFdiNxDahZKV1fkdqP1YALr383+SDKimouCc9LTYAZCTdsf0mTGV0n9VdrtCT6RRGxYchl3mKCtSM+4+xeKewtMUNUV5S/oRaqpGML9G4Fg1kFZYJVMwElvk2bllwc9Zvh0FQuK1GGVPb+vRwSM80JWDUYijbcohv83iX9zemC6afQX1a7CXLmrpSggGBmgXfM+dW+BvwheVvr0eZ4DsvhW4b5Z98dMX5hkoY1gHxItCpvoZDqmXm4QhPl5OgEI/mqiCYwcSUR2TAf0wGFYlGFaW+YrshqbwtE0Fss3h3TWDy9PAxfDE+osY7PpSOqRVwS1hcuORR0+5v83vBel9uk3xpMLvrV7jXJsTxVWz6SkCwU5ptaSoelyZKe8HM5cMwE6bcJ0o/2wyrvQzYnst4HBNes57TanjqIv5ydC+6GUGXP+ZzGMsFFK9W3LM6hw/T5vFO/2fFh0L9FQ8jhqJrQcUYyV/G2itxGlSNXk/Gca+lf3g57TAfAgM4GKrWAEAWradqh8aC1894FPzfX6sldjNVzH3WyEKOBJUmH1Lw28V/3nCqPi1zpau0YYz53FBJiGWivCA+6p/YP1+xFUqpLzcdvRY7K7xw3x/49Xb8d6Q3J/ZHmZ6AbiLAvNfThXI3xA179ecdxFW6WaXpIVavElFbEejQQK4u0TPqY5r+YYtgEjCeKCgcGu5Q+k5oMqt/0Ra086zv7jsyhjbdT/VNhfFSpxZ3dsHcinK2TJT9mDQ0aOFWTy8ZR1DkJEL/4MWxUhtvVPoSFczfuVD5cBLEpzCb1siskB/SNqL+3ZjRvdCGicGu2MOkt8LVLTOX6xdXAxi/IFCxCNM54A9hNFPItQ29l7nrAXEmdVF3JQ1kT3hq4WYS+g0WYqO9X+8MEDNfCCXO+tgTzw8jL1NLxrR3xBFEI/lqOLMr0OIXJ6Apxk2ml5d8t001X1ZLCg4vYZwXFJ8Tq8HvbfSwg7CGWkwzcA1RbzYDJ06yR3ewmE5kwQ09a5dpfstDvc7smCgtZJoFxJIdXFz+iwUXpRa49vRNcahaDoo6J5PjpMcrOBlnfxOaXpTvZvmhL8igoSK2w9hvjyZybY/xbtLkfSl+gE/JqKNUhX/JSYGlg5ddpyv26wVMEoONsgkOoHVme3th0P3VgupGNL1/kJ7ykMELAk5sEFE0Zqikj7xwqGGy06Ps3amfpABC282Cxtcu8rTj/3I7t4M9KrWfD5ujzc4yFvoWuer+BF8xU9zWsMJ+erApuP3zwF4l8VLbii1qkabRZd0UCsGRl/VQ21VwBe46/RLe4QJxrYdHGz1Cu+xPFdlxEj6Sd16lgvULmkXR/9LkHr2N8uuc8TdVyitg0bj/b/sOH1cVAqfrG7hjjMd2HsJE5/YLglrYgQW3bQu3E8yWX8QVqVyu2T9GyFCaA/Poy+CQJZL6kYHbSzot0/zBIs5hfhJHoMlQWpqny+ppHj1/iafxmGDEoHhHSsXcukBEpwn7SDO/iY0hmeAQbJXolM+dhquc2TTRryoECDXwaGaNLey3nezZ9yOzAArkucip39jQp3+3uLCc8lHpyoUl0vCxXarLrd9PLyf2tHzfuwKwIKBIG1cyufjUOyh1RkygUGSBlJjEp6UV8vMUAQNP6/e7V3cgU2bpg5LIQtavRas+uS14yAqEdbGsNXcvWWU1VY33vDVeSo9WN8fnCsYg9J1XYsbUaToWjXj43Qtvlh32csZLNAj5Hfav+b7c5xhPAgOJvLUuVkEimjcJsBpc8niw3gXX0hPVa6OPBhGRw/sG3LFToaEciSJQWAYRep+KLpJPMkVvwoNDuPFBLTPwZqYBoQgzXOGU6pKiVM3zeoiXDSJ3sFMBPCGsZ14Ibvyj8j0DFnl6Ap6UylSNb0GRZHukXGQ3ZsoIHL61SZcaKddy8WNrCKE8HjPANtkQAwlQcpHC07WsWnMNTLAY/hCdIebo1XvQEib7uxWb0hLyqQO7+sUBy7zz1THOIswelYwSC/V7sOB7bDVUnV7pW8De3FcHJVq8N0wW4IH6htHt6mwlS0aVCMb2J2Yukb1d/uvUAQ0GFL+4l+xxnWHa0b5tcSBa36cQcjL0b4Jds1qtwCWzXIdGIphQkXBn4bogt/MNknP9+roCD82dbk2kYve+0dGPKqsK6hGYqu5MuiVAu2h5o4eWXsHpmGT2vSEcZFExk6kWPBu6brvMxni1CzxWV4WsPUrgXJEDBlave9QpwvLWokNd0HCJgUwe9GpDjS+On1+5lmJXSzOVdWQqcTei8W2cPX9JJ843uVkdeq9sSuQ89uQuA9xOONFHjoUkfz4RLntMneZ66oXSYK+2fBu4FUqTs5YBqbAvuw2aLdURFVapz4g1bbcDvxLnlhX4pOrDI2iQM8cj4+72ga7me0/ntxWOIFYWB70RaWY4XdhoLRGZX680aIoku5peZg4ZRBpAUOPzp+KqkIjYB2mWdPt3fuBmyLyLZv00bIXA4ea2Me5ptz/40p9JpuplkFrfQIoGNSKK5F7NRtJgdjtS0grIJJWDMWo74urSfYYaDklhgm91zj3zG7Sa1O1YgwGiDPhrTPEBOHrg22gVlHNkzO5yfEzIhxrLNKbqhN87NCyLUDeK90fKdfMBVAfpY1Ndv6gSwCxOX1MZgJQVVDzq/h7RsJxMYY7QL5F3dJB3CApy4ZUjBc1kLRWbOhGm8BA6YClxNLMCrekmdxPKY313tJ7qpkUT7iQZW60DRK7Gv6GSGRrTu2zyXiqdoj/8v79s3eZVAAVNvLY90IUFkrkphJOGeM5dTN4g723fopQ9jMiJscXZ6tATM1mFYgmmLClliucyJ78y0oDwlTyGI4onuZ7Ovx6H3v82dN7D1Be5CSKAjuWiknLMDwki314owVDewrBtPsdozK5rY2TJa78g8pB7kAkOSje3OeTUdZkBrNIUHkjOc+vaw/wDRfwyo3a+ODhtqdpBP9M1vqCbfglZ2Fq6ol7rm/TXwTW1gJCAh8WKEIXOwfzKJEH2RNeW6TpGG9jYNBaESFmykTj0pxFG359UQJe4sXERsimMZSFiB5gfhHWOdEo3F2bSKppuuoGvYTGdv6h/KAL5g2dHM7D+cIQtwq8l6hqYgMp994oBsPrEVcI8/o/3QI/CdhmMqZwt0QsnAo2jd7DxcYUDlSuJwD0/Qo1Lnf8wjw6vd5bjT9KaVtX6NfusJJrbhGrpCpxOFGERz4JgbFXmwxLBm5H/GvdqvNJS4SRh7fgbo8CCcQKkXHvCCIcU7iVpfcniJefPSWgk8nfitY3VZj96YthmFBo9YeCFLZz9UoQ0RaTALtcSY8k1JF7nA9qfJCREiTwO5uISNUv3LrGuAra+OW77vcyUJ9vANHdTfn5ebz7cYjEU09zffBmlCqo94smd6fZ+56d18cmSkoq/gePUYp2q/kLdwZztWW/7zdP24Lza6363gbttacTg2jTHbbupsLaw7Wh4wDNF4ND8vlbFZREFxf3GNMfx2vai+mldK4JA2I5MpiVIMK8ZNYkFBJUcIl7mn0kRdQ8YlIXI8/oeZi7OpAd1qxyR0Bc93rFZx5MBPIwbhvtK2tgqjDofDQrdvOBbsWxHhhz8OmRdKVtXLVsZ0wb71kH6gihd6dxdtRApd1WwK3YXyVD869fJyPq+UORg1HPmh9OfzfJ0RLSqMiBZt2KVXTO6BsGWEehOOaJ6aS0xbEWITmOcOgBcVgZ7JkSoQ6p3eRiXNra/vsPaS2lexaAroIi4crGLQa5ZjrW1Mbt8F5CKUfK4KE4Tq3L/Ezlb21ksI9K/8hahiYfOz8m+WSYoPsiqEUjdBTKYe02kFJN5E3kBbpXvuq2tLdmy1E5W57YzYzF9l2UQiF511V4g5aJykb3130OG92Q/uBfBMEH0AjPJjXy/9I3b22VPumwFAd2DagbkoYFXtizeIrSp0EKXqMCHMveeU551D7891iZT/RaiP0IOg/PPdcLd0cOV3Sfb/zuLfmMM9n6ckp5RfmcIwwyODh/d+63u3YxX7ydjeK4+DNSHWOObjjBN/Y/vdEn6sRJhqtq4Stdt5taVIx0QSFJuITsxcDDonHE/psDHf6P46UwDJNP2JcSMeXnRQWJxEU0l2b+BKkXbAGR39ypJs73kTGnboCV6bGLTjlpnyb4iwptKd10zpngp7AshNo/HB6x0V3WkvyiA7x4rVifVwxpGBj+eRXMTrbIS1ENRRvLMi8ueKmmB6VmcldzZUPouln9uZcIJPXjyz4M4pEs6qnZusMLM/RgUBl6LfIP3wNChJcsZA208sEthlmfo0pYoQpj+GmqnRf45M89MXLAfwzjE+ioqd11yjYjo1yjUsXwGNdhd8wpJzVs1RvmgWHUvI6dDWfj19oEk+r85n4r+nv2vsf1VLFji2wdrSSH91v2O00gUv7+sn+NULGRJeUj2R/Viijpy9Cp55AKomveBvLN9mp87C0EpgQDkbCzrHkFVe9pOySRNflnvAnjTZasMQtH04Bjf+HQe5OTFvbHVLYKEMjaLC1LalFeKshKQfneS+3MQooMyAoVgBGfR3fCZ5QpVpC+fAEyaEt1uTKipzp9BgolaxQVilSTNu9ig/ErAUwMRBex0XCLTDz7GI/X1oPx+8ck7MbbZe+VmaPd7Pp+CdWaMuBb4Ts0v4Fop4Wt03YEwNgWp+sPB+/t6vIGQREJ5HKyaIYAKrYAJLfY8LTFljV2PTYbhn8WdP97iekODLQafPNWsNaR4WyJMj7PpvMVESqt+VYb3RJBwKjaBbaFJJl7XzTDnZ+urlftG33waqcfAC4AhaHs/3L3Hc02XS43r7y6DY34jedgNNpPA29mzd4ncFzeYOeW2dNL0sUHOyZQKV0XutSTc5kYN3r425vNzWAuNpNNyS7Hin4Cx2dpIOtOpknF5VvgRNVDMxcBxGA/mdRNhdOx1QIzw8aKFHjUAs/bbHonCMMlsLXET+hKcNMSgq78F5jnIjTFzD5kvtfiK6u05v1Dab5WlX/E+5JCeXq9YcgEX9hrWCHoKXUS6X0iBbb11TC1DQedqGIHMgM0ZHDaR+I74HQYfgBsJ0PAQYD0QssyjSi0GdESQQvggW9oR1qVxdRDbaVqeoC1zRG7Tect4pVcX/xjxl9FNfSML0BkNN36p9Z+C8kSlfmr4mLtwtQgzm7Zm1J5rhtEK6cDIZEXop3DJuK9rqTSO9ahky58DMfND/WSRTXN0mOMeh6fzWmh0IfPia59tljVIgQbsK4zwkCb52dMUVYsfQwXfE2t0O7B0IVfZZeYOdUxfp7gsDnR9FNQp5UII2N4QPgZzOXsN+2/OfGf+l8D7RA2o6tTFW4kGB5mjhqFkduamik/l11NX+j6/wWGNtLzYnC7/p/xoe2XkaZ9RpWUssQ93ywBC1oSAXK4hR8EjoEWyRRa+1uR14vvoO2VP/pvmlLUZBwIxOu1L8vNBLDpQkrMieb/TU0HjP1y69k7zLnZtRHh79cJLEiud9denScZpTJ8mzlhXw5fgJIVp9TOBYscVSkaJ287o9wN026UDQqVNJT1RMUQ20bJAVfpNQIvJzDlqEEmWRk+ZNgEmVQHTLmLxWxyTIjJQZb9sLjOyV8F1oS4Gifoy1wN58KLkqwx4CWA0b8SXxiKgpigrldG1e4pzu5EcGO9hUM4XfeVWGTdFJV531C9OgUeh96Qbouun8ub9bJjKydLpisasTsoUJIA4aNkAnXx3RgMQJQQCa6zBnHRzTrc/GFaMfGfOYeipiNP+FCWppf9w4Ac9qKDUgDSqi8IT2bKedyQTlvOsRiazAsMwLTgshgJ4RIo/Oej9oTJfb+TXaWWl1CfRL7FOW4ZnLjLJ8FGYRMOmYH2uis/Z2DNBpvty1OKqcs09tuJjlc+1Vu89CwFnZyRdYP2GZ7/z8JJw/lFeiZPIq5qXq1ecoM9OxcM7+ZV2fCepGUJdNJivCw1ddKTauMMXVwBaSvA6i7kQjQhW5oOUjQasnANK6tGsUJAGNvV4rRrzTHnrmyjaU5NZfUDU1yX6LThBCU6xQ5/SEt8dpcJz+FDo7S5+lRh14JJrwTBNmkXAW8M+Ym4iYHv52g4Qyuvj5d81BOPj2RK5gNdqIKRARQSBayehkT+TFs5kkX1q0WHURnU4HCpxVJPmdTaA2UOpx5Pt26kHEnPFmpJcOCOu89V0l1gxcxxw6D20tesRupeyAyxTsAOYUFzCbRhtbSUtUJ+jh+iDE2I4PZ60+qSnK/mbplDi1joG/ERTbv+bBhPd/lhgT727GZ95IFK6nKyomMI0ilILKiI+X1HNHFxq6TrJ6IxtCZXcI16PeBGC8tqYqlHeeSv2aMF8rDGxCp5zIXKFW0Tct8QDKfM5HKE9ILFRpPd/m/F3u/Avqwfmh8tW42f/snuW7Jqges/oOYH/NZFKYv+nM61oKXKmI6AXJzjmstO1x+DKIjkAZ7Aau0I/JTWIJUmsNo2RfFO+QGf0trMpe/IBC3kTHV4sKvP1W7Ie1VashdbOKj32L7GLC3AkcBRCyTyiKrlmwoQPXXA4MOaX1KMaDchkCDVqCms9jkKKqK/IHm1lRpuUlB/ISBF4+wTI8tAmwIBYzIs1EYg1D1CXttXLaS6RujT1nh2utUTrLNuZuZKPa2yHUff+eIBM+phD+TMZRgGLB/h7KAYZNMX626sSPRgr397YlaiDyf9Q9Dh0xDkTAhIxK+8d2hZnjzlrYlTTFOuBlkQ0TlGFMxNV1WlXsF+uTS6aAj3PXMUnmrqYQ07DQElsGJxa+C/GAv/IeMeT7eLmH7XfvlPnvWMH+3hr4/EJey6xoG3lxAnzjvLVkKsIknrsvEAhhhFge6GwLy59dQPupZFO54MsqSaUYV/1NFPdBEzVcyNEeYRcsDf+oyfMqsKn2XV2ce/oXx6ATnfKIy873IU2msHTeoMuHp6XIlOpdHDtAZDDCdHdUMM6tKqiLUeZWxoT/sUqnCW+sZwam8XdBOv40uGNfMOfJBN77v6mjnQw8raMczd5wj2nqfyITHmzKTgIwP7+yY7RoERPKryIh6f7ChAwJOs3xpexyhlsA/6cVobwQlZScbu0QSJ+cE5nlfULOukekwDr242LSBnEGa9p1aP9kt8bwKfTyKhL9Y1R0I3+6DZTSuhvByujLHdri6Tem/uZX8SwQYUwGQNHl4cbcrppxGkQifFJNDBJsbyjb+geVQjUiomJSAvZTxn6JRwj77SyuJZE0Kv7NB9XNHdfWhP5skVyYwP/9nzn77bKwXdzc+a4GbOHboLEpy+lGHPUD89jrqU+bxh3wE8kr3w/URyQbd+OXWjlgHUStLkkApfvnESJ48FfogxnG1RScBYP/687aBkpeNQQ5zt59WAGzROP/iNx1QHNF8kSeHICq9R+d9P8u78qUUgRaEpzVgAfXr3LBsvUGaI/JxA15jcT7aZk4wq+mcpyPH5HG9fvs0ZefXoLF4Zbw/Dp8Zjg7LIuRchujhLFDHGAWmCQtcTTfFHrgleZIcz6uRwbJQC+qXjWHsCRZo9Ut3fd8KjHsoFy5beo5nYtoS3FVZmhBjEGLbylZY7W2ZfxN5OWriaHJlpQqHnErahrzJ6AnYKE3OjEnPczcFNqyz3gmgWeXiU75DmZoy+3zPgdyxUtNHvr02BVvOJ9liZ9wpA6B2zbw3i8YJXFNkaLi4/+VnKdjMOwhhGtat8vBwcEozEgsBy2tN74fkTWO5SyOrlyoZzm/meGWAf+TKGCvYKXiJ/8uY/hWO+8mTB1I+RGXMD4MbneW7I7H7+yajeXB//QFP7FlJ9Ec5CYz5zxS9Fqn0brNLSzAElSTxjFQs+CFTjAIPw2P/FInFjRQFiPfP+Xe0WBS2Ysl2+cfee5QwLDiqU9MIEL9pKHiPXZAa0UI5AxXZk9MqAW075KiVoxiI3DZvgVGi7FJB+/SsvRnR9wLzSqyFIjZc2C2+kz9btdUUJc+fEPdafVhvebKaZEg2uYRLqXLioLC5V9vFa4c2foPM87xYROcCHckpkERLXw+GgirEtCKcLGfCkbdTF1Sn+oSp4/vob2x43r/aW4JN8FezDe2e18aM0N6mdmyYobMd6hUSzObQFKBUC5jTHsec7b5LL2grZEyFQ0Hrt73KKTcRKKS85f/56KxKOWb7zcnWCJB5m4fSfjQQWTfAGvs6KlZS++ykfV7Sb6563Oq2Rijpops4sbPII4Fxi7oiESXNvKGnr+AlIfhZfJS0R0jg/LnLF4ZhxAjxxP2Bo2+u6WJ3qgDACWask2RmB6Oo23E4gQj95vByj4zLm2CnLHOvQrWvB1rel1cERl0UGATK6V8cxl4qpauZrtlkXF1J69MJMEeri2Bv9+gushtYy1BGZFY4ilSUnMULmXd4/2GMIqWiTeKHUrApUg11yHwop7kWd/JJst2RMp+qmgTWGmh/SwI4gNwqMlY80JhONsAqwqHUiN8WnATQIG8qucFBHRPK26aSZ2i/ojWc3cR87hCkWHUtWEXwaDjksYvlusfL4chSL4Z8VZzZpKI8CdKPi+sOZB/TEkJiSyDIpowOnhl8f7ZxPSk+4rOLOizdBUHR3NLD1WQHWrImsTvNgfxU8pt8lMqlUQme24ZgmpbFmyg6KHFolKbFr0ynFfbmwTwBFW2FrKKQP/cRYLHEShL1Q8FSFWyd5BU/7pYpNO30NsW4dVJuFL+/cocXylAHyIQp1XT09eQcgWqS3sAa0N150lKq1E2avnslCoptHT9+zp5d33pVWALmcCWbwXDBtVM+h4rkZNzmohP0M/e1FZ3wPEX9t27ngMSZ07Ao9jPginy17KBmKQ34tnWv7zYfZPNrIJxxw3cxprMnwhiPiZ9bkiFRQmjG60XAzwi6AfJ3TF+5W2aF827iWNpVntvga8xlQ/Xnd5AUfbxNWclb5OtLncv9at+uO/GcLrSOSApHBQ62lj7ZQ0VIzRqtmLifwMXbQXBP4rskhre4wSd0DiSwOokKVYX9WNQ6a+XdTJXixt0Zc6Vme6M9KXOKcVA5BL2g5k3C5uYhHFsCVcyksf9gaiEenZpvjCmqzZznFyg7gC+gVDIba5fU8Hgrfi3jd97V4zoY1w5ZVqpf1z7CiX7ODaMjo8VQj5ae1FLjNgOpDP2qusTHdWew0TYowFjziBts2z+wBnEkoBSUPB+r+XhiMZc+2GXwYR7rQvAz9HKBa6FiMoHgSyS9Avr4sGL03B/biCsqVH8VARN4RC3MICU+TarILR2/3/2a07ta2wEw2Nliki+pM89qF6mWNFh27WIlzn+erwUJTtNaeeF4bV0w5oTK3b/3+/lCndwgM40N1+05U1s2Iw9oUuBRLz3RhbhToQaOa+3zZDDYP3PjelZ/aIMGeG68Wc9t+UtjM16Hy/eMVEvbSCi0ZbkkJcjKRq8ln5B29jYmFIWPiTMij9G63U+jKyxrcQQU0aWOv/2L6aFwcezjOMi+BP7IBV5FadAVrvn8gEOiJFPNi1OBznkk7sq3U4pkDwXSC0vK+JcgYUPVPQBGfUnEdaCuSOd8I+xD43DDgVHiRBruB1cNIbvmfyDOCDoJjYxw/KPxS0UhMUhTdrbEMpf7y4kJ9o5nhCJPwqm+FBDz1+gXVXe+TV8qB8eTGn5hRZ2rMhb8Wu9v60mPQTHamqnAsyVOAOXQAJeDG+cZzwt0KrPpFIGS9Y13cwMtK65Yyz+GUf6LwqPslA/EKFsNO8nPUuZvqaSW6gDnIv2yRdwCFKuAuYF1LRxMmrD4PLsmjSa27oxgOBLPxbzKUIFnMhVrWpSk296+LSU1r9DnqxdBaJ7FAw8sp7Hqu0xZvKplMU8cg+Mt4b23vNKhFE9AVBZk3+gBDGiG95884CzctxOyhVMc+0EwNyJv3hNwob1b296GzXl2otZocyvHbMxaLXX1aPN93xoK6bht0wsPsvBS7xz36H28wz3c30DhkSkOkqRrb+VEs9jVvmS0oJySj2cgujz9g8yjhv4zFbizS2cYS7qGHsHZqTUIH3bSu43efvQSPvU+mnvrP5c3lXP7kR7y0iGlfAZ0bbfaPXuPwRO0USUUnHyWh8OjOg30tSCBoBc+f9eWdIOo1TevFlTJ9p3bPOrE9KOt7cMN4XDvGBVCcSTDsVqZAb66/7ZBqSmzRbu/HyamVqaFzeGk+j4vvPvkTTi/t9f4bxBr120Ok0hofVCfuXarvno5wfgjIw4vdW6Xv5gw7b88jTLIq3DgnJZxq086GYpxK3qlTZV88y7DtxsaENfKVorV4dEvhc7k7800q/y5OYQDQr/Q3EHBOJi+yaHZBJndtJMBYjMy2Jl02MiTbXCqJd1i2ierEclfRhvzggxOE7LNAtYWXJ1C4126e3hMBw17i7NL0VDRYBVrUKk5TFd5emwUifWSWGsKQiYph29oKkUhljBoFp+VsIuX5RoN3aFC614Sfhze3ZV5RPWXGeHKim0nWxhGfwMY7Ro0blG5OBZP+zFIRIOjxwPFCJkPDKLq3X2VQU4B5f8YPyVPt2En6yDDOrIxF11nzUrZ3++7AfhpkqjT313Ll+c1UQQIUeBypvgBDo/UZISrr7QKMhQ29itMeeyvINRRD45tguL+cxRaZztiKp+ErXb/A7Jc+juDuTqK3QZuBXkJ/RZ7FFmpwZv3WkljlkykxaF6dK/u4V5t+s49AwoLnQthr9cgdnQfSKNSKPBA6dymHoqtW2ghu9dB7e6HEF4ztWNsAIeChL2BYvTw0g8g2hGJVcnXIs4gBN59CJaaEhf0l0C1qx9HDB/AwedLlYeOqNGSlbFq+aj9Vp1eSf8WPz88hQqrCaxu02/toF8iGtQbYuPrYcrhTizj1tTGsHDqlOhImnCwdTEfoKSFhN2rA4PE8OtXbUhw6lCChA/arXh3uHAQdNSjl6SnTVHphS4mfb9mrtq+P1swkeEk12tu4Ri0zGZ2etU5e6rpltW75wVvODxVWS2ebGp9uk84YcT1wYp3bUKCPI7fMYUvHSH7uK6Amglace3T4A0UCmtwzDDiIT8zrYkra2AepK3inIm+iPdbjgnSJdUMaTZFf1umVVuxD15viiVSBgL5oVD2fwYtJtuHG8wVAk05fMQLxMkpNPikgrMe92k9Qyw1y8eqO21SrBQUBYshKGSndNORFUonr6NJA5Vzi8WWAtSDiiS4ijSflRjGB7Xi46V7ZPJANOZq8aQcrHYX7CcffHM2XyGcSZjhTAsIDcWrsajmH4Rqj6TM3arSEhcgHjrCkHy9tSouqE96iqjdBEK5R68jjAU+TvmJgszyqLmnRzIsYKQW0GZ0AkHSqzj2dgFSqghPw58N82lua1hAxoPBuSO0kBZfX6DEdw1qcsAFet+N0ypwkH474eGRiQfXPClE3rZGv0dHBgua1rxX3iQUCSZaJml2QE3QxScHNbWrc8AsrmS/7Ypa0PCoo6Li4R36coolk5XYBEz8rfpylj6CZDrMu3Ub9zbphepVNHmUtKRPtpnC27ObuaBsQph0pI/bNo6eQKAKEGbLWRbSO8hgKF6wjSZjsCEMN5dHdlWyh9RGUh47m8NlHTfYSn/MwvbHtZzTnijVautXHUlI4pTmhjlUP9sDKOKb6+bQOD9DBU5JPRswidh2VICGJRumaE4VgSiOSXt/qTao/wHRlG0umd+q3bS1ow2zm4S2cZ01hz4YLs/ZNda3SAXs/BKfpi8cl+JslyfVNkF6dJ/kI6TshIekNPReG8nl+JLx82kFIm9LHVJ+Rt4VDNcppR5QlYH7qPVAyJoxhy8rTELOnPQrvYPWNu+oe4MbmhOxbTVuvaEQh52Hpt4iw0UzddCC+epOYLaNyjbbn1Nt/mZv8d2rL22eSS85g1vGnGUblmFCBNDRoj+kfVoMHXqpv80kaTm24+0AoYm5lI3sP5r1zUNPtaOV4eP7lziWuEC5fTOE9uCW4FzgGjGWg7JhKRcfj7AjJ+FyyQFksZT7llogKZbNbjunQyAiAImp2UkexC07ZZrGshZ46jRlRVE3QmEi7Kj26Sq6cZUT1YI8Eb3XHsuAS5Ju4S44sSowLt48RX95QXH9IxU18zrXaBhkSQci5LFlcy8AUxHyKkD1Isp2onrq5Tw8+uXsriz09kOLFzD1Kw1e03NcfL5DAPGwtdSfeqpZlxbEF7oiug9NPl9upcPydqInKYMhgvvcJ1zhgBDIriL85K9cz0/rMaZWeVIdcsGFYzBdwJQXUzgdGg2KUNUjHU7ODcmB1Tnhpie5TGF+d3WBktNE5IKMnSJwi6C0wsT3uVp3EHLWXSto/il71DBt9IE159FY2otiCLBOr/touPuW9iPiUAJP3wDpvKA/b6OwhenzojjirChIZYrlweXxkNk/ZdDOdEQj2VzYqFAij4kVSZ+eaN6/BgIEcpPEo9QiKmmus925aCgITtKjtWqdgyEPKVqgdpGRDENJIy+C4yIDVs34MYpiWjH7nZJB1/ouMiylXpHB7r8i/2F2v3N0wIz0qom7OZGnwqjCSc1zLkd2lakwnviedlvbd7IjJlNA4szC/hy1gtAtIbYYEiFKX6S+1ay2dWtt+lCC/uYnwKPQ+XXCjrcJoSByYDGY1i5Td5e4RXkwuNB7/QVbGfUcwCVVXg/nUYIYitB0LIiaj5xxBOSGq/Y9pf/wUDTtHJuma6n94ceijEhGZYSlX+GAGHhK+u+ngvJ405D/+hmLWpiQ1UUCSbziLm71141uH9t2raW2RvkDwOGNJwaA3jwwt0nIQZEt4G9cljpk5PClmXbsqbSLhBHbL1c1HdSgbLU358oX049WxSJViL2DPd4DBNXTL8oHpytSpm80pKKGkx+Dhgq3075A/x9Bt/fqOtmclVvCUNbEdlkgpjuzKplqo3FWR5/YgVUyObrEv8vsBKeLbMiPE7lCZ6RoWk9Xohs8mPMo6ysU0h4893S+qMX/fz2QCndpxWRuqThaHPXTAwaR43dvELcdmIgzLy93f3KAPzA+ePFFA2P/g84U5XeyCrjFF41HLK1FrDgYwiZbEy6DYmkaldVkhQUwup/AYtfb6ZLFFFiusoRcFkKnuXby9ejqQqflyN2CIkMLM7bMiMywCyLMNzvi2EfDJz5Xb+DNNrhRT4xxCKlf6Ix3T/WxIM1JpuqIPg/zCSK1E/JiED0oE5KR/msBO+iBXdaZoNjsjOBdDrwYYpkGIWz6OvHmWagb4hXrMC2nAcyCz0DbqLBV9KCHO5AdjCw0n0PEAoSNFwYxhr60I4n+UiWATRnO/t348qCXiytsMXMgqgUNH8aCRZLMg7sXZCL8VCclJdJse62krXF9kh7Gq4maVuc1tU5gRgxvipEJapZZZhiFR1eQvfRSPv5sKiIb86HD0PPeWC9AgbmaciIvZUePW9y47forGqj25rqIprgcNpP7hBhZSFreGTHNtO4tckdvR1umwrg4LXHDJoc1GvEIcylqXmVe41Uh6UecI0jm5G5FiRgdswbwFd0qK7yCYBswWQ75icMr1ukXuO24OQNFywHC1FSNGJx0dvSGiGBLyTtM6OgIiqEDAL0uGKuO+MB0QxFI52U8s1O/APH1IS14qmWTP6ozG0VE1Hqt4KiYwUF8dc8L7+Su+lxdz1Qsr/gTPx9JiuR39VvnZiG+S128JcipVVXggkMwRFBdJVQC6ww2weluM1BZeiBc/JWTIk8pBbmP73xmlGiVLo4UP4a4w3dozbX6Hv95fDUP4qoZ2X8L9WfbDA43RMPyu0hT4nVDs5DBT09UNyHZ87q99vJ3AaA42cfy6o0jSAValrvpSRftHIZH6RFXeBlFZT57XjlFG86PyU/3CHASwWxA7ayDcbvxulxtikPq+Anx2wqJpx9mkOvJzp7DKGrCZ8HbQWCs0qdMUn8XzH/1CXCYHFEWIDWLfdSP0c8pDm46XfGX+akaxs+kv5Qqa6yh3tCnZiZ1YMaeecEKOUwgIRc9y1l+omreNYUlr0KWTkHMRgz3k3IUp741ih3Fenx4E+YgR83QEhFWTOu+T+ZCw7MKpV/NHvga03Tz4tKB+G3aRs9ldiM/aJ0EYZ2OrJrQ1GuAZj39Kt5r9Vf8gXDithVyZ2/kqPblOCG8cZvJNOhvsgenApvNnyex85cbUIX60x/GSH3ugtsh0yefPOr930e0bdNockxCZTqfc4EXTjvMKYa/4Ut+H9NYNtUUZazXqB9i579Ng9/mWTU/hnybNK/q1n2N8lCu5f7FhkAS0zJFZkCMBuETj3MIv5ZnKsybYsi9jY2tHRJA9TKS+2lhOiTepiOPr2Ca8RIdEhzALDho2enYZc1h25hBvS3DIR2Y9AKMUDYlfv8Ahj6/9dDPyxzdCR3h7mL9oIUxQxYscoProR07NratFvo7kzl0Qy/B3eGLy4HBgxC7XoGeaUZxiJZqc5WMEosP8tpD9HK7RkEU7kjvFoUsfQKISMjDaGJpDbY1ef8i3zQV2NxaOmf1ue+sQXrwrJxmZon2FkONTkyN9CfEwIkPIE6MZlr3qkuL7KUUEOap7BMBLyxqGLSLXhFoSvttJMx0Djf4vFmDU/bCgLHUQGCLDXu+xypkO2gJLoqxkdPiPUpoeLxPsrrafaEf0OVX3HEOolB6ysZ/tmK2XqDxRwDn4U1T21Hj4TXLGaIlaN2nT+p5A7TTqn9m6EPi+jt1XLrCTTnYbh6YjJBYoyCk3JT/UIQLarnYPxJKb8zitkD+yuL6ruJ/GTHuXxN7GGeqjW9sybKJLy9IL/+cY2KmeeObqCXVOWH3MxNeSCLIUO2UfK7kqJdkRekK4XDJqqmctHyinXKI3Gqsh/ZWB5xWsHoEz8T+5595jQseZ8X2qez8DrFi7SIu6AQMRCO8Ag+hp/PSK3tbswafDbCBB9MJXyp/U2dyxeg9HaFL8DPeqZr3I/rXb4a5Xu1mZ45bN0NkGzd8z5/uK7TJD2H5l76/LTw4KAYml/Gek+wxkNs3ZTACIRCkqtR8DdUQEpyuxBelIH42YlRoZnCz8wR6jf0dw4KbBfB1+xesUNayPPq7fpgUQMVkjPNhx+w5CT/whjdJyegK+9z8ND2JuPBdla1REzVE3LHjQqrWlN+5kBdxemwsWjgo3AHgjKFbyuqUJJP3GazngHJr3XQNByENHU+Nr/Nfz2rgoEjA8qqvhsvdmGmZvTKH1U+A36IW4caaztoiiEgAQ/4sohRM0aNW/Daq6Ppkk/a3Dc5ictmRgivBjKeMaxrEd9syRgdRTlVhJnF+8LDanpJA2ZhSMR1OLNAJmy713qUOvbLlCttMALS5Tf46Hfqyn6Yx8SCoNCWZPbNBHaI76Dnvy2wn3jJPG37JFaGL5W6Nr5QP1lqFjQgueppbNAgAGMio3LOLLJiRJs0JtVLjlOu7akHBj7p5lGdl51t5Y6gU7fx3QGdNbL6k/OtmEOc2nU7eGCNZzn3qf1p4JFBVTcoGQhSyMuPR8vzyPRynkg718dchUBikWzJ9JSlE3wxyzr1yKTAqSFf83CJA4+4PjOiQQ2hlTDTbOh00ApuT8bLN1rqI7kWDkPdLfeyyeTRD7oCxhEkiDPjUZGqfolOHcRU62Z9CwBjDHQi9k0puyfuKFk+bJKq7cL6iMI42mCHulRo45mi0FujanL19nd5fwdx7WSRt0DBiBnK8459F/j8xnDYoiHOj8L1MJ3p+iwqCruKxrq/OkZl7Rz6XGI4n7czp5y1fTcjwBE/JzJ+psySckKT01vmmHS6GPBXw7pgLI3A1j175Q3J10bHoXf+MXE800K+L02DhRsRAajx980C3dBQKgYx42PpCWQ9RT0Rl3yMDckFufmOzu0iLT/Gt1Dxy35jMWBfS47f2ESOrnyXhFEhMb8EtSFfWPjzP/S476uDEDH4fDPVfsU0XM0wJWNg39icQCp9ofUffsSR4mKoY+RzFfv2/e4IeLetq8CbpVgM0pTe6+qqQ7V8TBh8I9eXc6q6T5JvDo/GFrZIRtpEoYNQiXxVPXZP9T1m7qsR0g82YxdAlkxoigty2ZW3EcwTvSrCcBUzxlPd8D0r2fLUG/mXuadCOuamZwAmb/ij//GRHAeA0UhZRdsIgkMJ6jq5+SzsOUp+Pch8xO2fAKMzhsrsfhS7ux/QfZe4BewWZRbzECp6O7qId2osJhPwZgqt/xnzYwZXWb7za62/orZmXD4qyYZk6qW7JlGXk2bTijFsgZvQz8HqcQv+UEHVD65/WWLZFgN9c+GIDERBeDKIaOVNPtjZo+Lo2eywkWpH9stulwYqEQWNE6hVBP8jHyGSbsPxpcjWuBNCMpX8Or9cipB/T6mwIpyxm8rbvXf1g/qawIPtZOGqrdJeJCVyZQg2GdQyWOI3C50rl++bSu4IacwpBxhWkV8AXZSXd6vdUvKjIjBN77pdtxMm0GKyb+5Vd+BC3KDiAOLSkpNJOlW7TmrIvhnczAu6VSlD/CyfJcZ+c3afSLr6x9td1LcK3sMQ1dNyTjETUpDgSVmSRDy7n/Ch/prOSuYK55VVtqd3sTTYeZE/rWtvDfY14e9vIaLyQg/U2fMiMFUFhNh+8TJfxZFeqiCMm11YLXR9sl8B56+tKD4bWspsroRUEyYfIthSWqkyuqUmc/1LcsKKpNlAtYcjWw/SCWracVfvR3Inqkj3N8kJYR3EIdNGCrTMl6q2lScsJO81RMxf28+R9Vz6YsIwsGBSwerOQWvgqs2gTyUvWAKVgUrXqzffGArzojQN9+huJ1B1WHUvooty1EoqZUW+kb/roV5PdH5l1pZJ0DhLDkvzdOGAtyM5lMlSMi2jq+jyKbC6qgHngNtaoccyEe+HPpgI1XC2j2W9Wy2beS9k8RrUJ3rSSKMvhmJ320awKojtQQC3jMm3o2OQIfxVPpCcQkouerujgvX8ukyB5rrrwDfftwD7UmmDrhrNcyQQIDU8Ik0JaBM/oBXmeKgJllmCjV7jioS+W0yukV6Q+bf4ZF24ZxVDAXHVvonOjgNFK/D3xAnnk/8Mq1sS4CptAV4f+04rrE5W+z+P8lVekstOgnWuZzrzA0Ixh+xLifwc4xAEmvZHOkSkzzbR8Ky7KkFPBEFVhjL6Djar32qj6d6cwjaP8/jhZdl5Arwws7w2akXsq0Wbzk0KqonSIW/J0TCLn7D1yyXqZ5XjD9GWdTGezRJ9H9I4ORlfeHXYqmInjxQlnGiJq+SRXElGxjq2qF/sxmOrtQ82ATz7h+IkXRA+32YaFyC1cOhIa9I5oVA8d5HJENAka2IJwZ0XIa0MpHp7wp8YKSaxe0QN6cVp5uiWVVvW25jJn3tK/BXTn71OXKKkMaehvCNp+WxsTKVWGMZng/lEWDwc0m4rDkHKANL+4uLeFyZ3eb0eWUUQWGpV5AS6E/2Hqq87LL0U3lwvnQaUmJ7YGWvgIpZZ0EIkVEtXPidFh+K33Axp+wzxkM0XDGovldga/zGmG+yo6l1gepzVMlM1uFis8ODwFN2z+PrOBID1uMAoc9/LGmYgj9YcTNRq1vt/AEEs0U4MkB6Kw/c0W/TJAYvX7NekLevL9xH6YxGT2o5pw3PGNE9q2/ft1BnM97VS+jisbpyrnk7sp28Yju4r044y62aQGb5+d7kVdNJkwHnJZvDW4dfMG0cwpfBvUCJCA3fA0/ADZVUCDYbGShtVkh9Q/2GXUMllBtiV+nmgFFK+GnfpPpnTDxUk5CeZnDMLRZTS9O2KRTIao2AemrV477dmnPDVgafr2oXSHvmLmTNSKcDhwVF2ZMLi/xsIaoJinnJa7FMIfv4bq357S7wesjPZb2UuwbjsEyIjmy2xl7SjMfOHvYV+3G5DOMak0PLF9KC/zEsWnZtub1wy0cytVW8m9+HnNbzb3Qaybvo/ERVdx+36rslPFbwr8kpGHK+qqdacISgAVkzgRFr8Urlh6jUrMlMro1YkcnSAFv2ZhCEC4lc79Yi2lryyudL9qAHWfRqReIcMDWekaDKdEGPyKWxRMGGHGL34ZF5BVw4F6kHr8WJwF8BQnOga4Ule6Iu7IEo8rHYnQmfWq4cjUO/QM7jtxNLxNtwAjuK9Q0kDvg1mkbUK0yFvbc/d6I0tY/idS4nq/DlNrYX295Lg5WQSopiAy/JTK7ZnlRF6S10eHtev7+YvU0a50qHxT3wtVclYxTVz7guUQDOsXNMLlqHotx3xvj96h0+UfEygd70zF2tYgEs1x7QlbA75r5Rg0GbIUAugpxf7F6RpCvBdl5/kKqsM4j1/JKi233htEkQKdZVrqxvQjXB/ncXeCdNGij5LA4nS/VdEEv5/TacKJyvRwd/p7GpUmZsEcndSeMdoRE6A+PkRVUpOWyItWS7z6M0yuXqRihSKqCIzkR9Hx6l/k2a8lO/2cQFJB8KV4UJKlw1YEBI3hFhJsBbNPZ0LDigVHoxsGOCZBb5g+P91d7JS230SGK52Y9E/vu+WrKqqnHUP0EtwPxbbhdZo1Q8Yxc3OHjqJxZSehQPfSRAywa1FUBSiknn74W8r4kEAVn9ejic8T1h7DBLqomKE40/7DcWOBzgZVksp6V77PSY+WY9rJE5ENXmuxUNcRQIIN8Nptj03WEpXpud+ceCtNX2vJhvQ47zbTCT4qfbgLdovhlXp3FtR8kQO0i+plDkdSVod3SH/Lac6iDuS3drCq+Tf9dWuKjkrbMjwvKIi5XF0+t0Z43P6Wvgq4+ygLEFIvGOfiEf71mYxW3LyIKdBLFTgcG7QdgO5+QvqKAw5lpNxF+OuJNrXh72WsoMSITiTN5oJruVx5DGxkxmDviQ/GEfoMH/KjPo7/wBY0uubcEr67mrpGYsq4or1LnBz5jJfYSaokJaXyTrUN61DHshFUEQHqe8/CihPngJW2mtL+s6cXGx4oVmh3hjliTg5s4aMOqgzyIH2A0uvgvCdA2puGmKkKcKnj0UtKA3zq0f7AKvHG1Xz8p22BmXu0Mw+lpE+3GQbFLch3pa9Sgas+O27MC0xuND8sy17Rc4hGtkxrRED35V/duJCE48nsjKNxhcAH5RkPyc7rS7wPz1UHPvPr2ApX+P+mf3+4fF6YDS0cgStsXzP1tecSKkWiJeyd7sZPariutFEhpX+cr1PDjezb6TAvaXX0dVjdM6z9KyjrYnrN+wXga772Fc54WBRbqe0GSU8MB4lJJZAEumh+p9CXMVk2fhWMhwDFfIFCrYDx764c3MhkVBdvcClbiDXvV5MBVrQKoC/pqXEnlJ8bZP7Oj968SjeYJo1K2zd1+GaDx6o4DdzVG2fzH7+mKPKSweSbnsr0WjKJvagbbmST7MJGHR0oN3Uh3W8O6EKyON83ytXmLR6b+0y/ujoHfaRWHVKQOKypUsjQBtjGx9vQ+Ja5RsdG2K15fNykZxKzQwd2bCVCd4nAAqWb0G1+fXzHRL9crDP2VZOE7qayFRFxCu8K3dGxDa9Cv/26cRjDfJtU17rKJrDoRxbEt6tu6Lna1pco5LyyOXcmo56adQvxwolkVGaEffy5iqpEvgvJJxelbfR1voyLioxV4QLmWQTjaNlbP+nVOjOeRHl0GM3lE3pploZQEUeoGqvFn9AuLAD+4YyswYbjhx+2FhUke8g9vJX94faHP5iTQ6tMlg/gH58c/KQnZeZyXaZgI28sHDKkAPvV8jFpZN82X052naBgVoeoZwb4nn/ISsTTEFMgYKkM8IFB7osa2hVMRVXIgD5w9guRNm52/4NsXhLcTKfgpAYvA2DXi1ygsSYKXZCE2KyhyswgvIw1LKqhfCLbjqTCr4tiN0+NaV6Q7mJbb18cYbMqdUd0hCBO4dDEgS3BXdmPADIcOFOrFourXsHne5QAxkBNlx9nvbvjVG7YP93OthhZPP0Ldy2Rvo6M9cbL6A6jsIHeOGHPvTHU1XcfVpdEgyYKnMqXVxORo806u/vA87aKLkRCE5MhvuhGVp06B4+8Ylj9pzveiGpCqIVE116GzfCABVdnXwXnznrTSRVYRJ3BWNKzK9DA4C0XZ8IhzqIoZImbt/GySz75dgSrQNN4LwU1fOvPNcDL8MMedGPRec6tJJ9gOK2V8gd036uzsDrwa3nZPnH41AHnYX2VgMHjIxqzKjJXf+HteI9Ts9sMia+Vkn1hD0nrCOUxNh0JLbaNGuPKMZe6HCq5AUTl5jp0YohlV9l88pT/NURo/sikH+Qd7/s1TQrlY65cXxUaf+CzrXEGGErgKb2H425wuHHEz61jRn/bM4vUV2w1TPGwDVJWIrSkv/xPWCL8dqiV3o/hDToLEqySEtbK9e9moXKdDcLOOWEhSI5gcOrdjikrhEgY8DPuaJeQE+SWjUHKssjH0On8xGQlgsKfN0q2Gs3QorBrmrFBZWyHRQi63A5Sx7c+aH+PG3Y21LHm7CGaAoH9vr3IqJV7QmayPJf32jSj6SY+JsC1DQJl627v5vRZ7MgS3D+5MVAqiF4FLJOjhZdpDwCmM59ojH8zCixA5hvHKe2WPVeJGmy4eTdFgAY12JgesZ8kSMj/261+NEYuB5X7GjK7PqDoybrtntjMZHS5BPb90mFMK8H2SLeU7/SuRAvc8e/x29DXl6CagMfcKqXf8mEnF9VBohJMPAPL8VNXx3rrm8l828WKHS3Ep1nlCKyKY7Tnp3dXahpAp/20gQ/HHV3hnkoxb6EHCnpeznFn3HlfpC/fZAwTfSMeahJJ1ZDFsqLk8DIP/RRS7MDO9HucEzDjfUTacM4eQhCAs61BADI38TNolRvkLXFZyx3IEHX3ksQ1x3s4/e60/wk99NoD4s2w33/2bDAVVpRTdEyzIqzPg65Id7ZQe1aA+D7nrfQRIejV5rdRAPGRqyUlJD1yHC/+V0uTdcy7jO2mn76JCrbVUv2d1ZR9nGKx53KzyPR49Y/4viBS7QyPS302Lp4V0cAWHBNhZHQ3uZiKsMMLmrtvAs7L2iUYYNaxdAYKEdVALxJocP31xogY3dvznlZ5G1WY1KEYlQVgDjQ6EALLhCDi/3ci0qLz9F2n9qN8JuBjZhTQOzW63DQPc989ZSjtOr7Awiu4AkEPgxJ9T0gfMmGWwrxG5wnsve+Ow2wmX0iUtDaTqJLGeCKbuYNB+onxWHZwnNyr0EgyjcKUr8p4L+pjWRi/jxEyAGQg1iYVMkYRGq7lJJQmVdRHOE7DaKuy0m8pyaYfLKA300vmYPPQF/2owyqhn9AeGhGhGWD3YMc6ynB0EhYkDnv3hB6gQ2nf1bo3jX5xbcTgUX+pj6dXU6zTSJA6Pu5VQ/TWcMvDsucVdADDusutu1t1tbG0GfwiGHg9EEXXvFP71SXVMtC7tncjJ6Xx/iIu+W0J/4dzcTjuaEPC8f549aVDsTX7XF65WH6ax1EskiAwkhpaRSeHbFEmnCzAozskgE5+8mp1R4ALqffCgqDmu9ahsQsc1MF7HNnBnT+kCMB8zlC5Iv+p0l+5Rwxk0MCzFiMehBhpvcOHDFP6vdphGTTgmS41AOkR1sRraQ+Roa/Ip5XDq8QLF9XkWNdySGwkCgMqOGuhb/JKuA+CsoyMjDAGjAoYv1qUqQgWMBjBXIQJQGPhTHGGn9KlvpHAjJLJNcq0zGFgMVQM0in6m50beXCZhWbLFbsW2dzolsN/A3KShhWVt1EN8KtP3SGwrWRPMP5aP3yHAdKkk5JUfNTaboeR9uSOn70qBfLTA5bopEkY+rU48ROMVpdek3YGpoOqP7FbrCCxnLDyYu1s+Nl/Q0/OSR1GWtaZjyYNdOELnEO3rOZhAIz4rUgsbejXd8f1N3h37GseUHJ3TWfSilcwQZgjjFTWzRqvdw1EJt04wDV2XT3BgkoKPaTgVKOk085DmTlQBZ99ybAWsXIGh0HA8AtGKjfcmtpYdkRUtUCDpcsV4IW5WD1jf4s1VsZz3XXjBOjpGwIeoViXRm9QoZrJoQyJ33gnFQRJdt/eT3cIN+T6JYK/HrhqHEGQUq9A2X4rGnmtVgMxid8pnGveD5jsR52Jre6farXHxoxdXNkfH2C/ItKfdI0nLimnljccwa52KM8ki8JD8AlbX3CjkAkTCgPtvaUDOIrBLD4HLsroIDoTV4H577ICGYIuI6K8NtUdd2ugSlw12Ge+3JUMCaiPoM/gaqwNIUVt1BuSXPdkrt4PCibYdnw9d/P60BJNT1JVrITVlSyUM8Lgsdo38fSH8bvaZOuNA3BIYHlMQgPz0hdAiJr+wqCO9cGQAABWSIG+B4LfkdT9xPM6rwrVStzPukXFQxbfYqHQ7mkJGXEVgmIQA0N56UBHEgSCzeFiOtIz0uOFPC3lkqSjHC4uqfv1E317NoYXWUyeSGBl4cZUjg/+OKvTo/CB2W5E8RqkfYXybI5D76x+0Fqix6AlpkZqYrzPX+f5W/we5y9RHK0o/+GAZocg82lX4CWlfKdy72OPHdbQmvCp9mlX4WxWgoMNMNm0MMSSn3oXJX5RfbY/T3SbE++3Yn3J53CFice4FT2j1ib5lN4yyaDfCRv38qjK3GJAZiorOkoAmNeuljMdjEw3Y0jEpu4hKABBwMJwRAsEUAZiHGKQOEmd/WsDbgU0kIa74y48h0uwG3/zRB3RVNpriuoR3DpRmAHmzfjS1V6Ya9gGKMaDzjsDc31Mf4bmaa2WQXEc0fCVqQCm+dbKDhhjk6F+Y2pKnd6cszwF4807tN57eEaVFxdRqLCKa8YalKilx+gHiKOz3uMn0P8ratJMsgSVkugeuC4BLm/gPyV9PxjNFFAdj3FSJR8ZvEMpR+oO0vIdNzCarAqhSsYwLyv0mu9jc3ox2DPxVYjSxYWrAZIdtfDV4TMxuTYti1RxHBtPFmMKaiCpS7WrGODht2I79GRk4paX45EBCZ+J3MG4tS/4UzV8WDKkzq1W0N4lyE6Ycp1okoni/1oMsGvPovWfgJry+BAjagpqBWhmVkV2yea0zvgJDfI399O+fiqi9xOVVf1YhY8cZ4WKyVho5e+tsWHW73Z5xc4DZ1ct919cP/0M+Tlbp4y2Uliez+JLaQ8xRh0SyXaK9ia6FU9x5KuSJcpFgcklkpolN7oAarCLLH6SzeHtm//SZl4VbSTximXpD+xK3V3Ta5fGKnUzH3xN4am0Ax641yWXJI12IN26U/emTC2O5B+29SdgF4mQy/bihNJvItNg0WQmAGYKPRTiX/4xsoK2dPu2nnyUl/oUI9EYbOUTpepBp4QMZCT959iyBY4QvA0HYsOTsF6IYvcfEe9ibWVJdSGFOAATohYPL8axDZMrHAuWvMR+QjnUxP1csJUukyrMakGggegsDvpg6/DS52fmK1Hsihg4R99+rqjftfYD73dVkQFFjEuaEWPz7EKv05Rs49RLZW5wYkWSecC8mwr1cQuP+jklzUYHoCvZ3KUUraMJuTB3qQSkcbIAye/bsra08bCmWS0Z3bhbSR43JVFwZ5IRVCpuEfPMVyhLSpfbrIhWrJOhxIeUU3BHFBJwpoZl/rxxtjCMHR0qGA6oiZE8UncBgl4X+W+hZNq1ruJyALbUqPJiKsSmP2XSS5QbJtjAWy5mJVnbj9KixQ3chK8/2RBGdAPCKv3Hh56UW6j/x5nlJr9tE7x5/LbWixZwNlZ/yq3vr92MpHZICN7TdGOpLSC/DpnRYZOKwfu4uNqnScf6DB+ASQCr5QUToa//2xSkIymD5W6y3VQ/EXekToaE3N54VLKZhfxtJg+94vHjdePToiDQb/zkV47OPjCt+woMqJ5+8JfdBhUuF/InBVHRQUPfrBYw8YtSx6YdSC2EF7eGkS08nKFdqCC52Rncb+38TLA0HoqN04LGNRCNUvdBzuOX8UKId0dY7+QyUyqEDj+SMi3+L7OjC5VzJz7hFkaYudzAh4IOpFU0jTCKuN3nQiRi4f63gQlENpwXMmQuk5LKghe5jJogKojNUOjlXQRfkYvyKtP8VHDyDfs4fDzMI5C/eH0ilGu/YnKxk8/Y56apPebwohz4I8yCFS3Xb3ruQXKFeq30AHGdRvXHkauYucDQSxXhPdsHgs6GAu7gMlLvq/TjFMiIIGx2j03GgjU1JVFm+tifhVqjEyaMWB8/0x5rPaULdz6VBMnKCUF+YJTqNkb4CAWMQEp5VoP/JTKzeQ9DAGSV9PpyTyQbGAMg3rt7mDbRNz60pG8T14kbYLkNhOD8vuGVm0U2HUAWduZ+pxMkjSxZGcvRbYZ3HOpdwl0GWOxdAPxr1HIc+V9U0LkY0DtUAEtAUaAxnb8LtWz+YNCPhYE+7g1unpDontI0wJ4UAAeE0i/LE7L5SBBe9uuGuoqnPBba6S5HuVDfUFWQnCuFT8YcYoy6m/KiWDsarrIm7JLusqCjPVY7xL8rWL2QrKaVJAaqKlOg6PXAG2WiHxnlpWiGwylnrwCNYIAtBoIta0DcWBsn7FXU+tx1F0wnfHon6UCyD9wdobzl1RTOFWnIV/TnkUXJCz/KbQgRABchPLxvwBv0MMnfOrWLzFTBgpAfbV4E/lvPAp9TcqNC2zfOT2Ju1suz0lx22oxI6ABEETlcf9F41xI3BOwRVpw39PMTmAtPlnYW9GcmnYTl+611Z7vvvAcMVbFH5O1rXKURmkYtsInsgquoa+aI7euJlecyI2d3wwhkplyl8k0SIO/s10LJ0KhaNXWk2zrdYbw89u1hNeETYI/L0lFJ4N+VJQSJ6tfDWpx3kdsmtKvtHSHGnoagsVHLWu5BYat6WAAKY/8tXrtEVLi8cOj+5pIbP5iYL/vCEtAOLbkxSRAHwAA2d4IOfJsNBuk8rBUu7Zg1r8HUV7iQDbmnnaNotuvXwig1t86MGDbtM9FcN5+MIdTHcEYWR9xB36EEGdje5j6lJgMTbVMqDlCJS5tto7nXgt50+B9tMohpuGNGV5Bo7rgRrJD40s9cVgHL97IBNYAqleU7ZSsMJj8iV+cjq7Ji64xX7T49qmfnenZQ3JW02gua++UUruhvdlDg+VYQs7sdz9ZY1f2OYKJhfauXLFEHw6I5CiVOGXxkZ/VbSlc1keeBdjiEwkcOkK3b4PE+rwGSkTon4VFehoIcxIXdbYWpfEVV34sbKgF7/8JsNmDQTENQywV4O6YE4xX3QRhV0yBvxNJQxacXqop8v4i6A+Y5idQtD93B+VUV/ewyQsqGV+Z3Zwy7sPBTNfxvKk79dqV6ZJs7mfsKL56zkUV6CI90ICPYsSCom6LhtXkQ/H/NP7CFw8O34HcPVjcgmoSM/RGSMzWIofK2snsRk9fOcc2d7HcxogWjuWimGi9J0O04RSpGG8g3LwOFGqtAFS+7TFWTAdzp/451+KemCJJx4j/riSNvJRsJlGwXMArkx7ooL0mxiCh416tMxZ5tTsi+mu925E+h+SvM89jR3U7kfqH4YodwD9R7G39Z+C6pXPeFrBHloJVv4pvmd5Vn6h6cbdalvQ50zjaLxEThoSItYIc5/1MpFWYe9q4g2kFa26ZAnZJerZvkY1yqnTieBuwPgMWKegeu18zheIZspGf5B/qHtlHYef6s7VX/ZMoA4T5X+CC+bspn/VTq7GEPj2ySw1GAiSRY1B3KcEYRmZRyfjtaAtiAMm78Cx1Jy1YVIPobSEEV0cnVC5D+1TD05FvXPCA0twN00TjoQpAsuwn9l70wXKcVB/VIs6zQlw3ee8Rx29SDENpst5HoKFJEUa7Bxhqcq6pOwiIDy+e8DXWMKn4UuFFIJ8oz+WQLNR6JRl6SW79QqE/nTDRbtHwVyRDj8uIN6iz8syn+J6sdzYlBBcOIzAgLoVFsiOSZ7VEV4A3osCnw8MoURl+gjZVlmuyOLQTjF/0gVAQ0Ry7ymqR22RNifClg/Y70mXhS7gUI1CZ3bHF68Nff3+BSseQYEIybHDiE/M8yaL11oozSR8+5C7fkGGhX+Q4ePD7IKVhi4RmMsX/8OnhORB9kC9/OiCAsxvAIALRJ4BND6I8+4L/OLjEcpMlnWQ7a7XQNd85etuH30WJeLIvVfJm5m3i+O1ktTlWMp5LxWO+HN3IvmqmUVImEJguawDUW3zZFaPDNz6mx/EKBJsi/qtsBby7AhufXxmBUv3uXzCFurTypl+/tkQ1ESe2wmm9Q/6WPpBX8GaP5Qud619aXycq43LT2fL+VMafGWkKjFuxigmZBffN3MJanmy0DUM1df3XWcXzXwTP9LOzi86nvz6CJF+eYi/lg4X1Rcub4O3vRRZVONZUsJirRgM3ZIG+/2sUkrB/NACxPpylM5BDmRqi8eD4Ue7RWcQagDIquKTnOdx4/Umhfkf76cYucYiH1LdQqz6nfwbsfCJa3laaPSJKMW9o3FyuM7VeWA+OZCBBAfSrNx1ga3NQxPxjOtufcWMlf3aN8X6QYDMVJINZoaTieh87pwfYZOU875M2rZPejWgcXGt2/euAl80xOHfF/1jlX7d4ZoTxY5uPGNbqvRiXAY/uPBC0lsglWlm7gV/kxA1vm4JrTl0vtY/OaPfZ32dSqCkTs7ifMC7uOxm0qrdyc2QXFNTGH5aSjiBZh0rIzwm9DjetdE0J83ykhmFnoBDHAPuDXfJS9QxwREqxdXmxY8jxDMQylS4oSGdOWZs+FV3sMRp4hUZA7zXMc2K7DREuAIr3f+wfPIq84hHNz+37thQ4wh0pO4CL1IlmD+1n5/QPLRFCoFpi6M4+66BjS58k0C3lw/g20PD1ZrRXQfLnj3YyE/b/ZsruJW1huyyHELpy0My9xL7wMruktY+aM6/NsB7sTSmBgHd6z1xirggAhd0qLCQu1ZIgl6unH9BIkbRaZe9YbkPLezUfS3Pgc66kpSHRo88uMc9r4UwzbhVQdvsh+npIh1NI3I+rSTTCKVcNZ8jetn+rI2VW3DofGwWylLETPKy4XvheoHPbXQA8pd/YC4Pz+fPl9e4v4udB2Qffht/Qf7fZa+kLapbhSfNS/j3w0iSHqiICD+IZwNKDIWmKNFvGzemPIA07ep9aA0LFNH2a30N5VImuistSQgxxtOykwYmePdmFcNaj1BA7OF9fb3QsXH1WhbjGYwL/pXkYxJbrPMJ1VJghVRfVnMdv8wliXrmB2ZkwN1q4nA+MOMkURrV5AcQ3As25DoZjl4adkFmH41HH8VEHzU1tJtdvJNzphsGumzakegS9qUTIG8B5mnpnaO3COtEyvnsbFahlwIFkY7Lp9frcbA4N/0c0JH09A34L41blagnTl7PrguWvaFdYO9T6sTclIsheIj2FLPeD8cG8BXZbVRy0JqHsFpJihLq1fMVXkAnlMCrgO9+/8aY5quQA85PVMwudNavQvcag+6vnIHFs9yEt6xuDMme/LkxnPJCAK7c7FiaMnW4favRWL0JZTTZUQVOzDFa4tYaq1vXEMpGCUKalpVgCCAXAVQS7/pukW7qLmHu+w8nNfbu2mdJoXBHGzBI3s2X+E9adDjK6YW2UYomV0i087F7yuptbjGsy5Urqm2xiNi09YYmbAxvhSjGp8DLzlYl7g+EwNoSCXLrJrUvQEc/+kawrEyoPMnSNIgYsyvj9oFavJ3oDoq1JqbjA5PU10vUoSKlfM1yXddSuGbrx1nRCbUX0zu7E6iE7WYUQwB+/U1WhuawgiTzzEMCS0z4NpQncQK78728x7aUXSXKa2DsaibwtZ/J15TQ79IHcmvETCCI/6VyqDT5jXf7Uqk2ipWrAzPBkLOfNWbTiQ9IVkr3ckiUq5rzNh1uj44l2szToM6Oz6kanYIUXItHhVWM2sNkYiQkJ8DzCPAlysnC9noNWvRuxqxbH75h2X8OnC6lVDPXD/RcenYrihK9ckKUD6w22vUjTC2TsWnk+JWwt+Y7IKyeDvM2NUSZy5kaU3UbB/rJsu8vtT2zBzpREwKjytPSS5kdyBFyD9m42RrBsHpIAtLrjfvmRaX1IhyXDiezDnvk9WNiuyp+jFK07ztM0xPnnLVey1pP83FzpduR2dNYYDnUqE2jB1hd3nrJszMznD3lmXAQfRuq0XDR8TCsQF9Q+GoqmA8jSkjBcoEkeUKC0xBasVIyiF3kdcfn/2KJgpt7gKuRxYxIZum68jlHYIkh4ElOK0tnWVbW7IHi22A62P9+FvrAF7ngNog2u9Vn2rxMacJatjQzjhVegdZcbGISPVJb1fvDrFFuCZuoJqVKN1C00sfdslCPS3UsR1shvbTn7rhjGnOU6nd6j91nq1yBQKtmtnShh0teLhCsRTXXqAlxNg3pi60H8n6r8bomBdnfosAD14N5QOGaJi5JcleHYqKY6TGzV6SSeKUFWwofPOqQJ5FQUBLXkiu2KeLtQ9rJh1i+Q1yqWrVd21Z8xORvwGD0L1XsI2+L2fPz8EeFTFsrLJR/6HuDxpz0u1JusdrWrH2kr7aeFL8TGKPgTx4JtrDaQw/rJE1aQe4A8/NY0MEmgaxI6XwUhUDVnqbVUmaYAtnRoPcmbxGj/UIBdbBzBfYGI74HX5714XbqffemLz/5+eMfocKAifPj2s8NEkpAs1K/Na3QA3WMUFjJxNh/w+7pM7SCezh3PF6FgWArc38FMwgNDsIe9Ghv7AETCbX4zrF5sPm5kefybdohIUa+i4cRDC0+vKmxoTZDS8p/mJX/8WUWLieco+eqQGuFiPAo1/GYZPGa8tb9OpkNTqMSX9FuXHNdlVEU4cAsK5NeJkmTKPzh/SkCQu7VWdtypqTZf/MifLuA3Ts9VTeqY2lS3N41tONgMU2mvH4LWICHVFysx3Z09AgUtZ1hVcDp7s3zsvcKZ1KNIF3gEITXJKo7eQtut7xULKeNWfnoHCWTw5SrN3YHlO1+Q8m9JgzeO3FurmJvYOzo7YTGhM1VijgDnhvOE35raPP5WqeFxRE+iHdmHuKSjqJxTknF76ibjEvP4yis3iRZxS362zcBv0hfIvI+g3bb0TQqhq6+9dYBrs2b1vcq/801KlqcmVtJbOApUfKi1p1jN/iNBlysztYG02xBtLK9rwKk+B8737N/39mbOw1v5TsCRc9OY7+LGAgXzOaKIJq2iwt2piIllQ3nhTxaqx6EgSrhC7r8eY33bqjrJcHP+xrW3ad1YhppLkjC3dtBA7iIwpZRP5GxLZIWgbUGxjxntvdaIRpOWvP60tWDujRZJg9dgmIsZzj0s4ViG/LJatiodhSs6pzHkgn+3J39gRdZDQDLjpTw1x4GFV2J6khlsuN/O3c45bnoIaRfQkIBtVZlTgTF65Jlp6YY7T+FOtiwWFeO6e6A21VHTa6l898qqKG8pHri28+kjf9wwMMDaACgH1nOitcDzcKFGZEuheGoYfn+XqtabfVWIv28Olp75oNuX6dRA0RJo+TJkGkNGf82KDcCRykC6i0DCFFhlOvWabf5GnBWqQHkKfBB/gOsiRykuJPYFbTMhvmrHFXDE3uTCGB+/QNqAruNVuMpqBywlwYnxu7RO5b04ZiCXpj6XteeXGqd90zaE9bfimsby4Ss3LcscmLyahr3AmXQMNob2Z6PrLwwgRWmcVRuwMkD8iUEPOmirQRdyt4UbR+UGuIfm2UGNCMusY+T9cigJZ5hoQBHuD3dPrPvK1m+29utvTSTpr01j5fl75jl1zxrh9SuZmOIP6AY/FiwzO691LEBMTS00EhW5OE9liz89mVYbcOSaOCwrRScB40L0m3VUyTf3OOXySjjz4eZY1+rrr4njdNcKN8pP5P4OLpm/4k1H5ffCZOTd0BhH/S708wukcI0D6O6Z9Vwz/BoBFacKLEiNCDkQowoFzH0gTawXO2ZxlaNXXup5STLVL0GeH6xqHs+9PETVRLnEtLCLlEQ6wwPKVdAKz478X2OSlO0p579ufAXnYNn72Gr2QPLLOCclnK0l1+ZHiRTrhPgwMWVwygggeeByXODx3La9ty5oDj4mGPxp+EyNDdWs9P4VciWCMU3PD1bfACmosMYtqjl/L6WzD2Dnh15Zx0VmsnFWzraC1Jgq7WLZUUNxp7ZuGB9GbQ6Xv/yUovoZuA5Loie0IcTNWQRRG9ngaG1QnRVgXphO83bitPjapOloPJUSgT3br541vqLy2G23SGGF/pUxTUXPksI73PDDb60tEQdcqtYGdOtliHFr4YOHYdA66U1kC8CtGE4sGhlxZY6bxymNQrgrjaKC8nIb062Z71PSuOf8KqQ8GeEsh7RieBrG2iuhlRjg0iD8OaRo11245FWHvI39ivC1q/+6A2ZTFfBvP3ZYeaepyrlUogSIfrtp3VyeaA44xZvG0nfj2QL7KH/NUFUHxZSLXRqkHeM2Ovm6howkEIOKKh3Qrf2l9GoxqM8LlDf1IBgY/bFFBGubihAFh5s/pt/I5pOXzJLGWXRR1tFsz9IP3lZQygklfO7Gx6Mk5TiTPwpcnxevf2udwE2dEzPHBv0Na1KFThNG4fCVJfi16A53X3BnOYLObOIYa4HpR4/kFCyMvoblIvIxQfQi3onZkVKc2xn+O33dCKX7QNlp6Ri95lxrmZmhX8RMQOcmBR7+4EKkrE57KOx4Vzd21Y9zGVNHhhjh3F/JI8fj2gakDTA+qS4txlu6TZkrpdG3KOZpLLZvCo9nXXD98vXfQfWHBiz2IPekgNa+X1PZpC5M7UBM2tfsLB/PirD4hkYC3b0cVob8+rKOA9P8odb3kK0Rwt/93zwAa4a02AjIFAJX38vFFY+rcXxxZp1ybqhy7wQ85xUJxa2KLZ5Fz0goGB0WuwMT3cIiXsOX5B3HX9i+/n6us7X4NDEFgd0EQwL5PHA447hJu9Sazdc49ewwoMMt2QtlbIPEhS0E3Y3AFxHNlnyV1mh+VfTcGw7Iy/1YbnUbC5MqxHBzIbUe4t2mDHPVcvK/vdcp8gE/HtgGfogh+5bXcne8aFIE3TFKj3Y0h3vV1RMohMRXd8n36SJCF4+gACFM2ksP070bJ87Q1jQov0t0gBjilIU6/pG6rpa3tScJYsCBT1MJh/wp1/iRnAR/IXMXaB4hAc66zECNWGBgJWar2SQEopZrKyT7AmNaslBRpjFWeaD5BMY6IAqhikkSCtipmIcLk90xbktGQzew+n8dnDh84KtwRneH3K7uhgauOZQzTWEzmh0MtZ+qKA2DEWoRWhwSdUZjiwMmoYzv9saGZpC6+GA/qor7QqE7VpwE2zMvA7CGMfVeOHtoct5xJMVDamb9BrbshE8AlTOfneT4AwtATzAUDlEWhhgdKasckDl3qCs302mercBdAR8gkzEhchzC1wZZ7YhqIGkFkD5lZmGXb5MX8LLEN97fdWH05wg3CsCHFrIuNnambWDk9c/zoyA+pb4obbOrZ2aglN9oBgGH7ODKmvi5JaZ292U8/TpjqAYjB0Rcx/RvmAjADaCEbmui92RUje2zD9va4tUHPS+kkDFvUdFQ9NGRpePQGQ3Y6Ienb1e+2d6/vCkYt2nhrjkPM/lQRgAMYMchS9YPJOpHkGZj/UTJavvuqoL5XetLWf2njrc3SdJW4MgH/7gYhN8z8RGh1bCLixD+QEjXhzCmb74+IBnvQerLU2Jsn+gW2I6ZGB9o+sZMqXP9SLp6zKX5XIJGF23y7h5WpYhBBakyQiPXyLu4xMt3gfx6E+UIFCNbpGTKN3jh3cVGxdeUdZDRBScvb6KdyjQYQ6CBjenCbeLGLMTtUqSo6ZmGFXUTe862Tci8RY7MXGHG7Ct/cN3rIQ5Ee8xQ4iBTyfmeVlvNkVLGxIli+jlxwvjmbgKotG+U5J6KgMjmVCZ6gn6ibrEPw6wwg/KpAikZTDGjZk/MKLn2M2x/qMVYN8Iyi9QP9Chuc0x/pTOBEoJhMdw0A/G55tIpOEisv6A8sWVy/K2ZUziBGi2/Rlkj93s8pa/ZGj/pPheFLnFFZNmLTYwJmJVpcDewgSVyRLEaGy7bAo2VayipXvsd4GKc5hFPkevmXYkas59EjTi7mL8+9wa5bQ7coJNuUQdQAOz5ZZx/wRPuhg/i51phh9OmVHlp88zrnMWtdu5LqRudrplipGKyydF/wHVHROvCvjh2DgfmqD/JFcN62L/fqnaf+Gl991imZoXCEV0xcmB3gbs9Nn3QXZ9xxfrUD5wbx4ro5bjoqO4UNdJl1doT+nmOh7ocSY79HgZpQgi2BO2bF7X1B9+kJjfQyXzTUHtuFFjbXstNMKM+8w+caQZRNDFJKf5QD4tMZYoiHfLsUzobfkdX++DxdVebCyFIxijrDMzD3bN2/deXNa/QCLPUOhi8utGcu1jLFXmKvYsprfc6Jcm0fH1juaRyUpzFRuhgttGt/dK6iQt0QzWZK/Bl7IeeK3CMabAURby7+PKVCEuI+7R/rhTaSEY8XsVe67xcEdjLli/+OFdGzj/Ruo/+3gv7I2B0lMg6ccpTNOX41t3zGyg1cUrhlb96R4DpDGGU3AqSNt4H7FA6r+Dv8IGGINH2jvoUp7FxyiQUiEHvjUHJv/gwtQCh8slDVr+aqhPV+ISUvjuRBF3LPEcxBVHTzaE/hCtp9Y6f8ZZsnRQChLciZtT6//Wdg8+xei0GavAQbmth/Z+PkbJuJULDFINk81gmb3aJ6uVoYmZ3hr/62m/lTw+PloOad+sGpBErt7RH0ZISwuC2ag7seJ3SqM1S6nXTvYfo8BZ7BrbONR8QU73v2S8+MVF51N3/FzNpG9QJbJ6kNrEUnRYSeLjtjxSfdiXh66Z2954qF1KkzSpR/4/V0rJy+SLHAGv6PmpVBJRnTOiBWAohIAqjEPq5ZgB6eMGjMQp6jTXgPqeuM3qhcgwhJ+eHwkBmhpnU7/7LzJo4JWF8HpM082uceUtDGi2Cf3x7oeGA8wXg/kzf95GBTgdqKIsdv4vCr+qP9iC0b/iYKTuDeRFswx3RBmMwpa9a5RYS/0MjV6+GLfyRwxp21wmJtr3yqeRNzsjBCGxRfgMdBYQFLVXopzGi27PhnJN+V680FCU5ob+rt8rDFEMLwv8Rq4jRk/jjLx/dPq3tFB607UY69SWXBmrWVsXA1ejzAw0zPDQWl+VeBoyb+FGJQkXTBfk5ZsM+/9XtDakW5rpbKC7uDKvBoWDVVZTamPm3iWBqDMf9KzRQ4/u/nfZc+qyUUWWledpQa+Zu2vT5qhLqeIBcvQkJypiKY2Wvh4VSsmA3xAW16CwvE1keMFUYPXE2rk9NcR1lSJGXz54YmfkULBRul/iGa521kuZtitMa0pHwn+UANuuC7iyo1htsQeAEEsm1cdI293W+HIbvczlO0hmR94aeVgN0jLubEQpbJ2hZuxaW6JcxOrME8hKDOOHieKTccxhmwIItlxQkoZZR2B2CJgZWT3OO/mhFf+wsduJqYUeCdF7OYXRTxvgMeSGMgPTqnkm5119C0p0rr7NJe0GTPpRB8eschEkr55af+0wiCv8nPtqKm4jizJFCxVXZfGukQMYrxELP6pxGaPT1GO5oHQmLXLEz+vGMRIzqc0n12DBx3EKgrRiSjniQ+SzPemltkxQr/AU0yac4KL364XiHZuETgsktGf1cAj96iQFMgyvoXob0J/vBs+nkqTMVwdkA2nDoPC6GcjL3AYo37Oomm7v6GoGKPahclOHbAWJ2FxPzKj2S3SBrrSjKlCAgPn5S/ZjDxmkEzqtdmMS5WsP9iQvY+lIV9w1lPp7hMSpQ5ENru9hAP/MhmIQIn2uFfgGZT4i/c5xlELUG6DuJAaIFZqvQF8MqwgK0tB0q9YlCn++zT09uRnzbC0QPYoc9Z2T9GTFezOUOEyopZlkCQjXbvRK5vAP1xR2tMoNMSld/1t6sUYTMAf86fbzUEnVaoymuNFRiCkR13GwVkmIpvVh4e97WH4j+715xQd7C9ZNfejUZBt75J3oy4GKqbDc+TTT61XZTlQ1CLU1GEb/wrCeG2v4jTaxFi4cZ9LwwXejtcsH6AD0E0rkS6/GXL6QdDgDh7I2Z78p0JDmQQ4mucJpKpJ5EKuXtyOF0Me890tVhKO2LFSiGuYIO0XuffVNcxyICifiCR8/qu09AWICUpzlsKkcTVtUCbixIm1YX/87gItqRZOdc9uuGE4WSS4EPENUaSpUrM2SKzRlEMYA6ge+APpEo155L7QVhj0v5Ac5QtD+qB67JskmieAC4Op+BQGAZaKIWv3w3tn65VzP2CnokJiTyNLXW//AzfstQY/3Reen6psv39+x45/3n8ditGNcaYuDGFgGBCfJVS4sSQ/7aCenOBl9C9VgUzjQjlqvTphLn66jlD9eSQ9uG5Hb7wv5tAOnf3GYF7SmAlwWu6cub/ThSOdzT/6FRNfCf839sfHwBTPmexEOfTgzQ8Bk01hBdyvsc731Dp1ySye+0gZ0TqWh9wsPVMNoc4+ZdUOz/qgGkCoXQ/y4aQ8E0Ic5miMZ08g7vVSElFri9XhblkeLsmJVqSqjdhNXBMRy4mHoxSjz/OwusamhOWv304ymTyGMvDc1jWwZTCWXyuSwh/ES37VFiNmn+LQdjCjh5fDXckpwy0UMaGl9FtKlxs88XKbaVyqPjc3qJBm0OpGrkASo7yNzAlps88MLy5JeC9q2dIxoNNL3x8Rnm+tnzdlHaP6ZIkr8Edexwrq+05NZNB2NzDU4hYIjbfMyK40scC4atXJNNEjNZdp2eT/y3/HAs99ebR0xc3GdOd/36wkhQIdTmpdQIlJlXtD4Wj1Fdg4L+gVwBpVLKaEMzr5MjYL3VjvSQE0cLNmLdBYpBGhe/RhFSYzuDQolXjphmPVEbJmqNmItiBsq//r5A1IjgmKimp6+vAFZgTjhJANn4prPw86DxvNbdqLoPeL+lnE4EQH1xVe2QiZBFHx6nJU5rii3O9npfBuX/9A/0k5i6EG2S+UHmA466g0rMzk22HXHHvc/iD6vmGk3GBPeEwOCMxpeTVPAu1BK2K38HxPhDPOcpoHGpGXIP4zB3awzAhiGMqgeqObSSANBSqt/CsoMs6L+KpdaNCVV1+cHTgNRXB0S0hRxziwiSSv3W89+sktIE+7Z8HdegE2sbQcBOBJ7N8utyZfSPWG54+1ZwA5GesiCwti0ppk0NF2EzBTkDTzmZ15BdkbOfgow6yWSWDPIdHzmsAt+eVtMvFgNSPY8MX+hFAjzQJgr7Fsxexu1aehA3GUg+x1NEaqjZA2vqk+7zbsAdozmk9AlbdLZ4VIJpZHtgc0r1ZXxYUWwCXiESRdOtPxGSqv7z30uJxKnPk9z2on5HrreFle2KyQcqMlBi33fiNjm7ql/sJF3EIQBmwM9PW/r3476Pq0W1+K6bAT0F8+b52CeKKARTYS2An8838DZHT7LKNhsbIY6ADje5JADfMn1HxDNMwxeEf58hP0Zurw6EVBvfpeldPEGds3hyq39sOujEQW2rCewokv6wTZIAOmkgjS5eR7f0FItx5D8XrfMdQJF+yeRC7ODyrPTEE4pe1CaxpY/DkrpghJQbufKg5kUoh8BoHtP/O+0yHNZ+8ec0bsHsmQZNLFQd2K6JhqL7d/mHHP9W3DCo7M/9VfxizZ1LyBZC0he/BOvw3p3UYoTX6jL9mD7LweLfRPEcmesWWAKJI46FE3aCJO6LXr88wAhfz61pz/vN1XopL+LrFQEtF11j7/XvAM/JFTnvmrc5tIAuOtRGqP2vaWvAkzPdRyefa17UFADr1BX01BRxSeKEb+D7NSSH6TpNuSo4keeTReT1R0KiLhCrih8OUg+r9/pin/R5c2KXKZ0ZwjvTD1f+7yRG0+BksLW1spefloej62s4gC4GEGJDbdkQsDlHp9OkWpowoNAQBWfiAqt0CWm+G2gceYV+6Pccq/RuZLfYCjXuDSHpnTzsZa8OWsLnb64Mz7YwQsODjZXGOj0BKtv/ubzp13UfHnnozmG1ZybVXcq/aH38M53Qhy+zWWk28VAHf2gj/Rw+24Q2KkcBKq0zwVTuzzOaQ95ughI7pCQT5fDT1IQS9cQMbQ0KTFHXDDbKAE2nNiCEEYf0OHUbYr5Dz4DnRV68L3ginNDxmlE8fJPXgrVKlUvd7vqGlE2ZinaXjWuf9AczWWPhDLAC3NIen+Hnfe4wrQEDQDGwnyShjJ5nRr8ZtTxGG9J1d+1BXWND9zvsyPXlxtfKEEwNLtJYzL2BGBbtBixpCA/QX9KdxCAAJZYSTE8GuBeOORG0PZBaYp8jLH6h/OsTxfbKiFbuTFfZE8UuFKxQNLkAa6SAsRZUp+fzDMt6yBngXMefYUPPV9WZ4VYyJKy31VwXMKtYO8RaTty9skC/V3LweFhZlIZTMbLEpD8BuOQRMBYLvUFBiqt+AB0B0T9jKyv2/JIU4W1Ghh1/94iIOLppta7X5EMjQ6XfbK0r66iBnua8egaTQOHbBdUBPExTDKPqLaE+eXuQ6yRTSl90eRoZMIyt5CHF1oa1LaHpkPCGP97j9ANoyCpAy0MYPrn+gCVntIkAFRYRYeei0NrY+4Y49SLfVVLqG9NADHzR6X56BEeJ8eCqynlc1ZA3nJt/vN+od/Ib1cgDJmumqkdIa6rauhtOYV1qrckxRN6kMFKWjQEz9BfMbcA4C8/tPXR8MI0EDyzI61H8otOXTTI2512WJTXE8MYY1pfBNLWbYYAxD2Q+MQIl9k+VC9cUhkuvgaERep9w9U7G5g9XMgowDwzA4Fsgop1blv3itETLW+sLODSjlvltGgs7WQr3H+yAhrCNigXQjdI8m2PN7gqeVqlOwo7yutGvK+vbPuHQJe9DPY0byZJkT54MwoHXoOX9sPDOdtnQHh1Eorekse+IkhKNzuVP9X2OUa1Uc3KusmG+VzykI3N770ZiI/blI2mAwv+r86QU4SePMLpfA22C7WLM2txyXFetwkzZT9KzcDbZRPTxIuVAk07vHtbjnj4LEuur++d6/FvS7r0wLrAH9q4HzE2VihAOTdRv7YXLGOoxVfkG+ZIP5gAv7js0Tfmw4x/0ItMUhq6lDF/+0Qg7ANhIdbaENBa486SmzV2neoxWbFMI9UEsUUDrqU+8k5/6pgo59juZU5YXqYECkc0xM67/N2HoVx19thQ5r4F8d/YWuVX00eM/fNJ83mZmSjbIS53xrXnhcXx3iiPYn7wzFppjJKIZQjyhx/YzDLLBRmSS8jgynyggiMvgq7+xzbGQW3VuFKDCNZlBHK322LdWKxy8ig170XQ5YVIbw2du9rnL1oCVr0NwKQqn2LLrErSwhvSncTCQlcBBrYuGbjCT1y6FUbDOKjmyQisZrCZzbJp1F4+JqaQqBwJyvYjpOr7XI5f1Yvaf5XIvmzDkAyXKkXoUozN+pt+uMIoHmF1qh0CZw9IR5SnGlwhI/qhA13W2iKPlYAfkZXLuRUtplPUjHoLbbBidDcDgb4Qd7w55DQWVdirhEvE8Z2B0/gsCxbVrfkYrBXlGB3157bXKnFYhtf9EsC/lXh80/pLHfmmx17ZWeH1kLIjdx41RZJVlC6v/1ybmVhNqjR5riO28iCVk5oFBogTlkJhc74T7CTqa3RTUWmvC4xAQZ6KpxLCZjioVt4PCWHdfS0zpX7p/ybd2UCakY7qTI7F1uLKuzQbmXJRqUHr19WRaH/gDNWAYo9wwwKn1FyR4FjhcdpCmKpTu7mm2GRe3oId971z9KCJTLgReEjWAD77vxSIyx35L6c7+9AxxexY34PFi6pbUWVTJQJMC65EOp5NSvvx7+p1YqrFEyMswsRJBZFK8WMGj7LfYA4sYXhnWEm9ELBUywWh3uWRCzENzwLbwlDEtXZMxG+lc8TDnbhWmTw49raycso3ryA01vOr28oT94nZQkm5ccyutMxz6Nh1sXr8XAjQxnq7TeGAk0RBl6T/FGxLwGuCghs6gJQ23IsiZQrIPjS4hpaP0QSNWTTAi2z10rkghAJjnaMYvf0jDy6IQmSmXOm0aO4boeP36m92gXoV61XNk4BK+V1RhfX6iMtA3nEMVoGIzxuREdVqU3IoxL/FTi8nUxTBPDv0RWW7dSVIzSuDAeVeOni7vt/15SljfkI/T2jp2X2L4+Q7X1eiiwYTgHOBEJU9f0K8yWTrVZGEVJ6lOuwGiUfp+a+g1EerBbDHRj7Z+KLfBgeZwoJcYLR7C+nPBdPsUhBBgJWYLNkKiCrZdf93yDIPfHYBcGmmeZyaSK/rh1lQljEqFCEmE1UzeVuApWFoMBgRtAnkIf/6ySaMODoV9S5PRB6CZHMiRVNEI3zNPcEIDSRdnwe7O78NF48AWKVxXBQhcq2uGBNamY8KrfUEmcbeob9gptuVenbAquVSijloizk7n/OkMulJkTR49xRpQGBz3TzoVJ4aFhiQ3fL3X0kSyLscye+d98szOUEtY5vBS7gwo6gm6qBwcBWiQAHDoLqepZOS+u+CVwU4nja/odP3EtmxBbVLm/1QyWFD7+HTV496jkPIk+e5BZ/SMIgzBDY4EXuefCJks5z5vyi6CS2K4+omfgImaAHlXH6NhVJhFJSs2EidJk+PSmExChJlUBlcQbtbz6uTr//6DN2Z7g9493rYzMB6Cvg0M/pjBMwurLRDnZfHq7qm2dmA5fxnQsZcdpmSf8XDLs7MjZ1INPsHt4fjLvVWeQM3ZBYh/8uX/hcXLt1JDou2PuGzGVJOfp4tX2Q8EEQe6wiBPouxVkk46flZbD47SoSTd1xaURrxmM1EczBnHxkLs+ONnIZocaj5E90X4/ShQ7hwifLBKmS3Erh0ngkpz3z3H5AkfC/JzOTPiKiJLgwJIRyyWpe0M20SIAz+MTL5u6mlfEs1odQq22Kzv432aveiC/k29+1jmxJlZYTsoXf14g6InGomt9/FpK53oelOSMRS6ZK5Ii8yH1SW2nvBb8qeiECHo60Xa1NwTGCwaBNQ6O5Z4yBa/JN5jk+yFD6mZuA2SCBmPTiHp1sY17OUqaUU2aVs1Exeurk0ZqrBBmBQ/NfVtCTM+qEptcAIMY8Jv/kpR+iuafhS2gJ+xqAoNjwgHldPidSpMA2/vjJ0mUT7Gf2vnTo/pz3ThRGkImpZnqBM975acNShnghHLHqy4ICVukz/UyW/AYNS84f17NKUBn/Wq/kdI4F27LwqPOSpsEE55eo39kf0/ZINaSNhqu5hKitcDxVnhF85Kg+qOsOOU7J3+b1Id+jlTf3vOS6V66sJg/hB6L17WG7zj0oodeuVcl8UlXYdLMfJOkGRsOZQtSkwfSwTEYlnJzR0GwmJWqr1x3UWTGZ/jqkBAKooX3KgG/cM862qQtzssuaP5ZXjrlAqxxlVu984ktA+gUtiMK7LVhWqcfaW525Zt6J3lOFeQ+bDIQVGevu4YetLs/u5cB2dmdQz5RJbbXBm5liyWPtJUL0eTQMbuZPXg/pRVZnqMpXZmnE77GVb2AE4KadVKU7XC0FW5n/Y8D26lvNSyCZS4YZ8JBVsd8xov0Ref51doQ+/7K/HwPKUqWUz8j+fS/4Bg/NLAbWisrygIrICUZfRw8GyCiLV0tNEnUjqIkq4PBpTlsTL44o3EfL3wQPVdxL3JruKEX64ziNSkJ6nfb89Ig5aH7T9bF6nto7qBJv8waRTJWFyKH4FuWe3BwFQOBeHvAl6TMgcBFWjCTovV2SWSEhx5Gx0oJ1R+qwPB/AgiSNpKDK07E5Le67xrgyYajFgms67og9oK0kQ9ZJXbBaFH0UBeFDRHIgW945QW/aT+GcyR5noih6EhLNX34zyrGjsrxVWoteUOjVeIJr+tvURO5FOhJmUgDm2doZIP+LGzR82OSVJ0uZEUYVzdGca5G43vr8mNOPEyef0VXru63jugZjnOVjKtsAIXj9ucfni+ghMl7jaCHX5dMpMj+O1TxyLNunzcXATZYXiFHVs1+SThQda6H6Nm644Jk24bwIJZQu+lf+kr0OFQ4dVMcHXf4XasfQ+afC94LJCoCnbVx4p7kLg66RZbrLsUsUAjBcriB1exFRPoSjCDI444AAnOtgbPl1gkeCYDfhf0LYXfR54YL4I5JI13zatm5PkHDxj6WUmG8NCtIEI5xrGO6vz0YLrw2fymNIf12SXLt7QFQa86OFR1bZfhfR0LE6H9mFuBGbdxsaNjDlkxviDqRkNAHl/TDIj2EISyIMUpxyT/9cYfKf6F6VDdaRXBEuRONeddDI+TGEoH46MYrMIf1GjdiTne1Fnx5CpAa2fe+XWZ+Xk00eCS7LxKq4gitD+NH60MK72po0ORbWVSgqvdTEnIP6GUsLLJ9p8D0paOjbAD0CPqUPsfMJzRMyGR8GpgjbCTII+0/68dPWkybjlnSVYM+pEMsZU9hjVM/Rr5FW6meUp6GWYmuOvCWr6elMhgIoHVs0rHnXvBAbpRWljIKijLP52z2I29y2nafZ3p9EljhOAfVfAJ0NY32A3RdbxRzMJhJYbqUpKLO+sC9ctUyjxCKHxcqO0pxXp446Dw7iHWQQM3F+4xChlAiEl4a/cWEChqL4Fxz4Wk2aLMz9KmGqGBQm5ho1EswZL+imIR4MUxSOmBoup/ELiMx5lEbzZzI5hHS3+WamPhUXSMb9sjsI7MIFUjS7YW63Meyj47XGvuxyubJlS4xerjplwPLOiqzKDMqXWf6DbS/DdhDCQzh27xjxbVpG5nqTptKpfupwmoonVj3X+ouJ08fRvJLCb/RCd7ajT0grrgsOUPWPjpjLcOSinBbdddvsX5/8W7PiZG/+bKatsDk1jqnqpaspXeGtrbBL1COQlo5eQOEUqB1YXzEmF6evWA7R5dXi/E/nOBtVSEtKA+P408aiRiY/vlvFA+AYNQKoMwqFebPYrorSXElGbx75I6jHgqmkkxjjDRmXR2Reev+NRE39DoAAsM7dC3g4cx63jwT3i351Aa8AF7Nf45OilVRED3VD0uBa+3LeVBJMeYBSqVmvVLYJkMGKxKnkbhjewbfBR835Z+TQhoVfiNzEZ/C7r5hOl39vZnR0PMqFIPOSMCT6cLIpuaABLmc3D2G/EiWTs8TTsXCPchjqSbONuc/NrnWGLnb2VInGvxX8fnAP1wveWXrSqhoYIyDxQlQgrvLLeY7rDM46s6N5iJbFSSTnrJq7H1fZMW/FvUO3FwAjRLI5DcKkEajeNaCtv5y1cAkAMA2NW8hd6UkjqSiscUJtYW6RFgYgRKAIpGrnSXrlziwq9saQENzELF/uECYlvGVsr2PVvHqXGoW0Oyx6LG/97eQFZTV/vmERgWjWWq/yn0KG0JhbcDTovONzPtb3bDsCeOn5lXRZy1/QR1sGzJ0HkMlWMDgi2PMyNCE5wk0qvxrD/+OM/Dh5Vt1HqUepDq40fYQ7ruUs/MGpnRACoAFRtcBZKnCYppyapXz55W7Z36+dMaHDuMzKP+ySmJlDfxuEWeGGHlgT5vpAJh42As2jnfHp1n3Epi7Jkn6Xa7B9Opz4ft9C2YQKG1w9A1pPYsO52lCKTGGSj14iPvk0pf/ymm2YqcyRUeXiddNFDc98p9x2ZkLuJ70MuofUin1R5klYOoPlGFynKxDPwwmRYj7REVbJAeOR97rSycOXgyzz3f9dQc03ZhYtYbMOwsteS94HiHhedkuoFYAF01/FTkh47cnhFpZW8Vh3WWG/KSkcc0uwIw2n6LXvDgu6lqueEyb/2UATZkCyM0vlnQk803YKUwz3gAaV5HeP4JC/Jln4XtyRLVS18sWFGDm00PmX9wzepfMIEQsCdZpsS7TfFX1RRxvX4lcZ/5EeJl/+azRuGxwqbIvfEpUOalJnyINFcJisxKIl0oO6AgVtIBzyKIVOrRVoCTNkWCEqO8ePJCwfMbVHp/hWfmDbX30/W41Br73qrtLdm2+UBhGhmA+3JaQu9Ba5ndX8q7EkQ0lEEH5Cc8j4MLRL373cBtdXUig+Xh9uK+XBCgE622RIBezcKGwRmhQ/1JQbvbe9F+RcG3Q6F9fNPTNQcO34mtEia8owo99LDG0t9LPUNVxODFFkFKn6N4YjYnq6xhFLbinaCCaoK7c/fHJ60zIH/dv+lTgDkjHHY5e1qZohz7gT0gt8raknZIx5Ejyq+UiTRAlMMVrqDMhzGLAJtHjKdvG7w2L5xv5gOmQQTLPk1pvkziSV5IHFmysL8jruiNSnHr7Ff3P2WZu5DHU8i6E+2zJnKT7lP7j6vv4HAcOfHayWAXsdaiGDtl8n6flDRdfYoxBlH1R9LomkiIEr4r8vk5LGAtW7mZrXaIIkt8P0hKAwPPzl1NSO0Z3nl3S/vNjQNRC3kzhSnvxJsqm3rq1DPnO/BDIsr+vgwi0rYe4sflVByZ77CP99g5xNweWBIme46vkZw8yxSEoDZjvJFM67mR0SKU8VB87Ds5f4g8lTkMRfFRZ20YrWRjP3jOdYFGTl1PDXhu9M2WRCq6JdzPGbqMAaeHP2CLMYhISvQJtfA27dk6UAkWfkPbg7mVb/FOUWtEwf8SkvF5qLDHQIC/iF6eJYVXSkdEr2cxsKhl4ETnid5mxF5SaupRcSa+zUUbpCpOB1tJUM7QMzwBvQeetgcc4jXuq/XyESZWi55ECxQlQ7URq4g76l5nl2gTrrs/tOjUYNPt9QnjmWzCv3+gfOSVhKV/12rx28+eWKdioebrpkIRZ6GSPTzH+wBm0r8FaSOEarpsGc+uXrcmjaev+jxUGFHbnidO9vqS0PNzS+KcpAV6qyHHhKzQYJqw4bRzs5EiCgugQ7cXpfX8XleAfKTfMH6WaSENN24UhnQJoFEw3w9xLa+n4avHWqKlGW53xHTNP0ioDY6ShMwtVj8HpWd5y9afwGZ0+un8GSE0RBcXihFDyxaMX6KfuVmu1veuLhbjUMqoNvTLGaFMZXqXxSFIeiyH4C2tzrjbEEVVh0hC3aQEJ/M03Zr1wMxnjDbRXpXRSf51eMy19OwKSXFHmNFpQdi70TxkG6DSByJPuqpTPKdN9ZqfUJN5jgNEA/c/7v8vCzI7yETHi/L8/zrhaIziR6olb8BD5wHLeNC7q16KghYxw+kyVf4u/3H+1plkOFQB0pl3FCv08wtWgicWJrzwa1iOMH7NtJMhtIrG8HdWMy21sAfWa7UWhvDyw/BKCYNB+WCkAWbu85nptf9pgHMRomxXT4IVqSuCtuHDg1wq0Bi//I3MAqinyvLvdrcseWnLSbCI5oQyfgOWMYNL7qZPW5w8PhFl8CVv/+iHAx+FDiqw4m4ZRTKXIHVSBwABjzfHEM8eeAnIHc8u0OMRRc+wLlzbaNvt/u615aJUckxEN8K2aFlbBXI/4NxEGxXnE0ti2L8NcX4gQSzUbMeIvWUc6eyRxXd1JsD3/21wH5KfgosyD1Ab8uLVV9KR4LRz8OF8AWhPwZQicz6QyRCJY4+GicqGvLnE8pkL9Zy71bEw6TgyUV7KVSiVm60HizOtdtw3t+lN37KJkxOZaG3LHCCmp04BLOIriJg6yDoSIuiYPRqGh+M2hxUubI2/0E6wyr+QK1dmkNc7JaDn4pw6BKwUCU2jSfQ5Fjsa00ef8j0XTaNkAVIPuOQ0PVov5ajswUYTaJXjp6OJefreIG2oT9Q6fZkJKBBaki2yRAuv9WJO8FKbkUXP2NKv6+EugHN5P2Kxae5LghG7lUrvtKLNIZwYoDFW3wQQ8qwy2lFD5ou9N1AYxmh+0P/P7ngh8w8pnZ/f1G9GWvaH92AiC8XYAqkL9m6hoOFPGmSE/TGJi04KNH5Curx+Ps0FUCukiZ7iHPy+jE1kFLiAoAylaOo+TeMKYM7AO1SYI/yTecYy2dxwXEjzVDo8iQgyatIFTM1UPouLh7+JTAI28uoU1JRw2KGTCAWTLAokdIlzy+H98VSHJjDxftoRPO552N1e2SwkSc5dhp5JJ/itJ1O7zNw96D0MK5WVFT51CSPLR0CiGd65hbgzb2k53Tk3Ely3BfAUrbY4NYXd7QodwpFUoAW6Th1WThzTwcdK0XP4qBK/4jEoC+I7DpVpFJmiwZVs+y3TQKoEQ0YGcTSmTvYsYf0QKMFAY9Imhddp/5C30VlwZ3/JNxawMrIONpejh/DDgeAbxarx59jun49+xDGMjavQCeYqq94XLyxhzj2qOs35Z3F2m8PE/6aHNQCDbNw2HEB+os3vvZCcAZcir1hC3t6vGfOL1qP8Pbtp6tfkZXcI1WmChGUD8QbFFDHcKEyma5MV3RTBEoEuEH6+hmYrLnsOyeO8Teqw8fq61h5Gwn+IO9shV7cqClEdBODbEQKNYt6KoIuajPX2GU+f9gW7yvoRnrCbIpm+ZW036UFYYDIqsPg9pzUuW79oK8Mup+xJwxufCzuZkgEK72rmq2M5HhBVdBF6x6P+5eYn3lO6y+bXkkUtybh2PKM5IhAUFWmblDIit8EZanx3EEv6VhvaJEA/ZFVikDGcjgp88UjbzjQS7qcESnhFkZghujtNtJuQT89s5WQdUxX1IufHETGRQe2x6NPsRdTRWwhDXnOuQqa68Db2GsTTbTkJCYK0tMDBLIFAXaeAyMTVbxZRhH1a/+/VTZh0kBik62ECeUHWq7KMRqTIQctuCCiEA+f0bols4vZb2IJs+1n5ZdkHd/uYhmSdPCiOr1Wzr/BqnGwZYYg2pRQFDlS+FE+HNDBeq1hIIdRhLr/XmJRt8Q9Me7NfyajV/z2kBQYcQiTELIQNv0NakOe//A76DOiQbnWhAlbtZ9HwAI9NEMfYIXqzPqi+q2+ITYgy4DYDQcYNP18l6sAJZsiYpLpUWiLQNrrYmQ05dvY3jQG8FiDmfpbpDELaToylN1ZPpAosRSx/+r9n97Sf1RNabo71PHIf++PfkCHSkqJ1zbf8N3UffCRD4dvrv4hFDSL0sFS2PiYmU8lVdPF33nnm+Ju2jA27FOrf6ZeBXyjj0coemhv7nrwSaNbD8GXfM0nL68vCmTRxSAea03xdgMAS/2lwGmKtw/1zHbF0ZweR0EqHN3nNASTwOqdox8q2bomUNr9xczbpwZX2m0doYKkDU5BGxwpTO51NvdehnA5c7z6xBrYuhugoghy12DScT7lzKgjtD+GlUSdg3erEBscRwn51550s7S3fsrNoGp/P1ATSJkyZZGYF6/ViuI5Med7dNN53TdEgLdnVh+G4Y7kKG8O74yLu3MXh2+XxSbhZYrkPqThMNfuZVH0aKNrZtA4O6030yjNa4a6y8DlJYSh8Wu8L4KijfAPuKFtYrDs9rbfMGTL1aepR8PdLdyicRtswRkYjwunsTo/VvPuOKljMK0v94nknDI/4WFa+hTxjmpEb3s9NbQwZuqe3a5aFQI4+OutPA40F8WZO3YjrUMwB2KztfpxdEmCHMRWKPlDYk2fnqwghr5IdPxOBrPXZUd2FSICDlS4ywDHzzZx/2I14Z313dIoVdP52aWSqMi+mCxe3rc61euLh+2Yxd3rKBsJfPFkTpWLVF/H6BaIP7Sk3w2dp+1HuP+4EPCCSm9WYkBuVXS3ml9hWwlV3cIWvJwXdCCwD1y2BRa1DiGwAcD3bQth5WYs9GzrmgW/0P1ZafY/Q1j0GPJzIdVKaSHUhMj0K0hpqf3c+OQDcbvT1O2xMDWQQdSaBrPmV2GKVIZKw3TDcDaiLB7e14VjX0iA5c76drxlT4yXAqgjFA57w5Z3YqMk8VCFzuNr67Fv5aJFIhFfv7ihKw8Aqy46dpeUGyr1ODC1E4osZ2CjJWo8Zpn155sC+Y2b55u97604pvIZvNHYa1q4KamK9Kjk4LZDSJas8z3t2GwAiT59UApTyHrmISMsL/tcn2mVmWHiwJ4nk5c2lUTnDx0xKfcwIvjXiENyD84Qe//7drYRLtN7cqkL+aQJ0pZSI4s+1x5ybeD/cEdQMyKJMXvJYprUeX3umg9PQTNmj1JW24yuI4v618oIPQ+T1y2IaFnjfcGr8n8yBzUGATASsAIq++L4hO+MYY6bTJRS+r8IOn1d1/it15YzGs+1aESc6h/3vrGuq5WzERdvMs0Toy4h7z1j3TO7Z8rGB8Lo5eZMwy1CiFjJ9VGMmPe1+0vmOi8nn8L3QxFOlUuatqPG5reIlEw/z3i2bEEX9zTONagOjwhoSsjRi6gdmqJQ0vQ0++1gIOxGvqiWHMnlg1WyYFirrsxCCZBnDMQ9jl3x1M9NByR8zspdlMGYj56fR2RXnNhajBo5/dQd3dYtR1ThJPP8iiISCmGxwJe+q4KscmqTUs1S5ZTJRWTKsWnsiYvFVEgHLWkTdAdSz29JseV6SzK27HPBx2zTeK4MnGY2qMuKjdKNbHm2tX40pYOFEI4LDxhmC29FpwXU7FZkO2MQ0t0D1/GmZXXVGpSq3gSsiVfbIK5FqkWBMPSjitdh4N5rtADc6ob9pL5bCLVuCNfwhNofm1OAzr8XWyPpasjpCN9RH5tbPWLvOgWNVEifh9GHMNhVYFb24XXNXu2ASXSLX1FAoYbl7ZLgKvQEdElhB/TDX5R5il+kY4ZRBDjDPPrKrrR8c2IfrrM1SYIKZZmBjt/L3/pnQaYqFUMSWEnTvFh8FYVdvWlrpkp0DrAI13Wehvcf7z9fGfs5gMFLVjU8wfU9eUCtVkdovst7u4nkqrDLmAVuaKmsmoYHOnTXaHaGHdr2tX/V5FFmtC72D+yJs/DV7qoYIFqU/F+4R058V8g4ucVdeWQx5C+lU4rB/vszrUAWPI/ULYXzKuz6PSVlp3PuFyl71Lh+15K9HpcjPU9ATx2RPOn+fPRICGZUze4oieAJK4zOQDfTwHKH+3LEGUGgb1I1w4g1YVPcDYKnWEtk0nMJHhBhj7Y7lI/2lYV9x6DCbzPChPXBFdiCaUtKqjz2LwvdLhD+QI7z1U6VJWkMQv/mJIHeH8ttyrwv/3rPBqseBv89n85Bt8roqpc9wGfFJMdzjMynJONSSNUF123ifd/IlsbfQdLs7jUBpa2NPwxruuihFuRsFZIitc/laOM3XAhuCJp70C4p1Ks4UY0KRu8AXFtWYJjES9RJwagjwkztieQd5ncnxmas53DvPFIQ15PGCYTrCzTtTa5t8y+AcMHVmSFHb1Sg+DMhhbxARQauf9NT+95YwkRHtU9eYlUYVezR+TWiNTLsAl+w7kMhqQr76/gw0Kt+kVvZXt29l+d7nCMkMp0K2XYQxSUB8ZYDR/XLgyL2X/BSJxBn7N7WX4CneceYnZyziOuZ4mO8J73WBiLShSl6gpWl6zFhxV004KmXZXwcQ/3t9fWsykA+9L5p3hdGXbkKujTKIDynpaiBjg6yU647W/7X5WXuCa5K1PZXrJSY9gmf3sehw6BBWyPO7VSGa1zo0uESgrGV5AH59ug8A2sjGlWYJWJGpxh9l6vad+lhSTajZHRLXEwORgB52prFtDGGSH0SiLuBf+9jOpdpvP3ZoHM/qpEb58nUl9N2Uy7gdl8aWXRUvgC7614Rkw+FYDUjUzZEsI/tbkvko/mNO3Fx4wertYOVod2Q1y9Qol9YR3ToTc9tYTMMbrIsKyVzWPBscgy7eU58Ut6jEo/G6oG6gnz54FRIzFclkbeVokJqeSQsPEs3iMa5SMPPc8Tpra2Ll7fstwdBwaqAGj9Q5b52mllvEZWAO0ZPBxOPX6FUkvRt7kFvngxMaxA+64i0rjP/dyLM03XdV2zLO6Hbqt8Fchzi2fHYF1udKLSgZbmGKLZKaN62Ffd3tqJoovlIADsq6FMIdQFuVUW7aLt9qMFH7hCOYtD89vSQxAnyvPNZWbkPjbBlI+Ly4EQYf/AdnCsLHX7Y8CKKi0vc94N25SyqkC9Snd/LQs8DuE49LRPKhXpxe1pv5sEkSOdzWC5wQ92PtvX98PYwtJLiDrL7GNkRh3fY1XNHcNrwEzYFSi/XdlXwSO92BuNwHFLwAUrmUIQBCycq5FATiVN8wkH20qRu0iQMECp8KkqxU3KjYXA5uz4cOJnf7Y42keDAAahNTo+ndVd2vPLSngLbBG4pKnq9tMscM5X+R+H8BN1msSfsOrqvYmHWU+Ins3fa9lLq8XE9XpJqRrNJVxxd8vIabHPB/GH4XpT3K543UGK95wTxYlxOLxVNzm6e4a29Hy6sH97BwRBZ0MIHK4Rp3m6SIYzk6Rc1dLraHHJEJOFkbll8VoP1R0xPWEUhKqhcTMNOaC5zvx59N5KaNxZ1rtl+2omX/fnPVj887aa9DT6UcL2XSA0JFcAaU24bV9Ometf+1XJMgWabuwT7Lj9jC16KBxII/jknd4vMmxBMRV4VS/bNv03simaIIur3RrZSS9En5AOiQeSeyUvbOkdKA4JxHTZYGT+vXiEIZKFK6itE7rmEEHLshMVXj39wV299wkLStp3U2BczjGyBxfrDI2CyYVsZlyRwFeHi8TywzoDdyJvUF1YcFTneDop8Yh8XqkIkCCtRR1TsDSTMkXNPDbw+gbjhffYmS9hMav8gmPnk9M/2yTWInHyE4DaBRb8EHcd1NFGYKoWBD0NI5Z6tRNleH712sJVTBv5TVjMYg3bxdRM648TJ9W2+khEzeOq4ukSMa3v7GMT2eV1iQRI0qRpBacm6tN+CK6ekGlGF5bPAVthz5a32Ge13m5EaPNGo85VB6n7gX/tTOa62TmJXPU7H1M23+irpSwO/psB2nEpOEaCTf3Sm9+d+y5gw+Lo3NownknyAl/sM++QBfhUXQDosIWwMwvPn3nySMX54QPb4gZQECmb8LH9751Ybt4lVNo0t+c451tJ7rZKMHhlTt+0XJVppVzweF/rq3d/VKtcD1PtdghuDbR6b8VrBy8BApWkCN5+B77M3QtrL2ew/hVl0JXvE/8kPMMzOYh6Rw/HA+CE0yuWQ49HuhL7aYDOY1eNr9tGaxpJPKZPEOCxR6UsfBO/3Z4D1FX26xLE7SrPVvHZ7onSaRZ7dpW4xkSJ0ssXVh0zdz1Bk3jJtZ9ux8EP00gIyDeMe/OF+5406F3lfoDnbOiByHVSGdRTlhQChsjufej5qs8C+Jpv+I6eOZ0f7Fv7k28F1B7PWFMZ0EMurn+zNJRw8MZAvLuEgKRNh9RLCTeHEv1LWQk8fiEK+zskddzZfLA0L5a6vJFuG+FFaais9OwgJGlKD+F0Bdbet0QCaq1zyEbAoCgNOT/33Ev9nm3L2+tgnglso2DXXqFwJ4/RZYjp9is+LgWPUfGKZqDeQHc8FRWzXgJNJnV2SDlLPZLSTjT7vlqTtMOrs3EVkm4CFkQsycjrzG1HtBoQyNH0fazQNuTKgHjttvkLFGY0Qm5kVQMC1iAZ7PdFjV3XmI7aSWDofCkLzvzO7te8IEmG6br17krE8K2kVjnb8x+Z+fImonyF7X37EF/bDPL6aJOD8GzJ8nb3uRrGf1ZjeDxHr2FCrnfHKX8qnEcvqjpsKINb5I2d2zBOtZkz/ZK19xnYTFIuBV8Q/luarwgFhZATB2MS0d9v2g8X0avnhFXbTQRRGHg02NTJCDpn/qHUdYqWgAXvP0+4JOBnPiMUCoFSGAYsuUrUYzKlF9kwkQ5fFzGh15meE8p/dlFYloS4kLCNgBrVltfTrTJVm3+NNNkBPRSwR45WqJEmygcXnC+ANtWNllnMjx6QVLheftk7eFSJdwwymz28pKOuwsxdtWhInQ+61ocZHfCVZhOdXXO7ywILyvchhkHHq1iemag2GvCM0qaRWsI/Cbvy+kOCFwdwSRKD5LWjxrnt42zbbg1A0+9axnuRto+9p1QGZUP95G8kLSBtih/Xx8Z23nsav/0VFJwvHO7/EaoWQj9LA1K/9b6G3nB34e/fx6IHuHdNE0AyaADZGbT5xbOXgcZRZmcdUGpxZ9VqWHsLQv4p4MJHF4e5aKzECh+diDUihrkjTaJdvyMkel0Tz2YIHsfzQmojVCVjbYepKLSs3sIP0ElF8kQbhP1+RxoSIbbxfKDD+CYrvxAGj3rdrcRAhAY0dYwwXpHlH9Sx39IHtEy2QzHJg5nAqngXPps8kgJ3iVnGtgfF9M3BY17VQ7rEh+ig35Hs9Lt2SxqDhtaqlcRs988lPm3PKgMX2slOW1aPgGGfHkHG64V4GL4ijm0YcgSkIZOrOPMHwQdjkTvpZXMBJsI6GPXcDbZ3F6BpNEJAnh5DBmjqe1u6gEq+xpDWYR/VRthrbaFxmguH+LNldP27k7l2NhSEjHs7UYU/O9wBXFZIurKo1lukxYoYk4GryqNRn3qc1iyGoNLvjtyIDRqPpmOY0JUQu3TlM29OulFibiywz2cWNCIfL0ekgav9j7VP15P8+G/kaIfylpHV+mLFB9Mr67Saz/UVeQQkf+gJvwVjWvZu1vgDOmZ3Y6H2Rwobipq+eeE5cXVC+hKFuzzlEZ96Zw9gg6DNGDUol8+iFXyjY1u6T/VXOENIk8xg1x9aHyXDAagfpXjfmwK6PvaAdN0dNE6Uu9RSZzbLNe0GFrXBdCB5wCIQbyEajBVTh7S28uFlb15ZnGXR6njt1oYddnwt65T1SXXCfCXkZI8+ox6SC5g0kC5yg1FWDyV4UnHF4qOGoSLH5rQhxRsRN/FmdpNMyrVKBEdloPwUjC5i151LeyivMCQavvqfaUxuCjHY9VFv8SmhsBctJk8d8v7WR8qug49F6NhrVndior2gqXEM6dR8kWiyIjJGbLCxGnvt8tDngliZnAacfcMG5vxot5DJvRKpinowjiY3J0/zsdib3fgKjRuamYPjbZGekEr2fJMVs6ppP7vVWdU1uyqsmhjxs9n0mOr4qmhtHT6QTc96bwJ7fbB8XMy/GvFJRRsSsm8IlJbh7eali7KLuoKQInjRvTv88Q2rCVG7gc04fNT4CSgrJ4zy7mDngIDyhXDlT352XLPFVqO3aTqo0h2oOdE9elthQvmbTspu8fssc7EjfR4g/uDzzYusRkzDQqXHCaGg95M+gbPeu0sXIo/+B++mfb+lVhD7HCe2LjKeAjcUwwUArW/nG8k9g0eao3+aVc6n9TdLWeMguUJA50+gUIdKLHamoUDZO9xqsu6FcwBKeJiz2XGmMWgMCbNGDpY2GLgBCWeZW373DHf77KlsVQBGYIR/11iyN516RN8hyyPAatvvV9w34oy31uGjmv2p6I68ZJ8FIqB9PgR7d8cW07vMYwrSB1EVKsqF9Gg76+5degb+0Lcc43BYMAvD9llWdFMfbAUJNdUIkWJUpgUVhMmb39ZX3oWdzxWjQluBmPpro6xuonqrzNSg2ESHoHzfLCK37druUUOo89ztIj2mmH13EkGWHXLyZhU8rWGsE6D+o9TZlWgdVsnEcN6Y0+GRal608rQHEuIYdnh6Drt/kyxBucAVD+9cF9ub8ad+CgyBHKJVCAl5nhNIAs3C1U6yFJqP3yFBVBnDWIejiHNHPBcE+r1cvMXir2KAt+nrKTSVWAcQhBJn29e/MXZ40T6p2VUzHehrKtT/mrhuLuCHLNQiZNx65JxGwmVNrI5i5fZVngpVovWHTZDS8i72+w5YZoEZB55hUkM+9PiVokbwgI61i/wV+Vw8/Poj8TTjiZy6mKFs1A7ED5L8+3DTdRJ9LNZCI2hBChnWxcN2nEaGqwVeHU3TnVYsb52OgF2+CCEzdd3hIngDKs8QrkC+pNT2WRNAWdR3c47bvZvmjB1KGffPTA6suBc4lIIYCc0F7DUioRGsqQE+BWXgv5PxqcuDMXGDmxbCsfxUATXQiKi/y6Xn3FYGrBZHemn1XQ3ywBxOLqL7vS5KzNDtZ51XUHAn7lNIteXBPHDadvXzRTwbC660bY97gSiACxiHV32Dp2ByaTKgECpnqAhTidp6b+cUqVdC1XuIF+X144Izp5H8qNAykbmGhKfQKOS3LlAMpeH5cH/fqRwgD/sV+qcqBJz5VyiJH04YAT7izXKOOc4moNwUnyp/UsdmMvSOqk4VSuAuw4ph99fLZP8dAIkam8leDkADEWB80mx0e4SlebGVKpb5dqYVIFXP1znRTwt+B3d8l0Rcb7GAITL/9L/MJSgjFIMWOjLqYo6p+H/U50GKSsIrS6Iggg0toCDKA0JgCUj0f66nca9EK/RurOeUavpweIgrZWJCZrdCe92hUPohEL3TDjPgQQsFaC1TeIUEZ4OITHrKF4GDLtRuGkYBFEjIdToRVVz71fjOIaPGpJwqhD3MQ7TtBMxqHCY3N9imCxp93+QV4jR5H4t3Vg8oXpSKqNm6OSXkCu24Gt4o1JodoJmKchmDDKL9pobcJNhIB5lr6JyWRiPc0Q/xuVd4pTS5dC3H2Oma4XrlDknaACOjtpfxrUMjpxXIH4HVl4XmGmc58zbVRTy9QznU0gzVHqVHcc9ntP5BD9CwtyPidgk+zSBebXO1El1vsWlLke60kA+L9Qgg832bO9W9n9hJbFdMHxphlHM5MIZ0Oif3LvFj9AAVZwMfqCFktmXZZyyRmR03GzIYlSo2gCFByYlPGTGmdCt1Xt37vVsSsDLZoSomshusckQLVdagl8lwp0bCNzk2qGf+4RJkQ0bKzxsm7/LOfTcqRvUjKXNDgu1t5CZrzK9vIz6CwrUAxPivcLE3kJeNvtKj11PjoKev4lumMDvePk/y25XCfLo1Db8WgdNfgmueNvyLCA0AoWcxLZB8MraoRE0dFaTzb1jzLVh2ENPdOB8scnVjuZj1S/NVwK9kEkI9rHHtCOF2J/DR0To0CopGchzMz7HDccdozkAmVQcoxjh32ptIeMhp7cEKu3nP1qDXZ+/QTV9Wetbc359aU8Zen9xaJxA15N3EnY34//1n0cMVXaZl/I8LV2HpL5CMHSdIZpc9iwYYVM2wL9KJaNlsx341JumuNkhqOQ2rY/ag4ZDv3G3o5Lckmqv8SRFlsX0q6z9EuK+O6JCYJIZiNXLQ5aXY+KVXhGe7yjlyGcNxFyN8P7h+LVZSysi7Wb4qlHCYxRRaYZk2qATJ/vFknaidrMZFAuJo7dj4KUQTGMyuVWwYhINV3/9izjIj5bsry8K9JIvsn0hVfeSBAlVCt7btRKRGi/S02DLUYm234naKbsZ177/kVlIL8Mz2EiIeAzkpld7/fF650n9ZpRQWtGPA0hQq6hVTzh4pzrTDjFQ9MKi4vvbm40sNlBD3Kmh0wIYxmEyxsxnjm8JE5IMVxZaWPvEv3yFl+QMdZWNKgmvJCmFNDtsJlB6N3AABCLRr01xsAbLNuEgh+13Lkj/TBqJOA0lzECnzwfqB8W+1JF9UKhgYmL3VsOmiLshngPb5AJqtZJRaUS9smGTpdNGo/xSKEcALkxOvC+RmIVw2LUKF8taVN+dxJ/Cepl4xxzUt7YKtol9OQ1+0KYzS9mTlexX/mUp5M+qwUiD+fq//DmtjiWKEN+8EfUqzJlWQefKZw4dJqXfl1AnYyqFSjasaRfP13LNKWkCWYJ7uNC4WLaAmhJ2TIkArbLjv8GqLMJO1v7lJgPfWAhVRFvHxwC8SZvQIWHOQ44LdNPuyoFRSyY/9u5lpXT9lG0ogKgnVtjT7ilaWFJZxPQm8z59P6MhlfWnPLaOB98h8yENaT4U69/F6bomnJ5XrC0Z5lacLhLwDFRwcoiAsY6K/RfIuxgeRV/aaiFAMwAtGzfMCq+sSJ8MktIj+naKvsMkI98xSn0N2HI6tUdl7sW1aPQEj3R6QVrbwRHvYMgyMH7FbzO7K7YvM5atA7LQQ4DTFOgrXfw2k6IaswYt4rzMmogVlJpN1+UIZmfRm+m3ecn0esgohJNhSuq846h2DnWTK7FByNQX202m1l5YeZRcQWak0RNwvFQZGRjWJBJJEX6CguvC+22MX0XlrHeiUyUWf2IfnswVPirzRpLpkA7rqO/E7qIIPa7axr+Nk+G7kMIBE0ODAiacBTZxZa0Ew/iSribf9EiBcTVooup77cYKydPW6zcZcP9+UFTsc7PIQ+9S079FK0l4ZLOlUJWo+OIuuQzjxC2Xy+3PO1to0xRgzvuCmPQ7ahBzBhlw0tI9rKg1Fu3UfUP3/8X1k1e6Keao8RQbPGRBpIrZtjuXxmoogmaMHqaHgfzMBJLd+5VF80Fu3ASdMjDQB4q8dJPXrnrIk/UeijBOu/XHTWc5Gg9NU6WuCh6ovoo4ZMtdWbI10CrhocB66xJ1YRKxHvOs5JphcCnHIk1yFWYkKl84koQ3RJfQR1Uehp1wUNpHwA4D/pX18omel5OUt47go+9nb9C60Kv3rX+pnC67eQmZzPIdaBEyNfB8Q9wAarSsRTgukyWAX3lvyR7olprbMyjah7BgSJhfvFPnR5vYHwIafpOpb4Y2iIBp8+KlZVRRelK/KeZnIVmGrybxDER8ranMiD0DK51wy6OQmnUOztWswW+MJmBrhLfT1coIjRCiDhiHuudc8+pXd9meSpmNrH033cHZys7pPjTbrfm9xI7S4wTgRAL8xntHxQrYl8G1DsiYqHdhF88aOuj2BmDg5DY8SuZhjyNTxxrTxgowRcjDmN0F/mt4Q41xTIAaYXNRoAEwfUbdx0UyOuduPhpxbtUNfRnyjoNqkc/YEC9vXYTAQ1+AurrsGBCxNOquFD2bK7fX66FD4bUYqVjc4Z7mBWnJmtZiQO6dUmzPefvcIt9/yiktX+4+Gp6ffcgnnWs84XGWi4lWmXCHc/eY+NF74eP43H6Y8MZzWRoiBsysZ45h76/6VaP/nNlaM8IwSyQKsftnBdj0msc42SfCv0HiFOzTreePMZ7L6wrGct7RNpRU4Yw6qqPnaEa8wU+HxFtPVd0B8kLnVkNui7EA2+eVFhsmdcecimXbnUd7ADv83f6JM71Bf2LJBxU3jFH1Ug9CW5raUeAzAtRC3TkgUdU8Hq0FtIu6eCX2AmATW/pvVzCQw1znsDsv6AWtO43Yr/JjA4o3IXvuZjk+3RICb7mThjp0PFc0gqtsMSsS3yud7+HhQJ5iWisDX8VoyFsyUh2gN6QJPInaXUK9+aRg8tgMEJKb/T01CArhN6t2hcgrfNGU7wt7hJ1ONH/jYYRgAJxkWwTa2hnMtKVgowEiEgbJToPKZ8b8S3CqR2ZaO0ipfHix5gitSr2N/wMbQDRJcfJg6vqeBcJLoqvRnp74bD71iR4vgpuXFgWJmetvmHiMDHpm+ioRRE0fbEzE3bn7nhgYJclUj7Eeh+joQC9aDBpsgMWHmQM7hVVxBJGojx4wT3Rx7eeFc1z1e88C+tjDRe13tkBnTv+9tXjGi91m1IUsQFXewzo/bn/MeUH+wSSp9zchrajQoXSIPlFtrVrFMRr6LVByGxIUHvzhNThNWcPJobMBkA8I/F2G0mc2DS2uoi6vc/hauTH83Bk7qnc3qyTcxdlYhx0NbhxyTvzY2bcoO5k+rHLH2zxcXMUscwsrdZYKdybZyloiCnGAsZUi1ENV2KujbXUxQnSvxQksNyyKDrRYO/vy3H1NsbOE4nEwvuvx5E0cvMq/nsViw7xY16Ol2emAm+1wmk89glc65jmn/B4Lsf4G3UGO/zzHi8j+QRmtonj1qFHO8NXKPIvD1x0Xx29ZgA0J9QF2NJcx3ZcTk1ymwVMTP7exsD0I4N4gzpEvxARSAC4jk5hl3S+Vg1WT3J+J/2ZHUSrI9IIUdZY9u4MMgYCbp+kXODHWzNQ9CvlZ7dGiuQfXODYX+Scxk77G4GlkPu2bAVr8p9rFaqaXfTWJigZXw+GFnrSuuCod4V765QNx1QIAP0SMqlKGlqPPaEQlw/MWp4uc+2ZYR/zCnpA5OiVzD/B0dAARRAsLiKNPz3XQ/5GDRdqcU8JA9ZCE0b6xKlSKeAGY1+Mk2MMT8EMGStMZc1aYVDmgLFrsLjMFwLS/gGMOVxj+yguTNB2UOxNq3voOD5CnAWchGpt9yiwxNS5rZQKVRRXah1xicx0sJtHAsNtauJaGyreqTz8LI292n8PG4ud6SX697vISogQxj6xy4z6iqKVoeH3/q9kn48HCP07f0AXUGFvkScPs2gOednD8m+l7p/kJhyB+LratryB4LsWLgkTe8oXgH65PTRVUGt1Y+ER4j+Uojh+CWVHGY+ZogvHIZE0wOrpeXVWVvUlnAxaXYW3fhgwoBYxMAvqr1GFSYJhDHbN33pPsgelvB6K8r3lBJY9zsVozLqFBsmj/5nPocs5BSwpADSii1PsdckvXRsGSlO+kg2Jd7ubodAvbopuUH2YNHLYM9k8z1A0XQ5LWB8sBB7PrnI0fbdgs5fetWdpmpGKJty4oql5CXqNIsnQIPBiNl6bLQAQmGDJsUVSWs4FNkjyOnEih4z/wNBVzu4eDW7zH1z5F+orsV6VMFOiETDMqlC9ABTUAvqLvTzwMY7pSjqmX73gQJ0vtULvSu81pquOonZI2+SBb0qenufdc1ftClF68KEhBD4v8reUcSj6GIsZ01IZFy/l7M1iPN1zZrEslux3H32Zol5/3rQae5jW4CKORDFbTPQFeiP2vU+T5YofjgresbGOEQzVghuS4e4zHA4KrtuHgkcqCG/KAZxjNoCgJAW7PNOtyu9/xbU4a4HaY0zyTCrcu8JhiMM0r/7HAIlLsMerdhzoRS5YHO4IritJ/uoRDzMiD7qAibdd7lwOGw/jWf1V0x5rdUjHrpYkXBaTCLkv0ielcF2w0CGq8MdRWOEuL0widLs0auVQLNmnqy3B/8BHuyoWW0aFi/wjDYbcRqi5/GoGUxYMnmtqSsgBp2/ml83vv0huN8qefbNWOWVHekGrQjsvGMBZkKxZ6O4GQZRldaczPyR1DcU3DfKE9sonVYzzelNTD13heEzenpOjP6aQDk97bJUT1vPGxnFZ9XzMfdagF8O5mRkkgXvN/NSSdExcSyw+hnRLJFDCff9lhf1E+7JMNjscg1DMvWYENQY5nKE4C7hS7VJKKs4Tiadc/IGiXEOdsameCmmRdB5jDdWxKVwU09Mon5CVgzP1dCVL6KDxQcA4c2VOMmBav4VUGsH5ojwoC2aLhpWeG6ooI/xKF15HATyOkipQ+WGdb83KuxFAvop5l1a/WWUByfQEHEFy4NRIgxn9JGcrhyepk/HX6krrQNbER14DY6i1K/uyFcedmlHKv9/9TFdh0476iC0eDBffZFum50Yx1Sg1h17INzVaIqE4cgzVyWH2wLGI3gc1jRuu70TZINX33E0R7FMBGWlkMhSCZvTwTRzBUifc8dzhV2PPOsC308TGge7npeK7bZv5SgQBD+OhKP36ePewH/AhUeSl3pZX2EHmkvYSbpfYgE6CohvL84wj+h5v2vnKd5bcU6yGVchIP5HhFBXSn1n8alqGL+2TX7wGMg7jMGwkUO6tdgiRrLQWKmhHXzO5dvByPJCDZDFLCi/S6jcQQSNgYlsxtLVAaQ8jFnzruXro2OxHfukXXV3J13Oc2Gitn2ITC2kdbrJ+8YntZy+OgkMv7v/z6XhzMU76254ugy5pOhXm1kS5SSBzS95zfETBqzNWuOorZ3b2hlcMApPxRVA274/G6Uu/S6We53sa0OuU0rvjn8NLHzgvh/ifyHmLC63EtpvIlTsj7x9bWIrQEDaiWaomVSehKBJVFv8N6FlgiDDMZIJhdi0cZMAho7YjHIuO4W1PPnr/Hm2WebS90bO3Jq2mfNfXTPUPIlJs2T+F6LtYGktbhO3ObbhNkbV2Z0vgGmPZa9mwMbPvzlfjxf1iySx5aQySa94iG2fzRcKJlTwhf8lpYsiKJ7kZkjZvZkcKlS/la/ejnGJPnB7W1WMgyeiEgEdQfTqaYVsTGCRI/aEU/HY33OUP0RBz96a3NMP0USEglr4D6BtDwqeN0azVJA2gLuc1p+dRSYSeAg2bZGn7b50oN8M+nLNuv7oJU1xlW871gMUPvSDYopwAOCicIN0/uho9v2cnZsK8u7mlVujwCEO9HhY84CUumT0O/yAuSzw2eTHfUSQB5qoCyqxYgmdJOPG4SESPiiLS2Ke15XDh+kJ1hdbMWpIAsq04OPL3wwAG0ZMI5nUIZN01fzru0kNFy5FdWHj112D6auDZauLN6UAmN+eEGJfp9jzqinv7tKjQafsOqzlccgTeLJ1Szo78adMFoQNKp08MRxOAxK1RZCOaNwNq3RkbwFEZetgXkvrywMp7LcnIgYzCPHhK+rDYnC9UmePxufTIIvxZrYK7+NEX5whhBme+R5AdTtvyp/5McOHJvh8lB5UStF2eCgiq9sNAXxIthuRuah4I2BucnQdFje67mgSA6KzyuzuOt+5gWGF/eRSk1AGpyrX+Rv1CINb8Pi3MvnAKKAjSjMPmVvn3RhOhxjLuvT4VqdeEuCvQqWlEUmvw5rYsiao0/gfGTR6Y/GlWnAJtkuSV5Qeo5n9kxcsb5yX37FL5FhfCAM0TVrAEtIUgzskECu7ydg1Gy6125hVJz9DFcNxzllFeD4rKr6ssyAWqdPSSdbrDtzr0lYTwt/2Qh1pd/QxNtUu+1URO1I9Jhm3G9E7mA5ht+8fN3QmOFdgYGuc/VpvZkyv5GUEDrbkifBy/IZYG945RMdm9YQJT+Co1qrN9Z7K0Ce+nrI0ga2dOUQPZpGHvNa+PmZHUgge0j3E/4mZWqyz7+SdcmwFCefEHq9wbn584AwdeqA9l7TTS8QANJAAd6QMhsmO8cm23Lb5lKPjmQuEcO+/Q4n+voesEqfnxnTzUMvOG3h6W86dzdmgddS+9NlUKzoJh8FGJ1UTsccW0Ik/0y0iRO2fxLh0jUixpSL8EKVcmhP+KBikA1iqlv4oe0iYd8xqDIUbiCyTv9WPrn2iZDDiAEiBYkHwceQHN4L02Fu0i8TYE4PlakF7kW11GshOwzGbiyI/puwZQlpH+hbCnPCX4oQApaXnTti9rRUZqj1E7r30PWCW9yC9TV2zFc/TteHe5JEPFF16YM50jZfvY6Dv6U2LPrRbuwFYjDR/4nMJ7EcsRzcnipcnVkuf/zwbtTtasq6KW7a9VOZvotx7ZCWjCSupvIuijLpINwEh0mrMwqYDc0zZEQpIdgtPHYe4TgJapL8t/3lyu+6bJh+xakq5v+T/oDfZPeSTWHojo7UvfL4QrwgNfv2dIBuVKGIkAqpM8Y8FgyfNZ+6lN/nUKehGH0YQhiE1pivFL7Ca+hQTsHkzeKwZhepcNu54oQnfY7RHgwOvfNMOQWemqsx7OITXmhKfu39iXPpSjvnowvKGaNYsYW+emwnJWJPnR6uiCnY/OaFXGX6p81Nv9AXaefYnLLQ+cH5gBbVdcnMYUrSumTtsXP3Y7XEtZqk19zh7nuGOAs7KGjrew/B6ghM2EmPlG4ZARGm3AMR0TsTZvGaNv1OJXpNqoXiFO43Wa0KWBYcPLW2uQ3e4ruxonbGjW7RjvRfEnE/AscHbuTAvFp1qLg+8J0DzzINGg76F/XRH33lDQVn3nwSz+hbpARHF/eTpIkJ7TxgkCxEET/LoiajUi7APno//hmxV0FzsOR+Q2G9HGXhf7uKnEX9NMGQKm4htxakCsjeDiFcMGfF3gflS2KRMIS4sRnpXrnh8B5ORy2facxvNpYjStdm91tOLtb2BU+ECM2uO2FQHIO9GN/REJ7Gm+kxiHPG52YAlbfmY3mvAu3WN3CKC5UQCLzyFkVVABaOC6+lWAumzV42UhihyOJ0t1uIVwgFXAdp0Wfd4kbnCpn/DZ1nY9MbWc0G5qksN6PjrH7ZGmcd62PhIOtjMSYDfoVErNqEM/V8uxTmphE6H8jqIYmrT9xnTvPJQULMWd2+DlEeceyKm8OsmrEtcK7uKyOOdEEOm3ViKYxB9cAznpAioMz13qOxKYmNyP4JSosAZ9t9iSfvdCmbX3Dp0ZSvGLPSP12EUtjdEEdRfFE878cxKBlMHWBb9RXmqe5FuWvgYfUAJGmM9sLAQYejFFgPxgepn8drt06XkM1jr2jntoEOjYOkWleaswU1GmrmcVu6REn64rOAzguYu7XW5Cd1aG9A3CaOIDwZwhYAeAKC3HK4RSDCfmB9f/qn9z+uFyH+Ld8iSaZAtLP8Jc/noc4YMstNUuCSGLpnUq1ERW42RqkQ0NTNRJVqPat9MfuoVzQ/Cw/jGd/5u5V15qmNbQqRE7ys8qWXptvlrYwY1CsiyOvWyWPsoOBFxVNe7ppfq/QkPu19/CQq7tDeeTnbLdvZ556KfJC7hj0x61utwwbTeKrpYrkH9f/burvA6rSzSHQYgZsyHn2GYgneZ4+dZlGV6qNhoESHxBg8mFdQ3x1tWDoSwJ1YNiNzMVrOvy/PTkC6W3PpFpkhw3GAg7yjoVBShVXJ2uHYZPobxLoVEaGxMdebeNl+PTMyb/osAX34bIOaboG2aSdEGVJMVPY/L7CwHChebChALAzU6FCYJp2Z3tt2anQ2U+CBJRDq2vj0WFNi0Nf30WdLbc5M87hMVaadBW5j/vRJWmli984fLjTJfWcBfywyzqwdCkqNYar+5zz8kjRoL3ZxAg2dq9yOj9vPBzYljXOlvr9VcfoT6aLuX9a0M1se+55d3dqOpiHpty9lduoOUROpDwh75c1C7ytaroZ1L4ZaYBSgZzbqzbNbT+q2pl3meSkmHtFFmXvQPVv6XtKQ/2exLeMYx+MaNMdFhbYnCPPfw9s2YKKodN9n7lFvTo9aEnQD8vgEuH7B3e61MxL/wzw+z1UeBGAPpiWMcrd74vC7iV87KPy2BhCIx6osHzjU0JhMcz4djAwIqnllTYzKWft9UNfN+O3xqKZIO4a7H77+mr0fZ33p0x2EwevTPnFtHeBVTcwATGQRyw6ItMlJ6N0dfMO2ChwtlckFFJt1EdgaH3L3uyxvn7rSd0QOoYH0UDpePOaWcEznRXDzUnrwLCCSIttucxrgpEfbACNVQsX+0uSJUOT32ldTeZrVC+m+H0k651XJhzo6tzRc3uVe89k40tLHg5uTrVeHqjq5dSosunZxGZxT3vtY8b7/FPKBQ6yS5vnp8egmtHdBZCzgdns820fxMMz5XcPRkkB9nJm0DZ4rpGTlxKOBlEIYraqkXhz6mVvLjycxj21Lyhy5Y/jF1+v2v7z+vTYAVtrNxqhnwZcL6l80iOjPIjoo810ToHSHj+REPqs4lBeB5AYllHcR7eFV35d2gKuoxqcMA/2/1eX5Getg+CsWnif3Elz6TCeKRVKEwKLvHgYW1DgkmxUX/OMvsno0aN8RjCB00roCRcPIOCQmdNuSO2lR5/f9zo5knSGmPTInIJo8L5QzuBNH7z2y+jmbnLTsr2+QxUFqB0smLa9iyIHgfZtPNpZZ7k1T262u0HlgZJhwBPWTE5Z4JauTYr5ISHo4y2795+Lqx/rrBsj8ASAodASJJ5Cq3L+sNyqPe5sO19psqX6RDYwyz+ndzGrAGpynawPxzTF/At8SvZ0w2FQuhMWFtY7ny3EbFSLhM0nzhbW8o2/63PTJ7VtKIwD5t1S2KYjcMbyEkS8ROmDtWzbeABCukOBtsWOiMNc1pONKXJmfJcuW8C7TpSWy2hdzmo20yBQgfq+mRhGQgBgzSTstI+Zy7+RW1hZWFHCv684OGtYLoLuv8Jt9tGwXYSbEjbsGnEJPq4Q9kh/9miAGGrC3NyTIx8C5grPSVJ/jSMqInH6bx6boCGjprHZH7elNWa5KVlgjmov4i9pgcFRhlIy/GM6gZ3Udo/sNbAOg9PEXA+USzq2UeKmcgSC7rJFODZyRzJXUuZLccVnn4twN579h3iXcONsFL21dDfIyq0QucUS+3fsYxhYsVQiQ/0Hdbg12TcOjHjThqqdQyRdg7NxYLtRvEOkdO9MFnyrBFB5poRaKQ8O/9RQV22i4D4PMUpJIGk042AhgHKXPYHmUkWZisDtPOaNG9Qq6F6V2u20LdZW9YV4iga5+e0HdShKmAP+Xh54dBLHBBYu9+mYATQisDoxdTocSsBIF8T9YtEMuY4yaZKZjy1d5RjQ/ylojJUbvulbHiwRqGYlFU1Nq/S65y55QDgEdzdV5t8aGyEajfIUItgmrbpQttOJuQhLMSLa7s9nr40TXM04tntQGzwbgKa0o/JCz0ELgpli1ZrOSzhfCM/F2223DaN6jdvWGh53F2RtlW5pCclCcfHXep/BAMjGX59EIbOeeLuZr9kN2byZl/k0kPyeHGcBOgLwsHsGAs7sywl12/MkVNiyvc9SM2YYHgYEPvVyfKWSgYBQCxNdhP6dWmhgWPxdaEdftsvweBI/G7caYFoPKyxa0VJq6eGl4PFvRctoqUV3ja32kF54lK8vyqp7h+ZxvxjMGDGDX9fZ/qWYQMMLvsSdTbGaibXvsT6j9pOlnYQaWRLrjdSoqHfG+VC2TQRlquYzPq3lWWOf7gS1s4GpjnKgqQkt/f2wZv7aAkypmi9/9GOYYFaIHnEA2Sauvs0KYJf0XTKX3hmshrCAcuV7J/lzgfsdx+HLxcpL0l603sKUnlE8jdCm4m3nuMhGvlHnjjV9ctmLEJxcWraD1CYL/NMg451we5pKaFU98BiYbr7X1Wwg8Di72CXqGCMlZI3kqbbB4yciPjw1MQcyc6YnMwMm06EN6PiPvY+v6JaZciBVHjWM1dYDv0kI36UCIz+88MY32PP4I8SNoJrePNTU+YRRrAw8+jegx/gvHHkcW3NVyf11AVQtP2zSenSM5lKuhUcf4vxqlYKddyGTD6J/vmEFKUgCkWED2JoEwXlyb9KsPoKl/xmrZkl7vpAV+lBsDfXjMjRCzv/Ytc2wCrUooQwwryDi9x0jXN/TGYGgvyRTj1s7RXl7kjV/os5st8t3pt+UKRykz2cXQqkOjN/7yJZ/fcmcYcz5fBHEbC07hgXj8I/yZQdc0Z4701nvmaWvWinD0xr9wJfEoEbe+DZt3G7niUCKxiVqKkTa1TRg+nDYx0nD77P0QOIZhojrAI7FkCJymaYIuCQpEvQpPfZFTXIqFl0Bidn/jFAaspktgPLqZJoQKrfNnneoMl8rfYxvnI+uXqvBq5d+NCaiNASrTQp3D7A5yf6Q26X3Kzp5fDvQtznbrWugfvXdfobxrNXv+o+LhHjL7PmmU97YKufctSnJMoYuWaGQGX8114OTIvqeKQk9i5iWuQJ4J+MH7ykqzRJy+Ye+ddMrgBhr29bWKEvozBTPAjzbP2qQNoJCZTOOrXoaZUcWWTq/XA+/wZGPL35hXFQ6aVU8dQUabE+1Qon+uKI26AoNMD+PJTNTrOxBBzKyDtRDQfkpm0blzc2oeceIemWBcJ9P5gTnG2oIdQeaSYOmoA5LT7g1Ei7EFd5twEhEPhYRJ+vX95bmkZbiJKDBeN1B5jocHzrHF3bbFxR530T3JKqFt5eWXZvH0ihtndsnv9D45nBGHRE8UF2QrC8au16XyUKMLRs8Xd0aZ8RcwagR6A4lqKygN8+7NSIke2udefNVkr3O6lzX++0Y17L/VYeKvz1wfJ63YVgaI841TQcQ1rnXsLuRI0Petk1FtG4j9I7RVpT6cExCwaJtPZL0KuoQLGszDW9ENIx0vL4eGGIFNIAr/7M/kvYU/zFHqNorBzCcmjriF8YenqWWf2cxWwHAs/jwiq/Nu8ciVIHuPBSBg5Bm0N7/nhNo0r6b1qcieAgPPQ8ML6YfzXiaOKGWbZI/Qkjw78a8swkppl6iwflp1BqWqYRxtL7uZMJEq8J7bgJYEswpc5GZmD7FNjHrrG5co2/YyGYVqDoy03ZKy0ShZgtFx+N0nzga2DzTwliDtD7/NMbuBEpbmQTdCqJJ8TfOHYgir0ECAxO9Q6nEEhfAVOONzMvTAmQFRx7moinb+SdzA/XqGy0KBab3M+FK5gIx5n6AvOCHUOUcYXhtcQCvM+XQof8CcBsPZ7Utg0Vjjz2WZIopkGfUb1wT1VePSroAXAuwaZ3bju7Z00HjP+qIzVDJ7peQPxxGle9DWEsdPShUpIWrO47ewQonr3zb+lqiJAzL0TvSt7z3kp/hO3GfLlVA1cM1AB6J27WbcI6mO8zM0xu8JB3J4sSsGuVVWgHSjwg5U6BqdfQ23x9NV7AFNG7aIbE2P5hhwdPaTYf+c/fbnzJr7T8gmWR4sis/GGWSSTss7O22zZmxlENpCxPdxXA9zma1Oo517fWYTm3Y6piN2tF72KS42DrUaVvfa0qmEGItN99wRwpoq7OiM+w+p7B2mrnsG43F/2QfE63dNqwsAA7H1L2rzlpTcrC7Tdbm7Mlj2YLjSQGFq0F2TkDBKuDexCfxtN7ypFNvqLwiMuC5hPbdmA2Tx0YDA3yUohwnzW57oCpUzqzzvGTVzZJ+X5vtN9dzqlVfrzsvKPDwNdyWjoGVhjK5NGsIbhSg38eOybm2Xo6wK7dZpcA9cgtjj8CLqc6xw1W5SN9r+ajQeZV9gtU/dbKm6wRlo4spKWU4svPoFnwSh59e5OZtV2A1bAhylY5VKinXBg6v+m4wAGvdtkLcriqq++PYkvzVEq5BYMSUZfhXcpsST2WbO6Q2B/N8i9X/lMw7E3lPmkLc5ojkeLf5DqowZPGTNFPky6Uy19TjIIm7yoj4iGiKsYhATmMPYAQwzI4q9+cuzqcC9S8ksHZ2y7X9er4F8HsOi2J0Myw6xMi+EipB6Y/75MCxV7NkzPd5M0ohNLF4eZvcOj9Y4fZJlrYRMrViSXCyrscQfsbhI0AxhsR22MMUwndskDZFsCYQFO5gaGoRn0O29QvOZ+tqhm7t/pNJIwO7twSZHjUbnNoTEo6TTlXMJzGfr/ypejI5l8u6T0RdbYS0KSUp3Rwlw//U6vT6T4ahSCGD2zkW1PaG63YzWBL1Boe2/w4KvsMEF69tCYb9S59bSwviGmjIlGfUdcQJeIhvZ9VZH4hi4Q5kDN0zaX7qJwrWK/+NXyIRj3mcbrpd7OTZmjHrb2BsLe8ChVQkDcIXTH+3+3SXEpVmTB6BsJsS/xg9ldRFNA2Ei8HuigDlxB1kVtz2ULopmQ89sBgZR2aEgerlBWVln/w1OlkgRCE3ZG6NfakUvOx3Xt4lOPFv0HCLgnI45aspcY1E/k7YHjoek8996tWgxZM+tjtRqGJr2/yhowTMpc74kFsjcsh3AUvlUkpG1WGvWqmivooibbJP0LZo5uUE+qGuRUJW/LoJdnS6F8Hh+Ou02tCFpPujlIQiBjX7Fomd5QMdd365YJEmIfnMHd791+1sCrMxb7VYzgf+R3rYn/OtTeEshdXRCfIaJJ6aXW0Ff1zSqi0TEXGI1Pt6ezHi9734OC2jfiaQLJajqzyWGglIISGVYGVVq8xDMBQ1K4rP3L1dpWc9UKn8LEyb7IGXFy5dOHDRsh9bX1r8EaeWh4DhRkBSS0u/ntRLlvHFlQglushc19qPEDblYx8Lhr8/xHctQ1MAFfEUJ5TYZl0CErmfaQczLPH8XPYsItpy2KBn7RqzGDbFAtcGYiSm5UsCFozF5+s9EWNl5VaGyozB8HbWoW1fsUnp12QRjJ0ERfdQfwkFmQ4ZIV9jzxR5dEKE5UDbvf+M9/EXBdlnAEPfyCCK3ai1SWREejPhhklwFVuxVtpkOeSoVh5iLdTpe8UcR9vsWZ9Oe5/AJ/W2+WTmhU1J3TRQ7WyGJd8pLBO1jLXLV+atwiw1ywlVZ9jX9jRLlaOZZ54O2YIdMxHezqLaISFITF0buyFNBXBTJoK4bjUMhNWeCrWyNKeMaDqMBckGzGhhgXzHqfs89sKpQPG14CaQpi6t0FlkTaCHS5PgljLjxA5mSFg0Xd5mlNY4oPfB+fyiUOvA0WujkHTod8YzSehinVwWonqddwi2Beiho46njwo8M++i2w9VtJKObbLGk95qQcQ91kQeYe291+r3UwumnSckI4BrhOw3gkVtdsS9adOwqWmFPN90rvexMT8jaqtkJOgJwlAJjGzEPO27WweXb990My1iHWrGyX9W4g24C7081caMno5Ersec737VjZ+piW/pSZr2SwyC7kRTDpjOni+AXXFdq7MfSyhFfQg48PshBPjz0LgXuEyqX/dD+HRhcO3tDEdW1hjJTiZ2kJLonndM6voDDlinvc23C+QmwP6UZAdcpgANFxVZxmUpYEjYz4iCrPZEqtyU+iPh/8otzTTaJKorBgfJo2KtLZGD5kYMlXzY+TkMDg=="};
+export const guesses6 = {"count":9137,"iterations":50000,"data":"q0+lLRHImcolg3egNlY93vJDw1tHHMV5PhhUVxR/25UCcR2CIrH2jaEWVAA2vwKTqnoGRH+RJDVO4l/Q6Ig+LZMMpJtVVU1UI6PJvEyUKGa75gsNiSsVyRC8u1EsdUxgey3vaD8knTmKNq++NvHcCUNc/eU8lXcs7mkrDFGD19uBA/hFLyc8vrUjXZ6lxs84d6+/pwy1C5IRCJVxCNQZ6Du7ZnevOLwlMlt7d4JmL+LOeWZ6SggxTxBvwq0rT+T8o8bkbhp8ZzPGhPm5RFohXCzyLPQzm7dauCOT3iYvY1J4vJr1ajisLaiYVRJJCDSOP7GIaWZdeJMFM7aJMMPTY3hrRfkCbXCWRXleGucj6baG8OLY9Ru1t3TvfxaEU9RQaNCBS/D3zU4oqoD73GftKcFNHYRpylMsrGbdXxYv0CI5uMpo0Rlj8Gw/gIV5fxWaWAesVxttz2/igFlu/UcsKivlCzUIhmCToTnIHmxhFir+28Pbsnz7owWZVu7iN2x04mRdfyMOQxjrGRd1SWmVilEoRAE/DTNirRN81fqYUZhie7N6YQp1eSIl34pl+AZhEegvJL0n2fHGIxo1m+mUNADw/jzucuFF0Y8lqwcKJu0lDmEZsRgd0msC5PqKNaCR0K1xYXu5dQArvk92EkEdBdlYMPBK3t+CYj5msr9UPje7vGHNYrFUD9/mzYrNKbS2M//fxhn4fb3CE6Q36rVf5Epo2xclNW8KCm5MWZo+hkGroMN9c++hj/+FLIrUVE5O8I5L7PVBkMRCm6gyuKi2bzPFZwi7ropgVsmA7dL5oW5CeKpGbDHETkqHzfCH+c+m4yHjILIYEsA0ByrX7iWVwyagsWZ7HxTjfxtLpGTmnWrKyXz5Io33tVmtyD8NBtGaIScsE+BjmOKv9q29tJpvgmeA64ujFIqjgW8EYXRjUQb2ScTBL1WSlhnSLOI6vODx/jqKZfoCwJkif2vyBpMENfWtqt+1ZNnrJRrPX4c8j66USq7s425+70+x75VZyjscNoYDFXt5nKh4hICgvu9bhrI0PnlE+zGyil9yx5r3Ymbfc0Ft8btHYD4NOQdvht8wfvowpQ40Dm1vU9R54zc2UPoIGAPtf4rH6DdOb+Lr1GUDArIe9ZRVhvRYb/R8c6X93FKy1J7CddwfG/F7c5H3Jb7w6mDE8xbnQQz31xqDDnHcIcZHT5yy7qSpqRfy7mDz9mq86iSDP1ZTbdFNPuS0F9rmMUAWxXAQnAxZ8y5x1JwjZ+tEnGq7D+l6V5rX0ZBqXVsGnq+LPcCQVqI8R8M1A3Tzm8W1ehH1yMNcoL3+RerU6Irn0hiJQDLRO9sKLL8MNvUoZbkCzz2g34yK55MzcvHPOozgKfDf4O0Z2WlVBA8tdircT4ClD9U5Quurg0SpK+JLmTLJyjkgWQO/TKtpXLEgRIiecupHuInf64V71rgnztqyJKd/IDHSN+c/MeX11a8zIidGuLSqC9a1Z46KY6JLDmLJFaDzwCy9rXExVBDV5g65ViFgqPXeVFy9gYtTaQJswI4EIe57cNrqzT9DObq/RPxuO9c6ms+nNTtypyQtYyeQfm4OHbJrjTehiFL8QQKsj2y8e0i9OOx4M4ekETQNWSL3D510u1sJ1BqUTE5dRm+e2zFUeuHzFvWW66hodva0eNupVh08k6Hf+tx32YLldoFphZByPmvC0uiO4d4Fy1uQb/6AAcGF39JCRbOkrLOEQtGKnT4WM3h+MHJDH4VI6gS+WFzny9lD32THASReUfmka2ol02Lru0XxwXiebblG605AbHaJ5AEoVi8XhoIMJMXmuevJ7df19ktnOc3AOs53jeS7/U4ohFkeCK260eB4RJZSFeTpVqSghiU/Nxe0kmjD+s1XF1bjybanEdvkBBsJ1/LLlRWB/Q/r1CYaQBYK2Bj+7OU1ospC1zAJW0VMrXLS3Yzs/Cf0SK/uf4my7afu8tSpkEXdsliTHVpNm2jPY2m7L1uo+2zQSHryZ9wK3ps0N/rKBW9loZDFuTJmjhI1bqT3NWEzFLg0zyKExyua6vqCCvhOQU4AQdeeD/xgETjNQShVThhcQCpXrcpoDS/AxuxF1M95NWQNQqUUEableYZNihb4U8Arg8dCrzSjG5n9+QXVrk+/Iw01AjTlFvnnxqKFxrUW35c+XKxeReySRh+T4Kyrl1FJEdDQdQok5mggW0PwEUI0bxaWfCjFi20MdIIERoDodfru3Rr40ZgkSjy1bC9Xd70ETiNc6CWRe00Q3yhJbPNdiMEF3ebtVXUHU6hi7B8VcoXvC3hcY/gv+IPg5IIB1qDsvktKJLzRnk325yLmbw4p8jOoupNNMZoXhD4Ap2gYzA3lCgZjMk8TAd8U+siTAs3bxOD1yNoQwWQNNgLivgNcs1m1TYtiAQTVSQ8EhScEZvrGNEqRDheN8fd+KPE8Kkzqvnyj9fe8yNuExXghYis2SoSUOxc21QIJWxM7kNzKGeLgn92djw6wsc63DoyIcEnAiinBVTPOnZ5rNvbt1R/CjrZgfE0sgMAj7uQJeQEVZD9X4FsOYTzuy6MvJ9BXhIaUoo1j6miAT0EWF/AHHdNjOMj3IOHMuBtI8Nk3PRpVnGzO+cUBHkkgc643JMSAbHJdo9rx9ZttZ98lFZX1tNUBe4fTNYnz4mjB1A9OiNuj6L0yeD8nxi6j0JuzX1oF4nfmxmoWfPOYA43kCuSFT0tbT7OVWHKH/Z+tbSb9XmFHmo5NEjHlghWBKLoawCnpTR/SCUXNU6FEw7FU3XWrL+yI5mrJnX0hMSN3NrHWeGEAe71om6bdPQHgP6+3+mAUEnjQ34a5GyIImB95sCq5Kk3MkxJ54bRZi9RSJQCvb6o047G4apL2E2TmY8soYaNwI6pmymOjXK5R+vvhQP51G9fJfHq+mV83Tdyrq8sc9xtJCaNl+zFtAis1GSMaEzLlW9j4biyevHwINO+JmchWOX5HY1Zorw2HcdxX36BBhQG8aRrQQae6I4J00iPTrg/MVBOEttisWs5+C8ZiCUzrddiFEtwD7LTqWHJgbAO8bOP2y0egyCy8a7SI28IS78N9PcuDoIgYqsZdZYGA+Jin4X39uZjIYXeiqVNcHSKKGlqiyiX3a3FfWeD45ej6NQV0f9LHdyS91UkZDGRsukkCp9PXTBUI4PeDxV8rD3LR/rh9pihGdxgza4kmn4RSK/3c/Yh0bn7Vcs8Ym3zCeu8U6u7dPsBa5Efb+m2NP11Px85mvdBd1jhjWaouLJmGFj22Rse3xm7l5GXR/9NR/QKykpc4c3uwWshSNK+D7x0iI+WBuzzpgHV63JFtd4X4c4j3F8qHoy0axAgmBjWmenI/+u2HsZE/g9dFlVfTbL5Yi0UKYH02H0yzflNTrjFqfmk/Xvtt4xXAJwN0Q0qr0f+iRzIVbKRlRcX0PnTuBwfAePu9voJF35pqDAhZVqyf2fM3gojHh/IhZlmq/Mdx6iO0sk4k2B30LQBT6gvxDKg30ccVk/UroxbdN8uFK6gn2e1bJGvFH2sVDdETcMUdo4BAwI7pkdD3LRXlFh0Sq6ohFDznn4EyXtldhsRA957Qb1/7NmWa9Lpqba8dcMl9CvGECG2NoMWY6q2aMnPdDx+42VxVOhoON4/LlGDikxVnJlCZDvJ1T25mKyEbWfy7Mrov+cI10WWgfHBQhVvI6FGbR/56YjKF6fH9NUJjQMQ1W6QXSC5I4v7WQeMNy5XZkyfNq0c9czPTrOUBN69NHnQRc/Lfowyn6uEgkQV6YUKuYuSpgjIR+V21NxfQLrWyX3t2hTfusB4zQoJqtAjF1W+5ygsyhJD1wsCRdaf/rwDLNsQQdpj5N0hB5/hYscer2C9wcNY8U/RmK7XWLUVeysCTvFL5iA5XN/E9DSBK3xMKvVLSRV+NI+DwMpySLkAySPC3X/uHhDa+3jGENtY4gWNCdLsY66c4ILmVMffOOC8Se/u0Du6u9R1SSTfFVpyT3Rhb2NDD9SPzUoY96+CQFotdkWl/8D0U9jyxEQ76bSZu1HSTy7Ihc2YmtZfm/G7+ehp38zsybg36gp6ZdzTXJx2y/SBU0JWq0EkAOrx3CbsMxPOupMguI5UcNCvlwTC8bEIfL6zMhJyasEVoUblgjJugbOM0eBPyv7pfKqpUFPwr9uzNZPLHF6fjyoInFVOoQbu6SnG6jJVrD+Z+D18oFSjQ2gH5v92KSz/iIei1Txdh/E2+HoC9exMmxH6iNHMkhsMRzHOUFtG4MjdaKGPgIqaIBBDMtIBwN63/SK/5xoqPKb7j8geNsftrOnkQsOseD+42kbXE7HtWBFS4bnq7VxHAo/Fajljq8sy5lA3QpdD9AfDjd5kL/n3gLCBCvR+LbX0jb3oFeOm/TcwLKvTDhbyDV+YCd5wHfPctLL3pxJok//mHqLfHeq+/1493GQ5/8MyJwRRp8wIoAFgBsN938cd3aFE5vIF132q76eg2oRf3fav00NMuBj69VzxAXpOb6V+4r9OPkNiKDUEn8KLYQ8ig/grR8llsiZEbSoCmBOB3xW3Jz/loIonVxmPhPNQo0j8tzdJfKOI0Ab+rzGapYyuYqXLU1Fpbft3WpzAlYk5xcXqJRhQgIfSr81zQMu+Y6E3DfWhxunjG8bNHNAUyjtVOIToSrNL0YwVVvPpgEOcuhfgBkt6nIT3Jue+mCq/7HcMh1zOTZ7CGKchf+xgDHRGEH0Lc6nwyyqXUD7Fl9V9s9edwATWts4SOY45jce+kfjvArgqFLnVCuaA1rK+VvRK47gjFzA5snUf99SEo22wxk0gwDpNpspEn3oHSmdkb4OgJR+G1U2Csck5vDag/YOU8GnY+sXN7ikmfs3tNrUZPiL+F04YHZiNOKtr6EI/7LmnMdg7BZIWbmJPZGkFywn7RQX/UoY1KTxMBMQAAIY4pjfnCWWsv3myJFX7Ok0zM70YIDEZS8x2CZjeJQip0NHdwPvNOnaWnr0HJuGZh0/Vx7TzJXmP3dJkhqO1R0j3v6zbkoG+L3ULTG+F9xQPNiX9hV4p9Y3fh6fnx3ebVF+w7MMf0L5Pm/DrpnNRB/mECJOQQHbUDO14JSqHG7D44j8zEZ3U6XfZt9lxfIyfNbvfoxcVAJbS7Iv780/gYfF5AG/7ZWS/VSJsKNmErQ2BbMWi0SFz2cQZ9PYkGAYNOZeJ/gVAbZQ60bxMc2e22UdyvRKz8U/Yky+0QYqavz//dq3sYkqr9vdh2zFInGWtgdmxCm/MDPDcbBCQ8THrStUFD9+gnPhlJcquQZb8cqO9pUJE+Sv8d7DKOJhSVJaM9xAVBPIH5TQhvEabMyPqeu6kWzI/96XZkw7HaP5MenR823AwPoAYDea+IXo0uDpdJr90H/dUrh9+3Ob8ly1fZFYnXzoOn2NqXIGpUnBXKxmJbaW5Y5Cv0MbHzFZkhcUtLyhvpCjszV/4bpbbIOhuwOYEkKTSd9T6gMJEz2AYPYuhm49mM3Y81P8Wbd4BljmfJXMOoAQPDAcEiJFgpIic9aGdgkV9kFu4mhsK+QK2Wkup65Y01vQIe2fn+Xpkyhf7BSuNtSC7viOdOIqKAYgmgDDV6A1Xv7HPogjXZ5sikOWwX20lCEMIF0jZQRH50TfNYhut+jTnMKkfWJG3dErUFdiBoD2wYCCR40+zggFPNWOgSPAkjwU56v+/uURSRgVLbRaNQ7LfXr/8KH3QFSmRA8yLAJaQ0ZwMEWzoKxx91xL2u6fgaGRBWEIn3OYPDW+sA6V1AV83T0yu+mePRCQ1zeCJR9i66EvSwz1BYkfbTEVCtPBwM6BQYioEvejsSr5Miqjaotx/J3CCVN8BC9Yl7cHmdRXKkk71u9w4uDNIlSK6mS304+uLYUGQng2cHDQg8rWOb1Yo+sIuii0OwsHsYWI/xV0UgDhvD49AR5CBznkT+RJFok/H1Yr/LpAtjr7/CfCvXiifjJRDyEu8WBGz3T2Te6Oo//dzTyg/2FHYNdbFIgIBUODk8sf5Da8nXvXm+5SmXYQ/iqr6zPipRs0M0G//KytPHogDClZXyfUgXaNcTUtPGKDVl8+VFuBVV9dBed59cEg7sRQVYbkCPJVIb20G6TtFEcy7h1f+vawUL13upBPE+5YDeV9VV7notO8W8Mrm0ceRtKrRXH645ccbQXYAq9Wl5t28fjemJHM3kp2ToezgAGU+aqeWmNDImdbE/+qygV39swX2NUqs7M1ukw5BWwiDMKqpdaV2yG7KcLch100v1rIOYqVqFTU/lwfhVrrrFO2/Mp8M/GSefYLxNiyNZ7B+iBCIA54E3w6QmiGXggTfzkJP2tyvGO0GcmksCTX/C+JBYHfOmOq9NtXSyUHCOCbu1wKl43xhJvJCZM9NMiAuoj3t9MemHrMYSz5gc59pOhfQU5CExXmXCdlJeg4VSvs6sWU3KNn36i53+Cz+riqTKeEt0hjTmbBqfb9yQfl2Ed8jpttDn/CwHlEed4iyAu9Yh7lLJpQuIP9B8LXpk9YUmTuwSa2CqxbL23TxUC+zw2JZ2zl6kA1OIC+R7cCPLaF2B9fEV/HnmhokJbXHIAVxqddNgen164Uvop6AaqR0vhh7/yhclJXTTxhZZTgI+bb6OEx8dnh6zwo/aREkWu+Ey/CmHW5iNwttaQFaoFMO4pFgQXY+KstijI3Z0g5ANjPGS1t8DY2g1c/u+EXPiqxdZJha2RwI9HIjCHlJD4yC/tsgEgYhbu5PWSb6CqpIbT+IkEnmOW46uFseMxRYbi8gGWSHjPYISxyWDVyH5jojioNwmmVvzHsscJY+BevmmyXWg9Co1YTHp0wMI4kcKlXG1yDbtIAUIO7skc1/KDjDBEoia0daBwLRwp/0mUcxFbDgcfGOc3vamSfA6P9aBhMns3knvPwV+VdQEFe6z8WhaSuCN7Zdf2fwXWT/lRSwfx1x2W1ix8l21fgtFxsx1yC4Dajjl4v5iG5DTKxVkejctw31WUUFVIxjJhO6VSfyB7D2DsE2ROaYRnz8GEN5g3EJEwj+Ft5pfiBOGWdELNcrQ1/2LgeTnkTvUhrc9qOPznCg81pM+xiaPlOzI0V9nQCTEg04VAZR+RneeqRq8WfK3kCb+mWNhgAbaJbN9YDvAFyIQMDBpl2LszexW2kRl+atwGyMHqaIAjkgAezmvv425bFZHjgGmnHmhgwVUviaZR0p9zWLPwzijHmuop8ObZoNEqgoaUVosf3UynfQprfHK02yKX6nva12UXhIPsyEp5xa7eG0xtISNlgwkhVKPL6wGLTp7axCmEZQHg2XoI4jZjyFrOQCqKg7SfkX3sybDAd6K3SAnpvDVMqfUvT4hbZZvIgoJaiwLt/Phjk3vGFY/rVsZ7wDAKr8odiX0cDZWOhsHMS8/bXyzgwL8dL6Y548rx2rJlBg4zBkRrqqhS7m5X0aGHItUZ0SXIUCfL5hpyCMfH7DJmYWXQatMKr3CN4z/8WWtjvF2oBc7eVcCygU7VeQUJ3gNwTZLBzJcs0UcODQv+EYBIiOnhX5sWW8gN8lZcnVruR37ZPzQcfEjBp438xsU4ccBGDhD8CdpeFDkI85T0Axp2iOu34cNG5gVZHSO7lD9aGUJccN5w2xoNRgq137b18KxsJ5dlkGrh0HT6SUlmkyYZfy8TcCqNk1xJgdq3ekATP/iGa7E+hN0EScUaeIthQVrYPgzuNlO7Hv9DYsM7ma+jPI2RnOp0f1h9RMjYN0qXGkzwU1LRLzuSilFb3ipdfmgWQjTlxzQoa054lfNdTusdxNljiNgTeYImHwBPYBt8irutCb5dXU7S6AD/rPxRo6RKh2aH699JedFjmsa3HDGJ1VCpWE/6pSkt+iooFanhMdJKDk1F1XRRarMHTko44Lx3sW8Jzy+47HZos6EdJOdUvI2xNnBCfZX0H8hSOYAcP71dDCjXFzXKUrkKkHDMVGDA2p+o/bJBcbVu7m6VH94ei1VMQKOmAOSXavBRpKwu85vpURaMmocDLhOfZt0uSjMBfkhPCCyc6PywHKDjU4anDk/uSk9LXwIss3/x2s/2Cuk0lzWIbxVL+S2g06KzqMbcKG/J6mJ+Czn4t0rCqEXXwH8dgRwl1r+socKXlKKofjQkRXPjkWQCh+5W1T1/YshL2NxmFeeEFPm1XEhM+w+SxhoL2MbHfVOMPSPe17JcePuIxMP/tKTxzu6wNmuo0S9TPKC696Ni1W2SeFYlAJ8UbsdEVWHYVP1FusYF0HCYjhFeK3pJaA1yncjQ1UrODT1j2zmFbLLYnvQrzWtFFb7XY1PCKSSEHCTVE1cwMa9G5+lr1Twdr5uDlfcSZybWFXHv6s1MPLeoJSh8Mk9qWApXpR9+X/avEKtXCYnnVuZEBowBoMvPpYaNrnIWmIXi4ayy54dIVtGbs9Ok1D8ecg3JqK3xkhjdYdR+X/Ey6YB1tNQy+BL+VB46tS1RjGCxdYzYFgfZA4uTR+XFnV05fivSFfLKquJK0Q+JwVw1Cwt14EBMW1dnn3Ptr3SUbkagMwLTXteMe5dn70ZXyj7q7m9UMuN6RrmtQY8QYvVgPzkrph/PuGNHaYs/RNKB+fcTv3tB04RU3nOgVYkytZo7CU60bFyBIHl81HfzchsKUSMMRSory8oZABBxxpmmjqKbZqvL5a/mSG4z6N0TeyxLpbdL3HFrDH/zG17vgp42F+FKfYt3rEGc/46QLBQSU6YmDqKadG0GtCODT/7Cf9LDTuzeSUYOhs5dKeX2rKPkSFy6r4n9AK04Gqok17yjQqkwoddxtxZJqGK5mSOZ1ixjA8YDXzL/IfzU2Q6u3wyDaiR9zn4zcFCa064/DjgXQ3sZltXIMDLgMrt/kvXwwUl7cgIRmtXWaLbUCpTlbdFk3AljwKUCMtHpVmY72saEGVaPit5ZOSbhGq7sIsJG28xf1K+1/D3Q/AxzBPAG29UDJXFntVN5cG7A45e1uiVgjHPHQQBH4Cjn6bi4GzGvTDVapvgTHFdtImu4lPv8KLuDl4Fb8dxpncrRwN919x8lf+IksALX3LrWkd/KEw0NtDmy3P3KcrN0ANdClm11t5O8r3NEMZMpn7EUpHk0F85VJgAdyNRi2cQcoChRp/Z+5BESPQbYQM76rT27T/yEbZUXeAlukgzz9SOK+BXREkFRYFjSCtNp6i64B99yPCUMHFxkInwyaAhYPnm7nuzhtDxkvzztpJIC3fuwATdJ/Ejwx/O8ZsH8TaZuTCOVc2l+3TEGDOq7huVSEVGC6hO8wRyn7fMJVaWl86Fz4Plu0vtunSwuBHG1pvJtLeGdGT4KEAgi59te8IjQvbQNQIIrvAtarlpO+h5E6iPrOSqC0afTuX1DjUaa2n6MxKiJAUrx8JScnniLvywJMyLFTQgd5bpIu6//ul1pXpOq3RTJgdGrM78pf4fL/wXLTCwb/nFpQLMrAHrS+YfHv9L4gpfRdDfSTjSgZ49yrOHXuUZFOGk2x0p59FPwPVXw/5DmAfaIGapg6g9gSfMFk1SNaCU6AqxHPOat0XNKCRCBZoSZ4bIHcOJo5t6ZMTOWwP+oLd6Z626oHYnfmgeJRQ8j+yeqgHFwUdbIkA4n+wDh4U4vd29LMPorjP+r18JKb1hWLR6stq9QUhdF2dSNVoVZKdWllSSZycxZmXLFqzQ9Rnrvt0TJkYVhFpP+xyDVOLM32kgVfdA7BK8xVoR4vUJq1OrVNzAHWtplF+Zw/pAYyg3KzO7J5kWffWNKH9BON4G9aqXZOT3J2Aaj120ptnpi9AzYs5bGLkTJBxONREwyPVimdWaVtFQn6wFhBhSyMkTybo+KbBWOaNQjpnhnXnCXNqCZbs+L/pRMYw+gKHjfPgp3tK+NAT6ZrAoQwInND+LM1tUZ21PzusImIO8UmRRW/+gC77NXCdMCQtmo0ppoca6pW3780l7uMCTO06w9Fm87XgkR1PkcR+A9YX2kMdGLUHBOpyWIYU7bgmYOqhB1vrdrDHxh2UAnmoqCJnT58j6jkAY3Jen1DrDCM1ya3AEg3cVpC09JoVaGrgGTf2LLMOFRX2dj32+Pje1jXwfCMX8tAmRVWSYw3vHB/nrfT5Abli3EB2LnDc0IDYEXPlF7n9S55VGZe6a3qgBGQUVI0ALOwWKbojFfC7lq5VCRTWIR7AuWeINaS8yzaWTKEJdQjdpjhugoLCQFvZV39uUGQ1dgBmEWdJ2lyRBihGflhMMZwk8Hiug2C1O9oPYsKstiAt4EPm41tmjdP0l2/MTd90kE2vIvZpHRlj1zPlVWAfxJVigg4rxB8UHhSYLoBUiUMZ6ntwDoSU4onq99aScTMjno29L5Dm2WcmmL/zPRu9CDwHRyMGQW4VTVfNWuEqqVCJm9tkb7MGTYxJL1NP1Mw8mTQZJ5NHVb8jJ9dmZJ8fHCIQmdVhIty+f2wQ5j9knPZMzjFzXPlKDcwVyGm+z39U1OWaa7wEZTfakoDEcSxS53fwdeWSkZQ2A4bkeogTS7gfPyq0m1AhMyjGvv12QHGBK8Qoeps7V12AjFuedukVwqxttYNDey6ghsCQ4IC3O3bZl49wYdl054c6tsf+GQr3oh0vBevJyD26lYynepNFE7Sh1PqEn24s4wJ3er3at8UasGGoonlRb7bBeefcDvW4ZtYYC6TTZ3g3WPBw+5HjIZ9DKXYfEMp2Hi3d7+JTTjuw8xvYymy86guMYnj71vDYe1MQYk0i4Yq+AWN9vXow29KZnPDywHyx/6Y4EJpD8jUfy0UkzD0A8mNBBw/COw8WKFEfVyZoNA9Kb2cFQLuPFW2HFs6Ylr6aQbL9TiAuJ3WeLW+8PgStehtgA7BIUMC25Zd1h4mM/KxvM0lalcDMkL6DUzF86i43+OaIQzWr1+24OyCaHI0KQv0Gp+zN7u30EA27Pw2SOjBO4pOJqM3U3dkgmV6FiO6Y4H7PbLH1NjJ16c/A61K6MCzy6qJNxes7MpSe6TXfgrjBQOacrwoHX34IFQlUs/oqBL3oO1M5CFmC21RYUn3LMCzOT1PhEDpQ//DhSOPmwSxkLPSj7+eNbe9He8PH8aXHWtxkKr1VtVfdq1VlWFenG7yURhA4f1/gScecHm9+PNih3DFq3Au7gD9PGM1cnCUSz0Q/Vh8v0ygye6FmpSHMHxKVUReQylbMe+CFT4sECyX0TZtsmasqwyD8Fhe1N3Ekd6lcEPKtiNY4jF4icAb8AoKzxvNuiIe0AkRYte0XS5OGbIK8ar4vi7FEWXPwmu5KhGDdkwiuOh4U8YQzMTBreHGW9bELO1Gc5y/q1agiwo02rRL/zu58ky/Ms5twD04zWnh8CUI9wV3b8z4KtMO/QukA8IrdvoTYqos9oAIxGUtBAeZ+zoJZzgXNGsc/Bdo10hRShK46UHCjJIQoBELn6UvHLnpnEBBlAVBayqkLmS4SSO9Yd+my++MCkcIFDM6LuLpr+zecM/JD8hn2G1Qi3FcVA6X/Rh4+UGMg/G9Ey0iORNzGnyYLUE3fjlZByV9h4ExUIqd9G6aBiwNOxKZ9deqNH/NLUqlyN7wPVwsToFeQpUauNIDbrwpNs5POnMAA05Zp9Zy5aGGPk6dLH2aPsQ5i2AyJBsHp+YpnJz5dDOrQ018GdKtsvALf/I2J7TGOBPnYVkikUlxXNK+ze6MrxSUCrhW3uNOkCRSq7bbhqryYAuFj9QMRoX/dr4ZaJn7xbRWaeSwxv/WPF7Hrwjj2AdYCkQDW3NcV7f6mogjsskh4IQS80YzDgvHJTcgoNlXKQp84k+/nhbZNVj8uzBfIKk86kzocRkVVh9ZI5I/DVpZCuEpNvLZzEmzF4bp/oBONmsPcEMBUEazwdNxw2Pm6ZHtXjJcIbccqZR/8UP6HrCGywXj7awV9szM4M9bWO+eQpdpctrE8ySAAPY4lUYoiAIb6V0/2cAsBT1aPo3o9hx0T1+IUJjkYxpM+/uXi6TkrDqd4R4A8BtxSXVBfDDXEL2rsHbDeLXPPg/dVsBd1yeN2/a3bdnMcR/ygrAKHPb+/5XMIhqd4jL5sIfjJ9mzjBYRs2Acagg5WhthRVN4OBH9UyF5obipo2lq5/bjeuiwEpOUlI8xTjvvaOwWA5CGlr+zyIgPvvmS+A3QRoMI9U44ayjwunpGgfd+H1kOepdrLQL+aOtD3wVChe6fMyKr/H2DtYM+f9D2mX6rOeZTaMrRMt0Nh5pDzmqYnjuOSkVXYMJ4NgeqFQBCLtKe0kGDvTnmp2Pu0orN5i+tCK2PaaXDoPwsdS+jEIlqEj7Dyk6iE1qHw7xWZc3zcGneEQ2Fv8PfEIJEnJ3VTt4bdVFuYoN82GjjVePMlpYG+XAzZxhA73CqpGpLKNb5+0L0bDuaELZMSU37iSIuo/xf+Lvz0F2GL0Ez3RKAB8ml6foS47NQMfKRJk2i+T1KVANQLB9qan33Sh9yztIEihR5ggQ3u5omVcO/rmyMvdyBdIGysd0NwoCAGd+ngxvxj76mbhDnyo0L9k2bq2Z2O1+y8/c+pFdcLSxsWre9XMR/FuFBXjV4s6r5SmOfPYk9mKHhWIUzlz6XdiUyJxS2fPFSzKlJm2M8npWQix1iENj7Cmvy84DQtxrJg+Ezl+JLbMiWprp5Lrr5YeMXspzh2Fdsp80eEcxolvbZM+I23DCnrw/QVvg2Mz1VJL/d+5oLTJflh+S0TTVxynA0yS4XU4QnVuC6nj7o73QRX1rBbuTleP8L8hfbST7EnnnDeSZDC9NJJUV/S65z0FVDl1VdX6uvVOCtHp2RNJE3g+d0eJWk9SMlglOmhDqBE38gFFYHta99gJytqGseXwjeo7SQMsVL8zIlzNtJsNoIifMOfcP2/2eInGYcohwX2acpzIZsnXWbt1oBFtV0qghz2sgyO50dHVnohrvvVNp+/vuHl3Iy/suYNLk8+3KrwZskNPKlzQ7GNQmqmrHGuAGfKLy+IVkhFaHMLJD+pPGfHNSEylFVmghEC7BeLnPBvfnnk/v1KtD1S4Dfi92Qy6vtAxA0mSJV2YLaTa5li7XJgG0qrbU9KVEIOFWQYwRfNfYFtCQ91W5vFqbFYymL/1ZMsz3i6YagnQZfvwSvc6rrhmp1a5ANT4FLmYnSzAGWyuBH8GP/bxuiLXq4XNv4oavW0L5Lziv9cDS3xbjYEXvZtuOGXMroGBPinkZD9Aa/o50ZBmawMCYwPD0Sb/+gaJ0WbOC0hz2fR4b940Z0xfNuTAyuWL8bKyqncSPTSDDXAn6aAKZ6EA6LLI1jKHcpzw7w0Qb5klc4jmPAQUsJ9in3tlsd9+9A5RvAHIA1tbRlHHGeavl9s4AFXTfsXiBgrr6trfb3al2A1cPiRAQu+736LPBbNDadclb3GZgzC9XN/xVrgfL2xKCbcnkPrCrEmciJgf3c/rWmC231OosaLCwpRw/XwU8o//amQlZU/SixfCdcPFL+fR8KMcMbr4HwUv4kz/Od/4kur/GAKaMZ8pXpAxRjCn/u+Cc7unED4f1aDiv5D8m1lZPoeNR+n1ODLd2rcwF293/n02iaoQ0RslMTjoLVIKF3qPWv5GGzS31CzxuuZw0LVqSNy6KmwDzRPC6cdyYKQsvmKBhvqdRoUBFWMi+HWXD8yWBAkBRxUBsxNgu+5DR3SOAXkqQ5bsLzzFZP8hPIMD7Z6yY8u5YuUbwiURczCKUhf7n8piRys1jgBv7jd9KBRQB+PwTiwG3M9z8u9PUF7Q1ofZmgNPxALgaOl7Wwp4+w1+j+Js+TQMfyJIv4HFpfeFgPz148l9j6fYnGvfgpK0xyQ5Ft8NHjB0RAIlFMi0G0KOkFsDFfejm0GuRhgeX0YTEb96lS0ZT9D/CSSmY1NS6QsJ01EWHYTHG2Z3pwKvrDhhzExxKk8RSvAsYIev/eIwmtk7FXIIBGN16faXeaxFbbAGlHQUGQ6A2LsMrBaPCdY5gdDFLW/yh5NrHYxCaiE9reUmIinNZaaLGO9t0U6HfiSp+MksZlQo8ondHSFpxxBnuTxczbIzhlbw5WW46VE9KrFONtt21Uuj0HZpBEe+YICcYHeg6nHHd+0sbY40XmkubVBB5PSbO0iFzoDcacWOS0xCu5UV4U9bT5y0Wuu3Ow4MzLd+S8nAQlFpSZlvvsuAIIKdBbytI5dMdLiHSWsGxusP1tl1M525uVwh75vcGCGYzGzfNrUhy1YVVlu/ROeo6diK8MVuG8vS1jVvQ1oCUmI9fdxPP7zZdxG6c9ieCkvt3l5PVOQ5QxFwKVYvSL3qev+QmBZk3pnfK22aOzfHhZlmbGadToYi2PxKCHxhxjP91EhrcrMq/JLjVcJc5zqtvjaMhrgn5O/i7cH98s8JByVZjczwkn1/CSfrKOTHY279DulyY62rJz2O0fABLtr9ydwPHuxjwbq2olaVG226MIZNyZolvwO30B8bMu8j87YuAY+Mmb1vf6sj0P9mce4kbdQ327lTKSwTltzNkVpSla0oWw9uxhMtwLBV6hbMOa/+nG2Zv7CjhfWELvDLYpwmk+VuVGWI9yf6Vzs64rglm8orlfZ1ObbeSHPfzPKCq8ZZlBF8e26Wy2Zq70TjWRh4THa+0LY2dG7qqFQpmbsvOlrARGv1vFgBEKh2XtUnFPw8KCDqw9MnlyhieaCB0q5mXjslN8neRrTUByM81k1n9Jkt8YdgK5CjN5h/jR+dQw7Y0QhK4CJTVmVWTniPYbE+PQxc1i6WI8c+RoHZJ+wQn+9BsfP9eDmKUaHR9fiCDvzVTIeD4/vRazQpi+YaUulKCgE/ocPpa3W/JQZ/j0Tq8rcovmXZ7EeJvel8D+ER/slC8KZabebr5dtVJ5fks1QfQwPdmlVkSzPwi0LlFcFjkLdrpKELBdmHzZf/irtxA8SCNdSpbMp8fzj9I+KkhUDJFJ06uw36Ks9BgXK4561+FhZ80hvxgx3mjrMaYloiRSCYDWYxIf6N1K32tiPOk8BqzvKiYw6hNnMjbs4ghN6HpTaJWmSVqxEMhkB2nXIBNIWP/7d+BTYSuKxxJbD34tTImMf35ENMRCTVuDJoeYBCy+t1k/iKMQyUKCQZr9KxXPnTPPHExVNDfo5u3Om/uQLBzkJ2gzyWWlWyYXUbBCTa3f16d5P7cD1v1qS3ucOSrzt0BzupWvlQs0/kGWu36h/0uUTOXNQjZfN0NTgozpU7/UAe9PUDgLJsPGcQt82TH5eExkHXmyavbqLOOEl5FSqcqpnLVqu1RaauqpvQCIgu8NYFsIRqdb+e3YQaAixghZcejbBCPfVM5BbxmzVmuxV12HvKiBQM/f9wBlcM/roUxMUxWQTjyfFW9qk/GRXQZXCz6IGnsKT9M1SGYZcHdLXD85NZCQVPFEdRGNv/MCod8ewbACmyGnlHRxTVg6TuJc0dpljdSLwjjLeGg0y5YNo7iZMJdTXjVnfS8CDJueGxCMBegmFiT3GvX3uL2v5AnB6rNML8JOOZF0kKAVYw0KdYOyG1B8WksyAcSrB0KOqRb5bm2m3muV6xsfDTlPU7esD1qcmNTM1+TiNjL6mZf7+n07qZxeqJ/zFiUGJbcaVfbuOWGXG8zs/c81kn4y2tbOn87Z2CJ7/K23YJ9CHABKz9fRJAmpFAtyUj7YdNDYxPwi2FMzqjXYKqw26b3Bq+pTZRqZUVM5VKnVHgYEJDqcceYdSZ7f/wSnlMOkhoCs28W9N+F8iiYZdJRnXlxYSh4GxLxP8NPF37aHmMgWBb2Sp0wVLKxSLFu9Jbt7UevLLlAvmDKkyjkVcUgv9u2Ynjt9j/SvtMqsAxk1HafAMzaEpvm+pHJEVyplyQwB9kJRaBJ9U1ht/nrPr5cP8XkxdrBXxV/8UXo7YDUCCPvJ1ALCpKlAgyAhQlxfoOIUpv/RUDVN6TukkWBK4XqmPOxum2mt5ZWwrMMmfdOoB7QNOONyfd6GuLAILlvTajZCecT3w/VRpL+gp5mgx4An58Ksd5VY1KEz3kM1or0qPs1sCrcqXgHourx/gPUpoDxgJ5NDTbW8iKwLY8tRmgWWoq/FVF7E8aWI+7SI+lwUJP1PIRZPcXq5Tj2HE2+2ZvlJVHuY5RNbz602ZZeo+uUyM7BFTq6Zj9ws7iqFksTK5cqYCeEk6XUpPyhwhWphtY1KnazaRXsUdDL0N6Pl99l9CLi/Fge7EApewh3nwsouUokCECAKjSr2sUlgoMe9oOB9etv1xdGxNgN2favAT/EmPV3TEu4cU0V/CpJjLWQOzPsZAoCx2MlM8uOx9fYw9lA4NRnhNIwf3z+xvxq16TEyjbYidsnklfQKjMRvWNlLmwNlac9/gqI2vcMPzKse2KPEsfC7WSDKIEGN+HRERZcgDb19ic0CttRgW3qXNmy6pMJTJIoSZHeuO5npiULnp4q5nWoZU7nznxQab93nnsEFGl0r5mc2R9NK3cBoPmJPmTFYaImBd+aWK7eftqDZg/bM7H4lBR8V9Q8lVuU2lackZiaVnDrTJ4psqWuh5XM8Mlf96B/sjr1nTI7pdKHEyOt5o6p4IF+DO37M4u3ojks9wJz1TcM1WMzSeT9sQRI6etQpa3nUa3lnu7V9bFwTaYRRGvaeG1TCRPHQQBoj54Euek10evgqwo1OZbRRy7EW2m3M6J0kQrwsbXk3A2dgG6Ea0XdYuxhTcE5KqWU4xFF8ihLxFLlAMHNo0joeES2xto4J28AHMNVr6Dr0j7aMBODoGh1p9nVHMksxfWTEP8Uie3jD1LJctcNu9pgX4Vky0961r0la+L6nEUWBkRohvqMegBlCRoB+EbYxYbiIAETl6CMhwYiXqVNxLJT51lkXCcOclcpnK2j18h2mG09bZEIVvZB5z3zSGlzlRvu4T+yadMfw2Yk2jNBXvcNB/ExhfWcUd+K5AvPibbKDA0BOxf0PCBL++Ew6apXPicR+W1Z5swq6HzBNJo8tmWkITaq3TZiFyGZvwDtJihrv5jQ52FZh0a8op/kwXr8Dshifr62s43tMlGDeCgEzGIZZYXTZzZm4hlQ+U33r+AbZMZQZycAvm/ombq4OzYqqF/K581n25bj5om3P8VBupxcxRC+Ba2/nvIE07mF5dTMyluSuQSK2qgeqKBfYqpYFxKQPYWRkUOC2RLd5pJAamW5lpeRnIPcgoZMfeJE2QkX6x/1vBKTYAETOfcU4P/u0GuSR+g9G4+N/kYjL9WxwzlaMBbPZJzXiUOotPx0Zp/b/sA4ZMdm4IaLvx9bMY4LaPKgxwWGRdXNQc3+EzMKlzP+g6RaNuY+XGcnuvMugQaP+WDsAncFdCJR9jdnMXaMS/9UOU67CRIFcNXb2bhMoDHozzcccauCYOANrlFYfq5Lo1vD6nsFg7oaoe3j/dPbmbAeqH6/wgnL2Kf3zbPkdjkYDRDGdVc52GB2+ruxmHFm58/FCynwnKSnpqOvcMi/ltJj068X+dFCM7BvU8kjM1lYzNmdKzYX3kbWSlgHyvGopCK/8iZBqigDII43QYLe8/D8EMpjxqpn2U/JKgc31QohMuhK69EXUbuAFm67KGO3/pBD1+i2jfbcJtVl6g5qkOmXM/h7YEmuAE9z9/J34jQnKYr+pLspDB/hAdgv4jtEZkyWU+VgTgWdyjdPAg6GzqwSZnL8pkiq5Z9Lffv5xtMeFw5ITrt9qowiWztvsjIoyiAxG634riOlArvlDFUpXgz+Q5PUUhhPr8tMT63zP3t1ZPNymdScwIkOINutw2GKMjdGuDJ35V0wvCehAfJaOvqip6Rroq7BtaBlvRnIVKp5azl4jsMZ7TrHLu98st03TehP9LXtaIotFOCgo5it0owQYNK7TFhKnklB13baMSBj0lbRE1EkHWDoMc6aKU3zwYYP7Zwvrh1uIE7WvC5Gu5JqZZzNW0rPPWI7YB3n4Qni6RlcP0eMO7s7vi0aBA2BQQuxoq+d/fvuAPnICZrMlSJylXnh703+XOCDvArgiQZYqR+Z0ZN7SvnOxhMMjdzwRNiro741FMsqhCN5NX/t3t2NAYizBGS4CW/lYJm2m1Iv4I5PRcjalX9n3E3WdTiH5YNmGK8/JGWogvjwhYmhs6yGSyTguDzL3n70bg7AyXCf4IiVGappJfNAvUhK66LQs+PhKeVxxGqX7Zq03rjrRR3ZS2r104LAvuaOWwJP5kabQRfRLSzpLsWrzft20Ul+Yoa2xyv/4spHR/9/r4s5ZB4uFH2Zwxo4aK8SrDE6c8JggaovaiaTGphWfUPynWCagDGp6zUcqrzO1s8wdZyIALQNs7oVYfyjadlJbrcark7sSkKKTvBmo60Af+5hEkLidnl5Q5rvs1Fo1HD0qbZTdX1oqodsg8g2uKxg3sK5g3DtobccNlk63wriAZA7rHH23ejY4VgA4KVmZXILI9XvuoexNW2OSr/Ei03iVqGnuxRFuhBVr+KacCMaSNdPuhiLD5Eyxeor2FI/OIeqLGfxMzeHD/+eYd3x9+vMZaqn0LfXxlpYrLTbihg4tuBkVXp6EndXEUZQL2czWPdHNpZDAosoalbHr/jtZJdfe8tXI8EE2UzfehX4AC1IrPtrrIhwpnOt8HJ+apjuKVTfj8E+wAuB9x/fZne1SePDVywHyDJTSeZupqoIYbf6sNLGIEpHoLr62HwikU1Ud1GD0P3gm/UGHzoDCuPycvBHfFjdQWEFAcB3fTrzn0+gd1v4z7vaFt6rb8laIOW9WTd3v8xNvnDofmZrFHDhjjgs+8+eNx9MP40KVEpymsXfGOIXtA4HgFmKaC5+BRDmN2Of88BOXxnnqmT+C88i/69me0me1neDFZrknpBr0vQFw1vTmF8Xs2lhQnUXtrIUYig6sEPCO7G+pijrod38Vi66oVyd1kI3hOAumImzwcBbB8OhoITIH/5bqZZeFNtB2CfzcgaTyCw8nDNnMBBwIBIPbKB65PtbLBucm6sw4oZVBZH70tQMZP8zHRMZhGAZywvuVcRWkpgGlCNfTaG3pr7XBSB6hNKy0pICltQMLry0PMqjUdpos8dHWVK0iYLA8wCzMPhQfM0rPhK6EqGDEj3NvV/I/EiCTWIgZWqYL2ubAROXajxLPiC6VJgPFjWYRvn3Q941kUvfzBgt5qCMR0IOvLu7Oy5+/87aWYeXWc97MrYxin65Fub34RvNU8SjGePxq6azarnm86IKURa6sZJ/9XmhF9DkF/lirXt6NiAEyqrKy4liSLT+lDVMRPx3/yuwR6uZztnjv6ojNZkDm/Iybyh0UvDyzoh8/z+HBKxEvpAO6QCpuQNXx5/veYqUA5p549UNkhhhqCJzFgqyXaWkjQq10aBJfRzGpV8x5cQzxJwaXvDH8PDK6f/CAKGngz7gEoh56tb3Jt5MDM4t+pwCf+lTypzci16fNWl55QN4AnQwXSUUoTozwjarZQ5Q5gWDBu3VjTYA58XeynUc7LgrFKubul3WTf0khp6vwA1qIxQld1cKE/epx2ljO1fYjzrTM+O2WbBRK+sBRbXYQexm8WY5pE+f/vuu9uZyH4ynOkIbl9KVzukpg7N9lwmZNCtKMRzqyACDoK5yGJ/NrOkuPjA4X2YEIhTtemRQYwsr4VwfrghaZaYsi0o1TLdmAYRHma94Zi1OMKa/DZR8RH1e2xJ3cURctu4n1tI1LnMACU/+z1wzbrj6NZU+m9jYlsq5rkmp06CZCgUlCljiWyaWzJ1Kv62Wbfv5Ww2EpF4bKGEEzYfbjSDSUlkVgkQfVMsJgbf3YOsJWDNvFl79n68CRrQhuFHPytlgSKUAlRtBV0Obu0wOzWPOx3SlQFbdDSpr1PMmnmpWHsD/I3Bw3/L2Do7mBVh7ScKdf0EPFinTrrITSyZdZ+Ab2spKetEpsqPG0Pq5FXhFcnOJ2b2i7HA9tL15jSJ1lnwAPekTiQ/FZgXD12+nqXvNZBzWLWccPGlwantoB+5dhVy43EuGgImgdR6YcwcBv7ElS/Q5wBbRNYCzaf46T33NT+LDwripSRUBJCTmc+loXU9YRrs6Fv0Ir2hZSMxna9LDXecCSwFk2cir05CnHN9dCp59AhP9ZMCCSdOM/BusHdgkU4RDM96PYGGRrDpOkoW0oO69+8zL+fkAodf/R1/lIQ0tiJUeumCK24Z08R2/7/TJk2grMddRG2s93plpMD+sCGkPzE77nc4b6XsT1DRbB/ttSWghguPz4R11yIUqEIaQa/qqSagfpimnszqKiaxAMpjRJ3PqMb+cG615L34HSL066t2aUyYhBEUklLUV23ODWYfmdw2vHr4dSBsH5/ZM6FcCpS7Xh3mUifzXit/+I1EM6PyTvRgs00sG2DGVa1aDMvzsw45P+YXrvdzIfUtsves8N2IkQsm/rGP9oXPWiyUjUgBaHs3APpwfJ3H5zbQZpjFeLesoHN4GZj6PfdnHp4xN2q0Kmb0BTL0ZMM506/+dMPElMGcdPwl4m2xKYfgkxzRRJG2zBWrsD4jm6vHt+4Frd6PJYkLs5Qv9eGSy7IjrN8lt60Z0Ti+So/8I8AW3ZCKpFcRtnx3mAgu+ZeW8WsUUpZS3wv1/FboXuO+pvYfTtQ49EEdRliNppFL4MnecgHgDMXXlF+GY5xIlDFL8DCZhcl0KIupmYBizuxM1dcH4+lxmliPJRehSg3ERgrt/pyGVPL4/oDu0rUt+ZdxV3PyhnIM5L+Tle9u3OvNuIehgbwTrqDYHvGYv8uD8jf4D+ivJjzl81ufsGp6+N0ITK0yeECN02XL+tAzdQAZyMZF8Sj+dCnoBNWOa2tNqIESpHosS64P8a2BbGgK32wnVgOx8lPOb1ouRsYTCE6RvX5rm4zoP3HhQvSi16nOFmZK6f+SWLmBqdlI9tMdX6qVuxl4dqKZ4uzXn2nLxKby5JRV1IKqrSzSCHtj2Gy38hmXhe7hXerIK8SmVcAjsGo/DakIhv5dETgqdxUtd1l/zMusSQvSJ6sLoZYcHpvK4G1K1g4dt+qkcy6yAouEJlfSCc4ShdXLchethYjiy3vvGEeV4ZE2N1PRjoP5dRFCvxj0dyMP0K0eOC9woTsG1WTNht02rkDkNSZKSyr9wQrsfGO3DdIOrFhBeMpXcLHEH+NxNQYZs8hnXu2ontYdL7OeFq5OvBhHqS3AOipUKBMutq3yNF5qXMuzc70YZy1fpETk6/bhLgRsOh74R+nOeW08kN2OodeMQmRU+bnT7eDzWo/xwvXgb2zjkYhCwLFnRYk4e/Okkpl+Es46BNJ3uWkM+EU5sFSZNFrA2QOFkgADBuPsuEDtmIW3W9445qj5Qcrl5yhj8m8HwnZDiT+9qjX4NsLTif53QJbpbRflEHOSkQjAXsd3/d9zZ1iSYzpOVAuu2EkhA69Vewx+yQChab+e9DE/Du3MjL5LKMBqC9tc/a1h5bRJSdpj6XQCW1qc+UtolpQlrwDez3OQAHuKJnQ6qNMY31ej1vAffWFO0g4awVuwCtZ2349/L2r0izj4fULO/3I/8ACfhj64/W5ThA4WFGpqQWhgab7rEDqPX3HFokeWkWuKXurzs6GA2FTqr3AjQSrBUnXyDaUMzmnyLKjC2IIw8+5/0a8mOkp8taLiqdiDpeJp5/mSyvCS7G6uJ913eVWeFuczm/HvczGQDsu9VYo46jM9L6NOIH9ZqYTQqFIRHLvOHqOkVCzKA+g1U5C+6XzPxvzqj0w/ggmI9uKVt9AdMp5/5e5thr/1yT7cLvrm6FJA0CywLp8+o5UsEMIde5kAv/OQ8ucMr7QxmCqvrptI4m6I/re7VMBcQRGuI8O/gT9YuKYYQESIZW8021QlU3iaVRTSwAV0CSL3mHptqTMQWEpTMpPhWe8OlOoBzh206gjYJSMocX9G9b2SKz9pIu/VRrQqSu/iZOWrxQgC1E8w8pGQu3bWKR+njO9jD7zBaEVUdfCyJqnzzGymG3eULeSnHJZfAOIW3/7mCo2ypTMGmk/gkx542bKDB5FIAAmC/EOsdj6xXCqWb6cXTSA5tGqF5+fXnpY36Iah5Wo0xcIneVduF/WY9Smh1R3DQ4uKpHlqeCxoYou6j+61La6FXY3QZdSMaZ+Eugks+4U8tRm6Mya7v1VX6cVpSDmeK6cmFe3umPCVvfM8ijHxZ9i5Z6bdPDq7cuBSAS2XmTLyH1EuJdi//pgc3DKqcJyDbYquvua4dAzJ+mxHt0AJxC1a1IjWMMVHuH/S7UkqiAzoyuGHOtNT0cuL+0sNy+CI31iEeA+wWCjunidI2pijgIkSJpMBSmf1J+yR7VDdHOHTshkoovbItbz0lA5E6IS3x4yeSgH9V4sdtizs0D8yCk6HFslNu2CfqXBGm9lh+tmkUC26RuQbmZ9hHg3mN8YPUkQzJ93e0/0kSx+qYjNicZeKxvEwRmBf18O/f0YLTYmMoldx56JUtov4n8yTp79EUPI4rzYii519Pz0igjP65fvHPClIlbSRLHTNPnOuISbVFyeMcTEt5HdXDhVXEeucCsd50hk0EE+NyGzhXwPZ3k1es6GGDG0ZQLE56WWIv/Jam6mFQogwMecTtb+c9GBA5RF/b2Y+LCX2lZA5HiSUKwx174BJZUBYagsL00WzsqvTJbqF/PKyWBA9bWdvBvWvJXzuaTumQnrkcsbbKjoYQY/83AAXfMFxMkxntOqQSiXgBNQMVqmadi8zhWHoI+aDi2AciYeehn3vF/O7UhFgTth0FpTl2NbnfqNPtbLWeckxCHT2onQBrwsQfsCoP2cQI+NJ1GL1F9A26NmNEkXZCWVcS8v/TM7gSf+NaUKSvFMYZsJDuoedKgaqVxnT3S/xGqkp7InetDMu0bV6YgDru/+8uP8f8BRYOxr27NpW1NVmsv2CIm+3muHLBg+8eCaop3mRyy12vvv1W5UUGgQSp/QGJC9CpwjoetPB4/o6R+rnNJOXyEwTm1IcZUNtflRGaX7KGQ9IaKCIYwFolpwuz3z/byWMVFm1GjhGVymlYYGvEu2Fp3lwmlLoXRqAUKyky4nV8WIaXBq3QpHICePbI2wUrBALyG+59owk87a5woFDc2IXMGdP7uYQO6adVXQTkSmdf0j06YsMGbhOU/neV/38dbhKMglRkrfvQAgQVBpwIiGMRh8ap3Nv7QZ/mv5R8VljaAKON87gxtklG/F73ystH3k0/dbJMcQR53Z0kCLlxMCxj0gstlsFommGxkFpnxcqV8qM3LaWH0VQLqDVuCQ/MMoSZYiyOLnFY6MTvXoCBHXZTRf8zWbUmKdTWgvRz0dFjgvKtadmQQ4vFMTEK5K4oMeI6Q1qMs1MeDS4yRtmW3mFccUcFMosTJsYfcIB2gT4qyfTgcfEZ+ejLvuU74RAwlp3aU6xOCfsV5iuf2qhhxB6+9/jDwoCdjob1MLk2SwJlUsS3MhVMEqOn/eWSJ80e+oTAJNgTDFes53iD80QbmsSDIywSX7VB/yRAmSqE9NFXF2/6oTfRKcxBCUNiaTsOHY23D3b2GG9R2vkSi6EovejQ7BJu42D0pgawYVL1nxi3AB10jkIjXB+ukM12bbbjYJx3M/BenT3dvbJtlkRxwfoycbTi64jMcywAyEc9W/lqPLbNiCc8D6gkiHpwC1Qc8BbUEPc6Ir0aMYZKjPONK7y+834Ma0LRJnAmbKWqu7sjEOVxCU2tHsngUS2xuIxBf055RH2R4lMcm+H1m60pkF8SkidcogdxOhGHG44eXOhGPEY26gNuczRYN97lJUnWV25Km4OIRUcag+A9Wadcu73EdyIQWKIQi3fFvbvUtu7Zx+XmyIlUUqURA9RlZ93g0LmWxUENeIYPJDL/WvbPMPyETIDcQDMonecSmniR7oJDDT8l7uL8+ihuE9dgNdzHVEoLJ5RMnXulmt09pXKGdbwpPiZlLwnfpwEoHcIwGRke63PkdSDKeaopVRICJaSbyH+Ns1C5LJiNyJeW6VX0ob/iaFexjebO9s91PslFyw6zxDOVQx9OV2vU+FxWl2+vIgzdZHKKZypnaqWuPsuKb7nKCRx07pgtg/f0U9xtHKXbWH41LGZLuvxLIhuy6QKe0z6IvhrcOFuSVtre06N9Ic6URFvt4pHqpUZeTwQhQ3LlP80FiaRL0jUYlFmSlofGqOhuEsxUqQDdQNR3IMZaNUQp/U+XvBE4GVDHIsnd+b/FE+0dD1nIQpgUXRU56rDt3Zq32TSdcBhtlfh102MLgd2oB5sGYU2/ENhzLYjFojBFxWZsIpqiDw2g3YEMOzWDpAv1rl57pr7ozYLR/joWjxGgzxPYVwEqSBOYCGsFJlksmCO4p/+q4mqiM0R6Q49IOu8T3aIjoF6N4UGe+IhQ70e9IuFmCjwQWgFDOcjS43EyEIKJIoil6c92nqGItqtTxIRcjWOsduPAd8F/x7k/l687JANrpZnmlmnluzgl1LOyl7f7wdXgTogYQu/WR/I+Dqrg9JDv6f8pXir3lo6fjAeMwPRm9Bu+e4AwuyFKjw6Cq7kza1IWxReu8PCOsuDJHCIKiz+51qg511ngf97o+6/qLRwf3EcmuwChRGb9kffvMMvhrQypDrgcRBxGFjgMNHFZfFfP/vjWfZSMa2lD07Mky4WvqtCUzBUNzfSUIrqhbKK6cJuuBUupaL1TK39AQG0jytagQXES3YdJKiciB5ZsdBvR2kOAQaOdxjGgy4lo1RBS7CZEBIukeQ2nGPYg8JprI7m8Q74rxY44jO2/NFQAk7pXgfZl6bjoVD8RYKhSnFRTnjAvHayBLJlzE2C1vSGe1hvfeICiR0BL/f4nf4KrFaBCLPQibx9Aj2jiYjSLDdqBCUYvJQ3WLi0eQ8aSsjioFDA1M4RHRbH9l2MEK3ghYq4HLiBRdiukY/tydQenoCpmQMumdiTPvOIP61Wuxd+If8C3u7uGOUsQNS3nvbxmcPb4yLcuX0iwqPgJHAajRNzfVB2sRIz9cNoYpGr9tYHvIgzNFi9QLp83kA21zBdOz14dWBTnqqviXsk5HDvn98VwYFLSP2OreLs02vq3GMSC3sknIbtdYm8PuCXxE4vNxk/iRjMXxRk93W2XkO+ejMFuI/6fmO8PRXvTpElTuN30W2Jk1klTVdz8RewjTd6XIDlg9/IMohS4nYMxcXZVgWuOauB5xb6uk3aW2i4TMEpUY/h9ItqjORox9A2KgQX0xJoNo7W4aD2hVSmJbIiaG0zLfKyajXXx5aWMqPfQWAIb1CejX2+Z7o3JDY0l08T/NlzyJ9HfjUwmE+m5g1iDqho9FXpt35T/S7WwfHGKU6/ayvI4OlwZXg8ALEE3fdmnlQ6GMvq55Xxb9HWhSif6U+4QG0hT7GtW73d+1Pcgu0raepfSj8ql478zOoYEuQUnl4roMPJPQSk/IOXmR6shrwkQUNAxgkDVzf5ZW3+KnXnDxjVOmhjnLBN9zeHaDqBzpa8emyUNY4piimA8gra7yZQ8IEsacCs9yjrMvPnkpexe2YW0iB5cbDQRDm9sqqvp8F1Y/jsza3JWNk/N6YCC281nh+QlRZFSP4lvjjdtEJdOZ//wq2XNfxLKarZxpA0JpzxYw/hkA6hzWpHxFAfbbfAIuhBV9k6+Ro/Pk612MESYQQ0dNH5ZtiwmdkGyXzYbxcjZ5gE+U3RUJYMEREG7ERyp00CPwwzGNRX8DQUEd7mkgT9NL67hGc+NU/k1RnpjKr4wEvCcRvBebsace6SmydzrDKBnoUYbA92Fu2l/1hNuyeMA3vnbuowW5J6Ps+rqG0jyW++7SlxDuOSoZsOBAdnGGhhTq1lH7WIwP2B8BtOnnp1vKd2LvmaEC6JXm0BZ67PVhzv5kq8HiVVM3hKzSR5Tq4oY+sgXTlNlhXv+zMNAf7clsXR7e6x7LvugHo0jFBM1ER1msDZK2mGVbr8jm6gZpnsH/8xlzf8mcmfFgHjKw6UzXkWPV3h/9PtzIASCXR4CKpRA6byvK/1bJPOxcn2TpQl/Yg/ySZew9Ff6PINdYFCAtQu3h7qYKGnjBrBz7LdrFGq/XqfqetRk/Lx/tnoBLAFDLbpLQtprmYdx/KgxVdNZKNcMajCheH8odPuizxWIfUnCOoSq3jmDUXth69VBh3T389nhT4IeYKZbcFV2n7rCigTeLMVZNUTVjy083Loa+t4iq1amgFeUGwmKTzqtYPNEPI86sFvIozuSvaHvf8qWrfL/R0JhTde7yMITxnuaXks+BzZdGNG4HlU0Po3gyJMv6Hi6Bab1wfQG4w7FpXznUQu8ZVZRXYRh/ad9qxsHB8K5zuShv+fl5fFezua3yVh7tRVx8+SznFNI3ZJnhReC1WFyWnGTXyimZZwfZdiIq+dPZ87lkw4U87J0I8voPORveqldMRySxoZy4mo6weG8nIJyN2ewcAv3Mh00CZe1xNRKaKR7j0BAKJiQmY2CcZ5lIc6DRcEXqDHTo3B/u9885XAjqUiblXvums22xyzPgMOFSzYnckmHl+6QQfnZcwkd+Tfj/mY/si7B22z4Az4kUmGkkX6FowBN3B2bNQzLdzDHClIqcrXlLTO+8ToP/DARdz4H71mpwz3HcpvxsRZflrJqovMGzyC/PWbnfBy3fAs/3lYIFkHnsLROYGz3ekZWsNtKsnfb9VC7dn1S4mVljo4GUvHBNXhCtqa48mGCPi3wnwoRPgs1yIkjiWEuI8GUAZq8S/OPjc2/tU5HqVFsfy0NuXd3sv3u8ZGH8bX02PUCGZfHuW2KU483dbiHOlS5q8KW4g+pGTmenBC8IkodKH/knlh6oENtrWBUApcWcn/U3RAOsR9/mnQC18u3LarUnjm/QxsvWV2wwTB1qJD+jHfnEd7VV2iETUOG8yP5BFsIx6P/2HORxuR4pzCbodFiDzxBo44ECKJ7GjegBzORAPW5/hbLRyS/wdOnG1IIuwxxCmancGk5sIWxuYZMNYg6hru9GVytQylKtj8g2Mhmm83um9za+eCEqdk7mNSSaivp10sirj2QbCx6AbpJwxZwSrPZMet4K7/C3Gw61NjzAnf4Glf28ZETiEVc0dFS0OhMfQ6tiGn1tyUYqlk5yOYizPAAwDKotuK7EvyONCoNFWcW3FQbynQ9b4+iCpbYr4wF4AwGYaLn86cOPwwvgQPjWZn70ATAiPO3vSx6e+iSygCggpMMWP9UjgIRN0TSbtTcvqVqZHhBMGi5GLC2HV3KC9qVU9ocbbq475XwC3NOlcukmUqZMbqJyfdP/+Xk+WW86CP+Wiju+49HDUOWcPhu6FiTCYjGgH21icnb2udpnPLVtlMsGjr9KJ3JQIAQ9gQkBtUu/Yh/UP0OytU5cbMQ05q41SOrGY/AHiMMeqN0+iMKu2AVkXp8eiQgR0WNGhjpAC+fDsVqmGswlkIlUA0XDf8qbwWN/Y/kVj+NyQYyk6gqCLmIdTnz67v8N6O1CgchhOgetMsdTSBbSBqNcae0OViqBV0OMoMKmbCRLOge5NZawwdz33kSq0hnTG3MnLQMackJHJhbgNjjeE+pM+yIoaVreI3EMrUtBxbZfWJkPT2bEFbIJ6le6W9lstNi85RHm5EfFG4BTYiU06yf/rBC5WE+Ktv//LhkbH7CoSSND9AzDoZU2J//wB01rQfcZIIU3BFdF89sP9A54touWhxAmmITHuiG9ANE1mnjTTIeFmTqv48OA+p+cl4aU+nCwxSDtLfXaIm7UwS7nWyC7Buljh86QePtdIkG96g0Q+ybmjKls1D2U8eP3bEZixOIAWLfN8q9+hSn3Vr4NcQ0DLaOfQr+XlJYermq8w7+6KOXmD/9eUO1UDpmryPtl8YAGxxfJR1zZYiPY54BMht0TXSG6aNKgAv1ugHc3vIYBQtk0T3m3VmiFKc1PzFBw3UzsqaYsVHf0upfAGXGQsC6qstvPihrEoBOD6SqIhD7gwVFcMxnnPNh0SCHEJbZ4ofsMJUqMKcYudLCtgddtC2CAaHTTQr1lL0XLNElCFd3jVGSdyUs6LOqTINzSmaSHYjegzQ1Z1ogTni4dn3nfIWadfVADlPRS4dkkKBgzO2Pgi8JD+NqFIQJ2nbIAz6dGkK0pDVPIpVPutxQQ6/sYCTWzmx3acoFUX4mXySM3lXGEdhURqkHK1+qR/zwl0J4NmysTfMxTGcRYZ9EfB3Aq7N3+ZYpVcm6jeY8f0UkpbL9gMxex2kYquZ7XXdzTT4XVs1b6Am2PsMzEVnFoRwZrWUY+l52RN3+n5pv4xhxdy6BVrkqFVHiXKHFlhysLMS22yTH9HozW2SswzOSm7luxTpyEN9bFLFEFW2nCnGWL+Q3fbcPQbKboTzRflmOU79Zg8/LM/3XPYlDo8JdpGEHLoS/T9ml4thg1C/uMphCHpg6DLqVCLQ8AmKDCWhAAq23QvFwuqelvZznrQFFJNXnqNh5JgELiV1HbD0/1Gxlx3jPRNLffK/ohpBLn1XMZmYwerVrR+jaJfXrydYRmJ5M92mLb1j7dBwf9XDX8SZjwIOVAkMvv57o/fyu0qZVMN1uGBJ3UNOsGXGgn22D6ApU8Xa6lXwhIU459hWb+Q5XZvSKJ1npp0KgNpyTXoPfHScmqAErdRa1i3tzNjtr9RgrurEr5tq9i/SwiBU4mHSccATGZoyAwQeTDJSrvqEroiKAdr3YfRGpxcpnGsOQMA+RNs5G7kXeGfbIfF/szUldf73XBLI9EiAFz00OOZOG4lTiQE2lYT/wwru0r68/9UPnVi2MGThGOGAR/IBVUjSW1wCBeh/wXp/+iCL1Tlodbz1XJsAJuZGd65Hp94QeEsAUvI2DOyTSr7sSXSpN4f48nWSKUu+L3Wys1Yi+xgOlnQc21ft7ln39fY7Lmkcodip7oIlKvFKNS3ROdp2a/WfFa8ATGZs45MNUPKoalOx1u6TAquiZHJvUcNq0bxfEOkGEsbZM/TBEmqR39+cvQanNxbFXPWVVgVcpdRo60I7nyjkkxRilaEvgSbPadBm5ixVIlqkMA6Jn5Vj9j3gcf+0ltIj+l5zxf4RC0Da0SCamjPTTYrCE3kynirZN8uk6f3g2R1csJyrltTErnIPKVArYWxyE+SQvIt8esXY0LISOR7zQjIPiun9esSmzpFBu6dSJdvI+rzuE38cGyqZauFv8t8Kwc1xKZAdT7R002UZYwSXz8rv4NH4L+/HIBVUS76QpWIg/NKhe+PKPPJR8Cd58bI9vWb2ZzXQUSSV1Tk2ljIz8UtX4L0aeZdHYpFkdBpVP0BOrNrQz+kPKibrjSmoXIWk+JWCXlSXYtFWQzZ/hQLnBzYHBHKitWqVeFDUkUj0GYaiRJxRkHlHMELwT6EEAHk5bY1lKtEi57awAiN4AIhf8KnyoEykyQLmdJ3tujjo6tH4ptg4uqaK5CiHuVHEUzEK06uVs+M65oWNn61v/tAO5D8g+zOhPHLRpQQOB08/wUon2dLrnh35WmmpB6w6JtrFTK+H/We0t6SA4Helj0zkfcj3JOxQzeFdMJ3m9sb21soecvKSSrlY5xtmV8rtMuxWMP1RGzxFZ0cFIXsoSG/o/agP4WHXeB5CtJw1v2qxeO5SFavuNEm0jGyqdhUvO0cWGAiQZrnSel+z7gxDAK08dbSClA2dhBEpr3Ay/YRa02fiLV63F5+N8y/rEhlqYMohjDs3utvBsfdtiREYDjDeBcNGDyxVgGlSZorWOupSnNsdFp6SrS2/ncuoAmxlpnbEFOdkTRaCSKc2OQPTXrO/i+R3Vuj5hsUWpxnaeBMrN0ch6Fb62n/XemG5wugRQpIpuva7ONrYD0QDAngZ6TLlnxnedSgTZ9Z68DFykPKZRapG0c09X/W3GgBOiTjunP3SQm/kx5+2VAnjxG/8hRsRTr7aug0QruaJu5NvnKz1rSdKq0h/n61lcDcuhJks/5luPiVZM8vZNUg75C/DMdwdAkAaOSJXRkycJabRgS2HzYj5Ymbk9jw8LtJ08v3+VJzZ/i+CIolNFsI72ocBxPHg6IjqRsHIPNy0aeEJsStDCJUhKq01JNJpFIWP5SSkj/wj2kKg68mFcsX6uNUawYPL3K6Ju0HuoWEFTYMp/P/iKfb7niJPTOYZO0lw/G6Ri+PJqZwMgia1foi+FqWhRhEdf0sPsKHN/D5w5+1GlqmBlzHYncjk1JGTkAM+NEFqc0W3YwMfcTfd50lQRwkJHXi8R26W63Ccj6aEAOe/5J99dJSPMwEToBkr44pnlzOFE5sTCpPyV6xIaK07ffPxRz56rpbR9uRl2cL6jzRx/9grOxg1djx16JBUKPoNGx99pUxFdCAI8riAsZEUazIIZRekSDY1P559OFYII0ZcmavyRh4FESRaTGOvOp3+FECy0AKj9HzRG2eEvTYYGow2lIXqEfgRpsRbbOc2N+WH6xeD0AjYYrAj8tlFP+LWsnyqxxFc1A9nDVaZHJJ7lSwU/lYavktLo9Yb9daYyfO82S8Bikh32dh5RFFMq2pMN4QR/MAOQ/mqhLJTcpqfDEwuev8vhHRvOkSsEPC+bLBFVBH1IzDTgw9TBg5mYCv0EV2bjCah21WfwsbqrWlmTcADdIESZVK93Wg8LQZSbGs7kOGKbcg7JeQ0FiuTuGwZi3SaALAwJeHv9ib2uRy3YLy0GF46bRjeulyOUUu+f85GUcKZFNO7pejTmulnQytIytRC6sh1lwmoU6R7Fz6TqoU4yetmOcCsCqR28xvlBJHIC/JAWqzDMc69LRZizvVwSQWHBeu9xv3XDmWXm8KLtLMVofs3SXD3cMZqzC/6u+B51va54jd45P90ebt62iUFmdXzwCXN7mdWY7kZXug+r8waWKWpgIPK0Huvih3JrnIV2A7+oqp55TG+XtiZ/4UAj27LiORZFXasVCpkRvJ0Nr7fgrdpG3gemYNbTUmAk2bxf9RJiUw7dNJo+QJBxQZyoaQ6101tnCUk/S99EQrLaf3N15W5hhm7YViJm/4d1kTJFZY7XB+RVvGT1NL1NbM9NoXfTHoOYRUTX/QmI0Nf7LF9ffQCB+uJ8uiI6kA88cW/QNzLqClfKnkbyu9X16X4y6wJ1eEB8mIroVli3y8MeC/TZk1bZkHXEt7JQr9zbpDpuj3/lNCQpxiYI8wMeEShDyokpaza7a+xrXKJAPWEvCPwaBB6a/I95f0olffRWa517i+mYnKT2G5vvtFNlFYaP8YyrCdb+40yG6Hwn1BkMuLcpGgnF5av17dc3WShzWtS//GXBG5H3YdrCucAiia7IUpqf0CQ4HHbf/eRymVff8rEU3u8aAMvWQXbGa6R9EY7uqgS72vfShKASVWR4bVkd5eJe8lak4fJJ97cv3tdW82N7FQvz0KMa6vSylyJGQTkaEt8VYnR6vilNiQfpPFEyBPyUqfOyR5dY2HBnsPhyNk/JlyI7BBSsoMBNQD97SCQgxn+ciuRmGZlXAzo6/w1RZ79bJe1qm4UuZgucqfLOqLAcrgwpRnluU2KakS/cV+l+5LLbK5PTEhldzfLncZDmF5MTqGhAiHlnXpSjds8PHXk10xtRuuwaK0HFUxIbKxClbYRTSmbptqN6Lf8aG1rsCoz21feEWKiWl6AXcZAW7xMyndRRpDU9D4r8pyRgrca/7elO8gGgYoLy5O0ZvxNVQfrQxak2nkNmYwPdXSM/YcuvGHVhOT83n+wCdOdFQ3yBeEAhqZ2PwDNOvejQX/uK8ejvfHbVavwCoOPVmF49LcZgTvoY1lKKyMpenvXJQB264JjSWRaE91yOAbO/ORIa+eR5cdCWl3MTlqjS1PMHMsuaeORU/h/QVQ1jnKZe7YJzeoTa+bOC/f5ScZApLOi7tWw7ekdhTyFKjSDnb6OVsciHVLgjysI9T/uHrP8NMzWgMV/QeLHK+OjN2lwTdz+vA8T492DfWFlsjwJP4LAIQWuD7c2r9+DaMS/bofyF5u3xk57oVapJFJminD0CGe0HBPlWJVbkpWYStSha3x/AdmaeChS1B3fNHONlRl1A1ACdYlXMZKzV24DCC7hJDXNe/os8WodYRoiTamCc0r2crpIfhBlNX6/BiP7+UENPPV3XfoA+wB5zwwMn8AEzbKDbZolvwP6YhL8dviD60WnK2IjYrXkJw05y8IQ/Lc12Sv0/T6MbF6EHCEyujfMHBgQudpilUKTB3rpRa2np85fBZHgJp2JrfnJYjZJ8YRyAdC8nwCeafUBS+904hxz9lyDHe5aFNylut3Kwkei+kXmw3D4u6pOOsz/y+CWek8kZtL3/Mggi14Nuu0YIhq3+GQU2tGEWuMaLWQfW84dR4RM6VeiuIEJmbb/HSSW80QcqGEpi+o4IhEuLMgIJWthDR4rr1wXlToBu5jp5k5rwCs94d50xlcFqCGHHpoBlTz6EI+Lm8eHzG47K0WAzqAdligH8u6TUMy2SUJ3nxPX9vn91U44UMcRxqbcnMoVQEFI1BPxGAMtvTw4a/iE7ohbr9Q9Yu3b7UGW9iHhamC4lGuLXEMBED7O2ACiF0Smq1gJXPBpnViu60VolVhIvLq0roDqI0F4eOUOakBB/S4kSRLRAPJUjFWQfiLX6/P9ej9cJnsw+8Q78RVwJ2zqbGe/xif5UME+UR6K05ZxrBW7RKvh9BuhzX4sRw0jbK+7szC58TbPOCZJ/8gHd/wkuXt+FlNXk53lRyEvHLs8p32nsTusQzWrXiQ+3dGmVjq8wm3ELNlv87hj4/iH7VZ9wq/i4Ux+xzdEqda6XOkxSgF2fDHtxn3mYdACu6rTULqZuF+uHdXj9kR0ZkHa82ikwVJPKpW8qS0jE6G19Ak0bjAj/WltJOeqsNC9NSRQUuiENrfacTop/Hj4HiMHm1ov68ynS6Uu2/bvqwGCrNevuT/U6GA7fFhttW6UVMy51bzS+H2dJ9U3RCLr3YpYOCaAGOmiA9/8zJo+yxW6yfo7+dXkzxBzlj0Xc3xyhfGSG3x1WPjo9DHGVp5gvsw6uyHbgDLD3zmbWJ1/Wy03KNoDu2wkprVBpeSvUGEAxd7fIX69Wbc+OTNntUaHJKjSGLQvbkkz++CQ/wMj9xosumS0X4G5wAqEv5NS3Y39i8u2yEh9KcmRGI/lSp3b1Kei/DPA+8DBfoXHmIgcvhcV+KXD7boYzdQ9KxmqHH2gWIUXw0+Fyl1lttY37PjGmlTfgM1efFpJB6ZmKcrcCDZdvYjLApOByOYJOjTFrNH3DMJIn+ws3plK/Bv9odSSU7xdqx/zknZJGKwf0LL3BecnPSTx8Nivtl9aZI/0bj/akQxy5LEnenU15ImjGaB7tYgIad42L+sTT/6e0CrYP1jLWSLEjipCk+nCsvyzam6KfVS4t2utl4q2cjzFz0/SoOo7kfYTq8WLOtByUl3Ny7GwK7LJOVTjqeTwB+67/ZIehkTT4LZgoWjpwRPDefHhUmgo1cNky75oRxpDNtJCxbgVrUTOwZX9rMa3t5s8FJkNPuHgI2cg7L9Of4x2teqlvY0ypsDIh8IzijarzfGhA+NLGd335udiChfssrCT7jlwXvV8ZCT9MNtMZZdbrA2Y1bWpAbOMH+C5Mw3Kgq03/OVjH+TluUrmUaSK4dENoSTz1O62DDdLaxuPzLh62y7HNlEzqUpFNqlocilngpM63wkvjm6eR6xXWVLdQZkbqAAhG2ELwy9bi+VJk7A/EWszJoLUGp255JlaaOUoNLOmlxliG96pslmBVyNKxVrOfo2dW0Chxatif9UQaxGtb2bsM7lvtlXIWfr6dFBPbUTro12FYyS32U94OsQpCLbaf7wCy0f/frnmwl49steswcj6pODbX3yziymgzkSBdI0VncgcUzA5vzZujEkMRNrLzX/mLWhDEj7XTv94zm/IVRj5QVJrsAfk80y6m09RYTOY2+piFi4PSqAc7y+h+USNYeLf8+1qkdKXNx2In6/RPQT1hVhnHw8hqlBZn9Ed0JSYKUiRci+JpcZxtJoqnzmxKWf+KLGB0pXVbb4RjTqsmxUo1hIq/f3OXTpadlDPiASzgpOod+SZQ6rD8/v1s85PVZvn2wfyk2GMw+47yRK1oF6OePlzp3Kn8EWkVrDxXQBCiaw7loemIm6H2v3AtCk7/cuL7w4OF3nqfcU0HA4TUBilbECIauC2BZjSoI/In0fHV6T99yOzzjlVQHos+KmLDJ/j9dkceEB4SPHb2zH377y9GpaJ8yFb8/BYpyEPcqf0macG3wW8h2EScaxoAUW5npTm5LMAavyH2kPMewDZgE5lDh1grBnIkbIxT0B+5Q/VzYlcKCpGIWQfxod/PyZ3nlCy7TTAh7cuxBNDo5N7+KOrLOHT8d2oUkJjmt2YnCDKccIDwlCypkgKwlQy0uUGtloZD6g9agJpID5Fjjre1UGGx463d9EbNPr0jfXBVuu2V9qNyY+/crmquRcl5Pi40olPRvp8BTsULDwhX1SewEdLzmjwP1xjxdDXVZsfNuCXw2uCphxuI2UjlhAWT+TnOkey8UZBp7e8TFp2NdSmbb329wYsAsoZQmqszympZ5/DfLhLePODGXCJ2P9yRnDaouCuZ589K/HKmXpNtk7hxexosjQ0GgfCAj+LGlWtWQfgxNqI3NH/okUhQdLjEFj+0FIixtkP3gxR0VT1wb2cbR3aoEHyewLHQCrUzzzQC6cnpmF6kUkY7MO8Gt3tEiLEmI4kHhJavASQLx6tEMMBdb7nDtwa4RhsUHLy4M+zmKtyq1s56lPUPLnGpm/niWQnmJl/pUqAizl7qmEOZbTh5tggN/a87TbOhnCMB+flz0nyijr1K1y2PqPdWRcLg7/4IPLe69NgJ4/LY8QWSSkFj5mz/oOR3cFZSwJmNsKeI1UHCiHsjErvadVdVDEo6jCeWjWaC4pnxLPYIHuTNa1HlY4/iZg4CElOvqAeOSHK/Ln/MnS2VpesbDo53eWMQqa2dEcJWjBC7qSqGhtbQsYEmid+CLaBKOiQqfL818aI8OLMB+6ljf/YKUnG4yUD78NiY5mfej7n1XXe6m42Yzj8XN/VjJ5NR3Zwk8BQ4Flr/KYehirnbf10M+of9739sDgHjDbrOZ+QK197VI+ojhtXSqZl2jm9oSqDBrYPJ6iLK3hHJ5aBaPJVtCZSiSsbwQ/8+bWCQJaL3WETaZID1ViBm2EPgIA/pySjeuF0wjFmRpWex1ow7Q88AdxZksdbiNgohjF9N7s3hd8tZAqZ0h9F20gnQodEmQecWXdb/4vQbo3guYV0YWcGZ3T7RNCeQIfZgYb7ll62zgssI2s7w4o/E60tegZKQavOhZ14fr+Z6ql50418uYmdOUDb7VPq6YMjR1kzhOZvBnyC7XkB38m7NHHxmBEoipfDQRpGy9oJ9Djgo0QZit+C9V5MR/C3NF8r0577NuKZUOTzcO1ArwArWKnWjgNqyYY/HZGVeajZSXLx4RieF76oXGWRs9oTdC7DRpmDMgq1G3L2ABuO8JdOwiIxrH1vccW8jKw6I73DCcoKDZtGqjZzShSuVaUtF82fJ0eDlPSTKiTvfDtk0jdIE4H0zLWN2YoBag81z3KgVnDLYXdmYPGODyZL/XglYQjzgPudig8hlticdi3ytZFX/oPfQaC876XQ0u1zmVN8ZdAbW/VJI9cmTXVOuXxIMc/x0UWZ0M9zMDWo8DQC9aFjEpaR22T3kxkIBikElDiRyeBO9JNciWgbebpU4zhxuQD7QZFN2p1tQAJxmNyrGhfinrpkW5odT6LY4JsyqTKMvo76OobhHp1BXt2w48pqrkf7WpSh/DuWKxAR8UcgTIVgtOGc9gmPo1X5UraNPAkaR6rAjm964xh314hWkyy4JQty+R26mOmZ4owsDxUCO2moGYGmYSHebXW7fz/kQ0je7lO4fLop3JpOMc5BICO64HVpbJRY5Lv58svWrCEArfrJAskIvdL639xa32OW6fTxgeDSgSbvWTMAbWtifz+Sb1z27iwunyXyhfra5IHLLwwykObsQXIydONR0NzgNL2Xvr4lZqYjskNM1zN4i0MTTASGnWe4uTXiFbDK3WkrovK7S3Bzx40gLJGeYF3SsgB/KfvRK7rTwipOHIUqs5n+42IsgfKcHFwEjt/kB0uRPhZgHy7SqzVNyAlSC20ltEo/aCaCO9KlG6elzXkM/s9M9pzEoFejtHdu91fMHc4xUWKwQ1I30F2f36GhcfWC3GkyiBtvAc36VOdlxZ9rh6nPnXTdRpDKwvwBpLHwuLi0x+rU/FJsGUfjHNw18Dwqckdd6Mzj23ekWnabPdgL1mokQ1J120jptcHNnppNMDSD2kzofJ4Hm4vDrKXQC+zkvxgDPGBUZ1BnjTystdNo/c0p0cK+nAbqN6Aqs/2gnmhSjcnKmtMSJke7r2bqZOXfdFJXqbm2FhGrIGDL6fEUZqr1otgoi3KUL8Lny1U5oS+RMAd9JIeZrdA8cOux7IBHh2yZeHCur6knAOyg4JRn+D+KAuANwzAZVfczEerKsL3bGA+HFQdjBYG9XdLVx1k3yTLh0WDhxRnsCoIGpXlAlf314PPnwwQ9W9DU683lLmXQLbjFrF24H4xyAhwaFIHtSL+Uz6US6SfSohn+Atd7mxljRgdvW+I58qLtDkaleCgqV1elmilIhoo50mIPzjullj3OB39IcwJehjCFZFHc7AKZ2R7BY11kpsaikJzmMehOQfcH6+waQVpkgGgMOu66yb5v5o3avxdRj12grsZbE8vmVdipj56h+llIp67cqDiZQCRql3rc9wzo8SudSgQep+ShT7LZuenA0Gd9GQau/Qd7UN2VuCWUsGjxhrHhlOveec0TyeCNdtCEV5fTaG5iYJDCosFM6Bsk2l09QHaL++b8O/o2xF9X4ajxRdo+zhtr4mczlpVzSkUpVaISyI5Kj34nzGz3sB8M8o46Xe/+vGTs4iXWuJdM+DGFcEzphz4KqN78t9Tg/PYoASu2xb3q2xMmgboO3Pg4UX+FvC8XPcFYZvOD68yXG7/D7LDdshCrguAkCQp+hrcE/Ql4zzMhJ/fIoh8WeuyFi8+ND2OTToKRam1+cozs0LWn/C4ZmU7PSmDFd3hA8hJMxSK3ukOpATo/5vu+p66oNzxkx+hHCWd5rurLVeUX4n/CMPXt/hyqc9Np1oQ0/kC73ao3bkWmJoWgIut1SlOOREyK97F2rVhpMIoyws0gXdJtYib+L4A+dWEfRSQmA6xHvGkxj4nH45jqFhL7vnN1nA6gUdSYtU6KwfhsNYDQJ9xy7RmXlmqA7o3MGidhpkM97G0nTwJPhwjO1EUJz0I4rX/YsTwNyYT/0Gsc62Y0Mj+Jhe0e9zlJDNVH5V7aoTlHdZzhrCR6sXCQXqjm9bEJRtd43xyECy5y2x3gEZZRhdAbgteFiffChX440EBoUIy0LLexHux1eJ8zE/tkobyLrjMpISUSxigKuOBCUnY8ZhPr+46Fjq5frJCn5n0T/zj6Yj9cbfypL2WAo5UM41G0eR8ULZP0Y4saSRSYDP+BZCQldLHHCcWF1ZPzX3BBfYh4MTX3J/JPGAmk6LGIynAGPQkOISa+Woo/Nlu1CMC7ZBn5ovNEbhslxIqu+BFdQiBd71sZrfGhmWxe7/vyOKzMQUiK5YUrdoSakk04pWp6XjZeWJolv01w/ir1jAz/c5ASLTt+Cg3Zq0jSvucc0Ws+9aCrHe6UoW4aWRg+PP2/9lnvIoUgu6DB9rgVgRJdB/a9qMIRFzzt02uddGEAv0m2JMgpGoN36pgzLA54JRM1dcHO7mov/Ryft4v/T/2dkMAnXT8Ao3VTC6RljB3WzRjwNbzcOYF4KT+9pOTVKL+Hcc31AxwSzZ0619JoYFH2w4+g+1wAsKf2NuwihRlFEI8fmAlIRR3bXpfKE0HFECg+JnDD9AXDb3F0hYRCK1iebsDF2+BKjhYzpZcBVa4tJYxObXQdmuO5KeEEDDjTbNKnkt86CLaCwz9hwYDGGPL5hGwsxoWOHNhR1Qp+OlU9OoKTsBbJqR5eMiM7VPjDoY9MvtTNzFTO3bLkXrgGRq3G3RKNTs8suf6+72GkOfs8dHEbL1dmCJImJFlxlogxSY6bYQ9jCMUGtQQVcX1xQ3SypC5IO9oymzMilhbdAoOsLsyN3ZHH1GwXZxErLR8eKBDdOtSlA4KanMXghXOuXxhng3id1+eoW9mARxVmSnN1z6neo8pzk4sPWSocYqk5ZLlbdjDKeiZp4KvUniXszRkbyost4rl5SMdHbrmlwFJc3k2rutnBuImGaqgDlcUBZVTkO3p9NbKmItDBjewcpfCpeLUlQuHazmMucdbfnq9kZ3hL/Mjt6sRx+NEOUB4jiFpaklOGi+bF/nefrfrhxLVrqbpqbLrFGDPlezU2pu1G5GjK3K8DSeo3xrmwPE4HoWr34MOGj4/jkQ3g7kzwyTAV/LvaV0f6VEKOvqOlXOWU6cH1z91SMA0BPXCNyVEQDePqEHPfqK8OB8akifJyyaRpBjHOKojV4/SbYNmGZs5YDfAlpiO1oeQLm8OevR5YX3xPtAnImkIzTp7oLpCcGAOgGTIivGhLhGXBKn21a5Fu7hEQvAL7OV3Q/BpqXLcp1EPWWa/NEfLI2NtEdE6cB/Uk1ReLSMhdlaG++6la3e9ITvNqwM42MLxYV2OgcRyfh3Y0QmQexGGnuUBHR9q0K3NrCXCPM0KgZ5k1TtgyDOm2LY+yzk5DCbPG4rfX/nD53cT+HLG06FMTFnb2ypzsyKfLSJ913Alp3kIfTPdZvjNPp8uuJPC6k3iJqNlxTnD35kpfXniriJuEQTS4ZmajbxYX4RHpbcwJ2ZH+Mn5i5uFF2jroCuXZVu8WicmsN8LwOKFzYNewJvrGzDcwSzTMc8dcUP1glUAYp9WNroz8NZ4fE0chdTj1FUm3zDASx8jw+Mzv/4IaBIjtXeeTUEKHGdk9GGPczmGUGrB/lfkuLcAb453i7SdvfGm9iYB2NicVUYOEKnOoII/yLyV0Q8w6hcY++LOX3Ix8j+JW1EPkYxedEJbYQjC4a1nBzUsIDC2TjRycEofQsAaOQbwvF8yV5UkkVKD3e/CMtWoLZJabook9tSRTXQHqwCyjrgnBudKmkDs53kw6p9tzEH56r7KCOlqU59lrCgyQ4UNBLQ0vPcO4Iw9oZ+HbjWU+gLZa3I+rGAEmKdnH10hIhVMOiHk/QtlARgLloxJ8sRpQd/D0XaRnIqPYr1d5LNR/T1bXe8ST4W+AIQTadrdt0gjRGUbdDUSTKsiEOFNyXqDj6AGUOO3U15TuG6zPj8kyPQshG0oNVlW7oV0VKS5ifHp3SmPBe6Ha1zEtOh3kZDPyEzgssVsD6cZ1XfgFxI64vJH4eJXnAcsJCgofgpbuPXULeHZWikH5r/8Fz702CylFmbGfYK/YuQO+6kgR2YhJJ2zJ9cgW//t8Z7Iynr96OIJvGorasAlUL6uzMoguKUlETaVaKHEEbKob1Ysc0l759lqIL6nZ/uX2e6FTJZ5izUCqwMfC252mpdzan4Tv43fmE57P0/99QARlvEeRbPvGFiCCrjMcn7VBQfc8CfzVKmvyquUQ+ue3lQCmQbit5ig8DwFH2q+xuUgHqkW/mQkYSU2busva4AcU7atLHVMUcD33f31dGV+yY2CBh6Fgu1GoN++Jgk1RZU54dJnqtI0CtXca9RLd7Z5efMb694D94tc8K0TtRyxW3u6MiuLHTuSGqyAAXhEn1jvYmAaZyI2sUKHzZdVrI6BzGAfSWpDubo4qvBP3VyyePQ0NHB4k58Knz9/s4NhC55T0/wEMcy5cjh0TwIiDO+xysrUmVeXCsJKHcTF4Ep0KWq+cnwwliLB409ZCAReWtaUCuU/ks+ZlebRJYr7FirQakuV2gk/duzMIbAOYxUvoSJPI0AWXcLraNUHjp9QK2y+DmjLcifqIWGBe2YKariHM6+4b6A5RrNH2UvpJijGq4TScfpOOMhGOftC/mxi0MuQ/mgMCc0VJcd+r4PnKHQyjyNbCWYUPQ4LLjCMEjm0POzhhkVsREMeFWAG76xpUIubUzYT6V8uKGM9j7mVyb7obJ0wHSC6vJfhcfioadbHYNtdmnpcyuBgZadkR+FC/fe1ZJu/g1jd1fzXs87bZ9BpweprZ4vTBsoRyBmR8B2L2bO+DA5BD9HmE1uyLUvUZQL0VjrbGqZBsuIOCen11yrvcsT/ZGf9xrg6p8T3+JQegDWYohYQ/D4ekzY5Zvr7NlAhBVCFh0ydq2yebqBkXzn6EELxB7vQhI2FJduJsqYaYTAXV5Bd2bowA9NMX5l883wweK7ox9I9mJceeGNimPbz8Gmpp1gyC5iWLNyjlgZRy6HH9Bza07NfStQhXP7A6uMKxb7xJFT16MExaxFLDFqPmQsngva1YIqMBMxNSEo3UPJpBTtccg+xikNO0LsoGUwMwCbWa81J7M9RsuwfBhAJdLkqgPlmqiPnjf0IlHfvriZ2NQSTDUZNCVQMurBvIcqHvvCemQ4TOlt7aQtuUYUekHLMrjOtbpCpTeVv3fDu3SNEkn7LrH3OdTR97RKTaDtUCjalvkolaLUuw1w/rbfvpSHDx42Jnb/wf4YTiaHH+AbCZ9l3KyKsR5/qOgtO8FhjSy39J649Cllk/gjKoz7onLFqfhbfhRIFL7WDFY+JVEJZRqap6Zpf+aRJA0DS+1/1ZRLW5fCy4axnDaZOHecCSw7SczedSasA6ALo+3liCwP21bDV6YJRttzwIOdSCVKO4hv0zHaMPljW+x6gNHJONdlgwRCS9LmJhC1/mUAwH1b1zyESLMUCU0fUKkYH6Yw43iGFP5Q30H+nWjWzeazNlE+eTK161W0JlsyVuRtJg7GrF8je/+XqeymG+yk9fOVVEDgLHavLtzhkFbz8xQmbUsWhnr5PQuCrQLFhoRIvp2u+BYrk738V+t4LS98m7USTkbDn44JxLVkpDUI7tXNnnhtkAHN+eLbimXU4+XA/0mxcyxEV+mLkkOCh7b4TSW+Pj1B9dzdbTBqvhbxbrvEOkv3lgtzOKA0UAO0ecSVkUuFj8WbynG2CkK92F99qVJ/FDiQBPleEBtFILlZiQ6SchRPYHOI8Kx7CvujhS0EqiRhpzEWnlg4FGDzkpqgELUprH/aVHcG+V+Yp9puPl1vEO5VczgvWTFm/EXetcntx0NYRS6fKhuOZgy8nxSCnOpa03ljaFYtwud/nspPKw2Bykh5H+YPbMcn0g0icRJ3d2xZBnfmiiCcpkWh3fckw+jFEgF7EhRh1POCIPOzvrWdkBY14eY/l5hDbL6/OZuWzEoPIZ03P178ruxJqpcUZuXuvkq2nvotwEumub1xZxLsuDhe9O5r/kfBNd4C+YFE66cjLkI5k8MxSs6XUjt4sfsYnRFrJrG1gtWInBAoHuw+V2yhjhTdVHwLEQ6Wa5CYPC9/V5SBoG+qm9xus1rYSoh3CReI10Ue97014j6YX+lDgCidZYCVPQVguVQUySoxtyGjY3oBlTAgOm7wwGvAtDnVUadqrZdxiWuluIemE4XirqkBqdVg4Or9057/sNpAvJZLqACd0UmOlWdzrMGcyiUKa7DURVvmNBDPG/m7GbiChUuSPAfDi+hI5F5qO8DoCds51C935t3jd3g7snuT0zWUpWyOVwWw7NWWYkIGLkDWht9kjAkT2juwJkVoWFZRJhi67TIrFzg0VE2DbqEBBv7DYvj+AHzY2O+9MSLKvZFaEGI5vX/oFZyFCji4eMdCVFlhg27rGun3uLtd6kRKqc+CtyspBmgxrpSfHx0w9TnGk11TrTNuNlQ/I62CCjch6bmBjtzTAncO6jlrcjUo5rj+6miOsAXRMC5aFFMI/9BniNIoq+Qtvoh/emjp9DvSIFcx7OdXCGPkELltac6sDbk5hb9687liEaLLd06M3I6r/SuGvfWKCF7aQxsgw1HjMilXFiv4gmeboo2VWG49thQI2gFRBwngmaGHcO64NlLgWzmF/1vg7f/lm67bNxC5RSSdHSiQZaeAl2jOIFi81rempWfH29J1izy3u4GswpyxlUiTAEDWxHPJUZXgD2kLLwd3RQDyyTylJg8oCRok1x3k9XbefRjQf+NGWCM5PLotxUvZWRO4EjWh530WBnrrTAD5kTsjUzzsLbAgk2HlciOcs3yOkbnc+zjsIOid7rP+oZbHgHhJEl0v8j65ndy7zHPFTYxxj+XW0K5RLXPYdj6nhQvn2C6FabSJjq/1yho4wapBLpxzNGsbB9LhOhdYfgKHDUIhEwgU02GfNnksrSIOFj5pCu4tLWT9Ye9V19dngkZy5PfjAWpGLHICotH5Es6zvYbtzwHKIwSQ8JA4Iq44e4Ez82PxYYRdt9zoo6oimSxCcXC3hC9RaNoEuXH/yUQNloP8I3222r/viVK5gyrE5U3H9/Y+RRV7gwO1gOM5wNAstuPwOaIavmhLwY5DfTEVFL2Imbwf7bY1l3E3/ApPdy2iruGaiEWrH5+2LqYWVn3/QVGmdIJ4LtWzDXy2UoYZL2AGaooXDWvG+L4GeD1/YYZEOvah2G6a7a9c6mon6HpRZzyEtP0kBkLEBnvHj1rBu933VQbNBzVbXPV7cukerzjGDjSbkx7u3VLYLu4MppCnb4RINZXrY7/zQ7mzaheuemdx0i13/KF+XN8Pn546vksBXuKtppWs86Kan9zavDFXzem0bjYxe71ifNHFt7xcdCDzzc/2SZVZ6tsGrJmOZLqHzEIDCQW1BOKxaR83Y+4phD3bXrHquZKJ7yO0/b7/D2ykQfR223yl9GxiAVhvPGs/DIPMN88aFO6o8SZPcIKvgXq83XKzFa0QK84TSVsTwH1zl/VDJft1DrTAC3+E+9JZ0wzDQ3Bt13sd/bLatuN6OpyNmLXhdimfbkzvfGJWIw6STdQ9cGG1f/ipRvvSATG1kCNBHBL9eHBwOrhAcSRrcks0MwokO7UuV3UkNSJPIfL0rGkPpPlhhT+FqLMuXPCu0757CGxi1cjOkszS8N9vNTBK2Lg0vVbWepkJha4nodsOSqUtXyNnI1+nHq0bFoUEl4J7jzV9VnY54dqK6tM6cT5WE3vKj2Vzor9BJKLgPuwHtH2+2Z1zAWQ78m/WzpyVmMK5dPElH8LmvWm65su5jShzLjtO33KJ5eoMCIMm0Lx5JiraecNHP6P+aWyis9qzuEiih/+tCoZx3IWUN+xEFBDC625b6fal2dzCCpDkFHoAdU0E8h6PQQ17PiHq89sZFQeij619yrPdPdShkMAXM0SBdS0o/+GYGfrmp3JyHY92Bl8oRYgL3emSZkoSp+Oeqk4DPTKiO90cyBZFVStsaEPL0lpRqZHM9pUMV3xm2g8Rovd62jJ5gvYCW6XP3uRqkgv3YUth3lYX1q57Pb7vlckZT30ISpfj5/orvBjo2hQvLZSz8LLEiCffKfMCulwLEDKuw+5T6DrCnu9xlQd0543j8ZQK0aB0LfAQ6B50szzH6j9DfISz5zfXbQr4/bO/5OnuwSbiwT30dlfRbSD7+6ipj3CuvF96KDgDXKHg0ymmfXCbjg6ndOEJGnnYKMyjGDcbZDhHLNZmckp8OeSkmAVQoZHZVzvFja5txcFc546TiQC6Uth+6Ls9F2OMOlCEEpLf5lfweg9BfjPrunoWDWqDfei5tTuYT788PQEeCUm+e/U8gmogbJZVlgADox+5apRvr6PNRjeVuy9PqobOKCP4B0e1DHRzzOTL+p649kUM+nfp7D18RBRzzbofVBPchSVcAvtDU1X4nsyuUjgvvYl0JsEQfVKw7eq2wiYg7TvFDUvsFYNN5AXf4VJw3qL+cmfPfaeywsgdAhKblGEQOGZkR3fyYZuegVs6Fmrq3upUBGB7kiS3ijZtkuKJZQUt1qnUCBeYC48kWkMUKuO+GOypSiROS5TT6/MiwrTc7H2K/4P2TZP/sadB83jPF/7Z9HMPGpmSJzJP6I5tdAKZ3/9YIZK3PbXWquL+5VkViLvb4Qzzpt0s3JlLNHnYGCQu+aEGjEiq+xwc0FfE15aZMDIxIy7VSJDhM2H5Swv6foveopsUaQnN0wLfyPeHnWWR95Wsd3iDpy11eEgi63YntsCA1YhlptyBx80/bFy2BEVHWsxmvLCo8kBN/yHFpmpH5li0sN1ShpXlxyCRBqcIZasrMKkFS+Pf/gjdhg0lFvQry98+FSha71ylKsX/XehahmvV7nH1MFRSKSvyevgU/KlNoway1ELDHYQguGhs1nyV3Dh6l3y72pT5HYQAqmlNr0ta7WfVJZFW8j6wFfNuo/FSzpBtpCSrDfSqg5tFzEhLyT5VQJuRYoWojZDo7f9ib1mnIFxCvZi9Ei14i+a+Dx7fN2BaZV+JlrbmqzTKz7zw9JMqgfYM0atc8C0JBCugA/y7V7onxZAFjtmW4aOn8YW5e0sdGdUAynxaezixLVzYfXKR/gBaYGRFrNLz+IL8aLw2rngVaSTzuboDGV0Vt8Rdf3KejOepNOFjdpf9Ov14JbVDYSvlIClT8sy3CvXValFtm76cpU5aT7cXEsOdK7hRiK5xQxeIawAoUf4VgHyHoDAGyAZM1HZmXt6WA4UUNCca6C8sLGqwgdcczIdBu+xJXcXD1KthqCU8Z871WPxXktlXNcM7PI1KVC5Fqo4OhGD9guWVgz2INd95xvagLKHEaKZTFw739GmtWlQRC+xzFac+tyMLXMQGGoXEhUe4rgGwDczEcOj+XJsRIWNkNnqtqfjNk+y8L8CbbxbRCgryFstcyAaQxmhLKL9W/+rkq2SMXGANjqkF34Mi1Ei4OjIaSqhAYmf+MEkpzewqlXMq2Bq7ecWd0250OQ5NiD9UHwduAa8O0X8EfeiEUMW0E5sYETSFJIMCMQWJvEZqA1py8m2GTHytki49phuK6u7oBRGU3Y8MZDOK1ZE9AFrziNqILlvdRtGgBpsw+NTaBzekGdngR1j7dNhV67lEyCZjM/Rh+NMEB7g0d0lmxIWoGykkSbIIguDKc2d8RkyZhQiJbiyYFAaHarCp2VQVijdoDhedt3VvomhIHF+Mzldzfryc6YCWGIbZG/GvKFhF3DQEHMVoJh9UsFrZr64LVxaqKfXTb4dn+6q6PJ+F5L856MVbmXa1aJ/71HKbQjK4vXyyCPuCzCXMlQN1hcL1HgDOYEciUTYvP2xmAWPbQDq7/jSz2/N7rJxoCvaMWcs0yxGVImVj8FpLZcG8Z8/WaFqUm+ALFwxTKK6hzUiQPuj88qqkT2rj+C2T1i9sw1B+LheXaiJb9DNWWHvEnIzEuw8IHayHzzsQkCH2UC2umzwPzDeck/0Hv9uMJypC2Uwla3CjVGJvZczj8p5M4mo815EA3nwUcYc/gSuQrOrkidey9bRgmtXdKU86rJwQrOJUtZt+i9/cHhYJEQR703WYfxTf1S+QAeBhQbYhBw+TaYTuyPP0DFnZZKmEE6rnm6NoyqZFaoPATXNIrOJ/oXSURCqmtFcJZp3aBY6rF6G4+58DMhMBwpa0waTRoPM+u2FAzhncxGCZfSzmOAFXdgiVJc+FgpGpXjbSE+it3kTMPXHeLcdeKa7uIhUs6Lge8fX52FkjqK96TcQx3TZuTeoBncwVr7otMroONg+sRU+Y/DDcyOa2JVeE3nmXr/fQSlcqAMiu/J7DM8iQWlwmcD1YNo4CT6lTZSRZQgoi+m970NacD3HP6Os0OLm17YY9AbvMsvW95LfA7AuQDEyUbCdzVlF8KA29qmnIsi2Z66xmZ6RW3GQ9BfMCvqpGfbmDjsgLem9n9Qdgi602Dr6e9WOxBxkSthWKwxupBI6tStaiMPp4HWTu2z0geCvta61sPOZL6ve1Hz6sZPbpbQc/x/Rk0IwM8Hd4PeSSPCSrl+J7Q9H/W+C+8m5VL+TWCtT0PPUGK8NKz1I4LhSsKrZhul7CWu0x0JulxcmMw26k6UCqgeAD74A+w/ymILPzaGMJSQyhq6aB5M7tZLRtzoTMmEKhqpAJOnozLJ1d6Y35Txxn8W7RZt3ew17upOWY2sAvRD/GmK4tUQHZaDzKJaYZq0gUaT51H5OztSCTZQT7k7R1Su2ml/jm1DVR+MMW7Kd93MhMnoXDqedBXaTNxpfRKZ2jEaZzh450kl0rOVp43gt573uBfHzBQzRbIjLXkw4NM63q5xFuQDzLv7Xkv8wzD3Sa9Z8mCldVbTH7406zPEA/ETq97RSZFi8ENDSBtrlDPLe5YX6wwdldSo+1yWaERwis4jtqsfTg1bjPk4+w0llwAFZZeWbhjYc5RQ8NTxFy8k5N/u5skhwGGOw07owwxwPN/no7U1ZUK7lU7duyVEd3LEXdp1+DQ/57/+h5rSrPNJlQ3rcwGuibaOGAgN4IfToQj+Bax2BciHfVRyajVv92M0hu9MRIDAqu3LDKyw+WF/K5aG5/7jf8Haw0Jt5TwtsmDnGkEumsEzwtTmFnik+1vQ7AP6ZBaPvhdv3yk+JjL807ZnSV0eadtwQI2InJoYEPKxPCpMq/wkNv5rkTOhnK1/Jlrw+0aKBIDpAkxAkkCj4Yr8F1jYV2E0XqU+3Bya0reNM3L838hj53EqCIgbfUQMAN+rx1nVoYM31J1a4mSzv9+n6z2k5TrkyqDFNgI19XBsV2kFHLo4Z+mTdyPrVyHBRxqHtXVCew1Wk/hW+r6yp22VvbCeAD3pwqStIy8JRMSrho6O2wrvuLiYERHnrLe2YSJqXbJ1LrzmsOjQHoFghD3igmlUd5FadwOTAZWlMlSunwQKw8EWkcLWHmBAYGoA1ZXAiYBohSm3hQsanmy2aiAWhcuNetzuUlgL707HnVfZ5ApBQzY7gojbX6YzgQHOX4q1tYLHg1/MWFX8t3i+OmQYgu/VjzgEWG4DSVYItlk6V3J1MrYeaZ3PgJ7Umk+vGCSp2rQtzQR735cHAw2cFg9/Pb7qEu8+eQqIHYCdDGR081FJupiwfVLNLy1MLN3T1UsQMQwuorVLon0RQd0YewLeB75stpFz+jDuYLcI95lkDOfLn+LjgN/r0wfpk/eCaRugu5g/VYrcagA0wEQu7jKFSUUMEMojDfU8oBfXZwlPttLwoQZUvWelrIBtnMB1b656mZ0ZTQWewm/QKfkTLuojd/SmmoPR94haJ+wdJSR46+hLspxFKyHjJszZPuvOWZd5l3k1U0PKu1VSwUudQxs8RvQH14g/fcwI/wX8o0LAGYUeJWDTkwBUK0ehnzf1FeeLCoGnDqzudatBOvhAn4QGBQzdUOnFObompqZWcQO7ImZlofw+ZF3cNzVdejzZmC1rC0kyQn4pD/MVIwOce84JYKf6S5gppPjlemQaPnd/Y1V4DlLQ7VrtLI/gcmsacEVXZZzks7Lu0znaMMr5Po/wUiM2kqHR4cj5ij0vA98mfYW25IdyKXQl0P8eY3BGqB/cHhTrm9vYVx9VuEWXbJonXevYLjR3PFib1t+ujj7j/+Af7MsZCh9BLur3HI8MW2cwHu1WK2JsK+1j6dUyCs4ZrFVxc9yrOMqklanr6N+KzBp+v7/XZNqzPwL8RCBFvvuAJuv9ApyWNAOeAb1fW8MMPqt2X/nICK8RlzlDWUR0dFLvEXO3jNR8GxK/ol0XB5g7sMuRniwLY6WEDBhOHLozMTszmHGIGwKS6/uiLrJUxeGax1RARsyHrEsEKCAfDn/oOJj1jvuJ9Xsn1CYZF5OEga+LDJayQ/7fpKOq19Gyhl4MtpmAOCmH7Lk13fYbY18Sp10wls7nNqdb4EoyZ1k1+mASoZak9G2aaupM/Ur27O0aXDQ6gC6dJLNlMP0tbAlN1BQG29/CAioVws/hiAFILVkP2FPBbPFbHrpwRCgrqfBbC09DqpTyWlBcOD+rZcxUTHyVY+o7lPSB4gCVoYHpwLmF3kexYUDoR1bZxnlU9qLTxYksA7OrO5VblzhbjK56inpLF2jDNnDIN6liaiWW/xrjbiow8hQiaf6Xw3IGpqA3vPXvuAYLbtQGlx/KbCb5ze3IWXuYuyWkb4Won9dHgtqTTlE7pX8lBJXI7n6Bmd1Qidg9hNXI1rqRwSo9GaHBqCyrTv1QgMUXr1i39nxzwzUcDkNxtME2o1MXV5K7mY6gIZS8aqp+dVHLNvcaGnYrp4CmtPDZlvnVBabjiVGxgxBnsPUuIAZ1qPi107Yq9Ev1Cs9BSAMJAZswpSyj6lQbc24eVOOO4PJgTWixJoqgwnTB5mFVHptHSdHo/C8urNfwAzwo5NW9yzNPA7EKfGCCCz/ub/Ujy9N19agNL0OQQGy+rMuQXMXvFs37zFAbDYoMT/2eCFWNhZTXp9iLLnMu4M3Hjf5Sh9Bv+aNxLCVkZchE0gXXofCOrjibZib/oGH6ACchhqZayyNRkyoFDz21dgl98/iyOrzW7iNn5Y5mMPVUbZ5Wnpn73IV1B0WH3GRvUUSmGNIksAhtSuBOGccNGrgnr/BQQGHoHlrf1j81OYxhpss4Rw97M1/bOBRRa/NCBEZ9UolK8btLboO8oBQckW5/0L1DI0R/zffogO6qhdgoM2LYtVNxF1gxLSh80PLoQKVse9KHV+ZsVqNv6qsWT8HOnA3o6P5d0iF1duX4WJPVwKCbTAFQEOMHPOGg8U5AvW1L0F0NBmv2ztyfooVYrboDswbQy1qrr0Bit9I1/iJwJpep3JKKc14a3yoIsPeEL8k9Dug98k+zKjXcwMQjowd3xJ9QA/YxxNHDbSVxQKpHUJ5wWeOgIO7Q1V4AlEg1KgwKAOjAvssYVXuo7RWQLyhBmnJZw6SnYUvSw5/YcFPL2bc4p+1jz34FuJr1S0N5HSWWRBB6qBSDQ+j4Er65FNw4vVmK8t62xrpVXbvgnJjMBSh5HXfgl5uA+4qMDbdOK1fbeYNVIQyplDPC7TWoe7rjARAfo5jb2beZ++pGv1dR66KdQFP5MGwYxhgI444CrzCqQMrS+w5jrSp84VG+pCtapTWG9r0U/amEveBuCCkoam7qfJXKsEsWk8md/Zz+eSW2U5QK+kcW6oM131W4PAMO7V5oEyl7FEA6WOwE/vJLobfip1KNDTIgoBlkAAEvUeyi0oMPEpHKICDtSdhoMmV4d8QaJbwGMSaQsAKyDfsHNXFgNLI9z/yS9Iv/AnoTIsFJNvYeiWUfEhBAHV19JTOhelhbOSBek7rV98qt592kLOPEPWqg3J3Bku7lsa/gqyjY7Oc9OKkMPU0Rhx3xflmJgzzU/TLli7WLR704hZcZ6NLJfbYPfLOWMym/kNH1+pkdd/4w0JmiGswvPhMh6ofvsGw4QXfIZuKwZ3jEMAbc1Bhfkz9XetuDp0zFPVTGJ+Uj/WVU+OTgfRYeVG7UBDKorUJIaYavGvXr6y3vtyk0F/h6IEjC7cINJ121vCmAQ0qJpJVQhjBP5imTleT1i9DNeKXIvIYNAdlu1908fB76/vwrL+mEUzgz1Ab2tetolVNaE2NLrUDxgiFadm/gVcAaKFK7xpOsacxWOOoqK3Cu8bYSiOwnrIlmJxdLFUZk+9mJXoeVWroqRYn/7YNMD1G/4KxnXUk0oWttmXescAJ5W6GDKAPyU14G0l8Sz+Ft+UTOv6DEBFjdKBvTy9a5jrl6x/+2L1IOKEeVrXLMIeWvebGfno27/DhASRaYeRPgOM+mwfmnGL4eiAY8iMLF2RwMB+zliGeBJ+IUuoWo2njqoYNRc3E3Ak59f1X0lRREPy8HrjHVhA3XjXBDPcJm8oMfTmZflfkW2GFoIVh2a77mPmxQsGgJoBMhISYGAR8MW8UJUGDRoRtNzr2MSvNrXNmAMB2szIvfofMn1aMp/28qr02sZd0DITsaYK2uum2IpH6JwF/DMRcW1x5PWO41rqmBteK38zYfRSPXiNzBCcg36vYS6kWVg8q7EcJqLvtVe1HAi+IpNHUIVgNK7GC3bICRR2d6M1xvSS6Qi/pMJe85Coq/jkeZQd07d4CnImmYMmivdlJxIJzoK8WykKhxK9rRaogj5v+ChvhVeGujpq6desoyBN/yOQOYgKa3xwMIy7JArknrBTPkjqmxJ/QxVPxNjxD+ADOTSzZ2m4bvRNxSQ+ITaeYYDTXrxeIFKB6kxsLzJ1+UVvLoaHJt/kYneXSS7kZoKGtxPj6uxQkeQE1w1vbcfdZD87r5LdTRycZdseH4aHmYKCezdC7jp50ys++815DcZhUp+Xi/OJDmp6PJyG1sbdItDyu872R5JMJstX673OdyGBN1GTJ6Q+iBDf5voLU5zfPoEa9LWoR7izETOckPZRUn+Lo5+JT8x3VOqZ/kNYaswd7fCcUwBNDcGj39Rkv2s256KN9DnGQ7dTRb+Rof4PzYBFe0MZNCmTuqiwXcURA4n+jURwcr3UjNb/nvxD6Y1faeE7hQlsj+daY9IV3kCyX4JVdLa4lsvCauHNO/c4ovhfqfzRBftD7HutV2BAL5Kuk/T9Rcis5MKfjlLebLsUMH+0+nUNyuyOt08S1lK2OYj6xMKjvsaW9arr5IEO/eIvqgvSFAP7rC2ZGrHExKUlXuNJjd+phm+wb2RJdlNdDn23Eea12Qi45892pydNP3RIew/Kf0v9Dr2sZYW9cZXqXN8vXKy71iBb8UP35+FqiurGejqR18bd/uoRfbbcx9gst5Fq3xln3XQg4BFqPWAnzq9kRFT6ERt7+tvMMhd4pAp8TAbv/uZxZhgcT1wC9WEbvag7AXzI8/Fl+UijUdHIXcTYmX4scdEMBf2irTW3lubGHFJXRYqeMAWHlQ7Et+CWseggiQv2/miO8xPmboywjbjHn45I3GE2sIqIW0BFALNrixuzqTwGngdpSECC6F0wdtdwRh9yMR5OEAJW0pvVoNsFgP31AAstWNtYOMI4PGeGhp1IC3dSTTuk9j0wOONCPOt/GO2w30ug5dQsr9h2jAHpF+Zmlq4f/xkl/y4poN/ZmGe/E1GyDGfwlWncpCvhIkvZxnZWWQCmUwatWYPpXL9N9aL86gUF5IrsvdotQXD1MfV+H4/lrDF3J8kMXykw5xwJFoJlPxHoi358dl8EV+WjtOMmCqkCBCy0OpQIzkrcq6gIFUu6RV1gM//zHEVO8vwcaXNBxysnKZ4HZBEDN76uFqQj+TZ9+KzY2HFXTVLQGTOvmGbighLHf9KqR9NGooY+/YJR3lxEqbJ5Gbvl5+meDkajz6nBKfwnczqdoMwU2tgv9gZ+fr4jKbEs9jOf2tGGaBs+kTZ4gY70soz7K/xTVyc/QFzFeD3dG9ULr7HZcQ4zlnFG/oOkXAGTbGE6VibLbudlhZBUTRTOxW03RkGAEHu4WiywkvyGI0xupgZKe6iFUAmYQlK6tTGl+QoudZ73n7JrfWENQrsc0mx8rz0APoN+ao8FCf14EkB329jLkEotoVWLht4/yl0E4snS+HlC14IrUe5MJOaLVn1HclMLmTqdUuEP15yi0HqwbK/zowvULM45p/vjDgZWIomjB9A44t8qZemZsmA8P370VGhxjTGZdUC5wu4o99UGH5gLEnEPW17P9mdFBKdfv2lBk2tefHJD4+1rwlwvcnVBhABBjxYFtNj4ibUc1fI0m+YVl5RPOYYBKqDTuXSOXe+cf7wl/B1vLS55qW9VdC7n1/N4e4Wgc2Q+CdkFFkMDnh92Mqzulu64VfLUciUkm2NmkWIAHTp9w/QhXDoILKPksdewrdx+zSmmUsoVPjbZqQkwM262+utjXrJ9rQjlKtWfLErwa1AOLZRl3tmsGxV/lbFRHV5FGeRo2ZK61a2YgzBIJnnJgBMeivLt+zLoSaZ27GO81FwQ6x5NsezRY70Hyx6SD/OvY87VZVoXQM37CQeJtzQTnMGM99sdHNGVVkkVISOb1secPlu3M8dBS4ivvBCCQbrqqlDQ/lhtHDfL2BF/09AAMLiDujxneVFrIZtoiVgeIQkYX9GGDl0R+MaopoRSFmHhmdTgASUPCwpWV3NL/m0nd6eFzOoG7mc+9HNaVLMIwDCOE63KFjHCOGmb9Ds0OPI0Aldyrks+iOa95dm23i9XAJrpPEehcWeeuSy067KWKIXxL2JbNX3GQHZJXDzZKqefRI6+SpXrmFpwNxDBtH/tvo8/ltwDBiUL4bFivOv+phY0ZYOgFqY7MQFu+LA3gVZnbw/MJE7/Ini2eCbvB0HmB2IeyNhdjcTzGrg5TLeyvvaVcsey/H9mtgake4RniR++CwXYe6auA9woPvtx/9Z6Q4fNPmItcFdVIb7UnIVDts61ApO3DuQdb7SlHBL0V2jKoS+xoSbbQzFGnWXLBS0YZBHI6Oe82Byoo1cmunfRfviKUjG5r0wFbEgNidV33ZWJCkE73wx+htLZqXISWzkJN3JLe+MhdtBtoFkHTaueOA0ggGMdNUlatVYqG+xyBoUNsSuzfQh9sBUCkOqsKkog+gzKZ4pL/wWolwpBS0LDd3A/5d+GTubZhPZKCAbOEU/QpC8njmKbddkqBZ69b+jzduP/pKJPEADSBdKfItuXauTEpFHob8HygnFStSFtjOW7bJ9IiYr1mVMNh90jF6v58I4d1DFML2IpE+Q8ji5jnfR5Kw4IMwir6GfJb/gHliNayY9suC+7kxEMdpbL+wcEKTOuvajlpcumC/+a40n2e/rQtDxS+YCrxScRTBeHC7qPmXvTE2sMWVPk6IqLxLH0JslDJhWLbHgr9vRR+XXAl/lkjnCnOaXu7J/pRKZVk+na7y6jdvCt46vJY0ThJqZ5pF9z70uYpus8mtXZMlOt98tzphbr+2noaBZjePJXGT6UG7h+oovycn/5rihgbNERXsB5rJBKtMbJpWdp96YJbuP6diZ4Kxx3sLbeRl/8hEdQfBPmuC8KHNz/1sf+k1NYMfM/IzdDVWCNWOPaS6SprhUCSr2YSwIGE6gvtMlPKmmnT8dKbdD/1Ixkgss57E2QIsuEaKe/pw187WL7C9+RE56Oo1HlS9/UgSwVxfupRRJz2Mi68wSeER8Bs5CwtWp7CrhFWf+K24Zi3t1Q2dPDDb5CJDvxn+kgNgVxCMV/3jwMiCN+wBW9Bnz/AzAj9eqr7Btyr91Zym+yjOj6x5jbURlDzgNUSSltyafS8bVVFhS0I7omOWpmbOyd0t1W0dzUntR4wSCR42Zfu0INoDG6u6I6a35tKsTKJBq6I5Z24x1vb/nKF2ipzubxiJqDH+V5Io+i9Xz84aO1UGd8iyVj2UStr2W8fkoLPdk7y+flRfFyaWqJ4fr0WpV2qUliqEaflLft887ColsUypKXHrFgoGH9AnkSXrpaacHXfoht1Ti/ax4p7KsHBZnEvEu2E/RJYDea8cISo2L2fi2ovGo0jSS48elNCKngnlqo2l1uXP1CPh8cHoZ404S2wL93W4S1S/Lp1KXPYemqxOkgFGiXZOW8qZN+Qhi3vTE1ZQLSrbxZjqUcw6hUPPfVjw4Fb8KzTcmaBvy0Hp67R0B5U8jIooil/xr4C+P+Kc6w8exlX07Xbjk1cQFqlrPqQiz42NGlD4ke8k+ijHX8hZ0gVecoK7I3tsi5XDD/pMP514Xefm0GCarpFEqx44K+RtWr2a1V14KVweQ4giPWENvVLVQBqJ2gVYYRmDn0upd25xYTbHSwqKP4m78p7hnTx0F+x23q9Hh2Q/x8jEI5hc9gzPk/TO8Ls8Nm3iVuI10OXAPjSudmoxuwLsQyCY8feoLNUI144Zx33SbXBsS14d0uBzSMv1RP5CUgbvLfl++yTl9oHyg0kiqKKZ1tiOvZxMP10G1OV9QypLbtRL1iJcwXLxWV714cQHe4t3ESJcAm8ym9lYS8w9yPxLJ9QWjw/RHElB4LX9+S4MBZhDNmJ3AwKCyEmNFNwEqKRIEohZbQ9J2ZwLZyF7kqyYr3dJcuAtujZ1ifwHJ+FJ/HQ4RFrIElUH72PQfpVH5I/+UaTpQju1aScVMJuTZWJQaCRdFfA/C/S0StYGpaK5kVztfHrYm2mXzMrWG+cLNA6LZrjhZ1GHZHcpuCSZDFypibwGTfy3OznkBbviu9coHrCMaFC8F10ZqEkDi/N5RYCAqILNYfICnDJFG2smvATBlRM5u4UfxOkjhu6MWL6jE4dlyWYqkCjz7V4dXHYBgpaoX2VMf0NafTRsnkJwGAMaty4Y9TW/OxOcundp6OWYMmT76BDaIsVOd/2WVCHmXMftWKtLOt8i27Q1drjmfMIq+hL2GcMrpDyIte3XBOmyP+NzeUoGL8Fx1Bz9bQqFfVzb8rtnz4iUeUFD7QbfpjbjOOWs99okieRicrtCvHpXjCrp5zbjiyrUXGqZlPIQu67pKvBz3SUPkLkeGDFEZlU9FurZp7wRHht4BT8PEfFjNtLDaTN8HmiunfKeIbwKJGoi59O+UsF+zGAwjmZLMCminkzHwXGolujlUEendknsBFcCsTFnn+BZMMvXKxfqf5Z3fkP7Brk9IhuOC0o/Q1YzMlhP+rxAR/rzXIgbJnUEaXmMe/oulvpTIaW8Hqo/wpwsEHXqFSsHe6PxLpyTh7tZqsnm6rGElsOtMZBUqs+Dj0guwP+/9z3AHpHMeDseXR7QoAhpVZ42P1wOT8Lak8gbhQ5NxvolADvBNSJuRQKt35/PPP5yvV3p1xzB5tIeFvZHsci8g36oPJzCzNlH4cREwlKRp30eDziCsM08Cp9G+G/DsOA5mrc9ScG11Bag3V0McpZ+ElfrJKPFB6s+FhJvygjt0powTYDMQeW3xX1CpTskHCCJWsWk/3wzqeWd+294t4F2/p+Vn5fRsCunr3O88T+YI6oO15rfES6CmBt1Rs9cr82J8O8DfsCHkpPkNqOeBDF3ZwCyL7ZkJqrZVUAMdQ7O14N6fJ67dGGIhPNKGUKgt4for5ep9zDmLshhmNcCdV9stXXuUiTz0L3pbi5q9GwXbXKNcA7exD7xWgD0IQL3fVlgrY2EmMTeUPjXj5FHAF+gpJbDli+JdgVU8NVU16rlwcSLskjLLmjjrN/80gnHVfH5UT3x1xoPUIjJyL9e2DV5nZqoWwdYmpTyve+V53mloWGQ9xBnCFlPPC2wk3+WefxKt+pbxDcAM7YBJ4aJEp5XG9jVZIoRHWi9m7zFZIFhZAOfF4jj2IN+ZohW909i5yy9qJeYyCFZBvmnWBGcSyXi9zqr/76us3lIzhwXNTVmcUDWkMSmE19h9dgNiSmqk2OHMmzk2yAFY9JiaR73A69WV/2pvaQjcFiSRXVScdix9eLYaniHdslcghXD8aFiWSbBJ2j0hY8+Ci2P9MueeSiwkJ/mSaEXSIBP5BBGJ/mo6h7S1v1nCX+RNtaM8KOZnS916BggSxXxWAWYCbW+zU8jh+HK4oHjiDnSdAw0jF5ordqEV8wjB+LpGpqQjADFQB11SM0ekI7ldLIWuswKMMoVAiqH9yoGVefOZZyFMSeTCTgzG+p1jt0CK8jevMpX+QqPgEnAhx1WKrHJCKWsdIZl/0rL1eD9BZtiUuN6P/tC3Uv2VImql5gpAfX0VgsIBOGaEkBk5UvqD7LuXFRPiohyqvVA0dQpIOBt/SyzyUjOlnDB4TzFjOBTGTOuGFXFFdf0+1A6I7mogJSxZPmICabbBLRlqU3++yMDHJEh4XKeJ3Wm7FDzZK9G9rjTBcn4z0sSF/bXWpEKSRcW2Ea9MaqzkhfOZJGZqOs1Vh01fmhbK3SUROu2A6T8uFv+3eN2K7V1kBwC/sI5UYtw5/4GvmblS6eZ2/Y7TrD2jr1V9YXz6U7EXJnNYTU/a9K90K8LVse9hlgIe4aCVtippocG5ZGKbt1m9ByrED2SbaLTqdVrmn5/aQFyCzxVl8+VcXfiMDtpX2k9FUNQXQEAZCwfU/jPcXKuBVaITqRfcRFN1IZEIGGlmBrj1CuFNqKk1P79N6r8ZRojLfjbMrN6rK8MZgIFKIB+OBgphxKE7lwYEMaCIQUTw7LYBMnWNYMaURtT7sdOB3Zq/AaWHUaPKOPH3UrpCeBWm19SR7zBmpdEhDL8SNlhELrf3OykhELQIFX/0T1kmE9KpnjhI7WunNhp+IWUEk9dD+Q5/uKn/+8P8gbcO7iWJjRdGTgLOZ99rrynPMg2yKaayJKab00Rw8QTpVIWqZmpVfe3vFeFVq4jdxPfE7bbWHbDB34qlXUF9JyEV+9COGScc+WsqtLSc7XStHLN5U13w6POaxMBl85DUHiixNl+TTLS/Nu0Pe5wdnP7RvBdzxSfpjlyzLi+CcK60KhH4lUF4k+NTw15jImqBAycVcCpkKhJ15LWPGYYqE1mVJqIE5ACmj3rC/y6Su6ACDF11X7CmL0GY7txPrTLWFwwfOnZqR3F+SqIb3ydfxtqpeIC9/nosGMdhXdtU4iVWo5owtMmJU/WnLcxoPjcMwqLP5cJSB2RLuGWsuqk7UbmrwWJSbdeC9PRQNphK4modQbcyeh3/t08eQl+0jlfN6/Ia3fKTm5lwO0jdhRA19jlKXFdxS3ILkRbE24QOlpUwLLEmCiuVDpccuH35n+YmSsTj+z027FeZaGc6Hi6RNJ6H4J7WBDrJaWlJJCL3DmPJTnq7pYnm+3mYDziLBngw+gYaLZPD2VLb95KgrmKmJXqF4kU/UT9slwAU0WWX3a1zCy5RG1vSbKSPg9MMCdk0FwOps7Xdd+GbdKcxZvN7N3b9L5Dp4IZyjINbV4LPVufHUdXsEsFlAUU/j1f75I9fImQuqlQBa2+VddnuqRZeEcpCqLqLvecPkA/1HDdElbhqaHE926oMo42PUfesns5KRCmCCCfm0GoVpKDH1Z6yEdqpa7j6qRe/uvJwn+DXbiJx4maLlDB1WOEQh9nb4sRbnJSW/taCNadawTMuI+3u4VxaztedXS+buIYWuBGsESoIuWG0bGnsPgYNaDSSpowmpMwjtTF6Em3VC3tge3sS6ae1X0S5hrx5R2q15YdsQMVDS/sZk8JDAOfJaIWCigFi6WIt2bsnQnZ2nPAVE7fW0fZ/FHpfg9/Q+CTqU54vOcKq8biZufMvFioDLvRJ5d9dYPPziUuPOEXj41XwUkQPFA2XyDbJ6VvVNa/U2pAF1QEdKWZaGIKrir15WHeCnshCVIr2lYkIXrMkgtw9ScMsGTIum3+VnUkItK/yH+qJhlZxXqf8Z103cyyndPfkBXszpRNGzfQEGY5CGgqhCpdvanfkTkPNNTVZ3E1qhtGqeOpzkNZJs9Llo63AiSmOoV/+8TdiQyQekkytRGN+0hDyifnVt+ONV6ZTnEvcPLj6SucNehRYwdy60noDb1Q3A/tR9eULNQVR4dfA8e946MPQceAkSt0FYwweNjYOctKObazGTAWFUIgKc8Q9KIpd2kV/6Gye5es1aW4EmvyI7FhnjxsbB2IDRXmGWXyW2klTvIZLyDied9Ix0ZUKeWh5iukGFNepyTzl0Zaihqbn6HF4/KukULnHbKzvViAHbxh7NdS9yQ1Xde0CF92QpZSxhVvQ7giQ7rX06On4pglwiH6JPv9znh0Ap17Ou5m/e+c3JxTfWUKy8BEnK7c2XDZ7HHT0ibpSa0HKCAY/TvtqqfQXGMJ/mKZICaFPb9kpZx6eRXXg47RIJ4Q/dSzqkLpS4RBIE7ImrCLQl4H1SAxor1jGCb9eVHWePCqvsZFlLtGcCRMUHibYiBmR/peNwb9pUcj9N6MQkZQ0OM9Z+DAKNYxyeWao4X0RrsV4SFCSw66t2aEIl6+LEgNva7eITMOFlY4/lYdcqw3yYcXm35/v6Z7RWBPCn13on3SUsh+pCJno1/1Cbt40ZHtBhOd7u+rQYdeso460xw3dDTOPR+uqykKvTcBpXCXzlTgBueqX0Crh5rZyv37UwYxiPy18VunTtZZoOTfETwEb4nMM2x/CmKopX3BWHc/Gy9vgfO9ZTB60Mj62ILoFSgv7znISQiL4UDWtdLBPjrlw9l9dM5VAZDFajALgW+71iVp/VCkd+GTwt8vrk0GSL4dMrpNA6WdY4BhrNBggxf9jjrVC00fUCGrP3Xvli/6De/lBUHJna1WzIr4HI3F1Fz/NSY2INY0R6j7AHaIY02kKGBby0Ys0ib7PqqLHqGGVKUqFco47iRtOiLCkEJtTOVFJEzptz4wEsDWMRM9Rb5kuQKFsbQgXgCbxtvbYuiivFpzrLG1xyLG52u3PbmkTBvSWaoGEh6wlSSC0b4Zdon4Ugh3s4bnxwgbH71B6/2ER8f5cVu9HJjj6kbeyNpETFh38NrGXg2l9ZbDRv1YAh+qcOjfdGqDyNKPGYivP7PhYuXfHfRexXZ/0AncraTfAggbsuWhgiQXyZsBkItfm4HurwOY/jLpSOiuEpuh95PBsFhyjaNzFZV60gD/3W6/+9bMWS5dfFnRAc8xSL+mZHlagHAaao7kIBh0WKkLqhjoLS3B/wJpUzuwCrxoV5yH7m769wOX4exAPXizZJylhaVb3pt5XP3BxcwDHYvxIskbqjOj648OtwLorTpjSCKz5wWhjrML3FiIZg01Uf/w70vE8vWh7U7dxWt2HlMns0m0ivw0C0tGI8DbAYZqqE0LsLWzkcwrQ9SQUSulV/oFISimIFSiLuJ/t7ydHYVWyLYcudbKPBRFjPuqeVYh0wnrrSkkNrc85AGYeFTii+eYeVlR7QgE/Po2bNywrC3cyLWgMp2Qf9jNFYH7l4lTiiZCfmyP9pYjxFGeEd7GPukQu7EUYUsAtUjb20IH5Pyxd52JMFMFONP0zGl3HcOWFmP1fEs8LySuXSFvaFqejzUoNNTfAWEKF3Vc752o7xGCFHTHJtQ6I891t1Q0BfQivC+78XiO9n/kzCbo1s62nnEIPByIZO/nzOC61j843BFuMdyjMOOxXSIwyj0Zv6agxus/B5P8OZTWesg465+W3zRI3mUIDK/QA2PUiM/s+3iXAv7ulAOECGuxjkTeP1oKsjZ2PPXQw0ELN1C5eAQMEC8xUKhzfN/Gs230GWQxUqvN6+k0fdGhj0xcw4eKIfsGK0snAVxQquleyALe0m3A7euK8DhWM68E4zwW/8CaYTaSNSR11lq0MgwjUjBBQmOXqRJlEbhahOO6rpbyINLiuE6Wr2Jsddbdx3/8zpAlIF4/WEMNuamJCXZP+76kIGK4K+DASydCH9R2WBCOt9WxJImK4bKrnNgMIIIyi3iINXxjolHA70ceFRmPJojRF4eXApTV+5NKRm7BIS5BwX5UdmI/9XKlYABHeYYZuWd5g+I6LERGHPrGPVEOS4KZuU48GZBaAeOfcyNIjht3JcEUl5MH9/zBIBv12Bj8oagvpfLnYnK7PJ2Tj3KrfQijX6ECAPhE+x1Q+pYsJO4bW26cwOqTOy56XVtn8X31uWO/Pjy+YyfygsVKpvkKXNS1G58En2ylq5STzdSyUUjumrI3fKIwFsr1PPTF3fQT8w1mToijOtFp4DOQjlgP1em0tqaYmZ+qc5dMLDrPN4sLsTOSOLuiAStWZhmAbjuqXzirCKwEGc/bnbz9F3g/OK6JmBka2IPJD7VJkPTQFEWoMj7P0GbfYpdMLPYpsiPbjXpPapU4U10WXc9Qm2BPI80xNZEYHC2GwbkNP1zpI2Tnep3WQeKl8sWkyfOKaH5aNQ2+LXwr7Lvorp8bKLGcECfwGHkWWHPUVm3wW8WTt0u6qnor1Z5odGOiNFrhl36h5M8+7G9kXVtQ185Fxus7rkmCxaHavaD4SnLotyebUXPt/7QaKZ1KCrehLze7Lg/X0PifIJlluqBXYavZiL3GdSPKDp7COo3qJhwhOyDCtGVkeS3XXadZU1kvo8eUQA9ac4xR2J4+LYIBA+EFE10JlwMSFNYXqsZCR4MIxbkB9EP57JjLXVcBumjJjWtb29SWFvNH7Q24AuvjR6w/z/QR2WMvQtqMetpZtaNrO6wD9rdgXKtWFbEEk5R+9gGxAldPCxFu4NhSUXJGFfazgLOuatXBQD9uSrmHvxo5fJm0Hf5nuRJS6/Kkz68eZwNqrxyXHRBk6M0NRUl18/h1xkQhQ8ospwVuI9IhfVyMvqKsG8fk6J6ufJlD+kaOKMp/vZKIafLCI76gSDCE5mbTtqBnVZ0/3OKy+gU5gcz3tGWBjB8I3DrRvcEIEA7UjApcMW/z/Jk3CuM0UYj5ZS8F+IZnbo+mVtfWHjg/YnTTJ0jWMllrghyMBCEhHxd+lAjdTVNo1fP5v36hBKRsnxaSFpQCkyjXJgR2oOZmXUNK8557aZINfIJgaUX7qyP9RELM2Eq84t3WIskNUdu7XLhyxXZKWJRTLXlGStASdV0D/vB0WRNwNnEL2S36KzRvoHfhzgw0GT084kx2k5oK0GPWDnwjD2AOafzEeenhbEYVeCwrL8aRwAY2xW7rXilO7rywr4nX4aq8iYjeMkEDa01qom5349DjI2nQIeXX1D6Yt2eWLZNuf5Uytr+AuZEs1qnw15WtJS1CneijM3zdBPYPm0F4T15A7PhC5SREYbwYDEjoTf5IlOOo7a6xPPKaVn1nHwNvTaYCnE/G1uPa6qgrh3oE+Bq8wl7/p7KfuqytQfhbpHIj4LvbBpHhefhZEgWMtiRXgVNl3V4/EWVNatUjChqmEDtGlvrwpi8CrQm3Gv0JODH6622BykcCXrFc0TPimEROjdNgSx7EYubDqSnqhHxuKhvIa3lG0rUDrapWMdPpouimGPL+COy/2XgBg2qFUCd6mbRP25mUt0ffQTJgnJUp+dXXnb840+y/QJkWoJlsxWFD2I+p+F37RcC0TqGo9IbOwyEuYdcF1cz3wsV4mgzKMyMOH0LTTq/bBbvsxvm/5yux9C7qqn6maI3b9zr3FRAKbIOF+o9ln1XUHZpkEfYgfVYlIhhuqZ+Krr/Qaqn1FH5ZqC8mruiNQbRhkN2Wmpikr+3hiJ+EM313WiWZaRbbTNndqAP6jZ4W4eapvOUxSwK1h6mSpUvhycksuO4BIYuhu/3mUvGjNwhE3LlfPGym39eA3U5ZAcdHpdhrvQk/GuhqR20JZH8kIutwReMuIBTN8PGm7uHVC/vnrk5YhagDSuNzsZxYp3JDNm5C4kujcQFegaED6rRO9IbOPO0Fz9du6EsdxKDRmI1P+c4S0WgXklruvKTEwROBMwBw+F9PRSYDuYnt00TXnKNV8RqME2mHwSWbiBqOPLFrec8DMx1xuyBHyee6kA4bkVWqmh6K3PeJsJXLFIskfJQGP2qNmfM8V65gXU6Zj4yYm2/PmOBabOER+Qc0Wx3Vi7LpE/KDho92w2PSbLJmkhSj/Pex9cbQy6BIbFt8lT43OGGA0x//zIGIRtfquzNBzYdwjz8PvhaxkNK9eK+wGO3HV0Je069kUajlElwuDH/ZB+pYAf5mPG7uhabCJ2yf4cu096pYTPLeUukgfzzhnXHuIIfauMRQIDM7wCgNgUT9Z/9+hJFEfyoMElWiUjuHvSEgRUCUjxYfT54jAxM8wd061ChYeM/eLCsbq7qtFJY4qg1PkdvoO5YFyPBszESV3qF11tNN6YF3iBlzV4NQdLgD4Xi/pqQjn+rbzpHtnXdJfV0C+TYGWQ9deRqm8ltOTMDaaOhiUltf76MJvzspPIHoTI2OCd7YTrzjxZnjuEY8Cglb9Pg3lhVBF5kBH9zGHGEPYaa8VpLbVc+QI9O69t1dCgfRUrUyhHzKLEhrRjPIJdL4XZNGss1FILidDiq0Vvsk63lMClmn4feRMTozPq0W5CJpd9Hb3/ckb7cHOe8WEZ3pyfMfoYu9KUvclYk5F/P1ZV8EVUYjz0HFflB6acDIVKQZ6mtMgkMuxg8MAnLF013ius2TZmkq2aeXPYBUyIJ0+tBYLtelz09V0vffO95IuTMCv2Kd8jnWTKNNVwkm3m/EKSEtBq6idjLXHTuHtlYXbfyOvZcnTMnWSAa4xsWwtc/L3PRc+GUQuwTQ0Y3Zf8ZvpdsNx7TX2FWnarsqNUMZlr5N1RFecll97vLz424Powyq1gSyLzeq4/d56WGIj4KSoqu+K6DRzWQWJtFdkNM9OA8vDwhEbe8wjF8rlVBLYNZadXWj2nVWiqlxrb5wAzRf7W4zA/B619UIiajgg1Fjm6ed5h1S9xHZkL0TCxvfM40UvJSUQ5oSybwQ1CwGOU5n1B1YFn7mIgmI0aDHyDl77hD+Ygs8fic3wgaeyr/zeQG/bTdZibRQbdCaE9fdjjPrqUmB+XveSlhG5idRVETGf4ybHaXAAHN0OBR4fsAMhvpUEYEE4sAZHnTHbqmIJwXOvVF1suVJagWuj0IMSZKiggvh/emVON3AFmw8FsgNBQ180KxEJjHUX16w4CewUMgussw0tydAbXjjXM8jwgmTGCUJbLEfKtXT/tywekCogtZqRTHfky+i6kfuUeMSTMPt/GGg6vGCIICiQekWDoywp/RPe6AcvFC8/bppOKWgRAeo2SX306n6N9CHRjCcewb7FnOnAtUANvz2ZWqCRdIgIA/Py3s91g9AzZt+DUVQ6YqC2nD+HOY11mewuFtfsCvsqK9M1AxhTkHK/rsGLpqizb142D4o2Nhvl9V4Qmwx1DxaH0yxm98up9TiVhdLnXzYPwx6rxoe/EuxFmkjKEUUlpINq2F+68jlPeHXQydPFxqeSOjykKpxiNEdnmD5Lw2oSw+T+Mcn0aLvE6JfPc5YGXAwfmGJMOelC1zVlUNRq+pWBibux4A88QBgN1Sxdg6+gphWTDICaBq279RNHc5NCO6MQJUtz5sj38F23JUUOV1+bGd76bOeB7Ipk7z5vdNyOPa3mx44Q5nVmxITP2L1MztoeNPCd+B/voW6Zqoe+Wt9Qc3ssOlnXwoYXtquwn+JFP9ulWjk63Cls1m8carP5zxWK4QHW2uf9lMyyGtTX2pE/6ECDY4GSA+VsIbTv50SYqwD265vo+cZkpcLzGQtSZ3qFLRsvlCiEnmlJySYl4pgoZ8uRavR2IuAl9oy9msQ2R1kG5AIKri2QOA3WX9JskifoZHeXPLw0u1MPpAbbpufHJo10e6U1jzE3IQYt7vFofAAJS8272qUUfdVpuv1IOzhygq9ly9QGeA6mhZR6osT55PWzzlO8cIFgz23iMBeJkBQhJiO20Z5OU+0yUTZd1PC+PU3+jZDwrv9BvfR2R2O+gRdD/7jnkScNf7baSmQJ/yS92cwTy/ipBteSZnQAfrbZx6KMf8Aqp4Jeb5MM/JZxOfRSFy0WpdiF76X8O9p6Q7oOtjkm/97ZG+++vHvgeZoEhUOpMQaHgwdJ+eM6TjoMgFHwidlnMJrfuhkLdQ8xxgGNK1A0cBPVLefXSexNDWxmB1Azo5FkJWjgRNilGTNETYK06V+/pgFeaw4qPzjiiwNdoZxzVk2u3qSHo3E1nDHLwPVfhVc2S5v/suUq5PWcRlWwv5fgmda/QyHxCpYmiXKWyKcFM+spA+qyG6imxXGVfE2KrI4xGmLcVyESmKReLtNRwnMl5TwAN9tjRrVFmIHwwcsskb9YybcFjCJL6pWkYhbC4UpmI8KsieHZkh7lc23ENCJygsfMkmnGojp5sRyhN2ld5/rVneLxsWR7tE5INokrtKJE/JFWNwVUmMU+MvDHnxkzL6LpUx3TFzu4QDK6+xsLO+UkVmdppxGvYmBFhYD2XW2G3ad0uojHJ0yuxav+PVxtx5X8UJ/RlrDppEhTe47yZc7/scn2tJMwiZ0aw46q8DdUkQQho4aoIAvsWti1DOSvVzExIZdqYl7dspTg6VFtHlNkcurgHnFpDUJ0tpyrzm3yJSZnX6dd9nmwsKT5lKaRWsBlQrVplVRWIJJqSkoNqfP6oQzIwxX4lETe7TUypBY7A/10ev5D3BIzMpD0VtpVwO3n+wf5MrE8/c5t+O04AN28SKQZyoo3JwEG0viau9mvDE8F76p2X5yFrWnm7h1OPLrwhcN+MTInfgjpUCEeJkbYksv3lJL8ubrWWWgbsfhEseBb64V4kQ8zrO5Ua74XNk20B0a1CN6llaOsZL5paacYx05ZEfuRNU9PDmtIsGNmefqRspOCJzeydAEvmnWn8ZrBGlcDsVIuirteZMF7OQBNfwIDJbgYxDvv/jHXNxLVo9HAjdNfE6zMsXLgo7r4D0sDc9wZdICZC5XGGHW9dMQTsLnBGtVCNefVk0UG9p3YDaIIsHTHRxEhiIFz4ym3QwvGEtpnMu2IO7PX/dY/IAK+lFthckLsPZzI2apcoz6U4orA1xYke8XWFXpO/Gnm7Uwm0QMmKe3AAKkp8ugZGxEpIWetmp59+QJ3TbB+1r3KUQNlJNo0xvWroY6Mu751A6gOprR+5VTpwm11xdDFdqVcWt+ZVYOYLO2LdAlD5oni67+9Z/4VfHe0c89o40upw69YXHlkhRuXPgqp7ZNclSfCQ5eNqO0LePffi5ZoRZiKXXdP2rjbNosH1rDPh+uLxlDpqohKkKaGxw5T7rY4bjpZ+lx0wihGjR6tjWtNir09L7F2p6DRLrJcly3KP6TRlPsDoY6ka1WrueHxkh2xV4IG9GmhRGrTbuGXgklEU/ruu5LG2LXR0gRx9yx29eLto9qvTAG5VIiHJzqkm2pPfe6WoGC1tK0JollJXf9oRJ3cGK92gBnFnLfkBx2LY3DSPZY7ZcGGoary1xAOKiTdj4rxKgOALIq0xnZbs1r0QBbyu3Gk6WWLtNy7uq5KF6qyiwyd7u0qCWsazEXyO8SQyjhIrG38+KdqBhPkPXgJ7VKoPz3iWhjhqQ5+GO/YGNGIr5+ZKhn4uEhxU+c0TvaJmek/d48WU/QeVU4CZS2fN+mKGzhpTVoHi3ZQ7oCZIypiuv9tIX7JRxaOn88iFIwg6KRK0e6QPeQSfDlMpOakwG+YTaR6J1KU9eeG+PEi5grR9B1+/GkEQO854BAqFTaLIlo2li247id1FoxHOE9cYEcfny/PxrJWuJMXIz6thJXRWczLDmMcf7nRTRk4lehsChIW7tsMQ/8H58O6lCnFKycEitPGNjUQQlIQvKXSqIg74dN2w38nNZ7Q9eBMyzhf7db0Pl2jIjAyZEYT8SQY9hNV0PZ6YgnGIus2SmygCSzIF837b6NaYA7cJFJQUeljEaAORD8V2BhaVLMPHE9/bRUKTS9LysiH2DIr+3Kbe5RSqlVCb6GBUxiRC7IjjF7mKGwp8GZaVuUpa/TmfKx1++q/O5PIhspsG9MgEHTpmFKizFQjooq3bjLxsS5NNXfkY9O60DnpsCATEJd9BT1QPtXpGB3pftVK5h783Rd2EhhMFlbiy8NhGfEwmuBDr5Kjwl7In9QIekz/PXv8Qs/MUEWE/N+KrkW6yi7FsUatMRBVgkVrn3XcflXfDDFTZHjqxybsEODz3U616/vVg6p6QrS9NQe0Jhrkxa8z/W0FXBlTDQICJIc/xZGUlFFqMvtLgADzpqWvfe57e5uHNKN6BH5G6eSpkZmPVP1FqKZKi+cLN8zU0gmiXy+2zdp6zxsEqaEh86FeYRmob9XFZPItEDZTbNhauXtNE+yhQNVX16nEMlTlvw1Ti4t0pWuJefaBy1+ezDkXO1OvA/Qdaia4SOF3RWC1QeP8u1rHe2Oafg8MrOAKAtRFodjCVXkEbNgmzmgjkuWe5ELrW0AuF8aLChvx10BLreN5qtrNGegweX9NktUck1pLyXqpCLZtjlGw82ZdsS3Fn/pv47ng4IID7qTrL2sSF+MdZKIYo2eT3rzLRy1EmVJNzC7uZIFo0NcUHKgzkOMWn7u+1X+QmHGmkrsW0uYnlyS/zoHCPRCVSu85QhL/tLSlRLdzD2aMy59aFWvrZ1bWeMMBx5rRSklxATH2NYQ7qhS4VXsP/9jrvkAXSXW32LAc6gt2uuK2WLuyDPDbXQaRMCsE09hoYTWGVu5idexElGxE+J5uZRXOVPgVPD58xZdsBnxMz8HeZQZTmaxHFIm+F5aq5U0y6PUFC/W7TNTEm9kjSgnJ8+Zy/kT5RLjW1Xf4ZA+dEdnkVCEx1RNRNmI5SkxHv11uO0fs4dgECi6lM89zxjB2O/QdGryhhnYbN+9AFSfb9v1sDo33AzZSUga1S+CH48ZPHmUV+ZHCXnc6OqCovl1Z02of/+YyJBcXQrahrata51wTJ+1TuLMzzlwHHIMGlmrTVnWkm5ABIEJ9wF8STDiV4x2H97QPSkDBvZ1MMpt+P+t2yVc9llqu8u7COWhvsMmFJ04rVcWQ1VpaU0XeXwaV5fd5wzXOZ9eLxsXXa2f0gGxcHF6rohGVcnuAFG3G3wV/jiOx/UhBgxhpqXaSA14ChAw4Av2BhUIdM9TTtuWj8Dv/dRWyA9kc1qT7m4P8RhRaCIqjbag6wLWr2BpooMNWya7DPa5BOFgV3Akf/kWWjiMw1bus1CoWqpULsulfbpoqqjvpXvvYyMGfeHGl3luSYkntyuidwIhPAAbGo9ag/LOb12Hi7jOD7KEixERoBvw6W4pwaq1k4fv7FHgTguzzZcyREgfv1ZB526jhXZJThb5ZlsWZ2XAx9iiHLNccjavlXqpNc22lwU1nNSaDjkPbB7Pl2tl5erxIdxvCL+IRDe9bhFdLhKoUde+xoB5NR9UCf/Vy0taa7yqlgdar03McsNE0vaZDp7Jw0j6Kd/rtFIF3yv7SbOI+E5kOPmF946Ru0mE80Yxsux1PQhpIjPBnAfrdlSiOmHWZh9mytD14tUxQqQnkZX/gn7jmro7933/brOUa+JwgkDbWNXTv9yUbpaDgCsgCdQoXH9xkwyA0JdS83bB0rbQ47R9wYbsqaI4f+6V74xXHh4cM809XdWvW70KR3YdQiK2pmVPhZxj8lA5DpFU+NTibvJQ6I372tGstIpsFDMtf08AYnNe3YXavJFlJGqjcS73pqX++XXcL/SqBW74HIJAG7/xPMyMMfvbH9wwiAC7MTVgjou0cidbiCut1SfX20ncyRSkO+UFXuJgbCTIo2QGmBgcGv2MjuIa4AbhXby1l72cg2iZ+c0c6Rlvk6xq80DWQ03VfdiZFc7iYQrTPHcwCNLeXQvJAwD4+N1GqfVXss/0rKAzZb74tm5TezwWUBV4T8B/ziNp3UII2UGcO6c6aqRxC9sHTxefvVN0c6B5p4JmKZGPUCmyHqUY32b0DIOfOcwff0NlyKDm/6nwtCgctBG0B0L+HAB6vvsJKGTf5Fm9tTyKKaIIAWUicddPc6p4+6mqPubdjUf+Rtj2+1VTaKyP0jcviYOrEFjGdMH1u6vQkrmzEBBLiaSNnPInS3hwyHS40vdnMLv/jiN34VDZ7iTVySLupTcp2JIhKYp5v6fHRHSzztTz21c/K3DxJRf15oDPhvwcadyOCwDlHxwIhCDGhbk8/2WIm5qLmidLk28xf7zoId8y4nNkKLWd0oT/f2M6AIbtyC8QXOtGya7UzfhXmcf/trwTEhFcpKsAJaZ98+j9SYqqmnO0PXgAVtgMtUCpnkprACp+3U6WfXOxHgGkN0EgO21/stbNOfPQcRsveAysmW0OFjOhbqhISensZqiluifRMq3W6EHcHHnP1k4kWgiiDNMGBQrmJn30V4+YnKrZMYyGdH0QyBiqhnXdKKdsktWR1wbiHkRBvd5XQLdVQvLWqlvP7zSAFf8SE1a0f7n/D2qfDgvASyTyH2RGUA5PA6/ZYWgvimVZ4XeIhk3lthPZFQWn9n454HHJ5c5+GK0oQxS+lZcYYmBPZEorGgVCUC7Db7rGeDJnWrrI0OcXs7a7I6Kwtv0NJNR3E6c0qA48/WrMkIFMyW9Wg8VpNwuzuuKjlTOox466FKoxXu0GlqcZZmcjLGf1YRmcen+cZ7MpWgiQ4PUfRrlE7xtdCHqOufhfVKc0VWpj2CIDjzbqcZJC5oVGG5IfnwcvJUq0Oo4WH4rgj1lyN096wST666wEfeAJ2+VmxTDTnjYoU+F7awa9RTiNlQpb0iiZ/6daESHbOGZihH80Zc3i14g9NDNbb9gyI1FvygOPpXjcavN/4n7gNPDeEEQdc8Sc0uti8IE/OcPgs8uXwpEooMI6o4WoxItHsqypiYErYyxxm8W67HjlEEggXAT0egs9ATCzooYJK8sLv0mJD+VApqU1q8fyWMwre1wn0EqzItKah9BAkP5pmhs/hBxNVqfHCIcRHAPWKKVcu0yUPmz8ij7OxG0YNAH8zCDyMQW5zLaVCjKGCfqRlrPUwuCkV5l1DXcdXjqVB6dbUAoRuNh/fzyp5X6OHbCTlJvbLLz4vrlAY9vapT6OH3d7+0SjThZd9WrMIMCLKXPSMyUKW1VjL1txxNOErVIKPRbxIiWlgGgyq8zyosR7phuorj/ftW8q84/hAxmpqZvWWF4HRvyUhI43QZgmhb9M8DMC0Mg7gS8RZ21ZYgRNyACa5DJxZwft7FqF++CwkcI0qaIHo3Prun8XuUzKdd2tSkr12CBCuhWcPPumA7qvfweRVBopRfD3woHGiapayNwzWb/edgAWZge/mQY0nPRi50Kee+C8pqG3+U3L8xatwG3bCpyPwN1hgPgcnOAKfUP2YtptY3GKYJ+goA3U/XnKdfM2jc5z442NO++QEUQ1gEioaxQKlWh6Ff6feozRbKfv7RLD7PxVKorqbgS3V/HOlH5UEmCLuuuq97fWL7NdRGow6eZBdFq3mBFqO6/4aXzYI9rfyDuzzrkfik7J0jY9H7FGeNrUzW4yOKZLoGrFlBcuVJg8MqItlFQMUO5n1DCi8VAlcnFut00jo5Ir8E8xx2t9+gnPuv4YPyx6Hq8XOyAHWy3YK1CQVIJXCUzUy9YNaLpJj0WzNXhannWFxFFxPDfo0RpxP0G9MsxDmtpMzomAIOVbPSI9G981JtomJEWVbJ0scadEnGc0NojJqMT17JvR7X5wVwvCu2UydLB7jStLBgFW3g/wkqbL6LgQJ5vnpeZMvggSiNqAeQVgc/xPE7Lym7PN16WRZUHYO/YJWoGDCG8XFp4uHNVdnSInFi/kaUV/6x94320VrZDKAiHszFUWqnqeuxD7Qu5WlIxV/dfWjceMSYCoSrrIdPTDYo8O4lDBPMtpt+wcrEDB8PtTbTP7XOPh0fl0YepZMPMskflF7bOJw1Zx4hSrX6wa9TB2nQ55UZz134DpvBQzna6tCAbWRKTXMCZ15v1aAbVwNqvhqyKrXF4bHWG6XEz28y1wDuB5jHlJo2HdRh5noPIfoqMtTVzw1Kpi2cH3kZKlla1Iz3CN66JRIxXXLVfTi4XWfpZndgCkG+bpd3lBX3nYenZ9OLCAUwJW4yTjVaBM+j1eM4j6gqEX6dBYdK8zVwivPhr81opO4N4/rgsF4vG+45+fZ0EXh6Ax+yptBCDlhydT8xF57UPAcevVYT+bLHxSdbriGONUbKuoZI1PKtEN3mtsrCBOkh8kgXVx7Xf+kBZVLmVtgxo6JmVylJA0eib5L0RkUh42CTAUJ6EMI61UZMBCuGKp4hN9J1uY3xkWb38BTMFxH1o3nUCn8/1lS25R0WEmub+d/4YwnjLUVNu/3CnHZ3HU0H48PwV6X/J3YISWd/KwbJ3z4YJZqb9E2q/SaXMND3ZAStH3mdv9J0PG/nQBBCYZeWSGRH+CtMIR/WL0dthNX0lfjjHBKKaIAG60UieE9hqrr5g7LixurjK4X4DUR3q+qB9YVGtrjtP/jhQ9jMZOfB+4GZXz6cJ6gdZb9DUsJd7F62DH/RJLU9xTFKIqXDbZLngNQWXVIKC5B5hmHoHYtYcyQc898sH8b1Vp+t0gknPWrUTEpTZAlIHJcm8z6JJgoN1Uesp5+9289H7NJL+EiFR6UF6K68jmVhoB31ElqgFyrm6PttsWRZfGc9Yo0nfj2hpazjRuw2dEaKIj/+2psn9NZqtqpCdSVJPIGmdpzS0o+KcA1g7IkspXRH6+H/cSKgevW/ECXjnxMribATtTUwrW8IKsYeF60KJY3zXwnMFnZEoUzeSGg/pj7z2n4j+B0HtbAeWYdIf1wvd8fLelBlamN3RVxeeY0+pGeif79lCDXOH9VtMLaBT2DbCL/91GinKumu9UbMYTp4Ju8B9n7TejkrXxoCRNtfyWJfU63I3zXQ1Fxns7g8NQdqfuA5vfCoeHW/IMIvXf8Im2z44uowWWbZ0qKIwE1XcwFsAZpZ5t9MKMnRq2P4EGqL8kr8yajb8bPxkdM98WfEsO8fKcF0ft6dqYNZDTC1LZUXWQP6u+7UiKt3tTfJM53KRgj6MzRT0cEBybxSBH+l5VYXCTN7ZjqhZHhWRJUQdJXJsTTiMBgMVDRTbSeOSrr5Ao4vvNxM3YmwRRB+Il+6h/8D1PvCFlcGiYEKYOb6WQcd7Yiueecf+5y9uHf1cyregfTy5TEs45fBqu9IU1cLi/pKuZ4u54IoUGCH6jc1k+pWKXSYzLGhldcXN8QokJH3xH7ouRG3NfYkIWsq2/2diYVWGlBJZ/XbPc24V94xDzYOBzHDNZgzzHpC0zqm/iIvSmrGd4MK+CBBLlzVzbiFMuI+lGWnG6NuPgx0t0afr4vnMtq1e5riNyij1VA1Q2N4zUjv6NE0pGl2l9LxEgXtFeaFRzaZepospDTddS/5ty0EYzk7eCzp29GEXBh72OftHlC2JHmmg5aytFETuXRjps0+EWhSIGKvyhxHj8g5/Gv5J+kq+nwbaDHt3SOiWz2E6hURduCHApE11IYW/t0LdM+iXRHNFHVeR+Nl6h21hZsLgJxr6lp6wpMxum3I6gjT5B+qC7V2W+vk+0Ps8YxkzZZz8/+oyXx5UhIuBwNx4agXZHJHocnIIPILkC+afD3NjnZKjTwg10Ntan+ZKl1VGZDJFxGyOl+wKKgiOGVERFFB5MiicDpyVVofaNZGoUi1Gy3y2Khgu220uNDjfSwKGmxs1df2ifffdV2Tnf2yfzDn+XqGK7+DprCuVffeSyn+VN3x/g+ebrYGOzTdGuBft9/dJm3zjvg7F+i3j3jz3DRgHKmsGw2VZ3nkFKK2uNKnWpLvfUiOV+nQ+bBOokEef7QRMi2nkSvmSdGoibwMAjbPIWQGiAEBGmfgJRnS8UfjQYV2py8M3cXbp2YRvC5OzF92QtwIUjFsqsB+cDz8NHJSgsp3PMNZxaNiyYZEal9W1zSqpan4BFt8nfs5FdnQSOXMB2iXDpiaWelpLLphhwHCxYDBJVTPNR6/Cdx5ikID1yOjeZ77rpCeiw3PUKePn74N2iVRTMkFCwx416SZGCv6X0kfKJYIzRy2mTwm6TTuYjNF34PdSApqPFYFfE4IxMIdxElLFodxsLg4zp7WOE24PYNy0W2NawS68B9LJOvTxVHBhVGDUSBuRSzDtX1EmGGX+gPWo0SLLVqFPbZuTvN3I0n+Ka1axv/37+eG/jRFoykJrmMIidQSfcdvCC0uZmdXJ2B2WVdGdp9TaZWBjolggET6yj34dFrzo8XybZi7bsfMQLAWy8FuTfuasSufpf3DvTl6PLnOXP9Tzw+LlLRp71PZXDHnNDxCeWwgnrHPNgiI04fdOCnYcC/fr4KJbYAK2zNmpN8laJNBL0cE9cu0wqDMPuUxgA1HipfE/PH7VG/uMZ/gvRLcz+Nd6mjKNpCbfRvGE49WLgDe5y8+ZMHtgRYnNrMufrrFa9HQtY5OETW42rwCTXqrb/dwXGllXG6VP3npPv2tKWEwfUSQurj/Ly3RoTlZaQR2TJIetEoAUXlKIY2wx/2JPHbhwP2hs8T4NRI28qeenTT8j6tDlQfLZRJb2MUm86eHQdOA9u7Spx14uNyAKuCNb1Iwsd/Ftr8KcAH3tY7ht/ARqQjK4RDs531JJ/ezJjJ6afFuRUA7C1kvbuC2bXhaWcw5eYbqjjV576CGfQM7nBnKdx331GpRHIYZ0K0SZioB4iQtg3tx7umZ3137i/ZUzcTJh3aEd1AibxoqtIsO+87hp6i07wyIqF91n2vLIrtnznTfBJHYW21m0eqG5pvWJgBQ3wJJxazzSXlpdj527Dv4TfLZmp+IffuHlBW0pELKS0oUIj7qHkK/LN0x29LaAGtiCaRZwUfy0qIHDpySnj2PYqEBum86sFM/yxegzwtUdeeL66mvfuD2xFnoJGYmuSnb6o1LJ+QyxhnsioJOfSsFqcAxC8tjbu0Te8miGoX/6N4u3Ye0RcBos0fEVChw5t978vyB2sqZZJbiDO+X5dUgZnp/8+tU3jxtfchix+W/oM+F96kEHSjVKJs6SRQjuv4exRGMnn6keEWGhxEQQoM36EdT4j9q2ea1O2/MSM8cfkKGkIUGL8POz6Ozw9yYFp90kDwDqK6nEY2HI5guee9Cd0DTpoyBsgIUvapcPG/oTmlFqAdYvKBzehsfD79oEaTuUFRdXR3kOXGWHAv0thyilq/kqWajk6mptdQds1OeBGvUtxeC11aggINWRaI4TNp5wF1p3nVMxKPqQgwdXt2ypzPqAkVrGSLaurqRnWmo68qnzNo5kmiEG4Sj6hSJ+x8VMnQOGcz2ncLv9dFOcaiMED9R7HakUe0MNUmhXRTVesEzVK2B/p2G8hHJPlladscl5zYmn1IVOgzsKrpcr4jt2mnL9DNGavO3p1MS5n1IMHVPGOIz3ySUOEGYqmnth7OcNaJn/3K2L7Xcwn0GbbJblu6bswvWGKT0Dtf5uIxqogtzo/70Hnn+Uq+C8W1HFqK+zMVd0dG3roEPOmJxzOCpklHHRpQUQFsuDzY7uPZQDwuUeexnI47xaHF/x2Suk4qYfqh/keBZbdlfw1FRFZgbK+HJfzIS1TpCgybKyjFUq6sDq8FH+deb0WJDDbdZ1ve74aVw9Ab0leEX3Is6LfOhDF/igRIdm/96XVtfbtfnYL7a+KgmcaDxuvwlpjEQVhR9QCdsRvIizMScHWHmHS7JCDgkaMXsCyG6YrFsJX/TexSskSj8g6efHRr1eLZF9RML2lh8Eez2tNEvaoOVrUKeWK4x5OBcls0XCdcbRaP37hg84P4Okfh+ITNJWPNdDG1FH0OfpZD/71CJyU8LIxc57Fg6xCAQSB4TnW0DpPG5+1MWIA3/E7dGXCPuUg0BvEuGpMEFSDijQspJWBGn9hRbPMYKUzh+s6iA3LxStVQGeUvqWOk/Dkwqy6t+AdkwuiM8mx51TCu09wCoGcp1ksCdFrWYRWXE0N/YAwGhG2zoRHvSeiKSxRlv5IcyUVXQfnOjPVMp9AGtG+z51Nz/5L07rFpVC4l+DvKDshbbz8KK7RNON1Eifp4E1LaKeRdGpSo93LDCs9a3yeYQXhtGmKvH7EM6kjlacTkFOC/QjyP2NdcaSofcZQYC88mzvIWMjqXO4FZWs3BikvPxnSdU20I86P5ch9PWY/g7jDQgfkBGZXLXpOP6RaskQc9PDRe8BxB7NQWVecz3GThOlCIp/P2ZDzMcruLCMmaNWWxGSBaYJrRBc/2lOmIE1y6hX0eiN9Egw9aEXOia8gLZvASrI3XfODqznPwG0sGby+bPVs86kfGivU3d3B9LkscGyobZIenZ1YDysSnDaUbJGZ5LUHtJLCvPVGE1V4sCgzeIFAnRtb7UCpj12+idJH0z6u0wA8dI/y5QOB3VS301uoYeRLpVgNp1qygjXE4o7VmbMnuc9rzAHbUJY2M6KPvWFD9yF1oFfAO47qjYCtcmXrm9iZIS1o4AP1oVvkcsJv+MEZaKeW/0pAWZBla5tHHY6QoMTGkuLZWv/iMyEefm7aQuaNLFg7FPOOBEqWDOftzt2jMMF2ZND+fPT02uyLkAxQS4KOwli3tr80XibaJP0rVEEFPbd25n8UgWMHqGoPVMAbRMhARh7+UdEhHcYS/ksy2/RSMIpm8uCiHfP9TnkBp0yXXhpohf5eLneKhOxPG7RbzOTwCSpbSBQu+n7B1E0+dDxDm9n9RLBvJRX05m7HVsT8APv6/h+V5+Pq29CyrjdbeU7RkL5iMzIV/Kik9AH46gCfKmN+6/lxCvC5S/UdPxODFdSkA+3/TYjBAZqHlFFOVYmxGWTIVYGYV2YF0qkN1ifxULeYCNcJqKyi1Ih+57lbSY33Di2ocxWiHsX9Dku76+YoH6+GlunAY3cVTU8eGM+jfVF3Aj3uAB1OKh8MfilmRZJV4mP1K9YwXYuiLjqk8qdgSS06yj5ekCyiZvZK92tCadFcWd7zkPvLGDvLZO4v9njBVNsEEIW1rVHdOZopD2bGHwKtOX5Tph4H0ceeBhML0+vZ55bnk74HtGuau2mZqmp9+hY/hFq7gbh8I+rQdshSFkJYRFAXBIvJq6cQ6TljUJ8B4rCtW1GyNz+p0ZPSPHr3vs5/rJR+Q9aHsdGpfRsxdzJccIy1ukcbSIUG/Gz1RjksBAuWETw6J+OWQB41oBB4rIEpaPL9O0/hi86cuau6OlFGWPqcGGGZx1llZzUyFzhq7bl/afjjWnvgEXBt5Mnq/SrjqVoRBp7vinf+P/gmPFRen79npivcOA+tMwgyay5UKb64sgVu1T48HaRpff6hl7jjsEG+rOpMzMi9ExX36bY3q4rc2N69bXX45OqxjSruZm2yA7J9ITwfJEMfF41Sh8rt1aKF1hp5xcymN4b+ypmTAt7gTd++GbjWywii0wyi4+sl6H3ZBLTqfktRsNgeip+LD7WKh7QyUV2ZLm3w/JTaM3dBDdvuTlE0vMsQjFy4j+s5T+Tp68yRTyF1p4RgRYEYLrfqiaJFB1dAn8Ib894s9+yyC2z0kkd8BYaG42impaZ82gOucaOTkEWsEWHGeWT3N1sJTLkMdHyrb/v1uBwMNuXH0XBPwFCzjH0k+rAqfyBAIATTJsb5O59+woB66lk42wtrK2Twug8cVu9QmKqvbRAO0cQqhijF5wOQLVe4ulA/LZuyFy9FpBAPEbWVhIm1JRkgKTn1Mx/CQ7UPRGUVrgw0IBKANPDIH+7Sw9U0dlMOSsIThhsnWX8id8YYKRQ0HOt7BhgcMyI3EkL73PspmLKO/MnOZmUS3XC/VsH4fXX4TqkYQWaUj7ifYjYgg3bUtEunpUsHH0xNIqSaA/JoHA2XtRXdANJb/NvtYKIrUtiyhLE25PUoHN4TFrNmNKE6aqN75LKuAYve7tlWenIE6n9qIL0LfyE7GeI5nmWby4gjvzlinWnjTQcq5eLMVzyNvJaBksparh6iOqf5ScmRtqkIWdwoHUNZuIpV+0EQXyzcc93Mt8FMq5tKmZ3WI0sIayDRwlLNPxjyGqwNYquTsPhKsMFrBGK3wjWPbWHoMWyw1CMMmdSp/cKE8ul9w16CjYYoHxx/2D2db6/iyBJr5gNMsue/SbDn19DSyoDi+rf+iB0pYOMwOE0UNqzFggz1Ifkc6xpJMs1Kos/HeoM7InmLWXBfGyeIM66hHcLtrC96duSzri+SWSlatBU2oWG/VU2kS4TqMsMIV+epR+QcxaCUfBT4VbMVAXsaHU6hfaonz6DaBik/2meL0eTEWd40TiltJOpgwMfDtV5LET/UvR+iEI4BwML6LkiKe2cbGD8uKIQIUqr4yED/FWeaGogfwVb9/Y6fSPFcD8eT/Xi6FgH7nJ7blaurqMqqC2WcTCWQHS6CNQ8luzA67v7JZMxY5A9VC8JTtsm89UWWrf8P+xXElDEuFZmoJfQw8hsgzJUtZ4ZBDkrV32JjDKF7ASj2TXjp+P1XD18b4XVMWtqcFjO39tMtkX6NQ+l70LV2zdRci+lTzpZ2s3BlZ9cXitDANTwZ6cErbwUkOLTuD6g0x2WmroCfJWWNQrd6AX82upg4BpU4Ckcy21BT5878fSSHKSQ64eNLXRvJnsOeDDCU+viZ48zJeKnCj0bxOn126ImBYaPTlCF2p3fHAKsCOnlh3pzsTe0IFo8+GD3q+7L8KTAWYYbi3jED3mAUzX044227rY7ftD/q1O64psBr3xfUt5KqfVsbWW05EasihDAntni1oFcs2e2816Y3Z2ZkqpbOCmUPpvWVXzzvy1RZjsyEqQULXph6pfqRwjMVQvJtp8Dd6FD7qCqzrzoNeXBT3dSuBoEW6RRfPR/D0yRtHPvj3xBc9OqTYDvqF4W304geEjkyMUvtlrlHxv+YyTKPFE/zLMX9Ew4PetArF7HYi3lB2GsW3zZA6fe/54kgZWVwCphgrjMfj8b+ty1Qu+hqognxSWdGqdnaM74TnGn7wflQOd9uZZ3SXEDyvcR10u4K8oN/aAiOdJfp7WT4GQNdiZfcnVD40H7Xx964QcPOMpU845ACFED1JHEkgefjypJqkwAna9AAvYdZZrNNinUTbhJeT2ont+Q3Z940zKMLtWxrLg9NIOqpmzQwaTOQWRWHQZvSWJN6Jaeo/WbEsrybD9SUfRW8ICIve4ZAemy9ImHScL1bcvbNW7L7Ry0A2wO0fujQoCldGmsV90ye5WvVFA3aWQomPxfe/kR72qNCAjubbiAbIx0kLNsDABPKOJjGBgy22Fe1UL1CvqpWDwEma965kXFDLsWlBpt3e3ihbtVZiT2WjLE/bFNaeUrcmJ4Dk+dw6n62GKp07jEBiSlyfkL+0Hh3rDp2mh9ZYwZbuT9Ks8xc4lABzqcG2i8dvjeXyFC1NYS8dg+JIdfP1z95XyGeuPJO0Q/7EkcWYVlRGBF35bhqLHuXRc1hObosnvMwNkkitG+DZ8U4nKt8s3wnEzt7JrfJN9p3JlbrAHCpNJq2sT2G++XLiMegg+8RUkyqe5CY3ozSq6WukE5M5XxNYkwv/df8aTjn1Rx2RS19RSGrRWcENmaEdxZZ5rcB6JyOqY1nMCSXQ3lOOtM/gkJH7hwOlAhryStNUOvfNnkDrjymu9qNgld9FDYjZSWCbbiPd4ZSWx8OMybhpEXkyaewswRVmDDhWjQsyX+Rp1aC6QklxNL5TAnLDMMUxHp/OwAJjOkgOcarRzZ2Ew4jcskEWlSoZo0pIYsydg1T72qr3csHeYnhCLVzLTUFkoni79VcMWEQg5Lx8f6So6qXtPiKccGW2/4U6G8MTVBqyCr1tJZ4TXjUlHmRGo/maReFv1OIztWynOsiKEYEMbV+yzoPIsvpjHTdODg/O2BWiWQHD20VBoxWhWweJ2+n5iyyxt1KztFk49Ht1J5HQTMHY/DQ/ajBM02EbDFsbo7M9laCJXRoyiTigzzYkc83u88nnTKydfoMrU/Z0xqMDT8YNST/dTNgRsvPv8u6YtuTllcxmSSnQhsQ9BJC4fJda72LMDPyyeBonxqk9u9ZQB810vkukSec+h5ikbQ+cxqtEYOHtGp2Pq59nyZhPKXZrsGp05pHSi6VE10rlVANsYdn1Gipc095ltyqfAmdiiyY2KRWltpEGUOYpFn2ST/AMuuELCDC6W3u8QZmajqoNytkuBJIJ8U8sKDUYKCp9QUa7X8RxoE4EEafv08350W9LI+JhIXVmfkKTCD+UC2RBdsKOF/lepZscpHYLE3fBLt06fOYeAvvfNCbmyAdnydHahItkvBLDja+yy9etv42niSoLPiSXbd7X8k8SEF3vy6KvApxvMcUyH0TPH5QcieU3yfb6YQXqNhLVlhkuJDyX++x0XDVRE/8uZ1fEuhmFR02d8MfN2UWBdBud70KjnYsSDn4dXedeTA5iYkGGr8g3pEz3PS+QIoPw6p4cjeuXcY44I7wtj/cYwnYT7+1fLqlNMH6mXzYLKZ5PLsAEOHAyOu/hwg+bjQrbqen+8zk4RodxaENMX2pG1rM8eXqpGIRCHyEnqjU5dVd6j5Rx5QnknklfDSL7/SdBlfQImzEwWSwd4+exLiy9qIDKHFFkbwnKEuQmlU+5pxMeE4FI2G8N16xNMkvPMymR+A9+sAnAqM39wJW+yBfVSw9oJpw3rAutXK9/QBiT5YZ1Re9rm8ahRxYfLX6XAwgnTqMlAQDFnWvk++z12+6RKmmBvyspuJ3RTBlRerzprBl4+2DgwYDfxRqemsq6w6glRrR7976Ym++F9Qb9QsGqK8LwevgU9RIZd4WzUosmDJ8l3s2e2OhIB4olxsdzaEB08ZK9bYn/bBXPE9cH03SElW+fli15uRPFPY3mtWaniDqO63QnW9KI7y5/U2j+5rj5RLV2EtxwvQeaxomt4m2zRkispfu+41PpNgOmunRG17gsGz1LZDattpEYXVvBxrdNQmwsQKHcEPnP1d0af7ZzkrEzc+2JGaLY7PeKiOemk5Ko9E2qVpEZcXrTztxSMPxR+UgIHF25oVFvZ5GY3Y49qBGPZq74O5NJ6FqQn4+ipvhpKuSfQL+2W93Fc+sMHNeQIuOVSjpWuJq7M4LP1Z9aBPxFxXsVYpoKd6gRRrOm0rs4pSLRj8xab9G0yRGcmh/XB2mMChvwJJpdM0CQGc4wynDicIKWZpTLnsvntzDhS6l9lA5wIqMYS75SERelFSiyCK13suLaDYiBbbKijdjEQelDeaQOh4QjdR2QOUH1oijGl8ssYdEDvdC3DwCKjfO10v43X2HUtOYUW+7ouqnBUusyPOvwj5ZznJRh3gT7cg22cFNDeRHgg/gIMUdzhuvXgFfMGy7/SWyL9GMglj3EJvzKNSrvU6OGpWZVM3zg1UQvcaTW4YomkNl6UkPwP5MO6e3pPy5xILCKk8PjqIIEjMs8mqjhcC411pHdfpans3m630MQERHbw0EAwmZ7TvkKMv3JOuwY5GRm+LUx0vdLTdo4tEFrhoqtRNA5jj8pTQOEvC93bFC16fY/Ql1Ns+/dtDWKtEV3a2WrHRFzkPKRBODPxO5p6OSLlyrjAUlpkuevypr+LGVjmrG0gwAIWYOCk8OCXeVy+EOFGaaC55A0p1dmtXX6UMG4qs+fs/xIIVQCFxQtVwFM/CIuBjG4AnDu8O2wPmKJGDm58vPjt5/bD5PV/wF6Dm4osK1jYYF+uAcCksjZjdq5DbNB9ymbZcInUxBFXFqA4kMk583KqIDKjUVUYdKDao21yeT+CUL4zZlRJdggmhgrJGi6WMfoA0GJMAnZ1PJhOk/3LuY35SYatasW+mrjRosH6hDr+QSOna8pNKGkFhy2YwpPps5UJNi31dqCuNJIldN4gA6b3oJnWYv8K6h2vFreKBk5Veocx+BJAKx94o4Uilv7wxUbOq9sA3rnwvs3V2lQCRdTzZ/7P6/xr5qgvfkPaxf30XeFF3BaTMUhIQtJgB6PdvJ5TT4A1U1X0hGXBeChbIJ19fRQ2O05PscSBGSQLpslsG5XupW629V2OWaCv6mW8JWl/Md3S0W5Rk+0a842IsP1OO/hDaPFCb0HGnCM9EzK5vytvT2STDEf1o88r9STldAOa+emF12piIttN90vZjPJGNBru1gjT139RyDVXPXzxUcM1WIT+2Czb4lmluy50cpRiyze0/D89yvdqKokysO6sITsvOrkDrY1QegaGMVc2JWKTw618cuMZbIEG6CYPXiD4ZuRMoZXJ9TydUxP/KbiFwIaazM1sKQQLXViGQ+pUuI1n3LTcxru9LUYQnac0/SY8imIuQ+By1xggIaxTZAL8H2xn01RrpW+cAqAdopknAYiMkC7UJNlMO7C0OGZC85kJ2aqsEo4Klmww3dhNte4eZgLUDnS5zHPAb3xxkiLreCbP3bgaUwUZvXCPHsc28xnNoKjKS9JUIFPTy1BEe/ZAxqPDfvcfVPKMPWb5aML/nJRWRa2vvYmgOT+JXw7Z/tLmJ6+fEsDKiuCJU9pVlUP+35sJHaVc8AT3IOluVyqM57i20Vw7JwlR2hYAVgdT04ae9ofOwnt+1yOdBfKZwpqovlUFb8TPoR7mi3hUCOYX/jj0k6AqzoUsBXjgsSxjy5Pq3ifo5EJy2pr4m7pKQ84XTP8t7vuaVTTndnQDiFB1OsC+2gTs7cZvTp7yMmbDjbc7snsVPxXyLnYf/aw+E3tH1zBWBbIj2scx6iSq4d0IiBFdqbilYqm4McGVhdpfHThmd26+A+69YfDyqneZC6DwN2B08CvIPokfPsWzAcZOgdLx8MmFKTE6ywvVifcG6d6UMCuQ/ek7LoMMarJO+4ai192/zsduJdWLbf9I8q9UfhfU66bHdAv/cY29LV1pCKiS7K67mw7ZuOWj+YcF2bD54YKc6Ha8iyJVdBLGqUexFJBZ3VBJfhNzWK0uze6bY3fXgjEVyOvTaYjnAD0/MPC050JmTS2ULK5Jyi1Nq1jmm1Tsdj42AiOB73cKb2v0+KzVcjMqUa1jWjvoRWZzA+DHKwqj2xcJeMWlPmPFrj/Y+5vAG9V7WvLT17TGfjRpzghnBhqotb28W85y4yje7UyxF+TT9Mj6kbQd0MNWv8dLFfxcM/BPuczGQCGwtDmpf2ga0xz5BtkWWM+ORPaFV2Iz8eCZeKsB6+gtdv9D4PPaxJSvN0CAqVa16CCHPYNz6QIYMfz3/057K+X+ibHdtLi+g+hglvjsF08aHDBV1315JrwGdSVMwrbObENROyLh0lO/Ach4g7lZOZSdacuwxEbdCJGLvbubX6UK7sCrF2ICSWM1A2aSLrJzeKCM922ykCyZ56bS0KfkiD5I2yDnrxi6bMoANBjlmrna+parU5aGcAUfTmzx4GEQRirkmYQXGzb89U2skN42wq3zYdtFAfcuVEWL2NqddwR/mb7ITpzCKO/vpsgQvX60dWcBoQeyA1863dXMXb13lsjqVLA+ZXCKIyoxH0X/AgNLGITadyG4kZORU2tX8RxvAYE0WtQKrOdkJPovFL4FhSHm0D7qAxnNpapnRYcssveJq7PmmjFEIvcgZyW/Klbd3owV0JShjZ7ss71HadT1QuhQqcKd+vIioNdOZ8sLlBkrU845vvWpaE9noye01WER0OjIXaAJMQUtire4mv6joxrHhL1oKrkPUD9UnqlsQ/cLz7fNTRbAEMEsLCp5I3niSYo8my7lSnG6BFlsMFVD+TbtEbH1LXT3APkQFF/n9r4XXDySR0yI5l/t4p64sw6xqCseVYxPWhSbwNIQwpELcU1g+pMx5C/tuFb/GHwkeAteWJIZceFfD4fShrNUZmHdXuoBM0zUaNxrviQkANXbY3E5ottW+5zUUUCSGUws6OfNSkmduTPtHmpR56lmGX0a3nGx/JO2baHeyTkvbYQSiGWH1nDCj5KQPk+DSyy4dwmkVlzokR9Nlv9zXx2GIvEFXNsZrVdSpUBXpz/a8Lpi8vXG4IwWBFXL8z0qdJxsipRjV3+7reMZKmyUHRDKpU+Y8HA5/QYXEL0KTmjP9kU0i8vJ0g6no91m3vB2cfghtdDM1Telno1vT1pujUX3fx5h7jOieakN7AM4xjARwhekqXUYfGButDXq5ZviuisIG/vw5qZrZ20sEXa11uER8DtuMy4lSDfMQapv70MCLQVoVNpsFkhGZsn7WQzM15lxr5hMigjpSGehhc+PtaOCGmPAwbrQR+deZtbmRl/Xfy/LT7IFKkVvrcK4HqljXO+SzbxlPWJFVjbm/DzCiliJPozJQlg87XK3K0s+zcNacETMjA5L100uDU4S9YG0FQ3QGvXSsIEuaa92fJXksAIXIjqclqjXWjSPUvJOsPDauwUA+IxU1hsj/cT8/Se9tkEeeeIcOStiSXkIqRA+H8Gm1eu59h+UxtgpNptgELfdzt7hxBCpxtPm4iH9Dqm9E4HRsLGQhJZg/Os3KZ4kl0MdziOQBQE54+i7Tx5Ay/vnfgBfjukhwwG+fzAklwmfu5YR6iJHTFo9rixe3MpmjH0SNHxOfYqfdfJ+mZPist+4YU/c152DvvMCR/cv2U3KVi8WYlyT//6CGlgKJ+XGJywZRg6tBkEXiy1ko2PqQXvQQwfpDoI/iK501eDNlnQQikowtA+5jVMy7hP9TI0NZciNWyAVUTLpAFEUNj15vS5ZsW2oSgnOAOlg6gvdIXNAhB/wFqXJvdw5DcmQmmUJneEji8jp0UmWQV9XBAfret5hCzmQlVLhi2XUnHpbJf8qJE1Sn+k3jJt0IMJwqWdbJwrE8EvWNACSyseywZLMC8gfTnWAS/r7gtUfvMEnLcBDTY9992ZM4jx1YETdjc8HzB+nbKhr6iUxjxiP2fHwfgVdN4VvpnJnA8LMuzI59RSIf2EdF1k7xugN4p+oK4UTXRu3jc+cnciPUlLAXo944CPvi9uD19EEDiu/dsDFemPOQ/k8aA9quDe7xabn4ksn32fp3wCpqtfjdHMjnb+O/9W8QTiexxCXRdKM2xUZ9W+HCwLnqYQ+s3kGHOg68Y8oFqt3fEp+M4GlmKhatZsK9xfDGmG+z0SSq/3wT5uJM+akaAHDGP/jkwCZEcFPzN1vamyl8jx2i5bDus12FH4h0OVz1soJk9RD3zTMufyIqZbItt8LlH++2cB36Ll8U32vSvbPkazHJtNsvpLX0ltGNJnidaEPxjMtu0FgQLjITyHeO/ljhzBeJjH5uWJQWr2+s6d+lDidyiRcw0NssQW66hQBiGag0sU+JrEaShzm1JaBmagVuIoqnuVtLIhDAbb/ZyNBmV1T9CJ1X3yBcsr2pGR8IWv41pIM8L0JJcowxLxLYOHg3SI1KwX/aHr7P+oz0LE72hmkOkVqxYwu7L6kk8Tq8VRCs0UMw3zUlHfwj6DQJ/vR3dEW0ltxQZbpmtduZ64uk5nC+9pjISAWxnkILavF91bIobqM7aZY8GmVVnhXFyg0ib+g1JXqkPdrM+fPFmVdnBvgF59zXIRKWw1oNRWjceGUfj/LHTqsTi0dD3BsPTzBoNSSs8lqVdNC+mykGaXlFovClyJ43NEhgY4y4UuvOD4Ujat/Tnwj9csy3928VmY3TwcPWt5OgyjBV/Nnyidxmf/Tu4k4RBYnBp++i9aWycT1Fc/5ftx8J46i4rO8eailPVgX0yPtmaL5WdK1K3DBVlyuxjKz/usEG79jo9qd8hjYK+h3rRI+vjz1t2YlLYkQtHMLVuIh9JRL6vrEhTnWGY0jVrrea6ljRaADF5At/xMl+C22bDqRw1V4xLJNsafubt8Mmm4ADwKRVkJGE1QvRXKSohnHXOvpTPNDeweRQBCSPn1FAA1A2aIR1I82s5pY3CXDKPJoU6/x8zcYW99N6BmNGRW8ZpzhPB2jhhAVEfcYu0HUNixQX68JZuMSl9qoVacD4xWp3f4iIa4B/V2wugxSfBWmUs2G/67Uhxemaoa2CyBe5HVu6IzcaK9PmsPY23YcabbK1ywODGXgvKcgjSVHEeaT1Q+NU23gsilwPAihkOw39emHb2W48EyXDaO5shsvRzKXeb1x8fPSSSlE0rYIyGCeuaq8KDkQ+/ODE158tfWLhV/F0EpPaNa6t2yjtsFJ1QQlYE2DrMWY3XiFCQ8Sv1NA/RZ14LwNTPh/8ryUlyZV5SjSsD+FWyR6kT5uI44GAtae6avG8laU/sLX0XJGrXAwCNGnXX38cAiChch2CE/9ZOkeFCavZs9c+1Xe89cWfyTvo839Mp8P+hLGFsNqtprE9dZaY81DdbJRizKgfgMbdBS6fgBr1TwiOWix+A+s7ghBOhsSF9Mm+j5W2NCNGR/avuPqP9yLoHdrbmZNBBk7jJseIrSqS5BdQ0qI+AW5lgw9opQn9qs4+F4yNfI8tzhk/Dt5DEZC9xAMDdwRdDSouPpDWojRCnopOd+yjLJVp0m2laoyPwG8j/sW+DM6Yn9a0NW+V3jVHFl0pU0Uh/Ud3B78bYmOqODoOJD5v7V0x/Lk3S/AvXzxAuNx2DH9I5P5tA8p+2eyKXMPoELKNHvAe7wNlFdVEDW1SmsDEnMYEXFTramvTPP4pZnr8vpo+VxuD6pmoieco0tsdfoB3Sh3Ifij4U/94IcMMl4QGhK2tTC0n4M0Kkcpa5j217EjQ3yB+0LCWbWU0nc1RQFXkxpOfNS/Li9cMTHhGKU/9+RmxppushbjKQWaw2s1UNJsl4P/4Pq2mWBWt7uy/Jv8jmgn5W3Mm/G/B+9K51rzAEjx7dHX6yWMQvA0VUXKdWxObPuMs5p44qWTpw20+6Kqql5OYzWp5GlxBbVmt/IXm4Ksc0/joYhBDD1yzLYaOYf2bNkC35oMNvDl0BxisB38NoT93XlAFQcfxyMVrVuGJlDhwm3RIN4PIia3I+ErhhRWdaGNiwCYooSrcdt+pJAUdd5U0d0w+W1qYrv5RfjqE/Al05xWfRNJNoptZRq8AhwNJRLA/DYnFjDK0ykvm9syxUchNXT2p/eOUxxaCODhr3Nuu1jWhUcXeutJVY5/hurS4RlDCXGm08XcnADrEAXXgLVnZy/ZNTXluLxRLHBDVkof+iBReHQgy9iOudTOLPRvtyfsyKFDDTTgSFAI+ZzkXz3cgj2/vwdKXQeADKZqw27z3E+mUK6JDQ1uJ4ZW+ba3uK0up4+Ig9zhrog2+dhUwXmSpceEgcZBgj0Ju0tF2VTHxc/wdr8RTf6/m28NVGQBwJQmZ5K6COA13aFg3wnFpePbr1UZ3lUHllNp4aBsM7JZ0EgSZPMRPNgY4As0tduu5IPSXkR3c/U1eWauXeqHPKeY2+bxYzT0UURs/zCLNM9vnJCXV6h/n8Ry/eWpa/NplCj6aEceTlmMqyCgM0bc9A/oODdc66qGprapBR85xXyTbJMJdbuSKH7T+E4gYsZ1kn+skbDiqZKMVONm3E4aav10/fwA+g6M4+J/bjNVJfcddG+2VP3gADfE33gaTCwqVufrvC6DcHTTcNhiqbkUqNMSok7kWlBK3lxwjliKcXZzFmmTtQl9HEVVnDswwdnGW/Luj2jLwg4/s3619nMhB5D6aW4xLqFK9GsP0+625ihKD13FVUEvd2FU4GTTV8xNMIeno8Oe15gIPGVhijtDgKwqZ9vcWg9Vr7tIExU9WNOKgEDnOASp+2HgswKr6mezNxfB0iWru6XIbLGDYAHg9MarlFLOy7R58ibTbE/KQr1UA6tYUSdj6JTrlz86ZHP8MeQUlNIMxNhuLO8kCfYoYfMB6XO74CD4HFBFOdh+f4wRbKNfiJZYf8SR0ZFXqAPj+U9RDH2Ki/IXmq8kNiH1jzFRS3ZWlYzd9HJ0Wnzm1dFqrJd3uiN/kHJqC+vZ0bb3GL78ovvawm3ZcSxaKZl75sIRaywoSTziNM3MW2DWGrGuCfaIGL4Ekdk7LMk0NWNlUl2reJ56yNsKcOMFAfPSCxtzrt8HTXQD9E0MI3rffduVmLmVOYg5hGnLhUAAfIcKKpG4ktZqog7GIYSIjtrzgEkcYQKONcHrmBYyhJ3jRW7Cw9VgoIqOAKh0N+O7PrNpsfnS6ZwohcDuGpur99oPOH4XL03GwezcLJPyb3MePNa1i2NXyNd9BtiNXu8j1xiTTzDa8uY+XGLcvcXOgTWYpV4Lg6WydD+2WuChAYkQfYom+JLRCyRxyhQCGwoe4JcZNdGeA9BVGnI+Eh+7aRIRjtz+gpP9JV9NMXcMfHe958E7dcJs6AlfBCdxOvnrOasr7MQtSww7V6aCTZmIScbDTIc2aiymChVti1X8xuhQgXZqA42WV2qlLenvph3Rhdg8us+aLh975uwgekNfDcEuJ6V5Vvu0GNpExb9g2qOQ21x80gYrJyyLlfJ4899jRh/epTd9B/hZcnOM4BjnQ7Nq7nZkMAOf2pLHpgH0YFLteRP3quZ6DyM+v7BB8N3Z9PC35NTu7qyL6HmDdItIi6pnmQmglRbGODDZwPYyclLLsVB615HIeyTtkiEKBJHKswaeqDZ7zYlqycl9oU0hP/BrNyvxUFVen+o1SDn+P81I3ipp6lmcWOk6P2pgumy2afQ2VouMX9QBYnrV8BmJrO+qa6Fez83Mlk2TGz32KoID2ti91Df0oCg4OzzxXPGxx0kyXFXzDrliF9hS3SHghWOaykeksHcAZG/MsgZeDZi+zIqFMTyOSeR9dGKTXqkkKQjRHb7FBRSN5WPk3cVhpK52SN6i8Fk8dtl2SfKc6rNHrybbTSKCofPENjTsCYCPL90d4M2K7yf0Yf/pw9ZSVtgtpAt8Dnq2/NqZcsNm0fIIU+479gjMrVHSDhRLXzm6JPBjgH88iZIw0q7m9RXCXioz+9wB/qKS3KQHYy/mbLRTOAyi4SeUUKWKXpz9WG+3Xt0gWmJ089++dID/M94vLgdsw8zQqbBhu3JP/mx+MtEdXvHKgOGlGPvyTJekQ3OfwWtDDLX3hpvESG6vqBm45EC/Xd4UnjohLXmcKEqQqixBfCaS82frlTlinVG6XvS3Q3005KjfS3/YgwCWg/MpS3u8AKMM9XDsT1gHcIzUTM0OKPguKjLxzj8aGo4bRrN57ycCwClhJKRucGnHRwTTgGD04TvAhFrQ72c0tCY+nu7rMdCsxiFR3ZQjObq3l9AFDMmiNW0phCx5wgzj+usWzVjC7ceoD4CiZdGlIC0c8MSRJwcUhZTdWl+0XuYfkjqf5UVRRLWTsiSbhcxaLqr2qczqvc4Qy8+lMpEkLLr3NsG9Y9hUR4IHxFnqK4s9whnSPMbf0QpL5j6msY7hUEI+0nlKh3vOEkWzTX2v+MHB+z+dTAZ0m6P9fWBIgcWI6ldjhMgit36ENr90nCMKmfvS7n4W+5erhmfpZLW/ESIRVjZuciOTqB1qcSLddurVSYkqTUTkUTiQ/4+7bLBOuidD+z2P0MlT2Rs+VpjZz5D+fbzF93Xlh2T+FD2PosP3aMz61NbX7xcN2EJk92GFhPLOVEWYsY7O0DoUSGtMkiTxdMuUN+MRlwgiM35sZrUWAEh28aKhMlh7pNl3PSGNFdUFTkqXWbYRyH35yEUkapgxEF19nF3G98CXYqVQFS3S0NMQBDruvHEfrUP3TB0RL3B/ZO8qUz5Mg1nmAPBMqoFelIifaL7ZRL6W1f1o6aHhoyBiOQpuOZhbIXGYw/jpPL1Eqk/Xb+6xFsA8Pbgw0q0F2hAgKCbAMMDsZWl9a2rxvJ2N5WPbObjh65YOzglt70+fWMRki5Cbs4O2yc2ZR3mnYqm7FECfH5OP71wfwCCSf5FbWXEYQcxHaU8ttL589UKFXz+5eDGP6dUr+17z7BwMCZ5GBEYH1YAQq5FAIYrEeR4PBKoMNTEyReiK5Sbal6MfIrYOZFUg23LrmTgmE+ERZTnr4DuKQ/1vtnBkDA+X1CTvqxWzj6ZTd145B+X5PqdUbdd7MNAeKlnc0hTW9I1If7b19ODuFZds0uTLfDotkpQdnZiEnYWFJXCmQfqi5f/IZ864Fu+n3p+Sxii/MZZptynsVzRdPUzmy2IdqzKYssLD5CMWhkDrUvRQ2gwqDt1cmrazSMyJ+/9GOZ/ycMb6dlDj6YhA+kl8/lw9ba998Hpd6wSVjxG2He1DPyPInkSTpJD/EoS2raGGbTPZFZ5RSswZgvX6Vn9vb1jO4+3WqeETuoEb7t5aZtbgXScac+94G5y4WxGOySaegcwPOjtpCJoJCoe9ZilPgFn+eoh11rwqYOuiAqAYuDGXj0oXVuWCFWZm0rTBO6dcxZurCzlm0wrBA2jbfA1/4bNN2D5/AgoKQ03vU1fS65ovhyrtsfcL8Tjku6/kZCxMqki+0yDR6QB55N5ykjfQtpI4aMnq/KGcqjltKujsxG4i1m4tlTFUfnAs5JEJel4QpwCwn6sNXIltx6t4SpI3EojSx0tAFNH5do+rkBa5cFy1fLbj0NfapxgBnQdxHBA70LKSOphGCKimz/kNKXus2jsBvaINXFdfYAYXpkngvXB2p9P8mUwRtZlv2uTr3uIJXsH1+R3Dd44Si2UcKQozFSYHpYua6QPwCQrNdkm8wblwwAVYT36yWDGucajl98iYdLS71JWGqrtx3q5yzrXECw4vjmqKqtg1/Pl4OeLdvSL1c5Y6l9JWPQBaWm+QTHEmer0nng5aYw98Zd8D7/tN59SL2rk0yG9wmO59s4ITe5gMR5tc8rvgrN8JK1l+00F5bW/6D5ee/AXAR2pkhz0wuQDJJFFPUA9qw4hhQ10KP7Q4xIw6W4Xl0chsL1o1SqJCi1AjqM03hwmcv1TpFIPnE85lcpIhhJLq16WFRtMxUzdi0mzkxSlhpeuyU21a4F8Uy7kKDBWDqF+Joei7d76OLJwbXjq5ze6QLvtPbwtfY29eFdi7/XwW1pbYsC6TJ/IfUonxdVDWaEb6s8OGQ4IuohLb+YtBnIoszzuEq+ZfkbIeQxJb+DbesZHZvQCuFoR+97MPLpzBQR18uTtQowNcG6LDOf4l/9OmPSV854nZZ9CKNp0c+b2yvhrJ6lEoVonBgV5+625m7DTt1Q9cFRgSzkndwGVpfdZInb9C5Fv//O1a8ZnYyDmJouGHjM7ApdQYKp+5M2dedQ7afQXoOBqJJzxLdcnnUsgW2U90UaN6uTQi7YXPJZB57E8cwLUKOpjtvuy0QzTVzeWgzoU14z0BjeD04F3UKRk3+MPflleLw4ISXHGYUuK+KUSSasp1fbkxokUGGbKmg1durRydcoISRVfRzUeYHbEQpBe7Ry7jjczfmwa+rfdtHZ4YwkxAZbRj8QWpEyoMSFyVrJ7VvrSdLAH379f+i4FMIbDr4EQefV6eEfQSeYCSIB0N97hVbnI/6rJ2ixBNO+Oo1BerdN8h0XSE/n7EgIC6c5XIUGp52zI0ogz3fuvVyFbCMsxTSDkOLL3oJM6cMSdzSQY/CBtpQkNFzQf4nzjO7JgwVr8XeiAIg52snez8AxVRDqDYWSqOqBMtAwpWGBTbWo4M0/Hw7pXFjNzAFTupr+6j9oFScLCOjxJER4Hn4gLFtxp/QKZazZ+kHY8zWCcFVkyMIOB0TVHJhVlNzTAJjJWUMmw+KTRqJCd+W3c9Bt86u44Y9se8gZrAh6Ju8uYf1ECpAWlES33SHHSIr0zlQTMt7yOgEax7QUkWoANJb1+bEHg/fJJFy0v2YBJqRrJ+rQSrrSM808/t1WyQ6IUij9/t/2nGgOuMrUrVsY3DaMIu1t8rSOpHo+XUV8NIc4tB1dUcoI+/RUW9O/GLRVYMUDo6MEN7pmdUe0n9Mg4EYCswI5ls7tmiz0YM+OgFfioa3TNVbFkayk8NRlgXDGRkH6qXwFR+RcSEMo7sXCpJMbJLkIkm/ehXOftfyBS3lnYRLYWJmrlF8QOriN9QwksMuOI4UhtARi1q8PKB6pwJ0ys4kHuTvGgaeKBsW08Pew/5g0i6OdLhKq1ajqkLZdRugRn5B/wtdueZi/4lQGHMXtN+OIlh5CD3Fujdr1IICMF12NHSQTztcJnS7cU4HV5B4TOvfKyfnQwDuxe41mD4vvyGYvUr378436Xe0BMkN0sPi9lDQyc6hPZT7sR0+6gql0Nj3qNIic0+YhMoW8fL3u6YgqsUsUFTfKS1wnWQIXj0VkyTsf9CvtcwlUdqdXVYpbUWG6yypjLlBib4cBB6avlw63RH/hEMUKQ51pqAQLrPhrNvBaTkjvKqHxD1MpD6iOrPoat2SenlhwQ0w5X0osgs2C3fvnDwFKVNiTfIsA/FVeGS2+g/akQotIwpARDyrtdy0VEhvjtQlsKVbG4KVGjbxyaVAxnWqnbU2JuOhGjU4jzSUaC9ZZ9IUVEFOSz7ASYHHt88I9BZN4D2x44DO70Lgk2fZqHHAvybSWvcmKHgMWbIZGt5EOizG6GJTIYypL7qs4YCSEkuqZUQiEcwf+Twv9Zdkxs3LRUUdzJSeg5hPQ6agzshwOHK5iAMg+kRe/0BdWuUTpm9ZfZBAyVccMRXGcVPv4OlWT5r6tLhny7ncYFauOFBliWi78MiIoUwVMpci2lgQcxr9kYfa6eROvkwXk9D0VFikWZhJI8q2J5ZYZAcfen+8nSjIaWhxeOLImfj7RKQx9k0Wjwx/Qu+Mn64Y2YYTkQSnmUjJkaFchIhiOAxCvkr/HEr5ft8uTYb4q/gJdYu0PLIpkAEVW/nCJt1hq6GdT4VG3pjelk2sTfa1aa91UwgwBzLOaWVLY8GxOelUSaKjBsPZJCPZ9taa0qgD+DKv2s8cJtvHEuZmO5AZlTf4gpKNx6potVCunesj4HMj4HIjyy55JcGPV6j27qpa9jBtuArjxbnzFVqN+TfBHW6jDc7WlwIsYc1FDFC2uv3zmwY/H5sDXTHxCD2WLRhzCGTROgbZP+FYiMf7J8HR3fdOjlwZcIUOclGBECaBgIBcdTbz9+cywcx5huVpdyOsBcmThnd4Kk6BhI83PgRhwlAxO+D3n6fsxQ9NnMsUy59sHOKZz2+ugIDwCw/4gD1fh3WjMolpK/aFEiffoUpGmIP4yI95SNa28nI5A+N8Qf0EKS+ygdW/Ixip8b81AfhRiaEyQFujs30yzrjr3V08ryWhhvUbzytAT4JddiSaAfVsAIiwAuyaigHW6RMKMD9eVldrYQzmg5Q7x3ji4hBmQict2uo8g3SjX9akEaaid1umNHqpHVF0CgJnne5d/k4LgAxSIRGm22vHEIrN1Gr/g3O2GZAgZCarGSTcWl95q6ElpjloLHDEVleQZbFRkKB3ra6AqwpkyxGVu4y/JTuFUBFyCvJ882tuITwXg1/UFY3hQuaZJOhxDFAYfKrga0lb+C26QVvsz1T/OjDqyGR59aMhweLWLO5SINh8hX3zmH26QIpdncpaesrRWh4qOAiEqjihkEM6aNNLL5bUkcQJG/78G17D3mlKRN/WjgRH8mE5+EkxKMDWn5QpYrPjxlvE5GiodILK85S/QWUA0ovjyOLtQaZ5gzg0teYbs1eISbdIptmMk2/KKt6/dn01R1lp3nkq63DszkeFpIRvwE6fRcoGXLVEGfM8t2GLW28rMe30EqM785znuQsawtVNaCImpfKLdwfWtRZU/Ggz+ruZBamgbjOI8lwu6qYhxtCHXHBtmJ0iZWftSic6n+VSp1ohbW3bsdT6e8mfnp/kYmt2b7Dmv/MuXjxpRHAAIO/PJoUFB8jRAaX4UwCOJ2BAx+7fBlyXyGE+cI61qXImjNc7wOuuiSbyBB30WFyTxe21fi1VZhLn7N1en59ED5EbsOBJ+TWL9IFJXQRF4j+7oFQVQB9TusIGFXlx/qvS72K3wO569hm66u99KmeBl1toKn6M7Kt0ibI3v69qJcDFC/VZ3ldiKvCBvRPuyO2FJS4BCSR0jJBM0inu1HZk0SzR9NPGuPheR3YByvlrP8wQ+86uiY8OJFIAyO4zKEu3vpvOwND7hPUyveL0CfZuC5LIicdTV6NqcRk0qdYL0ngfYRMUXpKGeAzA2LoAWU4pLZnkGP0T0jzNEdRuc8bzuTgNIwRjfWf9bxggi6hDtCWmuJrMogUlGpyE1aYmLg5oEER/J/8AcuQb2K/Szge33+miysfsiAgCI+gzCQT7cuspW9IRlz3IzGQHFKz+skfvDZlYOOAMPxcP9+sa1YoBW7w/8jCQTA2x5n556230bImeadaAz6bgE3Pc8cvXP1PA9SRzgrDwYL80vF5yGucNH/XLLVGo521jG1C9zY8hDUI6s9B41itCWPEUdjfLdVm7E7Mp+VzOyIeL7EoviXhQWgI9qZZEl5fYdBcLSA06Naurtj+v0LGw40NlZ0ICNf3JAhLHIgk8DoYK34GH9wokeQEdXd1wNyxee9c/DSReP19w8BPCUS2Jmo72hleBonHblrqi3aHeME3+m2s3t+voQf/xwXEO+r2P6JH1wmpQV5ls8Hu6L1sJYazybrDZ9v0bDr5Wq/ZBv5/V0EXXrg3rryiyxhdSsKN+eLJSYiWDkRW0LO1aKDmQU8m/AnUOp5suFlFi4EAX5PZfbqLQQsLI/WX3X6bFiY0qYIpmlFQnTMmRof71i6vqKraskVEiLUU4Ue+sAt3oodKQ5c5VKJvh2Bc26OL3iPbixZ2V4V7W//yrYhLaumJwydiMEu2KfVSVR4k2bYQRgbSKJJ+quausCM+zLj1gzh2WYCmtsvSqY7Z13vrjCVdiYotP5Xwr2KqN/kh7aT1ohB/XMyrU971X1nbLERhHm1MfLh6EcizgOs5ClNVokIBQRNriRPcchtk4ZD571nYf85BoDTU2naZQTIjsu/KHyW9bZJj8qJ+JGapEQOhfu5VRi8becPG96YGjoEGiQtW6DkRq55iEAFJPVPHCLVxqvAqrFYxZEv7D7M+/9KsAhlGg8zGtT2c3wtjnbQfhfNmKSq7PHeePT4Cf2QyAE/qiy4ep4vIgXzqQ1WHaeB6FRlgxqFZiY3WDA//vSOQ/+AK+klX+l4Zf4GIKopZDnsNy6319QruhoomrvrZieHL1PYCllpB4vhI1krh4r4xiD6spHmHWTdXWlUSBhdweeN+3Y7B6SXJVtyp6irXZn3vRudhbJfPXrMC/1QSynwukJ2Zng8R5BEmRJQqhmCIzqz38qn22XvoX/zY8WbMzBNl/lweRfABJSgkuWsdXcx0UakdaB8CVdootEmXexy/iVJkeLNIWkV/ULl+M5Hjw9T/7i2j76lid1kIY3v988CT/y3l0WnpWi17yP4qDNAx2PA21lXiN76uAt4KcnZu0O05lmdgg/jI9fFkBz3Eg5e6WUjEQdWJybJTTIdcCkIFvTF8VvD25RPSNxldf3LVvznd0PwcFLjK+Og+dFbNupgp8A86H6Ht17eaZB/SYUM44OE4L9Jz22D28sjVZ64N7R2hQm977SEuDZ0Z9e84RTIOqLSsJltIB7RYgbddxVpDW4XCdNyaDILa+Kq8R3Y6B/ewVnWgaOTAHuumMbPtu2maPK/I+rDhOwvT91bvtoqwBGSvj3lt+lNeE6GX5iwURXsO5KaGzK3e4daMZzmWj3Nu/zPAPEYhj7Cprg+QFw7dWs53l7ETyQHJVT2d4EFkns4XjJT3qKLO85s2WZlrmbkafAMkHka8hylo1Sf+jYHVV6rcBTG51zCKaJSKzdOK9Q/rG3IReKaqYSD8AH8wih/1h4epqnEdl4MRs+YDa2M7Rx/fP9CFh1kkwsG5+rme6sOcMD5zmxrbDurDsbCSkJEBAMJgrmP71XgRuL1n/Bi2p1O7PDhQxZXdQrYZiz/5IOTCAJbZvIlJ/2sjeYwRbO/50aenmWhs6ejCVnMUt4ED1dEicNdmzCOldln804hG0VAh8o5uQrtdWQJ64MWkPTGfLcZ78OzCrs3ItawAajb5Za8nSubR6zNOTRSjpBLNf/gPjEj4VR7W/s0+m5qjujsU91sIS49GD1D50gXZT7YsypgqcAweeUYFWd1XXunzTdXysJNVmPGdYKbeW5aLpnsNBEWMYteMu5KMmeEo13kFlnpSl6JcqW1XdoZalhyWjgq/HZMeDwQ7a7lIQDbe1qDZP/LJNFeIgUfParaWPYlza1+IywMeeHWv7tdzc3Exfk2w6wXI9T5L4TKkljz8sY2ZND/YWf1mjQG9dL7CcBT78lUsrz6F4w1WVZSDuyMioUBfsdfibovGWjbUrT7ffkeG0HrhL2u/CMUdu+3yGWg3F8tReHxkG6Tp+N0eyJZW80sYC5vRaKuf0hrJq1/B9x8oqlK8sLJl0UD0flDZRy6KW6A7eZAwLNKzP0KJqZSmQFxetR8igRwLK8We6qVRBMCIDcBGFqzTvHBbCGeZK5gKgZYaoDpuzNdumwcjnko5ZguxauH21UoF59VN2tZrKgM8VTfwCdo54j9LW1ad4PpFq4ai1kleCa+9W6am2DtdVZdMZ+bKWT/8dGlggHXmAYLBLgNswUB5HwWBfPQ4BBsSsUmtkqjcsNg7K/ojckt2BjlVs5T/GA5NXAPNR0SVGGt2uLpllaifLW9QfkQZE77czEYFUiQnyBXdC6AgndOBZ/z5J768XxMidYgjUqyYFzrwaRu6l8i9hvKQGjsqgSkeptaRmyeIOEF45SQjYynjeFFsgg7edronRd7/L2gjqiHfXFB8FmNFCVKTQfwqxxRkXW70bSfafovMUcUBEHstqEGJLI9tbvsQiIWj9PXyombJ9a0Gplc9DOA4SoLtXiU4gki8VrE7vj7fnMKSOgUaqaCf0EPQr5MrveaNuQjF+3CjXQsi8vsU2KVQSEakj0xXawyG3d/xPTljQfyt2aaCX+vJOR9odBihlfOWJAQ3uKEzrj7ElpkwaZboUSYbc+eYRY8xWeFsgmtVe6C5hH4U1kFpAaKfFGR034QJbSD0j2uZJ/QlHHt7UpjMszwbYZExuznX5eebY0GFj1p+v90b4Vl2OsH1IELdlAz5DPVF7bnTm4NHCFGzuasJALgAgvSBEYcSZzPm/hJvwd0V9chlERAfh1mxz1BX/jl8btCyOOqbrDRzVQnReYt9bb60TvExEmp6rXrnpcwC8KnKZK4hTrI+dFx+N2rbN4i05cpCZXbRE0gDegtFhbv4JUd6HCWKqDv4XfWf8XTh/+J/GH1ftLrjlnDqBLReKpZGX29VvVgvfL296OwknsRsdt+RR7MhxvKXqMmLux+GOJXuGCxLywd3aUvt5q6NYu3g7OWE9cRFIzY9hR960BaaWpp+ptkuljKJOZsum6A532ldD6f+gAoSiAbHy0nmEabGPf34d7jXHf5Z5YgHkoc44aW7F3xM3JAmCnNaupGBGwt/g+eP4fdxU0d25e4TFdTWpR0RhAWY+eo43V+6FqckAprpzhVhApEDECC6r2PrBsDrPmFS5Oz4FT5cGrlbokUAOeFuU9X2hVs2JInOez8Az+iTGGsoZ5h8N586tVqJWuLqMi4VoZzJUU9572B1zGuH7WsCwW5/JuxG/n68ooj4zHAwZR70vuKeYeMzTTLGIn/CUoCW0ZiUk0mVkLb/ClcCfSPK45KdYyQe0DqWyRXU/T+rBx7NysnxTIQ7cV7Cth/a7tX0s92wM+wNx2HYVTLlKwsd6lPVXHppeN3NA7bQLQd7YqJ+AVOE/f/sSI0WfDve8eQSNs9vdG5CLQPUo8j3yifE7LtmHMglwQT/iRmSmiCpuG2tTBEYsLlR4ZzQCf1cMCJxM5m5HwG3BF42dxzHtyuNRfcxClGAwwERDSr++sOev7K1NOHsAD+5of7utCxgYnb2zBlLjKAXluk9UA+Xc08lnMt+HBnHw6iExly1JWn4as2Izo91kEQ0Jnmn3foJY8JGrYbwMYulmhpuruTdKDRj27Y8HO8mH+4tvWqHqop3k8GT0+CUi93bkVw02F+8LbW0IOjRsRnPBPsLn5OlbVdCU7WtZIDdXGkNw9YRE7/9KVhg40ac4VarBMuxBuFRwOAGNY4bHDZVhXZ3iO7qOfMnO1Tg/xhEj+QRY9FIA6X2zrZd7at1twv2Ur0QeVyZSEwc53MmaEyp7T14DOK+93gWnSqsUrRS7zuSXRS4tlFry6GCIvChoMOMYDYVkoRJ8EYbNV6ltNrFaXsXW92zRRZ1/Bv9Lxl+A51Vwz5QYINfk5djtUqet+fm6ZzMM2FkHQfaiFxIGoPh2QQJAGag4ij1B4AohhfEDd1xGWmvq/yN39bo80L8Y23mY2uwM22NtuM95ajBC8Wt/ZD7MdJfsvxab1McI9WYaU5BgQ8DVZxZf/zUtfyMIoeu03NS3P9iUlfeZNTaUZdboyOFRLTZ1KjJN0V/fi2FuW0WkQReSRtahpoMEr7YxwQDf0uE4rASjd9ZTJqFC4u7iX8Sjsv4X6DLYadqTMT+crv4Sivd3tszZlKs7FMo96KHXjO+Qxn+Bglw8am2fZvkuAkrXRA1oFJOr7gEbfQtaX35inLSx9hsmBnk0FMCUEBSQlNY5QOYEsgxYiFevDOMiAMWehFweGdi4w6xfOd5RMTK9eL+gPEGkQEqXdCOLO9OdDAIjCXFVkOtQJhlWGqpW8ezt5QlRL0bcL63moYFM5yGrlihS7WYyNBkcAtwn0maiXkhsso+A9OtLsJ2H+0IzKtrA3/6bMYBcNFtdc9fLKNIcXli+E1XzvcixwgncAT1Ue2u9B1ZIsOmvCE/or56XitH/JaEfttiT8RFnq+lM03/W7iRD8YgqSr2plwm01Ou0TkyXXeUPjpCdnpl9ECoJg57biDJqupuoKsnxVvQule/7xJToR3TMXkBi1lGFoXkPtod7y0sMuNqux8lFwi/wEa2Nt2xzSF7Blt+YBm2D8Ui78xdydPwm67B28PzzevN6f/SErIcvaLkCAdZW7XUODPkTyf89bMhY41xktSZfZ+VSC2xIJKrqtRzWZIVDHJ6lvzhYin1swc72y4OOTn0ksReeJHhPAZyiR8SRVCWJKWRO3ZA7CUzQ6IBCnmQhrD03xqj1XD9MoDgz2tf/40ct1U3TL8u9IOcIlSU6v3ohXmMkv5g5DNvTw7j7dfZTVl5lkFYXquTMYccsyaTEhSt1qCmYIuaKpzps4RgfSYFip+qFKwPnx14wLScHioQy+pfejKWwjGOa1UkVPI/KZVt5aFtoKkEpVU2DZxPO58wdRYDIt5hiocnpCf1XN+uh1xlXQVGdErAHe0x3CJZKSdx5xGW+yh6FR9uGCNSawQnM9iPCnlN9KBKUQlSeNcInsbu3AZm4DqpB9zEvg3sZqyF9B3j3GlcLJOydGRiuzuYa/VVooppi5nSf1zqzO2K9V1KsTaNX+vqR9LO9PiJKfyFvntYgEcKaxXHfRXrWIB71aLVrQ30EIEWJ23RDKkuc/tVSaZI0njGP0Qr0yjJsjd0cwFgXrU4orDYcCZnhOO8wc+li+tte104mpnjBB+a9os8KzGB3jbZaBEAvpTOqQpGoJePisLXYBu0dzX0svnQz8C93hsfv1oMiY7/wYbi5t4YZvA7xSorxl6fzCrkdnlSpyO5wWVSy0QdCzsU+GjfnZAE6GOzf+ZTP9r+NYq1kgvsNhy7d0+scjCyXzh9j1fnYb+wjjFQNytgNzGCDz5Lsb4DDnKOi7f3V3kjuxctN0Qj5Lpt7IDV74JQ1gJ/nVrE9qOgjW8u5RybyHIQbK98RSOeZL3dLHYqNNMSI9bv4ff1Payyn+UcIm64MAP5ezZUkwBb747R5iEhNMuFzLhhJs/PS+hjfs5mFCUWYP4h6fiVZhETbv1AtCZOCbyb+aw/6xRGeCgC4/rBEe9DZIQFdZrCCZkMvK20XBlElpMdqw7CszoTqywhODh6BFaJJPriYMncP2G9UF1sojDGGhZqGWzVdBD++BOB0/c1Elua64edPGTvfILMCGhgZgZVxwvxWFVOWjy7ZpBrBXpVRuKSOGwLmMDuShBaecwB2B+RXLyw45x5Z8iv4JRQIu17kzcBrktctxc8XUJKuLjSqVefQwMOJoWS1X3b7A4pMAmSwdifvGF4fqRCEriKEMPA0CvQZtwJTvUy3a2I30FWB5iJiwl4Ni1DFgH5hAEKvRmNW5EcrNVPE5unWdoHmlTZF+MR5yhCGMPEIInjvedFDcDpo+1T2bcfZe4I4geUFYe/ATyJqJtfJMsrWXezRatyGuYnns2UOze7yfsCvqwwt1vb/T1bPKk7CbCV5g2Dt8ZNGJkoIzXuoT8UxaSQNOVdbbVYUogAreHhUfthLwlzculJPGK1x3zz6u6Y8o+m7VAzECBx0zZLHrT7NKZ1r56DlVe9mWMVHsqJdjhVAe9MXyeE6U2DdJ2sp35JmiCg7GXrHkjUPHT6v1lD1aFW6U9Pxip8z1MizhgcyWyxjojiah1afukf1jnyApmEwg3N8bohsU2+Myp9oPv7FAe08F+C9MwmYkR/RCzsaanqED5dZGCvCq1CKCw2/DDyZlfsGKcBLlZ9MswjvneR59533jh0pJU5HQWmAIFr9A2AECNdf4hi5GnRqcx0cL8gExflslq6JUjUDJFkDMoouQBCnDV/TrIW+ADoJOrB8rrcHFpeHBNDe5PKyG/8ee4lyKayQgpKMNs/Oti/bY+QvmIX/N6i5+ZFL1Ov22uS3d8GVBiEdk6FeQspRAxcNh4izmaujd5heZmeNrSF4C3/ZZHxbw10018K5B1XzKsePax+pgFrCi1PnygmmE5yiMN6m/jA9ssfga/yRQDFcLnm42cvxMJNb3R/CgSpFtJ1j6OOl/d+4PjEA9cRUpKZ0P/LYMyrA/8b5TfraKxE20NSzg5hsM05nTkyLxw7GyblBeF17k6Rc/8mW6K4MmGf2RlPr0jZfFHhBETLz6ejVzzwXXYFbzrOHXEX5suupVKHelaLHWsXemyYGPzd9LRcFgdoWgAKHSf7uWZ2CK6Y4YwlypAQxmvtJEN3VY5q7r+gm1E5j7KbPrO2Oji9Zo1z8PrQFL/k+RbRNw7bQwUgmv73lQtns5KOz5Xn+EZhaEnmr5zZH1kgNdhLqdxBRZMI+kBbIW/OGpdueai59nUKhG0rrUZ1HWbVSJF1+0XO7IvuWXqssIDRjrVEoegN9U7zO2NFVCyMoDk8+1qHx98/kjSeE3WGxdaQ17/5lEtcSGZhZtrGxBSYEHw5gtsN7mtptkDGuBg6rLiiGzxWFSFO8920biLrv3i8MfrfOyDSDoZQalyFrzjev8IWVJ4/TDdpzanCAGWXbYKmmWwQSbeRTHau5petU1xZpTWUmiw+FzhqK+1JZCeuM4EZMR71BW3vxfCL4+1oR3yj+DpW235jJjyOKjo7edw5JEcALf4WDdkJPe2DYcPODiV0xIsZZ9S0vPhjqpOyOIh4kLN1jxW3eiywMAz5ZddCXwXgOZW9Ce81HD9xeEdTuFws8ZWUCWqY/WLQNGvTNB3cBCPjT8drZHpZUg3ryF2a/acXd0VZO3yvH68EHyCwR25b4toldr8YM0RbCO+0HNCv7undvLoiJMGQ+AItSI3ws5u7raA1bzRtDmoGS7fAoZXBv2qKOjaVw9gLhvqnvShh2m1DaZsCI7rYGEIHq2Bv92gzp5E4CudgiVrNRbjF5FCwP0DL3l+wm2/tqaduByKwp5v9/990mQOhiGMqN9siNxyPE/+BkV5m5VbbEMzgiB+rachgqeOSxpNqO+9GfQYoWHuN+WtBl414Q/6nSzIa8/j0K189UuXOUpKBkUf6M7PcWHg1ktR/taKhl9PRgxU+A+o/1wYwXRFE+uWN3MYtBCNAGI+JlhK0rsIRy39dRmyOmJf7Q6Sp+9ZuNoUu1UrSFaRw6XVdQ3uumlJJ98OpJqwv1qvKovV5egYqcXzANe8Gff8dX17wK6tIdpQYx8EM6uWBFkYMI+rOIHi0QnzWIyn/OdE/TCB3Cz8DgEtcKYcotMbF+sGsL3/olE5dAc2cuZEOQys0bZF+P5FXwacJd9393flTbqF0AOUWVGesjJ2ay9+qL0YPpBv321eJ5HQPr0ef1uNbewZOjuM4InyP82iBv8m2HQ3EVPWIEM0Nnj8RwdUvePiFFUG3dIqouSL77RxOZ8GmXd/zF8YFOKPvC9wPm0S8cZVwCjuLD8lqflficW2sXat4YuPUHDYuv0u432/1liHSIZytkjzgrSkmgC6PIjOFOylxWdNAYfSYfu0Xk7eYVQShkQP4Ric55025MNmzadtJVVZlJq+YtJO0lcnh5QszRJkhl20WPXkbZYvEeGSlzQR+//Eh/5ZKzXVtNCoR7McFbbydJh3jXZVVF3dlGYQHJvvvybuQPQcIaqniJaVFvUWJv15dlgvL9eYZNwD/VhBXNbTq6JrWVWG8X+kO7KTV7YoBfy+mRSRw6Bcv++AQc2nRMhwivEJBqOpRynQT9Px5tVJhyakh782SucHYgJ1vuC40Mfuij5yUhN5a1zZJfODIfS3ZLEi8F7yZk4IUg0xGCWot0HwOOVL6mZ/gfaaMX8hsZbNM+6ijX3PbiAW8oBHPj7LU56YKzk8ztLZTq2ojcoIZT78GO91WviESFiSMJ7zCn4Vp/SfvlqReU2itKjIfuMyg0FRWLna4HYTronq2HnlYJJ8ORyHiKSh63BOJtgw+elm30Fhr4fCFLLZE1doThZ7npa/+q5SnCoaRaq8FPno5x5MC4oDeIOBzquRFx0xbNdhirPErYlcGeVDpHYVOQuScnODT0OeLqYNcHX/0hwE/5BW3H8yU42gwE42Fax8y9HLBr5h7BcMhZW/UdLqq0dDvB4R/+IJhSdiU4p+mOnc0q81NSm+IOfl4Au1kkeCvb8SEzKVGn3+m5hVO6qQVwZQiSCu8vepsaHA7W88ySoX90YkOES5+Kb+E8l7BFKHn6njpRDORHReC7lg1fwdnqvoTkzVz2eMpt5wFGRyX+1b6XoGeucmwZWYqRDHi9SwKnqHDUtkfE3vSNGYMrfLMBef+RpRzGe0LnpZlDGwq3WonL9vA87ta232jqdJxFFoZPP0/gGRqdKsbTR9zbxxI043kYfYmmz6fLNq+tRVWEmHExOGUtLePNrVUcpW8nQz6VcoI7MEdUXTtaWsBWLlNCPWoMkLSwdffoIaLWGj4UF4JVroZTnbtIjcSRT4D4nXiozCeFf/Z7H2TCnLwvzCw8UhTQTpPii5Iwvf9USUwJuSKEG73aE6p/avehDquo847lqKgENfpudkpTXjQuh5D/d/M6ePcgSRsUNsj1julOU6mqLpLz/flBdqC3k9xb5wKo6uUeFxQZfl7JzDFQEjPtP0A7bLldO14GqcRZBdPlw1pqXcLWaeAR7DD6nk6sOlTgnT5EZIQo7PJyaoeUF2HYELEsiRAn52EjpjK/xS7J1+uKEGF2kRI0okxf0XQRJsLDq9na2Yd5YJPFdd/fsWw1lW9C79R5brGSzb8modapJd1TNdLw8xcJu1oMKzgAlVX1SIoVcTSLzss8ZVC/url4FSDGiAAvMI7UE2P9jue4XlOazPX60Bh12bugx9ycC2YDLlkg/SCnFzoI4OCSG/2wavshImxcBqvbuLJ+GrVJH2cOSTPwTaQhHX5QKSpG14w9Hz2jtU5xPH2kK8FMUIqxW/1pNi0BJ5ATYGCTKnRK52opPD+2Bqcq6D/SX50NyGF4mSSt/diYuyfNBSd+U89NUIrqPci9iyQKylbcApUbUYQ3IarVRp3x075hc+GRP+IzeBDG55+RtqMBreUvlf6MosC3I+b+YpOkDQhfbEdOQCaF2HuMXsdbcFf9oNK0ZlksYDLTzjDEModq8qqd1uagwdJL5PAbHJTgLCGIG6MLbG2ZGmZGqv7e/ZMepMxmSVHnHq2IwKZ8FgjBxwJjuXhCL4N6Q601nT1IqlLTqm9KMG7OElbnsTHe4u2z6Irw4Rf7UnwVld08bbnLDfTsb+BqhaIK1/o3PL84Actk4zGRCYxEv9dh1d45qJuhXsEc3qZnBTKZzd9zRdDHR/aarnP/dh6ZWLRYtI0T1zlKf1jKAZejAtwmLmIYpPq98aivOE7g5bxKx7u2fx40uLoibVidinXKx33OBvqsHkxi1R8welpLYI7uI8Nrs1E7D4WP6nsoUSnPRqjV2HlN0biwETJbqhr9MBXUFU9CcyLsJ5Xt3JaSa41/oAeoHOpnXR2ubZxGeLANxce6GZVrq8r4ga8WMa0fmW4s8AJckhdy549JlQidoQ0Yie//66LTKCMudanW9izOkYldB0ClmIByzMPWmqK5s2fWnt1PMhV+7ACVbaTFeohZdww6ibZcFvknO2AS9PPGqBBb4X1lE+fr8cT2DQInATCpvfTdW40wD6hGfdCU7m7V7V+UR4TnbMxfj4PbwVNIVBEfgvkwotswcXbt1V8MgRFe2yKYLih16dKmbGrK+30R4IZP1BeyzGOI13XOmn7oMgeievPtKFKzhSp6XIM5d9YhaQbFYF0G7XU+vuer17DT1HS7gYsMphCHS4x10uX/QqBgHyOgl1oo9TYFD31NyKSL+W68U52iFiF8fDAhhfVfl9xjOq1ADGusZr53kmNlXqN1MCQZ3XY/o7L5+wIXsMeLk2Sibj9TOMzbglVU8nZXdkQi4oPOaNUuD4f2kvoeE62kNIM8bU1UYbpdJx1+lJJuLjdxNwkV7DTfpmu+TT8R2Xzl7jlDSbrz7VB+BeNPhS9+6eFS8Jix6TKPgYiNtX7sV6VxxzrJjd/ajRytmIz4DhFsOEaKNXOi/DjPU8ioNxhQEwbQVXzhz/psuDQxYreg6KGyC7yMG73+S0ERTprmbQNHsTsBqe+T/T7Cg4wh9vJQ+crdvAyR1xIkZMBSGAmhLoFkkPA5NbABMLfUpZFc3oAJXtW/XWM0wVWlIJcF3bqIIZZfHIDu9EjOgcvYEOwCk7nRjzDTfhLxe0VBV49lbraTXfY07aj6T0HeVgLFTYKuhIlqKBmf1yJIpZbnDaC8x0ZW1B3RsG6lV94swiT8gu4tKfV+6nGTpbkZq/qVKMo4cQr3pa7dO7CIdqtDNqIiVUmdrA0kSK/XX0kEnx82t4hZvrcANG2h+BpG708Jxc2st+75yw7X4UZagMFVn9yVLpwFG6GZy/J0Bft6i8AMdRYGKCsR3GmTBAs27b4GlgdhIXyALzg/YG1CCLoRBDm5qye6pl/M6/Ef1NeLjDr55s5srNldi6dj/Sja3l081/3zRSSqWh3ePcXcyDmhXjUzyiwFsfqLiJEeNiCVKrwyaDttebfYQOlDmTypnsHOz2q06lLaeOdd9lpzAR2m1xNwabYyvUNVp989UIGn4sST3FeOnctCU/kPBlWuwb+S04vuc+xO13PhXbkQxXdbpny3XAspMkofCgt/L9Gs8YthZnDvS03cGHU9i1WAiAPROMFMQaD6t/Y2kuj/Sqq8TkrMig1JxOuEItywdfK9MOzoHzQTkf/L8XtVKZWWwPSycXLfAcOFyQKXeWRaWFxKSq47ZD/Yyk3lxg7OkluZO+y7VwX7P8F273VBSJZSnra6p7DLmkemCko421YyFWltMAuKYxAYFG+Z315PGeQSp0Leka1lyRwfupmJDzD+36HH1KwkgvI2xogJ1PNVIqAiDsD1MHGtdDy1G/kvMcsFDA0nxkxVj70d3yemZoCohHMUI5Faj36jXgJq7WBOIA4P8v9KuBZ92iZRD+D0aiGqqoDZ/F5kyX7Fa5zVjbnSVP/htNZjbmpOf/Eq053+KEC/yS0xBjT3ToSZH4lmNitmhweMi2sm6twRzrx86abMRCX/lwv9KzXCyf5/kUBdoF/zpwblF41qIGpXiFyHvH5kyjJ13cGPgakXpjziW7Rf5iUkcJ1xJXd2WCKz1+1+wqfr3st8S70tqQh54qFdbsJCURSFhDJK4oo4m8Zm0ql5NCEhR0yJFgwFsxdnsZRXwxQjNhc57ivhdPV9ijBITci0KgYSTGFfkolou4jUuLqH/w+wvP3Ue1XcatyuT5LW3/A8B3QXQX04QFwwwYNMU3qPo3+Luc419UqtuAxBXOMPO6+qklMI6E2dhM80xR4lD9qwybHJuGg5gjOMWhxSwHS8Eyyo13UsZ9aVzbCoc6hlSXKT76UAPsLyFSUBSUgn9js5GPV0ComqvOaT0Yk0kK6fIFIFrZTwgdWLWmJbBv5s+6QNPUTJazGEPZ2YhjQqqHbtlEpIzN94T9aTX/q1iv5aSZ64UtsuKuEOAPO+CcfuMSek1QUL0X5Ym2pZCewV+/kLBK/5vwBWMteprgbGWTMzmGMAQPSg4Z739jc31C/+2AeuA2b/EdsjJiv6FA9zwUSMSdlYiJsKJ3nZnEdPDcQX/63qkPL69acF4nbZt4wJa5ojs8YgEnXPpTGggEfI2Q4+HJc1pK9mG6p/nNPbepoj5OUZCRhxXBvT57WwkQVb7ZlQ3n1Tex7gYFBGqzfwm8eewfMXGNuDofJngB5ag6KTsKBx7RjNz8KMvu+jKX0NYsGtoIOV5YALauf5sDyvKO8ADuRLenAqe3a0LzGXaeOqvvW5o7b5DUqtq5J/xehpmBkgu0keCraWgQ4+1aNckn55qBWLLgggEEbiuooN10XpdUltY/cx5w1QpJ2hJNOTsm0aqq7O+F9mbccY/CE463YDNBtZM2kmN58jdK/GtYECksDF+37ZAL0jLPy7HKT/ZUn8gS0mjnSsyLhxUoKlrEMM+U9Jv+fxbvA3Nx+/en5SVj4NyTpE/YcOAEIv8lOr91jOAtjVcVnR6HpPlWjGZTJH6GnyuuLbjVb+jiUbCl0ny7NRyla2tZHn35QEYbMkAOYDaPO4369uqO/BafyPn8toEVzpoC2kIFXpE7/PMUDc3c89yWwFnOmH5hV6eL9RV4p5cEaGk5sBZpJhmT+GiIGWTPq4etCDCAKURu7yRduaaIgpUDTjDfeAUnrhzRTU0H4JNXI31FwGPF92K0lqUCB/bFT0vUnUb/bjryFjppI/9m8vZfNZPlF/SrMTiF/46+V18cImlgeRTx4ADWxM8l8yfVPU8dP8uuXp8O7fWTggg9yq1nGuEzBrEG9jL/w0lgnZsuRA7m942hSyj4LRsqwp2Oadyz5tRfj1aiDX6kWFGjYjW7nqR9vX7grq+1YCl58sqrbpEMrE63Al7mx7nLYHR0rI8cTKRxq4fTIXP9TeP6C+xNRRyXuiqtucvat+0n46VRln5ooMiPf/cIsmo7pc7E2+chIMDEcwvXauzedzCrB6pNSXonSyCJ7S1tOyZbQedFpX2s0gIBJayTfAUfyIblOw59xn5hFybw/p7ERA+iJylz6+R5reKeEuPwmb19Zsn+9LF3EETVY51bMzvsxA9MA8XeZJa2IPJtwP2ucO9G2U6t2MVB8Pm5mOTyEXIno7g67WI6eL25W/5ISl6a/FumdfBXAW2S4aqAKZyO55GXv8WVvFbZmprlbdAFkcdeWxra2hFnpP8C/A9QULYI9aWfszl1jv/9VCJIeO6VgCTeCJDkUuq2fCLUmXC5L5tslPODiIVqwyiCTEtHpM/LOVXvfhZlMZE8cX5WxgvRsa6WVIDv1gJyITzCAaujZaQR9LGhfDrBEJ1tnxdYALFRzeNFrtuG4aQiPFWUMH69326Y98lXfTA2vnc9AWKhaCDhKbSWODn1rmak0V82uO/erW46BxkhK/qEMJ3fI1MxeNpSIey1/tdGh4mxFcjDLDxxfupYKJgfT4LVEDybXz8iamlYFmelMmaxE2Td6E3VhvYGLTiBy0Wv4tGZAUy5t+jWcAMdvl31YLnuz9k+EGpNzQFJ6Mn5CmXO6fzjom/GSxa+410RdtVs9an8pf4KrBkUUvXBj4LPSsgO2LED3B8jTd6aLLkCqolIPSN36OVtlFWrDS88xuzhSF9sZrj+FV2DKqTSqamt8YtdLTzeZs6hBalKIUNfHRAlG4HBbLmarCymOSWq8g5vAMWPEgbv0SOyNc6BlOPNx5YxbEskfjrs12voMq2XoMX63y1h5OjksQx8cEJapG/1/5WT2UENrDr0eYhb0GpZ+j0jef9l4CjfdZZtf4sFZrpas7djQTNnlHMoBrpDwnQ5G3G5/qMv328LOcET2VH1XuRxdKGk98dIMoKAayqlZsoGGAZ93N7eXlWvVM/fYJ1DmUz2FWfkjwlheryTFm6j4hjkSSAPvrswSV8d4cTTt1IVKjwa1xacCPpdu78J5OUzkHzf429IOTA4BYSMWXbQzB4W4USlCtKdQ0A8htVLICXO3b5+wQPylqsCB2vAnxsBzwYnw6XjYc69IAi4TTkn/bHURUWE5AHoINzRAC5DyljIc8pfkRZoXgFF4rEk7f2TveFXFvvlMPZBTZj8B7YW5rVzxyZDGNEpoHxmf2UJgAP6nKR6wx6tISCiMnuDk2Uh/l0ZjJXgGYfmuvouJWMjHOatupo3hm7cfl//yxvAmbBnTDWb4usjWuh+zTUKx5N5N1w7UHi1inGMVyv0m1/pzbuUUvg1Wff6T40F56AiX0sOxEH0v8eUv+U0Om6EHZlxedXqr7/hRoJ1/kvRLGNlKJsM9BlxTyamGIZ9BR7u3RYn5Fpl9FdpXYrNrT3FjNWWvGCl+eXKoo0v5X1ieffhRH2NMpkC8iUm11oBPpsX9MjM1m1yf//VB4dRGQrK+JsJeTyjrN7Ml+1U9CRfyST8SruHAZHp6mhHBLmsVrFyRnOb4XBQOfpJTxQIylrXSBmnDp9G5GUC6nyh3LenRRM01wjCAySQmro2wLPbja+ZkCZW3Rax9irbcjvOEACA9IUrXb5l7G7zTiCwN1Na2dZBsiO5PF5/+KzeA0p/bfKuypZUeYxp5WQmMX5feS9Pv36BmUJFi/Nup5TuWHhP3nqUUbCFx9p5u2BGXgbvWAYaCl4XUj+6Xx3+d455pOvzVVrg1XED9KmGGjk9qw1LGpb/fr1csCVRGuuraCPlHuReCy3NFtnjlYEM5fr6cC1Vt5H3XTHLNrUCHgB6wL5io++/c1IwCYsg/yPpoTmjYJEvr3YFAAVL017gK1CuxBCo0d3PQMw9i/XI2b6y1wJhKWx6L54wc5H5bmJuZdEpLnixnKzTfJwdZN2He4O5df7u+bwfFIZcHrLYBVzVDyj/IzeHdI/AMAleZ4aYOUfbRpovQtkDvEg1/90qzn3ldT24/YNXFgsAKQDuTzS639T3O5chQOLvshHHZ+UxVsMKiP+x8d5dAzRNzbT4T7+q05sIiFILDqogkVBCtqEQxnfAP6qBzEAZa8LrZrKqHyajK1r0haoYxyAymfhSxRx1/YclpZByPjn0j3T685LrY7903VCglYzOLyvRKDc9kXLNrhaNiVaL1u+thsKGJgMb6Andd4KOVo7vT363JIwVkan7Jic0hcVYzdpLeUZ7rr/k9jWVOI631pgvw02X27cVu4vsvL+7Ngk/kbZS4ZqJWW8l+0fKu0dTLhebFit/xG39Omix1gJ27+Ng1Dxnpa/KQlOngbcLiNVDkeMRs6oPftauXmVelsp1BsMaOfJ2syv68jMIsFPeHpcgzOLDWfNAH3SQbVF73TPk0Lye6v34Z1OuYUPJidhyKMMiUj1jhcP6NwVmwSngqogZUgZs4OHTVGDVlSusk77TDkVqUSf1hlNlMcroGlfIB/6zbe5UneStNfZmWwra2Sl7tVgHrIya7t9Vph7A2l07EgP1JbupqUPMdaHJ3mixm75PmnQeJuEwy1UqQlpiI62622EMfD5zZ7Vq2cni6+akhvkuju5tFasQo7EXj46CxkiRdxbSdavxgAnFaMiYiz6P1cafB0WeAerpF975vinmuaewHp5kDMQBp/Po45V1cMyb0bTs6z8+jC2qKIDUVzulKlaR0HIC/WmPKZh/kFiIyEiNkdlTzzAYB7m7i9S3y8O7B6RCCBCUvW63jQHRlQv9uo8t/aGVQaIEA2+py/21H8bcGe2yO421VYfUhbAcow+DvxIWEwwza8o6Rki1dC4SwX09+gQ7+cmQtJrjeScbaRRF4kOgiskGsisCpPlMG7+jvfALV9t9zH4R+0y1k3jRat52DAA5AAGLrBsimQYDzPJ3B0ppVWsI8IpfOepF3H4EAo+o3CX5QUI9ufrMTeuEL8hk7Wp72RGn/1vsza1gvpcvkIQGCkx4IBC8vJkDaSLEd6sBDdlfkwa47AkjP2vGIPm2C1akSmVRHt2q6N9HowIaeQPLjc1svrRFbNehXctep6lXe8dV3wS5AHfkdT5XH14sHcsOgiOzDyh0QTo7y4pysO20ejg7LBmgYxQshhQATwTOBRabM+cDdHvxa/DNuKh1A3kQ+253MvH8UXxp6q9AE2ALa/vhzIV7rCxHXbQ3kvk/Xsp0zQK4DBwQSyERrEHWOpjAH/gEfTY6JVByUJtES3vB2NUFbsu0WByQgQqZGDan1JenQI2s8TcuQ/Wl+GuG9FW7jTdwMBLPJYXm9qTqMaib2mm/iKYLWHJH133WtzRN6mmOHG4NWP2OEKAirhcR6oajPoUKYckSJ/aFf9NSdkOV7ACF8wf4I7QtpaUi0eBsYEGRHHhdg7BkC2aEiBd/8g5PJPWTKPM1BG/C9Bne0S92uAHX9ii72GYfbKz9HptCtLdGhXGK7Oqg1i4wZAdlH8ZyShFUZSEOIXz8EhRIAhjtppwxthjcWwkU6pF2T119rA6hywRROb+A5r9IM9qokVDf2pF7lRVTq/LsJKBnmUhCouQ1IUQfFv7BYuynphCW5qFUHCJlD8iEQ7qEeD7Mv4pLZaiTLoLSU7b3rKe9z87LfeIUFioOelqaezrBiDWCKKOXvOpCkZIHMvRrpN5Kd0pFwyiExLK6UaSjzh+nB75F+5DWjSXqYPTrunBIgNI0rx/67IWenJ5PeNM3PYvCX9kFIPMy7FSGajTQ/ZxtIChUxWE2PyWJpLSOyt+CDiL3OBPRIjkzhnGig8RRLk6+qeT2tFE5Uwz0oPI+BAHzouOYlgW+ZloJ2gt3/+RhZmrXk56YAXU2tmAFqmbEM0oz0uyJCFWyX3+7RbHGytBr4n54IcKzWPsC1jVfIBPy7sOf6J/G+Ym6bW26HpYS3wQbBZk1rn2FS1yeasfv+/irh8EQQFPreEEUekfJ9CNqkuzWXXeWr36ETos2LkTMOKJtYPlTU4BmnDlk244FNMJHidypCXB9Gc14VE53mKeICr6v+qu85sStOfhKpShqwqhJRDtTgkv/filTUHqihl6SAkcqBABUKp3rR4SjbVzR5je0qVCxVwwyFAkcAPFBUqKGwMY1eKcwUPidh6SUfU9HTyUTsPBPlLbtvSQMgub42TAHuLh7Zt5qZj5WRPiq+ZUAmoqpRNUMx6waWIzsSPfQy+/8E2aCrtPpT4eYHf3BDmGNN6fll9M4nsDa+d12t4bfsiq8fFx1wGe09ir2YwyyWfqwTG06BbkjIZxIfAGgghX5ReD87/gG1cC+OPeVrm2etHHyuXhhkxhmMF6Asx5RwwuNN6hOLVxE+eIGLbemD49U/5PivFIlsFOd3+bov0GsaI/pAVt620xRwXgks6EL46CxbI4mD7ymU8fYpMod987aO/PuHe0d3+0JKNVpqO0bc8CSm1vm/xU++NjIM817hMkvIchVycVDjEHUIHUcYw79Wm7iZQgC8zNk09+vR52bHjUnbkBJ01UCm56i21Q3bK77HmwrlFlaXUQUe0Q4ATJB/2FayasNLVfR4Ve4LFCo7yntrFljbrOmZ133u+UYmUtgm+OCcqNecRFA2jc8ZC1I3MAlhol/pgEn3ffLIcsTTT3vWho3AbV/2WKZgZnGxWFwth6Jg+X1amwDUKRBgwdl7TLWk1ih6Wrq9Z7lIbvKBiUpeaurdfzpBaQIe4FnfY5R1wNuHR4fm12XEJ94ObTNVAX2TVSRBi4kaMAzslXPNk57jJRAsjcTzq8pfEmpRbLiKmSHHDLpG6M5K8w26h7sFtyzKjMBjC2RppnuKJ4NYiTehWzRlrZHhtmQ+kVTenIwBEH1+lPypOQJ+nbU8lQ5gTk9HC4kVp5gaXon5re5eojkq/NZRdy85UaGPezRZb+16Lp3DZOCxwTUGuv0+8CScVs6/y2HKsNCrKwSJlQLX9JbO59mZE6ddaL+wk8uQwgLDG3DnRsajwwsMeQ2USZDeoh4qaIYA70IOIv/ld3uM835YELO8fV6DulrUfWOPPvaFrPghKjygZdxNJrIsvX2kiT0c59WH1Yltr4HtXhdUigWkuwCHqhT+Mxiissfp5nJQmAbCmJluaTS+CavE47CRs7ieF9li4Ml/2sKDxGv9kacC1dA/o7d/A7+rWWegHmcUCCsenO38vLm38BJMxc+EOXmPkTwc/lXzkJhb8zYbRI5FTOStPRuuh2eqiY13gNxMdwsHLGwNkd888JnjMbwVdpf+7g9Pi+6MGMkCVPx4+IuqqmMQhyZDWGVVsspLwE4NSObYlyPyaWNW8YiPAauda1vMqU0eZFj162fsQnGX9yJUkIT9z4WxsqkkOe82n1ox9izu+jqsyIMHNb43J548AXE28xqI7fn31BQ2xpK/smmQv1g/pFiVxCBfox+epuFFnu/abgSOSvEsxpLN2BtLUwQf5iP0/idwUkJm7FdODwX5oUzCLh9GqbT2Em4YmuIHpf3sUfjNAgEDNWehsy9kRhLwz9nobSE4Flq1spy5PQ8QMYGH4kk35N0HklbVPBHIoPkMPk1KrOnc0d7kbLdmZgnaGfTL3fZFymubBf6VETTrbf4HIhoqdrjR+vpNMzCn1TWjL4u+1RvtRYyYZIdpKm+gShkiVbLOnxh5vRz8DcDWCwXomN8SZtN3dX1MFyU3zEmCZQWtb1Q2jWki97Luaz+d/elQqdIEgGrD05tNOw3uvbudX4L/ExDcNICAYdX/PIAq4+wgsOru1kqLMscptLSX6RKMf5d0tXlL6oV4e8Tn6J8rObloYQ0fb/Uo5bxasct14G2olbmNwvM68BYXs80NIy5K4J7SMDMPqhp7fTieV6JFxaUX+dSorhlMt87SV3/vXbUeXC724XQ3Fv/rqymY7tTcobpUrMaRKKhpsJ2+AMnHuDfjqqeZxdfB+qhkXUeUxKBr2Pu3eaHHjMpbkoVwst4dZD6TBXjl4BgWkAZfSdZuvH+kAd4u5bHF1g0INQHi5vnntGQiSvzbnSipmHezvzoIu5hl+G6z/IFbgshnu+PGasA9j2ltOVPoQckMDLeIZ3Bdz64cP+/G2l5ZyqYQX7KRbb1pRTxppgfa+pu3WK5kWGvtvLi9QbeH6cEa9kwadTinEdsVAeGTPykabAfSngix3mNvXzSYdy6cr1jtkUJlC9CoNU10o+SMWsrm23JqUrbxirrlvCdTyffux19siu3n5QqoGEZeWfYXpi4H28rvlC8x2poByjPYsR73NZdjxoBiRNNoM9Bq2NAoVz27kwwVCHQK2UKtodGMQh68+re4IFlmdDBkaRCq8nyYvq0qcsS/tMd2bsgBqelyypJqeR7qSQJ6yxcqnUp9Lq/8j54Y/PeodU4JOc2FTyc3i5+r20+k7eSVyZEv4c6zawrwIj+cDz+7GrvtMW1Wz8Gb+GZBcqo+SbShzEvM4wSBotms8nylvJR8NWoo1DPgtTIEStenQ6tbkMNB5DdsZ7s7mYKStnglF3p6JCgXOVV6oYJtmVH74aAOA+MQurVEKj+qhWD15//g2iV0ow46xq6lnn1kNvDO/aicDtSTrtAbtlwH+BXqrqaLbks5r2T2simIEk7/GBR7Grv4s9NFQ2/UqO3LtK796jzP6ads0TPcR6FElLDv+I/0dwVWj2eDX1cki0eaTB5C5bvI9sGjps11TtEjQlFnDknRDQ+Nzu1mpNttWm6sJP7yik3idzHXuq4uZ5+FKk4Hc74iHi2/ZS1voyupZUxnedOSZQVzzOWxDm7qPDKB3qhA8b6qpZi4JWZqRoR4CRnkxgK5BtI/KVgx1DlnczpNn8jYBrjWrSRz6By5NnfJw45hj/WlH/O/a3+mjHMlmV/88QfE5FXGQ+1lP+4mq1BP0EVWQ4UfnDHkp5dAsunw5OC/Thnd+lhrEf3hlDXyeb/Ti2i1t5FFJxM+QlZdTpd8lTO2PRYOWe+KfSDAwr5x22emjNluURmBAeQ39w07KPM7zB+ax0j3Ygpclgqz6Ugp61vh3t2G6BiUKlqQ8DliHNG42WwaATCfg3Y+ctBt3KgMtEPUU+KYQ/ATeS256sELeoLxveP3IIh4tGx5Q7STl/UZMXQ09zH0aBfS9YGy9If8APHKoqYy3k8IroH+1fsLbE3scTdRzAmLZ4X324KEc934CUXEdt+VnS/P3OuIkjFgSZr+mF6EN+TrL1nIdJ4N3EWPg5h7gfZEutOkqyhbOys517Ot2RayDntm0UdhTXLKwjVZWJYksL1D9G6CHyPanN1zpsYqNYUbr1ivCuFdZz7itEmd/aO7z+e0Bf5ZaOytY9J/k8jeTmzJ6Nu+iqfpRZA3QvU9YbupWTvKeX05sbtLScgkeXGQW51KrLRDIhuwvWxZX8lNSj1V6/yUI2IYcT37S7pfohqHdw2AHy9pWTCNfJt8RmL5aerlSL5L+CBlaa7BNWze0r9fxGWrUC4MG0pBTpaW+t41E1oalO8Qr6r8xY/6pwCI7Po65vnArObGDjmA4B0ZJaoTEwAS0gA7XHCOd5ifHuxN/3/Uw3oJ6LGOV+ZbCZDtkuRxr+RkIMh0C8kBkyduLEnJacF9Bt3+D93LsHh3BLUE+UFEck/2mhGHPNvgiWNOswIPvMTzzDyfLRHXz0gtOd3yKUs45pqjUh/yjrFgThmOG/acdxTOsayd57KrQmeVTQVFPwvo9f+ai7JolO69ibnyJWNHOQnSF1V/oLue4HT3iRJDEygHFkDRVt0JQCrdTikWRQ00jjW5hcjmjudafiQrsQzqTAv29yGG4Uje0A8vZzciLxqfgKZE43yHglddBF3Bab+hLPBjTNYcOplhnllKyPFJK755l0QHci2LN+hG+xlAmiBu8o/cEYV9k3DLRRojYAg1UIrpGQYsakEDki45MwVp1dq/PubOsIoGq/eJhAivtTMBUX7bPJ7aKza4k2RvIiOdK6uHbR/jXm1HBnMd5S+QJoaSTmSrlIfIlATdp7spGn1tS4htPWEryzZMX8W4H4p4OmS5nG4iaKyB5lbmMmgn656ELaAf/3oPfe+XE4nrPc+23VljgjFPU+3EHlcmGV6k8sTQT0WEiPLcJysAzSQBDaMTNoY3RQwmfHpV2nxASywNegwNe7csS9BCWyzE5VmJeDRyEnJtr1YebjhkURz1Y7DA/66ioO2IFo5gWWjIgJa1d86FlphE6Wbbwl/1DcVj2XW2nTrK9uxUam7p1zEIrklGJHUjp8i1mH0dAPu5oVHLWW71VnLgi5rDXY1y6OPgWsnltQaoYwYCIVYr/z5mnf7PtvyHVekkn3uD3NZNqHU0fWb81ULULNXh+DcVAceSWdr6vO3amS4ndYFZMQp01GDFePjJ14JqIStgcRboYGLOminkSQBSY1vIwIpnrchQMH0oKJ9caZ+7LPI9VKxMgT0OWZ7Vu18pKqeQpMrTt1M9gHeZtGXJSUpFW6OJqyY3gM+BN61x6pzt002JacC6ZM9IWtgvg8KaxZH3WjceUZVMlCz994o8iBsQk9QqwkTpDQMGTEW2USg7VhkP68PtIqeOrwqD7Tkdqp4YrxkPLifwwNUS/NNzUBiXyVCF6y1tidkNOua14LjdULVOK9uMQz3BhzjYkt172Nl9zewNzAqq0exIrfwo014LPuyrIhlrioLYAE2QvZIs/7CaPnS28Ekz4CJLP1v2ZIt1aRux7oXgfhhHqfshZcLPLwSVYlfy6lWvLXyllW87idic+ThrrarVIKqlBKmiaQ54UOiY/8XjePPlepgmDHks5z6RJVHEECukF00OK8UDBCx7A8/ncTMY2LKVkA+C9eWVw+t/RjbqPOkjEyhryOscQPF+5T6RS5S31r50MuwTbnqXYNW18lAmos3nYAu2rJQ34UY+Kr0NP8xlropsjK5sLHHmV4zHrf/2JT0LGlA9Hiv+tgVkFIC/ob6Eyjq0fDIfRkwB2GtBtIDnZsUmWtlUKFU2ykuU0Vn/makrlEaergQyoGjSc99oDJJ76rUgozoFF/gH4+a9GFCTo20zZegt4cszQPM04c4yQf081M2p7TOXg76t5sF+8AiBFsRVO65WRtCuAcniRQUjMReYWJdjm8zUqzMXnDH9zTq7ChFpkIMDIQdBIhPoVmgw+ugSbra9jeBSFMAFbAgSb2xjaxVwX8g9knTjMJkC5VXWm+niPDSmXVGOtkBryeZMwDsOKIOVIsUhCkf4Um9dpZp+o+P+7qSEJCObOI7wJ/gjpyW9GKwhOqkF37RhLh625EyVuhUvPvyDcpuX8tcOUTt+4UQhJS6b4xk8QFokhKxay2ZSSI9DJq2ndjkMx2jvo/L/ySRG1q4FYL3OnoKigdqhgbf24mAGJApGMRpS+Zmqh809aOEtkK8ftC1ZSJKlqI7hTwA6fbiZlbeE8+0pY9o1led0+kcm+Lb/9tZO1U/ig4B37mLdQ1yXkjX9kadH0I9Mk+8cE5jB9dgUABVhTRQGtrdFeTe8X9DMDSVrYU15VNqrqH+16zF+gGCjPpYSLHsB0TRndVrkzODY9mGbzl1A4VuoMMxRj83BWt6j98xpTzosfOrVRX4KMqkx/jFtEb9m5rsjtohitYMDiHXxD8To8bD6Vib9npuJK+z6Tt73Wtj0sAV3RWDccuHDZuMUFmTSR8lAW8kMihmSQTdlsDBgL/II1XTapd3LMAzojipTE15hD2VinWBwHCTFb2VLwZBhSroutG1DWY8DyvV/7ZFOCeBQ0aDWwF+sieq8QWlLJspkZez4KtXH23PWGFtj4rSs6WISXEdoR6F8xCZZ9QnGGOJy7rSiVtaxMR6wJDIWdSwf3bHRMGURCt8CeQOuYaxl0K7tApvs8tMoWGFUNJVzYFykuPfxA+9B0zv6uXM/hrUoaqJ/bttr452HmYO1Tp4AlJJVevegAb2zIMCEEdyyQz9ftZqvYgZYpZMqZtOiNkOJdOSIssUIy98Hj4n8OgdDWe6wLvAZNJR6opl6hWjF6To9zTvpUBUcPYSK8PWtDogBijulYonqMb41nRgcFB6jwTHPI/OQYeqiHZ1XsmmwhpXXcOjp+RGiVYVaf4WKEHg5/I/HED3SMMlHRxrUujn2sVnmLpTRMqd3uAD7/mCRMNyVNtd+NffujKYl9v7VkSB6vZK1RFBMO17xScIojf5cvA4bN7xYX3qtZDtCyTYUojVYzaFnCTrNueDIba9V0vRT14R/m2nTWiuqpA+kT2ifGnjPkiY+oG895WY9Xjkom3Ghi6nZh/t7rJC6amOQcDFF+L1oiQTrk6Yzfl2h1J2wxJF25lyL2ImZWUUDppoVi2sxizL4YFNXgrXxeOlCoTmGoY633oNVkBaXKvsfVSD8OHVo5eN84WsdAB539wF8nq55IvMzjqFJcb3l3yBewObNpVR9KHkE+CAKFtcjykdKQzoqjTEy3fk+otPv/RrsySqhV+UcA5bCvyOv0HnYZh92qup+KAWtGypGiUaM7jUA5KqjMtbSi3SFIZ5SefgWglyzghV3wPVXipeEBqqC4SNbZgnQzyBawD4xcheatOxI624tQ+aq2OUfLXJpwz9mGiOFezh3bXdMN6dm1XJHrMpjDfttI+DoZSSmaBqDXi64/O46lQbSHOV9TIsQ4zPhG6au/RGxoeczqQJr8HBOiE2I79mL1cazNr4cXAucVe5t2BvYj30TKCKdYXq4Adhz2g0g9f2LDAqB8beSgJW4s+u11IH0+J92OOcH2Zp44E4WIlBcjCsDsyrP44I2+8kpy9Hh/v8OhwyWUs8tsgf5w740lKnGoMWHE6SpnHUlS0C7TVwgYV2ja5Mq6EkLStVrJBql1mHL40dAqIA4zAn3GF1cPzVTVcVeTulKXYrs6Og3zjCewPyXxeEoKL/JnJRCTw5+hQsgDEkcU45k8OF/jgt7TdsKodC/rbGA8z8U9vX4/YOHdFq5W8imzDOmCcGG1xohg8q+6KF8Mjl1fL6Rdw4K6uMoLKqdO44TtTkkTIFmvyF1jUIdL+TF1KXZy7XMQnVMOb0YOti5mcpNyCZ4TmucOpEbt6ejRPoOgirDO+08cDpFTS9yJmrfa/Ed+5NDB61UVFYmr3KwYQ3uwh2+EH+8254wJDtodwwaC+EOSv0ADyBOFXq4r4YlxKXSwMZbs5gV8LZhso1gOaPKJleapQj9TngHZ+SomMGzeuYen7fODQCo/g7u0yszQONzrZ6PeMF/9TZrUpIEJQg/e0T54LaJDEogchgY/Wj/SXzpbrQ/W8Z+HAiPFRB7Wo7WaVqIkQCxA9DuF3Sd9Gzat4D/hSwuLvdOOz/tntkKSV672jfA3yIcHEQ9HW+ixuA/Vf+DHZwiOTqH1v94xtEnhP4VejWGrmAH1sUI8emFdF9ej9GQzlckRBmeEWQ8RWKHB4tgR1WVHqjM8KVxenNjlPuHpPkElv+AhsbPYXItKWHMk6xPQL1cD4eH95xrVnJYYCirb4KcG15S5mylUE3YwpEYOzy7H7/ob+jKoNURzO8i9KYWZt3g0Q6Kgb3fsZZZkAgTkSOKLUF8W+nN6hYvjqAoTVMuvbQ44oTgHCY9gqdwuE2MXS9yAze7pXMpZ7jvRKptMYMaSkZMwQ3GpB50KrEaA95dqw5lZvjQzrpwcfb4rJmTeAooVyNu5aGQtgKoi33lZnOxEJMKE4/0KFVIqx1xKnbhUZF0uvnbtKTPFCdOn1XFfXLLEmG+DtSmH+jE+BmpAXD/S07iQ6tXLUkDGpGZEAvM8ZUepsDY3GJp9Bjsa68QkuvqnwAFc/xYONOMAKdBDco5H6GTZo1nuPtqmqDyfIKK7Enr6m7W/WMNLV+l3/B6pFWTTxqSuivJ+B1G+J3OFRIFDLOaClzDcyf1zvTbKsIMiy/lbt45DsRD99S/mFYkKRHoe8dY3j8bKi4ky4MME55l77hWygLsCGcTfSuj3Dufu/MabKTsXSpFh3Vcl3WVgqhS2AkYPmeHGbJ/GZfRq9rISFR99a+BN2MRYwSaNwauiNWMTfLe21aZZd8ZvbD+nF3or50/m9Kdn2hIV2WUjY6YS3vDBgJG/CjqaBwnabcIMXAzK82BxFuBG63ieV8MvWRSXxJYQ0AndRXWVGiLm9rRQVfi6q0KNJY7WuImBZ7jcrcGh97Eu6Yaj6HjOdFQAeaBQvvztFfPrCvTVu2FefMoa3/CeaB/iyuJSAIidUy2Lgin/tuUSJTeGgvle18kmW3YcNXXEbyqvdQCvW5DIkDl3qNlbeWy2m5GdFUcQQYnhCA1cq9r7MWGngeJwKzvKNutNk+ZdfwIs9ukcTov66SRQtIrTflCHHV70dppg5hDc5aJqYtx7Na6m0CjfJ3r8w357aUwqcKx1JUr3U4fSsKfcB+vdMLNPqkiBBqxOdFt/QDit1i2p+/H100egt0nuq645MKhzdvkajBTRzbAiITNSeDp6tYXMHIv0DjUR00AmKTBxABARvRJuhlgwIqHhjsVRDXWZRulNnZF1c8MB/lM+3/tHmqGbBbA09jsGnr2OV3E0YV/BngBZHjepX3cSDhWJR3laRwuump2Mi+e058XZ8nHGfgyqa//zfj9KRoDCehYs5e3YOKgTlFdGQH5GeLvUoRSE+vMBQRqGVcWmvKIjjn7qG1eFvs3ElCNEO2oM3++9FxNOPUH4oqsePBl1LRWPFWLlofWa4GRQJvJrT/bQSUrySRYtTfp1UriVW3XDNABdpA8Qt/dLMvKPx+BpBh6RfzqOWpu97e9pWjnDi92tpUamKDWXSIH29gD5Vl043byp5H38RmNERkAbhb9lae0wogrIdXduK8jlgOIBzi6pEXRcGfW9VrXEAvWfSRWrR+RYIrKkgRl5C4vxpmFhTFPmAxcue0KDHq38+EISQexSRfZPjZXCIWYZAQ2h/ILEt82lWSkbZpZRy9Yc8wuXaVfZhgVCC0J6KtCO54A25VJjp6IvsUCZG87LZ3u2NPRzgm8RHJOR0rSB/dC/RXo5gMfiokfgkOFLiOJHrkOUgrXHDKrMfi2riTh2xcEpeCQNmyCEOR4M/f8r8XX6hoFKdpAoNUKEITAVjzjPKNALs9OBagEnIn+qqrVv4c0oaaRyUmoUeB4qFsHghJzuf1cMI+3SWPLgmutwXW48Uxdp2WXrbd2/GMBHTChRv80Uuy5sHyMnWQvMTGdDNY2y6V3+U8OxbIYDUDaZaXurPW+uxWDaguSR1NIwqs84oEagS/kY4kMH6Fsa7MrA4LTcxiVD4Y3XxvC5SV+ZTuOWxXRHOIWkS7yqihEn1NXuB1P6QgTUIUYJOH+BUp645pxnJUoRdB8RDn++opaAeQLr+hiDSUf4Zj6AXnNtHqxCkcG/a34XHkT67UkE29lgR+meg2WyuAlVZBcI8sC9VoJZAYwAgfaRI7eysOXAqGvzaeCPxCHGtL4KQZ65IcyZuD7aV0LRqMC8yty44HrUE0XxBSwQsBPQVFxj241798PER5ztgedj1C216KyVlZNCqg5poY/RSnOE3r1aqghBt0trD3/CfouHs1TuCqxN1+avgM1cbnVRSfaz3fLhyOpwcIQ2mKLSEzA6QR71tZp+ClFY+2TD2LXh1cl7yOHkn/yr2TI7+K7fw7DuL8ZyE8RTfmAT8VhU09ar4Fyl2/NTzgQH9JV56c5yQmn53FH0LNbxwJmzYlbyIjDsyTjbhorKfJebjthbZFTbGLEigVyPCht+aT7s+p3RJXEcqpvIvonQppRgqmHLzOI9Mcz7GjCUeWZyFtBZeZJl004zoGSrIqvh+RdjQPJrxpzj43nnTrLw44Dfq59Eh3dWPMHV66jcq6eTmsJTZCrxuLTI5nZJVN3z/yw4qADSUx4qhi0wjq+o9ZzlLgvbGVszpzQwkRUj5Ex5Por4XLP350nOa0gNFJ+4jFiNDHqvv/wi+oSXp8zwWWG3hcUjR9+2hP8LsmQLwK9f0OaoSasptOGHiw6JygaE06nnI0CcBSICYAqOn/eYdyFTTT2hClUneB2hbQVHrjQbK4TbWKLY8aRmNLOvsrg0mnrpNYgR16swnRlAxhwqiUuamJJ/++/5wNqq7DhGJEUC5mV7Hald8e9Mshf/cxUzdypio3L+uyD5JXb/KabFFax+IJSd7HhSMRmrIawUzA/dDqyJJHXwyN3g+Q+4lriCc4ZEq1H1YkteTrwJC+Kx55SQRPsc1FLUNvaxBGPPpdUBAysNDixdNnx57H7luKEdR8I7F6Q2V1IRGlkCAJfty3HZy/a5yYvX3umAEOJ6rLJdb/yxxT5SgAAGAmqViM1jjIuj+XYHw0fNGqUqE+4+49UUtE6z+QkweLFXL+T0zoUWCHbMerUGfh7/l+BaCyZhXZ4vyqlTyvPes22blxG79lIo2uOOnJUCmQE3yzcozFeMTZ2XAuQa1Y0zP4SuTT/VpAEgnlR049ToZLTwkJvCAyru7MkuBsYfm8DPxqaQ6wr1o6Yn0tMUOA3egqLz8vH74H3T2sGraLcnco69Gkk7DpwHXdDEf5lnuosstEu6pcHGl9UM0TNOsQxCckL3wUt/RMiQzRiCv1g6ZkySiC/bYJda6hJ12euGNBaTpQdbu+0uzcL8KZtnZosKjdA3urgEhZa8itlALpdGIKPLy3niJYLMN1zS3cIOJy0WqWKwle+zZiDSK95cioWMrzNjHSTaW1jlSqy1fgQrE0Sxbz69MqQFNo+0t9SV6XYULEP5/Or8lvCYfhD+5Rwdx1D+3KG5bjVqncnguJHssUtXcjapKynJMXKtxWVd6oJuWR+sxe/HzJlbNnZPMdxmMoUaaL8YTeA2PCts3Pciof/+gFNj6jgXgZID1EY6OAMR41YMgVhOIG8Mt9ZGuJZFvlOp0so/TFhA9k6d9mHAcrFWWTaY/yao6SO8au/PySNs0t8X+7WNJrQqqOtAcux/StAIDkhyFXrEtpK5OWhaxovcP97EnY+5Ud5KbDicXQCjprZKnf2hJvvYXv9R/ZGKN+iislR0lfhbhMrtC9kD/WDtDzzhd/jt0a7GfZCAbLnhI/ldSujKxuNgfsr7zMabOXBuYRK09C08X2RGlRWqOvAi+qGwv/LdLSsr2fhEsxFHGeXPEz69u1N4//XtsSJVRNn/7eWgTGhAq9wLqr5S7j/G2YjuMXlmeY2dxtZLWxFYhtUBTjQg0l6EQXIVyVYenIL6tjlljIjxDuku32dtaN58IMMNSW3lnwzV2W+oSzhxjUTldX+GjzTen0toYs46+yeHhBYJFdp1KZKu3qmfZ0Lt+tVe60TvZm8wQ8NyPC9Wf7BmiHqrHcKPEVtFfuhSXlHlcrxJsNA5kmW7YIE/0ohRzc33zfq0VK3VYO2fxDJr1YrAyfhUfEf44hdWD8zSXMw7BaFEUn3e1XK0JfIYoIck/OrH6pkiuYY8dF/AUvCnYXA8ZHenADqFJEEOAC5ZwZRLUIVqN8WnxQaXQu4PTlNd6F82xVABi0UCfX33bcxs/cEtA7Ce5oaud9QdZgr/hxLqxu3ssYRcRWN3w/ENyfHQl4xqQ7j45dxJBUwdFgF2mGxyLxcR9Mo2J6BQOfX13oWPFEvpsFamTV0XGfBr12RnaFlWJjSSx0XUzKu8hrJHZwrvI4kb3sFymoEVNcMQwt3bM4/WtnfST9d7LskPxbu56iolZCgh1PUXLBlolSleLirkLCvLFKmbt5p/rh47lVOCTj4vtnTRt0KZMjn7KhtP5LGhDFnudWN83Mks3k7QZL/3XzhQKpGFEAHWuD/noKdRxViB3QNNqMQRDTpicUBBFB4ZqiHYolvutAoCx+S3gT1oqAa+Qu9bjeqZT3rWeD0GGUhrd/ELx1E0nLfy3EvZ5RW4mLbeBRcd3P9Ez6aAaH9U+DqV3vuYbUXdaXaZelCYaUtyomIAOyflDQQZYDTUN63/vH8L7LTznPrCKVMgc0aaO+WCmDjCAdZiIWCRHMSpNIEcPsIE8r7jUImf7OaGLqmO8XFmjse22R5XscfvASMw3MUfync84LJ5yasDua9jVwum3P7YSCKtuYl064kkAiTxe7pO+9zZHBkIgMM+aMkaZtUdLO+Ehx8Q4M5tEyZxQzyC4EGyejXR2B/tV2+YGPihsc3Nm/lDdsXbsHFKwOWdN8LJ9bV+rJ8isKpxZK3e/m0+IsJOKd6zHduM/On8tkTifdGPb7Zrab4XjY6fEhuOFcof+FiNxVDtoVbaNwgPsq3duwUzrlC113DoYKV3dlIFu+4hurjlKXreN2+T2xg6W3MM8JrDAml7JN751r+lZDG0fbdRx0fbg07Rv12GB6PhQLR2Npxkave7Kbh3Gx/B+HR2dm4Z1UYsRUfdNe/iBBug8hSzJIs9lnzZ+uX46gTtYSW43DIXaY2zs8P6Jb0Iq+yJictXfq6x5Ehs06WHKibjjHD3UohEFOY+oDeXGO1AvbYc0lnW12mbYCJ8OgzH2QdrlHu5vy8d+KyQnxF/TXbLgt24SmT88dIyNB7xISb4kYrsN5FLrd9YDToKS4rSOkM2k+6lYuX0jMQQpCWb3t9M1SGxeAuEd9axBMFBF4/mKg9dKTyUTcW+4H6H70g7C9G+njHLnDOy6+Zls5crzlZiOHXOPLbndQCQCe40cHl2erpZ5qGmMS2RKl6YTAQuQRj+WDCN0F2OEs3eK/rFbDMLSnZjJR9S9y3Uy4GilMGcYdjCTuVlaCdbOlhyM5aVUZKdycDTaAya7hrZcgGWNjuQzxd3cxaebrm7gADFOd6FTbg6RWdA35wYDSSsO8hsgo3tv4Tls6SRhIqr7s4qhFa8TnVPYxCe/D31PoBByGQq9gPh7RISeEuvoxLivxVBScxs5sllwOR6VYO9WOIY+iyfK2rt+klS6S0ZoBDMWRumyo42NRj36mDkpPO5zgs5hdMjpA+3eilfy9JbM17aBAzSJnvR9WsVRaLjTICFuz+TSAwCjCypZNxnVym5CR58eXYXfgABCvcZKX/dpjBmInmiMGmPD4ZozkRY7g1fPpROm4CaD9c7SQuqRSsEsCnkyamiAaFzUsiIkSAz+wTskoTpz5n48JbdZP2to8V3Ou7E1tbefDfFd81qdNTAkWr3iWEZEgoTb7RC6cNWd/HHo4/8FZDgQTKwIxv6u3hYOnrZHi/6AAXL7x9SL8jRM+6mJ3qiWUGIsmjhedV8/ERyTU9QdJV2p7U9EYejOqWNLH2DgcReV1RY8nKqaU3gWL89uTq5DZGd0FSusFcT/R961sptpW4OnqxfQu7OTUUQHUO/wzgPKampG/2odLTSEu4RIDI32D3JOvgKwUHMUUMdctC+Vhp0uBcPPH/uD+ClF44lTqVoK2QM92tfs3vT7GuPJeckQCzTmf0n5WLicoMX9HCoqUK4cZf0TKPPWCdUrrfjyRkslJdKN7seUUO+qaoxShLoSZpU89nh3y0YRMfhO0HSyLZ6vYWpN6wAmMT11O+FfGi2iircMtE7cpUpXMkLsnkAyQFyR9dLcVm2Hc9RnDjOOq+FUm05+Yb3/kK3TBkezjELo+pL84CaRJHU+wotkkMIi0/H1Xli/iyXRP2ixqNj6JUlEn6mla4fVxA9+em79qhJQ6GpJtVJvl5rXGL6AJlWE054bg0uV6d3hq5dfM9SGkkGKJEHREC2EZJz0WsElULHg5oTeLWwZeYKjMi5iXcJFHUB9+e9J7h2O8bHUTR1uyA2iMhMuO0cV5IRgijpd/bGgxU3tzcxatpa8gga6dYg4ECgDn3zdPRmUQ/bZYGz8Vrb525JkmRZMQwqyWu3YeQGaUpiro+c0kzyYd1NL+2GCU/jvh67xwzDac7xsNHK3qsuYgrxKg9ZOyeKG8Ha816FWhNyMQleAG6fFvFt+Sw1Km1XKghmOLYMjo4XYSscz6z6E75KP2L/2/Aki58SNZswggUgv6tS84wi+WBAyuX/q6f65zLHtJRrEPPT1LPNpAlOfcLhpdFwnHGoifrkbPDgQUiaFScD7Ir0Vru7S8aFshK8JsuyKsEeg2/yClxXNHaMtE2rOLVhH5L+WXpMNOxE3Ie4DPgF3kY9y1AQDJBFnjwRymh5SAKue67fHEsnGP4GYsE+KXebAbBO74vYlLwSIRMXCax9T3Lp37C30SQjZW6vErVcmMdg4wo/Iigyg2jTwJXBw4t0jBjOxGxBold2zln/Zo8Bpvc2HSZsB++lAM+KLiRVGTRDHniNBpC42HAVzWL7KQjaGFyXOtAeLWuSQueilQ8x6OmnGzMPcsHFx9E9G/kYF2RiLTJYHjUxeNHIiilhuZ64cpr2PV61I5l4qRwuy6jjA4xa7U1XQ9ViFjnFFurppfw7mxJvL9t9xTVX9JL+FifLCRHehPnMR5ge2Ey4bxB+t6hTIE9/yK9AmV7qoHSKeHhOIcVYiXbY26nxRuIamdSK4DfEngWM8X1vtCg+5iSko5yvewnWEXc0klrsNkMo9TkUPWefWwpVLS4m1+waJVa+D1s6Elpr60rpxl32QpN3qL+3GPoMMkf1CkG4QY2W+KI6hOmAwCKQD2/Tlay1m50D0E0LMIgPA6kFT7LbdrejJ389kXQ3OhdPp/nAv4Xx7BkA6OmiUeXOcgIktdWr5kUdC7imLvTuIYXFf3QSJhUHEz2AW6/uxPL5mIBqwRJVhKya6fhfoZytYDiyabXL2xc5jErVF5IRIm4zPVKBuHSDLjYYaRFz/xNbf47uOL8vp6PQRYYc8OA6aZauDQKO8jZt5Dw1h6JyFdfSZLl9KO7LCfxzEQoc0e86225tn4192AHfCfSbHvsjtv/1nwHnWevf5nmB3iQPFPL2EKHi0hPS9Na8Yr5jPPKXAoVU0yG22yn2pT1ba63+2xZgLaYErrGI90JR7MwBmMQ0GCJ5ZbU9GOtlYdd4nKhRXeUlYanxpBEgc+SjiZzVWIYrgkBrYx1ih3qIAubwudqG+unw1NhZ8QXmjjUdcX3yQ0P0A9+sglboVUkPrOCIgddu+ttp0QMy0QYnNjbZRv22831kbhowbaQc1I0mLvk3ABZDC/U5DgORIYb7eGzOmja5klx/fEZvpPMJr2t+a4Mz4L4xBtcgrp+N0TxPKLxTy05REcmSfA/es2kbjnHtuJyfSuq1FXzofwUIItsuq7Th11OEJahlo2Awin7Q44KwIFVOALjofdrnEnEk2DkSUwAK0Dyac83eYClqGTEyGtzgE6lUSGq+mTU9UihG0s6kEPQK0uZlYkmQ+0mv3iOhaapDEg8YJ6DO2iZ60YWkuTcIjOaFq31MfpWk9Jj37PbeNJHeGBc4k380sWw69qmDsbw13tBe3+M6JsvGTo+Wq8qnhQGRxUMlZ/iOFMJIqO4XPV3uvze0nRjgrKqSudu7wtfB4AkvuUFsImq1EYG/K7T8G+vkpA91winsBn4HeHu0sUWNaBjQLtMhq8aoh2epx82SxF8GH/J7l7RkfRfgwXyVPeNgMSOr6KDcq5YbBzj1LhDagjtKvx2Q0E0N2MQrzGYfmLa1hNfk8ciDRflgdq/JXzzDY5oW7cP+DBV5vYKaKjDuxWtp5Eb+Tn2r38Ace4S3lGr2gqKiVQxNbvA9gHovwL7rqJRg2aDHUTsUvjOR0LvqxUl5Pl3Tu74Ho5DkAvGGEVsQuUXoOYmxr3mGut8WG5/t22nSwX9NBAZK999ms7YLI8AqwcLLae6ikOVD4x3+SFdy0A2xj6rRWTkDu5FUSQingFNeYi+IhVZcakG77DILXgVHOW1gzqwxQPdg3jcnZ8Fx5OuAbKarHJVQmyzffaXR90O3Hs/VwfAeUbYvQybWlyr8uhi9KDEHE3F3UYDjH2bB6oKwbsIDmBCTdkte3LDtBbhAo2uS8XEMz8ut+yag/ezAQwc2UIsVUdE24qcP40sE52hfqWJQE0eTp0yvXdyzqBbQW3F/8PJykm8z89PWYoMbGbx9oVkkgyilJdq9EbQXbTnXyG/AkjMaSQMv2HQKIQXcn7P2sGpsUG2LhDSMuy5Od5ZttWQZ9/FNloLSfciYPbP7+ZOT8khRTa9CbTqUBFbixuEGHRE4YQ5Ok6FYlkf7GvWvR8CnpBf0mSLkM4RsnCXxfhIubr+JhB9F3UJ08FqwgFPNj+NlcAHxrUi2fmxixXDxx40cPG/fF3tCm7Z9Wtqv4YDnhVZRxd4aSx06vP9a7NGrM6FaZ6SDATlJ00WWOiJiqZc4tmsV2w5kp03Atk4H7NLt9pptss84f9eNq+N5CuHQ5zSX3rRZ+MAZkaArkp5AUV7TWtGJVpsx4+UyFDx8DzYFPQTYWLqURGByD2Lwxwtl+0DTtRaBh1uv6unZK9x+N15OGhSn4HMfX7T1R1W3TjhCkDHklXDvfBi/DZWZQ8iZyaZ7QRIWSz3mewzObwe2bbXxnUjhy7HC+FPX47T5IPJjcCpA1oucaP0p215VCKd3MenGzsjw4X57m+8B+1mmeTlZTcF4vHdbhhBwi61ZCITnuh1H8fskwDzUz29fVi0EPjBIAiNC0Aa8i6TIayTISrxHz2H40yShUwkRbM84C2D79fuUOQl+NgG2CgY9qQCC/p8VW1j3pfjGNdSBGpdsC+5u/0b/K8qUzntrgxQB281AVYCkdNTVnQwtDKi+CfGGDOkvxVJC8OerE+LOw5cRC2+qC+oXpMQSveFN+hpfOo6mwlN8/UFmaBgcQ3EM2T2vJhXI9LKRzEx+jrGO+62JhYyefCAVKIpoqnALRRpt3MySZ9tXXqbHi+lc7P+erRTZYaXtePophv+V1M8OjULii7XA+ghctsf22VI/U+WxJJB6webwrdKGs3J5fQRq9DLRzwH2pcV+kB4MyB397E++CJalQSh0+INyc8MdYyjGxYP83C3waC1ID8WLJODSwurIvxJ5Ujxes1QRftKa3ozrQAwQxvDDx1s1+lniTxBPVhaAOY9DwYncuj2YKgGcIpCZdzgYUtIDD8TfioAJrIlzybdQ02VzSYhwTO7j4PF9G2Z07CDhYziWhlXIrNfcL2tYN3knmcl6KAdgGHmDYQbJB/N8ImZseQW2wxtunPJMxSX28Z7W5FaWExnpvk8JdJTpRoPedpds0Isbqf1J0N0j8Q5czq91jANJuX4WrLo6BBJPH2nEyzcgxE75Jxhi36qESI2KOkgkGJvl2WqNKvEz1fnuiSaqC1tZjNFjb2l11913b+s+UtiTNx0ZcnMjRAYUC+OKeVDcRxLT1MA50e047NNPr8gCcY3RvwPc6aU+X4VRhdfxp6XEG0gPeH5BXRXT/yNa0TpJZFv4lfbhaeGFVvqH0axNUJfFUnFxnkHVylQoV71W2W07hKIIOD9sxK5gnkNViI6nq/WpOjcn1XE75+f322faE46BxZRs/qS30qu/iG8njfiPHfurvxByvU+JdT7oZNx3+IXBdvXE8P/bp44/Ngtd5RizEA3rh7VPimWApVel/uKGLGaAPUq0WBsxBGn6EhV71KiIZrpVdZmCBcWmJLU5WSJpBi21xVA8s+vpsGN1tEODT3Aq30x1OsP3Y26hOhXcyartFvUT9A9daufkdwCDWN+L7vSLnpo8q+pfuUb5PRWsqSr17xPP8zAiZ8drylEdgK3DJyWtQm5XgQFgFy3jICh3Q95KF5Bvtxf0VoWWTo1rFoLA9NkbDWBAj086kHvqPk3GkCGzsWZkVAwNOKfl7AcZ1bDF3lttoZF+ql+mBXe7Z4Zg5j5tfLEF8Vq7vF5XKe2EWhB1j1t3twLW/WymO422PB4JQ1bAE1nAW6jTCBB0YFewJhGf5b7cp158eAzMmezJHsBmOGz6DClQv6+S9apeqInnXPNKhKnbHRghJel5hrZdAxkVYCqd2MArZV6l6LtpEf9CpIzzDiQEP4WW+1lr5cNhSCXjSK3P75fhknUbYZ/V8EQYegD4u8Wb4wbWbKaCe2xX2DQB0SghagCAnMO7/hmaly+amzXIqfmEAMGsf4e/kaGqX73X1EHfwht5G777+dGRDmal2SnkxHz2S1sOlhBkVoMcJka9lkLr+mpHTPYKmx4nbJaDDO1klPmMCUzvR8swOQBllAodk0yCJ0RkMSzvoQYDxW3vwvG41Ac19aGJZTv6oa1e3/hqKJCBstzNfcZR7upSc1nNbQOI+31wHuhtuGH4eY11k9X6poJbj1BcAiCyinHOddgA+/4/mTvZXbUJVb/k6hNtH9bRdGt1a5v2i2aRTi4RNREem4Z78flVAQOWt/wUWgUyVfiXCN2IPxHS9WsVrwLSePwAEl18pRg+6utKGlLtL2b1pyX3lAEuxS4oV4sRROBwq5fJ4Xe7yxN1DCDaGtJ/VwK2xoIgQ3uKt+de3s5MeBWIjC8CH4MUYXBhdXfsk1Z/Pkr16kedoaHVuYeGtlrmXf7L8h1JYZtET1HOT3gW3doPOYmO1Z2nXRJK4dlY7oPiyLFhXB/jXG4AFQ5IsCdCiUJJIVh845T/Lr0P4FyZK1d1CyM5j/VWUgGG8taRsxUuWVGCuU+AE7WuA1phKCWobdM3Ildmdt9zENCpIs0RnfaXEK66oOumPxauUOhof6ZLO40nP8TnIWt77Ol/f1fkMvUKdh0ttCkF5Zj3EP93em71Dx4pUX11oZ34DfC/9H6hXLijZsDChAkj3htWKu9CvH8R5pJZnk1SfwPa+1i4stdwcNC5SaKOAQus2HvtFSfHgV49D6jqDLD5N4m32eYy0lyRCbnv3twF24w4pH/707lFE6eYcG48xoyxXjzMJuo5F/xjjpLCgbXNaZvm50G5uxt4DpsekVlVp+h1bm+R68nLDVA7iIhOo5BgzVBkf7q7ImxFy67n3FqHkJdVsUoCdVeP4eKmJm7GiNxXTjKUu3jvVXD1lGR7S2hGgpCgG23tFMcNOpKlVuV82zZgdi/pJREKVUnL8bxWkwYvh0oRTO5eUyy0I5yCHorXB6czbCKUhtD8E0BOrbet9ZMXhRRE3QUjADUg/fHX4a0ropIce2zZqM/gZGHUDWbWbjQnSiMlxnAnx8ZogC5iCydX4GSY8mNLWZroi0n+4tT1U3TQ15vQ8oGs3Y5sxAtZTb4X8m1v6N5G4hIkDoFb3fKFC2o25ddBj16qYzcqYcnzDWoawCdWelGe2Qyuivv7qb3L0uJhQi4NFm401d0izR1IxsAIeQePNwhomJrci61jXdLUUMB3jQ5Rq9xB77wBwVxUGfl4YaKygBWACmIiTjR6FdNmQNAw+/xjE5q0FFc78Anpm0eSsfNuky82h5mZ9cPcj71aQ/Y+MJQw596WORlerPfLHAvxbKWX8SdEUM/dstY1wWA7/ynUn86JwC6je9lZS7YCH6wbaW+5rYIW0y7kSOGN8i6Oaww5l3OBSDKUhNkeFnUtQmy2QsqXOk5CCOAJMI5m+x4DN3fn8NgnBQTGim+WqY62J14LHLXuPXbu0cmn9ZaBG2HrSo4Kd3pnHrbzHA7cG+xABarnEcJTj4k1SeRyPdANz+jtd0Chij8yHrHs99YixicmW3mIH+hYNb/ppC/jNdJHaCI71WweVGQVCcnEgUhLgyvwSScs0/1z/+BTUOZBs8/kEM7bC+op5VRo0bbbkDAAmS8ejP6KImmpoHtlDuZCzwIW/TYVx624c9wNn04d1qlJzC4fqDQR6p/BaiGphr1nYtabROQU4hhHaMuaAEi+MPB06jpRHBg4fZHTZQAyIVSUJzulBLmdULEW+9Z5OWupC0hQE4My1NUOmwVLVvr4bzAacXXnHC6GHBXmGdl+vEX7eJbjJS4FKl9/bhG6vOvAwvnBZa/ICgqDVS9gorVtbSC5lYqHPgOTj2ATGyAK4pPNwcHXUcz3tmKjS8w8BbudM6R6qzbSeXojQ9GpDmQdBJ/6NK9hZmXhWIfZjhfIJ+xx2rdmyTA9+d9hAYnN+g5RtK/p+aA9+kP5jCXSepBZUr4YvaXaib+YrHJww39FHZCI1k9A9l2LK5mwf0vcrzZ6tZsP6AYiH0RCB1D+m1IxBb/tZXuSguFDNE1kgJD+vmNbZBf/+/yLtKgeL1C6Il09Z8ehMc+GIQ8gJ29k5x9rlCozN5BgyKI8dsMxnSgYI5FgmvUq0CHyTlqDvsQj07BcJEXwrBmw9KxL7I90aAMx8ksg18bcFAeHcxSby6KtXBmbT6o1aUqkhlz9Ii11R2Tj4tw2bqAFnlBXXWPA84JEmnsoePsIHuym+vi1rzvVYTUe96hbLvTlfnSt4+wIE5vtIP1mnJWjDloUajWbiYmwtX7bNXvjSmBotIIGjFfAitOt6tU14ih42DRbm5/KVr7Ks5HSgzGI4dZ1f40oevns3tnvh72E5te2S3Q6vCWJ4WFer4SIBEt+9y+4ioXdWrsALYC2vPdTHGtBGs8ONyOx0BAol7KqOBEISZeRgB7lSNV8Ks/YEeB20C6S6W6Jf233a05R0QayDUtqsOHkUHXY0fVg08suLTQKgYmef/frdQW77gRB/oGXIrCWwjZB8aHI2evDA1XbkE9jYmQJd0mRJI+tL/Yig8e4FiKiooEmK94tKd03vGm1a+zzECVYskzHfI3COP+kA5p1b9IBzICA4A42/jtrWww2dyQ+FJ+IDCLDt5J6lFFM3HuObokhgf5R95yKWuzJcSvJARM4k8/T9V7JOqnRkxwqduItpiN/2oc1Z2HQQhQ4txLpApj4ktPXLGNBQcthiFS/yrvo3fxhY3vqUMcYjz/PMvIrbEsLIwOFBI/gu6r5AIPdvbFlepY6PBxsmxIaoLcKgJVRJEfpJTzf+AUJqPO7Fok1QXLQBmnTNlTIpIdnb2u3lu2wks0H3ixn/RD9+n28dT1hWw9YjFK7FhR2ek8N/69J26FlzsGDFt9QCOb/GerdaFmn06xv+cNHitQGo3FCkwRsb5I1g1d7btbTBhoQai8Fi0vyGgbZRmWC/aSWsbVZn8k+5460Ke18ruco3coUOWJNAcJWwLbTj+MGf9Qn4UWpjREh0tWHmqtjvBxii1nOnMw+a4Dn2jlIupLmziV/IwZYcsftgIE4zNUn9tifw3XYwg0ePKliGfC8hDWHkpKzxyHELHm1zuF67K1SwLWXZJh+tiWDVBpH9eTlZ5aRRUMYXLdItxw+ZPNh0NtJz0ii6QTEeIkQDHqj3hRGX6IDV+8SYH7tmO+WmOW7hW3FhVJfJ1ydQhZXl/gaTinSCo2GElKEWUHnp1I+gjsi1PIdJE5RMh470FNkU0NDkaV3peL3StFTovX2M7/eYyhYJd4N8L/6UKidpMcSGRcRl+jdhYMuOybWv6wW5/xl8yIgJkvkYNoR+gs0N4vrYgZVn9ffnFBqyPnguVNDs0Zy+L6VIkvzTHA9KOFMHZDoBw0kqtOTGnJjkMVXmQhFt+BKq73GparixR9HANRcV9xTjO1etgl0Ne0xHN5jh9XAeuxyqeQ+No9Ys5IRw8Th4XV9wu4URvtcIwHnn4t82Ekyv72N0Uhi1G9E8uDzpEHQA1MNCWei10BQADZtopakB0IYEYVvZoOMLPYUE6C4T1i6UGi2DMPGQKFVUOVoUI4niB039d9DtCAEEOoZ9bE1Aj4tGYaZUfTO/UO1SKTlnAQeVxLnX5MNneg1GyPb6mY/DY6eFk5wU/TDueVH0pORE+//I2lj75Rv1Vyfn4kJ2NB7J0PDXttLD0QfG2LO52aoCyG3lN6R2Ezp4EqbtEYVMEKnULWB3BtBWaYNCX55XxrZ1LDiBXRVt6em7PWjFesTOYwtFMH/fLshFfh3nCaF10QQNT3uvZtVL8yMIz9AtPVuihM7Wv+EiyjG11cGSPhN80RH1L1qBZV3kFtlHxGW/81bx1sHJ7gCi8es1/k61oykAXbDfHfPlfeu0RhN3Ec/kVzcvvOMwQGXnF9jIZ4olbtGUe1GFbfLYbVkTtWErJ/DCmp2eb256tsaDcU/6ZmoMzsoPKLUxE2R0Lh/LDXWLl9b8p10UTITz/CTW66hcTPgjmTnnS40UhfIIE2P/J3S8KZUlvOiqP/mRUL1hDJcsxrrfIBRpUjxqKDI9yBkZdG8koo8kUq4RW3+baFt8rw5Cs8WEOrNCKJqgbNraC7cAmwkgGKasY5G+r39nvcHMmc12ZzAQDE4uGwaC33PjurnAA2CSki3lr6h6cZJb0HFDkdC8WmjIVOEtn6Dl0ao8GGoHNu/xuwApHt4lIXgJU1lyxRyn2QRpTcNNf8ZutlrtdXYgXaK6hZtPoV6Ew+gF940YsnMBKOiTE6K48cjit66G4nvz/BQ5vMcn777zaxIjmWeG/YLVMp06ELYCC//1jJqSx5lyDZk83lf1+FmrwaqOLTfNdHL8QPWvF7A3ThA8v3MML1zu5LW44bpOOVosHq/TXrvIlJGRNkU6ZZeiyNA5Wm+ZCGlzujV930cK3xvXo9JSRNLOhRVB1n0nwqHBDf6ECGcHzVbzMxTdpZgu4eDZHOIID/IWu5ceZg0dR1l11j8GTPif3zABT9nLarZfv5Mt4bSBQaErnOw2i7JcHa5TjuarIC9edEYqBr40vtz16ucQzZERuUj1dKJPV2dBpkhXWpHflBcsYqYBaU6h3WmY35+mPBgwzeFfHeFb8BgzfYtb9bF8df6CcfZChISTXxnkoczeID8+jUvUkqmQcQ/SeC7tcKSFC2nmLuB0s+nYc1/gYWsgWjhaOZMSk5YQ4yKo5jR8JZsy5Wn9ZAxS6YYGl4Pd19xWTZbEEOpJZ5w5TBOIcl0kzhvXQNbhJjwYoV0aq9nBBtzQ8SQc1JF8cUQa6ZwM97vZ4FlJQHtMjxH1X/1hr07xs5rBigskQ4BuwCfwYRM8GIfjhniB2VlpTSkEJHtZOmKm+HWP2XNKLQJRscp20kwOPly3DAfA42utmSe+PaFQkQbY+GZBQ/u+zEbD8e6DlJXfPkhVkRkeHhcvv+C6YwyP2mQQwyzDOEwVa9/wZnfJtezIurTkug6AHTEjuZ1vhQdN+kXjzfz9xoTN75f0q2R51WbcU/Z5BEP7b3ZVyGetq1fjcW3v/fnWDGvYja/mu2303RlxsTUum3C5UdHwTMFQGk0E7lXauOLrvXAYT760k2iS+2I8q8kp6ukl85Z7aVnsm1rp2lJmVkgBBm0Y4BICGhh2r4LgmF1f80e8kQWwqKJVfi2Qf4QGj1wBO+RazKFdOZUH5gBYTwFr59vO4h03LKCyFWGt8W/8iND8wLZ7OY1I++wALT/rB59sNmU2MkWYzYMp3Ql71Cws8PaxFKv7k2ZW88JEY4k0lL9GJHGFHF54ViXEThEiTqWVInhOJCwTIbnYzxKDQtlRi2H7j+kN/GpOSlSreU16LvOMWPS3ljz89GO8i7gy9W23Cb58mBzpt05wYbub5UpcMVco9EfoDpNo1QOUjg6CeLQjObvzsq7CumSWAqVDhoEA8djZlznyMDuyKhMobnRrIZazEDi2rLJIC+xoq7WBX2GueiGpYO05gnUyYr9rq4mp8DXv3bdqJZBz9pwXTkHDkEidUd6uO2ZaeZI5Br4F/+X0w7AUYHL//Weu1s9Sqr+i/xi6Jdrz3ls4IILzijhFokw2CzKYZIeqjNLE4FsZb9fYe/nyTrZuLOKsg0Alu4x47+7riHNqhZGWjbM7a15XBahRPM8hIRP1bRriXTct/A44mDnVuodx9qc1E7ZGgVSwyx7xCyGL/EJgWP6d0nJhBjHE1ifnRBfsdJjBzHWJ4o25JadUE0MY+NMlI9ZEk6DUCaeJowlhN3fzj0zGbnr/KbGhmdFdIwOBuJXpQUrHpazAEh4dJQhPfiAvRP5SMkoXZkID5878I9yIoaLD4akQOsQ6GFt9AfvO0c/KmzemyofuLS43BWxvwFNkZhnVNsja0aQaZxdiMkV6/k+M7xXX9GutV3khfDsXm0tuEb8KluZCHZhgjiSJZP5SY3eNxiLffmNJyTH35c1tx6s+jgMcKySRGRPlr+qnHo8s2lGO7NuZUh2ggUS/YRbuUidYnYG3EZJWjIWglMFfkAnlh475KLfSwEtVwHIqCMjjcZ1t1mpJFiQ/iygxA6WG4LDbChJ1fFMPgyX5GO+q+IuToP31C9Ybet370fQT9zcXy7rFPmxQXGTy3EaCbI875+YiU9Ylgeb3KK1dZb7EN5idDnA7Xx5rocaW2Huyl5auycIam0Dr1Ap6L/XJkddSEb1Q9PmWmBEVD6jht+uoxklUdf2SKFY0fybh16S/NikiNtnK3gc/Y80XXeTwxoD8qGS2f+yniuj8+NZ/lhEdDIrrmqNCzKlQhm0pa3hUh7nzmDAQ79DzVTqBygxQHrOQ/Ll9Jw/l8/Qy8G4qv7Eqt9LAxRJhQDyBjcJdhi3bSfhISn1KXZB24/qeFNoCdrlAh504YdqAp8gPA+Dw7xkeeoK4ueOCej2M2DGQay15tXP0qU3yK9Hmi8BJY+AiKt4nUaqlrtuU3K2McR/ijZ8nyfyRCr9QSq84At7zLnfjU4wwB5O0gxVBgz4xQhc1dO5o0cwyR3gztNjFjfkQATeRyzGxcF+U7fXsnxGv/Y2psMVzl8It2Ul3Y55zpZmIzXTg9umVo23kKVDa1gNC7PnZwdoqicR+aWcHaiM6CavZcD10wIYnSMg10VSTxKUQ1SJflexIL/Lz8nEOoB21hmW4m2KM+7OqX5q/2pUN5xzjkAEBfwFLdd2tmzC6MLamo2QbTLhNAFBUzIctnv2plHE3YbPgVr4yzOM41yDkcP49suYCAjsyM3JPOTqwQpH1eBsQTwBVqn42IlRlPIqPrMz4dCi7R5jsBJEYxnlGwuT15nP+EAdGJ29i4CevRoJ/mMeAOd9K1gWiGcZOMCQXzy06verM/OJtlE2PKzMIhqb433BdzfWDj5gAx1aG/XJDP+RGHPzJBGhD7OuqqI4vRbXcM5+VmbcThukdvYIfkgIIit530DPH3YEQdeFgWcoyDv1YRB1mDFRLSa9splRH9PbXGPYcIwi0PjtsBHtmZxysbZJ0votwR00lbjvGB//emmlizSGiA7DEq5ETAX4psjn2LnUO5jin+oxLy71tQk8ektO8+KcdlKXkXUASJDfcCWm6YcMRoh/Zbc4z5IVO0YNtZoRwtMwN/eNwuCWO7+UDPEg/7t/1O1tW2sVFcwNM5Y5MlcbHkmBnad6VIFsfHj8C8nha1fedO2N01SfdH/bJDks1EBwUZBABXq/KRRkDzNhu928ExmuOCbO9Rw7p8eoqIbfWN7tU5ZS11AVkqsur3WJuojOMAm0yz+Gf83hFE+ohNjv6ULRndV5ykirqJbg33XxHiBdBSpGx1F32nmcvmhzPobGOA57+Yd5sKY3aR1O64+tGNJken7wE27U+LNOQLKHEbeIETx2cNwXM8X29JfuXCEr6MFRyGsL3SQJsW17g69oIP51ctO6Nr1IMq9oy8aPxxgHi+4OfWvtdkSekyrjUI7kL/qJ+Yo6Ny1tFdRcwfF2awfn9xGOyV6qNETTspBDSbr1rehQWNEFD6RkymwztceFAwaH+hi/+zT8Txeguz4jgtN4UdjwkRFItxn87S3DaB3ZXwhtZr13r1BSJtNoEV7wEyxX7cfhrylxf2/aBanrakCdMQ3VGpNo1LcctXTIpHv2+pbQPX4SpLs4WeQtKVNf3ieeZJWmXl5/oONYXcLWWdvMfdbkRe3/x7aAY8CqVlqT0n0pq2Rkg5EjPNmeMb5yWTn8Suimic6aHuqR5IqWm9oq1NRFD5f/4QdbPrt8B4iyh5rC6+W76VK+ln2353FCfSdEjr6HF64Is3pHBSZZEd5KhX32Cx6CmtXbc+K0KsFW8wvJD5bNQGq4yw0eTBTph9ryQ86s1Ex/LfFRtHvTa9FOaJj0Sg5CUXvaQUNSz7lDAUOZi+vu4AXYxGQ4jwDe6K7P8q1QmjoyPsz3cyWTPhxjzCMTkXvqvfsPnMwn5AjMmpSSLqmGzipcDXqdIiEuT2E+rCyfBFkXP+hagsUymp0mYfT+IruGcDdH6jeXmud77ZnH9mo3PevV5QX0amePAmgcp1SiurBshP/rKXiBZznjedDx2rVWKUmIP8+XfVnWsYiQKpuZ8ev2fL1ufc0r5R+NFoixN+YlINgUDGRGJ5O86T3XnXPWqX4nhc0YDzrImjJ19B6ES7TaJlLfTtsU3cULAMrIu9UMTrrkamdTxxmNuayBmVa7x2hsiuVqVwjYlznU3gITEMeM8RcKEZ/BEM8jOOMVU7DVlhTb4KuCN5SSCtyLR2TKDjzPclzmLAoeyypY6DeYi7AGiC/1AFinoLpQjOq9GQbxR4IbjnXuYWjqr9oMFMzipvqGsN2lqNYo4WMNmqZr5cbW5myYT20oRRa6YG/wjKpuRLxGM0S3jWyxcPIArF5ifLA2HBPxWwFrVsx1yt6/d6ovCltOjWtxi5Jzh3U4k0jq09IqN9KOcowjheJSNaVhWWi94qkrf9TAuSRerl9Mq0nJFEeGX+zHkv945c3traeZYPi2UcrKtbyDt9cUtMWe7KAXnplzw61aJmRX488n9MZy0hOgrSTo1WYO7coSTkkiSZmQ2Ltn1PfrqcEFjGz67cb2H9k6BlnUUeambpzoYSnF2WmGU4LrEq9UZ8ZLGNZyhZkmWYgdexpvijQX63b8mPTOmq9Ivhbdrs0wCXeeIQqCtBNZpSz2Qhe8ZjbbwoDbQcqbl56uObJDd/IHCZvEROzi31eJlQossIsDC+vPCbQSga9GNVFJHP4GAGzslczaLhDxULtYoLD7nuOQG1yx4pMIb5kLNJhHG99A8maYVuLXXb8aG3bY2eMYlas3PManToKqkDuTVQKW8+2YY3Iscoms6EW4q3aEJG1zM0uL4cXvUymsOoc6HbEwOEaYjJFxPQJQzx6F6yLmhkciI+F9IVDiXkcPMbECjt9BzixzWFyA8Lr6CQeqlcXfpODUdXKUaZpTEADRKMrfm8gMiaDiU8DJ8Lg0zZBjaXUwSte1lmu9XWNwpBg1MSWrkFaAJLGRodR0Ad7tVam8VV9fUhXPA3wwNO8HkBEeFMTOhZ9V/SgS/iiSAKPHOmwgzjybOR50jRqFwmlfp2MZlHycilHJ5pA50RAGsXFAEzuXCpRSJWeUqdQS9TsTPCCGUy4s3RwrNMWNnijckIgprla0JHp+dgQKi6+DW2HQ0O7MydDgetnVdWIz6RTrZtJWw6vKOnzkw+8aj9nFz0RIaUUvEhqfTht+feXJBTpFeflK5U4YqXoBgC4CEO+sko2ndSO+op8sekKtE0gaSlyaQj7yUpe9XJ/asCTvADGTyQFWHXPNLxz/wACXqXI9GHzL6FHTfFX7mJK3K3dzSy4Wh+9oc1RDOimy3AOoyWpwjn3YS9V5Z/juI4+sjihWR0fudEh7kBPkG1LIIPO1dJeeIivpFKHEXOpJGrO/5D56aN74Aktp+J38OZdSFzm/SxIgyzjIYmZWFVMlPSZKdLOc6uUNj39hAnaCPyYH0MW7ynE3uzuq/2ZA7MSJJTG7zhVDvju4lEb5HNjQnHFzH7elUUSJRzMZNuGBQXSo3GaLO8dOtgwCjg068qjLiw9LEYT7PX6MRn/LeqrH5RaFT6zW04D25SGMJ2Ue1w/4GjGFynTDU+o2tzK0+4JozJmW2s8hClHR+eCnhgs0Eg344Jmykw9OIxoutG4ffqy37PIgaY0VQ1dHSiOGRzAC8r/iXIOKMqxBcfcOaHxNwcbIHvSVTLJc3IGzqoyaRPHdmu8Fxqv9LxRw0EWwZb+zwlEXvirRRHYWOyXB6aGT+OVVMyzJ8bq5q8LoQsyE0K0Ep2Cfh9Iu2AkkLdU5oQTTw1trLflRHLW4tyD7smFkx8XQ4VgtU5ULApffThn4Dtlbi3zqAtuVVz1Z/H91xVoNbTGAp7wy2UUC+847M/6w8O4GDRkrMorhaHfycxoo/dOgQ4AiIy/68pM1rqugdrT3QzNe1lNkAjOXPXOEzuVd8SuFu1Q74n+KkRRgmDiIrJd20fp30ZHHSerR8u4YJNafKDOqij3hkgjPD2p+ZsC8FMYjIRurKxyyc1ilgchH1EE4AGKrje76rl5AuU6f8lvTIOUi0+SmAxmufJWjomrBh60F4GJywY3Sxi+e8w4iWOdVzIeRFhllQHWjxFJynyqVvGp4W6rfo6a/fUHjhZWeMxBhBluH+RNPNPP44Ehnqngdzylk+OvqRemRjxCTcMjDgVobOxz4vFwEin2PBInCMFWAOGFalmmBz5F4o+xtl+GkAjhmMxB4w7gnP1H8V9F44I31l5TGbVC2EUi/z8D9wi36U7ENAUAbnQD1xx86iMEBln9RBD5Evfs9vdH93J0dpBed4X+3HNUxq0Bfp4Cjf5yHwfhxMd9Hxa8zQ5FioD7CAM5nHPbVTDR9K/vyxu0f50LuBAJWFKAhlJM373uCUxDlE1Ywt3/8XJOktNqgMDA+rADO9IrNspKxXI16ETOM8EMDcs6K8Jh9wbsBN1U+FhoWERLavlTo693GoS+2irBiz6ManLrmWLnIYXiddHbJPVgjEDCWGTOsOhdmRd8VR74cCu+OltPqH7az/U3wkgBk+/twvvusjZaODwjKrXtAnoBATjaaGPG2CypfVPZdSu1MjrTf7Awx7D2dx8M/PUxTPxV/RIHPTczG6b999y3gVGxTXZDcAgup+enlBj1JqRQxizW2L//45+7PVYuwhaA6lTgHbSrDEKo+wV56QBfcn3AGO8IhCD6VgGT9klmRFAO1tjcEzP/Fu1yhZ8GvpfUBi/JgJKYZ2ULma4cJJYC3207JP70OF/3y5YF2cjl6/CU8v/3LORwA0jQ7415BBwafUDkTSpi5/zSytTFBtDe7e1ObCLMtEwE48o53gl2g1PReYI8hauzMkoVbcotoD7/Jl9y9ppQlGiM313Kvr+SHOVoP430JGOApcHGhjmj9VqSJJ/DU2gI84UDhEj71lHxeqcCaAj+1k/SziDpYixd4kgSWP0eviYwB079bLPLvWcToLcR5r0l0i23d/ZWfRm2CGKbefuFC6jJwwEH03ewZ/K5gL++W8QU6P2e37KZriPs6Omc3f2lAKCB+8FwL/HfrFh5XEFRFi7Qe1YEc7AwlYfss0bOICsWuEw3Si0olLBiZVuvmjaZDP6dhm+l8N0gH14RqyFoa6zxvkbdI0cr+l4N16k4JSmIz2YnlEh57t2J6fTKJ4FYXFNTmfITjjK2slCgISV+DSQ/ptD/hJ9cvF8+1CFel0yQ5WnUPX8U0kCDmRvQzDV81NcnhIPSI0dGEUcy5kESVM0ULKhcvtp2AjcWj/3PnNOa2wuMjG2HapTipchnsuDaQONPrYIBygCC3uC9xd4YPxhn93XemG/tbLQ2AXD8/JP66GuFfkUKBfc91QPzZ4J2DS7pikuqaUu4xTXc+2aVl8B5+GIYRjMu/aJqGruU7dvpy+wf1oQOrgAS7h+GSbOV8qiaG1ryYiyNQ/alJoG6BlSDoB94USp3l1tN2Cwy3FNELw5KADozq8otfdZy1oyGkO7e23snmJlpYfKtDjkUHmVjhSkdfsLHfqABFVO/vYVusGbiSMaod/Ui2oS/nlXPiY5qPkrDVl1qAJ5U+cgMwZwztE72j8Uhn8+lDirPYlTY00n5PaNxEEUZE/G73yh1mGN2BBc0evlsY2EqsM5doYWFwtT1sb78eTVzNIHS6UN+hYtCjGmTc3NjMh8RFRwbbGd0/uxBVnU97+ZlyReqAQ/k0nstOs/8UBXhceRSQjWEL2TA0uIc3CgoNMJZujxSc5PW+hdn1mkvBAs41ovP7BE87ktIXlHOEwV+wbU+AMRez3xc4M/vHeHIS91b2Hvw4PsZ5Gqz8Wkc/se5mXFgtJcueQf34H2dfJhuN+ftnwZ9rNixFlXxFYuMJvqqeqLNx/+YMtVdfLwcPFxQFx6qZ34klaOobQr/rWEKm4pC5gXaiiU/49yOzwiv9C4T1WhNTu06XlmssUQOHF5DzLf6JPKL9hCcqEDcRc9qTYMWbWWB1W4QBuMlI92oYjUB0W6UwAj2BPYaYGuZH80y0xUI+mYKhMftSp3d4vQRY01OR7NSzlYQX/Mx/xGeDXDw3lM6Vufyx18LwAyhp4fbevyYnEITnZiM8LyOOglFD9cuvUfOB1imW3TazshVduu3PYf6zreHnzJgMasXu13CkRY3g0uLV3m4DTi5MUgr9gwouW2JS/8FNI34KKPyutas7onYVwU8tAFwynhWNc29WBrhSqCOoFLsey19wkjB4bBBGNGoSBw0E/hFtwYaRE7flGj0pThEcAHRy5eNYCCaGWtZNplsgpCA3/zGWAUfB9i7A3TW2P65719paxhBZaF0Qcpoi4ngJQpB81gpdJ0S+pS14bhiKBphoqzQm2I4yEoQ3TvM84KKHBVBsPVnmCNPn0YMgIYOf8hjP+ySJVqmbX6Ks9Jh/EyeC4Pa0d27FbaO4yTZf3y7P0cuZKsTHYFn7TvTtK2xCFFVwDy2xE0YmOVSuTyZxktRVmpznmkbhiv2I04pqN6EvQvjHABJPXaGPn5+yk3P4SW4gF186ZhwAm+/+j+SLwGCOIvzqTwNxHcqvTYgT/2Ditj+6S+Wqa3ekcVzreG5b35arobnojzE/RER1Vf6LtUbB/OnCDdtgcpLBxeHItI5Nw4LiCkkfHFFM3my+yr445bCmWwpScAHUFZ4xEaFhKbfou6XdZsTRodbJ20/wHXCa1Vu8x+z39Idl9ZGA8qVL7svjQAOYjug0vQWCXLWA0dkE/QlB8S++V4b8k1M0AA9bN/xAPRjbc0HJYfPBgzX2BJUVwkJJztYxOB//s+4UbpK40LOUUAhJzTwIUArSAM22ElKCxDFBt1iIGU6hOWWdXAFq++f4tOmGbmG1Av/Y45Wfzzs+b6L3q9ZGP07FXU8k5R66KKecvCaBgdD2cXCaeq/tPLsdmDpNKOnjQK1xq01hcLReknzYsTR/KiNoEPv0lcRshfef4h42XHbcE93bqkY6LovIvMecDRQi3U/pag+OexUGYhSZIryOQdiVHR+PWpOllJtMlsCQ3+vBV2SU3Skfv6oZdIFd4DknIysPDCSgPxkbtNoegN6xAbhzLSY2r1yc8tpjfA8/hXYlg5dsTybmG/CacChXRwJjBM4pasgvDKqmMK7GJekJqYARFw0KA1xMCg0gDGqconELrVrspVrPGv9ON2frzxnFP1rmpn5IuJQYl7+6CvoK/U/MVo79AUv2zf+V6Hvq7WPRtc1wnRFnhiSF73Z11jfkUlpWywyYvxXBlLvRtsELDDxGmvvO/12YmMsImrWkS3wAp3jfUv9k978b4209VmITBeJP24GeXs9Bo75n2Vqn17gqoQ7G9Rs9mSSN/SeJ0t55pGl6lENUrNxE4c2YZia/BmGqcdgmXdE2Hndyb8qhSUkKfepDRaKovHNyEy/JbiyaDfspnfztq8yYfCZ08tRuCMT2Uq5Fz3agxCqtrAV6xGYft67h6AqZZIqU8R8d2MfdT6P20JGOi6NlTILWDgerNTK7AVG5De4/rNwZhCuy/Z7bDhh31u6y3lQ23cj5CuhOdaRmMJJJmrgX6i9d3F1NneB+PHPEN5Rcr+hB6oS9UZJZxy+FESVzy6C/qORh5l20YpXcOVoKzSKxRJQR3V/zPkwteTHwR8A/Xln1AgXfCSEf5hc+LduY/lz3eWrisUt7LoVXQQOu/qBTQO2Y30GXCohO4/Bsibmys5q/d09RKRj5LTascjTj+oX1ElZuTo3Pdmmx8gMXfzikznEMfj/g+clX4iUZM3eng1ljPyElpd/fWYowQ/7YE2dzcGtsBx497iXBrfCg85ENYsAHBNDP0ti7hS6epVcqHhUud+g2Avptt3EQ0BEs6VgxO8e5Ll5TwmhmWMc9tt9BslgwY5XAFyjLsBow4bqr0xCmFYr8NucLOk0+5pQxYcW4TBDgcHnkHmUVKQwjT6ntz0dY/iIUoC8gqKvk1V7f6H0T9Nbe2V9RTAUbkCU2e4WVVePxl2pnyarfp2wqyJeU4CK7w9nK2EkDLTzI76EdI5X2T6uLGtqRKG3iZf++qLR4qr7fguZw9XUbd4P+Ta7s/i5e+4T4kX6c/t1FNJknOATuLO4mIwhEDeSGcMAa/mGXD0WdpzH3T4ImNZlPgUixM6lstTuCpT2A1fSTmjz5k9i6ab3MSPJ4oq8nUVRVq21IUxTHFJlqmyglaEJSq6V8laIla39N+e4BIKZVs1Iea/ZP2dSBj/A+uuODlr5ApsOx2Wgyzh5ou18X+fSdeSZp7dtTP39H6Xi6aKQrnOSMViNhEVQjWseWLG+fbOmXHFXrDHY/RS6h18FBB7QJuEjhhuWxn2n/8E7SCIzNBdqYtn2sKgWI87aAG8KFjzKCNZ1zChhg8aNQ2/5wfGZDzyxJorfvPUGoMPHzHGiVh79p+Z0gat0PwZtt9j4qcIR4Z7rfkzteMIzlNwkq2IoJIXNk/9rf9wzTor53yaLp6uTgA2OdHX+xYWsKH4YH1Ai2oE2UCXD1dj9KoiL3Vs1g5pOWxl5H0WTeGmZJVVrS92Hk66/RfK0pltkE/ijTNIQD9UrUCIDMwK5PiGGhy50U/nE8tKQjBl3GsBlDiSCCnwY/5iZwHsAAvO6qvI2hqAkafhU3EO1Rp7/+TUS+iLMVaHzjJHqIVYQUkZqkCAF/hmgVrmV49/umOFripfwjVsoBXxtVDHrgzCknymEnLvTmXRuHPRZ0AUeBDnaXzNQBv7XMC4k9ohB1tyqHcD/KKaQS0rEGx+dI47biUj1yQCIwSIvCMjhIKM0rKJZObPZKnINGenI4HIl4DKoGVZHZkwuahLMZBcYRqfEZxfebi9A9nl2NGzxqfaaXRVOFSeR+2tRgAGs8+kceYmhuBlaQ9PXrsONhN+4HSH69LU/ctSGYen9icOJupc2LvIVECoj6NRFkRYXFvps84N5EfMWNI6kygLdzdHFpvebwrzQ1vonSX9lwngdv1HP7ilTeII99kI/M/SSCyEmCMlfELRanPlJxk11jqQIvhpyq6zUof7w4jxBq/isR0buX/86jqKhlldqC82sZNnELRzn9MX+ej6ugCQoGXkcy8BZy/97KOls1hOj2S/4LERwbvaKZq3bJTnpOYXpNuhVqVp0qQi0Vm0PnR8PYRLktzHDqFZHL4/XL3Tb+y1NmfwG4j4kfIi1UvDQ5fPx+fBZNFpDTtcZVC+UVMHS/0jPcRJuZJQkmAHvarkM2evU5Ct4PXYbS9cbhXoD0kd4hpdplbxHV1ivVArl9g6CzynYQA7DFsC5XJMeiUUWFK+OUDLdMzpIBWVEkRE2pA4xFRXrrWdicLtreTf3x/X5P9lpkP6XrlPwFowcwTrx15i04S/XNpvzrx1FCaDznTJxxg4ZCZZjshDD3qE1nDoHe6grFbbuEodHSpywAWkEHv/k4EQWgrRb49uJvZ2/AfS42Dbu2QE+z/qzv52JwyFzK29nKMqGxgo/1LwFyiPQjo6xTC1pcuE0E8iQ2Ovgz2IBkLibsFdljkJXezGVY28uF0KItBgcoJa7xvA8eFrTw+Ps9X8VOwdUmGg2Kvb9/cxVb4IkaekD/ss/pJ7sbiCVvJdkZvTCm99Ln2D+z5iKmdKiHk7TUULxcTD05B/ZuUZNbaLE0LH9celjyswO/ggt5Boi9downpXAjEDWzF7yGEHDG9f7uH0HVF7YEGEfSwgFvu/9ApDkDVF0FuZ+D5kdclyjhBYsFkpzasrmO1BCmf3JVssbwNdQq+yE5fiReSLcliFEJG2njZBsovMyCWTMHXruWoHykIsrIPTfYZIMnaoOLdbuiri9Ha4o6eEx6l0sAJ+OliFsoIh5pUtnsr9IPjyzf58eZEY9a9SGngmJTm8zsuKqD8Fu/AKBtEirgdl7NY0c7Xz2JRSAYKtve2VIon6932Spun287yKhcAh2h9G9vDKJW2+2Iic/5HOCMKVQpYX3592ZvvYFVclKsxn51/58MvRuAs+qT9NbbzAXa+psmFBFQnFRK+znKRPwQaYsSs/5mUzZpLjqmrl0KUBP2FyDVVsizkYYKM1HKOaRnu9IDMCIuazadFYrrSvvExsyAQczV76J3Xg6x8CmLWL0Dwbr+rtmtc/I64N3Ylr9psFyd6yu+g8BiUl51/XVeq+OKX20OkhQqKoQTIZFWAMP2mw/QzNpvGuZDdeOxmyzkSOeLufBYyilsN0MklBGr/Afr7VZpaLMaZRw5nBHmq9PQyqsMkCwyMQrF2i4IW04p5lL+PRkjEOE7wLGBRLVu/JrMRA4AX8+Ob44Avc3JO33TPCN1JXzsGdk2p0RWpsiNuB+Vw5zq/d6FG0+Q172BSpLs3KgIExIvvZq8SLt+Ps8oeD/kOk0OkRXwwqGh+vDa0ZtPimurov6ddTektoa5z7pkRnEf/4eRR/TJLp854Hsp117P9EGrsYsVmro+SB/YvAAZlCSnb9ZIL4Gu0XurBfkk9Ha7ZEcR9madqFG6+wfIdppTVBy1trlCsjbLsRqQeN8tl1pMygMohdfEowPF+0dxKyMY1vxy4zqzrjFIBjrCMmGMJmiq71SzK1lrqH4J1JJW99MCTVFDw4DBcNjS9ZAx/EeUi7VRX3cQPUjipyvYfZjDJoS3VzS91SVbeU82n9VWlxzdnmxDTfG1zk3Cd6xxSJQdR3qWqshI0tCC5fJqzjHUCyP9dvej0pVk4c4ZM/ayPpjd0yzT/GXbjHz4M6J6T5Oh/f0moFeLQMFrcTc4f+1zUA1h1EcxEent7BNcPfDr46giV0r8UbPsvW6Z7gdTzZzdptGIM9TDHhsBgMte64E2nXw1K7ZtFrsR3MtcXmmRN1GnpFz5pAuz2549BGu1i3VrKl20AGgTcCsqSLaLT3vyhz5uz0lABNvTbt2R3VczHFsCrkk6h3Oe66zN43AWZfU6hLlYqnlbSflYBLNLOwgl5vL7mADQYaTiRgmO61ZVoNRzsk1PRftyZ0vVSxvY+6XBZ3vfV2pB85BRET4Xpm7LRv7OmuPG8nrofmh4AoTW2qaoxESSsjgNo4loXFoXSXihoQyiwZ74QdNqtSznvhUH8xQxJYSPFUE8vc4RIhoOncovEQWwihNxn+SiANfkv0i0bgo9TxZIhkY4WSeK9N5eT4c2evWNVEe7d93nAdaX5BuXvUTNnNjjmF3WdYkJjqu6j7fqjRmos4rK5lTEh4BKMQOYeje+DcQvaAFt23aAKVrDDUx24GqwWA1hC6dSfZeIDeBJ3v+TvXl8T+3+zhmAQlAP7zXnFseF0kJpd/BlyqRUVlSH4fUhLGfJFIWFGF2aXiyEiv8MkJy1DSh7glhUg9b4Qqheor50nxgFRtWT6hXtsFV5bBGDBSBC9plzWBP4CZmhH7mcvzVCp4shMy4V3I/C0O6tCmGUNXGsZBkzD/haU33/ft4cerLyFEPRGreHhtTMJltMwU2ir89baKtXcdvlRYw/4+fNvMUpUAgwZWEvm/cc9AxPsY5r09Xqv6OQn9jX6z1ZonffHbxF3y0415wi1JDkcmWIGb8ax1ZGdXQUuTEBO6T+xjh0S0YWXYq3yiG/7ExbAXlL3OZQnv30pwoosCCSKdg2S5jjMmkPzOa1JMXKF4OvUNzPsF6fdL3904Bi3vzpsxTh0jg+7oJHFbuBoLwTiXHL9SceE9xF1B7CktUsJ8+Ylyj9JoM6SXd8xQU+vPhTUXcL0Tub5Vg4w6Yo3pFk6Q4Fe7tR8GLZl3OG/yOfdt3T9wYLYXDmZojci6Y2PVo5c9dOD2uko0jX2bcBvbR6ThRhTZYkilyg1xFemk4xhsKe6A2hU9AkQMqIo3+AzD+wpVeRp1HbKifDcoH4CB4iMFTmYDc+/l4qiLOX+L4q/Pd/YnrHfAzgqejyXeHciTEEgl+QIfikkCljiP7+DASdxP7y/KUCgZaqtCnr5Fns81+e1oYVZc0lkiOxp1lQizhk9sV9STYMzPGrnNA0k/7ih898n0kpeqaCIZI9NprkN9aHw7ZeSowU8UqpK8/g/e7fO1bbnDvS60JFkAk28aCq/xwywy9JfJz5uK3N6WKf8ap5/tvGV3wEjXGn1sR74ZeIXfCNQHpV9UV/Av8bZnZt0c3rhQt5oG1ZgTkfwdU1dvM5U8A0mXGVecmKhIXI4SPvKIg/n/L5D+VSpds1ZbvjSd2B4ebVLcOZERENfQhXcIkBI38TyjNgRJwEnOX1A0/7ufN37btAsRfdeTO7LYgKEDmGydWSGMLjdvPdZgmw//wg52pvV81oScYHBbXIfCj8R7+lV7o+0hp/+1AxnCzIVS3CSG6rPdlTu8Yw2ukSC+NYHljCii5SiqmEtLmsunvqvkbXXUcb556wyCk1gwJvP7/hoWIRCuBCHyJRWXrWk8uUFfZrS+NbkhgxxV2JD7L9yv6OVKdahcQZ1V7O46dc9XjA9HItdZP8A3Z82S8gsJyXsJHDMIco1BM1zbug3Bj9fDJ78y7uJBDSVw1OGBIgT5bP56WgiEH8Yjm8rOkLKjFzHjvfotq3tl8JlsLo8YHxV/Ox4/jnX78xULvSO/SWW2RqDMCN8ouARYm1y75KpcMJOtL6/eJEVt8yCk04LJj4szCZrHU2ZsVBI8GYsWSIAWQY8QjJ+FMvnSftZ715eI5uvkJDJlERbKoifxyJ8Y45Z+G3TCUoLrnso8kYZF5s8wiN4EvNSdDkGRQczynHxldogZxeL6u+bDHodsGUmd5gXGPX35TFjs+in0bThJc1qJhnIj4rcgRwARg9FPTGl6sPkgYeEr7XU/XWOjNnjZyw3j+hWEVYm1pXZ3jGGDMMr08G4oqtKvpCETspkOTDmqK88TofnevTENkrccscpjei4hrQVMYvzwKJH5pgfC9Fa1nQmBncuEPTSuKhBFSoqchJTO1rHg/Svy+NywJZsxrC3M8v3ctPJMcswWyyKXCP6wd3CEscrh+QtFkNisS4B5xdGpBQohem46uZu8Lz9jHRsN63esnCZBSsYNH78MEQ/bHoekvxOHwva1xlGAB2twQjwN8Uub0NAQnVFIkQg+sejD73Wl/8m7y7NVLzefgrUTR3zkdT2Mv67b1tinqEZg3eRobi4JIObsJjkXf0QsVu9iTvitRQ1NuApcHixLE9bObIrZ7K6Mo71GXzCNJgI7wTBnqgDa5VrZ72DjVh59x95dNaEw2UQP8tWIs6nn5XJIcU1vaoHAVsyGEnJrL2+9nlVOstTv1fymnYPx9GqyYTMt0QCvocn57AWwr8LjglQBDXa+cjFmvjWEOYNe1DfejfBdhR/dffgJ4ZSTm0x8EP+iJRJ2yaNyj/o7bJJCxjImydh5y8mxpXEqJOX8QEOfe8BcgdQBspauHVmEraWNczbckqbNbxz91nhPlazgHPFpdFGOq4FmniJ//0wixZBhyYGOsCyAIifW/gs0BtxEQ/TmAhDAWONd7kTnzqkiQuO893kSNijRmwx9bncyFNLT582poWotI1nJ0czd8eVcFZh/w+S8K+x8CiaHnjBVG11F0LxNXb8EXKLt8qh73OL3dckjnAMmAHUsuPwc/pQtAm6/zmTiGwUjX/PcddvLF7q5oFZhjWU09MqqR5XFstEWwHaf7ixxP/H3YmcNl+Ldvf0/ZOA1jDs++sA5isdM812YkaVvstgdF0jV/8p6K9qld43bXxusmdJ/GibVJDzAHN5c/eBsTV2NxSsVVQAu799sLlZ+O9QGd0GflcwqsxQPn4C/rLkO9flKImL7MfEXBh+tmhkn4mGHuhNicP8lq9DOtKegayomVOOdrXRAz2hU3IvyZsTfJnLvWiyZ7M+jDzbIWGIDBT9FqWtZTgYqTLRV+Pt5/PTbPHb98QxBAOyrM8x1x/Wb5FvME/O0sw1QiF3VO5zr1tk1ka4jVzE4KLXMBOX9Ho2HaLB+pBUOlBOZwYnElIOe0gkbZB8Gnen7FIPxX8QWqjqYh7pmqQ3MbPYlVZCFt6eSw3L5fbMSX9EB+KSr6oe2Z1j00e6udlMxCvxTLJHGQs9ur5xjMzeug+sb7MY8dqSf52lTHT4BJLqLy9e/9kThrRap70jT00KF67cpTPtMeZ+cXvYqS6t/CeBvZ9FFe3CGlpj7op0rgsvbDKtOgwJw9ZlC4oqA4wcHb9BvHSTFrluujBV0GCuzsi4zdWi3SaksnJAJQmJdfNZ6q/QXBqipawA90NL0AmY9IPcJQ+yhoSOmmetrdIfDXoKR1tSJTIdJjeTNAXGtnhukjBRIJ3r4g=="};
+export const guesses7 = {"count":14753,"iterations":50000,"data":"m6Vp+4wOpKt8dFhB3xWyD81f5la1qjY/IJSPCyGPFo2p0aboFekey9A8Fo6H4ozGJdrUYbbzp2dK96uk82Vw0tFKkOzlJhNnHCO8qBBZ7BoDvIkynSLDZeQFoflNgH7o6w9P9V9l1Gyc87rjl2UQMeAj/VNw7Jj7OjjBO2CK0/pHhJwwF0p8rC5Z9zC60+fUFtj7PayHffwX+m1sjbyleZguQanTihDOfqabKcs3xGGLPwNkuVej+NuCJVoWM5JewyEMVNPzhCVcwC9zjphE7xfsXVdJTA17flHAA9xst7zvJd+T8S57DKWz/7QHitlPcmu9SxlKsOCLZWTkNico1eMIUhdprLYT87VwtyoufZoFGtFzFVeqx89uAfUuuZEYw01f+oXI7tRvu1q/XdAGck6R2Z+jbEOTH8F2Lg/qiMqz+6XkmtphN4EoajtsADpe67WsLtttzNvKZ7bGpcQrz/z4HxKork4Jn3D4Oz8bBgflBa2sVDNKT4+n06RwG8tx0wXaub86ixEm0QNbwQ8HorZiwf5LPNE484LyUniKkXMtA7/icH6ZKsS64S8KxwwSl2Z/GE/C7nq7jmTQRmm96uPCJP367v7TzP9csdd1aq2EGxiaQLoc+xm7ST71sjiSDHYQ6pKqq5sAyCg30/byakp6qus8nRQpW5OsnLGOqTAj8Fiem37gxJT18cO19QUJ771jCSVFDIWMvUJJ0G4y9/+/wPwWXpA3mIRZsy/MNM2RJzip/YSVMsQ/C09wo+Oxmy8+5tLWVaXID7WXfmkggkYRECQRM0RvNyEXKZeUBoKc7NyLjNDit266RlSBYevDwfu2qGcaIttWQbGndB7OO+XZ5uOBUeOvMOmdGmpDJN85mPva0vXEuXSHXnHZutOF/IlMPJ74iOfD2WjEn15bHfDwBgm7Uxu+0pzzUV+7fxQZlDlA2a0gnluLMqZWzvTlJj4ACGJvX8s0UxGCxxV6RrDRBImr3eVInGxEw96oHUxGuf5XxJvuwoUm0Ou/hsrW7h4KEJAz4Q+SRf7gxEetxqBA+TyLHhu9k50eKOdXMu48JaVSr0ptml1SeN2exuN0YfSKsJ/8JBFBL8dJd0buxDB4BIwHNxzuUgXGS2B1Rs6xfHAaY4/CizGcj8eNvY+OpvnVuiBroNGyvkFrF+2gH/fjrHz4fQ/y6dvbh0rtTSxkI4gf3oITjelXsjyHrcAPgNPvdBlSSE7CIxN5ZDMPFGruVGOV7j1nwfpo8QNW3NjMHReC1WK1PM5t0rtKwIxW/KwWwVJ1GKf1J/ZUT+ReDk680425D4y8KqWjs1tHYlqdwcfC64L3kEthIxA+CUKbKJoH4MYjVFKW4m6G3BDv0PMg4fclSO5OHnObHS+s9uSn7mflAAVRL6o0tdOGisVWx+5gB18Ti385CqWgjuN0JqAUO4HIYyexaG5nak4v8YgM/eOcJkRCgsGhlIKnbvN8h9QXNne90PXNk1GSnrBQ1iH7Mx3ddyNreGtryErV8/cbTYdRTv40R7c8CIgMH7UvQLD+bEjWAMvbXHDaZ/8h93IP4A2ftto5Xnp2kE78HWYb+MSBNYeVaU0/qxdg+/ZSv0exBhazd01F/Tf8PcOJnqgi9GS7jQjAVSpjOUayc4SrVrM5W5+Vf3YlyeSbVJKBDEnxUSRsdGc0yzlENE78ktlQwYF8PZPXloTxXhYQJ2akmFkxaIxc/8FyWuSPz7/hRB6q9N/ORl+MT3bgzQ4wjD292bcoE6FHpoo0vzKjFkqQ9ZnFhqKxwiM2IyC77CC6bE1a/7u+gqPf7ZI0KWaTTrPi4DdwzeAOuBzphTA15Q2eJKk0lTmdLpp9s/SOcXEdSlMYXwiVVGwWmzpPfeafiR5LNv1zw+Et0RDxGpl51kkYm1EQ6qHn8JLDlqgtW8KCbJm++m+V/zomfJ3xMYQhPVlH46syjJ4LhQFWkMyWTMzpjvofYtjyed9riyQF9DvosCGA/CqvWYgZvLSp+Hb/F9FD07slo6+8N9DL8eRYeD4XWCISxIM6UMZTarixYpQ8OB3uqm7UJ/7cy8R6jFSFtohbv7XwDOrEJWMwrwXOZyT0Cq/7R9f6eeAqhkDSfSzq/yko5terNHomc0bpIECmx9TQGDcmvTXlyb1XlGzyH7xqff7OXfIgDMhF5hHMQmLeFOpovIvl4IuS/6hwCQvXYqpkei4qBLFfOgTmGv4xhvOViI95Db5vd29AdpIW6tr35qJAaGdoxC+8pgCIxIOWgH9ZIjq6H+mPEr91fF0tGYD/v+SB1yc9bjuf+eotk3xENvxB5nuKRtVng4WGnaa9INmjkDM0dJkH/OX4GMHCeGoR43h1VxpAcRDG1NpTXCSpwwpBQQ6pzp/G5BKON7f0i58C5B1ZR3JvGBGAKpSof5HANX0QFAaD1r9nVkV0iDIfVjOZO/3Xss7UKcOJ5lwSP9zRIubxhB/+LFQ0obBjgJ4taXC1EWlySI4hrbcC5riQdB3KZ2mI/qSprzuZnryjSo74YUI7R0vj1GzQKX5eGtUyeebLom//7SI6nZ70lBy4A0vcMEzO6uchJ9bKTfSbszrj62zg7rge4W3GMGU3Nq39kPonc+lZY4ydC8lX938YOKlUeVQs+g14rVca05349yv0/9y6p1C5GRrHnP5l4ivZI1ew2xt0U9WYOOEw3jemTE+SpAH3T+A07ax6j0SWSbl8ulOhcs/DlkFL0ChR7aIKr15qYfjHazwRZ3QUysQNZw/8d89punns9JK57+MvPbcbzlnSoEu1u9Vso+/Idv/+O/l33ivYhsMiT2KLTlhg3but9mnum5usfv2ZccmCBk2TG5H+Ak5U6xBLsSKcQ1KNd3QuB8g+kbh5ZsUA/Qa4x8VKVKMFn3Y4qQTqm29abgS34NTdsp2pYTuaJ9e2CkUVVbpCrQySfeYeIM7wy+GiP0wkuCbQ2jFo6XxnIMKBQ60LNh52CfEYOg2q1NkX2R8U2vo5JecXkRrpKFpPCBVXhr36eSUcII4zyq1KMKeZvpfw3ZAgnWOW6yMq7xk7zldQJB4PMQ2XlWcYyB4HCZn73lggMb4IglieAh7+Amhu/z4GEksUJOPlmJvbrzmx2H0HX1FmO5vgbB2f/mEKEJjgKULb0+DlbNtZ8aabCpSnGkXM8Q9xd21Rt4jr5fHW5tmwLPnxplgjSFzs5f9xogYgSVxas4P6Sw2WTRX2QM+ysvsAZiY3ASzyXGn9c/ygQonT6yhZDxnPUI3pDCVXtSYQRiskoFml/qj2sXpf0fg7rkVnCQiTI0bzuMDmmla3zjNOcyXBaFdmGjB3uQxsyEj/V+Lxb7s+IkmNsvj7+r3mJgpvkQxBQ7EK03Fr9HQjWbVe1CE+CPOK2bLZxk87wyKnhZ6HKjt3rXvynM8zWB27VdoVJZvE4VqxelCBwjWoCwsrWdx1lM5AewtwD9aacPYyfOt27pEfBvmRsjE5AuyqJUmZSEP3NoGM4OL1qhmetWpolKnmd5HNpOVQu2oLmiUY/gYC4YEZUqLzqesWLBCZjjxXGl0OpduHlloez0R9KGT1wr7jg06pLfJDx06MAk+xMyDjlaVyEE7RYRXNSUVY+z4RVap3japsw9S9rCZwy/h/5CrAlPjiXJtZxr9YD3a4J9V//rrVDNttcj6hqkCtAKhUPcnyLvqa/vZFAVMDZWNcuJPrFEqplPk/ClXcgnUSTS9boCuNYnr2dXFQdBvh1XGK5DVXczrrILpWMwD0jmgUStlJlkgcIfdEg9xfUxNhp/U5Yidf5szwe3MOIkNFQCd6mSxGhnLMV6eeUDJV43hV5wOxCQS+2SmcQgTZ/nLvPzmyfc52/+mqZkaK3YDEt7JAvuIEerocW5HgDJQF6ESUuFUEAcC1ysP/WXzI716sHb4De1gRRJUBNxzF4kE90Lx6RZV85vfEILRQZRuK88JBf70jjQm0dj2jdUTj6FJfn3B6jMs7fC9sZMe9WEvLRJxqpKfYGSG+e3OfDtX3N0BJXOYsw3kPwsxYQRaPfluJtK8VVJH6y8v9xy8BQcX1XvKtLFqSjknJnuHitBEdCPGQf7XIosffrZ2ZsZajNtgjFxIyaVbLrVNIx3DB6YkNWfI9rvihJ1Hf9oG+kH1EWdxQFU23BY65YDoO0ZD1l8vnwACfbWK3HBo/v3MsaE7JRvYJqq0j7NGJdgEs8Nvi7f/UOHGg4sclk4XPNel2PT9J9I3a5+09Rpteoo6NPqb+E3cQUZxqkG0HzSYDFkw0t/O6P9uBl5dEsR5uOMs4ej3EuyvS2znZCYRLhzggg1AWZze2jEaY/gPJr64qGGhtu1BgRiZiCIEDmoCSybSP8ULJrhqtnL8iuh3WUg4YWyy4vr/3oUPd3GHc/vssx9r/8xAHhaWGaiCrQLZLqIG+hOwbfCkiJwDBGQrsz+LndNfyyxeY+2L8aPFHuRDY2AzD3CBslnKbet7GYnJxSv1RuyTJOCjxHDdkd1TTHviXhLBsvRnDc6SNU+wDbVugV5OEZ3wLAnPA1vIi8DeiGK+SN7TQkJsgMKg+sacr8mPD9cQE3PqHnMBTeaZ8a+mSeqg0fBtCH+LVRNZVmyzCROGotaok3Pt+vN8sQEV6L7/W9mDFXlpt1VvHsa3XXZC3Ma4Ryws9QfHCxVaiTLSGJwapDsp4hPK+L23lc4xKy43NhGAbpaG6h3QApIPSw6h8E3MSl4RbbC03rXweR9Bb27LUDvgztBJo3ZifaYLdxtyTx2g4Wjn1zlLtMu4IV8FMujMVGWZ2RVKAhJSm1IzUkULgh1rK11NFXeOHGR31bzucTu5djQr7KzlTJQ3UezUbUksr7vIyjqtUi2Ub6hqh6V5nVxKdbkzyOoEcFZ32idnSvr78PCbXTCbzCpYZlvKrkWUW7hvSt2DfQrq0Ju49WbFoSzYmODx+MIIczfCV3odkucqRn4uVMhkXRlVFqyoVS+P+lV2anupNmka7NPdJUpb2w7pRdG1g1o8iajbW0c2Yu9omv44gQwvT5/mlaapFQPlf0yY0bEPZrgY4X/KUvK0xUrCM9D4IFLWeCY0SAGldt7PBDSMZpwGAc8qT8SlBdgBF1lK9GxYOvO+mW5z2pj5njq6V0IjKHD1TbXa7E/zT5WOXOvgdO1R/LluTC23ehVP9YKEG5/Tl06ExVPIgIzqbjmXesMKjPzVRY0pDn3poJTypNIS7e8HDPEodWQaPMrLxrpMQmEEe55NTEmDKBL+S2NOcdmGaVl6Rmbr8czILoRXymnSuraHI3dD6rIruvCjz5zvY6/yiDbGPr3gGrQtOzz4cAw/AZPiU1HLyAR7OinC/Xwt9E/RKzM/YGZ2Z5ejZj1lbY+suYDfU1r7XFKqX6+lY2ZsqPYBC3Ekbuu8HhLc+h+QqGWikfpJhgpXuarRGhY7THMn5r44XISgHRk+qWl4Id+WRliTA2AodqxPgJ8vCdJgq351y9xBuuHEc/O+D5Yz/YarXZZx5qVcYzKz6zP2awgvPecaMEji+dcx8Sa9M53amLF9ebEBT47NZHkeWmILxApF6/csl15Ct8T6oMPtpptvjCPQ0dL+ReBoAPiSX+CiomVDHZOMbMf6zeog2yLNcQZlLd3Faq5lvonpsy68Vbk1iaxQ9QXjLxoU3T8DD5R8+VFzWIlk+mpa1zOqmsjhZwZYsGFw4nay+UDTUdqtwUXk6t6penJYTqVAZnpZLhiE6wwYTAcM0jtBeqj0tPeliRKTs1PVB/wPSAV6i3nBBf2CxeIgZ2hm6IPagAQO/D4aJXg2DSL817yt4ahrBxneh+F0FBUw491yli/gQZg3VZr0tAKqWnPKeHAncqKTf4eJbzI+3ERC5CfNkil/yVevG6LF5hHmdVNaeBRNqf3vL08c2x2j94yvQyN+uishA6GgrZbkTCvNDL4v6X6k7FPrnrf2S77WAG75Svw2ufyBzH+UehuptisfPHvvAeSKCkjWYFarRPg0NlXsdgKdHlaGOuCoIktrldgnA3O0sXRtPz+7PsY1hcN+oTyWdwSqcJSXKm6v20Tp3Gb+E8DF0RIJbLZA+GaVm1/AWnPfvAUMZZ+UDo11FlNIMrpb+W+RE2I3sWttkNltM3xuzYW8BLgU//pez12rrCiybeYeH3yGN6FObtx7uoSCXBcEv6IpYdxQ0hAumJEEceNPdLMV+erYCBiP7JIkB+3pEM/mu4xR6SY67f8TSjpt62clcxDOLdRCo6yWAtpO8Zmq/leGIh+jrnuAB9erHJMbl/Dxa5+laXxmCUqqBN5vMfE3G08EoKjiUsK9hDcVEMs9AZzOopGnsq+AU/XyF9le9t7S9dcuFCsBA6QGEkURsB1ZcuP5X7TrtuZ1dMAX73AndHaoHiOqFq0ZhkhyfDcfBaAexDYNyuE+UD3M7ZNecymM/9aRz3mac3AOEafFpUctkUZu8IP+JxWgD/5YZ2goKii3ydtK9IdWbDUbE6rVwzdpOlUewOeX/91jYS1VSL/d2SpE+wcuezIqxzVX87QQgN3NqBll6ri9zgD2D3BAJKvgBaxdU5i79Z+KnP72dH8iQEOOoyzndbgxW1IzvvKrDIrqS6IG3I2+vYyoPB8fOQcm6RHSikubJ0fFSugoK7RSFzzJcuIKAI73XHlJ1McgmZj20W5S4Phz16vNJC3gX0VrisLcX8fi0Ln6PAcOVHM4gdpEts7QP3LLa6ln+R9+6GQdS7rpQMvlz1l7JST04PNfDMmhcQYiPXT/F5CCyelIj1fF8U/y8sET3kmp3AQFX2BIhCLiIQGHOu3t+0x7GnnIzJiOMFeCj/SMztmAcyFqHAs1ii/VEvfxhhOXEb4M1efnzdKViaBgKiiquW6DtgwoO2eAgPeHbGwfcS7M7Ap0yv0gc9YWb7tvOz2cC3JggoXkKSMwfu7hW5S19Nl2W8Kigi547nSqgrjtSOI/ECTopklZk42//bYzyLd9kmNCZIj7GQMKTZhX59I/xO1zzOmV5w62ToaqKzL/8NgwPMqsEwnniUU5DV8I7fyhbHii+sV005VLr0vOL8cWkeE/znCM2wp1tnUfl9mXygN+eDSyo00uPRhgIHVc7IjAXUtNph3io3TOOIN+DU1yswi07h4P8dovWknHe470mld6MGRTddq6QyajR3UWlAfz7gVYnhtQ8ymGBq3CRtEEpUjnJolPSMrOLvRSOvOxgq3xKQPHn/VMkml9fpIvgwo1/ufe2nBWdZywlOnnQ/10IC0JeVC8VfooV6NrEWwvTpvO8utQbwGvl1H6qfz/TkgLi1YaPXkX2otZzoijWVe0+jaKv47z0kK+yTnoUWGCywXAXHLXhcSYVn0jtMxKkZUyvn+mylV1Y0Yx7ERDYnDQ1qdwbvuUI6enn20KewfLUe556iOBGYKNe8fz524cTFQ/OVI87Z6sVTyZ+D07bwLVjtt0sU1oZevuRkOr89YPFJYN8GTvbp7rBftmxayO4Um+XWkxlOdOG2o1T6EloEwoVJH1gvNGV2SvoJhPPCdvEAgtCWPqszPLg1ZlMCmgQCRgmvVWi8uTN9eKXMmb12nA6f59PCntzExEd8JlTJFBX6Ub9f6KAQkI+3dQ9NsmfbGAaatR9PLJq7QOjFREENZpOejyAuCdPK9VOXaaqGPHsx4jovr9ionKVdY6a2GyjBUb7EvvNB1E7b2fpJet0YgyfepkTnUxY65GRHikwBjESuyOYobrlZGiPMKV+deb1ppm7HV86TjJpazlXS9mWNY8uBJEO9xLSLjyPJrUKkki/BC57mh0bRKSt5z3kInitfJvDVa3nGknvTCS9sDLQ89f/2B8OFymVwMWJm6yCN/YbGj4c0veVCcL1U0FGHS1qWFWb4Aq8w0ofezyLLcPcm03QJoEUDY+ek/EWNoeop2U/hGlJ6mFbbg2nQ6NTk6y1vX4uw5sS9wxApswknxEvcyInuDX8i6xPPQTnhMBTZhD+xzjdIRg4NQQ2Qp6hQx60162AM92QMQJdD1vBWhtiVoTlJVjkI1jclWHB4GMkGYETAj1Cwf6ENxDfnC2yYRXzk2iLzHwoinocHMnrsdEaUCKqIxbZW40VUUTn+UE6uyZKJWHIybhVm6Rk/MK7hsyRBwDhPZRvDDUFxXphAEJCMoSqhkrkAaJr37F754bCTwWJNZYi0cEOQJ7M1mNqWm55laubqD9rYAyUMNcHAxPaIktQYRiX9BvtSi/biskbwy5Z8w/fdR5yBg0cka5W33eCgOtyHIigJf6kSIBOfnNNEf+MopkPDpfF3qLWz67ZhPMhyFdrQTmdXNPFdgYgsJPTfvMz5o5WNxnAXhhF+7mTUcEdDoyjXjqpoZJbUzSMamIXiG7hcQbc7gIK8kJeUGjDT2tnOj9NIQzu5O4dk8CtMMDxoSfWhGQsm0N+TOSqebJJmrPu88Cf0xlxz4FqttSe9c3icncU9sVRs29P/dc+UeTMQosLdAkm4VxlMIYEul/dPOfA8xX+XBK/bHrsHqqSMi5mj+LRniZXLU5Tq07IJqx4/MC4TDXs+pLssBo62euOp+nJePHq6yO45th06SU5m/QcLiy0qc3jBy7jVp92PG/AABj8MKPZZA9LUOkZFJ7klxk8QHEE4eyMsxtUpD6/6C3wjn/x7G3Iog6MvuaoCt0JDbDgK79Ub6wjYf3Tw+nBCbIQC+06dzlxFITx4f+GWuwQ6zqhyAuFFtgF+ycQKBcDVTMwPqN/V5Kd5VG1chDcz7yesuygQEtUGqZmbyUVcsYnZVp0+RvSEmASuIbpwNOSOJoFMCvhuU/wusNS45DxrNqW9RKTxi3Q8XKxqR9/dyz4XGiW4m6oi0N7YPv1A8cGhb0aiID3rFFozYcw9g+ycmSr76mAQGKEiyl4iO/YF/tA6+8yKrEBOT3xfOpOQbrYQAWzbZ11HpEpsRQVf9kKq2KU5A5gNoKu2+b2y8erM8u/sW6oTtTgCpnYzFLeHtH2FBAEzT/CqlvH4R3zHyzt7hh6cqwWTPBrZpDu18z31O3ThtMVegZa4Mb9qt7fFffbZkbgs6zTw7mg2TP3KAQYvNJVDNM+tyQDXqPv1CCQ7dnOuL1wUXBMO9Cmh+r2LJexrRFUqR1BXGuKYA9VX6/L1d+uZsKJfU7kJp6BIJtJRAIzfBmvf5yqVWV+6G/nmDuYXXy7C6nFW3J/UNmjKUHKChEV/BAZQBvi9pw0H8e6PwRFIavpvw2j5iKKIh/tQELdyrKl96rWoELU0fGn8GYnzYlBMQ0naDB2cKV8H/3qSRJnv2aoBBdbtPv0I5Q0JZR1uBW+JaOgb7bLeasLmxMNf80Qp3MXUlnoaDTI9m/TR1Gyih8WJKGRpLCuuyQ1ScBjj/ttyTg9iiqvGI3kQtzIni2u90WB7Uz8jih5wEG8VD569pTKNBnj4MUQ1eZSmHINlfvx/i9UAV8/uelhz1uwPQW7Mbv1rlsAVjsma+2CGnxK5jsEjCSvheCzEirDkwWrlvSNWldIZZK/ZZQAJ6fp+SL+ErIgCZKO7hqLbp4PgbGciuuCFBNlhaBOctoZhc2pA1FqgvMS+56qViusx33pBQn1ljMpyekb/BoAX0otJc2xlUQXYvsacUmkF3twD1ZMvDkO3/hTRjKsLIGfkK2BIDdsnLN6+wSzwBJTGF/58H4IJY6+hy/qq5yG151eRGztGwL9Ptlnj30BGKZ80EhZV5Kiu23p20JuQClRkkvAoUQm4f+qvVdfvvNB3PjGua4SBoD7ZEG3VMDYevFpMVeVuSbqRjOMGBlJuoj8ii7evvYp+mLib1hmngPE60IQFsQzE6pxI/MV+OA+J2hYfz3laVRX3anVDtIclyauX1uRNE1HQmdnM7108NG+y2iv5or7Ge9RSb2rPJ77vg+H848LLN3lJuxn+PXlm8kBQP/fgeUsS+xMYnwi6fRqh2Lvvbb/q2cDu7pxzIQRYMVvWNXOEOrJ++z1ramiRbzMtE6I9Q+cKuQwBjrQwgtklMyJxhDJtbPUt2FydgsTk/EuTiljrw3ndDiai9pfiv39J714EUUERHfv+R8rxPq9kbxZQ/f9MmwiKE+2t1WRmISKLtHuN9qP5a5kfYDH9LcO2wq9vx8y/CQFqUq4LZMr12v+3ccq+Lupdot6Ngieb9GO1somRfF1MxX/75yFaUJd15PhK6rS0kmKYSV+Si/O0ONlpjNAOqNNhgV++YoQCjsa6Uw733MqN3dmPcbScvt5yWjDV2P248gsPWFw8DOt0gxn0WSo4hxyir6Hu/Ohqsg6aWXSuknDjQaVsL5GdZta+uTIg52pE56o3Du+bXODKDO6319+OAcJcVqOwnvG0u/Ern38De2/+szsInaN303C2dYhl1RhwWbMxEAibGVM2F66dZ+zLl9wA1RBIDZ2wrZ+oLnNAUnegA2Zp9TuN7gORxSaeEG5zz6cFkSXqMr5vQNsiLXiZP+hYDJTH3mDG+9itRk1BThBXetE9oxwPTrnUxDtWBpDNyeKia+aPybo4pearW94SuDVZRxuTnXQrBZd8eUi4MQr3HNpErDNs0AozlJvoV2PwdicYNoVDoxgskzNckUcbsPjUqao10JNQ7QDAh4FMB63y7y/3g1eUZmI1NcVlWEVChZQkqqbKfFXDZL9tMLukD4e1A5S7twSLP5tMs3yOYqkCGpwO5Eqi+sH5aIv7qgEsOkxu+s7NpP8yjhYOjGxyXgeECXIQF8gfYeHJa1jUyZMrCWjErMyOonmp9dOO6ntUiOeRyjWrjv1ePFrGLvhL1RwrWlWcw5J8PcMNoRgoWSfipccJvwj8FXRpPvTFj/JCi3zNtzk201uws/BefulSZgcJAZrDO6bFPwEBao/xDLEVWvCIzpPVEiBAlEepYdlmkBr9WutY8B+TDkZ4YeD446tejEaeA13XcCnfVzmi4yeIFnjGcuMSAxP2HCykcrWr1aqdGJJyt7WuCwgeShb9RGcOf0BViNsn5w2bBzKfQW5L2+Dg/DiftKFWSo7PYzwqAoHsLKRK2OAFS3pUbuT3LqUcdE2J3uF6y16gJ/3JkzfalZaxqrU0ErKsdi2o5ced7AfUIw+qdG/dxCjXvZt4xd2lgJ1qGO92p+Kzh+biNjlOuau0Yf0kERiIYJq/Rl9YsTEdd3mErbuRArxVg0YxuJI5N1nccGNYbLz3u4bh3ylPzAYYFxmoeHHuhYVSFiB5DMsxlIHsND0idRqGJNvtkHTaeUuUrCnqPsDI6F6UYhjkUA8RrmVbmbWS/dPNHoXgoBAufLql+4wsLk12CN42VvS5ivg26A/EnYiwhH8kX+XSg4fakgbKOwGN4PNLPg1X0BPpnmdD5IeIzUDfjk5vDbImoF6SrIFrDeBeEPe9w75i5OR24ZclklDxduQmJMLNPPLlnJZCeXMacAThUMZu/m2pl1AsXfRu9Rqy9InWSVnS1O+lVZp7IvFei12SPafhq2mE+sDpcsiNV8qY0qxEwARJkSrjWd6c4vG9A/DeOTLG+KECtEPSrat9QCNA4mHkdMQNOnxg/o+D0Q/crPMi3frRH1ZateVQ/LD3U9HFT7c+F/DgOUOrFEAWlutfQstdJ/TeK38o/ALD5PjhoVSaKQxfC/2Q1CByygQ7cW1rMgSuuu4xcPuXVOhXkCq0yYp7ZKjx4eBaBFmP5a9DgW/zTAHQx2Ykec9IGIvcXBjncSDIalm7Q4v1z5/gjKv/JDb1hSf1huuzlr+tVFYlDc1WXRexWaq97TJ9NSF/VbPRY7Pza/VtiHqnaAjg5BWt9+aXDCopeq8CvtHxdXn6Q9gAQUFIjAY9E3e1I8yx4YC6/SLHg3SY/0ZHctEj8PnG5RSgSHHlCMUrnMnv42Bh2N5WIpiPpi7l4bfOBLKSjlxd7ix4Ht05W2FRIbz9l0ZHpadKGP71y25J21T8gmRvLJBwxv5hmY5a2R5OKhpz94jb657jjObxb32Oq/5vpLiekHPtZTNawyFzSjcgCqiiWcpV9ipiEvfUSTr/RWo2gQzanBf1Wp4ysJqjUOi8qccx7kBgnC2mAcdHnxdvpqZR1TjuqYq67EaXisosmtGdnMPxVrknufhqTLjh8mQ3EbU+QBc367LfJ5B4Wur42WKVMLU3kDwHnMb/jF0W9T1uSX74ujNrtXDiS3SnQ/iBeE+UxXiJWaqQUNFtSC/33xAOLJpTKjBlcPkoeeSAK2Ci0Ix0m+LhyqTQtdBV6Wxexi7DEnTPZKuIvLdAX/egh8wckFPzVVlYLBFSXqpPQK9N5RUhvnfncMknHnqeyIZa7k3xL+WMmmFZnwcCdY68Iw1gZacg/q1thK3OyoPtQHVPSMy1sjVAutLgMG6fQt45Bat6U2HKGtWTPLSTrim+j9ZtaszUWZKthi9PF066q1Um580sxNJTNHA7/JgiFruD6Gd2kjA2mVKvCpWSGOEx4o+LM3dXoU9vDaeL6cwdyotJj+syBUmCYf3aX9fpdKABw7cv0jrTPi5EqDF5v1J3hgTJAFXC1zyOJmhkzix4gEPTGmq0NZkAL9o3EuyOLbnDwE/ozDqomm4JyeTtZ3j+bf6uuhLIhElEp/bac2V9rotX4tN4Tu/1uRB0T3KbOy+S1KCZVJp083kPU1xZSKoRVwZgLssGLa3lYtZol2QPny1y6j/dSahXl7nG6SKAetDT19S+x7t9ZWvIK+dPDOhu3Btr+XrN1/ylvfGyLGqKDXal3UYBkoL9s67XgC30scqB6ZfU14zFfahRbllZdX0EyO6ZL/AgmkJ0BQtZ/TKMDvPa0Nz+zj8t7uH7b27u85+BGk2shU4qLOEFdm7tiZEcfl3qFG3dQcZjsaf4uu7zVMciQLJ0p7aUm80thg0bOvLk436nbCWFljn8uzz9v4rVKhyBWJ+2Py36GOuqZV02CmAouYfW0LPILQPLs6nPKQsI40RJR1aJroESDh27fZ7VOBhR9uiMxopNZb1yEG5i2rl+ec4vZKJH0K1Jt5qY2YBY77YpCvfMdhL1pNsOQuXIcXM3LkLoKiO9GO8wS1xBOF8qLuQzPLi58VUNui8mJzIFPP2doHa+G1Ur9QJKh/dgK3oerK7qvZ7NL7B+wcIWSzvmn6fKuR9LrkGiTLNxMgNqOocTVQoAss9FncZQXh22Pl3o3s+askRQhZVknl+YPLXNffN0yBuBkGLW/cVagYxmuSs/rYB1UVXyOU0mMlY2iP/LL1epkGLIUg3Wn24iMsCAfAw2jqYI6Q7mQORjFguN6OvruKZh743XYLhI5WfelU6GkKgGdTRg4DT8qe3CMMDK4l//3XaqNZJgWvu50YM1XlJTuLKf7fGcO0dEX5RrvdykyIYTHhNfW3EyiGTwfakX9+TFMdRhmpS9hgLyziF+uS/HBQ/M/YdDYv7D3TiLFOZNF0RFZsNAzlFjKzWV5BVHcK5vYIGMdumGGI8Hd3sNPYzCvN4XDVG+iuLnnCXw/036n0K5fr4icR+2OnE3jEcKfgI4oZxdcvpw3nRDoeuvCGpuOk8Juta7IYJ7NWw5sKNZUmCynLoGB6DNcIi1Z23sj8NYLhbZrp7BFBkP2bE2WXlxTuktJWAlItT8opKFK67U/IlPpoT8r2SHZHFt98NH+OLZISlzVJmfgtcKRr3cpiklZbBQS292I1u6d3Gz9h3v/dGlqEe5TXhN44GNxTwIoIeWzV/6808nUZPgx9SSbGwHyhnZA39W4ZsuIzjVdQSqNQe1EaWFH3LosBoqdQ01bspepm1TzNOm2YkatkjD/l76q5KFPPvjfQ0J7z0fYz/xmyeb2RYuHSd0hV5YDyx6zh9RH7+X7nGhShcqZjBZLDVBkCkDIsJNyfeGGyPIWNzA/MqdkBgJtgSu+6TWTDMnq2yu+YHTtsYwW+ReFy5Nf/he6dxODiDPpmVoOPQ5G8OwvxvIJCSYDC2uy8PedltTrPxFr0wXfpdi+uMHe1rBSK10ZVA2S2ar2pO/KGzGzOu3UiJnAeSup9A6UwUMqRepsEpxzVmp1ll5id9UwTo7Oyzz+AgqRvUocOVj9r5jGmDnQNizuN5lTnMu5Dqm6fHZCB053mCDJ+ZPxp2vYgHYI3/BxT899SFxBVdMP+r8jMAXdJallyQGtNz3IvIRdpNg1s2z89lmZ+mt8JDhpZ+2/4Fq1c0x6RthEzct2x35G9hwItNVg5+xFaztj98kFIvyseEn7ka7yyNUZbi07DC21k7BAQWVHa30mWJqhiMPU8PyPTZdV0+vC9/eayGmuiN+BxlSv72GffyGeyeW6G1cPZROT8mNxFLCv8TnKcu12o/F715cwc1kZbR2UArI3EcpvG2+0c3xpf1m3cI4GNLHWKtz+90aHd9f9NNv9I3PQQkb4iSRk+TaLXcpCLf3L1t8+MEs5+D79Lu/CFKZL0M7gvtEh7hnrjxzMyxFO8IkcvNDCGhbumro7FuWSuzlf0d75YauGLSMeakntONbv3YKNh/Yl1g1d99UPicKfkH9qhx+4afSMTfHFfTVUs7PJ7dKvPQKBvKuImjv07JMMue9S1+XW+0SJNi4XgeN6GBXU9ySr6ubc5KnP5LU/l9KvRM9XX0pgAyNzh3gluL5Z8JxMLUYnlM5EM7QHzzMY7UQWRR6b1F7oa3L6w0cL/8UPLHcrM9uiYZOcCIfbPctMqKuOn2gHtkKf/ftonAQiUGNJuUz0sF8UNl9c4w8mdknHdZY/zdU2gpv9Yt0qNTQAQeNTMTMwY+bMskmjG9t/oQeeBRYtqHh3/INTVTCCV9pRrjIVOmpj1TwJ87jObYUs94qQgaKISROEhsYeK2s6PI2AZvPvDy2stqavuy+64JuuHncXdrzfJ7BGV1L3YNAszFa+YWzAgzWT1UbU4ZRE+LA0dX6d5hxog2egOtdXEFNXV8lg/zw36eTXYGfDI5pHZbanS0vpj+grceLdbNVNgYHHlalyDj/hdi0g3avs3TBJfri1WR3HfI35UWRf2kTB7ESBDoST+J6gBilw4gZQDz9yLdA25lvZKv3EJ8yPlL/I1f0Rs1rj160LwkT2sNN3zfEkhzkDFMGnXZQF+5wYfgaHAYNu5TcKLOtlzE7ukxIiKwVc3WnYVU5k+Ht/3L+hbjDVVhRVlJ6s4X9UoqWqwqt7YkvdrjeDT+sIo72grWhkjC+MhNohyeskgAT0bdn9BBCrwfGGHn+tHQlRqTTT7k8G1mt5nPl9TEcYqWpzdeWqCqcj/rQ6Sc4eP1XiG0hK9WtVgDDj1Wm21DVSNiHQKSQiYtyE1WzVncdrIgRmn4HyMzop1SdiOzJ1guv9HpRchveZhXUhPoUbieWmLwtAX1jgUPJN1deNOma7FWRHi97y3U5LtaSj/lD2HbH/7200e4uzGIZWgSj2DNVEsrLyOFPDuwmPlMrkmw9d2shzfuZlvlcQrwD7j9itSiSaxstkp8N6lUoFfAk7Lw7mPKXokcRC4QdAY0eNWY7kpTck9fQX7+5hfj/QVbPnWgXvVmjZcJUs26Ca+vEs4x5PhjfP18bd2UYdsWRrYi3UlppVaAXexUtAv+SEOx6/nbNKaYSseVCGWxr+hITcCqxzFyP9B04rIO5GBmy9g03zHRpAEJLFv+tDTuZNV8S5WoD0gKfDHUUu4HSJF/rCbpR3NMRw47LciG/MUVyqeYhOezR7u453o5hgpybnDJP8dkIciyYiSbhypLQYuDjA6Sr6ZtBQOXNjKCdN8LhI6vCEXLS9rnuVc3Jr3LY+KmHg8tryqOvMP8mr7PhfBiS+O8RhOc0DOniGrc8TH72xO3nHmKzWVApGgwTYBmY3Pwdnjj8qs4Fq6+C6ETpwjzn5XniY5g4kcUFMeAhZzl89JLqGtCJieZ0vGiq/sEOKJ2QMWI94u8sIh+dtMJuA0URgACPTV6XrM5ACnfiKarjBuFmzpeJ5QIDsodeC7J8e/03CGZSzQVEVid+PKzdDEX+qyjoIX9fpoecJcWnqj2hnf6FAJOYMvNAXozg6oxjjjGoEXLnfQVdhOiHPHetbQMX9MaWwr7vlDYNsP95QDJcKHIzQR0KqRsHayh17gH4rcvTmHIZPTgWdc6SRgIF9GmeNFYuzHXYCFOEXVkfEXGjRKZVGLuijKug9eV8p9AUXPD22309EjMpoT1MD9B44+gA7rob1N2jJuxVmKBoJ05Gqvd3xwYjI+lJa7q0BhuUa/sixLBrINdeex6HNRuXmI1CSpUZBuss5wPgvwr8Dmi1hCd7443olzCZ9gG+BT2xAOpQb504131XEyrvzai9wb9VjL9YCkpLHJ75CX6I8LxC9y/RCqMj9m3Q1Y9LPrd4qaMeJJ4HuRHaR6/VXTV97DyRMiGucmJXB6MdGw/ub7bnv6NVyRSBdlG3bTVibKJAe6WslMGqmQxx5xbiMjXAa2ojFQUlQdqDzSEQnsyt42xaXnLIyqO/dutFbVSq9KH+ZukYIWQtJF2hwd5TRwYbLl5LSSjBYwKMKkfG3e21Hl1SAm/1hyPHKN1lCAOWW7Bnb70fVqFp3IUQ2YPOaMQXd/9093RJr7Ir+xj+VJReQTfN0aCnSdKELurQxJFLTYcsXHy1nSlG/njbcplzxJozN//koYT1xuscucnfyzvnCb4tszPFiDJ8/6bnkKDsyjxM085yvVPQTGuaXi569gGGsxCQuIWR+naM5BePOaGBP0jVI4Ji2he6eYzpeebom3np2o5t4x4Fe5xe18IWJiw91B8SPZbhJuKC6SSchMkAL3yP7C2l09bG++jR1j02Kw7Up2UeVmVAfLDyP36hCa5SPj3glUdRWSsBAsayfh5md2NRuQkcw14QC7tEENbaPAM/CoHJAi1u41hfyrQ+TXvY7NfRsmMCx73Xsg5sBgsmrrzU/BJLt8PJ6vVB1EcWyip4ANbkj0YAkm0NI16aFMlrGIrI4tBmLp6rh272Pdhn9yyaOIWbeH1rNOVPpn/JkCRFGslNAz7yEhmmf6uw6SRgU9KvEL8PAAkoZGzd8XeCQJbD97Cl2dqXkS+JZyMr8uy5a/qnQF/5gTY/GTMsjY3F8VC31/aL5e+d7ZailNPWFi/v250F2YzBdhal/6YfFhmNE8Pqsydin1GMlwDgF2frIcsQ8dAE1gLd8CWFytYOvUKtbcqCui9Xf3G2dA6IHKwb8v2cjj8WvVcoJKwhJdMP2mUZRS5oNbXwP9OsHOLZjykHKGfBBZw80FRB7hb8NqwMJ/m0lVBzKgpH+g5ld5JCGFp58Y5vCFfW8CbBsLyOwpOl+ZiGtrJHtKcXJ6Zds+fQqsBG4TeIWO/iOjEpJGK1UO2jpQ9TfDlT9J/AMsv9Y4DKrq3F7552VBpT0Zkc3Q9A4ZM63lFNr93A4g4jkQbN67OMEpIE0gWdqQ5T+KtDQqEc48SKTOQd4IZcNtOAqYqahCTHm9hTIWMoi1MBAH38li8lr/2HCvSK/yysCm8YOBNoD5vWdSnDRA5UezEzA6IIvHi0V9c2sdivjfrQTj05tB4oomrK16yCL7EqvOs3ldNsiNebRfDAxi32lqgq2crOCyBZH8NLeRE1m5PH7AkA7PberaiJ5RwyyFhXEBUe3EF9sj0sX4fpdh4XXF30azuxuzNfq6IJgo5WFqaQ20XwfOqUvSXL50Gs/fXHQF7p8rykDzyYwyZjWEfSYLWuorhDIyPntwvj0Yso2oIeHiRkA1jtznXFZeVOxLp790MY9uwniOOdMgXY26eCryso4JNtQkI9ogsTFgiFa4mTrl4vEHvKcsYYzOWndw8KJr4i6oOWAQNKBMBhePJZQAy3Jq32C/Npb0Dp4glhhNFbqxOS2BTDfsywRLjLTsLVyifJxWlB06LtrCvYCMmr0wGSxMYJxuSFnQTi6bvBkmeGFcWFaScLxsO+uVfAB3Akm6LRkIGPrQn7AVUr5+KRvTOS0bXLERufKb0AeMUk8GdonWpvjCg2XKip5wiXlZjnM39v9RIm96owr6Kw/03J7dAs+qM61QELhCes6Q9RpIuEN19EfZCNKXO53+erHfV8rQbToAwMlM4YOJLONtIc5K9oHLP3RhvwiDd+gQmje0Cvo5+0VqJ2y0CGkEC31CK0cNqNto5VOcg4Fu0bJ4z2aM5+0nbWBnP298Bf7Mz4yDNsSUcCjTnyMKMdHLxzMDlsVVAIyZcJ6K+CDX+5KtwOSJFxUqv5AwmjUTVRGbcbzNkU8YD3kXrK1PkttQcEp8XWsvZxShAosHn++2Cij/O5KpGH709OdhVztXTMSaMhzl0O6KJSZH44PcHWwGzI584ANhnRQi0nyworuQ26uzOL3RppH2l5+XRWUDNPgJe7GQjYOr9JYWzXojPOEjUREchHOltrcoDNMToTOUBv3pTsnpTC6IWDa7HVP9FYlA29KVaNgZGJy2jOJu4O8C6g2LeB3wYn2TC2WdrLecOAf/wzHfAzhwRg2fWVaB8XH/yxL//GI/UItXTiCSLOLjfl5/rTZTIaqt2bkO45Y2mAhD4g2EZAHXRcL6QmWTr2V/tHaZKUeEPS6UO0jeMQW4utaaul2RtzyBXaRuNYsnbIrzl7unaZ5Pzgcm6jEt1pgKzce2djURbASDCOSHKzF3Wuh4X1XyWPETEiLjBuh6tsj/3K25/lvWpD3FEgOQs6trdLTZYbhmcwBiZasDZhvI1ARxFseU47me4E7fkEJ4FMY5ulivJdXchi2fcCYWDMhk3XCIPhYFObwxGpPVorcHOvF0S1C4an0oKr4sMWT5jHi2Q8JN0MAArGcW0ZhU/lspb/A6UyE7VG0kIPDLJdkqwjXSU0J0f68XimWJwWl86sgn5K93B8wg+fU0EXYoLm1XEphksMP/ZpAKYmQeTEr1xLme3SxUh5Vygw38wgLhcBoGDnh7wGJigmgc3ezhEhmFF4fopY3epNQAC9fEh0GoGb+fEXrb159hLeWB7cKirhM/+jZDGt5cm/LKo4hIzy6O3l5eHCGSgVyDk2aKf7qtHs6CHd5KEdox0xETYfRTBiX8hbG9L2ilwd9ALi21CLIvjyS2bOTmlPrm2mYRNm25HLxW/t6U6A7fD+h+z+jVyIouVEVqZ1WOsmOm1wLjm0TZmhMZ45A0N5BxbHS488U78/Z/wJpT6j4S1EIu2DHvEU9/PjhKL3lV0FgrcZjV6U+qn4qpfGxmJLVLkGVYs0s/ZJvMCQHqygGEWu7jPnKlH2jW9J4WSzDigG8mscBT1nHHQqokUr6y4MiR7oFvm64WuLIq6i0/pnMB+Lxuz3WfY3QENHw/L+8yL8kiVxxsDoaP/0IC5AXr9CEN3J+gOqLlHbExh3EmwL20V3Ry74Fh6+TVbP3p/LHHwg2K230oxCpvH2wQWw9FrFdVXJfouQ7l/pc71tals+rSdxJHOGlp1TQD0cInu8KFXFFdF9kWzSLY9KI+U9VH7Vtt/tC0VTXFKeRFyBatcgBk1ZfcGgw0Yng+1reC5S67Nn2D1YIVloKIKl0Xn//XVEJVC1AeL92N1vxpvw6OB4g5j1AoCb54cwfEBPd3P6YnKaCgffyTHx+dWVTr54ZXiVz1eF6XH7iaOAxDxzyLZW4+u9o8JkU4Lxjx45xbHKcpPr39ADBOstCrp0EKfa/Nu8YlhsVnlq49QQOZFEg3mvE8ixipCuZREn70K+qbIOG/L+btux7unLKYtGmVOc2tDhjnrP9Vtfhh3SHDQ7S8F/CBrvu2KPpTgVx3p7qEg1sUGqxMZS6cEZTVJ6iu067VZrrAoxdGs0mRDoE23pcf2JfLk74X1VAXAdu6q/34PZEchpMG1Wq5uW+BLn0vcXa7ijLFY8R5ZztTR1L0XTNoNDUItDbWEQ1Wd2If5WU0mwECUpnPHcfbvp/KS5KJieTnxx0leDOMShleYbjNIoVX0gEmZhiDuO090eBnKUbNnuHlMt8834d3Gg7UFbEaeQ0JfOGiTjxgFQm7S6YJKVFPTAg7hWJ8nq17LkopiYRrgGS6il1CroUE/h+8xWmqlym/VNb2bYqpFMna51Yz5UQiffnhwvqe9K7lkwZFY0NIauY3Wtp9vT9raMlw7ddRD1EfPow4RThvBMdjZXv5WbxiJxPBluNQJXruP1+xBP9FBWhpBZIaGpZTzoOArxwWpVIQREMP4iQ8N/+G5bl30lwTO9nDMBwBamP11UHj3/S8xlAwR3XjGNRJIpEc8d7BUxbfQNS71C6pSx7cFKEm3s3CRd+R8zyZHxXzYKv+ZoUDRuJmaHOKzln1ZwZo3BDo2IdRfmD+Y+Z67hcpRVdhua6Ys6ZXr0TLs/yAm9bO3gJQbAIxTZvdvyq1lSCyblUgrtnoDDLHMwQdy+xNRyr2nhcTeNdHDMEz9aNO53Q/OeZLzbnfW4NIts2nx+TqCdld2trD6Yrmz4wKC1wt6fibvGTsVXOMDwk6RunI0jUxR6kBcPARMe8QNyW5MLMOsYpNCemra4+2qZJrgGyVAgZ5esNOL/ZAuZDvBqtCmOYtdKaTpz1BN10sawFKBQ9mUmcG9HsyRu3dQrcP2yzk+I9gdguB4TB0DQ+G7z0kK6RZgt82ui34J3UneyIeO2Xu8BmsbGs/pjvLlDsxA6X0CxFs3456quVx/xkHasDNEe2y0pMDKOXgjoqJveN+opgmWcJSFgA1K+CxKEyZ26a6m/41zKFeW1DynHHbYuVE6XpkQOCg+Y0zyZGbm9T4+vrAarKblje1NBE0NaMlh2FCS9DPQXoUJAaSoeMzPukGGGBzYaK5OmeUCAM741PYQzdznM3sWTd20ANYE9jvj+iIQ9+OCmqPxmqdgatSnD2HBjVHQxIDJXyPWLrgYvHs3uEFd7Mr7SRdOcZ6WDqyeZ86R9V+FqJTOhR1D3Wlgot4RXhXy66pEsQmsbhEDU5vaabU/2vkqN6mudGnAfo5LXIohrQEw+kOSUq86HpABfQfsKrJySSubfdz9ijMkqJT/aTpQhtxMxqZfHMjQC5YD8j/lmvHLUyoHFF+C23kRgCcpvdB/liqtqi/lIULB736GbPiiiL/GjaigtoLke4b+MbuLvP9xWoaS1Pu5ljlHlyNumh0kEewbZHAZXCM+UEvrKDbKqTVmYFB8jHLV9AapqBHF7Gdah+snC+AS0qQL6W6N+Hj3ohqSYN2agmrx9UK1XSx82Aft6MUpDH5MqMDq0vUQJUNR90ZqibwW7JoH71nTXK9YD5V9mCfmhBpsDdCJ8LpJ2vhin5HmSN0EJ4acp4NLL0P8dDks7aM6Vn5gplSnTqvyUdo01lDpPtLROKscIjhg7Inia2tz7j8FT9nhcRuobBE8kgBxw/1QJIz8UwcOtL4cqn3659chr6UJa26Z64a4nxzGbPpAUK48Cl4wBWmdDrh6N8EoTVSXowhcCoSjGBF9v2EfMH1axje8Yb8Z7AKF7Ho67ipqYad55FIJjFDGwJJkMcBAAMsD98N4nsTiV6/2o26b4PBAjJuLKU4wDqAXXyRDXQMdsoo6xHSHvXJoPoMMdF4g7+VErOrXzlnuSkJcH99wTO/lrNOdynEXuRBxIsK/PHzpnVcaq4VxQohtHhquXx+C6E249trkoGA7KxYpMkMXiO6oDMqWAIBdcD6eTe0nzzLfDDqBtSlnZiRKbPuKWGb1wiUQfQdxOXieDwweu6RkM/pHs1ViAjjVcjKap62dqIVQtrxmZY6V0fDErY7GONhaCdnejNp7nyHqYcWHaicT8uQnf5cvSD49dXSiSyM7VjF6+j0wLkIufy2zGTviwM9pxqGvUVxcFIPp1RZdHSByDNTvBqtYVdVnEpgybwTOTTACOX454b0QlDvuxAnsm8VxEtD7obzQzsbeY9IAiKVtxChdK7FDR7hli2y7cPUsKL9Uixn3ONekzS2et4++E5o1VG4GJoDeosPtDKYKTFTnObRuYg0JE+PGjnSMIcbuxn2w3+wy/ALpIfydjDkxypUyJ2gaiVHMDW+46dCraQnmVGqp4oCkgYP3o3ciIv9u/N8SVKHvOqPD0Q9mwAP0F0Gf/TeoE+APd4ZEkcXGSZ9bpc1TAzWjvK8jzpFZyRPQoyvoJV6+r3JeQyat7wWozo6VlrItd3ZXQlX5ram05zBaBYoGzcINHT/kk5I2gGe78GWl9PHJBnaY7pSEvAjPfnd0u/sxtfnD/l/eeZhUp+YEiPLMcdo01HjrlYVAnLqlCirHVPrCoxi7iGh9oRR/VtONn8Gnobs/cFd6oJe38vNO+6JC85oKMDVeJCNEqe7pGEve4pngYsixSXCv+znflLJmdO3jZFp1CdRGSlCWpx9LEhU1xkBT9kF4Sf0nvUvRbddIr1AGmC6OtKzhh1WzL80KKrU1p6iTIHfCmtCDm4EPFNu6xuZ7j1RL730ucDi6RmiRxndTgdqIhF/3Yr3uAiVaNoptvKdiqE3O0RGqcbsTdBPptZf/zAazq5wNk3PZi9JAZfAKX4eJ5YHbUOsHi3exFxs6CVfpcqLLrksXUiqSIipNLuYosySZ5lLaU8NLUrg8vEsJQQBF9jXZrigt/gLmQzX6boQfIG5lL7nWbZoSRQcUBEr8IkMMDkHAIYrEqGKZKrdeW4VIH/4xbKzlsgJZH9hytNJN6L5mKSdr5MgzVWiiy0AdWU6Nknmb9qrlaAgtEVIe0NHJ+H9fEwMW9z0N4omuRlY2S4wuB7Hl7l4yD83LlwSV7r6X6NQHXDtLTzbZa29nQ1ASk7p7Ieq1FGCMCEWwezFmzm+eH+3DGc+dNxJ+WNyPECASbPTRkqkAwlHdUfldSr38qwoLA4ftSa34BKDNtwx9DIqafT0EPC6/chx7NI/6otjpL/QKQctoBk29nhkIP5k7meFQIuMcu6We/PpwuBAOEzI8c8z/0WsDwR/khTcPFZSCt/B2LMl7CkKXMsIUNvYfoyPR6mPU4iJi7uXMlVOUQB9eMXFBt3fqHfUh80Z5aJ5Zm0zIIdg63eoIIJEgVtXYGI/0UKGamJLRxGbLm7v2ZHw1g26+/mcRactu8pl9Dx4C+glnVafWHscfaIH3ZBq3psLissWFqYHZRlUB/o+Cj8eXP5uPCEeI/xxdgcKD6tqZoht/UmwDZbl6TpepyH7PfJz1hNxgSqZgQSn0v/17pq6FlHd0jmLCMGylDpDDWt+yl+/RbUnH6VaF0CBR2KhfcOdnam77CU5dIBNEg5BNQGpjCcMOcrGQVE8Hn5Xn/fIl39tLLcl/gdmPFvYDp5Yv2P4NCS3yxF6o6nvzlXEPULoEKSyvshRW+lemFnuBMrj2XujIEkRue7hoj8bYnGw8RTyO4L5u/Fgnq/31BtwdZJHMnTZ1AMCdGJVV0hBkLEbRqrIshWyXJioXfofwZ618TySjWE9IeSbiiIoQnr3lJt7Wwcs5B7uUfhX9hA+3woXKam1/JWpfJ8OOn5knQRzDXpAfR6LgowKTAvXZ7lI/Ji3ICqMgVw8AQXvbvRcVOW3TbvGk8wJxi1jWU4qAInpLKTcf0zfuN1k1w6PHTnxuBGhM6EhqM4Jy2rL6OZpgpkAGVo3LdlO/2XtFXF6F7Q+4zLvgvCx2m1SFLaffPqVbr06Ba+5xAMJmn+qrmfSDt0BhgqT3o5Uy4V2qK7rvfEdRtXu4rVTOmCIWKSGJjiovYdZEw6Nk7ZG2hToAlGuqPOFCTIPMBwARqnSruCZ92JHWUTxJGZ1wakg20+VOcZv74R8UMau8KcsG1xigxJqdT+CWr9MoRxkzpO/F/SvPt4QQ6cHcIahX/MxfvR/3IfA9VA8O9S74+BEbv9owJL/VsvnKOfBHG5lXn5ej428pCn30mGMW8dqPpdpPAGPcA+q0STMfYDYAh0/liZw6ajs/A3+xFrxgw1xM/Ovx77gLNe5aLMOdOw1gJ6rLkMp0Ak61XhnHBpeu9EFxpey9ydmZarPzdW67HT3ZepqlrC94z6qu/3hRr8lz/dbuFjwz+pjkjbt6BFwQ77pnFc+wiIMwq3qUROvTKaEn2Kx5dMGKwOZGIWpYPeKIUU9+h+VdAi5yKW9QXqu/K34/JA995eX0VssUaQqOLekXaAKiX8C638WScmn4dRqsanavq9ZBWIf3+FhQqwGoyDejjUvWbkzMgwB30Yy290VlAZgYIT14Bp5ZCkmdn6+fXYVWjdOqc2umCeWyH1e0eRtvL9H4nbowDRKt9Nq6vxWSjdSt6x9cFHU+WJmrOHRpCCh3eWEztwHDMaXWphU4zGnfz2DiDL730S6zJ1dIbCOXN9pYsnO+enkEMtQ5qdSQMTiV6mNZtT151eDjO/kM+yadt7D+G8WkZ/rDsdVAch2DHdeLuVJi6FQK9YIjk+bKDNZHsVU5oLBpMH4ikLW9qezQiXxaEU+G/xvpk7+vlFhOmvaG/l88r9g+QsnrSN5wrE0aF96pYop2ZLZXWiSsvZ4/dQgep1RAPZolFfKF9W8wTdB/n5Ob/sN3lX/PyaIVc4GxbKtIHBxSXUs4qbjdPMP1VTKrCHvFMDiDFlxzWdWha4Yo//SwIyOHg+knoETN9/lA1/iR7JcSTWLFyWO4DfPIZ8IbB0elC04V62S0tEtP0TP1Fh9Pj5zEFPJd/T732ovmzRF4oRGLZ7+sIEy0NI6GpY9Cher/kkEjC7fVBZkLNd2psOtbZ8mAbhyLHqdLnmaoILostAbToQ5KxLY1Yz9J/CG0jcM12LYwUF4XsJl0I9/J4gtgDjwcGYK85F6j6tbeWzKANjFqS5ISt9FZRxREVWwUM+HEvcKLj3bZyrvdzyOw4TA4Mvf4Butcq7OGD4mxp2GDcPx8BpipBN/JagiXMzMDXYi+fsrA94b5GUaZTGLYAWEbcSRC4tfpqLoBLXn7iRYj2XDe2hfb5/FhJ5D7XVmn0K1tTdDPt82OoYHAgSrLG/DiuiBXb75WNp2kUl1Ays799aMEw+iwpqJczi8sUhHCO+o2S8inFNLm67uS5eJmpj8fQZS7n70Lp3B/lpg2q1Uc/h1mR5XcLarM465RmKYHZZ9sW6s74RXjFBtbEMgnCTDSBTrcpAVka4vquxSS9yvnWSSzQQTWPBVNtE+mtAX3/41p55EXCekhH5CE7hLtE1A8gVubPazo3Z2P0FUppJfQiaSmOMByRQpHJ5I0813IoBqU6o1LyrwxNYV4dUHBwGSu8jClb0n31N5/dClX1+B2O5wobCY/9EAfGK/06Tfz4VsNA6SNvYIHkXnaShj//vOLre8UexxYdMxK+raBCZ3R3q0bYVi3RV785+mOYRd3yY4OOIb5va4GD2buMsGn909TyU7Y5w1mXx/KN0HYG6w8LNp5uYyC0HXBK4b1SfKXpy5G3JOpHrYDDgEQkQ4hEhQBtuVToNEs3SF23SY+L6foSkyTh7YLRA4IThfhUzcEa+YAIpZ9h5af1wb9rA/AQ0IWuoFv7lYAhgi6utjNppHRgsu70I1GH4zrUHrMKUNabJjpHejPjFg5KMOxD5IIVeqMmJU2eT3EePdyNCg32xFsJSYW3cr54THm7wY7n5bLHAUOMlXzyS9f/aUXFmF4MiJu9UijP3JtziHVOqOGMJBSwbIe0aliC6TbYm0vBaeJ+BRx1ibd+wVSazgIhzNKVUFqBPFk5Xe3OSM3wS4M/7nHaRcbEoWch5LFrktaRkuBQqHIJICSXnDYNO3261uam8kKbCybFTnsOuydG9fc0aHvEgCkfjtyoqXmJwrAiQci3C3sypoB+EHPwrRWPf20TVkS4h710jqYMDnUyajkbhau9gI2c6ep3Z1bmEunrGTsVAy5I/76ptL15Dir4mWDh5kMBToTGRWvGqCq29Mp5CWAFseMdwv0saos1F8/IJiYktHYF2V4EmG32xh6fWB7QGn/2OcPYIuRgK9hdOXnn2pU9bwwbbgK8VsPsv1tBWjdLKHMRmN09R9ymPM8i1mYZPCAay4bgHnizS61bbA6mqhYa3YG+lHaWisP5msepHoPdjEOeDoEXWm/mksbpYLakYuBgyf809cxdC4yO8r+aj/IQLrADWHSnlxCO7naRXt8p/jHgc2gi48vPivpUieTQMwZt1Em2f2b5s4f01vrgUqOm2F1F19zfwoNF9K2aaylZtEezc3kWgSXorK+TYfs/T2nuclj6PbEeBIENslwbmfXfT43CY3UEYkFMe6UshnkzX565E1d6BVwUmjZFbg/pPwfHYNqiqldZbsqdf/VM2GLEUOhZgdbOOuZEgI2OSTTJEtSLeoVBYEHu3EOZPup3YFW95D6Z+SlOoBwLy+bAp0cn8efPU85HlC6due/fPtAJEjbjOC6T/ktZlVOnAnYguIOakJMVB34lF7VDNl0RWi1jC/U7JjykhaVHav1Tu2XslbRu+TI//G7NGYV6Xy1IRjXcGETZ+BugcTHsPFDLoXvxuMdhWi9h0o35deyKRtOZ3ETSvAzEl/Y8wzRikXXmkGPzQDthrsPZO2jI8iJUMbWG0knAfTyD2IE8+2jbF72MaeTx5xxSUyRDoImGAUmYWjOsi19gyf+lLcYQkoqAgC1hQkshf3pHdHzPbJrU44X4z0a6OyHwi/s4R/0ctzx32z4l+7CaRJszTp9hZFzoKhWecyJMYG+H3VrTMswNEIDU0Bw213eqSrWwJgYVzLjXBKs99Y3iRAdGKI4ZL8Qy1wv1d1nykvY6ftRhtYQTB0BCTZOxjZx7B0E0URe73mumuh1kWpM3JhQuAoJe4zhEK3OTNFSZP94AsMvfQ23E0Amettq5wXxkZvUCMUZvACXYxW69QPACwV9Z1JZ2QbKg7UMJU8xcJ+OXRWOS6NhTXZG/mORQq9U7254w9OPwWzLIfdmTBQ9mbA3nN3LvmjPf50HEMUjGvMYG/l9JQuSnlYo/HTJeUqPVbiBByaFOP0N3J29NDaqlf0SvY+AGNMFV4FeZ2daQXdVheRLzkhxlh6VJjoMaUJx858C6NVPcOLnTc+xHiCfzOyLuiWsYQwqGG32inX2PdnnbJBlnpLYPEYp+Vfw9tjY8c+zmEfvS70Qk16aBNY2yaxALCYHZxSv+BuNGWI/Lccfcrsy6ecsK7JAzu3DxKSFsonizljj473EKuUn48AP087NOr676/mIT45kqqI8RYZLIHnR3Bbqxrnu1/n/Tld4+RlA0VbIUN4ZMUUadQATF2nErnQKuIKSUnV2ZdwfsuXbMvp/T2qtuHfu2LqVh654G04zA/ZN8AzUsSI0HfmXOA6Lc2pB7O3ndujVcb5oW86WYYckHWx229QWHReRfk6TviLS4LsKWvXd7zVbmf8k4t37IcN/wI6jHE81yaCBrgg/cbOE29l+iqkEiH6NRs+DExx1RuKxjYhH25SKNBwX7JhUrntGvL0zdlPsSn2leGYzFBt6rjGKfUvACJbG0UOMg2BZN/x6lP6S79iPKaAmNl8IcVoAc1AvYVK76q0Q7W7j/vrGj8FA5lybAFqfi2f/zN2syA+Qzl0KprDDbhUBgM0bhlHB/bzVVWHzTL0KO6XNd5uH5TKj8/m0hzwdg9UCqpQhsZ+nfJwHw8W0DBjPRfhB4xXZTpKe2TAGNIfBKoZFaCVTVSpsUwvS4E5Cf5PCNlAxSbFIdYTOSeMEcBYrvVAZke0j22Vdo8yh/e/xGh5L6H9pHdISXg4XBzTAdeK9GWkjgGEmXUefZvQLc1Vr5FF6u1S7FbXLG+G5UgGBVhgM1gNQN8eHvXnPKM8dPYngwuGtj1mV0Ki+cucp+72ujzbIldcvZ/lE8wfZJ9FxL+/GFHCFExxIXmgfr60NCNqqbDiUY0u6/+/TdRgn3zhnn0hux8tyjnrBsV9XFVSAM+Nke8ckaPZ6+B67QHVSS3zLFIrPu9w5IJU6Y0eUF+Jhm/C7mf/ZOj/xo2CuQKxEelYlQb3LNfCn5uXsSpeYNJzqWn0kscc8wwulLcKnPY6D+sLR8diEffMdPW0zjBpjM1gz8vJWxHMB777t4dR0BrgG+rTyvyPIyni0mQBVWYkqMZUf8VSy8apDkkew4+RurA+lSYqFcOCwCGqeqf1sfxmEClE1bCasxd8/wucWxhPY6joz+3gKxc7icJCenrm6bzvWeKxvvwY2a0dD5qHGnudrpcAFEVCx7kfzV/+tXR6p1Nz6HhR41uRKjgpufVw9g4ufeMIuITnq+bl5uTeuEX9LMVK1DLnwq65l3NL9S9R8gXe0z+VK/tzF9MIGNqCdFLaS37u2z33NIGJ5+AYC1JqZJs62wRxWuhLfOWPP/hDnFwUIWHon3zedgzOPYQC729WIGekYwq3o4kR0m1yEVZur630MaxkzwUMsn4WDPJ1AIIhd+IFpCutD4nx/8pk5VT2Mz2pCPcYAqUP6g4jrXEDhJ+eNCeyhOXl9Pd1lDncMDnXEZ0tt80zyTVNvHnD0IAPzTZ44SyzlVr47kYd2C82rScSbqXJ6sd5u17kAiFl1W9PUQ5VDqi0uzI/u9mmL/zuBAx9MC6fQ1VOGCqZAsWJBEUSnDwa+uVV+9/IqhCrOlOkW8kIAXnGceI9DJyuXE0SaGP6R+w6Y7fnmrLQEDz+5V9qyjejZAcPADJrEj1UnrS9gI43o99rEDRer8OBYlq126iXSI5GIgGKc+xVFQEGX5KwAdgOru68PQ0J69qHDYeUMDDVS8nmRXAB1KSzoeB0YtAM4pHd8Lk0RdUUWhuaE6VLaAcD0Ak5XglpwjiTaOIyao5y1VAilvd/YDIn9AytoyofbQZH0srMBP4EDQJEvS5m4mmbqKb53oBqRY1gjcRZ7BKNIkXmJIMi322dh/umk+vdQyGJle4ucu5vKMnb0yZxubgJe2NJXNnLrUuJR7bfKXrK3mE2wBz0PlVc9xfcBz9f8tV2F26RIMdRCvDc59H4NmGc1zXH3aWl80XAlp1HVqg27G6t07g3geUF1epQ8SmDnbVabJkgNcmsiAn2kvbh0sdp2vzuuXHZHMyNdGlkhNDfkHk4mFglPiPu0rXHTBIeeKrWvzWEOm+82+epPAjinghgHkq4vWqdHJfG8f68MD1twmwox098gkLjFFkoGTArjrq8PHfW760Vdb3AD8yWNaijS01dtaGu2elm7h5Zk7PV09BKOkYScB5lVSEf3345kX0Rc5nq/68tI0CICGJUvBSfqmjBFmq9umwM8XC6rbwNCa35vciRABsV4wBTnCaOlYxDWLi1giHETVJ4LvhN5T+M6KYwY6x6PkiNB4tkwv57APH8jmL0f6WYg8yjOiYDJGHBRyYHvMG1Rp8mv09/5098jFyY0zjR7sGScsvpWKTfzkM9QUpyRZDXYFN8JaU7UE1mhs+rVS6zM5kGxpfaErNAi6l3DU4fZJliGqvfJmxH23n/A2Zk0rE5SE4ByEAbd2pCKxYumwuXqxQAWSkZwHto+OzmWznjYphNkWND0ll2LY/u85gM4Ea5q4J5jj5ATCaXaeEKiEu5yfGpvhM6D3S0p/Qu7P2ltaFsJVv/pxSWztKcrk4FByXb6Uu2s43TCs+PCpLgQqr9ttgnhgNNTFlfATBX1I2CMCSMWxQoZAaNjHjq2w7KJkGfE1ExvlNqHI1ZSPOrOWKsWGlHH9TDosqdHVd6UuSfzf47YS5z3fqPIsP6GQAKJFAdh7tQMBq8vyLg47gqWR6FJ82H1Xa+Ut+UCUVN3VsQXswq23jSId8u/g0dbb6yBkKk0O1GcLSaeKx+8pCbHz9hfLUCv3gpwF1e1/R882sW6wSuqZHm/oJRMd0310PMmcwzteoafwfTYJ7dOAjXVVTuvio0VWu9KK4HDDOFQnPk0ySM11SQgH1q/KTTf0hbBtt08qijecWHPqGqnSEK/4nsoMvGp106PV+vEwanM0zfC5BsHC2zwHHMeLB4iKrU7JifgU3cmMakLtoB7/8ZViyyYWU9ZM0rggVZm74EuBUEXsOKiffSW7VOzeSecRyzpH0haU/qYv+KB7KGpGt0gGO1uE220j9akCilks17YZiOXe/3u1HUye19/2KnqMXxwrIQhPhis98vDj238WMNN5eU+rtd3iMRPrWmYc4WJ8S2gtB2TPsEQ7aPxxPz5+/mELcJRwRVp9ihlXKe+G0xSc7Yk24SkTaheGUANfH/8r1FG6qrFtofg5OKmpt03NbUKbKorba3douUyFxouHo5T0HhmzZ2c7YXRCl9aatNljTWcvzTgPhzyB+nkdrD/5082ndM0EU4KCqp0AqyIBe0D6N/BFQknRZEqDGmjaB8PO3FZ8Xu+VTlmRI22gBKe1B8NgUGKu4VJueMXVzXue+ZEUkdt39/NrmTE1umksaNCCF2wWu+6rvARpNi9c+OHXSv7tVP5QumwFcnlgGqDdvsjVFXx42yB6hJ1ufsTDsHFcRH312III5xdQ0qwBa7qzsIvtttUsc/1MrXpkcidch/aZTweOcEmr0rHBJNpdgi/m9LJI0n29CEgJ5rUopRKlcIgF6BKbvqc283kr7nuzTFSAkvjbQ/wmLOhN7fcLP+JNLOrvEUBEkPg3bbRDI1p85zwdCSC/Tt3uv+sAP6+9QldVynI3c4BBf4QZz+h98vvgO2Z766nM/ttX4LzNuyvaRLjo75aLRcFaWQyg+o1N0QegMDZi6sQXIMXr3bSARDXX7mHUFf8Hwjnl96OmjOzSha826roOgMCre0Smjg27lSr89BV0MSg2Fw7ksHaG+AuB1aPTUEGYsa7uXs0p7uLf3GECnq9VZCan7EwVtGAXJniP6kwC1wiRPfIjIAgoxBOpbZo3xCMxy/d6uNyOZNPhJAQ9Tv7IN4MqxXcWC2ICEie3X76vanOX3VjDUDLYnNgYoA4bBjfcY1VyaaFS34CDesmWkhazC/AKt0pckq8iQ7mhHTqh6npFvLVRjXsvsJ1i0WUn1U7LRtpIZAOuCjR541AdQQY5oxs2IOmLxd5WPrZWHntWgX4h/FiUSCLTZYJjJ9LKAp+9HCfTGV9ni7qOay4FlN4L2cGYX7Xg9iRgmbytkN9JZXAAc6l3QIWMLgBqgCKRz5Sj1x28RviIfa54ywiuqR1TTruFGs6uIXhov5obcdiq2C8+SgVATVYG5VafpZMgbIBhpVXA5s7VF4Bh+lMeOoINjMAW7qIEG2QhqTyZgLwT/K7jYHjv2qupCjgKf18vsGu8FoCevnEd91hvlh7fCxHb/8CTdxhaoZm3FIzuP3cuM84g38bcsdrNfvw4Xwd91k+oOH3R/ZIqcdOtydzFoN4AzxTGFpPtrBME5ftYmbI8Prz+nALXug5JZmZQsanG9Aq0BiXvSaih/Oye2TOvzkienRJZKdateAwbbtxAeGXNcyYfxdva+OoHPIZHJSi3YoAc80Li35Qv0oMGZ9n8PLay7PlfzJiQ/k6fF0a6BAhHCf+ePtFsgTCFDeQ6/y9KgrFkQdkXVIXbUV/cgi58CjsMI6X0Cefw3MJS0RSHnL9/33c1i2mToEehIgLPh9Uec39qqAJXA7n9Qwju9fkxX9BHDMSoaEAzdMtg9ps6qYgbnF2sKHO07pB8uGdG/q8W53s1VHUGlTtIiFHiYcFXL1wbLWqaY07IVvr8N7htpy1NAwt5sbgB7HhnKrWC9QMHhRXsyAEdECiwsiFo7shN9VL84V1UZ1XtPiOklq9Jvah+ryieDOjebaxByq3VaL/E9RnOAr4PvywRIhLwBsDYcmiGIvnspO3d3xuKuT2f77NM/yl3xZ3HPDy2w/jkqYaJhv311y4IHcjVrgeqYFIVrLd764Ik++hqj1glEw57PjBMx6ar3veCbCTIPO2toDnRjH0PvIKKundj6pYcgrQRpfYxKbrIHYHN9srNoC/hdLoHxYvm474HDesjjt9iPNF5GDlv2E9QH5S8pY47vMlMj019By1fDarXGmigq7afTm7GuZNFOyViBTvvlvUW82KnDlrWRG1Cd3KTwQQu+Wlma1uz5KBQNR69rPYH4Z74t/s/IZGXezZkw6y5WqVOGoKGUOPiaCyC7olWcG5t1eO+AURiGj6o2kP84hklEi0g2j4qRfmu4wEaoJQd9sZ5AumDaPkpHSs4bdiKsjfk8nir6eW4abw95cXS1I13bKGlOjp0Htu7ADGlG28XKc6sqCwIX6uzvjaSRSv63ve4vraWeO/eX5UH8tJQntrZLFA7HbjqgZ2WdMaI0ypc0Fd1hXfZcWfZTktRh3CPGotANnlWbpMQmNrFTjpzKW6f46yCysK6w4XQQ7Y+o9SYk0Mlj7DoXh2uTPr4Flrp5irvmDx9cfogl7eTESg/wIYMJXMP5iEE4Sn1kwYqctjH2u58n1sA+2p+5v+7i4X6+OgrnSeTUAssKx74qVCYgdkG0GERudBeOXjBCJd0zNdhg3l6ys8zuGgCacD+9p/CXrcpelbwdjjT2WDB+fh0BG5nTI1/2gqv5WkoJcapwU1WdIkuPO2yyaP0uhKN4C27I0/KtELhIGDaKF8vEZbWSlxxnQeb/Poz1TMW/aK4s5DyXsBs2edXNxUn0cQTCS2bzQU6BcvFSpXKtNjB3469H4z+HjV4axf1p0zolTpCvXiT0dd8AVagx1Nma4eJLEkKepf3cfin8W4OouL3CxdK7P4gpwbAvwRdzQWfxSc2Ga3hx8uYHUnQkTCD4if1nnEWFBJre/oNaEDcc0yH4jtKNLPAVRKfrgMBbrJoNmeBX4HNKL4M1lWhWin01T3TdTcqakMFoa3rQyuNmqrghV2Y+V4jqIViFYucSoFU5wBgC1qko0iZS5KprQWXDDpQsupOmPOuwjJ0aTzAocPs/n/zC2gfTFDDpQmJ41DjmGFT1BMGe12abxX7JPr25YzkKv0FyT4sH92X6HR1IFPZJxDmxMa2v7kkku09jPg+iaQgizGdCFdj0Xvs1iI261/Zoq7ZleafN0LRgieD7tni/e7IMs+KlKEcS5TlK+DCSbU7gShvx7ym0qLMKzjj5mgY/N3VYmw8hho35JLUgIVwH4rMNpajz+Q3RSRNrr7uW/Sd98+uyi44299uU/GWvoIoK8PSk0v8jvAG/Xz9lzkSNS/O64P6x0L3o3iM4vBkF76XOtI1Id94LPd96uA/VwISWeic1XiqPlvfVxhNFZkWh0isF2Nsqn+qDmMbRSSoVEQXj3Lwb0VB+++lkh+vLu6KIslFwIzOriyIirJfzuQdrya8U4c+paIVv8gBNYq9VUrLkQ/L78q8L3nPU48Vk4djs+8usQvMYQqO0RhuTLItqhS+HFKHXtoFRsRIH1D/UWsg3yecUAI+okDJ4AUth8WEyFyPaovuu3E92RC6npv8rIiQyoubWuyYGQaA0krDyBr+KO/8nDxaRakuC1l8nnGrGjqRW1trWcgPPQuWHwdjBJfCZfMdfwLkVtQvyMbEei1W21yAfdHJxvwByrz7KzCj99k5VlD4mzHpA5AqWv8zUYEbdpoS4HXAom5NZCasGZ2BxjPt4a9jqr/hFTo6Qbktnke9qqpkMaRTFV9mqOPXidhTMt4MwKa27pkgmOS9zRX92nSORz4Ei/JJtnt4ejMe6XwmcrtZpGBMCu6A56iPIidwTlAycM6hSYBKSFGOOVSGpJOrZMJTWxWCAn3Kq7k4s9dnSMFGDUikjl086Cizcu6IdC1yzkUbC6YVh+8yNEHyYbO2fyL/A+xsyRMDw7Rhz++5rx+fC32ncrfvZef8TNS9NJVNiB7000q2vmJ++ddyjvt33n5IXXkHIntlzp6ERvJLnfQ6Ycs2dCefMtEVX/ZtARWC6wgaJkp4niR23v/NVVyLhUikCBi5ufEU87yDGfZ+hw3yfoBp4MBBX7YL1DEOCxLC6lt++NarDAeGttygqbkG/XoB3CcBd8/ReIcGn8DtpEIBcm60XY2n1/n9W8gsJPcckL9Q2sugBgTbUuRpJWxZDazyiMaENUwLft2z6xVkkO8eVYsS+6M8czDMcJBtyUNCmpISRSo5ztaoYHG9Bltk0gamqtve4J+QdfHbSdbAE77WZkO6CnfX7UlSte77UMYczXv2nhxhRL5wYqUZjQ/NUvA6NKJw3KkX0ZCDQHE9fg3585ANDxD2GkNEYB7gLOP6WH3dFWUQBBL1pNsCoRM3mGwyWcn6XmFmPHRLbdaH0nY0pppx0RcQO0Xn8uDYVV4PNMG7QH0Lq/lLkrCLM7zZO74W44a4ABCYnz5FGDfVMri9ejxBa6yzVHXaE/Tjt/7l/JtFPpqfjwT64SZFqhzdSmqBd2wMY9b7hVDrX13iSSGlDyf5OaRXDhoEHL6wxuShuYrwYek8bENdNkb3KFNSgYxuxnik/RVPgl0ib2DgIULm+1+Xa/DrHRD6V+jt4yNdTpALSIUCvhJzDXedhRVzsb61nSqWUtT9Q9k0f9ijNquy6Fn+ozgyZzujw5IzmflRDguC3bpwXh46/1i7gl9lZkYTNb7BWvoqeBxQzZ0e+WlDsLyIWW0BjxFajCxjhLzdeCyriNBGtEjgKC5zS3k5phVPkO3mLwBLD5hK9PAb7dzJMhRQqhpBLiRp/eY+BaRD5FXzXouWDFQuVuJxKBNPBaWvC4W1MYBZwHSx+YsFS8G/ZzRzuXMQrllX1TnW8lPhEJC+cAAuDboZeALRKRcL7KGQRmW8pQ8uHuTcog3cUxV8IkV22/WXzZVmik9S1JhAh7hr5FhtxwuTZy70PKayqM+xinMC7/q7kI3Lcg/bdek2DYhrbszjUHaYcWvgo0Sr09For+MFDhBTxvN+7EQ8t+3xvRVlbxmKanCSs6AwU0AbaqqNPvRvxDKNxyB3KTShHRMEO3aPq5hP5qU6R8H2/AZGhqQR2wq7dCYR240ZZWNnJCrH27lDejj3kc83eckV0G2l471pG2BA1Hi+sI/ZCYCvzFbntt3IunuSuY8oajbHwKYQ3sAJHIW5aO9KK+7CkkGMfjlOtRX+6WLOCnyEKPCvtiRyG6chXOfu6OT5S8dfl7Jp8YIRJtNgoZKatD9aHuAHgpqVY6iN9NywooS8oYPBw62Xhv9eWZ2aMlSqJ9tKXFTQgucSDdXeni0MI2SX4C32ajo+5HEZ8uiuxLZ5rhtdMGvwFdTU42fyYkkrKTPeh8614fqT+DNW8VnNFBNLNEvEAENMId4miRuHMIFsoNuUUct7T3RP7wTnXKYbYHCoCpymL1bVHTZO6DoNENDV6X5sX2lHnGwTMOeb+olp53aVhsgB4hbFCkqgshXehSMAp/Lp7PouFqQQkn0noeQajeiJmo1WA1AUNUzrTayhRyoqcu76jbc6A2ZbyIYrKIpfqs4Rfey2jwaWbAJMuZZqWEJ1HoVHccWEAOSn10GBgTi2CUET8ViOfq24CBG4k3bTspJ40jqKAlOs/+A7nSX38dcPKz0mUXHCdvu28NZC3q9naUhqvC+NnARAXNq3EHK/jiMRmG/GeMCla2gnW9Gp1Fccmuy5ZH7d4pyj5XujO55qzT0rLfq9p809nUVCXcnIDQJ5GIVCRIZ/QLLZuw2xgrNmUNnctZlNZdA/1paBGuyZJByUIeMJedDLA1LRJOhfySF3Rd2mGOimpqYVna6JCXxPYk6mh+MEf8EY4KKVryPd23Zx+WFqxyehEUcmZgDnZSKQgsI9mKkPHkQlPr8CsH/qGch0B3p8bqvAIodUhRFE7xLdnv//EYCRFHdIlddVwaaDaqvR8Kpkvz3wNMrBkw5olsJwvNirrGEdUg1lPMcVnICCbPMwzMT8OPbDPwafi/UaQ6KCgk5P+ZMp/3Jxqfol6vw0SZjOltpxAPhv3PFcbYVv7wC2FQcq3puU9p9CpCPbh9kqK+tagtW4cKFHdwOupSnQa17ZC+/CiFjn4Q26Afv/0Ua70V8d3cwIZIdpp94jDQ8uJwVBzDSOCwkEJQerwi7ZwYwtqOyvCRIT/c6bDDi4BHSwJll2JsLVJL4vhM58EJviBSegrHF/uQtMXPXHcKpgJC1obL4/5J+PWa5KZe94lSDtkliOUA+lu6wbbe5lIpFsT+FNYgG8Qtt+vH2UYyzTvD2kA7eJ5ssMbiJXzdMdI2v3wEvdB6M7y29g3/CRlWlO56ab7abENoJT9pu9aevd7NjSxezN+u+eE4iI+Y31uM42zyTpWLHrZLrncC0H3ePlkMnR1FDz6xuYorHOUYlEi1FDYdVhM+aiimtIyooPKxyH25fkS0eXia0AWQ1n7yu4600REeax6bQDhwiXJ13r+QPPf29PfjAmpOx+JKhIlXNQEV5OxrENgv39iIGKm9w2rHiuhAYn3fY3P8V5Y/BpI8Uq0sQgqJKiyfUioD7XF/dZ9K33s2mXo/Mpzdmg6ecplyRG0dMnx96k7w7STYLxIBzzFUTqY48TBlMkCPjvUsCWnYBWfyFk8SEoG+AgbzUYiTgm2gM+PtKSG2qQxWnpXWfkml4wA1t79bwYvmNGbPijShuXzLqtd44Fu3HP6VUu6kDeRyhq+E4cZWLM7X4gQ1J2RPu7i6NsN315PvazPfxOC3hL3b5lRUZSR+zWXk1boIduu/avK2ZVpwFIrZYMYN07UAN657la2OlmiWtzQpl1hk+EXehIg7sGNosIQ0pJSSe18bQgjk9j+QC2NfkDZTnVp0zhYl7xW98eZfebjrslJSOHalYQv4JVyTp2p+jaepeUX4ode1kvlVsw/RdzipqPNjJrvv7F+LKk4AhLN3CUsCMNOSL1lCzHe4vLvFOtWKOPN/AE5fIBmTw1Zk0xmloYhWW/6WUUyek/b20L4eFiB5MOzWw9ud7Bpzwx6eXbBNRqksurX1+c+uji8MQaRjDJoSj1QJr+SlNEhq9QDwelO7PXl4shc+oFzDWrRSa03SbSrLBaY5G+Sbwtg3tEKWgrJL/lMa/oVaZ3P9BmGWt2SLzrZo+jHXbE1WCi5YptDZjRDjaSF4S/FB5EuIwvsyXwm76cWVefUv+sbEOBGllpFtIj2e99XzaEOlSdN8AhKI0NLTOsK+2MGRYqwREr5M11JFeyQ7YjIq+VdoiTQ3hu4SzXmZbysC6+5w9YWbucgk+6+ZVR3mRlJ4zXXK7t4PIS6caXbzZkTXKGmzlUxQEXhvdFGgdxLW4/QCqE5yI2suUWcp3+nVY5J6cURtyypjgcb6Z6P/xziwSH8Ttx/8aemnuCSHZL9pZWtsB4pWba8WRbbv7ft/L6MW8lRd4TjgtKr9cD4JA11J0GzpLAiuuVSaFCOJEEiYHtvkO/or3TNoatE2QTtE15Y3hurbEjoU1Van4rtLo00ULPOamXhMmx0gF7EZhGFRqolZb2FW0piy7Qk6SpT1CcN5lnalEb6w++vSyID5I7nFFvw0UUB2ZsaTEDlhVltJrFoFCxAqwSg7PcZ1z9RGCe4mjmayZaPDuyTIYqJCm3doGMLZUrUP1nN2kaVU3m3D3tFruxiYcgdiOmrdFxJsR69UQk0ml6Cj7e468bcocX57eTtSQ/ynPQFLDtEuas07pVHw78bL8gPlUJkosYj5LB0PfoeKOoAgFxwyfdY2Iju1C3bFMKUBWcu2qv+WM6iQKE5/F01yRwEbvIpNSOAuR7gk9Op6SMeiXCx6v2E3PQQYQ/57TRd9XQIhpsMi4IoN6m91cFhRyrUUtGaZvqzC4/qLWcObaSYTo28oaJ7v3KradAQZvecP1PgY1ibyowMn9SHuhUarE41zTPZ/fyJhz5QVe38TXhsUGOJXFKQ8+JSOcl+AbqwnjUez0qFp0zBog65E9P49DkeEdfkaoRPIstEytvsNY3SgU6HZuzoPQD8MgckJit8x7FIAuu+CjBQSN/O3u3x3WFv/lms3SRnMLvonYngXOfcFsP5RCne7Hf4pSnYEvtTc/RUB5tXi8ur2fK02T4WJfucunbIKUpGsH0JOoobAStpKfTfzAalhb8zn0o9IyKc1QHNl10CgNN34bvUccWv0UspH3ApM6HECQrc9gmoguZTNj71m5op5eRUzAQEJ9/hO8CiCPkrMpz7xRF8yh4fTHybm2x0x7LDa/zB2JxlA7Ya3kCKMQRhCOkpfIbsiAxx62YMN6UnNgHvN/uj4/aYICyL76R0ZQaFatw14KtwpT+4BgKamm2p/3pMiPOqjK0Wgbl6jfNI8Nd0wPSQCR2jdijflW08e8eY/ahbrFmPLXOIhP753YMgE9MiHBgSrxHjv3MSF5a47YqXtOdL/P8D1gXkSsPpWJHS8scSwSoik+Hbho1C91sW4LWMVjB2BKV7uk+m11BrA2Mrqfa8mROYd0M6GEPPYnEJcXiGNCQf5gVs0FxmHQuZ+Hm05M15pBbrPXUSvPwZjwUdkqIF6IN6LgzUaWG9bgftuI2nZ6jSPlm787HRQCqhHdKgvyBa555czgJbR3OpiOg0BaW2U8ayH+NhxASs8VHkQDbFrMrIGuDAASU7sF4/MMBLmnUanAEvHV5HF14awOeDDoGce2H5u7KsLUEr9WAZL108/BE8OCYFXhdKpOlwfPcQHfe4yGRRP2jR7FEtW45oU59AXC6/wfiKkDL5FOG1jx/LQk6Fkj/IgfhA1Orkzdd/33gM7vjQreSBSQfxyCRhxsce9mcX81g7ancz0ZAQtTaZl5johPEjvSzquTPy7INNdptq6kmsZFg7XA/ArpxYxBu0cvAarcfU+p/SfpOAu55RB+ArM0VWq+qbVN92RridiN1AAUpAAesetienEKJ+2Tu7+j0ZPUh00/oKRN8W8qT7JXjoEFjqNMneAOeJqJhv9D7xDaEhjV7s6dwbNCujEQ6spN/s/cnWeKfptpoRQvzl1DRyyxikf/CCpmmeNNhV9Ih2zFKVb0GTkV6rhHmBwPvK4VLLhnrSccj9Dhy8LGdniSTWkGI5WiGMVw3xAXbaJZpmmONSMMokEynkBvTYIACvJnMsdvfg0xZRdwrQSXObnT3YGfr9Foasta877uPMJkYzRfKI0aFfnwo0BCMqaTkRt5xm/BUjimR/9tcnk/z9AtCXSoIyewNDRe5rxWQlmDs0va/Atcsi3pnY+BUG01zeJCPEhAQPNm4Ho2neqembFYbfD9OQys6yZOpRyjoa/LLG/7l54adogY85dAi0osTg55dXnAMm6+7peBgJF5uk6jc5s7AostvHbzgJCHZfc3wOxJ6mU+1if8nV3f9c90f3vayPirvc8gyEOf9GaXnCL0AWYWrVdb9AE5nz5PFFygg0f0gdBdb0lhK13pNRQOEiv3H/Pwz1341DulyIMD984RZPVbRH+xKoaqdtC933O5G/HTdzvQNj6k8jH2mg1/ppIybTzp6bvDvqPqruzkfSpfB/4/4cGODif3bdBZQxVoaCJzO0+irmwlZ8wCfB+JNBFB/fgTEfFD38sJGv8qQ+Fpl9lVgNo6+Fu0BDXIGSB202cRfYfreKsNnhg979/qGls3w5PICOZUqbACe5PjtxTM5019kxkucuiOO5L374rP8mg7mkvRPinXhgLGN6MpHJ78+NzJ2DKh/0W39Rlb2qQsCrIFe19mxsF5NPVpyq6lMMk815lBIqQCXgxoVrY2ioLm0pge0Ei9EQ3vrKRVQn7R9Sb5htGnzGvVBWmQMDM8vFCO/oChqTrvLExzkd7FIr7zwJW9lZp3K6iewJEWNjXFUOAS3oMi4nCH+YiEmW/+hYzxxrSl2ujaocG0YxjLKSHUiSctRfno8wIl+zygC3RGvJ3EyqBBpzn4AgqVd1T1tWZ4TPPV1XkSYVMtb2FV2s5kKu9c1eJrXn8V79thSEzsXij436fcCKv18Xfe4lngYRoEZulvcup7zT3/y4WDMd4YFBNHwPbOahRc/W87oDmE5RqIA33VOCeh/8N+ZTPN/D2XrJ5jwCPZG5A1Q6UBP/X3wi0TpLHuQHt78OeX35c3CuorI567UIMTTWs8bkk40y4cbFTWS0RgkGu2F1kvHAOBO75+mJTRAuxauxQ36M2swipefzJW14w7WGfdCeXKpl7zFHOAY2rrTbBWkGnTUG91GCeFZOYHHeVUowrQInI/pb5imMVxV8pN88TULBFqdBtAc3VJDJyIBsaVrY+gJEiOtfaLLs6d1HfGtsmCWwYUOCsg60Qef7SjXSdJWOMzkISwzatw9n7PVBHLhA08DznZx9yY6Q7zTS1Wv4MpyF5wxEG6UEH0Mw96xTP+q0FISOXByOzHH2ji3JpvfaAclQyA975Rono+qqukcVwFwqJh6L0Lznav1RuOixWPyo0HzB2dGR8dIHIf0mkYXLR258cu/AA1SCaYIZ1iGXWtDEO56O0lLas6pZ/x7Di0IUMFdeG9V9brjOkyHuxuwk2VpKNMX4d3lLktDBf2Zc/f+9HM1FOTZvrDjdmrIAN2pwyKkE00b+XKyTlAMGIMCqjESQZNdklXPLRMjlvefE7q++rVrlp6+Obd71WBy5CQ5uONjsRaNVgVdJEYLs1Z9J3Y60d4J7TmYhPWCffrvTtIZniitu/fezUrgTTzULgzBF9QHb9AI9Ttyp7GmIXb2qvx0EXsVvs6XL4dX/G8oK3v/phWjMFvAxALdkGLd/BkUGgGNLQMnVi4s2nV72LUe+x+IgT3J+g2XqIXHWwkGcTExvsAjvzHGrELMECvzgA2voGtll8jtFkDcfx44L36adz4kghIMVNSvOEOycJ2+TCdQdSkpn+myFZDQLOFseZ576735hYnMKfyc18tzoZmjbbbL8H3yUjUEi8v/P8IuFXmqjYDcJusJL1hFYGtaxMH+OQl+iofb/ajVDKE9PnY7fdDQMKZMJLveBKj5TItuXAjEwKO3iQC51R1mVbvmWLc23yVjQ3/2HITBaLl3PqV2qnQGChxFp5WHPgfCnVixFR16cFp2kfSSzj1vdQMD1YncrURz/+86VSK+271waMnjCvQc4aOxobhcWEaaeCJUbjWS8NEVWRZlE5MIqGxF2yBMHGEQczqK1jDEp/ZuIvuqTS0Uc7RT/dGv16YsdLuctWSqC95Xgli0TDZnV8yp6LAhbWQcFCx/pMdKBlJmq3LJoQ3x1246E49e4zKPKOMfb/G7kKRbWx8VuCzsZuSxxDuAiKyaL0YaHdP/J6edqnLokQRLZ7V+ZL5JKsydV1YuvhLuwWeirXLxdHU8IcCZiErUFji2m6969sZ/Z23FVL0XdtCywmQ5DZV3YUriKfvW6GesdyLviwIR3V2/si20KrWsOYWa5Vzw2WYp1W1xKzLzxMPkizeF6KLJedAsOnuTjRXNmi4uEYA5ipNg+cK6wISB56ENERI7b2PCMWbnVPqwbJFaa6y3lO4uRXpjcNDF1SCNe/rTEvUg/IAxeQVEWPt4NerLQJCD5ywVAlmzKw89z6mtdFoPJvXk8AAPOUPoGgGu3WsNh1M98bTyUlBuDjMYrrra1FRzH4cBqGwdnEApAXe7n1fxi8USBj4pTmmzGHar7vSe7FlOgtXPr6yf+XXAobO2ATOgxfxUuwVuNhlcsScbt/4mesi5tyZ42FO6lFXyW3d4ryoDAC9sLy7b5xQkdCDU9OHCLN7XINsE50+TRzf5siT6OEiuupa+RPWhqpo6c3Ohkr8mZtDbXjAKIjDzsPeK0uG0S/WYoVzdz2H8SoCBMa96c/2OgelmqQo2VoeADPVgGgq0CW3sQ/MgZfQVcNCiNZaYJMT0KA1SD/76RdW1NvqMslRbRuqz/BOdSp+oqo0vU9jW5o3ZwbpRRzCE0GfOhqk4oJGcodQqISwi5XknbUi9AZKd8AKIPIHb8KmLkDlKh3gfBk5RzxgmjHMOmqkcFwdQGO/Xw+ESmewz4s3C0Ss5ItfqhMkhCIxTJveVKHR7T1suJszelohj1XSOe5G5tTYbJGsVAI+V0SxDpUJI/75tkTG6oYoNAwqNTL3AZEx4HCezF9a/u1DrfEZi7LIKkszti8z8d5ChYUpYhZyqVIbtGUiIStd0xR/mPhMpesIEcmWGiuyAa4meNnl/DqzV315TOmO/v3I318vM1ljEhADOfL10D65ON9VeMGxpL8l8Oa0RADv28A+LxTJEL4Hnd2LnU/xWnX2kMtPiFFPhewqyQNtMLtZS+QB8gTc3x4RW9qH8zm88mXcQOT1zF10zM7amE0oMKNPW2SO1eOU1LpFf0zjjJiU5sQWhQt21r2hARSOJczoZ4gOwxzl7+u7AK2JrZ1yebgAZiSeIGNWuRt9D82CDR0VxLgQ6oD61L+zKPn121Q7G/KfqSt5eAyiQVjP5w0psT2aouJd/Lphof5DbPnC8bkKxJU5r5RlALTC2lBTsw/udnYfgGoQcn9Bc83uBUfDddFmbjdm1duM0hObKxDfsMZ2Ns+8y/sZ860Ofheh9e91Zk05HkL1jzGw9pXKwFFoV1ALCGq+WOkI3dXoV3d2Zg2HMPWhqIssmQBtCCBe4/zRbXt+ztAZ48GU6bklMxqGBcpFeDXsfA3a46rj2gWx0DELnxfGDBEKjDZddaq5gfH1JEyFCqkrDGTN22TU1e7FE2bGvXJZO/ShGO3Z6PWmTQoJ+sDJ2czW7pSmfJlQlzGitQvBc8g03xhCe5GSDd+U5AQ6si1DqgsDhaBjkNqgILkaf6T14xknN/teLlwfJWObC/rDlfU91lgyBCIbYG3DSwgqdUkUm6rlsHvj0sXtOD+ugbDRkGLtHqC2Vy+uk8t8o5OCYSTOarU/m93jiQc0U8+r4zfaHO0xHFwFQUorOzT4gBEr0mAFDR1WoNxXQKn4s7qgrRGfv/bXBa1Qx/npTqRvg5FAcMjeu4BjPdpeBgoaRXZKfmRb1a/BnEJ9/bwW6aHTBWxsKBBnRPlrsvNtVO4v3//M6qLNk+OWjxKjRk4cH8W6d2dkLInpJScMaJ+TxSu3bwYoC1LiEpnlmBcesYLod41nD30DggFmy95wyZf1+T8RKrANIZbiR7UGz/sMCLBfNHdpYZQuYA4AEEOml9rZdrL2tnP//L44u5x0TI0aF6JxECfSZLjB2jzUWn6SGzXt9QL/tYa0tCaZeAA2KEGW/EGKp3Xsth1iwtaBZnHnlGueVoI2Vu/h8VTR4Slf91sY92B4I6iNXsti4Qz9n6GuywMV0RGevbVX+Fueb3rCfBhrYOcCeX8vaP4HxUyYiZZCB03gvVqPZPBBWyCzNeJquXQNpxNQv27yat8/D3C1gWXzB7+wG4xfExVi8EqDAYThvDYMehes+FaPgSZ7lynh9+bNsXBO581ZwH1Kn8r0nhT9Y2V96myiL2lgDT9cKkP74yMS6MhrfsRAtnO3mLVg+BN4Xdpqbxrlw4/uKgjNjfFCI5Vlcy7lqYCl5cddoae3yScoLP5NRD3shOEXm1sCaMTyLAxnxthmSKKLGrXGR9Y7u6u4D1dSxk0httItmMQCrvNU84txu9JBGeggFBfA4O53Ov2HR6DI8xYl9dZ0PsHOB0YaiPhiAV0DMPAqWGd4x1JzA+ipA9ZJMfGMtvps17neTMgt3MTezIu6N8y6qHMv9+NLPMSNaW8pcex9Qv0twwXtQ7Bu8VYdVpYE+VFEOwqXwURU0mf+zew99ygl0Gc9pkfG4QEqd9sIl+RJ9tNty/VmtuZYWSTnzfRDBlCYywXmtqv42aUmpiAsW28Bk5HqBJARnSZpuKZRQ7D+aZTaYP5gVpaHPTQEAzwdErSGidw/dJd9xYLnUMEkwybD88m0IXXH7dETMa8ia9NseNDeZXYaGcuZg7IQGXI+7AE++ef/P6Oid18L6eQsl2UOVTiXa0N3hr++xSY4I33Etk+FpO6CtbM+dzam97azjqiTC+0ttOyWr9dnS/zovLTkiiIigCjHgVm7sOfmpBYn1HFZFZE19qCmxHfpAE3HSSA4DVBjqLGU2g4J+pUk24NaYU53vOOpLryDa6P3mRZoeggCr0R7zfB2Jb3UabSIxxYf5c9GsXTUwHF2kCZAeYbNikVyIr3wlbVo6rOPDo7wJG+tfK8KsQBiH5JAknt5FQL5YKvXBusQUA3bPqkdznlhKeE5B5K3gtt6VyTgIFLPzZbhLP3YhDMobKn0OW6oVh2KhQEZXZnfk28B//bA4aPz+lbkpFyREUT9RBgW7env8GMGLTyux7R5UCNtllrM23zXDU3pT0wVxScCuf4W8kts75S4C+CrLaQcSIS9CHOrXcaAXMzCKqnzWI8Y78goDw9hDvMpnqz7buVnXPD37rUE9yIkdLe9BstoFuiecRyqIAcVbCQadM7pNtwhG4xjeFjug1xOwVip8oaMV/mb6FLn3xNGJlt7RP4H7OBIaO1OtwlE2H16GtXZaRTq08vtRUP32js2GwhmqhIAJBfoakjZGhvnQpopf+rT2HOrIXEVXgJgCGJ0vCEuL77p8zL7zKdmBWSy+BtHZG/1606Hi5vt7L6iVyMvz+w5K14QB8E1xoiktnNbNdSLD+7WXJXRgARHriYeE5KIDAXVwQAZG8qnX5lqoINB2o7JAFeo8wLTV/PGZSqDVTmjyKrWoUmVbwXypHC4S+VD68X0Wwd9VLsDPt1cPST8ZowlbaOF+9D1v7LdJgn0B+GsRgrT9PckzPjTgdcck9oaVDsYN67GBCzi+O90CvICvDNZYHQ3f4H2HQjH/5ZNdpoM9Lf2USofE9/xsgqsNbWP0kypxL+eg+7zQhhtGHmu/NJ6it8sXSBHnRd5zbKqW/eiw7xYX3+SSehnJhcSLye0r4RoCh++FtgknVerJg0A4wAuS9/1+X9nsrFrWHpY74yUhkV3Nb7iNQEZrZ6V65G8dgrzhW81yFEVmYasel7aQoHrEomb0/gvl8KvLBIRuqxb54uRpqaQQUZ/mRQ22RdHu4CD1XNUpZ6D0XFKcEB+b3GtNkK6BqwvcPgVh2JyTIIV49E29aZo5fAAISaU3eUR6iMfCIt3E5TLYpVxqOWME63YoAOTH3CBrOW7BmQoRMeyWDgGN59hqYAjpwtdDv8mklgjdYfhidkzPg8aTN6NMqFK866WdDf2pM7BMuKu6hss9h34AwE17OF9yB3lWtcx51VzAPeYdjl+55G1+s6zRLVHoqXkLhwCs71wHaBAgd3Jko0RrddjIHb1HXzzn7zmjzMBSiRaPl7f77kgrgJ7eDiWCotWzJ3/QSGi8Mch0kSRPXG4gtRLEIvxfAtX81e6vFj6JOj4ybjjPDgxnrxgT4XzRB1I+6kEz/qO0YkuJ+ST4YtxhUfNQwxuzWHemw7NxVGTAm/EVtifDj1mhjMslB6FD+C5oTadVMeAhB7aIZjO/BshS2DnXABPvtuXHPC17YIZvcKlgLrhxTJ13vCuRCK4Da2uHxbtCy1H3o7l5ufzHAQNcpwpsaJeivRTD4fEnEeXsMS4Bm5dr8AFRUjJUDyspYiXhBKRJAXAoQ2q39F0G3b9QV0039RRD7a0gP7Yr2bkILGp6XNMYSAtT4vcmRa5U2xNFiP0C/5SMym1aV8E5/MARmFJBu4bf0uheowvYyAS1lj/gHX9zyY1Tu93BJTp+ON/10Hfymc8TcWRKeEDIX3LkHCO9E86MOMX3jWpRQ8JpIyotkpPbY1rZPDzjESzIr3iWFOhsNQdLzqwzN3L1+Y26mrVqMeKJtQFgraHiVvu4bCw7nOJDBERW5GwKzWYijhXYjaL9ddtWVjxoo9yGKky7bG5yH8XxHc4JG4uOwQ6T4ROnr2L40HuYzH5OLoibyjGYzGMAS9caO0eGvzNpuF0AxXi1Ykkog4HYpKQ8xeO4jQ6y+JtuZqp7XmRlXZZLGJrZ79CQ/+964n1HyhcVLExBr9bOQtQADIjc8md6iVcxZDhXQxW7hz8hnR2zvZP1Ia4OsrLf7L8BFiW03UQ13vA7r7Ob226Uhc6nCakit6kMpumb2111re1K+BVX3qzaU/4NmQQw0x+pAypFgTWlP1mwAbVVLlXsbkEk4xt5RmsyVGFyEGxwaB7W+310aRxsLg4TYrIWCNwhhm3yAfhhvqNKNHdEjkT0PK9mTPsIAdEmvrNG4B7h2SIvULhbWdQRlrd6NIzmxdsgp9eQbj7r539gQptIdM4XMTbG+CxZdaS6/NtJWb87X/M9hZfTrSqDmp1DYKsNN3LyvdlxD+Aa/Yrg6txgklh6RSjGcwGYT/UFbgw+zFTUbYDs7ZYXU+Mj4aAD27+qZ+XsSLTWaohXC+PshjAfxArq4xHUPm0akRDNVXBiYuRNCs1E9Q393V3+x46vvpMcRAj/WpbyF9d6fmx8HdHHPQXb8e+7D83TTTvMAE9Oj0fasKPjP9fSZjmH2ZBXvFEl1DbMvE3kBQkHKW3lL85npd1Yv1sy7aOX5P3tek4i4GgbJxhAWuRx/iQrZ1qecrpgoo73yP4XM2AWj+LRCemszL/0G10F3FQlnLvP3h3Mk4hpExq6hnOronni64btQKcsb/EwLvQjBn6D25AyK9fsp9F8EFio89yRnwhrlJwun4MsugdfQT1Dy0cXzQdjKKz5oatjWjO6KwXZd+PsKo5NF0mxaycSetc8prl2hgDVwDPz6RkFRvYyRnTpV3kaXAxGdumVIYGoSNhgV5D0OIpbYBxbXwZVNRhvK5dMJ6LhmBZtzS6Jl7bLwfghK/fc2IkGOYqk4aeISLWaZ4PTgRhrhZ8af0jiz68QNWj4+6VgNUOeEn8P3Uc9oWW13HuhLo5ybQPnFo6H+MS1isO98pDSfNzs6t0XeW5Jz4BFRZfrcave+0P4hQL2vhVD6iX5nQW/8ziRMGzpf6Rb7Bwq9dTllsZzR9WldiBzQ+jsWWCXcGqkVcNOtvMRyZ3pEBLjvrgzYGJ/0RsDOBfSJRZYUr56kjvEOB1hBZ0YdJWXauBdrE/JSgIr+RRbj8vuTZNEYiXvoMrW0qc5vvKjsEfTZjVwO7gYD7My/ipElE2u+CCDHx607WTs466VOyc/66AfYbmzIb2/ihP8NyIkecquRbLRAEWX7/pHrzwzvCZQ+RrskniYDEUJmWjTCWaSoTDnwqAr/HTGVfayb83AnTd2XOqsE2PvFvvDb5UxjlhhspID/pr5AsZ9qWV+vXH740EjD+954fj4DwJHgz1JFBCO01fmEB9jQ+dhauibOg9rMJlY6hA1HbFIXxUH/SXnEFzzcsK5rK92kzuK+BVzRvsZm7c75y/J713nLX0RZ83aPzjNMxhppQUFpIRvT4C3q68+RofIcJmB7Fk/GU8guZeriuVyjr9fQcgnvVtypGKNutaOeR3gcdlgEgRPqjriSEtOnffBx7c7tLLxj0Qrq+8dLceTavoi+5auBGH5l6dLnIrm2+55Hx1YR7d+bm4+TXvb6HRKSj4slCVbeZSOiuPSf+nIlAnEEnTYaSrki6I7ybaVPkBcEhiwtqvIPRqoJqurKZpJg/De9jqBj1dj5hKz7vNuSiZeZtN5qR6YmuP4X79AGEVgDeXjV9qYKivMbgIgPvSZ8RAXFzRyd5WgEVnhLsJRDK7vyU6UIFjms2jdxG2L0VQD4CXegU6Q13QlB9zBcBXFcecCBr9ODC/pU5CLVsvBF019/+/5vB7Sekw4T3Dk3hva9UqVzmRSVhc2z4KBzFHxs5C6bRKan4VhDOcEP29KYDcKt7EVVqPaeUD3VaY37rII/njcc7R8OmxFUTs1+FyCLyzW+0j86eFalOOYRGPwTKUeB4s6oT6OGADRqUmQY0kZ5tUCvCKsjsV8w4PIuloLrAPH/kKvTu88Pvd+67xjobtvEiIC8EHtV2Xormy6AUtgpWhi7rzJKIIO0y/7zftkUkYekHTKId/oxnEctBNk1FyRa9b1JbQ+zlCrCOeHKAnPZrmYbWlP8fTsfqFoi0jaZznUWeHbU40TXYihLKGYJ5bkwNrZFnVtkVXy+nGprQunAFBNiyHNB6ZgnVZp07e7TZ6ZHSiGUcHEYgwj/apq9GgAbligg9ocalrW8sCQxM7vDCfmoueb/1alWR0mwd6lGXgij+eGKOEApwFZWSnfpISSZtC72c3AZd+RBUIOrOLYpVexTjVtZnBFa1wB+YXpiM4tdNFm3VRc5yn+oVVf19WDFt0XjdW4TwRjWGDzIu4jsrQar/qZZMzHp6t9v/MUedjgktEO9wbN8Xd5qy8WIPC8ngGLEiRHnCJd2jNGNc3bqvm51Gp3r5aCPF7xzPmLEvyupjiuK8P1RGxnA6svMkk/u5qBaxKNxWtQK7d1I3MzfP3i7hXWGiogjN5bE22eX9Eres0FUGFsl0Or+el+SmDDJ0akt0hag+P6ebg3eTO/ZO76MyIqiJjmzhlqKa8OSLynSaIRBq7ggP95uR+JhkuAhLXG2Sh8RtxoWFSycwzOvbutsPSjTDb3BUfBG7oIcNhR+L3jOFx3A1aJqUV91mOL2cladpEL2BR6BzMB9WG1r2T0DpR8RroAP5+y6ReeCi26nTcHvjMGqa+TXcE2CR3MZtKB30fW2GvjXLuuNcbnpRNdf3NHqk7OlQvrxyJ5UNZ0dFcs5iASj9cLWdzbBoDOMsXxgFYbmPxi4xzEbJ2AmPKvz4dSy3kU5N5Fs15sYB6uHL0QURABx2dmFIBA1iTcKfIUnmBu1p/HA6fsAvnLKACllaLsA9mtkf7VOsuPdZvgEigrrccUUUgvqfJCoD8j9WuD8bjz2MD46TkahioY88R7iF9Xdg58ODiBomh6+M78h8lsiPtm6JTFwt4GJRtlbBOvHU7X5OnP1bqy6ospvxtDqrGgRAoIc0PQoVvKLr8qID3IVocptJ8Lhp0+rSRvMC/CLiJU6A38Hl4+CiW6/qAf9yANtR0at1McLuZ0V5vFYU8CQQBIjpu/D2uu0qHC9FX3RENQftoMOFXvk0znrmyOwzQAzj9A+TWldG6/BnfkhkngXkXqoCwvfE5CIqfi07+3cjVaw574Uwgu0ZrTFlVldykwu1e2i4wQ4Ur9q1MptH1HAtl523j17kIf6hnlw60K6u/jOwTKQ/9VUA54+tC3zT2AGwGAp1uL7O0v+kdXW8V8RIu83m9clkTdPRZIWpfWxtF2ODJ8pV/OMTQRvbOHfMYsKel6itPLeN36JgcC5+EtyFmyfu56Tk4mAfo9y1gtggC5Lp3ZDHO2hP/4VrcxbxZQpjvqlHOH1hFvEYk8pJ8NRt8LX4/aPzQGBofnSytlP/LD8RYjbY4PHG6QoTB/hgZulcfm1qLPYCBeC83rSLG46Rsq3nH/JfHolmxXtF3ys1dYIAUHu0a3WR3Bo1V0BLrUnVYBOZBzDT2zJYUYcwCWCP7BE9RRu7OU7Gg9L4WD513LeBYd97Ukt8Eo2Jp/cktTwBH/VYlAQiqo0OvAGCVWUbtJ2nbYQIWOv6CZUV2y5ossSbPEZz1iyzkDg5MpnIu8Fad6A8jnbPTKxP6ESpLs6xmVu1IAjBysej8FqI2JBXMztgM3cPbzgoAPiH7GZqxwmsVLu8uPfb/u5PvRXGpgSXni0v9Zx1iVlHmdtwCCVnA44xOAN0x7iZQF2dClTJFkUvqfvUv8fKSv2OwZBeAWpCx0NbOf/IScnJrJiz0Z005NV8tINmW++7z/asA4WkVlJT5UDLX874K3ikr/kjjWpt9cMOOqT3WYRCrtfkQwL40Y5FEeMc9V/gKEWjtVa9g5kunFY7BvuTefkogzHgshDtI9P7ZZ8BoD9YGWVP5o+ZyjBmMH2PvVxvVwRTdHf+qKOJrxrJhNnt0rpNUKTRxr9TYSNOdkbu8Teqa0akOBfU0WWXRQUueDM6qpQiQuTaKuo+JD8et+lDVS0mfY0qgVqlv02FKBFyX8ZI9dz0KRw9o/6hxY8+noMwoJvbgGaRkfv7vIwufPqGH1YIvgM6sEi1yZjAh/rLMXJyZh13Bh7cHZXIrKn2wqHp1w1t5OqQwJRTyw3DrYUnCYfMtNE4IWWHCBzvYJAc6LS3V1sHD1p9pS/GH/lsVQdq4SSfYXmiSRz4nsHahuxgLykCO8/rteAZrMuP+A2QEWsdzvpV9KpUDPeFg6gVLx5enXfgwLZJwqi9ADauVCzg17WWziMXDRaa41HPoKwycn3V4oNTyFmnM0SQ9OMGoasA2IrxVFTOU4ipowiCNs2CKChJaw2+LoMYF5X0AyqJaG0orzTwcECseYwi5hna77dSFjwg2KHlfNR/OSv/8VAaVKpI2qVQor9EjbjtcreAyZ6vHdDliVS/UUplNCSVzxejF0JEfaRx1QfC+jySq39OSQqTFuiDM3f1xY/eZtjdeqBpQG8cSIJBvXMbEPB+1xNM+bvTqHEt+hDFz9j4q0SQDBHimLZJUmUyI2FnRks3881mIzrLQwfP9rMPcdePrIovb1exVW8pbIGATLOACk2bGutSpkhdbCKilAM6Qz8oXrFgBjRgIw5uKixLgx3VX19ddz8jH9CuaO3wQzzaSech8rLGsnNm+dlZ0AwQrlgpupRShgqfFlalHZ/XpJk8zd/jyFbYuqscBOzq+fMrrADRTH3gIKu7GIGeyqj24zq7ekSinpbEFa+MorooBu8rwS6zaJSAcv+odF1ypNBdh7X7Z5QC2Voux5xn3AbuxOZNUdGDsXbnm0igccd3s/FxYSdjZlpe2fxU1ZFgskfKiPch4ePa67aR0mIM1zmZbFfiWFMIELmMwH+y20HelGuJk9zCfhxbZOWb+CodOimtgZgCQiKf4l5M9eawpJr7qnPNXwPMLphhFvoxAtJrC8v24mZ8JHXkUFlpgIbl1VOyi/mus5p8wB4YzZisIeIKdzXsvN/Fenoi7aCbn/cevHQXbq4e2JDvXBXHaBg/NKJQhxKelvwvJMdXzcRbX3Hi9Ds5JrYDepB1tdMs7IiBkD+L3AUg7cyzPMYEauU6oAHvCbmZ4TlniYd5UOG6J8ErA7y4hADg/qENKshBndw7PveFZTJohWHafMKpwO9eUe4aXAbO5QxIPWRl1g1Yp5xWm0aNbcxq8GJEk7HG3ekZbJikD9JHNzhhKZcLfyO/0IIM/7ALg41CG9zMb+YZkvoaVJjXKkUu5lCTBQs4ypaUiyArfgDfiBYDhXhjNUv/9MdvuqYMN5nXydU0Dz90XgHC7ro5sef0VA2OpdNi8vuRH37ICw8zQorxAaRhKdK25Emr6mwgg5uSclCt7mQwkmM3rUA5/qNWcv4QiX628kCygTU/sebRaDtqyYD9OxVXi0Ui/rSrs9SOeHkKxAI5UA9b+IotHIbqPlbtN90yJgX9NyiGbBcydqJEg6nEToDcc70GrIeYtU7Olgwz6lxfaA9nvnOyWBOzokXafFDfQqO6h842f9JtFYbD61w6b5jKb8dSi9Iv8ryTfSYUKN83vxjYq6SBqw8Dz4SPbDOm5ZgLZPQIEkn9OAYJlyzl9Hufdfm1CNBU6Y5mXBituTIhKzUhdEcBht2RNX8o58wjLCC1JneY7ahYaNnE7l8XOgxDKa6CBTECX90eKy2kSsyw3uTAn7U0qR9W/XM1zNB7mTxeD8tjSTxDmMl4TrUyvR3RI44BXOie77sdPCZGdkE5/XE/JF+pov24Mi5cNfanWh9M2pHG0ktyrLOy6QbdCzoaDDWLyMVPiOXwIooX6z8YIk1SeiEDzsFviCrmnEKveIcKJ41kFeWakyV5MuvKKEUCTPgCj0Gg1qnzfRHw82wUID80ZDtZHVvDVqsPPyU8zA63bQiQVnDu+PBoOOSdw31PXR+RqWRkBZ50pLOOesEzN67Cq5z/oJB7MXQjCfd0Ol53RlsuB2HUHyFuSoWfr54XYttM5eUQZ35zM0vJoptw82ut6XVsq9QDM0QaXttaqbmFQkKgNwSfZJEN7stCyONm4BZLlM9Ch8KEAikJQr6tHi+30oFiXngu+Naor0TYEIeQzN1bjU/m+yLWHOobcICGal3MJU9IHRxSZtFc/ZWWktnkLSJIcM8JA5YC9POifOYWm6zB+3DjlFQGXegDdFFhbnSLcxjVUINRbJgBmFotok5meEeOtnRc0hIK9yg6ucGUKeJhJvyWGfjGV2rA+wDR/U644cZ/rOkIPm373D3aNHyk3kkDwUQGAPAGHOgHlnahP46twulsL5sJCj+JC4K9lxqL28X1lUxdge6ZjI/yGSQVbpUzHVk0f120aN0odrharhCfBat2dteAnoqkaH6u1xhA57kADmexaKQ/29lwpJ3wKKclJROExYQJZMpSQkKOTeFFKLXNNnfh+IaAum/yA/vgWGbLmL0VJ3j/PIrxKyLqrsCAU9UAjgCUtNJgTfRORvo1c1awqNtscFce9adSqWCeNrHlZmK61U/ifmesNbUCPfQz6RShg6ZB2q9Z85sEil8VuXBeyorgr1TQnsrDxZ+G4VMBiwTRJ/FRhMXIIJ1m7f8GMtXZ+IiL4JP4v8zD/7hJGDn4WO3fxFyRHQB03W+qHY+5VSmJGpeIlOPVMxPSVYAh6FYr1OfvVyOE61vKQiPjs3xL5nEWPwWbBdv6xj1ASszmU4EERCijTAlgLUrUzFhP1adTaM+IfLLE12Sgy1aAYB3+zEXh1ObRQ5KKkUxjNVz0MDACfcC4ZcvdsOsZYtdPx/DiSHignj4ln5Ow37avDgUvFMn+5vKdIMTYEmv2uGVYiI9uzzkThaPxivYj207mECgUvQUVEZkC7JWmsQKvbVYsHjL3nBmcZef4e07Lu5+y6jSdcuven1lrvwawueEEkr3t7C6tSE5Az6HDQI+Nzdy9fPTZJa+nZlMyVVHMOPBXFFZaDnzgWLcojDK96G9IrGP2QXuWcUmhI5KdcyUgFq4knVGAr7KH7xoEzW2kQ/YunFvS1meVl/sZezSxRwK49hSiPj34alCBhL9N4ofevj3QHL9LHD3HVOgTKjFTJX9trXzpHVvfcAyyic66PquvFNRjozKVzugdpjvAkjIKcDNnvpaBFidZPqEnsz0pvLW6hk5qG7R8JrjeAuSE3Qq/B6Itjb1EmEM4xt2clmbZtTadDC1jnzuxpFBgZ0sonU1cxHAGl3HieIqeHmfQdD1I3TfOh11Lilzeyp00P8QJS9nFdf65S9/aTfiBYoJsWXNNn1yiY6XynQBVyT2iin9JDekPI/e3xF9XQQAiPBI0d8hLgvnmyQjJB6+jUDiFosQ7kX56WPsPx3++Jok+6ZVDjBsAeFfFsug3RBndMNOwkpmJwDYvhEdnJct+S+fHW+h8ItSpvGbQTk3O6IWLNEuNixLroVbu3i9+IRlJGg7FNiCQdzQHLb77z2iBcUttquw1nUkCxm8AH5zlZLUOm2z2isny4e+2Kl3zMSke4AeyEqIaEqPr9EHqTnu1QBNXRXyFZqALSZwc1QLp87Su0POwbNCrp9xs4/X2JVMIHIrmGnM+p3oxVhgNt+tNeWuEWQZKfEit7CH6NbhOswBdqUkEVSJkE8OUT1G00IIrxuZOM5sO1jUAMhScwmSgvjcgH14NsgQUySyGsgW0hes+9QaUA4cMSH8doS/CWN8ELeUzBlLBz0nRV/WSSxOtGbUwpyZDfB7MgspamMPnPP96E8VbnJXVV7hGl/AD2HvwRcZL1KEpu+x4ekFqEpSD0CARRVHfxmPseSEoUYMOQXHnjd/LzMWcAGS9r3Kvv8s5Tf/YD+GGw2tbCe5zePC2QuCUqndlJf6+SXXbSiQFi9FLg8ZrUrtEg973SuG3Hjdy5IIQ7nwNdrNib3jwcEXlgay+eBV5MlYCouFugg4ADofCPUiABRU5m1G5zo0fngGT4BepKiZxLx3ODo3BKvO8JG66ABNGeufWfQMFNnHUlfvY1c4yARAfHfpstKI8d2yWBnHaIuQKc7f1DEV/8vqoc86cZATZN83XwCzA6Kq4gSdWws5Q9/SCYMeQzsweGYb+NrIrDVpwX/M54xSMtyhb7pW7pATvQUXP8g6TwL30hhqDQCHM2D31BGsdFIyDE1b6BS5tMbTjes1dPP4/UKkpE67XMs93xzqrnk+/21y1aw8JvlIxpxjJYeWd/9wo6mJOzpDFiTUWnC4IWxa21BA7sWDVmYS/zeHpglY2vKZ7tqb/Ebly/n0YGh3PKfjAeSYA6tDKuY9/eobFuDQSU3lWcW/g78/8putzlpWM+vA2LngOnP4n1cjlLRfVayhKziWiSL7mcMWD0q9wkEbGJ/rr1ahcNIfwZzGvisMQ2w36HJ7OTKlcsLXfNqlQCPGAzS+QT27YJwPyE0sHZq9jTZRP3Kru+K5NhB5Z/Q+zPkfZ38GxYI0rg51hwOd4aRgjP6qGvfih+tz8F2e3wqAN9bs9Ern3LDX3CuNIANdrrKZSxjkX+8iMwx/dW8enz8odxCu7peHeHDeZ0ek3SyCPgxc9dpnwJiv7zg8kfj2aIkM330zqrOGX0W4NN8jZhtOdimcec4X1RqflN4f8NOmpe4ZiQWlFYS1c4QxkX/3wtFUJpy+iybR5iV7OrZC2YlWo7i1rq7zW4/vX4IMCD+05cU5liVG+LlmxA7IeJtogI4smbQS2YYy3EyEukQ/xdZsFEEslzlmkNWkgs5rhFh/7kgfHiU7Q+pSv+lm9622jY0Eawd4qY440tNkqTlOrHl0R6B/dl4E0TIG9WQkwX4fKbHgn2twEo47NZZJbSqlzU+zvKfViKSkOk5zcetNI34E3EXriNEgUDHYLuhdyEUy6Jcv/dbEoN8Z6FZsZChC3+zBZBNp1XnlKvspbQnubb2DRuNq9eJmcPIuEGUqwFLYsoPzVvtmxOMh4qGs9KejNepfXXf1PDX7s6wrAOa2PNcNt/GdQw9d7+Ms/tY75QCpgcedch7LaNg5Yyr4qAUA/nQY+alDk99tnR46kSaDdv7Oforl2V1RqiZBAVIzEuUi+TBkooXZpJ6Y9YjotO2/gUDJK+kydNyZHqWWZUfOruaN0pW/P7OcqnIWhQJDBvMGdHNwHJ/l1XvxxnjirkCdTYtpLP01xpfy8otTcPIKmDpOdIDWFCxnmehVT/cAHG9SA91/OfsrlDiLwriE25m5KFP1tQpird4YCthMFj6QPQ/Be660hdTe8FHqSDmeOPCZNYS57HfTozBzI9Qr8zzUyKzxqfBoYD1bjb71TLTfwqMEnRBJFJ7V3YtZOkaTl1aTQbHMtqJO2YECQgsgYMCEDEXeW2jixcQpYWlPmlmdNi/kJyd68cp8CvgquMDMJefKvPC28vp5m+f407NfdORd862GcTsSS3DsBf+kL/jTRnVb73coVMM56Y7rlK1j4PwlyjGwxI8K+o+us8HkHF6MCkmkFV1qVp/bOwmxNJPYvW8c5vKUXlhZ6hboQkV2hmitXw+xdc/VGSrjkXLTywa2QJ9X7I33er9iBtW9rq36J6dK1gVUUpS8nKXCT7ZxQq5JbSrf59GltgheGnz6UzolNsi9rkRTHfrlkJ2NZE5lmEcHo162v1a4AED6VwyA7pqQPi4HNGCQZon0z418KlF0Pwi8JkTKI/wGl+UBUQfjv/uSVtT3aCD9LdDWZT9Z+Yo8ACgT0TIkD6kgYZBp0dlqWnm4UPEs24+2Y3IISb+2PttsMlVTfyQ8gfC12yH4mgkjDErcVregrhrZoUvbj9ZXOHywqZb/z0OCEPXdqrb7PV94JKBFieAnLAIuB8ieuKM1ukI8LHJVUSmDUsIKt71w7fBhvPbfbvGm1lqjWh8maot112UmvcQFJsmzAG6w1jGBll84qJFwlntgEwk54nzKR7ULmpJDwNr7m6k8E6jXlK3+6oztLNEoEu4JdX0DirJ6B7SptlJ/HuJc1rqCPaE1BspT6PH/WN51oqThQMNvMtb1T2k2XQLPJpa+1i/eh6OHAmE8jKIu0mMi0Mr55leXEAzTLib5jUG6l+Ba6k1pyU4NbL0CUvna2QbJRt0F1KSfHMa2BD9AmViHvpswsk/OTTXDbVVYXmE2771MEa5KdkKYG9AA79RDSikJ0/Qw1A7+y/zT0AjUmqicfHQYrPs71/FddbZlQOcbESXwV1ppV0iaUPRZ5DPg5xAYBO0/fzwXqGVB4hmkcTMPFcp3YLYFsXZ/rNgu2va9bf9czB/fni5d/af5yHD++Y0OD0hRferdrOEIWuRtcJtOGjvfk4DeABl0uwZn9VFD1ASiFU8V9SkfeZzOUL0C0Bmo9U0Gx968+KGOk4kAXOE4eT7TrQEnz8Mr/0Htduw2gCk5zcHNQTfqMTerkD4610VjoXVR/nE+pMtSuUNt/1Xpe8DF7yVCBvE0QEOEvYEFGLtEZIiiBgFHlHL7UgztZcVVVamW6sULjOF9jqNmq5CNJW337SCJixdkrneoDZVlJuYlHWc9jlvinvPR+U8DfTjHr6xtHlVsS/UJiAaxy0QDk0EJhPRR7eI680sNe4ofrneNk4wZgNnxOLIbMuUQUkBSfqzclGaiSv6/WdQGpOMKmFoTS4wWTXzldSLMrAk5QHtSt1Hr9i56AXUYIizlu4hppmSEz5PwzP6YFn4tFpt5rjP4I1S0nCAWQExD0Pu+274WF1GIIkRa0UxbSRTpjmw84fhBnDOaDf/oZbuOwigA2cpcqkB31AXv5zc64VWVfdu8BRYwVyDfdJcHISfSdcOPxN9k0v4nBvdna7cKCo3JgCr2eFrlWQiHC0xrb1UdZJh/7BfkGZG9UUTdQImaCUVWp48H5PcS9DH905uY9M03Yltudlx3OyE4nuMpWy3GltxEE8Cr5cE0Pm7jDAg2Y6I98sQX7qhhsz/FHIkNi2ool7E4h5CMVhQVH4YGPys4hdiTtyqjC+By4cB9m1EuGrCI5NbKeLuUDaRVlJvv3FJRZUJXVhS/tRw6LN2GELjBbBLz/8i0CAvLtCh+XHmm3plVikbY6xU8C74633d4WbU1jKQcJ48aR0X7y2ATfbVVZBKcLlD8lWhAeUBg7GGU8SzVCBYjv+08vfSHck+O3IDeIMac5cAvUyhZXuq50+8cQf8USSiWBAx1k6yGK9RJ/oh6bezQSLmwruFdx4R4HTbDh5ErhcRktzO34r6dzbYdcyaxbia3H2UBr43Tx8ka0Yrl0QmwX7Vk1jEeh2+QEBTX5x4j0sQS0X2AszPwrchR58WugH32FZBDlAR9PofO3NgDxnkDI97pszwl8DbXXgWlCdPo1bMkcm+KuSgOTMf7NDTZ4fBkCkpRmnLcbVJI4nDZCMhAvKhJdMFKpjo31yjxmw2PN7e6I1dtUbxMgCz0YivOP7PTHdfJypGuq/p91sujmQXY9G8/Cr7GKa4Mj9Z6wYTYlh+GPKetfYwWFKpHxXFswifXJEXSmNEmEyzHkOJsB12V4WJzXpx+vyIR7CRwfYvgotP/k6z+QxDiLCbmJXE09DNxC7HTOwsSRrEfS5WbCZhZ5PkzazrWz/zhyJ+7Qefh3C8SPUwfx+QiwMw/n+80Zn9BAsnUktcowCVwFhTZz1crmlN3BWPVOIs/7wyUwSlgcUTKA/WSHsC4ZsVXuwfgKSCABaAnCGzEVPDlWGXYRJz5bDiRLofznb5QIzbtwsY2BO+6A4Ex85MXBEU4WQIG42ERjlADQ9e8xX5YATkzj6H8VsGe8gWa3ypbbPDzsOEYUaiMXoWOI6wIEvLTzUc6GL1zpSmlLZDccTCubN3XZI+ZeknE+NcqPjX4sccAgr0Jl44/EvCbsjlBN5c6kPfAoBd5hfUGAlnHBBz9Pb6bVoLHFsWQFONzh7PdgXFq9r4RTuO07UdqoiBz3+wLQ7uu6FKtA6DSRjk57wFjLpscXi+BvZuYnUSff65lcvsiw37AVDCnMPD/hkGWrByUiMnHEqBiqwfnQi7VAXybHrmXiB/3LrSFIMFwsWU+S7AAcMVp4rAAdyMkKvjjIZdhJJjnWflZUmB66ih/Z+iuj3NeCKeFgl5B4RV7dK/MpzNLc1Wl0V/55JeLNZCYRWzJdrpYGK2+LRBIUK4k7QMUjD3o9ksMMRD9mw2ev8XNpby1riT+ocL6pcbW++zGoIe4OQ2VkCvIL/r7cjkm/nLrMyO46WF5FREFFab7b7nenEPv8Hr37J/e2FTZjGAWZhQC+tYhH5dyXhYSOfnEvtPF3fHTvvjKJywPr2G0vVcAX6y9kRLFTMPKhGQYulkU0G7Vbg5K6Hnt+c0E++qOGyx8rLDKVsy0Wtd7mzvUGEMFryOBe0hBJJ27ifZvSZWMY4zycXHe2VV9bNg1Oj/u4PCF+eO0vY4V53EhWQPVOCSWa5XpLtMsx/AmIeZvo8yj3tfA+/lwD/JmXaUzH5DpoM+dC3TlBRvOlGapwnOrBMLDK5AXgCIZCmezydROyry6B9hgJuX1V+t6vBooGuYixK5GenFbaFn1PYFozBAt+E+TTXchLDZ4PGYX09Sb+t5HhNQH1ljowNCCBtZoYYdfilqQJCYNYa1NlTrYFhmDe/dg32njR/yzlocT6H15jHVFRCw6nphL562Ofs4GnUDmdqjIzcEudXKoBMM8meRQo759cEhw3ErFpTdZeHnO9EnLcjTnwv4cEsv64cdAnzrPO/s9PrJWBFeErrBq9LllF15YaTWk6LSctv12JQiLrefZbdmRxvd+of9yR0j3tuAhq9YlOb6EArt8Y10vPeYqUYQbV6YABDMK/dXBdWuntwJ51vhPQDM+LnBKlS8RzmBynd/jbTSIlPJkix28NRCUkHRcQ2b+33uiPzs0RH7w/nEgDyKn07oJRX/Qw8ETOpG5evLmuRawHW/Vns1WTFqpwQFq4a/tNlASSieXd7acdPwCmIPCVfRb799SbLiDpg9eK6QXnFuH4lts3ua8h6lQKd6IcTHtFOF3ULQesMumEp/etuW5+Bil9HlhnbG0c8hueGRk7+/z5pOXvJ3zdX4vQTEl3FSgGz+X6xCPLAxWSGvughSDG0v3c6PgYiAboSl920y1D+EpdSMCCGmFT4jzV81v0wpx9VIqVRrjKy26WLccI0so936qASmcUH4Hj6lU084rQxyA6f6ZFc6z/uspvVXMUbM1GmrJizfClXilAhbN8IAfjzfIRYrrMGBwAWhW+j/MDwYUuBUNdzDVOj9QVqQW5aQz930Hj73IJ4li39L189jtYo/Uhm0+6PcM1bur9nUVeq+3DpDTBKVmaNmEWHuGU/AhytE8dH4uQQGUCpvsBG66cda43seKAnvH0QFxG+Gtsje9yDZAOQT5DVAArNZ/DJyDxrK7mBI0kJP09GIOl3aKfBcDvA2HfUleWKrO8eJb+j9tHFGrN8+nQ6eeeL97ZMH9uBGEoGqWFvYO7wwrcq05C9e2EDhTXMiLDe+xebHOkkEZCZXzhmBjiROwZbqeE+yCDtPRqOiEKeb9z/W9LCQb+G9UPuUQTjVDvybaeVhvCu9IAbB7MV7r0Wt1PJfy1t3JFnDzwPoZ7/uK5GEF7PnkmOnEwzfCeK73TW2hTuaWTLOCvUcI7R2k6uxyogn4frL56wcbThQ/bVjB6aceCQlSN6PU891Urz8jx3aFNFgl26UKJmVPZBNMAtEdiXVEI5vmG9bVOxGGwduj4fmEsjMOms0xwWlH9FiufpyMBjzAFgpN8IJX0uffgqZ3c5DNjsSUSk87vqbfnB1G88+UXA6E9dY2JJkamyQk/yNDFFlIyTLWqh+ZlZXkNtrg5NU6H7A3knTjyUOH2pxYfKW3bBAzoB59TIJnp22bl5/Jd62BTPu/XSev3MV1JFrfzE9Jv88pe25eRRxQ+/1nH4g99OJtbR9IMLcIUoe45avCjyDdesMz9KRWHr1B9+2gLuQJKNrqXpGkx7T4ho5r2Z7MP40c6ibTHKHkA5fgryzwYOY/2V+Kfn6yUIa6bs2CuDuQE2j9fDkH+iKEmADCybGbqostk1fEyx/YPS25eeOu31P/MLYubCtXfntyLD7oqxyUjNf642FPSB/aM82WTnSxjJ1xfAmYbp0x3+PYH5eeiFYzvDZgm5rG8nLtGA/6C21YbbHMfMM6O0h/d3oUbsARx8vrUhe0BUmJfVzTyXAOjGZ1ezepjCcp4v5WFcg4uJCqXBIKUpgQUT58+1p+BhqVsCuqQTxEuxD4h9TOVSYoeCdrXAP9eyo2+a6PoOiXfKWmYoLPXKFCEgP6Xdxwp0d6xOYS2xRYIFj/lkueX0Spc58TXkAnHeSTTQhEOWg8ue051BlPbf8GjW4GKS3aVjO1CkDCSPTYdCmKB5gL/urJclwngH7SwDp1xL1ctbWy6b37hb4nblgdJFcqf/GkZaW2YBZ154v8ru+87cbAGIjKkblK+VK0D4K9yWADI4jQtK0Ozbccob2W78H+gvNXmcttrfmU7LdTq9EQYgahbj+oPeQ2CAdyEWIaCZX1SjQ4nrTFgWfWxE4zQtYJgF8h/nS5njCCT8daDwz/j57sH3St9y37dO6IV0yrnlEa3xOR6vs0Aw+ZzRYXFZrb2zb/1+f7wTDItzyMlqcnnxhT/9AMAjfRbiKeR1Hxjm+0GiW8jLKujfNR3f1cHn/YqylxCF98KDKkguo7S9qIX+gF4Ktk/uw3vjvUMxj5psf+xpuZgEhMFE4SlatzEaxa/556CvV8AgyPx+DiCF+sONCPasHEftk1qw86/rlH1Wp9s8AMhBtAWMezIGLBul4L3AFsj82JNTwWlJtrRGd2VLIVQc++cfOk+dnd3wZEa0lg4E+7swlOOWw2oymWsksxUcjW01Gk/1gX0mNyVtQ/XooKHah48CHo0EoUvphLuaQGhUsCUpCHTSY1IswsMnwgx4PyXc18bi60fBrzcezhnkVg5LlQkbEWeArfu2IzJxb665h517VwGfq5Xm5RFymhVsCODe5F/o6HzQoFhsvibykcsyo61mYehA/xnp1RitKD8buS7Q3KImjc2D1m09R518p6SZNvyKi9XcKrxkFOBxbVQzwFfSWX0GEtm/pt3vIpr3FBXk9V7y6Sg6Pv6OMy6ErmpIxs0duaahGoPmi8ItofjkX5s3pGJxIXoZqp9NLsQLc4XEpoGtR675juf7ACDY6StPcOqbyVr5ak2gQU7ujadNFtQDVMQymCXXkBz8/k3T5PD1SBFAQL1YSegRmcmgoyeo50bbF9mP3UB0HThvbZQb2IFXz0iOnppaKLhG+bGOh3M5otiMmN69SNvofTJqov00N98+QQoLRGCQtSwTZsXZT0YX3uoKcfbW9CW/XDACrHLMVSlpBJrBiGGXVPz6TEVKvh3A/1XbXVf9tCk/kluP4VzLkzhs8PeaTEn/8zWr6eDXlZ+H3qThm7knkpG4PTaUCd6fjmpU2V0ehQcvZNnnk686yovmntJFEeaKa5bz5sqwd5oqk2lYCWZ3poI+iuVo5XGinfuXK7oEFPs1GiGRtwF7vujwjA5s0K+OIGVg054/LZFmVkmuq06Wdarjt4IZDsc3k6H4zOJdMtaRQ9Ibt3tjTTdTsHGN5O+oDfgnIezUo6mYPLwvtxfWgd90eWILG07Sbm1xuy/lsNt1h6RmHfDXzMOqf9WQSYPk8ym9Xs7+Nd7EOA/ukgJnohZcI15Wef4XdSOTVBeaBOh2rsYLXWtop2otfAVUJuDgv4/b6ZJZesJdu5SvdE6CIKfwMzSWpBWFUX/j80R5WHSBX15sfJvtyRlvn+Wrjo3ibF3B9uKQg4ITBloTW9A27AG2YlipdEzUeBMZhUTJwgyLPBZual2QWX+KP1LJhfJs4EYpiQLUX37v0BTmNYdmoXnu041h+BJvvtVxyXVRL7QjnuN+vHw5buF62gFC/qcYb+Pfx2w6juEvHBGh1RXkC416pe10+vEJTqo8LczMFnXvkZ1Kd5DOp3AjFxPWTOY2EgObEZp1WqXQALmaFS8etfh5F8vIEIWcwqlMJ5JblnenyzBJGy9nrl7QKBhW4IBX2eVc096jnAXLlCGqYoHayJyQdQJEHR39K3Uxb2+a+UEZbrC2rK90vBJnHlaYcwcDiAeqfyVVPuYoBebEs49JDOI9cyoWG5fYavqbMudkJd3+rywDB6I6lgLCcyzARKqUpcZvJEI4YJ8rHx97fzVzh8FpjOATWvsawW1l5mgDdXvvow5MOAF/Y/46RUXEy0MBtcxWSF/MBRGnbxKfg5Im6Q9CNR0FEN5humjmmwbAFyvhRwM1IWdR9CUXw00h45EHnge/BV8/2i4ZHyEYzfIA3Cd78v4qHgPaYape63HChVTk4kdJY91zhrWVJD2qSdM+RKHYa4Fmfuh3Yg9u9TS7OEo8VimbO/arvVErg6KjwsfdFDYn/1hcxYJIgn3QczTqaGq/LAQuwzmvLMijF0YE3xeexJHtItikGAs8FLm/RSzrEedjIDP9NAGW953nvOMIXu0mKluaPJn4u6ZjEhT3NNy9CjFPQDKYXCa0Yx6m/nQcRnSn7JLDaFqEV238K+C3FysrjukSs61BHJnW7PehEYo1vNDDK5e6Ggxge6bOvKd3DJG03XkgFELqMKr7VJQE/JpWDcH7iI6ufaM3TwBboIJMmRl109dY+S3xlOV+OGkmYqqj0gUJJ/3fweWfk9JXAr1gaOLFyYqJQZUdn92UhA7t+xEVHZa7JBbZnN1/xFkYIru/XH8rFukWAjOoB/Jpg0a3FHbDRYgwqdYUy1Egfom8zgxNFr3kcJtGMj8s+tN2breaI6gVZ4ZCS7OlMuBB6oQYe5cMZkW7PBDhHuvHdAUfn/J+xoSw2F7lPiko5cSHHKbT9ADY30ioQoHF0k3BtiamHaEQ17VKx4GAIE7bb0zk3kxNMWM6qMuWdbEnM+PgUqizFkJ7wkGhtOt595+TflGpI1g1jKf8Z+hAtwXv/JbnLYe0K6PvKmJ9qAhPrVuQxNaunXF3F+oHWS0SFXjKKnmZutOkOn9K02IZxu/gyDDsCNQZh0fxzvFl9uNQ7H5iVK96D5qjRnlJexXQhD+P5fkZfOgUZ2AsfzGJ3U/GmAMDpYxbhG5hhsv65Mj11TaAXKajNWKF4eG2QWJhGilC2CWqgv07kGLtj8S6SfTbsCgpxlPzMXdAVgaw1kkYMOg8XasbhNKnI/sxMnp+3sVb+ajGqzPnFvO7cQgUWoGULN4awZdTQwncGKkZPQAD3afVB4fxPTdW3Hhb/+fCo3kbxp6qgE9lfqat3tCKQqmBgdYK5qoO3tpLP+5CVKShljbBOuDn2KSu4bWo6vcOqZa22zezPRWsDmeGcvHZMnMLS18KqoE5y7qYKy72OGVe6BpSls5rEVTB7yLtiFhU8Z3ECUcKMdOYXWg5vohYB5GSd7nGN5XLKTq0dDU4FrN6rbM+sqvl/7u0f4YNhBFbFqKiSRCP/O92QUOep1SeAuF3ZQAb24LHPgx332h2kAE7OEkdQQ+thXMywbrQzB863fw6HkB5lMnmtvnHRE/HWl4klIyvgxLkgcDsxL2yrzUETguLVFWuDw67/QJ9SR9IWgcn8cAw+UTEibT2smpUMETdp7YL5/Ei1FtVpZBkUhcpWYG7PHRHQhtoi6fYRd5Bbfj68PM+lsSkdI0/wEC7fhnP/GcheZawHNzHGCnJBqq0w28wd3KInKX0/Z8ALohYUwVxFUgxke6QmxslHWHtbUSZSv34Bq0RPpoucwFqn4G1i9fEIS1tarHYys5+DzNBmE9hIYdSxoXvfhKlU64+HSKCwzmbcenhK7WznR1LnmVOlCnSjYWiOn+GYyDj935zWWmMa2PB2VH8F2PlhbkgTh0Rq8XWrwH5m/C3dEPIj6G5FbvLwVxB3n4IyRMUDKwOlSTkbv/zuydU09z4Y4USZsp6t3dTN56riaeaQQjJLXBkfdfbcu7MbmNkytuOlp/1HymAjUCGIR/piCEOJTVyE/iJ1WxiUU95qde7qywNTTKkNOm2Isrv9nTH0pifJleJTuPpNgxC2/Po2cQw9wJGm41ZeaHcnKnKx+yF1anDBuLgouebCwPTjCKjwFYabJAdii4iMJOVZIYp/KgXkUzK8L36BpMbTnrS97QdinKQx7z2jfD4RqqEjeFgYWQ9GPLGJhP4C6HSIRUrbyZn9Bw/WoKxdGBRWv+pg2FEL7UAsuiZdB6Wo19DzVp7a0VkdAIsKL0poQpRmcfU5+K06SOj1EDjvyUNz1dlLnzh09PU9AXcVGAQqp4bAZ/1RjA7XWk9a2+KXEmRq53Ym6WsDaQThTxnm+6uzdF1vau8N7SD0oeNuWut36c78K/oKb+PNFTJ0zQGX5y926gXqCZezwxOetYwtjgmxDUFESpCit45PoOVNiNi/ErngY/yYwTX95xwCUWDHVvrORGevPWWSW5gIlFkIIOLcwZ2hkGUZyEoB8Fnu42puCWCSyATSbmPwvsWeFL6voRCp70hIYx38yliUAa2jv7GwXCbrbhWnlNq2xpksSPByQJBWVO60VUfWGieGBFjEn8RGjEMx+CjfoFku8JnivM3PcE7R9LNwbmoYXhlCV3Q+VHuuBJak7DN6j5w9GflF08EaJOoPmO+bjW5dsJ0/jG0qD6lGu/5QiLHZNiiLj3PMA3vMt6L8bG3zmBIcYPf8kgctF/5QVcL4DRY2uFX2mMeGJ6cIJNrOuxWikIA+QlIy1Gna9Vtaq/HXekReo95YB1BlQNU9qUz5+CCy6XDBMeRNtXxZWYq2fr/3H6SKIQRWXtA7SsS63gFCX4Nc8vU5APtNCi8xq1K3LAZUtCWqav4MvJSMh3whI7IF5QkWgZ8fuOvAB/7FSl8ndwdygYwmzUiolZ0lU9SqWq2obQhaAGNWCsj9ASGP2cFaK/cCnZP+mJICheMtOhvDtBtRK9F597mFQmEYRivPyt9/VpNkt5VK4VutxxL1LlQdUT3xLf/ehzm5OzU3ctkH4Z8nGtJM9VP7pdQI9/4xY+5AbRHTZsmllc4Q7u0mnJNrIlx4l5p/5MB+F2nzzJrqgYIqkafT8LlUl0hj7cRY0pchZFuxWSENwoOLo8SDxRc8vZcLUNR0GvODnT1sSCiSziDc5tRm1ZDfHaznguqgoqDlqWRkHupqqcc9OCyY9uLaLh5RN78Eu2pDoHDA1gg9/kfsiNxEGzrNyitDPuZ2dsb+kAkBnYh7h8Vv6lQ9w0rWeE8/5qtWOHqZGCPgz/j8VitM+H5tY7MD683cL/r1Iwi8CGEs4bEAa84iQVX6tgSNTs2AezKwvxhvJBpM4ox/1eepoUeOetbQwqPCRPvePQ69iaxmPw6P1/wWaawgwruL6IQPrM8h4QbM6omP+QydMDrH01jz83YlfnD9YD8wNINQ5qjkNcF+b3mgTYm1IUcoffLyeuuheOdenNfXMBcTMCA+tUnNpU3Vl2L0nVC+JHtMlUXcA768/qLrzxukxlDGh+Khi7tNkGr9FkmmaMjOVQOF8bxaOeoqH4GWFaORMshQj0D89g3cu9WytFo2LvTzKeS+YLvmYK7EDFm3gHqca/gywCG41xA9UG11c8hdnmgyOTMBXr32r/3qfDeiOwLO4U0VDcXSkHbSY0qA5UMnwEXq3P8wRWWtRkKRB2R7HWU+Cn9vAt1Yo8jMdypQvNtc9hC5i7XNxmr499Bgv6w6P23IL6gmJPNUHkllCQ7F0cOJBuXxOMX1GYkS+9g4abhFg0jzIhrUdbzelsWPYdeIcaLAy1tWHwm+evw+vXH7wmSCGWcPlGomGcuBpom9AzMyjpQRZKqW2DWaa6/BjZhCewZCGyL0hgy7uTcLQFU6ZTkBwCLnLcv4h47cAFGOXUR1VxqrvxHp38Nx8ru2r080Qb3kRb7K0XeBw1D4AilHy5mEsv+EL6RIbod+TDUkz29NBWrtm8H5rQZ1aOI1Gro0CFMugNwX0yunIflO4ulPu5/lTWDn9rAHQi0XtYhJZwTqFupKhqE7mAOprpLjI+eMzaJxD0t1QvLJc0FuBcABAwO713oBI9Fy89e21V+goThMTEIRlRAj67iezim7tgXzSxtHiJNsQX66Oa8Hx6t3etNUh2cwrsOoqM0H53TD9RLuRlA4n4hQch0i6F0o5tQ/70fBXErA3sR9hM8l4WWCFZyfIV5TMKbyQkvYbGQlDheHVxUr3HQaBnkl+/Y63DQhsGxWNB4wjMZB4vQ15j9Mo6OOkY/v25hOVLDDTRGgh93N3fUwJEYaZx+yOpu8fMjKHx9+XGdtKCAm7YTXZ9kr9RuKF8mUwmvKgRKOMPcYvaTjvv9boQa+dtQAL3b51qMjosup1H3ctkX8TiL6cpXoyeHgo7L5Bf28YGg3UWRStdMPr6DPLHzf83xZ4r8jOIvLjRJ41LeARzN93IGjFMkAJqNWLbmBaxJPLkUzE2TsdOj+7qwegfCI1nLoK8vRwDvFNPxdTWwyNjYPecvVHC2rid7WysTKzLf/wQtA2KqsLXHR4rddThU8n+SKr2gK17sz6RaGBKn3Zlu7mB2uYMEjPn0Esxno4qIyDIMHBJ2mwblo0xnWoz9EHrpMOaMgSz+Ddo2nKFRKvVo5M6aFBPBIgvpjdBNAvzkvFaXtPM+ETzXmV7frwzA5zhw+aDBV7efPauQDZ7n+QtIZHT0+609kduS3C7qTesPSTw9yh/5InaxQP7lytAzD755aE5Qh1Y4g64K5B4EKwN0QOA2Kqt0k5IzPA6LSsprXi7YDUkr3Q0CjiwDiFwrkiB8XkAYH7Xrnp995YLaFzO7JK5qAuCKvfl9fYPLog9XnW6nLVbFyl4eGVScqvgN0vwnKAOemxClsFXbKl05b0O+saISzuc+IZaXbNMHjooSBNK+aMWFrM35R9RYfJvm0liCQAiOd11XXkhxtECEEDkOZVYguwRrJ9BGkKNze8IuZjKjzTcrqDdyK6/tW1/2OhSJAVwSBcU0uI2Dat0MTrkdk1zYhYaUtgwH3vVoPX3Hwf2Tb+jmCQDL4yK2ptxlCqTQoaXg778wHnU5mo/XSuH5GS+hIYUQJklJ6scW4vK9LoJapv6MPzcjKw0esQdAP9c5JAESt6h5gABcBOaF4mVCrbsh6DKBmjBQYLbTOYIVnVPeuzCpt9TqW9vyPw7s84KicluJu2OuLYGmM93faIoVlSOBRG9HgNTnhSSxbeWcIo5Qx5fQo8rTG1f1YVIHCRgtweS9HphO6Qpp9zhzKCJZggYV2lHlNoYmgat/nLWRtFsoyCs6gvaZCoLTTZJeqy4+g/xco3TUa/AzPgnw8flJlwQWF+38ccmazXHeIRtq2x+hr55UXhShI105ZVUZMMvdnQGKsX3hryzY6is9rZGT0F+EDs4N3MyuHVlw3Q0w0Pu9H2/YnGV9F0iLudhs4mcJtuLdr4ornhhHPmZXGJVpkZpjqVO4BChNAN0SCKFo56aHGpLwNp/7EnVX3e5//wtkecaH9XIILuDZc4gJHKYJjkocoOEKnhIBonUCkvWrqOJs5x/glj+qrHvh3vRlzTRhUz8L1SGsjWxLWJcnlcTP6rDr8YYzemhwS8/2WWF4Og0HPa5U/cJs8mrpzDNlDuxrmEzWQGbud+Jdutc/ItLNCGWuwaAlZiVqACjpOlkthseUiRUYPggymaxbP0NAkG5FudnopnyaI9LujJ4vqjK4rewJncRUvMKJwyL409bkvzACgjhAj0zUU+3St9JYe9fdY9Josmx6YW+QjW3Het4Feima0Ut/0Sa2f4zLUbEFt7pbfY1s+q2nwrqF0w7Zu+vGA45K7eYXKbGQ8Z1oHXwCg2crps6hpRIJJyBNd81fLrq8VocRlIDx2eUzYZNhd+IjRSxPbkkrcHjychZg1UTjDgSJnhU0+OtdSM4Wt/ynlhBUvNPjMnBVHq09FxgJTXcygL8m7mdU2YBa/CCoTvWGEUO/8/4kLZIEl5OCHz/3p9yc22RK80MCl6c45q7ShkSC+wkvCEMDCxeV/MiRNbJvpj+BYRo8okkdvQ9yXlZ8lMLYGhEd+jVX/5IZUaiPntAPTPJyDBktNKneyHcFQhn/i9guJvwDT3LO7ePxmd3F5tT5xi0F/EHVhUiruiLM3t6sDlrTCjWm8I3SQqY4hqBvQl0PdYnBtHk/9bSuJu3CXc1PzFoyUY+MDMsx0T+VIOo7FOd5hLKrXAG4eZjAsFbDxacnnxyn2X+Em4uSQR1jrHbXwB93LjdLe/0Qu+aHwYrV5E2jJ16jL5uIcBgY90VJ5dIlXq8Jiqd0LVR2gywEfywK1K57HJ3UawNDqlDXE0JRPdY03ppHsXojBNpR7i2Vhk93sxwO0x5witVF/AeVu2jehrYcomD0LhsNkpW58CMOhHvFsHM4VIfnFNI8PUUJ9IyqPFA6wpwG1N9zjOuG3xDAAAfF8DWwPZqjJKBgV7ff47sCnb8YDIMAphA1WGeXcLtNgf3YFAHqUPGthc1Gd99k0egYtY6+CgxC15Q6LLML4rH6DJqPxW25bc+M2AAHX/GBibXZ3qOp5ZKrXwuJF+RzzzT1BG00oIGxuyvzL234t2VHTf/FOzD6dQS0x3rkkb7yWcqxaDyeZ9vTPjcNs1gWkpk81ZPt++2TK8xsVv9QkHxm+853FhuGvgLBC/VohChY2RGF+7P65DAAXW5I4OQvbozKEYaIs+KSRCYEJOaLJunh64/mcIwlDcf+E6fzJHcwJNyktdg3fZiiRrDcoGS3eYdtuRTFR/Z1spnZ/yen7At1iOXHcRGmjAOoDwvS4LXDhQJ1NxJbtxboblxp9xJBNC0lglm7FsD3g8kBHAg0dEaZCPOVmh7o8mW7EKdk0WMHHKcBxbbv5FXCwPRmBwUSWEVRxK78cb8HQRy62LYMnIKvQdUYz47UdSXnr4VVGBxq8Gqna+vLoGGVtP0T3fywZ7lP1f0rR5bnWVW0NDFleEfAEwHcQVkZnH9nfhdLpbObpMlp/dWrPVLDjmQGUH9vew2OWqUvUhTeCowkSzHcyBPkS2V+5JI0mbesZxek5mqka5tb1eOjqG7dj5yBlO471ZNuFzgSclIRApKQzCQqHDjDS+ABsvo47NtPSRxXerqwsQvNuJ2+3BE8k33X9kO6bMleCecAHuH+tn6jl0TZh46vHJaUUJb0/zmduPy0BBw2XATYks/sj4RkATy6vMuyiHu2lhhc5ASFVXre81TMJwr8PIP0IhvLpEy0oQeP5Nv5nqxRZbcTMDzVJR63uR5hgvNsAtohPdYq0kYDS+X4+bpYUgO24dHiRPynHgJ/3bPZ+eBY02y0p4pMZny4lNZIPWEfzLWOGsCY0uzmtVRdE3T00wCHzXbLp/BNdldjvKA6d7fpPA64PBUaYF8JPNCCZVz9lLc3zWEynOvRAECGkX5Ua0zV/B0RN7otq4ssh2GjGsu+miyCDHX/vBNf4UMChFhYG2+rGNQKFQgVwpG3jegzu6VPg8oqT6AEaKIBVbF4uL38q06fzbFbakaLRkPDTcQBUYr7cwJHYgnUkRNhkyoARhLTNZsjbl9+UP707I57fQgT0z0xsStLwoSzu6AMo0kfDsXSgf+AgubkEzmTTuOnX06x4K5c61nFz0InJwC/UKqv5DooN+Ljk8nan690jG4DLpJDu1t0phPX7jpgCJ1nk6Lzo5MIutZrjVejPx2mQfNeGMcx6D11gD3gVNl4KEpufxuPHtqe5ks1TyeJIthiLN4r06tBvfJDzwkSZR1BEpH1vn04LJjason/3mKyngBIWShOX2623KQISAvCajC9bjJQJgtugHUWOn9YCYgCRskuPbRzVCz/mVsNoB4FqPsf7vXe4yKIXoBN0vs+79ssj10rpfE9MyRGcr7LDUgpoHgptIEd3511LSkfrJgyHClNQpzgq8E9GxVgGPDQZvO4KYi9T57fVKE6/oSdZvj1PIMXJjPnIFSDhoVzJdxL0N93dc5bmqy+UYiWSmo0OSgyMz9TrGmFWqXnjHq5w3G1TUeJhJ2crDgJ/Enkcsr6HJ6MbenlzVdnKiPyzHzbZjFu7piKTM1VVKKaNvptRYUz+vhkSPqcH0QqdOa/v3AjgumI0jT/qCU9bfgWTrpzHUSYHSbEI66gk/1VddrG8jN0jDhLcdttE+7fjZFzWVQ5RmD352Xty0ZQuM/jgkJGy3cF1ycDxRVMJamKb1l+x6FJjJTta+Kbf+JqywV8Tv2ZT4FEKU+Ix3QwLXNBueWWGGLkhjFBxgdOB403MmMFja7bzf6VahkB10Dz9fdeYjhXoRHOjZoxArkuFY7pKkUqp6NBIWM5dLApetNCjR55xIWWlq8pc3XgcfFfqlK5L31do+FEmO0mGeGN/VOCkm15PeY99qgX0Dkc7o785nUTMQ+xUTc5Tk1ADxWkLHa/g0z1OK9gC4M3I7PZbhgzKHkny8bOgJFIFn8MPCgYAIJMuf4+3f4gshRv/5z8helOjYgtB2FSWV7t2ndQ3ZYE7d6h3MHN0T7G/z/8UzOcus9MJosr0GRpTRBG5PiLKCFQdQl8dlU8q5TgbrtrlgwdfHLzOCIBRvGx88RyYS2gf2ZyjhiPVoHMzms+F6Vu7sVz/iVaW9KF6beCJ0v0bdXvUiFWgw72vwGXWrcU8ypAzdKpUCchE5QUVhKKuVhgwDmvp7kwH+PiGM+K+X5xV6V4AGzf5c40oa+Uvcj1EqovYKni9hxeeLRo6Np5ZcQBCIcGd1Z+/yoy3Zxym1z4hVGfTvwnfyDxWWvp1lK14VrFcnm7ALSSruNcnPno64jTETBNiyskrnWBRqcIwuZF/nrGlQ3H0Sf7na+CXLsZSpuQFPCeaaCjfmVssct/36WysaEpZY5aio46ir09fh3sNc8v9iHTp8nCe6lNp65FulG6mZo6aQyUkbgrbCKCQnkCeFiBlAiEinvjd6IlOFN7Mrq1cE/Elo6Ynoyk2l+P1WasZchIkqo+AEPJfp6NAppjA+i3gdVr66T4WRQ//cAimUOQfUoCekn9XJhBPtFPEFFobXuNNJO+WNhVC4h1VJXYFeymGCB/CqPgJMtPa3k0VPMsCAHyU1XfrdlOLuiir1uYbATtl+EvQHI/J7kFNssAZGQ1vRQwdoumk3v45OPzxN3XxolI5KEYM1AEAmyqi73OG+sWmZELrzEz9DXyq/rYnQolQ6z4azW9iHmUIp+8IaZyEBMTAORZVwI6lfLRC36+SU6hQ5+YmQUccQfwcw5vDAg9Jjfd4uZMFpOFwKIPt55jUo+RuBeczxJSf6mf0yybibiA02qdqgT1E4SzxvR+jp+BPLNddJ4iaoRQgxUSl51ZXcXIg1UV/mbqbSYj454UPiAsMNKw19a4B+JQzPkmGL2CnM1oQ5pvg2bsjRkqcJJ3V+HNz+a2inDyMgwUHhYVksTEud1nkYXhLuIORHhvh+eE2lRC3zMsRfAH/UHjx123PcSqR/fzA8ryIekPJjabiDjvspqcivwHRMg9HtR8aozZKudDZvL0SqsfDXKEcbzHbQgSPIbZbrUFAsdMiz7GcN2Pz4gdnJcL7L69VjRvTr20W5EgMZ64gtYr398gw1lJuiOsOueqhgMnb9S0oJJcGrj2kaQ4k38xUH7KTE6T428Wkq6w//BoMasTw+cJV+1WTy+uy33SbKdJ5f92emHnhIbPhcOhjK6i5G0LwTkYMICVEyBk+L2xy+Y3Wj7rkrBLrxFBZ9O0/iV5TH0HlI9E8CKWaECvOHRt8Xidt4AYwV7afb8o9i+kjY/FRQpjcLnmkA19fKE0wGbMf5DnXwDdvdhgGxWUCyi6lnX8dq3rEDyZEwE4FmC0EmFas0jezlE6ygxCiJBwSmevrBRODrodQ/3vFVcxVS0dEvV4ROyq/Vfo/o/LVbpXYMHQdR+Y1nL8eo2efXgrTc+LH8/Y4mhlyZnLjiMtXnvLYEfUfyo5/96UncW3BJ5y/C2VyJ60e6M9eNsI2/X7Z9H/1isEOSk1yDKcL9IbXJK/PNy1yYVvagWXIWqJbH53XNyVmgIXzc1xoP2EYE9xo/8VWSXMVToFVMZS9euhBJO7uUP1U5dZeFrpZZvTfWotWrkfO7e9vkXG7Nf+i2aEfNVVAMd0fSy9+ydHw9P0priBx777dijmLa0fkhJUNr763jLha2M6Ip+mQKt1CCbik8Dm0rajvyih9/paQegjf3Z2GZyW17QuIINFoLqkunp0GebGy9EK5kR6rxRoh8zYcK5ZOFA9IDpYjdmBYcinRcj+Sbe6e5uYa45X4wOtXlHE520yyUjpgM/wPR7yt2IV2u/r4w42K3bFO5J0St1HhFzRMuCoHYv4Z7si41F4dzw/UTJa3ZFafrzQQKFxOKn5QUK4QYRz1PjO6Pub004pqiOxMHJXHwrXi1AT9iBkfrYAF56Zh8/sQ4dMg1DqXbALu57A0pzOBfTfz/bLaTMQo10dCUz5wLH9mYaXMGqpyWJ+xB+uf24wZ985lmBP9TAHAzcYRjD8vMqwhS2gWMgn9/6x19+GkO/3oXs8xi6xjJvVILncd58+V3qjxbk43icikmA4+LgN/giNejKmpCf5rDjU+8oFgAreLTnDBsAqU65/mbPda7vD217jfDpX3zpZ96I4heEksHcIT7fWSds7ZyeFfy8VY3rz25nNW1/YYXdQUelU5URp9/b0CfGxRTIG7wpPbS7lKPtAe6pFLT3zGPQOxgY0iOnpcvmUEq2ZXL2zwjmF21at6BVd50TcEhxUQTIny4EKAchZBQoxqn8oyESSamAyDmKhyD2MN9QP8asa3i20Tg3BAuVPDY4ykbXHpQE9AKFOLjfrM/0fyR65dSW/JnBObE+avnt0EMQ5POWZSR91muwAiYGgdolh2UeNVH/CBOeVdttDsOsDkGtJaaInHjyhL5zvoEAgO1eQHeLmiToXrwf+QG644PsRiewmwjLrc+xiF7of+tB8//hmTN+CU/jROgfoib1Ky1yHklWRCIPMhpHIyUTP9Z5RK62A0KOXAfQAE38tG0q4+BZ8t4mR7PqlW+iY5W7BH9x+jFDLYS+2gJt9wvLBj/SGcLL0bgkmFTVI9v4qpL9oK+C6UeoaiFm4Jejvn/dWoF7rLn6wW2/DBKM2Zhy5QPcY+meIs70S1i/ao1uWYw0VqMNGIubeRt4HIh/oX6fPzo7OPQ141gPKnms2lJr6ouUPyBmHvvidg9wuLFCOZiRsIe4i0jv39QdABKnZc5S/1AmsLk5VpE9TXZPx2Gwcd+Yfl6aclyX5z0oPEDAHIVsAkx11+61kq9vLsP9Djp4npQY4URTu71GcHJeEiHO1bW9uSCDvlgdPTQvLmbyLm16Eu8N5w2uQgPIrqfQU2ttONbJX10zmM3dSkebtSoOsJkd3lEbUeCM1aNBGNa6bsKwy9DSG4f9S17jmVTLozbzmwqXGPJUMUd42gOk/0jOJ/raLUE+faEA/2Tzqi4uoh3CPAslXanm8Si0SFpg86nomjnnOBFP5kavpe2/ytk6zbGaeorvZfw3E5mdGExoNOUxNGjhliNUMLLQX4E+Xk8nyxEMCX7qlClSZj7pd5iz7T/bu+clSNNhf57cnZ2vg4nwz3SA25gOTwdT0CLFb1460WhmWKwo7b1FLLx+VUyeEDow2uaUgMn+4/2fBvhV2hFSS7Ofi/rM8zWXcRLKgwrOYktJ0wxuwpvxsqVyLHxK8NTEOtQsE04YEJwPkSzBN6lD/TjyX23zN/p11E5xcSVUxLK95KeZ1vnEXFiRVYOMPJ55rzZD0u96JPg5QFKzPHNbsHan1WUHjkLjR4MIQP+GX0J1nCvzQdUSu7CKIU9WFjDzSlTI+VLtmoLJfnIgGrved00TX2TRa2DYIL3eXRUxCD/eisCoHfveAo5Snjr/E6pNbzQNdBho69vY6T1IT3tpVcyG7HvrURHOO3K45sHynaJfIEOM/LPFOK3pptSXMl1NUfXynegRZnW/Z+fFNBm/Sx+gLCigHUMnRzUCAjZ1BHM1EkY9G/8DnzhoJtQCLDVvzJT4lgkhu+Ak+Moy2MvgmsahzK46zA+FXBxC8LTPbtUlcObwI85VgH9x3sBTPy+D6xM2s1uKNg/2e3dhnW+C8VtC7Csu6ywj+qPMp13GZ199GWsfBN1pWVzvAXjqmhFHFKPgeJNjNKlQjfCY7sybCukX3LqNXT9abFA8lONWoXpp1kY+zHwyzYoouuJ7siR5miOfPQb8CZVF/ncbIhKLQ1wxKK3vCC5227gzxn3DZzXURqjN9TrO634toMaaNiGyUBVvxBlTdnvLht9kR/2VDXEZLo0Uq+9EK1Hxtip7voC7BtQVfJR+HMRHIGFfB2+JReMp8VeaZ0Iot9JqXCnmbpCJbEh0nedR1WO0HiSig/MHzqhWj5lNfyATEnHToSq4eJ/4JV2xy8ESJnPFspFc2a4891MGI8KTvBwfqr38vd2bQLiIuWboTmG5kKU6N9Wgr+SO/82CgxlxlxgpwfqAy5+Yz3v/HCjk0ld2F+Byu+9c9nVoXERKxlhFkd06eqcrd80RXJFmaWuD85f5f76aX0Yoe+TsU7K5QrAu3cslNmeRcJo1uiR+p2PBVaYmHE89Q8HBepSnms9AvizbZlsDC5+8ZZIs6OA+eySXdK3mtA4FHm9e9DSmZ33ISLkubqom9CZoyUvtAinTX/rhI8Gwe1/L+3ORFs/QxEiV22FSnioUrF7WSyJu3A3xo0ZSx4CCVRAmt0CvFfxVwjWwbuXXMBLPcXegqOd+GixzU9h0EPDsfEy1aQQeJy3hlMHAmRB7VGDX2i6Wur/ivXN92OaUlQlVjVKMrXMalzTuRNIfK9B5GmoqI5EnM+oZLvdRHwFIyHjkRR98AzReCtnr+/IKm3Lj6RjqwxR65GvK0PGJxgVbstBCzP8NaTMo1LrnJ+V5emqdJwYJ7S1Sp3YMebKn52jx6xjeYR6nf9gFziqbAIYnr5+FhbCHmeYazL4uTjGoBrNAy+0kWbmJZneGDPlcHW2ePPriFRPDP+FyWJrEgwyCKTrbVbYmpxV81AwyMmcPFlVuav8P7gE08CKc0vpF7XO+c/JcEobKCVcrTHZ9X2FQfgVHIVagC54xDTS+sB1YMVVZs+TSoyF367USTKAxF6J8f8Q7eCSTBlQNcURbiDUNQz3t1V162WBYR29utOsTpXUOyPhoE3PK4Vjw+vDs3ornTWA7rH3UJRxnwI6Rdtpez8/vYATw750hkB0zCK1Yk0wt9KsjS6Ib1bFxMpwFKscZ3jGl22K57O7kr2Qc+UwS6tNJkgweLk0jSKFlfRGoaVbEJEvVnXVnWJrXj0F/47X6eY23ePGm4fwGDZIIKb535a4xjZXEb/AXOj3z6ealu3aCyE35X6HnnYBHNlhH+wiYiS1DVxlyKlDFq9ePpzIp5YYoLTZlBF6ozOzqyVvqt6dbaCu4M6MkzK9QNKMgobRHjBzbhEIW4ntxC68syk4fH37i7RbVV01ebZGVh6PwxzG47nmceDmyt5u3l4M4TWnAbfQiSZCWLGx0aMACvIfIH/Oe61ubTVpJgc+FTF4DKuXBV1ejijROeqJZ+k9ovZrX1BcaO9Gq4Z6nLKc/SyKss7nGwuwfemVLfiUm4hOo8H7hghtCODKC0R/AdCu0QPMrO7rZ7ZmYnpDfrtQlPx2WnX3PMbWljDLFsO5jLPKQXO2xO0+z75ex3/CrAHAHlitXHOJjWxbxWqAWf16DIKOFZO3pEI0eKs+3876mNz9NSUWm06RkNseGGd8SysuHFwXGXEtT2pU1qT0wAM5OzyncNZki1zp6nCYp8s8m+zsm8WAtWyhI7SZ2PC+S++rLkgWzgbviYch+6FVy7zU/8PILAjDL6H8eBudUUHJj2CZthJxreEqds+g+wGG8tryO8B/dHP9LhQP+HDCSwaGdqKS1P7KSpzJlvSMV307F1CqJiA9X3eyQ6Du+Bxsgx+irXFxKezJmHgFb35KTWZtNiP2/cPe7xMZi4FMmDWJ0YrNE0hG9fZBgpoeDMj9MmZ8xegNyQU/1TfqoYNNriVFxJC1z4Ou73aH3IIJGwJz0bqi7AMyXbXtOmAK5m63zqnyRXk9lgKXv6ZMpJHKWaIGNNeZ+y94GHSNul+eDzKIK467b/aXrsAY7jUaa/jq0hfuP5h+PhU3RlZDnte9D19K+WQoh73/GhJeyzDuvXM31BdbozDXRUa/TfiNFfKYB0B+gNASxypvW8w1WnD6R2IVdnfzjXF2suXO0vFg5X7lvo4RK80iz+ebENLJfoLq+TytASBbWsD8yG1htXoPCoRwNu8JenRM3yWNjTjJCxKi14+oCLR/IMLQe4MSwCCxCMK9txGD+93axHVavIBUkOpqMdsPlHuvjYYfcpF3GHYsOyZr1LqOmSMzBQPQRa4MalrfERhw7LbItUNq1+iFikVopH8xMvFg888BIS7P5ojmHWNzoYP7TpFDXb9SNOYuTN7jTjh2iEZhTUjPaz9sW/6WeSRNYpCgtFlEU4lnbIR7YUslnB3Fu/pr6gCcdik+R0Z15WPyIYyL0oFm+RD43TUGQ3P+WoV8Y22EVhSVkaNlDPdc4z6Eardkv2iXJzEyutlERbU/gFwuaw1N37Rz+DfxR4CJ1YqYjWz1rxSEzWuL3JYWoDfcXuOx03K4n8k7aYbmuLA1YdDPXsctM5hd9Rk9IjMYuZhYq+KhDY1hiFfX+mjeHDalXOgYZcK8uq+VLR9hRzfsl7xQUaQIesKCZW/iEOWwkbRdGGB7i9Ys9Q05yknm/ygO2XThMvssFbh5miNMKnWYrdJm1JW0T3epHZzfe77d0OvaZsXFQojijUz9PSCpjzVAFzd9Q0ACGTBufilU2tD2f+gZhQC12neJw9CYGulcLApbeqWS6gPCARteSYx8SUsalmKNKAUa3jALcypU2UbK3Q6f6EpXcq4+dDaNZwOWP2crzKpMvW3xwxM5L1c15+MPnMXKzsQ2WTHnYn9HNc2Rb/bYqsIGPnvF9Omkvy1yDoJTQPRIaAIXXe/SmyQHhYv+qUsdW3w0KKN98ksea/Kk5crbqkgvrj+qdlaoz8erXKAdUxy1s68j6rcPZSY1gxMVBg+Zhz1s2L/RycUwNyY3MdHdENEe/qqitZHIgThI/I72FVpvQbAt2zvqeJrd1y9qucPSCFV8KtAszDw/KTlG/3Fz2PwWXT7TCWXUxHp0e3OFyRVQWqZTBbxzu9KMV6TrH/2JWTdiNS+I72weJ4EbvxEMPTNtmm0WVExHoQTH6Gg+SLCSyAmq60D3NwgTQ+oaS77Z1DaiPTFemvvUeLjDh4BEOglmygHKKXkZpUqayDw2hle06gOr7SNgI3okGPH/MFJcckrydurDxpOOoWLW5YT1k0KBpBn2EFffjQ1bVe4LvPFfw/FmW9d9rcqMvyFvdRHNeMETShJE2m9ZV0WWj6KQR3qY+KVmfEAmZ2kaZJakMfx9Cl7Nim/VuB36M/52lQcOB1pQPQ4rUwJ6bDmgt6s7plp2WO6gMfHqan3rwkM92wt+wiZv05VOu0DqKe6UYuaSN+MsLANfRCJBY3iDzCVLRG28Q7vjQG2JOsfLWkhYth9BfdcH82j4LfNNN/nc6kMr1tJKvRTU/zqJTU8n+le4Kl1tiIXf8l2rIUpJT5XCCJBJrg5qegEE1Buzg30KrfWkBoaEun93GvQStkW8090nFZ1XiGqrr2IITrMo25YSy//vJAQEoBmwyPOtyrx2SQ42SBdr+L7qUk7XdcAqZcINqXl0ou8l/IreDS9EbcyofNJN/sooPzP8YdsgB5J1RjPTBc5ROmm7MmKmx+mK+hkfb1fq7hETphEud1NY94PtL9eADGx88ZLXi4FCpf1nQTCA8ShQPMTuuWCY81T4HppJ/0N/pB625tH+s2qMxw4BKjiLMuUOslENB7oC6Tb0we27dPmiDMjQwKMxbvmEj2hc0wnbat3iTUzQrwoVYGBul9srIuzmP5/n5fZiWQU0XD5njblPF66FDgiSQMIDZ9qXTuZiNEFuvbiohxgC+BrrcwkNt4KhfkWCJ9QmmwRToyKWXhF9EAEF9rnh2rGt2VWcJKcepCKzFH5QjwM+t5tYiSG99+Ukoujp7PPD191EOW/FJAAQBybbo66OK5NQYXgqUfiBPgMGr3drZ1XZU1NEDRl1a5rVazXrsH4IWRh7YREfZDahrI3BZPLxKbBZ9OALgV2sm+u5zUJ1t6UaCAxMnyQQz7f4Cg0bYRtWqaq8+cCljgJnF50Mdyy3xZAxHktXGFOr0aYiR9WE8dxOYLU7MryS5/fg+SoLCe4/+T4npodCD/HuqOuOgHKs8zHEEqaRwTLAOirv9FuxBSBfvfOC4oJ/V6jg9Lo0AiOHFDbby58oKR1nsUqMYZu1SWkYVBTnGjzW2PTmVmpe+U4yFDKS/H7w0QtGdZCAMim+qlPJwEya610Vuo+k5Tq/HdJfFoR9YfrzBboA1+dWyhbagwWYmOLAnquS8Dn70PT6njqUHbhJsxYstPrqtgrPQZKFi8wvN2pXz1yQvuvGQAm1HlHD9YFaoxNEDv/NWHY+AOxT+1VJJf5J+uIYLR2EapozldXETGeS0yd+dHjHsX+oE17R6UQq9RQoG4mZsluh4F26dJytsehi/Jv8U5/NpvWD+Kl7Vl3Gui9XEMy/PS1f5/Gx86lw4Nnn8xHj4l+J3UeRXFOMxeFOKiPaG4gj0BPA03jvYmzhxXTcKuciRcd4caV1wlg+8UM979onzl0TkNryp250bRc5ze6TvavrKvR4d+RiIr/Wr1imMhqfJmkoX7dx7mgOB9MjnEiC8dKl+wzmjSCfvI61AzT0SUQ/oOAsGtGtfFh080OFmo+zCRrtGyEIkXyN65iggW19hwecuuMJuZMt33waY4q1j77U6DYXu9Cv2+hvr9ljxJyOVY2Pa9vbKme1kddkoeUtz2cBpFdJ8jiAmkRUBcRTrtGzoAMNdesjbOi3mRgAKDAClcCQjbh9F2tykWRXMQIkQ+hcqCzPKSoV2gvp9rWdSd2yquhFDTW8O8FfMNWlhi0LCug60cV7AqMiMPG94KqJzZb210i7Xk8oTGFpvT9WGAiybhTDc/kkvuNrP2ukD9A0W1QU1gRw9o6Y2wphJeB4hZ9vmeUhbWSZGSI/XVbIdun1IF2KhtcUD9djsfUAO/R8Z3oiwhvHORdY8c44SUXMa5Wtcxf7TyGNAK1yycoYfC4/DujHokrlGcG+ublJpm14P+PUjdigZTulqtviK4/FGlcvtsiuisgJWAbec0EEzPJtdtKs91Z+lkw+Vrp/6pJ/E3QyDOGnkPMi6VSjEASqhf/9zf65ZzGB3e0EgiNKad5+QZGd2WQUZrIGoEbGMbK28oLcEyjKybugodcKhdq5yO7hNIPaVFEjCwjDwdfKoMyg0xkjCjtGvujAO/Qm7sEL8nHVVqdUppHercit7k+UrqqvRGkuTpT15ceMkBuYzIhLQtgFDYtxkq5XdEGCfG9GIohEFiRIuFcrUdGhEVDstkOFBFxZzK6K/5uCgepOmO1nRnAlOkNEz/WWwh8LD9rVOhEL70oIOqE5m+/4jSn73xgcn75yi5Tm+RQ+2LjAuGNGajgrugDhoVXw9J2YoTK4v7uCqDsY5NmSX1faRbaV9shkCjZ7ZOJMO+I1StXakEGRj9qr36VkJljLSEVluB7o6S5kS0asQrC+V5Yvmg+zGhLle3Vv2UBbjsfKiER0c88bZPjMPKx48Y1PCAmq+3WLIeyTmMWnE/IN1RKNstwRsgJNiOnseBam9b8/xeYDFfDXtQ7M1iejoFQr/WWSwnMqPJMqU53Vq2FPRASrGJuBtyjN7zoPOacPbp6WRsQnMI3OsLjBT+rk5CdawtjdIyW5uL3EdJMyM+vp5hqc3Vf/EtWrC8UnvDQf/yseambVhA7jAC7OnW3SVNm/C37D16Zd8VOsanPEeeFgxv3MuFdB8ChFYPdWEGIqeIwvzte26LWUIR4oNlXo/E67/AIC+iFthnFbYGh2s/ujPtkUUm/KB0ibVkVIMZkgiuROikgsWTTg6nMHLf0mV/HDvAod/E8KVwe7xJ933DrApN8L7oV1VKCXvwHQOxss2pnnpHs0bH/kF7XjFWc0ps/HFbPh6bijpTny7IMut61gw7WOjGAVhT+h1bv33B8qqv4gO0xDz8TLduHIH5cBsI6InzYgspceh5CfJvBpDRraFMBtOaforzY0hBAEI//3YL8BamXesZ4H1Q1pzU/e/X9GXcjfcXPqQ9Y70PziSTvBVXcftJLA6pbIN/T0UAOOYBlcX2Vf3asuk05+7JAJ924o4l1djyR9Ovtkon6TCYLDjiiQWgykjmcAfpwXlLGbfsiLr+IdB6kHdNnjRNX2AYS+P7qkvAwHP4LXHmwcXcxatoEprr1dAZ9BatfoMKOysfaw+YJQgl3/E3EZWQ9Jz/YsyNEZNOwWuBo/0B1tCisT6+Q7M4FQtyfZqqcqhJxq9QYwL6u7Vi+0QSJT0GNCIeBlWp7OrKsiVFn5/FV6cMR6UJyynz4/0NOpWx5dPzPUWqxT5emIcXhqGT74r4uM97AARJYubSf8kd4X5Fdb+krncUL8ziUB1N5UamrIR4fgRnHVxZnbLz0ssWJmYVKTZbWoJNLm3mo6+8f7vhkt48pIwzz/iYoUuxBC7pqFTdWgVQJPQaHTn1KLIminxODlIG5hmhF3TRGc49dx5PC2Y9u/4S0T+R6m/LakaTjSUL2eLFFWmCNOe6trUOrNpfPY50wnekXDV/pQDhUouHdOKux7qn2nmqu1eSVq8ZI54iT6aMkFEvIW/mcHTy+Awr3vEv5y5ETTkketySF9xF1b6rD5QziBrK8wGEvOanh458gntT8seYF0fQ18vY34QkHukDy1wSPiKFbB+gjOge2ZzJxj2Q+zBrGgIHyRzKZsbwOtoPurLY/HGqbqJolaHfr4LeajNTxu3rMIjua1Jhpvw+14rExLKUFNUetRhFYBEz1P3ZZjWh4Ofl/7siQep2SvwvBGq/diQi8SmGrK9yPd8yso7jgVtRVAJk5MtVa4/yePZWWtCCyoLh2gf4rn/YfmeRsk32joHnrlTZRU1Mjgq5CGOC6eXZxvUvTmRznjvDa2EzERCsIsAb3P/rYCnc52jNK8q46eGWe1HmS3TnMbihvDXPIxdvW97ZKteDDBUtXDAOLWGTLBBYrl5K6uAkxkl5Q362DZBhvnvZqcymXmMwVDg0AzX2LeTfvqeGlazVJb7vutnNxIPpyFBr9HQOxQ6j7N8fzP6Jgv3H8vUD/O9t1+HTPP4IdfNAP3lTNVEjbH6iNfjs1dEo0xJdPammneSjBc8Sj0kXExKmsrah1T+PbYbrqHnrZoMnqtaLW3NboJr+WYb5UL5sO20NjWRBqVWUJwUwbbmTuOuJ9G4ZXvpA4hur04MDvwcUh7oWaBVlevIy/yD0acs+kkuZ39ttCIB40l5JpZvLjB8FOd55gZ9d2584O8XziozGqWn70avv5tcc6YFTXnslujLf3UbS7L/M2iH/4Pn7PMqdKKe6kQfAwsjFHhy18L795LwJS9SgJ0IvnIcXjkxQ9ue/SMwjmMtniHQ1Gp8eIVyCk1lQzBGYjn8egG2QTn31QpxBJAnBxhkY8NA3J/rlWoeXK4dFGzU84KQzsZvkDJXQlSijoUDwKPHbYjZ1aqUcIZ7Ljrlxm0T0NXLtanEEV5UTefNbX9WWqe2VSYXz/kF9hpvHNvTeqLch9BIxYL08qMKXi9mOCx7YCNcBv//RT4VDmHdEBRb90YycjLFFJ68GSXC/QJjmkbw9MeNQoVgS8L2ahTxY7zE78Nmff2C9pzx5mcFk1j9apiagNMRMKlS1e7tcGz1LV0ktaxazqfT4aH6M1zbr4ZxlPBd9mJ3gNhg5ZA4M35XZLPZ55XgCU6ttHabneTBawyFrvBv0gtEBK+pk0VA5jm/nOLtlxJthDeWdiqIFVfjNrIe2IHM4Bwxg5Qr0Q931yTdaoD2Zlw2S3e88ZzrEFO2ALg/fChAluuFZVp2ZjkdCDRCNUO0dcD/qZy7PdPjccEunuw30gqzzLs0ZeVQ/iixboi3nkJfI6xpvlrCZAmZLdxi1Md9b5mIXnEU7eaaOL+v+8tw2ekh76s8cpCb8/U6YqGaAT0ZJbSnHiKBJIyHKRe39MDYf/qZ0QLnDgUVRm7K6Wmga4/S121JI5FlkWQo22i4sDNJVOj0tnDSlxDdKWGu7A1a9JvMF6vX2RugM8y0+JzfOOydQPNtXQnQs286rHc/m2761h1CwQXx2BYx9x26qsvwBb4eUw8gPmLIXYQw7WdIRfXjzgrhesoUjjePLNhUew3dnOFPlLYe2IP1UTvmMxAa7cKyCKYzic+Sl4klZIgK5IvSFFzGfnqx42Ipd+Lxd+qPdTyI/EOB4Xae1PnxrVDC1XFPJDuvs5p1qKtmzKMBy7le6I10MMhWRcBwRBA3GKkzjEZGCEc5ISa7tAAbkHvpijTBVUs9aujCiorwI8/58Ik/c3qeh5ze8CXqu0rcsNfK5ImIYQNLu9S9cXqsCIaKXHxbKOKSFcdbx4lEkvkjAjOyRmXEmHEbFk7LmARi9BacwQHm2SulzG33veOH1HIdxh+hXvV/daPhrkILsW+8LZk7+tGgubn+U4BZjabthuCj2o4QbQoVj1rXiGwwpeAyHIks1Linp/Aw8iigWuzTORRwuaS8NNELjg1kzLOn3ZyGvEe2cIpL53eXqfnsb1DDpq+GFZiUDOlwoEefK/3Tq0GF/AWCExNvCJ24pRvx64eUnyz1CWFfLvDIL5FlhBGg5mkuHgZ1+wdFJZbGdbhHybAt3g/RaNei5YyVqdOjO7rtKLZ+08uP13O6KOXJe1q/dh/DCth/5xDb0i2FvYamnlIO2r8QQrlih+u6RkIQYU3FtmZPoPygNb1rkudeKb3ewv0PtxNSUac0iwp+XOGuYTUhqeeY2MJ+Q64wQdyLvXNTC84V9xUOlVAzF5DDpSQeA6EFNuF52En+r25ITMGZUXvryBSai1H4m+FtNHarnM9oVc6gkiis0ptAtwCzNszWvO1wqMnOKxKXBXUOx4asoNPuuLxicGl2UiPzmYg9WRR7kfFAFKHMTabymSDcN9TdAtFvM2xG0oajg1sVRCMNxNmuH0e6R6qsAM/ZEROdQJHr+OXctIxe6XF3RYR7NC//frLv7LrHr+usqcQCd0LQVpD21+A412IcmxY56yKTspqSPW7I1ygS4HhndpYNlEN7pcJhji5CwtN7QNNQFv9fvBJXMp3L8jMuR4JKpTZ139mwSE2N9kevlcdwrNuLvhT1AfpbYOLyNDx/y50S3eVnu5+7bQxFPmExr3wsgPLAHdy+k1ng+qvcy5wpkcL3nmPg9bO+Hl6q6TXWvhQCR6FlFijutBx/aq9XpsMSVKKINPLgXXj8iK1q1m1bgioBv5xHBVA4HGAMrqnyZNemoOtLq/p6bdVOf1eojCx1Bel41/p4CQTZxbNSwrD/L7aJfU8jJRfVD6/iyJ/hIhqCwwQ/HJt3hzS4lWisxcxSFN++sbegFTqwMljgWkNxrEqAbt/azs/HlvT2awibz1H1vuY5BxMq2Qk/rpC655qQx28o9h91J/xHFYkSh00hOCwr3IJi56KOIX7/1kZiVHbsXt8vyNDv46zFKTC/ZVum6YedT1+6E2CEzqUeYFB6OY2pO5ly2WjQ53TiK2Qz1Dq4XpPu/ZeTsjc2JX7QWGf7OwuodD+aOTmx2xt+/Hohw5HSyYdzv5u8pJDI2KmqrUKbOXtpLZgXYuMmUNJkgNFKr7gJkDs5pcOxwTqeKeDfq0eQ66CDnZbICGQVxhIa6VBAfJrimTqyEV8LqeksEMZKxrBpUra1JrmOH2AmHBdCflujWLyvaf4TjkrGjyNb95D0XO5aYgsLRcbgtvHOXP87Z5OsrxmSxfirgGocf0cHr8nZPwwBzBc6fVAZRL+2DiLwZjAYiHpVnXg3kCbv50x5UMqzlYNaedBhm7KhTutXnxohsdcxxQZjLCYw27uAwDAd6dDaLXaadGRt1cju11xYp9wFAm6Cyv6OeMZogO/ojSkAZ2z/G+bCV4kkCQBWaKK6lBpSSWyr3xqDA1ZsOi1f7zxhzPwuvib8Jv+m1hmg5/u6F3iTXE1SDObHpecoJ0HUwCawhlnaAbMTams/ICna3qc/2YdITe1PqHc+CqMOFYbwzaEDYIOnJEpguvzKcmwFZJ2k7HP9BrcVfN1D1S86UOYZm3SywYoE8zPyl1XfK1l9WycTbPcGCS503mMrZDbyvhnosy3XLnP4bMYYghR+3C+e0yAZTxSA+hY57+WvnrlOULTvajIA6FvXkDXPXLlged2P34//nnwFI1se6AWdPXjgn5DmEcxEuxN+jxu+f4uKAlR59N33rWxO9CBh5HKesa1tIJZsuM2nXkQvBC1v4eMvSk+k8AlH/GqWtYfjOcJGKcARqAoQww4oq0ZGImxrCiM2oxDomkdLFmMOU4Cb7uIq8wz11BQVRugF8iSop1ckGjOF50+gei16/AyExjww/ceF9h1Z2MWInYHMMsh5/50teUj2njlZZ6rcex0aMtbTBn9nSg9rjiWvLo2Vda0l0X3CroVbGbOgZrnPAbPPQ+oRM754CFsG2zID4l1iyYMT3SvqXL7r0LAy9yp37vyN+wAyXIaresAL1a6iyhXWCUKdr8fRc1yKJYqy+/0MtWcDIMK77jNow7RcBheMHZAotU827HkPm94PVCtABx4JDM+kJF+U8o0uaIpeesyrJk4COAyVCuzA86foUHzaRrVSywz6wzJAkpD3svhDeaBK+BGSF3fep2BzwrEK9c2CJBfa5wDbaVY8XniMgSaYrpB05y3UPVAtuezkx3IDNCeZoZrTIvXd3VG8jh/LvvrIpvBH+ug2x+/RhHGroWMS+0ZrIVSSXEUSfAvuHIkK8pvOgZzj58TJwaOs0IKMfBeePpeSDGxmAHbAafeBb0SnMLALyJt/IvoMzSw5zXXv3F+jv4y2LO4uUOE+lEO1SaPf0cZxpnoitywxymsqxDSCv+5p1XZD+NxcN6LWccXZHZ3du0qUXuazxLldlg14wqHFYV52qmoxJXwj9wH6DX8soGlwiRZRsaBO0Vc0EmSFyWnpYjUcXCkPJNm97iVtogwwJ8NGpcTGulB3/fIF6D0HZaHCDyvTJLuIr6bpZQW2lantUNI4fOreVU1pQYAK4B5BhgCmS7PM/FjQ0SfSAvC+BRzR9XtiqBSd3TdY/oLi3ET0F+jvAj0awPjodmYXddmuAi/cqwt1F4xL1Lb1O+uX6vgKikwvw4vab7pgMYJxQZevCdfsT+33esAllMEcQMfkSWYImIVodNhNm+L/9Rfz2GO0k5vF7WKtS7WbsGa4KV9Ha8++2uSyQSXrvbl4AJFXWvjqQhT902Ba2VqEnvhyY/sMus2/yuYvbMTwLNqmSwT2ziKH49rP5ND4mQYAx6uqG8CJDAc6uOHYOwksfUQWD9TiWiJSWOi6uDky3SbiUIEWabrgu6VO3xiKAi0mLy3nRwWtYfnIAbdIuiboefUavnWk8oiPGIURTbybmyXe/9aP3YS+xZl87K9zRoJj2pPqvlaAmfMqqr7tZvf99vcjjI3GAj1butYGOgQ1AU5PJiZI19CXagxoV5nnBnKs+/uXmiSO6UYIJK6GSnVMw4w6HkP8HiOf7pfmeismp37ouyj9yyOseh6yixQ1GcBR1p36D/20l5VzDcdosye02ULrpLHVQ4R0EXrmqGtzPFJ+FRVUbSdIsOMYtYSUTCdWZ51nMFQpnOrGVYjdhBL2UxleWFVUgE1Uc8BoyZzJPD9Kh2Y4OnoaH/3HJAzhfF1W6NGP2353HWGCUTOtz0Fr3IR2upc8FP12PbGU/XY6Jmx/B1hsg+RGWkfYCTthrh4Zy0d+SYb0eZ+ZqUuWZLg8adfT76Qqb2gDaU9QKHUpRBBCn91POGtbWQlrncTCkFv0f6qS1pEVOXCLPqxHxM8BPmUXh/M7akGZ7a+eHzNTW47t1BpLaJVGccO/mf76dqTHt+dgC/2AYGB396q+nkm3o+sTSjEWXYGSdAMUm/HAtCgIBfBY7Xsyv0HdQ687U00lgXnQ+eeQWqVd78cwc+3pYIGEz5S495GBj8WyF+OuFkFq+stnKUQ4CsSoWJ/jDLcV3+RK+b7eMebXBlAhda1XSdBE9K6UL2lslkneW8LuapWowl+K+T4MxyAlKEi4/cFyukLMmls7wkIDA+W1U5xCA4eIfKmjMCfCrEi0etieLBOQgXWSHMOwhWTYVXshliALkhX8RSxx5BHU/SJSaeXKk76TWpHl8Zst/AaU5+y3cEDRenSrcmfKorsL6WZjdfLJc5mT1zhVXtToMzRD3FOGXam/9RRS3ZgByDKGDKHupKItKC9aTj0QFh32O3Fup0wzT8YkqjJvIEah4iKJRZyzvPYQP3JZA3Jm1/FL9Z27b/zaX2BJdPJp6Yn+0jrxNv5zh7Y4bdyyEcNNDdBp96xLiR8XjTa03xq2BEbbFqRMTpZcLSye/7aZhCtAj3UyQMIzF8L3BkCQrEf2nWFCLhW1QLDn/GvuHLOmyzLkc6xeP5t4fmoTe7JY+HRBpAQnPAYf80V5viBCczDXVIViFx51VE1nKLrWydfBcG6y/pX842TaJrmDLrsyziuWvffCkQWsKmx9radoQC7J0eaLp459DtsKdqjpcF3V1cfGUC2KCqTdp6bqfRUkpmPmoLtWXMuBQ9FPcQ44TPy/WlIeuyUEQrYOp6VD+1nLl5MIbGh7I/UVU/17w+NNayXvJ6mYLvvkpbE5YsRH6QeEEjqez+dZvIqjNzEACtKTjiJ+s46QMgnEuVa7i8X1Nz1IEmwuGqtN77IQc0rWOpzTB70rweWsz8n6ACCR/YWy8+2Kdp4VLW8U+sxU8Kb2J9QpNkYu/887TYbYwr01hJjbBfwvQVEzD4vK83ktAHwJQIbcVGR2TqFaHuSLXd9uruFaPF9hAmnhUwq9KEa4OzByL+sAcB0ZEpdD2H4oPptMFk1qO67mVJqlV7FE6JNH+6rirptb4zpn3CHUl7MRJg8kC6Uf4WYRjrdtqR2VEuMCySMunIRvv+uNxZFdkFdmQH3Q5PKvRGSxEu1dlNmszN8O0zXCFda6f6APwuQq4rCd6Xpu8dA8Q1mH0gjBhcYzIkKc1CRIBbsbwDxL1PzClAM1nj13EIh0DwMRYHcwiehO7U0OSTAxFSTt1iQRdtElxsIddPzBIbPA/2SzAOm1WzUk7/4eqdWVaa0fWfd75Sk4g7rOd67XVWflErU8SmxLOTAfqw4KowFh+Vo1It9qHOOhiw3HcuFBs6n+NEtRBO6cZib4OGaR4flH/bV7Y4TDMhW3Au80sWtiZMJUt0n636YE6h3m1NyKVaotbv7Gu4SD6Nx+jWrEMWwT5k70HPHHK0WCuJm8bfVu3p3xrkXsPD2r8JyAncsRvSz6j4UJCIEcyEtpylskBtE8jlW/D30oW8FxTJq+wCr85UZlQOWzL9LhF2M3vrdgky1RUuaDqSY8494l2DFZQZDDf3RIXdMNw+DJuxsKuNfSzh2pe/6jsw2OXlMCtEpLODH43ApXxucxjGD1tly2fEity7iM1jyVFol+q0u/fRQ50j/8i/ZPGkwhRSrugWUBkpduvefNhZWuw9vexf482mGBlpMxLjy6tqIbZS3LM96AgmeRozxnfHQugFcTl3vL6WcjyjzfCjPtMPvijTzC4c241Hd08irYRxLDb9qkAmiPRN+unQxME0syGsJysU+RAA1idyrVloHaGLhVCW4NISCtglXz4jrFpA0iSkFcyapI3idbM5PyvWB3J5XjoI/G/bwsL5TSku7sv3cR2hDeACNYsg2DbsG5Vt9Z0d0WtF/9dmuFzBQ64U/vi3Am3wZVCJZpA6mL1FZovuWJwEENlleKPUPjfWxclBFDDlH29Qzaejr2gqJv420ae8IkfJ8PNh/lNo8P8dI7glt3S3YTlerT7Onvp2YUFOoxKImDKfIxCVJH7ykcSCzkEBeg0vc76QOxJNBCB41acwwkWAs9U6l6NjnSg98OLj/3Ih6sKCPb+TfRYbvQuoSfBVwgqrsKKiFE/RXTiK/Fc8Hqvrm20AQM8DaIkRqhjOxvuYUsRxSVqiEf9yDBZhmT125LTStRNSdeOeXbDrdSYP5K0sIU2wSbn3Az+YcalHrXBpQvW/OCmgerFyuyTu73HahzfjnORRnmN5vADobC5mn5NNz3P3iPe+2FpVNPb6Pa4OvBjORuHBxRh9cngFNCwboYrPSlZ7zzac4jdA/6rVPBpMEAqwrSZxUiKJHvwEEzdoZc/CdhjlUz5l6/kZY/GbDrXtuLQu+3qaZ+6nV4InJJGuZ2uJrmaziQPxQ4ZuvduSiLR/1BXb5b4jL3u/co/LBzwwyRz35cvaRQ+b57BCYUa1i1jGJbqJ8DyzwJORQ53sy3C+NRD2xhjE+OEGNn8PSLO2SxW8Vx1SlHNQFDegV7iszp66jjrUbESa6TF+hcUTUh0Hulr3zzoJgk5B//4meFRgSQ+V94xl2KNlZfWvxbFNnIlCiic68PITh+Whj5gEigwA3URcqQq69p6+l0On7QrGwh6q0pUp7JcxfmrY2kvNlI/2/5kJxnCl7H+O3qb9eOmc7wxe5/JKGgDDNOwOSsEkeEG6+eSJIeeyH4HEsfS2bqrO4dApf4UYiSXAVvfvrw2PySibJ4UZnHGVGG4M9bfvEjOIDtImIEgyDoQIaXEJvYUBdflw49RE0ESjQVROpbJIThxDB5H4PEHbKyMe8dQQoGQTjdGGKplwxSiTQeoA8WsQ5+ZYLEXYBtgGq83bnSyJz6AjagJo6+4D/m/kw4S1Ayfb+I9CnZ8xG6Y/dbiErE5IpSk3b9uJc/EPR3EMYf0PySFTzWutMYIG/l1VKjaXuBnG7eqnHeMOK2bFI4bNuymwc39jX8BzOhKlX/ZUYzAA0KRa8Le3ca/oe53w57xnn2Ac4iysPT8RiTJtw527MqmvZfTffI+L2oAuwTpa0Q6eI0bbeC1TfpOsmIoFhaY2Go/oDN8erb5WObGLVvBin1YCFZbzkdd6/sUCO/wrkvMSN3YhjB8imVZpbzb7DvjXX+uTNC7E7f9AVMG/jlq5SKcCRdiWur1VLxxHZGiq7+EXj4zUajqF3ouiTBtP73N60woY702Xx8MvGGtN3Q4/BZItFtoTKdf/C7FjdTir5u8cC/6OMS9cE888V5di8hUIx82i/Z4sBIqU/hH4TrfgOSSxVDH9VoKZcN0srtoP9Ja2qeud9i++ucm5uI4Aoq6t+2uifModg6snNFqk14KeZ1g44rL6ugTqjDlRWKISDCbwrwJuexuvES/MnjwtKtLVCer5ITTKVtmFXGD6C+gnGimj1B7z1SV9IWskuQHatRnLGCKpM/Egtf+VjCFpsquzN/dN5NFJ1+BsIfsEDbuURfRP7LOhDKs8u5frz0oPDdWHUY7AbuTIodyefKtIfi9cq8zAgYyRsmn4dYNz9NoZBs4Zh6GZ+VfS6a1yeDbeyo1x9rJGIaXoI270IVDpZ/syeM9oPUaeXFhwulx2d9614r1gCx5+wS0C94UPKxTpbChuE+d13CFvrEunFrWaIPronvfF9/SXk4GXc3jr2NsVDnK79/bcMz+ZKgqJ8K02znqHL5TFKUfkGgARhf4hq22fvJbWkV9QCDplWp+MWe7yPLhQ9mXTaFe033Nkd3lGHgzhTS/2gzfPPdz6XsawcN4em9aojd/34CWAwVgLWk2nU/UdZLc/KGmgQilDY9Bd7CUYK9WMFPUpM4yXWgW18q2NHJRkEKsgzMZ7iObzU3hgyTJnrnAAkW/UYLuXdjTPEy884VmRTNYklwzw1zJwCphKfGUk8F2u0Hx/smIwB18Jljq0ZwNaq2BSgg3RDvm2I1h28yYfAizP+i8mxlNzbInGCRcQ5Bgfpmddd4dj36kfQLh891icDGlS2HD5qv7jZMNGZYs0XnCnhfaAjya5OwxM8BizkiA78wIHmemVQQSPlfUxx+/kMF6CHwBAu9AAI4v/nKYVk7zECtSiV42szxnq0ESRNx7g7Ocjjc0sKNidCFUFU4y76HfFQPQa8DfPIBX1inHw4SGjiTwnjJUhabi6rVQyJs9McmAWzPWPwfNx1dqlL40QFdL0oGX8GS12jiBVcVueuJ7qQuwjo3JQJUHTHQ5TBlCG8F+NLNJQrdPyNyuhGDjKZlipMqDLJoRI8+vjo8k89HtgxtGSeqRiorcknN/z/hHS7Bi6KwUPnueydLMAiizna2PkztkTkdPeZn7G8i6PqtolJCkp6i0IWrbLmMYvRAFb2Ky5n4PbbrAK989ihkvgZEkwMgLYSblXqozsld+0+vt3AgSpji3odbdfXaPdP/0ZaWd9L3SBKeIr1pP1dz9Ahj3IuNii42b0/rqi9tWCHfCyslaN6af8tNDSkznDrQXMpKgTdKW4dUMlS5D4b7z5JjxswukfhZq8nXHHwg0LfG/YnQDuyQsJCI95gdUi7uCOXodc5HGwNcZZBZOc8wV9Q8lXrAOTmONw5r+xADgDGC3Ml81gGj2M3H1BEmqGMswuUbL2xepRSxigAPBVVSHY7XmGK1OR2YJL/3HlHM3anooNb7fs6fCO96exVgzGRaTc93lkf72/luegi0Rh1/7nXcoitAWa5jYtBnEr8T3etcu1mUSJ3kq6gsF0lzt7h+z96OTrMPllAt6DjXWn9fZaBfH2YVindCusEk0AVQEE+DR58kJbpiTRzE4TNpOQeVr7Kj1yVYRyBEeAQHO9t8RbfJ0E7nyf0GGIwOTivXBvpoEdGNKGSMB+M6Oki7Ht8kH4pszH9hd7h0ar4HNFnWURtWPJy6wHbnX8IjutoazMKkuy4+VL+NDHoUeh0NivJ31fP/PtbweeUhoDzQRDgBfh/TYkVAiH625HXgNtv2i5SpKYDam+jxthk4qaGg6sRdgk1moWVQTL5w4VaYfjrPdMJ4ySZHkVoBEnD1nzPBxRat5CZWEsoHb1JuQ9loIPUFeLY9sVCYw/ovICAE8JhwpbrrxEXkti/LipUX7LBjzRmud/auHaqoum63h4SM3WjmyyC3Y3YLsYrXgnff6+GR9M7cg0jIHvYqfNBJLAHIXd76DUj99ae7UeRu6drvTS1/HoAGnVN03zdaF1uWFqqzQ5OcxCbrRlt8GnZHqsTLMqoMPBR5uWzl9ICdlW8v1xePaw0PpXEYFVPdxu7XNQfnlysmxMPbII20d2Rn9QhYQ3Y0BApFFffYx5WFMyGvHPFUvD/qtYHlkGcp60NxYBbBI1O9sMW+i8N5IQ2v8aak0olBq5S5HiulIUkpwtQj1D1o3x3IrBrQBy0J5SR+5hS58px+WounbXxX2ggAaPkfeBNjiV0Nj4KPQ7MzNOlD80fPkQS0/0dr7vifLKbpgTTGgNJL2DHxfnShYWS2PH6dpyMWl5EHy5qBMBCfAlGzRFUr0O3yW1/aUGj77d5lgeQgvuauII5gsndtj4eQkskF94VWo72FsSjlUQa/zCcuw8xJkxRjuNl6Nk0IdUYz0VNevEw1fCKzLLuRpPhKiytRdarblCK8IZvBKjYRInLDmBf6LN48ukHAXw4l7nA/RdvSHFAY5nSij34B9W2wzTTvG52Cy5w4cI0jNhLW1r/FyL2xypuF615q6tVzJQ8Niq319gvA/TELD2kz6FXpEZ6g4g1crVEdifhCv+Cr+4n9RedR58JFdHufRomQvo7xEk5b0NMIjKzCkLc7BZKjWPYsN8uY9yKokBqBHd+ytYQe8ZmFxFAMX4iV5GKpwS4f7sgbjoXxUfMySSsWSlue0s2V7PUggE6e2pNCEIzQrjcnCCb0XfyG4BDn5MQ5kH7yb5gHkI90gN2wVMIG5ldGnmL3fLzNnO6jpE/6qZJVSlKzCRiXtLeI8LfSgDq9vkjtOKrBkeDJadF3kqw6hdKhHSbTONwVG4q/2W77c4ggROLRGexLMqPTNvq/YJbhYiygOuGZ1F5eR3zJ6AhmtJ7IKnDRwkVm8AK2zQZ9DSFikL+Dmf8vqgW1vumkfgye3QN49Ycir4ugtH3zVDakLawQNqCWnudWXs2aO9ZhOSYPbl8CG4W7fwV+z8ZcIgmXPIqbOfqugBKRk4m8EmW+Lu3dGQxOHc+pxfi623YdUuiT3LgcZMHc/sUvLtm8RsdzDrh+pUoBIZJI+iB40XjgxK9KOcEhSSip3Tr+5w9N4BfTHHSGUKF8JgsO+pruGGJ+Kau+ShStS12CLtZ2OoAKXD1/pc/TTvkapso9PxxwcPfo12aXiBTOkRLAy39cxH64kh9wVbgEkDAVWAy3391KXvAOCrhCAbYWfI3XcJ3E259FK9+CKLAx8lEX0V9FS1T8eBR/GKtfgA02U3TNW4wVHV1MRpLEeQ3LUszeP0PfHGx5ut+ybxeJxI8bKwXUbH/S6pCvPAyZ7+Ogkff32UmgHl86OysJpHZuG3+5XOZRozA9nnupOCVz9fQw8LevDCEixRucAhfsOf3dOCdpmoqrjocrl3TDkPRsOBdhv8yPqi4LLGgZogc/oKQdJltqZwECg5qqiN4rvsnkU/pckusjykoUOrZ9H/erRdT+XUu9S0jPkJLhSWw54jNNPhrr538uOSMjisRQgyiJYvAOJUVDvTuSdMJ7ovAieeb2Yu+gIQiHQ6n/TKzzQkqFTe/FcSjOeCKrCYW6vDekZjsV+fSlIlHlReMan6CXSfgyH/bJrp+J+9zSZalqCN86VB1bi84iMf/gmz5zM7CYkqHjY8QFhVzaedaHdJrkcQGQjMaXea+3JKkCU0HT2U4OGYknFeEy8ta3Yqyr/Izq2N8+34Sg4CRF4OlM74gBV8LcBZefCsmzSZ6OrMWOea+vL9vxFRHffVRqmUUvqQyCZIebEa6x27qpWFwCB+YeGtRgnQKB0Cut+xah/2Xnl+qmvE0bzQU7zIJ/eFHyD0LbWYCngz6LNNQvBTg8w7z0J8CU9uSrisl3rYVs0TDHcsGqxAd75pSsZqCHo2fmuhqCqnd8TwNIdUxBG2GfWsBqibqITZTEbay5+b+hRZTZmoOnOulcH/zyC5/DvY+otg5abWi6+8yE3hyU3XtHRSKZpOi/7E7eA5diH3BfNVcwB/O1XAeW0i/1/d5pRLy7BYxSi857xEbRHFxlRroOTjEROkMviSuI0PGcWDLhji7CsMxljuW2Q8pwo2xmslcTSX5p7xp4iCwIvqXD38YvMJ/wONkfNAA1AgVD8lpOrcDCZgI1XqOPUNj2hh0NuXuLo/G+5x96y2iVeit8BpuEajx99UK3KfJ++VoOVoJGxr0Gn3WJ3I/XHxBpbeg33f3fcEoOk55569iiQEAMpuMMsGnh60QY0oPjRHmBShiQtVSpHOt5swkQUd0hRuLCb/KqrhAuT/Mhlw7t/9ivtcfPDQL43m9epGiNTl5uCz+pXir/h1L05W3bEyFTPBzwefRZM93vbOD7IisHz/31pQUZielQ0wGynYc7rbN9QlOZ94VXsFx02TB9/tH00nu13TB7k7j43BRomfZQTRWQiHJ7AGHPH8PP2pzwoX2iF2M1JPUK2hAjDAgufrCSrk7GVyVF3/QhWu+cHkzTCjIA0SaMUYS1rYXXd1VqrqU/tluNDqgyZ9KlEOAkszLj8Pol0s2Sff4ZqPPInnqCII51u7m8n+MI8cp7914uFr+6UXM3ds6hL697FeEWw92MT0noDWtEWzMWVvsxLOwYO0Wi5l5yZqLc+eX2xBse1C3HtGYZtFyKMZzDeMJ92tnUASsLPcIqJRTVlxSRFIdApITlhUHmv5dTLi4kDbvw5tegHQl+OCnl5swYMXqDU3XwhNalIHLb70FuMVjXScpLKATXyfe1gu4122D4FOR6XAdBr7lcksnaSisS1SmDAS+3VU4aRSpJlhG8hx8e7hYBaQoNN7Y3CIRI1+gz9Ur5d6tztvFgLK4IG8o9fJ1vPaxaAb8gujmGLy9IoHOTc03REDG9CEqoMo+c8P2ZzZN6xZ+pBaSiARXQGo6ReGzAvtuDtwA+4V0zNQhlSpfLhqAJeaQ8NT1lwfgckErEXeW7ltNlETxH3S6xtjllsKpTI9bXC+JyKQX3AZedddwDeKHSZ5HIe+IEtNXgMo1xQsamX/xHHQNXwPWZD4BSWU6qyfqkDvf3BZV3I6AjLo/EHKBHkX+dkG+uxKD2OLO7FJh5ZUgPnqEy3BXKmMaoZdPBSXukFLOcRUq4bVLPNMacsoiTHw1JnPA9FnOquaqviLpKfxhM4hltytCoMtsGayo3sag7CHlQNQAbshrekoQK4ljz+ZKRA8lyvpvv1+XZEWbbSr2DNoB7QJecO4Sk+Z6KoXfsS1bUFoOdC9t4JjaE9pLw24h9siSdx8OGm28usOGenIIkd/ai0h4qBOcuhxfHq4mSSfUa8hLIZIAb32RUjJgBU91+XP9GeseeFYqOAOoM6fOnMifxh75OoO8Vbnem4Tfs65k0RQmT8m3WFwyJgieX4wjiK6SIBwyE/w+RDb8tu0qCcA/J/eGum8Aw0e/pMBoOsRiOYlLno/BN9TBvlPvKIDPFooKXTguCO/trLTR8lRQBJJqofBRfj0TRiJHhHOOvQRidmvwMC/dfcHZaJokAbjkGqRkI2ba154K6Q5HNMAHL6UA1F978GUm+bKxRa12hQt3QHTXBL/odjT7JNmrA4yT6KjCRb+YFbDcaEM6YCZl821IY0SAd9v2GgBvRXZMwCdG/gw/uoaJDde8buZSSGzXmI7WjxUEIuRU9tYLzHP04TWtuN/OAjJTM5Wme4t8MDhe1wooLGb9mrhbuOz5IWx4Jk7EUDe3cHDlBw4UgX/z9U/MNvJME7J47Xml4nRunS+9uCqWjrlFOk95AvgeWrrkgqVpSWZDFwRiG/nieh2Siz3kwnFBzixCS53Dhtpgc6LfjWAN0ey4pQXsIZYdEt8fRxM24OvVyUaMAiZjXZsrvGGctGauk+8PPrxCi9AahRX0MCYtr312FS9rihKkSIWSdzHtGgYBMxgifEZvElR4RyuinnxNRtag7TNxyFDRoCxXESkKyMf3uqjyhepmUIcgvJk7VhXRRARGAiQ44bMZXJN615cAvzmfwG9Pe72awBf+EqY2XASwYIHRf8tgzr0zXVBHpy07lEeUwua3CiLGZvriw3sUBrpt5McbAKigaS38ang3AesUC2UGRQBnUUhs1Mgx01OOIZRgzCWngt2EqqYfQkewKgN4YJBFlDOnX11f3ykNYXL0ucD31DglSO9T1w0rN/fy9OoRWY8AYLYzM62VugROhGGIarvd7xiOgwZ8sA+6yeS5u44UkUbe5kn9d30mms/etmDW0+cCn1SehRtUHCuckZ9aWlbrTmP+/mJ4b3WX1xgNWhi0Ccxh/+kd3I8DLb929qc6V4m+ve8tVy0t1VbzIUaKBgaKeCwK2HgOT62znug1xcn+KLYEkQVS27LbaqHvj3wBhhus34OxI7ucpgiZtARBDh6+nqeKZQSZ8la3i0B3IBXhwXV4M13lyR2D/YcIsax8P04tOunrzsXgEZmNzS0Qz8vkj5f8DsMhSUNpduWpDeS5bOJFmRHn/3/7tUO5QiMr6K/fnlzPmymO+tOVHIxkla0a9BJM2qEMxcL8w8QR/B+H4eBKFg0mOjnsYwl32tMc9eZL12/7wTKB98EqUewxUGiShvBv0N0XnMqDyurZXswQjCYOLkMNf0SPBBqFoG5hTGZAsQdw0hPQYHlQzuQQdrjU2hKXCwRDetd9ijCsBNUhW/oDsDIb2t9wg6TultCgIFxyb6OeNjCTY/fwyWFmr2IPHyk1/KUGg+pSxYRlqirrq6IM+TBuXWLTc94ciQH325wTd3u/wt2S/oonwlELhcdfUBfC+8ZJlBHzcw1r2MCZk8HD09/fLyHchufzZkWWS+nquox2ULr7MbWYUFCaaAtdMVenS7aKJjG+sggV/PJIoRrlhSfujrBiS1NlzDRVXGxa69SNQoopahEHlinhhwnEc8Oj7KrdC7q0JFkPicX7XYCFhjLQ/sNqEDBvXmpvjHChj8Wp3rRBsnhNpKIlDUNhLaJStyqdDEZCY9XKZjllPH4g0GB8DAFsjSX2J58iRq6BMhUFKj/8ZDi9Ho0eRMOGnz/ABetfVhqhgRSRFnCvqxT2NKvZttAVol2aDy5esL00VgIgQd2RSiODIQorKNTTQs8RKoxcH3MKQa23u5QAxzMFXN0Jrt7lhjpO9j6D/DXD2kno7HXeV0YoZebpkbjHRlOh1h3pZi+PlivL1PiK626+871ilLI+l0rWITdMbah1gXElqI9U6cY5pN1JiH+EqLPL3RyLKFF3zsV3hbLIrWP+qCIi9/PxNwaVCU6JmXnVehiJvwCBE0HGCT7vBLzy2jm5jJqZZaW2zwJhEoK2lAMQ9NVj6nYyoqsPfFWaPe28g3VChmzJOSNWTDMVRIbkpF9xdjb26NfMJbOasgl7LMfq/2SMBdpasetwW4HAxKFJqEpzqs0EhbOgMb9AtH2FN7z4T9lvXN2ij41Sni+dDRu9PXBT06D5dCfurhikRAK0h0B85m/cj/jWjmBSBHqVX/tnuYY+5LZmLZpV+icu4weDC2fRVuJ/V1ThbpCs/5Y+Cv0P0bVGw+MAAj2j3H1fmjEhVqI1dkxuFkLVQX5pCiNs5VgNiyifOhBQm7Mxvl0fYuP7lG4l1vmzcI7WT6bllS6fa6hemBgmolv5OyawfWIV4QhKgNK/1BEKpN2Hex0cS17b7oa/3Xbz7nWf9Kj7FDO6lgmYLSjHiUuCRxfZLJLqbHj9u+vihKpoPNbUBWCtTPTRIcS9w+ZJvhg+yjPqbjZL3oEyJfk2qSV1oXlOKzKzwawUmDDJSO36dgJw0ycUSRGsBLS259uUY5V1nic68j9pchURt/MENRpoYMXMslli8w1XW9c7eDzQSoXOoygXniEAi9kZ7Y0jgGN3YnKAcNen2tf/an0J5ElSBLPYh0xbPO6wDm97XF+/3oMT6r0z8IHITq1YIgA99aloUDGZsapE4Nf2JMmlnN3EcEzQBhpvjQWBq09QjbO1X8PM7nxk/qciiNxOoVUkZZVtln6x7X78v++BtGYWsJqdS60pFPIPr7e82cLqODi2cexreWh4nvzNKk05OsGkqrLpyt4LRMfLpH51GyZBsrLUTUk5SVkKWdoL/rVynC43jklIXxNmjlPKWsQRQfbq1e0m7/PTmQH8KsWoedodq1I6RgMhLpTobPfGC2O2icn5sDFlY55Amd8MUvkYoDi0Ui/3CNlmQ9VajvzvEv+gg2dfBjs7MjLk+CqrH+/+h5NoDFr9cog6ECDoHc9dLuBlYeFI0w+Pb0HPNWANpzIQe7o+t/E3XjhUJfDMf0dHeY/gEN1C9GlLSrTXfVsh0DvzeXt4+t9dt3rUtGbyCkEMRYbFTmsjjdyg43MhZleUK/fRmkZkPlJQYJAqYgC3fYp6o1l8Vdy4IipnxG9F47zmlfmXP+afhBuQ9DAcKMJi/Z7BLI746cA8a3MSV8PIWoXmXoNteKtoLFkGMphOopWcpRIPPfnNqCS6rx6/Ds6HS5qsaeTIKwnUE4YMynMjfT2juKvCmaBxo27IvrAYNS5YF8Zxsh1fxo7Vqrw0gTARXHlVJFxz+Vk5KIzzBKTYbUOxivFLquRCzuVKGgOpAnXDt52Zay0M2gdchbyBEwkuaDxoBd+ICJbbNvWARKMrkH+4fgNqAwnltVMBUwOZEi4Wgo0unlKi5/2xAPWSzBBdzBq68kzVqjuUmMmlExyDyIdLPBSWJ/KGgEk61hozWHn5AsRseDaFrAUu+qWhjfbvJ6Di+WWLlMJFE3cr/gFnjLBl2zSBG+uiITgDLiblESse4tSkV9PjHwDlQL+UtKOtOkRLiAwBfzEyLb+HHSuet29Y3S4tcgYW46wKuW4ZgJaLCTikv0bYhbntmM8srkeFXATD8+/L5nS/jTepXZE5uAXI0YJtCnK4c6wbQqSl1W0GOS5b/2gsoapgH/fh7htugd4Z3g77BaXfVgFm7FFVgRLtODL6Zzwl694kI8ePGwk/WEJWiFmTkW7S2QM1D37sk2sTKvcgrrOCMTO03YHPxi5SDc01mRrS4tFPZQfgUKU0VTjpAzwYi8z3sspVG5W/XUx3bbkR4wB/KPrPm/mh3bgelggOQoNL7CB5mBfcq+ID+HjR3fyekipM2D3oPYerOAlYtq+U9p08i39ulSGjfYadcDA89ocmMMA3sOqcI4PxNCEvQE1+s640NcFyoRvahRMqhHpvvm7HEkzfFg6DAl91u2jPgSaaQ9I+mrxznzdypX/rnHslTmPotALb2z0r+bpq/pz3cgXScTZFvBKNz7N3FUCgEZ8LjZ63zXvqtqPpI6kGMOxIXxIfeea4eSgSHBZU6YXw7Hm8qfkfQX3Z25X/FEFRYkHYPoheYF93oCkWDnVkNWsyx4cnth0NdjOv8/36jO+EgIxcEzTGrfP8RIxKtzCEMVN7wY3vbRTXNO2rDlRrcqP3LMX2783Lfsai39Oo7nPWpwmeiSUX7tUiWysKIIvReBTr+EDsRA8+opE/chZ6SBoW5zi+oyAfdRHUK8GsczHOlK3JdRd+/1mR6MyphmiHWQxWdP/UUBqiyrRAJjdE2tjYFD2TjX9rgVvWpqKazAec9SN/hM1mMV5CHf9iEQcz0JGU9jfJc1midC5T+PYK80wPZCM7L4UVyjd5K/FXV4lJwjUKPNtwX8k4Ug4PaAyYBJNnd5nKKp+81aMXMKkoKKtg9kPbyzJHfPWzZ5da8IPST9xAO/rngsP5lO7eEQ7gcI+1YRCLMWDXwZbygWTP7MvVruE/fa8DKf1hQ+RVnsOF1awyPq8xeooq0f1Wy5g9Y0hEAffp9V7AaS69VJoDJS4tJYHOAxSKHcQ0Obo7QcfkDPKwLqm6441yKb/Q2QBJ/BGQURVVkE7P1Xqd8MY2ZCR0L01IkXhraRWcWyf7P9Nlh1/iO+me2Qez38UssoSvXdNJ5GUJGsP6HUtBcrMbN/d5DASc19xKeLJrTt0xi2jSNsER4c7oKGXQuxnJTHlTsjk0kNJ0O9WlKc7dhvxu2y9rY/7MXdXCS2PADPeDzkyLp7tyAMBYygJTx+Gi5VsnHNqvlmJgQ2itqfXFO2U6zahO7QDV1ylrRB3+wJXq9er94JmhEvj2lk3UXUFz/vGs3tRDOhg+K5V/QzkTfkvIF7vwDjRtOr1RrfDCUJT2XlPfOXOoEgqOvyemFu/w/ze6OeX8jzGVVjZKDtbOOwT44Lvp42XHA5vjz6HJIu0skrLA091Y7ggHjlM4myh5y8Lpgzh6UJgt2oWQb2kEDjYl7/6euIBI2pHqXL4QxgNFQ78HxoO7XMS350+JWnvb6/6qoFYKSMUXio9nj2H5nYlDbeUR6Pb2vBWgDaj5LRkXfLdRA7gDjeuReTREVnQzH/olz05aeHW4DAKoE2GnqU7bZBQwQR50fvf7XBw+OgMVtZ6pv4zgls3CZJObgRrnaFRbwkag6T2RzlAfgx/BUC5iPhOWJPk4l/DRQ3KBdYi+A3cP4a4RvSJI8tdng3BK1WMBRTPiQhr0k22qzQ2GsypYCicDmgwUQqysdX0JLRAOyGDdYtPKx7tF+m4PInZ4h0WXk7jOK02iPRi6E6vwGPYNjXQsY3n+NUJOvTM5c/8LHSwLPFPzfMcPjOtczWz3v/6PLUdmgLaZLL8/QsWWRv3E1YUnFzcqcu0rL9nXJXKpuCE8GAMXqgWeRnE1a31HDDUILjJzlpaqPY5rsD/nbAU5mOw7oOC74l4Vw7mvZIScp7uPkeavPLljRUySk5P5ViJDIw1kf4nGZWOmXGrgR9OQ54Wc+lUvR364hIg9KAZFncQ5pH8eFl8xwYBvc1w7AqOm3ha3CNy9qhLe8bGcpXMYJzUituTIEEreL8JrG2Ai/6lozUaM9wuoBir2CvUyBcFgHh7ITvNUcqK6EkY6qyFEEweiAMGqKrrgOX8O9+MmOGhNrTjhypkOdzhdahMMB7uIRbKiVYIgAat0WvwEz1ZqXpvQoUpIeS7QHngFhL09Qxx8zHA+N59uEQy+M21r8/ujgEN2ADgS52nqWJeWBNax8kt9FpTlaiuYevw0MtbErTIltgpmEfyuM0F+0BlPsfbRFhcZB+lC7avleXKlxSeVpKC50251OMR8qKf/kSXqSJ0Ob5vemJ/h5jbHvg7IOqzR6CHw0Fp32Wn4Ta2rDl2ZTCMl0YMcAgc+ATohcjg5Pt8Gg5x6TNA9II1XwBLZts7WxcEjD4B03Gu8qEUuWOZ6xQUzVCfoWUQcUDpIgOlDT1JyjBoWhGbWUbEdYoGFE8ergHDYQ3Bj2XHstwQj1CRoK5aFMoc6hXa9QAw9DDdp9WVZ98S+YsOiJRNRHukmpBA9ayq5LbgHDN0PT/suK2SCnMQVL7f1kFALYnrW9rDBEjdpVrL6CsU+TTXYk1TQzdg2h8x91SnSDD6dLdk8pW/lu1WhvK462/k72t0fHN9d1JJ0WETBfe90q0PDEjCL29HIIVlPSrhT5PcGTbP5+CxyGYkuiF9QUTyQiy8/fXMKACLMA4eLWZLChJRvJORxy8wtyt+f1DFNJeymhNwpEniMEbzqgvWjXQ1EOgltyHcWWokZ1mNdrLsW87Ialf+Gs8INUstr7b8SJiwtt7Y6Gh9mM/le/5abYi+dBCAIhz6VYBNv3kXwoUAbwE3vjsKwp3r0IBMzTZYCmph4gXQPQh/jL29wS5Glbht04dS2lEH7Ty2swkTyOWr8NaakT1lN1Nb0h7HIzwaxAJBx1ogiJuEDjaojHbI7JyCtlRsUPNzhmHQlxmJnBX6io6b7IWG9jAfGSi2fOa6wEMKodCEI5b9bFFs2DBFp2ybzWSeM5nAMKq4uBEF8ovMbdvWiGUn7+Kl6RTmWXO+fIrEql5ynW9sQQuxF67lumAdJCvUnonyPMiK7Z1LR9x6+92lRYzmJfts6i2h1i3bjIvyqF7d5Ampt5mdSnC736op/zz8AEzdIOUOM85EU9Yf4D6IwDngdFQQq+l4luQeJKEujywbPePD681rw+Ui5UA42Esg1YOF7frfjDSw2PaYL0Q4f6gg2BmbsSWKEFciUX+iuhn1TISUQ5u9c/6E/tHeiy/ZoONt8g1LETkhxfAXVnoLOA9I++5Il96R89I67hBxNFeNY1LIUUP2TK/TrKZxKWlffx1lSIYDm7AiseIzQJdFXpJGRdxHYw5fP7d26nkjU0cWpRo4HHxE3TnTEy8XZaezPoY9IHNQBEZElY4WC+PrlG0C0PpG7419UFH6DXf0cyrxTdWDcyDKrBB1c4EEPGN9q1/3VA0XDHFY66JqZyZ9Wetlc7I+09hzBmCyhq8jyd3JNEXlEygL1kV2iJteWu+2Et6lrY/YQrJBUr3IYIiQe6Uh4hseMsytshVPBmbzewILN6/6RRP0a55A/f8VXeYf/ausqpuLJ1xjtL3UHG9qvWipDw5rz8fqwzAMsfPn3JGUcz6dcVEFYRdhqc6NBopBAx5Ufm8NfuzCDIRSuzDMrdUQd4j5SqPASymb/p735yVI1sbNNYjRst5fZk4SnneOfsMbc5RLItywS8/KJX+BeE/Z9zLS6yuwyauNY8YeeDWe7FB6MDVdlI8+Hcm4pril83fxLTniUI4b+6XjbJTO8WrgxeRmRALHVkSHJP3romXIjtOPfjHgZZsncCxoHhEuafKe458aqaHzWdIe81uaGmZqfOSU2DX90EYdAxPelB70h9Hb/rd3BEX3I4za3yH1nicBOLm6eOcpME/ym59VxZreabir8Y0kxLorXrzFLEuxOVCqh6k+CDAAZy3KAIBXjwYPbBfviglkzW+zhd7DVm8wJoe85e0U+7wSJ72LgQHcKO3x8izDs8dS7h78kdVBGaj+IB9O9IhIZGkMIuu/9q771xp0MMipmHM4GtVeMu7vqIZ8lDy0MdnHziqF4DE6visqfsXs3kPNyi2vx11ATObSWQeoyKH3iBUPhuUbD66VNgbrOElprqf70wAXRdqz+NjI/Wn6O/nTjBlDasyBh/isDQFjKf8VKh5of1Fy2kvw5xeaC5KDVtx5SLtW1FGdop72L+beQoaPM7JHMX+LzM0Y6kV+N23s8XGXFicZQHJa6kLpO4OZCGocMD4xAFfjDQwoEt+KU3IBqutCcPajxmCfrheIpaCPO1g3ScmIy+CxrGfpXJClGySJ8GEtNqZfFoVh20sjG0Mun0bu+zahhUxwVb9H7AmBY8VKUO7xxyCdT91UIQo+N+Q6K4Xw6KhbF/nl0Rg6DqyqTLBVTc7RhvrliGhtXc4fvz+FMkSleinq52SPxALoscV29JvqaVBu3QE07B73IxZ3YNdO0brzQiyuZhZXdk8mScQlKApUzfiTEk8Al38RvAAmubP4tppx//j4ARxbWCVqaHKRA4cUttHW+0SllvH5yg0GRM91s6mAFJev/E7PeNY1Aw9e7e5xluccdBVVD+1MIPMZMnwaVWUsG6JadyVhozkx3cFqEyVDzsH6uHe3BXsAEhjFETpSmKqbKQocAlEZIuaac2MLmxD5tl7kPx0os2pmiY4U/Xr+VU2Lx6pLapWuhiqFOiarFAwUQ9ZuhXC+qe6UdaCHZUMoQG9n8rKDOoT8vznL8fQRLBIQtgwrnvJ9ncJNI4lA/sXpsh5O2+cTJdM8KO4yNStySqBYRY7RaULDRFBGpO71gqNgIiaNhLFgfrtorn6lYnYvyiGS9L4XqtKtWLlFOQIPN/FOQ1aBoA9aVCXpUtvb9jQOYTFKt5AIiN/cILv77u1zkaVHx4RE7Xz8+zQqhMNLcpaBo6/qQs81IL1pJiJiWWB5Vla4bFWlxMjMzJPKry5rvTkvCMhZJo7y6om/4CpmLiyQ0iKTSTjDfLSn71zpJSlHids51Pjd8PKHU+DeYgBmUi0uCOSD9/vEqRYJYkelsw3EtyPJuxvjqBKHSem8OSqpkaj2mBYzs6UJKa7Wuq8PIbFiHNQQQ8WQGEcuB5V810tzqRiu46Sov6hw1fvcQaUrc/0IDIAq6XplpUz6ML26JaBsjTr0dSa2Cp+5qt3QwaJzKD8Nsqm6nbIkhskovBOpMXeq6/Ye8TYBuT5wllyN5+3NQOJCNUlpB6RV8f+w6YFtXdUFzVRDDDWGSyhie8csn8LOnIubrD/PqDzRwBO648ljSJewDYu/e0IaAEysdHXNUOYmZD3xv9otemaJ9h5L4Y9KXWjoKuGvY4dzYqMiDP4xfIUIbeNqWZszm9RDjSx7rYWrQO6r9+vGuPZG1xZCJLTLFa2fbGKt+RnOklG5Vj/rINBH0K2/9FriP46bHgtELChIbgLrJGtKyK1T2spw+/VLFKzzjOh+zOTKbwoMVP8A1N6W22Wgw2BANJZJ8fNtD9cEEmuIqpkZXqhUaVpDqtfcY8L2FOIUsRxhWQp4+rU4jyvVDeXBuPQVa2fP9fLe6D5LLkTlGyivYzQI80WPcNPHVqhVl/uZwnIE6LR+vCvE+DBWe5II3y3pt7TBInQbgqFeeMKq6AHKQ10dAkuRUjk/mmgPn2qjsJi4kZUAZdrUb/7cZMM9lqAWJbtQIjtECGPvOvs7iwFNGrJKnM+t9E8kOeiN+uY8NIw/46Ay4k05j/otKy05+EuRJBVD1fZOUOiXNENqwLGFIUbH3iaeGFtRp6Ged5zcS3nnwaWYI1j3Egn/171MMLCAaUuYcdVn1er+dafSOuv4YeHnppFrIV69CgwUyrNgRJCcYCpMQPfM3t9+iduKsirXeaEm6ncYkny1RL8DUDkg5V4tRD4oWqcC6eflz05iZXn8ahaQkMSYgEu63JuDZOJLL/RhHjlXBnJBJ3lObbWvxWbYYCWIzA+uMjqpkVpvdhRlGwvQWv8a3YYBq36bwekgQ9d4xiSfDeUI5eummDHSPbYdQNb2x0kwvxnvfcEutQ6v5F1D7tWp03DRy5cr+zizoiqdZyLjy0hvDMAnIYQLPA5iA9SDXoIolhtKE+KcVJ/7p4mpW7FZcDEhnamiHGEeO9MdrXUIG5SiLaftXQbGQq6J2h9MWYD4EqHuY7ZJOdzqxQskayl+cAgoGPcsLCrYPvTCcqQO2+XlM7qKPtpMZQLByuDTa1/RWSZX/Go3tV4jmfhFWHF0igR2FKmpQ/H0WfNTCg40cNQlclr0/D4UUyt+jiaRv4KImDtS6QTXjEcF5B4/i+M9CLOxChzWwJzpalWvfsZH21ddEIElw9nllmP8g/bqKaO2xGka82XnFm7IYFE6omaQb9Ph03J1O9NQt0O3aTGEXbW0yWhZ+srqBaTB5H5LKYy+HkHz2FjUp5IN8ELfkG1hUVbmM68XMAFnoSHK1IGO0EHBhYgYUcGKUM7PHBQr6XzptKv2g3Rojh+Q/IXBy1jOW3/fTtARvJEY65QSe1BGc6ljcTDfM0CqgsxKI9HeBNWzU4ltLCFAGfSYQmi/IMvpl6K7ZmzA5GqEBHuZQsFDS5vVhPw6qOJVF3oH16h3BRlc8LT1xin2zWdxhbufO2O6ZeOsi2IqLLpuXsG35Bai2WZVo3vv9y7LFYbdiJV6kXZh5hzPMOajf0/iXo4fbnoaU3dox1GRBcdYED+AVhcK5AVjIx5PNwb7SoxobhPT/IlwZgkU4i6kOLP8FsiheBITcoPbkDLczg3SmyC2CPFQcz7pO6q7pDuTWr2wng7+OE80li0oPqFuBPBWbiT2m3qI8dwp49laJsnsAVaorxObMosHrlqSfF7FcxBBC27UGwKAbHUQW1omMnb+6LI+4hKAkMGS5Syh78F79hVJoSuHAPS1IX221NyDb22PG3gK5+I2Go5huh9VRfnrGmCNIVJy0gqPRwr1hbCPCQBRPb4+s8XlfowpVMN4RIT1jb2UnaQIB9tRfSv+1ImG/5pYrcFUODNmkd77VPyLK9Xr0Aa98+YPnDvO2Vs4dLjbLwaG2GvP++oVJsagwSssVapSYz+KlA/sH86dQ8wCToW8g3IbOpRRVc1PAqPDjn1y8/T2FaNmUcEzLIbX3WljuNu08qf6/LSvRdWQy1scthaqvsGdKy8oZA5os4oIgNn8ZsxD1OH7F/k9i+/kSjQvJ4Mvh/Cs7i0YHdfEzl4eMZIessivK4qEJ4A+OOZ4H5el0ti9D4x68iP0iuPM9AJVmfbmovInpVnrRcdGyWv0dF7ZTTaaKw4zZhyvQH1XyKVPdzae9wUHGt89Mpt2C29xuzdpWhCs4ReGWE5Bu2KqMSPoNeLHLPqo4Mzx43JA+N604eIPtRs5Cj3qjAuBJNPWp9G2b83ciL0+inU6uBKpEBJ4TF7DJXd4LDCK+ZQTV8+x+DQcXA8IfBp8Q5NJdLg5M/7mnpp8phUFoxoIFmYAnnc5vqNw3d0lPuefODvOhawo0B2iJAP8IWhPerS9JeE7qhZOO5jMRKd+LubCWJLu2RbAULeQG2dKz4TwMB3GUu09BLc/d+VJ6+ds84QGD9g/V0FrEinJCkiMr1R9a7jUTJIXXTrJ96ZitCjE37UgVhao6vJHCgBTSedhIRUspwIW6I0ysSI+8q81HtukW0XSbmeODhOO+ouztqu+z64SL49lZ5fjEnA0XcciPW6hT6zC2eZJJmmIwuA+5Eyy2GVOJKcvyhRnCk4IaJbniMHKsaY/YSCDHg52S45knyxNSkDHQ5R4RSS2/3JchSFOF5c79ZZQMVmulKPv9+f+Km/MdCnGaUaAQy78F2ETCE9DzFlRnyw+WXJapflbu/7rMMtMwL9XNG1FzhFnNs1opENbf04KDZQ3bv0AtOIIQVHtkILyEkMXZInbyiIHawx2JlJopnfeKX0Q5qaS/tZr8tgr0bSmdMDND35aRZYd/z5DAQYaDYO8jYWDRL6JFdIlsgJB2BYSropYQ8cSgovXd/g08QhB4rxRp9PtzmD5R1fwpoSZsHLlre4dQshwHj0yl7Vjwo1wzZD7r5IBOeuL846nO/KH0CsPemmXUsiRi1UpLjVjiUtLz9dbitXGy2WpBAjHHr1j5OiIvOfM+Sgs9ARYEgaB/Go8BPynSH+w7O6w7c4vvNLj4HXbz6YpR5RTImuDMnoQOkA9i1KxtbTDCFLCUKr2HfEzFw9Nutb7VAiFTXN9ljdPTaDxDV4GAeBssg6w21tV4gDt0u/BLbzYbADehwvFIi0h4xojjeFALuEeyvptrbescat4Kvipr/MHxD9xdIIJOA4lE+3Sp7lR4Ie26NofmHlJUUaYAB60rpwOrK7rcfTuXY33C6ltoGoY4ZHcrxjpdnbUn/VV7aS5m+KJDTCUYwIl9k5sJ7bfmYHhxnecDihdCK4k7M0Xb6Va0fjIejua3AQm/jfrr8YLSZW3yb7OuVxXkL+w08XcfH1p5DuEeryKoEp1Kq+2GUkMdeVSOqdO3JEcg+HoBEPn73eXoSSOYbzQoeKyumCFsx7muxBo5oSAX9pjle5x244+WQ6jbkMACjx3qtpm9p7pTWEtdIEy4+u4tEaY+mKuDm6WyOJxoEHhhRmxdFwBN8Xs4MLR12DwKln+Vf33KaAwu84WvHf7xpPqBoo0XfLLu58jt+Rstm7vHqKa8ix+sPMTg36rxwxgVvkB1L+2aMZuUyuTPrdcu5tTmr6b0yt6Z7ZUYyi4SVrlw4B9nTLSDkPUBOfJ31lzuIYCxso2qMmTCSzL632zO5KMT9NlQykeqU7t+Un52iN30OEBBZss2qMKRFKSSdCHXl5EAb8jBlqFZC+PZ9hqce6NEv1solccpbqZYVU3ECjdZlyZPS06Adl5NSWjUqFqyGS0f/37HCxiXXtkC0buHDFpizu9xU1FYJaht2hknOaUM1o1wiJnxEs2l0nQy/z3NQrK8cuDPOeXsGdcTeE3KETPogF93WZjPiQ0C2Sjve3t6av49MGy5Erp8R3/w9JuVE2/JmCJNPea8+vEdwu6w4uBVRbhDVOhC1fEYZInV9yFsYDFMLZBgIz5Bs1ZgvqJc+Ner9IJmFtMu5MJ5gULDs1eT1P7fu1Oy2pApitmzp3gWq1AcTddJXHr+6+ogBCwQPv5mIpyEUwBhCRsgWyP4lgRrBIxxU8bGvFU+ffwW8/mWC9yMaGLTrr7QmMe/Na2Mv9uyo8AtMfgLzhSBrrSKNoollKCKUOTUkf2oMCmmhT8fyhMZlfFT5ZR6Lr0sdlUh6lUsNoPLhPNO/HvQcXV/RTXoC465rGzt9bCviXM9J6aqsKpbPei3/Nvbi5sebDRJakzHZNVHoal9TH+B4TL4t31circVjl78QnjffhPzfsn6UHeDyANQOHOnYlA3mKpvBqhghlytW6f2SWCFkkIwI9FEFsTeMH5FTjqsfjG1WqtSk9IBPOIxCgkFgi8wLIu2NxBzM4TXICklMzWkQZ/Y+0kSnyudkGwQrIQxh5/gj0rbfFX7p6qjHtQ2PgcqKPNbkBG/0jpvPtGmlng25Qhq0TRDGVDOYXR8tTC0T1OXxKNR2CIxNFtEJr200Em29OE32AAgwY0CfO0RA3n6Xr4YnK92i3/3LBPgkc491QBDzRVrmwhGEaJOMBTOwlnmN74lVnJx5D3Ku/YYeodl4aoAS11Bub8z51SOCaZ+lm+dExBvhqq9wrdER9veSCwaLyc0pt866xKcrw9Ix5aYGgJ43iK43U4uldF16OdEmxvFoGvmhaGjxZa23tJTIHHM/Cr3fWlWw+OlPenseu/hMd+Gt1pV//Lp1H0vbJS+0RqwrCqwzDazz5GBx4v1gY17lu+L46dxvTy+jj5JZ+q6uDwBXGIxri04+8kBM+S4fkv3hh5CCifdd0zMv5QI0Mwlg8lhG3PPb62ATZey7dDwO0KkXMeNZWk9+KUhjZUTgPVuOevlNn8DQaMoz/OogMbFC7ubW30aN0H2uu5wpLbFId3oSyukRH0fOJGOQh8ZCE9rFukKaKpgAf20sNWwkSClDJteIiH90HAsAE4D5/VlNkNiY5KD+8TVmWlqJido7R7DQ1VKobHpoZzFSnerR4Z53pIMHblu3ZFHSTiyzx8Sb12c96LHfGFOsOrNRc807MiRe6io6/II9fjK8OQ6+EUA2lHQx2qYVchIqmLoUvf/fmr2rASihvdfEKBZhnmgEnKvqiDnTZYYdYBDyWgzPCb49F0TXtUnbnngAZ8Eave4gzdr7Gromg28FsIqDW1eFtqNnPGiO05MMBCqhTrm+6vbBSZWkZycBzxbfAotC+kPRWaLP/UoFLJ+iZujEif6h6u41S5NiDVKuye/GozxmD/MoyvHIDj5TAntru6r/eMjtPi3zl21ZFjuS4R4oohJ6Fty7fZDa4ZeBlr4X6EVdM81ok7cBZT5yRKSh6+cbMQUecO6kcsRCQ5eJRu/v5w9rEqU9j0gZBSdKKWzNWuKQgo8/IKiF4LE9L4NJFSXQC40H2EUbfVotbpynNfXIgAV267GTFiCL0C5kgJyvjkgJPsm6umJ2rpGqkN2u6uC+8E0XEJQt07Ohr+IY2qnEwNGEppkQOeKnbz9EVkFRhXiUCSBWEBNRFe7gSUWyIG4Bs6dFZyfMZZ+mgCaEiNzX2yVrMMDLuDq7UVKThKzQnm/w7Dps4xIsLumcUiHo/etARpT6vG+x0pw5i9dJvZNQdYNu0EfomzdliOKSVF7aOBD2mOjEkO1z/raE+JMVDN8qWFE0Z1GVVibskskDl82qFk4AfcXJxP8XdxWfYiAp3VvmOicDCU7n2FtU9L+1T4Arm7jSoYCFC6w1SAULtPH/DMyv1pfJlb+ckxuCd9aneludgzO7QmMC2r3ibAltttn3FJ4WCmOPLDjPKD8fVq8nTLPFpjaODXImdFxcw0mChYcRfvy4vXbGBpF0tOsGxEFD4Ol5MsQ5HmO4ipY+RCeBzpfgIBk9ihY/D1baBI5T40ObkGJYYaAOoUZTey8pq4NYBzB1Pi61YUQDjG4HYFpfu8/ba4Xl2VnDRt8l2P41PSQITqTbXA5QocBLHu/LGBGRfPX9atWEbrxpDrGZh7N0fvgUWsEzoU1VCn1vWEcppT5PYFX1J/S7lN6Uc/80zN/nktJWkBiG8vf1kMWPwWu722Is+G9t+zWzZp0Gb5rIMXNV+ed41cS8zvqvFSvnfVp65a28/A2Q8QVNAznSCwY/ZQp5iHl4LFBVZn/acsd8WWIh1iNL/P2lll403VhJBC8us2KN3zzmxgHZfXI7qYGDRUroRNi1pTqXWA5eZRrsyjsZhcNLAAcvxadD96EdeqOqUwXHDV1fmL361sujoF/AhLnuN32K+ChbXjIb267AOO2YO/g7SMgutjCSXH+MLgxy9Ie1WJSWLOuxikecZFPXhUq44CFq+UhDO3Z+F8NFo+q1HBgz55imsFgICd+PVIYBeSJMqH/6MUrmGEjtSlccLzWU468IWQ5+766alfN3+AjLlkHqfJl3QeEwHNC6Y3eRKYMDj7W/eNvgpMSMfyJ1mdXX29zRHSzfYlyuJ/3sP++Xr7D3VNw0QOm2+N25MdesKjUaYJ9UGmcB1oYtmv3hKxJpJ5q7Y/1w6V51yG88dVp5PqumLmqmUAMYsUH4C0AmkdOWxJZIHYkcEh6FtVCmNyu+eSdAk1brP+rlVqgZCIMwtFeem4MMMgezJ8rOAusxA1SN9/cAMp1Z+IfUsjQYEqbsWMv51M27JCGxlRhPrK7kjd4Ngz8vR7//0FF0N9P6qDJ1me0vNfqMNF9LcaIPZaXtc2fMRajtSKRzd9L8SJxqu9/J5Q7b77Ouz9r/NArc02kZJui4swxIfgyeUqrn3urY+LmPnGyXhhKe5tst96Wt9IUZSZBH11+FJ26eFKI2aUriT1+8k95naDbt1CuW+rWvRXtw+U9khG73sZEFsdXg+sOruYVi2hhFzTsyP+yHJDm2Us433C+FkGiKN1kfFCemKzG4/ECwiFhv2lmnRAvUpWhTOu5oImuyfWYEClPrpZOgEpI7aisOknrwWTTuRseyhYIn2eH7cWYrQkmfLSvsb7ElaY6U4xgqllAmXzoj+gH3OpCFFuCp9zF4/l5oB96ozoVXhrkNY0PgQNDtZKRSSCEzVglRlxkX/ztjM/wNJLWa/8cZgt2+ZlesUu7hXs28fLfV3++3vnfnrLs/+EP/Mng2IEu+QzAW4tmTUVBdur4IWt6caYSTYksSkQgxB1t4YLJQJynhO9lJbcC/WLWGv897CiwOBBDlHrOnMC8tdrSfAm5X7A3SVW3+iAWAZmK934NchhfgvdZcqrAeEQ6ACZPPlGB1s/gydkRaOMYo3tTXL+7Nu3icAraEl+0AsrVw78nSyip2mjxEcXQeWYfy5F2xI/j1hooSSeTNR/aAPEDr18bbMZKsoGUaQvIXFK76rziH4/tBfr+bugBz8Hpq5Z17BGGyhuM+bhK8RSLBm9NER2d/Nc4jBc5FgKywpN1ZSpdlEDDhdcGSCQqN8EzHkp6JksiYJG/yqOpLu9N15NCzZzCr1l1Vnj0H/BqCLIWGkcDhh9K5QxIqr5kDWVb+cAB4EOn76Htq86sFqwXYobEo4F4dSgA4ZVie6jEP6I5a/7ogxx8G5xZm4A3K6CHw/KG+7QJr4qXtgLTvOTIZdV+9v4cJgJCzap3ExTpygS27u5bD5CmIszMstGEb3PjyYyIPQdco/dY1/1wMntDux9kA80CohUArLldcs6okNC8rpw4GZqSZn6pk/faSa8Y4/57n3chwZksxmdV1pP+J5IQxnN7zUMVtSzQDlGl2ey7ofyqyd15bYlf4mac28zAK9yFSnOfYneWr3+A24bgn4TTPaTKkwby1p3lwIgHVax8dDQ26lcA3yFcxH5GA8Kvpu+320BWA2Rch+sBnvVt3/RdcQYS6v33Q2X68QLUUVBNOdcssvnNx/CNVSMGf2Zdt8y+GYZofrZpXr099sBUJXx8OIcdjjsmGa0epKRlreaG2KqVwySR2qqgChsJ2dK6L66hlkzHiLfAM9VPQQCG8+N2Uq6pbsJ+vhUIalKvdy7E6Xx6M1hmPgT0LEt/URNuuPVBDCIp2aT6mgD3UE1TzRnEvjlLSj65ec4WR20i8G3aA4jX8J9DvjGeVIdNOUEBlSOlFUJ3bhmZEx1Z0dN8koNRATsXOadgoJuu9HFbisAt9O6qsuqm5fCMB/g95ktm0ltIjI0rdZ8758HsAGxPoVSfwFP2Bpm8ZlwkF4CrlUhGmmtxJa17QMcEZBZzZOO0ZERu7TfXEv7ve4JsLdMabPuu34OctLGbhcahqJoJCi6E2DmS784a4xMH0+WjQAlB8KMFe28b+1zyCDh70EpFSHzfyHqLWdm8lgX7CoWjA7wBeqT0hr8fS1badMZM6A7+RStlux7n33oBYTY48aFZo/4XItXEswXoJ+mo68p+reN4e6LlVOq4i9Z5cGkjL3ocHmOWCqougrI71YPs+wsHLcZXDOtFmjiGK1Ko+mtZLZI3qaqEjWN42kksvkfvhNwQ8YrANsyjpE8G/CwJaslooHUwY0ODpkrck8w5UqDA8uW1IsvRb+tin07M7mY2VxRvV2tQohZvyhlKcCc2/tHBaJ9hXEQ6mKRMx/ssu7aULH+PekMVsr7eiRGtfjMgIBnLhI1SFvELWvyKdQ09w/XWOFMTl5Nha/33FHm7vCwfxdKd/ojfRvGZAd7be8nekzm7Qh1yFoC/iP7o+u2Kz0GUePVbRPuyvT1ia8XgyQVcQbNUtZwwd6K2CBuJ7We6Z4z4lc7Vu9IcZFwGrVtznm8Mo37ab52qQ0jAfaaR+B6NdZ03aju555bRRJ1P00DI65XqLTC8/CALpXpWQTV2heXLL2c6p/AQk0R7QWMPCw2wFziDtTcmPwbmzTInWfF8bP7b98gZuNlj6N1Wl/3uV02NOY4N3FZsfxZUOAmJQccW7EoY63cSqyH0nh6OkdhvIFdK6kagilTZ+ZL6RputV1PQYb3IyselJlou8PeW/jZ1JJH1UgM7cLh5uViiQUfrIWXpyRDhJjgdzNGpLTUkPPpMGsPbAh6UFTWU+mhv1VEDF/bIhmnjOLlsGdkdzmRXWY5vl4zWAD5PZL2I4AbS8rbDFiRRx3fFX07mhJ6p0N+nB3nksvVP5xehjcvTwqvzX/5m7giaM+ClrmhnlZgIXTNLNpg2o8D9k8ysaJoLpgeEC8RiwTGGjQxtqRZ3ZChgcwP3/l1FtaccU66CoIOgnpuz+OHs35gXRCkhSyx3ucd+0bPcvzoQclDnGxRm9K1yJ5JlJ4Uj8WD/ultTl4qRZiaFp4NL46vctojVt5zEMIbBq0ec5TSUOJAGPmPXckNVio7a0U+qtE04ap9qGxMURJc4fed8VJIY65JSnK2tV2BwZISXJnxVlnDqdYJqoHiTvSi/muboBgNACvCGmhoikHE+d3mhMhzCwhibQJ0konOLQOTvRxgz5hG5p7f0A0tLa4CHcrV5ekhYUG013GUcTgWTaMzETfkV4Ps2ZLSEItZrekFthD4N6HY+lpVVEq0FQixHndYWWT/tb67EOEBlf3RyJ+5V1CsbVmPKU275lkrsM9zPCxqI+nrwtXWR6zkyiWGdBChfOosjS07VkHAmEwulz+MTe45WD9iUd7enHchbtVW9RiCNTPzo3l8UOnWgiJDdx4J1VgdYh0yHVcV4Xv0xM86ERwbmC+C2RGTx4vNj3NtRWil1PWDEnLU8AZ7WBOnyRMcbhqmBRkSpSNqpO92qXfz6JO6XO9lEB7u/zM5jDPvd2wTzc0Hp/aL4OTwY1k+9O8MPvbH5dJ6sX7BhjUMW3BktFqSQ7IRtur+L9Q9pmIVn3GdvlFQdFCusLLFYFfA7Eq9cLyGbrYj+do5wCT+Q6GiuG7qHDa2i/GOUgYeLTNMIg54PCsXRKyqUXXkhZl2mYr/cOkRTlJxmgeaFXuIBcvPXmCVRAtOLKHaviWp37rgmuI6r/7e+tN+Z6ERe30NOXD/rDodI68VlkT436DQSt6BfBjUGDyIeB8yLzGBrGCt0RWM6W0+iI+t2+ahajuV8NHUHiKtYyO9eYECJcK/1ySGU8T4KMU3FRJpBJoIagsDBAtyNiaELq0I8Zvs11LHvBYUk4BpFzHheh605lcEjeRHOcvI9Oeov3y0BctYBpf1VRkaMgHkAY274Ar2HJ81PogOxASrUPHGlDBbm4uXBfViCpctHkcfGP+Z8CrWAtk5U04rdCEJuFxiVDl6Z+tj/gxFx+zH6+5ick+6+mJYqvEDJAJqeya1uxYJJEitUhVA4Ks1YtIxbJ3KEwOi7KZ78GeeX0OMm8AjEKBZVyN1Nr3dXz9+AWRFB5bpV3Lvvt/kd8u0tCEzPnYswttW3jdghsTHmEu3dMcegWRZIrSlPWE4Ci428dkPAcK6WgcJMYZbFlgAAwqqk6/9vrI+g2Tc5nD3rS/FDMvPLTrfL3WjAwgG7zgFpQsPB+kdrk0W6JXzLKOfIX/NXBBsHKym8E1m0bRE9FJW5GutWl0tJODeLTyThv9TFRqMs/pYECYHERuwKKsQGx1ySvFjezp0+n+7fFleruTuc/T4hNPQMK5XX7luTBcFiZ4CEvH6TG4GWOthZLIkEWQz+pJy5qMIWevpAq7OLIZJLsLMjv+e5Mx3AZ+dz33rXql159uFHYcKIssKgnXSE3U2URxTCGvTghjEzZBo3Rk9G1RfDQN0MuuNHHBbVb37+BackGKB2JeFFH0x35hGhg97W/K4J4mIhFx92OZt8wENw7j0dOyNc9vPC514gtWKJgyArffMUEvcfqsJZVQ/A8X5WwPNCb/l2ej7VsyOM7DGnEaa8+DnyBM2+HuULH9PgEVWyIv6dqk9enyBywAzXLjhpJCpgvMdlHgb2Tmlb5OYulMmu7e4bpttjaPYhJzH4RfqYpq6piiiejrz9OLl/rcx40i5+fRK0DCgYkve0FxJYANI9l00MGLXGBRdkTbaww0nBvBTMBLS7IBMkpt74PsMEJyPsPDnmRWpcMhmwHna55E/gQC+q/O3qcaLz5irPQdlpAJGcBLYcNGRKo2l24r+rPgV+GsfyfkIrWPgGukyf0D8VC25Zx2MMfRAoPHSdHfBHyBGiOpYcDkuJanC50Zmk/zNlWMDyEle6JyhQgCb4sE/1kIHh87PEeH1iXUT13A62E/Rn+JZtkkf972YLxJ0taicOBxfzpuVD2LCiRcVzlh+eWUu6HgwDADjLYSNVnSiQC+fOpioTS22KMJeiPtuG6eLMyXDpqc6cdqtpyPnOU+G5o3oLUzkvCpCEjqcwoFlLWTsADE6g1ruzbj+nRSOYmqITCDYCYGmYmNjWHFp38CCf5IMf0tE+ijURguypJSXtfHNj1swupcUl/65RC/GIPjD3S/ih7upzSo7FJxN6nLtFUeVz4MYCjw2Je6tEzBUxr5HORBQj/WE1qw8uKJMSepcIUosHjkRj0840hJbIQ36SJI3IxyJZwXOBXinAsbFbRItOfdAphH5eirtSIGirYcfP/Q2BLrh/VwNkx2pm6ysXFN0rLf4VXB7OxIpx54YEG5XD254BQEiPCwQB2eY45E6dLMpShm9KQ4s/pxsT79v8hpIig8Jz75X1EKKbPhnvqhWdMTcmNTt1Msjug4v3fczx0VgN7Tjc3n9bPQ8RXVJoYkwoVPOVOwIcio95nE5ntU3Zzt3s++juzvXAM//rgrRKeNvYUWlimhgC+s9filAkv/tUEx0wnoTNx+J3RKdHi/b/C3VnXdEMNIZrMZ5Qj5MsqXh5H7VmrOBQ/uDDKkIcgk2poWijYGitVOc84DLKT7G+PQ8sqLVLVM4DJHy0ZRpPg44omEZgJjSf0fc6FOLzzHa3tGgOj3uGgXhEVXNvJ1ez6LLrS78I28fWP3T+1IXTZgS160P5WvC7yJNJ8ZUJSF530hAq5K6DG2rp8/sshbAEFSCYI3Jo1CyQ12NAtPOh8fINkHwaqbwlPWeIBsXhbCm1dcblvGc5O3mABPOiuBYGQg+iz6+zbOOg8HSc54O6VapwAxPz4A9b+FHObcWc2b2UznugdDbo+77LmEWCnmgr9+jjL6Xiun51YhD7ME4viPS3ktUOqSSzJDhIj9p//RXm1ipx26JV3NrW5X+IQIfhQUjzheQ08nd2oqISDJtNP+SHToZ+CE2MMEB2HcY8pz9WvO2EHzbWPuZYXbegAlI9pfp/0xYsPu+tE9S0GDLoBvjW0hzDu3Q89gs6qs/ajosB5ZolPkY7r51Gk2gG6dpkS3S51Bfob4oNR5ujViW6wGtjTEOYBJJLtAvIZjO///jaDY/cw3yGuCH2rrgRHzP1oCNmvAgmyQi2Bpm92Bc6oRPWeJq/NnJMmrBf+0Fn0r14RhLkwYs2kGelVEpA/IXAjNrDqgWVJQGR44se8/snheqzXrn16h8qasXxYQ1V/B3n3o2ByQE/M+KkRwUQ4GVyLegcx5WNjE1yxv0oZXHFHvVd+7u1sc0PRDi51wGTzQsgfnpP7aHcezRxhvQH43XPG1JkHscxDla0DyMLanOHBLJsUphvZy8UgwhZ9OpaMpjZCfuyOuEw29LcpMBLgjKJeMONeMpl2id6m8VWcEoqPutnIrF2C3sCsyibsWEtXzNXf5ZCB4Jtno47yNXUjrdhBegJjWvEcM0OQJDUBPdIPOn1Ofm8LjfkCfBABRMuI3EWKgbGksI5/UmbPeVTYlih0zYSe43KjfQTNZkVQWkkEkXDgmjcMffpSOQ6H2oVgOC745G/KhbKHF/eiMZNbPr4DOy3RUVbzELosxY7N05ALc7aXawW5E2600pHjnMtZZd3Iwuld5NzvPcQVhaBIY7H/Dl6nFuPAUtd8rtbpVAHEFjCRvtqtcX6o35jAdlcjwvQU42Jzek0AadQ0RgjMNFJZdueOSm0xLLwlgvQwNY6Hh4mu3mnc25GE5MRAUYNBfAnsS5g8FcNCqzxFWiHTzk65PkykyD5hxv3C3+Q9IBx0PsnPUvg1mHY7jWttn4KdyucthiSMiYdBluFywR4wd4K2uf5BUkA9spcgZp/bxe31bnShAp5rYZUQVplBWHb/cfKs/h/MDhSVrhUUV9KQdSZ8MkwMBZC7KaxMqd+qF75iswA9xJYHmLsutezhUDIRyFCHuR3wocDaXS5ZJBoKh7yqQMfV4SONaBYnsamcgYGQdefxxtlHuhAfSjWi4A3Bk2pYXHI3i/MxDKia7rc4U2yGb8tUJA31faToK78HzUJ0vO4Ck9gkVTerO91asZD1sajE2vkpYmUfLgDjeDlDvAD3ARz+Z8Qo0AZMAe9o1s8ean2pt4aAoxSwursrnkQGmeMrhmoPVXsa5EpUynZR0XkSpZ5LpjUzj+9QyDpH1j6qqNkwdb4fCzxRiycOxiIHtuVgKcZrqjb9ujuCHso8WKXlDZArbbyMhSjRnb9PLZnIBlELLcJsLWjSZ5bntx3HyDEFgE+J2nPnDv9xp7EMIvlet1u8nvbmIBMtLAT9RaRFT2vcdFKW5tfLm1MvonTruyGftygpsiVgGQ16StOnAUW/CHLODYckiYbxZtmpotYU75IDgeXmvQsJNMskPggwJsJ8e4fC5yudzvPdfDnNaYOwSdazc6F/K03VK/JvZ5vNizmqni8+7JaZDnwyTv6eyZHcn8jgfyD4by7UZmvDN/0TKZ3jXzuiDeIHnEbRsT9a7Iz1BMQjxnLAVJMfh6O1Po/i2uB0u0pMPSi3y0an8LiGw8vjOLwaBkG7oz+qVmyKgaQTUCu3Iw5Ngmowxb2/Xc6NEyCjY5pIAt512iuX/2Ou6J/oTW6DntLqs6YlGJF+sKp81L8BsI4WE/VK4mIPYHdtYFnCrhBqiXubZ9gQ5N9MJ+OGW+U9HqsFlk+ppJKViSJxQyeYT4pFqZSb1MalohKu6pOAJ9t8wbv6nFpAwtk/A0wjj0MRI3lN6RKKcVJH05A6w7HSHV6evvRRmOERGjDZ05KpUIHGdfaCZ+2QbnF0zUVuFpHTvmSFK8bX3L9lPZtGcieZA88Pg5uQGkS4mnuOijXLyN2+T5kg7U0e6PFsI03p6vaYyN/UFErbZTkquXmA2a1DKnv5R3b0Q8CMJAK1foN/xWY+u9+ar7GLEtBRuwR+LOzk7roUKEvpfUOc/H8rDEiSG1UtbW469aT9pBVmhI3VLyZ+IbLRVd6rOudHOrY4IYelan8f8pSas/UkYA7QVDYQPSprOgRfQtqmFdz4Vd/oc06p668/w51QmPSiXXQ9HyzJ9L+oTBCSsnSPJt6j+336KKT9UBpkHbd6D8aXzE/wqe9/7w0/PMEZACy/zcYu+YJL9zFyXlLtYEdZBL9ohNgZznqBm6NnsXJvBmLg9Lz4oMsqhuGGLZmXylMniIeTFambtyEQYAkcb5e5v0oyd6ktdvL+msVVHaWtNDQYjebnWADhIB15vienn2wJvbF4YjqwL2WP0Uwbcw7ffAIiP5wl949myC//rkabORFhK/Lm+WTPV8vAI07amf6GiSLl8W5QuFtuSug3GA+Xsx5fNGziIufm7kTxTl8O+sSj8pcf2Lg6alzJpJOXc8+3K01O4mVFHxJDkuveYsRXtO7mci9VucCQLLTIVeDgQG/bfV7/jf7G+TT7NV94Ir6jxxIBl4dGXQlveNLv4Gr9z/bXU8eAg4ENZySNEHLrZzvDt9G3m5p50g3cnXJztOkpWD4DM134njzE2fFvbmwQD3ln/XxTl+fYcqJh9mL5ayMzGVxqDOTVT+9mZOtGcqk/AXyRmFDmq/wWbYYeZAFscO62dblOSyP85iAnSNaToy8XTZSOXu8y1M1V2SRFCooco0UcsoBG2pu4+sR8LICysG57YM4CIE2PwgAEy8osO+hFKv1FOEreSazaR/hJ1seVTcS7y7vuizauFh3j292Wab/01elpc4PdpP/dti4Hq+ydqMHtMpgsGh2vpxESsCfLle/zdjqGFc/a0YLH6gBzPhsA1l7OueW5WfAuvxV9SGwEM44xwrBADocVvFcmU13LfkDazHKQLh2A8eTdz68TUIvNLUrktbV+g+3/CNqIXdLtrYD7yx1dh6tnzyIEYqqZPRiuHYCDTHd3SC/Pl+QbWkU5ST1ZiVpLVFkmSYvJMkap8wpO6FLqoJZsv7lx3o3Pvnlp4drtdGTHxv/Th1TXw+TmkXIu+2+Zvq7hQ7ELdUVWjfXFbfsMAZnSCdXp4vcrGgjYPXkAb9RcnufL9ihtqjTmHRWsSGor0lTStFQDTUF6AUeHOagQkq6YYuYRiNeE1ZJrgSsrD8wR69GH7tAOyfDtmX8Uhf2A7uoFfO0m5sJzYG3tKOGZuNXQMPfs7e8U52NRGnfwljDmkfWdjELpYrW8gaZ/tfU15CL2Sy8z2XBVXoixwbbXONn07nNlUDgS1WTCL3Fqg40XRKh7rtRboWuyfV7+NF7BGMUZcIz5aGVC1k3fvf9uMAnQYJhhKCsfero0uw6fADHCAZHY5ozcaHRQQjUC9JU9lymUIqqN4L2KsLPs5uDfONQuSbouVJo5ftGaTo8v4+j06FVWYe11pVRkIDN/kEN49xjVxK0ZVNWIz1/UQ96oi7y0/jNKJv75QghGGwskP0B54I+KZS/L9HtY8mQ473uXFW0VulW4/JqAeLIbI1IN4TLzLFlrX7KHQNIgIdqcOz6P/vEev+I343a8bywj8RCzIg7T2jX8p4Jj2ljl7mtrLBihjDTWaMq3dzgiTAFHwqQKOvvAmf4+ekYLyFwtMDuHNsB3r6dJt8c3/xGBvYv73UajKMzoGPsaIaOwMjsq4pdCJFJFNN10IF+Gv3B5tGBlXwrN6powrB7N5IAEtebNz4USoeMCZiXx3VlGSWQXt4ypuS2tt2v/FQwmYXWSezflIMBpPJBnUHV6NMW10vke235cV6fO09hLhVKqkAsDKHeoAXIn0BZh9P1Dn1ExrCGZUGjaGO/HGPfnsVG8NFdS5uPR93pSZtPquL2E/RD6z1zxFAvD2s5CJMqA/lbSz8osCc0Peee4WrVapNYACdgz/Dwau5m8VeFr8ce4TuPJG6Q3F3WnTr9sL4xzVvhYeD6+MvV09ruVfavLDd3MTi3wHltp1QLUg5D3MLyBNnFhH34uVNmsTeM9iEL41KuXyhimmznyih7eezlF6Dj56soNKxuASYML9hy7VgZArPUxCGmgeFHbJM1//c0wX2qxqhU55OpOBwNcZwWag6DZhdD407ot4OD7WqyJdLIZrxkLcOeMa4H6kulGyYQzbaO4yMnscmmyYtrAdegzig28rtABZkjmKRw9oyX5Cqv7PC3TiQVh7eZU/N0yJFf7UeWVg61es/Ui8XUqloJ07OaQydBioAHO7tNBmAYXyhN18Gn/DOykzu6UXDUFZNHE5PKa2TCZ+e71Hr+Zu5Hw/EMv6lb9rYRBJc4VTfscQ0Cnyt4m9rAy5Ud6E8ENpA+5AkS/UTn6jAPe4roBAu5WMC4snMuhDcaSBy1K0wy6vZWfAWdVME9wXs6ASbLNNxetxXac+itIHBNqTUYlGVMW8PJO35NVgto0YQ7pKL97TI1tDRGr5eIp9sWktSY9ouWnlCzDVkvrH30TMc9oiuLat2K18hq422AoeLvJpxFILtUW41kOVrTbZvwaE1cpnJO+tK3cv8jc/1zdlrBWSQK7eZLlI/K1hIhRcaTA2G/3YIIQGEnELwS+PcEVdFYhqCKmtp6zM1p4e61ZsZns1i8yVVYXl8KGlOIhYP+BFbyzhZXh2Mx7h0GPewG8nisclezeVVeuLGNJurcOwAOApJuiYsqNaxCKpS4Kp0jaM16J21oy0j64l1Ptto8bOVOj/TXuDGngSkqlHOaLK5aUIoGaRvR2Qtcl5ly2dP9GAvyDiVFnsCncQWijC6hgU3+MsPpOWU0bkf/NDvz6mLW37YmBn0Gak1hu4s4zy4J0bLcfWtCcvdbwfpa7KD0ALUvEKWU5CAz9U6AfqrxWtyO3pboO2RVadlhO4qzVYblHL+9aJIs214NawkNUbirXgMgzf9hfFtYG1BzT6e5aRpXismcesOC+jWR9k/1cyQ1vemTWfZ+1YM5lxhQCqq6kPFniu34WxHsm6zeC2nN82aTaTLCjGuQSYJ1vc+GGqeh7ylECM9sWduQYsjwYFXZ2EKHdLLX06XS+g/AOrwZGfK2XcP90rsTmF63fJkflpnXGt4Auzrymi3ZIPhoh2b9XiekraveeWojlENYBOYko4Lr/Zyv9fKR3oCMw6mY50Olvw28RnG4iDEs8CRiJhg6JMuXu2IFdwQcp7ZA1yF5xU8HtXfzgHZZmJGND7lgRulIYB0pYaoQWFnfeUcdQvTAeq7/qchu07do7Ahon950NyD3PbqytWjvRBJ8ynrkten7tToAb7PC2SrJn+S1fnFWl3hUXFMNRIqIAsr55WsEdckUIlLD097B/j84hVKegsLDNIyZIa6gotEOQ1OQc3FEipbp/DdHqAYQfhxifdKvhNKI1zJfixVA0c6UK+t6Bh3Omd73MKtmPTwkvEM6FxEWwy35OmIf39Nlo1w6eb40oUuG2W7+iMKVVS3O6iSHHzZQrkFicsAIzCCFKmkCbeKuCH/hJAV5e6eUG9ZjI7wwFK2Y+iZsDOLxa4dyv+nYCh18Kj6hAj40b+HOWn3Pm206U455VK4vLUanM8TOfbsoT9gt4F6dDvezVpu1qO9Cmyk8aUQVLajs6U6KQumVx++hjDT+bRAYRMwotfKQvy5vJ0u5PizXEGVk6+mdu2L5m8g4SKAXyyoLIO1At255QV7X5Z8gLHQJMbmVqrttz1pmB2H1KENYqkDGZf19zSeWLH6+QnWLMwdMyhJdJ/DweQgGCxlZoaGJXoSW3oRtiLB4bakBuIBBnzN9V9bVdFZiqovEwH7/ohTmpLpTYJ1bO8QeNte4CsErFR9keLeAngDiGpppCDhei/f1trtON8LrOAhzMbCQvxiah7/u61ybyoQXfT9gviESwM3t3SSuxDLyeElrbrwlsGmwK8+IWKxuEx9htnnOKPCmVFm074EKsA7+xY0Vxounzm7R+hEtK9Nhb9mLFkSGsx7E55szAMkdr6oEcZfuCgP77QoLV7aJ1yMUQF2Q2/9SLwQbPl9u3vvcDKp5Gv4Ft6vW2KR6wPgnrB9ho/F3SlBJdkoo9ieEIHwBASGHOUvwowzls8nr4JkVmtBOrGdupmdIBqyLcL0yuVG7hzrZ0BE3+WlCOQWx0eYqslQRcAjqUbkgfY1kjJ6Qtes5G8AXcBALxxZQiWEijpZbzku2y+CKlNWSDAn51WvbHQjbJIU6IR8I8dS2UHOH7Di4u1SbN/JMm4gtbZgv/uCOGYL5oDss/beJgt5L3FhmVFDKKsWwVxAVyareCmWABdhrJYWfUN2npDpAn2t5bzrfby98bdZ3hVE7/6P9gPkM7bjR3XGtbnYUdIQUj3FNfdVJJH+/4y5WVQXO2yajW1q0WWeYnkdlRC/P4BoKNXVmREt3RpM7550UFMjQPKOuKwLoQ7OmCcxAKZ6+tK264n2y01iWxpOnP4olO8cirkcD1OS4815rqN6v8wclJd4qIa9IjXOLfc91XXqUxZQ12YdrKnxDgI6D4yxIEmbojtsXtrOKH5WQikgwqJNd/70VOWHENRbBuMM6Wy5o/rVaFivLzCUiGibUFqO7VcMB3TzWhm6/HCSAAqpQKIR1IFgsiIfxmqCwT5aepGCbQE20BK2wdUeAaE3D1oFFa1Mn+IE6dOrwIAYgSCxTNuM1OHyNB5I/g9u7jEc7SOJgSoN7RONCJUWFLiqPqbpwLZzb8jRnyGLjYbR5eNUFzBhXHttYVYgWFJggKIG3f/4u4iTywzPwW3s6D8amm68hghc/br7+/YQf71jRUnTQYLCfHVI8Y3P/22tc7lAqPilI9DZ38l08LN9TH/A6IOL38Ng2I0fSEr0ixZ5qnb13GUejw54Mk0aTZ6SJs7RMmfjpMeygCu1/DPDqfiTvdCjJLwSERw4ZOLlHa1KdOXV2UEvurwyy4p+5ipanBzXTgpBVt6eMImTVLLCfpfe4UX+dGOLoMDPKKqWIu0o+wLNYmwj/AiFf7kvtY2ZxgDv7XFpyBX0tDO46LfPQ2m41NXSsCwOjUoAODeV39Q8WhIQwdDYtDWOHVOUgzWdr4pY/Y2hqVe6QsDgU8hpL861IYVfInnq1O8mJrbBrL4wfyTZOzrse6g3ff7vHbA907aIJtsXmCBuPJsFy4JSGvo5q6Hz65/ARFv4GqRRRw+FzSNTmfTUlb2MO4cbSBSx/F6kc7L3/iIeBTfNVPyUv756vHqDnGyRNmwISIhX6VCYljD3ZYCjc2Lz9k30yhg6OkFCTu1qZGVTg2jorg0ucvKnIHwfHklGxAfBzKc9t7EpCl0oitsrR6KE29g1n23hviDWJ/Yt7h1PSgofdMZsSbYdsK+kDFzvkCoyPxOjtkKCBehG6sEsZNi1/tPKTvcaBgQfRhiiINLtj0uU+YOYLuiB5ftIh5vC14jBsQ/4NnZEIUpTCN3AYkX7KE+uDSx1wP3GToFV6MVV2oAS4th0mdfdDmZp7KBJUyrQXTtgE2a8wEEBGTvuRn1/0FVYfEEYlnAj42IWiGFhcoDIcahl40LamGHxukBZsrjGvbRiNAdJ6k1lUS0T8BBtJDHt7GvSTeUopeqF5mdOgJyqAEskU+m+CSQf3CwpqdU6vL7Qj10bats6NGb6R4mtQkjdrRmDbzok0HM3na23OYAfc5YGmlhxeEUs8Uot1b35ue6ukNT93f0ZJvc7DWUG23qi8hWd+c4XAbJQ2LN2sk8K6Tgerer9NZUh/7nQpcvMiIVMwkCRREjs3txumFuwuLofjXMA7zFETeRwNBccn8ubmrORe5ngH6V4iPT0y8U1ZkTlKb6EcqfxAHxAD3RsZ+ssH8xTgpJj/B1YKdkvKpqWM0DXZuff8YBcUqQi2M7VIQnAZ4leW95PU7mpb4wMxCy452GIVrcQUXlXJKcncvMb31aiBOYVWag+AR8kamOwXJwif9clnAT4elIrsqvoFGhrtHlxfwesH6mzbZ5fZI2jTj7mkbUM8eMCXwpQYBX3uXvjhlXdG30nWigFlhKGqzeQP3GmDwq86zni80anLlcN2PPqCozWJ+XwrwraBe2+6qTuA3gw2FqCHDS0MN31hDFG2wWOaqKM2jIuDXReSJnlsJbGIcCcoh9/jwqNtSkkTYmwlPtYIA1lf0RkxG+4bvEpJg2yvzhBVFOAjXc+xMDGlfkFnT7iTtCw+Al4b0QNpYGQjTDU2VnCxIbxv1yOQPksc/0B7gBuRPzCeuKKAnfM0N1rBFPy2OpzTOXVwJjQKcxHcM0RwD5YUT2V3LE48RCxqlwEIlIK8m3dqL45QddHEKcFjkMJLLo9O3OM8M/bPYVfDtIW05ckvp9JPiTlZ7EcfzYRkNq8kJa0Ficn5qhaJVpxh4MrwzDDF17aV12tvZEFEY5plxc7YEkRPIJMHR1W6Nl3U8QzjO7nbBWSNZ7nyKvDccfwG7kZtDbeXtnx45adAAhvyn0vy6BdXWEtOVCwRHcRRunwMvtoxxJxCKFmeQflK9HIbn62oNxEvz8LB5OahirPQXT2cDa/TpHRbKgPbFyxAxjUPYpylig3ZF6WxbBsuOEAMUOdGYtnwCVtpppTlMLchRaDoSvtZz+lC4hu8y6P+x6YktL8/r0DwvliLYkzaw1ng4qZISd8rgevv2iaqcL+1iuPC8av9+0VaaJ/9zcYA142GZib5LQ7ruCnjoJHQOvXq1ymUmUa2/1baQv8QYQtpcgOUjo0hELlrY9jQP1azdm/c+L34ifH495C1wQGvqHRMoOfeo8qj+GET+D1seB/IrVgjV47M5JXMSeQV2hIiHk8I0sC47QZzzvck2pP9l8li8lf+0rcTSipxltXk7Su/o513fxGlRuxr1HrHex0Nv2u4Q+XO5/ll9hQF1dep3N9w3iu21UpETFcc0QkROi9gmiucuYIwOQlA4zlcV+MWuNbLFqUytm5Kzf/GyPnt/lcRwq1Iz2RSlCZH4UgW9Nw5vCtS6pUZeTdgsKOEujlfXB1NILI8TLaJN80jlDF1isWLgEbEqoZoEjE/kNNyVbphf45tAEMz9GFlA3eqkW9an3jalssYQVqrC8X3CkKHEK5A88NLVR2MACiLqwEGf+fTI2mnU/3/Qz23vavSTBGnFj7cwMNPeYduopkNnSerjiTIVGYNVCZvsncZunsF05dXIJZKYNRfRd85Awdi0r/G6P1trvw3ZlWvRdSKaMsZrvDc95CvZijrghOjFFIQifPY1F7+Lb5fcOUqVMTvzALcsyp7pDQnTz//yN9O4+PlrZoXEdTe4ImLd04JAf8dAFAdjkbHqx4hp9/qDSRsr9EDWF3nZYk7h68kbE81tOLXBQmhQylsKxln4IFsxxJEyLPcDR11O9U+m3ZweQbz/SuBTpbL93LKjnfPzUmhqXI24HH1QQYL/s3xS2VU7luAc/KKFPfAMn2aLSg7dV50A5AJujcKNYHmeBcDFGKpvDClDKwycohNeNrOvLp11TVBQS2UL60GCKm9wwJDV/YXb/oc3iz0DcToac1Jvqu/Pc37MzvlEYBT03y5Yn6WO7XKdAs1n3BK+6YlxSBzkyiX6l1gM1gRNZ5bpxcCLMbOq2IKtxw6kn0fxq558R/mhHfrHJ+OY/CYx1RF7zzYI9VFIbjfdjG3g3VibntN7xyTWf9cBi7rIqnxiPvXkGEbyabAdyE94LWjGXI61LTK7Pbtk7jKpZoaKHhsaoMckDDO08gPQPahNEOWhjmAIi0GVmrmTLHJ6EH/Cuil68TAXnKcKdMp9ZzLj+T95xZ4hlAdyuzROFqM+/8axtkbirbhsM4RLkQpgxR8YuJGPoNdDappS+RiqhD7Pe6huMGP7Afaupzm1QkmJwQKkFCE/oquaq6p6YGAPsgGYCkJlTtZWsI2CEx6tWKcPr21TdTvMlQ9qJUtvV5a63pU5z+3GNZWqCR8H8iT7BYZpxIK6H1qv01yfnwYBvCZCnr8CASHeF9hqEyZZQr5gYNrg/h0jNFhXM1t/aj4Nl0y87qaDFrBwe5hl22WGSRRFuijlfP7DIMc5QXh5V+3ZWCXkRH3lFOl/3wCGNyZxeFxgxR9cgMpvK4YBV8DvHazvono1IxTZvQdP0cWPNxzVoyL6j/imiuwzYpPY5cv2tqYlfANmZ3aeTGVReaVNeuQcnnFDDDiGptNwdMtTzcBS6aP8K2jPb1B3tymLsgHk0dF5chIPWZHHbe4RhHFwx7GJa1QEM6A453MUdKmKAEkRMuCZIIMVU+GPl0eCVoEfXFY9aA08qRySb39O8+xxv7fPAoUGOsYTIIQXAybRnU7EY+65LX1qPCqGlRggtBfLHX7hG3LJmEBRgwypiCgIUOXUWdhVp7FDcxLmI/yWWdloZiqJche2yzM6r+MEx1Hm4XoKWGHvAcvU2xbjND4hf09YC48Vv4tps9vR64v/z9sJ+PAKWQCz5COeoq6uwxkn2s0lEiNWtI0hILf8zN22bYD4UGFXDitRr7WHTAIvoe8rX84Q3tsobzB8B9/PDgKnLu6NBPtvgMCwkBshVFFImLUgYAoRsbAvrBccDM5o7RMrayCYCSIkj04bejXylJFkX7ycobI2vwXYFxbrTu1RwhpQEKu9EbM3mZEFrjPrc+3ZqJOCs+DCkpFfMOAlve0zgZw+jtwR44O9U5BTs47S4V+bOYGSjuGeTJm7s1koB8R8ulgErV85ZQ7+vDfY6kf1uz+O6gY+KHPEfL/MrEPqpAIEfHPByS+db5rVxBD1qh3j8D5xAwnceikB4HzLc3DHxrpATFgQ6gzx9o7hFYC9KCzD+iLfy7KS8yuLf5S9W/T5YXH4B+fYBo3w4MiY/ofjOl02BLQ25gEUNm/a9pCKYJcmfM5mKi4ClCpwVEN58W+8Fkps2XjKQvih6M0BMDgVLS69isszo3oSw5b5QJcIiJDk0Kas7WGLJfhmCd3cmci1ad1oJdutZWpLeqnMyhGQSR8lQZQhoKbh9wUBEBpbRzinWNYV/7Y02GT3DOA8PfeoGGjaWo/+xoA7EG/7ssX8LO+Oj4IKvv+p+O1Hjx8vAoozgsNf7NSUXxwHQLPBNL9CWbDPNrzHfKe2V0aBjLsKCyfQKQJPfQC52JrgDR+fVoS3j+epvrUinh8MbJLPWr/PGOoKX5r2M9RevmXNlyiokcEmc8Ty4tx+T5tXNEToSbAnKjukq1xISrFUjcicx3q5Ik1SrlirnQ6DDOruhZNmZo+rAj3phagn+rM7nd6Xd25xFJLNF1+wKLFzQ95Si0ElOLhXlXk4Icy0iwmZbl2nZdOdrDeQ1BpZtdg6KY9u7lhzuvkZFw0HXcB+xIGag8pKV9rqkie1AKm1lfdfk+Pam+MHJINDq5I7YSqaxvrvYU0LaubcFemVfV/cIk4TF+Z9dWfUswWPSqvoz1ZmHvgph7tTxOyAjdhNMjjTD6W8SXQz6VyNtHX+swWznDa15IoJex9RU/+8evtAAGNdGpIZBX4qf2umC8cGA7L4H0vFXoEhEKufSQcMbvR337JXKY7qKK+RbuD/gdGEfDG3LityLFMDnwDn1uq+kHfwNH7ZLO0KYkLVrz2//x+NHYen+Xp+4kMYaGBHBvxFSHGqQB68j/Tysrc8MLLvJDIGo8h0uP5T370CltX6b723pbKAOKp7FWv75JzFhdnn8Uq0gG71q3Z+XvEjx+gb6uHimkwDJQ5Aa0dzsnm6b0HzagTGECMB7FE9rIrlPCbPhfS5ecllHncg2yZKIsS19v+GhrY61Vc96sW8yptuBKN/yv3oRTM1GpGFLxszTq/djWXV7uIHbfjfLdnPBj9veD0X+9PU1EodCgk6Ik67vmMUfs8GqP4jGkc6tWwHOJoxYaROEajmexoI0CXkP8SMno8Ie6/fRBOqvXSdAz+7UYkhtgcX9hcBJ1PqTXJk27bPQdIiNt6yKUBkn4fckJmilZHtlUV45XTuLQCyVEfBXmuzdcTRQ7tErt+Z25yO7VHJnN4ZOcsrrE6GhAZm/w7sTSJDzyufKjZsyy1NL2nyysGGIYN50cdopWL9xHWj+PWKa/l4ooJKjsS8zfyP8T7+oH4lzULI2iGq0nhmgsdp/D5WXlfeh/8S4yDEEK/gUKXuRvElGY9HqZ3JxNc1oGQCZLC3Fcevuc13g+/gKAACJwwa7HFMmgM0cnuwFWb1aEedI3Z4PXK41M+6gRA1KomdghIKSqpvi6lkFP/2uSy+YyAfnW9YEjFY0CVRJR/3HmawCftastVlWkxPZE6fTAOmkWSjuqgnM3mXt3FyCRznI7OjTOLYK8Qnn3RDBWoymw09GH9z+VOdp02auWpDBE6vT6IVZWsvRwEB+WPJym5eEdtQgUG7v+tKXBZnbnDEnTSOgbOBS/BwkxaQwI03ghTlGcDTiZOjlv1LQt10/ywoUhjTwY1iE65DRpjnqd0/pIIr9LOmnXYtP/e3ThbklNN1uUP4b3aXt31pCAXmtrO/V3SfJotpyns2OBFxdPInvSK4Tock3Ui0I/M911K4hU0Ruc5aNJMcSY/tpW3XUAgfu1WKdzxB00OZCaw+4X1Nz4JM18MEDgb1mrTotXwLGN5rx4Zsh+ZMgywVISyJi4TDsAyji/G/k/nP8ALa9YycBxGC7lLDnXy8CtJrCPlN7qoQRk3rySUWukt7DC8f6bKTx1wXjDLQHxGI2QvjgRjYQCvFiwezZtu5zRimrk/PZSk142mre7C70Ga5YF6SZwVVq5b7b6qtlkQuy43lg5U87TDWn+DB4qxEDyt9aZ8zmsBNuzkN/HikHBHKrI9YeSvk9Jnm812XKM1Z4C0jy6JtqOnMumlZl3gI6/IYVrTcTOQ03OoZZTt6weaA2MP7DCbi/7y2TTPmny0HDakSQYLzszJ8Plh6we2TB4zxPZlgamvwlpFuhR2hW59CiYBxMHscyTbNhaA51db0mfAywKmrcSZQos7+OYMTztUWZpL5p3r2vRQU6tpaB3Ke3dBqWCUu+MwePFFTOWCgVzIVV434aGJV4dvDK66bOaaPPnuG+XT9FU1ZQfdf+G9T8ygCkdc71uwhBvLjPxT/tUHVBwFTyy0PmtVphGZrXWvYNbKmD4WvN+N/yHjVnR34GCYJ1mX71FiLyfWF/c4+rMt8UG2l5Y7UXVo6ns11Wneb/gXqz+vS5CyyVzY9+8MLrQWsHVNi/jXcVWjpwaOmKT/r2afXfGU8V0hS4PRFwJb93MMpgpFUE8rFzR7wy3m4bLE6Wkkt7A5o+y42Tkgv3kuafvtjM18TQsegN6sMfKPtnz29vZPinbtOibAzt++1BG6H9+QCs9FtWorwOSR+FGI0/hbsZV698u4FWFekboO5eIJiZ1D3R5PYOEXMsjjOF2k2jlHrEOn6WjEzJqWqsbLeRv63pSZHGQg3lFOB+e1OI7evQx8fjPDnjjekGCfGmUGUIy2AjgsDff63AZxbuQRWY7RMI8LMO+ME0pUHHzweQLK60YeC4siCeazYC4Dfx0/YGDmKxc2QMxVwNjwpAQ8klN+WzsnYEXVwfVqoq1L8hmY9+mQ5eF62d0BhqEgNuwpiK3/9oM3h10+5YMe93BZ3U5+9Cm28lYeGKhweP+OmGPRi7jxK7IohqLl7FLVjN6hMi5iuom/K45bQWAgIJiyHFQUMF1Azbzq+AywszuYzx8N0/Q75BewGpbtu4sh+oygt3plYqtG0VLfAdFjQ7aWKTaE3JQCx9Ct7j0LudjgyQnkfxCOmHhnwzrWhDMc0g6FKyqdVGhEm8LTAd8BdN/5CAxFHe4s4M/Nl5r59m5RZATuyvwsI7GyJIyxfZhX3PMzfoWv4xRkZTES4I8KMwe27y6WdFHLyw7aBh2BgNN3E7EJI435b1OzAncaDyCcfPEhTGwzapKGQ1w5UUiLrJkTSsbojwUClhSfsiZQj/MA7IHBu+jX+MUjeaHDSHNR+gEIDTgXABFHMnuMOwAJUw827cQGYbtkSAsMFNijHvHNjNJV9mn9FXc49ZcfynhXZ+KsWUzXGp92/vt+Oul7B72ulUKxI/m0hgQBn5Q6tEX8BNsSNRrEawnFOdm4Q3U7IncM20c0wNKdQMSeTa77ASpsv2OYG1Xvsd+VmGFMAf5OM1Pnnj0+6ieViYDvWs2RJciSu1Ok2cXcSbikZsrx4mbgzptaThB+ghNnBQsrOb3xqNPecJfDk2k+U274bfGCQCiK8+RRI8dUOkCw8PmmSz8AEHVj+9bLYMTMCSw+whb9TVd4eF60h1qyzkQ1i0m6fVa0PF3TXeIqMCc+wv12RZ4Y7ED8oct6/Dun6DZmJtkf1O+1pVuQQsTdYahRgfHllH8IdZ2AvPkfu4DonrinANqdCOdmCgOznsndmcs9x4p/02nZ7u3pYoXcJFDSD/N6xCmR89/YmnR8Ps9Pli4ZkYZAmMt4Z3TWhK9baakMvv+kqygbVsAKzvOvTkMuMD/rqrJhUomFUr+AKmHk3MBsfo5h98kxDXS3dcfkeW8VfSbhafZsiPSSzfsLZq5dJsFmRLJl4BsR+k8Q8fByYZgddl9gNuC9XMdJYPVIOBjj0OIbA8DRqc7pEcU+hj6mc3q0qcxoMU/QxRnZVCaEf5xoa7XBGO+jp1WgMw8qIXNDK8Pe0Lalswt6fVZ9a9vMnI47+aVuMSg6/Hb+liiWr0TI/xR3THeVhEvUHwOqMsQOwfPs5gZxkoFKGl1/KSLgdODlx9rCNEUDeZMw+rnG0NlTQpfZGHxmeUVHBY6sCqDX9qucyEKyBRHrQnYOWOVPsSgw6YtAmncClaMebQXx4x4SuxwriDFOmH5fH7Z4e2tiDjiSWk7Ug3SbyXV9YpJp+CHzBRA6WMKw7UxDO2TOL1t3YV7bujrK4uNioNI4P5H5gqORLkrENK/PkcsWevQnol/OUHbMWKXw9QXcDpn8LmpgteAVadAFqbs0Hjvla7ujyCkxyyfeN+2EEc+bBl6YTdlGoR7F5AId22abQ/6G77X1ASigY7PlxHGTnM8ZjD7/yaxuryHuKYfqRBAfoXqhNr+EiNWq/qTkx++pcra1wC6AEeEKcYrxrparmXoRcW80uKZpkJPJpc9TdeJN73hjLwR1Q0Dxjl+1i+gFcvbIjv5oWCo6hou/2Tf932oyMUeEcIp8hi5V8wdSNFFeZsCVTgU9yb+STJCQ/ueqN3OtlrnWV3yhG2MRaWY4mfRYP5jRumgTmKYvnhuF/EHWg3BJ7IFgjkJAF2Tb9406wtf2rcYo274xKie9+wg9E29wevgzajpW5oO0ira7H79EyymlR9ReqVH70T/DglutoHDZoverTi/gKOadeZtjvXQ19ujMU1G2oIRghaFa96c8mdhGfMTZZrU1J5c1Jm24eJfp1E13yBhcMWgd1da2HcvTLe211sWFKc1qembeSfl3PU0TSQTMhtB/Sb0aISR33DaGQFZukS884KSlf5C5O9dl+MQBdzeyW/b++Shr1Crz7fKGT7aarW/OqX3qhbJRCuY1tWsiLqR8B9ElSJA5jLtFAyEtXkmBj04S+gO6cCkDdj5m+ENQIr+0AhV5WOxypQtVX2izfCjihtuPEys8jY8sSGPorwwoxTWrPu8UWDytEKzHvKBAI2Lull/uPdNciEisQYPNDP2DNFaLNnvHe6D+mUsiRElNA9tetP3enXxMIwl91LgIonRu3C59oWBZgcLAMgRv17vO/kkMdh4Q522h6Rw2Dn3jbytZCcGkZQPy+R8vhhaCSXPSXnLKNvLlors2+r2QVgfLcixli4wdIXyiXKgm93QOnZmJNxXtUJ4xQvyLXpiVhU8YFNhNX9ktgd2BEhfUSOIKSGcIjXmxz5lDppuLjEKbLxYkydBLuuX2imUFsWbB37oe607+qaP05PVCG026hg+16gwvaQcfwuAlUf3gPAt6l996MnYljyCeq6OkiExrErSBs0WwIZ+X760u05WxwRYx0sfjTJsShZsEtDP+QU/iLYQWW4+taJO7MuYsRlDATYte60OZPOaGGi38vgQf5+JGoE24dBcXMhyPwuPVFOXCmwnfe+UEh4MtlXEfn2RBZlC6AeF5Zc5dqQibdMROmstZJDyOFKJ7CyDyTDjMK5exI5Vq2y1CV3UiQlG7gjqrMC2h996daChoAXLrdspBrkuOh3LMqYcMo4gg7RwLpQsXvxhOUJZuqsYk7NcNMTrL2qX/qg+x8cw1RhhCTVNQKaLJUYnez9LpJyHvegFS8CAVphy57Bm06eob6VfaGfQR66DzYoFSeaoXo/gn95LAItTXJQz2KQjLfKGmyBbb5QkACNSeW3DQTwqRkbkyskSLExMUt0rDEq6Xcghn2ayHAk8BppRDTEFv5uX7n6Dm6UJJNloK8+THqMVvaJAtrzY675ONqUyNsUUPU2uStWlOzfA81jgbeNIG6guvfUVPUeeMtMF5XjnFkZknt8i7JiYRMuZ0B9OAkkNPSSc8DX9BZcB4D5WQ2VfcDl0byF2r+2VY3EHqhCf0ZEhQFnuamPFLI84AaCZouFzBWppNg81eV3DjYtr28O1kukldZNU5mzFhm2tqgQcrfYAMZdg2xfhCBS7NM2KiHTeDdr9OO9lROyj/Yf0YErIeuMJgMUJ+T6WkU9sr/2EODTpDfwaBcE5Fz0NoS/jg/QkcnN8QZAeR0XWXb+VdZpawl9lOw01SQt+HVKAEyP/NI9uZewbZthw7eRrz8SxGIwdOwytG1/kV0gevUUvsToyi/GoqkmhKg04n+SBalPGyzIPcQWBir+kzf17gXwUX3oZfTxydd4gMI/oVAko6qECGSTyQW/EaFoK1X9JSCtue0xRcGx8f+/8NggHt6o0Zqws2iQbMFJy0/tnp0KUSnzqWHNqbbx1YfcNpRldBrMVzATsz0vtxSBVqaQLlWSveRS1+jBhY3QQothuT1E73A0Zgz1Q7Nps9CbZDBikjYMRFCzRlzeGlaNtUNkz0Z/34mn5Nc0oRmDghrna6higcCM0Gj45nSFA42UaZ3Td16DM8XfzMaWTB7GPre0LLTZVJXemm8KFmVwIQHe80WKK5pHbzEkmI8aqM2bFkXAp5o9khdJ7ZFlV+Ziijq9jgFv4s3RmRTGFnXAKiyq5kjUCk05LgxPAc8fuT91kZ82kAxm7sXbzE35HjhoWy/JG98zViT7ongPXr0HBBhuNdN5oRMJFbRioEWCEm48J05pGCV2J4zApOj/oJc7VSUOzuVzXO8v3l/xeBbf9kqXtLpF0EbbdEz/g9BzKEcSYT42H4p4zeL/HxvkgE5k9AKaNV8se8KBHz1VI1htRu2gDHCBFhzh/CpwoL7kKTQKi1ffRd+zrxD1xtklJQcBd/KChc1O5vvTEo8TCOGcx4SAvxy87HQuqS7iHHcF1oxFTmi4YbhqX7RM0pSDT+ey8hHsWVHhyH/vEwOhH2qRCaUMyCHtDVdvaXRofCDNw1I7pm9y9nft2bdpUIgTvfCN9ucYVgSQvElVnkuAtnu4qge/8ozQBNkZkUzQTIHgQqXSlE4ZEVxlgz3Afa8qm2ZzdvTiOsrXJpt2FseBILKyHzyHgoHpjw8VaogcNoJyLvYI7Nk6QjOUha1Li2ZP0olHcxVnMf/lN08UTwb36AxB7BUhucEj1Lhwog92+/gV91DkN6ed+R9jK+25jMh3zEahsD9BPaSu4a5ImRR1Dkd9dEMCZV7vzSXscPuStoZ+uKgFFvLRBvzbhkLcjvgWnvT+Mldv4IERVsQCHLCwqObF9aNM0sLkO+KGKZcLp0GbMmm9s0S7M3uIxISiuM7cwOrS6cq7GY91MySanqHTDQ1MsMrdAAOAP8zp+OoJ0NfLdoVOpl4qoG9FOVigjvgwasUmbz9c80ilOqGHyK9RpUO8VXbqTg/fbIoUjzMTxYOsGC9XTzcqb5HJoxr+ioCxiAaUAMfBB1O9m5WatwBYVp4ZmnW7FXSme2Fyf5ehiA/wKGCrjKI8Q3Damj5c1nNQ2OcsUiv1S37jQWTLwE1FcjOs5uO/V7T/z6QsAIz5Y5xcUjLbmAFlZ1suEgtLrtbaDLd0z59/wX4uRm1UFOWqDLEQVao106R6gJmJGtnrtzWd7z77Vz0Dm+lt9udxU8/fJvZyyfbaQSLIVCFFvuYk4XMpw7O257CTKNHAGjxtXJkP1Kdjuav5i4E9cnXfbaDUcod+l2+xDgYgu2y66GAte/CIrZtKvlsnOwy8HY1PBuDunduyXUPCkTB/6wmMzU5hx20OJATF43NKA7adfLEomRQPFJ5Ms9XIG+oDKonr29Hbnx5eIPG8OuMciCo8PsZZKFyuAHS3RDmL8RPnT3lY6/S7664uBwMCgkb0LpX8D7dPKmwBar912OWJC45d1qzxZlGRAGa2KrTcubWeCFPVswX43qVWBGeXvpnEoVfbTjRSnx7GI3yTexiHiBsEp6SFZ/NFzbfD2VjCZhC3CQGsAeaGS7w5B+niL2dbOlJjilbPImCbYv01RALloyyuxGZhoj9b16eYDGQjawveRLggCkYD8pJPO/34b3CZmDkXcZ5+zth0ruZ2KzU2qxNC4MMXsVN17wTyFndm2qNde9weHpWNDyPHu9Baz5sMxiYklfei9SxRoroN9DLoBpGRG3h24/hhbzi4dU+rJiStppThwYLhubTWSJSZXck90ZdSF3qtlOfAzOhqh7zcMhbFZoXZxfUvBpN7KdaM2yKYFP/qxUYx6s0sEiLiH4Ini2DdV7wAVKASdKcBclaQFXHlAylRwG2MszqLSIKikljpWRsMndUtstEmAJQixeMvUHRlqa60Qa9Xa94h64OO7C07Y9LYYWBlRjL8VfPeI5opKJuJKkaSbtTvaVdzgAPCTa4MR/SEdRiG5yxDpWAlKbnF4oMCuKVyosOJMyd5dApWeK9LYtnVj0jdCw0CzzG5rpCmt6XtlzjpE52lAXLd0m8EHsJmjLNspBpQXAuVIxJej2xayyJFB4PBGTpqskQ+glAm0GjDcxIuayoq6Qs7AYKPqlRt5QGy6gvIwo5V0FM3ay1BTcKutx7FjRr4N8zTyHaXnhRaZ1Fs31AefDyEWMir4eJPcBG+hv5VkdSHrRIVxPj429s8k+PUUWwcKiCyF+PU/VdfEDnD5MeCrW4H82Pqw2z3PT4pgegfGTDEY2h21tulQ5BI8uKMZFFuLg/0kadc6I5K12aXAqp44ON06fJBKJxFDD1NtIgj44xjMnNjG3Po8f1ieyllJYJpbHvDK/WqyuLyr6T+wGsgoDivwjizy6EWqHTV2/vTHEZKUTAzC0UraFgF7MaS4w8+EMEU/feuPoOEYF/XW45tUA84juLhjQ/aPyK4IR1qpJfbPw6uWl84zNfe5CirhVAtC2lnk/X/15n1jqXevkqnO3+WNCYHaPiZKavfNCqO/PUbDUegjF20N+/vNn6BHt5LtHpCoPT0EFHjP2Ax1tz6Oix+ZTijZw4vbDl3lmLnwfm5h1m+GT8C5mxpct8zSpHEXpe4be2QModj+JR4AQ/e7ueJQj5zrTf1KI76cWyuWhVsgn27GMFWaqvJIoBYV/s2lS/PFeHOypLAglgJjJp4IWU8zQQeizENrOseKbD6Clv2HYXDRpPJLzjLYnC7jGfEYyS3YyjbvJfZeMeDgoIa5MFXEkrxcn42G2PGJSSjD175XjrxLY1l5O+DxqFisRle7Zf6xzUrWHfhRIq3gz4oeRGEYxyngyHzTK5S8g9AYeLErFqsK82TBUgmy3gY+mCzg4kCiatEtgEEBVNyS0fSdCgacI2iUumd2qehQqhiNd5PQdepiqx9P+moGc32e+BxaWLBRL+MlyagGePTzCqzJruGGtC5jXYj7SOC7yh/o4TzijI4WizZk4f72875voeLw92+B9ggPWZiu24Ays5Zy8kxrD9ORWRvqtQqcPUZHyTt65VbP7XpkLvujeiqZtCnf4BKJkyjX/VHhBDyNx2cfI5nonOrBul6wtC1pdEuYnssBWiHIPZkwDF6kkUlDmivy22FSGiw4g6iSkaiXQwqogPaFSQqS0zVamhaeRCovh8l608MBp7I/FNFPCa+AQah7M6HVg9lDPbfoKjGHpzNNaZPJKjayJj/pWQDkHUp9r8yZbEFQZBAG8LJ+QRMkejekG/AtIKBmvMH/wSS+X2hTGNwpixq1xC8QY7mm4g8jswJqb5NItGOZY1/m6qrdO13r5tv82kyPDrvaw7EaNOO7Q9rNCvflwQ+ZsORgzGfRwHv5/+4jA0VIWaug9mNqI5WN6sTnswASgaUyU+mCoZkHYLXavZ6Qwi57Dc3PX3TRz/eBiwtgXbci/PPvzCIQhQ7sPGHUqwSPjLTz1MK3WfEDBudH4/+oUzYeMXSqJ0w+lf7f+HVoG74LRpu2YKo5adfavnjzOkgmvamHpKT+SzU0lI72d+aDEv7XOsp59wAOJ0i49aH+7tr5olcV1uLBTB1GXtE31MCm/zzbWLTheaf4WCDvacxKI/852zsArvP2qe3BQL4ucSMTrcWZVNUrUMkzhbQ4O0HHiLkZ4ytfOZTF+t3/Kz7I7BkIvkkjfcYU1TncIZPCaTBMjAdYFZiKxXnx1k4BjRCtv8oOEMc/+m3ef3azyqaLlxDsnUzlfVPb48flcycUyitKr2g+8H/a7mtw4M3RPAFlZk7YBrABcEoiyCZyz9wpYf2ep2MynQWBlbTpyzFcNeVf5RbtURnThuJYa1FGQYyX8s/UmUytt6TkzaqSfDaVs6k5m4/NuB+Q9+wnH0M/OomYt8rP8qFRUWi/04odIAFHk/xFdtZqI/Y20LaFelHyXkvl/zzRWqt9gNhSwl526sp0dyAXpuM8AUpYb4EdK4W3PyaIzfs1UrWy/VUJ4eo5ElzsPpvzIWN6xn49rndiDKOeijqvEbSN7ROCtg7Zm2YFkJzBzP1xX1yQp3z4S+eZVQzV/jvEcj9DFxpK4BVRabO2CbXLgjjTWQUHKHYPlsNRQO6evu43dzs0WmumfrGXEamGfqCPzK/sf9kaefeX5E59IZNjGjKWJ43wnjXhyWVeWGNyrt7sD+hC156pCWLYgu4pGgtvFtjsnYpGMSTUI1P29UzWrBYxTmDZ4PKKyvLLCGbBYD2eJSX4L+7OylicEXjEGKhhWNX2WkCD+eG9fTyI2kov8uhPEToC3nlL+c0GxyF94VkTEI+j9p8bq/UbcBsA5Cbav0lahJX1gH46VaoL7xx5v5nAG7dGnLGQtipuyDNFsx5bVnVr+UonWzAPLWz2Z3ioGxgqQN0VwBV+r1hSwX1eDuf4or4oY4ExWTkfATqyQrRMraHrcYjrpcLQQo1x+sOh1Ciqs+oE81MDNTj5Mi1tfa1lzAsRdMjcHRq1Jeg0pKYMH8QLGrggQh8z6UwNlfkUSRHIWKx/M4UVM5QRfvANzTFLziQyjS5w/worFBZ4GYxtf0mrslcoTqTAOxBF1DYCcfwEJK+acIdlKI+sGjzRm+Bdf547QgRNtICSEhNefDHb8BlcVDeHeg/U9ISjAocuPIyDlPHxxucxoNxcGJq8uvPSt2oBg0eIqDW6tMiG04wAunFQtxT7Av7Hq+ugjveqcNKbaC5OVyDsR2qG6lolR/nMwJBji3VHOK1Sm9KWp9UfrzoxePWSMaPhJoA+7lyWfoBpqTQbM4oOH6dTcUEbuuczos2XlinazOuQet93IHnQ9gzL+Ab3jkIn10tDruKa7nl5YfM7CoC6yAmKV5rKJNrKrL5icKT/cU9xiPUmzm7xNg+YcEUhSGOhYXuogyjgyraAP57cdN4DkSVvnz/AGpVl80SnaVifj/Fw5q6Zz2RkQGDqJWoBajHCTu8JjZP7uHaPNVtF1Ow3y1iTu+fCr6IVe8SYpknvAX/k422/bKPpHZfKrGWW075OFpqxCr2byJccGU5dsHgp+iS7ryUa/iYJNo88Hn8t3+wi2LcZt9J8GQH+GQa3B0CcMG/rNnTYcDTUg8DU1xyBKndDQcN5HmDa+G34trE2hBUpjJ6WIQEvZa9qu0ZuhafegAXnY5Ym2yyLk5XvEx9KOTOj9iqihO+5+Bk2gDVU5srm7RZz1PsXdthtqd8Rp5Eb1f7eXU5OzLVxmomGhJ1DQvygudAR/rO6Ut4QVAbQuIPvP77HzpBAFLmHNtsAg3wLxoh60ugHXfXGyFEU+AT+7gx6xgUjxj5CRVFkjHjs1LBBxdqO1ES37Dug6/MgVWEMZkdpkNXidEsmH8jaJLZpwDakl9Ni27aymfCqNArJ6OaHl6PUQmBWDO+m4GVF1V/wR+VKN5M/M9Z7yR21C0zlzPjyxHkvG+la8D9+iE/PeSv5iP+s/IgwyUZgHHFUXmrGsnfY4qlOOs3bNKHabr4FIdnlD6iWR9yMsoD7Sn05lqq9cASxTJUWPkDRbNzE+mfB2/dlJGScQ95BhRq9LKz8BBwICyKGnNS/QA0C66mtB0FhT+PEFsrNMZINnS7Jw6nalBIC3H9DDB9Dh+E3lC81fcN/ZKQP+NVcgU5BeV52H5UYCnox6yzsvfdQDfzhjJhByh37g0adfZVmm8lGw7J63gX6pOKXEi3hDO6Lm9AtnhWE9kUNyxCi4fTt5lQn+YhUBBCFfnuRuPW3idIBQJ1Wl2yWVLW4cfptsyEZA+EBrWoSNlhFsamSGPtfA5rCyGmbPY09vbMkc8j0P+BfIthRKDoqnIDYgvRCVopGJ0LFqCFMP+sa7E/j4Ydy9IL4rOBN0HcJjQ+fH3Rr7JwH7lXi6y8hodlz7mmzhBuoVUGb30Tfk8eARpoFg+9uYVcOLNGXkJsuOOR0emYuezI+kI69CJ/PBamgVXhLnF3pLGv1vaAdLr1WVwh+4mWYVNBWynZxALCZ+HuoC/82JXjfyPaKryHZRoc/Y8nsg5OTcBAvGpr+8guegdma+l7WjvslxyeIYeDLupb2qCah3GE5gp0vqe82OlRyB6cwwv65ptH1qSsqt44UOuDvTTbW0cLs9mVY6aFuwxihC4Oj0zX4Eiw17yYq0hMWQ3+QgOoa8gH0iIg9X0WZxTHM+tUZnSgNa0rEBv9d33G6hW8kUBLKVY8LFho/I1f56UsNwY2rTiOLlW0pO3MSic9gnUOEvtwAJ0h/8bSf5ucZkrC4J9sIjRfXUWfivao1KOP4aocnlqQSeHwqy7bYU8NkMECxHKbcR2+AlkaFLNwLwgbOlXUGd2yY7izIYPNmcrb8kR4AVaGDBvw4nt3oX9mhFanlrj6aelEzJNMQaSCoXvg4GmcjsQ/s0lDdEtZwbxRe/lJ644jg9QV64sm94lSo0/drDUdbZDDL0+WbeFlulQXcMnOJ6PN3Pb8cKFMOvhgZAA44xOUGJTdBlq/imwccGhDBezn2TUqfAq/Q8UbvkxFxmXDJmHPYNp+Q7ftR3vpzPR5fjosZSs92bUWzBRzzwBafIeb6GvI6cdkdIYgBZCnLF0vIpwERoQlGU8vLkbu68Ekt2NsIdDAydyrxhIOmREfZpS3fn4H4Na6Wfh1AtpL6022TXUQqBFLZYWsHCLADvTYDCHNTYBRC40fvDwcoyscZM4YgAmaA/Szz/GJiDm1G+fsWrY9IoRMOtWQModbjcj2FoOFotas+F+QXz3EUKhxjMuBKvTPjoJH/u3mjrYSwxWrMT0l/WkwEkbn8Ywbw86bH+A9dR85GQNL7G9NF4z312dKYyN0v2DUaFyS0gHTDfX3YcPTA3XHTj3qLeOPHgWz/NElLi44hfwtWwTkgqYaJD+aVSGvThtKdZ4eAPUPI1RXeHDtaSDdvzrtSuJ1nNUN5/nnchtvDz6x0OW6u2jRzwLjXVlXbh2GLn5sMegUqrJLeu1rU5sX3lWmEM6K+FUvDQVSazQF/7KVb8PLd7XoJFJKOOyg1DYC6Nbj3+DhpjSuuiEnOaBhX2xoOScL6wKMCl/H3F6H2DSeXQgFoT4DDCMPGx3l4T2wxZomtHVtnhclYCvXNoSnqWEUC+id+WzuLZo2uPQEWCEOZfQzY1qLdQLQlZhCy3Hla4Gpa9BL6si6K3rAOQ7XERUopZHAO89fjLipNzVgbgItyGCzAjr3+WG7/DwrhkVhrcMcqsjyDgj6DbbwKE3JgOYmgJptT4PkxshhJFYLGeYo/BO1YNsNuzCtuyhLlvawFcAYB9pSFOdXwiDeQmz38iU+4qgkY2RClaSu5NNA4V43n8OgYqG/sUD9AkwuJaQZcRj3uurcGT+AWFiUrqkjwABonD/3sIE7cgksN2MZ6FZIbJkMCemCD6sWwDo6NQEYhAH591mACu4LS3tvCvbE9/J6oCXZBgJrZ+g3VupkV+KQox0XebBXb18Wz2iZ2lIzD7aAhGxIEvZiWCm8NCQIB/TDV4WwxbGD8NPudX+UumMSnFk1uBAPT4tJMWRtHCunylXIRA5nwJXe+Z959rbaXboMFvYmoajCvXOpHUquBSX12LZDja6gYWZjYF43EFwkAT4cw/qnY+gKlg69jkbqIwYpGcVQS9IdXST4f86W1kJjphqaXRxVD96VcBeaZSK+G/1iSgdrEFiH9OTXHuCKuo2ujz+iwysoTBSvgLmhC88x6WF1JMbk3lXHskR995dM9Rx7JsGOykZdijUY33v4TxQHYFYcFkLnWTDdeLl04FlgIDR1BHUnVzhuO4bq0bYOupFTRMBix2kZRQ3am2PjNQWpMxFPhcESBbXKLPOT2Y+wyNXiTEPTHW4pfWxKUtWmp4ICFgRuW7gx5pv7DDaD1kTqCUL2AqDs8rKOFlFP+HnSWBnGR/11dIGCzXxzdKhw+F0pq1/hoWi1pMrRZkxqak6abDJ/rO1L0s65C44F58PSviZdszEnVTaZ+LyMjLtYjIN9wtlCJuCA2I/lcaoYo/P83IRkFrkd7UekeC8buwjnxy9VCaObj9XneWb3AkkK0w4Rk110kubTSIFVqhnSmXroOb7gHfTHL9VEsZv0400+Rc8z0IbSDlyMnBIl65bLWe2K/yFUHV9GIJPf9ytokLm3GZUGeQRgmALyTZOM+EPzn9m2PaTmdA0skZzx/uW1KSHMK+M2oSUBud4RVeae1YPQQxLy9/UhkmP0ESvqE8+GnYql4oga8kbUfeLf4mYNLpRJM6mPGn2CVrQ/j5YU0nGJVc+kYUdw1P4wE9e/6KoiSumonAI9GKPjzuft3QNhH3b35ozaz9Dx0h4Dszn3n4jzsT+VBiQEklLj4m4pkJ0RA6+Lw+5eZWeOZcMBkukqayoKDOoOiMvGXembBzIFzeXaAhpHHKL3yTuRsHAlFd8/nEn594Dh4+kkv3No/GQ7w9r6ugxKYG0Vc9x/W5hTKAogluh6U6FwWZRvf4z9wjTPypXte0t3iQzW8vPxaWdfbBLFn+yvciIegMM/fIoSnwcx6n5mZTsBLS8mzRMD7Mxduo0QTPoFrcK4dIw5m2GsoMtRsjdUNePI2hrLmMT/Ih7IzbIRfd1ZAMB97u4n4ne23qHq3EeuqyiMCb7wnbR3Ci1AQTZiJd63H4Orn3jPBETGMZ/MfHssjbr4Ly2Y7iBTtdu6x8hvwwkMciv2ZuJ70YGKf9NwzrzW7oG0QvS9nbeXZyqVJt+xWaOjZyYrAGlTuAMai0jyBxqKK2Af0Wq2/eI7I+kEFV36HEUkAI5e32IVhZEROWCn0vU7174Uf/4xrAht8TXRzYBrzLTTCm22xVR913NlRMbdATmnmEQuvAka6b4PrW8T5ikuZ1cJeDAvrEZ3143MfBEyEyv0iB4I70kU6xIa8k5zwNR82pyQ4ZI9Sk2PyINX2IGFVWIVHLLUkPmSIoi8LEw2eFGkwgLo1j1nlXj/uUvtG8rNKaF5DnueXUhRfN2NGTDB2Ke5az27Y4w2AQSg6hAGW+J1jnDmIotCKaiI7xN6+BP2RUDO/3pg5CvskwJK1YjfT2gRV7KGtPt6NktXs172dYGRjb7lFD/lXAajOYj7/V+JY6BfDrXdFdZ00YLMnDTK4VWKVrauLeYy4z44fjhkBInC2NE47XYxNtA4For78oB7k3A8XMnXOHgHWI/Z02oQykLMbZQVbOVaWolHxZxtRRhap6FpAUOatI9Ngo3gs3oRJ9LaDHPbPv3CJylF5DZo6yyJUUC4RwLplD7gsyutSeI/XeS9Tf7aqljaaGJevo/wcWHdJ6R4e0eEovwLH2KAA7EDCIocxOsajIPnqekuHvRADZ7VV+5q1KHtznDQmg76lKnIK4HXifEQKIs+dLHwr87j3qTxwkoPKyTPDFW9i2MfI0ws1/1+dE4og+skeEw+MYev5A2bdKIhT7bQRzpBxIgRINsPFv98lvT0HcC/5TQTJWnRGy4VtZqJFz8XSqQQ1KYMVcggzU8tXcY7W6Hd4WgVcJKelBKM9LrMB1loswxR5eKBNnTuSTJf6l5UJ10Ws9LtnSJLx0695TSUTrcC7tiBkbLZRbSSHir16zjyJu2AEwTMomAd835xs8iNxEKJY7zNFueMDgCcmAgKpKsZZk4yxp0D0XqiX2TCiNMprZHg1jDFLTWPIkhC9E0DGKSHpnq3rl/yDsNVbY0H4elxuOEV6/R+GbvrZQEapsT3XRmUCXpauuvPllg3el02hXYN32w1Ipw7LAIhloPz8pPh7GEP+MQ3oDSkBOFhcc0s2fqLNhzXX9pGZ9kDG7lf1WOk9puf0okjudy3CARjVVY9YC5/jKacBd/IJMEY/HpZvx+pgBIoeGEsmVt5K/lYgij3t4ir+WJ2vgEIwIDP0fD32U6cWSvkxivJJ5i/YKj0AE+3KbnzGRv6i8YihBmtGkNl2hvHdBaihMLdhgSmQJCF7uArf5bqQVxQMGTJVtiEJe0Qsj2pMFXdrLitaRqTORK8IWxFI2hly3qXucLRzmcFNQwTOaHXwT5MJIahsOZZiRrXptWqWMDF/vyUS3fV4hqndU/4YQY2XCien23OiPA6ctROEm5sCWGRjCfCsH5FcPTksZGaGu1Qb6TRJw3rcJZcglGJ0VZJ0pyW9zUqPvKHt2SADfdK4z7buuVQHxAhDoB9DHrBMkmR9thO2kOLBuyMcWLRlJ28SII3q1ePxuJBFgRqgQjCgoRroTAvgh/zFEBC6JYlEVspmwggbT+ZmXyNoxmWWZUdlsHfpco++S4IO0Yf6qvAMSjDk77etSeEezY05rfzMQ6tAjJ0H0GOZZnARujM+JWUZMEFjX5pWJHNSpaW8qPDj/OsuxsYdXVqSIIyTgLFEa+RUgdH2BCQNdXEkznJv7zgRtYLRxc4qQm1tERTiz61CWLxEZjSNbKe5bYOSyyQLwFw6RWdupPaFQgt86Mm+fH4Fk8iQzKJ1tjJCwTSoQkXHEZMmyHVn6wdPA49qddjQnde2znvFTV5nsTq5fw/WfgjZcDcZKs3idtZEezgZImGT5LeCQVZ1Ueby13mZbqtt+kOxopNMyCAKJzdZkV9VmzpnzpcXCcbRWXA+JfDgXLUZN6YoWrqy8ugnk9Fus6DkOSoonLjAqspDwW3QjjiSfzYVvMyDyGsyaeC35H3kIPTJHEDhdTneF68saWZii/hVzufNlHPSyC2xiR5S626r7ybQQnngjE4jVv5qSu38E2nYwG4b9ucce+/o0uCytOdKTO/Ie+m8rwpp+9yAlBaw6WkqWh6cMu/7aJTi+RSxSIT3PAd/LltLRgmzmJ3yE710hoXXBKPvrbnWetfr4OBqtAQuqTbRf1wLrDKmwzxJvyfJBRn8QxpA8+5ubfY+yQJHjcqYMOeIAHmGK4z47sxErzBYQ4J9fHd5mk5LTfQ7ROfbkzpK62U3iNIUKBLrywGn5wZ5UoacUwex6uNLV90ABOgJ8a7iyMXPlN0PQm0JT4kHcCEJSgGpHu+UYJdMwjVJtJhD3xElRn+Qbv2QTwQm5n2ufsSHSh+m2vlUlZnfohtsollIfw1GDSDgNopgoTzVQt+SZVpIv4uI3JecAN8CneqXYLRXhXFxc3A5G9zo3fVPYhjs1SfmGIOc1kPcIj3nWyadRakOsvjmmx5zouwWEnDzmCTkD1TQkjHLpTfuSXwcaT4r+TMr+9l6bD9qykg8eIezfLmflkqADyFyr3lp7uSpRapInoP7wQ2SBxpm2w+XN2i/BleWSVL7nHvbe9V9QgzluD9M6UzQUiakavaAWWW32TW1T2TKiFGC5OewOAuUIZjJR+vIlC47wSint/5ZWL3mPfzONzhOxfx+Axs+TFxMAQaZqgFcC0phxsTmpBVMRs3EDqHrv5JjNvvXEhpHFo1RAn1VcEvYDcQxY0ZViA5iVGzdu+DQVg1qmG26T243PhWa1sgY6gBs80NYzUe9p5XeY2c7gjScFYgB7sxrpctOrWT1gm7cSgNlTfmtH5wvFkgwCr8XsBK8l1oDx6CIWHCUYrx/o6dHHzk5DNTQPHm/Jfq0NEq6tFUcJuK5w/a+W6sX4TU5al9CpKbH0bBFPRsoPq6lOR8vb9b+vFex+BdblVhQXTCJul40J98nj5LBOz+X1wt2Zk8HdYRKE+VYF2BzSBvC+wI6fHMWPdO9KzzkKepSS1LCEP2I18qaSS528TpJf6inE6cvCXX0MZMh6LAvO0kWDV36n5+GTIQriuQBt8fu93KdcV9uOw1mZ0kNKNFPxb8kzKTqGcbn0po440Ibp5q2SYy91lM/anJAv/noqXQSwFlgu+Py0FVqkfTodpmmj/tPKf1sYo8yisEKTkdbYQOoXHqJ7L7YKB1qTiw3f5hxZgRt7eTIksnQvOBXN7PyQFoRQmvm6HAOsZ1m4V0J6mgjvoGhEazPSDc0cRNaBzvpM5+fWDHpXOaSD59gLkcD6MFFFIKp1MLvGSlbEIHmWe28Ns3vKxoL+Jt7+xTNIJ92OBlsb8noKLKIghZO2z16a3ltU9bOiJjHGOl57LA71tinS7GfW71r6JOOHsjKme2nqnd6mYaKppAQgi489BBytm1UZuVKZJbK8OHWiuML8yd2ovL2/hSlm/Va/nxho3y0cEGb9lOLW3emXIFAr8Nr93GmMnAAyz/pD1Gl3nFNTEvoQlF7Y7HZ4RuADJbN2bThEmnsK6+XnLIrJyxSHkvJR2Ovq4u/VTj9uk+YMtXo50RUFjUjgSLO1+7NrIk0WR88FFCpkZ8rL3eC+Ly4TEyVLOC8mPS8V32kGKEeVkMrGtUI8iAMTYY+uZINrPL1fT5owAGcL8san4avMZ05jM8ORnTjCJrJLT35DQX0ChbHfnChlnzfjHuRLFjzDKbBPtVwQ/pvQP49nQGbhYnyV4DUiTYSFaCZOXmaaI2PRGGgfcjD0ojQAhYahXL58LZ//z+2cHsCJ0XMvmb7SaeZetr34WC/NnDjjUo4psexYm5TETDKW+l6J4ccrlJ+NFbhR1VYR2E09X+lHi+JjXBxsA+o2OGYSdQzv+98G+2iTU4xeu03nfEycmlxyTeIaESaFxxDO3cVAU0gISW4cCAjLDxebddQKyI3DowKy/P1bOoav/YtuI4IpJUsBF13FtX4tjKOzJloRXz/h6k3glB22UoAVK5BwG9rm/F32hsU/Z+eiiPtn/XSlbCITC4cd81UY1Z8FVrtBvZMDLTBb18iFtxhD0EHXbf8TAp9mqRFT6P/roTShX6jarJnQrIuhKwlNu9k2WIVAy1J4MH7Ji8/VWTWaL6iCHSRekiDiw5Xl2gUTftD9UsyScWT5CM2hsFNBSumLKc2uZU/bHavx9HV/QzUB7e8L+rDac+7yMzj+1opF8gN7fydmG4j3HDWatXcrFRKW6Wo2nRLMSfOU0UxDTSvj97kGp5uIg4JKiKW9wUw02H9QWCHzh7HeJpvcFHmQRP3o10Jz0cJWmdPvsdBnj4NZqpRd9BsDxgUYrPuvC4j/0lpJzdTtj+zMjmPB6r4nVEOJ6O0vzYMPzxoRr2wsDkBTb/lWYsSpAi4KATI8Lt6QmNsRP8pGhb5SH0+DGbvM8R/+OmhHFwe9YXBqCC5QZlP4yLHAF9eQlHx1KBjLXPimtlJPRiyVixEmQk3SF0Epofo0hlFHDv/0UoeyKacDyL/MREJo1889mjdB5YbwsP+EMLBX2Qb20AI0hovi46jEpH2Nn4X9m6+V7IKrqGOKMlGl+/aghkHuQTrsA0+iIS7gTUp04YBLO6ziftB8nlbu9RUuBiZwWzFuwz/ZRTFqhtFwGgQjxPyTuUsvnkSR8zjiU4vBNyYSiZLbmle3PfS8VfNH793FgQu9z8NlukIOxMawcjIvwCwuY/p6SGwoa4hi+DdSVAgcRR28bg5cRPs0uOEgjnQbpZnIdoGMVBVkbKiX5DcMYhpF0msNNSo9ub7GoaV2I3uuq3fNyHIkYWRiOWYl9D+SPL6KoQw789rb1F4jskIeogRcZ3/60Nx0Pw26f6oOmSYk3tsZjwBTbPtSexcwjbcc10K8A511JwKVOmW9EwDMhcXF5JH77Wskb44H7ipGnGasSwemeOA/Xy/rYp79dojuvRC7tfORqRJtLPSsWJ5OX8FWx63BEI3U9eL85eSS82zppFBayFkzxCdSZj5ZKJiHG+fo0RrnWT+euEqSbM5QCCHhfvCJ7ISwWFJIsP9kss1ov5PWCgMS1RYuqFRnUN0cC3xM3MPZZsfGu2T74hm9RKaUhfQdU4qOpUyLHGKe/Ig/PIldX4Fvr1u8zkaU828QNl4YfpJRk/OwjE1gbfr35Fz+w4cAInPUbUyVnofjdWDTKzMhVAe7/IjwncH+YrOuvRV+AGx5ap3wJaQKn0lusT3WeZDVDTbglORzcppqY2/vNOM2K8je+fF/k4dFke0HEsp+i4sJD3WFvoE5kXHVXLAi3rQn90K/YbDnFylMzhfvzATG6kcT9PdgLLFoF+olbBk1805LQ257QJZXa6uFcTOET9nGWcVL2FQK7W89HzT8ujgsGT165gFrpn0W3XGEfU1+8iNIa2+fr5dMdxQlsJlZNkxwRiRZati7k0Yac1MVBJ/DV3YvKXk0BPfvUtTKviiCsFlXCllEUhS7KtJdVxGw1jG2z6YrXS5FGGmB6KzitpmPdhO68YRGB9hP5UhnM3X8jEfgiZE7z/k3z28SIl4T3apIsx4mO7A6U+wQJGe9+O4FSjyLDhFDJ+1zLgLDukkt8SIQFyG/wepMWcxEFIh8/FV2tk5D/ySoh/n5MevKG8r08sqVOSghihqNCshqrxQZgSDuNdPcAwuGFnVXgmGYNm8BSI+p1B6H0IoOpf7Kw3MC9SMOFPoHWe/7aJRt12M6pkLUBhtAEUFOLr0HQCSltBn4Ld+A8MrbUZ6Nq9Fa+PRT/3pqAVoY60IDsa342S0UhCzUFMjp6u3E7hVfDEkv6cawGV8W0TODvVrbaP1aWyWmvROGBKWrwXW94CqGnbXjE9WiAKX8ZcaK0H8m1tUJ8iTvlT9OWLCqv6BhIvRXquY1KtM1CK/18kN//Vo4aKnM+WLtfNGXApk7gjywnT2AVr03y8vMiA73UinP9OXHicnoQuLXoRCUQhNQkdLmvTg0Jws9Us83kRPVSnui2y12dF1Vf8Lad9P+bMavlhQG+vkCLFQLB1l5DYqbrVb+rRLM6Sqwv29LJGPYKCDvyylOIROt+Sl1ZGz+plGXzvbNe3urs7LrEDrHgA6kv5gYXlCP2cVq6t3WLa3k8ignZtS0dfY0BVaqDoJOclkZPRw00qDxkNQwxBSywuCvJ11ZW0VtZD19+RMP9TQIaZ7B5L7SRBVmyd2hR041wq4rql7PfGkiSWEwO2X+Qa3zlUr77H9xjmQJVg4x94H73jFvCPr7V6/7QdhOT41AJL2v8A30I5ZMIIgCRqJTU2eO4sJq4qk3t3FSGUTR2oIK5WNdSYj1AUKBDFyKdQuO1c9gwDiaSJhNYOFua/t9WWUGFOL1Y/Y+Q7MWiyHFPkMKbH+t2zYfYRXC0p7+9SO+8H8drs1jhuGC3I3D2VJASDUXS4Nx9NpU5YOehQ5Mod1DCF54EBmpLszZr/IssDOQ3Q7+zLmKsng7bpfazvDDlYKNSOy4wqNzHSy42Lo+mCNYSTyxLsQdBEGRzoNZJYAaevjaAPTCG3BJTSBZmpbWkxpZz5n8IPl6fHHacqmoYQd+0O2aUC1jDn0t7ThljXJYkRks/clGzqZyNiC+f+ePDnn0Zkj4Ps1AnQGPjm0W6H0x0PYwBijDLBLYyKI1PH7833g1teDcI01ppJDrjaDfg7aqsnt8yIjvDFD6wAKt1mR2KiaMV8O93pyX+0N7qJBDpYyHVya1JbUUoOnF6ysuAGObW32toKxmeWn/drDfH85LdBrFOTf2ieiC80O7ZRtYDhrGh7m3aBRhtcvLlt480cH4CxDJw/nWnGgE8+UP3KLRCPnhsibPt0PUtGPBGVU0BPW5VB+b7NVpjswGTSAJ6D5Nq/h38Cn8+W3c3c6RuL9rQi14Sg9aat3V+9AhjFpqdZnTO+0AHWcXdM3NBQKt3Tq6tYsahyy/oa2bBqTul2Dar/W9A9ALhM4Wsuh7dZy3q2FZs9IQ8foXg1ZIySiEidBcnTF9V2bOPsaYPA61x7dneJwMrN+Gc1E8/J13BTWN+IkwWWFgm0ZO5A6djdU7mBbEaJB6Wc7y93103jVWcSH8Zvxl5x0b0GLqNxI9Cw2lx86IuKAgChRnVYoZP71j+zxyrtNtrxTKDglTVdbTMLHElqvXom8TKMJq8tbxl//rIlhQe1upKPJJ7/pyXUyCamt+jmvF4qYM1gKToGkK2dDrIz6zmtPZ0iEV2S+UheYEITU+Q17IbMcGhk+Z308GupymwXHIR1k2LuO9FD1X5/eOhZoQu9xfYoB1gviSg5Cw7Ep1wXpQdhc2po5ZqQ+PUSfdrW1VWcx6yJoR2BNIeX+BVH+Oza03xKnd/PAjOf/uLDyloQV1/m2wR1ka/MQHF68dXnO5+zUUcdhwbQGRimsQ2j12VYnEfnBSrs+Wb8rKeXIFDc32zXGxHPSPBDa7aiXaBtzKeFayK4F1pnB3kooiNP3Bg10eWQ3QS11/IjyI1rKCuIUsHTUjw6Ag0x6UrGigRNRum1Z4eY18h3CbgThwcRE9yYaqs+Y4uCAPbXKmbjHKUSAQ3WvJAXwXbp4JslrP5MNBWP8Ej75PFV2NXLaxFru6m1gaM11+Qp1rycZ1hl587fGmTLS2lmpVLN+3g0JbET4swyqhZC9aJ0TI55AHn8ZHy61yXwxcj+fVoNrRbYhB0jbksbfuk1n5sRKv5+45uzk01oYMZqTxwfr2WVA59QRSs6qOR8TW69DpPj/TAatROLhR1TdBaJIXJBwyA7zGkl6qJ2U25n6fBDr57MlC+BNVoTGh0mYeFMl2J4FLJpScmxS7hMd5+9XauV4dw9ew/669VylN+RmIEqR5RsIzRmyCWeGbRYEG+yEe7/6BScSrj6/anSdvlj3zlv/jqShotYJXVqdtVsYnDXBddqHKh0yNEaypF5rAp8PB8ylSKB7wPQVlNqhKVHSoW6eLvKcWgiyYrNflo85KVqETa+p6XyhU6BUKfK6lmwZeFllV0Cejg7zBTEYcg+G5iI5je/oJBy++xrTMaTIUP4xaSNgU4I6LYpdGF20i2WXbNYT4hWGpUWfEku7eG36JTr3FxLoZES7dUrTIc6818QFKm0qYn2HmTmO347gm4kmOok6MOMO/ced3PSyFeCAxCSqM4V/f2sUbHc7tLudB6X7QjAXE7ynSBuVBTsF82E1qd6RgfdAU/iHaU/jIwLs3H9zKKk71OY/a2VymqzEnoVQ+xMsAv1goOSpzdDbe+EbeO52v50aHahTO9+S/0c6HJkrCAQua82aUbD/GiqNTEDVxLUQvwcNRezrxDgyC2olYZTftfdKn7OJenkA3xkRwigIEicHWxCPvXKXXjzi9ulysdtFMfrwnAENR8m8UD7+pLWz5ykw76ZpsbjURju02YHjEYrzhxhk4b1IhLt1YyEIBqBt+CbWFnkQ8mQs0Lx0ubnuAFgr0YWYggJ2xaX7UhM3fBQEoFhFQq3pM/rIWtjekljsQViu67Kdeb/v4kpCcwu/QM+wM0/vx8cay+7P0WhR7jFPVARChH33IkVPAzLIcGNBw8zV2Hk+inkyzMiXQWV43XT5qckfq2q+TJduRLHBQLDL7Q4EHtH7CNAwnww2F4DPm9RzsF73CBkh4RpeVPrCm6+ifqG1EfD1AP9/p/O66PRfz8h/rZjBfNthI2X+sWmD2wkqllWCRgYb5MdIbt0UuG3YCMy3dFFPUrsW8H3GMlqj5ejgoB/6Cwn0RyfaNIfdq7yhiCQS8fTkwnXcim/U9bnp7vQv4wcBQRs1lpjxiK4lDjbIe/zQaNi/tz6mBcTLnXdYABI+o2kLwscdFSKsF0AM7YPvf7NjfICupa32OLnyqql+Pzc1WX4/znE2gs3eFP5tSq4uuUDEaX241gh0A8p/0m3ASSWetfJMtrYsg1iWcbBdVK+rCvE1dgsOYM0tzl1f6xICpZxdGGKo0UVfIScZTWobucp1Zzz8ae5BLTgrz8BvEq4y4+TY3sy2k90wz+sNc4yMlw7247lUSQ72aNI4HSx06amfFiFeSwl0DRSLYy4aJyGlNYnkOEClkxtrDeS9WAN+3CemrSD8ZkTfRH56uYPPkmkdib7s6BmMbbd+9z+/pAb28pdhofAojauBV4TMej5uQWbNBKjc4uUO4EB+GabYVGiCVTewR8YwzIr00HWjY7Ln0drVq//LOk4NELebP9Az1siQ5OuS+gkNRfNObeegOBj/YQS8Yn3tAJtSuETkzHvboHQ63W+bCUG+NoznhB5wlSVOzSNWKf3siw3TXBphQdeNhIUU5nVSqPfXTxfTvM6twvxPIKZLM2XugZdRxKz0CfmSCcPoRBfqWjiFq0aVh9vH2EY8K41cKWZnj4YeA500SRt9GgVEOwxvz2vuiyxCiobdKCrirH/zxg0JscZtZ4ro/gaRn+kkwU3dRvXfbTjO5tXdSg3Our6vIBgDPh7NIIQo+PGedLcUWuAhelLIz7w/exfX5tDYlumnoK4mALBOyyuaZZNWVb4AS4oulc30YyX/m5690n35YDxASTfGFeFzhKJCc2FM/zXVPtUEVEXK2Q5Cnbkm97AASd+7rorN1I9Oc+5DskYbhcTM1+EXinahVUD83zBmf4GVBaYUni/dkPnn7qR+EnEA34d6wjcXlumftaAyPxdCqOx1dsvp4g5SnSIH95VC4LvJeqWIrIDHQaSdcVynYBaZ8r3VcaFwu5FTq0hyiXHTuiISjLmbyrZVxy736JPJ204iiIFuZUEmVcxnRkywzyY+4PZ+dgSjISvFPP6/5cy9O/juVwzRrmujI1ATgtaMfWpknAO+N9Zh0KkrXwMw9MMUaWr+o0aX6B75D/i+CZ6jjsrPa+Smiv2BTPEethQD01ap/ejHxNTc7L2kVfGbeWEA6YMzd6FnwgTNUMKVFS8eI08V65mha1HQH147WaJc50Xx1m3YvFNIpTvjifCoa25jlBZz0Cm4MU48s1h+EYlyI8TXfk+0dleh6zZlBpRGkzgt6sA0KJJf29KQTV4jSsEQRFWZWZXB48l4VeSWWg2FAJfSuAtZ+EkK/s6CpKBKrebHgatqTU+nYicZZ/wxWvzBoIdJRrULLrHjK6D5ig5akKmbgdMg6kXwR+0DnC4ACXp7eU5Uhxew/Y7Ts+AgSRF+ZxXeQRwJ0xbfAwW+RW9tLKlPvFUxCJTzCTbyOFkYCEd3M8GT0I2udK2Uw9NVK7IQKSAzqW1W9X4YoD0A3GAyRExPXdynwevXqjK7eJsIJBCQnmqKPseiobRZU9BdTCnwLYYiAyrZIJi8aVb7W/V5R0ImsYT4TZB1MtjyfvcppQ7n3wFq2gjGgXA2Nq5w69CAWEQ9ofQ4yg6PbStSdZM1BU8tWWvHNdA+WvmlT5lEhm/HX5S61PK5X+ZexUs9rDSs6BoEU842r9ZiUp5isMsoUK/iW7SKisKzlOw4p2JYFnIRNY6880oRRbwcoRp6QG8Di+TyYDMIBF9WTmQP3hxWfPzE6H/sdiq574BIlOq+Ra3HzE3qJOV4+Ps/SctglzF0ASN9yAWSeSciu29DGBY0l1RLVakNyjGOtgHk1SQ6jRqr1cnUZPe0KQX3sjBuNVlVN1dvQb5ScYOS2/sq1XR6urx1y263XXsf+HlXqrcuBGqNkaIXuzsnvHnYNAdZoyLsfmXuMatb1Mwq8oHUCfFK8/CCL4iBYuYiSurDTzywSbZyEmyuXdfFa54wrK39Kv+KaCafAbYT6ZVVpdOpoVnGjUJRn9oes2IIaGR6KG6oUeL3sjLAlivH9EWhbkVembodf8B/+to6Vem41Ia9am+Paq9KAWuT5yYKMqOuB/kvTQSQamzlKTxoOO7YoTI1Ulx/iXK2tfK8GmJ2WdvhJMm03sRebvNrzDfevIcBzvomPkJxgDhmPh/S6F7N6nwrpogPtkEKZMP0a/knjLpcDkymhTJ6ZKOVifZ8ONwWCwTB7j04eAkDY8zYfmV/8m+Xs2Rvvi2URI9ZXORz/a7spRl2MPxu5U4krdSohHfyf1sXig9KYNGH7hfhR7qQqta02zVCC49BprnwTjz9yvDeptGVDBAJ1axaiUPONkq35MOlljAt3YHRlwmXTsq9LG0FjDJagfKXe8Nb9LvpEB8HK4Cc+IUWUdd/jHPPoyLhz/6ISGSHTGItTNqhblIFfpY6pDdloWWP/sclCEBDaEAT1aDcpokEj445khn1rG5zKf9v4BBOJaPMcf6LsGzJLN6ojbqF2b4klnIbJ9vgI6x4aLinwSYYGHesCXozoM3Q0RimLcG8kpr89ZJJ6LtgpFVkX7nnPc/+bo8qpckGcIdLPryQJcW4mnWx8agSzk4OXdspBYj14HlpHTuSYNsydHYPDPnLmyY1/PjXqYt4yWuBm2eLeIKlLZFwD/SvtJdsXYSqMo/c+p+xhUEVBfmyFQm2OcybPJfIeJcPdsPmXDFJTFcvSd0I++DalCYAx14tE8Kz3a8PHP7TXqk31wFLoRqjv6TS88/W+GMmtl5U+9HbAz6l2oVgiXbXk+W2KRgFhjguN0MnFcZdJgLBCf/0jJPfHg/wXNtk3ml9JwcUf2gVfSC6t2lvNQbwAwNDEOCA7lQ9RUUxA5VYHfdg8WMbRTKG5voLVbCSgGHU7AjCrQ61s6HOA3YkoVESkuThl88ZLDkx36eNZzZnIev2SbNJJfde5f0dPts4fiWY8xUhSEOTtPs3Q1zkcZC6a9LaBQ05mRQmXKMni1cBG5aWMSstjB2PjUv5HYMcOgZ3X7kS3VmuIcuwA1x+a565V2pRRcnNo1Elsy4cc7hcbQ+ARF/mmv/jmaf0e7nt2K12yTdaE48hivSQ/iTumwgt6UZuFEPG5dbRa2aVx89UADLDn74mr18rdNSitKBoddJUPYH4XYP9IwP07kMVuaLscRTz4xN0PA/yvJV1PInyCD4Il3tQ635prnUGrMI6NhoEirGjndFsOI0bwxljl2wkVgtbWbCSUfVCCqrCFqKazhuikzmtASKIeLqX8sZRPPFUtRzrLC4g2IenjQFwP72XGsuZbZzB0/T2jUN7U3yBinovHbQpJNEakGRHNhv7+uQf+APFjcffGHDugEI1pytZxy6viXLQoX4+5pSl5Cu8g2z+hA8OabgC/mxdjYQXvIGl3u/GclVUP3aLlCKehlEgxAUKM7WGtDhVuf1EErKSKoz7a0aIwgqrM7gSfVp+q48mf4ECdVagRanWZKx3U4GR7vNlZdAgOWo96idpsEwrzLeBK1vaPIeLWfLi2qBaqsfDGYMGmW2JySWXTFy5yGn3wDoSnieZBxxUrlXrEHYqJWj4JzZFZIE4onYiN+KsPw8DU+mW6P9D9ikNCC4SaYkFAD3yqdS1vsAxKLAvbU5RsddeQ9rxy65hB9xwSvXmLxy2326Bx+GHrFQBdhmbpzWVRixtBfipu9PsmjatIPVUVcawH6gY1/GAoyRat9nu0z6qKm58iH0/aqfXMbAhESJI6bccb0MNKAmwh78O7256EUy7ReO7Y1djrji30dkbwlHbhc57ffIpPxOsx27oOb3NftGggoOrbq2GgCdnd9eR2lfGgOSe2BoYqLVRaYaeaIdiS0pNbZPvcmhF+Qx5fZPi1bUuPUk32Cu00HwvnIBBV6ET9P1QR1ia96zY9Jir+PlBO+7S6aTUM2eBPBO47zoO+ZiEuyM4OH1zzDbShHPwypgCsCHYunuKRvAxEPyJCxFa4akS+Cgq/Gv5EdBzeryRL0VQQpjy0jM3sUWk+Twhxudz7RhzeCoYLC/YDFZKclfyH1VBKXrj14U3/Sah4OyKD9GOX47vfDKaLMVXtKkU7R7/oaaubQAz9iMlDA2hEXYn5eJ5lLCljoQDeXIij1XpEKn2flfw4soRp4WVQfmqH0SqcXlWA85YCnCiqVLj0vNe5uqk7VOOHiNYUzDFuQiTUx84wqBt1WQ3J1aqs+kFEcNxq/eHRRqx0VwkO8m+UrBqLE+54rXpX+NSGHQRod9iwbCQRgRxxktAKpg+7TYk8PVa4AOpYbnBu7KRNNCiLLoHI+vlQ5foA99miA4slcjVAhdk8wLoEDdkpMZ7M3TC8P55ssPfTf/yMcEnx0iG77x54fzMFJBfxtfUQ+68tybe2QKfU6WIurRPop2VFGt9Ss74iOMNf8WGqWOQzTZIrDcRF7BwFkaYrBshYaZLKy89blVYKnv3YOkOArzfRAOsDjCUg19oR9qCtOstb8mt5qI76XmYDKL8t22m7d+VPvhsTcNacXm53/6+eefZAPWa/GpLMQesDAvVl1wLPwSCMsyu8XB/aI24PUZ8Yj1AAn/DMc03sSmr1bmVweaApKVhhr3H2pYXpTM4rk22xDnt7L8M1fxzWTpLrIedZxvnAklbKVsxItQ1QkjDBglR2EjUnZw0MVtXy8s8hSQUiIWL5EmcefPFFkVHERZe7TBpSbdNJIYC+mOp74DpO30hxnJhDEpncop5d+i2ADOx1WqO5DF1NjmaOJNeQalYUFWRh0s19vKDB+K3FM2P6+XU702XeoU72ygKiRBUouoHC/7Ijk2TcWnSwapFQwabK+HgGjfqVjFnGa3ofrjYT836YkVU1AklFiKcnDWvQqExKadjKXbkvhT6Skb1imaDTK+xyegtgi7MWZwi4QC5t3M9ppX4clvbMuA4VeNZdc57LRs48C28VWi/X7mrTv1ffto2u52XZNlO5ZacQ67O4YQZPwdjMMCkcPxbAVUTrq7cw4BwLnRhQ83e6+ooQgupUk79EEEYvM7yOWCDfBaCmumLRIJ9g5tEFgyPTbupcZWPx5TjFgxTnLe7m5mpvMyXbrvgY3oUidskgC8cIr2vob5r+T/Ml1XayS9SuUGE1ahspI6mSOruwMzwe01lyVU81FUh2qgIA/cuNseD3HoYoeCo+HdvL/Dri+xJvCx6vcZdkGAmBEBZUTXewMIzOzZqs6wB1UyBgNi3U1Jp3md73Kqld7iaB3tW8GXyRGiCInso8RmMltc+exLrhgrmx5RJVm5dwYi6Fb15ZC/8HT02BVEMjf8+EGdIfxHTuviv3qVc57Qyd7APHVLW4Rdr8oK+qtOJC0SOcEtKfB5Jeqc3u/3DhhuhQCP/Yd3NGnkP3KDzEvf4OtkYx4aEg5HlcK4Ji0RHTjQax4KfAFQMP207/hMj5FiIejnDr69C06Q4nXhm3gsU+eUfQFWh2NLd9o5vfgEakoGat37Fz/xrP7m829kWd+p3uZDLlHug62pffHNnRhBc1hdgsLnCaWf3oPjFOgBzMpl9qzRU4n0ZM8jektaPPBprHsPhqGfR0BmPAX3pH5DhXuImdHXuxN19pXnb1OU99MF7Zf8QjAAO8ecawKE6L0dCyB+81kbBLwjs8wDSyiiAMEKZ2mNE1TXd7PSvHPuiTVX+q4CnW53W5S3aJSlnMbSVPxKTeNtvweLuJ7B2qlzZy3dOvD2QPr9C3/c5ZF61uoHaBD97qOy1NNg0e0NchZyUFqJHYZb1pRCFQuusbtP1ekDxwvptFc8w89xNKi1/4GjP5cmL1B0JNLoOAwC0Ljg838kQlGqxlYaI9WkuHCyZw6wERgfPTqe5QGDBENKktbyC5viuSlR3Ytjj1klyu6n1OLfy85W/0cjArSPhfw6ac13lJAnolfvfMBLxVo2WkF7M93PMqNnwItW2uUwLNI+zHhQuUDjWf4KwE0+OcCtephrAHP9aHrWnmBG4VAJnIDPrpxoqj+gtqZW4RY5vxvr9WhX3SWRhDii/+0Tk7f8Q+b1L5JztJ2VYche3jd7L0JVWQNi7i4DVLZKqXrVZRvughLjfX56FwXXG+b2GNhtVX7hGJhZOy1jcGzZTa2tIuvKuIL2Xiws/6bMDmSESCEuTZuhou3nWHIo27w9Hk+UkohKMJtU4NtGzcmi5B5ayYtQvNAFzs6RBRH8hECftkoO+jbY4Vf6JfnU8YIZExlI2rw90uAAVhnAV7PQGZznnOIlJkHX5sLqas2hAZl5F9eEb0sE67cWQBrGEavEIlzwk1B89QSzX1syPs6V+LAQavcYS8bT6oa44GIcV6Xy/cW7V/wmginXA9BZ1yASonL3jLFhp4brV7L7ex7Hp1bDuhXLYA79u500WXIqmkMBLbO8COVHilWpXf0nwEV92b+DWdA3PuWizkc7jBJOs5MXP0iyIt0+k1R3drdTN6UmPUp0zhUNBQM4LCqmy1PUF4DFuN8lElyLnUl7w0HbibxkzcH4tw3OsbblgaBA/3QJqSEHHXCiYgm4NpqSVquPc393J4yHV28vr4/2br/I9jykI6YjoDkQCb4fi4t20neqIGspABRdFRh7bA109g7jxJr0Te8xVPSJK+MDa/ZW/EQ2Mx0LXAxyrfrElIjzp+DVajtmN2txpEGrIlLV0PrSDz/jC+o90LaMohy7g5iJg4hOXOHkQHsN06NrQlAgU17gZzMWj3qr1TeNo4WNcN0tkyKrjPjLNvULtUCBcAVkYSY8bmZG0SqO2jp1HNNnOh7MW9nTv57D/9MAOeulkaFkihv2Jz6iEtz/vqr8V58c+lPdDBOFp3qfWBBTTZDD4/wAeV8i5puamOtEemz3sV7lWZu1pdY2GRBV6LbNM8Rm0WRi0PwtiXniNHzERvIh2pgaZhVqvqQn5o+lyN0oCheeK7YbJ/8C5Z5D8YemNTDj4FS5QOGuKJrDRHgMsVfU0x/NTxrrYu9LUmbjZWWfwpY0pK2rLf5wojgXj+5yz9qiEAZT57kZiRIksPhBaET3ToPTP+YJplkaYie7ngIK/kocM5F/3qo6ljhOr1DPLCkTQXOUDFv8+J4mCoNvKSUjp+yjPynhBEua0gib5EYTPgoXAyEId9fVJUIxKb2eH69zH+7SjY2oJIq7XkbXbqLE1lpQO6S/inKpE+CoepyeWXmP76ojT4d3Rt0br8Wz4E5McZc7TIyFZZxM90jmMMuoOeKJSDNJiNU/ptshWkll0upt+35ZacpQ+4sSrn0R5KLzPs8UU3Nv0ZOZkrWbNfhHwOivvhUxCgsM5dVcl9CbZOQ3nj8EeyUEnOGgIf1lcCn6/imxOOG6cGocWj0RxGQm5QuDkiONfUeiDhxQhU3KiA9rBka7gYw8AKvQAT96GYC9vrM4t7wQaakdd/xvT12CsGhn6rv0sifuyhDXobPkLSS030rwXWb0oFtRswW7O9C/kq7CBy1MPn/1tJuDvrAyR/9R3EjfVTFCCGM20c3IUIlU73IUUOr1yEexqolXC2/CUGv/G6ebeGE0JwfviKnxGCe/tSVzgnx/RpX+dm5HE8Q/qu0hgxPBK7O61BFnnEd7/nzfAOgcNpaDLuMA8XScnx4WvXXOhBZlj++p10VWu6r9mM2GEfz/MqkLnvcYvazE9KN4a7rTOLIn+/8rsAorGOzh/MTB8FhNY9FSDY1UJs7ok98c/iLHRiiVqUZjw9xBk5pRKMBd1sznYfUAgijVV/bmldSXgv1reORgx+t0aKSOqKedu/IAxItACngydfUYUMj8UqjCDDXUXjiov/HSf6Al3Jfxg1vgQNqbh2mUgCCW10Zdm30gWDORL5t7Uhe1cf8tVnquShfjOGVu7ZRlfIRB4ZTLyrpiDmHzMdI90KOTd4e6GN8fgydv9LIz+xBs1fMXKpuaE+XVhcrGMcSfaDA3Vj7sW6gRmNvty09OhKWZT3MeQhTm0WSK1vTFLh8y4SDz6x0ozdwNtwxHL+ZyoNTCD9hJx0+sbrN+5yVblsiGfaNgHOWQZ8tnybdCkS2mTY6JSw8ul35Pgq8h99RmL8FugOiPA7wGzm5b9cmjFo6Gyhk95SnCrca8zxczMvBKu5M+ww72Fl8z2SdU0FGynEpWPy5dIdA1WOUpI15fbpTgJmuHjHWBiwGp8JytgpIhIQpe/Kj/WOovw3eKpzsV9vSKDZ8FYW3h+OryVmxDHq6oiJf13WW+TD+ADK69LKKO7a0nI1youfFczK5EQIWTLnBx4jpnlMQQhHq0D4T+6h5Z/wXwsI9jsjjc3gzrIvIta6pNu08dxCLeUyMP9UDw7nFWTEhmI8Soq2QH6xZNzp4TJNhmcWUYgv3K2ycSNweH0P36GTzQ58YKSjvnworbUJ/8tbcpU8A/AUesNBjXomqTKyJQdEdeEi0HR1uMshqjqkFBEHpAqd6vvQRrOYkdO1zXpHHAUbhNmX8R3LZHlWUx9fwtm69VH1RScTv1oXii2KAPbgu08aBe89bJjCfLnmXfXbCpB1RK/0qfoiJ138nmLMSbUG/9dysUVsShP7Re1KZ+S5YwBAL6HX/qKS3Oehi2Mh7oVGkcN8JCuecH8j57kAkE8ZlvDG7oOhXR8XL24ItsSJvZ6kbFnq7bTR4wQZjIW/gVhfdMDgLoKRujI26+6cBS1LyHEvk6e//HA+9b/exd3jGyabNXuRCYZUwdcecSR/lcxQg0Uy4eC0xFx5DxfZHLEBXfxF5K+VbbNnpEqdL2GSnMlc0ErLU2Du2W8huu30Etw2IvyonAGi4xhjk9FErYzZxy87ovutLho88tvvGZUmXYmUHrMMI8ClLs+bhZuEBTloIPkgxUL7bYU8ggwGD6nrOn/2wQTqtFEm0q4wYGfAnZp1w8pXVN5PXg6BUjIJi6IAJ/7Sv4EZSha1RLIf9OlGQXZ4r2MV7+D8+DkyKZ00QCXDXR9xej4/h0QEiZHMVzpy0ut2Oh0EtAuVgk7DcFB/aUqjoRc8/LZtfH8jHUx0tLLUVzvdDQTbTHM0o8nuSiDJa80grdawBJOJnuj8WImM27PRhyOvmglHqq2scttKA45pFRdcsTEb+fRcbrKLVagJ/eBpQZkmOILfzevoZMrwDRRLePqzcoR/AUPEYJmQbLdk5eX3wPKQcVkHtBUGQ00AMXvEwWCkZ2+SDOPGeAlToaHfR48lh69XlBAn+tnWPfSP4E5bQhFpnKX/7hyoHOOCg2GkRGuXGG4oELEFRWGSjHPFWqoJerwOSbjLqxEloG77Cu0UrGo4Btq5ZH3Ul6m9jc2/bXrA2th1lNId42oALzYRIlVme5V3eoADlGn9RNwW5P8fcRnZJyLk9fanHw9mrLWpsBE4U+xoNIaZwRIa7HvR6KRWgcRR+zZOavWeqTEA0ilcyojPLzyzcnFAbCnRa3gex2Fky2szWYBDdKi0oTpDZvq2ECFiJpyRfpQ2UYWOhGTcCKchGTx+0io2To+sgfssA45KtBbTo//itSJ/d61mdrW56XFmUNSkdC2dHBcmeuikygmgC0EfPbpqVWHz6sHQi8j1b/j8MRPFwO3AloILPjLWkuI+HGT9/sP1FH2VRiq4qpzFRwJFTogBM4vAs/m27iDVEXLPnJVBefQkwNE3BQz3qWGsqGGIKQ1bo4SgUnoDue8mKHG4oDM8R9RN+guNleMq8wHxqRXZ9NAwSaupJboDMVWgoaJcONkj0oXslQrihXtkBpEWifvSTmFkUp5119aHdEZi0oA2ssQ37hUsZZ2ysHcAMn185wTWmcNKrILJxSAW3GuOlpYuZK4klS2fYNdDyzIacaYzI6RFpRxkuIIav569lPc3NrGY3WeccDRVMywaZL3lUGTtpVPy9z96+TsSAzEWRXnfupILubTMROfrUtYHYM47JFZFojON3EM8rTvhhRL/nGAexvCuccwYtjt5RwbBKf+wmIb8+6STeU1Y/XB0Goc0w0RaOgZnJD37stdIACs8AuSqGz7z/jF1CYC8tM+0hEI2zwsTU4lDMUcRgHzDsEmAMRYK5aCpHHcUp11RnbRo1FTessJfVHz35sS5rnocYLOQ3i8lvGWq8MyR4iC4zm24hBDIbZut0frCLtKBtWWzQQGHsfhcPJfzQ8v9ORXqCms7U2UkpHy5WKacYWWuQfC0w4HBpY/E5mi/JEq/DG7Ib/pED7vGj1hDdRxBBkld9/qZN5UcJgPo77jhG5jfuJpfpo1HNEI68DVUSep1+3AxfE2u80nYabHGvawJPqxSK4wNK37maDGx+7ysN+FMVz8BrqS1gvznepR3uziKdAvwLlhMxlGsFJt9dQWye3ugzlNBXDmTr425I39VrPCzVAveQGUWnvm1wm1EWRZ6Lw503pi8gdXPjIoYcVaTpY0Ew+f15gPX3es+Dl6Mr1LcvmM7sY/Lgh4LQsh/qigR395ATskfvUQRgNX5WD08m2JNZ5T1JVmvuHr3gQbxvIj5zMmOrg/OfANqiXiKMbbNa8ClfND5gk0onplllU3hjtwJBFW5PtkjZnlcDF2ALvPoBDWXZvY/z3nG546cGBFrsfuRmAY08pMbq/hx9lWsessmTEBSEfSEjedacGEsMwxpAikziiB4/TSKJXbhayl57iXLHRgqTe7kBi6VTOC5PyIbfILx4EkZjTG/zjCM0fsM3TxqNcqSjjsDlitiJ9G67tEvxEhFAbH5HYp4RSMmWA7bgoLQDkO+P9WCMHrqQLSWrs7p+v2zpWnHJe/Jk1jBygonmf+pRcDscxTL1n1JEMYSeFyTtaBHfuahClg5rWhPyMWDbRLdnXdnKh/ckMaD/aZ4cCOEJBWpQsp8VPJ3228CH6IWDKd3bj5EWKDRLu0vNdNdxHldamRTxdPpSNfiSf0RPKabFE+3VpbntGyCqWhd7AI5t/XnifTcpO+OfE8ZTtFQq5alNAIATc4e4Rm9BV0Af5RD02IKYTe01w7ElBhFy/d29aF+toxYQDaE6C3fF3lylRF/3gVWURg8VAWWoVVpbcituq7WDr8I1psXWrnjEaE8BG87RChP7TYThO0ClLzxMD785I/AYCMGJ2NS23/YYh6fttAXzCO/YeX9aGZIi7GKUFnRWjB+MyhBcxUVmXMcsfmXIGQk+HWF26uJT2zmpzNc2CzYOMZi/bwDexV1kSPIUgExSzgVPy24tWG8WFwnppyRpLVe48HpMIBHWMnXA6WLH1mspeqtc8xCD4Jm+8hbkep2Kr5pUipzuTp531ZhGQ1y/vBoFLl/vcUKmIqftcociI4a43k8rBpU8XENbMg6gxLA244BR8UL1nzeKBzYOkYOpKZUwf67pzj/9fBRAZ0Jp+C3oDm/YN8gHmb4psKbyci4JRIn/zeoqLTs8Ipgdvfma+VmN2zQx6vQASgHsJLNEViRSXXS608kMuJ8H3FpmmTWLNwwpie6xHY1vL2lR1z8BVYnis2nzClUYVrcQd4Hdy2G1+1vRYPqboqUwBy2CLng+1l/duOGpV/XOhgla+rx0Fs7zlevXhoefM7PikDiMBguGuELV9Jx+LyYVccfcGrXDLpITlBLvmuggQFpYhJm2i+IKTJ9wo9g4zBkav8jmoYEOoSNqqJ2KY91VC26h1R9GgPc02PNBp3AH8SbkiybANQHqpnPk7SWg5jR0eTpnEOk/hNCBMP68ge/debTmRW+j+Y45syFZscA/Sph6vPiDNUvEXgr/tmYAL0xPbASMV+o0D4zLUwv0cTx+46jXOr0tQElWXpIbOctd4kDa9SGKELg8fx7FZEn1bYqPy3Zx4yMm/eo+/gDidZlhsNZc73qRF4gIiaXMYEBaO/9cOvwIPkexK/COi3ks6OSYRZjaKBCErGuNRni0ibnYhqC7m3dYgnVFpHC6jlbQn2BK9U3iqbcF5JxQkOmKE+NGOvMEcaMbjnWNaSKIcP2s52GdcJeUemabPZTX5/C1/aaN/RkR31/UHUuySvkenjQ/+QZMazCLrU2G0pjQlTMkEoWv60uavFeAT1RTWI/Jw7ydRIpK4TV3SWOoDjCaOXATtUPHn7xtrx7qdiG+GlWKsVLrOGUGQWxSsx7KgehvaIhK4+Hy98khIyuWTQYiWj1d39dN4GzGwassef7AXp2cKJ7kbqEJlJ7m1CGEC0Q58YcfzhPLu/sQ9oywsCeSeO0BAafrSiM1NERAHE9qKlwYD62aRWjzOGZ9e81bUnNRIMPvYbl8XJtl9ir2aafnJumjbSlYug6DbsljaU/Ws3RY9LsMEX3YGfNiiqjyqaMKWMEq8+wrHZbP9MiT/ZnCCtFGArBNmwCoubRWEBuVoTKqji2PTue7H9ICQrw9Rutb2HWjVu8RRi5DjlOELzlJ2mcbH5Dc4tymZaAnkLppKx6xkcUKn2lZElbGH/SPQix/0LoJf6vCfIHy3AexSmxRnYwNwIKZwct6nSRzj4Tt0xy+nkMrgwMFEs6rB5xt0z8hXxGEwKOhmWKu/K1Q7oz8nwRxUHkoPE1Iyk1+usvSnEwAkZwii+QEJxYXocXBLFhcDiKog44FYC6s/ROQJh/1GlNcY/M9OopYn8eRCPjxVWNe4xdmwNc9tBgtC3C6ANdh7m43yAo8pIto9/WQy+edWiHGNnFtstYFA0bsHvcCFbGDPSqkqBHL2TfeGhINyheiiKl4e6aWanH9EsWA/7eniUQq+f7ZkeNDwS1xtlb5KC2HrnQsaPLMlkCHetEvusxp0Ljd99X/Y004DO/cxYi4F5Mc2C7cqWKu55yWgHXn8RSDzo1G+9lWo+BdX7WJhHH1KMEvzhM9Fy1kTL4EDmU2b/3xlP2RJN2O53uAc1g7jNqf6lTJw2b7qDfizVTpOGZgLuFEyggILLvwqjnoGu2HPFtD2v2is0lhh4ApOq3HTMQOMfzIzLmMtVfz3PKwO97/aE3exbXfVQNn+O+n8Ea0oe7hjvbVLVyrhtVywrSifR6esvBSymBItwWYwWfzKoQ97DNa3+jcIJNAJr/vV867R4h+4Y8c3x5GCL9EneQn7FyfKYLHVfBpvEQElDsDzIdHN6dosI6xKjIT6O8eaUVz/owVUA2/E1aXmVLROEc7bhUGALGjpY56ccrm7lN9FCFzVJX5oMl706/OqOJ9vtT2fTLvAMY7ZafhRtu9y8fdeI/OLSG6sHWPrJEYnL6ZPnkWgsKtv41Ui4LbW0RJFoTcU4AW8qEFNV6y4gTf/1/rJDze3+vM4aTYjzQQiIXh5YqNK20VsoFvuy+bMiGWtrRUVHZ3xFk6L8Mm64jmdUVqPPAM3fWkOKXHmqG0XmxcGKWq3SCfRsytJFQCmMdXv7W4gb3jvrMLPr2re0uTlRhkU146V4S7c/MWwcFkqLj6KYZeWZwJ1kizsYNKpXDk+ZELluitM+luUDMGnO1/8EvT0d1qSTm18QgsWZ4bXpKTmtnhWjaFoRKXvs53zFEcyOaSWtEUzJBkFjH3TxPntWGbgTPx2fwGPHD4gJwf/LIl/S6ii6BCnG32+3iO2vsUShRo0MlM1neNq7khkYcZejwzMEsQtmEOfLQdbTOQNGLYY1IVNxb6JoVsf8koxsH7lWwsq5PXcUM5hCh/gsN/7roGf9cAVDwCcOONVUJp+90PfrVUTZhi5Oq9wDsX69u2/s4tC+YloFqoFV851l2GcaLI8+SRvTPKTFBdvfz2mD/MydiOGa1tFJ6rOBJcOUZSiOQ+tyMg77Ne9qw90Hts07f1H9RtUQZUIh8plJMoPCxkh1b1RO6ByA89XRo7ugLbWvKbaOlIoZj9mJiVINnDG5yrHKBbdaVRLCm8AmlyPdRoUJEJN8RR63gFZjYB1bbf2tyhGm8syw/JRJJbWJ4BwpitNU+EoLhHcQJD9GISwALlZBgt2BhU+sMEYT7lQXb3rCT2d24d3Gu1X4eyeFbgHrjEL83y/bq/hZ4yJLgADPhX79WeA5MOntiw1SMUBVctJH1ypOMIKcG9uDC6HWbb/mbw45d3pwlXloupw7qw85/fc1Dq2QJWf7jIzP2Lu9HEK1MT63kgu+AD+1zgrBhuuNdLU+t1H0OxstaDKW19zW4XTX7MgrkFyWJgUsB+rxx5QEn6G9Jl0p7P7a7mZwrM7+H1v9N7gmxwgOF3vM+B5CyWe+2LgUZIlGoVo4nrmAf5nAQR9/BAmSG8w9g2f2TdxJEdY8NRyAFPbtdp2vpJk8a5Y2wkQVFW9t//CC/CK4C+5DWgkHXXKo3yqaolM2rc3BZJzz95xmM61ss54rnQvBoa6aXjHhxcK7xcNVRitCtmbiEAuKMJJmQXR7Pq3IPRcZlquPOxiCLJOy/Jjey6LXIJVV2kAddKgst5heQqB3LVX52pH2XDBqBoXpM85vSMIEuEOyainfh1dVTY6PppX0KSGa3+RfF8knVDMf0PUpbZTPo8hRaMI8qFa77MMmix5yoV6DRzkM62Fd8Z2tdNii2vIK0Lx+1iuDqQGXPF0yMfSn817CjP75zK+sqWn7SZKYTD5St5tZch7AyPLT6fMB4YATJeWMA1wgt+ycQZAWGPSxU8fGnDuswSdAz+NVYgOOwaCxD2G+iYIJY5L2kKb10UY6U/tKHwbZrMEtq8AxxqxKFB6PmcOPK34Ez3M3BtPNe+sb5G1S37MDnHjPUQvRVkY58DDLfLlCLi6nHnS+xI2STWjfw4vZY1huG4H3om6RmZbSZaJZTEoUWFHbR58biUajRswfbBAKjNI4CEcFpkH1s6+3PfSJ/4qPckW8Ps+80inJ+XWF+FHjYim/ribmBFekb8WORpt5JYQiggPB3BavcQLqoIVnsRd8U04yz/RZrOgVbBcljPCTbWHYC8TVuB0WVwu/ZCviVLMdvHtwJwB4nESdkaaY3Tw4S8TYOlc0HFjSxZ2PeigwYVGgu0XK9wc1sP92uDajcN/YpUE9S/3chnCN0mZFzwcpTtee18CKwln5ympsDJ2wbv6WpPWwOD+Wk4pN1CRVRv7070e9ZZCFw5pudO3wE8RzJ1bHb8M9BOTDZ2OqJoFjpu5IOnYQnaJsc18nsbjay1si6TP3/nrBzjoWyEIUDXtNW8nnSfKIVvbJG/Ny0irM7V8wv3G0sDuxnRJOb9aEauiq6kZsJZWGKRyRqnpc13TzncqzTYdTSlCN383XfEFzwXTxEfIJqdgXD7pkDgQoLovOMnUL6X6JpFdCwnbm0n6O/9EwB0UjODfQwgwjCxnXGpweqXwbKFiWZxcizAwfgBNiAR4r08fi9CpmMUv9ZopON5Vp/Y7T02RKojQsHAfk9C/1O3jIoYcsOmBlw5RaVgxtuRRN1cqc9F0FsLkb4REw7h/B0a7BUte1hr4dqF0gHMR3UAk75lXJqJUeakQ3nQUBV80xqYvajj8gRCiVAlTiHoWMSl2Kb5i/eT9F+XDIHg62nOuTkCcwP7v/AFPV5PTgivE1/rXuuW8izqmFaGiWc1EcVgq/unA1rFm3GRl9yYDS/o9+75LxhhrCybh9OVuLnY37IsxktbZkjJUOEC5xHNHp3v95h7wHW4IccPwMINE1hDpJzKmvUZ+HojRWAlAdYwq4+4kSkfnrNxpg24sY25Hzim9d0O7SkxFFnfUX3cMIhwKFHDzl4KvTSv4VxQkNtKxx5av0RDdUncsXPZ9oHFRDbMPGxCpSIHQvIfLPh7gb27xksxqkax0fnKqbCXQSPxts9EGifUuo9YYwBf3QrSCBfhNltf/FFNckWGYiKb8jNOGqveeUj8NuJCATqLXIjliWSTukMyIshYWGd8Qn8V7z5RMJFPd1iIL8Wj3IceLW7RzdtbSvb1nNJrk3Pq9AmPid+upSC7KNRL23uHB9WdTpDdhCd+8xBacsgOL4CGkZpbGvuQ4lGPhpHo3PTWt1mFjrJWy0YaL67dod2x9zD0fNYPkMuVSBRkyWmerZI+ot5lz7iCaDEZgTScxa0BeDXk9LwPUc35/MtCcTTd8UGBFUisAkcBHrvsOu5Cm6mw6N1HVBrbU9QLAI2J9F688BL5ah8MwH5c9q6FtO6tXk1WlAjD+Cr5o/PXISZKIs14QjtCEyZwyrkP+4x1IWsbxfk7SmuyFJp7B1K21OWbByU/4vyZ+e0j0SqPBYP4HWnTLIY9gbpzcZ571ZNRsAtb7gr3aZN/k7qXwttYoBAaRP9Ee6l6fulcD3DsG9Lvda6lxY6JiTY3v97vMBVRYwuMzlrx1+9lCxheuLXNr3AF/Ejf9jw89cjphq8CwCMULiz4E85OHWXssE8qEzYQVAawdxHwKB4C/0C4ydWWgOp9IwiTCsE8EFZ5dHG7xce7GMhZ/hPPxEI7SO6uRyHA/oojaiQj/xQYnnNzaZAj1QKaI8xthnipVbuZDFn2XJFVp2LTpYIQpdt3k3QfyI7VAoiIZY9Eb86U+0aTkOzUflvmUqxZGQ7Dph59xnRHpcORxYnVPPSH1dkjwTPaRaXIteCcXNw1IBM6WX0E4d0/Fiwdld9I4D6ahk+Mnsq51ZVELGvNaNsaQVM58q7YGJ3WLkpAzZ5A8GmYb2q/ipgx529f0y16VOKPx8HGPIWwAviGa5j7vtX0fekccHCPj+Nh5kCk9EcfT5TW0EBi1bap/xD7QWMeTjCZ8VRWWawtazOgbcuLL8tYgZtqFunqjrT5UOhVLGzZqfXxi6HtpqeZIKCYHB2dqC6c0k7nT6VO3g0OhGtmH13IxkWwdKOiYJewB2p/ZlhZ9B49B1zoOr2V9t4zLHeXzejc4UP0/MjajD8dc4fUNaoVzPGw7V8h+JzC2/8LcCHrP5ULLkf9vaLO624lDKTviMcWnqlLlSSbCgTqV0BmND/5PzWgX9+a6gzF1cbfikgEvgzFs+o30oc5PhNDFPuz0mDZDmSu5FD4P3UrNZNQASCWx/BoifrUbXGvB62ywHa9M/ug7wmJ62nirModrPhkYJ7JxjERvaWSeQJjXpz1DAYDcH34795d6RHywroLqWbuNDmbBzFWuNT8exXITzYTNaiAdpgjUnMI+ZZJ3bElR+9MABhbMy3sg6GsYd4TN7e8PdtvxYPbkAHhmY6AFoZ7qpKMzPNkrJPFtK4MzlTvcGI1ByWcoOM8tSTAhVlYsctFXZBHIP1SNDjwJViX815QfXB0bgBxTaHvOYI2jbfR9qMqPJ5wv/QOUHrQb7mjn1qnTAYFPqVMRuDt13sNCUmD9qLssWezv9AZP2yFdsKelbHldfw+vrOjePoF2oi8EQb0znaEpb40VMFaPhv81I+jPByDecefG8IxWY/5JCMO2ODtxRx3OSwyeHLLMZftW5SdFHvlER49Coy27pieSHhEGUB49+9VyraltZv5C6HJj8jO5GAQPpzZmmwAKBFMAufPHy826feJe0GMUYFZ8MBte9NcRzq6gLiVSBirvOBSVUWtqKToOJ909QjQLEHitB/YOs2QYSYptJlZVo1gws4Ii+ntaTMhoNz+VJ65xapax/1vSnybBburWCVVcWEBjpwXPr7mYNjCMq/ivxHPJ4+nuAEeVYTSPe6XU2NteiNsq6MyTn1LzNEah8j7qrC6L1t08u8y0V5UdCf+mmmA0mp2C+MF3UKFXrHAO1ge9AB3M3IwFfOrDNkDUsyXC2l0X9AlekdRj2HF7W2asadmEr/iEWOvq2e5EB/hXRVwaHyXjTev52x4lxET2RnYn5aPBfr41RIlb+JyatdYnKzFU1DNgYrNtQA5czBtEd+yGTLIKlmnqBNRy48YqWRjrYg/Tk1WBAubilu3G5ACQ6iqp1K0WchEiEXfKOJt75ORVNyYfmliJKLmc9rdYKIN8EhX9TLrCM2/pB2LkWRhGzTWR7M6Ug4b6V16M+M5lVQgZf28oC7fT0Qm8Sce0IvueT5bbddkTgtei/JVsGZDcZe58cZXzvzw5wMqWhv05ceubhYn6pktf/hbaCmrKN+fauxaEmfFa3YduhggUMpdmyc16v9aPn5atrArDNrd53svpeopdvWIzPz4UEAukSpP4mkR3lenEUwLM9Dcc2uYysNbEywS6pAzLGwPwZUvvIdPCPhUEbkGt2iVcl188Q1HXwC5G6PVe1AhUw7ZEDOw13iWf3WaxAc4KTjLesgxRKSe2ISX0U6/GdKXe90CSP0f40zmtjPsml6xD/fCRg0aJ5BcFNaZBnS9d5xhrPbcP17uYqOnhBlieJgPfDoWiN8DL/RiDXBhxxyevF6VqPl+nKbvQCvKejO8lAjH+vXTQlGMUHJdVza/oCjKazO1sGvrkIfG6yVxFCgrzMBfAHyxTKlgiPe4K5u6OPdMt4JAP0xP48Qlz11uRIP7OT/U4m3FIMoz5f2DZ8A1BNYKOkoNIvvQE6S0javGu44D7kRVEIfDdDw00Z4Bc2fbdnQNdgIzlsmIv8vwOwEykAQribruNJvSpSLHXw/0rxO1lc8qC39XsB7GTb/DWzDb5XW6qjvtEwmZAp/H0y7TJB6pLhwOVI1AqjapVjzQxgIH7chaCsbuzaRGu26+dIFidAlajyhVMlDdlNha6lqxPbUQu05R1iHlzd0+l/Ds/que8jrN/4OxSwhiMJnquo3C3lMhuHgEzGETw3t5qmGUa4AxrRvmHaESbGHOmZB1pwKX42MxtCjEL4wkMfd5xZc2oiJgl5kR5RvMYcPzLyjVFivClyIMaAsXFp/2n59NSKNyr2GitF2375XW9xRBnbcf6ljqkhUDqAtOv3+vxAJ41rQnKmhILSja44wKBnmauPe859vHvu93T+h77pjbRtH5rYo/GHCqfaSXpdk/2EaHoTF5jxn0hn4T/3WGnwIrxLUXBKsVDod0SukSO9572Fwx3Drbh51aUc9vz5xiwygZm/fRA77jPLgSpqhYUgD26jVL1PQX38a9HjD7Fu5IxC3d2/04yv3PdylykmzTBtGltCpX0ZbVssT0g5+0j566ZZaUme1UMN7pVGfKnk9rkqOg1/fIh+z44tjDwuWCPlR9EyReVbOLgCYA0BrJ4Ygyhk2W7rqQ9Vg6Gj3zbXmi9lt+HHy/yYiOdF1E0UftZp4+PksgULZkxRJCopcS/4n5ZjddZTzfIIgJXnmnY8/a/mRBhcQ+MWYCuFujdlKZMuo3aJWcTzhwbTfiqH9JCEbR0E+FqkyYnkB5H+eHaXW9ukzBkdflRwxu4a+9SZXKcNimUZzeXQmbS1qkjxNlyg2vCBuVab38XRl0K4UITI0X5NFKS5T4aBlAZf5L943+gD8kL+Lhts71cc1J/wwuNNOuFCUyqvB4cFCYF4/srIJ6CslHAeNVhOV02Y02UCp+kV+T3n/ONnilrdlPOHnB6PTZ76Q73J07j1KbnBDI5d/rI79SUb/me+6pX2PDhrKyDpUqfffC5hHYF11bwXYd0QagMTv4OvztZV+LVzqqixxEafI1DfSDOb1HbibCKFnLmK2f2tFC5o6dJVAz4MZIP5I3zm/XWOQhHIPZDxlMsDBT4cd3TEcqOyaLHbUIZZrVpQBG5+tDNxZmiECoiudyhFgfg3Xbh25LF/02YeHZz737arYCItRnIf6Osff+vrID9GoZvMznnfXE3GQprNW5GgeB09jy+rpU92YrrJ++eqUrUbw3OM5Cl0NLzc/laW7Y3IfaC405jzuyq1bpi/bhxVapfD5fi1PmjOp1pr/p923K7UvtEkw9ycL+0h88bXcFR3+Aqs+xRsPkxHbj15Iae/c6ShIaKPabPPivqpWyGAzha7H1sxPhMAiJjwO97lMVJF5va4MbMnpmx3fZ+M3scIzP2hLVKu9LUFVAFhyPOuj6GuXF/MBuGJ7lYfCHJ6TMygiUb9enef71R2j5DUBIefsMiP1Ve21xxYPy7E+DUcR5BOB0CcXSGSW56PopVDxxK4iSHkMk+eWMgGI5Iw0GFxlDmipvF+8P1yUMBcCD4kJ2ze90RK5+LBPegrB6jCD25Cy93attAHFG8g52zW0TMEZMvn7n5RQVq5NuyB+k2gACo2yjIWtjJS00lPLjoJjC6Gd+nXdUX+o5o71Gt6nYaItT2NDhPYNKFW++6MTSp/SqwkU4iHVF+HrrnizqHUBF5QfXv8cdH7AUheZFi588e4Ncesk4btM6YMSKg9rfUSkhRrEg3c9CUsPc37KY6c6P6SeUeSiWc+G28+e9xcUAypi62s6MD4yUev2/rR493D+7EC/FnlNgLvHR9WtwjZG/XI047Qs5PYj9iFvF+obCkUYTUl+yD1RhWmzPwe/Pb27RIUd6J6zwYyM2ulXz9htlYs04qXfG4nJxRYiieccmYK3yBvyXSIIZgeQfGh7s6BZnKUxZNEpcmGmmnev6p7pqhLi7WJeHUeiRyapA4scu2jxJuDQXA6iYcTuRgafSAqqXV/9z7FdgHDXdumDgDDp0UVBFY0s2xDXY61XcGcSrIsJDKKk+Mrh/Mb5qrJLltV+vMch5fAfroTLZbxc7R/foVFNEUDpuULsj/AK2XFmi0oHC7IWtY3y469O+Z8iCd6/cU2OSq7Z08HgYHoh0w7TZ5cSaQHtLX3U5Tbntm+T95v5fwtsNVreGF+B836AxKGaBlV+WO7HZI7NbXIEEKObRGENz/QQlOnLgSThdW6Qts87BoRaZVM23jBzPusWKaNkJ/WKzPz6+CHsAc4maVoZ3E6OG9Sfff7Xprm92/2Wxcb4kH14EniObCxnAbHPb5JWqWrl9qHA8dsxj4XWiTy5VYXzfBIQqG4Dp67cxDNYttxseA97TCR2Kgqy3RwWCA7pNeLhGulSPUnj40GiW3hpykFNcuKCWV8xtk8PqocF/CdlmJFPhCdh5k43zop3vzZ3njS2OYixxxDsSQqjIaYRRLqflX1UdbwpEYnBBIMK+dCOX15L8MCmIPYME3gKwAagZmN377t4vE0BusY+bQlfM7Qwp1YWzvpK6dI/cUzlPGM02OFX5oufr7pEuBq1FHE1lVS9/EhPr1Dyu9KRegMnf1bAKZKUZhv5RGBP1A/QDMUDDtddmV4pVaMHL7+lSvUUqw+i3deiD1NAggqDJNad7gLI3NPbklcZQf7yR49eEfxthrFKsaLNBroqY5BS4oq64VVagg7dgdgSPzezfmzvS8mdNpyrVkJvZNqe9kyMOONmXob/doQKisJfhW90jVyvmXvCEJ+TypvU30M2+BYhmTyQ84f5WbPzujz29xhYfrc3NGEyGQKoM7jvYAu9pwWClkojHJL4OON5W+ex6v796L5ewx0Bd6B3E8IRaECuNcOQ9YCljLp/LLiN3lw3GZxlNkv8WrQQSPgjYi8hwIXE1vfQwOTnG0iiF38IDG2sL7V9fZbqYt3vcBoLtSRiEdKmVKdrfNeH/whopeklLZXGHjPDHFAlMhfBaHVVwXaT9Fx2iZ9wK5LknUrkcqe+HUr0g0UoDYltRi2YZJLhb95zu3TRnywHuoLRYBm+bGno5czVm7dWeTMNxAzd4Ck1XPHWC1OgeZw5k0twalEDcbAS94biyUebYpA/HHtry+E2kN4GDwD+zF7DEf1t7j5vVbIshft0t990gaA2hjxddxKYORXPe8G3iVAiIPYQoKvxR2i2Nk95b0+SIoUdEDkK/sFQylLhbzlzqHSknto9ysLPOja4YN1dwhVIld3+d2h6t4BiiTZKainkchKBb00coZOs/hJMGT0VfeB49c+ATL9PCvrYN9bjtRdE9KRJaN6kQktAWqyvqZxEFodCIR2dB61qVRdnAGdkkkyN9udix36RkisjEkK3kB0Hsf1P822ep/iekbjk/g0OkkgNXYPJB+30evleUC3/rQpQoM9wz3qL+sJ9cT5ovdvd6/2B2nx25f+w5e4ECxy23fz0INKYzNOBAUdoPNvPpG0HEr5o/NsjW6q/LygjL/0n6HE4FG8mOdzKrfODOF7ep0CtvBKKfRl5mjZF1E481LS2UcE3Gzj2P0QX54xmCbNZ/+UiEyIDX8Nd+kthRFQGTcz+C8Eaftq968wJgxQYA7y5zufIXS2DsLyuQ8coUgGHE8PvUx3bhInd6o5QIpP5rerniNYT4/jl5E48V7avRnUusdmOW8GcwyqN3g+mpfzLphEtzZI0f2SovmII4S9TSgxHdRNsJvqkpa+t0lkHPYIe3vrho3D1JIZWfbjSsySbEFdL7cpzs04H56khhr7pJhwEnSGum1bqJ4rVFQrqE3amtotW5tplb7MId/XVgWIr51CV/x9YEGxhJ6O0GLMUDRzTjO2V0177h+EzyG4FUCoDDyBJHcSd58l8mh1N17MSVElOSauxwyfqPakv2HDkgbHcQ1raHMlK/GxENom80dVNkElYOmwrxfTv8jn3xG+HYR5EXUiT0MqOgc0hxt2H74HbbBMOpU2mNVxcfiEtkOSAgTQtQfUPFIjrhHvAqFDfOxl45lasG1jrLNYodii9II7+kcQxp0nSxQIg2/AkozVq0RnAMSWhtgQcWVnN2/BJzEm2WmhNUftQGDhc8sh/xl5DiBcIWlANEKGRmBtjSUCDmiYw3CuO4bN0oDkcrMrsSWHlOpZUHRVPmu9qwtGoto0gTtI65ccPvDKbojY1NFFoUHlxz0C+tJCPlcII2SLlGfG46LYw8DnvJdTeC/TaJ9FoBHx2+vCmbTEDaHTwgcxBsi+E4Xlk71dNjjecV4w4bydn7C3QAYv/vjEmC3kbKgMCUzLOabVH9i/QrG3RisawY8unm4rapmhkRtknCQMb8DGAdsbZm41lGRAkVRn3Pg4ge6lOS9XWRB568/3r7SSTynAW/vKzC55pskdcOJNDtkVRK5Gx9J4irP6Ae9Ds/L867PHKCP9yGwXh3gwDnKDzNVLVOHrgx1puaS3a4kqQ4cwJiwZYiVLqeC0o1f3CV8fkwj/xixdNqOjA1AqoBAYPCmZOLi6A/G7KzV9hksfCMQuvXgaT5Nc9FqyawfJw+WzDvcSZleLQ7z+iy+LjVBw9cEWGEaypDZVLqSQapP2M6zuVASXhfZgSNVeZrLQmeAYgsyq1F78dwJHND4QAnYkl5A0cTOy6mRanYi/zjHK35eFlLC4zS1mq/pzqJAfQqTILKgRQoxt5RG2JiJQQWgg4KnaEzMSh9jmpLmV54Mmx9q7v/RwuKwWWad+djdNL+4NzmXyQd+j/iq6ihxupSAwog61s3EUN9UlU6RybyPPLoA3AT3CstoMVOsIz03KqV0YRse5Ro99l5GQH0ApJweOuM8ik8I5gtOww9wSla3wVF9hikwIzrh2s22QRywmjqoYMh0A4PgKapwL+4qo4JYG8Qh7yaGeqQXekL+ZN5JDgiSM8Aayta1HLv29MJacn8mw7LW3u7Z9iFPBS/vOrsnkk9vTSwERF1NmsDo+oJq/nVTIWsWt7TbtSpIPs0mBC6r/S5kjP9gaWuU8PfvLxNUB/shAj1pQnJjPpBtZtdkJoLVI5Wxc1rT5CvElUBzU5TSrre1kZaa4q2lmcSjByHwoaUHgURq/4xkgVks7AilJdqosGOile8KhXEUSjfvphDtvTEfHhWm6iRy0Sga4+DZBJ/+xpKsOhTLnW5eBBaQLs9nNpVA3B+AyulXbfjKR2B5Xc9B8Lkfj1VIDjjm4L5Tf9Srixq31SEyR+X6np0Lut1XQIT1VOjPmsj5mKhO0noR3ZqnH9T5ghWrQ5/ennpKSRdGK2ZtvWdCIsFOKKgspwFfJ2zXk0rOczi75NwdvvUxcj92grSGK+UOUji7M0qJ39RcoRL7UDJ6Xkv/Rn2XHWyfl1bKcE8S780j1C7IAKrjufnMztoCSmeKt1MgVTZBNaKSv0WwjvY9XA/mawhdMeK5lTMsDjGubzZQk+S4Ec9FYgCuBqsZO+Jc7IU7f8Zp3lUNciKJ0pYatktm/FKwC669ECqVXMRwzXaJ8Qt9tPIc+DPua2mczN4k4VZ6hVFfwREbohr9xnNgoUSf1lupfL+GidCqGAad115RqN86gMloxridXAxYUMkD3/i4VNEnOXTkokup3TAdmJ8E2PgtLuzoPkodsbQ7vNfopCCt7zoSfFv3gcg9CcdxSuwcFGfJr/vZa7aV65WiIqK8rnD8k9K0XxlD/9vsF/Xn3kvbfbbM2D1DIlBUE5hikDP1wuBEKQHZSBvHo7jVsF6z8yhPJUgcRY+0aZsBJs2Y4HmH8OfSss10vIs+bZfh5LjrMNR0cO5SSG4KegDGNryXQpHHj9rZwVjQXeme0zxGQlDgg5aCZ+TL2FOabjfs/fyuyYAK17lBXCzuYIgEYMOhZT1zKsAJoSU6MQoIVuIeMBQM3vkggvnwSteIu3btxx7PrU7V5Rww5PGViFF+3pXR2aLfnX+h0goou3bqhVt2/qeRmBWOkvoyk4hizDk+bjd78vgM/agZSsGpz/zSFimNfDJj+coREEqML1nkx7Gt6QC7lbIl+F8uaaC2Ido8r50+C5EetOrPhmEBmNaj4RxOQvx0F3hwoEu6QVV3oYmsZUvQxLE4UEaoT8eN4n/WbNfJkAxvg5KbhRG/sRghj4p/BsGlb0iboa0okVVluNewTTiAgwo29A7VzKzDoTp5YVXoT4ovw0jMzgihSXkNfyJDuXNb/Ha66OVhiwfTp0xWwtbSfEI4WQomrg/nvTh6+YI57JYG3cMgB6niExJpVv92VnC3to9z0fKKXKAH7zitztzdyUQE6T3oJ2h2d2LJxAQkLFjHZtrVyYEMml0btPTdXGgN3x8OhgpHpoKzmgcxGKvkY/hULDcdVu9/fVFqOGfd84ZEBtKomfd7hoY55dos0OJ/2QrfSHvVp1JzOWJ3bjyClfqH1BPd7LAfmRJAM2ALd22TSgBwSUTqGjZDcCFvNcHCtkM/6M7kY2bUycW5EkANvXcNXvXGLc7ddd/Gqu25F3XQuL0b3jUTglfSn2Ze6/pgDoSa6phTkJT0I3twkZiZArnCKpRgIfY7+U9QhEj3WGvQwaRDwh+yLplJI6OBmKtrYPShrEPAlgexBwcdaZmd2jFu55h4xag/xTRhKA2U2Hnn07bxkewxdiiotJN3VvegKw8WYy/zR7OdXidi9xgzkxd2dA63jp8HzCJsL7LUYEpzMBC4zBmLtowSkIWAmjakhlOSAVriN/6UDIL/g0dcHK+TKTbWTIkby0tBIZ3FXCmNf3vxOqwMRhaITQVLTBN7Ojb8TVyZg4GRSzXBVZvsL2iWkZ8LVyc2keFk2+5w1oMR4yJFXZYKBhRjYW0zWb3i9jDv3OUG5koWKtDPqXAX6o4VBdgOjB8KF87B+F0XpjioHf8i3Z7wdJWsLg7mSmp5wC0H/INKEroHm7YbDZJNIUYrBlbO/Bm236phoryQSsQ2ETFl2qr576dnAjIvoRMNEe0zo0c9d1Mr5UunmwlJBE958jZNAH3YKK5l5ruXoBpWQczb4bGuEG9OaN4V+bFve0dqVP7dyZ6vXLCCGUwvvt1GZH6EYAFlQ+cvqGDx1umE9jAVORVmtALqWqI0/vYx6j176KPbRlv+EuIiMC8NaG67f/MBRP3mzMyphaEcAk20umTM0dsm/5BB5edv4FD6dTkcJQ1luOeKwCMFl7si7UmdnunsoYGYbGLuj+KZwPkvz5iJvRhcDH+G1PjYXUDui4l+RZgxD1OrktwKRD6xoW5CIfnHuPGnZO/DOr6eQ3qyS1Ztfk6DHiTDPGEhWQmZToyXtAP4AZ5LuGYiaHS/EpAdtwGz37fnZEs/siyE5ZcsubofGYTRNlFaygj0dcJWPmBQktvwKMeVLVty+TVkztHGur/g0j8KG85/JOazgKQTvCsaJgvQ9qb3KOxjAjvSLSAAukB1YGQNv8rVB7p8Laplg9c1qfZrQq8y2bftio8WZF8gmjYVDd6qqIz6rY9QaCRf3qxWre6zLZiu6gb02yhflzxagV2XTdQZ30t5bAKpU9EHuDxbCJuN1w8ZYzVugSGH1gzMrFrVD+LH8J12kVWPNYaMNyAmYoGYyPqTqVPEfnUV3DlR6hcGZU8NbSPAYQv8zvHKgkAS5iiTcjzK5W+dxZSZRkf8BIpucZ4HuAuA/cI6dKGBATTyMyhI0ydZnAwyg5u95Ftc0SW9qCJxN/MVSf8r3gwNGM+gsIifWEOX6EfvQZyMDQoI/GhWv3VrcJN+FAq2E93MOGhcNJGygTjgbuo2xCtmNMTGe3kUYI0KGVYswJ4sksbnusI5PE/q33/mM1nmGeC0rj2WzZz4u6BifKCjIEygiNrtvCG+ZF9AAcvi5K5nvoQJEzFRrWrR+cZCVkFrjqccgBh7f5dlggjCQ6C6pr/+SfsJawBkXlGFmuRR7YZLC8n3blkOsU6J9smEanjABEGyNSTLEvze+HAmsh3avpsLKSM2Xvly07oLbY9ZO2twUchLQgEU2Qvz8aPxfLHgVGTnEPA/9yqyRSbMiEIkwJuQRaLCKYwcBuofydw5z91JvOUexDq3MWwp64sHxabK31UE6zcP+USSn6XEuUzXavBYJNK8+sb4uWNIiwiduB2DstWHyf+h99of99UPKu9BEEwmVRI/gIwgkpRAeDpjyIWbeAgl4bMccZNS4GgSxmqLufwJNuz9yOHYHkNWcw/E7CdKB8RHrJq4mNc31cO1ILyiWgRiqeHBoet5s6KCM/ZdsVdjM+Zc/oWq8jj7c7KtxgeLochHoQ2wK7tE1q/aVlA1TZZwIymOyxQg+KI8bSb6reQmTQ2sFaS8r0P+KL4qkhQTqcwKbVZr2dqlFjb6bDzihJAAr1ilg0YIi0fRB/nbVZFkf2soAmakziEDN8ypcoLalpWtfyHvfZhS54NF7Rb6fCFzYL5labP5UU5LaRKK/Bxa6BBiwZ54IDc7z9vDnw0ExbF2U8QbwuykhBjJcWiq387TqO9da3Q4BsMFIzyQcGyZx2GNkuxr2R/kN9p6rV0h4WoIv9OyKvA+JHnGMeGglJyx9Pmz2ks8jCxI+L5kGdy0YM7YgHYIAeKOGgV5yrPqssL+PSk7BN0TVmte9udZ1CYgoTTzxNa01JQ+HXRlubjvPAR3FLRxzP2FXK04FTe6kxDoMMB7bXo8Up3DJswOLlIjJ5Vj26Q2dftkpDUBtQWDDMknHhwYvF8DdJya+e3v8pVEERhu09byF04pwJbDfKMuT8FykdMuX5n0UR2UKcKPs7RTbAC1KNRJoNdoS0GZumdyuHv4Guo3CweDEc0eY4k4+d9RomllJ/B7vj6hIesdyl8jz/pbaNZQSfl8arO04v+qvUDMz4ZFkJs9LJCIwjLDpCuq5ogfaDWYEcV/i7OMwGwFXUjuVQrGcU1cZHr/PPc+iqrHYKIQCFem5xnCarX/OrT4vw/aIt4UDasX4Ou392Wo5U8gk+A2UVIRWEMiOucI8Hc9OyQzU72M+8ub7nkuF7KD+FNXJ4yAUGrefNRCPraehgzomHVz7WWyS77pIs7JAp057Ror9QvmsErAFeYutrSMG4mLL8KYTAx/2BcLr+eVaV5Dd2dOc6SVIPfMUPZa021mgLf2mVWJIlBCXlyXaYjszCfWyGcyLbQuIhTLVrSMeVTSGFM8D5RwrvVnMtnuPyf1JvvcdW+0cqIHaRNTe6ZqFdWIFvdr07LmZYDSbMo4bttC3doAPoIhFHszgFso4NnTuVZgNE7Ywh8inpYrMy1+EMWEtv8Nyc5IcjAdtZ7Eu8QCAohCz0Nr8Mzob1ivEFFLA+Nep9R6jH2RfxurztYwJ3leIUAVpiWNJjuJSOLDWRhvoNmlUpuvrSNQapmjr0nJ/jsFBDkWYCLqMjPr9VT1qQiGgKEh1rNkR+kBiTl+aXOjzwd+e7rNRi/YmWpq2qN3864+Q5XXJK6cbB5fDDXUHv3SJwRT+HZOqXhlO5r/kyZgF9aM3Sb82vcVpE1TD+YkOUE4NV2YgWJKVfSvkDYDz1Nyr/q8LXU53Ml9TQrZivZKKyOvGSiwFA8zZeu7ZkhWDmFleziBQ6Y7X/pWr1zYJUdaYxfeQvjDD7rxxkj50jCQvPvZ92KBDcGWj++5bNiTnlkr3a/5hC8GEkC9vIkv+USs0Z/N2IGZ5E43rJiNosYnxsA+Otp2Jd0e5WybEG/nxv8Zi1xA5DpnUEbodEDXAP1Wmkppf4zlOdpnbd2cUmEoTutRy4UilqltmcwKB+1fM9k0Q0BIcVObDIIlU2qfXkaU7V80spLG8rLqI9b+sngG4WOu7AxvezHttf7Z2PP0UX+xpPN/8RtJPMOniXqdQ1ZbdAQuTN7/iFZJvjw57RqMAd6UrMJlU/H6qu7kUR4f3YBIoaSqa4CWcGqpyekHMPQBjany+OQGLbOKT9dVqEUs3iYpixW1Z4Z5gIjE84zCBmR5TEO02KfbcYsHPphEBg2krVCQ6yzomu9UQX5tLk/BvKIN5FROfoua4K6503w5yVfxks6l1rG2F9ega4ZRMyz36R3WUgfJ/PNQb8XlvOBagPEZkdh2rk5t8YNGYefbJRE+qNJG/SI0Qk+dOtjKoRaXSlgpNV/WoagecfEVKcElPeW9kabUj8DMozytojswLdUo7qIvB1MZZRF/pibk+tQr0C8c6onjZ0ldVJ6aRjBuFVUYPzReSHXcaiROOjBmiRLA1LF0mb2I6HiJvkdmlj6UYzFGrYdrsvJ2KddXfTqrrVJsgDB43KxERBR3dqCYcktbmSpksI/Xm/lbjqtBltH0kJxN+mcfDM7ZaWOt3DDIjzl/h8ZfVcS63E3jukXcW3GJJ4WhIkabPuhVXbyNDVBqJlPRLd8evo+5xMnN8NfyJvJkCwxYyYysZSM03SKvX4Zdck8TR3a8yxXOB9EeKTZaGaLO+wwIfzBBT12v9bOZxx8dTw/6mPSPRmazGVSMmQwiVcyL5Sh0nXLDaIO2vRkqSpS+6SZLgu6ZjGgL4CElgzXkaOB/HgxoPg33IgXoEA2kE2n2sFBAv8KN/FLNdwcqXQPDi8xtdxmgm4tVT5JBbzN085ARJoYyYrm/3AaUCutXpSEPLxoXo6LPYQ/1LrlxB5QcYr3ZWjF/r2cyej7hryONcPfUveJrUdgANP/yv10QXKCvw7leIjz0aX9weEa+wB4FH1cbdARCktVOu20o3lErTodOy8iFa7LGUbLfu8iKeDvwhZPH47SoQsRMdMyF+IgFS26EViWSu3uYfKTGmBh/vEJqM5W2m84HV2Pb2jCD/dQJBRBeb7dAJcyLJGUm//tcCjim7u36J6ukeL/4mj4c8Cy0BCWE59KA7Wj+UkTmLWIJNTrHySAu0IryYy1F8xjPzGhI6xQ5QEodWcwZQUBkbinyMFguzHqCdktVjKeQOe8ZGcG2/02nWvDLcocYDv4UR3wce6QXQRyUhEGcw/lHz2eH6bEy7cPakO5qfcPYMIJ70mqoyAjRsEeCgexA8VIzKGd1RpbNwWFHmcShgXnd50aoCKNDgjmuXRDG0+S77CbKKVDYrTbIfDnfIwcwiOtNBznhk2BQk4Wlycx7hKNcOcvzimvneR8pZ0tUY9yQDgZFe1m1OAwXiaGKD41oi04+3nDsV7Px09CQ7/e0iobxejpVSFsPS9mFUsDyIfNroxSoeUVmtwos1BlpiNgMeHfFsJopDVBTtOLQw/12g9E3EJWTKnF9TO2DapGJQaqRMLuVJwI/0Enp++J3Mowtxm7L6XorHBGj9+RpXk2/zDyJj21g54cM3LDKZ/GgXdMbpGJ6Fy10NcNAD92Vee9d1TAHMYDPReJRxmYacW94OF0755/Ytk/QsX1ZqEZa7u7fiu3CnnMB21PuDCW6mW83TTsJVLPxPCTDEmh9CAozkMD92d418ul07s7Vl7BtHmrF1Pv8M4uQGEm46zgAiG7XlOeyiOeHZmFXS7HDlKCA/g58p3uGwX2wmWJxXWuA7UG7HB0yb/IPMYMn4cu0zZ/cMLc1Yup2f+8zc+301WRCH7fBiaWAMa+aetsACVdnHzILF3ukTdi0Y83v4KiMkur7doWYXBqI2c4xLiu0JXgqQo5v0Qas82ALk/umn2uYxqResS1YzhThIfKhO1TU3/fU4q8F9UHhPm3kcwiH91gaNmzYT/q2UvZJR2gTO00x1pq7pHI7fCu5HH8WhQwgH8bIMSwix2G6X5K1gD7UiKoSCoFO7xlOZigRqOmqwN38ze+v+rY9sjBy2w7lcYS/zOQPOmAvwnPuQUZ4cJTeQg3QjYE8hL9jLbI6g+ybvC2rS/lOVZScSBto8Hwu8EdoU7Iy5APJv9dAV8Md/yfGWg8cPBzoFcxGdFrj5Kt9nDhKrprM+Dwa58kearcG4t3XRghhjdSo72CdUg6vEqEohjM7Wf4U9koPaxg69HP2yZDpxIajAlgFx797RjjW3j70n9C3mt6mxS1ywGcsQc8Ii9MEl8GpK45BdeEYDuD39M7iwvgYlSniAO6ohIyOyEkRruFOhRBh4V5NwtMjYVmnDqTCCuV+qi69L9hXLL8mV1/TkOWzY74cRlZ0LzXE4TT8kS1hulfoTLWgve9OmrZ6EpxTNXgD/anQq+hEwx9RMRs7vmqLm2SjHKTTuf4F300qR7mBWedB74v4LwZCaht8JKzLC4dN0eMe60koMJkk1irQvDg+LClcc5Lq7O78uTgYeV2pNVbUou1DBP4iKpyiT76t3XX/tpykfIvbI53WcqRtdUInu2zo2uuU0tzthwOgwhPl5MNb5afBR5TeZKY8RY/aZWRnrZxXKdLqWGA+D08SKlD4CTyLQT5fxH4hXlqLD1gfk3OETQZeXDlBsNQxieFgoayfLoRt29yqwEVE+xvcQ2wDu8BPsD9zjqGZIAUIBVQA46Vh07E/K8syPpoAXdCjK/sb+SDGsl3A2mcuP84wUqnoHIH7zUnauDyLgyhBM5dPR8Mz+ATC5y2QenE+4ubdOd+BVRQiV7+NMVfYTos2FNc0iJ5dvqykxOHNVnUdeij4Z/VQpG2daxYCPK4ktJA5GBJRKRJGWYiSTinfeIOaxjOIoZBfLfQjk2Q7ledntXUC2V1zHGS0c5h/dM9n6XyN6s3+wwW1S9EQGXHswL2GFtTuCXnWjxJL55/U/QCLqQa1+ASw15XWaQuFlw1lGPMhjL1Th84nsXg2eWqSCMFv4ReZE76Zn62oeh7kjrYJ3vZDPYl0drEJys0JJrhbr4LWiZksfNnhzgh3+hpU3Y0YS/Jl9TkCQtJMFks47ajqTgjUSp0dsXoQfXCsWTMJcjA239CW9Sg+KJR+LkPjH2RhTJBitdqyzEUGbzYt1vGInG7p5dqS4G9HK5gVAPYP5UoTYDk5gF0Ko0sMe/3lfHX5m5QYVMe2T6iOugmVj7BnKoh+cng2bU1z++hoHJeSiUh7gU7GX6bq8WQQ5j9VXySCayGWlGdS+QGujGQtXixOS9BSLR1v43ED2Pd2rBQaVM+JFLA4tFQqxrBOQYKlzOGzBn8SzsE1GbuYMLNBThMFOVLGP+4Js9Y9dVrxs/4t2hHp4Em0BE89Nwu8W1xTwedJTmRhWsgWDD6n7PT2jFx2KgsMmfdJ9bdWXxQJbxVk4pBcm8juOFlQWpqKec4OZu33sI8g2uMOxCg1sgycVYNWWY/1HV2Vz7orwGHQkBH1PxHKW9cp7pEjyFpHkSLfU+xcfxQA2OQ3npGOu/YLmMkAzVBaI0emjCsl7fVLUoQ9Zka4nQ9s9OGcOz2kEuDOOcGULeFH4olcn0kAaRGH5NUS/H0fdHO2J8mGhoePojFyl/8AHDl1Uj5TEewZDwn+nGSGR9x1hrv2l3/2sn3/usOAJUvhqQgYmWbuHUqVWWLR/GdoF0A5Ud6qj4iVxWLWoLRoqIYUNxo82fQrCg0sw9vDyy0phg3O0763S1H6WO2uURqC9rxJl58ZNQgsGb3WGxED3sy8vtElJBxLKoI8Dcx+AL+uy/Gr7Aq97Pk/m+Io1k1087/U82vhv35cfZm/YZK6paMYOKIw2XnUrLFZV+q3IpeI68j+uFsuBwgCSHI/Y3SX6+fSO64juNlpGJU0UCyXvEYVQ6xUtbB1m0MvGjePgBqCCwIS5aDLPZgVwLsD6dMwDTQvyZhA+HcPh/OHGe7Xdbw9vjSFCb8E+Zs56nqnSz+ojgwhzcutGcjmFZTwsIxuGPobkxx9U/xfKHUtAmr365E+whWR82KJEv3BCC31GHhpJ51v7bOFUkcZVeGA3MJ0lNoNllipZgkkgnBWu1EYDZ4ayCsv9tLgjEiq09JPqotreMdk780tdv8xaxDRnfUaDglEFxTdY+VKna6y8GaQAt7IV8TLiiLvy8SfWtlOhm0NyXH5XuxKnZUN9xTW/VM/cYMmPIny08NfT9wiCB0FbW20EDajCBCCTBh3caXTFqBJK5jKW5h6QpupCfpcY1P+S+++dJpRUNvUDouBX1QUZ8YlFmFkpB1bl+TjIeYYfEDOSVaK2ygp+VWASwf/UdKdcgvVdu12qsDF/48UGEpWM+XvykeDPs28ygpUz0H5O1RfM3bKLLZ8MVhnvvinal2fSIABE8Frtr+Ed+qoDA/01WzujRlYbLshzgG/gxDAqisfTeBIGyZHJxveEHnPymfr2CBBqY1l9fxiRR6i9f58ZvGnwTJOTFdJLJxhtulSAbsJFha4MeymhnlV5Nqg2em/nMpyVAku+UvsVzFHss3wx47+Vc7kbFq6rCVW0U1z/UfCAqyiK4l8wC8ct7Jtztrl50Z16DVmGSHMqJCzQRdBtw/wYSAp7kiOWofHp2lcoAlsUhBLVdIR7yQuObnXCSlo92gUcP1T3xLCirCd0X8zALh3gr+kzZjzHeU7jlYJ4xkjUhk+LywG+HZyaWJudNwHDaPKWGbtwhoK9ee6oKDz2NbkC5SLS+HDSM9hQMGU3TUnRjn1Y6t+Kp50gVghwJVWQvvDHqn63uE8y2ETsUErmOXYT+GK0l5VO5aj/0zbhAIeHX+9H+xG0oRkytlRj7+YY4xEs5FaEe5KRj49AfiJ8Mt/s7wIA10Y3J7CYich2f5gQi+t18MCnXc6Jp7NXf0S6Y8/WevmoD2NE54cRqIN7owxZWiHUVzDH0ld2nD20pGCJT1z6UBBveos5DP8vWE1U+F1QnNFq1VFEHHBJUfk4Y/MAe14+xx9tvTIYTvRg/wYAfOI6RMXzPH6yScoMtE4cmvqYWawuSAjEWzXcjc1KbbIaRZqRYxOcQlaNbCKardX7tQppO5RFiYBI5ixK4nHfgs/eerP8sIN39v+oFRUwk7NC8H/FXkmHh7H9yBo1GUzMAcUGx8KnPgHtUjmvHvDhYWZDPoapTDRGXIaq3m/O6n+Me4JeHkHc6qveNZkhc1rTm/P/8rTZemHcSmkpNVkqnJU/lKMpR+o9LAC23YREhXWiKNtz7gNpS6lv5Zb6OYc50jG5j2E3erwC0sWWsQVv1FHFuTII6m8j5tL7KRUnmg1/USJe5o9q/nrdXNDpQLG8EwTSYmQOeDUybogePWYaAzIuaN/+xwTCvsOsljeeekfFwAffbA2cxKwQvxm1BROzSPr2nL5KjkRTx52Wwb4AebLFXsxaV6W3V6rLgbAdMl1m4slnteyNAWA0HKcu1wyJGgwFSAl2lDvsWzA+5uo7Vzt4kAlgDabAakP4lv5d+0fW374YWwP/5NyHb9iPJ58T6nwzyirHNmvSvqG8sr2MLcWwrxjXx4k0wZ9wNap+Nva8TaZg+lgWB8JY/8Q+IpFSnTL/Wi0ksr5MpdbFVQ+0rbMj+YNXGaDY0vz61LApp4UJkojVGEBoI7L+pPnpqA1NFtxEejW4xsT7OKji+22QJuudvFgiaxBEJgdRoZNrWAbhBdeqEvpF4RKIxwztCay4oArGMSwo7hvHYP5XNrvZU4KlMu9h3MSXOfrkmsPQhYPuy/wHjtAkMO1yGRurW/bzTjdisUiEoMUeHZLz1VHxoYO81RZP8D+xO/Uz5ObPYlkLgLmVGwm4VRkqHsS0JrNU/CvlFZOAWsZ5bvB3d76BFiJH5E49F/S16n1qiQ3+dgVWK/fKmRYOjsGfl6bgeA03dX0FCVXkWu0hajUwHgT/g23SOnyAFVugezTbkuT16qkxpYvGVAD8QMwabRKWK1PiZsJUWXbxbqEigmY2Yvj1MBFDFKo08fnVbvNicDRQmN41/1f88/CbtjyryFYnInOYuuLoFmt/8l1+bbe+B4+XX+Ua9PBudUZ9xBDoQWpymsC1ymB9dm1KQ8Rjpi7qua02zXq7Sw+xFrsKmeYvgky24micyypTDDW3CTQ+sexhYWyFBZ8jhgYgWG0XaFUEG9QAhZQp4WMeCutVeUuhCf2uTFSoKxhhsvdVwpQ1MQj6CAqr4Ju0EjZFNOTvDtzs32C3lrCOusQFSdcuNcuWpMxBm4td+GMV5sv2wlT8FiXOA7T9oSgzqNaq4y/8BdbSLJ3RtZxUHSe8SpzGlghCvHQm7juDCo3kqrendf36st6pJjXVWZWR5pPh5spjWftICXK333qKbr6j6wKxrE4nJcaXho3tr0xELUaZfa3aqor2swUbOZVXkQH9p8R/X8/8FJcHAAxqZad/1+jQl8SE7fKIfKouZLP97JURCe6juLC/O2vYLERu9ufi0KHhITJan85rRr1JFE6rpVuqAgjUNZnyV4t0xvko3fTj1o5az6Xwoqhw0hv4Z3wepz86OnumJ5QaxWJxXd8ZIAX7crpAf5V5ogtFhCLLUNRrAJQDwx6vGd00I5udANjzCDJDrf2hK199ait6BJm92Xdj5r6QkBspoVkI9LnWc/fHRMkhEBa6MRz6q2iJC7nPrMmmLX+Zsv3YClWyyxAdu3uEMtvxZERzc7OiKgYFxuvmrn7laLWxZElEGy8joE9Mg0sGKbX33Y5s0rq6B0EyrSCnTsmE/fekoLzNeeCKnX/e2roZXw6RSESyzC5vrwIFBQJmqnU0s9ExhkuVIi4CpKdmnBnSmu3VJLrOSgA7NDgmsoghvtSeteSl10mm3On4UvuwCKVg+RxrGIT8l8AuvjRXg9NlfCkGL5esF2Mw2wpOPvqr9ByhKSWHO0bjD7zGCiEJMIyN/nWZeR0I3v1/j2iRMgaRpXaRK0HurcxDw7YkQLYq+IpPzMynzlLnkmcPAh6QwpqST16p0/s7CQeApg+MaCelM9t8TNgtjq9BM+HI4jgP/Qlbh8qvhwn30CYbbXPGBUveOCeEReXXY4agoIcRn55w0mHjFqj1Lc6C8skPUCWpx3A3Urqa26HUwE9YFf6XwHR+bAWC0GEAsYiAyvB6dHUXhNN+qaImBpEmFJQ8o6xWNfx7tqJgkZbPx922cW0cGOpnbm2dMzPa2QgQRGGQfZpVpRsnarhbzD68NszE1rT3uMFseXtjqpPOKWBvvAtCvQkwExM8xJdn5MjpgW/9l81r0hS4zF981hJ0yC7hP4UYNdpY7/ZcIOq3JJ46NpFfdZ8bZvu6k2zDiVRYOY9jfkRzV94V8vPa4WFSDgLhcTy5uc6gmqFmZ7wS0B2Yg0+C7Ks7NnY3giAXnb4LF7vIiB9EW9MncmxWc+fA+yxC8SP4vLxQsZ8QGcClT1xN9YItBX12qdCHlyx3IBeHA9HhCjgx35Dgyg1XCPwJmqneMm2qHEXevleAb2WDsvAp1a6YaBDujOzK48P5lWZjhWDdC9gXjKQ5qugC4Dpci7Z+2bM2st524M+5NrAJf0a42t9HupFHs6tEWurC0iXEM8H3qdWU7GNCTQMvu6MWKttpUQ1pGHKBbEAtV2FHpa262YE0IkGECg9ckLZZyja6ooyupUpOfBWODbKaqgtfTJyduRij5W150gskJUBhlfd009qy+Ida6rh7e/TM+2cm88W0ECjTQvUPHHf6unjxwkiBViBn3cst2k2I9WhCl6bv3BWKa851r4l6FgZf5xxTkpNQl2s8zjUAMXqsTtAnmL+8TPn+7Gd4qrd/VrLsTFqiMq+iz8SqJwYgyOyTK74xFBfVsfdumyvxvcIMYfTwdOeuPABUj4oFUlZvJ6cO3B9tnE7pzEF6wqBiLZZvb38WmGqvv52CYzycnKeDoKF8tOwn6RFJniF+Oyj1T+EE/s/2y3oNV3IRRt0ELJEtg4C74eyXYonnpacaWRuhCjtY8FBbKk/nYp2xCesT++Jr80dHzqSocoB6zanqQiG0upi/YNNNjEP0P0WRattAJ1f/d+hq7WMPtQjO7sjEKlbbTY3bQklFAFUsCX9OCRrEh6oOXfZbnDmF9R55sirJ+KDNnQhHskRmZBvo+GFBV+U5+FYrG0p/QCdsYYyCuCNqoZN/cYGrN11f4spXTRvT34KQo62W1EaZZqcX2g3DmJMDbIJ+0UJLHMYZI+9aaoCHEls25OItaqpXgGpN7uGXSpO3cplkslf2QMvdgl8sMtjvY45I4BrBYVHzbPh64+56cBqPiIdZgFa6l5NRsds62/KZNB2WlxmnxQLm8xLjhFaoN/BbX1W/W2KP+MvMsdUh4MY/1cuv/MF5c/tAcPZgCx7whTHtfXbQoV5RYYEsIuxdPfUUFopaU9iIIbIyZumiYcQ7Wj6AqU9ANgPP87gLPV7rgvG0aIKPUEFPFUxhSleEwBEjATe1g6D0xWHcZ5wDuK1NvZMqLUua7NL/72wgvQlXUQVwaUsjzbbW4ZeRjinF+eB9M7x95c3TG+jzuwYjv67nK3kEV+II3QMbNsh3QXRWYClUCdnpBL6dR4kvuU+3QYMBDoBHz1ka9GrEJuhng/88UaCLdqGWa0V66PKyk1dx4YQnfmV6ZRkcMwX6fW4XMx0JpNQ0uKc5UKh1XsYRtWaIJN6vLPHCYFu1qHL78XYnDxNeO4uRab1K/GpMYGcZoxf0WkyZ48WkI6cZNscdhsUShIbXINnRhaKAbmmq1Ezkz9SGiYL6+s/8+E2AedoIWmkTVCIMhPIOpjady3wdc6dxUyumXsQm3drGQBb6X3FsysQJi7sBXejFRtW0dHsHDuot6Z7MDQPzkklZiD+YIV09Ti0spKzALhAzXXGxokFr9juNOS29Ss2DEqa9ShJGFPO8EH77eDm3pbjWZS/tuo+FUv9IHg2v+vouxcX81q3gVSjNOdDDACw3EYT7+huDbu19K4n4q5lZgmngo/Do0Ut6dJnyuUaHDX0F9Nh1E+dqbuJtyM0vyV8ePp0QcmCnFtaADeEQVJzHi27qASoSK088qc9iIDj8K7JCnD46dhJam5hzR4nonAcmzb1L1C5oKNG5DvaJVNzjQGJM6gtExRi1QjkyphwmwI11bWn9XX3sPSIkfv96zHK/f497vZiAHuSiKZBhNEC7Gh5CiVS6cHNaoQjLfTgdDKMQ70VCUavoKaVC5lMbQyhIqhNp6RWMqmX5uFG4hgqceWAvzE3+lkLSQb2X5cr55CqVHyg4I+06/VUtzJmurX5pXKEUpquGayADlVPMfcehN67V7CIsM6M6IhDSYUV9uy7SBAfgfDV4C7xEKhyNfnGo31L936hIXAHz+dtPDLEMokC7QaAnFrbHOTzVk3oai97I+IzMiAmh9mq91iQYeuMO+rGZPAFqF25F+WUpKfH0fWWhV0FheW/htLX6mpm6L6YVyPEEY5ry73yeeFfY4uvEh9Kzji2Oq4M54QbegNKBL+qyDutGEJwBkgADLjbIAvouKtTgg5ES7ckcXzx4stTNo13r5SRSf+QPAs23H/iby3QwAzU6Sv3rKK6eQctt0w7BAxrfUyhQR5fErnUrVuxuagZGWrX0nMjD3hoB3iKaDUAkCJ7eA/aMWz4R1d5BgVpzVfb/x5PJCzGxk7lcpfRVxhJnVfkz+HrOyik8XVK2uWMXxiDc7QFhGDMbGX6KxmWZtNYxT9vuGTC/LoBeejoH8ggnRFg1e8Y7AR8nbjz51N1VEDl72Vrr7ysUeDpqF9DZaclnB4QEh2x5WqkEyRgwGlQZYLaslg+eIhLJhEUPE//EtZianPfr+8DWsLoNHlQBL9eLFxR2jkvsmdj/upEwdI7AKPsk5lQzC1goCIXV3X5yjhUbegQ3FhMuZbG//PZQLoE8GPikmokW0OR/QIqPFCKuxClPOacpgw1gTFRK/J8F1WfTReEPjD071ttvsyx9GVImS7NFSm34c+PT2bVHuKGjEDbjRbCUlS4Nzwjld2885uSjLzCel7k7+bxYbZz79apBEdjaBuvaqqUFRnpi24bEK442Z98wb/gG9eLf3ZRZN+6wKfaEAW2I2a04Jcn6OSirPNHvX4/uHsbVPMrc1PRuO7rb5Yr8v/Y0/+lH9B/WqIvo5DwarULnC+h69/Z7M0A0GPlJg2rK7ndo5L5MT6kKBD0Bim6wabRGgQ9+prEHBOzMEpbXFOqua+r0NIUK2Ya1l+CjsOW3gV3uwaAAIv8EPU6gq4bP++S1vIWdGAqzJniWjVT02kwN7J9BasXRv7KeEP8Cq2ITWKDLr0h+BpAI4Yw/KLQajRBuJMU4Z5QqTIihh9Stt4t8r65u7ueYKzjOLMRBeO4u5MD+qiskW0CVheNLOLTnjLty/ff1BtmJvZ6c/29BkUSfT5RVgHxwCOCTI2TqO9TIfLgK1NIZAy8ZH4FsZaDoTfvqiG5QwU6qBiPpEhH8uT0/xeoihHaYrZAz+ShWTtzFYo8ZHIo+fqQKsQLyl0KWj+PwgtsS1GY2X08V6jUdJKYlHoK/arK4cTcSC87aCpr2AFnV+wcZ2FSpAoaemBWs+ddLgyGfC+8C70H5VIRD+qX91Mn0GqiwysAQaCVarvWU6kkZnCPgTVNKTTb/9ShWE5hoDDnxCubQflIp7jSnH3p3FMQ9+0pIX+0uD6AbmmAc8tJGZs+YnB7h4IpKh0x4Y/8nNobj494yCAhdI1WOO11O+6Bh4eymBqYbFgcq66KX5lixM6TA0Js0bNKWVwN9wCmDffarkgMVqyZs0kK1syZ75OJgWiWRzRyl90vv00V7NaCFQ3W8JxjaUyxIDIb/e6JjH3aNHzGSP/ZztC9DWgBpM8HQtulCWcqnmsYjJKQS7k9pvZyROGLZnQmKWjpQ8FLqqHvqIXQqQHbHpIY5WILtoao6dLtULTPtquWMp6EAw08j70zA60GzAxHbasO0wWULee1yxkO8aCtPQP6w1NlmV0eUMX+GvR7Onk6sVejYlK30rvQLczB6pRO8DScw4POPfU9zwRGXWocmZAWAbfiIWPBIeocZ6Sur82bUp6O86nNKtIUayv3nszIfxCKt1ojWrJRVd3BW4GTUv9dyASHj+VCB7WB2SDUUB8Q2dB+6fL9n5x64OaHujXS/hfjH3JGS8E3genj3PWR4K2rdM17mV/msjqSv6WELD7SdI4hUIRQxe6esZbRJNHNb0y/3IX2MOP5tUrW7OjtFQDJctSu7KJEM41w1mGC5MjZ3Q2YFiqCmV89HXfr/4WbQbJ5t3/Now0HqZqIps3dhsBhsQYZ08FLB7mfd6hQQSvmwCLite9c3UEW6tyRpRIpIWRmRX1gWF6bLm9TrJ+SR23qxmb4vQSJzAPrRsN1qrG4Jr1S4HxKRUnw9SeZ36+SKxyMDilNy7Mh1QFJFPQiXmYZo2+Ofeo+bOeXVTUfSznQlp2ESfq+IdXJN8y5tizw9or7gTGCud+wgJD58xpfoRwfS5G8WQG6cxlZADQxJI6yIAMo0qYcnZUhLbYsQQ0MJPIBFzb3p7HR1k1M8C0vL8BEqjvuoPQcox7sO88QsOnBvbs0fn2v3LeqJkN68QDaSnmbFAp6je3O1RXpw1xUu1Nw+GCjErA/FqDUFtxobBqy1QhsS8e5eedFyWYCcZnVvfEDxvP8maO/LmL3+1BhmS5dke783FOn1ayk9jE54XwVEI9pwFSxrRNL9k3jH9urAQAp/xm7fOVds/EmceQL9A7EHt8cabgYc6oqCN4R7/VT2Q6QXPb/tBX6oP48wIGPX1g67F4Oun1uuk4fqLhC3Hf+lhwh3TxfedBRBeaFblhnW91L0E3AKFC/vOr5uhZxnNc5kRWVOR2Lih7OfL7VqgrkgPcqTxvMPdNWZpwG6+78K1C8zPxXyqaqa6/yOulVpLXubpD+6N/ac3ZcF/jtU8w9hHmSfkJnraaVYVXjtdrSTza2HRjqd4D2kTo5eO15mnMwm3BTqc2HNIuwaFsV2Z/Pt3v+CnrOWzA5YCajvbJdZ8l5nCcyHx6dF/JcfYrOkl8dHlTnWwTQd9NrMUxEM2rV2K8jN7diA0yV92dRE4XNnmAZwYQTlLFRYEngaFhmcvQriP8+9thj16dK5R3BsuvyroliqfZNsgOV+4707A3KycnujJ7rA3EuwtNmVtXHk2YoJ8aBaHc8q5o7t/tAyf+YNjVWkehVj8a9a985QQtwL5sdF0zSXxHgGxZdWGnbNdlZPKsFOFbMQ52U/dJOV9PMJUWod6JzyX63YH0IVER5N0+mkBbIBERg2vspFAxXM5RgYQ1OdkuTIo6TSJeo3E0/ddkWILY+JLCGOtSIwzIzRlopJux+GGsnYuxTQphhLPot7QsEbCasKpYdb44Ufq+mAvCRpiWzzwXABta8SJmi+A9l0kir1a4wlMldG8+VENhV8eCFUQmE0r4JcJZYTyW5OwQdEeMSod5SVE1bMfsadozktqJ7LJm1FDNmlglu3qdBmSKXsJnu2L7PyTVntBtL7ID5akxSMh8+l3IGgXN74GlIGP+9UqeefX1Bf85qVmfBRIPFrKFOjU/oNUUAT4IZWXp+cvUGrOl5IjHD9NY7cZppFf7CGMeRp/ooqDpxPfKY//TfbC5GjGW0mL96RiLFJGb/Baoh9guEwR4x2ATlQHqYzJl2289IKqBXjrph2/GMsA4GzzKPvQ0HcVJmUvCH/yjbWfwKk87JfEpVjOyLDwOGGiaQf/9anJ4x2+NaRAi7AMcqQX/5LvErpwClO6jBjLz4GenkWLgZgtsukSXiSo+aDzkHg7W9/OF8cutj01S3hfqykqHyNIX1cBU9lY7SuQK4dDbvDzdhhliJ4xYDUlz9OAUksgImdOsskC8JR/MoMRFt6JYYGsaQ49deFyQkHPyEKo6c+YQKz0xNjv2Ss+39fvlWIWsfFJrs9RVn9aRcEgEpZWzspFQAl6Qxea8PiWBCRwvaR93Gg5YaqkGx4nwynWuqu0Z/rb5OukVa2vWfubholU04Fi6nhlCdHuzjzAXDxYvlKsbXXJ5osevcP73jvGp7C2S1WGEDAWSjy9/8PeZ008Fdw04VhvQw8yoRT3xZIBizTrUF6jxVDLqcUMUvXzbZ1LdZnY5JEi8yRg3NMU43pd80QDm6XXULEjj1rnd3vzUWf5UbdffLc54isW474yuzuOSv4fJpr1MBiCc9Ie9gG7fasjDJoosQstRfBqxAoicnuZzMKPSc4t14tWUhntYS9hf4ugaR+52VPInCug2BDgog0TIOj2EUU3pqKpOkYWJbU4WWaUkkkNh10bNyJvB17kK0gfaZ7Mj5+OLZAEFDmd+ZrubuxLJAz+xQte1R716wjm8ln5ROPvIEr82bNYUsCetb8b20RHKfk4ShbM8bo930+yZL5o4OsEBBA4xdWzhsOc6+XNjMj/WF6yu3F/R9hpw7uWM6xOceKdN0SFAqv2dcP/qwrnydwrXieHnFX40YyOdXALU5gWYR22i5Akb1oEJzSg5q2mF3tVLD+9plmFrpNMIh5L5Jwger0Ap2AZGo3q3Wsf/9TG53s9Yv55T5miTEqAIN2Phw1weFgEaDwdZzn53A83EHeuMP8os4h0PAfAH0YSspLm3h/MRs/bvplqRjaQsNeL/E3wN9Dn/BxPENM1KWmsgRs0UHf58GWPTEtqUAmZGDVvSPP/Osp4TOv/zVwLm3BXDPSEizsr2jjw3b66lKIQDWctdMFB5aYduQTM1quLwqlcKR/9GcEjVTIOg5/eFktzfcQ2SiqBatF8lbSQGuuw6XQSqyiaOEOg9JBqLoopRn9DzRLYUo38Z/IpgSt0jdV4ruB0vaEQQ7tCPmekjM+a0ISROskGSxVAtvhcokqCeY08i6uxTqzD9LjEvOTENY/9cqjZmZ8g2f2y4uxdAmj0lM1kmfw3VFdFekA54fOa+pLqRanpWj++DBp8N6DCLueTLDhLa+octL1Pe4fEE6Hlb/eXO93hvSshRcbXVoKFNn6y7koCwvEdgirtHXia9PuTQymcJE2U4G/cO9tmIIL7lNNxpzS8Q+HhiRbRuDNCg7eJYFDroNgoCwlPvqQ6JBDktaO788lRghUV2ZhHSBdOYQcB1uYZkoGR4z5EGC4ze8tFfIvM97k5baOhHPnEzigagjoahV8l0epKuHzODnOSNsIkrj4rVn4rtuLwAF0zAcirFXK8D6L/qeEZdjxIqABkyilaG9W3MGQr3KI1v6AdqrK6XXph1h2Lq1SbRofnfV/U+ZAX/wkBIvv3pJmD4YSwFm/VPnO4WE5Di4E/g7NV5dV2dObUOwA7G3ea5phuqkNxRKeY96sgTNaZBhSQk0qMOaKeiK3W9ei/D5kztaIwu64S/5gJ4lzoFvaQwlIDfnu9p+wOOrl8vXwAyl8mK9hQDnCsHZ8Js+qhKa6A+bFf9PV4DG5h575lvR+uAny/piuAWyQq8i1aM0yiKooU8jnY7zL2Iw1ZKrg54jWtarbt0Zj2MEeb68ErPR4UWKWu/6HvxKtgya8c6LeNsy5lCzT1Bk595lA0wQ0zpfqUAWL4pmKW46Hul/mYpbGTUJzHQ3nzj6HFt4rFezepJ6LAykQmYFyAWbizCu5V6OOIhMbr1ZjETThV9wWdMxr99iUJs9kWeV6q3Jhce6ve4AOKVjFQ9BuXs3GRAZO7Tmbs8i5fU1B2YrbFwUdDHGuG2oTMRZ4ebMKPlKInDpfX83az5B2eNVfRqI2LhkyRWbEznUDVyGogANF/Lr5uAEstmlzWI7ir0L7q83M/9LFKC3PoFPZBg4mfftK0X60+cWE4NL26Xyzk76/zSmP6JWAbS8MaKjv+t3+4qgOfhGRZTKgK1ESwyPFx+quMMOoBiQFWYO/sfub+7FfZP9CojQGNGVzKAgyrtUTotjvra3Yp9VS8jWCzMseSZXZT/BaDBQ0oSaZm+YNJNY/iZzF1mvzRoskr26NGdz5RROU9TdgVyNfasLO5PX/YvgtLlEtqXK5rnehCa/MtzvGkjgy8Ax6m8AFhgaDiJXY7FlNtG3CQIFCQnEFCZS6D2tpOK/7NQXUtKRA/eM7zjlSvH36SyvrGjuEQbFCCneowXwrBL6DlTf87u3sUsmkDcB9PdGjrFP6xkxa6ISs9d83U8/X7spxPCaFPTV+VvOL2ULmqxyA/Lp28M2VOKI62MDKqLi3BdgTo3LOCIoxrhbDHEC5yK+ilF9oTjEXyk0vVALvqnQ3eu2mQyvyhxmmyxBWgkHT/xE0ta471lE7XGqBNfvXeh2RiW7+eihLYWnwQsR7RNY9MLfE3CmE5wCWEKNUmxPjr1CVOM1BXuI/hrIm5vOyeVknYr+pDhU/Phi/9v5ImPMal9RyaQ2SN6lol8lQANiwH5+MqI6TJpsWjkoUB4HufwbWZ3Glt0DIRi1aA9LtEtK+lzFV/5nB0wId47yUy2DQghmEb4qgmQpNQhmf09PGs2yLQG0GK4SkWHXC8NQPPgepd0NJ6H/SC7oCZc8qZW90xN2Rd7u+8DkLWmA8kuiXx/4teyM0vGaGhfh7T0E/l/u/biF7s6BHnQA3lGBX7/6yGNDb3AVPc5X8SC+05CqXZwoa23YCJ2Gu2JvVMWvvZqd3N7g/0dvOTTwuNxzq5whgVJiEX3l5N5U5dnptHg6cKJEnnVdZgi9zwW4VF3oyjcE/4xAIUXna1+d2N425MkEoMhf86hZf5ZXNOZO37bS+SA0eILxzIMOrCsgygwoE6dDWe8Tq9Lj4CmMSDXvfAakk2ssY4CBrLvxPnu4Pfb5/F8c30TJrPMWii7IjNyReRKUdfwjCtikmn0jXglpdI1MDiUjlxhVUhtiG7tfth1UQDz2Dx0JTOAqWjy9Y0/SZeYOt9cK5+VOU6h77jd/6VbphSiE2JlSeKDT8swbFkn4i5r6iyG6dw0qUeZOm63GjUrHMVo+rzUPOZpjzvvYqRaKSKYYePRcAr9JkHL9rya9MEZVRSO/goxD2ISE/Fgwpvg9LyQfxvWhYCo6fVO3iPeWt8LFtlfn2Brf0isSLEGEz0dVCevVDnLjvKlllgHAqvu1rOB/94yEX0+ZrfuLWfKyr0ReUDD774aaSl4ypwKkYUoKaG7iebMnLatBwcLU1dCtwitPfSImuRa2CD+rkTbN7UneMafCzghleso0gptbqxQaPIwPMHIgXYDW50c5aCcY4nTXxUtMQG/4SgrxfSbpgSkzy1ZpnCo7UukHGq7kcdCeODQG9Fu8Wo38BCWijCf0hki5GtUb+1CfOwSVNC9JpnBNGMjyNhAaftCC81lkc7ejwzlUvrJ4fhmaFKSZRnLjDVsWuKHcWXlCwXvFnX0mUnyWBsf523qV5ngSwKy/utWu3+FSsreADOxzPgtzA5l5Cjlud87XYpCOQCuxMldDDuvQTxJecwVuXgFUwpgBK/izDtMoC/kN46QV237LTRBBqszUAtqfuzOzR4QM+njG/cu9xJ0UkIPhxYN87PFJNhudtNqBHNKJFYv07R7CnG7+sEOcJJqfxGeA9j8/LnLdo1pZ41591cvVdYaHE64jViug3zxSGK8MUH02HANz30d7QmTbjqphK7HCQDTBNNPlfRFM9OCSQOETaIUeAK134xGeIhfGyKyNHrjHCfAHwtBi30wAm9gjcDVasl5KRAJna+jBddDt7sczf685hIX7UMk6m2pkCWmBjp5Mg9WcyR4G8IJIGimYWftOGjrUT2e6nobdcFKjIiL3w+Hexoee5EJZNCAIxiDm6Np7Of3myZiodvc5vyfkSnLn/E7UB773LxDLXiRu8dab448WhmJ+130izzV1usw+44irZ+t4+RAXkSOUfiXnxmMF1MCdLWt1MPYWQOy7YW0sM2y8XKFUJtL1fQYDftF0kQowN45gabbBE5cykPxAYzOGmA3ySbj5bCbMkXHmrathFUhPX1jcap/lswUhExW7F9zvGIU/KZYbD/MXKQrva9Qm8Sj0PQCKPCm5kPmErdVBcCYcKS6FMN3d76yPVyY/GpBBXYfkj2NX3yYRbl9U0gSLC/05PD8DCqfJ3bCVWhQJ+IrNw3Na29C4j8uC7KaCdTrx0inwsZDI26ycvgK5+TyIfJHR+eALrtqMjKQKDfjz5QmxstyoswPkJIpakjbD/yCKEq41VMXJIRnZ2S3D44DF7xvJBvvDnhwqwXXib051GvxgUxQAmhbd1ecVJ7263J4BINiZ1Gfgw4wgmUpQJxsYmlfmqsTfaZk63W/0SQU55tvTS4fH2ETq7ulEDQXoWyGXfW9ckoObQ/WHO9d9FL1irCguHfSuM4HnrdwwBbL2L65Yyfv6sRb5cUs/ZJLl1UKWbmh9egvhmHeQ4oIWEvj8mS+FdRj9rnIrcy2W0GWkphYDG3621TeOWGPqS03xUQ3uYS8Nw9jFAPEhF+/34lZBxOE3thsIupTXvKaaKUOhxTRfei9iy97hz/nEom5yQePrbR0dl6+J/zP5gi8ZjinJ0PKcuh/VIDkDsAy3u7uePN3dShZ2tee78A41zMAbfPDK2JYMlRDaYM4U2qXRaYzwmNj6LgFy7CS4mp110DKmsfpyo4vlihq4ETPeTuQenHb5f5QYn4PG64UlUtaILJOXx5FH7zAzCRZDdddoXmSp4kLbQ6QgA7Muc4V7suPAiDjvF/70B4ijetELud6KANEfEMOy/+qcjRiL8bedvB2cm/Vrgy8NNFcE25KjamAkuS3bPSRomOiPQQO3EQVHE+NfsXbYeGI5dWn+tw1sKLIwLszITW5rX6s3SdIEQXC8rjEYZd64I2aCr1O29vYt1YY6qiZHYQQeUC+LJ9S5SUv9k7h9H6EcLUbzGyuMRxq45Q8OlDxSCxnxcev2gth36dL6XcBP/EGol2uT9gV454ivFSM/sZKrxFm3XcZipXsYV+7m7DRuCGCOjGx5c/iQb3bzDy3FBPg1PiaoxgDtuqHzcwVmYSXQUR3TjtUSZaj8Rq8om15Mvfry3hpmLOL9nUrT5KQjQAfQiVgF2GaszWXM+TXE9JXw5zmdaPvcg6zICsnwAY0LghxK4SeXw7OpmcecN5HytVKh13KWqEb3FXXi3KhDFhau4m9cUJCIWrgFAhvHLazAWHrbAknWwvDwkBdOiGoSD7v8OLer+v9HV6tYzWjyooEKKfbfM3G5qdjF1IiV47qKlJ2iN+xsz7hrfig3R5B26WCQTExfCV9f9aNe+QoO0NjefDHe9yLUfsswGbLV/mGTXR9V1Q10SKrONIQyROadfc8raJ0JbQr4MCZJTBgqLe1r79z0iLUsJOJ3Nc99Zc7prE+LehKxDrm7SB1ltIXurP11Esjty3stDlrCoyIBwSa5edfu0usQXsl/Qu/D9zuKGmzrAf62YqpNsltUHLVXSgFQ42vQr5mdRyEvnUvxD8YkPcPr51bAXJbVQcO3WS8o1as0JxgrieCAMqoyAEg4MZVQ1bWJ4VYEAiaHJQsC1s7q7tbDNprdEpZqw8iVyWXo1QJ0O1hrRXDLKNk/NAUmLYz6A2eGYvRSuBkMlirO1mMSM7a5eWQS1hwB/mGt4GL7CU1iedMJ+4qbkuYS0pprXmrqmt7Jk9Wi8JwdK7ALFR881zM4VF87ZJPK6AxmTmandIBm224nOYV6E6WhjF5WUgV9sEy3mCGs+560SAdPgubBZBa/cVWh1/s8JOOBgzpMEH7ejJT9Er0tZrol7YrnVxgMNCE8yrjWrbjgGKe7lhBIXQohi1B17xy3PBT7RmMvyzoqSNR5rXAIfZf2luOJDuH1yQUbGiv1ImGCrg1EEwloDAH5nCQfjGEqFFveQaZKFuO4uigIVER6pVg8cvbBcjWVPF6NKx/BjKNFWKwd3kew338by+Q+1/25x58UC81Dw8OEphBcaY9DLhUlEYPeCq3zPny7U/mAy6hfHA8s4GA5i+REPg9NEDqQXBJQy1xhzYwfB0ZFIDz0gwj2a3Zj+33gbSmSmGpImU1RefHXxctiFpTvWNnYWMew2LYUWwE4vAV5tM4qoqBEETqa2VSt0snHQipf96xIh9QuBoQ19hYaFDq2sPXqWNbhgR/T7S93TQU4AzAe8SZ4aS4DV+o/f16E0dmoiP6jj7r3FMstjk+z+Q3JEk+pLyi9ZKZAupAqUvgwmUrS1Ty0Dq5EARzdJiKoBn5s32UtjrHfnABi/RlXMYtCyHWyrcCgS01U3B8UxMxm9X3Hw4EdEBYkcoBFQeGYKJweMfzJGNx2/JbUvseF98/geTqB9E1b9IJU2JA0PAA+QPiR1mMNxhAWc72V7QN0mwN7zW3BWdbRtchFt5qW9AbPU6u9KBLWc63W3JmfaBk5hYobRNuBKdZ57HmMj/7uRUfGG2rG9zKfaz5NvxZxlFtxbu9H1x5W5VijjvUMTw/4eaHRxeAkt1jyFwDrl3sFv7yFJE2LoFoxZPRiY1qHVNi9BGIGzuFJzVBj4eLfW7hJWcHawEKN9lYoAnxDnpuILutiX5wrR+FhohDL9L7puURQXH954/qjjAUvvgAuA1arbH+q1Mze26CubhpunwYwF2usf9sPvYih0/0ERivRplNxLoShkLuUypVfjy05D9oQ+2h9WJvAacR3T38pr4ccjxNkkBg5vm8XI7vOJ2e1rtyAKdGMQz+zm3bpQ9cpUCcoY/vBNPVMeHq+M/85Dzc4DO3fc4QLL4TDOhDQRkwVhmcMGTKnjZZiNl+fBqXbcOJltbEJ3Zu0ETNMJI3hftNYQHIIEb7/Yln8G4p0hDE4RwwJ22cLUCv8LVRXe+6K8OPHyclWVEJXu5QRGobe3mZlO9uzzponuwHfLqluOFgst4Zd0W6hYJCyoxGAWtPIsZyBp8Bi1i9mQbk8gaLXU3ZHxki0zcikCdQn8vbbqnmdMByUbaYyP1Ivtb/unYn5SuxiJVD6Gcdvcmr/XZMFlg2m7q3SnvN9zF1onCblaGlm/X6YXLmutQQXl8soVEKrBcbXw8OdC3uAD0r92BWU4bIlDfilCgIJLNykVo7Qf1gVakhPzFT3AYFdZdJh5qmeSaM1RRF90OZz6wSeCeeb2kKmb3Gr4VS4ZqXC5NmC0XTxXQMA0cCkKB5nK0XPRv6di6Pbud3fWaUK0PMOymowfk+RLWoNEoLwgO1TLC7VKX6mGMBJKCDTzIt+uOIg4anQflHJ6kXxXXVFKQNo7syjC5LyddXghZ8KBtvKnfP730QYGzzDfVrctzl2fhSuG47ydi68Gva3yEnK6d0Wlov87PC+3sS86GziUIujyJYVKyjS80AjahhwPI9D4QbiWoQOKipksanK+4pDzwBRGnZalUqiwqaVY4/bu331rP8mhpt4Nx+qSDVm/l2et1+a74LbtaWBjq5RAj5Q1nqP3VXsUwTYeFdjpC42BXKLa/AacSGp0/MmhX2DgT7YQuJNjffdXgPnxEITTZBe9ALY/z10MczmOXyYn3CLMEl2M/HxswmQdWvjKjGEgIsK+PFYWu8KYqDPFzcj1OST8yOWhG7o34xhxA7r+uHmAQwT/2Pu8xj6Y62N0uEnUo6ZXTrWsX+7HBxUiMhzjBm73lJ7j/lq/pXFeZH/Xc3MHp5FQ7uAAa0vfuHzrp9ugpDU3BnvG0GmBNCZnfphVzCaFvlkWUFHv2UVJfgYJMQoa00JMdbQQKHF3ws2p8ppciIa9JdifBmmO2EbmtdO+e/Jl/WEAr7mBN86D/VKURFloDuQ7sq77i97o/82ixRpBOXuKyj6V6xs+X41tXaPpAiC7joCjcPqM6tUfYXhG2ZlPbudWoGzRNlwrxq8y7bOcmEaumaLW0a6QV4xSoHMF57yFddqgitymrTLu4vq1Ai/ZvmtqpU5cwvcKKTFdeKuLm9SOiklg8oGOOwEkOOfe3lqOqN19Nw/B2BNyrxf7FYLhQubIl8sBw4uf8imuZIoV6/iKJBEiDLoC5RDRHzahta9i9zxqBcYe7/7Hn3troqLvpu2i7xy7oaFm4SG1q3psPCc5BV7qNfxe19OMxGaQTXMQEjt67ffdSjFbeWjj9mKBOjMFBcIiEJ3TobPR4IxRqtL3Esl9hXAJsM3VHk8T5wQVMo72JSigZvFcEF7efGx4kN0DhvcH+pqWwgvtxFqjgpw6bTA1/9VPXToBfS2fiIlbkSo5MNBirWyOHn4soCd1Cg0oSqj3QaegARKX5NF5IakWf+ps1H2HRV0IzlU7mfBtEzP4YG/EO2kjIFsCIHhR7IsuYvrkWAjSvG8vQ7WO1ib/SylpzWabB/FFFB2AjEKLMFqPi5u2muUiuS6dr8vp9Z6BPWUDH1FWHX2VNR7ImHxxCRr4YcKSoKfOjho5DLuhU8Pn5PsHXJOtBkdt1/7SQ3602GX2ek93J/inhU4QSszoMb9LQpe3rbh/M64gBC9qOqQoR/WssbnLLCyVfZ1BAB2UHB8u6bHOLyb7pOV203dbkrmCHiyttxYewraKpEh3xf6ChsygrE4lhwisuDUxUME0b+NU0ofWGpeR6HXsXghUoHG8D6EEGSlLkapz7+Kvc9ozda9YlX77so9tD6pubc+ZWwyC5PAbpz1Fv4o21T2XvQxEbexrJ8HlkizCRWok5ViZVweWvJR8yJJ4OTnwzDJ3vqP/CZUlVLykBq54P7Ny6GcNbMwO6hBD7P9k1UjXfTVcH2f7EojCzJWi/rTms6Ypwxh+BMil93w2DfEQkjrLH5Dmg+9s1hukMbqfN334q75Po3m8xOYmx6CGHZ09aifmBGMY+wT0vKvuhg4xc+uRwTlyqkItmryUlFKISR0YlBf+VZKH2V+CFKM/+1IhP5JgpDc2sql9+s59X64EYuI+8V5qCgm0dmrkpVeR09G9L6ycqNeBHsiYNvIM6l+xSKOP3KS4M5bieKm7rU0vmtaIiVqlUF5K5k+YRPkv/bgOpRrXgyM70o1jsQNuQykmRC8ZtO9mpJMpYs/4EtRvBHR1ipjgh/oepzT4qGb33ISThVX9EI5GTKBkBpJgqm5UEbspH3y6eB9I4RZ4QrUUuT0baHH5YUoxBKO6NmsD/+acTihP+hN9ZaQtl69okGU1lN4gJLF4dqurwabgwTQfSPpBjhstn5CaxVP6+B9tFQ694ONOnvaaKo5x4CtECKsZtyFwBzlYAXoxGBsE5kGR6I3st6xwovyLR1yU9J57ZdFyUgMrewGRnxgd7Jgait3ozrmeQTAlh+2/+Y1LxJX/38DrmoEoCyit08pu/hej7fVfV9FuWFQmaZPBLQjc0mUTRCTd1J0cBNdxOHXkcyoCKaWncTpHDuU+wyj/NOa4LqWz6KrkkLU5Idf3NBYsK+4u8wdTfdvEX7uM6dL/0m5W+CD1IQgo61o1W76TLjrXppL9qxQ6u3KgoY+AsqxdbsTj3ETQC3CXuTGpXomCgvxFkrRxgt4fUhGWAEWbUrcM3oeBii8ZHUyvbm8kWiJN1umGq8Ex9nRfjfyCuS/hE52NNCcHieMkI+QZCZc2LZ/nrHp3A7RXtSoV+AuMrt0V+aILXGvjy0qhcvsJoyEbUq8QoivyvHtbbJ5hcj3/HAptxGHV5N0y/0uJsq6G16UoqwE/D5mKV2jHWv5/CmdvzJp/j/yyEQwwXoLp2E2orgVryqyt1+7zCBOBTZOV7S+8HGjlyeVG/irQy3C1HpnE5LES3uPODSLJuQXH+yCcxREFzFDufuLGO+bw4purx5MQhF2vxHfeqK93+6FGBzZ2jCRdH1M+M1tbcNCUvTvve09IIpCSmwHb24eNGI+34uMiOWSHOguhWf+MJOCQg7o/8HFV62P1H7T2AduUkyvjsslHgp2mhs/gupw9ZDCaGUsyfh/NDxL9UQ6rVZQyvtNIQLmHxSViRkhnXFWmy9CSa04eP+Wa9BfKXlgcecO4aEUQwJDJOXl96FdhRrnTe5i9u9qiboQ3KXhWvB5623Vx6x/HtQdzl0MUAe3p6Sc8WFNjwOPoZMWB3jBGiqAvsiMa9rwOCdJJ1K5L2siJivORBsHMuMnZdrFKVOiq2GVyFFCN0YlPph43nsUZMqkqO4s5egB5JnNqhyujCu9R8l43iLBj2U7KMbZ9FTu86IIxbnX0iBl4eN3hW00X/NQc7p13aIO5EsIPqP7aB54Ia/nMKmQt15YhxiZW4QlKJlX4qkxh6RxJUc5hM2FLwlanoT0Www+FkSDg76rJr8lYj+rB+x69XFy4CfTOKxv8NWOQLlhY8Q1pjhNEcDiWBlaolB92LoWNBVkORSs7WOuxSg9d7J4etUGeZHkYkmpNpHQvV8KNtGAPO46+Pn5yAXlyXnU5+6NvUiqR3VTn+qL2RxZ3n0xfNoVmJw+5qn6S3BIbbzNhwTy1s/mtBaIxuTCUoWchc8aWmMrDmL/K8+lhAgjszVWNTv8TKOKV/q9AO7PKLbNFwpa+db1XFppKUzJrsz0wqNry93jmG5Y8TeVArnyb/43whwdWuUnQMp5hPnZYm54oI4VNhDj8OOInrMI7P4V9GxquvusV/ZdcEKnmMXEEqUpRSV+sEgYgBB5k7yDuP4JkUJV6dFCDb2EwllDCTwPYGtFU8mdffFK0Jt53lBFtp1fNPkerO4N9ny9751hULV4dq3to4d4Ip6MLxTgXKSYMZybGNm3CIdrKYHhfpxSWtUbydnYeEvgGW/z5+iw1dHvA5djpnNcz/xnoIMPJw40JeR32fFdodA9LBqbVnGFBtmEfrYAr//uULCA7jIHE+fg+635pg9jqB7ao6iQp3tuZD04BTm4wfRFu6GD4foiZYHwdHUBCGvRPQMm/bk2IN4XliCJ/b+4Q4eleifpzp5HOPpCUFxdpd5Rhpjs03SyuhXE/+Ff8SqJxsRWzU/qRIbbyagNYPOxHx4nafttD4UnuqyiAdxZk+5eIL6kR1jck0gDjy/Jyg/bHe3z8EOd5SwvNlC0kHweTn3YW6zUpErjWciJMueysHuaT2Fv7ewCZBIs5z3gV90eilIKW1uBe0+IOAVq4hqCMO5Iz7siE+pW+4FLO6Lkkc7oUDXDENdPegBehEBMS/8AJoo5deX5/l7QWYcKkxLbIENZgnJKgIN5ZSrUO/3NmNYoLEOn7aGl+q0krk9OOD2RiZubPKAzeG8TOrU7ayGa6IVekRL62Rm78J3tp0a4oA0JsvAFG3hAawHgwyFMSTZ7dpUEWLm2DgS/oXrLxNVsVU8rhvqwwdnp/kIvtPn4vXIrJIkYToFP+fBOe4wzeeVhuRJHHNCQbHhZLzbLIOGUSFRBohSukEllZjt8wtW2zQMKCPGT4dgugbSkQZ/V1JGosJcX1SCna6s0pd3aADmrxnSTS4iOPITcmH5gqzkKsh8UYC+Gkr3uF/4MGpCBorsYOvBZsHXn6yLlgSc+iE4QxgtKTEIlDSWUfgm6/gAX2hHe5VcPCgsMmEjnNN27NwoDCvRo4KQP6eo9Fv9JPboE6cPTq7e4x8sdWslxTLaSxhhVWO6yc/8UqMbJ0oEHv9ZR4YtxobKwDpIsOd5nh1nuN/lnweGpYhq9c5uyw1ow9o6VF8eoNm2tzkgzQ+0PQ2P/SPK127s++JZ5hiR7JWuwwo1EpMf0HDUcVheRIaeIiLcazi3f75gQYZMJmgjX0OOr2X3neBjbSDAkdIfpaB9VSHEx/2PWOfzjs9yWYg/Tnzvc3lAz19Z6xk5EwDVgvQXQs9ug141nl+ZkAMCt3Y72+HWhXXNggOIUdrQqg6N/jJW41CxQRICHhAlGlb2miyG0HPpNV6lseOBBsN6rJrWHV/CeZJK5Qewrqe60nWhXlMAul31ZRtHjQeYdBMUXarWgu6u+gFLaaYaxTSjMbAxTR1rwEt41w0aJvcTPvxWwv27yTCBpLUzdCgVzVCS6th8dX1PcDAwYdNc6dUe6tD67bGxmvvXaP7PJgjge5dpZG/frjR+kMWVwiNVzlKHpacf4BMWPU9qmPfj/jhKCnte93Sihybnim1l8Sep6t8VyXVlCs8cSCzsbUYrWwqgiOcAkywTxcjpyCKmZHe+RUPQECttzWm+LpHmg5XjIdmZtDd4c7eHIHCztpJ38qrJrdFCkKMS3AzQeHXVBaD5n4vaDqTo51V/YcafpMPqCU+3nl+nVRFkTXlDhg6GplPky7pLHIWdBliUKXsUbQQnaTy/m0SGSP2Dnbanp5V4bsAZ+JVj0B65MwZ51DgWJK+Fzx+XP/iojV2iAkKxpQgFqZRQRXnVSqORU07KV9a2kYXO19Jq4esHBZC4yreXFA4PziXOyBrwUDDIhiVmAX99lCvzBHNnZKoSbxU5LRxBivL40DgCBfXfAxhKILZ2XZxf9Xp3Tjp9m5za3eRihZ5uh/IRlV2iuImnx8SJieVtI2EBv9vr+9WH3Ej+OVy6+lQ5KoO9mbc+G+uI5OWjANf1xMKmHBYZ1KdPNcfYoI0rV14odf2h5hhQ4EEsWnO4RaDtvnMQ7XWxQPrRf7mGl5gun6EGsJ7AG15UgiorHDzPKkiJT5SqPVYfuP7aChETELF9T8JWuIJBYr1ARhRRWIYhA+DBLBoKzvuEiQHeheW7kQ58qDEaNxnfeS0w2midz2B0iEolOFVxAABev8j9lWX8nPL9n6+mDw+NAzYHAdLqja40eOAekxTgVnuNUNobmqd2tm4yySj5OqOXPqUr4XMFD0eOpcoTak+RIvBYfUApaBwM8F0JsbvRbqfmRXecF4RsoS4rcO47pQ9hDQa1yiHdsgrpW+SROsUpOTbUeytMaQXacpZnkAF5rUbmvSV2ro1jdGOQNoLX9v5SzPWP+n8YGn85MW/8TPqhUzOxfEBUa8sScmvEl4npQAVgQDOaxVD8NfT7CDa8FpxQCyg4yWAqPehxyKtXFOk0udQn24txEMDi5M96hq0dWZc3CEPIZeTI0iI8cdyiYeIx6ZEark06TKptCHMJMp0ScU3X3RnDKNCg9T6vNPI0jrQxk0zhjwBj2ews0IoBCm9so234QJWlCBVUetZ34Ln1xLEsanr3frTL2cVmVWGFWeQPqEt/a1kUgnNX+xljKvlsX0eTIbg2AFPS4Crp3wxLdESJDWO/4BUrLwDCOq7+WZMuvHBxm6VD1plpqtoNU41cFxJCzlpnhHv/YjhnTFI3xnlUHgctoGDyZegMW85I1FubDeQ+cUDnZdpYO30ktYD+VoOOG+RJ1OBCEDl730laLbNx7HtkBZbdO6I94tf1gA9UL3gga4tlFf2Jt4SIQjzxOlca35pGGduzPCRhWg9O300riHDPDXpr7+OzHso5qu1ekytbJ2e8S3FTT7qW3dt5W+2jXaSe0TKV33Mp/M3yHxCzW//RC+mwyBci6j0OzWKDjE3HUrQR1ulr15iRihfB/EsjG7Gu2K+tXbvja/TidSQZ9zzqQfgKJ1ZND1NRKfgYi7FYLUz4m9aThP2RcGQIOLWxojitIAVMyPkYpZ+SmZrN36PoDGcgFP25ZrLdXV7qhF9/hMEAPtQhWiBOZvHhlF3VQhJ6jXbg1D5EkjJx0ZmmMjpoAZmHIpQs7JRJkfuh75kCVEPjira5VbVjQc6MKv+26SrIRla7EGznD5/wvtjP9X/2kuBNrFqLtNi73UBqpnUwE2aIaZUtWXV7PKEFuf40XeL8cvjve0ZnLOmHocaao8uPUpr9DXF3YsmxRE5zlEaqUBxUmQStMH/RkkxuXtwtpE/57y0VgjQ0ftx9hrU3f66d7dqL/OtXwBR1CIxJ6AGzI0yShT6Uzz6oa9n9+5iIzZIfMOx5CIXgMNweuLcZG5KAPaIzF4mZt3XfHnRrMOazW3JGRtUivK+9KXcGwR/LMqnT4UAcUIyclQex0K6cYzKyGzAOgEGJ6OHJeIeaMBZ1yebyBuAzZpRvE9YxwhBIe3TLg19ebarm3ooo92iZfnVbM737kiTismjMmq7EFc7t7bN9TdlNW+spibpOPH/V/ArC18FfRD2+vvmy4Xx07nREd5vsAzQzZQlp+Nayfe/dcV9DTCHTYNJcB6abkZ9rN8TnTuWZmqmKZThxTZ/lvc3AtK4B11UopI2lYj3gO0Oe95TL9q9JDR6rkuCE2kNYsRADvpzEdMH7OmDWU2afU3GtH+zFMXIN2cf1/T6lMhOwEo9h3aezrFp3bSr9lv7mfqRL7Yg+IBfm78vswUfkCwmNlIhHAhIyIy7lBSM5oRrybPNNeHuft52CLH7fm8Abr+bkEbNldPFkGXfBdp0dHBx7VCQwGHVAHn6+3SamAG038EoB/CGi8aS3yziapN4WUO/VYt0/iNHFSHwbVxb3UsGK+317DwbltfWlg7Vit8ZiyzLq7CNd4BFXvtwilZG0211UlX/ccL9yB0rqErrcNGenYMNjboMzBgnMLgHG8gb0ZmFWu+ISFJMk/yPP4HRJMoFDsrth8vfNZ0BOyC1KuN6bJW2vHE4l0C51s2wiKIVTU+G7R/35VPo5i/5NBgpSpjj4e0ThhtgzFu+O2/rb+hvp+sB7QLUzEIuEOs8mlrqoqkvz7vEh4zRdXPv7+bYzFZKEwOcjXjy6evDZebenN4pyNKHpA/P49A4ciz/KX/u+1ANl9D++LUh3GC9zch9YL/XThLxvZzuNKx/yGMhptd9mIXgkAZVLF8Dq15fwBcqOkmOaEsLpHrmT+jYlU2hEWHPu4aiH5W0EwEz8MJe3nVQhoeXjDHweCcC1FcS5Bopua/83YmSvNPFK/jbiC6hmuniGWlVAOXMXqMQv9IYf1B7Je5iVT6oEeVNyKMJEB9cIDv+Su1c44+qsSuuvvaY2soM8Kc8hP0iLXTraM71uwtBPhxPiLd+i87uEWxiOqDfvBWFWHEtFU9UgD7Hj23B0pT165BBME/NkO6PffrlBmGsoIqbxn0F1yKRAW7IIEcy4bmWvufU7TIVbiCC+2LLWYBj5OZf4uHJPQRbSjgMlCxM8+EdMhj9YH4j+pyWBw6irWQw4YHkc38h1a9DZf8dmmRPOJC6ymxYStFHx9GzOC5/KNSsma9+IfLpgE1rK6HIgkRyyL7xZ35Y/9XIf4cQXmZ/Vpyi7d2bInOffLPFzI4hONzfnV3re7L0AjgXB3brtR7bHf/S34KvHaMHH+DpLVWd+sIPiLDThr2rmxuyEBI4lSrAOKKF2qyc5gEL/xdZa5RN8QoUv0JQynbMSzTzUK2NNTu5rx06L7Vwy1deVvLT0P1JgcMIcVfDotmFWuexDWlnBQTUuevYmfDwNqOruBOfVBE2SP0mZ11ZxELYJyusL2KhZ1QC7CT763Su1KDx3RSnqnDKUQEN0u+JmUIOFgLNV0S1M/vMymjl0AwXGLYR/jDWBZe3ichl4MhynAj/dohRXiu/ByiFKDmtBD3n+FL9cMmNagSvgGv8PKbo3Vm7CzMe+o7Q5zFHYDWovKR7p+dGpCas0Q0UVIyjsidlIKeacAUPulhGBiA3WH9UT2jd34zjbPsEz7T57FYF/2mj9vxmWoppF1nBSDenHFEYkRrqUPUhXAFDUehlHL/L7mMT4CgeDx374oqbdRsbv+Zsb3q5P4sMhUq08aAE6RUfhO+RRQz3MTo7QI7K9uroWNRyqxXXrPMebru0bMsCKaWrxOPqqLjZOsfZvJeaoT2Diwcowo3KdQB2uLucvgpBbQIy0kZzlxwxIPP7l7DeuWgoZaCJMNkXu9/OJJJPNwVvzOZYRtQNed4Oo4EQ3OTRyFop2Y7SjEK0LFx4P+8h+vkiC/BTgrxM9LrbHvTaklqcwZwC/lLW8YcGN7oOPfVXXLPPK+Lz7JXSRXKTMxWqolnImlsM0CiTn+j1UHYp6wn3j13AjURW/FFj7QCtXyUp5CTguHQcJOjrFfkiKOp5GabeasYhhrtKuDY4FoBekTSmQfmaaqFJHZksMlu4azqormjaY80RpSpi4i1XRxx2KUO4HdOtXdxmPDi5ySw4vXu8AtGqz7RLSVA5QvVkLwxccaE0jXpNnMlbz6JRDcqOjvsmfftnOhd3crbaUiKgCsGqce7taFd+/nEFSct7dBwu1wQ/k9nM1np7IuKd30/XbY7Rcb2vaK6vCGFWOFtuZz85pXCB0Kii2dDGBp/wzyApAdDO9H9g35KhLi7prE59MEz2cZOxGNLiRwtE2V1t/8R3DhdO8BJXZod4UwCoS9VJxzMjENe0dukeaDSmGPYKttMalfGaO7UpIDAj+AG32vvOOFc4jN0YY7WCRFJdsk0VPs7ZGuS0vE8YGutkdFnuMkO6fL34uRt7EUq7AstXaZdNnwcikKW4+Oz44tr0PsmQFKEFT4pG37WGYwhutAn8Z488INsGI1buj+84HWJnj8xn3CuNA6+ZfNhDujOuyIJbezhQMNjyBO8TOE3SIwQtVeB6516u7CzVOCFrAuB85Mpp5D+tlyY4SDBGbDR0/RNC00e8xtlWPMtEpoTlj9zvaU8LYDE+RDkEaLHiOg9O8XbeutGQiq8cFEkV16V+QnkOHNcaJ/4T4C4po6YzoHQenVockkFm/zny5cSh6emhqtyxazq3jYQy070qZEIUflNOVyLPgTpQhVtb4RcEnsJuaEHwxFn/e19iB1PetbjYCw7lDfBKT02HslgSe4+IsYOgNyMt2pBtHuAZaSIR48vjJihnsEWD/QcTXsf+vaeMht15Nwr4zHHlaccAZvvZKsC9iubKRIaElnuEJCmn7ZR1lIB5Fmv6VMS+1fKMAtlWSsjdf9E/q+rhfliSWxjHVpyNYtNA4mMrR77Nw3O8hdtTlp4ZnKLvJKgfY/t7bz+uwdPqSyYdKjh9HnObsd8gr654wV33u73pVvkPfV6gAyMunYP25Z0cGEdJsqfKS5r3eEMnM/jVDAMD3oWIjDoouz/2R8qNk48H167/jkSK3idCtuPuQ1zyCH7NEAzpc9MkK1Hnm7bQebTgTkU2sGBCFozM3z304QcziMyPNycg/L+nVh1B+Y8hTDK8ye83HdZ43G0qGkWo3qp/Kcq7/1mODtQOYFpv/s7dDqVqJGmfDvizKEMIRS0mNBXcZ4rqe1JvUE9Yc/Gyb4QVgosdvmfusf9IpsJ50JbKodGbbK1SWksa6+xVd8YlyfOXTY3wKT32Cy+iJ6Iu3Mjc3A3Dhui9df5xXI4UTIhwY+ZXVgG/3opTAEVop2yFAE43UQq3/Mld98aqDKs6MFBQlxBeZqT8YU/pSdcV4Cj9Z5B3eliM0Suc5he+hRG8iRDS56T08dBwDJTH6lmRX5cn3+PPIroY6lz1cg5Rr0PqrK8m5s2ZenJyEwHHfioD43YdIIVVbNqlbU0foFCsN5tBvXAaPmodONb3eli4A+Gf7BHVyDRoN27oQ2wEexAC+pSin8oDrvAO0rK1A7v9hEiJtD7VllaJ1uUr8wviKRy0r0vLarp33LG3i4rp7SpYl3oRhKheFNYVldV32k2o1D71Zxwe9KasLjCFPtjmQU1dfOF6856gBSvlnubT2q0dmKZquIy8VrgBOx1OWJ4ZPB0Zf/tTVkVicRoG7H5DaJWQvBidvORO8xCKwf2hmwb7SqFXSFmrJoopHZ6OH1Ibtwc5uY3MWBZ9paH2B3OfcpSstGa1zaR/PLMgkl0SmDdC/Q1UlYJiDbEw3iLJSmWcOwJjPcKyoDb6rxjenNitwGye1DdgZFAy+qg9VJ9z3SFYPi7EbBc/5ojWBwDz7oa8M0EEXZyOQz6u9pRA2qPEVKwnGar3l/1gqBPNQxpADCoLG/yc+EvraBGRd120Ndq7wrHYucShVrw15NDLxyk+R95TUiHKrLu0nQXjfZ1/szEGS+3R8lsKPetfz0nWUw93ruwXIA4ZsOVcBkOADRM/LL/NPib/NcE6F8+/MqYqSiCZ+KQq4tc48hLcOVWTW+1ShC9wpukSaJeZiEuUVi2Yj5At9dGUz/j+m8o1xF6aY12zAVKGbm93NFG8HNyUvzw0DscnzQ67K/f3cBsNICViOOLT6WfWmUb2tCqh9A8UuBV3/FfwNNGn3hdNqYnwTfYDghynJDX2YQTuynYB+03XkYtecZXvv7SYgEIm1RXuAp3T/0HQ9h7OSW/BTJ1/LhDAjIeJBLLmm1uVXGAG8/MYQurXukJv+q9TjosdJRjIfrKmw/zwpEngxKeQYkF3+24zNC6RMG+ekZxy7mCYq/LoJhYTjW7/VCogySydOmkIfYAMhMF1GwdOleGUfX9k450VaDRZqa8cjhrGDwm+ikxEjc8JlY+eaZovbk/cKu5raXRjFLSKfGaveax23VaRfouI44Z2NoiKqHPzBvB5IfsQGtXvBNqpZRPcAX/QREMZnh/UEW7F17nhpPkwFvRQ7DPwjLGkqoZOnppfTBV+9wubm8KHxK8BauGXtyMrN3JdxyASHO4CZf7nivOyNr00psnpYOYf1Rc4ulitp0Qx/sLew5jipZTp8nVBiQ2mb2qFEWta14rIGQwZRT96xBBa6ZBNYbCse6dsajKadhEKCz3VoEfxWNheJvmBxahZ2w9Tkm5DE3fDVqJN+hJuooTn2R44Mp1Zd/GKr2NEcDIPw5MPTu6u4YUsusO/vu6JFfjeNZsvzm2B4ylXhn3Sv61SgKoyR7WggkOshoBvfLl6vx7imAyeqM3UWJvPnVx8jlUnLZFRfNWHGg357MYN7l0Sew1p/SHyAdhHFlDc0jZbsEDVddUTQ5w3C1mBHZEQXbHXGOeVkYvMimYaPVZlKF0/FxVCTZr+zcFft300P5xdFuhfAMxytmwKmoGRnzwFINp33QX+jfhEOWeE4wIjD1VzZEAjlEXEg43JLFgPZZOVc6cBkRT6Vc8Yc9gRrGIYKbbtUFEWtSikacGQ0tCNVWD99D8okrVM3RMDxeD8+mKsfEW97od0lROTGCFCPLjkqbQs9CvJ5gD0wAPoKEKFMEofwhU9033Me1HNqn7DBJkBDArMEZhVd1qxbUEhPwFUsi1jQs2owA0DwkMyB6JDZYlDIqYbPfAnQ8lwPQJKf24y1lxgBk+N9CkPe5wD/+FGEwuH166CdHTIX/+Vhd4qst+X+DT40Go2KbAn4fIqO7/ePYmdI4tq0eKDV7KNxw8GfHz5UTgcHksLkFtgZBVoAVF7dHpRnQgHUB/6vhpQiZ86K5dECLY5zxri7Vs9+Zt6bIu8GcUlAEjLUL8stoXIq9r3Jpl5FXxI6zu5LPGOsD/K04kGOA5DB8couW9oBzi5mOr/y2qpyRDvhdjERYo4BAAHupyVDHFpmJJIAi3xns763Xj1guf7lMHgZLUzZio28EPwhb6VGl0J/yQXXY6nK6wti7AA+fkNJjB8ZvVws8o53iblNi7pNuED+B22L4D88LbITEKc//H+TWWGRDQvLaOL1lkhJtytCtt8KU+BW9P7sRVqmbTutL3hfNt7HAKhahPTjprbWiPNHNg9Iywlg1REo1gol3OyYDsDWnCCYPnmeCg2pafCzp8L4rgjYngoTmF7lgQ+LHYQFk/MWM6Kk6gaFhZ7YhxdVjeHktKCvgOtI2iMDUZRskroOpvHLa62UYAHi5Wy9D1Loa9LXSzgqbBWwC2EtqPfMbkDV6ieqU1oxkm6zJ6xfDQPnvkn4uv29eF9MtFfeIK6lOJK4IRySsrhV7G3nUmRt2734nR4AAo0o4prwAIIHbRgX3kSesYXbTnBuMXNHsYdp9oFzBLYtl6RfvLuplx0qzAwbv1CUKLNJaif/cVP7q+wlLvtoyVNtKnQTOH7p4hang/rrnBhFZ8ZQiRYFFSVldotZsYVM71QrA6ATE2aZ6ve6yYPRjhAMJq8ifIL13q4/9Km5ldf6+dq/qr/+Ya/k9hAjObrAUlxUpv80CD1dg9c1DiMVq+eGIN83KMG5oOJnR56aSNDK7BCB+zRxXogH2h0Jolh4NsAbyQAq3NY1BHxSkmYE3k7uz3p8YYfxxpWmS/W34hfm9TXAcwo6lnym7d9UJgAPLkA+jAHutEGgExN0CvprlFFmD/hbClBSEkWZcj0C7BBv5j2Pbvh5hYOty1YDR8vR0pQLm2LWK/FJTokTpAS3Y1dDc2RdV12lZRLiBHIZxVBohajC0qfrhTL7NSm2rZGRYy8Xy1zFO82fMDDTmr93AURoM72eceyZBVHdL17QV0D3+GxCew9Q8lj48r2ni9xCNRw+8cJlpD3OYKUXZoAwmY7OlpW99lUa8FhaDbgoM0BSgPS0eNI6RmlkiBXpf5r/vZSahdhd4wbjYahVjqn9u74rSm2kdTUOCg4s5eWQVx04/2yHiUuM7oMlRGhYyz6vRZyHBiYQl4dHI2oFSvN2lPHQ76Tt+owuiuyGMoKj9FlDR4rJka2U9aap6v7cmj8VSRv+ZlitI98WxffX1DI332v0TyiVuGM5QqYS2Sd3LC2WfJttrq1+SZ9zPGuswyHOHomswUGXFFQNfq1TY5TyRLV03hr9UKXK/OlDCXhtzO8xdy2WPMUEPaKE2Wv/xdXGWttNb/T/aJXXqnil/B5D2GU6FvQWX87/ANBkDtxQ2ceI+oj8Jt/hY+aTyGmYxXaRP3uFWBi6ZHeoMLLMxKODfpOgP3lISjw89nAT+n8b9gA/fcPITnkOYLoTG8bRLHXBGqOIn8E7AL35wq1Xja2Lxxb3nBpzB52yLRruhce0rRVKF/yZNJB+9GTUiXxIdMEeFaoP0P0ewDmb5DKtjz5QKpn3jOdmcuZ5RYI2uP8ShsUlAbe+NeGdQ0sQrczItF5Z8WzZChL3R5VpwGLGdZjYVib/RiPogPyIMFuidNn+IPtOm77wzzaAy9+BbyI6itWdvhPmx8YFmjaeKXBemzNrnEI19/WTvpfLWGqng724G4w3oR2gD1nyVNLjVLYVn3EkbsaOd4KqPJ6hhz6Da7tDODQBEmC1V41gLMYabhEsxQMYcdVxJkwZ8GE4ZMhDgME1FgcJ1aVctzPi68mqGhuEncXRBdbXAi1Gs1Kyx/0qD7w/BZkZ2XfBtmrVzvc82T5FgMR01SeMln9OEqJFGGx/snCf3K1tlakOTdd5h5rsiXeWJDJqu/XJzl08TChtXDdSWUdCFgr3+zrbKQtSPyLQpGZ4rLxHYIeMQJyuQJv/6+xG84KfHu7G09r901NaikVQR1gmggOuJMPWQgwV5P7OAqymiaFja8Cf9uLPxEu8IvDNSIjfdcKIGyLcgyrSA07OB4QSzzBX0yvHYCJaPctiliB1kFMwP594x/TfTLEoEKLzgtwarO3wjV5/GOyGZo0jxwPD0n3typJ62iyVZfMjxA7RsErnb2loQhayy5v2HD1S7Zj5BADKoe3PJbh6vxRtXG+kjt+GTJURoTMOHNEpKv/bEtVprLccq0cFzPgY2pFUdBVSRX+Hf4Hx18A0Xjz5pWBWF7DvJ6PHrBNlERcif/IKxSAtLVP69hFXkT5TsCtip/KuRgn0Ijr0W5PsGNaRV6Wd1sGVeOvpe97BXjhbpSJar+th0hHhS6GfZFXQiwTmhFmmJRoMg36jTCN6TPcSL+1piDOOS03Ds4sBuleJOIdPND+Ev7MyXXQekS0U6Y90hbQF+LyYTrYQwXyuzlhhG8IwB5m5cy/3O7sECCWThsUEVI9+jNxDMtd1VRg5QG7opk/1E+ISNzdB08Jx/TPCJm808BwS6V400o6dACwRHOvaxh7tkDMuXAXEckQZP3osUEEDGEiP38GLVgQ8mQM8YSrBCV2fm0mf64/PLuT1mV5qn1H2NbGNtbwINetLrMuQO6VmOHHCG73iUlm3DmgD+3y/6Iwq9bR7NnsE36DOf4JC1EJb6UEKHTjEt6iPDxFkWl4PbmAy41HM092WlbkDw6jUS4N9Z/e1eGmSKF4+YJaRFEU8fPKXsiKGjPC+81+n68kyxe+shwp8t/pVvvJ2dqVswhJYCBdgvCiTxGuBX4Tj88dI6TSukNy+JUqAnXEI9GsMmW485Z4NIvBJbM7lEMfFs/RNBaEDLIKW1lyBQEQPEaVGWEszDs2jVZAd0Ob3QKaWH3h2C+tSbaR2BRzqYjRM07KLo7iSspu824ZYcJ8Pf4SrR1hbuDKArQRXoT5qB1s5UtNkR3HLDUtIaNjiVVCGGkx3S+u7a5w/i1+pDSrUe33l6vZX+dl4ifWelRW/mcJGVD9VnSE7cYJXZuh1rwk6lQKYDNuZScwHW/3k6C0wcmrRmyQL0Xdc3VyeSzePcFSipEm+lXDg24wXs2Z/C6c47271yzp1KTdR3XUHpnLmeY0HD2YiCXtu0Ed54JuF03Ii7VLodmX/YysbmgZMbk12c/PYK8cD2C1Ac/9Gubq9wrWxDrsfeZACzto4vKCjum3NU9m7NJcIm1ZqQrkTeSdPjky+uA9FrwnD++8q9XLZqkd4tBULXFRr6o+Zj7RaxQ8YjRTV7RJ+eEn1M04EhajoQCt3i6wfYt4RtVHARgQhpjyGI2bv8r+PWxBj9FHMZIGiE3uxCLWTIq+DpiyuKjzsluYw1+fJ78ZnJ0Kxqc4Q8VdpPGu9Fpzkx7zYECYc/ufwF2/RwlWBI3DLG5lv80uuen0ZmfaSd8VhtpdSxxifdFvatdpQ9bHZpbcJAKp5VKs3lC0xIQpA1jqUMwjcIq2OxhBQ/H2rnrFKzLS0xxoWpsShhS+wy+mNZltbsvCbwwxjraRW+/2+ik3fSXbwSNoERW2nAjErfDY3up5ImHHSB3G3eNZUirXOAypKB9Q0zt+IpYicwSrcveexZ7OM0IbURJWQkCmAGqGUpMUNfe6S3AqeDDfF/2wOYu5hoAaVX1lw1fkiJj1TQS0vrHNgFF4cMGTam2ZkGja4XXoUCpGuhayndNWpS/jQSitObWAIJUhtkTpw1eES/C0VoVmHml24EV29alP8gk7r5JZt4KBOqZCwQAv6sSZLMcFfHkus77pBRfBXXRcywePSNQz8ScIuRxHt4UwU1Si+rPR+XbCgFb1xkNqMlbjm+lDfED75tknoXnaXNC3WTmwqze0Uqahsjs9Q+t7o9QsOC2SElScdHHU72Uyzn6rSRI3PtzcapW9iNhH9hBkDpfl7T4nKKZ89VyM2c7Zbv1JrRIU/pvYw/caWjxPkFETOX2HU8bf7fDcTfaESrxLd9PuHh/riDMpBZZ5yW2Z0GwsVZR0STYhBWWcCguKac7b9bpUc0V/wjUcZPzP5KKYqwABVSy8lnd2Crj89CzLDLAIw2yAfnsUjCZJ1MrmR5LW795E5Tb2BUTVvz8tc9NsD8QZVTfmOWEDvZMuqnKpnDvYy3PGD5+O8gH5CYyhID18Hmakaa3zUtYZrL2Guw00tQyfW1pffH+47GNQTxr+XmsUCS3NqF+RVs9THCpo/snNQzkVbv5Wz9aAvC9RrgPg2gfl16lrhp2ymld+WKsSB2r8bCcyL0JDjh1y8RgAiOthREoSHkPQnTSBJWQrrEndfMcPPuCtyMQxGzFdKL7nRu8IDr0fizMn1RXcChRYrMYKtju4JEqrhHIeKWws4XbTdQ0cTQjNUNOB2oCyusLW7QB8n8El461yxadlb1I0YfZLsL+rJMul4xKZASfl/VedD92BFLIyskSye7lmLwTR9SUcJleIrAmeTZF+V3q3ewVdn80jgKwRhB0/i1fwfOA3PhKDKv/UxWJcdJNVrLU7DwXqDSVq1zwLN0CzKknh+GHKFrSkrg0EFUdKJBNqGAZMdIQ3e7gkLHZuGllFEgEqU260B83sPibzzzyRDpGPPkTHxDgx3KOrhYOcC0hbzi2TgAuK8RruWXQMtuqYkueMhbBDNdAKl+VGnQ3m6n/FfXerBVQGgXY7vNz3vPzZ2YwDvDalPuTgr1K4bCDvbqfA5LQq7VTNwg9woiv936wrvQicPQOM4uI5m1WPotgfjTJfqYxyr3jmSj+II5CH2Fc9cbMLjHgEH/oVRGIrW4SijxKK4m3nHgJwd/XZQeFOctyVkcJsCLRBeuYm6LqUmu1tCF7YuF0i3A7qARgFFqhqyTlW72WPAIJFsSDSlOzc0s/P8AJjJy2/NfY8PZNSxF10+7gMDlJNApQBwxgfAngMvSZXjJQu2q/32wNWvSdzaMYKA1znVNJ3rROj9KzwIeI0ieNr8GNwfZwenBB+jF2+3tBorcbMYz8C/4EFIzTkoQtVgaC98mR54X1WTnTUVOVg1bEhLvgTYrF57BYT+QViuln8yZrrV9Ge6pOmiea2iPhkh31bv9rbwepM/y3VtntZFeSg6iGvL15jIBBnyK6xVsWK0qchMYyluxgCha3UPPWx/1PfvlY//2Pc2aYr5uxSjxEor8r7/LcQf9VIC6ni6MqWSKfuFqoOYoxH19/gkHzFNjQUWxnKc2bCNyLRDkB0YuvUJlXuq0sQWWsmslluP0hqd3veGKuGLP28tGGdwBuAswbdQR9Aiue1iD7jlqcwShbdQlv/2DGmR+hY4eWlmzXu4GIxldJnyVV+DvkEMSoAsCpNPxfOY33dupArbVsl0coqPxhsl6jdC5EMDx3UynCB5pVbWEQK/wZzHlul0I7GVowiYifRqzQo0AliQEvEuUlzbjMHtwaMWy5LfVeQb52d3PxE/ASz6xOPTqtGaFHt5ARjnWSMQWaG+9+08zRTvldgMgTYEaxL3FIpShJQJCfY7GDK55Du9Lz2tqsHAuzvxLghimTanJLrg3OBQ3lhRJPgng5gkdHI1XzTv+XbJhqcnulUE7BZa/z3Bcsvp+wyCDsFgyTxZc/7q3WyYRk3PwSehNl/xzBm0oIia166v23hxOew+KyOKMehSvzjo7BZhR3PqreGmi7Ng9mV8p38miaep0bJKdXQBKi/Es4xhY5KFQfUbm5Uu0jNTSPGedCaKRXoKygi6OsnyS6RlyvVh9o6ZFmgBe09E+iCmUTJMmkpgyBU8yfUTHx8DHdLz3bhFJ5ovD6/fZo33JheI0y3Z8v3h8EuJUoNhA8uqR/m7hRDRl6tMF9Xll5LzgaxQGP/AQGshu4OdADQ7wBSqXXni++ICfd2OVcZvmDscMmU3N+ByT3qlPwoltt5A5KdQ6Zc2ruOBLDaDaP94UScS4usGKwnEvEPPEVzeOVrm9m1X5Hwb1O9EACJjYHVPjxfzuNIMTGou1Qb4GATpHWinO4SiKzkZCmukvoJfkphT+ZwzIDzGBL5LjY9B0JbXsQdEjoR9jUhm/C+EV+5PpCHgYayC/gO/wOHyEym/dw2KNze0sHUcVMVt3ZYePfdCM/JUZBZ/1j3meWyneXfrFhF4UyTOx49J5KRJyt1JZ/eFbWNvO+28ZErFyXjX0tZJkI0fGgLF1O7jPwDhTkEON+CZ4CgCph1x60BX01sdHC2D/ltGawW4i7HpNeTL4G0nUtW8JULmBpnAKZ2tpHoQBdJGCAnSKYASA0HmDqPDWlurCnBVhNKCAofuH/1VEmVsVw54ILqnMWQWllYfoKEvpEvPPprRrkLcXlnaD0M7kyQbM0Mce6mK4WmhE2D+r9BkvuSGPaN5na33hlyKPel6atWwGkeo9GlYDrvfB6g+3oq4IYV9iB78IVy/lgEyBkFK87Fn3nUM/aQI/sLfvVcADl9ZHuCi6SLGPJ5l+NZ9epoCRDAwAO6xduRz3JSHxCxQJiNS+9nu5mFKyEziqshLRv9i9tp6wRnF0Xhw4SQHmgZwtj061JPYvXRCCoPpQLN/jlHkOcP3FwmVUOB9ezWxvPfFyFKGmpuemh7ZA6QNqsW+Z6FqH6zLJi7hJvunGbgoPVPlAEcVYxO6jc+h29xstqTU4GHFV8PJU9tBulvIpQ1w1w8M2Vr0x0kycpfxP9LI5ngJnZiHUlvHBrtL0iyUTL99wwxq/UlLpPUNZ4ovS/Ec393gPwzFXc+LGo8udaZP67vgQLfhFvnWsP1YVC/IalBdVXigTn5sX22bWvat3/jaZSWFv74PfpnGYZ1d8BRiMt74rnj6Gi4BVj7wZkzcaTEBLLbYNNkaqg2CwM6VD7xCRXmck8UmiVzZDulCg9SVT9RQXSLmw183R8w3r4BnCxUsmHLaad5TTNT+Gj69wnhCoN+TV2eLnNWJTcJWos02+51k7DWWgFyWIF40mjSlc7sLRhGzg35jLfKRIQFXY4R1Vi+o28vzvSi6M/PriOCq9f+bBIBWlMTWKdAhFR8chC59CHpWs5bFw65FYy8Y8eVFjaXLyveEdC4DiR9jEuQl0KuYocEAPjTgxC1gqXDqlNkDYiGq+BBJpUq61HA2kYKy8L6rO34W4NqmYWloZx9L8BtdOChb1I2Fke0L8/nbfsURBApTx/Yr0l+IPnR++yOonAzlDqjXmSaMwYKGFAi3Uzvvq8w01x5XGV6+7aDi3x+NiqwgURc5ciZvyWCewxN576S5BZoXYE80EKgBQElNoxiwOv5pDPyKYmsgCG5uDFUjXk5F4OCcBGWDyWk/k8+jNtQNaMVM11mpeVQiAFaFrM12G9HaDrsFKAIllzfQerB9BFiw6qCI/9FfX3HdWj3aFPiVrBzwUIHFY8I/a/I9TSyCj1LkOPtl04vb1VTPEA6NcoXpU06+nOryyOFzs52UEUEeUHpj70uyAoVUoos8HkL46AQ+AhQZnkBVZdCy1dYY6MNZxpAYoRUiNtdmQrjQf4VM6eGvJQygjyV9XFHT0oRsF1dRnKQzdhE9EQPslsBsIwlfjFVM6twBYrBzazEUz3D5EfMlg7R4jz187vC+yALabz1i52uQ0/M5dOBNTG+ABEDLelm6bD/ge7Yj2OnJNzxh1y1/RiNtRaa1VfsZdTG64vPEfSkI9Sei5uXv5J9kz7yLlHjpvTqaAGooJpzE6BkPyWi8lZZr7VbcisRUDV5F4Lp9fVOX9cX56HAuYn7asUvU6IVUfwamGdew9RIPDaJwHKd0OY2Mf4RoPFGjGtOxKvENDXUV9s4CTRm1u5sJcrHc0pBClRaSBLle75L9qnAaf0yoRmNCsznzD2vP3Sf/9/xssLudCJhU6JwZSuw6dEI31CXiz+nw5R5Du4sU+fdR6zoJEarVY9i0QHCtFsrb2wjCtp7EbmSs7dIkRnu8O3yOxhm9f+kb9ffgeheaCl0YpeQ5/QV1f104p4TsVd9lULu0DxHXNLfOvmKtyWwrhnFXre3kgYnULo2puEABqAtrXLhvA8JFRhGFmXfSbLEpovi1brMsvYet7YKNcLXefZmU9xsZnr2fe8eywM5kY0q0OVDfGUKmBb3x9+4v1N2+476cjdngRlV5FVdCZ/k+v51oo5sQkg6eklrEcfrTkCL/WGTVGlvSu1+i3VYSZ15/0i8tBAYsZqaM6EwHfi8OEJ7PNoawdTv6r1/ZsT712UzMswnhF7+DtYV+Y3cD6ei6pvLsc3hdD0FTiNLxkTpyjCvCSt0imWZS2qfC10/r/qtCkfQm610UikAiNLnqqzRt8zVUCvWjwoqCR2olzJTCp1hWuXfZNup3/Im+QAFPoO6b9VQjb7de3SJwVafpWZboL94soukaPqwInYxVjgHJU08x+WkB9d+tLY/jX0BJ7AcZxeO1hMFASN2eO8nbK1AgO4LPa0wkTVBZVt0nEflZNKbSYywFzMDfQPPY4CjHRs0VwCi6F40MQnMRGdNMXBTXX3HgQ7T38TNTYo3H1TeNR/HRU9K3yMY2sjnoUPkW50sBwMT2iCzvv8mXMx/EYv3+kHd5xV+a1sG2fK0IHEgWkoHnaDgxlQOq3btHzOzEgo9gZOa6/lHDqj5RwRL5HJZGrvE059jjDcRdAtKrZA1NsAaZG/yxslIzTns6EGvEW+RfYBTfyWLKmQp0TQYYBXo412Z562qd4ZzZbfBDLbSu1HK+h9//oAlfMJbpqldbka1blAwxANDMAigzC/7R/e0UwqkTzhXMFof7rQDz1/eOG+GUMrXX7qLO8TDwL30Dv9HZEokY8f8r2VyPtDgIA7pAFyVMdvUgkAlzAEXS7oi2JCv8BLoL7fRMzUYfKH26pn0nOEZVnxuLnzWkgkTPDwS/IFy+lGNX+uExs3LUWHadryD3mZUZLGi+D1Hcq+CswA3ei52B2+oa9Prk2lh86Lp1ufWp2J6aca59XsM+9eriaDIWUb7EEdNesi86xHH1bHUSqJdtnRxi647aIQ9VHadAUy5/fnX3A96thMjSyqG0exf+DlIERAWg7vPLEkU/eflVXLarHoqK2dDbbnvWjnY5DegDwdmTNfc4I85hVMnqWXgShUTTRTmaNpnyCow0j3kZrLoJD6uMGhEe2AVzL+E2I97s12KPkqUmSg6w/xgj4WJmpwJDZ60AvsoYHEqOHCdhF+fg4Kl3obVUgxGCkw2/Bzsuxv8ou3/s+ruveHMBswIjfmYJE9I7Rm8XM0HXEMeAqd0udpRs7kMKLYClHozrSSG/btRj4QI7e1NKLUU00l6yZ9b+mEQ0LjGFwBcZfjbczZvHEmG+7fMhOVf+pVMMUwZ0NWG1nx094QvBCanVgvMm+lYVbMktP1iw4bcjGVUa2KcfcKUKGAONX5NWrDWhpopaoDrHpIo4PBX1DH+OHg7meZD/4KWZAdN5MQ4OZAEsT9xwSNGGrzWXGMbXxfCyF7PCxtqq6+YtxllrdDvDmBaFAhSbbi3EM0ZDeePmWWJSc1woHNUuj2xBqWDzff8McCQkKI9kXTDqkhYvJbRWS1K5qTzSc76dC6dRmW38hwmbA1vLHmw/sSKn4QU8TBZuLzLMHkOFgH3YaY4OxzgWJWdlTekb0yW27Gr0OapGTbt8ZUV6NnB+tOrTDgdFc1QuOR1/Chr3b8a31Wu6FmlJbKiRLfkni6Elcyq61eneUysZnqzRp5x9BwoN3wO5JbHJm2bPOcodJQt1j7Yq5X6JvAJB5YsPA4jwZfQDKS2yzUtIqdLMlc/WTyRIu4AdgumtnOjlUniQacbnI437tF1Ie8ibFixV3M3sTJD9ApE81ow5hEEjVwQJzTIShwo5MDJn6GNcMF9eIVqTOD5ilEc+Z1N3FuO/vEch6UunNp8iydwopTjByh/HS4kG319q8RgkLTM2WvJnB79He8cgn38GvEeGOYzbleEeftj778uquMl0wQTI6UWHeQ3uVAvRW9XXNEj0qZ1CMRlgq5ACArOCXCRAiwdAaC4opC3GAcJt5RCopgzrVx0SiXPL3HGQDIwJNoG5QYS6QrbfrKaU5FtvRWNnfsQ3kr5cHeUQeRTBlWhSACRWmzjNafkFjcgWtQ8DPvqQEyD8QqEIxEOqF02qXUvY41kK5pQArymhPQqaG3ISRvAh8q/RHg2hjQHJ1RWP1KXLd0ztnXJ8kRyKFl+6JJXqBQGs2xcTTfbqWGIcPZkmnUfdHUYOZHojp7OYZpsd0zRB5fv8WyWyx857X8t+CEZg8NL6/ZOYEq2/14jS2PmexgMRUZ2Bos2mkCMi8+ny/sQoJUYP4HxtjDzhzFWC6hZyN0Zc0WAQ8jZBkyYPmkoB76SEkl2ujIRu/XKzaHPL8qAbvC+fFMiGTDSzQkIrIG4lJMbTibgE5Z+tqPiLhHVHWmi33WdQA8A3utwJpyORpUiDC/3sz0trFyW4DsvOnfyQp6+V9ss5w99/EXeSGw6w6XqEGeclcEbVzF41pxSfPl/2kdtAy98vLtLmi32QRP2ncOBdyGDkGcuH1i3oyTBklAfQnV/WePBgd+ykpi2Tmaqon5WUHGzM0is6HgRBH12wn7NsvFx3Di/uZ0GIP7Qn2wMZiuHqfWwZQFJdso1eX4bTQ4s3D4Pdqv4Od3vohoturLhbwUNC8yzNtDUw9v14vqxQiGeO80JJuaS9vYuM/I1cMvYpsJ/0bBWs9hfzOfxnWSktKWbCyWxUvBk/VSLirgbuCTDSHQuDsWSozkINDtHxOsZ6GiIggr2s2ugc3xY6mQFrNmrOJBELg9J5aOu/rALV35+k9ur6NM1mAVuekJgtmq68ke6xCah2FUqraOQNCvlvTzJwOhhbBt9hIR6hJ/X95HeNLwaJhRXr7pgK+xnkHR1hNq+mo1lQ/D8Arg+8uHzFnfRHMkruZXsuB0Hpx2V5szxAHCph8BAlOdhI0gLYDb6o72yS98c+r33Lcca2NR1m9pvEaAZipyaUeXlITuP6L2V4WQ0GuKnaBZMXXMEzuNddGCFmSr9BggXnrE2H5pSR+nb25yjtBndt8TetJBZzXThjuj554Mq4dKMtz9GoPrvJiEydBQkyC6shdRWhUnz1/sz4MlnobaBitSqyA6pl/hFofudha0WHdf8Z8vi1ktxXv8Sc/M5F5hOpKPOUOgYJwzn8cGFFO+7uZqzU8FvXAoRSDAfpdMsonKu5kfNEp0F1ua0Et+HdCMgr9hDg1iLFc1/r0hNMkdHCnpPMobQh0c0dY5VPN+XRS8jFiwrzYBT5W7UqxHWx0cNNQcTM8i5vMwV+yRWiosy1eZSrniAuBvkRDBCVjGNyihEhtJ3ahEfbIBqoTtBexRjv7Unjbz4+NMNjP7/zwuxrC5EUkFOAEuga8c83BeTr6i5pJnACcJb9LO+OnQo7EfumiU7L3eFnQULlElKCuzlWxT5l2yfoRruZ1OmaLh08+OZwW6O9a+80cJ8FNOo9KP+M8otjqT++x0xUKS1GS3++hQPjtv17O59gcuflSUdhySQZj56CwIyYGqcQOUHwNKOeapOvvbDZaljCP4iUMmU9yfJmUGZ7Z/8T/zNusbGGSsegC18syYtDZzGxk1SY8vGnDoYHaNN4aQtSnpoCMHpd2r3LxEZ9rRprXy+m5SNeYz6KuVaNp8dryJWo5X9I5bmBrV6ziJPXo3xyV83YneALr5KZZab8/EraD4o55lOFXLDBVV2f5rDhsquOZDDUc8VIUxCJZ2Y7LpBfNveKeZNdjfP+l2HQsKqqNkSnIlGB694z77m998oGCJxN6b4J2hrVPFiXdP2iWEfZsWR1rBXBZIUJTy7R1F5911YmrXg/VQzFhn88llHs9gw54H/TuFcw0UuOg7FolMpaQadnb0vs9j/aKJAJAn0lJ0e9nGI985gp+F9oEj23Bcx9C3PxJypVyPPx4lwfWNKeNE/M9PKxxXUpqHpUAFTX9dYwXImXrbETJKeoRGzxiLPc6tccX+OrbqQHKjw01RzrO/d0qD0794Ev7bCUsWv1Bs6MB8Ghs4bGmdkr3hDi843f+UmM+ArgxpqVDm7PW8TowRQXMU0OJeqWQ8W5xxoqPUp/j9XaDHjpb/+WYccwvMeSh+UvwEMKOaEjMWVlrLfFd/4ZXetxbLTFWBgTlye0rIhHMbW9bD8RZS6cikIO+R8WKqrYeHhMWPy/pLNA20Mf5yBLaPJL6D7r5ruBn2nmV/ZeOLkzHXs0N0YqI5Qg+g7x8v93Bc+r8E7RFRMfyMx1xidU72e3GcjiILduxc2ZKke+VOkMPQJuDF+uy2vaso8or+607HzOXaNV9xs50azO4jx0Q8ZxlyUZgy+TfkGuNa6H6p/umn9dFzjve9VO4RQ+H8hH7qIcv96lVnJU4P9/x7F3Y2hqJ3ODfkkP+uEJXKH0EfQDE502D4oG7YlEQx85vbVHUBkGzZa3bEsBlWiAQq/jpiMjPseOrFkuQrxcQBazexESHgf2L5ORWskFBcUXdMH4Z1EPPzrkSKucbRIC3gwUOhxNJlNAhH6sNRwHpgQ4+vlT9qEGWom4422cRE61J4q4T52ehNMIU+nq278xvbnLmf5l8KHrdMcYhem09rsc/2+V4tT/xiaIajUJgWoRPFHWASb4bI54IL5ciIgO6UYin9Z9xVH5r17FlctrL/vc/jDwZ+qv2dXPHqMGZhAgNGRNqN+mHhR2A7yjIVdCxSxwK21Yaeib0LHTYFTZJB4QzwMxhxMvw8xdaKfMtcRq5DDCZLtvfR/zwJhdtLQw6XoZQlhQjeAY6U+m5+FXxjjD6pfInYxYEOn4BJYKP/gP1StBnUPh2HoTeXFNKWncl09rZiMfjVTsP5DG3LijbSfNV5Zv1NoW48ZXmqna/IfMAdpa9wWrHV0Bp+v9r/Q8cI/kReRZGqETr9pTUyeltMy/5k729hFER4hFjL7r80gCmTyN0l+oXobkRpyrPooJrREnMxZSmU0GoLI/rSLFLcqUSCMEyCTwvJYvVxU4GHpjOHR3zI/GzNzwgX1Wfb0t+orvrvlHvWW81sWWi3dOm9tP3taW1G4waDQhRCW4H52OsRBdpRiVZt+14nS2KLJt/Aegs+sHUoRc7EAqEQ7N9TiMUDSJPX4FSO0zcovJY5ESI4eCR7LL+ybggp4e3YdIic89nbipoL3vj3SQxIwDcROEAUz0PL718pEWeUawtgZdA7cf9D9bcghm62dqk9cv9ZAnIEWt2AQ84ZtKJyum0Ahiv2BrIZFry8EAT6KimgSTvw7JIHTYzwyXxrUfj+YVQO6hjND0CxNZVilMNCZ5ENNjn+DqZJMiqEub1nh4jxl5HoKgFFUU5LQmAiTD6pEg2sAtHflVxRA9cLBEaVCYiDUnMjL3ErLIerLbXQDVvmqBpid1ksv2uaF8YHGINUCrw7b+ZfBskbX2z97wvOtatvBM1cRMs3K2ARki+QCF8sBDzaSYcRTuOvql54U+AqdbXdGSsG2DliwDeuu5bk4fyuexMrDg9ewcbl1bYLlppDMAbUqz4vvCPaFZXLJLeB08T7CtWCJmWAdf8DFVydD6vrnMWJYt6eJgFcntiUh3ClLxzx/T867NXgflh3TubSIY4xwn6RlsT3o0sncsMOpTmKXDVPnN1fyvNe4ZZRCtPE2fGQmTSZpgDRQ6qzKwpphhx4SEeJ4uZydu3FmHQFxgjj/l42S5uXn4K12styXlMlWEvpmLu5pcifWtKRG5uqwy79T4gk7x2MGzi0Sn5TxC7mypKUAARj4HQsLzVZTtDkZ7rxqDKJqmx8SHtuEs0Tw8IwjpoiRtqcVWV75GQGecTPsnH2DpMzRZfjf8De/PM0Vc6psdpUl06foU+pm56uJSuGoHShKDg1VnOHjeWqK6Z0z+wlJohM/DX2p2k908WbJEtUSbnPdpPsJLejKtmaOu43ZvmCQUVm2pmhtUNHk/Ryn2vXRqIdDXyjQku0hoMT123u2/GoNvESurQUC3DnJ56rhWGGTtxcAjFSUy2lzJAyC4IQlrTHZi/YkEBy6SoXHcEXjlwO7siWudgCpzbLN873ea1tBpwzDbrgaFLag3fX6GjLJSfj4wWl9zd013/DL/5XviKkH6CLHBDdGlCP/ayhnzi/wT4/kxGcsbFz3V0npXFQTKzkttucavFH68xt4ZrU/iGCgyLyXFWDphbB3RD6aPPhAU9UeRNgFA++2j0Z1cNYJ8S3WIj8zRA3ev3bFI22lIP9cHU50LxSx8VROKTI8/7TSIaHU/UGm3+FVW11f8QtJpuQ6oUvzUsVsm0uPDoyb56z6otraFmxqQukdvcOFOfBW/twyBxvyvYVgpiKfyulmm2/wkzPlavlNO0MPPbYRMjg9THDmw9dwSkmU32l8zgDwkWPmJWLva6LPxI6Ox1z8mfbBBU9w4oeB5sENkxpRwFUUzxZ4aXirFb6iOKAkndUKVatMyK8YXSFzmoGnSk1LgAez6WVJHhmX3fblNQpjJmCpXMYVijk+/akx4BM6moNRASLTiZZDBjD/p4AVQ4qQfTUjh/CsDzSB756daon/HkHVEnVZBPnP7RafUVvOFkrl9aOH3PqtX7RcMm83Rs4txMhAW9q+U7C1qBWRC65F0EULFulL0pxaSNXstYUgSM/rBv2rISXqEEVbibN0XLXv1EP8o6HnlAOmaATmjpXH8iCcjU/gYrySyIlD3R9x2JWD8qKG4wLUOtDNCX0xEGu+mf/btrLW1D8M8OR/EpgKYUpE6OEQjN2UKbWVV/KbDAwVMl7YI3Tv4Rgokfd8EHXJCp0TbfwAP7nuPxwDhyU/mdVRsOuAhO7gcnXUf49CaL97XL1wMV1x5LkhjNCoZ/vPmHNcTLCCAJnx59kSufm5yAGJHi+NWWHZIjZgBE2FQLN/bBKv+0e0rjSspSqvDssaEIHJ6B5Iyjd+OfmzBMxiCv+TJW9WgNp9H0KiaePztcIZc9GJxR6OqoYxxtbzX3lDQPssOUmnFiVUABiluDqKDZn2f7wAm+hMBUtGGcFIeyYti5QZihSsFTcfcvwE+dM4KwxYL4/rzbTB2VacedQu25JjWtUBdyJq2G8S0WN8l2LGOol0sM4tSSb4zscyq+PeTMPH8DyqfcjXwwhQ4I3QDe6+ndpdrFHcdWaOxNTWdnlXTgJgRvRrnayTyJRdMXaW9bUV8KMPNGdy+R4AgNKvDz/zmM2kXufOiZy2kD8Sy+BAk+W5317A9SWpCQSiVtNIkrjdGKYRu2sY7u4yN6sj+efxYF3EqbnPkJosPsIrfgcvP4DAuXB+gL/j4eDoq7S/ei/guVs5Nn7LIfuPu3tZ/5IU61LtorFlqI0Npr+/EuwtWzUZcrRvLNtV9xR3vrjv8G6kPd0/k7BUmFu3m27ZIxl/0dh0l5JEhLk6Jsc9cjIy4Xr7Lrd4sHqvcJNCS4ywWxfup0h7VoHpWYrhtZ8aqrPCcbmqwKevtnWSNANap40psAw19GRTo8n4qPTiUKvHrvQHty9dxbgi5Mr8izxLT91GW+MIf2zv9LFzORCPRuuX3s00Unqkmv4LwGbb0IwgFoSL/2UvZRrfXjE7MYQqTeQmmt/EIQ6dAJ7KB4NDWwJAL/VpSjMkM0PiAteFPzgfq+hyvheFIK3bvhfoouWzMFw9GaU/Zu+Y1p1yAFeU8FZf2tu9dTfiFSSezHi7oVe9sHbnegM5jKmCeAM7YcaCgJebC9eH3nA3tZtvvncaGGQHelsn/XDAlkBJX3FuY6jKF+LLb68mrL3SSkMuloOMgDNvWmkTleKiPcg43yIzLCjJE+S70ItJmV2eTUBtrB/SU4NT+zBQmpttxPJi15REZVNPNfiwThiPVORaXA4kjOuqkOHShe1wyhsQeOd1EyWWiUUUkKmuNzpW7+5by8WAXbaXN4qcnWuF4IDcbAvzD+Op9iwAt1XalziZVhPdxjMAzCFQw6g1hHmitdByzdzSJOC6JGPzYVowVgAVWKERnrx/J2OgcuRxVNTt06JqL5MeGV0iXnS7vPbo4qSBa4NuMn2V7wuSfs5e//PaxfRSqbdU3ck8TORmQKXmjF24XgNk1PCeBRiSBEl9I0CR+dB4g2/qbfIc5zDCrzqZOkjXaXesQTgqNAUiHEEyIRCB9zp8NAXEEfh9S6YD2sA28yA9W8PgtGKWX025fKxgEeLc34/mwJ29yr6KpwJtJCsVzWHYrt5tcCM8rQeD44X9foownKEOxithdbeY1Zii534+hcfN225IN/bX9cuzai4Se2cNnGZPjeJJfB1ukQD+wk0zQapyHDqzjWLWHkeqyrEaOKqmhyOr42x7JHRjRtcpR4MerxUBTPTuLfsjtuwESVuGHr0DKIGvy5Ubg74jFB32PAi8k15qplOXfW9EgyQKH4kga8dv2vElPCPkYa02Bw7fHyU4PGEXzDt8KBKPZUU9QEKnEwDxFu+iylOG81AL5LeJHfcv2lT4kqiObuU516i+UDqHfejMIf3D/I47L6eXiAh7sjx9fkLfhDwdzXhiMze2pmvTbxWudzK0WNd0mfNy37D7p0P0eV0elR4o38BKt6R4JW4M6YnEg/BtcTw5ozOB7zdJynk1Aa0Td2njQk2ZKxWvG/akA0Mv09chpWJSqEAjhAux/Vvz7XFw1B29Ygvbvvel9++HpcZDjjLstk/l7lpoFhsjB5NaOvBYUhT0on61Z+kyvhiff9H1AzyF33gtDonk/+AGamGL2BfWzh5kygLoexGprn908eWP2w7uPtWgzksPokngPMOEwhv55zOyq+ElgKRpafG9H/+Ddue1XJtGd4QIcfxZMIBds60tt76KnKwOCpAaqG5BDkAnTVwtErxGPT5I+bUcC+QwSsCD/pTVL5pATSLL/gm+KLgt5fvidScmhcB1AtnAvyYkSxSgv194DGkSxrr7VI7OntLUdgLlhJX4uKte3qodFx1ARyWkAzo+oxF2U1bj/P1QRLzP60NiD427Q0X1s6y8k+V8NArICZ/P6ziY8bN/kNFHGH4OOC4MB4PjbLc+IoNHFTPhNfZzdCFHYLB9UFzErkqB0rpCEsDxxq5T7jsy0pEvzlrV/BmsK8wKwLkZGJZu4yAjgGHgg2ww0r8CWw33YRTINFaQ9kYlncd12k/TqnNT2UO9zpF/jg5YPoLjUkS5A2z5H3LmF08f2F6ZQ7b+0Aq3Folz+taim6+T/CB9+pNO9eko/0aoYjpwyYhiN+9+F6GXSqCyHnikFy+PwRV5SthpfwhLm+DqD/W7eA/cxM7vpCfrCeJWGKAeQxc0qEtcV4UNoggcdOYdj48QT7PY9iKdVovKE9DUR7JckgJnrLHoSyoJxITYkm1SNKjSi51HOUgTW+N7ZERUAGbY9fHkvxd4FwV0EvbiUZftK9B78k0OM9RNTBL6XVfGVQw4waY4E+k5/oLSYylTWg9+sxPrjTQaSRTDGOCnr9wlP2ZP3Bljq9Mz3uRodQXYwuC/MfyuyScOLP0U24R95GGLzlgAt9md5EAQk9kN3sjOt3+uIw0QkZVWMDWzq3dABQSnT9j69alvpJl81bFupKKDs9uz6gcL4CJ6NaoEJM6VEb+JpHLImL/trq5wg26V/8iRgc0Mpyh/1Ptgp701ACAADH4Tw/zE+12n5w1ZGCTPZmZjMfQsT10YbVBQDPaQuFa5AUb3qkHImkAT2++mdxXyKGdc7i9+wxB1I6a16Zk4dZJ2UgsL6gYw/A3tK+vMBFZ+tinF/efvpZX8wsf592ye62jvTAWpESaxaDCUlTfDfuqW3UH0CBCIQZvtpVtPhyQdXDxWaAjpRdxGIOMKqSvnW/lM+TjauYvRu6Vcs7eR19RbQPp3byJAYC3bluh6jrsQTMq+bvy+rK/fVR/ZliQu+YIBWcxETAI3qaw9F+mFGtHNhz9zjpe7ZJdHcnRQF5VD43RhcbO2asUYey14xsgrktcHS1ZQzmzliSCyOpuwXcSrQnSao1jh3N6UAon9QNotJSMc81z2RnfXRz/2zCK1Xd8whxhudTotEvnzVGPaU3B8JuIsJTmCigtk6qFqQOFacbxWlkSUmiWmvrlgeKcfrbUpjM1QfOGEZO5x/2w4YZdRz57sxHWgMZCERPn/tRljjiAw81OdPDbXK4R/8lw6yvjyawuipbbC7DX2xDt9VTtXqZxyUV1PLpcZbuSldjkzGAd9bLFtgScFhUSv0XK5mo1TWeLdQ0U8W//Wrva64sNUDCtaeDeB56r5qXefgccgDZYCVKF++YC/VZLFpjOXH3F5/shD1LM3nTWyOBC2oBD4EokRRXhA3EGdzQCnrpUlYwdqQc/zQ6yb4gVc/bhTNGIgYIyZchD15/qIgp82LJhFv/vtrZ445PERqDJMGa8EC1fZZpu4QZeznSYiH1/DUlACthAlDmgPB9vjXQ8P1A5zfW1JIcv9RD8ZUPMWYK+v47qLE6xQJw+++OZ95pEEVJmTcHbTm/HoGB+NhTWTVRIcyIZuLlS7/j7HDP4Gpb4tfNjpXCOKiMi5c6SC+AHYbMZPV3xQTtc3NYlY3AQf+BfdJrRgNGkXVppC9SvxHmDzKs/x/mMj1GALwrBwqSAatoA2BF1RjANZbCUAJltAL3Om4CxjCgzXDp3UI3qMLatRUMy4sLSCeKA2GUv6cYEB2qztnutuwhPkijGOZARsUEZWOtR8m/UL6KGDP9YedsSEtHUJ1jPuSEYZHVlK6UI6Lx34MpSFeLWkR21cJS8Iy6HfXlXSDChgnjokS+xXzcq+NUb+SRmtnaeG5y2B5o5gU+WOok10ekeu6fRKGp4Fb61R+Wsv5q9HK4zcsA61T42Wrk68ROWELEJekJ1Fo5oiK2HoJAcLzEfrMkYQ4Gb1RN2JMe4xeVkMEfTZqSgATgqtwPd0ZLeKRUgcypwTF5Yp0rzG+truUtwicZbE1lV9L4/xHmFFPsMT0f15k3KZ7CGaWcWmEpuXUyL/QFxUEgkMaig6cUOiqDqw2kqqakE8R42vxmiaZuZZ8iXpm0vEnlUjv0NOpgHJx8bb6xA3VqiMOkEltl1EyM2UFpff1eYavAg/b2PxyYmyHoivfIEBjzyf+Ic7fXNgqjWRfMNBIXhYwyZboqLoh/RNcJp4mjh0WkQj+FonMzJ6cesoYeedVnbKJsQ2xk6RaflHreW9ymWmfqAvAAjiaIr1cMNQmy9Mhs0CsFBurWfw4JtVQOQyvs5HhT4DAFCWtXrR5C6SuLngJUALk4YxuA56JKhtlZexVzul9o51B4avtzpOl4G+hUp46VY1XVBdXbcmo3O1AfIsGRrEkliphmFMSmgHtGR9zPnTlU87F/M2a59feTeubVDO4pGQwQnahwWpXMvbyQ3tEOYhWr9sePNuBK82vnWIT7jAqiq9oxuxZrNDdZ8X0hMBNMvOib4wiKw9HNizWPC84chT+Qj4xoE70llys9MWlT7/ydq7NOiE+fQtmxk8AZm+ZeHCozW9cA6LUMbIYdmLB9HmtX1toBWEGM21kB7bl2kyJdQdFH5UcTB2h/fQupgpYQCqdbtxJu3Orhc8dGUWb3K/EAaKcpNHJdZ1fd1IHm5khb//B3bnFJ/VKqatycsDT4+Li1cDVa2n6KxltPs2SV6sDPEG+66/E1EIrJUA+QDAPofaDKQaVbRmAlwo7N77fVWIhfMG5BtC/i554KjK44wN5Ba23EuYUpLtA4HTi94PYwuAShohlTuu2pjJEVtkgYIS5fw/IyZXPMEKvl/QUKB9UFYAi6NfvXa2sr5wrEmYnQtdbFvTddGc052KcHfcmmglse4NbmoKQ9nh17B1vM7EiwIHFsPgIqjY+GwYWNTYqN/A2hSHPoarLiZ43Z/5Aa1f34ydGMmLvZ7RknZPxkPDzI2TFKyZ0rZWqDZr3jTSiJ3WDPlDL51Vvv25ce7NQ5RpYMPLxI9AhLgl/s7fTMKt55UKc/SdDSOgLV0kihMHM8wpszxcrrAF1CHbXbo8W8K3ndD0/7LZXzhXBPzTl8r10o+nRz8JLNSwyT3svTBSux6L0Mx8jcJl1DaUtqQqOFP7Xp5Uf/MmbqXUrUGs+ZGSXAdpVvXlIPtXDeytg5Il/NqzjIsm6hPyM9B0dz7r62IF64UZvY4gFoNSA8uuBqGlPMon2NbZQoO898aE//K5tQEp3kyiq0iKZUUatrIQHflXJAzUpxn572A0i1ur4c3VoZRhdqXpEMS+m+4K9jhArYBRlSck8J6wxkLn9MjQkK6PTxnWjqEqwvrsKX7GFfYkjEG+/8WN29xK/oi2fT+TwurZopkNKekErVJ2gGmDv0XyV4an0EapmC6TKvAwS94DM2FDWTiLo2hSbAwzHboKGnGx+WvosmSMgy2lxM1YCCWt595p4jQdZ304DbXiljosX/ewelr0BKOPTDc2ltq1y40TwaZCz4PAJhXg09EdgL8Qf0dgOLeqcVLZb170jIccwrt/gUNlhLYR3tqYCBVlzbmVfW57TfNEoPQS/nxCaNBJlWQ+PBftigoc/wWxzLSbRZt6gDta9uhL5YdxJT04re0+X+ftBr6YAW9O/BBF9JF0HynUsQaPw+4GFxTNImSXiM5S2BpBwewCbNIz2p2CxF7AYMnEGop5MgA+OaKYKgriEF2gmI4OJSmd310YT9cgOvWyPPgZA7j4/btYiFOCaolhTkYZ/Q+07efVQLm+jFF0yqvulw7+zvX34/ppa/5hOAILjG8IydNgGfJcjRvPIBnNZj87/ihNK/kl0v6Zv41a003BIpqaFfs4OkNc2gdq5AvWVbXRUYfU5CJa3Po5C913AaZEOZXrwplKkTVhkIssjSf0XEGeFb8lJhl6DCWbaIB7iCkPozGFZ/fS642tGFteWMFiEqqcOePVl1ra5DK12F+YzdJsvXQdh80aFPGbi0SN0psR58G/JMXcHmkZZwAMakTj6uCmQrf6BPb42axHARnGwq97OX3agsNcrfl5q8Dw54GuxIdq4HfMGOsXDoLL5SCEQTw2ikQU1jLG724BMiCJOc08+eG1qPfxfsUFGOIzZ4z+660U9FoRghhHz2ac7S++0ExSa54qu/JWs4LqmKsUK/CsLqWuskmH3kx7hibhXJsD7MfAk2hCVcf/BllKDXpSLifKbhoRrTQQYV6UAIim3OQH5k3AiGwrA3uVcbSx138Zy++O5PlplbXw+IIM/tzuh/9FazUFmEepwxA/Tw10lRGIuUkSP9zLW5ytkRELTG+j3j2iEKmV8JbtJSc97jjBRm45/E032E4EbPmQ2BqnQkf29i8U3Lk7WjxGIncFX/hJaBPXHBGvJQHR3q1PnwFf+as6zPjpQeLgcwh/LUzdYg+2xadHFxmgHeZ8kqq9OeOPubNuZz6XEEdrUkisQVGKpNbWTFbk2OFclqjYipjMQSO0PSMtkPbjhegW7avDkkgbV0HS+yRMrbKjsSAFnDUDZ8yApdOuzMKLVL5xjkE4sDKfYDrjHb9wgwCwoT4VH48HYBY9IRUJDE+hwmtsPb0HvkLKogT23I9Ep3+moAOYSUqamBOOUrtWN6s+dSNBvvBWL+ZCQnCbgt9VYlZDtZwCI4s+nsZtigotnyiPO0wKgrnblnLo5ue5EDX7LABLw7EZ9utnHqLDhBt6VmCWJhT2J3qRSlFLvkgtztaZF91yLp1/QTDUWCUEY+fdXYDHKAiFHvQvPUvyJbuoJ+tWYRxStX9edK3QvmYEV3y3m9ECJDMrk50zlVCBr2yYWOFaQZSJxnL3jmKaEQV9QOdKSt6japDx+/j2tbfwHvsfLkfZA3xM/Yo3DyPxRD0YjcJxByzaifudZyw5XEXKXl1MtOad+k2lFZrwLSO1UNwVTS4XsxLBnG0OjuYh6BhG3M1iS72RCdONUIlIWoGayLt4H0tmudqCKZ/7YTSG2w8Gh1PRN8XfLrmzKk4RjmXRq8osVQYM8/TMWTzldheVUqcmitSZggYv09bFi/UjHDHUWHqRcnGqYl41mf0FF/WtUYCfzs/DgamySNyaqH0vpKI7nzAGZ7lfHBFB/pEPbTWB+kV38UZ21y2aim+XVQDemMi0r4AbBoFiMoJIxw+cKHu4Nmfa11cRUQ35LSqqheDwfnoarouVXFNdMwQgb7+2JnnAuxgZi50Xp91Hu9BQ8GZNw8vDqPw5xe/q4iFn8fH3qJvn+wJatQ4BMopH/rHCTe1cqHzg107m1edIb6hILS/t1QQ745b99SfJRvVfrVjMizgh+liPBocbHpsylnhvZo47L/rkrwxMzY9+pjDVlyBEiNl57b72nCk76kHesqV5Wg3b1yLt8eesTIPm6VXyxbh8opacsg/0ntiFvMLVr8XAEqRLqdk/wEZY4igQD57hwuVgjT0NS6c+B/D6cej+SJUuYvmBG9Q544resJP9xJaSaybl3rB1W+RJ1y3RZ84z5P0asu0JbU7Tq0UJn0qkRhLHogydt/Ugk8WdMHzntaBr8dDi3CxFrUIanpiYDkcaldHM4QrOac1sqt2DabdOlBJABPrbPF1XVwd/hPmrYEcsF5XCw0V51QJCBxz6fTNlk9TrSitFLES0sHkUQewAUMvKTVO3aUiqG79HciLzvCJOB4bQtPLcSBqSu68TqP48Vf9i6AeD36Luj2M0JBqEnhMQzL4yWZOPFZSrA5yyuaInnSsx1Y0FL+lnjHgoNJMBwNmPbH5fH3HO90VA0Ou8bAe7jx6u+mWlHoQyhNED2zKnh4+0HPFf7PFVuYaSaBzoU37lrLAPEgO/qMlYJpiyUuQAjnPlkw59UP86EyrJgDp61vlfNOkKWxNh5xM3F7drfduI72ZDAHCRy5BBAKLw/+jFIKVVYAOZuS8zaOzzs3f+cl5V1XlOi670InInWANuvsa14SrU1an7/9mDgC9HZnYrat1LTrU/vvIqpv/ielINsm36RQjR8o20qWDoJTy3HD4VGtVkHskA+wT4/rLZBNpT/FVYcs35JXggNb2s/KjlQhOSndKhkgTYVsJgJAIzCwTcIjIT2r0zgrKEtEz7CEF7Vx89uK0IWQzy9r6hXj0e4AlckxfROx0IZ5gDXLF6Az8necWB0ATSVeu7DUytVnUQoKDc9WgJl2nRqfSO4RqbL+AOvxo/vrb+VXvxJbxpOJoAYrXX2m6T9aJHT5FXCQz7zwZMDYBpzK9iGvhfUDcZQqoZrMnDJHX3lswOZ4KrOYmE3mSdtv15IXn8CTIpzs+cnX26xxTR5p4nMIr7UnYTSZ2QJ64KEAEp9/F5wcwMddhHu+uKw+oA8PNTAu67S2hr5RnRxgrQmEX2IzOqjKzQnnT7QXBJQqlcUs3SdW5HAztwopbFJ8dCnIbTdRRw71m2HpPtaWWMF/CisdUGA7pQwcJeTe/rskFnxhtliZB14mqTuKdMDErXwuLpv4vgNfxTjR7AsQj22B8KDT5EVAbjts3ul7Gk7ZHf57y07ogopxSZMsGe576W3KHYLGB90749iL9qE5He7Y2hn5PvwB7hsuFHSCy96Ym4plMy+FbQnBdN3OaekvIFz0y/52vvUafMDup0khHYEe2oT74rC8CSsaPV9DDtdzpur3LSo14VjEDCO3HzB89OlL48RvFkrMHbR8NPp+sMZgNjVHbrVhj/HssmFXwbitNhRpIIh1VTrdz97OjKWDSDX57t+A3aQ39bCRC+ZTYhws6P4hUMkyxgRv0+h1FUvtJCQ1r8XJ29o89ro0QvtyeiydwAthMU8Os1EsRqc6J/GmN5wPUzLdgWHP1e0dsx+dnMo0HNo6NpUilwwK/svEi2jXgVcbOnZJQs08cHVkpvyPLyEXYlGqoxarguIA+k3oRpiOUDDK2tBrZWV8PjX5v7tYBXnb0FGkVmVJx0wZpEgdAwidTWT/v+BfMdTWhO23AGdtAxdaIPWgsZCCyXQItOnq9n3nIFqFv8y+R7MlJllGGKwB/FS9Hkbr2V6sd7PzviVErkiKS8OKJIPSWpkWgWSDbDvSGi0bBbzhkLKl+Kg/kr8y8+2kRzQpxmVXTDtyBdZdo650r8NhVXT+7sdvvqcfwoGHO9zlrYKbKg5XCYM+jJQwbyrIoNVJJTgdTTBAhn+efHnrI+2+tbO/ydo+e0280+rgpHuJxsnmeSAAagWblorY5q4ImTMtEz+8oM9fzpmmUXT90v4d2L28n4ehgza7NW4tznQ+jrvl5ZnaRFffd/AHdJrjsMbzTZMUh/81wWe1QmFS8TUhEIW7M2bjKG8qbXYqmde1lKc3zKp8ThZ/exQLh6gj5NG7wwPk0iGeTtXmmjHBi958sNatGXAjQczowL/z3dosPBhvUc8/ecXkGpSEbaXQkM19+Nv+W+WE7iFodga9SWBUcQK9Ysx/GuRhzDoJ5FcEMj7KA8e/bKHidWrTBot2k2/30bwyfrxMHjwOHZehIzR1eGyRv9jJVZzxhqkEzISR0lbOyclqb+LaTG6xi0FM7MQCKlrZfhtTpDNVBTfAu4FiCDvJl4f6chYcVCMZI05P2n2337j/Kc4aOaNP66TOhcSwIP/l4Cin0RLnaNXTZK77U0Dbir/rcQL8VKAbI+/QxaHU0jRHAWzhO+rDZxmmn2hLrRIxqs7P6HaMi8Rh5yLtEi1XCjvw3eXHlSVmZEV6mig3UlfMzRMGUOYb4Lf/QLGb5nzwyqg5Rb/Uhg0E/jmB56VmWwRwmOZaXMU+RMu+gNxYBsfhKO/azzIGWjE2ibGM8eO2Um1YqTslh+caNboQZE172qeUbqTwyfztVRwIGbX903LQoLCerQg22wyWBMpH+c6zeLqN1Bcz8/xrDoyByHnbVWWZnlr8g51/y47PhyfCtj1GZcJbY6HtXQrryv7lJydVqP9KdCtr00njrUNhdHTnhqmz593Pgn8IZBRzbaq8bZ0NX3rIipGYFl3rL7LCBbcX7+ViMGc4h7xZYGqxSaGWuHpwHyxn1tjRyfCKf+67MEn54rnxQXLc+JsLDmWn5nBtyQFJtygRDOpAu4crpRkSSnS+K91cDcXqN3wQJ2RU8vpVO2wUXPNlinXxpXTha6wm2ZiOR6LPZRz/TJ38SQcin3E6eZCJlGYQq4wjAy2bg91ekBT9vzbuYWc+a4g6DfXpw1fHHumIPmlifqlNSswTKWg8LYj++QMPYiOzNKJCWq92TUqfID+mNgCBctoRZ5HdQejHt5SvMAbzjS9RscCc/pIivsM7q0XqQFfMcg6Rgt5TpN01KOW/FqKc5rMp/R7yqW3ic4oQoTRg8/1MNtenQNBshDoDnCn3bDG8LQLdTmDegM9u5lc8MSeyOU1L6cXl/mvwFIMlwRcdawD8UZMrF8h+rGEgcvymrVwNPLuIOOnuI78TBs5EinHtG22+bSIakpvP97HRPLHW1h8Cqg17Gxr6WTZkExS8247gZ941XMTp7zDDDt3WoqgfeiULTNgY7rvqm/kRGH90Yf3WPYKJPpAGSTAJ4rx1O0pG41YApBice3ER5do+cxYtavrIIxyirXDqWE8qhIqGxkSbmb860T0hW82BnJJ0Lvcy13qysMoJpyp6FlcDNv8IpvAKtv9yC2uavLoZnPeM6VPhQdKh2bVy95uN+yLCQS9qeyTtyQcSlA8Lu9Z7rcaWaLsNR2M7BUf3PrF1xBy9m4t39R0UbXb4vF486q/vv/O1mIi6gb/sW96BJPScKz3NJIR9qIzVA4hwP4EDJ5aokjHItfiaJwYMO8JNVmf2r9fJLjrgbNPAM5CXrS+xypobdKPZtoUjcJ89qS6EuAqlg09hpNokqRZh2FolElNp9jnlhpkMKHVMxRq7b6JBalj9t3i+7RkKrgTNz/P1Xpu7UrFxzsR/1JD5s3byJ0BMlEtS1bJQALVsOI2yZv4/Q61yWUuLLj2OBlLGZGO1rIBTGvpgFUbUTtVy7ERwlktmtVnrDxjW5lo48uEovQdzAyOA1miBgedcl5SoXrlc0LXCbaVklhxWEuvRBww1Dgc12anmUjvvB6DEAdjZOn8+c1WPm3Vf9j+iNR2ZpooDmOE57zwIlbdUo+radTZ31Fp/AWJpRRoAhifzuI3Q/26vFT/qtvWp/wAReMm4nEBXUkSm64eQSlf0NGuUKQGMR3fTYRMqXHy1If7pBc/pnN4QMEUR76Ttn67f7om3QdDQKiQ1wWCiyXc3t/cWXZb+wjZ39mfPGlOJcX7e4X4e6vyAP2UKOW8+4EU3lIDcxFIogguXQCTpF3Ejl64+JLxqtpZqxoPTYfnQtXx4GNAZiJEX3AKjiRG0DNQnxsNgjdsqXAmJwubMmAn0ags11JT0WFV/d61Yky6G+Zk0Gv2Dbmz2ATAP5Srwkq9VPcyZ6no1Mz4hjNF4cP6UlQ63Mr2vnxOCk1AmZ0ZFF+A1DE8B3DNmHHQfYfoClbYa0ZjyU1NDLxDZS3eXahFiWnRHUWf2Du05B0oH6tI3W54G2iq+lx5oxrSSR8m94IA5+x6IjbCV9Gc7Yqs59dfLWBXoKV6licAKwZ10+IeKnsMGfjMf1LSZejN+YSB5YXm/eg/d6V4m0fF+s4pikceuVN3f/aeCPILWZIO9qm7wwIn3Vb0VDYsuqIeykUrFKJtTmm02kT2zQQTEdSlIwPrbJAHWcW44U9vZac3Usu+T8jJsRJv3NxaS6slBKs19OiRkEC9PDfIW5Jp9bXhwjd4ySQJP8P9+YAork7yKfqvNx8pdHeBx9eBujcy6p0CRLl4UymypGI7HFkD5zUkg0ZcFJq1plgdsc4JsSP9viTZNvbjKf/jLVtj3y0rZN/pQWxuPOR4CXDfOw5XeNCmj1fmanqg8Zvqitc8+BjgaP7dMcU7BbJqE3aBEnlYNFFBCJE8h73muXrvFxKppIHYCMv+KWTb9e5ytlpirCi3gsUdaU5UmGX4BTKO8eqh/dnvk4SnAGxkeC9F8dKwZ5rt1c1xQw14UBbJkKG4Q6G0whU15i9NHjuZkDXZSn+ZdvXcRo3CP+6eJQ0FWif9ImzmuM5UAizNexO8aYu2dXJnQAq7J1mg2kU4FHfhvQ7HfqqIVP0D4MJRyznVcUOp9+Qb5pRb6hp/0uhnwVj2fYK/GIveEmiyA1lTTHCnocidWIDU3QIkgTK3372SuZk0EYHlU6M9y9pyhX3uBVUwDlO+V27opcrOppP4CQWx3gwmN9U1cuGq1YnHce+Z52n6xWj+j2c2YZFXJWJu5b4gLFv+a6jVchOPSrnmoV/xZ/lhyvXmLyDEDT7z86AVywmJ5pgviBpheE6ouZiOfX5KPWvkq3ljUZQ0kNHkFtj5ip/OK0SmP7zVmK/4XlBa0g/6Oai4UKpoVsZx58X489ORX6tNBdUJZcJYZIG4eMco699x0l7S+r+cXFy20jdHi1mSEstVQmMnZHyq9tLG4NSjTJp3KAS+LomBaoU2bI+NFVjTmYeqDrts+yyo6vD4x+mYzVkMWhx+6bwv+LNfbECiY9ug99FrdFDJf33Ky1FBMbMHA/YQrSyOQSlu2DGM6S8vmjo+odEGIp6X2ozpd/sZ+73d+L2ME2zKUAux9cILPv2AuRaHLa5uT7q0vfktY1xg8uhInHsI+AZBWZ3hnErNPC6gpZpm3l3YOqkdYWmhHkSw/c+8Pv/tsHHTg0YZAOue3g2obyIgMM5e9drXE+1EeBF4BSXYm1Uz97RnZ6J6YIT45/yCB1VIVfuopOT6J8FwW/rHIAGGNOgYgD0uezwFn2zCrqy6aWRFuaBfmI59sAQOE1d3nHrrbbpr9Vz87m2cih5iClMDW8qKieIbqdUOPNUw4AgJI9Vj75b3PmkT3S76gLrfwhnrEF03bJkUdN7DtiJz539EhHSJkmbpeVTUPxkKkGY11OPFJB/bPUqPVPLuYk7c3zQDLq1XzYN4ovBkd59q7apYeiwl2stUoxtxg9p1gfvOOW3K97a3lbTXtxH3fgs8icLXVd155ptv/SuNGxSZU2EMDekOZkBUN39t3te80dIdvKrYQCd9ZoCinPGlGLQab8LVj5cdFsrnLoL8QPqIL7a4yr0LMdjvEQPscfZhx5cmVbhkXrSf81LBYJjVmUwFE2F2BpxETpiJVAMxyJGJijxATwhxFPUiOxG/U7R1q4AdWMW8uN0NkucI4LQZ0F+JIJq1qca5m41Riir84XkiC0rZFxYVNO9+8kI+H63UXcxgrI/TQGC0ZxpISckWP7OMPNVVZRVAkpBCQ//BxONZ4Ua/XZ3rEsGKv/hZtRdmiVIWLXumgkOQ9Toqztfdk9F6+8lkI0ufqdPFXxTvp1svqjM196jNZ/lQzLCJMXJnhIJxVqCPTw5eg1VUkrvm49zNBkr6cljrMfdk57e14FfrA4OAUpbrBZ2Kbf7MotauYQIKrWMAfRlfjopW3OkYog+7pbTVA7DAv3IIh+L7LWO+6kSAeEq+3O/LPPjveZu4wrVwwKIhoF5Ngx/pP7/2Z8FuewyjMu1rNDzR6uJYjl9pRnbbZG/NR0kGh4qTg3n+TPvbwG6SSxH8p0TC0TFeC7pzsW7bJelb3mDJADcxJtGi3t5YwQsvLUmJOP1dpCviMex77iCEY7s/HKhYMc2bLQu2f8gy2IjJnv3e+tNT95wWHoXqltDE8xn6Osevn4r+rZ1QC+ujLKylV45epGFIyW0qgahXZ1PQjZTIMN1mI11tfZ4Q7XrtzGcZW4VeClsNbFu3MmOlLF1g7lJ8fcEhCDgioLf+RuHqZSH4cfSSOJtZ4nWJj5Al2iUh55W9qnkaXp3A0Z1IwpK/v6WCX7/zVG/6HlVgM7nh9WfdhqHzpqNSmE/HbMhKgqdACXWY0meZIYC7vi3zUKpWT4IceYX4JMbhMYR57ZIVg/XOfZ/CpmISfko/FozqO67knbm4LLOFCwxsOC2Zr5Gjedivp9mgtsyLBW7HsaKejHKbvFgWlp/16/JTjmlVp1cVv94NisLOG9BLrRhMQdMKxUPLuZPFKxRMPm0E1SWtwpRi8emoRlx35n060bmPGPCp9/akax/yQEXvIcoxdTjG+POggCqZlWSM8Log6UNx8jmRfHOWCQJJKxUAC/cRPzjBFGkwSZt288jLS7aQ4eS16Rd+bMcayY1lJC4QQo1F/OcdGtXQqLpwxfTLlWH60yk0IS3kVeuqhK1slbNEx9al1N+chD+Sjm6R32DrBuRT91vbGuU45BrT90BNWLqJShcrSJTXrY5xrSyqK6mfFfThknUcQ2W9fxaFUKxu7uSd5/I2fiifAZbHBSnyYJnQX+MaqMyczH0v2ge1ruKPbhnmU3GRsIyGnUOtJitbBdvj+40/HG8kiQ6Lxn6UHXU/P0o1mJJsWD/psIreeJL+KPSozZL9WlWk64XS00JAt7MkCgYAAmdWDj7nXza46e+AM6hQpgKyXtA1LLRjPS7pI1NfeDwXdO3iIeTpO1pp6XS+Web63PH2qS2yhpjEkIFHy4iZlhBAEpJnBYdn9tNhOHtIR9SiNlvO/STB6BW90MS70WnwNQXTbpVUlrBx7S8qXYsv72rTuyEkg/9TXDO6V2Lj1kd4UIlRN8ztsGNo8ZFB82+L8k+SSMgmCEehT7cdvf90QCDGI9EWjgQsl8VMoFdY6aCIdT3BW8ejVZgsKWRajTqyjsv3i2mJBCESSirtqBH+CXwLGqOUzUH8p85n6IE7RFVml8UoGyZyyYwKqeMed401b+Drexa1L9ZuHKqGCqUvzHJvi9lbE4raZeyYz5EVaYwwpP3z/ehTE7UQP+2xodQwjBhpPjdxMvyC1gNAnBS161Z0qIN/xlUG98NV1SwJ52vqREdFL4lr5fz7GgG7jt8JKS23QqGPvALWKq2bOhn75IroTmULiPokMvn/LrOnU/6qH1Bmt7p9KJrOAFoH6SO5ws93SDhY7ZpI72+bpSW18bT1l09HYqD2tTCYJQQe8utlaEswBbFoa32mxuDn+VbE/KBI+M/YRX07NTlyfEjzOMHtNk8sGsXWUUQVTH76FyhEQ5SEpAhL6y/CQHxcelyK+VZtLLu1LjR+uo2UXaRlFyTEcsiUkJCK9kg7lHRBNuW7r2RSFcUsd//Ku0bDp2tOj7OA76Mx3JvpjROiQvy6eF76uv/uCxB5UN/acs1+gmp61xNvrVJyv9k5rWVfwC4ejL+U0X6yHsV96YP8YHzAuMAQHYzTdYPNKoTEJ2k9uw/p8YpDST6FtnWEGxHj/ql3U7gljzkneULEFsR7a5Ll8PNW7MBl5sHxTezYIcMxt7Wt4Ix05uXJbic4SQl4uGSy79aybHCgFS3VrZzDHqpVrbAGX+2imhydSbk1Ce0ptc75BH5YR/Kaia4JRnXlFaPM1s8zoaAbJbHUOJwbdqN9M9Pwl6VopfHQK4iIrJsdUiyjXLqcCYB/NZf693e01ujLwi8UQdrB6f+mSCVDG1OBAEFe8IlYHW/CIoxii/dm7xCPq2WOhtTD0hnakLDZXHeX/H9KnxJNx4/b6C8xrbXgVdnVU4FA/2l3Hq172BZzXl/5pxMVt5PfSE0pw+YWJHbKLq+qiObcXJHgY3h13M5teHs1N5WzR7s4D2kAp38xfguZSgFB2DtbeSzAddBnygtSFAXqA98KERHbeZAYENAmYAp3B/fvJjupeDpXjTQkjijwj8rmGoePel5sM6ZWNCtItfyA7TwIxWzGu5Wj/TykbSB9hgbDIO1hZAYVwmt5V612uHGuG+aSjf5yGCCY+sNDTMwAnsMmC9AvwRclhV2Ni0JSsq04K/ccJw4v2gt34MVLnEPtlwSYIh/Rm2mtuIKI4BG772E9M+RFcKdPvrDll8JXzDTLSsnjjVhXy6zZpCQmcE9uNXOciFoP1ilRZVKR4bqzWVkJ53kICKoHknxeuMbOPObZOedMIb7XXpAX0vFDl0r3aHxunupzNxrCS1bsbeme86TwGKC4iElrfbew3tLeQZUoMOHLCIm3H/N888+3oSAWoPNFnybXv9vG28LNLU82slcrY2zwnQDtcltQ12CNVcRkRmkkji4/JQKIxXbQqhZoXUkvj9a1dkKub4s4Avb8IsvN+A2Ic4owUmP3pLfi8YGCYNNQpU3n4m6ycg+VcuMt5DqMx8DRYzM4AgeFOTMyyYS93MIiNBFH+SgSMSmHlTtBYqeZfw5ki0xJLAo0j7AzLx4WKItuZMDvAvQCFGqEhUplNI/Iqn+QqXob5ABRlIJteh/9ItzO/VVmisfbW/41KsOFRvpv6OPKmuVHRWcvh/9SpOLYsc7b9zL8/1EFrvkfvJGIqGFqa15oBnWUMmxd/vhM8kvnV3pUpMz62O6cNCukXZ4BlI245n2A9Z52kqtnvpguwCD/2y/zW0YMzDvPC4BmtnjhZRyJ/WBecjGVinF03smfDetVs6L2t7tYJM2n9B2iEwNs66aendh+jYQHDbenQgqZ+ZlaYhou1cR72PEgKbCvFnV12PNRbIoA9loCDBwimSOvapAVEBP2Y03h3SupBV0dTKz1KUlHS+SSErXc4FHd0u5/KH0E8lf/u4HU2T5ZH4DqgMghnZ/WS1B74Ll7wRlmOqZlCub+zfsIQnmhAY+e0u1JdSSLbkmxbsGMKAjmV+Bz/qcKK5vkIqeEOHlh+Ave9sa7G/iSilwVwQrKpMai+cejQTfyOU2HQV/osbIV9WYYikHKetzIQ0fJjYDjqHEJ9glEL/1jltiViIZirAIEykyHMulC4GJeBMZJ2ts9/WtnJg+pBXpHRCqJEuXi58Ap5SaX8n5WyPi41Gixcj+qQFjcmMuJhEN2eb0AdhGypOONSKVJPP+SN5NmWkrDaiT1SjzRuqxLxi8F7a4xT4SXie5i8hgKNuqx1gSGHOYT2Px3Y6K3/TGPDfYxPtJVC/d8iu6HkDUI/Q+hRAtEr7Ww0eJcWPn0h7sbN/CCfz01rfAO/VdIfY12JkFSY+dppSTD9Kf1TyiMS6m+ZoyzOC0RP7fVUoBPbfWmHfVWyIXpc4qyKqCth4bS/J/m/QHv4MpK5GJTenybY1+/jtYhJ7xAy4keVHF4bei2L9JoECvjcbGtQbLuhYPEiW+6uYiDHmoN3Uov8maW8MXNePkGcENI1oQzgTx34EZq0wkZqtOgZ6nf8JEQX1WH2uyqOSM7wMDNsV85/2FnAfEYBpGetSJFXx0zzm4mbsdWjhjLyJMLgTUGTsIk/KZlnjcsUsNNU5ZABv1K7WLFbfYH6sAWwFlJpzr9mG4TgNMdQEfNekpy8q2shtYfjokkDRVs8T8EG9e1t/EfioS62g6C1Q1aL6HzPW9fXwj1KsO85MYE5VHQDAaEBE/R5nYMYTBl3lY2oOQKpW4krlaylIG/gwrM9EDwDGtlQ492yCrqmk80+lQ8XuMZVLgXIJKsDOfxONU4qzGfDd/P1uTMVJH6EuXyzo5hETuDppbiyWHZpDZIHbOSm1qDOu4bXoOakNmipQgpOkzRX/u1Y8Gi2yuuC7jBJ1hM6s/OY92sP6Hx/swpgsLRpiGx8a2tAv3Xn70DwyH81AwLf5/6/cLd5yFzyrkpBaklwLOcTXyXG4L21315YZlhaNKQ4wpS1LgVmeeMmRZ7EKHPDefX2zLjnzNUGjOdVZ5lroHhIiGO5tksI+Lzkc3fWYmI6maPTq1KGDfD9DE9fJbsfKEAkF1PrT5wZOZMOENlE641ghGhhKW0VjR5kkOmkRWRMz52ECIVrxgcSoWzydTunKVwV8Ft+6o5MR75BZZWdlGWEO74xj/jJY1MBi6odU/9qqzSDvv+Yk1GOLxwJ6yzTFNDPV+YbSKoxxKYFLuwlteXC120/UQtYFIpg2DV+8pNG/B3vlwQr1lyLJgQjQ1QOXcxZhtJtpQxykwgxH7aLFHD+wGzCx4v2xBSSWa+XW9xMTxkNVeHCTBo7A5RSkscVmeM0ZsZ98K9QUUwNxOpxyHLik5I33VzFgMfIxra31qpxMxUoJjt/XhO9zYDS1pRa5vmjbg8Qy+MZOo+Mj0vFGxr378eEh/N+oGZ4r5wlL1XS/Q7rndBHfxMZ65Piasn1nK3ARk56yst9q1PQ9G6fZD+vg3iVbIDuBDtsDeWerVGygnTiUAdZe/Ut271z39X9EPou98CTpL+DatBImx7bwmB5M47BCnSZ2tJ5wxNtvbUgYPA+wtdjXXXD+aAvSqOAfHMp63wpiVCpe8mOonRYADhpA4hmz3o+B/u6S4AqZIpsNra1jl77PcHNjSn2LD0ixhRlzwW99rqiC8pH2ZD+mCCu1OYWNBGNzp+WTCWDvHJ0mTK8kc9BmqXWh7axPx3UisMoLu6IArZJ8ddZa4W18pZT0UfKBX+9Q6dNDV/R5i1HnA0eQAkyYIpkRmZ9Pyxz1PDsDeLMTzMnrev7FVdDN1gwYaA+1NKX9vGafgiDbtMgaR/6w37N4EKEpMSTii0EvNNNtFGJ4Zmr6Q8s0VWAZEYRE+SIkJUxCObeLQkCjCSghlLCHXu0ewe3AfH53pZI4CcHJVbXQm48NLmOx+2dTJNCW3fS8j+xyJIdNtIlE19Bca2eWMpLUjJcVGS78SdrOZ5YZ4kj/NtLlYEv4wja2yhT/MaGeXJxypm9affk3dlYnj3nC4no3s8Al+7f8zRPB/tQDi6ug8MjhERB2UFOj+1l+gkpE1onVcFPV7aUDtWBeEQINzK2B65x3BMZNZ9w9SQFLKtcaKmRim0qN7BFQiD0UhlbUWvYq6jBmHQiUquDLeYcU1Utp3tOVfj0q8XHSyX6W0k4eMXY9qqYFYYwokwKPe+NDSKx9nX0fLwR2zwX0Aoav8Fhd+8Vl4ObeRs6MXGjMnAoNIJ3YpvTg7pm2uAnvdXY7kz7Tp8/ywYjzw2qeYU8RljjSV3FQihEAjlzW0DySrzLAD0hIm8jup+W4cVI+fp5HuT5ilMUUxDTo4FEs7OgJmVbAP0jfTnsELBOjAJJLY+tNTbRzYR2YcEEv1PmVtoBV9F5pfi1QWriGXnZoC1mNxZV4HqF1/a3C63eISo9nDxi1/IKOU91U7kd3kSu3U5J9e+kp24KYx3XVdANXw9sZSbQEB5BTfiwwq7GXIpbHErFAIXj1p5RgQNhia42i238AstroQDdI8wbf7cj2duuk93TwzglOOQZjlLWIpKDoMyFjzihNfgSwV2IgaLNOvpNg43B2kbjkFfZ0H2BIcVANJ4vu2FVcXNQdO4aWq0mgh9oQdAi2Xop/pEF1NkAQzhzV4VCJCS99oybGB0sa5WRlFRIGDsck7ty62iDwPjhABpzgllDqTKcgczs8bjkQ6VOUbXi3cNcsaCA1BA3mLWO70NRsyfx4oaJPN2bLDCL/Fd/k86zqr/03ZdntHI9BTUL7hr+f1WAv5X9qYbprj3awl2JGFo91jNhS5zJA/N3X6a5zJQTM5FSWMktVuYCR0WBPGHToyDpSMzhRkrHMIQHCiueJaEvJ5HlQVhQc/8SH+uc5s44fXQfZjIaDxVpB1A+t3N767+cNdbf0mvYFXTYEENeCheLzvni2N+2PnC4Z8+Bd7n67dSZB/bhJXy+b8w+bcG6VYjEQiQuvayU4ryh9RI1h7RBFKQ07lQI/03XtM3GwIhQzLup1rmq621u2+JUjM9r2XAwOTFj6GTjVbxIKMgFBp5yWqKD9ynglzD2ZtehoF4dIh0wVlF7A7vIfQ7XmSvoUeoXK8/LTGelbYFS5FnKLuOmkH2++N36L377OVDOro7nh36harWHHcH8gPEhWlzBoLGPxqJtBReP9gOnLuXsh44p8ZoEIbOxV9fEdNBuvdFMmXPy+l6hyKhf+/QWz7K+M4ezSFmoJCiRCS5p3Tym0IyULu+GiHwAGAxISjyRWkoUXyyuPXr9iwjZCBqh8Q0PE7xYBEIhGTRjgOWCco4xX9L4yaDgrG8B69kwesXZj8oAp6+i0xeEuMCOQErSmBOCTd4JAK0Jw+yaKUzxYjs6OVFpTOoQPWm8vRYZCJfUZ3tptxN6sjyvdFLZ5rnZImme5DEl+2HOQOErWNMV8Pb/6/cWC/PpqZFpkO3ebyFhPERDRTbBG4CU1329PPHQbH8XM8lWB+0vRKKbamPlTFegULziB9S3vBSyRIXIbSuFx8VzDRFrHHzRRsarta2K37sW77iT+3WPUJ8Jqgu07Rn2fssjHkDMEUsx20FOGT+ZlTPKCJoq7hdf3ef50vtvnropVFcdPlRa7sgD4TNJDcPo5vcyU8LqMgxOnRba5baRULewZQP7gH58tnUpu0wlYCu0/QSDxmlHya4okCyY/9pE9vm9Mupcg+T9CNGEmkMD3pjIRmQiHLz/T6P5JSj8I0Xepm6aUab002BHhD7vCZJETxU7CqWO2QupkWAO8lcGvcsfaYGziZpojpUXKbtrytRc5W6At7HHxedF1OS0Anr2uTnzcMYQjGZBSeLrX0JgJj21dnaZY5pOgC5pmhPZXPtQ6chnLmDDV36XM0nofnc2ksbgBTh9X+jfb3W9vfrbujSL6nxMQN4Kh9K7S1+ugIHXNJF5oy8O8FfOKUae0IK+9Wi2jwPF3eH5ucrkaGY9FqhFhycBhMFtyxJ0/J/wsJoLdd4CidimPWaJO4FmhNTPvzUUyXfWAVwoERNIAel6P4JhnEV/7HWg3zyOrtysoe03K6FT1CfLHq/pej5B+LKux7oicRRZAHe5LFnBhqrbzqleoqmSv4W+qPyRZ3I0MXtqlYj4hFFZYG0F972H6u1tUPgVXs+Mp6bZCMwxUe2Tbk46oJZiT8Ptl/igYq0PoQpBjM8b9nSygdX6J80Yp+yhu0Y/x4f2fEuAJhqbz0hXdeCvjtcU7KfRVm8SXWM85avuuul7mGouT+iPp+NgXkbSHHMEfWlv9TTaqCUN/2nz6HkstFkBE3vLay2tzh4D/otnhalQlXxot9M+dtdHaEpiRIK9ubqAC7tgaIDPq2u04UDEb4/rbKH19wuWUnZx4F/tN5t3+I7JQ4+hiClMlIM6AS4lE52zFTkOGx/74Ue1f9KoTNFUGmcQM1r2Bgn+oJQgxN4UDYEyY6pGHNQkoUXx2I2vkZLf0VSRBMG/4H1q3LwpoAaeultakknnr5+Zrx+12c81llw3LNGLS1Rk6hML7e2m1mAWvs9iye24NRK3m7DWcHltu0uRAoRf9yuEfjMwZ4yc5/YLXUm29E7srmB8RyyjtQAHTspxBXh9ZTubUkD62P4J4u+4et+KCZXHmXsH34ULJlYPWmDa2se1EJizKcrGn15SO3z142+KszQjFHIpv1xz1rM1hNoHOFMcm0lYSrKUQpb/zPa4nWz/0/OT+0wejoHP7xe/pTGiS1wgt1nmL0WLpwP4nDVPaH3i2WgN0xh4xIFVDN73jgP/d6BAItGL/uZOoek0Jm9AktVQXgfITnPqb4feV6IWLPFen6X0+9WmiiLlYFup+3DFf0QDBEtn1njG7s1h1fWxZJ40gXBg+syuKyXuQRmwfOSSyqL1/mZLeDbXhj947cHgTym9E+n8qvMMwCO5I2YcOfap0PkQEkjQ0+ni+wFctYq5Sh2PYTZAwJieZr3cb0WJ8b+pKdcx6UzfaWqdGBnm6Wv7nzGvCgaHNcfDdOXF6k21bZd1fSwreiKKTsUUtS4WGt9m7mkQyj1xT62Z6VqQwZEZNG3TkR0F8h5ekqp1JLquMRtNtGu6vSMknPelW0vX/K4dhghYsGG27ISk02vNJC+gMmUlTqwkWqbdlHgSPCE0PEofcRXh2h/Mps79ufh455hP+U44IojYROy6+m91SGCaFumAEVxHH3F/fHNwzws/M/iLIA9RiYu8lhQcql5N+Nfntcn2zPWfmRCgKCvf0UUe7Bp9Wz/3pNz8Gh/qRJHN4XuF8JE48BoEpfXdik/VjQqbCDxjhkEs0QHd385LfWBZR5hqj/IhN7YFvarYE/cm0stsg2ILVKlCBK5wTFkkjRx3LCnTXMQVRz1Qwm0f5G6gx/ucN1DK2tGp3kKnsl+cpdfzWeu2flma1oIXWuyU6Yi6AXeStxfZgHNVT2ho2mxKZaqs1yah5ijVhwitLB3SFz53ygy8rMApsHVc5ecBEIEOVVHUF4me8dXD1XJlbVfUDyZOsTpkQ7mCbOXA6V0gD0CL+rYpXfs2DVh9r/WoMdTQujDT1dLVN78Rv2g5w2617PcCRRV+gBYlI370r2XqryTV1fFrU0nKC9bkHPIXSa6v81CVp5VYutg0raQErAMG7L1g50V71g3u6x/j+mnDLDA9QBFBxGcwTk017XRFLwO4yn2nEy5EY+Ve/XRHoEUeoz8NCPLEnqWXxuraOQbkbzXyLSjVUAJes9ad0gmGnCSwJlyoyqe0troKwr+xneBggtxHcXdVotjCuRaj+D2J4R+Jz8IgR+5ZKbOpKZst3RoMnRWnJ5SJX01ISO1R8dr58RLKEhCf8xVAzxzcWgoF2fLCO1mF6BN9AaRxp8ZkClQbM0EDlaf5Jc9iahNaQoWMr9h4FaI9Bvu53IGAyFf8N1kO8LFh34ltT9s/l1oZG22zPUCmXJE4zJjA8w6Qjhe5Bf2NQ8EmoKi1fmcCF/OQlXbJ5rfXam+vlypSR4krpsHOXmVYDce9fCu8VjjcHqVpLdaY2Yez0WZqLJ4qWSis1d/kYGyuVdpEKzqsZcMnTSvQbCktOq2O0FzHGgkM9CYcb3uZlDC+Pk2U47ve2EDMvdkFFRTbvIht5xlSQDvY85xAMHAPeoxPoCOaYBChcVRtVZ7sfuHl46YTTI7OVWOlfYYWsj2aSkIEooaRq/rPmndZ5/uuDItmw+uNyx9GOqSlnmwX0k9ncaN3CbRXeeol37kReXSix2Th8MQchOZOm4CtuGLqqDfPMhMBNG3YAHxdiJW+qbymuZO0DGCckoTcXLZxM0dHkMA6GCk82WZbRk0EhEKk8wPCSRXVriiPGXrB2VCAI7PE2tY/9p22gYctEIRdJ6eP70jAwSe3yArf+AqJ/C27+WWozdo4OF68+AU730rjLbs3sUjEQw20o4i3txHcgPE/DIn31suS9MTpUpN4F+l89z/G8IMz9DWa4wLwIpkNgu8WtPzt9/kaB9WTzPzLLPVMbacF35CUjzQ1TpgLKnFN0LQzBbO/N6+lELkxcND8md/+Zpno6qh60FoLTm73g3hK/9qvaTw8qe/P4gkn4rIeo8YYceno9Y1n6u7xIgFo3/gBlm2TsJdBGsE5fJXbsBOABWLjHJKeFOQxl1muPWTO0ZBP+qMQx9p2yXDYWb1mx4p0GjquG/5XBeoHCAKfyocMScWLOSN4JhchDXpWq4bdIAO0F841KQditMsizCUVumA08zO70L0SFtpPULs0DH27b4L8Ha9HFtFTcd32uifQ+pv0T/yEYsDnjzw7wiJeeJMJ+x8pB+EzFCfNZh4ysZ9rm/2w5yQX7/WLmqTLt0ye9V0+qCFhja6Xkkrb7KMScskFW/Z90la2S0dmTsquOFT5O0FikOnSZPG5omtp1pyotofpWwEJpl8T11BG+Pppej9+Sw9QSGv1BPWf8nVIk06+q0j6R0YxzsAh3DzDoGY/cyQXwh2Qe4Wje1YoHJz9znJDHJI35bKMvpODRSEls+82OzgIvkPu/Xx+Mum0sXkuh6M2FnsybZ5Ug1xE3KbTQex6AQ9ZY+SPZZwU72+2BHNvfXk62vD2pS4G3rxi/zxeckf8XcnfzeR8QrMurqdSpTFosjsEEzCcNpTuEMOzFWEMbaCgEnZvTqh2QMPcqwN8SMHT7SwHMsxs/w+PPGTDKlsqLChEpVxTyXiGI1nWVQadFQ4Lg+0e/vJPgLkx3ZEDEQ7ORYYIynEJFOUQ99Hw0Crb6shI4WzAonZ0yxcSHrXBc25QC2q4N4prMkcTKy96Aygj3PyVZjNWDgA278FYqOcueJl93gpUxf0OOEn730iA68G1AVudz/POiuLEyaFgkD+EZeRxXxik8/eW7EEosgcT2EWFhLheoxGP/02z5Mi7XbBNRdB/VMYFbebUfWVWflpG6AdLlJqVEpa7bC4QXwKaJSRNyMgfllhssc5w9bh6FiIf9HXm+1eQsgvFBf+HiIWhqcXrX25yF+UXGUGfzJNLj0Hca/SP5v6Y0cTCAcSsfoW4y82lj/s6Zxg8/IX4EiMkpwnW9xilyNSdAKrTFCXIcYr+wpd3a19895j49qqio5jshuJIzSXVi+AGXrGUcI73N2wo9l6e4KIFvrAyOihv+S0yA0bn22+PCenb1m8sUWSxdpO+bX10mmJkCka5M2jQ/KSbgf6XRmn4pgpd63I5XAARC8dAUxIeVwy6LhoTQERO6PrRmYFZvrFsNcXx10e5z9e+HYh/ID8NJyhvO01JFOJ7Mh4UEDv+7VjE1Q2prQAFZunfAAJT5oJVV/jrwrEIM5RGeiN+QqGpxl9Efcm46cbb6V1Nuu3zpf5ePUXREjJyrJMFoZXTXK4cBkgVhpr5Bz4a5wdYTsqBaVRbXA83J5UiyuvmSg7BovGvz6/ua5/HlIMEbpS+b1X8T7z5Ji77gydT1N7v6tJjd8TT+I2wktjeHtFamL+FgnyLgczO/QAR+DUuIecKQaDwB2pd22nM/KdxqBtMDnumtZzVGyLKLbfwKUmUxowsmA/MbLmUFC3Y+l0SsW7F27Y1b5vV8WETYF3nDhzfBLjVxbxn7N4mfeqEBJ2e/w4H5tc4/MfDp4u/G7v7bn/lqpi0PYYW5Pz+/FPZiybTzjcfFeZptwZY88mbEfb2/iJ8TIBP6IBFZ4R7Yr5IwPPyz+FoArROa64lNFShr/3A5DEt9yIPJKhXS6KOSQcIC7IK5s1H95fzlInHxDtP/YOVM4p/CeDToYvasJ5ne/GqaGwQn85fWTwnQQEW6qylK7hjHLSK3FgXDnwnIW7PlIthffq3hVDLTxE4QyAtjARPz8H9vU/+5IUrXYdIZLwl/BMSbc0wFavrtLFfcvQo3CMPVsoT8Z6PGSIY+qFzNqLIwpSo/M0k+PXdarJYrvuXqMQggEV/2FyUcI8TUOHnr+7tLoKXF4iyD8umlPI1he3fJTrZ6bDpALAmlMH1Mf6WcHE/cHGmysN89e/k27g7bUa/odUzD+6weKxBgNDKRlgkzeNxZgGB5BuBLqUKIgOM78017JP5yHnsBH0jAZ2l/gUL1gzUP5CX08sBEJuVq/KpGslnwontSEzdakwM3GrMYJTpXigvB75qKHa0D4zx9kdzczzJ0eCq6UEVQgpVTt1/GtjzUyCihrwVejHqTrddMxiAeM5Nw2XPd2xe8rgmmmREjwIuGL82drbxiT+h4VO3AFb5t75O6rN9EOdjOI+aCyUdYf369iBCxwyt14G9q5+Oz+aKZYvC1I3U7ly2JPtb4PXN/kly7FDkBraq/LMkGTEHv79H8eQD1gY0yBWx6ZjG2STvsHpVm8lA50g0OGWa8hvBcYojaOLkWDGEIqYwCMEDOA1y0+YG3QF41QXJeCsumGj1PnNVUGCsBV6WdwQABdFWicP3dK0+kPt/EjlpLBUonjhg1Ny3T7PBSmncxJvabFtgR1OVQrlu21oMkJOfV6PncHbe2btCzK/V+hNDQ/aAzqRztQ5kWTDdmnI8JSWOo8gKtTThKBS13SGyB5XmXTdz5kHMgDNOnpski7Uoey6axPdeJ4J7Hsmj5Y0FLwdKvtF3KuYolQDQafcKvokx9pY03YrimL56eerwdt+3JaN1B4/CK5D7RqwAXxt8K82bwYuXDH9FX6hfc/+RsScuEoiQ2yIaKLcbp1C9hJskkCUa5xymza73WBnASHp+rrVQTnz5aRTPTmsOGH6iBH7A/hTwCsGzBaUC29roAq9H21pR33AwXhtIQZAnLrMD/q2A1enEQwFrKhQ/mejzHDdbKvWT8mLHKFtWZIVDVy2swh08N4fHDrSxmxl2fLgMHuFsFJXJUpVE3ecCpX+vUY4qwE2AYD0k3o9xcfsWZYRyqtX77v1yMcjU8diP4c6mV2DhsEC1/cWxAD3Hd7IvPNeIU5lfsAZHMfoXBXglgvUQ4LSQfOpD54xs3FaJWOUMTIiQd9wat32FDrREoxbp5y7eBQMhSDCiGkFNgOet8MIjzSa4rHI3ImJjUiu7xeZkiPYiaFquoiCR+wsB9t2Fh1D6HyWHvbcQKs9emVMZH7hzETqj3eo2OgEsnuQy0y7Y/I2qFwJj/ilhxi0mjzVGqkICQhBgg7amzDJz6zI7STf4/25joMTGr4euE6E2jTLWUu9TO+J9m7vFe+8aKFKnsOe3XAp4Fyt2DiBLqKBZI5Cg0wP3L3FUi12fd7naSQs7S++3g0M7N9vivxcUM9fsfG9lZrncX8MZqSRgCd+8Dk+g5KRvF4WKJpuIkueVxM7IQ9h1RrNvaouNJjj1dKAahw0ckYiwLMxJLRRgNGJnfAWGP1DdCqfDaJNuqkdCMifQpuhKM6Tzj5xRhbmYvGBc+kfUwRgB2aiHCdUatX05TlvXSxfuhhk0nABFUpX6/EWEQCeRkj++vlrv+up8quvRP6oyhwnoImtNa2U08xjlXbBqrfP/lt3gEAsI91EWrwdHa5lr0cJf7aD0494Ww25FwqbMw7HQPkIRVAlMSjM7/qm4h2Ji7ylfEDyY0a+RamyL7AkqTRO9N6GO0Vm+9eBtIHv1ni6z8FmiHnsYIFTLEB75qx0HKG8QOq+VFFW1w5ArL00MlSmmwLFuXWYRbI6wwJY79eroO0AckVGBq+DlxhAotCLf4vBivZOqDEJLs44pGGlcoF2HEQ34AkHiDff2y4iGSspxq/d3Tar13+0tymuiOIBuPjjiIR1YnCe02Xdqp+JCB8Jc9Mr2P4ncNqPcYCh/sxjT93Tg/GH8mNvwxul/TnHYNsMlbzeHXojzslEYsrxTwvVcnxhctMSTrpavcKaYIaf2yYvOZi9gGUXJxeSdYm687b2c6Z33PLJQ889RCTI27fFYgf+SASAPQHZ2lBPu4bH1glI8F5fHQplFpfCwJc8ZU8gFDchmrF5rp8gAG8fHE6tMEEAaE8dFu0CoqinNrJhFfvXtEJvCWJOmICXOOHwUIOY/yT4d+xGXqe/UIJhsKHlvOZpL+NRn5RHgoJV1LVXcUlmwvJ1vv/1YBN4HgbKxi+3vAnFhvRw7PiSMmAbW5zH/J26iTDlJ7jxMgcKa0byZf1+Q0gMDgM+5nBsYtpgpcWxgPyh9iny3VrX4TrmlG4TY01w+IMOz+rNWN+0FP1QVgWm+Mg+ojYvJ8lpYwPYPpWimoCCawD8Jph9UeGCEVs12FA1kinq88POfXidCGbcJwKeksN9Rm1/Ak9hqqgrclq+f2E67Bm9cMygdQQIO16C637wyia8+i/4H079wA+pH1xc8ZQhXQAEpe5MnaEcdZB4RIEstG5R6DWLa7efzXYlp0KCHfIAO7N1MB3Mb+ffu/j4v9fNK6sXJdwguvtSRWWqVD+bZWI7Jiwkm6PENavRTblbg2q461iG79Hn2xqNhqtz3qBOIfaPmZIL1Edpzm8CmiTqcl4WOkwhq/pFwuWtnQnZI3QlieKWPNLK9CdSiI0f1LJo7A8Y5Z4TTHsEkK6I3DfuKY/gpq7ru7wVRrdB5ji1hj2TK9GyspqVI5IIUrQqnd2pNgM6t5k4B3z/aNlyfdNsxmrtPJbPTtTsgT5rPoCJWTlAcq+4xYmfObuT4hY3uFuONvENyOMqcEYzR+zBADmAJ3USy1ska78S64oETM6y34erkAu3CPYvomDoGqNkD2Y/1Y97fechgZIMKRrz2ps9B9ULBJgVv2n53vI1d7RMmWDcvJsL8zgSCchLIawoAJIZoIvaKT0j5tjrCqeuKTFCwy1KTY1dIRZoMoxnjMwXz4IuhtTp3NNmow2OExkGiA+kljTsEyteeFNCkHDZt0O9IcvfK4XGm4f6hmIP00wYE1LdnopHFrpBubPan22Ci+BJM81zGh2mAPMLIH6KilEv3lzi1PRs4jaOnMVCfQiIQrQ+50NdYQNzzvTynucH+DZn0tEt5jmZiBZMAlck44D+/YCfSSRFzrc3SGU5sZnbX4PvOAwvuiOWj5AR2C6kujYskp5BvosEZrTU8LsmzAKGf7Ef40ADwu/dnuVrO8agBjgLTvwDwzZHX8CgvwDghdViBIryi7H1hrtEvWaGJ2hMzZYPu+kdfFFWgY27EI5y7p0zPjNY1Zfl13PbX7Lvbnx0SUOeIkp/Eimaz6Pc66A635uW3wCNOJzXVP5E6/miD5fMJ2ZGMyD9fmD1yo/3v9LPfahTSnGQ1cqYVLOsKqTkbEH6TVFRaxUZ2ajEyTtIxnR3n8UDCB1mcWYIEWuesPZJ0qOvkN5pmQ9LHmC+FwYw9JFJMGc1BqwMCayOFPrgbhlaAirIDsETQTd9VlPhU4yp6kvBiebd9hiB+kmJgVes6yxq3uP8F+Re0L1kUie/sBYvMpZBi7nm59ej3QCpZfAtfW15VG0Blac0ARoeQYM+cu38h7xiglD2jWFJUTKwRcgcVJCnZ1CIEZbwydIdhMYmXH4fNL4UThH3kOIzcfwidUx43HPeG1C2yqUENHFiCmZi9e3eoeAq2zoX7tWJq7+0tclHi7Ss4lFJEWUs2VEW0AWyvYJ/EwbckyHbNIQl5oqeKK6iAuigcjR5qd6HhYpiT+nRSQqv5JHoZxlbvUQNrYn3+v3SVAySx8G8IC3sXtp+mxbAUbxn/lR557o103ruQt2fUeqbaBP0wCo1J8DATbTZcz8Z2HgFbSUZlNDC0dFuptDppcO1Y+HzrPG09zl0fYyBs+PrNxwKE5yfo9bDAoqhugrZnqKEAJWfwmjZtKbvFqtvzOU9ozRan1xGU6J/WnzPb606OpvJdpNzR3vvSzHsoDDx5XuG8Bb2EWFcFHF5M01ajrvF7IigfD9cDAmPTJXrh3FPITIRgaUq9kfVPkrVgOF2CuBdYbyCtjzxlm8LeJ0Xxu5hlyhR9Yhd7VE+cupUE7QtQNwRW0a+2SRiCWMaaJNPDM7hiQZkdHEqadXAX+ZF6mivvXWOnP9Nr3w/dLTIUNEEYCNbe44p2QqBwaVmr9xo+Ze2+2pIE3ms2nkk9P4MlMuKAEKFtSjsOinm1RgyfVP8aXGJIzWTYIzvI1nwv5yg5R+GTkUby2qKLGAdiqhXTy/jqHtjkAq6RQlwDyfKH4P4g7+FAkYQOZQOqncnnGedjMfRNGJo0KlVthoKQsh9pvH7lWenTzvR1U2Bz2dvonshSSlaqPlOmx59i3gB+Pj9uTe2GxUDIjinjMvXmBk6YSID8IPdCcgO3+Vu0pNwMBnIcuDVA3GLrqHzx3G4rYKIy+7+8PXDKnp7TFpXMQoImRC88teb6CwLpr1/ekibFkTGVayO9D647Jh47F+LRM2TCe8FNeseXP1oKXV0Qf8Ana94JYv1x8CkeO3nHF4otbzAkZyI2jNOC3LbJ32yolCi8j/h33oZjh/DqNJM4kxop4HIOhA7yAWCGEj6GshYgabOYQe/smz9fvCbXO15Qa9Fq+ZYbvulq1bdb156g+js+brYIZ9hoQoSV1PQrOE71PEN4frEOoMmpaQuEAyNOgeAtJsWkXE5kg5ker6DRryQdhOh1LnA1BrGxnAUPF41UTh+zUNF2+eFy+3qvBmVt8uoGnDQLKh8puZapyG7DZlqLGBiQ6ejSlrLivQc8uC/DbqtOSTEjKQaZTTMFJ7yoJPGa1QmXsaZtMFKclsyBqnB2LkeA+POBgNty10l7lIXGa1jLv2GQEpEAaLi9EyGLMB319c4rP8Hkb5RVgS30QHFstBv6jlp7D/wxKPMVVSu4yKe0lxqIOEKZdF6JLkwFRxvvVRg8Jx8MYZwwoJvYRJsJo3e013I8pCTYjdLjzKlPITZfu2KV/faLmfpDqHNp6MZ3jj7PDvhrGUvrWFab17EeZTD1zk2qUrxL0P/V1Fo+Gupxw2Kkwcy/ys0Xd9tTaxiiV/mzf5ygWjo5JCMJg9uHQEIuNlWJfXChiPBex5VMVxrjrjsV/vUwPyDm9tF6NwHjDH3y1VZCqki4KN+yxFqD8hhnx83/5EdPi5qd40/d40aLrQWEQjMPoN9AMzbwaVqPn36BKi1uLa+EzF2c1sr5X9uADkO5rYj46nQsz2o5NSYGlXTBSSJ7JKWmFP7Jpt0aJ5quPOJqWTZZ273jzj02Uc8bb8rqVdTEk0ECI0bzKVX+5KGLS33ZW57pdkbJR7YeOcCwxDb+ivvwXeungT+SV3dSphZ2f7u9YnlInPotkKs0FRJFv+wIRyecGUZC0hJev0O2PvjNcn5jJQzZQapxrCAQYLWvvcF8DAfm/GeyB6SlBudpVFymo93wLMmwbUVAj6cSoPbpiawKFIdgvnnfkX7G6FPFKSo+CHmkr94RxN6s7TZRY0aLM+W+W9cLx27+IhHG8B0ZeBXkvXXiVgoNKrQryz5Ppm4yP0F/HGxnf9a2WGJijfrEy59KBNJ7qMDvlvfceZ7HjXGKCio7Q21FA5d7IFKEjSqb7msW3IHU4jmbqrKCsfEM0+qToOGXrfZoFId3ayz0mIAaJ976aPRjyczCZCHsL2vnt04M6ESccLh/T8jgXkFggLEWeLhM8E573pV8Hu18OjKn8vf+Sa+ZTaaewXE2fDFCWgM7gZdro+/czSmW1Y6IE5noyUJGlryU5m7ahWVtzX9aesYMZVH5PeMN4ohYhyKcBAWGoBXYYdZ9m1VMH36iThb6LgLaCBGNtptVxY20N/jtAM7X8d2qULZBgDCUxa4PvNt/jyJEa0H9TL+KfG7DoSXjidJIS4b3+K8qxoFcsVZQJw66fhy/ubum+pEBIuMA1okz2wqxCWK9yizs5pmZrSOz3wY12TsQt/RUwatT75AZXatWulshCCucQz9ER62qVTeIex0VE++olGgydKnrisIhPrdGUYjRcDJc2w18Ba8EYr9T6bpkEpjHUAWJZydPkuw+vF2EgcBlqX5JN7HPQV7nq36Ww50uwyQ/tpjhKG075CRE3V0l3GWk3pbh5WTy2FvqHpGFsMn/YE/uVC24wdr47boDjkthBMwnG91zvW5teuV3tJD4XtoLMNSaRkrm2eiDBJvUUKGZPAVRPIcfaXIA0a31FSn+aAk3dysUvmIQYriG2I2RZlPam+ZmnrOInKPfk/ol8Eh4VmHe5RHXUXJv8hCEUr6mKQ8qsUcUUt3ptduVA+lRrDzscrEbnVt74X/tBBpZq/9cYH/lbLH7qByMM5KEc2FCC4fujTekvkAYFlGk9uO5kbwCVn+suKI/1WJ3mfEheny/eUpEi+o1tc4fFfMwEtx5wYQ+cKXL/4DlwBFlFA3O+J2PoLIn46T0DOh1YPSw/9OfPO0Mi5A5Hr4NXqoo0YrKnPrMiFzBUk0wH7H8XK0BQwrL36bjwSpwFwxV1ITRJB34VN51X0NhdHR+t/m2shl3+0/qpWiE9+DEDwWrVQiocmlDwqW89rPbcUXu4yxaBoZF+76uuGVPpN5F0Z/L4UnCxKmTgXlq+hNbH9c6s25B06z6WaUTFCy3Y+9bDiXtVU7dZ5USsG/eDZxOUIlFeqlRrGpDhNDmVHzrndg9ioH11+RBUeWkmvyJj1SuOepxdcH1asKEX4KLOjHD0pVxdfhyHaxjYFaqbkIVz34PfwB8eS/tg33tSPHMpTFsx2UixCep49clWaoGDsEBnJXYmD7Um27EehiOFNtl+PERtE2s1qcYItHuCNz/f+lOahdOXv1e3FHbDQFx6jPzcWWW8j0nNuEu05QwdjRMG7RZUjPnEAKkLkidx2XIIKt32iDEHQCHTNznzbiFE3S7zKyTVC2Bss64SratmFTbpgea7qDPEAaQ1vCkenTT+FI1o10KOo8QjfaczEeNjFKfkvrCc686FpKD1+pLDFCLYVZKo+DCkMjgZl58hwjtjeMAr7V/z8H/y/CYa7oPNcV2GsAK+N/BhnseNHFGzwnG4LUH2fPOq4o6TaJikPUj9JznkZM5Lw7VRmqABa7yaeCwbp/GAvTcRqigOjdu0h0/sT2GYq/OXS6iAss7ZfqtEpk8Ffd5Vhgn9RpHZlYXeYWbpMJeX3xiWp4GNzIibLh0iqzkLmfwoWKWgFnaukh9ISz2XIYS5kpO4awSKFEkLRqdcFzgMgkaq828Pco0+VnutIb+FbCC/8vBibNuyQssi5qH6WvTd7pRCfxpGqmv3NobC7PQK+s3UpqQLVj9WJDd4enJ1R3zJtksfxsz9JwxaHvL7oFqi0zNo25cq+/ZWSljt3w+XgQpsWRI3vEf+b3Yfhaxt7mApXC9Ry3o6X6oUnuHCOucYKfamJI3EArVu86KyuL0rpeDQ8qSTbwOlHs9KkNMOA/4trYhHjQ8RHaBfaZrYdu8X3e3USRDQq6m3u4vIYh5saAfyKi1E8/76VOiIwo94F6HmnNcXehhlwpuUradf/TiW1b8hkMr6YYjb/d4A+zfSSmkMLVs3MxQTdt8z1hLsvSZSvOd9I7BA+z1e2A2Lx8axmBzbKYCTkqGQWCJFJtQlJ9ER+f2VqeaswYUGdBm2L7Pga5s1dNuUhOH5oRyJhP9YecQoXb1/ZTiCVqWBpNvdmk/A3RQm3NxNF56e+NJDRPOFpBWMzcDUYSmmfr9IPhRxLT1Y1lfc/e1LI6K7QgK4rtJdJim5UZVzk9idIaQh+wQ/UWs/RLl6aTKJKCD9YTRx5UYVRip8QpJk2ysMIfVlB9R4QuFUmXNf2fR6vsNCQQBwW1T8IJBwitKCF7AViW5E/S+/xX87Rki3dQqZuKQE318jg1Vztd/i9h0gP4sBGeEzjb1RkN7zA4LR0hMCkphQ89SivTEkyMbF5eWy8McOnKfIrW7QMoTF7p2MkqpPBAqXDMfx3fIhZLnCAhshWbAsmx7V+Bi1Ys+O9Rxr5nexJ5iESflldf5uIJ1LnFCI5I0TPPPvLr/5JU+8OTc+4em9NU3i3jN3npN7sBbZW1SgVyIpLoxlc9qMvEyN2JrnZOZKz2Tyf+glH9YqAwcP90WkABVKeUlM6+Rnk39PznXxMVAr1BkLjxHWu+y5HwtBBhJ5zgFrFPcZapEra4nB5PvYcyXDiTnZu12jQVMxu20yNKKnddoSkGxKpt6JfeMrcVF6gRNfTwCQcQZKOxr/L7kcEUjhorsqahjl4zfe7wo7dFhAZd4FLXRy4IBEl2PYyXegqnnGKlKHbNvuK8KTnNeSNzS55SKP0evYBNTxVYrMjlZi4kYFLexKQ6cldMXoFon74PDngC8FBLBhnx/UEr8QWFsfHNgaweL+iJTWqMsgse6MPSRKEbKCaJDkkVHKTefHy+hoD+uUvQoq0foFjoR6+d80Bdn1OPhygVmd7NYB2f0z27E9oWRO/z1kxuduShK2DgL+C7Df8wPkRE7wNf9bisy0jF/1CSz04FNGpjkXHYuVOya+i4pZjlHSU+eN+R74ABPIPDsxDp/sU2H23GvtAqzdm9t8hEgl9bu5hsDEmuDRx8LaAYbc+/VF6eQ7TLhU1oSr3DVgY2WOZ/CAhdGbatYyi5trHlbXb8GJu1Z8owWEx3zso9fHlDLTGKPq9M61cdErdI3R/2MWBPwQWLFYqRadjGqvLxSou7M+Ix0SMXNELL9im7HfvHNrzbDI7CdUDpnKuZb4bAFzMfbkUXUOBxz9M8SsQPWWFOKK40Q18AD22V6EOiA76YqrsMjOodz0pbGgdhT3Cm/HaEIPnXk4oDUBXB7IO+TDAQW5Teb02f0nvWgOaUroHt9eB89plVGWF5xp+bUHMTn0W28Dq79Ifg6Qk3KVZ3Wk7Jq6Mi0Q5jzdmaizeFcODerAnN9P34E+TzJyDaDFqtElC0q63Ocs9RV18lR/uX5MkyY74m/p+HBosCWYpZiwJUk2r+/J3aDQSbvrMr3AQ72ziRmJbXnPWqCmuFl7kVAsG8oUWkX0lMpxdchE1OcmupfVYrqqhur+fXorApwl5asLJ+zy/ctAjXbboQnIuftt2/0zBs1heXRxO5Cd3Hcdh85Cw9k7dKBLxfBqi+HR+OTOPGqEf+VegF+Sx2sOyGJCu31eQQb+OpIAaY+795bHuGU31+1GBdRvBK1PW8QRoxNnHcamh7lhNEYgEWk1ImQELpDdE3Srgu80LV03xpMNB1OAlPlOrvLg8u4EiiuPyhO+iiH1s4xJI10oMd67oAlSw6gwq5hFwD45u2yKhWOaQIBrx6Y89CMsAaX1DeauMY71ntrOv9tu8xbneRG6OklAdQn58uWsuPxMY8qTyMofd3kfd0o2i+zo3gVxEchGy83xi88kBvzl8vJIzZXGduMLcp9LZPrzD6BDcxTadg3qZ2joU9pUjXXenvX/RoaYIqGNmZ+yfnoHO0d2JsZWZ3iqqNB0qbtuwNP0sEyw93rk7yQXmMLCS2dtGc9uDn7tfE7b27xG5KphKlcUgfzXBNBCNgZhRgDFXRaR3Krzknzbh9a0nsD0uCGq53j0JJOnA+UgMSud6plQYp05DK0OKzUx2gejGnJgSqYJW0qs1qPXHU6grxWTbBN2dcYqKlZxI2w9ASkX+uWz+EyjLcln+Jt3HEoIo8YjWSKOyD4e6hXEB/qZ7HVsppFbiKi5/R9kFal0IudDs3lyheHgtUxCRGCN5ZtChX7nEtL0DIK/uVkSjEjeKNNEjhAiY9ytiqsqStzID88yPbH7L42xE+DPMysj7ePg9x0cdLOxATFRLHC8YzpymvTCDPdO/QNkWxgj2gT2IlDw7DYShCjshARwzuzkwNXUvAjy6UbSu0DgkdqVfAjxkIwFqRCRcPyxs7QGoTzrwp8gGTIjML0aOcoln7JzFcEXllKsTG7td2ids/zEoiIontocnK2QZQa1nrZy/4o2M5WrxZuWtcWIN0xPztUkGf7dxZehsHTR4jhuqeDU7pQE+OLdhs96p+wTZ5v12lep8yTF+BTWTkP1CYj9IJ8zuTI1GSpD/ixjy3eHuKZkniVVW3C7O6ea3hgnTihxY3aoLOtOtoaQvHX2kjxjnrSDM6Xc2u3HfzbAmhRh55oN/NsgRq62de/OA8+YQQrV7lM6L2DcBFfSPPt9G37zrCl/Yy0Dmtp2NflnYjjfr+DPAiVqVRsZP2eeOldk+Gtmn+1gHi59FYUrOGb2kPAJr/9TaPowzrYev7SMji/v2Zuh8KQVF4UWAwr4X8W7y2q+Co0DDFXPQHUli1kWT9/CdmBnx9qoAvkYdk9ROWh1xlsCxwm/wmGN6YUq4KWZcdUvvSMqUy7NxleA1e8fe4xmnQ+LuUyIh4cWhbP6BWOob5cMzAewAIOZzWUxBY/guDtXmeE3q6khn7y6rV9QpPyjqyQPNCe2f7h5u84dPwvCPw0WI7I1hCZkvv8OhR6vuihTD76B8U21emksAHOXF/iEFMN63BtdUrxGHRWOcX4fFT3nW+5JAom1XAwYFx/+Jn94xAnY5TtGFzS3gu7J03uCKdF2cCaz6FZvAo3SO2uzvKZ50J2+eG01aeCv72UMV0y12xEpBXzqbYPh5mG2jx0wACZ+7jeg47qFVVmitOjXxa/FbvbYE7y3uj/Zyb+p/rnk8T4MrrU7W7eilsPmlyzAOSccN/Zmg86+gHySUFpMjvcJzshaMmvl+Z/X7RQJKIvQFzz5z4ucQc3s5YR8OWRzf3moom3TLwe54DlLGETz5k8osvaiA9+Kf5GFKI5SpPMx955NFuYh5kG2iX8l5aw4uTlYqNYLf1tNqMRpUBOo526Yl5OsjvmDaGyvo/jJKV72zcgmFe8yw9eAnnzqjhAZLyGcGZ4qUtNrCdTfFPgi0SCVPjegdmxZuV1eqxl7aWY7b6es4EJR/j5dIngpsjBY+Ib8C7EyQyzbgP7pni3qeCuPj2MPu/rBlNc63L5nu3hkCyqpmJBEgXfBZALXSlQKBXSa0NFIVM8vzqB5OoTaG+wHLmZbVUHLj/JdQU1ZsS/0XOSo9lT6jjbjg1jMmZ08Hp/Wq3ld7gek3IOegl3kr9sOBGWe8+/TqhBYtMZkS3ynX/YG1bT8AjCbIhMLINcinmqh1S24bvzZOojrXxML8hY+y7hFjvNVIGsHxSs1OEbWH1/q49y/VnGafmWI+WM03FMSH47db5tmyDK8Z311MD1Oqk/nFpk0f8snSULjkWlY8+nrqL5Z2o+r9YBdamBi+xtB3oxAS+sNuhY8aOInC9gUMuxhqZfTwWbaGXANNsJ8jtDZ8gU0iTssDR+C/1Knbcp3d3E8yNd3/J/CR4+QVWhRhnXqH1S/7HYe2HhlXRWnZAwKsJT3UidkD3tArP+tE+mI/TqwF3g9p7mpY/pvikI3YEOkjbMpyRd2Px88zaiYTZ+EIApoHf7tUMoPLIgQBedNsNMmhhzFFXnZ1Xl4iVSVE98e0zS+CAlBBaOc8TcptJ7RCR7apX43vV/IZaaiOibRYm6C3zrhpDqlnvBx77w/Vf1r5C2pnJIl5HNtDsXvZYNxlq99JJycYRtXNdS4JjAIpQ4LpQG2RNw7wupdgO52NDH/bj88elTAwAoQt6TS0AUhNgTqdF6XURHoieW/hO20cwrB2jpDwG/RRk0x+3X65jbGeGxcomyXSac0yM4WJ55ZU4450NUrGcAIFRNxV96y6iB5sy0exj0AgHd/EZBxM9nVY/0PvqvZOGSQ2lfT/+vthFiD+Fe5gOKbDF9eYwFpxxoH9gnK8glpW9hTVcNTi5ORaTypxzN0cimNJ3yXAip04TjroMSrQTuZhgchIT2bk5QxJQ0QwkjedkezpXb1Y2b8GpjgPpeEYyCKYDiMNiojPoZllDcNe/y88Guij/IMiNC0hEUmBojUHKQ9FB2ujmrfS/RSdA0drSi5iUNCD8hoM/glOSquWgKLiJJYlPny9E06VpysCeM4svNwBn1HiNGxs3s7vfmXqSikNHxf8YkKZNHvR1mbBmt6G6obSAbc66PQoEY0k4bd9Fk2hqiPIZ/TgTupRPSsI+733NA5iOtjG8rNkoVovlWaPSk/Q+KIkOzaMkv7ZIjjNNaOILk5lhFXTxBUKRTmsWvrITaoXVYCD+Wq2ugGls5rV3qfCcYUtqrzzAFZrWYHaIbR/0hPQNnrVCwCqsQDQi/WkMfGoDKhJHBTQi1r4AKcHcLgDRj632RBbs1JV9K9V3zQ6Sxm92aN5tx0+RIq7N/r5ZKKC3GfZ4mF5uo8ibFDvLNH2HNi5gVvVjs7pfAcJRSYReznt2OpbpD0tf93tjpaqhA8lw1RnyArgStCdvPduH2dTnODvM3Dl54ywfAiqBzLnS/vtAVMexLME2itFdEkGqAC8vj2i5eBmSorgNSK0HB2zVWMxyhdiWGUeUF92K80PVgTucqKyrkHrAJGuTD7z1qRQiWrtoKZq/4XMYzbwXId67DfrbLOvLFJ2pJobO5jwjD4x9Tkxy9/rgEd/Irt8vdCKJ76pUg0hmzQ7RD7XhoH4i65e0vLF0Nu6lUKNs/YHGoje+jXxn1I5KPEJZUXwNAydfFWtGXngX2a99sS3hAqQrorBTSiQdqw3+eGeEzk6CxCMBgMdVmx0/lgX1Q0rtDTm9w54DrMEG5k5a1imjcb4QYazliMK7j5isRhJ9XaNG1NZLgaTv9xxkTDBPzV1DTqq2yq8NZzXNZ9jggWn2vUAhGDzrKND2MD77/r+2JpybuzBHSoYDUf6L8lBqw33PY/CMaiyvuZxOjyaK4vgz8QV9R2pFAxHQ+Q69hBImPbxiHoeyWz/PjsemUydTX6y3hVnowHLZzffn5pz67RQ+5ry9bNXyBcDc3xJBZ3hMqmWa6QLFXT/nrst9lWULp9j/BExRay5r6yDm4bBp34FdzOKhXUX6rCdmC8RyjgLlFSphL3Fal7JBh/loyHrVIXww1QbiVMvheuJv2eXkNi7VvUqlTsJvqbDjr6VR2ZWcfj46XaqLc/+Bz2JHzjqGYOfaS6yRA3Hrlo2VJaQhtNSVORY0UjayUMrRL4rqtcGrBoSwZ57aSukJclYdc5XGJT11nPbsoB7mwe+c+Hn/PW9K9E/ITzxsgeNXQoaXvupjK800W5cibB3zXCqaffDU9Lmb2F02lTFqoTcMC+0XH7FIYnpXQHd2pD5bIIlbRnnFXOelMetxTrkdMJi8WvPiwTZXSVC4DKAre0wl3zJmSUIM7cDi6XoDPFDsjm0cOie3SE5lQMl6301R3fc+eGG5fbW+sApGAT6wNZwkQ/ERWgtptQbuP5h0TIt0lMIMCONV8qw1qYvMF4bwXAm57bkRXO2ktetLTKzPyt/JIX7p4i6lU6UfkbCSwJRX10Tgzd5MIqDIXODah+Tx4pk0HT/SC5nYKIEmap7M/hF5dD1D49WWTfCtsvdAlZks3f5R9g/vJmduZSfBwHAiK38kjho4jvUhkp0XtWT2k5Er6xplh5W1DaTHMMiz7ioj50NTG1uXhh70RzM96KWwb2aa67R8TMgXip1PqEvedxNcPYx442WqZOjpX7AsF1AMglAJ+dWqEDtzdR385HVw9KebqWBK9+B6uoIu44z6cP/r29v/K9aJ1WovQQ07gfE9rROnN0/bNAJW7tiURntvOnExUpTeg7OGlV6pbxIoxFq3tcU8g30vtYkp6B0S430eRcqgZ811CpoHIJw0pCkanIg4fZOYsJ1gxQOvaeE6igbqswaBfvEnnv+h2K3laCyKCF4yxTEdUNKr37wyyT6ly8fL31H19UifScY9WhlPdSmMQ606bpnMp9tz6fiYLPSFOLg9k/zDmtnmClVrrElZHH3Ea03RAspKcxsyGqQJbuwXUKLMCIbYFAlBcGR1+oJoShAdC0707Z4pHDB6S3ozzvtzCgb/zFmftsu20Kwds/qBsndhyErb4DiboIb/btz+az67ETAUFdXyFLIZs7DbiPO5ZXROBH9HyCs1MIervZGU+gSaV0fyspuEpjFU9EHqZaG6G6HwhFdIYR+11zJKZlwXT8MXeXFevzEbL9rae02909fKP/+XlWKOvtNQvZVIgbLHQIOy+dFcWI7EIrhU17hffq6MZhI93fuEfNJkkwPwkK+z8AQfNbX4cnee/HAgh1ececaaT5TpyjuDYvwFeWQOQE3sndOmtpn2osCQJ9zF/MRGsAbM7NV7t9XVT6yuF8zBQuknsaUaAOcaoWGpsejWJNYLpZ7tSdNyBe2Rk8+UaCTPQOlr8+Q8kRFHPg5IOlcUAcyOf1ezMfaDCPGJWKVKPIUNNMYiOzincXSsDBaeug6tDjAXhYy+tB5iDHUIdTp2YqnB4K4U0pi3oQ6WZaYmFn6cvfvGnnvi2L3Lpi8W+iK3hziy0kNqNqozxfpk7yNKCVQTKyKePiB332elD8FNq8m7ToYjQ5PgrpQnk3mHtEinS+TRBbomlezs8hTbrIt3967630kD0jBDF7RrOFC4bdyJusE8C0FrXDWqCTmSenPNIYwzCBmfDmaEYFf2DBVo4ulzzX2DWAKfJamFpdaBkcn9V5mU7DkKDk+ppPb2hOVPGjABhbdfjoy+Yx+f4ISOitW+n5DZTmLgmlKmzz6oSVouKXfkrmyR9L2vL771Kol9xa5QQHDgYDnsEMXqfUKdlHIW6OMz7CMc+lDyl/TPXr+piUJjtu19raIm4b9o7Prg1R2K7ulJqJtu9XTY75auJnv6SM7neYBzj+7zSBrEwW343L3/ECqlKsc+psA8baqczF7C7t+9irlo73iOOpDfl9kgyMxtHbJ9s1iaDPaFJvZfhKMjKLgaA7z3YiXycbc0WU5gVdY/AftG3CAtDkqP8WoHixsbuioEY6QqipxhL9pqc179NRen8opBZOVKDK5jE8gprGQbAAYxIyCG4Fnq5BBjBxDMHeKqmeXgS1lU1gx0vQ0vq4KNUnSPPsALHvSIEADxxMej+KOODENNgKPncEu9HkyGT+4nasvhoxydJ2VY1TD9Vf6WR4tGL6KMknCvfiOqFNQ84guFkPxnWeDi+e/S2KUWP2xCmPWIKL8yuFbifi+7XtB7OvMtPLyuq6fjqVxoiN/5m07M9QmBKoNTfVCVaqoGYrZXthSdiWM0V8BalY1utmhntOAveHJ1k05rjOUKLwuJ9mO1OFqQMI/h2dLmb59NlOjaSXmmXDTh+/+t00txcBH50t1wu7v9FCIQTtMromVEXoV5Bf9DkBCvD9Fv8pv1f1TNnKJycCWMiQl1gu72EpRWUmhdcgfMQL5/f0Hp/IEc6zO61TDjRC0Quzckb0SPb/taqDuuaQjMjFKYlEVQqcXkqpxAJKw9+e9pXDMQcYiRskcwLdkWz5H8sqHK01Ktrp42Y9lz6CNxj9aq87Cieatv2sKbNrqAC1ZnR8gQcvYCqehFDLeftTlpNDVGW6rsEJFH0o3ldwZ8gbt3AMe/5NhfRTv8wOLwM1WITcb41ePk5OAWwkvCJi7DrYzDNIb85pomjlnxAMR5JtgxlVmDNmftUPhNu/oH//q1SggqaAw+OC/rWzZrm+EszHcf2ZtEC9fgU53aXKLMmuFJUTRRTdixbSg+K6zE/39Bztc+9fkLi1YNwsEduf0Av8gIFdHGmAhh3hMOvZIE1wwTnuOeL8nmmdsfPWSvLGRjKlw1aN9zORyI0LXRgs675VJYUbjxj2tOhxRn/2uof3yqX1wv2vGwamuXvis7i4PCGhHggnrO4ca5bJ2ldE+eEZe/exlSZQCTvt4etRtjJ2sdh8n03yPetb0oI0o12KCXu3vDxtTBErygQpKd0LEhTbFM/fpEFJyfSRWqQfMOnJnvJdLviYLYZSWdk5VLbVpLlpHrt6qK8WalhI3HYTdLRbSkMtckX3uPcihHd0Hgv0BRS9BjJhSkwN3UoQzs9f2+BKDRhD4yqXwv/i/uXLbuACBfvJ+2vdps6qq49upSfdMi1AfTuszJ57ESE5Rh8nq5syHqqV19EBkzZiBc15GwjKGH6XJiE21bqb2Y54KtnIMPqjXpBjoig+KtFCkyT7EoXYKU2Q9QAqPEzYHGgpGkqxuWFGu4gQfOQbe3N8bNWFgyp4FxsHrmMY2/iJ+Qqg1gG+yDo+U7vIC9sBP7vLdeVWo6BkLaafD2fV9E6ECtz2gSsWs0fCeFKTQD91w8B0tZPQDoYB4PbFgJNyXo5zaUMya7Xq1ShGcp+Ulw/I4lUAV98Lv2VLlfZFw5+M0fdHrXQ/iW55lXcqeCGC9qkY/uUtPO7yY5kR5RcjvPKlBx6i7gVm9vOJuvVoXntEucH28zhGJqaiFgs5RgmgHB0wIDfXdQfgaP+3Xqtpww8b+h9oHJxciBzOr1CbTeIJ2EjU4gnAz3d0bgIbZ5XLHlHuIOStMaZ3rd4HME0o4D+U3Q1YuR6H2lwDwwLfcTU/D7HfwXI58Dg49iZAQ+Ity0irQ8D72alnpVSIHdP9AKDuxcG91efle8EzPDWFjhnHw201I3/1+umOfbr5jCL1Vtru8ICJljdXIhTEN+LK9UfLyo7ZySi2SdDsfFnr4qKMgIOnrqpxaFvV7kzBDy/Hp3c5v6EmqY7iZH4Ew/UML9isYEzU3pv3k5LiCU/PWhd1LxhbBf0gwUMFb7EiZW0x6pMclUSYGjU/nRTSJ7zbSuvKJNbs+UE2hFqbyPaeSTZkBezszekS2zPW5dzfffgOuFfqu6K1hj/YitWwRsMAZAwomlruYMIoeI3MwgqxKQt8U0pU/oL3k1F145+PDcpffVkXwmdZMQP1alVmzkUqd/D0GlUipEK8dthr3xPdXVwBjNBXExeXmTWX/z3EEvoj8tJWW2a0HoXoLpMvhHDT8P8V6ZAujebWskYqENnxfM03ueYFkcO2ulzjInu3MbnU5c4Wvz1DrUzU8ZhuOpGH+8HuyK9t0oDk+eNf/+QynhKQI/mU4oPGyQNvVffxLHS6uOz6oYKZAkrySkhB6P0zCl4e1OMJnR1Si8+nXhZPKDo5Ly1I6mZLFN0lNzOqM5dNmH9p0aCqe76PBPLm+PubvQ5P/ETs2qg4gdHTPurhvy76B4mjltzezgVJ6DESIRuxG+OZ9BNbQ95lfdd/auWNVV+/SwmEBh1QtBzpqdEE6rfmDVoY7zbSGj6dQRO8kkG0YN1x8T5IQfA6ea56mitiGfLhxOo/ExaXYUC2u9s6bpB/ryzDQcbvd8YsH82etZZM+FpJAv4/0KfMCtiQWEzpodoGCHkDfxfplf/m3FnD8Sht02wf/unuoL16IzVWh/GXNLGY7v/EDGJa/AdArF/Q2Lrz/bMtDUNKfJlK+6Hubm3rk0sr/tKl4o1gRNTNmGvQuqCoD8ZOJ8V37lcBMFXehuvU0mg/DDwTB4anlhGWaIOeQPk+DOgKlTVhMbBwaPfeU/1MLYjEaNKrJ2+E9UYcsHUnYrk3c/cFu8LI6UOfrannen1UsVwxlJ/8sqvqk9VutY7pocLr+ycDS1RGBOD3yRWyKTvO6a+zXtiZU/JD2EcK/UOq+xqYdpsSphZcJOBx4ngg5c+AyLEpnxvGdwfSayKsN5hkSMWAbdHiS+m14h1fMrPEcoPkHXL8hzliay6f46WqV6K4/AH7IMaa3z2W1U7+md+P1E1TCtob6ryJqlMRMdsXd+EfLVFNqORTULWL21BuVXjGqXfCMHqvwm11U1af2IATYHrjFSlg9DgKgmkcausVvBgptL0cutfyK4ivWo8OO2EghvbiNlAlp3s2jcplAObQHGOuGdMoNa1rq1Uv1/K8BXotqKUDCSyDKNx4vl3wmpvo6w5O4xmh8WlAewfvppCqxriHChnIGzJLHupaZ6+7tH+4LPAfBML3CcCGpkzrTV7LL3QP3RZWbrxHE2ieJfBlvLZY6UC9GmbFhawOtwml51h4gynnSH0TezJu01PSyr843yd2Tx2wr9gA1tspgUU9vyPizfcR0ymmOu0tNBphP0kgRI5HY2ZXebLNyjcW+survIbzpn6K+/8X/v219rOxXqnhftCZiYojUmBUcZxgLsA5sjrRXI5M34NkpoIgGsXVNLwiJnW8AumlobRonTX2lgyTz+edWzxtKa8FpoRv+Y/ycEeZEH4u7Lv8RLoHV3eknY1kOaKaGpiwomVJpb89vv7VpD7HHcfQhpK3FSa8Zp5WLdUbA6CjfwelIlHd7HT+ANH+WBfphK4OagPKyeKYmxW6UYwsIk70glmSeAqo8K050I0HYknRPIgjRerP2DuFXZ9p6quv+EdPAh9HwwpFiSDkoNWNDEkgtDNTKwZVafRtMD9EazZs4uKIjdDjVUms8sUiVQ+At2V3LIfHWEXsD2TcJSfKCj+tmzGw27lzJLAXgIAUjkI1iOr7KRzZwhYMDzK28DJPOjY3GGwXxuRUE1zUHRDzJhnqrb6lMnUMJKcNjTPqmYJKTOqoVDfhKogYBDtgZBeAYfbwnIZk4rT8V/KwtTRtRMfbIIkkcszv00jgTLU+5vDyBMtpw+Ji2qlnwYlcKSTxlAR+ywrowoPTTFWpsbK7yj6z4yiElnT6XG50QMshdj+5syRm4G4UJ8E38sTUYz4wlU7MwJf+SuA+FSCcVx3OzUIysrm3xVp6zdXML5esDuX8n4ZgnXDP7sNtgniekthBW33cg7zxhG5KzvOmD4kJ75yHPSvX9HR6D6uAKzTWLp60PvetOHjNpgGBqo8ewZDQ2tkLaXGHqtS3UOE6ZTr+bwwOyfKJ3DpSkgbOcZ6lmKe0BR/dYZ4576Dl7XFbEUckY7xdku5ARSwCYG8zKRlMrxgHbKWdEXurc6b2Hg0Ii/E6hPiXYobpbvg5pXNTOChFgtyNH4sq49x9y11h9b/zVgWCgU3OCElGJ09XPi+GlnAD5QOYd/Yij7j7Nabs//ml95hALK/VvJmOPiIz3K+gZG6Z3RUbWmtshUby4iuL571m+BsTj7qCD2RbC+LgKGTDyvHWnfcpAwcI4t3A1dZeTWsZ7XO0sHA7HTX8Pvx3laxnh+zaRfatHYthjia7HJ8+Ujl2QeNbaQ/KU4THZgW02RPn8R0cX0ZpBXuvOIoVNRyr24F8N8e2ZhTOzkxIeO5X0CrzpQoEp8XHUih1ikNXSe+Y4ss9lR1vENoAgBk4GxVwMYStkQ1Q7EvuC/wLvj69PUi9dNZX6A0za5uYG+vlkBqiH+gZTlfttTmmNIJx8SS6WDQROk5c3xFg8Xdby9aTuZcM9fBrk/ZADRA4QxyfASrUGkqdMT5FSsG956fEDc/uaZ/92X9+94A6pwNdtcFfmnKjvrJHdLn5xAc5/n3jiFhyaWiGzaC299MXlkubMfIK79EGPjpjjijJI6AYlqz0UCywk6YSLOoVdmLa5/VGD9KwoSGtliDMvs+kWZR+B+J4LgaKZ3sQeGzAd10UPVzVfnQkciPvHio8EaiFDJKhMzcAZiPCQ+dLX+Ue8Jt0q2DVDdGeTjuQOgCCA/ojQZ4tyxWZ0bpBjwSk3x9YH9Qyq/Cmbf/8XgArH3NlKuQuDH+Mw6ywA7DoX7WmWNLp9CQxCzkeJREWT0Qs2BoZPMCHYaO68NHRe2lIkM9QGuKWAT0n22vgFfVmwF1KYRMmoj6fDBGL0rJ1yZgUHS1QpaR26NDmQ9kJh9+Ldc+OwRf97X0K8R0/r4hLUg7ZcXE8yzdpCx3W7VITpqFN3N9eLD3vDJ83xHM1BgUI2Y3zRiFpQAEgQyEzICJfXlC1pTWXoJvk+IfRwuj3/+glntFe1aB0+E5Xri7wWJlh7gN9zEXnC+3FQXAQ9iuhLQqOEHI61vDdJoztVXfpAHTAhN5iw0oT/Thuhg0qN+I/zfLedK6J7MkNJUATLWHyhcqap0NyzKTh3pnGT9qfkQ3E9anCjSbBXNfCJ0Lq2JM7HvqxDs+w7UgyPA8ytzNgQ0L73r4eEYUzbn98D9EV8bhvy+aBvNsNbV14S9rmV/lir8UNTbozYmwHOts2o3GgXiSPuDYBvTdNxx9EFNqRtCbcbo1e1MOOJunCUx1fYYIanRep6PZm2PVqp48b9liYMiBFvC0O1ZBxxJt8eavdGTZpDo1EIMHfOoDi0y6z5ohcejxxsp4ugdlEF87Hg0yXa/RqGq4Lp50KPtcmjX+awGa3rFiGP+j2FHVe5YoiXNvO8yFuGx1ERgOQNNoLIGquid7NawmYhLvl2Yb7JNwMZAiHif1hdLbUSxJcgReiaHWuk1wlx5AyPOzbHI+wU6qDaFhDPpxpdmI2xhnhEv8fqZnjbEryFFqKSno7100J3dLrjKAzLk87gdKpS1ydhfIB3bTYL9tA162uI/xOf8HdDNxaBLdogAcvjcxxbYYMTEoGC5rw+QAfM1SR01wkzXBpjNmjUzbnjfLMpyt7CWOFkph+bjBjMs0jvr9Oqpkvnw39/aC1wyDJo+QO3+DMluLmxcLuHYoIZAHIrBg2SDd1TIRM0xQKGX94wSN2FcRp6EiBMGW2FoLckzwzERki1UmeuWvxtclrYmMqunU3iy+QhuNnIvkS0z3mvIi5odVbnoCCHdWeiijZpuj0Zvks438NkDhz1sJ4/nzPUdemsWSPjbAddm0FV4few1QEraQJeMwTGJ5fzipU4D2+2JOc79N0XxOEMfzxywKD5DRZ4qZVN/d8K9zjcDfvc9KX+QzC580STNahcLziJoEIWfPcghIFJgXYjnTrVcDfmU+CTxH8NtApmwhe9sdt1e65ZPCzQMqDjcYE0NXtfKPor27pUiGbiw2oEpgm/UnsoH7F7ZomCpa7SDYkzWXiNwgiwNV9l+EyHKZi7qqgGr8bwYlL9eNi5rj+mLQj4DVTRWdW5s2fyUkpBJAD9xxj+/mcOCJQsHF0gMPpt7hDJeF9tRaa/JAUbyjAU5moYOorQNePuAYiNAJ/DBSWsXIL09IGQRS1crYRvpd7j6IoqB4HPsBgTCahXd6ArfBSXoxUHzaTFA6bndVtYnjrBJwi/RtMz2vPtKmwc/0Hlfud+iPmCB9wOKnoJSrjbDUAOgMn+i5zdAwgTsxqFTWr/q8E2RxJMBgEvbICdYSb2rCenTMgzqwZIfuwvG7eTWN1uD5qx3AP32l9mPCNP8psSpRvivQulWxK98cPuc631D1+T2GRJQDSuHJzC6zfbW0TXSFx9Myswa9aKsOkpUpniwpdOufU15wGrkOIz8zG4DgZVflykb9VhsAE8yYy14DGd7iORfI1W62uOJCaxsnXBu/+pVtwAoUXQv46jFKNELoAMsKFao9o8qGHUPk3UtpUchxRZ2tTgzCVZ4GWgm6ijtu64JJTSYW525s+f7ZzTH152W0J9maHc+swQ8CJZ09H9YZes82GpjdYdlIAfilw43lGVG/VOjczIanDsMPePFwW4v3/lfCdDXFEMMzw3SdSvvlv0izblF25zJJW0yHBqGdR//6ntpefYjsEDvHUckvh1K7CQJI54jUu42KdWYgwRY7Ig80fF8+kg0EQUcIl5SsLU52mO2GnhrgmSNyCQYDjuK3dXEcldzQq0KphXhT8OgTkaUGz+082iTW5soeEwgTUiLs7JNve6Dscl2uH8nPHHfQ0hSKRMMTszEOSpPZenNx01/1PjwoMEDZdJywh5aggBvGu1cfrPqKaJFKSPn62gOX6sBxY7KkGJeIgT306y0gc5uTIVOrqoFXN7tHwkVgIsU6jA7Z3u7raf0aD4ePWjieZuucx5TaE/l1VP6ZGvkFW4EkYQMSs7TFezGBmc4Ac8EDHo08Ek+mPRYtYH8RAh4mBy9UVEzLLHVBrpOh7NWO3QE1VGo4e5FFX/7EWuEEfVjXiEzwvKEbKo+Ei7YuzIAOaiDiXy3PBOVO+YHiX7AOizAjO4WXOwwzuY8yKCu4vYAB/JMRQ2rOo48TgklnwP1qYUBr6FF4znBQdvQmhQUlWUnk3CEYwTR9PbXuOhX0DI3u1GCkMejeqczRg6TSrkaUyUH2lPNNKC2CJTRll9Vk9JVZBz3sYce16I29oCtCte37ftHyDR3moNEZA9YcMYRmroGUrjAVnzmoYbrMSBIdxxeFZIOFVLKbEA0n8SfywCLNDmAuDWEzzGfi6WkovK9bNxL/MaYxvrqQclYTKtWZgW8VqSf23Qpsc5VvujvisPomsbnQDXMFhQVuvl522nmptsOEwc+ezqqvYkCAf1FnkgXFGx5MEsqCV4rmSO45qTwaXkiSbN7Nsxvj9lFjdStCPn6r3deEviSarycay72n9rp+39J0Bsa+NbYgSIJN6XcOz2X4E/LJd6FW1GWPfkIVF6a9k2XFKAUWidfa/pzplrXZ5vbFBls8pkAmbWLYWV6YXwRT6HdG0HFkayhITcd76OLiLQ3T0zfKvQEJP7fIdXLbe0jbZKHAaBIVBN7cO5gATB+h0WU+LygmS/96hkd83POxSGbbWq1dNRyaSa2ObrJTbqZQd+xyRq8FKNmaTsubWqUxQ98fXKj3ewo4lUWqoE9AIHrEyt6G+oka0sxEGXTtDb9LiLKGDum7BM+QmlXyCtOpAuEhik4lMcTNa0jdbGPyIXX9wonNucmJZVt6Rb+ezpbdimMUcf7f35v5jrgitfopAWUKuuZdfIE2IXb43kY05uNp/VPfiezwuxgMqbFGARv2F2QjnclGcJHN6XgIDTl9STkQLmAfuXmfrG7cUdiviF93DD4UExu9Ax6eUEgvaRgZjPgCr9173siy5R6idalecroKQsnUvGArmUuoLf7sFHUZ9K5ANx+uh+68ol0GDjg4EhLRuy1ny5JnC6EyQeZNqF9IsUOAct3J5Af+i8UppAFL2MdxCs7K9rX7w8udhOxAy+pbqM9eiaYlu3bnDc/AnU0R0+R56mB+VxWe+Q7WgreZb+pKyQC/9Yr1C7rgVDevJqc5C8Sds40qAat33nwOv9zVB1uuw2DBWBJWoifVZUMQ2IekHnV2UnX3YE+woGbZ4kYGDxo/P9rYenBB8n/h7eP3HdSY0t3lC84j3Z8Hq1zBpzr4C/Y/D6uZmPRfsIviDNDPfAPji6iuzoJwVy3v3gorE24AD2MR6Hva+MZPzpkMykWe6T4vMmz7WdRbCNAROXEn2rgs3EzqMDGAswJ2FrFKw6wJBIEz77ivubwZSNRmeP8H4bWNeM+lZ1F3j2QQJi6ZamUq71qt4PBc5vLF3Lqzx0j/XJI8ZRNvzeIzSGMaK+t/3X3EeVc2PDGpb2OhlzUUU1mJBhwezlvHBKx9ILxI8AztuxM2oCKl0Z4WJSZv8BcoUgFT+Jm6DbRaomuLVt1hPJpwVkul8FCvyCLW+RMKFtO/1GMHD4+uuJRICH9WLa8+4f8AXXMriSmcs2UIPR+w7cSudnJC7C8O9XkKCoOTWz5s4KdlSQQbffd0+odxcS/+2ZDdxHvIU3HE/rPk24xstBnFOQ0QL/rdIpypyS//tay61n9GC0O8uROcwOwKA3NG49kLa375ZFHSF2trme3v8lm0KrjvAmyFKjoaT/99xzP5Cn/SSgyRo+PNgOMJPh/hksCWIHp3FiZWKZmnT9BxwxZNGoTdHZG7683jzMxOpjwArNgiWlu+0omXHtJ9LY3UvsuRNnbg256ZI7GyGIbqHzTn0bXxBGLo4Ph7oKDYiak+1mpu4Ird6gur3rGAEIg7LKc0awkC5S40LB6BYrYQeJgSLzmwIxNPFz98Ymh2GbJ2YD+npWTXUfIY/cBSy0EVTpZl5MZJbJ7h6mYLpmxD22u7GRQ4f6wCB0vaQSkuOkTCV/uL4QlXErjbcqy/9IKQDDcY+cT5mm1o0dz/7iVcEY1u0wBVzcYonORwSov2NDceo3SglRUKqAj9mcpjIxPMR8dO9KOfxnPddmJodT9HiLLGAba/mqndf8ZborajtWko6EXkRAA3MtT3fLZr3afUP8ZSb+qOR3D9fXX2vcH0a9Qnv+RbT25qivKXcjsjtME0YaCso0XLWsMJ1kpM/2p8eS1r98iKG1JjfSTRxSt8moooVgWriMbKgpZjggkPOnvLItcTjd5Q1L1h8FCDyPOpA1CewDw9I/FNYZml6OHeMf+WKjYvuXszCet/Yv8MEj2/lHhPqMGyv3Gkb164MaIZjHi5je2/sJG69TJ+Pu+TvPY7HhTTTGmDFLTDw17e998Eqdizwg01UdF2n/qjAmEAvkvivUoKbgqw77tNixyNIPOyokj4erjgYyRE+WJo2ez16g3MXuA+eL+kVpsSgvo1zecFLzBVOoEkUggeedBt58BtSEZhKkta/xXG0XGBDPYhehkHyR5tkOMwCXDB9MfXJcyJPpbzvrzG/5M0cKNU9qzkatk7Vvkn/wITMNZJCTV/ZuSfc+1wcLhQrQpIo2i/hdbFk9n6whazlVHBkNwFe6kn8+ZGDZi/ZIJz+Ps7K52FEzHSbmFPw5vImXFAafn3VYFEyTo76twXFu877CQ0VyvjuIlWDjxjt50jbNoctI+kRiIMRwSiv9MG3QD/KpIRKGHcG3VU74g4IqLbfYYmsj5+ju9VAVDcfdfwf4zGQ8aEx/43QddJSjNUZU50y98wb6Njidmx2acL7w1URWhf6HpqO9c7+LCMr8WLllZfbdgxdvk+tIpL3OmXOtgSplVRyyv/7gbj0FEyXw2qp8LZEs1Uf80pEbdT8yxtKm0OTz1DaIJqHw5cYODrMAFYRfm2ecyc2wxuDwBk70HxkSe9VYczX1PBYKWIhQPGCl4R2JZbk4VdRhviQiVeZQXh645RiZT0iF475mFD0T+dnhXZYTxD1s3VWyKCOWiKEH5AskquzcOGoFrETgxmar+Zmhw0b6gAfIgSZoRoJ+kY1r/ZcgeML/GkjIwFHRWsj+8lfcQZaRyNxEsyjYKABGy4zxp4gqG9NxtbHgseJ6YSfy9p5b9SBI0H4f01ihWTx/BNOqIimp5hy3EeK61nkI5Cs5q8nhVHmRW1xSGlJvdZWr7xFJL9+jTZ+L0cjTHBW3MDVHEW37LfhxlpVsQuW3SrXn1LkggJStncbsw+XwBujiWWdc4MpWMHY6yBRfpAzKYADVRWhq6a/tK2w/ZmpGJh1NNtdhVX+61bJKR5tuAQ9f7OE8HeLN3QXFaNPI3V33FU/60H2k/ZzE+oBLns6bRVtQ92QRC7SIEbSUHENvTwwFwsvyW9/5UXv3sL6jZxRmzgxMkliM5VWTPNUsfW2TS13h1PZgV2sMzzaTsgLQRnj8GaKEYs10L7mSocuZ9MLey5RMUm6jPpQfLF9blz5B43WbeoKvCysJoCUioHQp2EGHMXjLxxexWfyyDdxhfQdtTxdti5ey5DVSFPxMoKl3AMEbXxq596PJu4EBK5j25KJS0KPyUs+FUFjv1CQPEbrkqrxP9J4OHvsik2JtGeYERabcfHlZtWu/1JgAa+8yX99fMvl1ABQkThsqZbBkf8dKLK2e9OkRxWwatgURChWK1aDHzzRXszB8Q5SvnSVYEStkbukOdeGA+ylxW1wInMrFAEzBb7kVmex62UDwXnc95iOIJfoo1UM+nukM2Pzx/gqjF4de8UHhyAwGaI1xElpU9KOxAPmQkG/gSIYncuuEOwPdHtfX6GfN9eUdlm5rrFO02r0q/yC00J/qgU13Le7dS3l4FtJE80FHKsoBpSbkoM+W52Q5pR6oqRmwARyqCf7MH24fxIXCmbYO/btr2LCXt75T9APZNwCS6RYv2lbT9C0oBMZbVtSrgzq6KmsRHagBgmHXrlc20ITxeKBgEikODbPgD651MOOTfcmc88vNFlquNdNPmIg/bLS+Kd+RU0nHT3CusjNi3l8JW0itcBzaNj7UJBfv8ywx6rEwEMTkISCkXSazMsqGLZvTU+SCz0zkzX3RVWXaSu9bThgaknS5zNwPE51k+ZtkGlcCuGFv7iJgeFp7FS5aSmKSO5sZ1RY997KodAHP/0z6IH0HzN1fc7ifzKtIA+mXK0jAfsi7wZRxM2d5NVqMbVby80vaWAbfCasr2K2TFd7Xlpc0hNIzmb/rhdHzhKpBhnY0pX78BrzGrCdeGwuErZNwaCK35VcHrLAaaKmYTh4hD1sLjP+kcfenJS1nw2d3VBD3bLVf/j+U7JmIBZCBgEAEeYiiEaWbhLerAMU8lLnEDwPeX92n4/rfcGz5U6K9TSG9sTPIdJ/We5QexaH2RZjWeQ75rlt31gNRuBhk4AUpasOe5IJuI7JA3EAQSpSQm8Ezxp3pPDUtU6DnsvmynFXyy7EmM+b6aQXE6uqKi2/YTPscu5box1b1S+W8i6IQ4lMSWSmUoGNnXkRIRUhUVwEuIZCI0bVlXgsKxYB8rFqOHGP5fPcYJdf/IrtYZvK9dW3PuzFTn+QUAPNDSPYP01WfLjWiW/+0EsWXU97OWgsvDWjt/M1NpECuh4Qn3xrcfKlBm5u5owxXaEq0l40uNBqaprg6m0l/8a08bdooLVwX7lX3kuz2uH/fzN05lganKBvh9Xp0uZf9QtLITyi3kkHrS4h5Rj1JzuJNCRm/wm9NT+BM+bG839VSt8m+jNAUUwXgiauT+H5q22rHYFMqxPNvyBIJx1I6vODn4Q58uu+VFdL9/JI2zja/k1s+999EX5x50pik/y8t8vqvBXdrWEsy2+8dqDTgeNvnsrsM8K7m3SZMwFyUqdwzVTjp97/N7ipDFyMC8r65RLXgKPD+cFYI6FkNCPq/ENzfdiVf1ujpM3wEFZ94D5zlraP8rK0jjRNN0I918mpyKbEgmUh0mXSzrUMbBAsDbkH/JtH4tHYZrm45eD2uKivLfl0ujdIbC3lricNGpbGB71f+Rkb8to624SDbST0MgiiatStGOAX3wPxbtuJ+NxT9hO+gom4uStM6XKrNOcvdO4wnws8rKkd45TBNVXt+oIZ+7de1xdndp62lGgCoBQmsSehBzUA6FKpYZh2DVEGCtHV7ZhkcLn05o+iSO+BBsWWWqhpm5IihJosVOASr1qGmRycEX6Wr5NY54kcVihTcNhb0gw/3pAu/cfEx4896k="};
@@ -0,0 +1,13 @@
+// Auto-generated by raw_words/build-bundle.mjs; do not edit by hand.
+export const words4 = {"count":51,"iterations":50000,"data":"9kc0oyfV2Mj3nvm5mG2SmAg/VEoSEn+M+M0coNScURqEo/maMEN5CZRZxXmMK+na4HmrI+a4Lcem3kF7Xn0A0AH3EFtYDCLDnB30ApUsC+bpFblHXdtrEaLjkqi/S2DEvhyuREeeW2O56UOHR5EVv6ZWL48rdtYAE20XlcRIE+3aqm7cc3QasyC0RhAffXa9LvfBCXqBTXENh6hq1RmrlrjX6a5qmKU2LNpCCMUUI7UtvuHCx6Ro5n5ki8bS7wnRxoZD285ltdSSAU8ZUHdoVWScR7saXVEdShWT647wfM6XncIAqRLbLEKeOsDKaYVm0RQiTZ6OxWU89TjZpJo/BL01nPB/Wa6MY6NQYUi0ugAp2K1crcXm39+N5nFkoBwqX5HPfZWruPxG+A8R7e330EN3mSNjgXaQTHEb5f2cb2qWVH1gwAmqURzZZz+DLE3wBkPFYDlcwZ5W1bGKGIWk768UP/Sv1WouXIDkPe5HIQXb8CHHTtOurXr0iqsklM5W1pryX8FPqgvQV8Q6q/iGXwoPhM+9aqHJl71/j8ksfsAJ/HS50KGSTGnvCHvG5rrtAWMOhw=="};
+export const allowed4 = {"count":2212,"hashes":13,"bits":"riRqSlytwY+GQSu/M85IguuLgxEGXvPaMODUWtKjWWuVEG7GrVh0Mlw4bzvmG1pgjoAPxmn/tlXpb+niuLYaW8D0BSNQP9fpaEtaFY1gBhiukwAZTzNoEoOa/ZUsGXfozzW39XInBC1b7K9YW+tlMb/DNqvwCtj54mET3Bz2jGYol0oCD8Kh/dmWFhDfw4QXJV22DEeo3sIGpg6tIMXoKMSSanN42JzGDfER2nSnFHHbLhZZVLe8onJuzYZJwmfsUkVqc8bVBYvnoXSRnGENkmAltcgIkHU0uhDAde3x9VHv3/SQ+CS4xAsikUrBSnrcz8u7hgtlSZ0AcQUc6shka3R2FKLI6hYzazmCmbSQMzzgfQZXdFtSLyBDKUOGyB+GskjTKsXm0eC9VxV/GH8JgXPXbXI9lqstadMReNwU80i87faX/yQJ1sDuVkSK71PGZzf4qPhaS/AmkiyPZn+7h3ggpcnYnlOU0mw277ya3XuEnw3Mu4NEV4fk+XEHrg6i+dBvh9YaqeQT+rfOIm9SolJUGf6Ah0sqXTIf9hgCw3EcMlZ+7HDgoz92AKAr3mS4VEPyVfWRREdXsjaig77OWe8TzXCorez1rLMAYZkFXwgJjVEoI6aRcS2yMAUeWAC92WLZFv+tSKKMSjwNtCPiMdkaSVFTM0KNDkQJSwgQW40aIXMzCmE3e5b/BOtAGYr5Nh5uAlOzGTwPT1XBGVme7QigJg6bVWROh8k5YXlacjMniOLKB2ZD4QC7hHjhYj4F5vcAjCOYIaAQ/Bf/40ErHtTgtPchoXAB4MZtW0zMLBfO/Qhrqm8IJer+cKJHpUEp+k1CstyOS9ilEs4GPBFIyEzSwGaDnLexcFJ38aLkpok9xJan26io7ik3aAeoUHSuHt62h5DrtJ8hPd7ywNeOaWqBEOgUqkwbfVGM6Vb7CB88nckMMUCZy18ukS/8QJAdjgX9BsMHIu+aCGEAxDceRx6a7FXQLuqQyi0Gy2yQ7bGSM/eYMe4Tjv7vfRjf3FRIICibsjtq8PKGUKbgxR6lAdoOLIqq7k3JkKSNn85zV50H8r6zZG8Bo+MC74tiU0zfriw+1/eEJ/FLnAO7EcuHlat0PPEgfEBwkEy8yK69IhgqBosPNjEmuaR/9KzkG0o/0fViGzn2j2pcl6bM9pLpyFJVZLIiOIwcCkNOQWgeEkCUZDj9SAMmb1rKj+F9rvkeJL+G+B5cnvlu546Em+q5rZ+CUN6MqQZxZzLbuqLm3HSpa6p7W8t2Pm0GxO/dHbiwnAVjF0saOrZxFXWHaXl1kT7RhwklZzfM6oyTzkIPDws0EZWrh/A9077qLR850AUAaX9iv0+Oe+rxpM1TpaBXIb3Epi5525PLBD9/dyk2F8AazlIjzNKMIOc+HZIYw0FgHSDKVCtAAewKzsSDXnSvKgjv2cfyoWhnHRC8G8StAuM7SLR/GecG9xbxrqgLAaNtuJYZTS8d2grDZJT7NycKa6ufjqwU3BcD5lWvwBMohDZRazCiQMI4YucGumv4MYeWnVg+5OMWFJ2XAwtBjARsBAZQm3XFvwX37AU30QaUfyVPzQWbzuAusmVMiYyUjuIE5yB+qKxNaaojWJ5Y9gcNB/Zqdo/IdP1tNJq/R1jaInTPcDz4jRIzYEe38rgeYx75HaRIGtK9WOis6OcM6B3ITnXy2FpfytcmjhJjuLr3CLct5UDuB73a9XF1PNJ+bFDjWnw4Vaxc/gjuOfTBQhDXEwCuAz/HT2GA5BKjDu9z9guZcEM8IH8gRdMRf67YBpI8cYt+YD1+ue5WeEqo3imDKppbxeLtCpI6qpYvm5CIb2svTryw8ZBF7ilu9MnwCFWHBZdOh8lQyJfb7yb1JY42zE6kig2knXjU6RCqvEJEM0Ienvf6st6A78nk9bRYQDNFI4Su6GqLEfSnNeuxT+tpxN4zkI3ZF7ScI6JM9BuF8x3b8nEvR03JI8lTpsA8GSLH76ymlqLl5f/mUruwbqnYqBmJtnNC3CQFrx8FeSnxBetGwGzRsoVRowppLtNf8okD3xDVqJafb0Mjr7zCYets75eAoc+mqKqBhfKnMoYQGbQ1+Hj/Fsq/yMyipbJ9TDk1ew2S4BfGHJHc0nyVnTqEswZu8hnzfBeRF+UphFqAhmSx6tHfdWJWkjBch9BeAN/xkm5oBZWwbQoP5RNNs4QfSljGjlmUZVodTucDBLnl3s2BE28N9F/0w4EM367OI6xtLDfZpW9Z4M1i62e5LQ1xkFaE8tFQtL+ysc9GR0NYeKm0eytYC9aLEbDo6KPVaA0Xy0XvPPXjCHi0Nk4UdBnnGFD10IA5AUc08dwFQS1+FXod5vqkwJIZPg/6GJl+IYHu/mQAE2HV3fExH4Ndjwyhg2O/o6h3JLDUZ9rBjRh0bVY4Z2zKbHPsBTSmAaZ8a13M10DHc/LFAyyHmECgqVUK5Y2fyZ6PxFZhz1iDPbQK8FWBZUp+ORY1PSalHWJMg+6KmGhpxqIVg7lx8+9MMLHf10+A3IbWyv5ixOyGFFUXE+2fimSHBtSAhbwbJXS7neAhRBGjQfLYD/yQj+LQFgvQYmGPG6y5JCldd9U6A7zSoDAqICYPxrlpr9Nh4wqUR5CO6W42eg9K7sIJbTlQcnKWUf8GrAxtfGSgEl7tboFipRwb4/ShFugrBMqw8XenH3qm5NBbIJduHjWnSXDNkCVaS3EGnQEG/IHQ0op4iQE1q7MMk++QcMxYPETkMNtl5OyLvwxRGqJV48gCYqYQl7Rxeqhlghv33QrSSYL3FJHJv+iIjZqWApIj4XjgxXi4a4BEagIDw1lKF0GV9a8+GBgdVb9fKviItACBhaD6qs+q9sQsTp7wUqoSpClQC3HtIO3AXJDuPkc93XCpckE8Hz9Nf6tA+UbnmKhrEhisif7tG1S+bgWTj2EGxIv/bhFAbwSD7G83KHff8Rdr8CnfVoVbp+PRkvgNwFur2bxBQ0e34hKChAVsHEtygY1I41W/LD2/hly1H76V9XGchPuB28Pox7/okzDZy+8hSSqhqDHYN1haycLqVCmWIdxxPT3/MFUYhuTrMbv2FhVWKqYCVTe1mq7RXCoEO7fowI+1AHBOkNY4EdIEsMWM0z5DqSWeIIFCQYa5KlXhvE5bpca/S3A/CWfwZlKowIdlGg0MlLljxz0kPGszgunNdycAxUbres8kXzMoy9R79BMbf8YeTMCWJPRs5qkyF78BrFYsuA5O7XKlBrGaGuzBNheUramYQ4wbQ6tM9EcNSXVh3W0UNwYEJEtpFpfAgVHONYybLimwLrqXBpWnqxp3nOmhV0LYhTgw5ozuMGSxahQkSo+z4E4IiYKpgxM/qegfz5QgeDgTFh/zoqNIpaLkkZ7gzGu3U6GVZlGqDYUTLkksiRGTPd8nfXna8jfcVAEnX/UoQhFUQpwfmih9pVT4Y6gvB3HG1foI4BsV1JbQPXYCC/iReq5+W8QKuw6NyPbPXFVTX5eLgitga+YYif7RFaq6umuzSrFKP5pzdgNU7i3BdLYCdgXK1JrRAl4/Mb+vHuS+AI661YG64n1Ed0IcV3WrTHHOuKxpg3K6DrvDCAdpBFzb640xzLDLt6zhQHQZlGQbar8x6aFYQhWzU2KzvPOFrswL4ZBYDr8Z8EWH6U8DxLQ9dkeUSsutTcdtf+wjM1+GlfNVvVzzASEyP+eRxTuauswFO3BSzJ/pnP6rZTCNH4DGlT8ItWSwJ6kYPnTLDvxUDj7Dl6L2D4RXslYnByIAc0KVfabe7AiQtnKuExx8n69igJKTXAVGpZapcOY2dh2IAIODGZgZUkxOXTU94l9bgre4v0Sp49B4HvlxM4uehOXGZ3MB2edyyRSclK5d6TrqEZLK9kCMpulXuWHpk55p6iMbMFUncDmS7PedSZeQ40b4hGS41oSTYa9BKMBxUcEojaHg/s8P0gZVkmRa5e5sdEb5v6Ohw7Dibwp9Fq5jWZtxVZLE0Ze0euaWJTW3Oqr6ewyQlvaKcbWLZQCiHOxC8K3w/CTrqiUGFDzns6yrFvfiTC/qPaXxiYlX9U9tFLvIgTxK+71y6zKT0sXZT6/4YdkaZGA9+Wg9pF6y1b4UtCW26UPvLXz9vEUbOo4uigYotbBCGWIciBsDZIgbiBXsHtr4/J4O5V8fK4ibTJdBDpG5kmsrS7qALCXUijUXDkV/3kotyRZkDxs5U12bF+5H/FRXeZBKWnZqItQtIUKCCl7HcL3IGoUcmrTvBqtH+KaCLU7WcoVh0agItH+FYRHJk27zp0E3mbnKswNJ9UuElYDUdf5+YApWwv8fLtj5jcvQzL5B5BC3RsHQk7Awne5RwkIrD4TzboLc6FqoT59SyMMlIRrit4jG0hG1zVqxgDcZCHP2v88VEkuEtu1gWaq7u9ILD9gAaUYMoQu2bJGMU+6wy9mhzgB3C8iMreDRCgftWNJ+QfqWQGIAon7AFgiRB3B80+5D8TWsQw/FNGV8ggQBi37xWB5O3lxlzMCHZiQfHKPJhl0GmBYfszpCkp5m/LqnGod6AGNBEkm9aNJq8IKWEQspiCuLRMwhBTYdsMk61AsIpvSPQOQsaSWI9wjZT9LTWqCzvIiR/JFbXGPXzSBHTeL50qZx2LNNqh0/2OYlUW8OzcBWBCT/mOEhSZnW+MSXXfayOELP7bq2X3rUud9NFOUmmlTL7mGpEgUYwBTyPlJoKJxKLsww2tt0dYXiOjGGmIyqrSqqCArWHDrZ26h2ST7iYS64jgdiJ6l+JX8RF6Tba+q1cEHjDhFvrtUgMg4oJpncuKLytXJV9+aQbI3K9zp95nIzSP8PCl0p9N3RvsuQvjVDbbuhMaLzkCuVo19wQfk+GGvDQOT8YF+M41Wimm3FqrEcakBIoOFG0gp89RIffNEJgS4eg+Ab8OxbqaUJHxB3a7m7TKNym85/mqoVIVDDucW1jhYPTjtW4BbZaYnTzR5Gmtz9vHrLK2RFGylIuWQFMIwHLXfVbnhfHZN0y4L3GskcDGT9ZjW6PIL6laQNgvamDcH+HtpLttkKE6BCrAvS7EZRtyvofdq5uzkWyhi6k+N0Y+Jw1LeuqDKC8gfJD1jv7R0NugEI5izgdjm60txtKvtA2Ti4ffoJDsNI31dbMo4QbV5mzhq8K7ExuOY0TDcJjqHTdsDD7XCW6fuQN6eYOLBQNlNouyFjDRgro1CVldGO7lSVBRobRAISiUzT7nkRiPyJiRTXI1hifN5YsgUBD+/KWFP+WF27fCEqWfmKEtkJttxEo+AhRvZNojOLHBuZnCp1E11H7AEjfbBMJP4AhUf5z1pcViO6RL6Og/FwdWyE/PtSgDXiCPmktPZcW/Q+wdTQL+GNMJSktqnqtcgwIIRDVaHe1zQ19iTRiE+EfZQKZWKOXB2FI1BW5bY6Wie2sJUnKVjV9LIhT/MTAyr6QFM9Ob4sAgGr5KispiCnTJrl/kRxm8eulUMdlVt007IR4PKA6gqg5A0CVdOfZnC//jcmWnVrQJ0+FQXlVS0Q1woRJ0136xfn6JgOX2UPOxDkaDmpdmsVEFFwcJsss1xfolD1tokOIH+9vUbVVvvPEVtF3D6/BnJpDEmZk7KGaXbooC8dI/fisli9D+5/LWQ4qtGx3scGvUMFQ0fcYxg8HaevkqlA0lJsu0plmrEi60QRG7xn31s2XhYO4ZHLjE+xUMcGENGw+aFYow/ftkCHFlJMP0kGN9Guj8QzscGrF19XKDvobq2uoBEbEA7HyiapBFYEBQGQnJsAsZMEDjqOLp1V/VCM4/q+OX7v1tgsS4/zU6VwgXSAs5vAJfFEHJTXt4aqYd6L96LMBEb27pol/kTdIXRIAsqd+3BcAJSx9TD7mh3IyC6eRQGSVJfjF3NV3ylEdxDQTIAYmuPvTs5IFvnR/3LJnkrRn3EGKEqINUKTIAOeVbSO2rwnY2h7mUOLtuOEUUb5X1BukcjspELfMVQGcpvrPmz3DMZnRD4ZjthvwlB8rBbjaTMuPsJrl1oQUTbMS2mieNUVgkF/5Qg4CILafC4vF3S7mgUIWSKxRibyjDSEdVZ+gWYYAFARxAoaAtUELU3l3+WXHOX5bAsfPL8LAC87pJdDOWRGhmjgx3H5DIR6BNiYezRCH+ijHHoh+1BSFSjmRDgOmMeXr0/hfK+BWKIRYeiq7Bm3iZUcMdGRTmiDIw0f8v0L/QjMU55UUpbjFkY7FkMtHrrcX8b1aWUO4VzpJ+cI+F27vfmpkB/FDZE+j9CRVUYZLUy2pOI+oYnQpCadaBrhteH9Kow225U+iRVc64xp9k3DxIP7aSjUeKZnbJKtc7sGRst8YJB3ZTlffC3AZSghxkF39oTh3R6KwnIt7I+d6hy9HOIWu5Ki2sULIUJQdv4Z3M7e9FhhR/Vq2DfKC1wfWQmpdST4ABLrglc0lCJ9rcjMYpKdYoIusSDQiK738NCQcYTXmUHfsN0ef0zjM3tSQNEsYvcsf8FRuzVoMbubROMKbQ0SpQmZM8VjOGo6sEq5SdZhuibw11X/4a/VXHwiyBaq0dRnyBB55m2SJf+Ae4YsVsuaCSmqL/37aGJf3Az57LWtopG5MimDHJlFl8+7FMfYZZahRuyajBhQOx3FCnYNrctAt4gMX7C54LYKnjYAfkMA2oYI3mohnDSQtfCfOM8zDOnjAlfDQPd1tszw1UNZI0LzqD+0G7B3/m+q5FoDOP9dv4pGD5XHS/Xncej42mtWtBaQiyq4r3La2vUrl7tITB6z8jlsBbWZ9ozJSYz0Y3FUooZOBKHmqpHal3FagtsY8dj7hcqW3dJ9pBUPY6wIKnDlrvjFb/LUnv7Vgly/8YNiGXlhRf1IqrUWJAGHkhJaix3Kkie9gpn21MUchDemfke7SV+KVQ2SSafkYF0YG+BYiA1A411H5t+DKQQ5nSlin8nUKUWAZWp3jYQ3oezHJlk4sG/RJRbi964KkXrbyEp1mAdN1dpz8ou4T+UV5zR2SyiPKUSeb0iAKdmAeT5amNCOWa/ImavrD7RQ/mPNn45G44ZKEoLzauedEwg5ph1XBuTrNXHpz2r3"};
+export const answers4 = {"start":657,"count":408,"size":24,"iterations":50000,"data":"cqUVDK/H21bz3vlqbCI7go4wH8ITq8CH3HbpDA9v/YXJ0F9WfoVgXqrdol9cR7wohFbAmTfy7iBUFTUubwOVsCuXILlrUgK4BgeHU5KMHHX+Di89oP3If33sdywcV9Wp36Kj4x9CJ0JKatvfsmG2dqzIkoEJcV7FX5vif4K6xudx5yOPH0u1ZIoaRrmjuTtdU8tu0Ecaq0kPjZmb0vaR5XbznJMyPjh4SB0PhFuJfmvAO9FzQmER88qy6hdWoHeKUi6r/Vp38M7AvNv1z+t8gT596lwoZRCWbPWWHBu6kGICSrgtKlfKxw98ToGwAVZ/io8jlB1I970djPf0JkQ0buuSIWRI4v7sz+9btak+T1B3LSKkWdn1RpsDuwK48zVGjuWmyNIoGbfJGdqlPJQrt9b3t6bbhO3NzGfOdEQyP12q5rWOeciuTjZA4UcLXZnk3Q49hcy2dTmbXlbzQd9vzwZGxWotlW+V+AJnqU0QAL5l8UvVMsS9rS0gBgAbrWtW7cWI54FTAGuCSKIx9UFnKLuieadA0PejszmJ3SLJvsGo7sy0LBN+9aLmIxGNq1uuc/4Zktj4xGCX8tGxnQnyZOcHo+QgOOgRh5ozvcdcgmzQhXLwUSVhyNHsiv1K4mthDKTKGVVBjeVDdrRsCe/96T4SxLtHsJ+mBcm+U6uqYH+cKt4uBm/MQngNl6g+L6HLcOzYnAJeyP8+sEGf3+sguo96qs4QgFtFuQyM00LDr7POTgOJh2P4kIKsvKL5hy2Dtd4rkzKKyt62NFvIru/wtVx74GOxtP11U9SPS92Ql20SqCBLZ7Wg+pUX3C0GaVfBTGdWgQKMtu0vG6eYNpvkQr7R+UBmaGpK5ZMzkKXouhIqp12XSaBSxmUvEdwIt8AadBvRYcaHQf7ySemC1xjeIz1cqkiLzj0fvRl/54oSWqY0ynRVJzgDZNBcxX2YP3RKtBeirPfwDHJqO/bLyYC6r7cn/Ark6L+NjE92BuOLTFyMFrk5/PyymwlhjdKpSVxVfXRYQERwpFvjl4wM0WnT0CKLgRTvi/1PeOsIfcuouzRE6cqkuml9DJJL3rlzKV2OI7oSBBxQiSLkSrMJOx3gFj4rWpZWXW1MAisocTwrKt1Kd8pErT6sABjw799OOS7+ZBs3fll2NjFjf/dfeMK82wyYJaq17FjwH0wwzrDHypRPObk/EEferFLvSTt+fc4qtqVTGA8TesBA92uiQJzRRu4h91UFDUOZYav8vQkbE8f4BGO5uuGMnXCBuBRFRqcCJB/zavJXJP1p+8iMTs/PbdcJ65/zDtN3BUBYHd0vw4blpNgLjT9GSvQoxVLiPf2QGe77qyp6kU8ZQhyNi1YxHa/2/HwX5DUgALA96xIhnt7vGex7I8Z9PPzPTN9J8aUrybPxWVvRO3M2p8ICxbM40sS+1R9gyPnNJRbP8Gu/vBrnkmiKqvBpwa8/8/D4C+orEpliK/MKC9bd9KbSTBUZhfKT2f74l7bV81HXth/qHhr4/rwZLZo9Q0rrCJJp+ZvnO3xgY14hVRfd/IBOhrQMUKRWl7bB2Qrv4gqoCr7RDE0GBrIdFqB1lWInHGD8pdqeuPawaMLOHNwVSz13s+D3K/10c1rRHOZuWIdmzH8N4QO27k05cd4z+jpITOhqogjxouPkb2EWgJcMp62sKzkXDB39g11mGqJUOBEcBS1XnNutSWGlTfIRH0N/PkSVRe1eiT7B0CVknZ59JM1kD3n4PjVuWwzd7uN7kQJgu5Db9KwBHyCekdHkP6ZdYGNo6aWRYuTcaPK7q4S8NwAGc7ZAldsR4+KyvfjWRtZvNHh3Sqsp+gdC1xyQ6IL+1XQMiiriFfl1s9q8vWyPD/0dTiVJ9cEEywltl7g6Hc/9Rr8l4vGMNC2lVjXKzHxebAeJzqby2DBCSaheYUX1vr0k5Akz9CHcgAwv53F0g7j1nTnXQCqyx957GniMsGL+Jgo2vapOJ9fb2hAKkAPHi52P7qvRINfdRsjKy39+YGUL/Xt80OGs9rdO2vdSK6Y5tiTM3o/Zq2OeTLXjec/FkjzT5XZVEpDjKoaURfZ2d2T8cNWfKxHwQZXLg777AspvykXiKKUIQciU5SZpOKtEpfFSvwEaquInfQAyhVrh19YiGsyio+zYJity8hO2KMAEXKncuuuVoBax5qZ3EM/xxspcrxxOJIaek+cErGm9pqt/DeuTyZCYbNcxmR/Hp7DBzIz3I1/py9nsIiPRPXwWP/IEC8cNV6hYcR4h2g0GcnYaco6fVWFswOOAMQi7NjDn04Q/njcwV8Mn/RB1Rqqx2NR9YhVql3nmkLalQO6RGiHNgn1AQm+PRnwnbUWN1d2TM1De0CPkhrodtIqe5tRVHM7l/7xLDruJNYpQWnUBr4TLnzKHXKFdL06nsByM/Rl0kwfGx/wwtH8Tt2+OdehvtQJqO98H+CAUHm1OJD+FP3ZdWE1L/BJOB0cwMag6Yrk9zB4OFfvZYijcsQ77J4mi3tRy0wvm47/woN81AQGY8cOkYf2uHD6Ax4R+zfSXr+Cy/DrDv+CR9m/VjtONjHbS9iTZcuxehfLxw3x2STnClusx1yr+N8e1IOTB8AvxFlN+n6qEgNCxcRfsxHwGrjVe2Bm138Fio1pVKaGvPSHb3rD23RgIfZVGBGfeSSfcMWkqMZcnK1DE79EGJCbZrNZwJV/oQQheaJMAe5S/OmSt87ISh4lmCxSiKycsntKCE31a/9RbGjmKNpzOVeZAQjR78wH5WSUSysIVMWKWdkQe3VG3WBVr8U3BUm57tonamwFlT61g4+XtbJyBPjb4LzuxHvP4ZLg2CAVQNwdGQEW7LTWLP4o6LwleZlwpOc3nIxTT5NEx77ci2qrB3TJl0fyF/7xmnwu7yX3BQF408UKyynHhCpMvUCeKW5Mkp0BqIgjSNAZn80lVX0YN5WiV0Lfd2Wy7zGwAiYwDTjwWBoP1RevyJdbyZin5SZsnbgp+g+XPs2JYvS+HGjCMy4KMGf7C+oHK6k/IzOY/nWLaV84wgK1LwPylB7ZaVNaLcbLl+n/PT3UOTBHK8PgVgklljJ/82qBubZr9uM6n+KmGPjR9TSuKm7OdlOJC83fltYrnEekAgTynrJB4grW36QlbGuxPVPJsrAcfUh5iGrfs2dUpaSDII0XeJc14dE6eXt68obOX+QKcJvl/1Ug0p7RhMJYqqm0NXpOxHB4Ko4EvNZ3aTJ9eKbSZ+8RBn7oy5ak1njm5b6tutSuoPMZc92QJoN36qEBF3euHLvMHbK2s/r7g0l/6KzgP49eIT9Lxsikv9UEPJmonWgCWoItkaKYb7Ved7K1EI7vzsl9NJytSTtS6wl2x3Hd0kum2LBPwbzgIpweGAxPpAajdv1ZLRJbp3ZXIzA9YNyPjU2ZhNuKprZ8Pzbsd/fRuhFLqPdwVL16EgvluUn+W5rwEEQmZ+DU/W84EROrOLAXzBVOeNfoEneEu6go8NFMy5KSSH4qnCbnhxwCjYEpXyNK9kAM8cqeU1wx6Vx6Zpr9zLUQ9QUREJYbO3W3qAr2Ij1uW8AuKwd3ki6qYvMqVX9EhsmKwjeByVvARB1LYwZtZ3LTYKznhDMDrOXLYhnw6UPXJcOQC73VMzby+l/e8FIQKGYqa08mrPSi/FOOAIYJNauQc4Xzc96V6PStUFelHvYROOjf6iR41MsS8q4rHSjSOdYDVevdLE6ffb47RY+NU9U4V32KYR/UeSQTA1b+l/As/hfO4Cu6uoyvEevqvYCqJ+nUHka9IwuxbKrLMmJaDyDeNV6sQavIhNlGAXeqPuq7F1pkcOrcFhSuyeNb6nQWeeRXTa4se5YE2OpMFNVcVL6ih9wIr42ugrzEaDoYEJlMEQbFnKgULIPOCPzx9dpx/KjqaC4uTxarVcPYxN+VbfmS+TEaJfqrJMa9C438TIkgXgYQj8hB/EVOK0y0MqS31woC4cHlOgG4E3519Pz1r4W/jrqXQpBUjmgcmx6zPFxQ9l/l9xoqNSBbZCpQYH7iOLhdsLAtkfyp81sbRRKgHV76lQvXepUbPrudzDlE7w7mjCGdn1uZ7T+W0EUSYO2+sHFpcPXvhJAOdzCRdcROEQ0Z9OAvb/bb1G231wYIB1h5f9Jo/pj6bIl+i7IfU3ynD4UyGZC9ndy8WL1UJVJEnzATHJL5OA6fxF4rBMy82SR6bfawzx3TJEOiszltwO+FDx76esRvD8jILEQJTO/I+RuHD4Y93Le/dWc+sihNF+fQnQwZQzB965Z+OPPYQ3rREwpXoHYV3Ejpmhxb1CR5bI006hgy7wkjSq9yZ/uBwZpEQfbRvJbYzcY2cWl1iYue3YLSwG0KKF1nEwkQCmZsbCIEF/hkKrdwm9l2kxGOKTFiSU3nlqD/kt4x5Qw2wJt2GsK+dc4FV5e8qW3ef1Kv23gBRRXP33BRRt6IC5RlLFm/ANm3940/d9DEC/c3fQ8BiFC0fHVBYQlK3FQxtttcnhchyJPyBYq8fEp/Igpj66Mb7yGV3RcCtQgEo+cas6XIKJDW8U9famCg8bWPyNTXwbN0DK3doJxjSsC0nnY0SneO35tbZGqEAHSB+KfXGDq8KYLH0N89/11t2vGwcC3MxvrNBynsnpMTSps3Iq2XyJoaGKdTHIdD6pssfqe2R+BwhKfF/QiSllSarpm/jHm69gsQqssRxXS61QWR8PXsuRtQZzPRmUqGGs/HkCm2J/Hn2q3ZM8iBI7tWSE07ri+RpIRjWA5h4TFdYJ6HaOPTPZ0ySmz7uZ3cdtt74mwKkBETAbXmv3Pj1OfdNLoBq20qBymp/+kK+SK6yu6vOSjoIgnE6yOoOLgEp6XlC39CDA5Mi3uW+xElJfB42m422hOCuxgUVjCDO4O0C+C2KU6FUnAJ6ConV+taN2emcJZXWxbe5sLodusP0Y6x6aBEVhssPYT7P374Hpv4sKtzPhp6H7tO90I9lFAndySEhOzR5uLP0oNp21Hi329D1Ha3BrYuRTX+njiCLuIyzxrPOtYb4Zgosz05HJnmJ5EDaysPvlyW4nNyJ0nMLVkJexfln7deLmGxU7C+mdKYFrBT/Rr7JY2EvPH7m9WTx9UnwhOP+prHc269bnL5ymfjjNWgXxbejJMeTopNe6F3S4BHkhjjychE4oIcbhgcGdPzq3wo3kmaei2rmgK5pLRMR7rdL07hMfioXzLkJhsbz/QG/PU60wroAdVBbozgClYHSN+jIVMLp5jJI0MW5/krwcM22wV8wRNWrZIFz378bAxkqUoMVMPS/ap/9ot06bXBQN8hHk5hexjrmOeRYmVh1jyuByN5YovaV1hXQ0DEKeQYoYt3doIPP2Ss45/6xKH3QcnuYZfu1SNhf4uKBYYQ57Dnpe/XXYUNI+AY/lcjelJyI0O4LlTWqB4Px+3/3RiNvlghoXfPG1T2q+g7jnoQw6RGoRJqTdl8iASnMf9E/9XHzQSZgCoNBsGWRrXBhoLK7Jci5zwbyN0jWRexY6wdcSGUIg89iJSi408vVVF3t5IJptV/UQo2i1Qmql5vPiM5lEkRscbQ2yxA2FRvJXx7npIA4RCKZAqOWB5zTdEW4GoMqLnG7kugrxe6X3ogzmCZXF6Ph1MJEmULrDoCtX0P6ibp8piQ8CFsjnIV2TJfGZ5ieK8uIXIUWuZNX1oNMjvt5zI/gwTxJKpiAq1+gJbnUV+XfLmqJiFLd7di49jzdAciu1fiWGGJXSgUSIdyFYZZdRVLA9G4k2dc2Gob4FP0oyc1RO6je50CYNqOAbnE7UOleNBn5cYdaVsr/Ydk258FEMmsZlxSvt27oJCBfDI9WQSb1S1ddw70ygAnl2t5F1rs6e+n9+aXrnuThhuLjDWihHYA4CjNMs8jbXOqhIXs+ysj2iz4SmOBUWug3wMjWDgoTbhstF2D5JUi9fuYhtR48wUjrMctv3VMI6SO7JpgT6466JtKXlS7clrhIipomMup9MltNMOT8pzA50HR6tKODUI0WCCrzIYe6wjgAGuaaIOAJaRg75E3VpauHgCePXQlwEKHyImWzfJmY7ZjoYhrwEbwCekj6faPExZtZ7mumYfkd0DI2P4Sv8n5nFt0WYKUMLscRXNCoULJl/8DFmDAvGC//4EOKHR/rrcy9pNJmJsBPASI2+B2xF0Se86dkvoWgK7qwAGeKwwW0ud1kd4dVXk/5TnQCB6cjg+oCVbX0lDw0IYhU/de7iUfL6yIORZq4No/R80uw0SsrZ0TXRSlt7bdE7qAzmFhF8hhiJAxF/SZj9A5LuN+SuNm/MEh2CSTcmC3Yf32Bj6RPxYrw/V2Tr22+KX0zkc7Xzen2yiVlGDb4lSrBoUy0Glqrq0886jiiwB2kXgZtQM0GGxDTcpHY16vgs7w+KgsixeBNJ5fi2G5cxBOnm7qbz2hFaAiHE9PaTfiS2PbKbk94N3kEYlwDiLF32AtblHKfIKp30G/upv0BNgEyCLhRrzZtPpw46D0YwLlfVmBPz+iGq/3HZFoGxTRdrbqpCe0o/iBLLsrrp/oy6VK2Zf4VQP7+w1lNi98+yutD+282GMGN5DwhlY7cTrIOlxMwUfO1gFNgPS2b9Tl0m0apu6d3knF3FDs8ZbulUsnt/p4RG1VQrXAbQ2uei70zEx6Q+dMSGwp6VaJqS8SfoAjI/vJFfHf4hq0poEn+xRbhgyp+HzeLSAv6AWOaNHtx2aMMypmzOfXLtcRO7PHxe6OB5s3SpNNQx/Pnxj4BWTABQDTdxWtJKlyOhNnpBhkO3C2Y81w+J1IOHoVM7K/K3MdMCHcEA/tXyeKl7pHCDpQC7819p+QbC5WtnE1mFja6ySld0JNjGM88c97LfjwjmeQOCR1G0pepUrACmygy1TsBP53siSDlbMs/9EICRuRZXl8fBQDdUl9P6+YZRjC7DSWRunh2irgjBGyT3CrXnHLnjSmZPfM8GBbAzaZ7J/BbcwbPWNeg34UWujT72C4toK6pEmBShkxsTyt12677K6+vyKOORRnKyRi6wD7kl2cJBqUpfQqA2UNT7u2rYgFxF51G34ZtUvt7VvsSpYdovVEGJM4H8sxCe5N8eBWpRY85WqpbB5mau4Ig/E9/r4sv2P2P5AriJQ0lAID51h4O7AGTqHiPaKX4z+t0DXJE+HAl0ZUip106PB6Wbv+28QHxrUpsWeqCRkGxahNf7xkiJrVPoW2s6k6DRLvnnmgLJtMKDgP258sKjbvyIn7s8jGHBuzM4VHslqmIY71CBuIeLBqrtqcijJOxSpYk/yUHvhPFJtcIOoBDvp8I4PX2X8BccqsQo/ybagkxvk0PBj4R/yPNUGMDR86mx13b62FWjUYYfqdxacPJ4Y/n+hYijjD7NliVC+Jd8lcMX3fy0JR2R7Tgfgf85WbOcw9+G03TfetFn/rIWKoRNwncYZeomG1fGZB3s+mlHspVEsWIa61nOM5IxWk74/JWRUDJ6pw7nMD/hdRqvif79cnQAdCh6hbWttTHo0lxN/5hPhPmYaDVMKJR3k2rTzlvFBqtAynCOKMhBBNoRvvazBb69XZE/nX95DUw/+VsoDBDWg9vJGN8cTQqg5sdAGtPV5N8xW73BQZtJgABgQbHVOpbm+4fKUf3bEyQXsMtr1FxQAy72NwTJ+AvckDSv7/y1Ae0RXjs/vMeen6Nbra0vS98Ez3QbyyKVUtLIcI40Yk5JNuNZttikp5M8NnlZtCvADldDurga1S5S84ZU0aNG2GrMBl4QlMATyBL7c30ionOhJeo7NcXjXrfKXG7K/3kmV24Vut9WfEX8Qe7eb8qtYSjaGEwt5q/KwrjRT1f1acq4FL9kEz0uaqSJVgv+x/5oV92XddQAT/N/GDMFJaYRyBsuxXpLs8d1isLNTgnP5q2VG8KRoz14WYoLVrzBR4wOWEgxBL75FDeAAA43N/V3lgNyFmSi01p38UxWDUAu0LpU3bfrtXNMlMFNMeGWDqoKvLyOTJR3rTtobRY43MvRAFVYPwNsFlCmwI8WF10UA34qxVQD/EJ9sjEhAeTrfETckU/vMZlKKaKFZtIFcT027HZA0zWr25/QYJ1Im80Hl574DOZ+TwkXUFg+4j+xC9i529PXmUX7AJapVobGwQBl1S5GGoxnxMmzFp8o2beUJ5n3mO9u/6depMGmaHBEz4arNIJjofZGYewnfyorM1LVb5O733M7j08TnoM/OMMNw4H9mL35Z/xLoOSDuuiV8zvWzOIqnmchA+alGf7pui8eSbYyGXUbIsbPTkKYIUNaAOYOOEsyINekxdE/qAvHpbygeaS0Z9+sru1qcMcetSPPKhB7DvCybOJJVrq4Fs2mONV15Z3IolZHOTJCjqtPQAa3mOmOZlc1+iXdxs6zXk/vDaA3ZLk5nH9Zgwmhs3zBmsp0pz9GiHhReYrZbf/R4RwpdVrg4caqKi8DCCqU8+obi+JIsSX7VuaKL95AG6aNPmee1ur8CfW9sSMqnHTaA0q6nQOSN2n1sTYmYjK5btAbkBmazEHRZfgXo86gI5jlFMJD8UabKtRK1o549O575SJ1QkKJgalGkYNgXmBjPzcEwmTJKf1uCn+9rOqiGykQmzHcxIUYX3bYeNIxhUHuF30kLcq3fkol88dBTEHRfamGi3DERafHuUczZ/BmVKIUe+qvMnWiBZj0VVrsZUwVPSWmbfOAJtC5cfvmQ8lL+S29YFE49NaOWRo1rnIe0f8WGgzLm0ZEpZH61xM/RuS+NluSFih22IG/a33uXyAF255q2IxgDTjLFW8EesONtdztJTd+Cc7BsPSXcbzhEzYGZh7Eehv98zP9wXr1lCmBtzsdBWJ5MNToVYPB/J5aNRRuQGE2LY1lwxR1yi/imO0kg9e9UvLUohZT0WkWHjHGD/j8r3wLMFP0dgde/IhVyGfYaSTxmaXmtjVQygHborywqH+UgBWzHmau/na21KktxNP4Ns75cOGlYHzw11CfM6/55gBr9lLT/VrHhJg8Wn8l9kqBuFVpAWbqYhck0NloA3ok9e+l6fr1JIh2rrjETnAfqy15ykMvWi7Lk0/JWcZfcSA4MzTSLPgMlAMnbucGCMCFwYcikPjLQnt2Tsj2B7696nO0YnDanIoySO3DtQGNz72ny4uPpfDFX5tFXBAaYcCW+QvoDRQbqILgg50naw6E24m75zraDJGC0BwxNDPJ9K33j28L9zlHmMRPj9mOyQmOKCRdXicHCdM+aKA56kiSQyjdnGsabGSw73tKFq5UVpEvOqrpgR8esb7jhWChPWo3sedTHGrZmJpt4yFUNFdGQEImIPqzzEHRxuh6XslA/cH2rvuT0wqq7bVGR7EhUUbRFHRXG9ZzdPaRHGBzzvYH/zwiiYrM1iXOoV5l6FvBjDWPawdSpsC0g81SMPiQ/IIh3CFRKWNsKHZztbidtNM1Jd+eR0w9Xa5PDDauZhjXqyUkIg+BA27DrbJ785Z1pq9+Q7lQY2Q8zvOY/1s1PFBb8auM+TxTLP24Dun9lu6q5MaM/DisX1XNI6RuzQnYM8caoCYWzIDirUrkj6I9fcwc/Mha8rwdl6ovACxwZItS1Funcn77I2AYbodhrkHWWWKymicxuOkKd8lOmuhWLIof7s756lj6Sg8BQVZA18GEN20BJ24O8rwSR+wYfVKqCoXkiAGFs97cZaC36ovdc943Lt0fLMEGYshSrZnGs9RU+isMj5I3mFUCeNMdlW9tpByQiJmOnAtfj+P4ORKY9jCziWriIOCHpWDGTl7sqCBYloMSRWkymysDS8UmiN3Ei+2MI1aQbEULrtB/z5CqWXd1fkhXhy6arrAUrhVvfHYMpgEkkFdwnjCQ7flKMD3p4lkWUNUw3DCmcOKQNwqeXADWWLT3k6vXxYnh6bn8pS9KyBGLQrct7K6xgq2PIDN6utdVIaLlaNIo8TB0+5Egf37xGIwJOeOsXoFna4wOScR4e17FLzTbKIxV45LQ/FUXAhxSOzDBQb5uXoDK8D7gjubY2jQs8vL5wSUMO9Wa6zJf2dlsU4J7T7BdNwqylcZl+s6AfuWztq9aO5HoTOjwldM0qTVBixmEONOlsLx1U+9kI04CSmd1vBgOlPHbR/JrjSj9sH4ZhKIIh8AhpyEf7V/X3Dl3iDXkNSyfn96MRve3Lc5frWxCCHGPCg9S20r+SGCHpcUWXyR22FpQwrqxqikm943D1TmrVJ+XmLSNxuB1leqSxkuSw7YiyNvSuSMux/KUEkt5UOxGmqAd1cbm42TuMeXemIceYSrERIy7AteFRy4cvA54kle8QwCsqcsRGLd5xDccNdLdLV9xf8ZA/Gkpijm7NKRtingUZzOMWzpKJWXv3zm13TDafxRiKLTYMO6/Stawm8kTIlE3xlXPVXZsgyw/xAc4AUEZpJs6rKtgn/vwxXEIH5yyxlzewijy9cFhZ19Vg9ohXbKgscgXquHdBag0kTfEOfAGDfa6c4KgfLJqLnjM2ILHIbaFyM4B+bSU25QBOV/yUY4iGwVuxFwvG6NG7SGNn7KwfpwF9KLFOlX4Y4cewypcPDZ1NhjusfbPNHznMZLUDEXx9vbgM9FF36TEycib09P4zt/gVHF+WhrWmaKPCxPC2k5agnqBxFXFjL+kGKLDpd/IpNRg+114BGb35lEqLodl84zS+qEc4hPks2/8i6SMocIXADv23Rz6UtzG4jH0bT1fnhShnN4dXb+S5eUnQMfDyzvyECWKHJ0gKpIGRlMKNLgBYBXBj8IbcFgUjZPUtu3yXHhBFIpfK3SE2Tk3RrL/1tXJqKlSlBYPIS9DnNxumEacIk8mU5tjb3jPWQUFtHNeXryyK/WZidiU6dLij/HWc9MIAYJxQ+S2AoIRb0GJ2taBJK3tIqDDkGBJQuW66rKBOL8sH6mkcxx2bqlGNjUt03dACvfPih/jIbOAVwjGq1ON3fsdq3vRR9A8GkDRIO6ykocuO+ASX7jTQpP7n/d8vQ8Z6Fb0Gslq3s/XFBktwH0OIKGqjk+vTWT81T386/NUFx9K5aGc/smzpPJBCfU/6mWyahGfQeazOdM8d+xqlRcVnOR57LzpB50mpsaXN8zu22dVskooXSiCix/ocTQmqPqgPJBhar3Wees/qkr7Wl15qSsONuOa6cSOVWIOjNcxqCnsN7Io6Mk5PeoC5XQKhxNn+OjG9+++zM5spMCfoS+3+OswKbKjhgzBSaIfLXl4tGjCQeYeFgEMiduGslHLCdpyydlW8GwXQbNHOnYA3pJebISLOQGmr2ekBhlfBE96MrYnfBH1bZRBtKlpNnE64oMveyw1OqtuT0DHR+HWbm9ZLemmFQd64pLuXhCmzbFGKdwzpPzp2mVRv2OWnYIXXRZvXO3Z5tO2EvPZ/Hj5eydemCd1jKoZbmgnLDhtwhqEq3H9LvDYz5X0V++XStcLtQDk6WaodDvkn3/me746m3O149znl0EyiC2DzJE88NV2CJwuw43fJVjfyre4INJrkmABO+S6/B2ppYPGAo8n3acN7CJq5W6hf5Js1emktGkTaLuIfaOBVzWIzgt4/2CEoLXv94LD7C9F3804IZa8zJq4e5E4fHPRbjuY2/DVp5S1aBHZbyr1nr/ZGLcXIyPlSZ79szELefmL3Kr1ppN6qKtSo5irKaA2IOzR68T7FtnVpDS0lJQvjVC+8KFEMJwbliXahLQBtP4winuSI9U1z0azdYBE4LG7qqAZ2JV9PP1mE26ppaTxcCZQcQv/T5ewp8kyejBQUseKrXg3By7sQs2lRZZZIAFo+4UsIBdDVzt1A70R2dJnv2R4dmdznPh0qkljT3e/ae7nFg/FwawkZCQecFK9454A5e2L2jutRse2oyork3HIBcD7Z1s8bqGko+Nf2RLV2xrT6aID8Jjl5yuGoEhcgEIC1kfdSP8hEE4zc55/+1oijvlUpNoDGepOuqyKVm5yTcRGUjQgLdF6CPN3tguZLIr/UKxCXHfEtyRPLMtN+p8IBXF6HDLsLvzGgPH/uxKZdWbUf8nz9Hy8r++xNRsLQeIEBEeq5nto3Sb1LyKC8c8VPUsITm0O+CMF2lH5Tb7K9pGvxK7eIISMCdXU4l6xG34Ge+Bl4zJv8C7pfV2aFBmzrDEFAL2NIP0snuBGpU0A43YE+zAleKfBQvA2nPLpG1/7TpPQbUxsY3T8ZW23J1UXpgGxSsXX0FzQB5mgXba3xD5PpoDtm4SZ8pcO0jzQ1wfhB/253EqbWaiyu5rElJTdyIjw0NS9VbNVeMnXxIvkvLu0nUSWgoWIesiRdDuarSEy+b0hdMb8mVzhdHOOZpQC875hVvenjdJa8sw10R4sVgeQSFJjA8wGz0Swp5MtRGBfvmN0gr2DSmukR0d17WcCxfS2vrhRllZPZ4ne75QtDcIj/O2d3n38thyrchtBIKORBpNrp6ocRphtMI9zJ96W8Qj3TXh1367/p5lCi0/ULd9zOkIQ8m9iQ6mNvxITIHk4v+DmR8lfcRdKlPPwD97GMgflExMh4Pc+HZ0R+vFEemM5zSRjPEWA8iTYQ9UiqlU72x38vnlDWqeGE6bJzh3Kqt7BrvQHXtStQNgMGJFCjzxyjtwxIxLIdoWS5v2bOM6ziAs5+BjYkdVqBqTeL4PHpdbMGywBR6eiz2jHY4tgJx4FXe5SyuzhFSf/uTM+AgLVYmEo0HkkzsL+fUeeo6wQ21wpb1sTqdj8rm9kRPxLMpUpqb1jd/ZTvnlTuxcLKg7SPgypuX8gtuIqQiZOJG+VHd4TCw7X0RD3bo3jRjaSTkIhyjGM9/1ramscZmxkO+dseUCoMKfcxT42O1NTw26mJs2kzEKzbPn+wASq1JA6ojoOUQJe9GbUdJYXdiGMJpdgs0Rg553PAFe1Q0K8Ccxo95NA9TDxSOjModhXXRj8qMx3m9zR6X+92YApNT3AHnqxb+clCSF6yByoQZdZoqoLg48DFkb7sXVg9l0LD3E/7cY+J7Da3mUdygiAkZ49LhFo/LSAFCOOKUCGeIshZUUzp9MytSH0D7O3JprT9pHzm+lhZGmvB73AWqE70C4"};
+export const words5 = {"count":45,"iterations":50000,"data":"DKomr0sVnlyWSlKWBrDx2QjyymiCWMJBOkL6vrslNdKRfpgWmw5UlSDTav+Da5gFPIQHWxDEZevR/Ji4xJ6SveSqtWs//a0explh/p4hSS1RtULp2SeeFyvxb6LWFhg4YF0vE51YEjh/dQlddi9F1yweysHfCB3dyPvDkrSIE1KkQ8aDfMqyPmB42C7AKfr5+SjX7D5YyBbSrQFtUuZjm1sE2avv09PFIOXAiXI5NXhCwB6GvOP+5+RTsGqTsCA3pY5mw4Kdo1EbZkbsmDTQCB3ZrZjSUW57jE/ZqEg/vMVQBxsn3JtAP5NvAb1NEJnaICx87eMybNkzcvefkVoFD/AmAjNA/PicesjexjzlwQdredvSQ6ZkET9ZbF1M2WmtSdSRa1yB+VUeglbuEbdATbhU+oJLzH022PZ6HgFrr9EVNxi9MMJ98LrhSgdPazX17cAspdONXUCbXRKes2yRI0hNWbuLkvOliuV2UBp6ta5ZuVYPL0/6gVnDS/nzN7bpB469roxUfxL02VFElK5ga5Ayh6Fi0GgdHIjhXYtSLjKOn31EMIgHAdTYmY/jejFKQtJCK9lf0mVXz7C6tMotUr8nkcryVIVwPn2IvDN3FCvszwMcNglLDbonfnaFzg=="};
+export const allowed5 = {"count":5364,"hashes":13,"bits":"ndaK7KJz5Ry4hcE/OA0u1TN+JrFjWnDFsiopkYwJ0iFycoLXZfZlHIHJLk/gGgi9V0YOQLAQTr0QDYjl9fos5vgpGBWEt9g3oaHrY/x2GFaSEXbOjRQOjdueNslPY0WJtN6OK1yYRjBG0LZrnXw0psOy9ZQwdFXa55Dhd/MjpYhO+Phf5Qqn03o7MbM/xa/r4sEyvzMmuzyOQ8KpMNE3W/MyBY856dYPfDXfOGTt0K0LHp7G0wXCgFNUWaImO+3J1UqesEfxwh6egygLHLJuRFdkgJ96OEADhGwxSgT+c6WA1WIeDLk1v7ESHBSui8rLQOSI3dgZjyP0jghnMyLs1ZoygJ2PgPy7eJwsRKljdXHJpMHJ4n5ynqzQJ1ntPdc83Q0WyXTXMJ5LOEK7KI6n/sVcPENfZB81/ux4MoJSUVpZLSxKY8LXozwBQPx7Ngfcve147JGiFmT4W62Anjp+LQd5y4rWrj5JWAQ1k6JbjYl1ydVR52ueya/sMVfO29kXz0oAQsKJFOwxsGBXxFS8hzgyCpoRF7BEC08Icuu9Lpoo8ohRSSH54Q7pl5ZmXnbgo+BH+TQF1GF8119ka/VI3WEghVF9R6s3H6PIWS/EhW4G/WG8nG+Nmfhh6OskiY8QFrYRNo5m0VXdfaYKFJFMp8SIPcvq/efj0bChTX7jid3PGZm7Bi+bOAUifvkCH3YUvA27+IkfDRnje72WbLIY+Z3y2SyyHuWDI+WMIDh7FvGLbwz2PAoN11xptBMC8koukefW8G8/gcvu1hbg+B8dRXdVI92lp6ziBk2ISdbu46mTcWmvmxNAXhRzvUIRRl1luGVtq8vOwVFmAMj7dSHgcK5bPfhRkoQ6UaqLFNfbPe8jhbOKImASYAzJLg/VmbNpeQdbbp/KbARZpJ1qG+ZvExP6FJ9BlthvfqjqcYk0krRf7ZB/xMYkwZd25AifYhqPHtoJRPHMGD4IrxlQsbJTRy24u4BNM+IjOTTNF5S2CXJKVa3V234fkibDfEtcd1Trbv94+hc2/6KiM2xKX/NM0Qu541GwGWt94IUATt5absu83Sv5lsiOaDh3AQFCUBasivDBLRXvIohlkEKLZgxfYU6YSTCynobCtaQuF7chcpCEdUqwO+dFWdWPdVXAVx6IrR56TD67W4ocCGQnBVYm6WmjzKRknUTxtyXknuwK+FO+vO2CasZvytwmKA6aMFTBTaRfEjArDQ24UeMTtqj7etGbtiC75lAYRzWvnofmOqceqflxT06bgJVw9hRfNA/0WwRI4FOMQqMgXHRPj5zqHWRjKk2mhf/5GawGPk68fe6QfoVF/c+tTEiTTNI1KUWpIS9TdvX0qCwHONqlYGMTlz6F5RIQ25VXrxWoPZOkxiXwZV2h84Id+qDWmJf9fTKXA1DjOnGsUWRe7GfOkthPM3Qkjya99zvE0L3agm4Ll0L5qETZa8Y6nnIkchvV9YmGn4M6kUdqaoktYaC5n0/9TbhggejVxzvRr1Ix4y2w5pRjLoQNKvmWfGM4vR7/fRhmjF2Xfyd7rJdBvtETecgtVrAxsFsuBk0cysc/MdKUkbOHrFZUcaf5aIaODuC5JGkjjuWljw4KZ4IVkJ4C6nCDc/yX0R/NbnOJTmRLycxCXNf2O2Xk6zipDel4cXY7cnBy55XUfBquNTnayS0UKsTrcy+aKxUFUtGVQqCoxMhPbFkxq78HQFMRHI2H5oNNZ5LFkarNnazIhPEw7kuqTMZXI1A/geiWeXmGj5t+e6FaVZUnMxx65Bnkt3zOeROeW+bmDqt6KAuhyUAPVUoFcM+dU6Ysn7TRaJ49S/2M2IHMWpUtadjXc0Ft3jsuIE/DNzTChrsoDB+puqanY+iuTmdWnA/c3VAQa22yJzZ7yr/OibaPEcXMixXRO7eeuOCcPeiJWCIyIob31wRRfY4jCUhyls76j0k411ujDKmRCEZ+8nL9hyTWV651snETC/MLgKBeqYmvfAbiFBjHA02gA6d/qtdWWQ3QfxSXA2u3EGcUSXNtc+iACKjdiXV0ala42NY5JiFbF8advrIa8h/d0Tw4YZb0bz30wX85vPlzmrXgBohpRc0cXCuPuI/zhtJeQmcgdqNuaY2Dn5JrVzvevcpiB5Xz/kMCaPydF1bWQwvg3ZPuShLz8KQLtiX+Rsddwn/TZ/H09lvybGSw18sd8EZgd8MQa5RmSWXsj+YDS1AyJTLDuNB8ICX612xWvU0Actj0Cvr5X22qNpVXaS3aCVRO88wXbpBKnWSZZ72SzngP6I7JCTE7hgzjY/zuminjpCvrp4gSCFIuIu6PgGVkhAKgkxr6laBITClgmMdkKWOmHXg8KJ5R/HCJIz8k9EUZJVoPYILgJIYBar/GKxOd6w7fxmTrCC4qX/YX8SKcifW3emfuIPsuAvcqZO5v6Xks7MgecfqLPyu7PWJGufJrBoR9ebXdgXmn5OgggTogQCpvVdDRbfQyXpW2Rud9CstuyQJ/w/IXM2Yx7visoNwxm12jsHwFC5h6/bWRzyxDEVOzx4234VsllrXNg3a0+Bor5K8dJJ9Zypxixy5BbC4YMhujaJHDLAR1S8x05Jjy6iPE4JqArm9PSRPkaz7uaafRxxzCaSX6O8WW9DMdTQhhS/uI/ovtjeiRQ5+5EqwYs9muM2k+sSfRo/c4OVQFcG2fs9iUQCiV5bxOlhskAtmwAXMGkZHZXFxOnQFdcbtzyX4gqj5QPDLlwSNVqzROgEpLUHWznfQgVejqqOsTI1TR6b5LUKCyplf09WOH7XCA8A3JCKhRTLLddqVBm8G1PjI4qHFtc3Ix2a7s+SzOUQ4YROunvGL4veXokYYA6zDC18NeA4bOCMa6ebABEhcPr/QhB6sa7zjJAvsBF0Qeq+jzR0PDRipMdW2QD+MTvhUUcflJmMZop4gllf3F3E7f6n1HrwkdDvyyXgENyNhjxsMAK/ivPtEh/t1S6NlQEJlOwTqsIKtZx3PIA0ncr3orX2feSqUZAiuvpDpq0zIpOyCBR5ZUKgcymyniPE+pgh2j6kcZU9zCrWwggu7AYzj4vGBuNvvGl8d2qRAuOCuoR9E1iwBqu8u1jrQd9283qjAA2RuMpt4vNftQVANtB0zmtoFQ/fd2AHXBfe7TdULanvJK2CwbiLu4t+uto2HopYdrBTrMuAaUPabTYZ7ruopNZ5VA6NddlG3k9Qn5KeKY4Wp8g3ABdmuSoq9VaDuvf0McnQgh/ReEfZQJK7nYcqZDYKX7rTBRu0Q7ypLzcRrEBV4wuQvjiN5QBgdXh8CKUFAMTA3THu8k/BJARJkSZZcRrnuSWZ+gyuKBeUGwNvDqS6Wl31DwegbPwCU1IqXcTLU7LuVnsnBw9Wh+zzppIKerAEG0kHs3BAUrd8pMyrAfXwwWppoY42VE83yIQoiCNP6QCj/n34gTmoyLWigQhGXtknedcxf8rKyCkJ4WF8AHuWALzZFepviPk9sYOmzzGmxl9k3W5uJoIWXTxcDGXAZ+f8HOGaQmI2KR34X8rM2RTYP05XjWZgILDS6LsvyqJIIx5p4nI+oUPmH7Oi5xKXh6UzyM6Y1XAVMakN87hCBuS+n7f4EqDs1JQHEpVElGxRifhjBRI6E84GSPWCSEeFqPCgjEyvdnsfa6gP6jlZKCiTvy0o54wXJN+CLqoHfg8fotKaWwxKYN0fQFgNgTdeOOomHAWKjFxGE308IntkpmdDDGaoBJlAeTWMcXuCByuOxB1Pxcq6rBGBbN1KYAH9TNVsibkhFjpGNVeqn+znBMCI0YyvpPBHWl1BWg7vCL1kal7ms36Jy/FwifvKpBDhKDFNvM92UW+hZ87Dq+C6XYAJRpFCROqOtdZXY0tcnNxWk6iQQC3tntS5A0UUBLrRxaNoBWKIlbQjyRBDaVuBG+AhaMA/rses4YZOwi4wyN4U02tEgA+n3VGZN7SJvtoB8FuDRabVomuTOl3V9nEoiUO/BFnFbGSnFwUIaBZethgLF5TmdY0NUWjTZ5eshunPitlaMFj2u8UniFhlZAutI6Ov9jxPujbsaRk6WQm+uMhDGWeAnB+bSGzu35jcLslxw5VGbVcj/68j6FXUtMcEzed0ZPbm5tmyMznFSun3zrpNGFqTbL0SBsc6hZzWDGOvJZ41Lf0VjJ5X8oG1sDVvr0AMAKScBK2M8yreh62Old5RRPr096CE0AJcVemX7sSCFRBMPgoYJ9RehcWEu0Wn3zI26XWRGAOQYWsQZjuVzlXT6IAt1gmVd9PeHzPMCKai+rb3nM6ykWkOVmpMPo7RBEdR5aqyo36jQ7agqTLJVpYBMjyo4uoEPuwQEzMyCMqEacqpIrN3R10ogqOvXgcH45VrkgK8e0Bh6OfR/qTq89kaFrbLKOBebdYxE3twDqB0goGuJ8flQ3aP7P02kog6U96Erxknq2IV3wSClwQ434KL6pGEObVdHPvRoboKgjDYhntN2D12J59frc9MPMTQN+wbmvByUZfM9ByeVFgVD5oiBnI6G5igKe8Ht0nieorlWo4DkZ/T/ZFYbMkS6ma/Hb5uLW/QkWeMCoHTlTgMKS3Tjqz50519k1doaHZHuixCeaoXBL9wTXobj/V1Rh1r8A4DIiMGlFsKBOAc6c6QPjRPK8pFSlPkPExth7S0M4Yp5jF/OJ8QKLrMsRlQ623WveOO2uisnVgefpkaIQ7P59PTKo/Vl5U+/Sp9Nm2dFrFHINEF/5nz76Qczo1z1LLZq1rH7eTedajB4nzYyK7wFrShHWVcpCPV0yk87AsymzoTPRDySZxCjCz/FIDtILBFlR6e6fJP3h9SBEviaxFs82ATZoRXuMhEEMZLtKDFhfRG2tCSt8VP0OdNsrYFl+gGMPVxXW/v1SUcaSaxOzUcbMli95hkHDuz8M90PK2cT0PWQPQOlOeZdmmZSxhcyccbSFScApvIE8dT98YAZTB0q/XIMBG9saTRObcc52KbjZY+G90sI/mZDq7ojkUqWpxnQnPa5Rb+HDTf24ooi7pMK24BJJutLiTTgF6l/HGDedqWsqiNE7WldkgIReV1x8TfDO3BFDb6KEa4a+BrTdZGT4YuW54GJr79DmxMICZJRddzvIq0HVdVrYL63Hw2UJBPm9qCBOC9gn9YbL84HfUdri6wD9Z7VtrKUIDkZwI/3X0HWtKqyMnLyI06oPYL/6VwTWwT2YnaE8JCEQ8PuUqNR0Hb9b2/WGiJtBoqoDVtLwPfgjz7kYmTCg3wq20GOg/1baXRvJyRJS/wS9PIFBOa+ouafPRKfZfl++cvSova+P3bYKa8mk0h1nAFZnMEy80/u+v8ZhRM2gPSn6dzz+C79AZWNy+VrxzayDQ93lOahMst/rY+7ZlhHQBJOK6mZ4fl2rEH/n3IGCg3gP+zmNCA7+l3SuH9nH4liLAqUIo8JjC+V8mkxkJfBnASRMI4qGzjhGwjFzfagPdORniFUkz2E7lcoyBEuvd4YYcoudkP4gBTqNrH7PikN/ldbn/Gl4SGmOYOFgEGwmfYa3O6JjRjTmqXVgFaNfFgv6fEdkdhTcNJcST76GmF1SCgUyq1aYvQ8yOJnPgwhyHCbGohA7Du+QN3Hm32I432sNeO70ZzHfJX7BQn5LZ50DWMW+Y2fYm/CM0jzIRfiQARGqzn0RK0LXEo3QIMNijAiQxLzUOPQhYM70QXfQLufKdm89GtdXvGpWe4X/WbtKAO+bbxffiQFRCGee5QzKMizNP9HOnne3B5uA6iobJEh+XnWZaDAZyH3/iKEmR1DIJjtdSZel+BkjFJa+ND4nMaGv0elhRemMPU9rI/SlR5qvsbgdb7P/EUeNX1tIpFCp3ECfFlT7MBZdr5Hq/K15dOM1iRbw1Mi03WLxInHJ8OY1LolpGttC9JJt+REheeFLSi/Q+krz9pYgmB/TpVgpLRiXWqYhHCPIaFONIQ/WwUoPTnxOAzU9YBzH/hBgA2K8R/DlR+fcNJhgvBvsP31xLTlKiDGaRfSov9Qigd+T18SJHGg6uQmhb9Iwegfct5X/KX8GR2WiWSeXNt57OAdqw5GCeD802zN8g+wv8K8KwL/6o2eQZKSckzpCRM5hz+j9Zrzi9h+MMz+rsslI+m/cEJtHMDoEwoKtKVvoVG82TwJDzbalmJDg9Qor2lPUoVYS5q01unIy7zz9DBpHeUg3NtkVlOvA6U07NCzJLPp74GOQ0vW0Ki5vwXaaxAw+PFa71I5NfSs1yl6gUdgRr16bIfKnrwu5xREKI4uTdkVqneOG5jitpK1gtPu6TH2VipzW+/aAjUfoxiN11lPnWtV+vIN7hc+DjumIWXuwpUBh2FvvpvgF8HQNlEqGGK1baIgZhEM7mNFcxk/L1Asv75A+QzGA4PdQKvb93vL5PUSKpJMczUYsq3dQIdzLDbbdSA4UwJPgqAIf4xQ2rHBq85JDP+iZFQYFxtj+ukNBnIegkoFjKG406VXRvw67JlXlARkhHkSIJ0cZNBB9Rqg1MLj6HbSo03MKcFwjqAbQBBJGrGvL8srxTiZPm9GfJFobExe2aIBVTscSx5deREewHoCdac/4n4MxCHW6RpSzsRpgSb4LwMapoJmhBYcKkcZrYHaoYxHOf5chDOz7PWm01FKyQ1CS42Xn572EDdphg1fXUd6jhAo25xSqhouxFaZgXtGYrr6eSid3FDbRJNhGVew41HA0pdEiNGxoZqTLQsCuvpajr1/g+rGnJQ/FyBGwC5IgWZ3A+4yAgFQ4nH2cTbvORQJvEmsm/dUtSmXt1KElEBoICNEfzbo6a4iEa8TJP3Cs/YXgG1CVeRE0E5ftrzAEeoe8Gx0eQJsnDgnyExxLSt/cwgQJL9iJCjFtEf62ROjmv4kq8IW0E/d3Y4tDcxHrfGOR5XR5959vq/Y2b4iYoWMA1mh1Nh2LJOtK4pxBGTvvPqqP3cPWVcEJSgElT2bNGeY8LicFnJWtkFG97BikISaXb2Hzpnqn8C4oCB4g06Oh0gus++o8OhgdBx6wBJfGSJc6vAcaM2A3DUoTt0CktxOUusUuA9fzyZHBKdNDdiu9GE/dinPhoMFdxGgSxShrXAE6Gn/FrOcdrQKr6IHQRxHVhuuL14k/iXUotqrohtFZIt9i8GE1dJLI5C+mdCw6f0cojm78rn2S79Ul/9Z6045onDvwNtENqQX5Df3YTv9SbVuzSZ8Z0K0MQ2lHc9ujXd4UDrY4/nFzWFVJJ0LU8kFeIBJ+1B0LlBH6RHQKy71sFdnT3DMYWq4i+0mHTHagPMpvghDX9Nw64MITpRfRhb8fduf1nEjxBMGMBthgfuGXHBNBZ9ywzfreB/Nd60yp0Q0grrzg9HWjPRJLH/PqoFzJzjTgulauydEOAirFSaMLJLYoM27l2QP5tuXPGE+8pmW8dLoQzNyKAT3aE7AT4/US9NvA5fNpoHYBi7VoL7EMybB8VUHZwE+WptBb7MoDjxRPjF9yEvpZsvF5Z9WuOQhpoOejHW9XYFMyV6fRMVRZM46swbsQUTnIQID4BZ2ToL8vds6UlhN6w7ZOqq59NyTclWXDjIkiA4vJWiTzfTsIunEUxoyn1qWMGNYd6HGAeRW55j90aqnI7OUr7XMf2rr1cWf9m6JE7OJThogcKEfrOrSOYOl9SQOYJOac9RteE2X16k4JBqQS/nPFSAcHAJqkF6J6nhmj2VLOZFr0mUgmlyQhLXEPKEqKO4KldPVJFvX/Lp5C1MKGtTx1RQPG9UjaaOZYp+MGEvBloc987T00tJyDBCGB5ghhQPndUB1zy4VGl0n71T7DorjqP3wja5H4C2iDsOzxE4TGf8IAC6El+HTb+Fo0L21S2bXjCskfxeZgKiD+7IOH848w8DjcdcXbX272N17KTYOyTB9j7ZMo6E62kFZosOPaWDKggf0We0IbkvAzYg8nxD5LJW/pGnfMRLLVAiUDfn4duxkitoeP8FJImElDFUYjfEDPZADmwQrxLqTI/TAfEWq9HwTHCmaP5UWBRS4pbEeRuZEplEwfOFiX3MELVaUe3D0a8TbH6xRAww7Oa1LnffpyJAe+P7PYGH6ADagIP1ZqGYs9E6kpbUPNX2pkX0e6HOcz5uv+32syWTNq2RA4hFYjOwD+hVJUK0y19gA37hr33MFJN0OzBEW0a81qrkvqQuOhj9piiO3ud6UAoXFpA7MCnrNevChN72AXTN/XiyT+j6xfXv7ZxjFhRltVSi+CygNObpgBus9ubBVzFIEjkyP5CXKyOwP9vEPRTNKr8msCKhoG+EtxLLpZFyjP0lDSCOX/ElAHZ1g+KFzyVDWXa6AON1WTUU3DURHWvrNOR4jFh86knU9YEmpCrJb03wAPDUZcpyNAMxExjx20F7+CTWRgYwVIOmYtWwnnVc7EGYuTV4fMuCzGRgevRgLYixhip8QJv/MeUCoqtfDkgzHys1CJ9UezWzZs9uKQabyCDMOg2Y5a5ZMcZL7/ns7o1dKvhbsL/ALPT/tIRIzwVH9e2kIRGkR1JcvOZg44v7Ke5I0+wNCT+0vUzKQ00x91iixwOZra7gpluqheGoixCLxcDslIP5q/caZOUYBGuL9ilm9HQGt3unWH22Q009kJLDQOAt/t9w4vcB4FBPR/VN0Px+G87YoJFUxcxZmN/gQOKDNIJnmZMFIrGUMBSKsG2TlUSBTVMOu6rekxAdH9mOigWAtNN6CC4Dq7x64Umou7DkkQm12SkFJAY0UbQlu5hJ3Iplp3FOl+kvdQdSJx10cy2YCoxFr4iDQ01sjsAM3Yo7DI8LV2oqHSf6IpBe/MRRN4zGkFAI2Zte1WYyRoOxLEajxUYOtUUXWWiR3AO9eGolIQ7bEQ67LM5QlaSxSJw1lavd8QlJWqh64Gc+VcyDe57mwkaTfI1HaL2b1IfWQ9zhVDCsdKKnSPIVtaRlzpS9Frk2SvdEvS1BKsIor6oCiq38HOsHO3VlLhxkS2vX6MW2iNN1k7WtzyGOM5Zi/LShrMQFNwjn80R7kKwYPatoximI7EXfHJasZuaYkMc2N2q5/bhuenbwEyh0xJ72tmhrXikA0JVFdBTGSCo3rCudQ4OmkrZTFa2KyA3YkZA8WQ0kUxyg4gpEM+GmX2Oz5czGBGEepEh4ps57FlGH4QQkuu8HAleO16jKjKi0L16+fEclqdESOASyX8c6hr6Q5Z/PAl0JgRkPr3m3LAsRpCvOViY6u8qXpcgextGEPdgYOpTiB6Z12+CjW1kA1jzYoVSk4hoEJXAo8wP9oAAnpCJlOTUZB7IJTwHCu5TkbBJLASkT2iBJeAzWIXtGmDtSokoySOedGH3cVn9rMt1o6TFFwFwMieZYTc1Bt1bITSeUp89Pjty6jOAo95IkAU5k3qj5skO+UGdABs/AKuNkpenB+XC06Ukj/8gfy5wqRmiHB1ZVvP+4PlJNj0k1d52SQiFZP+DaA9sIIKPMdROaenyQwfPo298n05fACWPx8Se8GIZKBYXVqz5k6RzW3UNREUH9yCxHUfzH/Kv0gQEdQygtvfShhggdwchZF2gLwZE3spf5v8rDSD6cqmPPwRMPeIoFGwgWR2Ws02YTHO2hwUfzkjJ8rp1KVqHQqVK9/DjhgviujdedI43tpOKWgDXnsEDkzBv9vozrY4kiC4eGAMnLjJxdrgmff0y3JHH8pLKoU4inldzlf2eAAdfGq22jWEHUtiSpgNT8NVB3g098z/bWuGArjXA0r8lDu8vQ03NdW+xVFx3IqcR5oX/oNxXj1ZnMsRXp1ACcIlEt4zJPUFFpiJ3zKxGCyTKVcyFXOc4hSq2cmR6NJo31jBVK/jP08Tg0LcQWTW7S+ShxmBt8A3wrEJQA6a64SsKEA2cC3XOfZdsm7NItzJVZlg1XmodozfQ63CZ4fhaDFkbT1gdfq5gNCYi5SDCNqnCWU2FJ4UeU5YmKBRAsXWn1idS6O7nDaZr9k+eZO94Lg2pQQEufhRoqs0Q6b6EGtSsd4uEUq3GOU3o1o/ukKlXBiRm5lHbNDclOFssfVc6m5FLiTeDROAtmeD93WY9w6gYBoQ1VtpOCx+h9wqluLw29IONMmK4w1dUIPqISsXi+p43zIpIagrl6kF9O130uf3VURDkDNdfQdRvshfH3EbRlYmBmpfiDyhGpIoATgq0qA2KhegptosBfOHL69iQqMkXpbrl9gmxQ8vf7YzK4LBZDmKpyC690oHY0BcFOXpuu2lXKPv1BHMhEQg9VDfsVkIod00EKHOJudOtE2cVR7/t+vMg950U7PeqU2kIKl0zuSFgfMlxMSEZMJwG7QkhMqh11manCyP2CmjaImZLoVpBAxu64jsKvrq8WNmXzFZIH48tdecbjmrIuFFa9AbXSd6IH8tWiUuCkJjUiwwfbDEKoX/HvWF8LOPM7YvnFaJZyksuoxriztVZ4NXJJEzNt7eQoxWnfrQAE9rK9H5s6slrWHWyeQi0HtXYeeawo2QAi56KbWQgHCmRr/g6c4GtePsW+jUzc5yddLoSNwZJ3Iyomg+pDvSQwTFODWw74wC6Nf1/VaLCAX/AvKMtVUIbmW/pKfNHbVGA6Q/576/gtcmB4EqOVHIo9TXA+ZIvBEh8AZu0JdjCPzpjFMs7Dk3CZotHjgLAbpbnrYTB2/GtNJCf0OUmfKjsvkkH9SOAG7fi3dAbPdu6Ywksq9sVZOGIULudfFSDSUu/ZvXeabpSz5KZ34xxAkqTaIYMrhhqkcOYsrnv4NbWpo9qIs97i23IesOZ5TIpKiHliQk6UX/mgUsMAjSmWozB1BZR4kbkGo7A7jFKL01zrfdt5msDnhIN8ItX5f4XPCJ9QT3ZoSvzbNQiVnz5lN01quaUFthG+6S45IKJNc7JmcaLUwwh5wL4HgR1ZE7wD1NOJ1RGmQt+UgR2b3xWpDyHIGF1LKG2mXEso5zdjXwSq28kBYlneM8IO/Hy1hnyzq70t0GUpGVNEZCfVRjOenpYN7LLL7al38b5KuVyPBjdYO9nSKk3Uyij+4/fDRieAjwgTjh2RvpYIeu7yo56368WbdVCXih99QKEH0w/5o3l9ipJg2EguoAfv/5eb8FmLzPr7OSSi7ivxpU+aXxOTblt4iHpUL5PQ+gaY1xinNn7uu1gC95tjBBghHrTwPITUHgro5D8L0jl4/CcFRul8Yy1gqhepuBOjKxTSfaxklMzYmrj9gCeEt7GcEu9NztGlX+iiMPBIKNKJoliKQzIqMBaDRul4Lg4aeLMqph9B7OYgFo0blSrJNbbtc+Y/KV7QgVD0CXi58yMQenlJ/Afw8Wx5NCLock+VHZ20b1opy8tJ2/Lg1C9ojynwZnadI5gRdtoOKYBjElJ0xEFcvxaXJHSxHVjZNTbJyt3tmSwovx+TRqYDEypZJz9u5lMhAj0eypaRHxPjdQ5/uBMQZsSJ4nE9raMWEtwqxnF+iOp+VKoTHBsRXPNAjaiEjCQgYymI1o9JO+DEoVV5Rt1V3liqKgrVikoIQ22QINXvF+W0hyog8qN5BY8hbSQKl/dKZszGsOrdk2ZIlHQzkiXzJTu+7vSbvdYPP5TtJ9pEn41ztecBo/2kY0KBkXiszAeepb4qxce8ldXEofddBpcwtaAyOq+HTHytLWkpM4DDHOJNlYZJWuiaYFz+USJVvh3racEuiWGvZGBQZtocBp2H6MNSHkVOrQdBm5/IGuolTsBjbst6BKK7DnUQlQdsIgHCPZk4iFQzjy6YEnvdgJfd+YFhHwlYp9oPmnDEDnJCQRXyCLGTYt7R5x5PslmYD0yRVUd5M8U3/EuGPkS2ePRYdt88cjS4IKoxqlaCKKCbM8zwuLEycEM5LRznZwbSIWqkfssbMfIl27PbwNNS3yrtouWuJ/MQePvwYnvjUMuPXP+ZcQ6ptarbT/IX1RLHBNAVX/7Ht/clwi0TwgoeNWPyTtjTXi8j9OLlVzvJ+EdEYuc7RtcwR5Jpw0UbWcDkJwwInoGsomcekTSutsA1cAxpktu+a9Xbsa+GQ5EsI0a+44ZUqehsdb9l5AFVKKw7qHiKLGtpXQZ3FPLNjF24msVcubKMmts/D63MrEFEZ5H81Ittaw9PYLvyqeMm62E6tQ0rrNqTGlfhqOCxtAOvqxS/fYhIpAP5XMPHEW5ziECGnSXr/D/DQ/pg3unvWlpgwzCyfPDHwCZT2/hxqNLRVIAEEA91+eAYU5ONv2bjVbVjpM3+mioT2Pa520RxgTA7NcuMHW0hrwQfdmsqmnSqlAJ3cytP/AHk7rWGlIeYCKO6OQC7rcPP1zaf9GkiC0f46xxhVMjkXKFzVVbRGGNMxr9pJc220bOzpTXYKcbKeaPB03cUfMqu3iJkgtTcyH5LW2QF9oGje9+YCnSwrJFMBO6lKyPkhxSV4OYheTly5qO6y+X7cmI4dQW8JsAtcgu+H26v2Bv44SjtgDxLVR4Sd10QERF/eZjmHovPB5TjlUPQKsS7jZrYHLsqQ3pSeyMyyWnxLrA4q9BntLmHKkHyoYLRRDb/d+WILVEoFaRINZwicyuM6R6A2+06JOfOCBelA86Ay5kisFjEGP35BaxBn+QoneisRatgvZufzETASLchSjOtp21CtaWMFGyuepXSAkAhbrnfJT0JEqNqLn6KFxbanJsbqfjDAjvcjlCHUVpaB5WYacnnCX75Z8UKxUzc0UtQTORf0iPVnQ9tK44FwsJZBfjBYOzmdsFRX8sgxtFrBagpDANAz3xkNYPdBoFNgA0jh3P0EhZc360XLaQLEkZ8uZJm+iQHk9cSanaT4DQ6naQA+wnjOQpj99BlL2lXHJB8tvuVkMFrk2yRMm+CBjxlIDTCRv24jIPJfYoU4sg6WusErn8skYaiE6wXpRrtF7fVNgt+RT94cscn6Rb/tvNkJXMAU9CVPi26+rqqpAjctBF362p8QPFV39VALkkty6rGDnEQYN1i/kEXiuIw7DCDcyNqaMJv2rSQFYjmM1zwD1kHdzsS6UaIZPrvihGk9DKVBFIPDBD1aFcTJGSlevAFlsZvImIzBkx/Ic+MM/iHOxVdWVlea/oaxZf8oBA6PiI01je5/eX98fC/YVBnpGUAhE1pF1fvGk2vRyKzqnHJsLdB6FtBW66mIPnRnCf9l0PiaYJh96WIgZUT6jCaqwxcZS6QMu1t7lbLvWgYAg3GN72QkaQ4REdgY2Q0pnG+JW+zB2VyalLpGXwVov7quUjes0T2t2D0lt5qfpzYhhWTGC1RfCUdw5APCmbdZtJT8johvOYFpXHmKYDOCeYX47y0ApDXeoFx9ZrBDzZZl56LDfuhoKe3lrHXXhrW32EFQ1/g2woviFEdlJ1lGZsxOERFuTp5zksvhYGHDUflJP6ER8yRRCUKST7qni/S7RDkyDHjHxpHEngmWYI+HNQ6CUVqg/ayllBQDgXXoLm6FmIVMvGNiEynikni4/sqb16luzUYHagrCzOMvXvqpOz6As0LrC1em9xfp6pAYIQfi0zFczp/2lawBJkLTwfPFiHHTVlAljuBIPIlRltinmLezFeZ7A2vV+rfsQwvXT2HYmkmE3X3nSNrgSj4kBtxf9NOpQWMs2mYsYJ1XOBwWi6/j+1wdMyN4XfLmT4l4TorQDYCFI6DNAy5Ki1iCWOn6ViHpGUgWrzzJsAbKOAkfhdR/IgPDE6/eWwUlzvtiDEqV1KwpcShiuZlTVRVdRgfEpQ+pTYGAhhKuKh1xAKOU+FqPefhdtYlKnzQsEK/2JBC98SjfhF4t3L9XOtxhRJ2dMjHIF3tEdJbN81j/jqBO1TYiF++bZYfJYnx1WDUnQwXlgKZcwAyZuXbx+9vWUweZrLIsTVsQf4jog/QpjRMz1RsLapxQDHx9T47gkuc7y3E7/Xh7G1yLPNmOFTPK2arT8QW5AmfUXMLrlT9diyE3Sy0DldewEn1JAiC+iQz3y67Gc5Lb9U52lF4No9AKKzLPdMWTIkAow6chnsuSY7+4fpHC9MhmkM0eLU9RBTSE/CKj0sTIH5f5dIR4Dq+6FEwz45jaTYoEJHjuhV38olPaYX8YdPZ7V1hkckOJJ/jEOQXRiFhSiApC/cSgKFI0Y/TE219nb7XFYkLsDyEYnOrKs/g3u/cqUpoMMfR7uKZ/GPjT1YooOvGYouYPt6xyl2jEtXCoOmlgM82W3FZDiptbqbBYGBnw67Jnay2oJEXrU3VonF6tCrr26nEimCeM5QzcWz2+6khdX93cfhBsHN3AIjZOTBLj6TyHlZdvZT4vBMdxIHAg53UVQcK9Hm1jgGwWfBggFapZN83ZRFpoear8n+Te2DWecbrPWAUeoM1N7Xei2h0741tiVAsVZgasybVuPRWC+sHKxzznecDKujzLhVIdjzhu2dzWoPLDsIkNST9KlhC/xkKMu+PIdgkCDiua9E4Xs3Uwui5WbBjDw/xn0BpUUssCH5amX8lPEBen8k+Lj1L8VrTgCbRCSySksLyGxweHnswnHlGDZNztypHwyQ6cgmNeWls2gqA/PD4qJPFDJ9S8RsKDQVwW60gADsbhA1IpkuEBbXquvVu7ab6cUKtW71mnmOMVMlF7kJ2lQIWzDIt3m3N6Kdw5VZzcZ1kBvt9VE4d6Uvaum2Z8MrRtpmn6sS90ewAXQ5JzLkJ/qIT8Xdo373ICTXDurEIgj4DkNJ9EhvqYC61csVXtGGOKM98RIRtr2lftfz5EZKIQyPP0RBAJZVWuTEwt3dg3UfZbKE62yiYrTQ5je2flr4cmqs7QzVO/HDejNEDJxU50KYjQoz/dlGAKPwrpKqvRsF25UQlv67OdzGGz84vUlmNTu8QclTqAffeK2lwAYMI7Wt4zRp0UyA0xqQl32eV2Fpg0lu8r+5dN4dJmV6m6UfR6boI4cxAGCln4FedocVOlQgUIFnuAEkQTf+yPRBeVO8fgUD/GNkixTSmANWYv+rt/0icfQJ3TxD1pCWMGFCocedmRCQLHj3s+QpO/c/WfTiu66dQmfkpP5ag8VQitPG/Vem7MoABXzLRT0wMRWMjwJfWy2+vQRQwLpMVdolkHS6Ojeo6MDwvO0PQt8fTj1ep2TfXxJSSKuHFCjX6qwCWwRXnjbLSvWKfgk1Yx+TF+LA6VDNiNL7C/lt4w1A+VrYVAakODUYR6cT4PBSlz4RAiFz02ZXu5KS8XYjqjqtmqXgtWpGr9P1KJMrcQQ0Vw1PLhzHtooJuEA0C6YoFb68G8e29W9ahzjcZEvfjlp+o1Gu2fTOwJv+Mc2Rg/RfcHiQAXuRTNxKDI+TYpDYGg9rCfuqmrnpn+oh80onYzM8w0bqYM5HicwsrhcQxJ8gwtIR+tetiCL/vVC759AcdLbG3XA5Fg2c/+fmFGr7ITquSyn0Ho0aI3KAY2ZJIJI5r0OxKh0RC+2kwBL3K64/+RPPaIqE3A5HX+5QARRJDJo4nyGPCL51Z/Z90Djd8oTTXVd+Qf22WrZUiH6AExlbY9JK9LTwh1g1SWA2ZRkIzKjV4RHNmVRu2pmwfn/eI8U+OtkJspHb+NEoyKtxHeh16x65c3AYMTHkihsGhgpKL8NWWKKK2rZ7lsZvtsrV8qZCueaQD3Dx+Mdo5iIrtO7ftuds3cJU1Otx0Opq50+O0DYcP4ttDYjTV3AOR0zBJACrZsk4m7ikgFwBLS9XeJvO3WzkhBpoN2Bc94ZVm+GLD++Y7MkBMt84T1WXgI6VcFKgdg7wM9o5gMZDoQv7XbhYZV/dRzKUr8eZ6VqpPvmDhOUcayfrERJFjXSXQks1bJlcQqIWMsZ7HA4FuECpCGuVTo2nqpeZWxo96njA0iLz4pKWNRi4ePtgI/rdPK8FAHAx02OE9rlax3fGryw58PIgTRmQ2nR0RGwaD2PWN/DH54H/Uv1R8ZLiZRws9v5ZFLsxn39EfVNKDI7Q5OfI291WvPiBWG2bE5vmUktTxhWH0/sikA5SKzfNV1mWfP4WlxgAGDyGJ4P8XaLtt0zvD44y0Tzdpb1MpWreIqQaIAjg41opKl9QMlBBDHKxnHbht+yC+MFdoIr6tiFBQMYWsv3IzqtlHQakaMN1Na6VRfmnxH93Ex4cB9JdqCeOMvch+5mQBWvlzuP2KFpJR4kkYKVg+SgbXb1LQ/qnh+bxLvpsZz9j8lIjuhx+bMzQBQFfwvoHAIAvTuY0iNph2wiPZTBZx4QpvZqGR56SCalA+2za82/Ujq1cvf81RsIT/DxtrQhuFOquRW9fInShmmJ8Q+h/kgbsHJY5GULl1vjRESAy8aK3gHfCfIGK7d+2aYY61MdLNE7WwZrX0D0MepOavBK5H79ubQqyM1D48tNPaDbOdRi6YrYo4Ky+vbann1JdERz5SEvIysLd4SjGPbA94tHKBFEKKJX6fDkUKQkXJ3JBwLxTCnvwVGQU8w40Kvrl48zQLuSyeBNenSPDtJLGJx/FIuEevW3sjjv2IcqBOaCKnn2Uwa/gTynSOMrEfRseJueI7Bp4kAxMZmJDW5ie4iobgxNOx/jFnmEnUNVFwfOCv4m/TG8TZUMEa2v/FAkGNtRQmeKimkczMqRhfx07PHDx3ih51FBFrYBqlswAcjV2vtUmxxEAOMgYhMOen9X1HtTGpbClZ+nLpPUCh/w866/Nw7v5xClbnvMtAgqtpJabDEhAkMhG23FY6uq2Gr0r27NE5CUg41AVZMIV4yiQbQAP8Q7oBgl4NRfKtss1oAU8z9ueD1gvn60VqKCbg/LUFe8zTPnOImqw1AeasGqB9En9049usg/yAh7IrkOuPyaMmrXtRFe7U0OWjP238aPElef9InVznMzFVpz/TDAAoUxRXZeJYxaJOGARnnUKPwZACDdAnxhhBex0tMZtkOoWqy1opCMj3pgMOf9Jii30X9xTsrnK+09mHoVpk0daDrZj+tGGtGmV9PZcg5xbJTIMyw/DUF4kASwXfIXwSBfdBupjq8NAehCMZxTQmK6GlCkHcgKe/8XBo8eJOlJ00fsRbT1as5pVA1DqWIuwh3n7X5AHyD8wKMsN3DzHpOxkxiHBD34lCDM6jnAbTfI6kcu/xVYXewFOiMb0iWXMaCA6GiCCevbXPuBdqSuw617JHPRE6VGXSJEceBn9kKrLl1g2S4NWAP9DzEZNCJ+PIQNtIbJ6khzW9p0UGKu9xxE2vqDEkGKv7I="};
+export const answers5 = {"start":657,"count":405,"size":26,"iterations":50000,"data":"ZZyIyGavKyZPBrddlywF8UCC1fuh/Wg6YjigSCKxyt7gKqDIpS19Ahhtw0oaQaNN4a9LyFkez5F2jvKQFBiHvlwOsO2d0NuTpvzJgbQsvGdiWCkTzqDq7oFqZutSkfdAORtKj4oEpGBNYIfzwrWYgWMnTwKbWJxGstQs7ZAx5frxK+GTAv0G5LNKC0IKIOa2nbI5FRUO/zkYNQAsnDEcWGXE61uHy/KdhAq1U7qpGfNtBrrBHat9WJ1cwACtzrXCASYQ6jhY/gVScJhBAN8dNHMJrNwcUpLaAbcLd6UZJRUfUjDYR7JQQcOSZepaTK+ZkIJD4MPo3kykNyQFi4s7BZbnEIsGCZ/foAo8qxovqVxFwNYaTmf0EQcPc0YxEyzgPw06zAdDWLE9h+A6AqiD8oP3RSimrsSzsSRsfeyt1MghLYKBojoZTX/wMTFKxWgdj7sh4Nw+N5U8N4p6uyAGXmwxqpqhkm/FQUOLXOQ9Z59K7Uxzm2UreeUK12vYOy03/vG9NfWLfc/KafoNk1pK19p1aggAVFlcH+qk0mBkRf6z8OF0T7dZ05WBdjUav7jZ6+pbdST5r+K2PoM+SEhxuQyZRkewiJ0obYOj6Mjx1gu9IH55hrzV0/9Ksf/ueKyYaUFCQmsjgxhs7uTUQ7B0v8Y/E2qGztarYPrmjcPr053oDZ/9TBkOnKDFFAuIv3NjiFTL/lzRik3pu6D8cfZkVBaBIkbn4TB3URGy9QdKRMRK9DNONPvmpd04KvQWnT/vBkbXTWppN61IYhTrXqj+VbRwcFfMO72/IcurjN37vNh0clhzFIMiEIHjHAPuHMFPTHiB4gJJw7h9X4IhBCeKphi3Bc1Vp4hWKtp4IQD+vL37cPqi4hgKN2k584y6DPyxLvP91Ec7ZfDX4PCf0PXiagajmy1TW1aIyZpku6xMcl9UhQnWwvk7+5XFqQLUeDtsqD8/akB8bNPj7OWbPWEXJMBtnChxYQw4n3LJj10OVpUhcw/7sqaaBBBZy72sZVhfu7Z2MzVQIK0/PAVnykfzQVu+BQq+/hHnfabHY3Xbze5tkhoe6Ixcoj2fEYVgvnF+/EhZYRBdXYXrXqwi2oXoebTzNU3BphtICft6VnVwnC6BoPjMFZA5Ifm2C17IcL+pTn7zTpfcttJtekt/oKNYXX5oKzTkD4hlE3LnmChpEzAXHXaYKa1jpUgws12SgT6vaPOfJKxgjjxNP5zxEJu//YBaEO5ToKSP3ybXZFkmbE7aP/FeX+2KU9Stwzs04PJEpMm4pb4KpUywlk0ogYqT/J/o2E3K4wSzzeg2SsqlM3uPAP9m1kfYj2KFOuNbwF1LPDnPYRWeOI7gq1L8UbLJCIaB/48fprL6GF21SIYJhSbY+yoQcNgUcWb2+rhvfoEUA2zWDflZvgOJeQeBkkRwF5/V78bzk9Gdpt6xLZ2i7vPDrFuBGVlxKeaR2Qy30Baqxr557lG6zk4QTqDxpLbI0E5mEGd1urlf/yc0b9hbcgEufzRgiv7QT4QBb4CI8ZUmkdaSssJQvbjc6GnYJS0a1LjjpoZDfdPlyHyFmVd1Tmqf0paZrb3mnN1tlNdDz1yJEs82vdOGpCjsuIij0xNfIEDzFnV2mSsNHNQBzB135f0OwLD3GiWlX0O0ssfX8uaxEK6bJo69nMSV69aVU0hwvRGa0ypwbjCtmJwWdZBzjVrcZxd6M1wrfoCCLA0n0ai153QNBT79n/ayy0runXEH0nZMWggDg8qUtTywQgszjMzNEH5YLfVW188xUxhPewDeTV3C/1177rwGcQFO1lWRDtNk6dhMiWEgBi669SW/ERbuMz7sncyZuzy228Oj6vGk2/8Z3x6c161z1qAlZLgJ0jPd0ZUWO8pVQP+4OET9ThsR0+3e/dNNJMnNhp9iqO+hMeSTd4lk+wIQWlAhvIkhrGGTwNdTG3gTTLWdxd8UQenX8kKV3mqqVBllVyJ3yIqF1rKC2Y2C6CB7kKMIY0o+t2T87k5RgEjR5WZAHjBS+qGnx2RzwWiCc3sZGhuUvLMR+2FQh/poFv5vCjjP+Ek9VqKLDxD82JKBu+TFHYPVSrVBBfB2qki7tQQntxZ/XzZYWgfFJWvJ7AZLPtGkS6Cglq2qGhm6HyLFDOufk8aVJ8UCbXWwcaTPg5x9DqrWML8nzLlg4JkkC2fuB2fNCk5SsSAVoGCuR+w2yjoLiNkDmiw+unf3Yno6+hgKZDXFrPzkI71pROxjcLgf8+WX+WzaNPHhpdesTnf8QAQS8jdwR0JweV+UCRYqhxaKptbO2xuXx1ZRD8QkPMfeDc7ruJHTPROgxhLqj2QRTscv+0v142+KvH4mCBokIjdJOAt7fLhHEWWaxe7xkNe5wnHizipLUJ5WW8Pa/fBr2VNoSzHm9ucBLBrxzQa2AcqVzUdViL7c67nHMPXfptQ30gbs901tE1OujNDhN7GVzut1VI339Q/IJYpPqy/Cmnz5NRyKAVOngzgBvt5qI1FZkwJRLrWKPVlW8tI5JnfTl8i92eh5lxNIfj1rb7h6gMqNjVEKMw0XXnWMoMlmKQINOMiSBKjLY4fgFPixSIKD7Ai6KKeNQQsTiKR7+a8LXTbBkpuEGwywFflZpXlXC3+DLQvWh9WV+0jHZhjzoe36XwqPpWWq3quAJd/W85DHm5f//WXu1owSiEEF1GpWeZLL767tn/2BTx/wYlWSPenM5eEGeA1lctnay+mlXDLaoxpGdMZsbvoL1wG+dcE4VUBnfWBkr1N6wrJikTQ3axZ9mTN4jyrqhh0Jdo2HGfJ7YBeoqYsva61HWBHRccsVdVRpo3m0fH482e75PiilIaMDE5+xusOt+sI7yu2JX+jHMohLqlweSQAh+riAjaKVaOs6T8GvzSymMinSXtFqTN+EE0tzvbfW0m9dfNyPUYm6L+QcCkZwYIMhQd+mfbO3f4f75ZkyrgVvKBPblnt1hgzgAEBjBcaZso68slXldVuIp4voDEz3xkN5BG8XVisb5DBIUY7GMRSRy8BlxYfgL4/YyYJiCuXRwetcf0gp9+wlbKyKYGf+44dQZtTHLYinYrl+zVJuFNysfoPy4dsPjojo7kxvgOzV7BvHqbLR2KUIeGwhoSV72mkPzBd6NC6YmyWi72G1pnuIv3dpDAitd6ZCKTGoR9h9FFEw2TJG2Hebz2bygow2Ryakz6+xvYnNdblFiqE3OhzlWyK5Xmq79k2iTgpe7kP1cD7wwurjkRhU8KhcjeWJnjb2pt5vzuTiTHtoCqWXJ+ZlXqbJQyO7JPo+8NcPgPmsoAgInotT4/5/PxrYXBsvp+I9f2YfsQdAXU0Khx7ynastHDQ/0sU9/9YBzu1p5JXlke58cH35gY0DeGdN0yn4h00bRtFuL2bwvYKIGvfEcz2BTP5Tq9GmAtgg4/iwqY744mjEHY9LvPcykv0j6YJLJ1LKXioQqAgs7AJIKUDgwVP3WuvkdlZkJfYDPDhbs8vVLzkB5Dl2/fzEChmy6mhaGCWvOBkGm7bWWaGu3UOQ+8PEdthFMYDj8tevGziRaTcxlrxBgkUPj3hoXKShy8TCX5W83yCSK968m4usyKaPq2BHVIrCflYxY63w4kPy8uBA7TnxUc/ltbjHA6Cz+GCL+/IhO1zqdVw2tldlgqB7YdEYAWGbqbxzIPeJkuLw2cOuTEV7qyEoat5V+jASOmDQgamsXN+xANNVBhZ9YIdZeBzLeronw2mqXzhLTAoWIO7+h+CioXSfFa5ckXAMYBBOZ4QQ9IV19VFgOyFya+9tdeQw2lIUdbW/XU/oTffIa2K8utZWfyHO6jWy4zgnMR0uGCavhewYS8YQknkc34uEUU8834+qKomYqCeJET40kiTK7S93AqVSHwswXDKbJtVnhrWhHL03YHzcSpiXlKPhJGBmPxXoaK7KdcbTybrR0pTLqjrG/zdFJJI1GVGaK3bXlyuxrwBQ5slzsyHvLPXX5fACL5A7AIno7ZlYaF4TQuLRNHdSnrjh75+ZDq2zx+LIEoV1XOQ2/ERFCVX9ZecDxok9StY17oFNVkZi61Zv+9wA2fen+crLALr5kVgkHA7L8AmdZtmUQQ6qD9veqjggOz+k8ASqsfIb0T5HGzxdoMfvGQzYm0wiUsMuWLovMaVL2lPvK6+fL9mqmICRaK+DymPJzCUtG1dcMBVf4LTLQfYBhE/U7xTXXiMf7SI3Qf0GBUepRqqa2ha8QK5rmXVfXZ4wI7PJCeiaBvRPuDYlQPOgOobhCW8wW2UobV3MFulEzVYGoJa+Zoi0SPIRcdK6+0f6Y4l7317/pyoW6AohD7MVWp+1VbQM5EtFJpLjvQUc9FzkfGd+0EqssesiZArWLwKi3B58jt78Elm+h844Jg3uN58cwIFucxmNSzm7aWCpGNEa9ICyQA3t2p10vbZvccgBHAYEQhlXTBKuBhrEvILbFrXRlpgwJn901pbZl4aWjxiocI55KxRxkCe9fxnhsYBrda0Ace58dmrarNZsGkW0iOSLixWg6pzi/EIAg2GdqIqpM6LzWclUSU/PDled1sPCyqNvp8eZRf3Cjx45Y1TxLI6br8YvKHjW2xuPn8Q0WwFTQ9IMVOn9ev+E+OmYwoza0X1OQJMXb2/T1U61k2M1WAsI455ZlLFoCAaUf1UoYF2jexkYfWZtGo5fk+RxI6TVYGXZiBYjnMiq9a0Sg+7Hm6o2oKQ6bSPPyBxpFwu/wsPlpQf77KbA5wdUdJcKGC3wXEpH8CE3jJ9NJnPRqFlobz9w1dF2FfbomgzZFYFXBU+SCZEjlFqJ+4YNqZv02b78mbpYikMi/h0u3aAkXFJAuYwVYyrx4Wo+nmGXeqcjQOkjC7v7yplLXF3T7yL/0bGJtZ3t8G84GAuy0xCqOV2hFnKS8ur5ay8aqawp1QWwRfZriq8RTtByfONywR8tWNktWS4Y4rYCoGrmxsawhsa2RMuDdrMFn1+XFIrzzypQmgaP2kaRCgaW73wOW2hVanf/I8Bt5mcxsw8BNdyQRmlAl0dP0seEZdf/IfP0vIt+JVEEI9eqrqa7s2MgLO792l22wTfj7pgB/u4KHQn5di0IW2BUTdCWNpCW6bq/l5AXUKfe5mrabn40qAVH4LrffiKB3t/WApbEueJ5ivN/tSuHg5L22NboT//Vej3Ye6Ud4UELwVnPv2hZXP03qVJfUeyBELMR58kWSIs/RKSspqgQs3eL+L6KfpqxkI0rm2peYoRUJF/t1jqSLvqgEfULbvRG12RcDifObGyS0paxPEOLTEW7/Oj3kqorIc2IsMEEYnaDRorYoS5gwIv7wf5o4L5XssJ30cqR171VaATgc3EbLh4ihtwwImCGA1ZkNkXbGKI1cV7uP08p0CcgAO3jgoXkeFB7I3NevNMYyYU/J8zSdwgMOxyzbgZVydHmBvr51lY7bHIzE4cglPga3039749GlM7rIEj63hyYRv+eUfbEXVkZ4Xs0x5tW5C0DHRznU3sSChrm5j+WKsAvx12qqTvTlgPOoFX5WBPLuyPKMe/QRrx0Wd0Z6OC7cIWl6eA9+exn/T1+2nrnOepdhyVeIzrdLUGBef/bTNaR6Mfw30X4yaJwmSOr8frPzYfiYtk5sLar8Eb/TnGJ/g99wNeVpfTMio2z7X1kxSh+81Hn44yjhgv7LvXsYmO0PdeImjk7NzCrtsLfSX46Oq+xOSz1p1IKuincsFahzFqR0QCX3IzaH4EBRrCvWyJuuHW2nm0dNo/9X/h/tsYHU5UltMAp7BmH4f12hMwvXXBkiwU3bu/AHu8bHvOv0+TiHn6bWvckae28swAIznNfWKpurw8cfTOuq3+v5T7r3yTKxMdQKK50zXkj7XaTZdR4oOfSa6HSNku7u7eolLab/WXHEeGeMyVAOAYcRP+4XgLYGtkyi4NKqCU1INqCtkJ6/DCZCOPtJuIMfY+F++e+/xf7zZ3liU0yk28/yEWCkXVZvJPB4baPnZMZLutePvHBWzMrKYrFQz+Kaz3hYm+tkw3WogRa9XQLhBTVc3wPjmgz2uHgpMh/IH+ikel06a/e65DNObt7+YYgTJiWBFuTrz5iOGvoacGNGI5/YX+d2E0lq/AuJAq5XdsjYJdNMzdRaMUvCppcG+yiPlPgRsjfiBXrKyuXVa9WXuKkIB4DKCJ9G1IzUFNAeewI8X3WDorRhUS8LRwwvILpgWOW0ZgbIq2+AZWzYMWKtfjfk3IsIjqbUvhHwUVaxjsdmxEB7MgTNYxVQXe0ia7PbW0zVXXHDDdG/cHkG3Wwh1HTd/GWeUhxuav6VWDA3v+XFPIebzjD0aJ0q4E9KQOdytEg6BQU0XFDvmay6gepqm+KpUB+ik/pPihPNIWcdgIKQlbMETgjUUoqfM/L37xUyPCmmrAAt2U2Aio54yZOPq84X0qRDcjZvjN+MvujzsixdiBKPNBcyrIX66iuPlWYj9IlCgPW3c854RpJgrIJWhZ+vpmyjSTRBJ6l0L57Rlb6eQwHwBLlOLFIz1LNMeQFWgKV4QAYIB+b/JCd/mxIipGSWpONglBYI08i4hD7qpbRFntSlg0MbxLW3H/HQw13JtC9wpegHwHwi0t03KbKbOMK1n6/fNjbFapomoRTkhEaobOXe4uGt32bvA91U5eiRVwq8bPA3tkuv7Yy8Sz4WWUt3r31Lo8wUIwQ2OAWeZKv4glpHtg7AIEhPNkdYlEaTVeMCQHSTMqWO1HZG38DTgbCHhOc+LcM6OhCAfYXgLegRIbhT5h3pzZlr3BIFaLbSf8kYcK19G40EBDqx0kjgl9ZobuiiWHPwM4LCLzi+hmYknl7zrm1+5Dc3Zt+3xXzgyswE8EB1q1u/DBrGEWuzeu3SpOrMVJCuySxDwu4ikuA7MHwJm7gobHRsqXpMcPW6mzw4r07yKopUFFeXBy5ndUWeFpH8YMlYsCNt/xZP37a9/xCJE4rE8BzKixTUiLX1d3ZT8s6VT3SDraYwpHgecHS64TusKZYYrxOAfHwCgf+Hqjl8+tuUZ5+GFq71dkzolHAPiVe1ceAWvaJX/6HhZScU34JIDx1qzw3rgCjGNKy55BIRq5AOccqtb1i2TZficwXxi8DwHVT4Oq65b5fkUIej3StFeVml+iu8mK0QO8Jx/muxdhL9YXLkX9HGgMA0OowvhlcDoOEc7kfvg3BQRaDfGIuoej/aXtSNPEIaXnIUesdO8t9iRoMPcc3KrzC3cC7GH0c9jKm1JBoUhY4fOaRAMBY5aQSJ5LcTSK/ezi9pqolelPw/UeLwUi9MnlwL8gB2HAiYN2+BK1vbCAP6c/82FCEYFbhu0CWeY4pzLtyOvQhc0kQvdmV2DmyPrRbv7M/ghuik6m8MfFv6TyeNHVwD3yJKZXKXmTPKhTj5ERhPOey/W1Aq787rVM5wi0EI7xCbr7LBofTpj14WF0ssGwzwcaF+sC+a9Pu8hZb1Cbd13ijEnzVVeNVyxry/chQunu1zL/bw5g2t9UOTS6R9rXCIMyNM2Leh8klr1TqqwOez3b6UqA6cgc2H4qL2IzCDR5uiS1UkkskbmiAHsA3toejovuYtCI9Vo0GRN80C8uf4EKAThI4wE9Sbc3zyuPI3qHqO0zcnKWHqKi/SoqlcfgzBuAfXSgj7ICm10NrSce/kG5f9Gr46opm/RAKS4BPbqlriVVeC5EESFogJdoZx38oAhoHqnnIoHS8SPIJR87D/L1Pn21mUCx0e0KFrdMc/BxKNEju67EHtqYoOseTdNtkgTp7GjpSbxFOcJKmruT8WeYcRgNlV6APqpTI3s4Tg7+UhzAeKFbn87weRyOT0CWI6Cxr/39PXduHKJqE+wMa6tlAbE7HuZQ4geehI5KmUjsqMA6Ahi+ZvBo4Ch8mU40nCDahm8KiIEue1D+/hlauYHgElzUUPgwJ8JdGcZH5hyfz8/cBVOkxBfo9hcwKwvszBkhiBO9rHS1oceokNe9Y4obZjAchQHC/klYrg2ydBRZkzMp7NrAhGAPKxK8Ui/e4Fd6wD+holzkCYZATDQL/M4fJ9bJj7X24FeOlLBlew0L+5UELWtZfrQf0c7y+Wv2PiRgJDi81/I5nK4WblAg8mneARI+6FQiLZj5Zzgd4A/dvcdnpU6scDsAr2CM6riVWwnCkCH2C8qkVpBz+GIqENc0Znvhf7AFNouhwiwgL7vBP7VWnTs41OKocLhlo5dn3UVbItRB0OgOQgYjvtSJv4OO3401RbOmSGl5GyjOnGKA11fbMkDJP1OiSZmitdcK2wMeHGNsv9gnk0IVq0+2nea7ZLUays6cDPjyXVmGNKhrON42/yLBVVndOAVbilEPJWHZEywn37xj1R03y7Zk5dTEvhyOXWkUnbCUhMN23pbrv3AhYPTgdE7YMF4j3GvhZOAXesFZc86rd5Tl8l/g6c7EsxW6KULpbfoddYRLdjP2u9TxzEivdpfay1fn+i4ISmbII+ictyOH7I8u9DMoe3SgRcl6eFRSzE68kb04eLTs8KuCzWZjTBbGZP6pNDgzXaICnaeUTHE2e8W7gq1OPJhn1SQXVV0KiDN4tAWVkHjAS4TtS9hatWTi1etEH7mytfNbAdKixNXgmsXNF95eKMcAJbuUlwq89FutreOy8OJD9OGY6a8M5xkRPtVS5pJibYvE//K2D3GeNxCRSRv5HRjLBWqtWrEefpImSec1+tyR1Um9rVEsgqxqYThWLiSa5Lm0AVKxwycgO/WIu38t1jVVXw3K1eRcWOiBUA4gWDsalfCie/kho4SmHZpCvY0qV9xgz/v4Z4lKS0JlKQRd+/ATuIlOTDGoCyvBYo4B0QyRjbVeo6pWTMmO8cxubWSZBYWh4EpqXHfuTW9O9H+Aa26tw4GelcfW6V7cvp2CpBPaUavNpqqI0Vs4UT/DRwkdyMPJfzn+bD5wJ6uc6BvvvxrqNlDewdr2DATi/rmuH0IeQSPlS9rAW2JYzIXMJYkoFQVKGv7b3Ukw4tSbn5hTTQ9UPT1l1At7I30JpeW35oURyPC9uh4UXau2w5bbylnW9Kl3bw+JKLpdLS5kyQQ9tVzoTLiovYOidvzp3tPGNATLoKMwjR2v0nBPH4S5PU3NU4wLTevGMh/Svc3l2nGR1eujiJY0b6inu7zp2w+Wa/gW3TX3+SclN2EB74EgdPg6wtxt6EKuPpNLZYtAFdibAt0dj0rTIMs2rEguMzrQ8JUGx8b3FdZXtFl/lCEmvn0VIO88nvG60CkoOlrREcdMb3s638VZPuPVKsgtiVEIFk3qoHxPpBb5W1YlqBQuCXRXYE/9LfZc75WgV9Xr/329TVB4eLPQCk2SIv7HbEXhHQ21h8S3wLgIODidkY505LI2aKh3uhLAte3LKn6cVVUHlNVSB+jUwi7CLoBUJB3L41PGymuM7WmEu+/aNuHJVGYpg+v5zC2wodD7zNHeI8RREq8RC+bItmccpPt0jotuFhjQkzo3RuLxDqnjkKCauApUY/DsVlThtx5zD/r14ZjGB2TTcIcpaksW3jIHBss60jcJqC4iPCCAElSKUV25/NwZC4Trt93X56iUP6MbUXv4XumBS99ujm86W8VpAnT/eEkjk/7Opi1VA4WjA4uk1tRBCQdyyunoKN//+jy1rk05SQwJYGrPEjcevkxlEoCRKnEZkFBHcZu82TEo7pkdirugD1PudSJG2DDYKqEzxbQsgqldUW8JqI/1vhS6NSyi4tG+y6PZ4fBB5+bQB9twxD6k7+bu6hP5kYpWg6QiG09JJOsiBjdt9EKIxa/kWUWGonNB0LmmYY9QbM46hWxP/W1pzJNG0sKrufxptwv6yJa/yxqrSRP1+lEkQ6Lp6XxNwUZx+DvcR8BQLoEBuXA9cE7nDv58NYSJGQYquffPzxcxP0PKx/VEMORPb2qDuBwVM6VC+pcuPDhy6TbgWzYryfXxTDHoi/KBEoXrmHtg+upHTqN0aUpSQL+gpRuzLVe1v2uFbO9SW6rAnKMyCrSAwoLKwURC7K0usvZn/nBLqIg4vLCzGPZ/x2hUC2F20ANCx+xK2oCRRgT3j31/GMBnc59cQCh5hv1/PDxGWjwxCyWMdu1P4hrgY13ZCiHJ5QbE8QLxdphjuSvdcE8aD8QfwTeX1sXtHZP7U+5ij03pmpCBuJrh+KtYfcbTyqHG2xliYCfhf1CT2BrFZlTQYR5aTIwmT+lZgaVrTXUEXxO/cbk3bI+uHFMFJUq+uA3xtAwnWyLRTokqYPA3RGGKzedhOeKQ74Fii/qMbW4SSkIX2Au7pYDbnH1CeyU0xS/xFDksCs2MZY2atv8wGVteoL6L+G/qJPe9Lnvfw2jpNl7ZBVBAdwVIjGIrBEC2uirDPtW/UEzvRO15Tazh2LnUvrIa3pg8o9mmrVtBoCkL41nDsw2MPJNIGYzia+wKkW4Y9HdC2cbgEjvGcQJCprDKfHJ9u5Pc/sNPgqv8x2mmqez4U9Kai0Nll1IzMGpGMXVTweB671hshir41MFz7SE0K0zFwnVzOkpYwVbbOkCcWEN25YkMUBOqVehVy9hBZSYHPpFWs4YMwJbKT132jIlZ31dV22Wcj/VPQdSJu4NaZ0rRxEqde9Tel9iPaWX8tSZ91mb7Sqvxpo/+Qu5ageBItLH/bT68ha2P7nn8FiC9D4JOz3T2L3Hh/2Q1dBtLXgeWRwv3ysP2v2UALKRsgtqCxXUkirv6hC2Xl/uAmwzakXSa+Muwi5GgAo3oYktkdK7NhkgqovbWrBfdE/yyMqmcsM+TWpyOW1InyL0Kn+YI/6AVwK30gLhPOzeaWvZb0zU0+GdZ4cKV8vWs08Hp1u1yPtBpLDp8fSU/b/GQZDTCbJpYDnlvTnq6iR3V/UPrHLJ+bFTijfyzxx9rVi2x6yWoSq3JKqI/GfZZZIQaUseP4EE9vPjFwe91BBWaUK0qVpwvMrkp4hbkLHaTYqtItuzgDurhL0m8zNqd4faS6KXT7qCj/tCyaFDf7mFrIol4EY0p+GfT+LyfPtpz4gGRUwAF9nX2YBiz2UGRDs4rcdjiCSCeZ72wutrLkUCKKsndLrKLtkN3tuvX3BUVX+hR1IuraHzcpm1PppEr4+zCyLdjZQvcrYqWca3am6dTT0xDi9tJdjfDOkgi/tcIwDGAxF41slLcDjmvykuCK4wzhs1eFHhnmyYNM2XWZKE6BBJofEQlH5XjlgxN+iX+zT0wdfp1d8ZA8jX8OPSxOlXSzGPWsZYykHf34+5aDOulf1xek0gLnIurdh3MQVkAXwDDKmEMPfScrHzXG2g2dpRcvFtHLUOJvfSIvood4gQSiV9/PQUYe6aOLbJJ4mRJ7CQKXFQlP10wV0Sz2nK6fB6BknxhVju7C7//Z2KRvrGx1YPH/E3dfvYjCagsoSsQe2Y4MURJm2aOCXlvn3Dj4jAIGkGjtrYbdsnShsw27kUie+qwG7Oli9sE41ckgCsZFk1dEXRRnngshF2oXjOYdGhwchWXRezy4VJD2zrdZpSA7x86ZIDo2qmCnREzt8miC6P79kSgW3DqzOO+K+CwmsWswSBgvRKdFSnAEdGUaEhvP4Y1MaVKfNlJ3AyV21XHMBaNuRQeHdHqXZ7E1ObztOJ5Tlw6H8yuD0w5BEh3MP3LoPl+aBeM2r+F0K/AuX2n9klQ4YsX2YoVy47dF+GPIyB6AZWT6NSDU4QCiu4sGyy0/MijpLpk/80pbYLakYkoP5oVqGHhsDf+QbHkuOFWAqXZnY5ctHrl3VJbB2wxAclcDdRjtmAT5ukc2fYxh4BUectUEpCQ+DDDO09p9xPU93pYK79EvbSxOgXkvU8Z2QzHXCS1tDlkJ8cTwynYhf8WjNyefpSJXglkWKBn/+ug1hIX0N8VlYUjvOFeFyK1Pee+9znSHhxc5IKqqakdzNL7rmTBQRb+R0nPeBDv6SMmdTaw7isR8WckWFR2QlOQn5QSeYVgH0wD1P6UnO3/7Bd0j4Mbi8RCEdxEtOnUxlPtiFNkEzWujwogsu+mTapWRI4xDSgNV4J+BVP0fpa99+ZfqUxane14x7gMhCt5HxVKI7mjYFGLg0bhLstK6w+j+DYeTj3dBNeMB8acv5ROfnFFi5SPmFLGAFdJDUXSsCypuLRYjHhBbzCkr6jbAxANMBid2QQA+bFYyrs0Yc9EE2AyTzsoXslWeU4JPicAb+TMEbcgDfR0yUNVnYbv0Ny4NBoOWOfpVi5zz1FfG3xEfpv0v8etp/rHgT47f3a1UtrURHThPaVHqFOAu+P2CgKfjRIc4ZjYiVVq6IwW0H9EzV6Nxp3in607YLiuxsIIfFlNW4di/OZmhx7PDHZKGLkDw9CIdzcuMiW/EGlGjwUmg599ELzVNfWNPMgOBCyB0iCzkGa62h1RzctfiSLj3lF+TOkBQIL3kpFtgvlc3RV4ao8IHISv0OSwr+X2RfVTZZbFQCgjcqcR6/q0XVR4agFR3taQ1w6PeLcHfKfmCzwTZPocw+w3xqNGeExNnsPzkPK6wT1roRscq0Z3fWuGIrghyWV1g81Ot/SBpTvDf3qDfcSqB75Mwz9ldx4Yf5klJC6YspuzqQQTEM3AfRde/GKOTMSCWRXjgHxs2YZZh5Cg1u/YBao9KSkhZgJqC4MaYhiNm3OwzPR8u95yGFOisbTfH10zSN+rEwYDGfUMePTfrMWn9l4pzyGZQhDpkfb9fK+pmE/KjxSf0SQnY8sx1/GaCjORGMeza9dGaYPNrr7AjXH0NRq/AydTc08b6gYFaZOM+8qXqH3Ugd5zxcJGLITLaYoHmO4CFxA5vAgtkXBWQctVGqtglqmjSWUK7VDppQaaX2ZvPVn1FJDM+o8FKVOaeJtP3D5JnQTOggCEKl90u5KsaA6U9G6rWqxt9U7TUJ5nYN6hxrjMAVdRagtjE2K5LRMHtg7K1YSFM8iboPzQ+8pXf42y4Us+pj8gyIFOmlrBKwA8gkir0XV7vZ3BYZjvtEfiqFFRrFGnHwm33OuARqfB+ZTMhihnzVHz8uKmdCFLjWKIPMXqFf9cjmSRqd4SjBJWSDtctoE6bKqJctPxWjFKDs4Hmv4Cgg7LpnR/mrsEnsMHG3n3CItxTU+4c0QOpXnrElnVE5ripxth9JtM8dIAlPVo8ggp9afynxlQMvmCw4RL66kamLdlwFby2mf1NZsLTMlRCeW0xokb27nmYxBsFaZd0kYnj1tSkAk/GQwrzeGR1QjoMn1Z0hncI02ho/V9zOnFkSEDDGbx9+7uHIdaKrcMEWRDLAvaRBKpI8j3HhGX88H9qv31V3TD1OmCM9JyKI87K6eO4PQLEutBdWUuxznZf3dTz+m+630y026xhK68hSM+fAhl4CGNkidr1L/GOwy/OMf3l87RebXm1vECCzqwgfLdDFNAhhVnZXH31UqtUXZVOeZUbXBGuUobQw6XbwdJssaO+BFVMOlNEOeORnFewxckFzrAB7uHmBupblbaTR/HuB/Aia1EPFLUuNMwRI8UA23BF52IxydnkKwgFnpfucZZymnKa+guBs8LVCZbvRHIHqgaLhsHUnN9mixMu90zZXunuGS6T/Op0GU1nz7zuZ8qo2VyhgG10ddqTOrksb1TFvM2j4acSrjp3UReqF+qs0Hy7+J4hE4Ne7BpUDgI9Mbfbm6L0LJpLwdOWlxoAsFFV8UjvFD7jZuHKGoz7EOmOZcGx5z00yPY17Ez3hZH8kIaUT1ho+FNTwZHis084lC4mdpEpa3hEDSbVCLGlbyR3V6I1rFMrQjVTSNKRVQrGVZ7rKrTnWVhPt6cDciMVdq1kvNDU2SG0mwFocyWAw15TCeH/vOx6BC1Islk/Tjyoq1cTibqIgcA3mMBP7mqtbphz5Ms/XgVqIaSgZ9nKavmrAfjuTtDZWx39iXYXQ2tIRLaCJ35ggOB1q683Ku+9qOf9hY0p9KTviysIQ4Bh9LuifR/fhqD8caSZcUCBFw0O1MBmPuzmPmCiMkvbCP6/gciYB37DkWuIP0N+PbcMizzL9rVHH9P2IASFKlLUxcYmj4y63FDErgRJ"};
+export const words6 = {"count":40,"iterations":50000,"data":"XuHkBPITpT8ZvOX0n76wPv738/qXx2ZR3angXF/NK9gQ7fmTcHnUVk1ZwtJPRyuNxgL+ilKIJaDCUtgX29TJiwW8X76OGmGjC0mTHfFKICy/btxOrrIgoOfGw+AnljwxbF7+M4Wt5cgWx4LJ/LN8IVv3HffQOchNbv3TZUnXyNUNX+cUt8vqaoZ8D9vzfvG9UL7Q2nwr4oJOpdd+NwHkvvcGAAlRHsjwvDIJ8QEHYRU1KO27hbQH3QfYMnqoZRsePvoB/1w7JZAvBRZymYnai/U/6J6WbnpQ8Mo8DrCP6SeGIf2Myex+JX1WqJunNmaJwrRPZMAuDOArDokIiuV11KrSzwm3+vFYnKeUa3B6sElWzoExd4W2BPE5KeeikHEJ3cEqcjAJz3IpkKshoq6p/9hpmJmvkV4yuYpOT+5/ZRK5pXGu38XyIFWx42U4QE3NkLIENr5cu2s6aL130hZ5JnuGnO7hhJJCJd9/ipjhqlF7A4uFxhYiJMaPOyz+oqN1CuGe8g3qgTZJjzckdOlGOF4uxRmG0WwD5K/z21ib9q7VwtEftlkOzPKfsHkjoAqo30FkiNnmTKFJkMUko8WC+9YfqgTP+YqJRD9C0h+f9oew4hKI73pS8iUd8Inl1zOXQKcHpFSmfDP2rrNzO+9Tagx5Uxrd11rYWqc/IA=="};
+export const allowed6 = {"count":9137,"hashes":13,"bits":"VXL/eEnM8mhHl+5Zk2vEYvxffhOUV84KE/jIIkmvM9pUZ0PIUW5lADPrZ+a019DdYW66vEZKzrCKoZM54tP0qx/wogc9P1c782orPk2c/otdD9BrEjzR/Sg2MpkvC5uPZ7/ATBfW5sGMyXNIuxqfEfpVOi/BXU5UwVs0BlwSNR2w4tjHAdrjsCtR9kowg9d/lhBPmJGaU+Jy3lkmEPVjY27d2PhOAhHKMs2RgbmK84apA9Og/R9oyoSZ99droIk/i+2EzQgM1PmvkdoIZglhifkdAkQkoWW6K1FZ8pCM8CZpsB5vwA1ouswCEZxeuVOaL7JwfSU4tacxDPFfRmbVa3qFYCNxT1uKQihryEkDBX7YTuzw18aSD16zm0aQqq7qWWKA176KHojZWvM0KtJRaNiMINCPHyC6zqpsdPQxNh0hK4Do2bNU8h3qKKrVmbSRBmAer1z6VqMaC5CHmIhreLskLQyi5cmoF419WduegZ3ldB9oL2vby12/23wfXd8jEnZxDojJIcYTBlMUlMV3UiMYOF8EphrV/SlF0N1TsIJDmgx5j4dv3vCNhmXeOHR6K66aBFHYk6O09TASeWmh8XxTOSq2Of5JvQBAt45WhB2TnwHuvT1YXs84wjyXuas87jlsVVH9KviAQzHh8lBK58Y21HnvWNPrF6TocTfCZ6vYe7CdxZQ2e0yneMj7Ec21ARpiwLdyoDVFTqxSnW8k4SLd3qVm+smY7jX/47qSp6jgsPt4YyB8QZxaKWru+z+4mSd6Flv+mgmzinViWmiIap6nOJzc0Gt83pbRiaGGaq5Iwd0yGV3GiPuyhL8aXdol8CJqQvTHY7R2E4XgQp5bt+Yy0I7YTxBeYwYudQMB3azgks9EjmfFR6QbJwFOWrNRMujle3uuAS4KWAiinFweTpXEYzcTcXnkjOMneWtHCCNrZPqA0pwR2dtRkH1ZfADJLL4n0ADHN8j+ig69CWQouDeKtyvhEhJLQAeOw0ZE5RC8YeJU6QkoJtusxQNqnjmuCQ/OKRuVsB5mrmgPmbUcgtjvfU81pmp40fOI/XKLa28fureEc28LJiA6QjGnKfbDLvZA93u46Vw8+lZNQ1sTjfUSZnHQGAWfL4I3/Dguet567WnscgeRLC8niGF21FjvWSeCFXhNalV0D2iFaVmo4fYmhalD5iemSUcc+hAJwr18asWQDZH+9YWbpd1BB+B7tcUs2L5BQAU1eI03EZhYXNOdT4H4pRDMKj1UOnavETPeVPD6aQr5plzMNUATQJpw7R6iupj8FD5Ix4qc+XnJRZvW0ccQ0z7f7FGYzfEOtmr/b2edPFwpGWMj7JqB8uxOJdxMcczlUROJwd5W0SeooXQMORZirOckkmo2C7S2FZgS2EYB5q3F+dI7rLXIsEd3WhvPAAKeA4tsq7nkM3Lg53x3OkhoI/LCA6PrvQgoTmCkDX1MIsW2SdQvZINtGiLaYdenp4cvFAMy6921s8qU5jUtAmLwBQ0Xr7p1cP3bxo36THl+mR2GcEnXiCU2BWy3TYDf40vxXCkMpbnI0nZ3/ngKcEr8htaKkIREAr4YNwC/DlveWCQpKKxcsJ90hBU89NomwtD/VfBX5vBiOmOtuYxcXc6Q9I3ZjIZvHMAwULIGaKHjPI4pD+1XWiiHybB1y4kSKrOT0WHVq0Sw5rEClmmTdKhheaUHaI1HfSP17y6o9wsJMbytSD/Msc7ArE/jFkbz3S3dMJePw/AJGNxq+zbQxqJMQE1Liu4FJWpkwPQUi5cSoJ5pwfzNTxLZXFunLtkx05fbKX2l428FoPAY7slia1Lep1KZ5DRBykgrXgpojM/On6gFndV1n/igQ7XxLnQvvZyZSH/6W9iOlrrZpfOyWewO/ZrLfYSk69fE4p9SFZ0q1rHnLhtLQa3q92lyuG156wMEl+r9uGq0cDNs+e/iIuolFq2o9eGc8xQRg0ZYBXgCDBvSpQmRqmIej5o/Oqv0+nKJrTAMWxrEHX5nRAh4wNjrrZbdPIr+mC35S+QSGHPkh4zzBSOORyKq8ZwrEgU0Hmo5NG6mn9uGDpI4vJPmcSqIXSk55uuEWdKPRvxQyrdL6XxZAcgo73BuYsjWbkiHrCLyMD1C/ueAEcsIs4AVOnmdLtdxyESZEjroRNci/YK+MOoZyPobSrz5K9gzAOPpCiUls843zkTljq+X2D7I9SPnkRE/V5oAH8daum/uRaYJkDn58GiiJoeMBTHDfwsvYJJ8KIBPJou42Tf8nLR5wktuIyXfiCOq+ZESsYO2vA8H+LzKK2Yam33l1jJoG+Em9ZKp3U54y//3Hb1muMMK5raGNX527Q3LxIs7FeahBHlLk8sa1bHV0sQMxDnOcCwQEGb9CWRFqR1vX25wZFtlaaiE1m7s9Z5xOFvxJItKxtg/rCPp90211lPhXZMTTgKLwpbA+Ajb2HwY+DwqVRBJZYFZDA7oo8oZKGDJSb4idJa7nPjwzyHF5CXYqYOwxyVW9a80CBnMcjucFsmm45YfsG218V3cghCWONBCl0Tl6nF/mBdxBDpbdIUdfA7U5yiAk32aTTGxM+7YCH1oYFncw2SeYPo1xI6maWMh8h/KXf9aHqokdiFyYYBYlukg7+BBxV0kFiNGxXbxBe2V9BlsAkKffiIwQdpbI6t11HuWLqvCqz6aU9cTS05r9o4cg316pRYky0Z6Isxt1FBj6saoPQlp9m0SZf21MuOHG7mqEPBuuBSJVfGugcooAUlJpy0VrLo/Tr7L6rOCLXPf5soym22AOQvQI9wAT3UWFS/5L8SkfCeHudq1cCq0NFDorJuKxvO543DW7jJwBtmArFhqjXRygJ2V4+zTRmGEZuQh4uXYt9e5enbSLX30XsixazL8r2n9OBt41HRWRtL0jh+Mml21eEeF7xnvFMbRXPZ4WtVhbtuVdwx07Wzwx0pMJuAQv2/v8H5/mImfQ3RjElkI2V0wl4qhlEI3XXjVfxitPj0Zzyjdc2G2pNXjPS5jQJ9H+uZC3CexDJfJ6H1+3d8UFwwPjNPwakujESiw12/9fB+zckQPvhkhJPly6ZK4R39Z5t8MlnXOxILWSBTftYXpWcrBOOcrpPzZ83MA9iXBTNbbT3fr539ac+AXjl9Ka4FdxlrzInNE2jmveNmkEReDMX2CRImUbl4hhWmNk2ipcxADcsOX/CtlKSqnOccpEMNhnTpSFdD1Qwq2aE8k1uIT7V9QcnPfc2Y6QAKRNOQaSdMlHpzh4OEFzjr5GN4ZFksq1pPdmkjq1IFYMmthbxCtrqSJkyZ8r5BbkVObyTghX8osz2GldzHqoXs58VT7GQgIXHIkTm/myMSGpRhjT6cVnLR75DoSDVtXbmwff5H9CIiOx2g7bQl2zjOslE2CI/iRNwJkms6gqbv30gPVndz9J/Bqdy8Xvt3KR+v0fdpfwhmcWaCQfiibzN0R9JfcOn91i3kNV3XIHwPWJkbMZxNi6Qi1KtrvmGWh/yJgDfgeOz/zkQtPJ1vcE9/zoiGqLLVwF1L+CSJZC16Tt8Hnh93T4tDirvhh6a8DO28gBVBJAjuAcWCewnuOwjqDBUyHlgQF2hyhel6ZFRtZZmmfe1UGh9RUFj+tuBaH1wqgMl+UHCNc0fV3nG3ciC5a1I49DKfCiOpKIkBnVVS8yBnGuKKa3KiSkDV8Fs/f7M65DokUGyEeA2engX270MX9Ih5BjitzpIBt39cBk0+DGNpdw8B+cd6drgl4EU3Xp5SlIo3SlkEqSAiENUvLfI96tiVxEv92i4TD0XmBQCG9i/E0oV9YxfYgKs+OTZmJSrNxS2fhWoyf7fUJxbSq+zgcfRdX5bN2uinjd0X9OM3XkTpWrzFEps58GyejCiOSGwhdy32qPOR8WDM5jkEbI1o00khSMmUVJQDzkBg1fwu474JGfgobGcP//2jMW5fyQWtFrS8f4G75KxU+c3tP12Og2BrBZyRb6bNkFoKUHlW7e/h3pxGJrh8rFTPEOTbIooUhC0p9/vhxyzKsscoVW9zHynaZjw6BHsjuSRTAP4ENm70UvyKJNkyaZXRiIFImfZBvrWegW7iEhF2r84Th9kekRFh5WEW8mkf2JWL1UU8K3OARKqTUGKZpuniogMiMXtW5T+ql19QdZj0DisnKC452GRs7cGKvGd+0YE3cEn2J12Tb8DlDEJmaOsUKhbaRCU17RfHkz+lpOo3WqV1Qw0zxdJRSGxmEX3gLj1qjrG2+VXe3y4Wb5qYJtebJwTu3hTX/NFHmoe0bVdyfN9E91wpzcARXs/Jzqvi4XWn3KXeeC7HaIuHR6+BBlLsB6G0kWY2FjmaRgesOeWca8Kj1/WhWHjAkS5XtScohAKGHMGj3ywt3Gcxx+orV1LsrYNi2iIvdlwfwMlen8H6qZRWyZkZF+god1cExR3JgVvbvCCwUG31Pi4OgYZs/tVajiFOAeex96WcTA++XOJKPsTakkwnf9BimIUZ7uuWYXjg7ECHt9PAKucYDFLaN8VFMAXxPtlthWxNZ1mXI1UkVYNUtNG26Xa3KONLpEcS3qKuOl4ukLXHrI/1IpdVfgvKbK2Jj2YcLdV/4KgbiMRH3DeJzr0pfXJZepnd5SfxbkFYjvw9qL6/34r7O3fv7ygsKNrfbNmONxMjwVXW9wroGnOYJLXriP8R0cp25oI55b+7VodmnSb/WpNF6h2r9dC/0S22Igc8hUy30siV5pji71k4KaJ0aQKFKCsUYo8oT+9H98O7x+9+5JxsAunBovxXo33CWxuIQ31EX55i0CFhmaY1keitxd6s+Z+GWC9K/m0ItTwPWKGkMv3cLKg2zVexR0jxwGeiyDeoi6oFx69axaXuFPc9SAT/fS4qtm2MBFWembbv4OD7nAnPMOpBCW2q7k+N+GoJkp8XI1ARquzosJ6QT/EGFQkOjnNCDb19CxizQPMO5dUQvWWiKR1hRVpzhxYmu7P2tx/SYF/p86BZiCfRobgtf6Yrbpzc8SRkXBc9Zq9eVYFh+oogin8fZ3SyQj2vutePrVfKMBI7v4vexswA2uoxiOc9lcmqArYQY1411nFckyi4Q+R1gQFSc4K2nhdcglNn5WpV7I5IBP7ll8rmZHfksxI0Psd2vl4BASjKwU4wXxMaSfh0D4K7gklwWHJBv2tSCjlCNFQJEnnR1RUyh3eqaKa+7JEOM7dBwwzhmyrB4XR5kNJvUR20nKxHes6ls3CI08wIf8gqZY/YxuAUePcILHmpFLYQZ3N4rNXJvFrGMbKS8ny9a4WjcGLed01bOtY2Rk6CCdgmQzZSM9zsNlBKYdHxyBdUf0Ff/737Lkz5HqFvTnNEUr0bcEyaNlaBwhWI+MstNhgyNMLs73fGZD9BmkI2NdTRe9FXfFvsIQl5FBCCOW5InXxX/HYEjgF05VjVT081krzjA6p8zycErUKeqECwFiUMARVP+zdC/DU37EuGvjJetHqX0y45zoh7NtsexENfA/0aslXNxuUi8BsbMwrQJHFqyu0PAXOy8CaUrJbnoj6iRMUrSn4JeM0t+HMcKJ1hQ0BNXj+4O4fYWApaagLv5xA+ZKty73UxFOmj65/BvARO09ojTjDBScCSB2JcF48GDV0h4ldjQL6ik6WdLWvcFDn/Ck08MyaZXET64mKDKxwxJ1XThVsT90hwGgpq+QSoEyS8lp2Ze2Ek/M2XiRWtkgvNfz5XnbEZlpwAzS1nKjtwbc6DyQ/7qQRqSofKrIYmmdxuwKtgbkW4TfOIHXRwSTpyaQJEC+LTyGQMZnliQVhMaZGsqxyK1yYouOFHGwVuPEe+vM16wnSZpmPceep/rtzmtuYz+3nwpClhghRO15f26FLodNEAt46d/ejN7d7N5xpi8S5IjdLSnxOoGjLNUxC9IN0I9BeS96FvWE0XWnOdgCLmzkRPLvq1IgUxiMn9hbJlZia1vRKPzLOtqxIa3qbnQyreJ5po/KiKgnmp6YLMMClx0EstuWqlpy/Fyc4McwnlvoVTBE6VvEs3N2vmqX8tHZPcoVYMcGUpMQH3FQR8l/bGDcAb5CQF51LDVSmzSehAAspB6PVhd/xj2RYpo9i49Iz1nILGIJsXi8dHGTWh7sXwypQdhwwm/7vFVoZTAPKMROMHQmdpD4hGpk2dGJcctJzSHKjZgA6P/AasPuDnU2+OeSFjZKDLGAEQLEhmSYdtl/KiBy/VP+93x/ta1lZjlcK/88eeGs1h6EI6FHTxqoREiuAXw0/13XjA5x8YXpcyFBqhnsCMj4MIzuzv5txt0DMISBChGzdoGERQjj3IcoG/kyr8HlBRPffPzjznCa9aBc2KnVMIAWtPzFMlz2RzqfFKwxH74ElGcq+5Y26zz3Tj92l7DrsL4fefgq1JBaGwj7Y1QX+Ggnmb12SZTplCI4NPx9DZprcqs/Yh+Ml0BuHXjTEywsb0MkQnDnHE/FxkG+EEzORBimEjyrnOoGfNHyrh3zhK7WsMP+qWyWKYBhbbemPoca5wX7Agc+Ac8gB69+zTNBfajPEIMqMUsLdrGB56JwcDXk40YktRpFWphuYI01twXHl4RODdKLVdOTx2FNyVASpJcJwVcChM+VkJBuwPFRpB/TQqJfSkAcOg7ZYVebD1gN07y/8MBLTY4rcg81S73dqUgc5h/PscBFgcxITLd0hJ5vH/RTNttd7XsCF+kKEnGmCwrdM2CmqKhd7gS2h2PzGIbVrPeP6DU0z3x6iyTmaZNTwYwBAh/h8+Mm4FeL3iKMNtJpMYNKyAhCdfnjvSXG5689mYBDaAsvWPi7cx+lMBoodn+yvMBoYOBSFCyr0xZZuckQj9ZZLSYTJ6yJGbwQgdv4Ph97MsbPJb6Ks3FgfGMLr+JNIGFNqX/OG8jvhLFU2VYSZYNPFFlH5tPRDGRUkk1UMYoJMywab/sRC0XnghbhJEnR2+H3rGPLtvQlNL0BBbKmqsrMZf4ybGSAj+0ljwioeQy6x5ynI7aZ1p4kKshmhMSqqf/L04T+rQWIZ5NBxkX8HL54jzxLxMZENWJFMZMfegO469RyRO0k+2VYjWQcKkvXEgSYO5DEuMnN06Tmokhb7LHe1h/VfpZk+Vd9yUFL24weghdroNxspCIkdfvdGgoEwaFH5I2Ki6SgemSAU7QauJTFKtiqI00pV1g3HqggDgXTLAgAHWSYSnSVHvMEifSXgkNkCghFRzmQYKMeNoov/Tcm/cUHNYaz77DGXh/hSRQnO7jEs+pVP256TAaw6H9Je2rIRT5RIVdKHxNgBthMZt1SUxDbvg5ENMQ+ta1JvyL/onj62o/soczw40aqploui8NIKldTrcQUYGvDdGSxMkwa9sXdw63IGM0hdkon+rXEnKkonj6Sc+5hYRXQCGxSU0BAcn7VjE3bCMNL62bfhGJZIAsiFzRRdRtT+clIyofN1p7SHalNAW4rydvTFyUx9BxowETEW1Plk5mXe6XJ8BilfSPEIyGVyJaRCsBIG/Gojg27RHTGxRg7gwx7nLwe8zYTnZ3ScMkqREQhFhKZueRIJxZuLlaqMDKNHfYuniEE5X2LykJcxJ+RbmpydQwbqKjLDL3nC0osII6GNl+CWur/heU9txTpqS899TlJiuYmIZKUjz1jE25JV3poVWPWJNxvYX/emk7jMRpiW0zKg6xBjKORadgv4T2OkYWorkK5l4ndn7QtRRUbArQusZyzXLDQ0JgFu2K4QiNmg/F3JHk69dlyFCfNFjRZd6tiX8qtsEamvXFwg4cIULeBUCImovbGo+P4bAfDvEAmLh92iwom+2LUO/C2sYTLjOlaeL+/BSWJ6Vo9X+2PLbRTcOVKANjXM6k7d0mp9UEHjD62o5UH17DK2SWd8eVyNtDzEL05IkONgJJ6sTkk/83ynOWQDXaKhhKdl0H3MUB6xaP4fN36yckW+1ki6IBVspV6Ci/x/FnXtgD7VV+KeEgMeNOC0xLX2mWObVcraESNgkSZUrVjMZOHXr+qNtCCyySklRqbfg1WnW7PyI1lXX7W+RxrhsVopIHujXcX7ZnTC8wpG0iLjvwZyRLnpJvr1Touxh4mZ6t5oJeL2wBjjOCUs8ZiHHh5K/2TWqjMsFZJwVNVR399Gb4cGO7kpi+8ThSeMaCQ8zkSLC7bkDTHaT+ADnsl4S02yyLgJzkzKoooGRS3RtiJvJwlnJMk48JzekmekbMpa2gBcuSH/ukM38DnEIPCITWFpcDyWYXHtE/IJPDTq5Dhwc2sPfVyrCRqqE370Lttwr/KbGcPeiasvS7JWSpLP36tMOnga/HhHMQoPHLBf/sR+NpXyGraTf5Bms/GRhmlwBpvnCargntAxco8fK2ywujTs+iJg3HfB7RsNaM0G+8VZx6W2IJZ2gfPgZ9fysPwfCa3Y0p7fY4hoA4iCedkdJw1el5OUowKPufI0IN4lhjDJ1gEP0Rbu8rm4jBi2YN6ayROdiZm8bBxuOGFaKy1p7IO87HJ5OheFpqBlnzSS7BVMiDTb/BgOWUfk4VWYwF3L3lNC/G+P+nouBDrKn0C3NAqPMvFYmkxFS56eBUY5682vQXsu/Xy3eUVquUsf918KFwHwaW3z+U5DJzqNSG21HJSN9ZhXZxoLMlK723ZpwMpEUz3NancVJfrcEzAJwoMTICwTi1Ep1QBksr9tIlm5VHzkQ9LYcxj418wjmiRnoIxREw3Ku9Fv1xTy7hD9PjPrbgzh0GKydKZztlAuTQiyDDF1lZAzbvYwOogy8DdUPuhk9RbRIprMyQ4MhPcPlqx8EDWrovUv/0cMJzqqWTJ353hF30cXMobhk89jmfm15zEH/3X11Y7IjANOCATwgmCBfhEkhV+kQmoHSdxOUCcBp3sWSrcFIwHQVBWIHgvfXXSq5tVn8EUv518rHNJWRW6WVrzHA+PzErKb8HQXYKk04dMa0aMCEASjkoQk42aLHI7fNkwIfkeHVy/Yxmc2T5ktSmbFSj2hfCcWZMD59uTX1I0O0L8ItjH4i6hrtqYNXO+bnwfMAM+4fiYT98JdEDuNOtDZD3IqsdEkRuH9ArZjAm4Dap+X8vli+fHjNz+4wI1RVvDWUhcmxWLB5wxPwRw7qwZMKmeJdTaHPl8AxCQYVpkkqXN3wTVny4Ms0SCmTYuNne7iPttrRCZ6/oE3V6HIM2Aw/7sbNgoKJ+gney0mhBwBze9vABsQiOyZqLiLoKIu9vzTwpY5CbiEaVvY03giJQeNEEnXX8X4zcWwm0k0GtCaD7PZVeccOIsS4LN8wTHvX+LJVWwox4Yo8U7ONKf9WB69lqlqL0IsisKZty2OyfzDPgEhJdN+oef8We0blc+l+0ff+iUKsuENGFHCP3vLIzXOX00v+4xjL1WLQ36gDDMDhS5ReS4pL3cJrDCVDoHju1LBl0ZtQTmYCxDJXchdQ+OrVxvNPINhQNO9oGC84XtQX0kmyaIvWmdU3NpX2PGJ9cxY88tLP2TNSWf9qc1yRJw4rxQwF3mZnrDqE+IsHmmDOo1Vwxb8JMxiHkjPZykdrR2ckPtdL106TysC6FeyyCibrL2A8WRtUnC1UbuyO7LxTWob43yDfOHtK2ktiA0TCMvU3xScZMQT38+F8N44dFXMoybdDcENoN2DZ5Vu22XvnMhAfCugscDHizff0pVyv+tUmJGf6oaJd5JyQcPitEHGeYBprgxJ1Rmd2PzOxXAhhToU7OsU8y756UQ5SfAAJ1PwBaTSJPeMd3ZbwCm+EM+9NxYH2wkBCnbUOUTaPwuivNwQZ2yYehLYbYPmE4s0ZjWLzBmgHNfQ28nA+Ko2QCC8iNdArzm6NWA3GAf6x2xBRyKrI+yfJTVeKWIkeUuaYK1yy9oc326SAUM4L+Fr8Y+KUV3VQTM8IL6QXIcsLHxucvIoBjxpbQZjkUBDisAre78Z4zdD0bzk4JrTmYnG2FPCRnQ/q/wuPOav3OUjc9i/PxtI0zJtxsc4awiKCw32SN7yOX+i7GpQduKqAyVVrF8qcpwDtM0n/KDOSaGUekdRs9oG3037gVSmpuV9ng6j4mXEtPIC9vUSOUvYM0JZUdbV/6xW9kqC2QW4ZIuADLXsqhelCNMHhSWe5TvqNzEfyNlAQYHJOz/Mh74ZgF3cP/FoiqKV6Ub/JBoijDiq+E0QIpy331MAcFpl0atSr96N/y+SH97t/IMIvC2kvQ/alAc1lK34G81DgHSd0RxKfPp/L4T8qiPgaWDrAMI9NKUu1oY+9qwYpBT/awi+e0QQK0rcNKG2lb7KvwnEGe1TdZGvIZOMYOBIC5Xy1E5JREzHwxIve+4XaawhR8jOSU5tyndBfjviq3WlEaboUQ7Ipfltejcz6xKH4wZegS+jmTQ1XaIUmKAi5TIa+oXCx9BlONQa0ck6q1BUnjpbAVCoE561b1rdvpJP2KJ09bF2PVfgoRwr8BjMdqNMKENMTVVsMciRz6INYRD2lx3z3hG5LBHUnoFpMLPk2hBzJDu0vL65wUBEEmTtb1y6DAlwJqaLwGK8tdmPgwjWo4nymresPH42/69+fAqmkusLfmixC/oaFXH2tGWNJr0GR0/g8RLpU2sX3lCBgKKpUK0N+IRAhc+z9ipX41kb1NTztm6JBzmDyylAgDT8R8HTRMTpu/vnXg1h01wpLEjAi4xPdc2LfF/4U0WfRJUh4y4Iu4DRlXbg3p29ZsRozFoYGrfqmp/nJ2BZomiZfpPgOELLOLivRkPWgpsrjRiYUOHgKxXK6FTz9JvA8IaPKHaq1saTK2UPyO0RilkGP+jGfu+KbQAMfC2WEG1cU1Z62+cBd3VtZTa2PvsgFlBJBKGBkT1aelh1Y126Caxm5lt76MUaK4icC2VMcG1YDYoLPdCaZ0in5KM1hHaCW+qDFiy3WExXFQwVFjfriN4sI0IxAW9mgFhQC76RB6olLpTMrc9dCFjDUnpNC1Id1loM7hWAsmAJPw8yr5AQy2RVexzjjGXqATP3B9KGhQ6NwWFGMrQxGlazmOSP0P/+XRT3e975olJg7wqqRVFA4sNfujcgFI6spkTgWnGZmJzLDMI3KlPA5BNVuoIUIw0uVmiS9FPAR0xmrGHfnGAPLgag/rhAZ2AX2N6dmDQisdkqwnLtVX5BzAdoHxtVQbt1sC8tCpA3sqKaNaq1h0PIWEHfrPWNyHPDjgMWk3IBn8aT5GVDF8yLXR1my7/gAYTSQ/YJSmVxo2deGZSxLHb3o+0ntANhf96uvNYLngukCVBTFr2xfOHWBAhTzr5VP9EFifYXgti1K1QkfsQMZXp6LY4cMt7xNq6qFBuVrm1sml7g+KEeBxT6dFNushoRBbVL0l/DR4NhDxc00YmqqNY1Owmfsbyf3fRfhknt0YiqVRVR0KMjO0u7iAHY/Yg03NGCrniY3OCCKTdzEXNsyf9gFjUwvGblTRjRL+e4IM3HawT4sHo7NkiZmehxNRk/yLpJUkyh5nC3jitVufJyw/qEnGqUjwrVs+mBFM7C0CnkjWCmngfvRGdjjbktLi6EpYT18aeo1aDhRKpeqyN4A1Xs6lJorCD5zBjR2vqXLHF5KdGwh/HHYje9wwDMGoYvNVioJikqIGnRy5kEfPMtTuWoY37sKnyQS3kcXuuVspyEccslSdfublY19s7sq7GaVATsNs0BkUcpAmCjA4LAeuKgznHNe1groI1NzLRmDBEH0MCOWfl1vhDSvdcMM4TwDDHiY8ZAPS83qMgtA8F1vUu+C1xXp80zuqlvbS88QsfGjO/bfn+hy7XV37CstQapDm9eFbDIhfpW0YdVU1WafqBZQQXZbCQ+wZ5kJUOxN2T0gnXInvyNg+1wJoXUTEdRISHX+s4OeWtNCCXVQfb5U5tI2J/7zOFe5YeReefGghB1QDgd1YCXecGxAxGFrxDDnIhrKlsryYl3yj4a7lFY4dm8Nc8IZve0dZoLM+SXuy3g9w99xkXChMuWiWEQ8nWgBoceLRIMQhTIuDbBmIommPUe3/jnnb5I3MD3urE5q87/DktS+EbCUg3uG6Xrf+pfGXJG6rsSsglyp5H2zGhk8di9qIpijDAhJ13hExvfQgQVesEB4J+u0X1Q0T8acDcjzxUGWbUNWNmUnGhCFZwQvQES4a/Oyw02qI5cpF6u2uouSv5uyPdRLtbeE5CK8LPbqPkOHanijA2SbeBuwNSTl57ioY5BGDWQx7ydyD3GU1wgAMXDdopTWSjNnEd2WpIK30du2fOvUlRuhvRdctbJ/Y4vMYITDebhtT2GkZDKlhcm0UsSfswe15r6KgqCRib4pRPzdpGM4IkxYabjhRzMIoZxTVG0esJxli+CSSjFKIoFfhmnL0cXdBY5wMDZlItEh9rV/rTUsY8nSPG3h+EiJzPnb+NQsAq24rttRZbMbTWhG07kLjFyQoqHhHZLnJljw4Elrx2dfWqbWWxZg22hpY9NVRu0By5FgCRg+Cz64SaHt/CRwp5IhhKKR8tI4DKfmUGuCxOZzR3LAQ29Ktcylx2KI25uGvnZz7NYDaimyO6sJkIxOA8yQHP7v1chiK9X9m72bJv04eDl8pVrHaMeR+tc+Jp5JRe9t8NUrpaRlRT8KZnf1TdkNyjRfsHYI+SkHkrtxpt80wkg20xj1qWEKyx3kEcBRV7yFWIzLuP8Kj/td727z60+U7nX3DxCBJEyrPLigkBHfC1f+CxaHniGxVfmTf4/kUgYYy/EWVUSO6J5UpYE5Z04KfwJ/M5iqUtNVJEmR3K+n1c3I3GI1H53BAhSSaCuUZ4kMZwTJp2LhVBgmbBs5qUQsn1ERuhBVZBR0opz+JgvIkzRqGG8uu8kfLAIpuuK2s/3ubDogCzbY2QjBE6ru4ZKkNu/kjpWjMCTwcNzQP1fSJPMYT/mLkEkY+9BiLRxDFbSO/iSVHObPyCKpJI8B2n2/uQyuegUQhFqEttiXDoDaxtyoil/jN9+EDjc1dgE3MlWb/eZQEIqSYFCnj8OPm2DfYX75Wqigg7QS94VBvhglV9YMT2QQ+RpWUHovDn0ixZXaUqkCKFNvOX7+NyCt8J0UF/0VqScJo7QgNM6HE6klj/BKdkYkoa0IOzK+A4HTrYgpbOgogRiUOyvaVbOCAXZ3l/5WqAYohFIslVziu13JS7VrZFr5njLsRRIsvK4Eh3Oa2Okbh3M6HA+B7L/t0C1vxeiKhFn/+HiFRkWHzVEqi1LnbH+I15LFzB9c5ad03TLaMGQEbDPDRtquu8C9E4XFzwGnCJjepDMo9i8h1DxHpHODeN5ZWSECqQMFsYreMajjHdenrAF2HCm4ri3TBfKV/1Q0izKUUE66j/7vsZrn6y0suOkMC9DfO7VMVh/IcMYS4sntOcyYezdyCW8X16aM9Yy4RoDsdYoFHqgwMKLSRM+NkYXCJ/FM7TRgjFYPTDRLYoYMMixB/D6Lb19tL+KLWjI1eElV9wf5gbwzhWBUX31PvxwWoGHCUIz41sCsA0ZxQN0HjjAX9R1r34P9ikGKoIHK+YAZfQDCO84sX97acamXgACg5MyJGZhZ9/6mkutsrBIMaVpACzdicCx3lIHTeYVBa2VUZSzZG8n8qzL35zMyGuNaL9HYpBsvy+UxG/iRJWGbep0+AkJ8wcFMoI4YX4gsCmPgkozcTb1yHhROpEZ9K/pSq/7YjBpmIoiqklZC0jh4A+6GgSTQR/5FxXTyqGqs5tNfEjWNw1SKd54yxiyxtE5IaTAChXvtHrjNPnAOCEKsNYwY5Jr9VTPpCyJbcDoh0ClT7ERFs0oEB+P40tVSZvfd/Gy5Dit6CuAOZLzvzV0f2bLDVHd1eKAdKCHFmFmBzSpMjEQvtrCEtN1BIQcYRQ8O4IyKfCjZpHj9OBzGAtM2ZDj65OMmMoFUBuF1uPGvIZGlppzGut4EQOvh531cqmeZOxEZBG0kWb9bHZ5Zwb5Q2ozeo30IUlpb571QIp5HIFCFtRTJDTy1NQiuJhIConw8mYZVF8nKavrAksVkfoGe6ujYUrKYo0f5sFFsrwvxyY1FokfSY59iYlLGhBc2Y01AzvfgqGE2NJXupP7oRV00u4SYMTmTNa9k360l1TEJrfos3tVbcKMeAAN0qlqOt7+NkJuZVFwlb6GFiLsScGqYcnuJQXNfxI4IETW1aB2UCyhwg5fm1fCX1Cr7kIiANG0WM11lgkQUcFL1EKRQPE6eZEmXLPPj5CmG5baNr/6RQRrVQ9hszxmMIzNaso6Iw7eU3wHhZST6Nr+3D3DjjUW681lJJ5Z5Bn9tG5Im3AqLznEjTT4G1YjZG4oUs5JTX93TiD/SI87tfVT88ElIaWDiloDBq34to5aCBIcUqQb8hHj9SKSPziKODFBeFx9QIsKosj/SAq9/fL0OQAS0qSFuIAkDK3WiBL8X1Q3azYz3qUtzKFTFeA1AAhXgfITbeuCeQa+ZdjktDuaS6i1291XL/3b314DYw7Y+EDDwlAH0WO2sD+UI1inwIVqQvhTQ4GtnrnyIEM/fWupGD47MGqoNUh2IprgbDnrZtuVW9we/lt2AXxjXrun89C0oI4VyY3iOgMSOxo+9wKRESyQKOQIj5BzJ1EmiRwr7w8ZvgFvtaeYaTEpq5mhaSQxTt1X8FHo8gBdAHtIIzJou2Cc5eQnhOulrJo/R9jH5VC9ogyZ7glGyBqYENeAAj2H3VjtIihSojLsLQzJtDbLhDRRqJgRGAOtK43qAfdrHvQg4/gOnDxMsC15yB+oP+ufX14zV3DKnlq29O2QimNrtlroNojn1C//J+P4hd1xAIF9G1pkNr1qp2Z+kriSMAHiN3aA8cuQF6kL1gRyWCw/BX4IDFN5bM/5K4gQdMeMmo4wnUfGxRLq+VgiCgVLGQ7Yl+SwlQJxW5OCP9Uysp0e/XOgQvhG2oDUBvyt/wgmNOJoevzPz3+rOnlOuD/WG1b4S24XCofwSjzps3yRgPknyvzQs6PW8Fi96YR23WQ6/PAXu+6Zyx7ca+DiBCPf0714+IMxVncavTgnqMlZ95QxA8GPrcmcZZyY7fl2umAabWltvUlUmRmTRmZAPCmMUi4Lpeg5Kp5rRgdZfCiS968Crgxtimw3G2XpTx0zSVzOqdaV1NDdCTgJZIR4DtpN52TznuQvzO7rULJ8JC9ITLvhmGFprWvItxIsO1ab9PEChsT29PFsnc1ObW8ErpLxA7vAx/812QTf3gIynDahOZqyAnOOUpUOopw3S9iWjq2SG/jLWfwyukOsdG8Xz3AhTEdZsaDzFKWbd3qgzECgUhp4zhhsmiA3RHeLYHXfBVG/SjSdQllN2o9G4ZNsf0EBrrxQFZyo3OufZtZs3Ix51CSsjEV9fDqFmoZ8UixhLy1aMx9HD7ARmuZBO8vw2rw+ZA5WH9HuCcfGgb9QrlsibgJP5hlkisVxK6bEJEthb/RUtOzy+lb9l4VdQitE6IU+eL8cWStRk5KCwE0O8XAzk+nLiJw9ps5OfZ+S/52itPUdyJoLhgdov4je4HDNFxFGsgK5rBk7NeRrVDVe8o1GmxIQL+tw/mpzMqVThZDLstKzFBY3tLwIaXKu8B0yJ18ydIXNB3RbzzygySXouHyJkw1JqVd6/KwrX7Yr0ujrThNzT8oZ49tADphERa0vOdo+CH+XGTA9R7xgPUUhNV0hMdie9EK3mhPldnpIRiL1SzY5A+ty+V0JrKPjzGzC8lejXqip5EWYjiIT8jKb/sQUOhE5o8Q5Ql5l20DSHBtupgri1RDSudgpwAgSWcDY58bDh4n1v21bvWqulGupgttOieomScRrvOuWLehDBwUV61cxyD0EXWjs5KGeFKvkpIQUg0KY9z3V8AZVA9ajwu1FhNVJKf9IQWrrTSwD8iPeWxRb0ExN8h0XiB2HN+DNEzHgGn9PMdBN3MYyLHlmDKkwVdqw0aPMrOTFliORSy3Uh4FNG4QJthySIdLZgk+arAl4RYeJhelvwAelg8DNHNdn5TKh7MrUDFVMphaCUeG7b98U8uSSN3ZvWcoMGA3xP5UtngfsCSBXi67ouQKMcG4+wQjdFQLy/2W2F+N4WeGaCSkGRDwGBrG0ywh2KYihOw/Mnaa/uBqs2XsDf5XLqfvWwIlbOlvVgC5hi0OwW2t3Av4SlJm0vApGtB7A0U621RDbgV8MnYstV4Kx9k2LHOQpnBrHfEoRDo7D1uaMOtKFGVNCj1LmMXrbU99QwTYytFVvSOUVv7y10junaKDU2dTjC9s4pgVp1K/R11KNic4jSySYzNNmRFiwGCdgigK9aZ57iy6BUMRdLQufUcrb4LL34477PF+cZi6sdPnH48ORCb4L2l3NjLm/yWHoq7jhVAU3NAdIOeRC9Cw9pGgrGkrJ+pMOcH9g+A6I/TQg7Obxyatj/arjCVcfjvP9CvCBoMUljo2AwwBiocqQ+51eSfSsswEN/kZlC+5EunJXj8RFD57WhPG3L8rH5Z1kCBHKiXvjhhxasPdpyiZqVb26lYoS6NFyIr2FY0xFekOKBg4RyCxwZonPJt6TRFF9cZfP5XWUTvSSTDjYxunlP6BEWao6e31nYx04yMFRCEIqd0w5b6ZsxcfMO9GMPGI1LcfdTznwUSwK87wGxzHhp1tgyA6JjONxqmclFrks1zDMLi9241IQ0GYBCoKCoIUiCs5NrZyEa3bOnB+NC6G4+ToUuA3DmQsm71PuMvIzDv2Q4mdjqSaC8VEsAT0LRDcAhe7yHxvQHDoebEY2NgvQma+xPCWb5JgVr8EFXM91n/5l79x80Ilx6bpSAhfchYmdXahYdkNgqPysdCcYWLTcBu/y+ud8RP5YZurC4KeG0Yulk9QNHeofUwnUmI0kTE0ToqENfyFaZMGryLg6neIxFw761rIb8U/pg6cC9+U9l+DdIbiGtLf2zw2fgu0IzQCxnd5SJOX3ZyBLp8T+SnWD++EDEYKPHNcZfJCq6wgiQyLd5V4dN121LLXQDSIrExKi3yZ75OUUSK3vW11hiMaJ1MkxxXi7avSA8Tj6TZCL57hKoN5HgAJMI6n8OEohNkqe73dBZ/ioRlxqWS1jnvLcIB9tT8wOVYbcas/RRfCrtDdt21HQ7a/NhsCcbF1vQhJB0c+vZhInSP4pld7OkzAICLDA3q3KBEtkP5qBAYmUNTnjhZkoBdCPxJDVHsLDT7ufVOaNUpsJbkqcVa0y6iyt24JycERI5Hlv8R2LEMNytpS4HjQd6dmI6aZEkmhSuYKTqOjcEAhWY+BGtpOR6gV66R0sK5yF7zoW3JYxJUKToDX63GX9AQUFDxfSDCq0b2V5gB0vjZe1wA0BJJn4kJqXFzPCYPAugKO2phD6d4U7foy3UrfGJwcRJP7O9yk4sK9SubInBZ/UZE0zTdQpqvGaxrRZ9lNSp8FmU6eQ8Y2gs3l7+YIzkXX3/MnEaW2irvlHEZrmShhTMF3Mi161KYU+7zzogRyAJj2eZXGtUj6S5W/HPgrLdMUZWmo1NwwNEAKp62szcS8kLwLgcXsBj475yD+wjf4MS2eYkzqg3QJX5DpF79mkuOg2k1Z07zDFwlimwCerHzBHCUgUB7dQkvTNwhwrTjpmUF8zHGO1Nfm8+X9Os8a4Mho0vaJgRkWRggN3cSMFM2Xk1m5IFJThrAbxJubnhlpsSHSvWmTLJ02saVitGY20+IA7ZG1DlIBQp/dfs0J6dGNX0tVLtIZHQnrqTMUwmUfB6SyRXvbUQzHwHZggMDHTckUyJnDPqt6zMJdUtxXEbl5d6Hgk0egovkF6LG65410AmYiA51EiWZ4L7O6Lr+fBVK2yDJZjWXeuuFM8sNa5NY6Qvvfj8h34L9RhpANI/sZV0L+sfVp+C+yWUFyIpn/YBmVBJkovMMw9EEiPTGxQyBXVCpnFV40KclO9hsBMXdb524UXON6jiKkraSxtaq3+FK++9T2byw4FSVe1umTQQ7rMSKHflgSPEa01UDfEGI0AfdP7g5mKtNkQK2RLE75mU23X9sPRPj2eQ406N9I73HBnJd5Dl6hLzoIPOggk4OwMbZKUTs8t9oqhgHeBUdgyXtEkzp5zbOP7Efhoy7jwK/6WpTBg4ny+i+sk4aDncAj7LAsLN3SUa0NKiiKRum9NDDxgHp1DQYt0TvJ2JeU4Mkteq0bGBSBCb/RRJTHKqMCwElWLffO2zbcrn2nPFM5u/BxDY2vWoW/FvTxTueEC2i4kE/HuSZCCtGh0IOeWF19++z5tbYJWBgg7CaEmWL972S5QKKCFm9A2K9Xns0Qr2svtNlLEnrnKTTkAJ8xOti8xvv4gfuroVH5U71mLakw9Ffu1UKTpl3ihWVweIw/1ncxB6CZLu5J09mVcDBT5YpsMVKALnp2TlMkLa1k9VOxR0gE5b80og1XjJoOaZElOgPNpfTxi+bb0ZSvGg1EvuSkJ8Df8gOAkL9qA1LH98fNrFIntyfgd7pC3qsoCLTfVs7gAaK+YLa2wN2i83AF8ZXIBsUQb4grXy5uVJjqa1cGU4hzy6PJ/a0+4UFb0/ubHfvlHc/amC6jyS/QCc0PbvsoQcCqV9NVy7wc72dG1YPiG/1P9XiK5JJ9sJLzyfzZRoztyhePxZfLGVGXjh+k8i4rgMsOMw+K0gWN5CxXCDXn48nhx+ve4LYrkTBDPouiNZCiuObxfKCmRLpkj1RDKSpiEkw1fNttFvkdLQ7ym/Vq6eEC/c+IEgzP55GvsaGUK7gIx2aiWtfNGtwxGQj+I3P0x2Om68RrqiIlKwx0twF0kE3Q40shqMnvlWU0nXaP4vo4JXeoF50hHsfu1hO2Aaib8r/hxnPxIOcPjqsjw0ILOJdfKg499/DYnvPqBEW8scydIBIY0T2IGSWBhMXaCvbC0mvd/H1OAHT5XVIVSsVvdhDaxEn9YStWQiG52zkB/clysDUfJqRLJfxh9BMHSKaPTg0kRc1x1trbq0S0lfJ1q/jFiMwhKyCHJgN+9SEELYpN6+OsJ2f1uA6TCieFI7MtM54Fl6LGlkqCfi7Vh3AMnXKHUFS+RSXyiiwRR7A3qULZ6Tu5IACRBEgKMz1+gwKxTIqZs2o+yzCwjPQfeHWRshVYFXUbj+WH8IzBH93UErNUYy4y1GXij3VUhmX1RdIydMlj5GDDhMFuCCHqb/YC7sMnyP4TsdrJonl5f1vYuE0OiupJrkPhey2ktfj09g2phHpsY77EdpPtb/qXp5FsqzfjRy6TjbC5Th5xXqVTQyoLOuq9YNdCV4/eHbapCRUHtnx6wu2mNw8PutqcHdH62RH1pN1zRJ6uFIxRsTNLA8Enf4fI43XcCLlM2v8sAj0sXjoKn0rJ6+rKUL69iPtcrJ2kebIKqp47rtVrjcIfV70idL5wGPSYAWg0SWR7kxbc/pO/0BwzgEoRTHd+4DPowFQRCyeDZpNWUQ9euxQ7lr3gLzoYjLfuGYYM6vqZ2HPE24TjmTEL3bv/BQTiLn6QeDlsqzoDXmuut3Z+CCSGg5qdbDjTMwqNRypmWojylyxePRE0DtyIJ5RCeGu4cxpHPaNPwMBzYhoqf9JlKnGhn7f+5mCTn/9h6ebmM/LNbJtBgzs3tr/DvpoJqQbw9YNlahLT2eNlu+POsTijm6xDKfHsKkQXWMt/XjUzEENB2FmK0zHYug+q4gvlYx34t/Kd4pv6h/Xq5ywCobrMJVPvYyHqTbU8sU7eWI81fZTrn4SIldSrdmreHYjnIqHRsSu0ywaEsl3rK71LOMPqjrHm3xR/Aj8O3mFy/ORIfWSygzDw0MWA/kw+4F54/dmwUWfyTo3JdbtMUeDsVx4eH8GoEiFaNhBozfeduo/XBOSEdc3kxj57Ufm/sEQz/WCodKfOBl4i+4ubcRAdimoxoF6zKFGbRVN1CoxqA8WkLO0R3hnY21OVWD94V2hZ/B+OXVUz6XqndBxd9xVJTF8WcNaiKuUYASrLd+3OR5V6oSOyRDLF5uloCQN8umVGkbtGxh1t4/XEgM8U7E1M2PyQDRrm+MbKlzAFeI7Uos4MeZdIQtmRqROJYgXHeU3Xd8vZN5pkluQMus8EaRGBngOv5onmp1TTz2I5oU4KGuYnzhIHP+x269HD008A7xeP0Snm4FgyS/lQn3HnAw7aPgPnmecjswTtvuBMZf2MxTmimlqjW2u27ZddYbfWIWkqsGInumWqfDGtJRS6x8jZB/OXB7U+64teEJCH9Gm+UHKSwQJ93TKod8mmZ0+wwAfDZ4Bp5Yu1HRqSBibAzl6C9EPdHc+Ygd93CADcyU0Dt0frsHpmmB6bDr7UTzUoSlOIChhFFodCHjIBe6g5kKYolXSpn2EnAXqUVXxLMgEBNesY4NCyUI3e0BZeuMeBLMqNCwWndm25ctpQSyZIfuPI9ulFOi/417lJID95/Py4kGVcXVVh7bGS8zGAYWoDX49Y7OHQ2Mdloe2rfvvPccnuSJGP3TgxvKZgOBtlXiHnSeB3RVNFJZWhNYXAGgPWiSzP4bV7Wmi4+0OwdCDZW9Sij06FpkaRdeWEF3tLTwWMSDD+cW4Hk0niAsaNm3vP3FE4+zIO/ZNMvyl9er1Kx/2su2pg0u5PpQLFnn4AunpoVihdZsGiOsOK6VsqmA2Q6HoL1+TdkIRpt86APbBKpHK/qAFbrF2ETBCnh2FkdBWqgEwcpO6whw4hHXrKwrOKK7IlNEfbiK2riwvwpF5KfrIdP0Qsu0x2MbmF0PgI2bDxGExay5nWipVB+LoXsbTptFAn3Gj+bmgtux3RrLcgGIjI4Hyb/QbwV5SrL15inUK2MpNMORlYnKWJ+wfhvIGocnOL6FrTpOtoUNGPN/3ddIHLeIXhn2zmgjPaUnOTJS9wQs66+q0ylddhQr7no3lgnZmjgYSyTSflI/zb0pnSAsNWLMpEi8ABa8PRZAZzay4azzrNx9i1WQQJFZnVGLg/iigBCbQGP5jfq/Az8JUawb+NmkSb7hPefGPF5/zg2U8WfnO7wJChG7tVVBpoQbclzqqwwcAFLD/65Ws9BtBzBV8V/Q33nUHbzrffPwrD0eBIgn137DVFW1bobnVajukvm1/jk19JsVXkS+AVSJe5lArfLroYJofYV56FF8weOieE+WjA6Oqfektr0ARAJrjJguu+jgpdXFgCWKxuyRitEFuiTDSteXJPbZ7ZSV0SNcxxpWp+i5GhiqwiCl2RCmgw/BqmMd/LSVzUPz/vFzegIf2hISsP1C7FtDvk5U0nGKKi2GtUtHpBI4vhJrSzJh04/cjhMxSj43aTB5AR7mpkSVpihzjTMkxK/f9F9uz6Bx4gYIbSt1I2e+MMpA01X4Zbvc2d7BBuUhPDwSuO5HjdzXK5Lca9Pv+yDTza3B/uYQrcJEOWkzoW/JOuT48qzGrtfKGSqQAL+z8wy5cIO+o7UNEY2fCLxPpOxsLzHRi9SQ/3H7dTqw1YD0irZL+0h3/Zoonb7+jbnYhLKwbeuh8KazCfcACK0Tk1efJWwYp79KfjnkC8KNlfBdJsbaCFXyj5rq358e2IjoNfUEfIUYQTpMKdEwgEQ03OdyR0TsQbUUJ0heLyLkbU+PTzJsmtlo3SdrsWFt2/mZstHaKpa+WIpq6wxOzEK60mry9W87ZcxENBlMVlAfdaj8ABuosYO2hVbwQsELY1YG7IVpiW7AZ6QjypsezWlMnZKxtKNC34Pk73p/ABXEIga6k+3agDYorqgAqNB0ifURsa8wgBTBQLfo3ZSrBv8Wqqglr403LJn6zCOxNK+l7+onqZCEqunDHDhi7HMxt06CT5bPzb8/W4qNcS0qe8vj2ZOL+sZedvNrIg13zHwM3OeP5n9UerMfHbapfifB+nH+NTQ99pg61JEbOyMQyku6BxW+UFe9WcyNdI39yZkYb2fJVcdDF1lhPqB2G1MuN3h756XQIpWNQEGR0SD/8DpppuRI5TT/dsieLgbchyGcpH2zgFrpB+1bFDV1JwzjJNJuH3vSGu2wVibewYe20fJDng4ad9QFu7VY3JD4DkZighhEHFgUlaiQoO6mrtdjeADqMhriIvON9HfVaoC1Sk09JJtUzz5b9jrm/RYVqvVV5LRR3OrPbkmwdra/9IoRJN050B6Q8otpsdI56gmAkzPeifT9+clyIEIFMsz3Rkn5qRBRm9Eri7PCFVVoa1YuAxC/wo/Nt0tmqZXvDmw6CzvQ6Ng938Bb0icBjc6mz5/qXUFKc+LwTNjkeDpEkarh33LQKbcDQ4NkygfYVeM6EGtJ4c/wc95U2QagTdG1ihOQmSUDYO2BVeK42a1ICsAMxDiwdxTwR3JoVUuiMZOXQwLKASmDvUw9tIokQxl5GOLayvs0qph2Ny1HGDoL/dmkFVNil9jlD9C+Ogp5djwb19jxZbxLSFhjtz0YLoUSNr2KXxMedZj68hEcHb4rlsEHzd1bIg+wWxL2x2xZOdN9F5LHEM7QV9mIXC9zYjrAYmO07f5oGtWu15wusmB4mftf98C17ivOWKVyIrdhEbHVHHQ+KdgOdRRzUbPrpeFEJWzNul6i4IPQ3TdTfOqyvcCfelIEXEC2ZUyBlQELbGViPMeO5VqRiz0OsMhIRxdHSuacJgtzh9AZtdz9cAdy9qNMCjzcACI0dpvsLz+ICEnQk1fzHEwKH0/Slw/TYdsgSN2y3vEtyfZZFMLx2zJEQ8ov+GS3aZbMpZULOpuGb136YdHFkyZz6AYcBhs21TBPiZdpheebvGwt9iKzGdV4fvetkFzHLm44hdRWNVEjd0wXjqfBT8LaYIXGjNET4ed7Lu7juxsRhGlzmTBAku7AjHUcBbU8Js7mw/3NOa5HwGDcLTgcSL6AgjOcZYDHCOSD4XorQU2kF1GL+6AY1zjfGhwLTXvXbKUd9gAPD/ceISNC1uX9TgWYj11MH4rAJ7/jvSkgdqbfmw8TksLv28+gRjUGUvifZJLBAYYCmE2yS0Qr/8JQ68m3rhn1ZLQFmD1ilDVWAxAogXVZT51N8wQzEuHCN0EgqQ7Ivrap19YHRQLhBzny6CdWQnEQrP+6l3iNzQYnS5tY0Lyhb6PFM4mDdYfsWDBnRCX3CjPEOJFBlA7K4NQWCBpDL01vdSpZfgZYnXdQCJ+Dfq882mMlaBcNi2JEY1wS8UmOLJm5KgT2twgIapWLoDwlXLJpcTmy/l2VDN13yVXwT3DmWQgEuy7TdiiD00S5jH4AGqOg+4ySW8hQbybI8tSFLaK+Mw3chJ1vFypKsHQi+Y2S1jc9wL9+PlVHoxOjTJH1lDL1udeHmMlpXGE5b15KgIdXPTDj0Tyg7dp06pcUgkY4JHpicoq7jYu0a94rrkNUmnBF2r7Gc63tE6nT/+bNj4KUco6wVmct7I4OApJSusP93YbZZeZhTt32pKqvDE6iYhAauFfSflxbZDSgrTCEMw6poLWR5UZegXCI9Enf568U6HMYhs6rLT23yHZXTr1MAUmahDXhLSJP8Ac0EdMPcHeR5UuTgHz6cO8VQSWkwxHw6EdnR5FfVuneNmkyacP/Qrpf3H8/cRgc2PFQaThJO/x4zIgWFhAV36RPsmVH3NtZZ7rX3RF4R3gWKjfvxca4iCHhyUBLwSgGddlh7nfvBr1Y/C3zqXPR7YGfm1oFFhuFOhArOfXPpRYP8oLm7WhTySa0nJrmX7aXDegaTqIbyy63AYTsPAZFSqPLfadWC0URw4vLH3kgPhF4Ceac5sV3zZEri/VdFe0l7xkdxq7uqccQrdWKyhNPsqpkWCxblbBFtGFpbr1tpZjHYYMoFDuzCpyzPUhTDmdA9lmC94lPSibtYE4whI5kTtQ+Bxm20b6lD/7U1Mefp1Y6m/NTvo75oNpfkDpydG8GkpSDQAU5C8caFG/f0NoOaMzWtDkHfCoA0EBhfBbAJ29HkqsKGrQTYsxhhu/CJnkE9Hn5Q1CPD1bJxHHBtoM+yVTb6VQRaphYmV2AZLXc5f6C3BeUo+qviRwMFXdtTKGQRiZxp04U23yJ4Debfir3TSlHzTDg3WM2zkObqOCMcw0Jkb6wmpHIoVMsRTvWDsQcgAkkR27cabn6PhThksSSrBsge/NkfBedTgyIJkVPaEMQqVcqI5bq5O1aaVVzP3NOT4zBWUKytITpPEqYROxYNaL4cHfwTBrDgkiuA89eoKRQO7jSFidjTliUVwwcTZgWcBnUcXuFb0F764ZQe3R9vrZga1BhnlKXNT+U3FTKf9fgfwO1QgcPgV/Mi7H+hYuNk7GuEn8KG7BqfMKzeIQZuHC468lmHAk4LTe6TzfhxWArgvKSmNjBavegx4PdDXbhSCaxfmFbJtIisfehSyBoFn67UWJ0ySwvCrWalT53mukJCGMCr2YmIZ6FIcwc56M7Kk+oVwc6KirwxW6PJGp3nCu0rcgzKUwe46nNq+1DUZFO4BJbGi2whEa6QazS00uMkCcfJecnXmKcDpGRPzzmQvV2/VTCmXq13s+oRhcAVCIPiWiUvWqU4i/QIg+OEALCmZymob9jxTmDYQ7PQu9Vl/zDhK53XNxPZSHKyVs2huKdP9BLeEIkzszh6HEsHa/3jc3ayMrs+zl0M3P5EC0/RPVK/24zMhotjoBnxIRj9IHw73Aoz58/pOsAYE3blixXQG+h6IQEki5o257QAs/gn6ZXYqLm/i+TJRtp5+LsDoEBhoRjH8yYOrrH++wxBDniLzt3IzVU9LcoN4WqYB7bygjGWINpP9chP3JB+05cAVxU8tnD2ejqwpWSdJbGUBPLIWGIu4rY4KZBAPIHtq5XNHHmBS6QhgHSD3SBNOkbLzQpeFxyvZXyYm3brHepcCWwHQIf3SPn6BGhFr7XqgI2ONiBoT2PlFFk/a08V/7UZwdpeL5/NAmgUAujGBQzCIXnPugUEdo61QeyjA4iVHQTMoHdlrmO2pkDoghl2wWW5AgPiG9XUIBfJBhM5JpnoX3uV9AgMOJONkZBQ2rdRMmqzb+zuvW3RP0xhluxhSDuSVMZkdgPuwHb+XamnxEeYMm38OqF2WrHd3M50yVHoG1k3jvc9mVYgQIEUGkLRjx3/YRhJgFPZVNBbeLv+klkXxMuBFTn5mK2/Kke8kpCZY37JOZAIboQ82J4v3QuQoYidmqxcfY5aBBk8G64k+qzkvg6Dd6EwyjN4F9lugYSpStCvQIgVekEzTsr1Ey1Lxgq/ijolPfFm/AP5frvn5F20oBnWOTObWNGP9vPZo2UeFimWuHg54bylm5MdPrhAOwtB7PicQekTFcS1fR18f3VNrnfl1+bf6COKJbkHRuAiuzwTladmmNsxRG6WlpImfnld1C3wgbEhjW3qS8SDGHvZvEafeyO5i6RqAIJEOsF3AsHKkj+qGJc3L1BLapgW9vY6xRWeSJJ20dAfjROtGkrxwchQS51O14LH3QuoaflWn4m+StiQh/fRlxRh/kiboNmfquEZQdFtdqs1XK6LjUyRrsCpJQ0gT+boSeDYuXHvbrGqt6akQAQS7iaLax5nUysQHfjSeo7NKul2uoIj7u4aUF25zER8+67apsgSN6Von5d295ZzNf8LQPsCJoWxKAQy4zneRA84ytq6l8LpyQmLgFSkSYdpYmuS8cZvD898naEE5NSjhDxnCf0Hjx3FBVK5elu0oVXGZ4LkkUIafGglftOyuQ6H/C0qM1qhvvqZT183E+sLccrx86Eyop8atdRYQzHet8sv+Qg9n2FcqrYWbytLeQHguM86beGuQqfsm3+vHXgFPQ1t27J016bkAcAHd2cXKhT7eXuJY2kwABguwXOaX3TmcepITP5chcqodPtLStuUAzUUfLpzQQCHmLp1XjQtPzuyIOl/t6aycJyPGeTBlegPQphVWcNwLvDoKaUV6VvZVll1k6rczhcOqVPYgTkVasCq8cKydoXIybuq2CTGhJbw0uOLEBIDbc73Bl9ts1/Gwb3UNovzvMCF+7+CZ0C4WBnrucBVctbU4f+R0QmLtCFJrbUq63FT20zEv8ZfGRBjaPHo7rOWK3tmtEpeLbE1SSE20iT4EPwiKKt6qkfrz46Kpmf75S1Sw0BDRT4hZPO5SpHQd+RnhnknZh2EDKl0mBFgWTx6okd8ByQkRnw6h7Cgd1wrl1ISICWf2DPz2LJuHsKW5Z3ipT86Eq7zHNBmItMEC8usLLw0vrfAjphuyQ5aBbLou+vII3DKLldJ8ERiHcu3KLqElHkDBq3ARnxsKyZuTbekY+sZLRaseebdBBtlUYCMps7MyB3Q4fBdBd0OHK90OgxtmWbU6mm3NmOV7r+s3AD2CSr6yRUl2npuz2qmTGebfQHJqygI1yLqlZdehNmkXZ1IWQ0n7QiI76Wc5Y/FdZaBdmJ6kfmUEBTMK6mQcLqNVn/Uai6a46Mf10YQ/F3gvcT2iHPj7JTgcdmULgKOsbow2kqpb/w5PVr+lF2w7kogxgKyA6mlr9+80/UxhwkVgbF3CdIOtWVt5UC+btPJ8aeeCKXswW85e1kaD1yobyNw87KRAaBIxeSuCN2DGE1DfN7PH0SobJqoWuRCnG3bFyy+CjunZD0O61mS5AdOoHc7iW8SKivpptVa7SSImwTOSHiaHTVn0gYFYPQLfthFicHT8R2u/aL/ySakwJec0P1i3biq3ioBivewFfk+8h77K4TuG5jRvLFhyda+YDQdk7gCYr9JthSms1hniTKzbtl62IhDdLk4rZLjwdfMonvNATFtsjsFQEP9kRB9gUZazNRuTnIzb/9Sb9LAMewail4siGhCYFaykXrUg6tiGVgnDloybD7W2+PAFJaewFs3SNRvJOjHT5e/YEhc5Ry3IJvmWz6Y/peNiKM4+/y9BECS/7cOEJEtHRWEHQcGZHO+NuaLqX4wlBELMN8tfk9vcKn7esyuT9Wr1iFRKKRVlITRGoiB0L+bCYIU1nT4DycX8d72rEwhBmx9zs0hjfw9JE0t8q2FtNQAR1X11Tr1iOlenWlIRlDTkg8canV0+/rUrZDdDUbCqxZut3OdSzCC2l4pD1Tz8pL2nEBxS3vJrTI6izX4XKDt7QcBK/IRtNbgTFMyV2VSb+KdXsfL/62vGP/znUlNQ8TjIoBOLLrn3faMaH9pKwQX23QpCmZaDNL/hg2GsRnn04WPTsS+wPRSx0B904Lb0QA3xV7YZ2mFSZHjPRTjD7AUjwZmWqjYEpXFeeCHAJptGPpWStid/e39qSjkOpkE2F56k5uFY96o3MyaWG3f66GnaRgN/BjvJcfsE0IcRot0HHbHeWr2LFGXK4iVT+xPI/4oleg4Q08P3kqYTXeL/QKLSm4QRwq9VGB3FJhSq8T8DhYv/Mma5ojmo00ofvaN5DDpAGE4j6SUaKEtEN/YZphHloZeaVRGKfOWsdCG14QUHz+uXHlmKrHUe+Xm28sYyghgv8GRrg1U1lekqAXyPqxf6bPgC+vOLx4gDnZzsOIYM+eWAnVAbHO/zRxOlXk/Kae90ICi3g5eBrpEEba0GGo4GMNt4WCWaq7FE9XmBrYT3s7K3gsQ7SSat3lOjqDFiwAMChuDI4kfbvNGTtZe4+GzdvcXRlPcBRghOXmC0UAc4WW9DiRfcV1brLCAsBI4MPXsnI7Wik2TzYT9SgdFJaQNLAt5wR1Vtj0Yggt67JozvuP6dwUG+ntEw5zKcR70650rD1VUahbw8caUnL0aMlkOGbbAohPB369K1AyfgCiZB/q60fNxCpNYsCEvbqFE4mWHOzBMEOa94026PrYKKFi9o66nWB5XJ22wZldtgJEllYKEs9qA7wIlFWjbc3GqgWY4sms8g+FVAMWMMgp/QHsMf7ItHp0acUDrsz2dpzA4HY/i7ia/xjr/BIfgz+MiDPWAFkAWCbKDOxUdGj2hxw7ImxzfoNw4WhVfd8nGgOjjXOTRr0x3R3r+bJ9EPkUnRCCVAyMvHyw9Ua/JEtvS6gFxg5S9ixBrg67SKldH9M0v5kgWdHJpreH7NhKbZC1irh4ERIE/+EDf0uKTwAL5PsOUnZq9PUjqkQ7jXcdhtPAW5o80OCITUcSPCDpE4axTNm7uaDfSxxr+Baw02z6JBwHUI9p8JbZ354SdPW+9TAgel29nfQ4+jgYQvNZAsjQZUXpJFoBrEuTuH6t/fjgsRwcbM2OdRQxT+bZFlRkuBrwtIpy9wDYw3oMgw6LBbRsEu+D43XZ9HhUoSjU0EX28dppy5HYJB9cRHoFfu9Ddo2DK6GdQ8RUS4PdMwWdmeQC3h29nX+tSHwRhWAIxTUtgkSLxKTiktMYTj3TqQlX42pDySTWa7prr/YmBJ/3IL0gx49TxsJVY5f9NpoEu56gujX5/9jI+c2FpiRuYM4901wSwIOYePxO7qePB+5roXkVKbRcUHnZ8OJPBA5OTxxMGFLO/cIMWhaBrJuCeMaVPFnUYTYER/4jAYuUD4Ww2+6nKlaqqjj4qzKhhDtwMUDMBt5Bmq5ft9jabbzqTR00axK7oO81uLGb56XC85Psenwg2Vv4K6lu81FZEmus5bzi6z+x9xiP2218B3Kiifg1UHAJSan8Q4vWXJlqPJtzkORxqC5bKPAS65rgu2XUvL1tpZZAb1iwV6Upx1ObrPYvvqtzDwd5cMcfmQgUrq/srikIfbRXbZCAABrWdo6VqYlmn8giIYRw3x0yrc1/DVgiV9+XW2ccJHxECAjTCcOHyAT0gaR90Wnobjfdjfjp7pYYPCYzsvErXzVElQo0eAeo+jTrmrrodyJY2MB38b3+vC/Y8cNa7jgkWnZrALZIfzhnGFNnX/SBbJudsgRd69bMYoYmqKX5D7orOnYHtXZDfdb+1ywl20TShoAokP+pvJGA6An/AkK4A3NZjDDHXo/TOauoPfTNqI46JLWKxLXDW5Xsv9cPGJy0DgrqPi3in1i4KctAudLXuc0f+vkcP+eunOP5L064z40hOGVxECOBWYKBdhPhsyPUNFFAQrRYwaUXkpI3dlUntm3w2T2zCdmw0ou7gZSS8UtSz75Op84KZ07G2w6aUscpIW19EnzNCSgYAfamkzlBnBfVn+heZJGv8VhPOE3qUXrGjtqzbWdtmMrRFcEyuqi2OAT7DzUSA2J0+KOiAAA8Bt5E7rnzgwIOmS4+H5ycIsHqYfRQPPxKku9yPF7/i9Gj39VYBX2oIG/cm6G648A77TveVcIWj7kaLMxM4ligZPcG/obghwqa00VMkzfiBQA1tDOO1FgCV65yb/IFtYUGAMWBnLCdyU6hj5ApbVLPDk5EF5ocNDXdPfvk4wy07DhI+kphGCK1Ila0ACGWoNw=="};
+export const answers6 = {"start":657,"count":400,"size":28,"iterations":50000,"data":"C5CWaQligNU9VWZBi2/Qulf0WRouxDSnZhPwsJl+ix83AX8rgYEz0s1u3NAuZAKOta7vGzGbvq+ssR5m1fcd37vYTRdxdCIbLGpQLC18a574Q3AsOwj2xxv6w3X6SJobEI2W0mEZfsZYjZLtfT8YQyWRzynXfMtI6Ca+jWj6qBh+He5XWCPBHKmmkLVeV0R540jttpdabQ2KNo/1ljgXBPcN037ZlCnlAiiQ1oLZs3Tl8QRCUdBBT+OoAp1QJTMcIWmB5k6AlLWK1kblQXKtTvTuZAj98wUXEkEJBnVh2kVJc7Je5wUd/dxl28YRjsbhNbp7pSciEScEH/UkbOutjd06Zh8jcBlUiEoPML7i/ksb4bKlM/aUkLzmFUTFuBVMRUOiraFvDfKfwQdFoSLo295WITWy9GDJHB/JdTxjsap0FUpysK+iGAoto5ChJCc/4N/BXsX51+uULwOc4adZaEqQyMI7dbkKgQIrZOpL3D8QzohBdSyoU1nx2Zzi/U/JihIZtCiijnFHcKoz2b3Zu+s881YV+LM/VUslhpTltOQqr9Z3W0ap6XSChA6HbNwadfLNMCB2fXl7FyVEdJAZSaseQl4J7ZPOEfJSAaFpu6+t+/EFUYqP1BE2/bbWR3+87UkFo7LkJVXKosWfmtRyBnBDs1A7CSlxiyEeIQxmj1VUyiHKh3VCTARnazo+aU5389ltYIFLBU8y4zzfxtkNk2u2zSB9624CfjAP2Y0xYr39wRsILlFaFIS8H2rPTFDZgKMhEhZ6ZOtyI26tTsOXlVGFQ/KBUJ7Z6txy65L029QTQ8cfOy5x1swSI5TBzozzGfRYrWUp8rnvfdqS2SS9pmgpkUDV2kqlvtNHbhOpZp+oirGJRguAeY57x7cpRgJxljfvhrLyGaMquDmPs6kbSOOwKFR8QHbnuICpWe5l+OrK0kbJXJfF3/cC8d1kwUAE8xrr6W7tWyKiF8SdFee0hkDWAFEg6G8XnP5KtHxcAPNqp0iu3IXuVBwwjVSkzAe8Vms2xIGmVv+/X4HBVnzzwEu5bxwICq4xN6cnrJvcmF/QajvjUaRvvqfNlHQRIFqA1+Jqj+B0idobYD0xqVrf07PGgI4mM0R4uXLYCpfvWCIvDVAO6l4OUc+hDphwHqH5jcwv8tWuikNCDPCfdy6D9OVnqj4GZ5QDe2I2DcaXmL38719eXzFs4HsM0oBhuTugJU0Dzluz0rx3Dcn1PJU9pyDpvdlGzTqOjaouWCJJkj26ZmCoOlXj26c0fWlmUifmC9xBWhG4Va+0gHbp/ILbFoOsNIIzttJin6mN9Pgb9i1FHV96G/f8nCrWiOQg0PgnDwbxys3MeIf/PJsBHdFX2Dk8Q0u5oFcMS989iYFTdnx/F+i6UmD1yQLtevUekhKIgOkv3c5YH1Sa6VIeGHypGT39dEWCW+v/UnkGgpwn92e1R7pjLQpTuaEeD8k7kUMF3598siFgnvlp69A3If4lzAhHIL2mJrfTuaGrHXWrXamIUlKIE0GCUttYDKiLb82hAgzJFXt0UB+HkNGMRYgsCzFtlYyCj3BRw/u5g4efCGLqRtPVLejdTKIg9g7Lr3zdJ5s43dPGICu6DK87n60YiHfW2QZ42Jhu/E23Dz4aU/taBD0NiNP9BVkOwlmAZ8Dkbqp3z5UlcBC+NuZS7+umkgX7vpZgvfaXKObwT9K/yKguoItjwdvgc8Uuz1Ry2Fit+SffL5/MRYvuM5VsAQCOCiLDOXySXC8Tq5Qk3WGk9VC2U69dgOdwzB1rCqwNSoqzlbb6fHGVgl8OmxF+X5KaYTdazrSNMHkrFgUpsMqXjIHZdju1bRTNsb75uEqb4VxKAqiCbqgVFbR6RGHDf8EyzQfn4N4aUnCwOfH+k2TJTGXSZn5/fwzuZKrO4toAgAOFL9FZWiRKD78VnEKSx0knmZN5EdxxW5CJ9mNB1Q9LZLGMv32NRggpjjGB+Pm8U+Qerfmn/Esi/oRRSXQGsP3GatNqmEXMDAgzovwLJo0+Hoy2dZgtEenBSf+F9Lgq4sftK0Kra0hJcTDHq3q8qspYy9BiwZxDiQ4nlqZUHn/NUbVihuuPw5tROgMs8+1wmUGsUcBKgBowCG0DSGhq5musgqjZ/6nrTm0S3jxcLmjZflmchbJbjt8bvATlOL7K3xnWzvb/9YlZIGY+AJanm9Xyox1Nbhv8w2hVnfasM6X7OYa6WUVkbG2c6loC+JPzAdxKF1D/Ku/aX8ZyXZlJhrcQysWfn3XfcodJWgoaut9I53tmPVMoQhFqYZNM71LVUaclQLk2tNcHslkbBjBZKQZHom4Xli5BS7v82633L9BCbez9wSsBQUtT8hIip23PcJjfaY8Yny7aMAUVmfeUjNp1u7Ec5QB94DuOH60ziHqmXsYPdqrxNsHJHYCVAL4fE+5Ci4RiMwMEy8E/I88EjDgJbLpzhaAtqHlbJCenMlVlH48QfyWPIKKJP84TYatpwRxmseIkcdli5NQ2CG6LUxeigXxe5w6vu4qLnnm8S0yPdyAP8WsOvPBiYm6r8zS5gon27INQUr1ezx3CWK71j8GjhTSdjE2g7Z6ZOHrG/IHTbJVZqrHBDIvN+2jDYYAes4GPBIctWK4LXY+1MTGKa014jIQmogqMB5FtDR2cAtI/jGeLUoGIgFEGarTiciAmFnOHWxhM2s7p3fLyYmNOJZCx5TxKIDaE3dQOOEpnlcuxAgRol3OtMo/Sx06ROybUg0ks5zo26z8m88dPQcT5VGWzrapvKRbckmARX4od6vg6XCFYBk+9F5zibYBhlgYvyLqy2esQAo6z2SrgBCN9PLRlakFbtzPcsOE66YlB39bUb1uBMa36W6WgFD1neo0gKws2l+XdBntQHTXaVwvccJRjAJfiTxdFBdHSumJ942FBfUW7WwazIFelBKXCbhctNC9uOXKy9vkLo9Q36Dh3bThNvnUvkR+19RUNaPJjZ5+z116HLkIbRIRd67WGH0X7jaFqFNYxIsGIxsxksokCXFKQe2ElvV8WOSoB/sVdZRGA8SDa+MNLBr1SpbCk6iBwkNligHW7bbzGHqUax8hV0jgAofXPXVzfZNkNS4173Jps4aO7BBmOMQCtaxVwt0Z9TaWfR3U8wAucI5vL3Q/8zEBxxPE8Cpx2yo0IocERFHnVlNz/6uiAUO9kq+cSEzrGnkHetjvO6e1Fu+Xc7a/vwODanMT8xK8rcnWloRrfpNzYJJXz8GAqyxOKj1H+zXGCw28jkfziVYF0tcVe8nT92qoM2vvfFpHOBDTAKmF02DoyYYQmJl4a9dPa83IvR8DijyvuWhTLB33xiYf/GsQl7hCn1Jm1XB8bWnK0BQk03mA7YxgMK06FMq+qiBGoMcruSwVXk0fPxVhZlxRJNbcq7kSOfGvbp8YRJWtkwHfIhZ5z1YGYbAxwE+cw5hHou1UZj5CDIPX3Oek5F1O13z2evFYdlukFArJjTpHFUWdJk/Re7EH22xT7RNIdg+NlbkUD/epGXDGCZFxHWSP/Rkhdf/DJU4stavLPUs0zA/IcOd0odW2MLQc566vMXQfm4XLcZ5HPcWNh+z9iDUCg3opwqvCdfK2ppfjeHLgyLeFkWT7Rx3V9unAOEpkGvxB6+ZhsClh1DIK6mLLQGyBjxcU7R8bJPj9LBQaUWb+yjfCZ4jvkjnmWkHDfb1L4fGLlhgAiLQ4uxMJ9094SYWriFFEbpfGjKzOdqHOnIdLyE4Gt/2droBhyYS+h0dRCX7rE4WTlochT6erA0lcbsbCN7/NmwesxrcMpUFfIiCaRHb9sD6YKjvjmRPhohJYIs/DnKX4z6Q9/t5MiwQJe+gVWZbzLQKhow56xbNdIIZUDitjEAVwlJCLLGdg89+TUHdevg+PPz4011y+im3OtD0YaxPaobL8oX0NPN7PTHtrEKeq85Pu3ATfboCZGlsufBLGNkt6dOHl0g3ffxRQlWjiTL8uR468fla63hTsiVHnWWDqrck4LIL0Ni/YS9lyj0v60SfAR70fKIsBBUMBz3d7NaoFgmivzzB8EB9hxwOaTd7Bj8YsSVcxhcaPtElirxrBC/hSxFDIQH9b3bpglwmx6FcnjF+RUtOva5PBtaFFeZZAVaVlyXsl31sAxWhpSIXHa7LiR0g+WLARiNHh10n8X9Ymu9GoF6ERj2wTpHESvKSvwc3CGzLFjS07b4JBNbg+FX6oc/ZBv+S29OEyOmAE5I29nC8VLauwQFRwkHbojtABSCrBj2gzvt+Jt5OrL1CAzOqjhr8OTnyMF/sj7EZIN0Xm1Y7LjtzTlksHk14iOf/VIhQQXjg7PaZo8KeizDXVhXHImaNPpwO+gIM9+qc45UPSEhS0gDZKcaIjSxxpwoXIHAV+XS066MrcWeBai9vAle0bmss5L4aX+1O03ZGAB5VQag7s5vU8CpZfcSuAV7KsFPNDvKLxJNmrXo8cm6MzIijIJUopbQMVzX6XaAnVh0YWnaa0tQW3XgS1t0GU5m+W5ExAVMLQQEdAJdqY0ROmU7tdWb7WNbD6t7MY7nbLKW+Gb41CZyp+z1P2+NwtYKMWTvU3p1Gri/IbyZDUI3zUa6SaSzb26CARkaMSBl9CI2x+mq527MYcGHVwC+XmrW2xOFidSOs9UOLzwQYFkStVB+alKiJyKtJ939OFPzEYhSGkr8nMENBoZFqo+RPecczOnkpFPdhNO94QHx2o1Ivwj9ADLzq8DCDjkKH9fH6MRqXeiBwJ7bMJ+eMthAoMDXQ1uWbP+pn/TeT6LCFtbkWeNu9h2R7Okc/dZCG/BU+6IexbgjKMlf78/jHjQgONcHxUsAB43J1Q90c5CFqcNutMPybrRUV+BlXhYD6iAF9Y8PGxoFFN2T1bTY1vGE/gZSZfPRBXHZnKZDk3AU2EJyGFnCwFvGGhr6bngnkcWPbg8lf2JJeMkpe+m0BBiksUr+ZPLK2DWr3oZ/ZY1xpXjHDqGPu7po+Yr3fSOfJuzzuVLfFGAo3Waul63rXyk+q2yIaiCmJoI0DSUQIJOOtUzV3MLOJ6rBCDNu6ZROm1P6W205YzlSxcI0npc9bvxPyXqTJaoixPDYf8jSPcUGw1y0I0jajvP0kDTU7+6+NmB1mFJJf302dx2aEqqqffYaFJnxPPThpFau2SxIO41Rz0nw/vwmWsH/t8dBNMPa3DEmGWJuyWIeofzQGISTaYOapE8MvOT6irlBC5u9LkB5t7bDKJ2LS+F8pzJmSEPjEauaEMXHRevQTfAMzJSUKap1SKt1LaPSlZcr2FaX6N0v0OIc/ifTlQxj3K/5miacxV27VP9odcw+vikqYXUc6TMyu+zouRkraOuK0z8M8HgZMASBeWwHibVzt1pXQH7s7qEa0ia+3Ny7uTGwlkFA2MkFpHQfRo3V3YRjcMt7DgLu+Zlf/in+P5T2tB0acmY6U6S6b4l4qdLBZNJpouHj96q0jc1JDGIzNSIW0tF0SIjc+vitcYgXUwzphyeo5HPnhVqNT3s+iJUvOFTXSmrjBljeU6ipLruKf1zkLmnephIzNIPebgIO8r76uSpetHd6X2Z0pxtgH/Bh4gzpfybgQnw3K5M4UKPRMQgckHz9kfKYux5vYWxoS78d8PCpsY9oBNV3UirFtfl36hg+p/9c2/mnyycPBFHg9mlcGDOEtFJXhNGKOHiIXJSuxUN4cKRFLGFj+ifcTBhkWxvc2cNCyTA3eHUPWX8D1fz5hHyk8LDY/UzspaNPbV/ePqSaDx7aSQzmJKzVGquSBxZ/suS/J9lj8GfUpS34+0005+7Vf9U6IBmmIx8sb54qUarz83jPv/+6/TA3W+ZHIXCUxj/plxkA4Ynio2MTYwOWsmM+hw2hiHGUeuFDFN/2e0F+Mog9NP6ZRUpffq3xdMOgruGjNs+Lcl0artNIwzJK/LgLu47cDrpoWe4CwjjZ4eOZ2ucp/cpE0LZXYah5jW3AqIhhuB1EeoVkkQopfFmB8GoINaEtstuJsPbosdU29ZthcM5slLBSfDvVZF+9GIWPD15v5rkA7BDKvNwymUuKThwAPEw9BTf9yOvXRDtOb7Slb351kuUU9hA2aEXLg3W6bHd1GbhTkA4kIEzKD3yEi5ZSI/0CSTqzoYuncW+G6cBEWXKtsPFDphidLOR6LDut24j5bKQPV6Pz375YhWXjwqSrDMTZ6Mg2Cbk3lxLAcBlNudDqSIc5fzaMs5K0GSTpuOGyf7bUyu75NoKmN1848cckopJH3CvCTKkZdcJ4n/AQDHdsOn7j0lxS9R4IC25IwkjrYdUHjHTIj33XQsJ+Vew384eCthW6ICOuL5dP9e2YnFTsbJEIocidCoWlLR3DVNYzG8jp5gk9BOEVsAC8teuRKb8uEdS+LXmQwnLTvuqAOxlIz2SOZcIzfGtpeWwqQDMnYEnyS8p3RO9HyPpqI4L3vZ87D/mfSTp72JLnu6+/Vpq0/4PDXdo4qDDtloAuPMNuSos9m66XmarUUQOWCM31gNNrPggBllEmdm20/3pfxQ0yf0p/sqJ4OMOZtwV6G3TXbQkbJfjzXLr5mmJxYm7nGlY/YFyLt1aCmd4iY5ObcCSSTJYkEWPvPg89Xs5HE2Rx0B0OWTe4p091SrCORxvphzlDs4/Nx+Eq8efGyiZ32VCVr/xQ3e0hylzlJyc6RG13RvUSP0Tt5Yr/kRFPlAZWQg4qZ+//6Y7jA4KfHhWow7MJO0OnJFoV/Uo8NSZB6gkmxCCY+Q9DB8qwmtsml4mcG4DNyGYGRqB83bTrLBo00AMi+diUuXxtSvVYfeSR/UrqxRAeEwxoLxoQMEjhFlFNrOOcERJUOixcpEwmkddBdgPU1YoGI/N1NScNgaq/VkApFZzaJoZZlE+HplSYSnBf0YezLObh/hbozqNygkaEms0M7AP/bY4qQZn832N7NTNrN/yemqqdQqNSojzTOhiIDgi5r7ndGFir05jXEyeZEdsL6OKZ6MGzZdJNASfbtP6YxdkjPcmpLCPxWOqaXOorupMCkjHumJMgVxwG9yAXnLPPvWb6H/NX8ebFtSm95V+jQYDtdF1F1LgSghLPrNh3TP6utHUveDXpW68Gz6LlmTh2jJuRS2R8XBKC2Bo20BVYMdrhG70QqYWduG8KuIIsKRTb2DOoA8fsFp+T98hQGZ+PzqcrMOy/8u7MqjXxCbONFUHrV3M0eKDcOO0tOUWNgsyOssfcjiQG2jeOkew1TYwCpLkgLvHJdP8cUW2GkE6JtMosTANi0RDsEA3B8weDZCNDGaW4MgfDsQFYgSTrv9O7UDU5mVuJj25xNIGz9DXZQmqi0e5OTFOjzh5ylz74fPAZuFrx72sQsQ5ln8vJnoOm0sxJLD1oNa4VMLLHnIhoO6CZTjHOwi4M7hzMZfqdkaE7sKQdLfLFPzW7gb8LSdbLPsHxPXjd0KbJ2fuDXKubJdYeJe8D96VVM7HZUcBbd0eNyEU4WIICLzQustnq995qCTPkE7pAba45zLGMVlkcBaBeYmjSVatZA2r/LgdlabDNwh0inYKBcKaXrUXlSa2U7Xx/od3QcIVeOOgIFraMFB9HOhcBskkbLYS8utwy8kgv6Tli+ANFKwZslNa/gLLbn80BmRxp1HbNz4DfEsq6UAdAfw6JeNpbu88+utNS0RWyOOIRvwW9unOi0bKsKTUTNl4Zlt7H3zOdYsO6ftjFqHsF7xGLF/wPdfHcPz3+yvLImSTxf5myW7N5984KGY/Es++3gsR4WNzPgjgtQNTj0oJ0o0/xeqUAU+QLqssdkhDg1BlVYw2nI+/xnanvUbP+2daq3rl6YyWeaFKDdmBnGVVqjVTXaNtbFWlbMlX48GA6aMkrTloXfRrSAuLSdm6HTlDt3ge9/rf5gpWha1dLNI3daTb7hBH2SjkmP/IyWY/v4SgLWB+/SPSFbltRbOgma+cZRrf9JXOVkdbixevMXKPlSS/m/Hq1Q7JlSCLzrX/XV7SZQOMQk0tmuGjGtWMCv+8QPFZ5OM0U4CZkw7D3V62TmkKumcaiOKSTV7bi+iWjsXyQr5exwslxcp+FDgupZ87C3XhiM5cFU/BO9boB5hZ+SKwe9uBSoqmpX9ovaX/BJxpghT4x1OpFStaKbGuzjqg5JGHzWq6RU/9mRAMEjWvCtbS1Xu2ahJxmKUSUQa+ndu9TSbrXvwORHy3GozGit49HZT8Ye85gllCoZnTu5EMwZgMzxXvGH+r1QVeBEL8/Bdy3EbD9XDZoZNl0W7YtZ3n2usyckNuboDdm/1O+ZQVZdkaGI5X/vQSbxa9ak5HwaXYH2jjEu8XduOyprUPVNZknY5eyeMuH8B+T1IFLF1Ui5kMLnLMWNqAiwS7f9at+LPnBN/x2OnTSkEu01lV4tSpGD3CsQ6gw3te8H/NVH0ixrtnfxxj/XL9OcIQO2M1QhSCWqGPg2PmO5Abx26xq92A7y1vTqpWaNw9lO9djVhtVwhoyL3NiEYm0Q1cThwGntH1O3xo+0Nom/wa8PyyMd7q+fSYl8gFuAamVH8kKik7w7JLDr9TW9dRc1NUZsGqxuzk+jmJr37fVlXmhY56/UePoPPGJrz07ejJMs3Laft1dyhHP6D6EcWwxuNZ3DA7gaE1p8OaC0kxxJ83jIllHCR/4RevoI3vEVMh8CzUL7obLUvTp5PebS4DtQbwx6m2S9pPwAETMxYwYlNQ91zBUC31Oi1qT0y8GjAaZl4cZh/NuLOiVcZbR/uA8ptAUkXAt0apSF9JmWP6f4tkbtCF6gq3CVOmSgSrC+0Uzym5uYGn9k+KJqVLq9WhwIsZGKa167hiddvcTi9j7o/MhI00YdpzXWtZM+fs1FUHqGdUAH4DTuPg7O9keLD3ZiSsSswwBaqVXzb1eRhz3zu3ZoNGF4IQx284u7k9EYbO+U3MP8oPcdNwctwkquMqWOayzE5aW1M6zFqdO5ERQ+/YSrdCP+W6MzOWcEnURqlN1Z4laMc2hpiaxDWX9XgN5Kvd97CiBJlATpk4bBLGumFauM7nQnyxqUtIfqTgmy12hLvW+QwVQnjQr+Gyz9A7gYvheyXhYCbGEZfS2u05zQDkrIPCe7DBAVjbPRQe4flKyEsqVFddhnuXWRx1vXzr3V1lOsTAgJjd0i3wjwJ61kteSVWlu99mujygUY6oXxz24FM+ISjbh226L/kcyKZ0Io4CWVrd9asKpbYJY8+40CAIWAAj58Pi1X6VZSoMaEmUaycSdmOXVLeeqB788WraY8sJQyH6kiPa1Zr+Ibi0OcpkoGOaM6QwxiHxkPOrvG8aS4DX4KOhLIGjm5QqHjItuuAA0BEbh5IHxkzVTzEbm7hRBdoVN1jttsWYiB+ksssF6Ie5EWdqntarZr0hmvcFlHLYI2s+r4HP2ALZMgAbmPJAS0VR+rA5q1B2oIN475/hBcFu5rxVsJtFOm/0t6OW7LF+Oy9ha7B9IlmXQLd0Lgk2ymgTq4ZQ/fIZWHfXKCOneWzBkSO9wWVk+y8meV7BGV13xRw/StcIwDk6YdOglXkLtOF7MpaVnD/9RdutVbacz/z2Rfo4fLuCK0T3srEkQK3wJV3VuW6730W3RjXtwUBXUoICWxvnQ9XeIILbpfDUhU97LE7C+w32UTgR3WASAzsapqbiG83tR+m7peYcgTaR9J6LPqTcXw81uqjujfN88t9G4IX7zQ0iiMUtaiRUVh6dmjy+vgfsBX+aiKVDRml+es4of1VihiVnmGscgO2Aty7fe4mRWsaitNBImnLlpZdh+c4Ub+S3HYasjo9MbS8j6CzvDKE3hAu6GTXlBmYb/oL0Lgdf5GvS3XbOP2Y5QMjC//7NSmeU1P7pQCcbS0G+p8rBBzALkcADFpRGDREpGSz7C96oZ/aqE6oTLR6hk4CsTXOzoRo3TQZykDqX0pV0aGa6Z2DZIZJXao8kPFbMSxI77ZnLM765IkhwF7pO5a2ok+/Dl9EExb46zGdnGdEDUmbGwy0sbGULk005Oc0NUpszl3ilcbKEqGkz3UyxPSkc/HOI/WSTGTsEpQCSwqW/0rF8eoYI+RNFZYLQgGRwTh8NW/AoRiri7VHk0C71+WdZNZd5dFXPsZWzTy6/4Tyhr5G/cpb2FrxA17koro2x25Efvzs1cWW+N1ZaCyPrt81eWtNAAauxAjmSTDRanej9jxX8LO+kW3G4ZX0jpDfd7pD6aw8BidC2r1aJCXqhjHwQ0nBz3pqzQ0wsnEeW552ZMF/qm1M6gdpDOpBHHztVAINZ6hHV7aqSj/h4JbC96ASVU1NI/3N5r3wC+OvQgtx1DaCw8tEvpLUZXPFxXUUjv6wPGB5xFJkK74pFlDSjanhtNRX7Ig3gwi9OEJYSjX/YgasRlLh7Q5/4ZvoxCaCvwcGGhaMfHLDFQn5Ac2HHamwf+QhOWRtUT3710gQjuFk912lHBFB6g/Kj1sdi9Pc2uL43D0XcNDuLaHBraDpTyKfSPhjtGdxc7nQg/8xnTbLLmEWVOoguQ5A7ouIwmdl8MeZUA02/+aBF+boeW3njuP3RDmodElL98RyiMh9FrmasMksBL8SarTPY5Eu1B667c3SBzpQau4xpU02FBSEJ/gooFMW54cgR2HJ1EN9cj47GRJKzYWC0ig19I5KllCgW4p9Exj8PKiaqkvCfNqx100X98b6MPfj0n+zwG8XXjvN7QL3ROeD+nX+un//YUG5Rwz17LiWRXTqVrbBjWNdHtX5STX5jk2kZd2hC1Em2RjShq+SNVLvThTsgKBxuwVfQhiFgIZMIphcqp3rs6w3V2z1mR6VhqjkvZg7x3qMrXCg8DSTsBu8M/cONkwb6YTeGulGizqbykx1193lR2OO7eb1DDtvGY0RhFxM+ZlUngIpdME0Pc3BcH3wQLmmjJreWPNMj8NagEefWwGpVQy74mJPegPqUaM96lHORdkvHmcXXCubACBnwYaPev6A0lc/mKVzZiGmW9J5fmzkavrhzCsKtHUfPT6s3/C6SsFAr8w+QV5jz+SSkKk7P1ZD7uL8RB13zYwDcksaRCZ4+XVVyirR5y374oa3GLsKgCIwt6nXt7E2Ps0wFXeslXbP3Bmp/+3xB6lYFYQZCpVYI3MAoqUgholHACuPTZdSh4fmGI2zyLrTS3JtImCrUvrLr9dZhiai/hwNeNzzHGDqyfJaIupwCP7rXpSvDBpK27PhK8PYs4LXpLQIAqG3y5CEuFeEbCmiYUBAbWhlUTlhXePxy+gLt/Tl6GS2VLatbxlqfz+tAbIU7jWiN8aHJgni1hZP8pJZM3a7IPwgFl6BWHDrqsbVqa+GJbUCh6iPcblJs2f2rDWq2V7W8WNF4EXUx2eZEj1k1DJGHSx9mq1NUvAFTci02mI+gShH9LSRnkj0IvLytOWazqULBIQPD34nKWH5OAo/AMow7AuXxIdFdsnOX7qqzzjRKqEKjpTySiX1SvbfMDyUATNZEcH+B4JvXbOQ0pvgNDIbk/6Uat9rVfKeBThM4Da7kjrbu9dlQsKnUFkPWbvFD5KBiV0dY9Qw9+dDhMm7++u/6S6rcg40zezmpceV8APdd36T6hBYbKATNh1sBmuB9TpOKX3RDwPvx2ntuHsn9ynq5ZmEwMDeZhC4/k5XPe5Ndq9EyK5Pfx+eICee8HtlBElYUnOVbzpFqYAJmfF0PO34qPWbmOOMXqUASYzM2TL5v2pNw7XeoMwc2Mk1NM7eKkwjkhICV/4Vkt7pxLXyEgOqECpwztbLTl6Li8jgjvXWvwc3tghNY1WBzBX4/9TbDMR39QkcfuhZXknAXnFF3sSlUVPrUsW5Vz29U+h+eat/iCNa+CQ7YfQAR/wv9bSMaBoz5dyYoklL+/hQTvIlnbhJaYAIYDhs95uaq/OMNzpuANJhshVFJpTOQGYVEVheZ4vC5CxHhAKArgywdtLmwR2b1OCOGiWCx+mOGBdun5fSJf6erxDTvfIt4r/dIjDChW2cGGpBz8/O7E5yYPO6q3Bv+9yceMPrRWjokbjL1wEUg29bgCEsKSnpRxuXbicxx+ZHM+71qA/BMz1j7kVeuc5awoL6tjhKrNar0MAHLjm7AoS3fRNezueEbafeJ3b2KRwUX4PsbcYC9MnB/p72tXr8QdR8OV2ChcVw6nAFcPzvBbDeoXExZLQzo/QWzqILd2Ga+w8TyoxYs2/Kbs382a0qm+TA4R2VHQ2UyT1sAz7oNB2UCqZXUr9w2kPgTxk5+LdZRw69rJGdBFuo9bG9j0MeQHCZH/8/Qve4yMf5qriczKC4n+abSza9zC0uthoZP4+SoxiXJLBHB49DLNfGoDRHVfAV6ccCYE6gPkDMAsjLbu1DJnIPvl1uzu197miatfzy3FE9F0M8fLTPsKS6TC82Rr4y4yhazE34tT4D0twSQC0pgx4gwLSEIozG8XysM8/cVN5Jze6pfmURrrSZ3xpRLh4kjSksEQVObO8GNy0jUuQp2s83sgqsqi/cluAz5tDKZUVpxq8pu68x9RXR9J7ONBbZHZqd0IpksOC1Yksyr/Y/gMmr0E9y0NP1FFVTc0cAUeJMumrfTZ5yhELw4izvvSFj4u1kK0Hi9KzWLDtCdvBxm9YKUKI59JUO/WAkHSEFGFpqh9hz5ZTk54Fs9NIOH9+Jzt8cUWxlyasVyJ9qgyjAv7pHhPbOFGz7UgZKlpLGG9FQuHj8kbP2ICGK73Io/+AbWUd9YFH1LKCrRYEyHe5E5xfEgRI5c1unUl3nV5qOWA1FeOAGkKh/lUzlh3/JXU7x1LusUcYDi6fzKV5ebob1mcMoWJyLTZFLef0BV4ApBE0fQqlbyueEzjidTT93ydsbrdunmeIkQm4YgDZaimlwAG3VaEvmeCU81yFxRUXeIcE1Q4jU0qGtTMAqj/UCl7K2lUu7NZcqPdIEF9yehIi949U3XnTq9PuUyy/fqmHKoaje3/QqlYzREcAHGr9tNcEnvKNQGdV7cwHbjeyArUm/ficYoUUUHJXQD0QhWNL73UFvtLUptqCT/5n6GGDdxWUNvv1JRN5a7yDWNbasRyStYoL+oY7QA9ihx8jeksXBmrRLunm57oVZw2Unsdt8+TlMILkMDLJc8eoPf5/u3F9sGLrankhEYKLoKJ6o3qxIIWBz3RDTtvtvO0jGgJeDQNhSvNedpP6HPFgblZi5ggCHOpdEw4dObSc17kQlT8O63CN9RU4as3o/wu219+Jxws3RtjSnhTPqq5nxM3fjM9TnNLT/HYoms+hRYG/jk7ZDkoxp6SNQdbePIoJyQbsrGPrpcc7gtObd043ggCyx1hmY7yBs0bNqxPbiXR01ojSaHq+uPPnfMZK5JHpwVPQC4epkflvOIeJJEfeoBWIfNpgFhyV4mhLA20hgCzXR5ViyWu4aVrWo0xFjzpwzX1uZhw/kWiHjCGG4VMXva25CH/6q11jggNGnQwJJNiaPMTpB/fLNINNj7tOfrL+1hqoymWSbvx9xqTX6G5TvVDzBxATWrck3VWvhYk9Culzd8gUzs9ZYAu7GPwLDxCkyvu3T+XgExthLi+0CGKjY7QGjYHYqnP/cmiZxXJhkTlRTp306VMmR6B3OPt1rPrgL7SUzvzB1tldPdNn7n+7U82tQNv0fvUp+jkWrqkwCfBaQqVU3JqA4XtrP+2ztVsUF1ctcJyfLsX/kNUlUUTRrR0unvxYKDz+mLvQQ8L0eI+ySq2RuLvLk8Q49KgmjJ9EsVC9kPmeTRSAqNk/hw0oA2voxJDGSOv3VN/8mochcnYW6aONxhwo8r3kNjoAieWHyGt3P6Dsb3V19LYM+x/yzXspSJtQ33Zrm5sehuP9wAe71rsQ//f3DRad6WguUQD3UvgSoyOBFm6VQ320M07X69claM0254oveiYnwtW5VJAmkIPfoFJsRl2tPJ3HJyrN6ly6R6EtSWV5JFkwUOs0mDU/7ByjH5u/QRWf4zJHeTBGQgswHjxp0NKs4sAsbOvlfvM/l2YhKO6GnZtZs8RGDPae6YaLZz01kGflaJVezqq3dbztFiScPB2Kcw8rPU6WV3Fos/ycuk+iZj0kVhIJkIfZ+7lyJlGieqhoA4wtg6ponz1Ynj8aye4NuiEtTFmZ9RhV3fhVnzvOvFVU4nyfHfmiUeAUt15LW1kheglQPhKsChMKh0p1nBq00prMeC9IQ6TVeArrcgrmKGNia1GNiEtimQ4DPdyltn4SD87OknjCwEYsY37/KRsUtmkH+lP4VyAaUDwOF3ZfLjZ/azc+LT/s0ivTo/i/nJ3ouZ5VRkha59tEZcC+Kg04mJhG7kbxiW8F1nyBcE300nVS5l/y4TkPfIIPO+jGWLCZpyZBgMAV2JY2W2fAlvPE31U+gawp/TaEOkMuDoNyoUZ9QZ5tH7eMxRzWc8JikczKMh3+sRTTZ+dSExsjoOH6cTbQPildsVwq+DxCDQywJmx6mYYG0W+Ls/DFkujvqWr+1KRmxhzS/DUYjtiFDwKZyVGr/WC8gK5WDw7YoR9wqJ9IW2LOvDaa+g+24HViaiozvuq3jeIcW5VeuZIG0zswUGMbl0AV+zZQ5eZ35BHZp6vJmq/XSVYQpCNdITGK7e78AIRUrDyYmLO4IoC5H8Fa/ouwndc2496Cb8G7oAUKHGJpXDzcorHJhZaxZJUUO5Fb9hCY0oQP+5nM09XWDyQN4ibWPXd9BhJPdJek6F08OXjFgZ2d3QWw5Ef4ZuJJNHfUmv6tyRfSnKjlJmH2Hvcy4jsgH8NwCvCk+xlRWt24ccZFqosvyVtoDCYVxn6NkNcQAiMoXj+8+JwUPkfwCZlDsee4PlH8dycvKx6mmSS5m13Ny+rLyKDuqCFg3fzc02NSDiT+Fh5cbFxQ7cI56KLy6rFo/N4B8NWi7Yflrq40yoF6fN2Q6bFBlHYfSJM+TPQPphjCUN+sQWQ4qgzoAGuczVbOG6RA=="};
+export const words7 = {"count":44,"iterations":50000,"data":"BxZgwhBJH6VuPSz+NZC/+81R9ZezrMwBsceWk/BX40G3QuKSjmCSAWmhjjfMuNDP+KULVIw8vm/9juHZo4pItKwmkbWArkFiqUe9WsLSd9TsTQDDnbH8x4gfdCvxxzMPBCBnA4AmKGOjU0jaVctADyDCzAvak5ypNox1/0TG6GzXwCwZO+SywT0jj7KVUa7aYGbpSGQwPJv+rQ/Zw5H6Xld0+gHNQOc+Tyx35NdoNbKdBnq7I/A/UZheVuIpZ2NAYIrcdGYsmXp+KfpdGcmEXjURgIJXx+/4RVcamZThdmkHGWhY7sPamb7GYqoVjH2CdpdADSO/n6sUApJLgjwePgIgvPhE30r0WENOoogVjVKWZnsMHpgz6MWv0hMEVicVyFgKzIJNQt/QRZgxOS2rf5A8f4hRBuRCh6qP06n0tKJ3LHKAg8u/jgOBEAQ6qHpCshsxz5tnSsUmqZiiwT0vouPBlc8yKCV0okNSo/k3j2DL0QWj72KDHSNfKQhD78+rc7HYUYbHWgJQWvBGMCrzmpVlDdb7ZVJ93471z0xe3a4jxJ0Jy5OXwp1nNekysue5QNdQb938fk+dc3PZHba37ma8415CzqG6Sre1y8DZStkoyVFrsiOkQQKYzLNGsSHvUF4w2Uxm+K2M6GLS0Iy0F1tdwv60EPCK9L2DOkMd8FVMuNXYOCb86fz0UMwuFRGfqzkmysC9Lw765pTkB/LLJq1Heg6dgopXBCXhbjDef+wy5Upj2+17mMbUf7J+ENHiFV0APytzJjEOEqnE2GrwGZMmdpLBFReO+flScQzaVm2PqFJr85fO6glGp5IKYNVSZ3lf4KjzVNXHTc3OliVEQJX4O8k="};
+export const allowed7 = {"count":14753,"hashes":13,"bits":"hzlUl4Uj0udAFrgio9jlFLkIQf9bFyr9WXww3DSbOU5HDgbPPCgpTBoGpCwej0TRO1kuIC9VmN0qnEeGRal5Dg93yLM7X5Q1LP5AuNCqD6jzfT5kwON3wc5PFhG3fXk3eo21sVyrvOPS4dz47BaKF68ipl/l3UDc1pAcMqwPOE+fWcLExuVnUEObChUDDjPKRMZI5OBmsoVRdNvzNqZFMrs5KbKj90rK21DK4Dvk5kVoOMgxyvRd1QI1xX4m8VW2NiX2TXRKLOK5o3FiZnbXscri1lWFDSRfeVtYpN/MeKhBQkCBUvPOWm4AbzTj0LgggTowTLGnXWGIs2WNFhPagRUgvRuo62VGANKEjyataSUrlHBv72LGcnloqS9RQ0a4wtcdCx02fBlwehKMBOxNLWQ/RuQZZx7osefsZGVNyzSxmEwswqaKhctzHX7ExUFnTXu+FDLEOz2Wr6FCOuG5/0dp41hzDjb/cdlqDz+N/O7rh5qq9oIgRrQTpHzsG0Ef0X3fiHaIDVA3AklqexhRNA0+SAJERWsCr4vzlo9c5zQ5O7RRiB+OIfSdK/RzaGiZViAFEkaqf2WWLu1TYoK3kmfFMwg2sZn5OxdiRDs5zOz9YhABZOwHx0iJD6S3lxcbnTLN445tA86x12VFeQ3Uit9XdgvmYlZNTsVukpZM1eKO936RWw/SpDE+Z88iGOo1IVWDfAMxKlqixO59/N0AFp3FaZHg2dKMdYLPHmGPTKuGKU0Cv8F1ssUgFnPfvof06+zI5ikYwCoGn1bH/1VLRpIh+x1Kwd3wS1XJ42kZclsGafjwU8oR/tSaLdsQp2r8bUTz1UACJHM0QKmufV9M9iBcG2gxyoHXU/7SrpLttEWggc5Y/EQz/6EmcKNfTB+h+sKIxpOfmYAZIGPiQFkFSDgswsVzpKETWmi20Q52iX95StATQmwsxTeU6eIgS7eMaeV4m8gHPaULl1FWxLbSoM1lETbuDO7mQoULdVUQtQxZnvcNbAtIiTa4ekHmrz+VSSfdoBG0jmFLE1NQ3mlS3ZvjNtrmZtBMvl/NG/nqrwn95YKh2RKHPee3m5x/o7d9Q0EGn4QnNn4Nx+ASS+JiCITHBbHxOztvejT9Vs1J3aozJLu5leS6KwW2vdUQtHAp8EmOFDDBPZ8E0kgmrwHZRLeEoEXIBQewy+DYnDztw9rm0SpoaegKRT+cnIyvVTeHHvkH1LZtumZecA4a2I5qAkVGARrO2A/2sCSo7WlvEI5XFXBwZ3613+AXw1tbvhlrdS6gItUDppHE31QrllQwraR1kVgM9xpaG5CeKnAmKOF3p+r9egqkF3tC3AJTalux5QMNBLIw4Tg/RKUjcF+r1AR2Kw3cm2wnh/yvqPGfIwN9HC/VhsIVvW2hf146rXhrKmO2lbjt3BoNNkxSRjiTz+3jDUJgL82hzBQuGuoJrJdNidE2j94Z3t3IpMD0sL0ROaVRQFi8/x6zPmfZFXYwoJ6n/L8X4jmj/oQWCSdVMQAQwKitOG/+Ogg1Fm4ulKycSkYO782O/jXuIA1Pv2NO8w18nLVe9gRXFo9GcfWHjX+XMmaEOBvOl3IL/kmhTBKWccz67kQiswjJ/7BQCGcs1IsTvMjywi4JgMC9CaE5MohTA0qZFKsz7P9PxRPyy2AM/hw4vyaU9q+iMhY0ivwlMphoc3SrilGCwnG/P7NCqbW1nTH/JLBNlWVDOBP+xyRU8lNGAYIca6vlufPCE1MbfwLC3fYLztYBXvk/0zsbUkmvznqzJeYhJJ6/BGukKSX2wZVtveISIH1RO0cquLGpAmwbBy8WWhVHAGT0DDU1aGsBtBFBtHjFiA5lsUTLMYSAVOOG3Xbk0u5lKZvNYOf31F+q8JBYcgb3D/ylsQrqpEnmfR8JdoaDRh8JQ71TVEAbZYGVq3q4jxoVLUMukCSRKa1+u+Q805h+hCFjkkW5ZSn1Y0aV5Dp+nm2kZGP5Q+liQ2UNLTyWK/IFLQLEzkWQsPmiRimsz0g/gugOCpmL1yx10pipzqrwLvjUifSlkaTZVUEU/9R5d2+lT9igM9HRcXBJLPf0RAGBhiwh9cN2Luho5pAOvCRChyOmixnYsuaKIGs+6Kex8Mdj84rz4mltQnzbtk+MtqayAMrrBJl5c7uksxV66grW4bttaRH98KQqBCbiER6XySuZV4jQpnarpFwDpAsX3qOAbM4vRydjXt0Yf9cgPLsB8puJiY8oh8EnYiYHJrebyR3Pw353Xex1FGukRbb+f61BnVKd3aZx+bOczef0yAukKpIAnqK3mEypu/1RYdjfwXsbCkWGW5TIwG1KNflh7oABCCYHmP6Dxi54DWTTFLGo4iBetUT66pa7mLGhEk8IH9RSYFUnUCOHx1ZVfvhkc4r83f6gn0L+f4/Ubb0gC9zePbPF63HJZlDASpSlcu7dM6wRICNonK/QWVrikzSI5CKrWdFh8Up+p2Rtat8aOULC3OhyNPlcZj4tB7jIyL3GnI+NswLtGByRYO3JpYw4UUN4R8mDN91CMzoEgO5iI7q4czMMWuE0XoZcYikFOVaADguKeHo/bC08Qth7CroV5fEw57Ba1BdoaB6LgGA5ODSB2P9CNrBSAsYfW0r/OqDpQ+aFKsBv1EkLKkowZVnjHgBJdUGxYZkl690jjhD9Ecg2rGYsSsyMb4yscHqvVCouZH0UkwsMnnUHITwVPEzfSyXWp2ez/NJCyo02KZq9JaYiszomu/hhP1tDardnjrTamxp2ZgjZ2InGevTmxqlamFASZmI1JHB6lEJD3+sDDBgTAWVF3SW70vTlRKc5QUL2p5QIh7Et4F9BXplUnhySKTsUtRzKj1sJQdPJ4Kif8JeB04WJF9mL10958Ozo8S8RudxQU1nC0yGK7wb0xMMT6NQNLx2oF2DMPnorwZ21BGBQHRQ6MpTjwXYsW+ricYIWqFRuKaoEgi97tDzvGAtCpWXfmnqFFbc4HizIfKUOiPFeGGEHqljnB9UHfvC/v0s9oc9B2t4kRr/8wcZkv8n7vaDm4NWq3ThdG5XRaRZcLR9nDkVG6E20UCYZUQ5sNCkUj0Nabp50SWUbecuToucWYW9GvoD8I4Ek4jUpQ8BNRf+cEhaEZfPLC0kPi+RfoWDXe1M+CcvBCtiOPqeINKWNZFz7M9NdllQnJhlnu3qdEVmASX9R8/gPaGHV53PWQOvJ1bkhiGsWhIQewz6Dn9T8OmTuN3nE+f1Vw9QD7RyYgPhzJlhQogYJXkFDY5vyJ31pUzg9f/VGZn5NXGjSYKGXuljehpNKgA9EnD2SzlO6Qifb4JA3sZDGPxI747SLYSKe4YcRopycntqVOLbkIZTHeOxM2eTjXQJcn9QPYWGy8eYimDpIv4jJd30e3MZT4v7YCbiCoZ5aZkQF0p6pfYitHglva6U4xZzbneMxT/2X9BXXJM4KuA6p+Oqf5CQ/qTrVjbbXVywvbqHEAB+ZffQpirT4RRbjd3zFzmHhnN61zUVJwarp/S1QhFFM3yuqDQW16ufJ8pqdzQvkXWv8BITPxYdBoSUvc3qNNoTqGKaKkC9es4q13vWQC7JARvJ2iQmxyv6UJJStdWJ3DXvZvLPlT9wmXtTLzbNZzWQlc8rMb991AjsX75LsC90Lh2uCuA6YCXIIJB+mpYNCeksJVnhYRVAh3N4c5T7K6c3MZj+izwGaRLiHVdrFsVDrdRZ3//3WJEzAdKxJyP+LqcgCs7zkcFzM/tZeyxvWWo7MBvOqTa2TrDvmjnwKkRtNYj+7LSC04om+mZ94lXlYKyD+JtBplQPQ1dKzKvk+OzbkcfNGoB+9Ah0eKvzcH2d8gENOS2NdMNJJ2KtkS9R1J3Td0UZwLTGeOH2t4IOuwQRzkRVsr7CzKbd12fHjYnVOaiPHZTOWtSk/a7gzKiJWTzAYEV3byQm26ioxZWaS2AFLTeSuOkyqfO06u3M8IR0mOeVD2t9hX9hY6gpEFjGG+nh77Rmmk+Fa42vOPFLgi1GYA2NPa3b9SktoFcS9naeT3QT7Mho9bZ1F8rEJRNis+NA4B0T1tR5Dt39gpuEqP+eMLJuLAn7eniyHTsqO2SolWRqzmjrVNOmULifG4/yfT78bZgaFEO+jotIgLtByn/2Z6wWeuM5q/z+hFynHL/9/BXUMTOUAFGqbuwMlwOFJSQqVVpFdzRNeXajBex6E1ABXMc8H+i26EykDdudFcqeT/OhTaS1TKvr6lKKr+2xdS1XosercyleSsBOk+jguAJ2Tlq04Oz43TUNXiKIOGHcXJrnaNoklzgTAZIU+Avz8f2UGcQQI9fYIxhksHoXYS9VS08sscjxsGQkTsX3cFCioAWX1IjZLpX9hYHG/f3MKkbqb3omieHbqZ/1sW7DO75+Cwr3AC2bhWglq25K/x82vMAhaTRJnwcn+estmPzzRL+gb02v7BKzO0jQJRAoCNvLPPlDUGWKZvlgZrLA8Ldb1VIyWNRiBAOUz7CPujiL8KzEwmq66Y8ux44rq3Lccl4FNdMr6V+0tyImBg/oiWVFY0KGhPMmAhn8khZfnCeHpLjlSGAYcvwT+elJBKZ+DybOyFzsArKyui5kziWgV1kUV2KMIzGPYIcfgJo7ku5BRPqJa4XNleoJyMWQMqXOfc6YwY+r0e9l+qlX6Sux9ZY8jSKQ/50m0hjcQZlqFYF33uteXi8G7s9UrAD0YChpkatXTmK7gaRVyEAgV52aAKb5BJEzC9vsdZbibZ0F8BaXjT0aeo87ZU4zGPV1NVP194jx0Aqh+CReDMJE9Yublm+NghXrxtEQYVmpI04zuO5rgK2f3ywn+2SZ7ZmXU2laclLP8knVC3ET2HRcC+19CsKrQ4R890nPQgg7pPyNQDLtCdKWwe1kgCEVnLrQnRtK4vFCM/r6I/kVaxcrUyweelv3j5QIC5rhTmJe3Z6GjbB9CTX4JMkdgdXLjpzQKtir7rVRo4AiqwqL19PcblLdqduB7XVRboio46VL1HAHWFHBORGxD3Sy81E9VXsG2Q/o/UXkixrI0rU3k/Sf5A6AViaorlTn0L1bctPTf7wFzGMSZYdJghsNbET4j6UxE1Qr25JhIeaM7JGPa5tnRGmK4ODWjtm7bNLaTFGz45WIQ15Pd1uPIAp7pcuRpGMQRmTORB2sTMqeLcwNQ/B4vvSo/v1gvBrgyb6xd937Ox8I2fs10Lp+jx5N0p1KSSE60M9tu7zVzWcfOAF7DfuKFLUc+Tvnq3Pue18AnCLfIlvz++B+M0LxfsRNHTO8CsCFGgVciy5kx/WdNZ4x/Bt4KaeE86D91YuKDbQogRlfTG0Xki1GiXUKPTyQAYAgxgauEEckTyerAzVhPF/JMlQYiYu/6DF08Huy/POQnAEGckaFsnvHMqViPKMJo3Dr4EKIcbQZkY6MI7d1WUaipQn4dIzzvYH9cvy8CyYR78taHt1jvtPLiAkvl65cXatEzlYNOU9XNMLnMIhAPl8d7D3Kk276kVgy/oi6IGRVLtH6xZ84EXoWty8ARTmF3pGgX6CbRgR7tPoa39Rt+iDZRwyAJ7O+uOOiCUylJYAIEswoGjHEUblxgxaGj1IKyWEBRoGdqh6N/I7YultdZ1hs6KcdKrM0PzE6KKsT58cnnIhulBB4ZA7UdlkQtz667xtftBIV6bfbsvQ+/37834N9pCYC6IdT8UV6Oz+BaJXM3SoBg0OHY4aUJYturgcRhHZryRIOfAMmg48ywF6M7h1OH6yvcoaUB7tjN4v99mvvpA/EaBTjW/9MaLgMOvJf7wxnCBzI97W7FdbiFMbavV+JwJKStWjrepTQOY2cgoEhMnhQweMAvY9C1meFDQ8Lzu0dq8x/0Be/1rPjq+3e/ER4cPiCxavt1QW8OhsOdDLvJCpql5LwA7c5mPA9+f9xz2sUX8BbKjD2vig11IYU16Lsv0ynsmSgkcoPk9D+2uMWEt8yGKcaliMzzG2gCSJBKoHvKCDEG5wSTByFMVn7Yo8/3hJ5A/JFq3mizicjxuOK0xIN536OLbRRteqvzb6/raTmRGQFresilZm8FocTnZ8fi+oqAikZKXLKuTWdSYXcEF5ShyYcdamqbBf9Gc4EOO+p9sXzV/ttW0uot4Q98eeZvCy76SP94UYL+nH9Dfbstd/9RmjyXm5w1MHcfYYgQSZFByVl2GaYm1cbY3/HOzSLNrWZNPtZ7Fd1b3xhE6YnlRHKmNAhtmPmpMbrOYXShejs19T0ikWkxZ6XjC9R3uJZEEK3k4AHGaT8lrAukSnpLhY8VV0NNFPbXxRwYioulFSXAHNjiiFk6BZUOxkXGLx96+GSUdJo+Lf/2GTeb4fYJB7T8I7ugzRbBxu4X5fwx9qFngNJ0Bj4aBTL0ypycomtCIwSyi0OxWa87kvQ54NqScGHPv04Gu0PJqUpKTfK7bAK5zxk6zWGF+uAGIZgelJZCZiut2rpvZ0+jo9BnXgOQZSg4bguKiPnZfswwShxgRlh5p2qWVuA7KukirnPPnQxWGmg7JyyY5UJ7ao6laVO4h5GTs+TYnkYqjoazKx9tSSfgwn1b5Ar4aJ+6gV2/6V4IRG5B+xxFBtwblv+CH+yKccK71OiyzF9TRNTeYrw7cyZaPsE7Vh5k40hi9paeQ7HuEHg7dt5piyy23AXWuvWVgUnwDRFz9HKo9lSW8sRUp8YwZKgRPwnjUcHg81Dxg1OOJfDXUUPHuZZZauM9AlQH8aU+czgYNYJE7yqdLtY/eVRwAFG+jD4wEHBk/7xGBU6d6DwAhIO1aBYyCPyRX3/c6C9h36c4L7V6+Wd+RD3pIq8wVpZcwTIZl/1Wy7XKEIUWNDKdQb3yNbapE/Da+UqaHitUQR984ZbnsBG/LW3D51pzDzZSP0rYpJzp4XN8Rm1EA7PLFj4wlM1mSUIW/6Ia9sE0NXOavB9dl9cwGbd5jDm1bmjdckA5WEMFeLpf7PcwL25oYuxILdbllmsvIwEIP+7iogLk4GYcpv/NndbwVo5KKZPWMYhdq5ntdFDTmfcA6sgFmGzgp+RDzUFTnHV1ZEBwhYAZ6OvS/oNzUYRYXcVXhFVmM02X4QQverI0B2D55HOifaNkReSI1ADYrFwtBVmDieEXi7LrabybYymMTouyIYDmuiKo76oHA6zsg4Mp+9kb4qLVfApTTEDFMJSNr+Vo1tAZ/Ho4BxLNy2DjUzUFBnzN0oU4ynjl66MDmYVoIQxDl/MyjnNRpRKvkjP0ADhZhz6mZepBJMxZzaYV2VnKJ0V3FoufSfxHEnTyyIYFy5Aqg3PXp+kyYA+RS272Q+ArnKL5ThWbZQj/BZ2mYByVua+8152on4LFQxCWGIiThQg5QljFIU5/Qr1eeGGieFOH4QCMpJomYhO8lFhqbsacLz4qT9UsIEBG0NqwpTocYCjaxoisdkAOJ+WZwFhOYfAVOXyM+P/61jZFwGQVrYMvTJO+CXLPl4J2ZzzBtodyYD7l3rHrav+TWX1l4lI7gl6hvORjfDTU5SGEJmVMRWKsF5hde4gyRA+a0qQIjTXpabispfzskQIaizOgYFU7xEgYmMsxD59df5AwsRDwXtoZeJeXC0KHtI3Qln8Bd92xuVpKp0E0OO1M2BbSjddiYU/O0O6CQBZAy3DywF1hmfmtEL1yj3bPaJGBSML2G9LC7gsq5Xhqa110XCiYlXljY0GIB4jY5a0tWiQb6BqNV4N3Y7IXFsKDXG8ls6N/kcDfvFGtQ5lDh2kRa5xX4VpK5ZkKVsNqLq5H/O8orVTPUXETOArkfWwYYJUYvR/zUIZdiiOk/paOyqrEIrf3A2X3YNFiyPYOW3bAJnK9Q1zVWBQIsoeTTZ0Opwope5RDfRPon0LQzOCSlZ6s39LtFShobBuqn9FlozIBH0vpPi94+hqnxo7hcezHaKjHChZfs3BnHDag+sLNniyekhKG/2GVrbCwuVEOelgGi2oiJixZAt2bo0D0dUpmYen1q//FKCgSkkbrjhTDkkj8ev1O8ISGd1UFZGTqzZ/EptvM0fClc73LC22tPNNlt4hDb28pD2L4auIrGvD3mm2g+OAe9YJsimaJzMxykUPzAYPv0DCp7xBobXzSi3aub8zzazv6CEp0RDMcPrz+0D6sICHho9F6yvAnRDua+6v6rXgkqRYKrX92w1po3OKp7bOuZX3h6csml5lH6u6qePWt5l6pkQXKNef50L1SAUQV6yvXh5K4U6DBodgIW1QN/9oCm6kbhm33c2/cUePpFgLHZxIDSiRVONZtK1U8YGcwUSZvWjkJCpA9vbdLOEIMGX2rs+3hOCMcpr707L/irqh1xFknivPcDeqgQDw8X8xwsEhCNHRCyfyUuo3lR/ZaD/Ackey7NCeVIy74dV6e05FDRDVIqIs+rr2C6Aq+gpWw4d7JaExe6gfVIbXgwsxP6P9ysljXkvnE3HXvIe5cEbgA4eqXQz9HucHSb+0ZN5MzApDgtHV1xAFsaTchYxNGaXm9o4Balt+8f7rb6J9tlMdGcHAx9rf14qUwBcqsUmPxAN+j1rLpIQ+kiZWa3cONltmkLOin3xjfAozgw8B9USoDpTjeT6rMlyZHkK1RLkspHBZKZQ15OULjbBpnAeAOepmr5DxTuMOAFrE51GbgB6UJWoygALRtbByQQ4uMyfSwCFPHBsroqZgJy+siF78gfHQO3XzMwdC2SWJ3QYjjOcung0ShWa1BM6Q6nZbf0D5DpmCgs0gT6QEeaLhdhkqoXlbTS9coPoOBr4x3Wli6py7t+Rn2cajcH2T+VuJl9GQxdmfqsY+y3GZtIDFPpqbNHRxXJopj6ZYgEYjOhdtEq/3jcETusYidt1p0dFINXzN1L4L5mdaIOkk1HAkOZYvDlfpAV+VCKi1FkYXpwkXhYLjEGfrtQ2L97XwwXJEEQPUwH5KITMKckFHkCpRS+3n7oi0AjdIqTiw03zdqLuxpSul8gGcrMABaeYvliGu36QNlbFApdqVaBcvYOBEYGh4PHVGpCIZERZqckZf5wHvPiPr53T7o+dC/RbvkOrJAlZz6DKdxZMRMm2sr7fPUHodDJ2lyFyE5tS/CVUw15U+PV9oqpt1r/uxTt3/pH94DR+AUBwZIQvTj2l2d+PZfsZMFf0TozXolMe8uhP12CGFwEqGSRUgVdQv8b/AexC/EdE/7sy/PbFkbx9i6KR9+FBmQ8OM4Pfl1dZ39mBDMP5sB+V1jawz1oHTv6iX5r+dF0q+lbWQbjMkW5wIdQ4STjsR8L/BGQtyXR6UHp7Ez2nhw0XhTsmtHZvVCieDtp06ibOgejup68U5gGSkcIC4pHd6cp8MagtgDyOKJdMZkNyIr+Rmu0KJAy4ZRNlUq+qoB5DW5mnk+RUDSV+LGRnlY+aZDKr2wOQ6FKGzbsk2y2WRVmvucoFyHVC8IFQsHtYmAmB3wM4IE/wI4N+JrltkjkhhOBFmsFK+VoL4scorzKykvD81zmH8wSk75UJWRGyZ2PDSN18EjDfYu0zMGyEJgwrxhakRovT4+YWbycfnKXKpkTSwmVD0ZXC7ulLAAVhG0XKmhWwDSXPl4wYwQ3g/y0Jdo2pRsxkiJCZgcQjzdj79XgoyRi+JR2iDm9qJAYqhNCHwYQ93mhNuwiumsXulrGblJjOTcexIehyetswOeQlGBZ5E8spuxzDzvdt6VinacOdrUj7PC2s7Tq+/a74LLo80OT6PnIceO4t5oUXEOKGQ2vTjrMdbELi6Dhg1v5JGAHjz0p1hfFdBfPHem7DPqmF6WaAFcHkOlEPjcjT+J2CIoc1zeNbz+GQ+gQWEoWqK/Aob8i+jgwUOomEbsH+asw+iih2RhkOTGhDxd3f0gcSMtShgDZucqMfcjyzkG7YhjDfVB8AbnnfazyP2y3IZk6GN9fY2JSKfp1czsZfFb8CQxvMWaQxBoSrUBOQ170Ms8lkmpEr7hTtaMTCNUOx8AodzACJ2hLYvSTy3N33eKrEQGdq5dBXfuKCOQ3k3SIdvPT2VLr4PSq4jSTbBgabiJ+tdUf5hXsCeEjgMBQyKl3xIkbmDMCVqsHhSBbBs7vZU5Yt7xfZkPCsGmzl37DVEriSW9B+4wiMQw6vf+FEErJNfFggAvsOiQ78UYWHXKKoQRynDAYoqMmfHBIBHQRmNzqK/w3u3qeW2ory9zRMg5h2Wv+TkDzUko0y5YjErDkKOAA0ubSIGtgfRM0IO/TorHDtHPIEiot1cy4SLOuYMw5drsXyiPK77EE1pzqJhhhplkKlNnfCU9zlrFKLHqrhDc5o+t1mGTH5VPbdJIZtk0dgJqPVleBAALDQ7JSitLGj+RpE8FdtHjhOLt7C+4w1Bec8aVIh4kwtbgs1o4dT4B2t/ponF4NImINL4wwvzcjqFmVQkbq9P0Od+ajSbn/XI6uRt56+Ti1vZWUukPFI3mjpck9TaD577jfB2IVuq2XJg69zeQQ/IG55YnRguPLP0wRTsVG8SsCmu4SP68kUevbnvA3H40btZ6YKLWvEqtBEPNxUA5Qgb0YIzM/2qF8SxLIq/vqMdDEvEDfBHjJMEMgSr2N5VWzlEI5LR5lRQnPZjFsic4sB14qRAtaEvkdhYvkAG7y8MbtVqU15hOHl4LxWxWPYQ/p0ms9GgC9cUBjnhamhaQaGUaBvtsFg2CIy11qWPoLnYVfT57HrhrfMo/V6Ec4HKi/IG3+Kpvb7A8nAsh0OXj2okWlspFeBVWb3JfiffgUJCfKn60zdi5sG0CI4IEIRODrmWb2GsQUg2svnZIbCC8UIctljJSr+38nDM3yfylYHyTw4kqN7B1hiY4HCEabuLH3NtJCmtPl1fARMzfUGkafo8Y4V7C9BmGn+xxTRNHGKv8wIA2JFl8kELv44uovAzSzdjhUeFIoOVeSIgn9JwboRAVHYZ+jsLpVoEhG6NLEtAH8zjCWogqC3nZZEzXXkINDtCA1lTuJ6N1yQ8Kl8iA4bKGQgKKHHHQI2gge4dL1J5VlOZdA06TPsBJRRJxUUmf5oao042ubSIzv0aqh7hfubVB8zG9stlMWtczE1wh9OR2vqEUGdDEfevcZ3R1BhNHO9prGRDiQVKyMabv5btPe/6MoQJKlASIOriwawyLJEqzs/cwCSwjbcsDONSKxGICdF7U6yKxXFiQ1U3Z3jR5kqZ0A0Ih34Ifwf9FPSbdoFiRJnJgw4SPiVQ1Y1Kq1SMyTPcytNyl0BRy5LM0mgrRPzUHAFm3SCwSTnmG6Jb9h4HFznB7wieLHyf6iqxsNJ+2seCxrtUtFT1pQWPzppvVDbLjUpdAOzYzL877f0eLPeZaEwxYJKfIhiHBMFAwMa2QifiT0931/hAmox1JrKDgb0nFjLGhGSlZRNVeq4QoyVKm8+81UinoCK4ybwpxqrMgh97/MFyhSNESdFBFKM1dBQDhCBIps55bvBcqqZRvez9ppTsp9W1kI1uZvwL5gDHKNm+6gkuSgcSdxOqe2W2DTgbE4Hxm/d2S88j3SS5ZMBPICr2JGIF6a5LF8c6jPF1BAPqdsTKbG2GD9zcfurZsgOXNxNbN9oYO+LA7RDdU1dTIZVVVnEkl/DbzcVAUYzUf32vLuZc0DFAG9seg0DFv/rPMEwQ2zWZjW/vNidB2jZGiMcUGcKhIxCesMjbvfuTspPUZPH9xZi66NWopUOgU7OOvZ7xpPKa9NglhJ9Pu8dj2f2n3rdXvfeWLbpLKIyDon9WE5ZkcWKbx27ta8/GwkMDiMcIf+zhvwQsn853FB2bI3mJD/BwVukq4KLZiemtkS3+p+xAWghDz2lgbeitnxvXh7iReLQXEmrE28ptXIyTZg01kd1UDMMIHUnpodgRQIZz5MT9XRRnt4lORcu+Pww23JrKNo2yeB70UUfPA2phO2qG2UxF/wAIFniOC3OZtLcAdFu6HClFS8RGk1DS1F2sC+2nPgDB9DrOmFN74a49RrBQDsG91HVgGS2YHHTrzpEc8lltREHDTZCyaTg2XJQEimHOcGwmFpEYLHyGDA9GFVBtcnMdniyjM2pHyLttVH+mcst44wwvegoUQfAEfmACb9C4fsgQKLIpPTj9hWkNccboXRh/A/EyoRaRWR/Bw2xlFAKlXvghklrY+iHQBr8dpF50mcuFdNDb+1tn04jnk6HGjEDMu1dE0zXp+LGdFEkW4J4TcW8tThWSStYcAZShS412g5EOAk99i8ZZyALl74HY8A1uQUAggd/fsLEb+VCqH+fhQymEogBaaBRkd6yuwbqOWRU4ds7uDpZddtQjBPCD2FqG/9FVdRijkoa0USl5DP+2StltCwTpfsfqj7nAfmOoS9p/DUG0JWEyys8cdhs+qQw9kg0UBdTRbTMXn7Hvhhqc6Yl8lMwR3hKcoOQITk5LTrDLJHFbOxYaN0GkEgX8Xs5KsbrlCsr+Q92DaoVMkhz5aS634fFZX0TtB8+0XSz3QgmEHvxcQDHQFRzcGHP01giO9dUQ9OKrf9AFKAy49SUVc0UY05H4vFuH4+OOiD7QYeZmj79DKDxquVggUGOWn497aFfIHdhFYPfhXcmfuvbTHY5heChoMqIPAmpLII1LGEV+H+aqpTZxTv3NKSm7c9s3FY+VVzJI6WMDuZ5/yKcDqqEHxaojgsu8q1NxRqfcUR7XPsqHhO4YMgsEIpGGgpmGdouR+rrgzbglYWC4s1LwDKbPn6HLLDI1nvFw8WrgZW0mIDnrYN+j+PHfrUwC7BLKXVgvcneu6Hhx9fcU/QC6l2vB726s43Y/0qSG7x9XEElL+8nWFwkiaTAFkgR8puaFFtELK8S89xwumAx8AAdRO4DFnZvjCgwUDbKrNbKXmXMiDpJKd4BGVQsjAIXciZCw3arvZtgO5JS/7EQJBrxpzjsYWYUbDf1/b8kkzdgEYnlDzibQcvEENyn+Cgynwl+H37noprKctradpUGRASb9Y/ylP/otR2SyLO9B93jwsCyMKLRGPTq85GoxWVe4JQyrf0/MyqleFPQOAALpb0KA8W/RJ7CjV0LV9Rc7mEYoz//JnMGwSy+IBzhBsX1glCCxDbXhaYt5n+tTtJUCN6QjiomnTQ0nxqISmCSO022FBkqtkdQh+IRNuF+AU1SkDBM27e6UdwDEPCIo4tzjIzifLNK8YZy3TOhDJ7khcXS94XRiD4zx722nWj2LypMK1ZCwPYIEhYya6nMiQIl4wGtJK9YRCvmjoGyttNXsHGZGnX1aiMp380Sg4WKq7nJrM5/mev2RCns0MeWYBm+x5/HDmmDxYbElyIe0CwUwnYN1w95mfQSX2DeetqXnf4VCZmYEgBUKPHwyxUoUUOL/QmiPomahODBtGwWXoMdK+RjH7LEmfID2AXnWhlydoPf/6VIab4UQnSxmLphxau034yrO4AsaeQtZZs4zmPxjSA5xunUH8yogFNW7qhVBo0tiZ3GdiGil33rIE8O/Zrb6XIujU4eH/dv3VGHoIIHryx48AE6RBkqkjRqDXPFvjg3e3ACJOSVaCaEEsdMy6bTP6Alwzlg7AUYmqHSRRZG52FWmOp0W15P52fP9iuj22Qho2u3jwzxblhEni/bYCMtZmeRJmX3iQteJAUm/J0OAz0oiqzVyb+D5bFqsS7iAk6cmqzI+17mRmo+Ea+eDvr024bI2fJ5wR8sKVu+Xfi6IY8gdZiZmlTDnSDDnqiAtBCJM3nHtaBRRpOP0PU6WLEygBXsePiM+006QYDTMy+SR6pTpcR7wu2QJkHO2QAhVv/F1l0gGbNSGS899SFRPlH5WzQ61w7/eXUfRMOnUFOkU7HxvOgYLLvnl5PTl7OBswr5ztCowxXCSikLM8rGQTFXxuU8fpK8yD+f0LstjF0xlIZkqP1PNFI+mF0teEB6xLsOkjjIq0qYHa1v5Qaq0bp37PTrhzFF1I9rMcrN8pN2eOH3nKsnBtPEeTTwpzqkQIKGcH5gw1gxNrogPnIKhdu+Y38A4wdJ2Sl4UiNFciMgdxEWb8SIXk6iVvzR5opLllh0LIbV4nGe3Ko7EFrYHtTNliv4ztTFj8aP4Kr5E9oa5qI5f0IJldlAeWma0KnZCyw+gkeBOoWGcPO2NZ5Cqioc0q7tIV0QUyFFlCnBE5tz9KZOLVrFsy9Jw3Ms+XCj9/ZL0AOvNg0fz7B3AUEctmg1TOe731aJznldiieXjR4hrxwoxHsfkHoPgxQTRHhlXjj+j9WhXS5gS+z7MRfUjkXU6D+Vp5ZjS3Hiua5ecCd2ahMp7IjlBt4NFIsiLToXVYMoN26+K1ndFEIAd9snPHiuzUZniozLjFkGowM9TZw7/Wr4fxwBQf4QfxKS7w354yaO5UQ28nRDoPr7VCCA0rbQ8BdsO6CrdGQwftnPhZBZxxe61UpPazDETVoK8Rh4V43+18gb2leZKQNmYW2CB+6PBjvkmePHIYFf7Rtol7yZzubZNWxOSBjD52c4bGKXWmmWA9vEwd/BQn57qGEPTkkgv/xkHTxaVjszJQF8O2+Vk9oALmnNZuHmy7iDt4ryLfbqAQ43Fizx3+HjPxPDbI9T187Xn0VyuoTo6zTtrNAmcObQZWyguhdX0xXuRa4ms9rPS2kkWba2lLozLG4eyIuiFD+iKOQLX8Kju4iD8R6lQmEr/ft/FeOdUKueWJdEnC5kYBPhRbZZ8sCTsGLxVArDVNzbgckhlBq9y1MSM5TclcybIwfJf5CC2B0qBK5esAQh1Kn/mPGsJH5vLxPBhJmy+rHFvGPej2f1tyr9sGSMYfLXa6UmoQocu8nhOfxMb5JnExbS0Gy6H4msdBk7B8/OS4gkyapTr/WcIpycExkjelqF99BcIQd3dKItmJfL4YYTZzhF2Jgpo66xrehUIPOqz365SBLP4MFKFwd0ahd8GrmytGSz5oJ1ALB+Ba6ymKzgqypGbYovH8v4ZwsMNqC5ijPmrdr2bKZDcX+mpL6ZKylJmOEazwtJPuyVB5tWg6Esj/QNizzSJTofmdCogyP4DzrWakgWZ/tjSwFW1jwe9l4c2F13g+R7jGhKzOgvoYQleHt4c00JaUAGlWuf5eB/iS754ZSvZsp9vWFqyEeA6Syn5yrZT/tZSAX/LejSJQDaDkI9EBZJzv8k8xzHI2opOstF3UkgMzrRzU1YMG7V0Tk6FqOfvTm0+yEx6oLVi0dlMmQzVo8S4EPdYdlEta4eyzt1MEXKp2PD2Fdvv1mp8NVtBvCleEW4T4/HK8IctL+E+cvJ3XgHizTTMszsnOiWXYcYoHXst1trg/SWhy1YgBjJ/CTiUfHrtlna+UPNp8xVNoZ8FWpXvnvyZbT7/IW1FsmlEwT6eoG8xDL/OGGtB6XQc4/kBGqibGRZaflK/c2UwmY0RfNoljl2x8g5GS86DsV6RpEiKyQlAXfDzwCOTrO4WarXokUziv1B4kZzP5P8SaBKQpV4SEGS60OJWv1MAKrjTDRarDDDRzlcJRRoWaqJ39H7gJmw1A+J4p1kRUPH3y3zvBuPynxMDbOs7w6u9czm622VB9d41BbWKzbMw2332fhMjTfqNzTsFVmQEXEoOFYqvNer8Tt+K6ihHOXZu7CJqCIhErE2qic+UqORGxnCcob1OTOGKu2d/72Szit80XUI2uuDhf0totrfM1tTcVLACDqB5mr2Aem54r4mCe5GN1rBCTt9yxe4qCPXjKhDPSjymlW8kHkaxnYIDSBBd1/sxeI1EDmt3tdGKMoH/cmcY+MQXvoVjX5pGXrfRohYWXXtY+g1kEwk/CyKjYbeksjCjiwDd3UPQKCWNUYUvpTFjP9pjAJoof3iF1Cuihv6H3clQYpGKFQsJfmyoXbYWCr/cUi2wvHEWV01KMojfX+TPSyokoBPjq8+5vsacWCDGxTGZX81pGRoV3qtm5BX61sfhVDBjVQ1RvmTXqXYo7kiP2pTK5SROiN3zAzyriP/hpb07l6BFSHZ3o06O8sST39+FgjfNU224QEfogV1h60rM197NWj+1wRIhLPuPhXSXQCvlTtjJ8j5GLhO8iWszKAJNsFqE0FhyhKHrqTPJ4a+LZVQAgGLI50fFlu8f/3V5hHWKHBFDJQEgWmh6ZK4QOubApwX15vpM8al3VOlDzW9hST1BFQT/HqfLGKm/1bdYw2I0WKPV4G+4jRvSwNn0VBHO7NVBzQcHyIjWdeVll7Of4suiNopZ3FBe6PRNgz51wnxaJufIMg3io8SMSHYdZVIgenjUQnKYvCLHoX8VuCN6MEdoaF35c2ltWqCSQyLjzinAjKtWaE1V0pyU13CxP+akTqWr5ZeqIbtPHZEdjb/ggYNYGmEAZiRU3i1hLHl+5sUOBVJeDKy2vB+ggd+gwo22qetU469UCCCptCC8glHAmn84F/NFEZnwygj+/FmOHQblCYkCy8e1xSxe46Vhiv4Tk+yBsYWPo745yWYXAgW9csLunmAomalj6W27mkaeA+hAolWOA13BCPLPZoA8ybZomnpoxsCbaZ2pdrEEz2SLvF38quZogH6rdWEMLYaIonnb72kL2iGAG7fErgnyPZhqufm6usZtK/F3M3WWXeAuL7up6TwxLtE+00ls0DmFR32/7Avs5cc90iUYeauSQw+Yi/8JhLPADp5O2q8Tg7w3FVxzk5+FJCVMgpssuo3FwCzqSOQTmkSoUJCDr7fEDWihdnyZ1v28hQKMLYOvC3UXLYL1BSa8k3mVVhLd1vBmlcEMKJNqJz292mG2d3hizkn0qHYnV7KqOkFsK3bgy4LO0Ha13+kEDtScA+wppiJYTHpnTT+q/3VxF2RN8zAX035Eyfev1l84SJQWDU5rv0Z5tSqifqu/sViXcPU5deRSRYXQe4vqEtsayAcbstXPs/qZ6OGOFdFQIBYkVXXRf6gdwxGDqpJIstmzdeFQzYXDpuiDauhNV1b6UqllJjmqHkYQ3DMN0slXvdaK9wBr/sjdcJAzY5uxhYSQrsE6m9AKasn2Bthls9CqX2P2lKrAdLYHn4ElbsO1spQn5DMvqnvF/dFuMNG0RGNEvyR4unb1RVwVi68gBjVdMt0z2Pcd1kzIiPFHVp8N8T0JoQxeZjVJqTBzr1IG0i6NFegFXIWwSOQTgD51BK1CKZgBpcc2bW7UdptPbhMP42IjkvAsBQ6ggDaXIbXu4lCKxagXP4MjqGajYTlcACRYk2YBc+bydO369kY8BrVGx5yCXepX/NbQpW6CULcu/Z15aSje7mABKpEFvTZo5wW5WdYhu20/zgkNIM1noGe5LetwUDeKCMzmPL6Ffo5nkOOfk0El+ny9g6qdJ476iMzsbJfB7yggAZnvTqlnw0f8p7qkmWJs7dpsyE2STpeq5lqIHx1+0tlhor0EyQZZcl74v7657JR4xtZKY9cWGO6dHn1kPo4SOuRVO2AKYbGOBCy76BLASlGBfZv3WO5texIAbRgytrk6bIAALmhCKs60n3njwG4/nonaeywgXbwOS6eAIL7dpl06ocbFAYxBa5pI67DCxIVIzYqJWxbNEKccMimC/jggNbmUtlBeD2Sl6KcCxD2kp2Vyw9waZ+EW5TAzPZw5LVOjaK1TffB47TgQmBlHXmG5E35gTsAhX1ZZh9EAx/X7sb5UCEUR6vbPHiQxzkH4n7MAvGFFXrtLNdKc0jps9dyr8d3dGRC+x0lhy9BaLsqlAayaup5TdrP9gyEiiiSLuanjpGGLMK9UoYd9NAO/hiMpA4pW7Yr1txIR64sfkzY2muc1+5Hdb/yKddQVT1Qi2HgwxmUrv03LGM+RgvY9aekKHD0exhg00/bTTwwzt7wyG306Jl0icuiCuQ/2PwiEts59GVfYLSFxmsm6PXuLV05xkWWO9DTBCOmHP8kmjVzhuPcSclnb6R3GXCYuITNvyRE1c4VJeEFKnZwAk/sN5DOl3cscK7yulKl+n3KdPAwsYpluW2jOfbtYTkk9BACXT01cQRED656glQmazYTzlyhGMWQetEadEvO7m+BayaTDaMehUx+bd0D844Dm9DvAEmmwiLG8WGvYPAtAORNS1sYXYSIhlsEQ2Atxz6z6oCW+zyItThzbFEXi0d19KZOcPpexvon2USkAKtv1iB7NWiEEJxOHvq845ijXWUYqKDv4KBtosGcA1nLu8/qtazAqsOYKURJEi6AKOagq53N2KAB8+I1y+aJdQW5ODRYPTt3dguV7kqA+h4dG4OUQSaIMwZcKRS80llx4ki9xp2KpzpMurGUDUzl/Dl4d+7beogcH1C56Tld1aZIqVyGxO+dHY8wRxc857Cq6tVLMDDA5DJkqqY7tE4gcYVX37Wz/4JNIkSCid226jQNqovUE/6OU6eU6ty2YKlaOtjfNL0RLj+nvN4YHd6fSyjGwVvqPvudjIuWylwV4KoXmRi+O24pEc9lKY4c91K4xKT0hHbEOUVIUunAJXuGvgE66N9FuELsGUWMeiSNzQjQdjGnwKN8F3feuUDwu8VT8yt//GiLSUG5M23LCqJ4vkrASjsgAwwtjiRxsY9ve5H+j+22fxgd6Ip+xi9IAxCX8ptI156YSu63giiEEgFcdqcQm0WCeLPWOgkoh125H/dukjv9Sa1KMmzqpoFUCV5IdOIlK2IlLlZGMT8sHFpeAiXpRblPteGF4pO/l9tBGdxusylOBI9B99Kp3NvJ0tvFIaK6nJb1TbEXSaFxA2zq2mm0MokckGDcHURYoCNAYX9buhT3iEMkqYDFDE3XXodP0edeXVQsPJJjXor5EjgY60cqlMQZj5JcivWorRKgsY4WBFGtMasB4LdfgYcCo7x732rXt76gn1zan8DB3KQ/6ls1rBVf8ZO18YDdeN3tkwkui9QLrsoGuFlAZIz2gZkEG6G0bN0sfuBsCngIWrCoMBWeWvjTfuBO5Nu15GEJw3nZNEP5Z7mr9HY99YXZAwy5Z5q0T+lFxxBjxO1r4ayKIwe36s6Ab7PE5Dikc9akeAwvbQi+dnY24l5AP5tvViFER37VTAufYPI8NxPVxQHQUApKA4YCvRlaKWe0ZKL7+zSrOHkaSh0jNhfk7/UHir0kzv+2nnWIztPuXCnsH/cCSVTZNfifbCs5Oz9dr+y43T+/QYNu4Wh6B0GD0KlOmOGtBYnh7JYbUVPqoWV+8rwDgRnf7AlV0hgKXcPXlS9sGuQDcWS0x0ghywiItjt7tnVPamZYzEWnqf8SOlpTIisbLao1hnuffT+A1bpkMj03taTcAczMnG5U1u0s/GJLnmqqFg9ReRTIDwdFDFlA1QznFQ4+tlfNCpoKSRvO8WN4c8S1eKE10c2uFCSpS9O9GPtEyDCEyPHRKPLz4SjmcHabFE/JGQR4V86JDfdYfeK1vujdw0iKwTm1MDmaXY9Uy+5lMxzy/Iio/nJim8RBirgrtMr/DBOuNRpEis3h1PPBSeT4Q5iDyDEUUuKwLy2ante0Iv1u4qT/sv5hZoqjbg+AUxJetjdefHZH8jaUV7FW5DLSFE7Vv/WnlqlW5/SU8u+PoPniqeag9sLM5YWdRMGY3h+AblP3ecYGMeP4mv4lgob+ktht75V/HB4nF17dpgoBbrJhv6EwqeMXhUM9QG/W/VGPc1zRIqBriDTjwWH4p+x9z5CJSP2UJFMogCI7wfk9AqlVdNBC5BJDdsk9iGCtjQNG5ZKqri+/8foNca+9j35uxPrY7hSHfCxWD1uHauZPZd58aMtuNjmIoMBdJZiVJYzqyDg3fkgNzGgu4UWPLTmG+X7iSAVu5UNpkr25SZ8j4NJS4our6w4L6Gm4GWA1BwLJn0R9pA1GvE9oifqq1AGM7ZFrvc27u0+sQSUalKuGTlXXa6W6Rktf6sQY8O4PJeosBu9Qib9ab87Pz/8LGoQCVl0SWRD5pSpSP/u4zmpT2uwrnIdsuPtI8+Q6ZGnV/P9WB6yuoWCY81glt1eBDF4+q5tnwsiJNXYGK08NuUWn0nQCCBL0E6grNT41u/qEV00IOk2DZyZR9fpoSnZhh10AS2JoGWJEr5O/J7WDeJ0nb/DelAY31ux+6i+VZE7R7CHi3y0Kd5KumSSf6DaKKeEdJSL2S6BI0oj8WUILKwyBK6RSJ8HANmg1aavipKPkzvNC313+isEolDTH+EgoAhgkR6VDKxqUyOFVACJzdwwOZIRFaQzrITl2VVV143I/3BCgzhQZ9VkbwGfHcBSAUQUHOvdoplua8bFn2Jt973crUWDQnA66CP/6kwSU6qpCWfb6nO5vAbQvGnZeWwUDR3Xdrsa2/O012z/S1wQUb7PZCG5m5tnY3A9XVCH9GLeMV6iDJT64BWMZTK9d9jiqP9E9rnGbrAaOxtYJf2ComjEl61urqppUzP3jkVVEXYayEPbhIAM82ggw6Lr3TlFYPIhT2XmRAQiAZbiD7wjG1kAeBM3SvVirMLGiZk4xzfsg+3NaH0obOKVquR46MDlVE54U0oOx3+fS48XiCuBsVDnF4wKEE5t9RCoWjQU66aCtT70MDKDBcUFV6Jz0tcaVxCTfFu9RYEw1QC6SUJ20ypCPycC+Y12bRXhS4j0JMO4vAl21fqaI7O07r3H/po48LtrYdus8URrzw3qye/CtBLX+IrpllonsA7JI3IgjoY29/+6vDdXRzNv16niKdJcsGii0e2LaKxGyT5O7Iaep44sX8wjj70q2yi1Naqs8fMC0tDiPuam47BKaQWJ8AcxYQNYrquspGVAGJo+A1IESwgmhNGIKweDscZFsE7faapRcyf4YzEHL0SpD6qd8hVEgnz5gZsNQGlwGtAEA57R1/vtxiYZlpOS4SbmXBdN0uzenKibHK4LYwR2V7tJaRs/XgLl9lKI0GMx1kgrUsoQG8SM6Yj5GoCsD9R55GxtSwGSJAGenPYoBN1shBgXeA2knE2v5r6rluxHKRkvhtaTgx8N0mxmKSSMvugN/BrtZWz92tDbi8x3yydQPezIaRjii18mQKxsHKmyTtbDi5LF8+aqPeXXvIHkG/B549xS5/gi268VYdoBofSqoWLvnz/4ulcxvV9wPygPSH1pD4xVyljN6q97ARXQgsMhvPW+8/Si73bCtr3YswVQMr6xGcAEqcTtUgxO6zGVsj7lrK3ttxL+NaPNrO9RS0YSHzXAooFP+c3VoOAH4Ul2CD5v3o+6Gm/YtXkl8m6RK5hqh+LREna2vt0qlO2YryrZ6Kkr2HmVBbzmqXIyEPcJ637Vi1eyt+SR0Y5Ao0j1zDqq0iJT9Fyit4wYxPokgwIWBa0ma1a6YMDde5ICXdWrhykcwF+3ScQR5YRJDgSrgkSR8SaW7vLfOLaKvn0A8ErRoyasAkPw2BGhQYWG01Bsu3zqnZyxTTDn+Oy4mbQQL8OKoeV21T6x7XOh0KFx+2vkaxA+2sKMR9uInZu8Vpjuv6daPOqqqScYxiDzZVfEaXcsc6ZcxJOTpgsvi9R8uqp6+MY5BHZuVlQMcIiGAewQF8Uh1WawgERiLpuD+xfaDMG/xwLcWLBcbzh2sirM/+BWd55cV4eHpgqKo/csPDFgjYIbcdl84g+oKDI9nFkWYm8/MiAWgHMn9wZhaQOD5nxPSYDXRPqf7QIS/JNl7PZ5IIeehJTlED8IVn6Hz40Lg/9w7Wwte0HN65V3NYr/l6QfuyMprt4siAhofes6DYFIvOo4ZetaJK2BCobSKg82hDfddvdfZmwOjBDD0s7b/P4ko2WtSZp/nKnhVA7GIthBgGXL4AXphG/QJZC3mHyuJNE4Fwe+0ISL5LSf4l3Xfwb/QDq66wkgz8dEjFEkWO12JNIsaMcUlf1N9stzQc4kjeURCSlwL7r5+256BV0OLPjrFnyqfBOk6FDVMfGUsXZEx8BGP6e2/SJuXljZQYST34HHdBRo3fKI5lPDkYBKS/iiwuNI2lAq1D8Src8qmYGAsqgGhNgVQs0QjqZ1kF91rswooQubNBIUejw+rp4lM4H9XxWFLCQnrt9XnWOKgl246cTIX5cv33H451plLtgm2q71gm8oD9EeDuZtdXpRhUL3yqTeHPACIGyotrFYl64IrDb4NwLwmt3Oks+cCR3yU1I0HNXaSVmiRN1DfoTgcHyU8u2IeTv9NZ/iDgkAYB5O635ebd8Alcj8wfGGJo/D05DfdKdO8ous2/QYPOSSts+S+zys5qjAhi+iRjH6p36XflrpqYonq4RDKzrYeIJrowKXyyUFUV1YiZDcBbApsLrEw75o8NTyaED1owCCmxwK1Tl+gtpkMC/bUGn+MqTMaH646QMXokUF3gHrl7QCgKO++ctx/SozzZkGZqvyCDH/b9fRPq+zlh8cBWKQTcB4M9bECMi9kXDWy7iyTputslS5N/k3ixYFz6vnVV0RJnqurFXCtAUwNyoWTVqFZ7b6zOpsVrQtzW/1hXeUzGQXYQvO9mLeiGjv3WeZNsBbeNkvqJBZAP0O4EOc1WfAVA+i+tTWSHB3+hPHAwuzilstWQdj1uW749+wLL8Mtx0Uzka/mOeRGR3E6Fti4DH8P8m4qPUN4LHjv55rl6cwkdzkkmedggomNxB2KMbiMnYRZwhSB4JtFmHnDI6icne1ZRzMzCkYWtLYjCCazhLQtd7BrMMtbJSsQML0NKUPhpPr0x/qhO8jrxvvIuZs+sRm35J+kX2g3JQwXAEHmWsY2TXRmDJFLF59K4jkJueFc40rzZQpHLEiFSvHIDmPUWLHOYgLWJbbV89Krd6/btFKqVT23eFnQhlglnUvb30AeKeDJ2J1kXhr3k09a1sGfk8OQOnN7OB7ljcK3dE0asuqxz0dKj/flETzsw7Spz97e/cVGttFIsN0vQBdqSDDZdmHIAnq6tiq9K8rEs+R6gsaVAPl4YMbHbhEqsZW0rETbfKSDAJ6HVf9or2CMdYSpdpoQgQyE7+TQxJI1HjnR8VPHryx/8PxZKq9EjU3Vwyn4plAJNjeLdcbCqZuft/9KrLRUTHeCEFUqfSFeV7uAFgi0xqYCD81uV1LvVGp1jA6JgBscAGaibR6FSyGrGjgrL9QIN4JQtGgPH9TUZifggqGtoCdKzSloerWJKFUIhe8qXqCIoYmTzl0MWHI/fIAVZL4ASYTpEkSUu83RRi2AoLmii4vXIRLv3lGVb9i+huh4vJ0xEFa+wqCHEWjrl4wAHqLRwePiT6wy7x+KqwiYET7G6pPGcZZ52trw10MhT9bw+Gdo9yKvBxtri+vg0ri+GNfQFa6IxXCMmJUXxWOkKmXrzmG6PvtidMaglEr06LSfE+ImSMlIv9JxDdrlL4o1MPifA1WmWf5KezwGxdA98OC/HvBeEXlJQLEOWW+xwbTA0n3RVUcTt4ppipiYvBMir+mcOLl6CZ0arXt9WJM+k9/0Ugr0T7VZM3Fix2NUyhxWOygZ9j4hFjAcyXQnBdgFIbjq4yquIMxbKDnYaVKgpOBkxUnYrqt8xwybp9vztIv2iNmRkKur9yIvXUINZ3t+lWliPPGQFTUFdiAlz2+T8vSz9GU2twHc7stpirCs9Dw3+qRF7F/AZ0q2cjlzgy0tAmyhkt0Pn5k24PAagFqK8l3wgCUICgxsSnUqOJr6xelBwFX1D7q4g3g5OKUeQBkjd15PIqzKfCFWjtYQPdBaxZ9NJ/qWGALjie3cqplxVlbet5edrUEArxnQjduvlWtO0Yq3JS0KSzKtvU+6FWb/QFIslHoUsZjbYbwg6VeJBJ9YEf6pbP8GWl6Vpwga9/UGjUDwGfg4LgJcn0Bf5AKArdoqmxXfkDtMjaLvCl8D2jalN7DJC6I1oacXT4MI0jmouLV0esFdhHn3xjCzo09pMgin5i0Q3XLq5m1QmOEBHiY+7trl9FzBPuZWxVzwSpJ2sn5WIk50h6m5p5kexouaz6VqldErZzufcIU90UNOG2HBlYXO6oCZpurShlYF2bEdc6Yx6c18/eENVBtToYI0QtmFcLQxVXhMtogCwrvsA0Ogz+GSnHUBRMdWirPonQOSge6+p6cpXs6bgtdAWJHzJ9wcgtTPPX7QcWuqw4uY+1E9q4Qx7Plu5ukGULlPCDvtJov8K16pjY3c7nuL7Lknow5+nbrw1xB7LqtL+m22e73BEVLm23iAcJ8qQqwoR+PP11plySuaiuxGiqHPiPppdlQJYz+7LrkQB4CgUL9nWWp405S/zyoYykmo/hligSaoudGpcthS7UjCMXLQHF4aeYpLND9gpcUk93XNjiPyGMXywvSSQ3cq5rYQNEoiNI24t0WFBstOKVyNSYe2zx7p25yNf3SHqGGlxqH9dtXwDBnn8QRKmJr/MQNVsIXEUKak3jHZJn9oZSfPAoXOFJs5e2ofqdNFD8PFVTEnr1VG0L5BdssRYx06fIMOSCs7ErA+P+Hix4KpmYWnvZhwaP59O1zoBIuhNGiLJH2zeYVKAuLmB0o6oxUNaKrnuqy6BXI1zDKZRi3azZvgPYgQy5zp3mIniw0kC2CrmZXr0//w7Q6bjoiuGfQeflDZNsT5+apR5TyvTjbZrL7WrvwUajk6xDoQ3WTrctCi83PYZMXpbLdeZwxmTm1Oi7h4LlEADZJhLRv5pxOvl9BHBVthfWaVLwxq1V9J/DDMmNmjgj1s4XcqJGMsl2aJrv3YeSRGOeCK+2AsLeUgB110URMP8tXkNtpVmTcpAE3jK45rwzUJOUeasyCQekZ2ysIk9wHhlqb/9cV2rTVn7UW19R3d0hFAci+fecbWGaOJbV6A/sb/NIslKjSOzHlNGhv+metUo3P65d9Y2/DMyCMVtaSn4RIKCBQ7AENONXWFdAZ7ttWXsgIPhRDecLY1uvnMoC5xM7MmvMKXqzkE+dSa+u1QIsYo3bp1Opy7wL5szgS1wOn9iGGWuIuOscvNzJ2S7ApFYdfFE5InLHGTHEuxFYqCG5q/VL5gr3Gb8JFyYOVwFiMe0hP1zY60f3SkQtz2dTQYBk9jLcLNgWvW8iRRozFRa1ENNtpxQ73Pp8F6hCoxJCEdASFgOdEyy0aFDQ+0eG8/Xy9yDpCxwMlcx5fQRUPhHoHF9ZYUc/FYNlqYM24DJxHmSad0KLFgXrQibg8rtcpWrKlTvZALqmOgEqbqaLnQjrNJP07uRJR5gBgP29DF8lQGIfvbL1OePul1RkcFiscwZ6WcLIHAtw8i+zSiWLGqrMk/CHkybbIKwdVC2iI+pC48JyPS1xoziADV/y1QPxuj9EhDgZ8mnBT/nDoZp4m6BusofvyWvKxzvFFuJ8Mum9oUjXTun2EVLxR1RvqU33VQTmVb3/b1EvewRi4rkI912ZI9Yh9j+0cEzqjmHBICIs6CDtPTNzqye2lTtkcY5wLOo+sWapm2qv0OhwPp24N11LBRwdOE4DTYZGFQZzyq2fqnaSdO6QikUMMveX8VTx+Lx2WmktsKMmyLP1WQAGrcWvHlQkcax4HqfZTj9DI55umCJZr15MhFxkHKcRCJ9gi4TPluu6rtvoTzm238BgYJgijCJx7n4KDONYMkK+UrLHLYWKE74FhoiSxeEwHWZfdbRKkpUqC91pD4g2os0mRj5CQ1cQMHOKV06rELwWAdNWHkQz53FNhmUm47aykDw2fEZsCkgEWc4rjEOY3w4+5M1DHUKUsx3xitlfus2J0BkC7e6ecG9Xfx8bb9E2WuJv8giqoM0j8FFlVZQ+5zSxPIMmAGd/oYTlOG9XsgfB5yEpsgZL1pw9/tcMuVQD6C5p1dLQEfe1R3W0KyNZV5Mujomm6p+dP0CB7iYdFQWOfNZT0hcfh044TtJzaQgflLz56vfWzk0ZndmKE7QJcLsunjAIFrMc9y5DDZj3KLk9qOOt4FlMCYp94WVRqHKTYtDEfaPV1CKVUQAgcD4iJFQqDPdZ/Glf4/UbMxKndp223f/ch7hnmS1EntcRLj3cLtfkKn1QOG0jQ/j0WfA0svOATETtTXptLda8xfrbGGaZefAGD/YYoqCjjhIpOLrxms5DTL6982uI1sn7Ydp+mxYfyqugEFp4PtZ3Bewb8PA6Izf5Lyh8NHyE2N5N2VkE5g5EqvwvjaX3yFrn+tQPr0c5i3YDYLpO7giRSNI/UwuCjFehl1OMnOQo8trrK6aQRUGstmCmfown/rFlkTNqDAsPhWj8WMuGHq3S7AjP2Hy/BRPmBMuZ41wyywsNPcwSm6rVIopHl2PouTfZuLMTTMikRFIK1+rAw4NbaheoZ3QYTf2az9YDpPCPJmgqhWAFXAC+Klj5JLcfCkPkeMS+yEOeEFGS6l0TA0HnRUcC41QyFpsAL0n2j7OnP4F/GgAUc8d2LvvIRgJ6BnotYQ/CgEvCJKdo8aOrvW2jFUoMefwVJzWOMieKKVuvgRVi12UQlZ811Klm6CAZ97fuWwMMz/KjGw2Mw9Yota+pC+o0EwAuSVeUURmJsYeBpe/3UDx7YRn5TZpb4Om3GxS3V/uiWpiD3oX/PW7lNJKhhE7gaUWTEq+bYdpZJDN/Ju1PTzYslc+hX1S+TkSFHXIMWU9ENwrExy+HWYsDe5rNaNVeUqZNIIhfZ9TYF0UiBIcLnkmHAdMvgaGJSuQNsbhAPKAUdWwM6+QaXo0S11sqtolLuVNI8Td1Ew9oKQQcpSZbkgG3PRQRDJrxAdywvK6hxxjkNxo2iOOmBD3zdjMaMKde5aM91ucsncIZ8eeH4r5m8y1r6gl5BbzihsN4o9nZgIW5h4ifsSy2hjBpI3h5YxguN+8RKCXK/3hRQMD+WMZOyqWtH+AqDB1ZcvCt6kGzwUjfOEnKtDkS6kHQaTIJKk0MMSA9iNniGPlKXz7hUX/OoLiqKQdZfFwFzPxwhZYJfFXrfbnEa74hrNuOEte+EXiLvEUvQPat2xPKhTcVt/lGy+b8+cM6Wqpv6rLabX3rSFiMQh8y0Ge30suYwR2uolmxmkwK/SOcbOb+IZx5dEjxnkazn896YIPyUSvr4eEO1l5YAcbXVJfAavhazU+Gt+uwSHAAR/L6tJGQKbRU1kUZsjsWbkt7pg+CeTF7+SZsIGIVYATspwanOEoIG0fMch1Y20I4li/Vc+Gjom0vsVAlox2FcvO6CI80GQNNYUwgzxP32driNwYu9YHJMAd8TEqEbEonC9VhxlD0H71QDLXH4vZVRM4aJ+PifNzVu5R5QiYAC1PHgAuCF5F8/rydb1XaP1IpehYZOurzWVvK0C6rAlYXoXZKV8m1zXjtvpWaCLjuBL/OgIaeYupCGOzyrWcxXdNYDDpsII6Y+93Aa23AKTmvxwZqbmVLp3A95ggKvqfbuaoS83QqgXit8/4nMqMZfReUpnW9JRNEU5VSnItxCxd8KceHaV5Vs8tYxrDj0NoQY8k0YCljDFZL4vI4XgILd8CuHTDzMLVVKdCBdyPxCeKX+WAHWZwhMCWVDkI7v4NI6/o39/mYN/BuB5sXpCfMxy2bOzfn2MLleN6ExZFaSG0sO3GBFMu2LZJVNNagEU0+RhKmPkn+2SldRCKxMlfojyxME0BGNISw8StZkZEMZk0hsRAQiUq+pDjR2DJ9YYOOakQ/IKZrkjsYw0+vM/xyv9wIPvfex0QH/OtfUBVztAB98PQTbgVgQvDNTtWtA2CzRfE3cUPbBFiXLKeS5+43mTyIbMtuXu4j+p44Ld7iQVgua62UumNngnymppcM7RwMo4c8YJwFHrYfMl8QOAgYgURf8+UQmKBCNZam7fkGz+eI0plCUlUQuTECY4MjTEt8UeYxVMwSDjVCIq1GtU1bWoNeXhVAkwWX62648qoJXPjgpuGfxDCpR+bMkekm3SC4whA2PqIApe4WdKiw8SIwr4+tdLpoxufzPLlMSCUjx4OUoNG1mTYgsS6TjJ6ssaJCbci+oYsXSVeKdnlZykfNogp4b4cya5plYeDf8vttawRUcAzlL3G8nwEtqpZsPCV2KM147WK3e3I5sHQA/Casms3BHidGU2EvcsPzEuYMQx0Ugf/HWoiXALpu0F5gIT19JK3VVCK4zYlLOgJAvGryscLLh+0CRlM48PwS13auonW2F6VU8ubfaGwbynAChDqmsbLdHt5F/tDz2aAwhweLcaFTTaLXCIBMF1ZgE+UEUTERyJfk2Bugs3v/hzaQeA2krv/uuDhfDbm3KFvWcNHMP4W4RG1gCUjxq2ik+sw5k6xqDMGQRlO8Ovzpe1dW7ICGyv+zoSEPw36NtpECMt5XWPWz0+ivq5oduiZWZCuD+VwpjvXU0vj/s2PXvUvADn9c8CY/qg46W3xDCHqYSI8WIecowoFes9xI/uuzSYMrSXJjOFtaVuSwRzLhUrgEA98T9oG/vQiDtFUXJK1Rarry+tPNfubPSOF1l/Uguh3KrjQ++YMoXbQbW/E1YODSn9HEdZxJsxZkkEt7xLSObkmIVMwugyPZw/4x9ts8fJpJ7xQUu51gc8XtE43kQJWjgBv8EVCNkM2X3YLXzaHYl3g//DmRncTNY5iE51xS56DQbHNVzpew4TSsMi3d9Buj0hqHNhYd5hcRvkit1CQAH2+8wEE+WKfsR24lIEukKBsUSS18C6op3gBlVFoFkpRizma7QIsUAKfPLI574BdRJqgHb3HNW2EcSGtwtm3PqUF4/Vmu6M1R1kGJYcUQUamPiFU6v7ttjjAn/ANkUReT/LoQwPunPbbpbPJLdSMp3Vb4XlhRoowcT1iCs7UrTF+pKV6jdgzTAhnNYwXqX0bLJ4wJ8fnSnChZEPqH/NBfxg0cY0r4+IPzRVdYrgwUPR/t5rM4C/N7y/XTNkVagwMuBRkB28zwdYWbCKe1NIq3mAuJ1UQSYR3DdztbuXMEY7F/8ckzgmyiDKznpQyyrf1pUjnRGeNZ0o6qklflGW8tcQUMNLeWBSV0/d2zmIuRyL3ufigs6JOkJ9QNE/1ShNr/Fjkc8x/+E6Fh63BvQWjQ2yYeqDHAqLUeuIt+T2irMUeppnMOm0RszLK3UXfpKpSYqNXQ1bc1PoEZczcyHiCd/65N+704MGMQQyPciH7CHvuywKu91a3+3jmaRFu8/orIVbmZdx+MyAe0lEnIaQBRnEt/mSay+3leZ5XxKCeaPPnN7lDKLQEL+RLwm3bUCYYXauVoVZ1sl7qNyxmpn28NXteSZV4HJC2ayis+DGgxtQBjRBJHSUOKEkd/Lufyi3QcATFTY9Onm3X/Wk2k+uLWg/sfrPpE74hD9KpULTVKeOG+UQCngQficoV8PuPmp4yjyemdI7Lg/R2ACqZ7U8zAO3eGKC033PyF3Tz9SUF8weZW9RRX7Y6/C2QikvX2xc/Cu7PnatVrJyQDBVF2UcF0R7WD3FUcIdiq6JyRy4GyciRAqTpbwTNUTmnh7F8DZ34sYSSxmDQ1nnJ4x+NPkA1iP06vmUKMcGSDYTvXJ7y7c0EWEr4rK+7e/I9iOVQQIismiUjEwDGV2HNylMFdv5XcQbGDGCLWCg98bono2ovEq60NaK8vnXBv8g0AcWkKTO2Be3fFa8OLF4clI5hJXbhdFpmIqexunhqeeJ4VoQYqerYl9bQsoQHSdA2w5Gnec0+nmiPjHM49L4Xwk6ZB582HJU5orob6fSadKbZoJWIif4X7vVWAuOkIhoMsVAwu0KaAowIfK+1uryp72xgSg0y7H4S4kDz0cM0lLgiB7dOT799SQma7yn7cWPla4juSeYKZeTBHcvRVjoO2w6qBwxHAEJL/baWZhc4197XZ5YA59avcp38I+QCe8Vxl42YhbjLAZuoivpmc2+MaOcq0zzduHOodQ125XYAxkN9D3Qa0hvmxW7cucolZf94gHIGwQCGtbl2+FQTHhL74Uj6o9bIbzw0aoVOSjEJ9RfTsyROAstQdt7CqtvzRvozyrB7XhvuRuPod/l8Q3m8mif+5Bcz6C8QbMbsvzUUIQ2ZZhBRAxqAaRhTloRD/NQQl14e5jE9hZ5CZ3Nkzucwst5eiJLhWT/3J5Tcmnph+Gyae7qv1lspgdvzRt3SZQYPNtOPPNyblASEiSWNcJuY8ghgD021WGBpHNzb6M4hlFPtI/kydVTnbBV0RwYqov3CpPbl5b0Y4cAQrfONutpaoVTe35AXBn3ZUoLaBxg9xjLZ8+jeYmGFl4SWv5TZcrb6EAQtEz0wyCb52thS7w50WjURJQax0gRnDbhZCz4RzwTvf8r02o8tXQWblPhNti7FlLk3leoG2Uz6LINTJrjt5r4GCuPS0xjgYCzGOYNFobE9Hi1nOXc+ewbO+RHJtJn+yXcpoDJ5FAcT93N6bJZV9F4jEshfcynpdkNOFkW8ZkAzRXKiXew3XLDd2qxaj9RqnjxbTtyT1ZtH7iY0DYKu5hxcxBSB13uy/cmr0ztlijR2jpFl34knCCS/HZQBPDFoogxnnAbf/XMWC09AbS8rAtQUvxlulMapgn0khlfY5MR7ANLlghdtnQqD+eumzG6t0cr3BU4z5afWqC7XA1a0nxxSLlHaz9L5NTpiMMD2J03nK5vEScoJSZeSkJFTYexXmvINjSNLLgFoVQwJtQZJl0WQ9+upvqiDTUBQtFRYp4HbJguo8C1/kHz8TIB9yJruF9GPW5eKHsl7Nms3F8YaA3zx62XFqLHSWlXVJlOjE8QDG0t3tPYiHR6Pq+xQzRNplqHsI+1U63mCeClr4CMi4MKLRpnIttgLpxB4HFonnj4rU/jZ8TKyT1C2xCKNhXaDr8fhWtqWzzcyLzoRpRzRgANq2nHntRlKOyL8+dKUpY+0pw4REzVMwbG8DhfymhqvApmnAIEcR2ghX6hAUVgGEJZFxejG7lMMcpILKFjkZRLjNRu4pGT3qcq6Vp2en19ckaH85W+HdJ94yzr3z+fr4zWdW25C+VKovhHh2FO3mUkmf5b1zboHnKBnCwbUXNb2+8sxoYGcJmSu/clloXIcgodEOhfRLjU3RCVyucphhTjxFznkidgBwINnhzVZeEjJZSqzHB+8kKijcoo8xdR91GoCNKNC7U5z9ZaF01Wvve23hHvKMALMnkYgPsBV/sakYSc54byMcpcp08MADgHhaT0aDPObW4ExtTvhLuHwMWAFnSCff+LNbRsSzMVB+YoTPuJiP7DuhgYT+DEl6u73cq7Bb3lX6uw+2vWZP2elWCCDgwC1UkvwI0X2WPipJ6Pn/hNrEtFBgT/CN1ot1KN14Kv1u4t8nXBaxYBUdsSeCz5Q3WLdW3Cn4wjMxlBx/vcIti65H3m9W4402aN91pCff1zHdWM4ErKCucqUDmh9eBiHtQoDtxCu813Xu0RlDuA2hakDQ4V4VA/mKZGOD8t/4qqJKuquS/6jW/IS1C9JL1/6IpomchBvVqhTmlGMXeotgIuwxt2RV7TuoYx9XNqy7fZBUBAOwdZF0Yf3tMVFFhsNFwcrPUNj/9w82G82YwD3HvtaabC9tob7GQqx/QaqDb5RHApqbJA/nR++i/s2Wjx2MhRMVurTR1vYgU2LBZIrUPICi0hGkfvQBNFU0RyXZjYNw/NOo/lx0xCyZLjA4YKWObYmjrjnPoJlRjHqpBkCwoGP4QNnAHTEFkAD/FlW1lo1Z1ZbaMgW8NsmRgnwVBSUJDhPlUqq/GfGn3+gHYBlgy4PMTbeA+XRUrJLUnyXILiPfJgkcnNqTujIlLksFrAvkb1TSJ1o6EEnMCOEJwh/0GUhCFhDPSxWcJI2poyaiGQAmqiRGcYC2e2s2T1Gg8Ez/hf4USpY/jFfEODXp9X3tbKspEqnq5oxKigmb4wj4fFWW26QEQvuw1l9GOUmChhY8zP8mAAVdLECNQ/aUj/jVrIvYFYoTWHvUbyVUGV9KCtsg+cL58rafVxuTkwWUWwLnjP0POICR3O2ju+sEdxs+HfCN+PU34KJjP86iHXtOLrF7IMU1tVb7dCDE1CrxbWDl82dLo4OZP5LJJtgff3rzZPKpbdWEoJ3XJ8n+CIXmUhPHQIy3MAB1w7mmjQ8EXARkE8p5Wm5Opn4eQeW/cXEsRpMx1hi3fQMqFg0W7BIw4mnVFIvvzMCDGovP4Nx8Z+YwfUKj4FPuGBhXUzR3meuKNY+2tgMlZnskO9lWfPMeJe6GJd/Q2yKTLKVMdDFmjBrcrDquOPRd75BVVYgkh1s+MZrgG/GbjPMQDdpvnhtid6N1t5dMF7VEjr3zXnbJGkTVSOjTwZaKla2pnxWbCcclq5PArPQCOSLQop2bTjbMyNwQRMOEvlUMBS6d8bJOHe1kx6aNJxyaIEXHtZ86EhASQIQlOlNsFYf0gOmpYKedyh9g0jkQRkfAp3hzUsl1HOBMbI0F9PF8Bdc4pxIAi6y8YeQkbsVfgQulwUBZ2ZtNHns82/B9YDLuSleymmK3IDqxGZzUL5+MrToQYw3+a+XcPQp6ZAj/ELLje8r2T2T2wsEYcwmwOxOrfoJgQNTQsAEM1k6D23utUzYKYgOKKyJ3P+O9Pqh/3xPYnlB2hz1x2k150q+FkQHItDVZXjOawcbaL6JP4EQNMduKX1Rp3MO71wAGPPvqBT+3YaLkgh/n8SQhvZ9Lcbp41sQOgNI6wwHSmPiNEmoh4WI70Zj6AAab3mW4hLRE+6Qf4UUiuCdpNcN19jRytXQa0t+QliVvt6C06Fgvl43aFwhW0aLQFlKpxfqJDVoa0F6oHqWse5Sqj0zLd+F2QoH6wTenfXYjVjIOi31fqPhDnECt/pxobffzzrDfMJyZSp3PjqLw0xgvxTr7REcYJAZG+CENkWY6JY+2CgT2MDftDy7AFcz0whVzctzA6A0s2A1+bR6R1hYyo5FVlh1Gd/9l5EQ6zq/TMA1jTp0+TKdlpKHyO/bOUmFQrEDI8kJVZoxSyWJ7K2cpTrY1fstlk3oQOlnXglXaLgK748eoUIdFUrr3/nD3iM5kHBN5exNn4bTODTQ10u5Y3Vxh0+iM59DhwiqM7Ql+MpxHK2MHal/BXKmRHHHeiq233YyZxTsz8fU6+gmVPPZz6z2SOlXdraRXrX11zJpcvcGDmBOui7moGk5uXDDhnLoEUvXrL1rhGCP4aRgHA15aVop117Ok9Nc0v+bWjfNo7QJuMQKdflvASGIi8W7D+Sxd41C+eKAxILKaxqYun+zJlz8fgqzdlQBRDjNcbjyuoDeXRwSILmDoTGq7dhnhYuJVVBpc605pSn2jBpfVRRIFrKwh80I3TeESqSCZOrt/FmFMziQAqKRmYDcu/55frPBqdKe0ueAnUS8Xe4jeP3D7S0WuCIpF27ggMfPIXCZssuJS+xkwW7FOtg6EYc8tNukXdRNEewjYzFjzZNQVRFAxW/thf8lMiq1M/6yC1p7uCdxnWRq23Qybyg/8vIQYl1XC4ZK0YC+blhwk2TtwkNVCJcjnKQ/j+NpgawNQegbBM3OBjt46ehLYZ2RDwsUkr/SBw8KYlxQCn+ayhpS3nimuLF2EbFMVckUlJuhgPLDQ3fDrrPLa6Y8Jl+fmd3NEjSZUvxsTaR6j7QjKW8XFyOc0cuC268hd4V+QvsdaMDy8A3+rzAYiPmYW2kQOBKiFB4JMTTj0lb9+D5gUANbyUYLP4kNKIxdtGlRaugYRDO/+K8w+XrlMdF4wgn0T/8aF2nXnJMMVCDlQ73slR1SCxOlO1rBj6NeqanZpDBNJrRijc06/qEMBZk2tudP9dMwDRbMfzW74nURf+WT+DzUREjjccGlCja7BSaH2IZX8qlw4NtQATkbC6f/5wErJb9OM0S0CLyEKUBhYntDnHV+6RQdN6hizB+o1+oU4ez1yCAt0R77+w6ar4s5TuCGsqI0OGnzDewcH0Rocwd1VymtlDmJZFBGVNMZAALYge/ATlgIXWx1V4oNsJQcGlxBn3P/B9lIJSALPlYnBpqx5fl6y3uqPu+QJW9OIMidVlVXVDFS5gWpn0GeyUCSC3S1RYDH6zdah+CpgICLvBMKfiH46QB1vp9fWdRQ5gpcyOg3o7Qk4xITFP/JEtSTSyiGzdtvosNsTsVTU+5qYntkxedW78KZhVLECNxY7Hto+YZhD+Y3dSudZLsybQ8jOo+NH4WIBoeTTSCabTLJe/x2YFidvYdY72T6ks+kZzXn78N2UFWhlUM2knqngcGJ35aZ8ZKDmA77lFzngTCc1uZNLWcaYcrc3nObv72TKOkGJ0NDnLNunrtl4zglzzhmwx58v750pEHZtnuouK5yUx/ZfehO62CxRjEc+d90o50yeAeciK27ApBaCAJmQ1f6Zn/1aRDcXLZfD86L+tZCFdKqo0IRg8tLZRsWyckEU25UwlcFcSvz7RZSbXWX4uC01pDullSNUDESQfqKw55xKTqyYmPq5Vm3zcpUoejLt+XH6qGgxd8/XVJWMoHPYKViqRb5BkSNIejMj8PPUGTwKdLfYKt2gvbvRI/raqO8MNqvVNVJWRlQyqheMdMep2Belq0ec7DIUFyovCDWsgfwP/pbgp13mcJyZesMlWG87jzntBAQFR3qx3ED+YJBaWnlXTiYFKMG/kJCcFRoFhvGWcurBcF7bboWKmlXP706atjVZpHbx2yIbXn1ZpB28xrVr4CUGi7U0t00xRYE1p8uQY12NW8wDV61u0zd+ng+Tv+zDVTp5RtT9IjZ6c5+JQRfxkhKcOYuc3dTDiLgjVZLqGOctYLfACBri3pIH9jw7arp9Z5eGeiG3Wx/+YfVT2JqD6CFgMhf5lW2NgdfHAlOZ6auiaqhLoxN9nSwNtJRm/CAemu5TQ0bJJx2JWXNAq30fXXlk72UdPxa5PHPOefHljOpfC2IeKb1+rJhdZI8R9QhdQE3QCWPDyD+en+1r/SwCWQzkHanaOZ1T+NGOYnewMfK8phLvLnPz6CAwyqE5Wh6GNgRBNKYiyKIBv8NW9BmhcUiY2U7hmDukXs4OVE2rpc5tc6q1wWp4oLiS/xVGTiWCT/YxVI8e9JtxDRSJb86gjUJP/LahWYKs12RG0C+pA8+pLA6KmSKhGtd1yF8SJH69BSkPHUTHQhnFa37lTxunXdRERXbvLEmHyMctLevJy6kkcwTff4yhoUZgAovj6Wl4KSqbvdmFdDeEkyYhFvZGXWKmSWs1lYrJaWjGTz+kKRG0u8sfQCNjzakAGwiuMHRTqy0LFE7rNazHF7DPsFTy0A3aYNPhEI/ygTmBX06eAcYC2Su+8pxRgFKYL4pjXSSFN4f10qwD7u8M0dAHr1qiwvn8jHZkkYXP6CkHC3wC7aUoH8VuOjTjDlWSUrYm4WDret1u3LeNYnBebvv28Ydm+m5AdNYEGpsN4FDKub/WXqXzPLCEKUkKevcqWAvpwxUV69iPTyrtsIxb8HwAfMv+cXdsmZ5Y0GDoKO3neXeC96muuweOgNAZ+Z3QSKf2c+8E4O6yKRUsE8o6cGzvYD8TguNi4WvgHsPJbbAcL/FRKZCjh3+hlZz5tD5OMwbo8dRBkn1S8USSlgAqYB1SmyJmSYU1+KC+WjKb52Yn+nXQAMNiWm8PIkSdnm4vHFZFBMsfgRLy772xx4fZlbcxzrA62v42vDGd0z1lA08cYR47ibMRBm8BNdOtIaNyhqbIjzbX0ILQsr+RHCji1wp8GoeJ5AC5m9AAVRJfvkFlXce6PsK3cV6aDqbZp4uzbJKZyuCVjwb9qOAhQUFadVse2vIZoQzb3eF2qsZuX2G5IalGAsUUeT4YRwysX2+YcH40oMNCd/MlOkvrEE+FuQUQZKIJuioNXqNpANL2jVnqOVXMEslEjtNdIVKm12HQq5GDsYm8By2ML6dRUK9LiTqQSxZdNHLR9+h5CCrVJSYQQY2NBlxAW0M5ejJDAQ8lM3SCGYVlLRy9oAwUzZzus1Hh3e7K7YB9FymVZUm0XJ8n76e9H0gqz1lCtsttKjggiBtRFBF47KoPnvUp5nG+TV8hqRUhcI1SVLJG4TCRpvqa/8wIXzImBKPWBJvioK9BlmJ9eRdLzybgEy906F+onIUM6vVVJPkhmXQoW2mvft03afzyoQwUQr7eusf4ApW65kyQD7W1BDnIDAlbPkSAHh2GgXAFxBnrp3kg3C0KAtY43ZFIl/JfeASQ8X/lYOR2TIlGGLE0E3bCcDlXGX4mNArxDTkTQO65Li9+lq4hKSCBEPltgjSF4zs3q4v1eAvLs3zmjujegAB6nX9eSLjeoLq6LkyGaZNxmJOyMOQIeDOk9+4ExI9gmSZGiORlzW6RYph240Q4EQt6CrlO9OgMx/Y6McxtNuTgR5EwfUiwqlsC/JXHprdz7QbDJPG8jtI02KnRLT1xVbu5od+8UVsChNfnrWhhv12AYQFtHE337jzab/U3MkItpCCbk9kbzDj/mwiDb+OtaOV+7+IAsbYN2HlT8Gs7xScdD9zO84YxsakWlnKuhSuRe36GiCvcxlKgR2CPPOUmVw/Au31aatdGs0X9h2lEJ5MVpQieDnzuVH1UXNpdwNZSXd91XE45BMwmFa6sNquSBh8miAVdw1ZsmnopKgCjfVJHEvpL60J7WgZZ05NNcvloB6C+3w/5k3W8q7y2EO4w56PKgtHVFuxy3+1cQ/wXitlgd/HH6FBeFkfUBtrsMkOPS9H+eAzk4o3lZZWf9jF3QQeeV1Xd7c6GyI4UstPr7E2oiMaN+w6EBx5utnx59j6V8nWquf2n940Vx3orZ+AZqEiom5xKkhhzogZm5U6Ksa0L/D6GF2tStWxuP+cf6W9eEUwr6cYVv+DjlcTWPpOp99hRFa2SnlvM9uvetjNaNTF4dMI0sI7H8AptNsBjW0AFryMgZJ+EYPkClQEzW7c9B+xgwHINyp4MN+xwQOPz54TBQXVzJS33buWU/uDsJI2EfMR1riFFmGLGffzq/1jIg4Ca8ZhoBNEu4RDoaYUWz5iWlVeMjyNW7uaeoWhFq/HEgv2K/qjQLCYRTYeEG4g7KAyXHJTgNLU6q37FOnG2+ICyRIXnuOcc/XhC9YAFECq5cy4886IJnpdwZx0/Vu8EuwR3n9iPjZ+34dinX7jqBLXmbWiiwkQSiEAxRe93dkt2jnYXnkVZtRJrUjT2XJJ8w0p1arUaLVK6QVJmOl7wHjiE3uGHi2nvXVyhpnk9PU6vY/0aQPThnaCad9xdg8LhBzWtLznRw0HHbfhhhIy5Kdvps7CeET0+mGG08Vl4VrAVgZwAS0bkCMqKe8G9nhzcToJfJxtDPMec2+zerdPOBhDAfsjr4wu32u4nYksYFcR5PvJD1bg//ntfQsg90ZHM2KV5lHWpUoA2cUP7RzdWyMy95ncgcuUvtclbrhF56+8cbmb5377vATmp0ELIzmVFPS2FAShTtmtq0SNYmq7tn05UaUFR5y8fSZgWiu993FYOLVrDJQNUGR+enThFFyO+vIkfV4TZcgBQ6oP0insLLihrf5aIGaF81VbE+migvfpvK/ebD+GVS1DEjl8RkaKv0sFyMUh1YWFYEqk15zKPwvPB4VJJW/TwelIEh7/JqnoC5AcDvOIjljabRfdk1qW/66dOImyDMmnguKU/vddZNpEyMDJGQpVOkVWlFZzVvPW4W3J5/TyOZizXC1BNPSkPFnzDdJzA1MtEOxKlhcShQxnvaLlZZA23PX6YG0pNfmXfApsXiPGNw27bi+gDh/0UFTZUYXZDXbSIVpEc5x+AIWpkZsJBX0YNjIShAwM5RhamHOFQXfigAMkXvl+Exkhw3AmEYIx8fmqk480Ftyo1J0NirCkWTZB+Yg8P6Q6tgr/tUjbLGJ2KSUtdZI0oL+ge67kqemAafIAp+bTFCNeHIJ7yg83rzKWul32eWsbrYUALYX5JxNTyyiUVbnEbVPs97JAmcPF6U1EZKD8mGd0vmnT3A8TR9b8gvoXONVwEGj0A+ehicV9Gujs+RHMAoW8uvTnWz4fIocLLHy51tGhb9HBj3o+oArlNR3cbYmLsLmIc4gFHhqizUGEDVY18isoP5hYr4v4a8Hpoir2BtyXj7Du4+Tj0i7ojS0NVPltASC55C+LCxk5cy0PV00+sxW6TcGZzOBtNth7/zDyKxuDjGkEk4ytdq8Z59a6oj6IRbOpTR1SYRQWqMf3kL9hLp1r73Mc1IlwjMqGEDexcbsgh7d86tG6ehnt2gwXGfGFNdnMSVkPSw4g6445GoSGFZp81QfGI5snPgulGV6UnfOoZ6r7eGAotnz4wXWhpTxkBqI+1lVdOQ54Y9QO5BpPdTFhS8tB6MJvWDCIha1Nc+ueTQaASTK2bOoRt9o5T/9dcNkzvzLYjHIKk8ZnZ2veI7Eu0eZZJFJaXY8hpazoUoAHcMN2ZSMWza+Z75Exz4K1MPAq0j6vAXnmMcafXYK2IOe98OPBUTY7cqs7EpB0QWPAGsaHEzugdQsUIsfmbJ3ZwJmG/AkOGf3w2zmB2L6H/Uq157N++QiUvDY8IG7/Ao5T9k9BlDwzHJ/GHzYgqYWgfdD4NsWXszThIHqk6vhh4T+64UKTPgwpSvxIXZDPyKlXIlheQ0ZY4K6lUjkXy5ty8Mwku4rhddsFSdtB7ezUAZLuwwXdYxG6BdJVKwEePXFIxjoCofzQ8dAWEckQJ2TpPxpAtHE1dPEuUAFIMGgFyy4++s+t8VZhG4Y+sfHbh8qsz2iOUuHq0EGo7tjpyTDJ9bEey6f/ODr20l4ohwwOIe5P76OHUStk+hwdEhLRvHDjGmG7DZrfnxropk8u0mjacjgRYk9jYcwtMnIyczmRGpS9qhrPpoHOOS3rXVBEmX0LYur/KSP3zfKqppFQmaqEctPg4h5iC94TfKyJ5pxKQJvdo22GGsBpJl/3cz1NIX72ZJee+p/UynA9hmW7KYBEsB5lYEdCViIoVUoQWopNOHGBQDMXkOBEfE9hWUiB2gpeTHWE5TNk6qpB5jiM/8g7QLG11nKIoFRFhBh4EP3hHLrM4pmL8aRs/sYIzBiPFxfBtnWdrc+pS0hk3Xfh90BQ1zJBpCast1es8R4pW64i8kp5Bbs10PgQEN0sWjU9WdJnZWRhAyK3oVuuayVR6ujWRziNg3p2C5nuuinRXRSQ2RVj8yO0FODJ5pV1AGgsUo3bYuPIBSKDb0sQ355TahFTh01gUG4Ryg6NYOb1V7loAVDEkL8LsywHYg/BAQIvjLRX6EC3RZmx3qiK8hPwsOsbF4pF7oezurGlnEKapcHAvpl6YDMhtH2iuZ3l+q9ROD/8DI54Fl+cPfys8+LSx11afKrtVxzEakokVjS2Anwv2patbzs5PEZ8n/OIPc4v/KLKyyXTnp7LzFiIiBeFUyryzWif+54EFOMiSoiWC+HlneaE2r4D1uxsntcMdUh/SFrPKjbWI7xqt47dp/kRgXNC8WZej9K7o4fSyS/5D0XJ4qA0AkE2DjqvE7aAN02agCUDQ18gO2aaxIenQRDSCFdYMWQqOtDlrhBcXRi8C6Te1KxhYXK+38988FHDzqx96IhGd1bKNbBhRZi/dOS42G2lpROwLA1OKw0hpt2BRvmEsdcvbe4HxDiRXgClSSEtvgT/4xfGoI5dD+CwqZB4BJDKqyGGf856RLANQ0vsO30+8g0ADw1jjdiIEuWknsiZCwSTJJ/y7ZoyC4CYG98OfgpRL4zhZleDz2OHL8gre7xGJ+LvBakMEv7Tix9OvILCUFhKBErdPcBKtpVN6VYp1Xp4/8B5buIs5nlduFbYOwFVxB3cr4vYjuGhsl5E4G2YiJAvWUZMvar6czJuCCYSBfYNY6mMIzvkC7Nqb5+k6eCF+iGaJdRu9KCYZDPx5XCpNQ0Q2gQtc7wyjTJbIUrbwU4tCzF0zNUpCmrEu6kyekvTwN59r6rEb7L4HMDmqMKz+HMZlZOv1lRNM0pXxyUiHf/DZxysZeH6IJRfrhLD7LsMzXPA3ANODkU11RVTHV67tT4TlWLbRcFuSTVClGH9aNDaeutwOf2x7XU/WnZC7lQ+pfhOiRzbkQgYidwetkmHmQfRcG3O80b4lS0U0+rA+clyb9DTSAPylo5n0NOFuRE9E4SCxmgOgYmPxEBHZY2YKH6lLreOAyWsyqxpXTenS418+jfESCimeUwYGhXNym1kI2fHb4Fw8TbkXC5NcZTeaJPTFdbdSi25TCvdFocmMCNzoOxtBnSV2EiuoZdK6688/PCJ4ecw5Hon1fe+oA/BXkGZw1SHavfLcLK6g8fg3qKyoiigKPDrdjYUHpcLDkMfxMKqPkYgq9ZqtAG+BVIkEq6XfIesL6mBHdC06lNm+qglo68Mdkas1SUh9nH11St3htDkgBoW9EHBeKfiqkBAh3bcnz3AJf4EkG2mxPksVylTEk3hb51ZB5ePC+kC3KATOfynwEZFIDNEyqEBor84FOGWtlN4rMaMvu/xmft2AoxmOCKTBcTgkUFia2j2lEwY613YU/OeV0rbSIM0zCNiHcitx9jchxfh2K6DgSBquhfwXF0b5W1pRQy1zEj/QMUldIldX55t3RmblGxqteAwRbvQp4KD6trRfS0T4J2THHgzh5pRof0KTZdQn/9R0h4VAkklHLznFKh2DHkj8rVHfUhrTX064f40oGhmXzk4UAkL5Fgk6OgGHM3QDZkwHQg7uDrVmv4VOqXSaQkang7Yklm4n1BGHlumqh6XN+yOMp7CDvtF0syrMEb407Zys4l7heOmHSII7slk+jEE6msvrwy3gGS+VF5EYA0qoD1F7WDwIEtssDVlbKkPPhHSkCQiLnUWQeVyeMzf7qJwwm1RyT0jfGUppDV0EPHOnOCx6oPKlz80ykmJiwffsEsVADu1b3Mgac5342Do7NQRE34urHSo9FILXIK+ZEQ7KKwIeg5HH7Wd+KCUk2KW8VKTnaoNQtoq3vGbh7uC4NXJPnJ88+gBDF2fzH2qAlZ46SlrwJI6ILpvw/HZoVDWnD0uJwWv7WdOKzOeiDuF8Q6yKYRFENt2qwfpQZIMXnhADx4geAs7IubbwLDKgVlLbm/C2hT4rosBCqjK/Y09kiZQv0xiQ+LzqSDucWllCRRLlgTZ17noBvUv71OeQ9F7/HTORECC646ncvajSIC6svSqZtYrJEJEz5Hhpo+64ujDl9IKDdKW1WngvZXUohg2RTsBO0NvM7Okuz6fy8lkjIX5zuWm2LMN4Q2mfMYmXNYimJTeiPQ7dLN3qWlSdtMy/jJxWKwfguyBcVApCfPlVIxjgqxNwdnsWo/qtFn4MAa3s6ABoxleqnUO5iIfO7s5OitjUFANOVZiWt7fSxt6hKgWwWpaZmiajha1S8nCGtS61DYIxjJxkAyYa4C9ThZKDQZH+13+XtpLrDRidU+eNt3dQec5ZkLad+jNAS1QRjTZ8b3Wt72g1Hli8otIsHtwMlw95XvLLopix3iRfYte2qjPsYrDL76FiK5ij1YocUe7/kQyG+zmlNrbdv12PMf/PBktTw2eSN5iNS6WegnA3cUeUjsqkJMplFm9CaNRDnhbSvxd6ZJ912Rg1x57nihCsgcNOa10cVM7s7iJMoyPA1x1GrchstYHUIAHc65OjFtUpZizBEUEv8JhUDEYEkrBWYAiHsprRhaNsMSkbwuxEX4ESjaTX9XxYQJGEwB2gSGYh62zzAV/W0NjrDOyfAKC2u/nfzyUzlT4/Ie4BCShwME5hRpYq9cUBcPg6pKRvEBboxp9IeRcqUQHs0mXgN8SGXaVcNyrSVkg+upaVG5K7Tzw/ubU1b8+QhD34GcbdESW84IV6XbXW9J4mJVi2UVPSd/zwsPui7P7iQsuzn6P8p83fU7DFwJyA5orn1bReO783u+oST3nMIC0Q7dYLRyS1qLQora9SHtWDYbIWQBhRFUGDQk+PyJz3VnEZdbAVTLTIQEupCVl87gThrH+/dsRBXdNoO4h6G5Xeaj6v9T8vwXmG+Wz9xcrhEqlBmdRRlmCwsHQUvDreVcA/KyP8J5IAS5dwaBppHFB+Cw1pHsNKsQaDiyAoFHuu6BjXf7MHmg6qxw578EyBzskxC6RWxi1ypHwWElV9E5q6ErEF7JweUe7a7+qxNNlAXyaVyno4KXH4XPKi6X0LZ8LfEaBV4JCRjLDcgBB6XCghQQaQxjDbkoARkfsL7N5Y+u9Fc+SEbAMD8IQL2caeN7lezt9H0eIJbsFxujSd6x5HysWPYJC1yzHR12IAA5O31OHCFt5D+kEezG1U/zsGCq7D7qtuLMqX1OoTGa/tIATcCNSFFOrtSKTM4+kjHC8MhBs+DJeOYsWbIr64xspTHJI7JaFVs5dkdl2s6Vn5KTSpSiWonS4rZ/Q+M2unQYProUPm2r0TK6ixxRb6JB3JKzZXMSvq3QBXy967BUmBtH8LP0/wrzwIgDAlHeUWgWRcXtn4vVo5RRIYcvROsftcz4RiQNTfNCJyQ1ee5NmsLeFQPc7vz8nbQp9vxPdgaZvnmPRgK+pL8qN8ByfHAFPBxu7tUjWo7KxsDpse4qdp+iiqCfzdU3o4LTjaR9rjC2Rk2kiSkti/r+oDItkN+We5k47rl4YAGkmQAUX0ABuoGRAVf4ZHKfo9JhEYJlrd5NyjQ3bwqU7O4O/UGEopFTEH8tHfR/S1fuKhw+1N8DNJlAt3ZAJKjWOhmh4kIKuRiJaKnSzUSQ1pSx6IEMKglQ2lwuHGURVbwtx9OhEnwbSyL/XwiMXpBnkNnI+4FZN40TX7Xh6rkX6hcTAiqg8ZrAY7fkLy8Kgdk6KYhN3M90CV/PtZ9tB5ql6WCMAs6wJVXaK/ksR+tVyqS2BunSmVNO5Po1pmUEb2Tns/XoasSGvoLuWe9nIBwPTslV+ge5jxYp8kAri1mY/LiVKx3GVa8KRmqatcv0Geav9qrd30thOgjyjMQqmN2JerUtxWDYSxaJgiOqfACjzPt8SIn1h/1NsUitD3qZRZpv0BORie3yMkUvsXZvyY8hN9SgfNywbmwnGsaTtCM75UqQWlL5t8a+iQB0iCDHlTkQDUCL8qGCQ5fEL5TLqsn1dDfyEo2ZEoTdresAm+wN3oGoenrk+eEGXSmlqH1AzzTnlnXjwt6FazIKKyPDU9hNEK3cXmAt3oPn3RBJIm2Rq7aZ2mx3RliaBiXnG1HiEpKP9JOw9WkS88QsUD2DVIhdFapU1Rz7e52XWaipNPpl9WIBVgJox9isFdae1OXOoefCKQ3AeTmlhHEMGbdEb7oFSQq7nr+AD4afHX+QZaUTZmk0L4mp3VFmptvc0ljzT9LHS8bEG2XzMlHvegkj37/NEcvroYyJFNL+WPv3Bi2ZimyiDi/WCHZabukqhJ9qV1JwbFK597X/ctBIa71BduFYuhpw+TAZ8QmSC6s5pFwK3xMnTAS8a27uv+78IVQ5kDSZqjjr/fp48itSAGzVQmjj7mT/rsFN85cWckCWMsHYWu4aGkxqkwDaH16/JBWfi3VOcQVo06Q68XRi2GWYfDJSiqxKAsNrViHKADcWjf2SSjtemZ/x3LVLevAWePAMhl4SaDcFQvqj5qwhFVZaPOdQJAdHdWTNHiHemgoB8pvAFdvwjzOJJ7B8mwD3A1xOLtgbqsd9lK7k5C2QVoZo4uFYJe/cpKynpVgpJy/3KysD0ea/HP+S2DzjRR6aaQqBCQCFhqs9Az86HILIlcf3l57fLZwLdTrC/4RXzhg/ECcDlWaXZC7i6N+6sG2jnq1vy/fPo9OsFTmNr2NyaSSMbwLvDFJPMEdHO1AF6K9XQ+9lB8qBRmpyf7w92wOud5pphYdcFt3Nf/qqJYsmRBJhsIEYfi2yCFLQloG+dfgulZ/r17R55aaMc3tCATKOenptOiFHnITrjgAZ3UOgpy/TxFLF/o1X78WA44i4DGkxSs6h1UAS79ptgr/uu7CFE7qMGrUn9Sy2q4KL1HHW9pG9i5EM68J9JdWHTiyzBHd/jyoIPQuqsQRtXIA1OHGFRXLmjAjB5ln69TeJMTdJMiG9zkx+15CUwKaUdOWM0j5e21cBjJeoCWI8PM6U2pk6mxfnpHoHbJF1oERLlBCjCFX21voK0zSn/iH8EyNDM1I72KvzbFMxpdXYi+IPdMBAaMdTUwhUXgGXAyIFkc+HQRWAs84HVFvhXJbtqYVkkMqCi38rPmAsb9xVwOZMrjl2OUGDcFg+EMh8ytloG/sFgTJH72nHspRTpU6o0Rtgi6DI3rJlnZrJKJr+G3hUx5CY4RAzjpU5XRZrTnky5ICIWXvq2kHS/ydHSpA97E1Jf9mQPHKbbSpBR1iYXsxBa78JkGJfRzZL+W45+KrD7fJfyCqOkNODUAvXXCtvcZ22iM9QZMBUcTOD3dn0knWDaMTH8ZID7QXBS8JarUOapJgHgxmHXx+43H/RMOXJJW44gjOCpn6RAwjCCQhK69Vzg0//xDm/QKRrIbRo8GhSIPtt2NC+IpC95YIgKMa5IjdW2efc1/36wggSk0em9PkKLk8AJXEeAGdQw8p85dqTZiBiYm4yhHS59s/IpxMbGDQmbqxVQc4GMxNclAa+aRhVgNZltFQnMSrQIAIS+MXQYhKyR+JoYEJzmtw8xxpL5Q+SNVK7XetMR26AW7IUBPCz4adgjWMIzJpr326L7ifMOqVAshZBXDcE4ONvChhZipTLH6JMkF6U4Y5ReEnpZQFcLpxx6mSB3yWWG4mXKVfnmKYZDOFaHaB2LEYLwyDUwQk9K6EO1YqK4/RvMyQOKFrGGQprJWDuWJWX1Q2iuB5orsb3TIEkHa+q5rTRzag97gWmx3Oivbq00ern0dRhJOPCpqAL4Lrfrz+UUo+14Of1rC3rmcSWKkrU/BhJPOE7RfFEzymPUC1iiYL7B6x2GkkmSJ4f8EhlpzIER7cWJZTxYWSbEdmDW8zJdnzyUOBfM3WSRpGlYk38M2BJ8zV3F58k1iwX7BA20UCHefz+E0LjcoTm5STTU0zuS4NE6riVHl4lOAIWSSi2wU4+4h0iH26fmcE0DIbY4y4KkoVgqWwrk73YwZLSaEQ8DYzg4ULc7qK5lPHileDnptoV7dUxZNEAP0Gn1HU8mUuhY61P0XvBJSN2eq/8fBe0hsCurhIVycYJFtxDCDKFITCDXu1NCylBmyTiYE9KhTu/avyMVfiJaNy+EtodBlX7ngxZSwY2HuBVCUZ7UWauR66dTpC4tVOYOs6IPHVCkqZXsM2deKcmGDWTZ6UroWWPWCtvZ6qfKppRzMRi91Ll7/iO5Cj/Bri9U1NZAZ9FvbHE0kVyGuTaLwEBdfPcgO2Dok6yN4HkaO2mCuyL3c2tsrbBrhIKrgjPS9gu49izVKvgQwagJsYELG4o8bI0eWv2k2YNddbwHtw+w8N+nr6H25nLUfCFRcm+1oBOSTz4TgZ0Qc1KC/gBqhCCEymCScBjFzQ1rsp3/d4wtdLRj6fYXFPQm6haDKsQMXibUQ+uwhrVA30qziKRXmDahCqAWkvfyDhGAySJSWMwH8dj6K5FhY1H4QYshZ2obZXxbrM37xny08B1JyfFgYOL/XNITAnS4KKmqggAKQjYZMVagN+aaZKAknOEecplJl+cAvLR3MR1z6/8Jz6fAxxqNC8cf16FjhyioqQLncqPEPsR2mGlkJal4v3CJhb7zlIWtQwJ5mvf/O43FRzudxJWkd8NpNfHruHZwbH8qSUFd/aKaVWGdcK70ZysL++g1b9rSyE1TSeZSiegmEADulODd4jJT0T74IcJ42SHmjsAeQCh/HWyoi9doQTLdkBenN8gP+y4bfuAoG9khuLs995ILtGL+RS//67k6H0SUTRy64AEA0D5zQzqChPsLC6Jj7wDjht6q4JsQ0EczITOgJyo/stVOFW+BNN4m4mDNSPeLIVIM0mZ5ZabFHOLNwxemlNn0DZ4Bj8RDbgX+ift2d0TOzo8SDYk6mvK+p3kQBsVCC6pAKCWPo9jXnv7mLB6AnA5FbSEggjMdC8Ub/vJlaNNa+jo6YJ4dSvCxxFCipXPkckvft7skfSGzWQ1PQEDp5FLJKJkT4CECyHBb1H1EHII1eNP/9q223+VLOkRuMaoMnjelo5kLhE25/89z2AyTK384vozACEAJFsyGb/rX7vvgaBG0pxzI0GPztUXGlrw7tkt2Fv5YJn/5O23qp8T5bW8wIx4pat5Ggi0ZOrWEn4eae6Z+qvQ7ADqllnSQimihYKtwOGreIE99b/hCyu/5grHu7m4EMRmQzGnpmsRa3yQYt0MBjCtS8ToKoCEs9L3+sZIKCQ8oZnen72r+y2VLGbMplgOVS512D25l16apFXW+xTN1n+68svoVDn1cX06cgzf6V/kMMBbkeoIwAJ+9S4wQL8/CBned19GIhwe6Kn0Vofu7U08hLL81ntwuHLqq8KGur7O9WCThYG/EjmNmCiXiPEgSUHC772b6PGfnvuYQE048eG7KzvUyV/vuKzqfNLwZ0975QvbHez1qo7OM8pVy/D5IhiEEQyO2stzwy/bOZQCD0eRocrCRZ8T6oTjBsTNY+w9wsCloYRdvpsUz3oPQw5RqFy5IwCrnylUEew7RtU5nqsXkXwU6CkHY5rltwW9jqopahyYV4OOMMzmMGZaruxEUA2DpongFyXmCCGjSYAIlHoJjBqnAQOnlPK5dKMOox2cjAlBGCB0kppRCzFBbbs3CeibgMdfPOCXUM8YpUPd2/FKU9/T3/+j/jMWf9aD8gYtlYGxDY1QWgy/ZEul4gfedSVHSy17xyIUvSFBEE7rVu3POQUivu8TMvqPjOd+WQUey0vCnGhnPFrS1incAdhYHKaLl457oTonr4f52e5UBS/2VLX4wiC5Onw5RjwyuxZwskOPSLsbQ5XLulcLGeda0CQs5NwiPpCcofVtkl/8ZyLP/huv4ysczU0M/TGxVlel5EVVyYWV6SF1Cf2Z61ls4SPlHBw1UzzfjiHVhTogaY/1TFUO1aPWCrOMeByTbJr8XSYuIP/8pS7zuinlIuOtKFSXEhfgJbxAdHstwwATsJKNxyHIpENg7KiveU+YNkCBt2OzOrxZJXo65cH4yGzPtfnuU1/iglelkMIaFPYmc/2qRoesnOIwvUSj3PgusOQdSSvu42Pm77PmUomc4dwdQB6CjUZych3IgoK/3GXyDlZmRMcNJvntRmxY5zWCd49HD655kSVZiIlI377tbIOk3tGukpqZDfmRVl9YGJW8d8wCTRz0pITEacEp/mM/VIMCFxxG2qb/L9p+70Kr30iWX5Jyvn1c47eGFV/SqiyxtCG4UN8C1nC39OUz/cRsAIexKUInuQGBxO4dKXZekFGx0Tf0juE1YFoM9/QZx2P9VgBqYp2IaB9gTBkvqGrNEHT436IbS1kROSJT323OO1ezfOT6NB7KiPHA=="};
+export const answers7 = {"start":657,"count":396,"size":30,"iterations":50000,"data":"bnlhEJdjPU4F35KB44PERWk3UJncqyCyXoX+dBh0tReoUSTyrszCm4FGEvomWcOhe8NtmPYEQgRQ+q7/szsYc7iqP7HzZ7qVFx+GLrlRt6wa5cR5XcRc2Q+ebUBUSkIyrbA0nBKyHbcv0jRaujGGfJSzHSIXgIHDJBEIN5aIPYJch8auYoDfkcqVEveAe8liGPzHNs0J1wDNgymJHUKBpgBwvO2ThfLDNsXo5O0wiZHdhUZBDuuWVERv6bqEhLiYVE3t/nGbPCEQA8emUhbjzSbl/v+9nYNzrhkoTmLdBqY3LkdsZGD1jEoY96THeWl4RGYqxHJADUs4bMp+ZRUbG6HNd9I6q0Y0hQz5VvNA9HpKO8U7oQpbqr5ym9jDtWYZ3qcFEs6tITKfRJL0997zbsz53++iqLVVKLaU4DQdfeIsD7uOzHZ8k7REOhtpfBkWhKbfNKN43dSQ0xl5TymX95sPAFn0PlYBW6z0jw+qXhCuIpYnVmVj8IY5Pf/G1gReJydkqhbkE7Olbzzry5D6B0txHNa9shce7Pn1QPQNZ+mTU287AmngHQrGmX1bekJTGrpTT6/61QsyLGfaEVtX5auwplQZWeIsopfEmJVD17ZQXXuTnnWbQckXA+3TppEVKbEQtWFMnCL+pNuwwlCl7Z13P1bDiMyaV4oyubUgPpgmYs65CG52tmVVI0r/FFQ5HFNdl2O5QSJDR9xpLR0Y4pYAsOiJ/RpfXXprG/FPiwbzsO/xFdpqXikt6wJ/nbqciZ+nuWfiIMZe6AnT/8vsvpCYoj6P0dfXvQ1bMQu7ifLUt9thnO4JCGY8VUu12FYTSq++zvbVorGl99xj6qujaOsQlDXGIoPU8AmKUT1VhMYQitrHAzPVO0e7+H14393qa3WgBzXXMrbNgwQ+ysPur7TvX2Bd8SpzpoA8i5v1GFoeLtUnHoNmm41EKMl/NJHuM3WBueWsq3RnP67apzzTM1OF2ntcP1J4rWLooOXKKfV8sJNLM71ko52cM0JSQeiOeJbXH0Pl4hRRIBVNpoi25PDNkM2RdeMEE9FrXUD8l8d4EFq/uGtdsGp/3Vck0AXkR5QoT8ekPisb4CPd3szj5+v7ZHPg24KP3Gv+j1jHJRS2xfDt1A0YypFrNMNgZNyyX06k/Nrsg3qKxJ0VVQWK+tesFs7xNqqnLZ4Ln0sxHVlUHJy8yAk5ujtJVzjZRxtTgVfTfHPubEvwJ5Un7T5iGAl7p08QXa0OOjfpe2CgVwH/UoCbLA6svDJCfBnHcepT2YNG+WW18XTe/+jroouU7InKFGcu78GLL1CxZf0LmCfZxyp5aw8RsYZm5hacs2WccPgnWTjFnJpjezCtLCNY7Noma3pSDTWYHtPyYWpII7txa80Cbf/w1mKrapMMZ6vMPX3gjYhlCu2WgsMTVSVWDBTZVZ3uwh7WSX6+otzaWAy1qcY9jU0RBPgFP0JRbvZPZZxitC1JciTJu3xuV+eQzreUMaK03mBRStFEDf6/MpI5JZeL8D7D1Lraxxd1KTUvQyE1yP0y8KP4Nox6KFhFZFrwNsjUXnEvPX/1oCTtdgZ0kE27WgD4m8hvxnIt1PjnhPBMWgQDyCzs5Y9XC7bl4eVr5cJOELa/rtuYZGxUcuwzEwEvi0BaYrN9+CM3K2ItoeOoj3crvFVU6B1wEDLITzFzXreg5jIpTHJp8VdlWNhxgaSnhbLU5inIhyDYpJkQffd/kuCEk7hB3/LsPuVXQY0CPL7k+Y9VeBfpxq/+mUs6I+yjCv1HvwV/0H9elzb+FJUWRNKKJj/hLCzeMDdJkYP3UyvFgMgePO3K5F/wbP2dDCWn/YCnk0AEU4+he1g1gDbsF6cWaSUGcfe3lz2OziEhlJSvwRiwxI+PGc+qlLDoQYYnn2P+DG5MA3P0aB21T3LLAhro3nMwR+zWK+hkNi16ZTwFrzJSVVRVHeCupnsIRCbs3BvD9uer0ANHX1QaatbN789/YQvgbgqAK1Rikk5FXlsRaGetQxlcOuJ88yiXp4i/8zL/kxuXVOQ38dvvrS5M4OyhIeRAwrxJU2Dxh23PEXrrz+iof1JhyElXiHGbfLlneYC520AdqrxABfbaBPn+kVpOquiBa7p8ExnMasnsjJ4bG6q5IQj8ZJtUqktu/2eve0nCCcXFobpLVst7CF2MEsWabV6zHHoKyataOQOyAdvIhTlokKGwUdh5ZU2DQx+thrZTB/z3FsRJyigF/ea8wuq1YLCsw80S2op0MRHkPcVppveG9auexcjfnq0DiEJP4H+s8Qx7qQZOW6xoiRrgHG5IS22OWxC8scByvEdKD5mA0mlzCSYbFwMj8s8KXRLebL9rOEyxoEEiWp4TifDkAiP1RqikRLxxa8lisp6F9hdbf+0Czd7bhgORrqu5kWBii+m+AET1f4e7f/somwfj4ScwDNcmFt7viwWWuC0SvJN1Rb1aaSbGzU/N4rUMlHtmgVfeb/wFiJq4ppb51wbMbQ3IE0WxfEyIJQ8Qda6qu6qHo6Rhp/32gXer6YGnKhtANXfG+8SM6ls7vrJ0uIJQj8PMXVKJw6GJ6qFZJr8a9r7bbxZjLhUiLPcapQwwgosV902TfrxA5e3ds1ClrsBeKzp8J2z1duUhXhyYktqt4KlumJ6qX2d2dNYIEIsOXHGNl0QlHlD4IB6OgiFOyzap+9AUTSK3tUa5HvxOZKsMCspgJeyN0wEUiMk51t6yy1TFwTszucWWcFfr88W3fQC7uMLm7l2kCMKqfcbtXpiRPCJBoCHKobJhevHxhPxRff/zFDoxbzyzWSLAZJ5ruEZ6q9Ai09DycIuFZUUM6gUUnAQpC74O+6BCuVkyhaZKRwn8zx+WI3mnjkKlmhlJ4OjMsWmPSFhfbPqPMeldMwXE+mzvEJPUkeEGDqRCWzX5IkVpvybYS4wPEUQIVOpRauGIQJJWaEMMKs5YhY3c5keQxgCizc4Ugt9Ms6SCxkAn5Drna6KAMNnl1uiztLkaoW+uDbpVKe33jeXLMeBPPxTOheTIIRTgxmUBMQPwDAtTXb3bpiurk+lZa/1aOvOBUscm89Jz5GRsMaEB0+3svGBGYSfIpZ5x9T/sByZ/peK2bpHPINFrXlxWdEr6fUsG+00YpwKIK4cYWCU7XVPapnttpEG5Qc5AjPdLUqbabVkC5f2Lj/glf282U9eqi47MPum2dRI8EC3v0EA2n2wx/AqnWf6Wa35ZSfdgTeQ4w7BpTmmoVH++nmRiI+B/b0OvfHaNINvheYUx+RdvdvXGxo79pB4Sn9ljK3fPzz0/hOnTR8tV8ZCZPjWSIoh7as/qxyh2YU9H2YbxE4SuBoXsZq29wLFaWeDHYfLF2TReEdaEozZG5F1jLrP2eXa7kAzBqPuJxReljRt0uiZFiuoScDchqPNV7EKpFViRwrI2gXsqEfY/8jKaQ0dQimlOOG9L/ARCkLserMCCdBPAaVzl0c8kXCHMdIrMlrZlDN/8P5Rig6Y9bHOQjiSlzr4M7wNz5SeSxEBPx+NBtJxxz0rdLRyM0lFct9b8swVHoGNaePZczV5fJUo8p2EfLoswi84txPPcOnQMgMmhdxXzwO7RFx5iWpkiAmn9i5RFS2UUP1waSE8y06iahDp5Lhuf1ML5WnUf0boXI6KjZT65LCNLUNqk163fNEaBN+U64YL7eLYgOCuQkx9SPlrNVsAa0DykQBaVeAhyNuL3XkmE3zBZFssYWw5pNtE77G7YMf/KhCUfN0kGraNI2qUjqD5FkJUn4gEbcj4D3+lr9/NzCevIysX1hqVqvJ53Tv+Q7PbUXQBHjRWY7uUUeKmllWiKHoxS6+ewkgvasQALqxNK5A5DwFW+PdMzwmKnhVX41TRzZfgRUl6wKLe6QMs3uwrJfoQZc+/SM6yKAoQM7UyKbMyQL7HHxcf6drDXJht6fa9TQr871aJZNx4MYuhVPsLTXkd9rw1GXro7j3W+JsVjZPZWyXZ0q0e6q5iT9JZwpHsGFmPVbHtLFSdJdI5U5twPA9B/f8GBueDwNCPTzhWHqPi5scr7FUCxhOwifJiasDwAjkpSvSSdB9wo+FxwZQRv5iiFs6oM9C8t8IruTFSAt0AuqRQ7hO1QkG0OftM8cdblegi+e8T02YV/9pcTD66urgZbCIpeCHR2hPQdiqTt83ztX5Oo4GYKDuTGTsPuTE8q/koMhLlWqrKJLojM0iObIhCnVpvUMIMKllad+PVrQpS2kAn+RavrKTQaXIX/JiWuSweA6KwoxLhvuyubcCfdox6oExYsG9jgSg9PJ0L3AP0L/XdXtkl7vkB1W4JRbbtO51f0M/W8KM1ceFt66HQt8Lzu5x+3vIgNrutXF9Pi6uRaTvpQQUx/xAvqASRLgL0gI7lNz8Nypbw55pZfSq3aVtlQYJM1LsOR7Ux8gNqZczf6dIgA8u+VFemSfmMff3hKDwjXpwaHxe8zDeYov2pKyiIpzLG5R5Ayq6pTeENP3TmHZvVnpQYRXUPDzTEqZw5L5RBn1ggR3j+Dk7UtJF4EOja5bmRhlkph2WKXRNAGjf1sj0U7L1SDIj5ktoAR3okiVDm7vXbAitGO63dlZ7qUM5hueODvQb2qTOPbdxzA5YTRttNUK7IbDZtpZP8KN11KzClUcvsf3PA3c5IJ3PUTMbmjuQNunMep/7EL7gQwc5Xx5ryI+D8mzK8YHm5lORpy4YOaG8VV0CP5LucTEkYBdBxr4g9reLFoxdW4gheEEHFyJkJ+KoCv5BznJnbj9cXE9hEre5ql5ym9K1Z1DwIVJYrpuySK5I9S6Tj/MDMFPBHw+AS3yJYf0glj2dTO5+4IGqcnnRS0ADSTVfnX///tt+C2ZBq+bJWYDD6RcDScFQm02DSyJYAVndfZ1NQjiro7p5wSFpMZ80RsJe/ptIgu9b7g+jGjQb1OQ/gmIUaJCLgrG9d4v5ED/UKrupM0DkIQJO5ueNwV0AN9bc/XlagW4yA1bFzQOLebmYzIM77SW/1sN1z2rbVug2drR92SwdygFK8SPmlBm69UtmF2fJFOVdJGOLZH6nvPPqbgs4uR2vcqqs0N7xxr/q9qY06UoMBlRuejOi2Ign3IcDJLqXsQM9EjGJ226+WTL3q9Hz9P3BQ9AZ0d6aVnd12wFPhdU8sG3e7bYleaxoWjD9Pgfu0dh1NFO5FrpDig2ORXXqx6dQbFQIooHsfrj/ZP3xW83zdDJ8RsrjQl2JA7dyRI0U21VkEZerLZE/5Gn9gVugfbVaAt5y8+Sm1cvVKrxzwh0nsrlrkfUVNw8SE62YgM4Zx/TM6Ku/3kURiDOynA9UgolEMX/aiBCYADbffhpnANqxqInLl2HYhkQ57GDx99VgBN4vj8sTFb7KFESwy3obrJC8ACzDRWkDTrL8DsTNiSGUfLrTKVDisG2jmn4Utg5ol65kOysUzXBa3mI4fIPDOqmPvF6F/8lwITyI+qOFhiWYw4qGyOWTzvjAHoYKf4oDgYes2cfGfHRcpt/GoizQsvOT4f5OngPZ51xk9cwgM9yZVsEWJrcJi9nym198WVoXJJYhPWc5YhXua8Obxa4SDsvd4RxZsn5lJ9BctWjDyQcRlLCi3gkF+7vux3JUX98iRqiFDWs1c7rXk9xHc5QXv6S7mFOXpmUXjp5/sDsLqwtaKAWp7UVgt/KSlcK5cKB9712AOW3JCHJMr3yZOeArr7ps+Mvfvj7i8qjdtr7bC996ifmx4COm33e1TXH1NIw2Axn0Yno4TTODC1iLgkImgFBOU7UN6ykTTUXJGoo2muCVworX+POMMD5TkGiVAA6xP3DhGHaZybsVy7VBRxRBmG2tURG5QGHesSSLkBKJmJUbM3JTB520Y19W2QOJfnA4WL/ZISt1Z/722Ddp8w+1i2bIcH4504VzypwqSjaokhkbrwAOHWSTMZLErxZ4B0mltsy3aVlF5MCALsnpQWB3CZ2/k5wImdIvF3SuZv7JnQJEQOeK15wivJ6WDK/q4kZu5X+E5KcCoI1s7eT+0U6G3eBhoNUqzgXJOKCArVNAnQgC7znDr+aiiV0uiG7DtaaPPRAq2Fnyn2yU/6/3lT5mpf3cF+4G2AFknfKmuO/WIAlcvGK5sTsxJcFcH/+gimXBWwRO1rHM6NoD/DK/Ve4b2bCdFXgKzgxyS+DeSHSnFzWbCjgXY+v1+KQmh+wui1iqyTMzDYbh9TGZSW1hgU/AwBvd4UNlTItU6ADDPZjjYbSJB+AnEOJB+26fQEbsG8E2PZaSnjwHXLtksAP8eaNUocFUuHmttSGTLXUgTPvBWWRlTx3ycSZEWtTkgSb1PS8nHYrys8w1wJ2uOeL5MLIW/Lhdtv4w7AVwZIcrSoxDs+SIJPnxSQhH2gzXVwwGs0f7n9HekoR+wRGXM/+cQzsM7HCE+XPCiecyX+qtBVff+sZAk3iTueZ5JPGIEKgMq82TN93y2xZ6Vs1nN9r9863vblr9yNORHqC3iaIIxYlfhp+fTt7FPDx6GZgAOocQXM/A4026BkSp32/LqCqocMzlT/ahba1mXFg6j6FFZauun1OimeQW6FN+V//sTWua0MrHWwOxWyUhK7ce4yzA/1Jm6kFJBpOkEtccbc+iHTLwm3QVyXInYX/Hl1CZt6/ceEkzsD1gV7bi0nD1H5CV7SuiaSEW4mfsrOMyAOtX6EG4hmctPX3SmFuhr5xEX1i90zKCpOJxCLfIAp3xvOSAHONCtSn6nfupybAJ0RF+jTz0Sf5M6CO1bLjRUdo/DuyqNYFngVQs0uc4lfpYT3+ibhk4s4QodUA3S4jhvDdP3cbN3VWSxG4UfwDKn80kZQlqSLMkU0owAqO2Mok3D+iyga/+gqr58yCKJmxYKi2GrRMWYhI3Bw1mVjGoXrmpkkCSf/ULDuKPNegmn9Kxl2eRtw9nXF59kgkJVcCJl2LprCZQr2rlyBnXhuxnWBWC43b5MbazWNpDS5X5zyEx+2dPDXX0uvtDb0LC1TwZibLYsqhGm6QgmC4VmALtjpefETWPl8vgkyJCIOLPmyNl8AkXf7mcG1gPL0KqRj9HbBh0uTF4ceoq99YFzhNUDWSPAvGap3CGQP3R6LXRz/3WG5r1HQ9rzaDkpDQwRrcnZH/9yDpMm/4n9Nv1CtqjupyhVafWMtASzG2HIsIk0f1hGGt8ecKYUdPdMgs7BzmQbJD2r+bYz8nYNihNDUEm2Y2R8cIaOzXL8Mmf0AyM2cyem0fuT5owqbKv9wukEcPWqEwPGBUOOjxzFb5f0dKKHSnWqOJfFfsa1mZIKksKoPLaZg0b2hbXvmDjww1Er6817UftEmPI+lx/HEshMYTMiYFR1XOWM3OngpuZF8Um1zRfcuL7TvAVyTEzLxJ/go9PKvoC4E2ntQCIjHCONkeJlenbkijH9OGnEe0RMXeU5iulk+b0JM4P+aPjZF86/RNF1UTEzbRYBYjB/EmItdwNrao4pV8fVrMbiJUCQRnUThFIVoNiPnKqVkScL55WmXG04jeKMv1hFMMZqmcSD0KkW+YH7sbVzJUN08UkYzLzBVUHdXzCdYPkLWQFqKWn+VvGxLWKDh26sFtWNPXZTyCnKeoE+xsMuWBaredjZ7puvMmQN6Bt4s4w2edGnhuS/le0B0+kYdRR8VcKjou0Oa//jv1QRUBersNMsSDKl4hcofD4R+oT7GYHD+Ohw1YJF4B+XN+ppkaf5wl7EnWq9EDVm/z+Cy5DwzAwK1alhy1PjWXsCv0VCesXZqyyWb3Nd/58nN+M1kBegToj4sB7sEfd0Q6NLuFBy5A82qY/DYXuqcUOUqnZHIw5dOJardVTD9wVxA8rN4HwFpSOY+oYvjzhy7sQI9PtysL20V/mA+Ynf5nMtuIcXDxfSNVoPp4GDXiRYqdJHHkIlGsAtCmn7isnEjlgQpeOGesVFPIiiHxZCIkADhAWl9gbp29CWKioCtaC5IwdcrVtVW2tmmFoIkjCNmZ35QYrWPGLj2qUMvagKRYXKovek8rtXtCWA9wvdE5KwmZqBKmbQEbAxDJJiRN6vHFenLiGcpdB0wzgNeP33KYCqlLzgCT0UDVlhe84F4T4iptWQfYi7aurb8ShcgLkgu3nQH/8YqshZlvluIll1JcR+6SYx2hf1xt+ceTZ9oN33+XtyX74Vic5YHDbyvoL54442aXMXX2Q7SaTRI6vbkbePib3Sxv+rx585m4/Ni34HPqq8nD9CSs5Y0dTAw3+BUGneODA/MOLnyzh115O1L36cNYcau/H9ZQCsofIBo+BxNeffz6OUGvYRsPTYiudu5cPA7bwDaqOTObp/Uf+Vx9dzhCiaguHEsbEFhaUWZEHgYJvomoD9h56XmZFA7NEJhLpqdYbPghvH2hKq4vUxqoyMqsSgSTiyKdzpylSin0KYzVeKE7G5FskZBNAsRKV8s/4xk/h0ua8lY/Zlf9F7kpW4NZ1qBArPVPYTCE78hCjgbU+9NTqTZYa2P755trc8YI+BAikJkoWpPCs3Uh/hbV59ey+7cxBGun6+uyzgqb1PCQVjpQUGpPOYFZcrDm42JFpirH/cDjtnAd45Honzk6bkVURpasjKp83efhEbQer7wWTmcRcvzGcr6DSCR0IAd9Z0OkyMKg/abr/jZwtzYGyyvwGwDl82+xQvFGoPvtopyArEKJaA26HLZ4ijOkHkQnjT9kaf9CallGM+WkcLPmo24qGPf9cM9eDJbNTfQS5nHlHNIXel1JOhe522ihZz9sm1LpN9klt1alaUeNxiXfpUV+QgfA+Phon7/UYZ8RJQsbpcIxVFYx9G9/R9Z/pirq8SrzirZakGBVuDXeD1vhrslKPFMsRsUVGDNAcmeWXwTP2juDWcd4j2CmxTMvXksBlyS5/VEiM04EPy9GjJ0k85S0UiJGXtCdFSCteD9bXKvwz9goE/ji220OlaB7Rh9uvva6sa1KpceIhsydZXT43Yzzq+/Q3ZMbvAAhQpzq3edl+kqakJ8O56IZOhvRxrFOxCLC2o3aIDzUynLaUuHR9GeYKqq6qt/Ltz+Zy9uRkkkc5Y3VH1HVUga9RGS8PJJBJGOeCZL2z7rD8v5Kn28XYBlWu3eeAfJDALS0fOop32QQhQO3XVNjCjCmXS3eL34VGG/ieYIc0cdlC0WkmshtPlE93CZ/jAuc/qlsxpw/v82oC3/0S5GHqkgI/40HpOhlxA68lRCuRa6M9/frhuEBxNs10qivh4z+Cuz9IeQXy4Ffhmmok8eFjzgo98XU3/GRnXOba8a4mMtLHQYO+AQH75exXHnjUK+IlEaQRBmwGKo0Qm1/H7sCBdDoMlIK1hCd+GzQtMGOYGI06M2dYEn4e4iT14XS05/4uiFyFHYMaM/7mQZH0oLH9ctEb+zu2XaIG85Jn4685pFHDH/GXeib5pUQQ7okvTrSTD8d1BUaOHJuKlkgE7h8QmZb6Jiz50fCcdrg7hTszGwxVIMT/7XrMGy5QLxb1wuLKHMrPWWH8PqUHVJdr1woQYnCT020J1K0z9xHpawQ2fUuCfcgS7xqDUi7w8bbYyWAb6boG5LFP+3Oc+DW9cc2+WYJGlS9jZlT0QFSzJ8+0ExQXhr9WUTSWtx9rcOUBlCXX335aJsHftcyg3B2JaVPuP4Jdutp5nUMiM6Ze1CmZG1xKzhs5FhOoTSO5Pg15n2k6uTl0z1EzT/QRvtMthhOPAisy1/V5Zg6vdNem334mHHFfIjTfBfHXqCAc5yWpI/SppdAGOsBTRFcxk3pv9FPbSAASI8LWvaTehYmMzSLNWU5bptCq3AeWsDAJPWuXS4RHHLqhTPfPn/phihGtffbATsZALBa+x3JIt37IkijuiG4NkWRmYupjIKzZgrY4ell1Ft+LuzwMrt8fi8GmYK4nihOnQ7jxUKK6OvQ+QH514dJJoKnrQQ1xRFyfof0DpxT14bfrehGwrG8GJWQ3qBXIkpmiW042UknO00sJKOgVrzbGlv28Qovt/mMD8uBg0BdunvUj2dvRVrLyUuwbMAImecRDYOeMi3i/lRPOSDZA7mEuqt1pac90uwWJCrKCnNBz0AtAoDncb6ap0ZMRccH6xGN6nzlznc1hzA2nSd08z5rzdUBNHTaUTaxXfdFNvOTxyFECTIqvgz/scp8OVkOds7K7TDytusV16PDsuRqXC9hUgExr3TgR4qgAhlsPIJMinn5YA2XV/jOpyb6dNr/I0bmxyHyDjlEsngldNj7kM7GTpRSFkFr9H3lwxIbjvcVoIyJvAgRa/7pp40W+fhrlEGqAhmOPO2ZXVE4N9lLs8D6FU3Z3WaBrd7umPTi8fIOukY4thblQvsARb4IiJuMz3/8dgfjm7eCUhoYMO4ISpSefvmX9nWPQGrdqv1V6qT8wYeT5GmslGmes14Ib2dt/xOS/enwYSfVBFnc9YJMevcD2vuYTyaK4tilU6tNL6TMkPlIGHDjDFTkngI6vKp2f139IJxP0lBTL447+F9DuDaYANXp19gV+CQEJSMO8nrlUuC79XONmmCMJ8TGt5VjAaWuqlOQFNyJ0ghBejoWM/0bpglAE5FpcBzKJKDSPfawoEu5v6HCgvpV3t2CZZGElIvsuz3UZBzN+8gPH/AuRVfnD1/0MV3YiCGtw7OrZQtfiOYnvD+1ZR08WKFZJyf6LL3fgzhelvLkgOrFoGrlOO7y0Tg4P7hijaoXQe265M/CM40y/3yDQ28vF5Vd72eHjAmEmLwSd3+GhBa2wO47qEIqp5JFfs2xbmb+6hQqlFcOORjquUDKVlu/JOWwkOQPpOI87EyIDN0KpDZF15fs6y3f0JYriHuNpYYbH8helPD9yEfHhg977YuRKemt1a8aEtcHhG68MuO3kjrIf/tPXvoCbbv5DHAQ/8B6oTR1BqyLwH4cY0Ep94P8PFOKuinB07yRKyiiAeuTGKbZnHjAcdE6PGf3fxu1ni80HsPcQzB+Jl+N5OrlW3B3JZi57ets5A9nQl8TxhYLjbpe/9B9yY77bdX9yZMRJKpNxOommWxL7JStEb6anru4uSKpk8FBQ8qGdFE+wn5ckrkaPexoJGa7UyOoJBcstmX1Sjb4pqrlUQh/vJXAD7+dwAdp159EfFqwGLYcZX1Hwj6+riv+K01+6wi/SJglkdb8E5MWAslZwXKySrBPtusq7qDcHoGqSNeSCdr/MK/C5iRes+S++FokVk54mm7cSI/LZz2Q/VVsD6CRajHHuFtcyL16bJVRSzGkqtvsURj3ekaWhVHaAOEW4c94oNLtIxxYAXVdpJcwK9+YdpZkTUIIDLv4pVcL2nW+hMQzKYl/RDp5w1IVLscCilfUPeR8POpaTuAtKTrgtgqCX+f7CMo++CMgM9NuVItxyqcp2vdjkpEM44nbr7gcbOgeI1JSbLtk58rRBBI8gJrAKW/xEt9RBGGGbsYsLs5chgYYank0NSDi8Q5/U9HWohoYTvfInmjbFyYMOuWePn1SyYJisvG35MmouLrMmWjCRtWTPnyfKBCgboLtg2h3ha9yf9h+B3ndmMB09j77psJ+iWX4aWR/3uqpP9B0RqVi0t40qgfEdNFcpVgK9Y1mQRyyucp2PkQc2xcsa3bf/kWfOy60tZ2rnWy//fDQTfY1ZlHG53yQH9klzwmrLlMf/As7dAfmmGjcwH5MbtAwPwk30pF7ezleU4eON3EWA+sonbTP982KEYMPLpszDgThafYMXPDFVrM7tPMOVcoXp1p2PU+gELypLzYoIYBOqsz1o2j334gc8qJLv+SfF/NrEiJhlXy8Etq7ZOwp8keyeyDdpYU8F+2zzSpL7cZ50NyZIQ3hFd19aiDvNLArWPggSbBN8l8tGczEuU2+EKchf0ymrLQZHrvdb3cRcA7tlz6gsXpzOkmI9L7kQiIGkrd33m3h6Tzx84/AnJgbDV6z6N/fdMazSjzHPxJyIgR+qyPocaxeJnny1e96AIVtDlaq5dpBYrkLsBUGnCcrtp8P6+ULoLYBkJFSPY5RYHPpXlMqlCvikx24f011syTWvj0T0Z+GHWvMrqnuFJhVU/ugn0gxbANGzAJids1FcbeWYwXSp1iEZ35rZOqpYmS3lzRZQws0gxb5bwVrpodUXBWah6svXIaSIXjv/duEsuv5NAbgmU682Bmd4lp4ZxYUM+66DlnGmLlNVAqk34Tr8OZBQ4pGe3vpobSje35bdCFUtpG0FlD4H6cKy3Xblv/rSQ74Y+drqR6IzvpNcOJZkwClVnQWewiyHsFTfuIYMpN6vzmDdUx448KdHysmt4pJ1KE0W6MP2VE9Rw/Q/gljNN5Qs1dEtjK1YtMGtl+5/iR/8Yl49JMsXgrKLyWVpGHSTwZaC9XUrYZmHbdCWulwPituVYQ+Y7WE/bi4R3CYDgFuI9VDA4vJQkVEh4S5KiRBJnqQe1l+rOz0WEE0hvXp5bxNPdJYuYFBqrfpi+x5ZICyZP7NUYnS3+5XAz3nqzCYjJeugohrfr+pZkUYRDS7yvIRWfpCfJ1W5+b48i3RsZDVT0ccnhGKiC4a0LR8m5ynFGVNCzxDk1OF5SnM2IJDnQh/pDuX8dXM45CdTmpi8HXO4bYWiTmFSwgH5AAbF3BOSH0b0eFieeRfc6gKaFyCu9AYeQfuW8NMKB+0sZEmtEuYptYT8GY5sctYhICclqtxjGa1szKtS8VrujRooVeDEmoy99EA8/ocRl6/PE0dv0SnfWz6rKHDyPgTHko9yjJN7p037nUo+vYpw3qHvuAZ9kiTCcxojUTtyfL3/hoeWEzDeFRcCMSp/ZDMlMhnhUkueSWQcmru0FfF04sW6/ddTq0bA/l8NFWtbDOTOVVRVPt2j5RE8h1odbhnMLJvXN/U60p4t0dLIPWmpy9yMprOduhtFAQpL+QfD6YLU735WY2WzVi84ArmooX89Qf+jQqIo1M44PcJ9lv5ymw7yQYgwbUDeZ2+zmxwrCwUMZ+O7g272qvoEygC7HmtAgXzQcKrW6pwq3klCZMpZA+CvaQYBY8u0SYxJa3oe9gFNoNUjI129aGCr8yHVvuMBdIhRMhGi37a1eF/LoA5kNxEGIqbRcXyLTzzwma+DhZhdc4jtDlk9iS/d7fiiJWCUb4Ism0GUhdpO/pVp1oNLR2aTaaShzEdpcD+6xbV3mbO4UjfMW6Or/jKX6GRSB0xFPKaoiweuscEF1GJcANGw97EY2Hd+TmDhQsOx564LcxGgCLUHAInbpya6Ysw/GzKqtPsdX4MebSz3pFpGsbfJbSyK1ZEEVQCb1gvUY2tGehc2ld9BPFtitvwUjJ22JQxLaDwMaZTjVp4C1T2ztPzLzosyX7DaWa39UxF+wbN9auI7hZTltKUz0BcqmJJ5cI26DtnaESDv7/NcuR58QLb9/kZ1gIH3E2MLn01zi/ywwiawU3iV1in3mtQ+YEuyLWCyicF+RI53RoD7Xxje7HMg0GyVfGtUS5gAz87x3NvvhDuLjGXrCsdhvwoirRBIc1Ld3L7VznFw6noY3nZgbY729GL7suQYuT6xCZDXbmXACI/8rQ1wi3A4JnPsdiY0PQ6Em52wfxqAiW0BpZtpYvSf/dWvlimwEh26dz7h/3atQjJUi6aeb1XrPT/hOFPZz/mCG1l9+eJ8+rcL24LpOhTUGBzOgeN1ZLlzEPi06Zr9WtovvaHWgoZ4ApQgOisSj9L2a9ponaeo1T4StyA8qHcj2sP0FScV+lV2+4KrRwQ7e/HOMgCufvgteZb1YeQ0EnS5qzdK+Hu7r4aJHi26sH2PRv4P2a8TSUHwRgAXil2hzvksT6gyo3qSkRXLV+7rVkDQ1xo3ByPiza3DGo/X51JbtAbYJ71Wqw7OXs0wn/q2xIdJ5QLtL44FEUmMpHHHP81URTUlHtpOoKUvKICQ8Fzz5FC7kUqqlPW6z9G20ibNN2A0FaxggYyfH0+LpZ/n+RFw8EFyTYLampqLrWr9v6sNuvr+W1liDfEaxn1Lx9JhmYWXLWRkVmM8sh31It94XSv2MLJ52thg2mEPwQg5p/NgJrs6U4+VDAHSgviXv6JKsbeFvfjYppB7gOshzT/RcM2i9tUBNgXtgJpXKW+04Qu08ur2YzCTyBTkMUntmLoPPWPEPDnAK0+W5vZhSMLkzA6xeNpP0n35LL+b9SYiWx1XAn/Q+2YY5YjsUF493nFLtoDFf6ZV/Sunp3mXNlKi6YPTPAg0gos3gzA3l76XXboD6ZXhfGzDJvQQ4dR4u2k+Y+CQJaWyK9N0R/iibfrkGPSNbubTXPPnajHSKpTy0+0BdPilaC73Z6mdONHxyCZ6usZYgOeef9TkeUMU/s0vICFLEJmgtauqk8yZd++qQt5cVWJ4uHqvhp/9F6B08iYguTLsOFPfEXOnRxr4FyApEeoifNLuIg29VO0LSkrIUSw+71JziWk5ZA+Swh0kkpox0NQ9RBD4UTlMPmP+O+j0xXPyGLwWBXlFQCPUNKFOm4iPiN9MFhugyuvIg2U+RIaOvamCyyBScrYU7hVvkNqkFCIYDYg79PEFQkPKJEKecmRhzBBSmt0SSfBX08WGPE+lke9v6T1N5VRZlKL02ZXilYFkWQTUCUw1UKl2BgmK/pZDVSXoCosOllLoMUKYwhA9Lj7+zX98f/NtBO3UZD7RNX+YANNKqdjtNKfbE4uPsIeuKvkrRA5EPeeituXl/Wxm/y+NCESrVXp5QVanZQwvWfodOBGkjn/AnkCwcI9VSp75yN2WV2NgknkuMZF+hA5VoqWZIX74Jhtaf48TDKSUwDdngODh/MDkYd18NQxxt8ab3bG/h58SvnsKvVVQjItZMb4LZKn6Z2VQxt/Wp2HQXXj98dgr0rxcqdkrp/K0I/huXpc6jKOhfAE9UczYEMUNbG8qBEDs6WuPDeRJXaecysR9arzQtrLygyDnu1efC66bo04OK9IMQXKlGYohc+SRuO05r6TWeRxS193zU3gOAOCdNPQm9kX0cfAnVCEILyCFUur2ZY9Lnhb+ZwY48jCXXNNtIyDXH58+DpdWlrYuShFbh85kUGN0NfqRrsACWXsE+An40YJincsnijWch5PkWz2o7aQm8L9dwTdWoOXILiyeNK1S0xWRpTSiMhE6zRIfTZ/XJp/lF45QThaLLxviiAJCPR2RIWX6Y8hiUNpMClJzWinSqIdDcBdoZA0+Z6PMuXAYDNq63BLVGYwK8ZcAZl7x1LV6LOnCUbfy/BF4UBEUadr/vYRCzNOiLfhFqxJTqLObQJb2+48KlzUn8CAp1v2O6T4tCzFqP2vK9qh7yhswt/drnWuRQsZYSBkeMKIYqJrpQIovCQhXL7nUxjPXvBpANFfyMSw+t3ou/CzEzPwCoNeB6WyF6S/9MpD4v8GdqTxtTKJnPD+rzKJMEc04Za6W69vsLf0wnkvJnyf4DfTUxAs8kcl8rjM4wwxrlgKCuLdBwmu4TxU5/IXEOFuzz1yW2oBfxRhiQIALvLgK4WZiqScszGcevib0mPaXxKWDap1YisjZqZMa9v0MkfRxiBvHTBL1tA1dS7plUlxXnncwk8DrjhSkAQxhtwtnEetcWuVpkBlMrDaJ5ajP88hsLo9dYvk2q0+Bn8PptIywCT4uUvITOADFMzi7rNYkGBdbQA2Jy2wq7AMH/AbZQ5ysi25X4kbPVJTMtQwyQdCUQbb5/qfoZbfVgPBY1NsVrdTEf+oDwi0BziAXPDQ7x1H70XqmWlVWHDtt5g8I+K3MMeMdCw6rp5FXdGGwKe7u5clX3WMDsNvlXEb9vnKrMBYYu8dEnN7yj0gJsXu4BqNLsDOyM4eBTLnMtT23t1sWzbtD5r45Z4oVQsKYdNKw96fZF2Zz9Q"};